@@ -44,7 +44,24 @@ for file in \
   migrations/migration_035_rights_management.sql \
   migrations/migration_036_ai_chat_assistants.sql \
   migrations/migration_037_competitive_analysis.sql \
-  migrations/migration_038_security_incidents.sql
+  migrations/migration_038_security_incidents.sql \
+  migrations/migration_039_manuscript_outlines.sql \
+  migrations/migration_040_chapter_analyses.sql \
+  migrations/migration_041_vector_embeddings.sql \
+  migrations/migration_042_sales_imports.sql \
+  migrations/migration_043_secret_encryption.sql \
+  migrations/migration_044_print_covers.sql \
+  migrations/migration_045_notification_delivery.sql \
+  migrations/migration_046_rights_offer_negotiation.sql \
+  migrations/migration_047_sales_goal_forecasts.sql \
+  migrations/migration_048_manuscript_versions.sql \
+  migrations/migration_049_manuscript_comments.sql \
+  migrations/migration_050_oauth.sql \
+  migrations/migration_051_backup_runs.sql \
+  migrations/migration_052_upload_quarantine.sql \
+  migrations/migration_053_dmca_enforcement.sql \
+  migrations/migration_054_usage_billing.sql \
+  migrations/migration_055_manuscript_permissions.sql
 do
   if [ -f "$file" ]; then
     echo "Applying: $file"
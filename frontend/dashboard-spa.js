@@ -350,9 +350,34 @@ const app = {
         await this.pollAnalysisStatus();
     },
 
+    // Describe what an analysis estimate will use and cost
+    describeAnalysisEstimate(estimate) {
+        const tokens = n => Number(n).toLocaleString();
+        const { coverage } = estimate;
+        const lines = [`Estimated usage: ${tokens(estimate.estimatedTokens)} AI tokens.`];
+        if (coverage.included > 0) lines.push(`- ${tokens(coverage.included)} from your monthly allowance`);
+        if (coverage.credits > 0) lines.push(`- ${tokens(coverage.credits)} from your credit packs`);
+        if (coverage.overage > 0) lines.push(`- ${tokens(coverage.overage)} as overage (about $${(estimate.estimatedChargeCents / 100).toFixed(2)} on your next invoice)`);
+        if (coverage.uncovered > 0) lines.push(`- ${tokens(coverage.uncovered)} not covered: buy a credit pack or upgrade on the Billing page`);
+        return lines.join('\n');
+    },
+
     // Reanalyze manuscript
     async reanalyzeManuscript(manuscriptId) {
-        if (!confirm('Are you sure you want to (re)analyze this manuscript? This will start a new analysis process.')) {
+        // Show the pre-flight estimate before starting (the analysis still starts if it can't be fetched)
+        let estimateText = '';
+        try {
+            const estimateResponse = await fetch(`${this.API_BASE}/payments/estimate?manuscriptId=${encodeURIComponent(manuscriptId)}`, {
+                credentials: 'include'
+            });
+            if (estimateResponse.ok) {
+                estimateText = `\n\n${this.describeAnalysisEstimate(await estimateResponse.json())}`;
+            }
+        } catch (error) {
+            console.warn('Could not load analysis estimate:', error);
+        }
+
+        if (!confirm(`Are you sure you want to (re)analyze this manuscript? This will start a new analysis process.${estimateText}`)) {
             return;
         }
 
@@ -364,6 +389,14 @@ const app = {
                 body: JSON.stringify({})
             });
 
+            if (response.status === 402) {
+                const error = await response.json();
+                if (confirm(`${error.error}\n\n${this.describeAnalysisEstimate(error.estimate)}\n\nGo to the Billing page?`)) {
+                    window.location.href = 'billing.html';
+                }
+                return;
+            }
+
             if (!response.ok) {
                 const error = await response.json();
                 throw new Error(error.error || 'Failed to start analysis');
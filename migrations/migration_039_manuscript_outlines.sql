@@ -0,0 +1,38 @@
+-- ============================================================================
+-- Migration 039: Manuscript Outlines
+-- ============================================================================
+-- Purpose: Persist the detected chapter outline of each manuscript together
+--          with the author's corrections, so agents, audiobook chapter splits
+--          and EPUB tables of contents all use the same segmentation
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- MANUSCRIPT OUTLINES TABLE
+-- One row per manuscript. The outline is re-derived from the manuscript and
+-- the overrides whenever it is resolved; the stored outline is what the
+-- author last reviewed.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS manuscript_outlines (
+  manuscript_id TEXT PRIMARY KEY,         -- One outline per manuscript
+  outline TEXT NOT NULL,                  -- JSON array of sections (index, heading, title, kind, label, ...)
+  overrides TEXT,                         -- JSON { patterns: [], sections: [] } supplied by the author
+  source TEXT NOT NULL DEFAULT 'detected', -- 'detected' or 'author' (overrides applied)
+  section_count INTEGER DEFAULT 0,        -- Total sections
+  chapter_count INTEGER DEFAULT 0,        -- Body chapters (prologue/epilogue included)
+  updated_by TEXT,                        -- User who last saved overrides
+  created_at BIGINT NOT NULL,             -- Unix timestamp
+  updated_at BIGINT NOT NULL,             -- Unix timestamp
+  FOREIGN KEY (manuscript_id) REFERENCES manuscripts(id) ON DELETE CASCADE,
+  FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_manuscript_outlines_source ON manuscript_outlines(source);
+
+-- ============================================================================
+-- SECTION KINDS (Reference)
+-- ============================================================================
+-- front_matter: title page, copyright, dedication, epigraph, contents, preface
+-- chapter:      body chapters, prologue, epilogue, interlude
+-- part:         Part / Book / Act dividers
+-- back_matter:  acknowledgments, about the author, also by, glossary, appendix
@@ -0,0 +1,38 @@
+-- ============================================================================
+-- Migration 040: Per-Chapter Analysis Results
+-- ============================================================================
+-- Purpose: Persist the findings of each chapter during map-reduce manuscript
+--          analysis so progress can be reported per chapter and a failed run
+--          can resume without re-analyzing (and re-billing) finished chapters
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- CHAPTER ANALYSES TABLE
+-- One row per manuscript, analysis type and chapter. A completed row is
+-- reused as long as the chapter text (content_hash) is unchanged.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS chapter_analyses (
+  id TEXT PRIMARY KEY,                    -- UUID
+  manuscript_id TEXT NOT NULL,
+  report_id TEXT,                         -- Report that last used this row
+  analysis_type TEXT NOT NULL,            -- developmental, line-editing, copy-editing
+  chapter_index INTEGER NOT NULL,         -- Position of the analysis unit in the manuscript
+  chapter_title TEXT,
+  content_hash TEXT NOT NULL,             -- SHA-256 of analysis type, context and chapter text
+  word_count INTEGER DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, running, complete, failed
+  result TEXT,                            -- JSON findings for the chapter
+  error TEXT,                             -- Last error message (failed rows)
+  attempts INTEGER DEFAULT 0,             -- Times the chapter was sent for analysis
+  reused INTEGER DEFAULT 0,               -- 1 when the last report reused a previous result
+  created_at BIGINT NOT NULL,             -- Unix timestamp
+  updated_at BIGINT NOT NULL,             -- Unix timestamp
+  completed_at BIGINT,                    -- Unix timestamp
+  UNIQUE (manuscript_id, analysis_type, chapter_index),
+  FOREIGN KEY (manuscript_id) REFERENCES manuscripts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_chapter_analyses_report ON chapter_analyses(report_id);
+CREATE INDEX IF NOT EXISTS idx_chapter_analyses_manuscript ON chapter_analyses(manuscript_id, analysis_type);
+CREATE INDEX IF NOT EXISTS idx_chapter_analyses_status ON chapter_analyses(status);
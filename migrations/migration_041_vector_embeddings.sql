@@ -0,0 +1,33 @@
+-- ============================================================================
+-- Migration 041: Vector Embeddings
+-- ============================================================================
+-- Purpose: Store text embeddings for manuscripts and comp titles so comp
+--          matching, similar-submission search and series consistency checks
+--          can run nearest-neighbour queries
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- VECTOR EMBEDDINGS TABLE
+-- One vector per entity and embedding model. Vectors are L2-normalized;
+-- vectors from different models are never compared.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS vector_embeddings (
+  id TEXT PRIMARY KEY,                    -- UUID
+  namespace TEXT NOT NULL,                -- manuscript, comp_title
+  entity_id TEXT NOT NULL,                -- manuscripts.id or comp_titles.id
+  user_id TEXT,                           -- Owner (scopes similarity searches)
+  genre TEXT,                             -- Optional filter for nearest-neighbour queries
+  model TEXT NOT NULL,                    -- Embedding model, e.g. local-hash-v1-512
+  dimensions INTEGER NOT NULL,
+  vector DOUBLE PRECISION[] NOT NULL,
+  content_hash TEXT NOT NULL,             -- SHA-256 of the embedded text (skip re-embedding unchanged text)
+  metadata TEXT,                          -- JSON (title, author, ...)
+  created_at BIGINT NOT NULL,             -- Unix timestamp
+  updated_at BIGINT NOT NULL,             -- Unix timestamp
+  UNIQUE (namespace, entity_id, model)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vector_embeddings_lookup ON vector_embeddings(namespace, model);
+CREATE INDEX IF NOT EXISTS idx_vector_embeddings_user ON vector_embeddings(namespace, model, user_id);
+CREATE INDEX IF NOT EXISTS idx_vector_embeddings_genre ON vector_embeddings(namespace, model, genre);
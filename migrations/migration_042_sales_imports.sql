@@ -0,0 +1,104 @@
+-- ============================================================================
+-- Migration 042: Sales Report Imports
+-- ============================================================================
+-- Purpose: Import royalty reports downloaded from KDP, Draft2Digital and
+--          IngramSpark into sales_data, with a record of every import, the
+--          identifiers (ASIN/ISBN) that map report rows to manuscripts, and a
+--          per-row key so re-importing a report never double counts
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- SALES IMPORTS TABLE
+-- One row per uploaded report file
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS sales_imports (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  platform TEXT NOT NULL,                 -- 'kdp', 'draft2digital', 'ingramspark'
+  filename TEXT,
+  file_hash TEXT NOT NULL,                -- SHA-256 of the uploaded file
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN
+    ('processing', 'completed', 'partial', 'failed')),
+
+  -- Reporting period covered by the imported rows
+  period_start BIGINT,
+  period_end BIGINT,
+
+  -- Row counts
+  rows_total INTEGER DEFAULT 0,           -- Sales rows found in the report
+  rows_inserted INTEGER DEFAULT 0,        -- New sales_data rows
+  rows_updated INTEGER DEFAULT 0,         -- Existing rows whose amounts changed
+  rows_unchanged INTEGER DEFAULT 0,       -- Rows already imported
+  rows_unmatched INTEGER DEFAULT 0,       -- Rows with no matching manuscript
+  rows_skipped INTEGER DEFAULT 0,         -- Rows that could not be parsed
+
+  -- Totals in the reporting currency
+  reporting_currency TEXT NOT NULL DEFAULT 'USD',
+  total_royalties DOUBLE PRECISION DEFAULT 0,
+
+  unmatched TEXT,                         -- JSON: [{ title, asin, isbn, rows, units, royalty }]
+  errors TEXT,                            -- JSON: [{ source, reason }]
+
+  created_at BIGINT NOT NULL,
+  completed_at BIGINT,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_imports_user ON sales_imports(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sales_imports_hash ON sales_imports(user_id, file_hash);
+
+-- ============================================================================
+-- MANUSCRIPT IDENTIFIERS TABLE
+-- Retail identifiers of a manuscript's editions. Filled by the author or
+-- learned when a report row matches a manuscript by title.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS manuscript_identifiers (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  manuscript_id TEXT NOT NULL,
+  identifier_type TEXT NOT NULL CHECK (identifier_type IN ('asin', 'isbn')),
+  identifier TEXT NOT NULL,               -- Uppercase ASIN or 13-digit ISBN
+  source TEXT NOT NULL DEFAULT 'manual',  -- 'manual' or 'title_match'
+  created_at BIGINT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (manuscript_id) REFERENCES manuscripts(id) ON DELETE CASCADE,
+  UNIQUE(user_id, identifier)
+);
+
+CREATE INDEX IF NOT EXISTS idx_manuscript_identifiers_manuscript ON manuscript_identifiers(manuscript_id);
+
+-- ============================================================================
+-- SALES DATA: IMPORT PROVENANCE
+-- row_key identifies a report row independently of its amounts, so a newer
+-- download of the same period updates rows instead of duplicating them.
+-- ============================================================================
+ALTER TABLE sales_data ADD COLUMN IF NOT EXISTS import_id TEXT;
+ALTER TABLE sales_data ADD COLUMN IF NOT EXISTS row_key TEXT;
+ALTER TABLE sales_data ADD COLUMN IF NOT EXISTS original_currency TEXT;
+ALTER TABLE sales_data ADD COLUMN IF NOT EXISTS original_royalty DOUBLE PRECISION;
+ALTER TABLE sales_data ADD COLUMN IF NOT EXISTS exchange_rate DOUBLE PRECISION;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_data_row_key ON sales_data(user_id, row_key);
+CREATE INDEX IF NOT EXISTS idx_sales_data_import ON sales_data(import_id);
+
+-- ============================================================================
+-- RECENT SALES ACTIVITY VIEW
+-- Migration 034 used SQLite's unixepoch(); recreate with PostgreSQL syntax so
+-- /dashboard/sales-overview can read imported sales
+-- ============================================================================
+CREATE OR REPLACE VIEW recent_sales_activity AS
+SELECT
+  sd.manuscript_id,
+  sd.user_id,
+  m.title as manuscript_title,
+  sd.platform,
+  sd.format,
+  SUM(sd.units_sold) as units_sold_30d,
+  SUM(sd.revenue) as revenue_30d,
+  SUM(sd.royalty_earned) as royalties_30d
+FROM sales_data sd
+JOIN manuscripts m ON sd.manuscript_id = m.id
+WHERE sd.sale_date >= EXTRACT(EPOCH FROM NOW() - INTERVAL '30 days')::BIGINT
+GROUP BY sd.manuscript_id, sd.user_id, m.title, sd.platform, sd.format;
@@ -0,0 +1,78 @@
+-- ============================================================================
+-- Migration 043: Secret Encryption
+-- ============================================================================
+-- Purpose: Audit log for decrypting stored third-party secrets (platform
+--          credentials, webhook signing secrets), and the webhook tables used
+--          by WebhookManager, whose secret column now holds an envelope
+--          written by src/services/secret-vault.js
+-- Created: 2026-10-19
+--
+-- Existing plaintext values keep working until they are encrypted with:
+--   node scripts/rotate-secret-keys.js
+-- ============================================================================
+
+-- ============================================================================
+-- SECRET ACCESS LOG
+-- One row per decrypt attempt, successful or not
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS secret_access_log (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,                  -- Owner of the secret
+  table_name TEXT NOT NULL,               -- e.g. 'platform_connections'
+  record_id TEXT,                         -- Row the secret belongs to
+  field TEXT NOT NULL,                    -- Column holding the secret
+  purpose TEXT,                           -- Why it was decrypted, e.g. 'webhook_delivery'
+  actor TEXT NOT NULL DEFAULT 'system',   -- User ID or 'system'
+  key_id TEXT,                            -- Master key fingerprint (NULL for legacy plaintext)
+  success INTEGER NOT NULL DEFAULT 1,
+  error_message TEXT,
+  accessed_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_secret_access_log_user ON secret_access_log(user_id, accessed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_secret_access_log_record ON secret_access_log(table_name, record_id);
+CREATE INDEX IF NOT EXISTS idx_secret_access_log_failures ON secret_access_log(accessed_at DESC) WHERE success = 0;
+
+-- ============================================================================
+-- WEBHOOKS TABLES
+-- Defined by the SQLite-era public API migration, which was never ported
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhooks (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  url TEXT NOT NULL,                      -- Webhook delivery URL
+  events TEXT NOT NULL,                   -- JSON array of event types
+  secret TEXT NOT NULL,                   -- Encrypted HMAC signing secret
+  is_active INTEGER DEFAULT 1,
+  created_at BIGINT NOT NULL,
+  last_delivery_at BIGINT,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_active ON webhooks(is_active);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT NOT NULL,
+  delivery_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  status_code INTEGER NOT NULL,           -- HTTP status code (0 if network error)
+  error_message TEXT,
+  delivered_at BIGINT NOT NULL,
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, delivered_at DESC);
+
+CREATE TABLE IF NOT EXISTS webhook_retries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT NOT NULL,
+  delivery_id TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  scheduled_at BIGINT NOT NULL,
+  payload TEXT NOT NULL,                  -- JSON payload to deliver
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_retries_scheduled ON webhook_retries(scheduled_at);
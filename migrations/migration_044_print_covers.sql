@@ -0,0 +1,20 @@
+-- ============================================================================
+-- Migration 044: Print Covers
+-- ============================================================================
+-- Purpose: Store full-wrap print covers (back, spine, front) generated by
+--          src/generators/print-cover-generator.js alongside the formatted
+--          interiors they belong to
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- Covers are a formatted output of their own
+ALTER TABLE formatted_manuscripts DROP CONSTRAINT IF EXISTS formatted_manuscripts_format_type_check;
+ALTER TABLE formatted_manuscripts ADD CONSTRAINT formatted_manuscripts_format_type_check
+  CHECK (format_type IN ('epub', 'pdf', 'mobi', 'preview_epub', 'preview_pdf', 'print_cover'));
+
+-- Print platform the file was built for ('kdp', 'ingramspark'); covers differ per platform
+ALTER TABLE formatted_manuscripts ADD COLUMN IF NOT EXISTS platform TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_formatted_manuscripts_interior
+  ON formatted_manuscripts(manuscript_id, created_at DESC)
+  WHERE format_type = 'pdf' AND status = 'completed';
@@ -0,0 +1,89 @@
+-- ============================================================================
+-- Migration 045: Notification Delivery
+-- ============================================================================
+-- Purpose: Let src/workers/notification-dispatcher.js drain notification_queue:
+--          retry bookkeeping and dead-lettering on the queue, digest batching,
+--          an in-app notifications feed with read state, and an email
+--          preference so submission updates honour one-click unsubscribe
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- Queue lifecycle:
+--   pending    -> queued, not yet processed
+--   processing -> claimed by a dispatcher (reclaimed if locked_at goes stale)
+--   digest     -> in-app delivered, email waiting for the user's digest
+--   failed     -> email send failed, retried at next_attempt_at
+--   sent       -> email delivered
+--   skipped    -> in-app only (email disabled, unsubscribed or no address)
+--   dead       -> gave up after the maximum number of attempts
+ALTER TABLE notification_queue DROP CONSTRAINT IF EXISTS notification_queue_status_check;
+ALTER TABLE notification_queue ADD CONSTRAINT notification_queue_status_check
+  CHECK (status IN ('pending', 'processing', 'digest', 'failed', 'sent', 'skipped', 'dead'));
+
+-- created_at holds Unix seconds like the rest of the queue timestamps (as in
+-- migration 029); databases restored from the production dump have a TIMESTAMP
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'notification_queue' AND column_name = 'created_at') <> 'bigint' THEN
+    ALTER TABLE notification_queue ALTER COLUMN created_at DROP DEFAULT;
+    ALTER TABLE notification_queue ALTER COLUMN created_at TYPE BIGINT USING EXTRACT(EPOCH FROM created_at)::BIGINT;
+    ALTER TABLE notification_queue ALTER COLUMN created_at SET DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT;
+  END IF;
+END $$;
+
+ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS next_attempt_at BIGINT;
+ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS locked_at BIGINT;
+ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS link TEXT;
+ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS notification_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_notification_queue_due
+  ON notification_queue(next_attempt_at, created_at)
+  WHERE status IN ('pending', 'processing', 'digest', 'failed');
+
+-- In-app notification feed
+CREATE TABLE IF NOT EXISTS notifications (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  notification_type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT NOT NULL,
+  link TEXT,                  -- Where the notification points in the dashboard
+  submission_id TEXT,
+  queue_id TEXT,              -- notification_queue row that produced it
+  read_at BIGINT,             -- NULL while unread
+  created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (submission_id) REFERENCES manuscripts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_queue ON notifications(queue_id);
+
+-- Email preferences with the one-click unsubscribe token (migration 008 only
+-- exists in its SQLite form)
+CREATE TABLE IF NOT EXISTS email_preferences (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL UNIQUE,
+  analysis_complete INTEGER DEFAULT 1,
+  asset_generation_complete INTEGER DEFAULT 1,
+  payment_confirmation INTEGER DEFAULT 1,
+  payment_failed INTEGER DEFAULT 1,
+  usage_warning INTEGER DEFAULT 1,
+  dmca_notification INTEGER DEFAULT 1,
+  team_invitation INTEGER DEFAULT 1,
+  team_activity INTEGER DEFAULT 0,
+  weekly_digest INTEGER DEFAULT 1,
+  admin_alerts INTEGER DEFAULT 1,
+  unsubscribe_token TEXT UNIQUE,
+  created_at BIGINT NOT NULL,
+  updated_at BIGINT NOT NULL,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Submission messages, revision requests and decisions by email (cleared by unsubscribe)
+ALTER TABLE email_preferences ADD COLUMN IF NOT EXISTS submission_updates INTEGER DEFAULT 1;
@@ -0,0 +1,87 @@
+-- ============================================================================
+-- Migration 046: Rights Offer Negotiation
+-- ============================================================================
+-- Purpose: Negotiate rights_offers through versioned terms (offer, counter,
+--          counter...) to an accepted or declined outcome. Accepting creates
+--          the manuscript_rights grants; every step lands on a per-manuscript
+--          timeline, and the notification dispatcher reminds the party that
+--          owes a response as response_deadline approaches
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- 'declined' replaces the publisher-only 'rejected' for offers turned down by either party
+ALTER TABLE rights_offers DROP CONSTRAINT IF EXISTS rights_offers_status_check;
+ALTER TABLE rights_offers ADD CONSTRAINT rights_offers_status_check
+  CHECK (status IN ('pending', 'accepted', 'rejected', 'declined', 'countered', 'withdrawn', 'expired'));
+
+-- Offers come in on a submission (submissions.id), not on a manuscript
+ALTER TABLE rights_offers DROP CONSTRAINT IF EXISTS rights_offers_submission_id_fkey;
+ALTER TABLE rights_offers ADD CONSTRAINT rights_offers_submission_id_fkey
+  FOREIGN KEY (submission_id) REFERENCES submissions(id) ON DELETE SET NULL;
+
+-- Current terms live on the offer; every version is kept in rights_offer_versions
+ALTER TABLE rights_offers ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE rights_offers ADD COLUMN IF NOT EXISTS awaiting_party TEXT DEFAULT 'author'
+  CHECK (awaiting_party IN ('author', 'publisher'));
+ALTER TABLE rights_offers ADD COLUMN IF NOT EXISTS territories TEXT;   -- JSON array of country codes, NULL = worldwide
+ALTER TABLE rights_offers ADD COLUMN IF NOT EXISTS languages TEXT;     -- JSON array of language codes, NULL = all
+ALTER TABLE rights_offers ADD COLUMN IF NOT EXISTS last_reminder_at BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_rights_offers_manuscript ON rights_offers(manuscript_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rights_offers_open_deadline
+  ON rights_offers(response_deadline)
+  WHERE status IN ('pending', 'countered');
+
+CREATE TABLE IF NOT EXISTS rights_offer_versions (
+  id TEXT PRIMARY KEY,
+  offer_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+
+  proposed_by TEXT NOT NULL CHECK (proposed_by IN ('author', 'publisher')),
+  recorded_by_user_id TEXT NOT NULL,  -- Who entered it (authors record publisher terms received offline)
+
+  rights_offered TEXT NOT NULL,       -- JSON array of rights types
+  territories TEXT,
+  languages TEXT,
+  advance DOUBLE PRECISION,
+  royalty_rate DOUBLE PRECISION,
+  duration_years INTEGER,
+  exclusive INTEGER DEFAULT 0,
+  response_deadline INTEGER,
+  notes TEXT,
+
+  created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT,
+
+  UNIQUE (offer_id, version),
+  FOREIGN KEY (offer_id) REFERENCES rights_offers(id) ON DELETE CASCADE,
+  FOREIGN KEY (recorded_by_user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Negotiation timeline
+CREATE TABLE IF NOT EXISTS rights_offer_events (
+  id TEXT PRIMARY KEY,
+  offer_id TEXT NOT NULL,
+  manuscript_id TEXT NOT NULL,
+  event_type TEXT NOT NULL CHECK (event_type IN (
+    'received', 'countered', 'accepted', 'declined', 'expired', 'reminder_sent', 'conflicts_acknowledged'
+  )),
+  version INTEGER,
+  actor_user_id TEXT,                 -- NULL for system events (reminders, expiry)
+  details TEXT,                       -- JSON
+  created_at BIGINT NOT NULL DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT,
+
+  FOREIGN KEY (offer_id) REFERENCES rights_offers(id) ON DELETE CASCADE,
+  FOREIGN KEY (manuscript_id) REFERENCES manuscripts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_rights_offer_events_manuscript ON rights_offer_events(manuscript_id, created_at);
+
+-- Grants created by accepting an offer point back at it
+ALTER TABLE manuscript_rights ADD COLUMN IF NOT EXISTS offer_id TEXT REFERENCES rights_offers(id) ON DELETE SET NULL;
+
+-- Negotiation notifications (see services/notification-service.js)
+ALTER TABLE notification_queue DROP CONSTRAINT IF EXISTS notification_queue_notification_type_check;
+ALTER TABLE notification_queue ADD CONSTRAINT notification_queue_notification_type_check
+  CHECK (notification_type IN ('submission_received', 'status_change', 'decision', 'message',
+    'revision_request', 'revision_submitted', 'rights_offer', 'rights_offer_deadline'));
+ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS rights_offer_id TEXT REFERENCES rights_offers(id) ON DELETE CASCADE;
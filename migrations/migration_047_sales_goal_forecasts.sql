@@ -0,0 +1,45 @@
+-- ============================================================================
+-- Migration 047: Sales Goals & Forecasts
+-- ============================================================================
+-- Purpose: Track unit, revenue and royalty goals per manuscript, per series or
+--          across a user's catalog. Progress comes from sales_data; the latest
+--          forecast and its state are stored on the goal so alerts only fire
+--          when a goal starts trending to miss
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- Series-wide goals (manuscript_id and series_id both NULL = whole catalog)
+ALTER TABLE sales_goals ADD COLUMN IF NOT EXISTS series_id TEXT REFERENCES series(id) ON DELETE CASCADE;
+ALTER TABLE sales_goals DROP CONSTRAINT IF EXISTS sales_goals_single_scope;
+ALTER TABLE sales_goals ADD CONSTRAINT sales_goals_single_scope
+  CHECK (manuscript_id IS NULL OR series_id IS NULL);
+
+-- Latest evaluation (see services/sales-goal-service.js)
+ALTER TABLE sales_goals ADD COLUMN IF NOT EXISTS alerts_enabled INTEGER DEFAULT 1;
+ALTER TABLE sales_goals ADD COLUMN IF NOT EXISTS forecast_state TEXT
+  CHECK (forecast_state IN ('open', 'on_track', 'at_risk', 'off_track', 'achieved', 'missed'));
+ALTER TABLE sales_goals ADD COLUMN IF NOT EXISTS forecast_value DOUBLE PRECISION;   -- Projected total at end_date
+ALTER TABLE sales_goals ADD COLUMN IF NOT EXISTS forecast_lower DOUBLE PRECISION;
+ALTER TABLE sales_goals ADD COLUMN IF NOT EXISTS forecast_upper DOUBLE PRECISION;
+ALTER TABLE sales_goals ADD COLUMN IF NOT EXISTS alerted_state TEXT;               -- Worst state already alerted on
+ALTER TABLE sales_goals ADD COLUMN IF NOT EXISTS evaluated_at BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_sales_goals_series ON sales_goals(series_id);
+
+-- Evaluations update every active goal hourly. Migration 034's update trigger
+-- writes Unix seconds, which fails on databases restored from the production
+-- dump (TIMESTAMP updated_at), so it only stays where the types agree
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'sales_goals' AND column_name = 'updated_at') <> 'bigint' THEN
+    DROP TRIGGER IF EXISTS sales_goals_updated ON sales_goals;
+  END IF;
+END $$;
+
+-- Goal alerts go through the notification queue
+ALTER TABLE notification_queue DROP CONSTRAINT IF EXISTS notification_queue_notification_type_check;
+ALTER TABLE notification_queue ADD CONSTRAINT notification_queue_notification_type_check
+  CHECK (notification_type IN ('submission_received', 'status_change', 'decision', 'message',
+    'revision_request', 'revision_submitted', 'rights_offer', 'rights_offer_deadline', 'sales_goal'));
+ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS sales_goal_id TEXT REFERENCES sales_goals(id) ON DELETE CASCADE;
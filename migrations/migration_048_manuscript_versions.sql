@@ -0,0 +1,41 @@
+-- ============================================================================
+-- Migration 048: Manuscript Versions
+-- ============================================================================
+-- Purpose: Keep every uploaded draft of a manuscript as an immutable version,
+--          so drafts can be diffed and their analyses compared. The
+--          manuscripts row keeps pointing at the current draft (r2_key)
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- MANUSCRIPT VERSIONS TABLE
+-- One row per draft. The file a version points to is never overwritten:
+-- each draft is stored under its own R2 key, and analysis results are stored
+-- next to it ({r2_key}-analysis.json, ...), so older reports survive.
+-- Manuscripts uploaded before this migration get version 1 the first time
+-- their history is read.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS manuscript_versions (
+  id TEXT PRIMARY KEY,
+  manuscript_id TEXT NOT NULL,
+  version_number INTEGER NOT NULL,        -- 1, 2, 3, ... per manuscript
+  r2_key TEXT NOT NULL,                   -- Draft file in manuscripts_raw
+  file_name TEXT,                         -- Original file name
+  file_type TEXT,                         -- MIME type
+  file_size INTEGER,                      -- Bytes
+  file_hash TEXT,                         -- SHA-256 of the file
+  word_count INTEGER DEFAULT 0,
+  chapter_count INTEGER DEFAULT 0,
+  report_id TEXT,                         -- Latest analysis run of this draft
+  notes TEXT,                             -- Author's note on what changed
+  created_by TEXT,
+  created_at BIGINT NOT NULL,             -- Unix timestamp
+  analyzed_at BIGINT,                     -- When report_id was last set
+  UNIQUE (manuscript_id, version_number),
+  UNIQUE (r2_key),
+  FOREIGN KEY (manuscript_id) REFERENCES manuscripts(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_manuscript_versions_manuscript ON manuscript_versions(manuscript_id, version_number DESC);
+CREATE INDEX IF NOT EXISTS idx_manuscript_versions_report ON manuscript_versions(report_id);
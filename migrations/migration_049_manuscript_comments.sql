@@ -0,0 +1,81 @@
+-- ============================================================================
+-- Migration 049: Manuscript Comments
+-- ============================================================================
+-- Purpose: Collaborator comment threads anchored to ranges of manuscript
+--          text, with replies, @mentions, resolve/reopen and suggested
+--          edits the owner can accept or reject
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- COMMENT THREADS TABLE
+-- One row per anchored thread. The anchor is a chapter plus character
+-- offsets into that chapter's text (chapterToText without the title), and
+-- the quoted text with some context either side. When a new draft is
+-- uploaded the thread is re-anchored by finding the quote again (see
+-- utils/comment-anchors.js); anchor_version records the draft the offsets
+-- refer to, and detached = 1 means the quote is gone from the current draft.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS manuscript_comment_threads (
+  id TEXT PRIMARY KEY,
+  manuscript_id TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'comment' CHECK (kind IN ('comment', 'suggestion')),
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+
+  -- Anchor
+  anchor_version INTEGER NOT NULL,        -- manuscript_versions.version_number
+  chapter_index INTEGER NOT NULL,         -- 0-based chapter in that version
+  chapter_title TEXT,
+  start_offset INTEGER NOT NULL,          -- Characters into the chapter text
+  end_offset INTEGER NOT NULL,
+  quote TEXT NOT NULL,                    -- Text between the offsets
+  prefix TEXT,                            -- Text just before the quote
+  suffix TEXT,                            -- Text just after the quote
+  detached INTEGER DEFAULT 0,
+
+  -- Suggested edits (kind = 'suggestion')
+  suggested_text TEXT,                    -- Replacement for the quote
+  suggestion_status TEXT CHECK (suggestion_status IN ('pending', 'accepted', 'rejected')),
+  decided_by TEXT,
+  decided_at BIGINT,
+
+  created_by TEXT,
+  created_at BIGINT NOT NULL,             -- Unix timestamp
+  seq BIGSERIAL,                          -- Creation order within the same second
+  updated_at BIGINT NOT NULL,             -- Last reply or status change
+  resolved_by TEXT,
+  resolved_at BIGINT,
+  FOREIGN KEY (manuscript_id) REFERENCES manuscripts(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (decided_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_threads_manuscript ON manuscript_comment_threads(manuscript_id, status, chapter_index);
+
+-- ============================================================================
+-- COMMENTS TABLE
+-- The opening comment and every reply of a thread, oldest first
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS manuscript_comments (
+  id TEXT PRIMARY KEY,
+  thread_id TEXT NOT NULL,
+  author_id TEXT,
+  body TEXT NOT NULL,
+  mentions TEXT DEFAULT '[]',             -- JSON array of mentioned user IDs
+  created_at BIGINT NOT NULL,
+  seq BIGSERIAL,                          -- Creation order within the same second
+  edited_at BIGINT,
+  FOREIGN KEY (thread_id) REFERENCES manuscript_comment_threads(id) ON DELETE CASCADE,
+  FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_manuscript_comments_thread ON manuscript_comments(thread_id, created_at);
+
+-- Mentions, replies and suggestion decisions go through the notification queue
+ALTER TABLE notification_queue DROP CONSTRAINT IF EXISTS notification_queue_notification_type_check;
+ALTER TABLE notification_queue ADD CONSTRAINT notification_queue_notification_type_check
+  CHECK (notification_type IN ('submission_received', 'status_change', 'decision', 'message',
+    'revision_request', 'revision_submitted', 'rights_offer', 'rights_offer_deadline', 'sales_goal',
+    'comment_mention', 'comment_reply', 'suggestion_decision'));
+ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS comment_id TEXT REFERENCES manuscript_comments(id) ON DELETE CASCADE;
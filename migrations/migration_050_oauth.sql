@@ -0,0 +1,126 @@
+-- ============================================================================
+-- Migration 050: OAuth 2.0 Authorization Server
+-- ============================================================================
+-- Purpose: Let third-party apps (writing-app plugins, integrations, agencies)
+--          act on an author's behalf on the public API (/api/v1/*) through
+--          the OAuth 2.0 authorization-code flow with PKCE, instead of
+--          copying API keys around
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- OAUTH CLIENTS TABLE
+-- Registered third-party apps. Confidential clients (server-side apps) get a
+-- secret; public clients (desktop plugins, SPAs) do not and rely on PKCE
+-- alone. Rate limits apply to everything the app does, across all authors.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS oauth_clients (
+  id TEXT PRIMARY KEY,                    -- The client_id
+  owner_user_id TEXT NOT NULL,            -- Developer who registered the app
+  name TEXT NOT NULL,                     -- Shown on the consent screen
+  homepage_url TEXT,
+  client_type TEXT NOT NULL DEFAULT 'confidential' CHECK (client_type IN ('confidential', 'public')),
+  client_secret_hash TEXT,                -- SHA-256 of the secret (confidential clients only)
+  redirect_uris TEXT NOT NULL,            -- JSON array, matched exactly
+  allowed_scopes TEXT NOT NULL,           -- JSON array: ['manuscripts:read', 'manuscripts:write']
+
+  -- Rate limiting (per client)
+  rate_limit_per_minute INTEGER DEFAULT 60,
+  rate_limit_per_day INTEGER DEFAULT 5000,
+
+  is_active INTEGER DEFAULT 1,
+  created_at BIGINT NOT NULL,             -- Unix timestamp
+  updated_at BIGINT NOT NULL,
+  revoked_at BIGINT,
+  FOREIGN KEY (owner_user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_clients_owner ON oauth_clients(owner_user_id);
+
+-- ============================================================================
+-- OAUTH GRANTS TABLE
+-- The scopes an author has consented to for an app. Listed under the
+-- author's authorized apps; revoking a grant revokes all of its tokens.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS oauth_grants (
+  user_id TEXT NOT NULL,
+  client_id TEXT NOT NULL,
+  scopes TEXT NOT NULL,                   -- JSON array of granted scopes
+  created_at BIGINT NOT NULL,
+  updated_at BIGINT NOT NULL,             -- Last consent
+  PRIMARY KEY (user_id, client_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (client_id) REFERENCES oauth_clients(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_grants_client ON oauth_grants(client_id);
+
+-- ============================================================================
+-- OAUTH AUTHORIZATION CODES TABLE
+-- Short-lived, single-use codes issued after consent. Only the hash of the
+-- code is stored; the PKCE challenge is checked when it is exchanged.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS oauth_authorization_codes (
+  code_hash TEXT PRIMARY KEY,             -- SHA-256 of the code
+  client_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  redirect_uri TEXT NOT NULL,             -- Must be repeated on exchange
+  scopes TEXT NOT NULL,                   -- JSON array
+  code_challenge TEXT NOT NULL,
+  code_challenge_method TEXT NOT NULL DEFAULT 'S256' CHECK (code_challenge_method IN ('S256')),
+  created_at BIGINT NOT NULL,
+  expires_at BIGINT NOT NULL,
+  used_at BIGINT,                         -- Set on exchange; a second exchange revokes the tokens
+  FOREIGN KEY (client_id) REFERENCES oauth_clients(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_codes_expires ON oauth_authorization_codes(expires_at);
+
+-- ============================================================================
+-- OAUTH TOKENS TABLE
+-- One row per access/refresh token pair. Refresh tokens rotate: using one
+-- marks it rotated and issues a new pair in the same family. Presenting a
+-- rotated refresh token again means it leaked, so the whole family is revoked.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS oauth_tokens (
+  id TEXT PRIMARY KEY,
+  family_id TEXT NOT NULL,                -- id of the first token issued from the code
+  client_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  access_token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the access token
+  refresh_token_hash TEXT UNIQUE,         -- SHA-256 of the refresh token
+  scopes TEXT NOT NULL,                   -- JSON array
+  authorization_code_hash TEXT,           -- Code the family was issued from
+  access_expires_at BIGINT NOT NULL,
+  refresh_expires_at BIGINT,
+  created_at BIGINT NOT NULL,
+  last_used_at BIGINT,
+  rotated_at BIGINT,                      -- Refresh token exchanged for a new pair
+  revoked_at BIGINT,
+  FOREIGN KEY (client_id) REFERENCES oauth_clients(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_tokens_family ON oauth_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_oauth_tokens_grant ON oauth_tokens(user_id, client_id);
+
+-- ============================================================================
+-- OAUTH USAGE LOGS TABLE
+-- Public API requests made with OAuth tokens, for per-client usage stats
+-- (the API key equivalent is api_usage_logs)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS oauth_usage_logs (
+  id TEXT PRIMARY KEY,
+  client_id TEXT NOT NULL,
+  user_id TEXT,
+  token_id TEXT,
+  endpoint TEXT NOT NULL,
+  method TEXT NOT NULL,
+  status_code INTEGER NOT NULL,
+  response_time_ms INTEGER,
+  timestamp BIGINT NOT NULL,
+  FOREIGN KEY (client_id) REFERENCES oauth_clients(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_usage_client ON oauth_usage_logs(client_id, timestamp DESC);
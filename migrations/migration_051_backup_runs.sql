@@ -0,0 +1,35 @@
+-- ============================================================================
+-- Migration 051: Backup Runs
+-- ============================================================================
+-- Purpose: History of database backups and restores (supersedes the
+--          backup_logs table the SQLite-era backup worker created on the
+--          fly, which is left in place for its history)
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- BACKUP RUNS TABLE
+-- One row per backup, scratch verification or production restore. The dump,
+-- its manifest (per-table row counts and checksums) and the storage bucket
+-- manifest live in the backups bucket under postgres/<backup_id>/; details
+-- holds the per-table results of a verification.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS backup_runs (
+  id TEXT PRIMARY KEY,
+  backup_id TEXT NOT NULL,                -- e.g. 2026-10-19T03-00-00-000Z
+  operation TEXT NOT NULL CHECK (operation IN ('backup', 'verify', 'restore')),
+  triggered_by TEXT NOT NULL DEFAULT 'scheduled' CHECK (triggered_by IN ('scheduled', 'manual')),
+  status TEXT NOT NULL CHECK (status IN ('success', 'failed')),
+  table_count INTEGER,
+  total_rows BIGINT,
+  dump_bytes BIGINT,                      -- Uncompressed dump size
+  compressed_bytes BIGINT,
+  storage_objects INTEGER,                -- Objects listed in the storage manifest
+  duration_ms INTEGER,
+  details TEXT,                           -- JSON: verification results, snapshot info
+  error TEXT,
+  created_at BIGINT NOT NULL              -- Unix timestamp
+);
+
+CREATE INDEX IF NOT EXISTS idx_backup_runs_backup ON backup_runs(backup_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_backup_runs_recent ON backup_runs(operation, created_at DESC);
@@ -0,0 +1,80 @@
+-- ============================================================================
+-- Migration 052: Upload Quarantine
+-- ============================================================================
+-- Purpose: Every uploaded file is held under the quarantine/ prefix of its
+--          bucket until the scan worker has scanned it, then moved to its
+--          final key (clean) or deleted (infected). Files accepted unscanned
+--          while the scanner was down are rescanned when it recovers.
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- QUARANTINED FILES TABLE
+-- One row per uploaded file. status:
+--   pending_scan        Held at quarantine_key, waiting for a scan
+--   clean               Scanned and moved to final_key
+--   infected            Deleted; a security_incidents row records it
+--   accepted_unscanned  Moved to final_key without a scan (scanner down and
+--                       VIRUS_SCANNER_FAIL_OPEN); rescanned once it is back
+--   failed              The file disappeared before it could be scanned
+-- release_jobs holds queue jobs (e.g. the analysis of a just uploaded
+-- manuscript) that are sent once the file is released.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS quarantined_files (
+  id TEXT PRIMARY KEY,
+  bucket TEXT NOT NULL,                   -- Storage bucket binding, e.g. manuscripts_raw
+  final_key TEXT NOT NULL,                -- Where the file lives once released
+  quarantine_key TEXT,                    -- Where it is held until then
+  source TEXT NOT NULL CHECK (source IN ('manuscript', 'manuscript_draft', 'marketing_asset',
+    'cover', 'font', 'public_api', 'legacy')),
+  file_name TEXT,
+  file_size BIGINT,
+  content_type TEXT,
+  custom_metadata TEXT,                   -- JSON: storage metadata to write on release
+  user_id TEXT,
+  manuscript_id TEXT,
+  ip_address TEXT,
+  status TEXT NOT NULL DEFAULT 'pending_scan' CHECK (status IN
+    ('pending_scan', 'clean', 'infected', 'accepted_unscanned', 'failed')),
+  release_jobs TEXT NOT NULL DEFAULT '[]', -- JSON: [{ queue, message }]
+  scan_attempts INTEGER NOT NULL DEFAULT 0,
+  last_scan_id TEXT,
+  viruses TEXT,                           -- JSON array of signatures found
+  incident_id TEXT,                       -- security_incidents row for infected files
+  last_error TEXT,
+  next_attempt_at BIGINT NOT NULL DEFAULT 0,
+  locked_at BIGINT,                       -- Claimed by a scan worker
+  created_at BIGINT NOT NULL,
+  scanned_at BIGINT,
+  released_at BIGINT,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (manuscript_id) REFERENCES manuscripts(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quarantined_files_due ON quarantined_files(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_quarantined_files_key ON quarantined_files(bucket, final_key, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_quarantined_files_user ON quarantined_files(user_id, created_at DESC);
+
+-- Manuscripts the inline scanner let through unscanned (fail-open) are queued
+-- for the same rescan as files accepted from now on
+INSERT INTO quarantined_files (
+  id, bucket, final_key, source, file_name, file_size, user_id, manuscript_id,
+  status, created_at, released_at
+)
+SELECT f.id, 'manuscripts_raw', f.file_key, 'legacy', f.file_name, f.file_size, f.user_id, m.id,
+  'accepted_unscanned', EXTRACT(EPOCH FROM f.scanned_at)::BIGINT, EXTRACT(EPOCH FROM f.scanned_at)::BIGINT
+FROM file_scan_results f
+JOIN manuscripts m ON m.r2_key = f.file_key
+WHERE f.scan_status IN ('skipped', 'error')
+ON CONFLICT (id) DO NOTHING;
+
+-- A blocked cover is cleared from its manuscript (cover uploads set this column)
+ALTER TABLE manuscripts ADD COLUMN IF NOT EXISTS cover_image_key TEXT;
+
+-- Blocked uploads notify the uploader and every admin
+ALTER TABLE notification_queue DROP CONSTRAINT IF EXISTS notification_queue_notification_type_check;
+ALTER TABLE notification_queue ADD CONSTRAINT notification_queue_notification_type_check
+  CHECK (notification_type IN ('submission_received', 'status_change', 'decision', 'message',
+    'revision_request', 'revision_submitted', 'rights_offer', 'rights_offer_deadline', 'sales_goal',
+    'comment_mention', 'comment_reply', 'suggestion_decision', 'upload_blocked', 'malware_detected'));
+ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS quarantined_file_id TEXT REFERENCES quarantined_files(id) ON DELETE CASCADE;
@@ -0,0 +1,118 @@
+-- ============================================================================
+-- Migration 053: DMCA Enforcement
+-- ============================================================================
+-- Purpose: Carry resolved takedowns through the 17 U.S.C. §512 workflow:
+--          approved takedowns disable the manuscript, the uploader can file a
+--          counter-notice that starts a 10-14 business day restoration timer,
+--          uploaders collect strikes and repeat infringers are suspended, and
+--          every step of a case is kept for export.
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- DMCA REQUESTS
+-- status:
+--   pending         Submitted, waiting for review
+--   reviewing       An admin is looking at it
+--   resolved        Approved; the manuscript is taken down
+--   rejected        Not a valid claim; nothing was disabled
+--   counter_notice  The uploader filed a counter-notice; restore_after is set
+--   restored        Restored after the counter-notice window lapsed
+--   court_action    The claimant reported a court action; stays taken down
+-- ============================================================================
+ALTER TABLE dmca_requests ADD COLUMN IF NOT EXISTS updated_at BIGINT;
+ALTER TABLE dmca_requests ADD COLUMN IF NOT EXISTS takedown_at BIGINT;
+ALTER TABLE dmca_requests ADD COLUMN IF NOT EXISTS counter_notice_at BIGINT;
+ALTER TABLE dmca_requests ADD COLUMN IF NOT EXISTS restore_after BIGINT;   -- Earliest restoration (10 business days)
+ALTER TABLE dmca_requests ADD COLUMN IF NOT EXISTS restore_by BIGINT;      -- Latest restoration (14 business days)
+ALTER TABLE dmca_requests ADD COLUMN IF NOT EXISTS restored_at BIGINT;
+ALTER TABLE dmca_requests ADD COLUMN IF NOT EXISTS court_action_at BIGINT;
+
+ALTER TABLE dmca_requests DROP CONSTRAINT IF EXISTS dmca_requests_status_check;
+ALTER TABLE dmca_requests ADD CONSTRAINT dmca_requests_status_check
+  CHECK (status IN ('pending', 'reviewing', 'resolved', 'rejected', 'counter_notice', 'restored', 'court_action'));
+
+-- Deleting a taken-down manuscript must not delete the case with it
+ALTER TABLE dmca_requests ALTER COLUMN manuscript_id DROP NOT NULL;
+ALTER TABLE dmca_requests DROP CONSTRAINT IF EXISTS dmca_requests_manuscript_id_fkey;
+ALTER TABLE dmca_requests ADD CONSTRAINT dmca_requests_manuscript_id_fkey
+  FOREIGN KEY (manuscript_id) REFERENCES manuscripts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_dmca_restore_due ON dmca_requests(status, restore_after);
+CREATE INDEX IF NOT EXISTS idx_dmca_manuscript ON dmca_requests(manuscript_id);
+
+-- ============================================================================
+-- MANUSCRIPTS
+-- dmca_status: clear | taken_down. Taken-down manuscripts can only be viewed
+-- (metadata) and deleted by their owner; files, analyses and generated
+-- assets are withheld until the takedown is lifted.
+-- ============================================================================
+ALTER TABLE manuscripts ADD COLUMN IF NOT EXISTS dmca_status TEXT DEFAULT 'clear';
+
+-- ============================================================================
+-- COUNTER-NOTICES
+-- The elements §512(g)(3) requires, as submitted by the uploader. One per
+-- request.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS dmca_counter_notices (
+  id TEXT PRIMARY KEY,
+  dmca_request_id TEXT NOT NULL UNIQUE REFERENCES dmca_requests(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  full_name TEXT NOT NULL,
+  address TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  email TEXT NOT NULL,
+  material_description TEXT NOT NULL,        -- The material removed and where it appeared
+  mistake_statement TEXT NOT NULL,           -- Good-faith belief of mistake or misidentification
+  perjury_attestation BOOLEAN NOT NULL,      -- Under penalty of perjury
+  jurisdiction_consent BOOLEAN NOT NULL,     -- Consent to federal court jurisdiction and service
+  digital_signature TEXT NOT NULL,
+  submitted_at BIGINT NOT NULL,
+  forwarded_at BIGINT                        -- Copy sent to the claimant
+);
+
+-- ============================================================================
+-- COPYRIGHT STRIKES
+-- One per approved takedown. Active strikes (not revoked, not expired) count
+-- towards the repeat-infringer policy; a strike is revoked when its content
+-- is restored after a counter-notice.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS copyright_strikes (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  dmca_request_id TEXT NOT NULL UNIQUE REFERENCES dmca_requests(id) ON DELETE CASCADE,
+  manuscript_id TEXT,
+  issued_at BIGINT NOT NULL,
+  expires_at BIGINT NOT NULL,
+  revoked_at BIGINT,
+  revoke_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_copyright_strikes_user ON copyright_strikes(user_id, expires_at);
+
+-- ============================================================================
+-- CASE EVENTS
+-- Append-only history of each request, exported as the case audit log.
+-- manuscript_id is kept as text so the history outlives the manuscript.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS dmca_case_events (
+  id TEXT PRIMARY KEY,
+  dmca_request_id TEXT NOT NULL REFERENCES dmca_requests(id) ON DELETE CASCADE,
+  manuscript_id TEXT,
+  event_type TEXT NOT NULL,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('claimant', 'uploader', 'admin', 'system')),
+  actor_id TEXT,
+  details TEXT,                               -- JSON
+  created_at BIGINT NOT NULL,
+  seq BIGSERIAL                               -- Event order within the same second
+);
+
+CREATE INDEX IF NOT EXISTS idx_dmca_case_events_request ON dmca_case_events(dmca_request_id, created_at);
+
+-- ============================================================================
+-- ACCOUNT SUSPENSION
+-- Set by the repeat-infringer policy; suspended users cannot sign in and
+-- their sessions, API keys and OAuth tokens stop working.
+-- ============================================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
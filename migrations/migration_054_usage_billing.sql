@@ -0,0 +1,131 @@
+-- ============================================================================
+-- Migration 054: Usage-Metered Billing
+-- ============================================================================
+-- Purpose: Bill AI analysis by the tokens it consumes. Every plan includes a
+--          monthly token allowance; usage beyond it is drawn from prepaid
+--          credit packs, then reported to Stripe as metered overage on the
+--          subscription. Each metered call is kept in a ledger next to the
+--          cost_tracking row it came from, so charges reconcile with costs.
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- The subscription item carrying the metered overage price (NULL for plans
+-- without overage billing, e.g. free)
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS stripe_metered_item_id TEXT;
+
+-- cost_tracking in the shape logCost writes it (as in migration 004), which
+-- the ledger reconciles against; databases restored from the production dump
+-- have service instead of cost_center and a TIMESTAMP created_at
+ALTER TABLE cost_tracking ADD COLUMN IF NOT EXISTS cost_center TEXT;
+ALTER TABLE cost_tracking ADD COLUMN IF NOT EXISTS feature_name TEXT;
+ALTER TABLE cost_tracking ADD COLUMN IF NOT EXISTS tokens_input INTEGER;
+ALTER TABLE cost_tracking ADD COLUMN IF NOT EXISTS tokens_output INTEGER;
+ALTER TABLE cost_tracking ALTER COLUMN service DROP NOT NULL;
+UPDATE cost_tracking SET cost_center = service WHERE cost_center IS NULL;
+
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'cost_tracking' AND column_name = 'created_at') <> 'bigint' THEN
+    ALTER TABLE cost_tracking ALTER COLUMN created_at DROP DEFAULT;
+    ALTER TABLE cost_tracking ALTER COLUMN created_at TYPE BIGINT USING EXTRACT(EPOCH FROM created_at)::BIGINT;
+    ALTER TABLE cost_tracking ALTER COLUMN created_at SET DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_cost_tracking_user_created ON cost_tracking(user_id, created_at);
+
+-- ============================================================================
+-- USAGE PERIODS
+-- One row per user per billing period (the subscription period, or the
+-- calendar month without one). Tokens beyond the allowance are split into
+-- credit_tokens_used, overage_tokens (billable on the metered item) and
+-- uncovered_tokens (no credits and no metered item left to bill).
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS usage_periods (
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  period_start BIGINT NOT NULL,
+  period_end BIGINT NOT NULL,
+  plan_type TEXT NOT NULL,
+  subscription_id TEXT REFERENCES subscriptions(id) ON DELETE SET NULL,
+  included_tokens BIGINT NOT NULL,            -- Allowance for the plan
+  included_used BIGINT NOT NULL DEFAULT 0,
+  credit_tokens_used BIGINT NOT NULL DEFAULT 0,
+  overage_tokens BIGINT NOT NULL DEFAULT 0,
+  uncovered_tokens BIGINT NOT NULL DEFAULT 0,
+  overage_units_reported INTEGER NOT NULL DEFAULT 0,  -- 1,000-token units sent to Stripe
+  overage_retry_after BIGINT,                 -- Set while overage has no metered item to report against
+  created_at BIGINT NOT NULL,
+  updated_at BIGINT NOT NULL,
+  PRIMARY KEY (user_id, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_periods_unreported ON usage_periods(period_end)
+  WHERE overage_tokens > 0;
+
+-- ============================================================================
+-- CREDIT GRANTS
+-- One row per purchased credit pack, drawn down oldest first.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS credit_grants (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  pack_id TEXT NOT NULL,
+  tokens BIGINT NOT NULL,
+  tokens_remaining BIGINT NOT NULL CHECK (tokens_remaining >= 0),
+  amount_cents INTEGER NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'usd',
+  stripe_checkout_session_id TEXT UNIQUE,
+  stripe_payment_intent_id TEXT,
+  created_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_grants_available ON credit_grants(user_id, created_at)
+  WHERE tokens_remaining > 0;
+
+-- ============================================================================
+-- USAGE LEDGER
+-- One row per metered LLM call, split by what paid for it.
+-- credit_cents is the share of the credit packs' price the call consumed.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS usage_ledger (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  cost_tracking_id TEXT UNIQUE,               -- The logged cost this call was metered from
+  manuscript_id TEXT,
+  feature_name TEXT,
+  operation TEXT,
+  model TEXT,
+  period_start BIGINT NOT NULL,
+  tokens BIGINT NOT NULL,
+  included_tokens BIGINT NOT NULL DEFAULT 0,
+  credit_tokens BIGINT NOT NULL DEFAULT 0,
+  credit_cents NUMERIC(12,4) NOT NULL DEFAULT 0,
+  overage_tokens BIGINT NOT NULL DEFAULT 0,
+  uncovered_tokens BIGINT NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12,6) NOT NULL,
+  created_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_ledger_period ON usage_ledger(user_id, period_start, created_at);
+
+-- ============================================================================
+-- METERED USAGE REPORTS
+-- Overage sent to Stripe as billing meter events. identifier is the meter
+-- event identifier, so a retried report is never counted twice.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS metered_usage_reports (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  subscription_id TEXT REFERENCES subscriptions(id) ON DELETE SET NULL,
+  stripe_subscription_item_id TEXT,
+  period_start BIGINT NOT NULL,
+  units INTEGER NOT NULL,
+  amount_cents INTEGER NOT NULL,              -- units x overage unit price when reported
+  identifier TEXT NOT NULL UNIQUE,
+  status TEXT NOT NULL CHECK (status IN ('reported', 'failed')),
+  error TEXT,
+  created_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_metered_usage_reports_period ON metered_usage_reports(user_id, period_start);
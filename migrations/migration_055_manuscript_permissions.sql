@@ -0,0 +1,29 @@
+-- ============================================================================
+-- Migration 055: Manuscript Permissions
+-- ============================================================================
+-- Purpose: Postgres port of the manuscript_permissions table from the SQLite
+--          team collaboration migration (007). Team and direct shares are
+--          read by services/authorization-service.js on every manuscript
+--          route, but the table never made it into the production schema.
+-- Created: 2026-10-19
+-- ============================================================================
+
+-- ============================================================================
+-- MANUSCRIPT PERMISSIONS TABLE
+-- One row per share: either with a team (team_id) or with a single user
+-- (user_id), never both. A team share is capped by each member's team role.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS manuscript_permissions (
+  id TEXT PRIMARY KEY,
+  manuscript_id TEXT NOT NULL REFERENCES manuscripts(id) ON DELETE CASCADE,
+  team_id TEXT REFERENCES teams(id) ON DELETE CASCADE,       -- NULL for a direct share
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,       -- NULL for a team share
+  permission_level TEXT NOT NULL CHECK (permission_level IN ('view', 'comment', 'edit')),
+  granted_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+  granted_at BIGINT NOT NULL,                                -- Unix timestamp
+  CHECK ((team_id IS NOT NULL AND user_id IS NULL) OR (team_id IS NULL AND user_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_manuscript_permissions_manuscript ON manuscript_permissions(manuscript_id);
+CREATE INDEX IF NOT EXISTS idx_manuscript_permissions_team ON manuscript_permissions(team_id);
+CREATE INDEX IF NOT EXISTS idx_manuscript_permissions_user ON manuscript_permissions(user_id);
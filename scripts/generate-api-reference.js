@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Generate the Markdown API reference from the OpenAPI specs
+ * Usage: node scripts/generate-api-reference.js [--check]
+ *
+ * Writes docs/api-reference-{version}.md for every spec in API_SPECS.
+ * With --check, writes nothing and exits 1 if a reference is out of date
+ * (the contract tests run the same check).
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import yaml from 'js-yaml';
+import { API_SPECS } from '../src/middleware/openapi-validation.js';
+import { generateApiReference } from '../src/utils/api-reference.js';
+
+const check = process.argv.slice(2).includes('--check');
+
+function main() {
+  let stale = 0;
+
+  for (const { version, file } of API_SPECS) {
+    const spec = yaml.load(readFileSync(file, 'utf8'));
+    const source = file.pathname.split('/').pop();
+    const markdown = generateApiReference(spec, { version, source });
+    const target = new URL(`../docs/api-reference-${version}.md`, import.meta.url);
+
+    const current = existsSync(target) ? readFileSync(target, 'utf8') : null;
+    if (current === markdown) {
+      console.log(`✓ docs/api-reference-${version}.md is up to date`);
+      continue;
+    }
+
+    if (check) {
+      console.error(`❌ docs/api-reference-${version}.md is out of date; run npm run docs:api`);
+      stale++;
+    } else {
+      writeFileSync(target, markdown);
+      console.log(`✓ Wrote docs/api-reference-${version}.md`);
+    }
+  }
+
+  if (stale > 0) {
+    process.exit(1);
+  }
+}
+
+main();
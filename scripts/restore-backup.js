@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * List, verify and restore database backups
+ * Usage:
+ *   node scripts/restore-backup.js --list
+ *   node scripts/restore-backup.js <backupId|latest> --scratch-url=<postgres url>
+ *   node scripts/restore-backup.js <backupId> --scratch-url=<postgres url> --promote --confirm=<backupId>
+ *
+ * Every restore first loads the backup into the scratch database (its public
+ * schema is replaced) and checks each table's row count and checksum against
+ * the backup manifest, and the storage manifest against the buckets. Only
+ * with --promote, and only if that verification passed, is the backup then
+ * restored over production (DATABASE_URL), in one transaction that is rolled
+ * back if it doesn't verify too. --confirm must repeat the backup ID.
+ *
+ * The scratch URL can also come from BACKUP_SCRATCH_DATABASE_URL.
+ * Requires DATABASE_URL and the B2 storage environment variables
+ */
+
+import dotenv from 'dotenv';
+import { createDatabaseAdapter } from '../src/adapters/database-adapter.js';
+import { createStorageAdapter } from '../src/adapters/storage-adapter.js';
+import { listBackups, restoreBackup } from '../src/services/backup-service.js';
+
+dotenv.config({ path: '.env.local' });
+
+const args = process.argv.slice(2);
+const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+const list = args.includes('--list');
+const promote = args.includes('--promote');
+const backupId = args.find(arg => !arg.startsWith('--'));
+const scratchUrl = option('scratch-url') || process.env.BACKUP_SCRATCH_DATABASE_URL;
+
+/**
+ * Whether two connection strings point at the same database
+ */
+function sameDatabase(a, b) {
+  const target = url => {
+    const parsed = new URL(url);
+    return `${parsed.hostname}:${parsed.port || '5432'}${parsed.pathname}`;
+  };
+  return target(a) === target(b);
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ Error: DATABASE_URL must be set');
+    process.exit(1);
+  }
+
+  const db = createDatabaseAdapter(process.env);
+  const env = { ...process.env, DB: db, R2: createStorageAdapter(process.env) };
+
+  if (list) {
+    const backups = await listBackups(env);
+    for (const backup of backups) {
+      console.log(`${backup.backupId}  ${backup.createdAt.toISOString()}${backup.complete ? '' : '  (incomplete)'}`);
+    }
+    console.log(`\n${backups.length} backups`);
+    await db.close();
+    return;
+  }
+
+  if (!backupId || !scratchUrl) {
+    console.error('❌ Error: a backup ID (or "latest") and --scratch-url are required');
+    process.exit(1);
+  }
+  if (sameDatabase(scratchUrl, process.env.DATABASE_URL)) {
+    console.error('❌ Error: the scratch database must not be the production database');
+    process.exit(1);
+  }
+  if (promote && option('confirm') !== backupId) {
+    console.error(`❌ Error: --promote replaces production; repeat the backup ID with --confirm=${backupId}`);
+    process.exit(1);
+  }
+
+  const scratchDb = createDatabaseAdapter({ DATABASE_URL: scratchUrl });
+
+  try {
+    console.log(`Restoring ${backupId} into the scratch database...`);
+    const result = await restoreBackup(env, backupId, { scratchDb, promote });
+
+    for (const table of result.scratch.tables) {
+      console.log(`  ✓ ${table.table}: ${table.actualRows} rows`);
+    }
+    if (result.storage) {
+      for (const [bucket, check] of Object.entries(result.storage.buckets)) {
+        const mark = check.missing === 0 && check.changed === 0 ? '✓' : '⚠';
+        console.log(`  ${mark} ${bucket}: ${check.expected} objects, ${check.missing} missing, ${check.changed} changed`);
+      }
+    }
+
+    console.log(result.promoted
+      ? `\n✓ ${result.backupId} verified and restored to production`
+      : `\n✓ ${result.backupId} verified in the scratch database (production untouched; use --promote to restore it)`);
+  } catch (error) {
+    console.error(`❌ Restore failed: ${error.message}`);
+    for (const table of error.details?.scratch?.tables || error.details?.production?.tables || []) {
+      if (!table.ok) {
+        console.error(`  ✗ ${table.table}: expected ${table.expectedRows} rows, found ${table.actualRows}` +
+          `${table.checksumMatch ? '' : ', checksum differs'}`);
+      }
+    }
+    process.exitCode = 1;
+  } finally {
+    await scratchDb.close();
+    await db.close();
+  }
+}
+
+main();
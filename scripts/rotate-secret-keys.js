@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Re-encrypt stored secrets under the current master key
+ * Usage: node scripts/rotate-secret-keys.js [--dry-run] [--batch-size=500]
+ *
+ * To rotate the master key:
+ *   1. Generate a new key: openssl rand -base64 32
+ *   2. Set SECRETS_MASTER_KEY to the new key and add the old key to
+ *      SECRETS_PREVIOUS_MASTER_KEYS, then deploy
+ *   3. Run this script
+ *   4. Remove the old key from SECRETS_PREVIOUS_MASTER_KEYS
+ *
+ * Also encrypts values stored before encryption was introduced. Safe to re-run:
+ * rows already under the current key are skipped.
+ *
+ * Requires DATABASE_URL and SECRETS_MASTER_KEY environment variables
+ */
+
+import dotenv from 'dotenv';
+import { createDatabaseAdapter } from '../src/adapters/database-adapter.js';
+import { rotateStoredSecrets } from '../src/services/secret-vault.js';
+
+dotenv.config({ path: '.env.local' });
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const batchArg = args.find(arg => arg.startsWith('--batch-size='));
+const batchSize = batchArg ? parseInt(batchArg.split('=')[1], 10) : 500;
+
+async function main() {
+  if (!process.env.DATABASE_URL || !process.env.SECRETS_MASTER_KEY) {
+    console.error('❌ Error: DATABASE_URL and SECRETS_MASTER_KEY must be set');
+    process.exit(1);
+  }
+
+  const db = createDatabaseAdapter(process.env);
+  const env = { ...process.env, DB: db };
+
+  try {
+    console.log(`Rotating stored secrets${dryRun ? ' (dry run)' : ''}...`);
+    const summary = await rotateStoredSecrets(env, { dryRun, batchSize });
+
+    console.log(`Active master key: ${summary.activeKeyId}`);
+    let failed = 0;
+    for (const [table, stats] of Object.entries(summary.tables)) {
+      console.log(`  ${table}: ${stats.rotated} re-encrypted, ${stats.current} already current, ${stats.failed} failed`);
+      for (const { id, error } of stats.errors) {
+        console.log(`    ✗ ${id}: ${error}`);
+      }
+      failed += stats.failed;
+    }
+
+    if (failed > 0) {
+      console.error(`\n❌ ${failed} rows could not be rotated (see errors above). Keep the old keys configured and re-run.`);
+      process.exitCode = 1;
+    } else {
+      console.log('\n✅ All secrets are encrypted with the active master key');
+    }
+  } finally {
+    await db.pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Rotation failed:', error.message);
+  process.exit(1);
+});
@@ -24,6 +24,7 @@ import { createDatabaseAdapter } from './src/adapters/database-adapter.js';
 import { createStorageAdapter } from './src/adapters/storage-adapter.js';
 import { createSessionStore, createSessionMiddleware } from './src/adapters/session-adapter.js';
 import { createCacheAdapter } from './src/adapters/cache-adapter.js';
+import { buildRuntimeEnv } from './src/config/runtime-env.js';
 
 // Import services
 import { initVirusScanner, updateScannerHealth } from './src/services/virus-scanner.js';
@@ -93,7 +94,8 @@ async function initializeAdapters() {
     console.log('✓ Queue service initialized');
 
     // Create env object that mimics Workers env
-    env = {
+    // (variables are whitelisted in src/config/runtime-env.js)
+    env = buildRuntimeEnv(process.env, {
       // Database
       DB: db,
 
@@ -108,21 +110,7 @@ async function initializeAdapters() {
 
       // Cache (for db-cache.js)
       CACHE_KV: cacheKV,
-
-      // Environment variables
-      ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
-      STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
-      STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET,
-      STRIPE_PUBLISHABLE_KEY: process.env.STRIPE_PUBLISHABLE_KEY,
-      FRONTEND_URL: process.env.FRONTEND_URL,
-      EMAIL_FROM_ADDRESS: process.env.EMAIL_FROM_ADDRESS,
-      EMAIL_FROM_NAME: process.env.EMAIL_FROM_NAME,
-      EMAIL_ADMIN_ADDRESS: process.env.EMAIL_ADMIN_ADDRESS,
-      EMAIL_REPLY_TO_ADDRESS: process.env.EMAIL_REPLY_TO_ADDRESS,
-      MAX_FILE_SIZE: process.env.MAX_FILE_SIZE,
-      SESSION_DURATION: process.env.SESSION_DURATION,
-      NODE_ENV,
-    };
+    });
 
     console.log('✓ Environment initialized');
 
@@ -229,7 +217,15 @@ async function workersToExpressResponse(workersResponse, res) {
   // Handle body
   const contentType = workersResponse.headers.get('content-type') || '';
 
-  if (contentType.includes('application/json')) {
+  if (contentType.includes('text/event-stream') && workersResponse.body) {
+    // Forward streamed responses chunk by chunk
+    res.flushHeaders();
+    const reader = workersResponse.body.getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      res.write(Buffer.from(chunk.value));
+    }
+    res.end();
+  } else if (contentType.includes('application/json')) {
     const json = await workersResponse.json();
     res.json(json);
   } else if (contentType.includes('text/')) {
@@ -244,6 +240,7 @@ async function workersToExpressResponse(workersResponse, res) {
 // Apply multer middleware for file uploads on specific routes
 app.post('/upload/manuscript', upload.single('file'));
 app.post('/upload/marketing', upload.single('file'));
+app.post('/api/v1/manuscripts', upload.single('file'));
 
 // Main route handler - delegates to Workers router
 app.use(async (req, res, next) => {
@@ -27,11 +27,7 @@ class DatabaseAdapter {
    * @returns {PreparedStatement}
    */
   prepare(query) {
-    // Convert ? placeholders to $1, $2, etc. for PostgreSQL
-    let paramIndex = 1;
-    const pgQuery = query.replace(/\?/g, () => `$${paramIndex++}`);
-
-    return new PreparedStatement(this.pool, pgQuery);
+    return new PreparedStatement(this.pool, toPgQuery(query));
   }
 
   /**
@@ -61,6 +57,51 @@ class DatabaseAdapter {
     }
   }
 
+  /**
+   * Run statements in one transaction, checking results as they go
+   * Unlike batch(), the callback sees each statement's result before issuing
+   * the next (e.g. meta.changes of a conditional update) and can throw to
+   * roll everything back.
+   * @param {Function} callback - async (tx) => result; tx.prepare() works as on the adapter
+   * @returns {Promise<*>} The callback's result
+   */
+  async transaction(callback) {
+    return this.withClient(async (client) => {
+      await client.query('BEGIN');
+
+      try {
+        const result = await callback({
+          prepare: (query) => new PreparedStatement(client, toPgQuery(query)),
+        });
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Run a callback with a dedicated pg client
+   * For work that needs one session throughout: snapshot transactions,
+   * cursors, session settings (backups and restores). The client is reset
+   * and released afterwards.
+   * @param {Function} callback - async (client) => result
+   * @returns {Promise<*>} The callback's result
+   */
+  async withClient(callback) {
+    const client = await this.pool.connect();
+
+    try {
+      return await callback(client);
+    } finally {
+      // A client that can't be reset (e.g. left mid-transaction) is discarded
+      const reset = await client.query('RESET ALL').then(() => true, () => false);
+      client.release(!reset);
+    }
+  }
+
   /**
    * Execute a raw SQL statement
    * @param {string} sql - Raw SQL query
@@ -99,6 +140,16 @@ class DatabaseAdapter {
   }
 }
 
+/**
+ * Convert ? placeholders to $1, $2, etc. for PostgreSQL
+ * @param {string} query - SQL query with ? placeholders
+ * @returns {string}
+ */
+function toPgQuery(query) {
+  let paramIndex = 1;
+  return query.replace(/\?/g, () => `$${paramIndex++}`);
+}
+
 class PreparedStatement {
   constructor(pool, query) {
     this.pool = pool;
@@ -157,10 +208,11 @@ class PreparedStatement {
 
   /**
    * Execute statement without returning rows (D1-compatible)
+   * @param {Object} client - Optional pg client (batch() runs statements on its transaction's client)
    * @returns {Promise<Object>}
    */
-  async run() {
-    const result = await this._executeQuery();
+  async run(client) {
+    const result = await this._executeQuery(client);
 
     return {
       success: true,
@@ -198,7 +250,7 @@ class PreparedStatement {
    * @returns {Promise<Object>}
    */
   async _execute(client) {
-    return await this.run();
+    return await this.run(client);
   }
 }
 
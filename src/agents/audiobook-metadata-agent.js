@@ -6,7 +6,8 @@ import {
   extractManuscriptText,
   validateRequiredFields,
   storeAsset,
-  AGENT_CONFIG
+  AGENT_CONFIG,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class AudiobookMetadataAgent {
@@ -30,9 +31,7 @@ export class AudiobookMetadataAgent {
   async generate(manuscriptKey, developmentalAnalysis, bookDescription, categories, keywords, genre, userId, manuscriptId) {
     console.log(`Generating audiobook metadata for ${manuscriptKey}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     // Extract key elements from existing analysis
     const analysis = developmentalAnalysis.analysis || developmentalAnalysis;
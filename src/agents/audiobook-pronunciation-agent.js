@@ -6,7 +6,8 @@ import {
   extractManuscriptText,
   validateRequiredFields,
   storeAsset,
-  AGENT_CONFIG
+  AGENT_CONFIG,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class AudiobookPronunciationAgent {
@@ -27,9 +28,7 @@ export class AudiobookPronunciationAgent {
   async generate(manuscriptKey, developmentalAnalysis, genre, userId, manuscriptId) {
     console.log(`Generating audiobook pronunciation guide for ${manuscriptKey}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     // Extract key elements from developmental analysis
     const analysis = developmentalAnalysis.analysis || developmentalAnalysis;
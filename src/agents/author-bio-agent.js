@@ -1,6 +1,8 @@
 // Author Bio Agent
 // Generates professional author bios in multiple lengths
 
+import { callClaudeWithRetry, assertLLMConfigured } from '../utils/agent-utils.js';
+
 export class AuthorBioAgent {
   constructor(env) {
     this.env = env;
@@ -18,9 +20,7 @@ export class AuthorBioAgent {
   async generate(manuscriptKey, developmentalAnalysis, genre, authorInfo = {}) {
     console.log(`Generating author bio for ${manuscriptKey}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     const analysis = developmentalAnalysis.analysis || developmentalAnalysis;
 
@@ -99,95 +99,44 @@ Return this exact structure:
   "socialMediaBio": "Ultra-short 160 character bio for Twitter/social profiles"
 }`;
 
-    // Retry logic with exponential backoff
-    const maxRetries = 5;
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Author Bio - Attempt ${attempt}/${maxRetries}`);
-
-        const gatewayUrl = 'https://gateway.ai.cloudflare.com/v1/8cd795daa8ce3c17078fe6cf3a2de8e3/manuscript-ai-gateway/anthropic/v1/messages';
-
-        const response = await fetch(gatewayUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.claudeApiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 2048,
-            messages: [{
-              role: 'user',
-              content: prompt
-            }],
-            temperature: 0.7 // Higher for creative bio writing
-          })
-        });
-
-        console.log('Response status:', response.status);
-
-        if (!response.ok) {
-          const errorBody = await response.text();
-          console.error('Claude API error:', errorBody);
-
-          if (response.status === 429 || response.status >= 500) {
-            throw new Error(`Retryable error: ${response.status} - ${errorBody}`);
+    const { response: bio } = await callClaudeWithRetry(
+      this.claudeApiKey,
+      prompt,
+      0.7, // Higher for creative bio writing
+      'AuthorBioAgent',
+      {
+        env: this.env,
+        operation: 'generate_author_bio',
+        maxTokens: 2048,
+        schema: {
+          type: 'object',
+          required: ['short', 'medium', 'long'],
+          properties: {
+            short: { type: 'string', minLength: 1 },
+            medium: { type: 'string', minLength: 1 },
+            long: { type: 'string', minLength: 1 }
           }
-
-          throw new Error(`Claude API error: ${response.status} - ${errorBody}`);
-        }
-
-        const data = await response.json();
-        const responseText = data.content[0].text;
-
-        // Parse JSON response
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in response');
-        }
-
-        const bio = JSON.parse(jsonMatch[0]);
-
-        // Validate structure
-        if (!bio.short || !bio.medium || !bio.long) {
-          throw new Error('Invalid response structure - missing required bio versions');
         }
+      }
+    );
 
-        // Validate word counts (approximately)
-        const shortWords = bio.short.split(/\s+/).length;
-        const mediumWords = bio.medium.split(/\s+/).length;
-        const longWords = bio.long.split(/\s+/).length;
-
-        console.log(`Bio generated - Short: ${shortWords}w, Medium: ${mediumWords}w, Long: ${longWords}w`);
-
-        // Add author info to result for reference
-        bio.authorInfo = {
-          name,
-          background: background || '(not provided)',
-          achievements: achievements || '(not provided)',
-          location: location || '(not provided)',
-          website: website || '(not provided)'
-        };
-
-        return bio;
+    // Validate word counts (approximately)
+    const shortWords = bio.short.split(/\s+/).length;
+    const mediumWords = bio.medium.split(/\s+/).length;
+    const longWords = bio.long.split(/\s+/).length;
 
-      } catch (error) {
-        console.error(`Attempt ${attempt} failed:`, error.message);
-        lastError = error;
+    console.log(`Bio generated - Short: ${shortWords}w, Medium: ${mediumWords}w, Long: ${longWords}w`);
 
-        if (attempt < maxRetries) {
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-    }
+    // Add author info to result for reference
+    bio.authorInfo = {
+      name,
+      background: background || '(not provided)',
+      achievements: achievements || '(not provided)',
+      location: location || '(not provided)',
+      website: website || '(not provided)'
+    };
 
-    // All retries failed
-    throw new Error(`Failed to generate author bio after ${maxRetries} attempts: ${lastError.message}`);
+    return bio;
   }
 
   /**
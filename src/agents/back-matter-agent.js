@@ -1,6 +1,8 @@
 // Back Matter Agent
 // Generates "Also by Author", newsletter CTA, and social links for book back matter
 
+import { callClaudeWithRetry, assertLLMConfigured } from '../utils/agent-utils.js';
+
 export class BackMatterAgent {
   constructor(env) {
     this.env = env;
@@ -18,9 +20,7 @@ export class BackMatterAgent {
   async generate(manuscriptKey, developmentalAnalysis, genre, authorData = {}) {
     console.log(`Generating back matter for ${manuscriptKey}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     const analysis = developmentalAnalysis.analysis || developmentalAnalysis;
 
@@ -88,102 +88,65 @@ Return this exact structure:
   "closingLine": "Final warm sign-off from the author"
 }`;
 
-    // Retry logic with exponential backoff
-    const maxRetries = 5;
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Back Matter - Attempt ${attempt}/${maxRetries}`);
-
-        const gatewayUrl = 'https://gateway.ai.cloudflare.com/v1/8cd795daa8ce3c17078fe6cf3a2de8e3/manuscript-ai-gateway/anthropic/v1/messages';
-
-        const response = await fetch(gatewayUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.claudeApiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 1536,
-            messages: [{
-              role: 'user',
-              content: prompt
-            }],
-            temperature: 0.7
-          })
-        });
-
-        console.log('Response status:', response.status);
-
-        if (!response.ok) {
-          const errorBody = await response.text();
-          console.error('Claude API error:', errorBody);
-
-          if (response.status === 429 || response.status >= 500) {
-            throw new Error(`Retryable error: ${response.status} - ${errorBody}`);
+    const { response: generatedContent } = await callClaudeWithRetry(
+      this.claudeApiKey,
+      prompt,
+      0.7,
+      'BackMatterAgent',
+      {
+        env: this.env,
+        operation: 'generate_back_matter',
+        maxTokens: 1536,
+        schema: {
+          type: 'object',
+          required: ['thankYouMessage', 'newsletterCTA', 'connectMessage', 'closingLine'],
+          properties: {
+            thankYouMessage: { type: 'string' },
+            newsletterCTA: {
+              type: 'object',
+              required: ['headline', 'body', 'callToAction'],
+              properties: {
+                headline: { type: 'string' },
+                body: { type: 'string' },
+                callToAction: { type: 'string' }
+              }
+            },
+            connectMessage: { type: 'string' },
+            closingLine: { type: 'string' }
           }
-
-          throw new Error(`Claude API error: ${response.status} - ${errorBody}`);
-        }
-
-        const data = await response.json();
-        const responseText = data.content[0].text;
-
-        // Parse JSON response
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in response');
-        }
-
-        const generatedContent = JSON.parse(jsonMatch[0]);
-
-        // Build complete back matter structure
-        const backMatter = {
-          ...generatedContent,
-          alsoByAuthor: {
-            authorName,
-            books: otherBooks.length > 0 ? otherBooks : null,
-            hasOtherBooks: otherBooks.length > 0
-          },
-          newsletter: {
-            url: newsletterUrl || null,
-            ...generatedContent.newsletterCTA
-          },
-          social: {
-            website: website || null,
-            ...socialLinks
-          },
-          // Pre-formatted sections for easy use
-          formatted: this.formatBackMatter(
-            generatedContent,
-            authorName,
-            otherBooks,
-            newsletterUrl,
-            website,
-            socialLinks
-          )
-        };
-
-        console.log('Back matter generated successfully');
-        return backMatter;
-
-      } catch (error) {
-        console.error(`Attempt ${attempt} failed:`, error.message);
-        lastError = error;
-
-        if (attempt < maxRetries) {
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
         }
       }
-    }
+    );
+
+    // Build complete back matter structure
+    const backMatter = {
+      ...generatedContent,
+      alsoByAuthor: {
+        authorName,
+        books: otherBooks.length > 0 ? otherBooks : null,
+        hasOtherBooks: otherBooks.length > 0
+      },
+      newsletter: {
+        url: newsletterUrl || null,
+        ...generatedContent.newsletterCTA
+      },
+      social: {
+        website: website || null,
+        ...socialLinks
+      },
+      // Pre-formatted sections for easy use
+      formatted: this.formatBackMatter(
+        generatedContent,
+        authorName,
+        otherBooks,
+        newsletterUrl,
+        website,
+        socialLinks
+      )
+    };
 
-    // All retries failed
-    throw new Error(`Failed to generate back matter after ${maxRetries} attempts: ${lastError.message}`);
+    console.log('Back matter generated successfully');
+    return backMatter;
   }
 
   /**
@@ -1,6 +1,8 @@
 // Book Description Agent
 // Generates compelling book descriptions optimized for Amazon KDP
 
+import { callClaudeWithRetry, assertLLMConfigured } from '../utils/agent-utils.js';
+
 export class BookDescriptionAgent {
   constructor(env) {
     this.env = env;
@@ -17,9 +19,7 @@ export class BookDescriptionAgent {
   async generate(manuscriptKey, developmentalAnalysis, genre) {
     console.log(`Generating book description for ${manuscriptKey}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     // Extract key elements from developmental analysis
     const analysis = developmentalAnalysis.analysis || developmentalAnalysis;
@@ -128,86 +128,34 @@ Return this exact structure:
   "comparisonLine": "For fans of [comparable titles]..."
 }`;
 
-    // Retry logic with exponential backoff
-    const maxRetries = 5;
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Book Description - Attempt ${attempt}/${maxRetries}`);
-
-        const gatewayUrl = 'https://gateway.ai.cloudflare.com/v1/8cd795daa8ce3c17078fe6cf3a2de8e3/manuscript-ai-gateway/anthropic/v1/messages';
-
-        const response = await fetch(gatewayUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.claudeApiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 4096,
-            messages: [{
-              role: 'user',
-              content: prompt
-            }],
-            temperature: 0.7 // Slightly higher for creative writing
-          })
-        });
-
-        console.log('Response status:', response.status);
-
-        if (!response.ok) {
-          const errorBody = await response.text();
-          console.error('Claude API error:', errorBody);
-
-          // Retry on rate limits or server errors
-          if (response.status === 429 || response.status >= 500) {
-            throw new Error(`Retryable error: ${response.status} - ${errorBody}`);
+    const { response: description } = await callClaudeWithRetry(
+      this.claudeApiKey,
+      prompt,
+      0.7, // Slightly higher for creative writing
+      'BookDescriptionAgent',
+      {
+        env: this.env,
+        operation: 'generate_book_description',
+        maxTokens: 4096,
+        schema: {
+          type: 'object',
+          required: ['short', 'medium', 'long'],
+          properties: {
+            short: { type: 'string', minLength: 1 },
+            medium: { type: 'string', minLength: 1 },
+            long: { type: 'string', minLength: 1 }
           }
-
-          throw new Error(`Claude API error: ${response.status} - ${errorBody}`);
-        }
-
-        const data = await response.json();
-        const responseText = data.content[0].text;
-
-        // Parse JSON response
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in response');
-        }
-
-        const description = JSON.parse(jsonMatch[0]);
-
-        // Validate structure
-        if (!description.short || !description.medium || !description.long) {
-          throw new Error('Invalid response structure - missing required fields');
-        }
-
-        // Validate Amazon constraints
-        if (description.long.length > 4000) {
-          description.long = description.long.substring(0, 3997) + '...';
-        }
-
-        console.log('Book description generated successfully');
-        return description;
-
-      } catch (error) {
-        console.error(`Attempt ${attempt} failed:`, error.message);
-        lastError = error;
-
-        if (attempt < maxRetries) {
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
         }
       }
+    );
+
+    // Validate Amazon constraints
+    if (description.long.length > 4000) {
+      description.long = description.long.substring(0, 3997) + '...';
     }
 
-    // All retries failed
-    throw new Error(`Failed to generate book description after ${maxRetries} attempts: ${lastError.message}`);
+    console.log('Book description generated successfully');
+    return description;
   }
 
   /**
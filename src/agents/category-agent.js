@@ -1,6 +1,8 @@
 // Category Agent
 // Recommends BISAC categories for Amazon KDP
 
+import { callClaudeWithRetry, assertLLMConfigured } from '../utils/agent-utils.js';
+
 export class CategoryAgent {
   constructor(env) {
     this.env = env;
@@ -17,9 +19,7 @@ export class CategoryAgent {
   async generate(manuscriptKey, developmentalAnalysis, genre) {
     console.log(`Generating category recommendations for ${manuscriptKey}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     const analysis = developmentalAnalysis.analysis || developmentalAnalysis;
     const compTitles = developmentalAnalysis.compTitles || [];
@@ -142,105 +142,50 @@ Return this exact structure:
   ]
 }`;
 
-    // Retry logic with exponential backoff
-    const maxRetries = 5;
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Category Generation - Attempt ${attempt}/${maxRetries}`);
-
-        const gatewayUrl = 'https://gateway.ai.cloudflare.com/v1/8cd795daa8ce3c17078fe6cf3a2de8e3/manuscript-ai-gateway/anthropic/v1/messages';
-
-        const response = await fetch(gatewayUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.claudeApiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 3072,
-            messages: [{
-              role: 'user',
-              content: prompt
-            }],
-            temperature: 0.3
-          })
-        });
-
-        console.log('Response status:', response.status);
-
-        if (!response.ok) {
-          const errorBody = await response.text();
-          console.error('Claude API error:', errorBody);
-
-          if (response.status === 429 || response.status >= 500) {
-            throw new Error(`Retryable error: ${response.status} - ${errorBody}`);
-          }
-
-          throw new Error(`Claude API error: ${response.status} - ${errorBody}`);
-        }
-
-        const data = await response.json();
-        const responseText = data.content[0].text;
-
-        // Parse JSON response
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in response');
-        }
-
-        const result = JSON.parse(jsonMatch[0]);
-
-        // Validate structure
-        if (!result.primary || !result.secondary) {
-          throw new Error('Invalid response structure - missing primary or secondary categories');
-        }
-
-        if (!Array.isArray(result.primary) || !Array.isArray(result.secondary)) {
-          throw new Error('Primary and secondary must be arrays');
-        }
-
-        // Count total categories
-        const totalCategories =
-          result.primary.length +
-          result.secondary.length +
-          (result.alternative?.length || 0);
-
-        console.log(`Generated ${totalCategories} category recommendations`);
-
-        // Validate BISAC code format (rough check)
-        const validateCode = (cat) => {
-          if (!cat.code || !/^[A-Z]{3}\d{6}$/.test(cat.code)) {
-            console.warn(`Invalid BISAC code format: ${cat.code}`);
+    const { response: result } = await callClaudeWithRetry(
+      this.claudeApiKey,
+      prompt,
+      0.3,
+      'CategoryAgent',
+      {
+        env: this.env,
+        operation: 'generate_categories',
+        maxTokens: 3072,
+        schema: {
+          type: 'object',
+          required: ['primary', 'secondary'],
+          properties: {
+            primary: { type: 'array', items: { type: 'object', required: ['code'] } },
+            secondary: { type: 'array', items: { type: 'object', required: ['code'] } },
+            alternative: { type: 'array', items: { type: 'object', required: ['code'] } }
           }
-        };
-
-        result.primary.forEach(validateCode);
-        result.secondary.forEach(validateCode);
-        if (result.alternative) {
-          result.alternative.forEach(validateCode);
         }
+      }
+    );
 
-        console.log('Categories generated successfully');
-        return result;
+    // Count total categories
+    const totalCategories =
+      result.primary.length +
+      result.secondary.length +
+      (result.alternative?.length || 0);
 
-      } catch (error) {
-        console.error(`Attempt ${attempt} failed:`, error.message);
-        lastError = error;
+    console.log(`Generated ${totalCategories} category recommendations`);
 
-        if (attempt < maxRetries) {
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
+    // Validate BISAC code format (rough check)
+    const validateCode = (cat) => {
+      if (!cat.code || !/^[A-Z]{3}\d{6}$/.test(cat.code)) {
+        console.warn(`Invalid BISAC code format: ${cat.code}`);
       }
+    };
+
+    result.primary.forEach(validateCode);
+    result.secondary.forEach(validateCode);
+    if (result.alternative) {
+      result.alternative.forEach(validateCode);
     }
 
-    // All retries failed
-    throw new Error(`Failed to generate categories after ${maxRetries} attempts: ${lastError.message}`);
+    console.log('Categories generated successfully');
+    return result;
   }
 
   /**
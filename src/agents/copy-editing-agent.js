@@ -1,8 +1,10 @@
 // Copy Editing Agent
 // Focuses on grammar, punctuation, consistency, and technical correctness
 
-import { extractText } from '../utils/text-extraction.js';
-import { callClaudeWithCostTracking, AGENT_CONFIG } from '../utils/agent-utils.js';
+import { modelToText, chunkModelIntoSections } from '../utils/manuscript-model.js';
+import { loadOutlinedModel } from '../services/outline-service.js';
+import { groupSectionsByChapter, runChapterAnalyses } from '../services/chapter-analysis-service.js';
+import { callClaudeWithCostTracking, AGENT_CONFIG, assertLLMConfigured } from '../utils/agent-utils.js';
 
 export class CopyEditingAgent {
   constructor(env) {
@@ -16,9 +18,10 @@ export class CopyEditingAgent {
    * @param {string} styleGuide - 'chicago' (default), 'ap', or 'custom'
    * @param {string} userId - User ID (optional, for cost tracking)
    * @param {string} manuscriptId - Manuscript ID (optional, for cost tracking)
+   * @param {Object} options - { reportId, onProgress } for per-chapter progress and resuming
    * @returns {Object} Complete copy editing analysis
    */
-  async analyze(manuscriptKey, styleGuide = 'chicago', userId = null, manuscriptId = null) {
+  async analyze(manuscriptKey, styleGuide = 'chicago', userId = null, manuscriptId = null, options = {}) {
     // Store for cost tracking
     this.userId = userId;
     this.manuscriptId = manuscriptId;
@@ -31,27 +34,29 @@ export class CopyEditingAgent {
       throw new Error('Manuscript not found');
     }
 
-    // 2. Extract text content
-    const textContent = await this.extractText(manuscript);
+    // 2. Build the outlined manuscript document model
+    const model = await this.extractModel(manuscript, manuscriptId);
+    const textContent = modelToText(model);
     
     // 3. Extract entities for consistency tracking
     const entities = this.extractEntities(textContent);
     
     // 4. Break into sections for detailed analysis
-    const sections = this.chunkIntoSections(textContent);
+    const sections = this.chunkIntoSections(model);
     
-    // 5. Analyze each section
-    const sectionAnalyses = [];
-    for (let i = 0; i < sections.length; i++) {
-      console.log(`Copy editing section ${i + 1}/${sections.length}...`);
-      const analysis = await this.analyzeSection(sections[i], i, styleGuide);
-      sectionAnalyses.push(analysis);
-      
-      // Rate limit: pause between sections
-      if (i < sections.length - 1) {
-        await this.sleep(1000);
-      }
-    }
+    // 5. Analyze each section, chapter by chapter (finished chapters are
+    //    persisted and reused when a failed run is resumed)
+    const { chapters } = await runChapterAnalyses({
+      env: this.env,
+      manuscriptId,
+      reportId: options.reportId,
+      analysisType: 'copy-editing',
+      contextKey: styleGuide,
+      units: groupSectionsByChapter(sections),
+      analyzeUnit: unit => this.analyzeChapterSections(unit, styleGuide),
+      onProgress: options.onProgress
+    });
+    const sectionAnalyses = chapters.flatMap(chapter => chapter.result.sections);
     
     // 6. Check consistency across entire manuscript
     const consistencyIssues = await this.checkConsistency(entities, textContent, styleGuide);
@@ -83,16 +88,16 @@ export class CopyEditingAgent {
   }
 
   /**
-   * Extract text from manuscript using shared utility
+   * Build the outlined manuscript document model using the shared importer
    */
-  async extractText(manuscript) {
+  async extractModel(manuscript, manuscriptId) {
     const contentType = manuscript.httpMetadata?.contentType;
     const buffer = await manuscript.arrayBuffer();
 
     try {
-      const text = await extractText(buffer, contentType);
-      console.log(`[Copy Editing Agent] Extracted ${text.length} characters from ${contentType}`);
-      return text;
+      const model = await loadOutlinedModel(buffer, contentType, manuscriptId, this.env);
+      console.log(`[Copy Editing Agent] Imported ${model.stats.wordCount} words in ${model.stats.paragraphCount} paragraphs from ${contentType}`);
+      return model;
     } catch (error) {
       console.error(`[Copy Editing Agent] Text extraction failed:`, error);
       throw error;
@@ -129,34 +134,38 @@ export class CopyEditingAgent {
   }
 
   /**
-   * Break manuscript into sections
+   * Break manuscript into sections (slightly larger for copy editing)
+   * Sections end on paragraph boundaries and keep italics marked as *text*
+   * so intentional emphasis isn't flagged as an error. Front and back matter
+   * are included: acknowledgments and author bios need copy edits too.
    */
-  chunkIntoSections(text) {
-    const wordsPerSection = 1000; // Slightly larger for copy editing
-    const words = text.split(/\s+/);
-    const sections = [];
-    
-    for (let i = 0; i < words.length; i += wordsPerSection) {
-      const chunk = words.slice(i, i + wordsPerSection).join(' ');
-      sections.push({
-        sectionNumber: Math.floor(i / wordsPerSection) + 1,
-        startWord: i,
-        endWord: Math.min(i + wordsPerSection, words.length),
-        text: chunk,
-        wordCount: Math.min(wordsPerSection, words.length - i)
-      });
+  chunkIntoSections(model) {
+    return chunkModelIntoSections(model, 1000, { includeMatter: true });
+  }
+
+  /**
+   * Copy edit every section of one chapter
+   */
+  async analyzeChapterSections(unit, styleGuide) {
+    const sectionAnalyses = [];
+    for (let i = 0; i < unit.sections.length; i++) {
+      const section = unit.sections[i];
+      console.log(`Copy editing section ${section.sectionNumber} (${unit.title})...`);
+      sectionAnalyses.push(await this.analyzeSection(section, section.sectionNumber - 1, styleGuide));
+
+      // Rate limit: pause between sections
+      if (i < unit.sections.length - 1) {
+        await this.sleep(1000);
+      }
     }
-    
-    return sections;
+    return { sections: sectionAnalyses };
   }
 
   /**
    * Analyze a single section for copy editing issues
    */
   async analyzeSection(section, index, styleGuide) {
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     const styleGuideInstructions = this.getStyleGuideInstructions(styleGuide);
 
@@ -197,6 +206,8 @@ Focus on:
    - Time formatting
    - Date formatting
 
+Formatting notes: the author's italics are marked *like this* and bold **like this**, block quotes start with "> " and "* * *" is a scene break. These markers are formatting, not errors - do not report them, and keep them intact in any suggested text.
+${section.chapterTitle ? `\nChapter: ${section.chapterTitle}\n` : ''}
 Section Text:
 ${section.text}
 
@@ -7,7 +7,8 @@ import {
   extractManuscriptText,
   callClaudeWithRetry,
   validateRequiredFields,
-  storeAsset
+  storeAsset,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class CoverDesignAgent {
@@ -30,9 +31,7 @@ export class CoverDesignAgent {
     console.log(`${this.agentName}: Starting generation for ${manuscriptKey}`);
 
     // Ensure API key is available
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not configured in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     // Extract the analysis data (handle different structures)
     const analysis = developmentalAnalysis.analysis || developmentalAnalysis;
@@ -172,13 +171,14 @@ Return this exact structure:
   "targetAudienceAppeal": "What makes this cover click with the right readers"
 }`;
 
-    // Call Claude with automatic retry logic
+    // Call the LLM with automatic retry logic
     // Using CREATIVE temperature (0.8) for imaginative cover concepts
     return await callClaudeWithRetry(
       this.claudeApiKey,
       prompt,
       AGENT_CONFIG.TEMPERATURE.CREATIVE,
-      this.agentName
+      this.agentName,
+      { env: this.env, operation: 'generate_cover_brief' }
     );
   }
 }
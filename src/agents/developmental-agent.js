@@ -1,8 +1,13 @@
 // Developmental Editing Agent
 // Analyzes manuscript structure, plot, pacing, and character development
 
-import { extractText, analyzeStructure } from '../utils/text-extraction.js';
-import { callClaudeWithCostTracking, AGENT_CONFIG } from '../utils/agent-utils.js';
+import { modelToText, chapterToText } from '../utils/manuscript-model.js';
+import { isBodySection, SECTION_KINDS } from '../utils/chapter-segmentation.js';
+import { loadOutlinedModel } from '../services/outline-service.js';
+import { buildChapterUnits, runChapterAnalyses } from '../services/chapter-analysis-service.js';
+import { createEmbeddingProvider } from '../services/embedding-service.js';
+import { indexManuscript, findNearestCompTitles } from '../services/similarity-service.js';
+import { callClaudeWithCostTracking, AGENT_CONFIG, assertLLMConfigured } from '../utils/agent-utils.js';
 
 export class DevelopmentalAgent {
   constructor(env) {
@@ -16,9 +21,10 @@ export class DevelopmentalAgent {
    * @param {string} genre - Book genre (romance, thriller, fantasy, etc.)
    * @param {string} userId - User ID (optional, for cost tracking)
    * @param {string} manuscriptId - Manuscript ID (optional, for cost tracking)
+   * @param {Object} options - { reportId, onProgress } for per-chapter progress and resuming
    * @returns {Object} Complete developmental analysis
    */
-  async analyze(manuscriptKey, genre, userId = null, manuscriptId = null) {
+  async analyze(manuscriptKey, genre, userId = null, manuscriptId = null, options = {}) {
     // Store for cost tracking
     this.userId = userId;
     this.manuscriptId = manuscriptId;
@@ -30,17 +36,18 @@ export class DevelopmentalAgent {
       throw new Error('Manuscript not found');
     }
 
-    // 2. Extract text content based on file type
-    const textContent = await this.extractText(manuscript);
+    // 2. Build the outlined manuscript document model
+    const model = await this.extractModel(manuscript, manuscriptId);
+    const textContent = modelToText(model, { bodyOnly: true });
     
     // 3. Break into analyzable chunks (chapters, scenes)
-    const structure = await this.analyzeStructure(textContent);
+    const structure = await this.analyzeStructure(model);
     
-    // 4. Run comprehensive developmental analysis
-    const analysis = await this.runDevelopmentalAnalysis(textContent, structure, genre);
+    // 4. Analyze every chapter, then synthesize the whole-book analysis
+    const analysis = await this.runDevelopmentalAnalysis(model, structure, genre, options);
     
     // 5. Generate embeddings for comp title matching
-    const embeddings = await this.generateEmbeddings(textContent, analysis);
+    const embeddings = await this.generateEmbeddings(textContent, genre);
     
     // 6. Find successful comp titles
     const compTitles = await this.findCompTitles(embeddings, genre);
@@ -54,7 +61,7 @@ export class DevelopmentalAgent {
       analysis,
       compTitles,
       recommendations,
-      embeddings
+      embeddings: { model: embeddings.model, dimensions: embeddings.dimensions }
     });
     
     return {
@@ -68,16 +75,16 @@ export class DevelopmentalAgent {
   }
 
   /**
-   * Extract text from various file formats using shared utility
+   * Build the outlined manuscript document model from any supported file format
    */
-  async extractText(manuscript) {
+  async extractModel(manuscript, manuscriptId) {
     const contentType = manuscript.httpMetadata?.contentType;
     const buffer = await manuscript.arrayBuffer();
 
     try {
-      const text = await extractText(buffer, contentType);
-      console.log(`[Developmental Agent] Extracted ${text.length} characters from ${contentType}`);
-      return text;
+      const model = await loadOutlinedModel(buffer, contentType, manuscriptId, this.env);
+      console.log(`[Developmental Agent] Imported ${model.stats.wordCount} words, ${model.stats.chapterCount} chapters, ${model.stats.sceneCount} scenes from ${contentType}`);
+      return model;
     } catch (error) {
       console.error(`[Developmental Agent] Text extraction failed:`, error);
       throw error;
@@ -85,31 +92,30 @@ export class DevelopmentalAgent {
   }
 
   /**
-   * Analyze manuscript structure (chapters, scenes, acts)
+   * Analyze manuscript structure (chapters, scenes, acts) from the document model
    */
-  async analyzeStructure(text) {
-    // Simple chapter detection based on common patterns
-    const chapterPattern = /(?:^|\n)(?:Chapter|CHAPTER)\s+(?:\d+|[IVXLCDM]+)(?:\s*[\:\-\.]?\s*)([^\n]*)/gi;
-    const matches = [...text.matchAll(chapterPattern)];
-    
-    const chapters = matches.map((match, index) => ({
-      number: index + 1,
-      title: match[1]?.trim() || `Chapter ${index + 1}`,
-      position: match.index,
-      wordCount: 0 // Will calculate below
-    }));
-
-    // Calculate word counts for each chapter
-    for (let i = 0; i < chapters.length; i++) {
-      const start = chapters[i].position;
-      const end = chapters[i + 1]?.position || text.length;
-      const chapterText = text.substring(start, end);
-      chapters[i].wordCount = chapterText.split(/\s+/).length;
-      chapters[i].excerpt = chapterText.substring(0, 500); // First 500 chars for preview
-    }
+  async analyzeStructure(model) {
+    const sectionTitles = kind => model.chapters
+      .filter(chapter => chapter.kind === kind)
+      .map(chapter => chapter.title);
+
+    const chapters = model.chapters
+      .filter(chapter => chapter.title && isBodySection(chapter))
+      .map((chapter, index) => {
+        const chapterText = chapterToText(chapter, { includeTitle: false });
+        return {
+          number: index + 1,
+          title: chapter.title,
+          sceneCount: chapter.scenes.length,
+          wordCount: chapterText.split(/\s+/).filter(Boolean).length,
+          excerpt: chapterText.substring(0, 500) // First 500 chars for preview
+        };
+      });
 
-    // Calculate overall stats
-    const totalWords = text.split(/\s+/).length;
+    // Calculate overall stats (story body only; front and back matter excluded)
+    const totalWords = model.chapters
+      .filter(isBodySection)
+      .reduce((sum, chapter) => sum + chapterToText(chapter, { includeTitle: false }).split(/\s+/).filter(Boolean).length, 0);
     const avgChapterLength = chapters.length > 0 
       ? totalWords / chapters.length 
       : 0;
@@ -117,26 +123,96 @@ export class DevelopmentalAgent {
     return {
       totalWords,
       chapterCount: chapters.length,
+      sceneCount: model.stats.sceneCount,
       avgChapterLength: Math.round(avgChapterLength),
       chapters,
+      parts: sectionTitles(SECTION_KINDS.PART),
+      frontMatter: sectionTitles(SECTION_KINDS.FRONT_MATTER),
+      backMatter: sectionTitles(SECTION_KINDS.BACK_MATTER),
       hasStructuredChapters: chapters.length > 0
     };
   }
 
+  /**
+   * Map step: analyze one chapter unit on its own (with cost tracking)
+   */
+  async analyzeChapter(unit, genre, totalUnits) {
+    const prompt = `You are an expert developmental editor specializing in ${genre} fiction. You are reading a manuscript one chapter at a time; your notes on each chapter will later be combined into a whole-book assessment.
+
+Analyze this chapter (${unit.index + 1} of ${totalUnits}): "${unit.title}"
+
+Chapter Text:
+${unit.text}
+
+Provide your notes ONLY as valid JSON (no other text before or after).
+
+IMPORTANT JSON RULES:
+- Use double quotes for all strings
+- Escape any internal quotes with backslash: \"
+- No trailing commas
+- No comments in the JSON
+- Keep all text values on single lines (no line breaks inside strings)
+
+Return this exact structure:
+{
+  "summary": "2-3 sentence summary of what happens",
+  "characters": [{ "name": "Character name", "role": "What they do or how they change in this chapter" }],
+  "plotPoints": ["Key plot event"],
+  "pacing": { "score": 1-10, "notes": "How the chapter moves" },
+  "tension": 1-10,
+  "strengths": [],
+  "weaknesses": [],
+  "openThreads": ["Question or setup left unresolved at the end of the chapter"]
+}`;
+
+    return await callClaudeWithCostTracking(
+      this.claudeApiKey,
+      prompt,
+      AGENT_CONFIG.TEMPERATURE.PRECISE,
+      'DevelopmentalAgent',
+      this.env,
+      this.userId,
+      this.manuscriptId,
+      'analysis',
+      'analyze_developmental_chapter'
+    );
+  }
+
   /**
    * Run comprehensive developmental analysis using Claude (with cost tracking)
+   * Every chapter is analyzed on its own (and persisted, so a failed run
+   * can resume), then the chapter notes are synthesized into the
+   * whole-book report.
    */
-  async runDevelopmentalAnalysis(text, structure, genre) {
+  async runDevelopmentalAnalysis(model, structure, genre, options = {}) {
     // Check if API key is set
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
+
+    const units = buildChapterUnits(model);
+    const { chapters } = await runChapterAnalyses({
+      env: this.env,
+      manuscriptId: this.manuscriptId,
+      reportId: options.reportId,
+      analysisType: 'developmental',
+      contextKey: genre,
+      units,
+      analyzeUnit: unit => this.analyzeChapter(unit, genre, units.length),
+      onProgress: options.onProgress
+    });
 
-    // Prepare the manuscript for analysis (truncate if too long)
-    const maxTokens = 100000; // Approximate token limit
-    const truncatedText = this.truncateForAnalysis(text, maxTokens);
+    const chapterNotes = chapters.map(({ index, title, wordCount, result }) => [
+      `### ${index + 1}. ${title} (${wordCount} words)`,
+      `Summary: ${result.summary || ''}`,
+      `Characters: ${(result.characters || []).map(character => `${character.name} (${character.role})`).join('; ')}`,
+      `Plot points: ${(result.plotPoints || []).join('; ')}`,
+      `Pacing: ${result.pacing?.score ?? '?'}/10 - ${result.pacing?.notes || ''}`,
+      `Tension: ${result.tension ?? '?'}/10`,
+      `Strengths: ${(result.strengths || []).join('; ')}`,
+      `Weaknesses: ${(result.weaknesses || []).join('; ')}`,
+      `Open threads: ${(result.openThreads || []).join('; ')}`
+    ].join('\n')).join('\n\n');
 
-    const prompt = `You are an expert developmental editor specializing in ${genre} fiction. Analyze this manuscript and provide detailed feedback on:
+    const prompt = `You are an expert developmental editor specializing in ${genre} fiction. You have read this manuscript chapter by chapter. Using your chapter notes below, provide detailed whole-book feedback on:
 
 1. **Story Structure & Pacing**
    - Does the story follow a clear three-act structure?
@@ -169,10 +245,14 @@ export class DevelopmentalAgent {
 Manuscript Statistics:
 - Total Words: ${structure.totalWords}
 - Chapters: ${structure.chapterCount}
+- Scenes: ${structure.sceneCount}
 - Average Chapter Length: ${structure.avgChapterLength} words
 
-Manuscript Text:
-${truncatedText}
+Opening Pages (for voice and style):
+${(units[0]?.text || '').substring(0, AGENT_CONFIG.EXCERPT_LENGTH)}
+
+Chapter Notes:
+${chapterNotes}
 
 Provide your analysis ONLY as valid JSON (no other text before or after).
 
@@ -196,7 +276,7 @@ Return this exact structure:
 }`;
 
     // Use shared utility with cost tracking
-    return await callClaudeWithCostTracking(
+    const analysis = await callClaudeWithCostTracking(
       this.claudeApiKey,
       prompt,
       AGENT_CONFIG.TEMPERATURE.PRECISE,
@@ -207,83 +287,50 @@ Return this exact structure:
       'analysis',
       'analyze_developmental'
     );
-  }
 
-  /**
-   * Truncate text intelligently for analysis
-   */
-  truncateForAnalysis(text, maxChars) {
-    if (text.length <= maxChars) {
-      return text;
-    }
-
-    // Take first 40%, middle 20%, and last 40% for balanced analysis
-    const firstChunk = Math.floor(maxChars * 0.4);
-    const middleChunk = Math.floor(maxChars * 0.2);
-    const lastChunk = Math.floor(maxChars * 0.4);
-    
-    const middle = Math.floor(text.length / 2);
-    
-    return text.substring(0, firstChunk) +
-           '\n\n[... middle section omitted for analysis ...]\n\n' +
-           text.substring(middle - middleChunk/2, middle + middleChunk/2) +
-           '\n\n[... content omitted ...]\n\n' +
-           text.substring(text.length - lastChunk);
+    return {
+      ...analysis,
+      chapterFindings: chapters.map(({ index, title, wordCount, result }) => ({ index, title, wordCount, ...result }))
+    };
   }
 
   /**
-   * Generate embeddings for vector similarity search
+   * Embed the story text and store it for similarity search
+   * (comp titles, similar submissions, series consistency)
    */
-  async generateEmbeddings(text, analysis) {
-    // Create a rich embedding prompt that captures the essence
-    const embeddingPrompt = `
-      Genre: ${analysis.genreFit?.score || 'unknown'}
-      Tone: ${analysis.voice?.score || 'unknown'}
-      Pacing: ${analysis.structure?.score || 'unknown'}
-      Character Depth: ${analysis.characters?.score || 'unknown'}
-      Plot Complexity: ${analysis.plot?.score || 'unknown'}
-      
-      Key Themes: ${analysis.topPriorities?.join(', ') || 'none'}
-      
-      Sample Text: ${text.substring(0, 1000)}
-    `;
-
-    // In production, use a dedicated embedding model
-    // For now, we'll use a simple placeholder
-    // You'd typically use OpenAI's embeddings or similar
-    
-    return {
-      vector: new Array(1536).fill(0).map(() => Math.random()), // Placeholder
-      metadata: {
-        genre: analysis.genreFit,
-        overallScore: analysis.overallScore
+  async generateEmbeddings(text, genre) {
+    if (this.manuscriptId) {
+      try {
+        const manuscript = await this.env.DB.prepare(
+          'SELECT * FROM manuscripts WHERE id = ?'
+        ).bind(this.manuscriptId).first();
+
+        const entry = await indexManuscript(
+          { id: this.manuscriptId, user_id: this.userId, ...manuscript, genre: manuscript?.genre || genre },
+          text,
+          this.env
+        );
+        return { model: entry.model, dimensions: entry.vector.length, vector: entry.vector, genre: entry.genre };
+      } catch (error) {
+        console.error('[Developmental Agent] Failed to index manuscript vector:', error.message);
       }
-    };
+    }
+
+    const provider = createEmbeddingProvider(this.env);
+    const [vector] = await provider.embed([text]);
+    return { model: provider.model, dimensions: vector.length, vector, genre };
   }
 
   /**
-   * Find comparable titles using Vectorize
+   * Find comparable titles: the comp titles nearest to the manuscript vector
    */
   async findCompTitles(embeddings, genre) {
-    // TODO: Implement Vectorize integration
-    // For now, return placeholder comp titles
-    
-    return [
-      {
-        title: "Example Bestseller 1",
-        author: "Famous Author",
-        similarity: 0.85,
-        salesRank: 245,
-        relevantFeatures: ["Strong character arcs", "Fast pacing"]
-      },
-      {
-        title: "Example Bestseller 2", 
-        author: "Another Author",
-        similarity: 0.78,
-        salesRank: 892,
-        relevantFeatures: ["Similar themes", "Genre conventions"]
-      }
-    ];
+    try {
+      return await findNearestCompTitles(embeddings.vector, { genre: embeddings.genre || genre, k: 5 }, this.env);
+    } catch (error) {
+      console.error('[Developmental Agent] Comp title search failed:', error.message);
+      return [];
+    }
   }
 
   /**
@@ -365,8 +412,5 @@ Return this exact structure:
     // await this.env.DB.prepare(
     //   'INSERT INTO manuscript_analyses (manuscript_key, analysis_type, results, created_at) VALUES (?, ?, ?, ?)'
     // ).bind(manuscriptKey, 'developmental', JSON.stringify(results), new Date().toISOString()).run();
-
-    // TODO: Store embeddings in Vectorize
-    // await this.env.VECTORIZE.insert(results.embeddings);
   }
 }
@@ -5,7 +5,8 @@ import {
   callClaudeWithCostTracking,
   validateRequiredFields,
   storeAsset,
-  AGENT_CONFIG
+  AGENT_CONFIG,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class DistributionAgent {
@@ -25,9 +26,7 @@ export class DistributionAgent {
   async generateStrategy(bookMetadata, authorGoals, userId, manuscriptId) {
     console.log(`Generating distribution strategy for ${bookMetadata.title}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     const {
       title,
@@ -5,7 +5,8 @@ import {
   callClaudeWithCostTracking,
   validateRequiredFields,
   storeAsset,
-  AGENT_CONFIG
+  AGENT_CONFIG,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class FormatConversionAgent {
@@ -26,9 +27,7 @@ export class FormatConversionAgent {
   async prepareFormats(manuscriptKey, targetFormats, manuscriptMetadata, userId, manuscriptId) {
     console.log(`Preparing formats: ${targetFormats.join(', ')}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     // Fetch manuscript content
     const manuscriptObj = await this.env.MANUSCRIPTS.get(manuscriptKey);
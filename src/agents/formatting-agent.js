@@ -14,6 +14,7 @@
 
 import { zipSync, strToU8 } from 'fflate';
 import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { validateEPUBPackage, formatEPUBIssue, EPUBValidationError } from '../validators/epub-validator.js';
 
 export class FormattingAgent {
     constructor() {
@@ -99,13 +100,14 @@ export class FormattingAgent {
 
     /**
      * Generate EPUB content.opf file
+     * uuid must match the dtb:uid in toc.ncx
      */
-    generateContentOpf(metadata, chapters) {
+    generateContentOpf(metadata, chapters, uuid, hasBackMatter = false) {
         const { title, author, publisher, description, language } = metadata;
-        const uuid = this.generateUUID();
 
         const manifestItems = [
             '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+            '<item id="nav" href="text/nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
             '<item id="css" href="styles/style.css" media-type="text/css"/>',
             '<item id="titlepage" href="text/titlepage.xhtml" media-type="application/xhtml+xml"/>',
             '<item id="copyright" href="text/copyright.xhtml" media-type="application/xhtml+xml"/>'
@@ -122,6 +124,11 @@ export class FormattingAgent {
             spineItems.push(`<itemref idref="${id}"/>`);
         });
 
+        if (hasBackMatter) {
+            manifestItems.push('<item id="backmatter" href="text/backmatter.xhtml" media-type="application/xhtml+xml"/>');
+            spineItems.push('<itemref idref="backmatter"/>');
+        }
+
         return `<?xml version="1.0" encoding="UTF-8"?>
 <package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="BookId">
   <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
@@ -145,9 +152,8 @@ export class FormattingAgent {
     /**
      * Generate EPUB toc.ncx file
      */
-    generateTocNcx(metadata, chapters) {
+    generateTocNcx(metadata, chapters, uuid) {
         const { title, author } = metadata;
-        const uuid = this.generateUUID();
 
         const navPoints = [
             '<navPoint id="titlepage" playOrder="1"><navLabel><text>Title Page</text></navLabel><content src="text/titlepage.xhtml"/></navPoint>',
@@ -182,6 +188,38 @@ export class FormattingAgent {
 </ncx>`;
     }
 
+    /**
+     * Generate EPUB 3 navigation document (text/nav.xhtml)
+     */
+    generateNavXhtml(metadata, chapters, hasBackMatter = false) {
+        const entries = [
+            '<li><a href="titlepage.xhtml">Title Page</a></li>',
+            '<li><a href="copyright.xhtml">Copyright</a></li>',
+            ...chapters.map((chapter, index) =>
+                `<li><a href="chapter${index + 1}.xhtml">${this.escapeHtml(chapter.title)}</a></li>`
+            )
+        ];
+        if (hasBackMatter) {
+            entries.push('<li><a href="backmatter.xhtml">Connect with the Author</a></li>');
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <title>${this.escapeHtml(metadata.title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>Contents</h1>
+    <ol>
+      ${entries.join('\n      ')}
+    </ol>
+  </nav>
+</body>
+</html>`;
+    }
+
     /**
      * Generate chapter XHTML file
      */
@@ -235,12 +273,14 @@ export class FormattingAgent {
 
         const chapters = this.parseManuscript(manuscriptText);
         const frontMatter = this.generateFrontMatter(metadata);
+        const hasBackMatter = Boolean(backMatter && backMatter.formatted && backMatter.formatted.html);
+        const uuid = this.generateUUID();
 
         // Build EPUB structure
         const files = {};
 
         // 1. mimetype (must be first, uncompressed)
-        files['mimetype'] = strToU8('application/epub+zip');
+        files['mimetype'] = [strToU8('application/epub+zip'), { level: 0 }];
 
         // 2. META-INF/container.xml
         files['META-INF/container.xml'] = strToU8(`<?xml version="1.0" encoding="UTF-8"?>
@@ -251,10 +291,11 @@ export class FormattingAgent {
 </container>`);
 
         // 3. OEBPS/content.opf
-        files['OEBPS/content.opf'] = strToU8(this.generateContentOpf(metadata, chapters));
+        files['OEBPS/content.opf'] = strToU8(this.generateContentOpf(metadata, chapters, uuid, hasBackMatter));
 
-        // 4. OEBPS/toc.ncx
-        files['OEBPS/toc.ncx'] = strToU8(this.generateTocNcx(metadata, chapters));
+        // 4. OEBPS/toc.ncx and the EPUB 3 navigation document
+        files['OEBPS/toc.ncx'] = strToU8(this.generateTocNcx(metadata, chapters, uuid));
+        files['OEBPS/text/nav.xhtml'] = strToU8(this.generateNavXhtml(metadata, chapters, hasBackMatter));
 
         // 5. OEBPS/styles/style.css
         files['OEBPS/styles/style.css'] = strToU8(`
@@ -329,7 +370,7 @@ p {
         });
 
         // 9. Back matter (if provided)
-        if (backMatter && backMatter.formatted && backMatter.formatted.html) {
+        if (hasBackMatter) {
             files['OEBPS/text/backmatter.xhtml'] = strToU8(`<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE html>
 <html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
@@ -343,9 +384,10 @@ p {
 </html>`);
         }
 
+        let epubBuffer;
         try {
             // Create ZIP (EPUB is just a ZIP file)
-            const epubBuffer = zipSync(files, {
+            epubBuffer = zipSync(files, {
                 level: 9, // Maximum compression
                 mem: 8 // Memory level
             });
@@ -354,20 +396,28 @@ p {
             if (epubBuffer.length > this.maxFileSize) {
                 throw new Error(`EPUB file size (${Math.round(epubBuffer.length / 1024 / 1024)}MB) exceeds KDP maximum of 650MB`);
             }
-
-            return {
-                buffer: epubBuffer,
-                size: epubBuffer.length,
-                format: 'epub',
-                validation: {
-                    sizeOk: epubBuffer.length <= this.maxFileSize,
-                    version: 'EPUB 3.0',
-                    kdpCompliant: true
-                }
-            };
         } catch (error) {
             throw new Error(`EPUB generation failed: ${error.message}`);
         }
+
+        // Validate structure and content before anything is stored or uploaded
+        const report = await validateEPUBPackage(epubBuffer);
+        if (!report.valid) {
+            console.error(`[Formatting Agent] EPUB failed validation: ${report.errors.map(formatEPUBIssue).join('; ')}`);
+            throw new EPUBValidationError(report);
+        }
+
+        return {
+            buffer: epubBuffer,
+            size: epubBuffer.length,
+            format: 'epub',
+            validation: {
+                sizeOk: epubBuffer.length <= this.maxFileSize,
+                version: 'EPUB 3.0',
+                kdpCompliant: report.valid,
+                warnings: report.warnings
+            }
+        };
     }
 
     /**
@@ -619,7 +669,11 @@ p {
             console.log(`[Formatting Agent] EPUB generated: ${Math.round(results.epub.size / 1024)}KB`);
         } catch (error) {
             console.error('[Formatting Agent] EPUB generation failed:', error);
-            errors.push({ format: 'epub', error: error.message });
+            errors.push({
+                format: 'epub',
+                error: error.message,
+                ...(error instanceof EPUBValidationError ? { issues: error.details.errors } : {})
+            });
         }
 
         // Generate PDF
@@ -1,6 +1,8 @@
 // Keyword Agent
 // Generates 7 SEO keyword phrases optimized for Amazon search
 
+import { callClaudeWithRetry, assertLLMConfigured } from '../utils/agent-utils.js';
+
 export class KeywordAgent {
   constructor(env) {
     this.env = env;
@@ -17,9 +19,7 @@ export class KeywordAgent {
   async generate(manuscriptKey, developmentalAnalysis, genre) {
     console.log(`Generating keywords for ${manuscriptKey}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     const analysis = developmentalAnalysis.analysis || developmentalAnalysis;
     const compTitles = developmentalAnalysis.compTitles || [];
@@ -117,93 +117,36 @@ Return this exact structure:
   "competitionLevel": "estimated competition (high/medium/low)"
 }`;
 
-    // Retry logic with exponential backoff
-    const maxRetries = 5;
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Keyword Generation - Attempt ${attempt}/${maxRetries}`);
-
-        const gatewayUrl = 'https://gateway.ai.cloudflare.com/v1/8cd795daa8ce3c17078fe6cf3a2de8e3/manuscript-ai-gateway/anthropic/v1/messages';
-
-        const response = await fetch(gatewayUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.claudeApiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 2048,
-            messages: [{
-              role: 'user',
-              content: prompt
-            }],
-            temperature: 0.5
-          })
-        });
-
-        console.log('Response status:', response.status);
-
-        if (!response.ok) {
-          const errorBody = await response.text();
-          console.error('Claude API error:', errorBody);
-
-          if (response.status === 429 || response.status >= 500) {
-            throw new Error(`Retryable error: ${response.status} - ${errorBody}`);
+    const { response: result } = await callClaudeWithRetry(
+      this.claudeApiKey,
+      prompt,
+      0.5,
+      'KeywordAgent',
+      {
+        env: this.env,
+        operation: 'generate_keywords',
+        maxTokens: 2048,
+        schema: {
+          type: 'object',
+          required: ['keywords'],
+          properties: {
+            keywords: { type: 'array', minItems: 7, maxItems: 7, items: { type: 'string', minLength: 1 } }
           }
-
-          throw new Error(`Claude API error: ${response.status} - ${errorBody}`);
-        }
-
-        const data = await response.json();
-        const responseText = data.content[0].text;
-
-        // Parse JSON response
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in response');
-        }
-
-        const result = JSON.parse(jsonMatch[0]);
-
-        // Validate requirements
-        if (!result.keywords || !Array.isArray(result.keywords)) {
-          throw new Error('Invalid response structure - keywords must be an array');
         }
+      }
+    );
 
-        if (result.keywords.length !== 7) {
-          throw new Error(`Must have exactly 7 keywords, got ${result.keywords.length}`);
-        }
-
-        // Validate and truncate keywords if needed
-        result.keywords = result.keywords.map((keyword, index) => {
-          if (keyword.length > 50) {
-            console.warn(`Keyword ${index + 1} exceeds 50 chars, truncating: ${keyword}`);
-            return keyword.substring(0, 50).trim();
-          }
-          return keyword.toLowerCase().trim();
-        });
-
-        console.log('Keywords generated successfully:', result.keywords);
-        return result;
-
-      } catch (error) {
-        console.error(`Attempt ${attempt} failed:`, error.message);
-        lastError = error;
-
-        if (attempt < maxRetries) {
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
+    // Truncate keywords over Amazon's limit and normalize case
+    result.keywords = result.keywords.map((keyword, index) => {
+      if (keyword.length > 50) {
+        console.warn(`Keyword ${index + 1} exceeds 50 chars, truncating: ${keyword}`);
+        return keyword.substring(0, 50).trim();
       }
-    }
+      return keyword.toLowerCase().trim();
+    });
 
-    // All retries failed
-    throw new Error(`Failed to generate keywords after ${maxRetries} attempts: ${lastError.message}`);
+    console.log('Keywords generated successfully:', result.keywords);
+    return result;
   }
 
   /**
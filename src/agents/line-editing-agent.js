@@ -1,8 +1,10 @@
 // Line Editing Agent
 // Focuses on prose quality, sentence-level improvements, and style
 
-import { extractText } from '../utils/text-extraction.js';
-import { callClaudeWithCostTracking, AGENT_CONFIG } from '../utils/agent-utils.js';
+import { chunkModelIntoSections } from '../utils/manuscript-model.js';
+import { loadOutlinedModel } from '../services/outline-service.js';
+import { groupSectionsByChapter, runChapterAnalyses } from '../services/chapter-analysis-service.js';
+import { callClaudeWithCostTracking, AGENT_CONFIG, assertLLMConfigured } from '../utils/agent-utils.js';
 
 export class LineEditingAgent {
   constructor(env) {
@@ -16,9 +18,10 @@ export class LineEditingAgent {
    * @param {string} genre - Book genre for style expectations
    * @param {string} userId - User ID (optional, for cost tracking)
    * @param {string} manuscriptId - Manuscript ID (optional, for cost tracking)
+   * @param {Object} options - { reportId, onProgress } for per-chapter progress and resuming
    * @returns {Object} Complete line editing analysis with specific suggestions
    */
-  async analyze(manuscriptKey, genre, userId = null, manuscriptId = null) {
+  async analyze(manuscriptKey, genre, userId = null, manuscriptId = null, options = {}) {
     // Store for cost tracking
     this.userId = userId;
     this.manuscriptId = manuscriptId;
@@ -31,24 +34,25 @@ export class LineEditingAgent {
       throw new Error('Manuscript not found');
     }
 
-    // 2. Extract text content
-    const textContent = await this.extractText(manuscript);
+    // 2. Build the outlined manuscript document model
+    const model = await this.extractModel(manuscript, manuscriptId);
     
     // 3. Break into sections for detailed analysis
-    const sections = this.chunkIntoSections(textContent);
+    const sections = this.chunkIntoSections(model);
     
-    // 4. Analyze each section
-    const sectionAnalyses = [];
-    for (let i = 0; i < sections.length; i++) {
-      console.log(`Analyzing section ${i + 1}/${sections.length}...`);
-      const analysis = await this.analyzeSection(sections[i], i, genre);
-      sectionAnalyses.push(analysis);
-      
-      // Rate limit: pause between sections to avoid API throttling
-      if (i < sections.length - 1) {
-        await this.sleep(1000); // 1 second between sections
-      }
-    }
+    // 4. Analyze each section, chapter by chapter (finished chapters are
+    //    persisted and reused when a failed run is resumed)
+    const { chapters } = await runChapterAnalyses({
+      env: this.env,
+      manuscriptId,
+      reportId: options.reportId,
+      analysisType: 'line-editing',
+      contextKey: genre,
+      units: groupSectionsByChapter(sections),
+      analyzeUnit: unit => this.analyzeChapterSections(unit, genre),
+      onProgress: options.onProgress
+    });
+    const sectionAnalyses = chapters.flatMap(chapter => chapter.result.sections);
     
     // 5. Aggregate patterns across all sections
     const patterns = this.aggregatePatterns(sectionAnalyses);
@@ -78,16 +82,16 @@ export class LineEditingAgent {
   }
 
   /**
-   * Extract text from manuscript using shared utility
+   * Build the outlined manuscript document model using the shared importer
    */
-  async extractText(manuscript) {
+  async extractModel(manuscript, manuscriptId) {
     const contentType = manuscript.httpMetadata?.contentType;
     const buffer = await manuscript.arrayBuffer();
 
     try {
-      const text = await extractText(buffer, contentType);
-      console.log(`[Line Editing Agent] Extracted ${text.length} characters from ${contentType}`);
-      return text;
+      const model = await loadOutlinedModel(buffer, contentType, manuscriptId, this.env);
+      console.log(`[Line Editing Agent] Imported ${model.stats.wordCount} words in ${model.stats.paragraphCount} paragraphs from ${contentType}`);
+      return model;
     } catch (error) {
       console.error(`[Line Editing Agent] Text extraction failed:`, error);
       throw error;
@@ -97,33 +101,37 @@ export class LineEditingAgent {
   /**
    * Break manuscript into manageable sections for analysis
    * Target: ~800 words per section for detailed feedback
+   * Sections end on paragraph boundaries and keep italics marked as *text*
+   * so intentional emphasis isn't flagged as an error. Front and back matter
+   * are skipped; only story prose gets line edits.
    */
-  chunkIntoSections(text) {
-    const wordsPerSection = 800;
-    const words = text.split(/\s+/);
-    const sections = [];
-    
-    for (let i = 0; i < words.length; i += wordsPerSection) {
-      const chunk = words.slice(i, i + wordsPerSection).join(' ');
-      sections.push({
-        sectionNumber: Math.floor(i / wordsPerSection) + 1,
-        startWord: i,
-        endWord: Math.min(i + wordsPerSection, words.length),
-        text: chunk,
-        wordCount: Math.min(wordsPerSection, words.length - i)
-      });
+  chunkIntoSections(model) {
+    return chunkModelIntoSections(model, 800);
+  }
+
+  /**
+   * Analyze every section of one chapter
+   */
+  async analyzeChapterSections(unit, genre) {
+    const sectionAnalyses = [];
+    for (let i = 0; i < unit.sections.length; i++) {
+      const section = unit.sections[i];
+      console.log(`Analyzing section ${section.sectionNumber} (${unit.title})...`);
+      sectionAnalyses.push(await this.analyzeSection(section, section.sectionNumber - 1, genre));
+      
+      // Rate limit: pause between sections to avoid API throttling
+      if (i < unit.sections.length - 1) {
+        await this.sleep(1000); // 1 second between sections
+      }
     }
-    
-    return sections;
+    return { sections: sectionAnalyses };
   }
 
   /**
    * Analyze a single section for line-level issues
    */
   async analyzeSection(section, index, genre) {
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     const prompt = `You are an expert line editor specializing in ${genre} fiction. Analyze this section of manuscript for prose-level issues and provide specific, actionable suggestions.
 
@@ -155,6 +163,8 @@ Focus on:
    - Tense shifts
    - Tone inconsistencies
 
+Formatting notes: the author's italics are marked *like this* and bold **like this**, block quotes start with "> " and "* * *" is a scene break. These markers are formatting, not errors - do not report them, and keep them intact in any suggested text.
+${section.chapterTitle ? `\nChapter: ${section.chapterTitle}\n` : ''}
 Section Text:
 ${section.text}
 
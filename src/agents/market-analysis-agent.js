@@ -8,13 +8,15 @@
  * - Competitive positioning
  * - Target audience profile
  *
- * Uses Claude API to analyze market trends and manuscript positioning
+ * Uses the shared LLM client to analyze market trends and manuscript positioning
  */
 
+import { createLLMClient } from '../services/llm-client.js';
+
 export class MarketAnalysisAgent {
-    constructor(anthropicApiKey) {
-        this.apiKey = anthropicApiKey;
-        this.apiUrl = 'https://api.anthropic.com/v1/messages';
+    constructor(env) {
+        this.env = env;
+        this.llm = createLLMClient(env);
     }
 
     /**
@@ -94,7 +96,7 @@ Provide a comprehensive analysis in JSON format with the following structure:
 
 Be specific and data-driven in your analysis.`;
 
-        const response = await this.callClaude(prompt);
+        const response = await this.callClaude(prompt, 'analyze_genre_and_positioning');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
@@ -141,7 +143,7 @@ Provide pricing recommendations in JSON format:
 
 Consider genre standards, market competition, and author goals (visibility vs revenue).`;
 
-        const response = await this.callClaude(prompt);
+        const response = await this.callClaude(prompt, 'analyze_pricing_strategy');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
@@ -187,7 +189,7 @@ Prioritize categories that balance:
 3. Search discoverability
 4. Competition level`;
 
-        const response = await this.callClaude(prompt);
+        const response = await this.callClaude(prompt, 'recommend_categories');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
@@ -238,7 +240,7 @@ Focus on:
 - Comparable title associations
 - Unique plot elements`;
 
-        const response = await this.callClaude(prompt);
+        const response = await this.callClaude(prompt, 'generate_keyword_strategy');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
@@ -290,7 +292,7 @@ Return a JSON object with this exact structure:
   }
 }`;
 
-        const response = await this.callClaude(prompt);
+        const response = await this.callClaude(prompt, 'analyze_target_audience');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
@@ -339,38 +341,21 @@ Provide a competitive strategy in JSON format:
   }
 }`;
 
-        const response = await this.callClaude(prompt);
+        const response = await this.callClaude(prompt, 'analyze_competitive_positioning');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
     /**
-     * Call Claude API
+     * Call the configured LLM
      */
-    async callClaude(prompt, maxTokens = 4000) {
-        const response = await fetch(this.apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': this.apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: maxTokens,
-                messages: [{
-                    role: 'user',
-                    content: prompt
-                }]
-            })
+    async callClaude(prompt, operation, maxTokens = 4000) {
+        const { text } = await this.llm.complete({
+            agent: 'MarketAnalysisAgent',
+            operation,
+            prompt,
+            maxTokens
         });
-
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Claude API error: ${response.status} ${error}`);
-        }
-
-        const data = await response.json();
-        return data.content[0].text;
+        return text;
     }
 
     /**
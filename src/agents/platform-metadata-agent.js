@@ -5,7 +5,8 @@ import {
   callClaudeWithCostTracking,
   validateRequiredFields,
   storeAsset,
-  AGENT_CONFIG
+  AGENT_CONFIG,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class PlatformMetadataAgent {
@@ -26,9 +27,7 @@ export class PlatformMetadataAgent {
   async generatePlatformMetadata(manuscriptKey, baseMetadata, platforms, userId, manuscriptId) {
     console.log(`Generating metadata for platforms: ${platforms.join(', ')}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     // Determine which platforms to generate for
     const targetPlatforms = platforms.includes('all')
@@ -5,7 +5,8 @@ import {
   callClaudeWithCostTracking,
   validateRequiredFields,
   storeAsset,
-  AGENT_CONFIG
+  AGENT_CONFIG,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class ReviewMonitoringAgent {
@@ -25,9 +26,7 @@ export class ReviewMonitoringAgent {
   async monitorReviews(bookIdentifier, platforms = { amazon: true }, userId, manuscriptId) {
     console.log(`Monitoring reviews for ${bookIdentifier}`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     // In production, this would fetch from actual APIs/web scraping
     // For now, we'll structure the data model and use AI to analyze sample data
@@ -5,7 +5,8 @@ import {
   callClaudeWithCostTracking,
   validateRequiredFields,
   storeAsset,
-  AGENT_CONFIG
+  AGENT_CONFIG,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class ReviewResponseAgent {
@@ -27,9 +28,7 @@ export class ReviewResponseAgent {
   async generateResponse(review, bookTitle, authorName, authorVoice, userId, manuscriptId) {
     console.log(`Generating response for review (${review.sentiment})`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     if (!review || !review.reviewText) {
       throw new Error('Invalid review: reviewText is required');
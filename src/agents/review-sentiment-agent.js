@@ -5,7 +5,8 @@ import {
   callClaudeWithCostTracking,
   validateRequiredFields,
   storeAsset,
-  AGENT_CONFIG
+  AGENT_CONFIG,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class ReviewSentimentAgent {
@@ -26,9 +27,7 @@ export class ReviewSentimentAgent {
   async analyzeSentiment(reviews, bookTitle, genre, userId, manuscriptId) {
     console.log(`Analyzing sentiment for ${reviews.length} reviews`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     if (!reviews || reviews.length === 0) {
       return {
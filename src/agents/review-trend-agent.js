@@ -5,7 +5,8 @@ import {
   callClaudeWithCostTracking,
   validateRequiredFields,
   storeAsset,
-  AGENT_CONFIG
+  AGENT_CONFIG,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class ReviewTrendAgent {
@@ -26,9 +27,7 @@ export class ReviewTrendAgent {
   async analyzeTrends(reviews, historicalData, bookTitle, userId, manuscriptId) {
     console.log(`Analyzing trends for ${reviews.length} reviews`);
 
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     if (!reviews || reviews.length === 0) {
       return {
@@ -7,7 +7,8 @@ import {
   extractManuscriptText,
   callClaudeWithRetry,
   validateRequiredFields,
-  storeAsset
+  storeAsset,
+  assertLLMConfigured
 } from '../utils/agent-utils.js';
 
 export class SeriesDescriptionAgent {
@@ -34,9 +35,7 @@ export class SeriesDescriptionAgent {
     console.log(`${this.agentName}: Starting generation for ${manuscriptKey}`);
 
     // Ensure API key is available
-    if (!this.claudeApiKey) {
-      throw new Error('ANTHROPIC_API_KEY is not configured in environment variables');
-    }
+    assertLLMConfigured(this.env);
 
     // Extract the analysis data (handle different structures)
     const analysis = developmentalAnalysis.analysis || developmentalAnalysis;
@@ -202,13 +201,14 @@ Return this exact structure:
   "firstBookHook": "Specific pitch for getting readers to start Book 1"
 }`;
 
-    // Call Claude with automatic retry logic
+    // Call the LLM with automatic retry logic
     // Using CREATIVE temperature (0.8) for engaging series descriptions
     return await callClaudeWithRetry(
       this.claudeApiKey,
       prompt,
       AGENT_CONFIG.TEMPERATURE.CREATIVE,
-      this.agentName
+      this.agentName,
+      { env: this.env, operation: 'generate_series_description' }
     );
   }
 }
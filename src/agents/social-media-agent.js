@@ -8,13 +8,15 @@
  * - Book trailer script
  * - Reader magnet ideas
  *
- * Uses Claude API to generate platform-specific, audience-targeted content
+ * Uses the shared LLM client to generate platform-specific, audience-targeted content
  */
 
+import { createLLMClient } from '../services/llm-client.js';
+
 export class SocialMediaAgent {
-    constructor(anthropicApiKey) {
-        this.apiKey = anthropicApiKey;
-        this.apiUrl = 'https://api.anthropic.com/v1/messages';
+    constructor(env) {
+        this.env = env;
+        this.llm = createLLMClient(env);
     }
 
     /**
@@ -138,7 +140,7 @@ Post types to include:
 
 Make posts engaging, genre-appropriate, and authentic.`;
 
-        const response = await this.callClaude(prompt, 4000);
+        const response = await this.callClaude(prompt, 'generate_social_media_posts');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
@@ -206,7 +208,7 @@ Generate a complete email marketing package in JSON format:
 
 Make emails warm, personal, and conversion-focused.`;
 
-        const response = await this.callClaude(prompt, 4000);
+        const response = await this.callClaude(prompt, 'generate_launch_emails');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
@@ -269,7 +271,7 @@ Create a comprehensive 30-day content calendar in JSON format:
 
 Schedule should peak on launch day and maintain momentum post-launch.`;
 
-        const response = await this.callClaude(prompt, 4000);
+        const response = await this.callClaude(prompt, 'generate_content_calendar');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
@@ -324,7 +326,7 @@ Create a 60-second book trailer script in JSON format:
 
 Make the script compelling, genre-appropriate, and feasible to produce.`;
 
-        const response = await this.callClaude(prompt, 4000);
+        const response = await this.callClaude(prompt, 'generate_book_trailer_script');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
@@ -394,38 +396,21 @@ Generate reader magnet ideas in JSON format:
 
 Focus on magnets that are valuable to readers but feasible for authors to create.`;
 
-        const response = await this.callClaude(prompt, 4000);
+        const response = await this.callClaude(prompt, 'generate_reader_magnets');
         return JSON.parse(this.extractJsonFromResponse(response));
     }
 
     /**
-     * Call Claude API
+     * Call the configured LLM
      */
-    async callClaude(prompt, maxTokens = 4000) {
-        const response = await fetch(this.apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': this.apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: maxTokens,
-                messages: [{
-                    role: 'user',
-                    content: prompt
-                }]
-            })
+    async callClaude(prompt, operation, maxTokens = 4000) {
+        const { text } = await this.llm.complete({
+            agent: 'SocialMediaAgent',
+            operation,
+            prompt,
+            maxTokens
         });
-
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Claude API error: ${response.status} ${error}`);
-        }
-
-        const data = await response.json();
-        return data.content[0].text;
+        return text;
     }
 
     /**
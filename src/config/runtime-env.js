@@ -0,0 +1,81 @@
+/**
+ * Runtime environment variables
+ *
+ * server.js builds the Workers-style env from process.env, but only passes
+ * through the variables listed here. A setting a handler or service reads
+ * from env has to be listed (or match a prefix) or it is undefined at runtime.
+ */
+
+export const RUNTIME_ENV_KEYS = [
+  // AI providers
+  'ANTHROPIC_API_KEY',
+  'ANTHROPIC_BASE_URL',
+  'OPENAI_API_KEY',
+  'OPENAI_BASE_URL',
+  'EMBEDDING_PROVIDER',
+  'EMBEDDING_MODEL',
+  'EMBEDDING_DIMENSIONS',
+  'LLM_PROVIDERS',
+  'LLM_MODELS',
+  'LLM_ROUTES',
+  'LLM_FIXTURES_DIR',
+  'LLM_RECORD_FIXTURES',
+
+  // Sales reporting
+  'SALES_REPORTING_CURRENCY',
+  'SALES_EXCHANGE_RATES',
+  'KDP_KENP_RATE',
+
+  // Secret vault
+  'SECRETS_MASTER_KEY',
+  'SECRETS_PREVIOUS_MASTER_KEYS',
+
+  // Stripe (plan prices come in through STRIPE_PRICE_*)
+  'STRIPE_SECRET_KEY',
+  'STRIPE_WEBHOOK_SECRET',
+  'STRIPE_PUBLISHABLE_KEY',
+  'STRIPE_METER_EVENT_NAME',
+  'STRIPE_API_BASE',
+
+  // Email
+  'FRONTEND_URL',
+  'EMAIL_FROM_ADDRESS',
+  'EMAIL_FROM_NAME',
+  'EMAIL_ADMIN_ADDRESS',
+  'EMAIL_REPLY_TO_ADDRESS',
+
+  // Uploads, sessions and backups
+  'MAX_FILE_SIZE',
+  'SESSION_DURATION',
+  'VIRUS_SCANNER_FAIL_OPEN',
+  'BACKUP_SCRATCH_DATABASE_URL'
+];
+
+// Families of settings passed through whole
+export const RUNTIME_ENV_PREFIXES = [
+  'STRIPE_PRICE_', // STRIPE_PRICE_PRO, STRIPE_PRICE_ENTERPRISE, STRIPE_PRICE_AI_OVERAGE
+  'NOTIFICATION_' // NOTIFICATION_MAX_ATTEMPTS, NOTIFICATION_DIGEST_HOUR
+];
+
+/**
+ * Build the env object handlers receive
+ *
+ * @param {Object} source - Variables to pick from (process.env)
+ * @param {Object} bindings - Adapters (DB, R2, QUEUE, REDIS, CACHE_KV)
+ * @returns {Object} Bindings plus the listed variables that are set, and NODE_ENV
+ */
+export function buildRuntimeEnv(source, bindings = {}) {
+  const env = { ...bindings };
+
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (RUNTIME_ENV_KEYS.includes(key) || RUNTIME_ENV_PREFIXES.some(prefix => key.startsWith(prefix))) {
+      env[key] = value;
+    }
+  }
+
+  env.NODE_ENV = source.NODE_ENV || 'development';
+  return env;
+}
@@ -4,10 +4,12 @@
 export class AnnotatedManuscriptGenerator {
   /**
    * Generate an annotated manuscript with inline highlights and comments
+   * commentThreads are collaborator threads (services/comment-service.js),
+   * shown next to the AI issues under their own filter
    */
-  static generateAnnotatedManuscript(manuscriptKey, manuscriptText, allIssues, metadata, reportId) {
+  static generateAnnotatedManuscript(manuscriptKey, manuscriptText, allIssues, metadata, reportId, commentThreads = []) {
     // Sort issues by position in manuscript (if available)
-    const sortedIssues = this.sortIssuesByPosition(allIssues, manuscriptText);
+    const sortedIssues = this.sortIssuesByPosition([...allIssues, ...this.threadsToIssues(commentThreads)], manuscriptText);
     
     // Create annotations map
     const annotations = this.createAnnotations(sortedIssues, manuscriptText);
@@ -18,6 +20,23 @@ export class AnnotatedManuscriptGenerator {
     return annotatedHtml;
   }
 
+  /**
+   * Collaborator threads as issues: the quoted text is highlighted and the
+   * chapter title narrows down where to look for it
+   */
+  static threadsToIssues(commentThreads) {
+    return commentThreads.map(thread => ({
+      type: 'collaborator',
+      category: 'collaborator',
+      severity: thread.kind,
+      original: thread.anchor.quote,
+      suggestion: thread.suggestion ? thread.suggestion.text : null,
+      explanation: thread.comments[0]?.body,
+      anchorHint: thread.anchor.chapterTitle,
+      thread
+    }));
+  }
+
   /**
    * Sort issues by their position in the manuscript
    */
@@ -27,8 +46,13 @@ export class AnnotatedManuscriptGenerator {
     allIssues.forEach(issue => {
       if (!issue.original) return;
       
-      // Try to find the exact position in the manuscript
-      const position = manuscriptText.indexOf(issue.original);
+      // Try to find the exact position in the manuscript (after the
+      // chapter heading when the issue knows its chapter)
+      const from = issue.anchorHint ? Math.max(manuscriptText.indexOf(issue.anchorHint), 0) : 0;
+      let position = manuscriptText.indexOf(issue.original, from);
+      if (position === -1 && from > 0) {
+        position = manuscriptText.indexOf(issue.original);
+      }
       
       if (position !== -1) {
         issuesWithPositions.push({
@@ -64,6 +88,7 @@ export class AnnotatedManuscriptGenerator {
         original: issue.original,
         suggestion: issue.suggestion || issue.correction,
         explanation: issue.explanation || issue.rule,
+        thread: issue.thread,
         position: issue.position,
         endPosition: issue.endPosition
       });
@@ -252,6 +277,16 @@ export class AnnotatedManuscriptGenerator {
             border-bottom-color: #9c27b0;
         }
 
+        .highlight.collaborator {
+            background: #e0f2f1;
+            border-bottom: 2px dashed #009688;
+        }
+
+        .highlight.collaborator.suggestion {
+            background: #e8eaf6;
+            border-bottom-color: #3f51b5;
+        }
+
         .highlight.selected {
             background: #667eea !important;
             color: white;
@@ -297,6 +332,30 @@ export class AnnotatedManuscriptGenerator {
             border-left-color: #9c27b0;
         }
 
+        .comment-card.collaborator {
+            border-left-color: #009688;
+        }
+
+        .comment-card.collaborator.suggestion {
+            border-left-color: #3f51b5;
+        }
+
+        .thread-comment {
+            border-top: 1px solid #f0f0f0;
+            padding-top: 8px;
+            margin-top: 8px;
+        }
+
+        .thread-author {
+            font-size: 12px;
+            font-weight: 600;
+            color: #2c3e50;
+        }
+
+        .thread-comment .comment-explanation {
+            margin-top: 4px;
+        }
+
         .comment-card:hover {
             box-shadow: 0 4px 12px rgba(0,0,0,0.15);
             transform: translateY(-2px);
@@ -340,6 +399,11 @@ export class AnnotatedManuscriptGenerator {
             color: #2e7d32;
         }
 
+        .thread-count {
+            background: #e0f2f1;
+            color: #00695c;
+        }
+
         .comment-original {
             background: #f8f9fa;
             padding: 10px;
@@ -466,7 +530,7 @@ export class AnnotatedManuscriptGenerator {
     <div class="header">
         <div class="header-content">
             <h1>📝 ${metadata.originalName || 'Untitled Manuscript'}</h1>
-            <p>Author: ${metadata.authorId || 'Unknown'} • Generated: ${reportDate} • ${issueStats.total} Issues Found</p>
+            <p>Author: ${metadata.authorId || 'Unknown'} • Generated: ${reportDate} • ${issueStats.total} Issues Found${issueStats.comments ? ` • ${issueStats.comments} Open Comments` : ''}</p>
         </div>
     </div>
 
@@ -490,6 +554,9 @@ export class AnnotatedManuscriptGenerator {
             <button class="filter-btn" onclick="filterIssues('passive_voice')" data-filter="passive_voice">
                 Passive Voice <span class="filter-count">${issueStats.passive_voice}</span>
             </button>
+            ${issueStats.comments ? `<button class="filter-btn" onclick="filterIssues('collaborator')" data-filter="collaborator">
+                Comments <span class="filter-count">${issueStats.comments}</span>
+            </button>` : ''}
         </div>
     </div>
 
@@ -519,6 +586,10 @@ ${annotatedText}
                     <span class="stat-label">Low Priority</span>
                     <span class="stat-value" style="color: #4caf50;">${issueStats.low}</span>
                 </div>
+                ${issueStats.comments ? `<div class="stat-row">
+                    <span class="stat-label">Open Comments</span>
+                    <span class="stat-value" style="color: #009688;">${issueStats.comments}</span>
+                </div>` : ''}
             </div>
 
             <div id="commentsList">
@@ -615,19 +686,22 @@ ${annotatedText}
     let result = this.escapeHtml(manuscriptText);
 
     // Insert highlights from end to beginning (so positions don't shift)
-    // We need to work with the escaped version, so recalculate positions
+    // Everything before an annotation is still plain escaped text, so its
+    // escaped position is the length of the escaped text before it
+    let insertedFrom = manuscriptText.length;
     sortedAnnotations.forEach(annotation => {
       // Find the escaped version of the text to highlight
       const originalText = manuscriptText.substring(annotation.position, annotation.endPosition);
       const escapedText = this.escapeHtml(originalText);
-      
-      // Find this text in the escaped result (it might be in a different position now)
-      const escapedPosition = result.indexOf(escapedText);
-      
-      if (escapedPosition === -1) {
+
+      // Overlaps a highlight that is already in place
+      if (annotation.endPosition > insertedFrom) {
         console.warn('Could not find text to highlight:', originalText);
         return;
       }
+      insertedFrom = annotation.position;
+
+      const escapedPosition = this.escapeHtml(manuscriptText.substring(0, annotation.position)).length;
       
       const before = result.substring(0, escapedPosition);
       const after = result.substring(escapedPosition + escapedText.length);
@@ -653,7 +727,7 @@ ${annotatedText}
       return '<div class="no-issues">No issues found! 🎉</div>';
     }
 
-    return allIssues.map((issue, index) => `
+    return allIssues.map((issue, index) => issue.thread ? this.generateThreadCard(issue.thread, index) : `
       <div class="comment-card ${issue.type || 'general'}" data-issue-id="issue-${index}">
         <div class="comment-header">
           <span class="comment-type">${(issue.type || 'issue').replace(/_/g, ' ')}</span>
@@ -670,11 +744,42 @@ ${annotatedText}
   }
 
   /**
-   * Calculate issue statistics
+   * Sidebar card for a collaborator thread: the suggested edit (if any) and
+   * every comment in the thread
+   */
+  static generateThreadCard(thread, index) {
+    const isSuggestion = thread.kind === 'suggestion';
+    const count = thread.comments.length;
+
+    return `
+      <div class="comment-card collaborator ${thread.kind}" data-issue-id="issue-${index}" data-thread-id="${this.escapeHtml(thread.id)}">
+        <div class="comment-header">
+          <span class="comment-type">${isSuggestion ? 'suggested edit' : 'comment'}</span>
+          <span class="severity-badge thread-count">${count} ${count === 1 ? 'comment' : 'comments'}</span>
+        </div>
+        ${isSuggestion ? `<div class="comment-original">${this.escapeHtml(thread.anchor.quote)}</div>` : ''}
+        ${isSuggestion ? `<div class="comment-suggestion">✓ ${this.escapeHtml(thread.suggestion.text) || '(delete)'}</div>` : ''}
+        ${thread.comments.map(comment => `
+        <div class="thread-comment">
+          <span class="thread-author">${this.escapeHtml(comment.authorName) || 'Collaborator'}</span>
+          <div class="comment-explanation">${this.escapeHtml(comment.body)}</div>
+        </div>`).join('')}
+        <button class="goto-btn" onclick="scrollToIssue('issue-${index}')">
+          📍 Find in manuscript
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Calculate issue statistics (collaborator threads are counted as
+   * comments, not issues)
    */
   static calculateIssueStats(allIssues) {
+    const issues = allIssues.filter(issue => !issue.thread);
     const stats = {
-      total: allIssues.length,
+      total: issues.length,
+      comments: allIssues.length - issues.length,
       grammar: 0,
       punctuation: 0,
       spelling: 0,
@@ -685,7 +790,7 @@ ${annotatedText}
       low: 0
     };
 
-    allIssues.forEach(issue => {
+    issues.forEach(issue => {
       const type = issue.type || 'other';
       if (stats.hasOwnProperty(type)) {
         stats[type]++;
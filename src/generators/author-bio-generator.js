@@ -1,11 +1,10 @@
 /**
  * Author Bio Generator
  * Generates professional author bios in multiple lengths and styles
- * Uses Claude API for AI-powered bio generation
+ * Uses the shared LLM client for AI-powered bio generation
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import { callClaudeWithCostTracking } from '../utils/agent-utils.js';
+import { createLLMClient } from '../services/llm-client.js';
 
 /**
  * Bio length specifications
@@ -126,8 +125,7 @@ export async function generateAuthorBio(options, env) {
       genreTone,
       lengthSpec,
       authorContext,
-      approach,
-      variationNumber: i + 1
+      approach
     }, env);
 
     variations.push({
@@ -207,8 +205,7 @@ async function generateSingleBio(params, env) {
     genreTone,
     lengthSpec,
     authorContext,
-    approach,
-    variationNumber
+    approach
   } = params;
 
   const prompt = `You are a professional author bio writer. Generate a compelling third-person author bio.
@@ -246,34 +243,24 @@ REQUIREMENTS:
 
 Generate only the bio text, no additional commentary.`;
 
-  const response = await callClaudeWithCostTracking(
-    env,
-    [{ role: 'user', content: prompt }],
-    {
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 1000,
-      temperature: 0.8 // Higher temperature for creative variation
-    },
-    'author-bio-generation',
-    null, // no manuscriptId
-    {
-      operation: 'author_bio_generation',
-      genre,
-      length: lengthSpec.wordCount,
-      approach,
-      variationNumber
-    }
-  );
+  const llm = createLLMClient(env, { track: { featureName: 'author-bio-generation' } });
+  const { text, usage } = await llm.complete({
+    agent: 'AuthorBioGenerator',
+    operation: 'author_bio_generation',
+    prompt,
+    maxTokens: 1000,
+    temperature: 0.8 // Higher temperature for creative variation
+  });
 
-  const bioText = response.content[0].text.trim();
+  const bioText = text.trim();
   const wordCount = bioText.split(/\s+/).length;
 
   return {
     text: bioText,
     wordCount,
     approach,
-    tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
-    cost: response.cost
+    tokensUsed: usage.inputTokens + usage.outputTokens,
+    cost: usage.cost
   };
 }
 
@@ -6,57 +6,51 @@
  */
 
 import JSZip from 'jszip';
-import mammoth from 'mammoth';
 import crypto from 'crypto';
+import { buildModelFromDOCX, chapterToXhtml } from '../utils/manuscript-model.js';
+import { validateEPUBPackage, formatEPUBIssue, EPUBValidationError } from '../validators/epub-validator.js';
 
 /**
- * Parse DOCX content to extract chapters and metadata
+ * EPUB 3 structural semantics for each outline section kind
+ */
+const EPUB_TYPES = {
+  front_matter: 'frontmatter',
+  chapter: 'bodymatter chapter',
+  part: 'bodymatter part',
+  back_matter: 'backmatter'
+};
+
+/**
+ * Convert a manuscript document model into EPUB chapters
+ * Italics, bold, block quotes and scene breaks are carried into the XHTML.
+ * When the model has been tagged with an outline (applyOutline), TOC titles
+ * come from the outline and a typed-in contents page is dropped in favour of
+ * the EPUB's own navigation.
  *
- * @param {Buffer} docxBuffer - DOCX file buffer
- * @returns {Promise<Object>} - Parsed content with chapters and HTML
+ * @param {Object} model - Manuscript model (see utils/manuscript-model.js)
+ * @returns {Array<Object>} - Array of {title, kind, content} objects
  */
-async function parseDocxContent(docxBuffer) {
-  try {
-    const result = await mammoth.convertToHtml({ buffer: docxBuffer });
-
-    // Split content by chapter headings (h1, h2, or "Chapter" text)
-    const html = result.value;
-    const chapters = [];
-
-    // Simple chapter splitting - split by <h1> tags
-    const h1Regex = /<h1[^>]*>(.*?)<\/h1>/gi;
-    const parts = html.split(h1Regex);
-
-    if (parts.length > 1) {
-      // Has chapter headings
-      for (let i = 1; i < parts.length; i += 2) {
-        const title = parts[i].replace(/<[^>]*>/g, '').trim() || `Chapter ${Math.floor(i / 2) + 1}`;
-        const content = parts[i + 1] || '';
-        chapters.push({ title, content });
-      }
-    } else {
-      // No chapter headings, treat as single chapter
-      chapters.push({
-        title: 'Chapter 1',
-        content: html
-      });
-    }
-
-    return { chapters };
-  } catch (error) {
-    console.error('[EPUB] Error parsing DOCX:', error);
-    // Fallback to basic chapter structure
-    return {
-      chapters: [{
-        title: 'Chapter 1',
-        content: '<p>Content extracted from manuscript.</p>'
-      }]
-    };
-  }
+export function chaptersFromModel(model) {
+  return model.chapters
+    .filter(chapter => chapter.label !== 'contents')
+    .map(chapter => ({
+      title: chapter.title || (model.chapters.length === 1 ? (model.title || 'Chapter 1') : `Chapter ${chapter.number}`),
+      kind: chapter.kind || null,
+      content: chapterToXhtml(chapter)
+    }));
+}
+
+/**
+ * File extension and media type of a cover image (PNG or JPEG)
+ */
+function coverImageType(cover) {
+  const isPNG = cover.length >= 4 && cover[0] === 0x89 && cover[1] === 0x50 && cover[2] === 0x4E && cover[3] === 0x47;
+  return isPNG ? { extension: 'png', mediaType: 'image/png' } : { extension: 'jpg', mediaType: 'image/jpeg' };
 }
 
 /**
  * Generate EPUB from manuscript content
+ * The EPUB is run through the validator before it is returned.
  *
  * @param {Object} options - EPUB generation options
  * @param {string} options.title - Book title
@@ -66,10 +60,43 @@ async function parseDocxContent(docxBuffer) {
  * @param {string} options.language - Language code (default: 'en')
  * @param {Buffer} options.cover - Cover image buffer
  * @param {Array<Object>} options.chapters - Array of {title, content} objects
+ * @param {Object} options.model - Manuscript document model (used when chapters is empty;
+ *   tag it with applyOutline first so the TOC follows the author's outline)
  * @param {Object} options.metadata - Additional metadata
  * @returns {Promise<Buffer>} - EPUB file buffer
+ * @throws {EPUBValidationError} If the generated EPUB fails validation
  */
 export async function generateEPUB(options) {
+  const { buffer } = await generateValidatedEPUB(options);
+  return buffer;
+}
+
+/**
+ * Generate EPUB and return it with its validation report
+ *
+ * @param {Object} options - Same as generateEPUB
+ * @returns {Promise<Object>} - { buffer, validation } (validation lists any warnings)
+ * @throws {EPUBValidationError} If the generated EPUB fails validation
+ */
+export async function generateValidatedEPUB(options) {
+  const buffer = await assembleEPUB(options);
+  const validation = await validateEPUBPackage(buffer);
+
+  for (const warning of validation.warnings) {
+    console.warn(`[EPUB] ${formatEPUBIssue(warning)}`);
+  }
+  if (!validation.valid) {
+    console.error(`[EPUB] Generated EPUB failed validation: ${validation.errors.map(formatEPUBIssue).join('; ')}`);
+    throw new EPUBValidationError(validation);
+  }
+
+  return { buffer, validation };
+}
+
+/**
+ * Assemble the EPUB archive
+ */
+async function assembleEPUB(options) {
   const {
     title = 'Untitled',
     author = 'Unknown Author',
@@ -77,10 +104,14 @@ export async function generateEPUB(options) {
     publisher = 'ManuscriptHub',
     language = 'en',
     cover = null,
-    chapters = [],
+    model = null,
     metadata = {},
   } = options;
 
+  const chapters = options.chapters?.length > 0
+    ? options.chapters
+    : (model ? chaptersFromModel(model) : []);
+
   const zip = new JSZip();
   const uuid = crypto.randomUUID();
 
@@ -97,10 +128,9 @@ export async function generateEPUB(options) {
   zip.file('META-INF/container.xml', containerXml);
 
   // 3. Add cover image if provided
-  let coverImagePath = null;
+  const coverType = cover ? coverImageType(cover) : null;
   if (cover) {
-    coverImagePath = 'OEBPS/images/cover.jpg';
-    zip.file(coverImagePath, cover);
+    zip.file(`OEBPS/images/cover.${coverType.extension}`, cover);
   }
 
   // 4. Generate content.opf (package document)
@@ -112,7 +142,7 @@ export async function generateEPUB(options) {
     `    <itemref idref="chapter${i + 1}"/>`
   ).join('\n');
 
-  const coverManifest = cover ? `    <item id="cover-image" href="images/cover.jpg" media-type="image/jpeg"/>
+  const coverManifest = cover ? `    <item id="cover-image" href="images/cover.${coverType.extension}" media-type="${coverType.mediaType}" properties="cover-image"/>
     <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>` : '';
 
   const coverSpine = cover ? `    <itemref idref="cover"/>` : '';
@@ -131,6 +161,7 @@ export async function generateEPUB(options) {
   </metadata>
   <manifest>
     <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
 ${coverManifest}
 ${manifestItems}
   </manifest>
@@ -166,7 +197,29 @@ ${navPoints}
 </ncx>`;
   zip.file('OEBPS/toc.ncx', tocNcx);
 
-  // 6. Generate cover page if cover provided
+  // 6. Generate nav.xhtml (EPUB 3 navigation document; toc.ncx is kept for older readers)
+  const navItems = chapters.map((ch, i) =>
+    `      <li><a href="chapter${i + 1}.xhtml">${escapeXml(ch.title)}</a></li>`
+  ).join('\n');
+
+  const navXhtml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <title>${escapeXml(title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>Contents</h1>
+    <ol>
+${navItems}
+    </ol>
+  </nav>
+</body>
+</html>`;
+  zip.file('OEBPS/nav.xhtml', navXhtml);
+
+  // 7. Generate cover page if cover provided
   if (cover) {
     const coverXhtml = `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE html>
@@ -179,28 +232,32 @@ ${navPoints}
   </style>
 </head>
 <body>
-  <img src="images/cover.jpg" alt="Cover"/>
+  <img src="images/cover.${coverType.extension}" alt="Cover"/>
 </body>
 </html>`;
     zip.file('OEBPS/cover.xhtml', coverXhtml);
   }
 
-  // 7. Generate chapter files
+  // 8. Generate chapter files
   for (let i = 0; i < chapters.length; i++) {
     const chapter = chapters[i];
     const chapterXhtml = `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE html>
-<html xmlns="http://www.w3.org/1999/xhtml">
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
 <head>
   <title>${escapeXml(chapter.title)}</title>
   <style type="text/css">
     body { font-family: serif; margin: 2em; line-height: 1.6; }
     h1 { text-align: center; margin-bottom: 2em; }
     p { text-indent: 1.5em; margin: 0; }
-    p:first-of-type { text-indent: 0; }
+    p:first-of-type, hr.scene-break + p { text-indent: 0; }
+    hr.scene-break { border: 0; margin: 1.5em 0; text-align: center; }
+    hr.scene-break:after { content: "* * *"; }
+    blockquote { margin: 1em 2em; font-style: normal; }
+    blockquote p { text-indent: 0; }
   </style>
 </head>
-<body>
+<body${EPUB_TYPES[chapter.kind] ? ` epub:type="${EPUB_TYPES[chapter.kind]}"` : ''}>
   <h1>${escapeXml(chapter.title)}</h1>
   ${chapter.content}
 </body>
@@ -208,7 +265,7 @@ ${navPoints}
     zip.file(`OEBPS/chapter${i + 1}.xhtml`, chapterXhtml);
   }
 
-  // 8. Generate EPUB file
+  // 9. Generate EPUB file
   const epubBuffer = await zip.generateAsync({
     type: 'nodebuffer',
     compression: 'DEFLATE',
@@ -230,78 +287,32 @@ ${navPoints}
 export async function generateEPUBFromDOCX(docxBuffer, coverBuffer, metadata = {}) {
   console.log('[EPUB] Generating EPUB from DOCX...');
 
-  // Parse DOCX to extract chapters
-  const parsed = await parseDocxContent(docxBuffer);
+  // Import DOCX into the document model (keeps headings, italics, scene breaks)
+  const model = await buildModelFromDOCX(docxBuffer);
 
   // Generate EPUB
   return await generateEPUB({
-    title: metadata.title || 'Untitled',
+    title: metadata.title || model.title || 'Untitled',
     author: metadata.author || 'Unknown Author',
     description: metadata.description || '',
     publisher: metadata.publisher || 'ManuscriptHub',
     language: metadata.language || 'en',
     cover: coverBuffer,
-    chapters: parsed.chapters,
+    model,
     metadata,
   });
 }
 
 /**
  * Validate EPUB file
+ * See validators/epub-validator.js for the checks; errors and warnings are
+ * { code, message, file, line, column }.
  *
  * @param {Buffer} epubBuffer - EPUB file buffer
- * @returns {Promise<Object>} - Validation result
+ * @returns {Promise<Object>} - Validation result { valid, errors, warnings, info }
  */
 export async function validateEPUB(epubBuffer) {
-  const validation = {
-    valid: true,
-    errors: [],
-    warnings: [],
-    info: {},
-  };
-
-  try {
-    // Basic ZIP validation
-    const zip = await JSZip.loadAsync(epubBuffer);
-
-    // Check for required files
-    const requiredFiles = ['mimetype', 'META-INF/container.xml'];
-    for (const file of requiredFiles) {
-      if (!zip.files[file]) {
-        validation.errors.push(`Missing required file: ${file}`);
-        validation.valid = false;
-      }
-    }
-
-    // Check mimetype content
-    if (zip.files['mimetype']) {
-      const mimetypeContent = await zip.files['mimetype'].async('string');
-      if (mimetypeContent !== 'application/epub+zip') {
-        validation.errors.push('Invalid mimetype content');
-        validation.valid = false;
-      }
-    }
-
-    validation.info.fileSize = epubBuffer.length;
-    validation.info.fileSizeMB = (epubBuffer.length / (1024 * 1024)).toFixed(2);
-    validation.info.fileCount = Object.keys(zip.files).length;
-
-    // File size warnings
-    if (epubBuffer.length > 100 * 1024 * 1024) {
-      validation.warnings.push('EPUB is quite large (>100MB)');
-    }
-
-    if (epubBuffer.length > 650 * 1024 * 1024) {
-      validation.errors.push('EPUB exceeds 650MB maximum for most platforms');
-      validation.valid = false;
-    }
-
-  } catch (error) {
-    validation.valid = false;
-    validation.errors.push(`Failed to validate EPUB: ${error.message}`);
-  }
-
-  return validation;
+  return validateEPUBPackage(epubBuffer);
 }
 
 /**
@@ -318,7 +329,9 @@ function escapeXml(str) {
 }
 
 export default {
+  chaptersFromModel,
   generateEPUB,
+  generateValidatedEPUB,
   generateEPUBFromDOCX,
   validateEPUB,
 };
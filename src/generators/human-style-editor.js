@@ -4,8 +4,7 @@
  * Issue #60: https://github.com/scarter4work/manuscript-platform/issues/60
  */
 
-const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY || 'sk-ant-REDACTED';
-const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
+import { createLLMClient } from '../services/llm-client.js';
 
 /**
  * System prompt implementing 20+ editorial patterns from source PDFs
@@ -197,7 +196,7 @@ Be encouraging, conversational, and thought-provoking. Ask questions that help t
  * @param {string} params.chapterText - The full text of the chapter
  * @param {string} params.previousChapters - Context from previous chapters
  * @param {string} params.genre - Manuscript genre
- * @param {Object} env - Environment with CLAUDE_API_KEY
+ * @param {Object} env - Environment bindings (LLM configuration)
  * @returns {Promise<Object>} { annotations: [], cost: number, stats: object }
  */
 export async function generateChapterFeedback(params, env) {
@@ -224,56 +223,22 @@ Remember:
 
 Return JSON format with annotations array.`;
 
-    // Call Claude API
-    const response = await fetch(CLAUDE_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.CLAUDE_API_KEY || CLAUDE_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 4096,
-        temperature: 0.7, // Slightly higher for more natural/varied feedback
-        system: SYSTEM_PROMPT,
-        messages: [
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ]
-      })
+    const { data: annotationsData, usage } = await createLLMClient(env).completeJSON({
+      agent: 'HumanStyleEditor',
+      operation: 'generate_chapter_feedback',
+      system: SYSTEM_PROMPT,
+      prompt: userPrompt,
+      maxTokens: 4096,
+      temperature: 0.7, // Slightly higher for more natural/varied feedback
+      schema: {
+        type: 'object',
+        required: ['annotations'],
+        properties: {
+          annotations: { type: 'array', items: { type: 'object' } }
+        }
+      }
     });
-
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`Claude API error: ${response.status} - ${errorData}`);
-    }
-
-    const data = await response.json();
-
-    // Parse Claude's response
-    const contentText = data.content[0].text;
-
-    // Extract JSON from response (Claude might wrap it in markdown)
-    let annotationsData;
-    try {
-      // Try to find JSON in markdown code block
-      const jsonMatch = contentText.match(/```json\n([\s\S]*?)\n```/) ||
-                        contentText.match(/```\n([\s\S]*?)\n```/) ||
-                        [null, contentText];
-
-      annotationsData = JSON.parse(jsonMatch[1] || contentText);
-    } catch (parseError) {
-      console.error('Failed to parse Claude response as JSON:', contentText);
-      throw new Error('Claude returned invalid JSON format');
-    }
-
-    // Calculate cost (approximate)
-    const inputTokens = data.usage.input_tokens;
-    const outputTokens = data.usage.output_tokens;
-    const cost = calculateCost(inputTokens, outputTokens);
+    const cost = usage.cost;
 
     // Calculate annotation type counts for stats
     const annotations = annotationsData.annotations || [];
@@ -297,24 +262,6 @@ Return JSON format with annotations array.`;
   }
 }
 
-/**
- * Calculate cost for Claude API usage
- * Based on Claude 3.5 Sonnet pricing
- *
- * @param {number} inputTokens - Input tokens used
- * @param {number} outputTokens - Output tokens used
- * @returns {number} Cost in USD
- */
-function calculateCost(inputTokens, outputTokens) {
-  const INPUT_PRICE_PER_1M = 3.00;   // $3 per 1M input tokens
-  const OUTPUT_PRICE_PER_1M = 15.00; // $15 per 1M output tokens
-
-  const inputCost = (inputTokens / 1_000_000) * INPUT_PRICE_PER_1M;
-  const outputCost = (outputTokens / 1_000_000) * OUTPUT_PRICE_PER_1M;
-
-  return inputCost + outputCost;
-}
-
 /**
  * Validate a single annotation object
  *
@@ -361,36 +308,20 @@ export function validateAnnotation(annotation) {
  *
  * @param {string} chapterText - The full text of the chapter
  * @param {number} chapterNumber - Chapter number
- * @param {Object} env - Environment with CLAUDE_API_KEY
+ * @param {Object} env - Environment bindings (LLM configuration)
  * @returns {Promise<string>} Chapter summary
  */
 export async function generateChapterSummary(chapterText, chapterNumber, env) {
   try {
-    const response = await fetch(CLAUDE_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.CLAUDE_API_KEY || CLAUDE_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 500,
-        temperature: 0.5,
-        system: 'You are a manuscript editor creating concise chapter summaries for continuity tracking.',
-        messages: [{
-          role: 'user',
-          content: `Summarize Chapter ${chapterNumber} in 2-3 sentences focusing on key plot points, character developments, and important details that might be referenced in later chapters:\n\n${chapterText.substring(0, 5000)}`
-        }]
-      })
+    const { text } = await createLLMClient(env).complete({
+      agent: 'ChapterSummary',
+      operation: 'generate_chapter_summary',
+      maxTokens: 500,
+      temperature: 0.5,
+      system: 'You are a manuscript editor creating concise chapter summaries for continuity tracking.',
+      prompt: `Summarize Chapter ${chapterNumber} in 2-3 sentences focusing on key plot points, character developments, and important details that might be referenced in later chapters:\n\n${chapterText.substring(0, 5000)}`
     });
-
-    if (!response.ok) {
-      throw new Error(`Claude API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.content[0].text;
+    return text;
 
   } catch (error) {
     console.error('Error generating chapter summary:', error);
@@ -12,7 +12,9 @@
  * - Covers: env.R2.getBucket('marketing_assets')
  */
 
-import { generateEPUB } from './epub-generator.js';
+import { generateValidatedEPUB } from './epub-generator.js';
+import { validateEPUBPackage, formatEPUBIssue, EPUBValidationError } from '../validators/epub-validator.js';
+import { extractManuscriptModel } from '../utils/manuscript-model.js';
 import crypto from 'crypto';
 
 /**
@@ -67,7 +69,6 @@ const KDP_SPECS = {
 export async function generateKDPPackage(params, env) {
   const {
     manuscriptId,
-    userId,
     metadata,
     epubKey,
     coverKey
@@ -77,7 +78,7 @@ export async function generateKDPPackage(params, env) {
     const packageId = `kdp-${crypto.randomUUID()}`;
     const files = {};
 
-    // 1. Get or generate EPUB file
+    // 1. Get or generate EPUB file (either way it must pass validation before it is packaged)
     let epubContent;
     if (epubKey) {
       // Use existing EPUB from formatting engine
@@ -85,30 +86,40 @@ export async function generateKDPPackage(params, env) {
       if (!epubContent) {
         throw new Error('EPUB file not found in storage');
       }
+      const epubBuffer = await epubContent.arrayBuffer();
+      const validation = await validateEPUBPackage(epubBuffer);
+      if (!validation.valid) {
+        throw new EPUBValidationError(validation);
+      }
       files.epub = {
         name: `${metadata.title}.epub`,
-        content: await epubContent.arrayBuffer(),
-        size: epubContent.size
+        content: epubBuffer,
+        size: epubContent.size,
+        validation
       };
     } else {
-      // Generate new EPUB
+      // Generate new EPUB from the manuscript file
       const manuscript = await getManuscript(manuscriptId, env);
-      const epubResult = await generateEPUB({
-        manuscriptId,
-        userId,
+      const manuscriptObj = await env.R2.getBucket('manuscripts_raw').get(manuscript.r2_key);
+      if (!manuscriptObj) {
+        throw new Error('Manuscript file not found in storage');
+      }
+      const model = await extractManuscriptModel(
+        await manuscriptObj.arrayBuffer(),
+        manuscriptObj.httpMetadata?.contentType || manuscript.file_type
+      );
+      const { buffer, validation } = await generateValidatedEPUB({
         title: metadata.title,
         author: metadata.author_name,
-        content: manuscript.content,
-        options: {
-          includeTableOfContents: true,
-          includeMetadata: true
-        }
-      }, env);
+        description: metadata.description || '',
+        model
+      });
 
       files.epub = {
         name: `${metadata.title}.epub`,
-        content: epubResult.buffer,
-        size: epubResult.buffer.byteLength
+        content: buffer,
+        size: buffer.length,
+        validation
       };
     }
 
@@ -597,6 +608,20 @@ export async function validateKDPPackage(params, env) {
             message: `EPUB file is ${sizeMB.toFixed(2)} MB (max: ${KDP_SPECS.MAX_FILE_SIZE_MB} MB)`
           });
         }
+
+        // Structure, content and font checks, with the file/line of each problem
+        const epubValidation = await validateEPUBPackage(await epubObject.arrayBuffer());
+        for (const [severity, epubIssues] of [['error', epubValidation.errors], ['warning', epubValidation.warnings]]) {
+          for (const issue of epubIssues) {
+            issues.push({
+              type: 'epub',
+              severity,
+              code: issue.code,
+              message: formatEPUBIssue(issue),
+              location: issue.file ? { file: issue.file, line: issue.line, column: issue.column } : null
+            });
+          }
+        }
       } else {
         issues.push({
           type: 'file_format',
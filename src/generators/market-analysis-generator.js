@@ -11,6 +11,8 @@ import crypto from 'crypto';
  * - Third-party data providers (Jungle Scout, Helium 10, etc.)
  */
 
+import { createLLMClient } from '../services/llm-client.js';
+
 /**
  * Simulate Amazon comp title search
  * In production, replace with actual Amazon API or web scraping
@@ -513,46 +515,23 @@ Generate a comprehensive market analysis report with:
 
 Format in markdown with clear sections and bullet points.`;
 
-  const apiUrl = 'https://api.anthropic.com/v1/messages';
-  const requestBody = {
-    model: 'claude-3-5-sonnet-20241022',
-    max_tokens: 4000,
-    temperature: 0.7,
+  const llm = createLLMClient(env);
+  const { text: reportText, usage } = await llm.complete({
+    agent: 'MarketAnalysisGenerator',
+    operation: 'generate_market_report',
     system: systemPrompt,
-    messages: [
-      {
-        role: 'user',
-        content: userPrompt
-      }
-    ]
-  };
-
-  const response = await fetch(apiUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': env.ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify(requestBody)
+    prompt: userPrompt,
+    maxTokens: 4000,
+    temperature: 0.7
   });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Claude API error: ${response.status} - ${errorText}`);
-  }
-
-  const result = await response.json();
-  const reportText = result.content[0].text;
-
   // Extract executive summary (first section)
   const summaryMatch = reportText.match(/##\s*Executive Summary\s*\n\n([\s\S]*?)(?=\n##|$)/i);
   const summary = summaryMatch ? summaryMatch[1].trim() : reportText.substring(0, 500);
 
-  // Calculate cost
-  const inputTokens = result.usage.input_tokens;
-  const outputTokens = result.usage.output_tokens;
-  const cost = (inputTokens / 1000000 * 3.00) + (outputTokens / 1000000 * 15.00);
+  const cost = usage.cost;
+  const inputTokens = usage.inputTokens;
+  const outputTokens = usage.outputTokens;
 
   return {
     report: reportText,
@@ -5,8 +5,7 @@
  * Issue #45: https://github.com/scarter4work/manuscript-platform/issues/45
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import { callClaudeWithCostTracking } from '../utils/agent-utils.js';
+import { createLLMClient } from '../services/llm-client.js';
 import crypto from 'crypto';
 
 /**
@@ -268,33 +267,20 @@ Return JSON format:
   ]
 }`;
 
-  const response = await callClaudeWithCostTracking(
-    env,
-    [{ role: 'user', content: prompt }],
-    {
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 2000,
-      temperature: 0.8
-    },
-    'social-media-generation',
-    null,
-    {
-      operation: 'social_posts_generation',
-      platform,
-      genre
-    }
-  );
-
-  // Parse JSON response
-  const jsonText = response.content[0].text.trim();
-  const cleanJson = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-  const parsed = JSON.parse(cleanJson);
+  const llm = createLLMClient(env, { track: { featureName: 'social-media-generation' } });
+  const { data: parsed, usage } = await llm.completeJSON({
+    agent: 'MarketingContentGenerator',
+    operation: 'social_posts_generation',
+    prompt,
+    maxTokens: 2000,
+    temperature: 0.8
+  });
 
   return {
     platform,
     posts: parsed.posts || [],
-    cost: response.cost,
-    tokensUsed: response.usage.input_tokens + response.usage.output_tokens
+    cost: usage.cost,
+    tokensUsed: usage.inputTokens + usage.outputTokens
   };
 }
 
@@ -339,30 +325,19 @@ Return JSON format:
   "wordCount": 500
 }`;
 
-  const response = await callClaudeWithCostTracking(
-    env,
-    [{ role: 'user', content: prompt }],
-    {
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 2000,
-      temperature: 0.7
-    },
-    'email-template-generation',
-    null,
-    {
-      operation: 'launch_email_generation',
-      genre
-    }
-  );
-
-  const jsonText = response.content[0].text.trim();
-  const cleanJson = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-  const parsed = JSON.parse(cleanJson);
+  const llm = createLLMClient(env, { track: { featureName: 'email-template-generation' } });
+  const { data: parsed, usage } = await llm.completeJSON({
+    agent: 'MarketingContentGenerator',
+    operation: 'launch_email_generation',
+    prompt,
+    maxTokens: 2000,
+    temperature: 0.7
+  });
 
   return {
     ...parsed,
-    cost: response.cost,
-    tokensUsed: response.usage.input_tokens + response.usage.output_tokens
+    cost: usage.cost,
+    tokensUsed: usage.inputTokens + usage.outputTokens
   };
 }
 
@@ -407,30 +382,19 @@ Return JSON with 30 items:
   ]
 }`;
 
-  const response = await callClaudeWithCostTracking(
-    env,
-    [{ role: 'user', content: prompt }],
-    {
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 3000,
-      temperature: 0.7
-    },
-    'content-calendar-generation',
-    null,
-    {
-      operation: 'content_calendar_generation',
-      genre
-    }
-  );
-
-  const jsonText = response.content[0].text.trim();
-  const cleanJson = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-  const parsed = JSON.parse(cleanJson);
+  const llm = createLLMClient(env, { track: { featureName: 'content-calendar-generation' } });
+  const { data: parsed, usage } = await llm.completeJSON({
+    agent: 'MarketingContentGenerator',
+    operation: 'content_calendar_generation',
+    prompt,
+    maxTokens: 3000,
+    temperature: 0.7
+  });
 
   return {
     items: parsed.calendar || [],
-    cost: response.cost,
-    tokensUsed: response.usage.input_tokens + response.usage.output_tokens
+    cost: usage.cost,
+    tokensUsed: usage.inputTokens + usage.outputTokens
   };
 }
 
@@ -483,30 +447,19 @@ Return JSON format:
   "wordCount": 180
 }`;
 
-  const response = await callClaudeWithCostTracking(
-    env,
-    [{ role: 'user', content: prompt }],
-    {
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 2000,
-      temperature: 0.8
-    },
-    'trailer-script-generation',
-    null,
-    {
-      operation: 'trailer_script_generation',
-      genre
-    }
-  );
-
-  const jsonText = response.content[0].text.trim();
-  const cleanJson = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-  const parsed = JSON.parse(cleanJson);
+  const llm = createLLMClient(env, { track: { featureName: 'trailer-script-generation' } });
+  const { data: parsed, usage } = await llm.completeJSON({
+    agent: 'MarketingContentGenerator',
+    operation: 'trailer_script_generation',
+    prompt,
+    maxTokens: 2000,
+    temperature: 0.8
+  });
 
   return {
     ...parsed,
-    cost: response.cost,
-    tokensUsed: response.usage.input_tokens + response.usage.output_tokens
+    cost: usage.cost,
+    tokensUsed: usage.inputTokens + usage.outputTokens
   };
 }
 
@@ -554,30 +507,19 @@ Return JSON format:
   ]
 }`;
 
-  const response = await callClaudeWithCostTracking(
-    env,
-    [{ role: 'user', content: prompt }],
-    {
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 2000,
-      temperature: 0.8
-    },
-    'reader-magnets-generation',
-    null,
-    {
-      operation: 'reader_magnets_generation',
-      genre
-    }
-  );
-
-  const jsonText = response.content[0].text.trim();
-  const cleanJson = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-  const parsed = JSON.parse(cleanJson);
+  const llm = createLLMClient(env, { track: { featureName: 'reader-magnets-generation' } });
+  const { data: parsed, usage } = await llm.completeJSON({
+    agent: 'MarketingContentGenerator',
+    operation: 'reader_magnets_generation',
+    prompt,
+    maxTokens: 2000,
+    temperature: 0.8
+  });
 
   return {
     ideas: parsed.magnets || [],
-    cost: response.cost,
-    tokensUsed: response.usage.input_tokens + response.usage.output_tokens
+    cost: usage.cost,
+    tokensUsed: usage.inputTokens + usage.outputTokens
   };
 }
 
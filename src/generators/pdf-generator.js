@@ -4,11 +4,26 @@
  * Generates print-ready PDFs with proper margins, bleeds, and trim sizes
  * for platforms like IngramSpark and Amazon KDP Print
  *
- * Uses pdf-lib which is Workers-compatible
+ * Interiors are typeset like a trade paperback:
+ * - Justified paragraphs broken with Knuth-Plass (utils/line-breaker.js),
+ *   hyphenated, with first-line indents and a drop cap opening each chapter
+ * - No widows or orphans: a paragraph never leaves a single line at the
+ *   bottom or top of a page
+ * - Mirrored margins with an inside (gutter) margin that grows with the
+ *   page count, as KDP and IngramSpark require
+ * - Running heads (author on the left page, title on the right) and folios
+ * - Title page, copyright page and a table of contents with real page
+ *   numbers; the body starts on a right-hand page numbered 1
+ *
+ * Uses pdf-lib which is Workers-compatible. Authors can supply their own
+ * TTF/OTF fonts; the standard Times family is used otherwise.
  */
 
 import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
-import mammoth from 'mammoth';
+import fontkit from '@pdf-lib/fontkit';
+import { buildModelFromDOCX } from '../utils/manuscript-model.js';
+import { buildParagraphItems, breakParagraph, positionLine, measureLine } from '../utils/line-breaker.js';
+import { ValidationError } from '../utils/error-handling.js';
 
 /**
  * Standard trim sizes in points (72 points = 1 inch)
@@ -25,155 +40,780 @@ export const TRIM_SIZES = {
 };
 
 /**
- * Parse DOCX to extract text content for PDF
+ * Minimum gutter by page count (KDP print guidelines), in inches.
+ * The inside margin is the gutter plus PRINT_LAYOUT.INSIDE_MARGIN.
  */
-async function parseDocxForPDF(docxBuffer) {
-  try {
-    const result = await mammoth.extractRawText({ buffer: docxBuffer });
-    const text = result.value;
-
-    // Split by double line breaks or "Chapter" headings
-    const chapterRegex = /(Chapter\s+\d+[^\n]*\n)/gi;
-    const parts = text.split(chapterRegex);
-
-    const chapters = [];
-    for (let i = 0; i < parts.length; i++) {
-      if (parts[i].match(/Chapter\s+\d+/i)) {
-        const title = parts[i].trim();
-        const content = parts[i + 1] || '';
-        chapters.push({ title, content: content.trim() });
-        i++; // Skip the content part since we already processed it
-      }
-    }
+export const GUTTER_MARGINS = [
+  { maxPages: 150, inches: 0.375 },
+  { maxPages: 300, inches: 0.5 },
+  { maxPages: 500, inches: 0.625 },
+  { maxPages: 700, inches: 0.75 },
+  { maxPages: Infinity, inches: 0.875 },
+];
+
+export const PRINT_LAYOUT = {
+  MARGIN_TOP: 0.75 * 72,
+  MARGIN_BOTTOM: 0.75 * 72,
+  MARGIN_OUTSIDE: 0.5 * 72,
+  INSIDE_MARGIN: 0.25 * 72,   // Added to the gutter
+  HEADER_BASELINE: 0.5 * 72,  // Running head, from the top trim edge
+  FOLIO_BASELINE: 0.4 * 72,   // Page number, from the bottom trim edge
+  LEADING: 1.35,              // Line height as a multiple of the font size
+  INDENT_EMS: 1.5,
+  DROP_CAP_LINES: 3,
+  CAP_HEIGHT: 0.7,            // Approximate cap height as a share of the font size
+  CHAPTER_SINK: 0.25,         // Chapter titles start a quarter of the way down
+  SCENE_BREAK: '*   *   *',
+};
 
-    if (chapters.length === 0) {
-      // No chapter headings found, treat as single chapter
-      chapters.push({
-        title: 'Chapter 1',
-        content: text
-      });
-    }
+const BLACK = rgb(0, 0, 0);
 
-    return { chapters };
-  } catch (error) {
-    console.error('[PDF] Error parsing DOCX:', error);
+/**
+ * Gutter (in points) for a book of the given page count
+ */
+export function getGutterMargin(pageCount) {
+  const row = GUTTER_MARGINS.find(entry => pageCount <= entry.maxPages);
+  return row.inches * 72;
+}
+
+/**
+ * Page geometry for a trim size and page count
+ *
+ * With bleed, pages are 0.125" wider (outside edge only) and 0.25" taller;
+ * the inside edge is bound and never bleeds.
+ *
+ * @returns {Object} Dimensions in points; baselines are measured from the
+ *   bottom trim edge, x from the left edge of the text block
+ */
+export function getPageGeometry(trimSize, pageCount, { bleed = 0, fontSize = null, leading = PRINT_LAYOUT.LEADING } = {}) {
+  const size = TRIM_SIZES[trimSize] || TRIM_SIZES['6x9'];
+  const bodySize = fontSize || (size.width >= 7 * 72 ? 12 : 11);
+  const gutter = getGutterMargin(pageCount);
+  const inside = gutter + PRINT_LAYOUT.INSIDE_MARGIN;
+  const outside = PRINT_LAYOUT.MARGIN_OUTSIDE;
+  const textHeight = size.height - PRINT_LAYOUT.MARGIN_TOP - PRINT_LAYOUT.MARGIN_BOTTOM;
+  const lineHeight = bodySize * leading;
+
+  return {
+    trimWidth: size.width,
+    trimHeight: size.height,
+    pageWidth: size.width + bleed,
+    pageHeight: size.height + bleed * 2,
+    bleed,
+    gutter,
+    inside,
+    outside,
+    top: PRINT_LAYOUT.MARGIN_TOP,
+    bottom: PRINT_LAYOUT.MARGIN_BOTTOM,
+    textWidth: size.width - inside - outside,
+    textHeight,
+    fontSize: bodySize,
+    leading: lineHeight,
+    linesPerPage: Math.floor((textHeight - bodySize) / lineHeight) + 1,
+    firstBaseline: size.height - PRINT_LAYOUT.MARGIN_TOP - bodySize,
+  };
+}
+
+/**
+ * How many of a paragraph's remaining lines go on the current page
+ * Leaves at least two lines on each side of a page break (no orphans at the
+ * bottom, no widows at the top). Returns 0 to move the paragraph on.
+ */
+export function linesToPlace(total, available, { orphans = 2, widows = 2 } = {}) {
+  if (total <= available) {
+    return total;
+  }
+  let count = available;
+  if (total - count < widows) {
+    count = total - widows;
+  }
+  return count < orphans ? 0 : count;
+}
+
+/**
+ * Normalize chapters into layout blocks of styled spans
+ * Accepts either a manuscript document model or legacy {title, content} chapters
+ * (plain text with paragraphs separated by blank lines).
+ *
+ * @returns {Array<Object>} [{ title, kind, blocks: [{ type, spans }] }]
+ */
+function toLayoutChapters(chapters, model) {
+  if ((!chapters || chapters.length === 0) && model) {
+    // A typed contents page has no valid page numbers in the typeset book
+    return model.chapters.filter(chapter => chapter.label !== 'contents').map(chapter => ({
+      title: chapter.title || (model.chapters.length === 1 ? (model.title || 'Chapter 1') : `Chapter ${chapter.number}`),
+      kind: chapter.kind || 'chapter',
+      blocks: chapter.scenes.flatMap((scene, index) => [
+        ...(index > 0 ? [{ type: 'scene-break', spans: [] }] : []),
+        ...scene.paragraphs.map(paragraph => ({ type: paragraph.type, spans: paragraph.spans }))
+      ])
+    }));
+  }
+
+  return (chapters || []).map(chapter => ({
+    title: chapter.title,
+    kind: chapter.kind || 'chapter',
+    blocks: String(chapter.content || '')
+      .split(/\n\n+/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .map(paragraph => /^(?:[*#~]\s*){1,5}$/.test(paragraph)
+        ? { type: 'scene-break', spans: [] }
+        : { type: 'paragraph', spans: [{ text: paragraph.replace(/\s+/g, ' ') }] })
+  }));
+}
+
+/**
+ * Embed the body fonts: custom TTF/OTF files when given, Times otherwise
+ * Missing custom styles fall back to the closest supplied one.
+ *
+ * @param {Object} customFonts - { regular, italic, bold, boldItalic } font file bytes
+ */
+async function embedFonts(pdfDoc, customFonts) {
+  if (!customFonts || !customFonts.regular) {
+    if (customFonts && Object.values(customFonts).some(Boolean)) {
+      throw new ValidationError('A regular font file is required when using custom fonts');
+    }
     return {
-      chapters: [{
-        title: 'Chapter 1',
-        content: 'Content extraction failed. Please ensure the manuscript is a valid DOCX file.'
-      }]
+      regular: await pdfDoc.embedFont(StandardFonts.TimesRoman),
+      italic: await pdfDoc.embedFont(StandardFonts.TimesRomanItalic),
+      bold: await pdfDoc.embedFont(StandardFonts.TimesRomanBold),
+      boldItalic: await pdfDoc.embedFont(StandardFonts.TimesRomanBoldItalic),
     };
   }
+
+  pdfDoc.registerFontkit(fontkit);
+  const embedded = {};
+  for (const style of ['regular', 'italic', 'bold', 'boldItalic']) {
+    if (!customFonts[style]) {
+      continue;
+    }
+    try {
+      embedded[style] = await pdfDoc.embedFont(customFonts[style], { subset: true });
+    } catch (error) {
+      throw new ValidationError(`Could not read the ${style} font file: ${error.message}`);
+    }
+  }
+
+  return {
+    regular: embedded.regular,
+    italic: embedded.italic || embedded.regular,
+    bold: embedded.bold || embedded.regular,
+    boldItalic: embedded.boldItalic || embedded.bold || embedded.italic || embedded.regular,
+  };
+}
+
+function styleKey(style) {
+  if (style?.bold && style?.italic) return 'boldItalic';
+  if (style?.bold) return 'bold';
+  if (style?.italic) return 'italic';
+  return 'regular';
 }
 
 /**
- * Generate print PDF with specific formatting
- *
- * @param {Object} options - PDF generation options
- * @returns {Promise<Buffer>} - PDF buffer
+ * Measuring and text cleanup shared by layout and drawing
+ * Characters a font cannot draw are replaced so pdf-lib never throws mid-book.
  */
-export async function generatePrintPDF(options) {
-  const {
-    title = 'Untitled',
-    author = 'Unknown Author',
-    trimSize = '6x9',
-    chapters = [],
-    bleed = 0,
-  } = options;
+function createTextContext(fonts) {
+  const charsets = {};
+  const widths = new Map();
+
+  const clean = (text, key) => {
+    charsets[key] = charsets[key] || new Set(fonts[key].getCharacterSet());
+    let result = '';
+    for (const char of text) {
+      result += charsets[key].has(char.codePointAt(0)) ? char : (/\s/.test(char) ? ' ' : '?');
+    }
+    return result;
+  };
 
-  const size = TRIM_SIZES[trimSize] || TRIM_SIZES['6x9'];
-  const pdfDoc = await PDFDocument.create();
+  const measure = (text, style, size) => {
+    const key = styleKey(style);
+    const cacheKey = `${key}|${size}|${text}`;
+    if (!widths.has(cacheKey)) {
+      widths.set(cacheKey, fonts[key].widthOfTextAtSize(clean(text, key), size));
+    }
+    return widths.get(cacheKey);
+  };
 
-  // Set PDF metadata
-  pdfDoc.setTitle(title);
-  pdfDoc.setAuthor(author);
-  pdfDoc.setCreator('ManuscriptHub PDF Generator');
+  return { fonts, clean, measure };
+}
+
+/**
+ * Break spans into positioned lines
+ *
+ * @returns {Array<Object>} [{ boxes: [{ text, style, x }], width }] where
+ *   width is the natural width (for centering ragged lines)
+ */
+function setLines(text, spans, { size, widths, indent = 0, justify = true, method = 'optimal', hyphenate = true }) {
+  const items = buildParagraphItems(spans, {
+    measure: (value, style) => text.measure(value, style, size),
+    indent,
+    hyphenate,
+  });
+  if (!items.some(item => item.type === 'box' && item.text)) {
+    return [];
+  }
 
-  // Embed standard font
-  const font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-  const boldFont = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
-
-  // Page dimensions
-  const pageWidth = size.width + (bleed * 2);
-  const pageHeight = size.height + (bleed * 2);
-  const margin = 54 + bleed; // 0.75" margins + bleed
-  const textWidth = pageWidth - (margin * 2);
-  const textHeight = pageHeight - (margin * 2);
-
-  for (const chapter of chapters) {
-    // Add chapter title page
-    let page = pdfDoc.addPage([pageWidth, pageHeight]);
-    let yPosition = pageHeight - margin - 100;
-
-    page.drawText(chapter.title, {
-      x: pageWidth / 2 - (chapter.title.length * 6),
-      y: yPosition,
-      size: 18,
-      font: boldFont,
-      color: rgb(0, 0, 0),
+  return breakParagraph(items, widths, { method: justify ? method : 'greedy' }).map(line => {
+    const boxes = [];
+    for (const box of positionLine(line, { justify })) {
+      const key = styleKey(box.style);
+      const previous = boxes[boxes.length - 1];
+      // Join syllables and cross-span fragments that touch into one text run
+      if (previous && previous.style === key && Math.abs(previous.x + previous.width - box.x) < 0.01) {
+        previous.text += box.text;
+        previous.width += box.width;
+      } else {
+        boxes.push({ text: box.text, style: key, x: box.x, width: box.width });
+      }
+    }
+    return { boxes, width: measureLine(line) };
+  });
+}
+
+/**
+ * Draw operations for centered ragged lines
+ */
+function centeredLines(text, value, { size, style = {}, width, y, leading }) {
+  const ops = [];
+  setLines(text, [{ text: value, ...style }], { size, widths: width, justify: false, hyphenate: false })
+    .forEach((line, index) => {
+      const offset = (width - line.width) / 2;
+      for (const box of line.boxes) {
+        ops.push({ text: box.text, style: box.style, size, x: offset + box.x, y: y - index * leading });
+      }
     });
+  return ops;
+}
 
-    yPosition -= 60;
+/**
+ * Split the first letter (with any opening quotes) off a paragraph for a drop cap
+ */
+function extractDropCap(spans) {
+  const index = spans.findIndex(span => /\S/.test(span.text || ''));
+  if (index === -1) {
+    return null;
+  }
+  const match = spans[index].text.match(/^\s*([^\p{L}\p{N}\s]*[\p{L}\p{N}])/u);
+  if (!match) {
+    return null;
+  }
 
-    // Split chapter content into paragraphs
-    const paragraphs = chapter.content.split(/\n\n+/);
+  const rest = spans.slice();
+  rest[index] = { ...spans[index], text: spans[index].text.slice(match[0].length) };
+  return { text: match[1], style: { bold: spans[index].bold, italic: spans[index].italic }, spans: rest };
+}
 
-    for (const paragraph of paragraphs) {
-      if (!paragraph.trim()) continue;
+/**
+ * Lay out the chapters onto body pages
+ *
+ * @returns {{ pages: Array<Object>, contents: Array<Object> }} contents holds
+ *   each chapter's title and body page number
+ */
+function layoutBody(chapters, text, geometry, options) {
+  const { fontSize, leading, textWidth, linesPerPage, firstBaseline } = geometry;
+  const pages = [];
+  const contents = [];
+  const indent = fontSize * PRINT_LAYOUT.INDENT_EMS;
+  const titleSize = fontSize * 1.6;
+  let page = null;
+  let slot = 0;
+
+  const newPage = (kind = 'body') => {
+    page = { kind, ops: [] };
+    pages.push(page);
+    slot = 0;
+  };
+  const remaining = () => (page ? linesPerPage - slot : 0);
+  const baseline = line => firstBaseline - line * leading;
+  const startOnRecto = () => {
+    if (pages.length % 2 === 1) {
+      pages.push({ kind: 'blank', ops: [] });
+    }
+  };
 
-      // Word wrap
-      const words = paragraph.split(/\s+/);
-      let line = '';
-      const fontSize = 12;
-      const lineHeight = fontSize * 1.5;
+  const drawLine = (line, y, x) => {
+    for (const box of line.boxes) {
+      page.ops.push({ text: box.text, style: box.style, size: fontSize, x: x + box.x, y });
+    }
+  };
 
-      for (const word of words) {
-        const testLine = line + word + ' ';
-        const textWidth = font.widthOfTextAtSize(testLine, fontSize);
+  /**
+   * Place a paragraph's lines, moving to new pages with widow/orphan control
+   */
+  const placeParagraph = (lines, { inset = 0, dropCap = null }) => {
+    let index = 0;
+    while (index < lines.length) {
+      if (remaining() <= 0) {
+        newPage();
+      }
 
-        if (textWidth > textWidth && line !== '') {
-          // Draw line
-          page.drawText(line.trim(), {
-            x: margin,
-            y: yPosition,
-            size: fontSize,
-            font: font,
-            color: rgb(0, 0, 0),
-          });
+      const total = lines.length - index;
+      let count = slot === 0 ? Math.min(total, remaining()) : linesToPlace(total, remaining());
+      // The lines beside a drop cap stay together
+      if (dropCap && index === 0 && slot > 0 && count < Math.min(dropCap.lines, lines.length)) {
+        count = 0;
+      }
+      if (count === 0) {
+        newPage();
+        continue;
+      }
 
-          line = word + ' ';
-          yPosition -= lineHeight;
+      if (dropCap && index === 0) {
+        page.ops.push({
+          text: dropCap.text,
+          style: styleKey(dropCap.style),
+          size: dropCap.size,
+          x: inset,
+          y: baseline(slot + dropCap.lines - 1),
+        });
+      }
 
-          // Check if we need a new page
-          if (yPosition < margin + 50) {
-            page = pdfDoc.addPage([pageWidth, pageHeight]);
-            yPosition = pageHeight - margin;
-          }
-        } else {
-          line = testLine;
-        }
+      for (let line = 0; line < count; line++, index++) {
+        const besideDropCap = dropCap && index < dropCap.lines;
+        drawLine(lines[index], baseline(slot), inset + (besideDropCap ? dropCap.width : 0));
+        slot++;
+      }
+    }
+
+    // A short paragraph still clears the drop cap
+    if (dropCap && lines.length < dropCap.lines) {
+      slot += dropCap.lines - lines.length;
+    }
+  };
+
+  chapters.forEach((chapter, chapterIndex) => {
+    const title = chapter.title || `Chapter ${chapterIndex + 1}`;
+
+    if (chapter.kind === 'part') {
+      // Part titles stand alone on a right-hand page
+      startOnRecto();
+      newPage('part');
+      contents.push({ title, page: pages.length, kind: chapter.kind });
+      page.ops.push(...centeredLines(text, title, {
+        size: titleSize * 1.25, width: textWidth, y: baseline(Math.floor(linesPerPage / 3)), leading: leading * 2,
+      }));
+      if (chapter.blocks.length === 0) {
+        return;
       }
+      startOnRecto();
+    } else if (options.chaptersOnRecto) {
+      startOnRecto();
+    }
+
+    newPage('opener');
+    if (chapter.kind !== 'part') {
+      contents.push({ title, page: pages.length, kind: chapter.kind });
+    }
+
+    slot = Math.round(linesPerPage * PRINT_LAYOUT.CHAPTER_SINK);
+    const titleOps = centeredLines(text, title, { size: titleSize, width: textWidth, y: baseline(slot + 1), leading: leading * 2 });
+    page.ops.push(...titleOps);
+    slot += 2 * new Set(titleOps.map(op => op.y)).size + 2;
 
-      // Draw remaining line
-      if (line.trim()) {
-        page.drawText(line.trim(), {
-          x: margin,
-          y: yPosition,
+    let sectionStart = true;
+    let dropCapPending = options.dropCaps && chapter.kind === 'chapter';
+
+    for (const block of chapter.blocks) {
+      if (block.type === 'scene-break') {
+        // Never leave the ornament as the last thing on a page
+        if (remaining() < 3) {
+          newPage();
+        }
+        const markerWidth = text.measure(PRINT_LAYOUT.SCENE_BREAK, {}, fontSize);
+        page.ops.push({
+          text: PRINT_LAYOUT.SCENE_BREAK,
+          style: 'regular',
           size: fontSize,
-          font: font,
-          color: rgb(0, 0, 0),
+          x: (textWidth - markerWidth) / 2,
+          y: baseline(slot + 0.5),
         });
-        yPosition -= lineHeight * 1.5; // Extra space between paragraphs
+        slot += 2;
+        sectionStart = true;
+        continue;
       }
 
-      // Check if we need a new page
-      if (yPosition < margin + 50) {
-        page = pdfDoc.addPage([pageWidth, pageHeight]);
-        yPosition = pageHeight - margin;
+      if (block.type === 'heading') {
+        const lines = setLines(text, block.spans.map(span => ({ ...span, bold: true })), {
+          size: fontSize, widths: textWidth, justify: false, hyphenate: false,
+        });
+        if (lines.length === 0) {
+          continue;
+        }
+        // Keep headings with the first two lines that follow
+        if (slot > 0 && remaining() > 0) {
+          slot++;
+        }
+        if (remaining() < lines.length + 2) {
+          newPage();
+        }
+        for (const line of lines) {
+          drawLine(line, baseline(slot), (textWidth - line.width) / 2);
+          slot++;
+        }
+        sectionStart = true;
+        continue;
       }
+
+      const inset = block.type === 'blockquote' || block.type === 'list-item' ? fontSize * 2 : 0;
+      const width = textWidth - inset * (block.type === 'blockquote' ? 2 : 1);
+      let spans = block.type === 'list-item' ? [{ text: '• ' }, ...block.spans] : block.spans;
+
+      let dropCap = null;
+      if (dropCapPending && !inset) {
+        const extracted = extractDropCap(spans);
+        if (extracted) {
+          const lines = PRINT_LAYOUT.DROP_CAP_LINES;
+          const size = ((lines - 1) * leading + PRINT_LAYOUT.CAP_HEIGHT * fontSize) / PRINT_LAYOUT.CAP_HEIGHT;
+          dropCap = {
+            ...extracted,
+            lines,
+            size,
+            width: text.measure(extracted.text, extracted.style, size) + fontSize * 0.25,
+          };
+          spans = extracted.spans;
+        }
+      }
+      dropCapPending = dropCapPending && !dropCap && Boolean(inset);
+
+      const lines = setLines(text, spans, {
+        size: fontSize,
+        widths: dropCap ? [...Array(dropCap.lines).fill(width - dropCap.width), width] : width,
+        indent: sectionStart || inset ? 0 : indent,
+        method: options.justification,
+        hyphenate: options.hyphenate,
+      });
+      if (lines.length === 0 && !dropCap) {
+        continue;
+      }
+
+      placeParagraph(lines.length > 0 ? lines : [{ boxes: [], width: 0 }], { inset, dropCap });
+      sectionStart = false;
+    }
+  });
+
+  return { pages, contents };
+}
+
+/**
+ * Title page: title and subtitle a third of the way down, author below,
+ * publisher at the foot
+ */
+function layoutTitlePage(text, geometry, { title, subtitle, author, publisher }) {
+  const { fontSize, textWidth, trimHeight, bottom } = geometry;
+  const ops = [];
+  const titleSize = fontSize * 2.4;
+  const titleOps = centeredLines(text, title, { size: titleSize, width: textWidth, y: trimHeight * 0.68, leading: titleSize * 1.2 });
+  ops.push(...titleOps);
+
+  let y = Math.min(...titleOps.map(op => op.y), trimHeight * 0.68) - titleSize * 1.2;
+  if (subtitle) {
+    const subtitleOps = centeredLines(text, subtitle, {
+      size: fontSize * 1.3, style: { italic: true }, width: textWidth, y, leading: fontSize * 1.7,
+    });
+    ops.push(...subtitleOps);
+    y = Math.min(...subtitleOps.map(op => op.y)) - fontSize * 1.7;
+  }
+
+  ops.push(...centeredLines(text, author, {
+    size: fontSize * 1.4, width: textWidth, y: Math.min(y - fontSize * 4, trimHeight * 0.45), leading: fontSize * 1.8,
+  }));
+
+  if (publisher) {
+    ops.push(...centeredLines(text, publisher, { size: fontSize * 0.9, width: textWidth, y: bottom + fontSize, leading: fontSize * 1.2 }));
+  }
+
+  return { kind: 'title', ops };
+}
+
+/**
+ * Copyright page: small ragged paragraphs set at the foot of the page
+ */
+function layoutCopyrightPage(text, geometry, { title, author, year, isbn, publisher, edition, copyright }) {
+  const size = geometry.fontSize * 0.8;
+  const leading = geometry.leading * 0.8;
+  const paragraphs = copyright
+    ? String(copyright).split(/\n\s*\n/)
+    : [
+      `${title}`,
+      `Copyright © ${year} ${author}`,
+      'All rights reserved. No part of this book may be reproduced in any form or by any electronic or mechanical means, including information storage and retrieval systems, without written permission from the author, except for the use of brief quotations in a book review.',
+      'This is a work of fiction. Names, characters, places and incidents are the product of the author\'s imagination or are used fictitiously.',
+    ];
+  if (isbn) paragraphs.push(`ISBN: ${isbn}`);
+  if (publisher) paragraphs.push(`Published by ${publisher}`);
+  if (edition) paragraphs.push(edition);
+
+  const rows = [];
+  paragraphs.forEach((paragraph, index) => {
+    if (index > 0) rows.push(null);
+    rows.push(...setLines(text, [{ text: paragraph.replace(/\s+/g, ' ').trim() }], {
+      size, widths: geometry.textWidth, justify: false, hyphenate: false,
+    }));
+  });
+
+  const ops = [];
+  const top = geometry.bottom + (rows.length - 1) * leading;
+  rows.forEach((row, index) => {
+    for (const box of row?.boxes || []) {
+      ops.push({ text: box.text, style: box.style, size, x: box.x, y: top - index * leading });
+    }
+  });
+  return { kind: 'copyright', ops };
+}
+
+/**
+ * Table of contents with dot leaders and right-aligned page numbers
+ */
+function layoutContents(text, geometry, contents) {
+  const { fontSize, leading, textWidth, linesPerPage, firstBaseline } = geometry;
+  const pages = [];
+  const baseline = line => firstBaseline - line * leading;
+  const titleSize = fontSize * 1.6;
+  const dotWidth = text.measure('. ', {}, fontSize);
+
+  let page = { kind: 'contents', ops: [] };
+  pages.push(page);
+  let slot = Math.round(linesPerPage * PRINT_LAYOUT.CHAPTER_SINK);
+  page.ops.push(...centeredLines(text, 'Contents', { size: titleSize, width: textWidth, y: baseline(slot + 1), leading }));
+  slot += 4;
+
+  for (const entry of contents) {
+    const number = String(entry.page);
+    const numberWidth = text.measure(number, {}, fontSize);
+    const lines = setLines(text, [{ text: entry.title, bold: entry.kind === 'part' }], {
+      size: fontSize, widths: textWidth - numberWidth - fontSize * 2, justify: false, hyphenate: false,
+    });
+
+    if (linesPerPage - slot < lines.length) {
+      page = { kind: 'contents', ops: [] };
+      pages.push(page);
+      slot = 0;
+    }
+
+    lines.forEach((line, index) => {
+      for (const box of line.boxes) {
+        page.ops.push({ text: box.text, style: box.style, size: fontSize, x: box.x, y: baseline(slot) });
+      }
+      if (index === lines.length - 1) {
+        const leaderStart = line.width + fontSize * 0.5;
+        const dots = Math.floor((textWidth - numberWidth - fontSize * 0.5 - leaderStart) / dotWidth);
+        if (dots > 1) {
+          page.ops.push({
+            text: '. '.repeat(dots).trim(),
+            style: 'regular',
+            size: fontSize,
+            x: textWidth - numberWidth - fontSize * 0.5 - dots * dotWidth,
+            y: baseline(slot),
+          });
+        }
+        page.ops.push({ text: number, style: 'regular', size: fontSize, x: textWidth - numberWidth, y: baseline(slot) });
+      }
+      slot++;
+    });
+  }
+
+  return pages;
+}
+
+/**
+ * Lay out the whole book: front matter, then the body starting on a
+ * right-hand page, padded to an even page count
+ */
+function layoutBook(chapters, text, geometry, options) {
+  const body = layoutBody(chapters, text, geometry, options);
+  const front = [];
+  const padTo = parity => {
+    if (front.length % 2 !== parity) {
+      front.push({ kind: 'blank', ops: [] });
+    }
+  };
+
+  if (options.includeTitlePage) {
+    front.push(layoutTitlePage(text, geometry, options));
+  }
+  if (options.includeCopyright) {
+    padTo(1); // Copyright goes on the back of the title page
+    front.push(layoutCopyrightPage(text, geometry, options));
+  }
+  if (options.includeTOC && body.contents.length > 0) {
+    padTo(0);
+    front.push(...layoutContents(text, geometry, body.contents));
+  }
+  padTo(0);
+
+  // Running heads and folios on body pages (page 1 is the first body page)
+  body.pages.forEach((page, index) => {
+    if (page.kind === 'body' || page.kind === 'opener') {
+      page.folio = String(index + 1);
+    }
+    if (page.kind === 'body') {
+      page.header = index % 2 === 0 ? options.title : options.author;
+    }
+  });
+
+  const pages = [...front, ...body.pages];
+  if (pages.length % 2 === 1) {
+    pages.push({ kind: 'blank', ops: [] });
+  }
+  return { pages, contents: body.contents, frontMatterPages: front.length };
+}
+
+/**
+ * Draw laid-out pages into the PDF with mirrored margins
+ * Odd pages (1, 3, ...) are right-hand pages with the gutter on the left.
+ */
+function renderPages(pdfDoc, pages, text, geometry) {
+  const { pageWidth, pageHeight, trimWidth, trimHeight, bleed, inside, outside, textWidth, fontSize } = geometry;
+  const headSize = fontSize * 0.8;
+
+  const fitText = (value, key, size) => {
+    let result = text.clean(value, key);
+    while (result.length > 1 && text.fonts[key].widthOfTextAtSize(result, size) > textWidth) {
+      result = `${result.slice(0, -2).trimEnd()}…`.replace(/…+$/, '…');
+      result = text.clean(result, key);
     }
+    return result;
+  };
+
+  pages.forEach((page, index) => {
+    const recto = index % 2 === 0;
+    const pdfPage = pdfDoc.addPage([pageWidth, pageHeight]);
+    const trimX = recto ? 0 : bleed;
+    const left = trimX + (recto ? inside : outside);
+
+    if (bleed > 0) {
+      pdfPage.setTrimBox(trimX, bleed, trimWidth, trimHeight);
+      pdfPage.setBleedBox(0, 0, pageWidth, pageHeight);
+    }
+
+    for (const op of page.ops) {
+      pdfPage.drawText(text.clean(op.text, op.style), {
+        x: left + op.x,
+        y: bleed + op.y,
+        size: op.size,
+        font: text.fonts[op.style],
+        color: BLACK,
+      });
+    }
+
+    if (page.header) {
+      const header = fitText(page.header.toUpperCase(), 'regular', headSize);
+      pdfPage.drawText(header, {
+        x: left + (textWidth - text.fonts.regular.widthOfTextAtSize(header, headSize)) / 2,
+        y: bleed + trimHeight - PRINT_LAYOUT.HEADER_BASELINE,
+        size: headSize,
+        font: text.fonts.regular,
+        color: BLACK,
+      });
+    }
+
+    if (page.folio) {
+      pdfPage.drawText(page.folio, {
+        x: left + (textWidth - text.fonts.regular.widthOfTextAtSize(page.folio, headSize)) / 2,
+        y: bleed + PRINT_LAYOUT.FOLIO_BASELINE,
+        size: headSize,
+        font: text.fonts.regular,
+        color: BLACK,
+      });
+    }
+  });
+}
+
+/**
+ * Typeset a book into a new PDF document
+ *
+ * The gutter depends on the final page count, so the book is laid out again
+ * with a wider gutter whenever the page count crosses a threshold.
+ *
+ * @param {Object} options - See generatePrintPDF
+ * @returns {Promise<Object>} { pdfDoc, pages, contents, geometry, frontMatterPages }
+ */
+export async function typesetPrintBook(options) {
+  const {
+    title = 'Untitled',
+    author = 'Unknown Author',
+    trimSize = '6x9',
+    chapters = [],
+    model = null,
+    bleed = 0,
+    metadata = {},
+    fonts = null,
+    fontSize = null,
+    leading = PRINT_LAYOUT.LEADING,
+  } = options;
+
+  if (!TRIM_SIZES[trimSize]) {
+    throw new ValidationError(`Invalid trim size. Available: ${Object.keys(TRIM_SIZES).join(', ')}`);
   }
 
+  const settings = {
+    title,
+    author,
+    subtitle: options.subtitle || metadata.subtitle || null,
+    publisher: options.publisher || metadata.publisher || null,
+    isbn: options.isbn || metadata.isbn || null,
+    edition: options.edition || metadata.edition || null,
+    copyright: options.copyright || metadata.copyright || null,
+    year: options.year || metadata.publicationYear || new Date().getFullYear(),
+    includeTitlePage: options.includeTitlePage !== false,
+    includeCopyright: options.includeCopyright !== false,
+    includeTOC: options.includeTOC !== false,
+    justification: options.justification === 'greedy' ? 'greedy' : 'optimal',
+    hyphenate: options.hyphenate !== false,
+    dropCaps: options.dropCaps !== false,
+    chaptersOnRecto: Boolean(options.chaptersOnRecto),
+  };
+
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(title);
+  pdfDoc.setAuthor(author);
+  pdfDoc.setCreator('ManuscriptHub PDF Generator');
+
+  const text = createTextContext(await embedFonts(pdfDoc, fonts));
+  const layoutChapters = toLayoutChapters(chapters, model);
+
+  let pageCount = 0;
+  let geometry;
+  let layout;
+  for (;;) {
+    geometry = getPageGeometry(trimSize, pageCount, { bleed, fontSize, leading });
+    layout = layoutBook(layoutChapters, text, geometry, settings);
+    if (getGutterMargin(layout.pages.length) <= geometry.gutter) {
+      break;
+    }
+    pageCount = layout.pages.length;
+  }
+
+  renderPages(pdfDoc, layout.pages, text, geometry);
+  return { pdfDoc, ...layout, geometry };
+}
+
+/**
+ * Generate print PDF with specific formatting
+ *
+ * @param {Object} options - PDF generation options
+ * @param {string} options.title - Book title (title page, right-hand running head)
+ * @param {string} options.author - Author (title page, left-hand running head)
+ * @param {string} options.trimSize - Key of TRIM_SIZES (default 6x9)
+ * @param {Array<Object>} options.chapters - Legacy {title, content} chapters
+ * @param {Object} options.model - Manuscript document model (used when chapters is empty)
+ * @param {number} options.bleed - Bleed in points (9 = 0.125")
+ * @param {Object} options.metadata - { subtitle, publisher, isbn, edition, copyright, publicationYear }
+ * @param {Object} options.fonts - Custom font files { regular, italic, bold, boldItalic } (TTF/OTF bytes)
+ * @param {number} options.fontSize - Body size in points (default 11, 12 for 7" and wider)
+ * @param {string} options.justification - 'optimal' (Knuth-Plass, default) or 'greedy'
+ * @param {boolean} options.hyphenate - Hyphenate body text (default true)
+ * @param {boolean} options.dropCaps - Drop cap at the start of each chapter (default true)
+ * @param {boolean} options.chaptersOnRecto - Start every chapter on a right-hand page
+ * @param {boolean} options.includeTitlePage - Default true
+ * @param {boolean} options.includeCopyright - Default true
+ * @param {boolean} options.includeTOC - Default true
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+export async function generatePrintPDF(options) {
+  const { pdfDoc } = await typesetPrintBook(options);
   const pdfBytes = await pdfDoc.save();
   console.log(`[PDF] Generated print PDF: ${pdfBytes.length} bytes, ${pdfDoc.getPageCount()} pages`);
   return Buffer.from(pdfBytes);
@@ -187,24 +827,13 @@ export async function generatePrintPDF(options) {
  * @returns {Promise<Buffer>} - PDF buffer
  */
 export async function generateInteriorPDF(platform, options) {
-  const {
-    trimSize = '6x9',
-    title = 'Untitled',
-    author = 'Unknown Author',
-    chapters = [],
-    metadata = {},
-  } = options;
-
   // IngramSpark requires bleed, KDP doesn't
   const bleed = platform === 'ingramspark' ? 9 : 0; // 0.125" = 9 points
 
+  // Typography and front matter options pass straight through
   return await generatePrintPDF({
-    title,
-    author,
-    trimSize,
-    chapters,
+    ...options,
     bleed,
-    metadata,
   });
 }
 
@@ -214,12 +843,13 @@ export async function generateInteriorPDF(platform, options) {
 export async function generateInteriorPDFFromDOCX(platform, docxBuffer, options = {}) {
   console.log('[PDF] Generating interior PDF from DOCX...');
 
-  // Parse DOCX to extract chapters
-  const parsed = await parseDocxForPDF(docxBuffer);
+  // Import DOCX into the document model (keeps headings, italics, scene breaks)
+  const model = await buildModelFromDOCX(docxBuffer);
 
   return await generateInteriorPDF(platform, {
     ...options,
-    chapters: parsed.chapters,
+    chapters: [],
+    model,
   });
 }
 
@@ -285,6 +915,10 @@ export async function validatePrintPDF(pdfBuffer, platform = null) {
 
 export default {
   TRIM_SIZES,
+  GUTTER_MARGINS,
+  getGutterMargin,
+  getPageGeometry,
+  typesetPrintBook,
   generatePrintPDF,
   generateInteriorPDF,
   generateInteriorPDFFromDOCX,
@@ -0,0 +1,570 @@
+/**
+ * Full-Wrap Print Cover Generator
+ *
+ * Composes a KDP/IngramSpark-ready paperback cover: back cover, spine and
+ * front cover on one page at exact bleed dimensions.
+ * - Front image (required) and an uploaded back image, or a generated back
+ *   cover carrying the blurb from the book-description agent
+ * - Spine title and author set sideways (top to bottom, US convention), only
+ *   when the spine is wide enough and the platform allows spine text
+ * - EAN-13 ISBN barcode with price add-on, or a blank box reserved for the
+ *   platform's own barcode
+ * - All text, fills and bars use CMYK colors; barcode bars are 100% black only
+ *
+ * Every placed element is checked against the panel safe zones and the result
+ * is validated with validatePrintCover (validators/cover-validator.js).
+ */
+
+import {
+  PDFDocument,
+  StandardFonts,
+  cmyk,
+  degrees,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath,
+} from 'pdf-lib';
+import { calculateSpineWidth } from '../processors/cover-processor.js';
+import { TRIM_SIZES } from './pdf-generator.js';
+import { buildParagraphItems, breakParagraph, positionLine } from '../utils/line-breaker.js';
+import {
+  normalizeISBN,
+  formatISBN,
+  priceAddon,
+  encodeEAN13,
+  encodeEAN5,
+  patternToBars,
+} from '../utils/isbn-barcode.js';
+import { validatePrintCover } from '../validators/cover-validator.js';
+import { ValidationError } from '../utils/error-handling.js';
+
+/**
+ * Platform cover rules, in points
+ */
+export const PRINT_COVER_RULES = {
+  kdp: {
+    bleed: 0.125 * 72,
+    safeMargin: 0.25 * 72,        // Text and barcode keep clear of trim edges and folds
+    spineMargin: 0.0625 * 72,     // Spine text keeps clear of each fold
+    minSpineTextPages: 80,        // KDP rejects spine text on books under 80 pages
+  },
+  ingramspark: {
+    bleed: 0.125 * 72,
+    safeMargin: 0.25 * 72,
+    spineMargin: 0.0625 * 72,
+    minSpineTextPages: 48,
+  },
+};
+
+export const COVER_LAYOUT = {
+  BARCODE_WIDTH: 2 * 72,
+  BARCODE_HEIGHT: 1.2 * 72,
+  BARCODE_PADDING: 0.1 * 72,
+  MIN_SPINE_FONT: 7,
+  MAX_SPINE_FONT: 24,
+  BLURB_FONT: 12,
+  MIN_BLURB_FONT: 8,
+  LEADING: 1.35,
+};
+
+const WHITE = [0, 0, 0, 0];
+const BARCODE_BLACK = cmyk(0, 0, 0, 1);
+
+/**
+ * Convert a [c, m, y, k] array (0-1) into a pdf-lib color
+ */
+function toColor(value, fallback) {
+  const parts = Array.isArray(value) && value.length === 4 && value.every(part => part >= 0 && part <= 1)
+    ? value
+    : fallback;
+  return cmyk(...parts);
+}
+
+/**
+ * Image type and color space from the file signature
+ * JPEG color space comes from the component count in the frame header.
+ */
+function inspectImage(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+    return { format: 'png', colorSpace: 'RGB' };
+  }
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      const components = bytes[offset + 9];
+      return { format: 'jpeg', colorSpace: components === 4 ? 'CMYK' : components === 1 ? 'Gray' : 'RGB' };
+    }
+    offset += 2 + length;
+  }
+  return { format: 'jpeg', colorSpace: 'RGB' };
+}
+
+/**
+ * Geometry of the full wrap, in points from the bottom-left corner of the page
+ *
+ * @param {Object} options - { trimSize | trimWidth + trimHeight, pageCount, paperType, platform }
+ * @returns {Object} Page size, spine and each panel's trim, bleed and safe rectangles
+ */
+export function getCoverLayout({ trimSize = '6x9', trimWidth, trimHeight, pageCount, paperType = 'cream_60', platform = 'kdp' }) {
+  const rules = PRINT_COVER_RULES[platform];
+  if (!rules) {
+    throw new ValidationError(`Unsupported print platform: ${platform}. Available: ${Object.keys(PRINT_COVER_RULES).join(', ')}`);
+  }
+  const size = trimWidth && trimHeight ? { width: trimWidth, height: trimHeight } : TRIM_SIZES[trimSize];
+  if (!size) {
+    throw new ValidationError(`Invalid trim size. Available: ${Object.keys(TRIM_SIZES).join(', ')}`);
+  }
+  if (!pageCount || pageCount <= 0) {
+    throw new ValidationError('Page count is required for print cover generation');
+  }
+
+  let spine;
+  try {
+    spine = calculateSpineWidth(pageCount, paperType);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  const { bleed, safeMargin, spineMargin } = rules;
+  const spineWidth = spine.spineWidthPoints;
+  const width = size.width * 2 + spineWidth + bleed * 2;
+  const height = size.height + bleed * 2;
+  const inset = (rect, x, y = x) => ({ x: rect.x + x, y: rect.y + y, width: rect.width - x * 2, height: rect.height - y * 2 });
+
+  const back = { x: bleed, y: bleed, width: size.width, height: size.height };
+  const spineRect = { x: bleed + size.width, y: bleed, width: spineWidth, height: size.height };
+  const front = { x: bleed + size.width + spineWidth, y: bleed, width: size.width, height: size.height };
+
+  return {
+    platform,
+    rules,
+    width,
+    height,
+    bleed,
+    trimWidth: size.width,
+    trimHeight: size.height,
+    spine: { ...spine, width: spineWidth },
+    panels: {
+      back: { trim: back, bleed: { x: 0, y: 0, width: back.x + back.width, height }, safe: inset(back, safeMargin) },
+      spine: { trim: spineRect, bleed: { ...spineRect, y: 0, height }, safe: inset(spineRect, spineMargin, safeMargin) },
+      front: { trim: front, bleed: { x: front.x, y: 0, width: width - front.x, height }, safe: inset(front, safeMargin) },
+    },
+  };
+}
+
+/**
+ * Draw an image scaled to cover an area, clipped to that area
+ *
+ * @returns {number} Effective resolution in pixels per inch
+ */
+function drawCoverImage(page, image, area) {
+  const scale = Math.max(area.width / image.width, area.height / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  page.pushOperators(pushGraphicsState(), rectangle(area.x, area.y, area.width, area.height), clip(), endPath());
+  page.drawImage(image, {
+    x: area.x + (area.width - width) / 2,
+    y: area.y + (area.height - height) / 2,
+    width,
+    height,
+  });
+  page.pushOperators(popGraphicsState());
+
+  return Math.round(image.width / (width / 72));
+}
+
+/**
+ * Whether a box lies within a rectangle (with a hairline of tolerance)
+ */
+function contains(rect, box) {
+  const epsilon = 0.01;
+  return box.x >= rect.x - epsilon
+    && box.y >= rect.y - epsilon
+    && box.x + box.width <= rect.x + rect.width + epsilon
+    && box.y + box.height <= rect.y + rect.height + epsilon;
+}
+
+/**
+ * Set the spine title and author, rotated to read top to bottom
+ *
+ * @returns {Object} { elements, warning }
+ */
+function drawSpineText(page, fonts, layout, { title, author, pageCount, color }) {
+  const { safe } = layout.panels.spine;
+  if (pageCount < layout.rules.minSpineTextPages) {
+    return { elements: [], warning: `Spine text omitted: ${layout.platform} requires at least ${layout.rules.minSpineTextPages} pages` };
+  }
+
+  const parts = [
+    { text: title, font: fonts.bold },
+    ...(author ? [{ text: author, font: fonts.regular }] : []),
+  ];
+  const gap = 0.5 * 72;
+
+  // Largest size that fits across the spine and along its length
+  const across = safe.width / fonts.bold.heightAtSize(1);
+  const along = (safe.height - gap * (parts.length - 1))
+    / parts.reduce((sum, part) => sum + part.font.widthOfTextAtSize(part.text, 1), 0);
+  const size = Math.min(COVER_LAYOUT.MAX_SPINE_FONT, across, along);
+
+  if (size < COVER_LAYOUT.MIN_SPINE_FONT) {
+    return { elements: [], warning: `Spine text omitted: a ${(layout.spine.width / 72).toFixed(3)}" spine is too narrow for readable text` };
+  }
+
+  const elements = [];
+  const centerX = safe.x + safe.width / 2;
+  parts.forEach((part, index) => {
+    const length = part.font.widthOfTextAtSize(part.text, size);
+    const fullHeight = part.font.heightAtSize(size);
+    const ascent = part.font.heightAtSize(size, { descender: false });
+    // Title hangs from the top of the spine, author sits at the foot
+    const top = index === 0 ? safe.y + safe.height : safe.y + length;
+    // Rotated -90 degrees, glyphs rise towards the front cover (+x)
+    const baselineX = centerX + fullHeight / 2 - ascent;
+
+    page.drawText(part.text, { x: baselineX, y: top, size, font: part.font, color, rotate: degrees(-90) });
+    elements.push({
+      panel: 'spine',
+      label: index === 0 ? 'spine title' : 'spine author',
+      box: { x: baselineX - (fullHeight - ascent), y: top - length, width: fullHeight, height: length },
+    });
+  });
+
+  return { elements, fontSize: size };
+}
+
+/**
+ * Break back cover copy into justified lines of positioned words
+ */
+function setBlurbLines(text, font, size, width) {
+  return String(text)
+    .split(/\n\s*\n|\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map(paragraph => {
+      const items = buildParagraphItems([{ text: paragraph }], { measure: value => font.widthOfTextAtSize(value, size) });
+      return breakParagraph(items, width).map(line => positionLine(line));
+    });
+}
+
+/**
+ * Set the blurb in the back cover safe area above the barcode zone
+ * Shrinks the type until it fits; lines that still do not fit are dropped
+ * and reported.
+ */
+function drawBlurb(page, fonts, area, { blurb, color }) {
+  const heightFor = (blocks, fontSize) => {
+    const lines = blocks.reduce((sum, block) => sum + block.length, 0);
+    return (lines + (blocks.length - 1) * 0.5) * fontSize * COVER_LAYOUT.LEADING;
+  };
+
+  let size = COVER_LAYOUT.BLURB_FONT;
+  let paragraphs = setBlurbLines(blurb, fonts.serif, size, area.width);
+  while (size > COVER_LAYOUT.MIN_BLURB_FONT && heightFor(paragraphs, size) > area.height) {
+    size -= 0.5;
+    paragraphs = setBlurbLines(blurb, fonts.serif, size, area.width);
+  }
+
+  const leading = size * COVER_LAYOUT.LEADING;
+  const descent = fonts.serif.heightAtSize(size) - fonts.serif.heightAtSize(size, { descender: false });
+  let y = area.y + area.height - size;
+  let lowest = y;
+  let dropped = 0;
+
+  paragraphs.forEach((lines, index) => {
+    if (index > 0) {
+      y -= leading * 0.5;
+    }
+    for (const boxes of lines) {
+      if (y - descent < area.y) {
+        dropped++;
+        continue;
+      }
+      for (const box of boxes) {
+        page.drawText(fonts.clean(box.text, fonts.serif), { x: area.x + box.x, y, size, font: fonts.serif, color });
+      }
+      lowest = y;
+      y -= leading;
+    }
+  });
+
+  const bottom = lowest - descent;
+  return {
+    fontSize: size,
+    dropped,
+    element: { panel: 'back', label: 'blurb', box: { x: area.x, y: bottom, width: area.width, height: area.y + area.height - bottom } },
+  };
+}
+
+/**
+ * Draw the barcode box: a white knockout holding an EAN-13 and price add-on
+ * With no ISBN the box is left blank for the platform to print its own.
+ */
+function drawBarcode(page, fonts, box, { isbn, price }) {
+  page.drawRectangle({ ...box, color: cmyk(...WHITE) });
+  if (!isbn) {
+    return;
+  }
+
+  const { BARCODE_PADDING: padding } = COVER_LAYOUT;
+  const addon = priceAddon(price);
+  const main = patternToBars(encodeEAN13(isbn));
+  const extra = patternToBars(encodeEAN5(addon));
+  const quiet = 11;
+  const addonStart = quiet + 95 + 9;
+  const module = (box.width - padding * 2) / (addonStart + 47 + 5);
+
+  const x0 = box.x + padding;
+  const labelSize = 7;
+  const digitSize = 8;
+  const labelBaseline = box.y + box.height - padding - labelSize * 0.75;
+  const barsTop = labelBaseline - 3;
+  const digitBaseline = box.y + padding;
+  const barsBottom = digitBaseline + digitSize + 1;
+  const guardBottom = digitBaseline + digitSize * 0.4;
+  const addonTop = barsTop - digitSize - 2;
+
+  const label = formatISBN(isbn);
+  page.drawText(label, {
+    x: x0 + (quiet + 47.5) * module - fonts.sans.widthOfTextAtSize(label, labelSize) / 2,
+    y: labelBaseline,
+    size: labelSize,
+    font: fonts.sans,
+    color: BARCODE_BLACK,
+  });
+
+  // Guard bars (start, middle, end) run down between the digit groups
+  const guards = new Set([0, 2, 46, 48, 92, 94]);
+  for (const bar of main) {
+    const bottom = guards.has(bar.start) ? guardBottom : barsBottom;
+    page.drawRectangle({
+      x: x0 + (quiet + bar.start) * module,
+      y: bottom,
+      width: bar.width * module,
+      height: barsTop - bottom,
+      color: BARCODE_BLACK,
+    });
+  }
+  for (const bar of extra) {
+    page.drawRectangle({
+      x: x0 + (addonStart + bar.start) * module,
+      y: guardBottom,
+      width: bar.width * module,
+      height: addonTop - guardBottom,
+      color: BARCODE_BLACK,
+    });
+  }
+
+  const drawDigits = (digits, startModule, spanModules, baseline) => {
+    const step = (spanModules * module) / digits.length;
+    [...digits].forEach((digit, index) => {
+      const width = fonts.sans.widthOfTextAtSize(digit, digitSize);
+      page.drawText(digit, {
+        x: x0 + startModule * module + step * (index + 0.5) - width / 2,
+        y: baseline,
+        size: digitSize,
+        font: fonts.sans,
+        color: BARCODE_BLACK,
+      });
+    });
+  };
+  drawDigits(isbn[0], 0, quiet - 2, digitBaseline);
+  drawDigits(isbn.slice(1, 7), quiet + 3, 42, digitBaseline);
+  drawDigits(isbn.slice(7), quiet + 50, 42, digitBaseline);
+  drawDigits(addon, addonStart, 47, addonTop + 2);
+}
+
+/**
+ * Generate a full-wrap print cover PDF
+ *
+ * @param {Object} options
+ * @param {Buffer} options.frontImage - Front cover JPEG or PNG (required)
+ * @param {Buffer} options.backImage - Back cover JPEG or PNG; a color panel is generated when omitted
+ * @param {string} options.blurb - Back cover copy (e.g. the book-description agent's short description)
+ * @param {string} options.title - Spine title
+ * @param {string} options.author - Spine author
+ * @param {string} options.platform - 'kdp' (default) or 'ingramspark'
+ * @param {string} options.trimSize - Key of TRIM_SIZES (default 6x9)
+ * @param {number} options.pageCount - Interior page count (sets the spine width)
+ * @param {string} options.paperType - Key of PAPER_TYPES (default cream_60)
+ * @param {string} options.isbn - ISBN-10 or ISBN-13 for the barcode
+ * @param {number|string} options.price - US price for the add-on (90000 when omitted)
+ * @param {string} options.barcode - 'auto' (render with an ISBN, reserve without), 'render', 'reserve' or 'none'
+ * @param {boolean} options.spineText - Set spine text when the spine allows it (default true)
+ * @param {Array<number>} options.backgroundColor - CMYK (0-1) for the generated back and spine
+ * @param {Array<number>} options.textColor - CMYK (0-1) for blurb and spine text
+ * @returns {Promise<Object>} { pdf, layout, elements, images, warnings, validation }
+ */
+export async function generateFullWrapCover(options) {
+  const {
+    frontImage,
+    backImage = null,
+    blurb = null,
+    title = 'Untitled',
+    author = '',
+    platform = 'kdp',
+    trimSize = '6x9',
+    pageCount,
+    paperType = 'cream_60',
+    price = null,
+    barcode = 'auto',
+    spineText = true,
+  } = options;
+
+  if (!frontImage) {
+    throw new ValidationError('Front cover image is required');
+  }
+  if (!['auto', 'render', 'reserve', 'none'].includes(barcode)) {
+    throw new ValidationError(`Invalid barcode mode: ${barcode}`);
+  }
+  const isbn = options.isbn ? normalizeISBN(options.isbn) : null;
+  if (barcode === 'render' && !isbn) {
+    throw new ValidationError('An ISBN is required to render a barcode');
+  }
+
+  const layout = getCoverLayout({ trimSize, pageCount, paperType, platform });
+  const background = toColor(options.backgroundColor, [0, 0, 0, 0.85]);
+  const textColor = toColor(options.textColor, WHITE);
+
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`${title} - Cover`);
+  if (author) pdfDoc.setAuthor(author);
+  pdfDoc.setCreator('ManuscriptHub Cover Generator');
+
+  const page = pdfDoc.addPage([layout.width, layout.height]);
+  page.setTrimBox(layout.bleed, layout.bleed, layout.width - layout.bleed * 2, layout.trimHeight);
+  page.setBleedBox(0, 0, layout.width, layout.height);
+
+  const fonts = {
+    serif: await pdfDoc.embedFont(StandardFonts.TimesRoman),
+    regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+    bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+    sans: await pdfDoc.embedFont(StandardFonts.Helvetica),
+  };
+  // Standard fonts only cover WinAnsi; swap anything else for '?'
+  const charsets = new Map();
+  fonts.clean = (text, font) => {
+    if (!charsets.has(font)) {
+      charsets.set(font, new Set(font.getCharacterSet()));
+    }
+    return [...text].map(char => (charsets.get(font).has(char.codePointAt(0)) ? char : '?')).join('');
+  };
+
+  const images = [];
+  const warnings = [];
+  const elements = [];
+  const overflow = [];
+
+  const embed = async (buffer, panel) => {
+    const info = inspectImage(buffer);
+    if (!info) {
+      throw new ValidationError(`${panel === 'front' ? 'Front' : 'Back'} cover must be JPEG or PNG`);
+    }
+    try {
+      const image = info.format === 'png' ? await pdfDoc.embedPng(buffer) : await pdfDoc.embedJpg(buffer);
+      return { image, info };
+    } catch (error) {
+      throw new ValidationError(`Could not read the ${panel} cover image: ${error.message}`);
+    }
+  };
+
+  // Back panel and spine are painted first; the front image covers its own bleed
+  page.drawRectangle({ x: 0, y: 0, width: layout.panels.front.bleed.x, height: layout.height, color: background });
+
+  const front = await embed(frontImage, 'front');
+  const frontDpi = drawCoverImage(page, front.image, layout.panels.front.bleed);
+  images.push({ panel: 'front', format: front.info.format, colorSpace: front.info.colorSpace, dpi: frontDpi, width: front.image.width, height: front.image.height });
+
+  if (backImage) {
+    const back = await embed(backImage, 'back');
+    const backDpi = drawCoverImage(page, back.image, layout.panels.back.bleed);
+    images.push({ panel: 'back', format: back.info.format, colorSpace: back.info.colorSpace, dpi: backDpi, width: back.image.width, height: back.image.height });
+  }
+
+  if (spineText) {
+    const spine = drawSpineText(page, fonts, layout, {
+      title: fonts.clean(title, fonts.bold),
+      author: author ? fonts.clean(author, fonts.regular) : '',
+      pageCount: layout.spine.pageCount,
+      color: textColor,
+    });
+    elements.push(...spine.elements);
+    if (spine.warning) {
+      warnings.push(spine.warning);
+    }
+  }
+
+  const backSafe = layout.panels.back.safe;
+  const barcodeBox = {
+    x: backSafe.x + backSafe.width - COVER_LAYOUT.BARCODE_WIDTH,
+    y: backSafe.y,
+    width: COVER_LAYOUT.BARCODE_WIDTH,
+    height: COVER_LAYOUT.BARCODE_HEIGHT,
+  };
+  const barcodeMode = barcode === 'auto' ? (isbn ? 'render' : 'reserve') : barcode;
+
+  if (blurb) {
+    const reserved = barcodeMode === 'none' ? 0 : COVER_LAYOUT.BARCODE_HEIGHT + 0.25 * 72;
+    const area = { ...backSafe, y: backSafe.y + reserved, height: backSafe.height - reserved };
+    const result = drawBlurb(page, fonts, area, { blurb, color: textColor });
+    elements.push(result.element);
+    if (result.dropped > 0) {
+      overflow.push(`Blurb does not fit on the back cover: ${result.dropped} lines cut at ${result.fontSize}pt`);
+    }
+  }
+
+  if (barcodeMode !== 'none') {
+    drawBarcode(page, fonts, barcodeBox, { isbn: barcodeMode === 'render' ? isbn : null, price });
+    elements.push({ panel: 'back', label: 'barcode', box: barcodeBox });
+    if (barcodeMode === 'reserve') {
+      warnings.push('Barcode area reserved; the platform will print its own barcode there');
+    }
+  }
+
+  const safeZoneViolations = [
+    ...overflow,
+    ...elements
+      .filter(element => !contains(layout.panels[element.panel].safe, element.box))
+      .map(element => `${element.label} extends outside the ${element.panel} safe zone`),
+  ];
+
+  const pdf = Buffer.from(await pdfDoc.save());
+  const validation = await validatePrintCover(pdf, platform, {
+    width: layout.width,
+    height: layout.height,
+    trimWidth: layout.trimWidth,
+    trimHeight: layout.trimHeight,
+    bleed: layout.bleed,
+    spineWidth: layout.spine.width,
+    pageCount: layout.spine.pageCount,
+    paperType,
+    images,
+    safeZoneViolations,
+  });
+
+  console.log(`[CoverGenerator] Generated ${platform} cover: ${(layout.width / 72).toFixed(3)}" x ${(layout.height / 72).toFixed(3)}", spine ${layout.spine.spineWidthInches.toFixed(3)}"`);
+
+  return { pdf, layout, elements, images, warnings, validation };
+}
+
+export default {
+  PRINT_COVER_RULES,
+  COVER_LAYOUT,
+  getCoverLayout,
+  generateFullWrapCover,
+};
@@ -12,7 +12,7 @@
  * 5. Closing
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { createLLMClient } from '../services/llm-client.js';
 
 /**
  * Generate a query letter for manuscript submission
@@ -20,29 +20,24 @@ import Anthropic from '@anthropic-ai/sdk';
  * @param {Object} manuscript - Manuscript data with metadata
  * @param {Object} authorInfo - Author bio and credentials
  * @param {string} targetAgent - Optional agent/publisher name
- * @param {Object} env - Environment bindings (ANTHROPIC_API_KEY)
+ * @param {Object} env - Environment bindings (LLM configuration)
  * @returns {Promise<Object>} Generated query letter with metadata
  */
 export async function generateQueryLetter(manuscript, authorInfo, targetAgent, env) {
-  const anthropic = new Anthropic({
-    apiKey: env.ANTHROPIC_API_KEY,
-  });
+  const llm = createLLMClient(env);
 
   // Build the prompt
   const prompt = buildQueryLetterPrompt(manuscript, authorInfo, targetAgent);
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      temperature: 0.7,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+    const { text: queryLetter, usage } = await llm.complete({
+      agent: 'QueryLetterGenerator',
+      operation: 'generate_query_letter',
+      prompt,
+      maxTokens: 2000,
+      temperature: 0.7
     });
 
-    const queryLetter = message.content[0].text;
     const wordCount = countWords(queryLetter);
 
     // Validate word count
@@ -53,7 +48,7 @@ export async function generateQueryLetter(manuscript, authorInfo, targetAgent, e
     return {
       content: queryLetter,
       wordCount: wordCount,
-      generatedBy: 'claude-sonnet-4',
+      generatedBy: usage.model,
       prompt: prompt,
       metadata: {
         manuscriptTitle: manuscript.title,
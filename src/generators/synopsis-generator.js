@@ -14,20 +14,18 @@
  * - Focus on plot progression, not sales pitch
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { createLLMClient } from '../services/llm-client.js';
 
 /**
  * Generate synopsis (short or long)
  *
  * @param {Object} manuscript - Manuscript data with metadata
  * @param {string} length - 'short' (500 words) or 'long' (2500 words)
- * @param {Object} env - Environment bindings (ANTHROPIC_API_KEY)
+ * @param {Object} env - Environment bindings (LLM configuration)
  * @returns {Promise<Object>} Generated synopsis with metadata
  */
 export async function generateSynopsis(manuscript, length = 'short', env) {
-  const anthropic = new Anthropic({
-    apiKey: env.ANTHROPIC_API_KEY,
-  });
+  const llm = createLLMClient(env);
 
   // Determine target word count
   const targetWordCount = length === 'short' ? 500 : 2500;
@@ -37,17 +35,14 @@ export async function generateSynopsis(manuscript, length = 'short', env) {
   const prompt = buildSynopsisPrompt(manuscript, length, targetWordCount);
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: length === 'short' ? 1500 : 4000,
-      temperature: 0.7,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+    const { text: synopsis, usage } = await llm.complete({
+      agent: 'SynopsisGenerator',
+      operation: `generate_${length}_synopsis`,
+      prompt,
+      maxTokens: length === 'short' ? 1500 : 4000,
+      temperature: 0.7
     });
 
-    const synopsis = message.content[0].text;
     const wordCount = countWords(synopsis);
 
     // Validate word count
@@ -62,7 +57,7 @@ export async function generateSynopsis(manuscript, length = 'short', env) {
       content: synopsis,
       wordCount: wordCount,
       length: length,
-      generatedBy: 'claude-sonnet-4',
+      generatedBy: usage.model,
       prompt: prompt,
       metadata: {
         manuscriptTitle: manuscript.title,
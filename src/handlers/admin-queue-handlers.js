@@ -0,0 +1,119 @@
+/**
+ * Admin Queue Handlers
+ * Inspect job queues and manage their dead letter lists
+ */
+
+/**
+ * Verify admin authorization (shared utility)
+ */
+async function verifyAdmin(request, env) {
+  const { getUserFromRequest } = await import('../utils/auth-utils.js');
+
+  const userId = await getUserFromRequest(request, env);
+  if (!userId) {
+    return { authorized: false, userId: null, error: 'Unauthorized - please log in' };
+  }
+
+  const user = await env.DB.prepare('SELECT role FROM users WHERE id = ?').bind(userId).first();
+  if (!user || user.role !== 'admin') {
+    return { authorized: false, userId, error: 'Admin access required' };
+  }
+
+  return { authorized: true, userId, error: null };
+}
+
+function jsonResponse(body, status, corsHeaders) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Run a handler body for an admin, on a well-formed queue name
+ */
+async function withAdmin(request, env, corsHeaders, queueName, action, run) {
+  try {
+    const auth = await verifyAdmin(request, env);
+    if (!auth.authorized) {
+      return jsonResponse({ error: auth.error }, auth.userId ? 403 : 401, corsHeaders);
+    }
+
+    if (!/^[a-z0-9-]+$/.test(queueName)) {
+      return jsonResponse({ error: 'Invalid queue name' }, 400, corsHeaders);
+    }
+
+    return await run(auth);
+  } catch (error) {
+    console.error(`Error ${action}:`, error);
+    return jsonResponse({ error: error.message }, 500, corsHeaders);
+  }
+}
+
+/**
+ * Queue statistics
+ * GET /admin/queues/:name
+ */
+export async function getQueueStats(request, env, corsHeaders, queueName) {
+  return withAdmin(request, env, corsHeaders, queueName, 'fetching queue stats', async () => {
+    const stats = await env.QUEUE.getStats(queueName);
+    return jsonResponse({ queue: queueName, stats }, 200, corsHeaders);
+  });
+}
+
+/**
+ * List dead-lettered jobs
+ * GET /admin/queues/:name/dead-letters?page=1&limit=50
+ */
+export async function listDeadLetters(request, env, corsHeaders, queueName) {
+  return withAdmin(request, env, corsHeaders, queueName, 'listing dead letters', async () => {
+    const url = new URL(request.url);
+    const page = Math.max(1, parseInt(url.searchParams.get('page') || '1'));
+    const limit = Math.min(Math.max(1, parseInt(url.searchParams.get('limit') || '50')), 200);
+
+    const { total, jobs } = await env.QUEUE.listDeadLetters(queueName, { offset: (page - 1) * limit, limit });
+
+    return jsonResponse({
+      queue: queueName,
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }, 200, corsHeaders);
+  });
+}
+
+/**
+ * Requeue a dead-lettered job with a fresh set of retries
+ * POST /admin/queues/:name/dead-letters/:jobId/retry
+ */
+export async function retryDeadLetter(request, env, corsHeaders, queueName, jobId) {
+  return withAdmin(request, env, corsHeaders, queueName, 'retrying dead letter', async (auth) => {
+    const retried = await env.QUEUE.retryDeadLetter(queueName, jobId);
+    if (!retried) {
+      return jsonResponse({ error: 'Job not found in the dead letter queue' }, 404, corsHeaders);
+    }
+
+    console.log(`[Admin] ${auth.userId} requeued dead-lettered job ${jobId} on ${queueName}`);
+    return jsonResponse({ success: true, jobId, message: 'Job requeued' }, 200, corsHeaders);
+  });
+}
+
+/**
+ * Delete one dead-lettered job, or all of them
+ * DELETE /admin/queues/:name/dead-letters[/:jobId]
+ */
+export async function purgeDeadLetters(request, env, corsHeaders, queueName, jobId = null) {
+  return withAdmin(request, env, corsHeaders, queueName, 'purging dead letters', async (auth) => {
+    const purged = await env.QUEUE.purgeDeadLetters(queueName, jobId);
+    if (jobId && !purged) {
+      return jsonResponse({ error: 'Job not found in the dead letter queue' }, 404, corsHeaders);
+    }
+
+    console.log(`[Admin] ${auth.userId} purged ${purged} dead-lettered job(s) from ${queueName}`);
+    return jsonResponse({ success: true, purged }, 200, corsHeaders);
+  });
+}
@@ -2,9 +2,12 @@
 // Specialized AI agents for KDP, Draft2Digital, IngramSpark, Apple Books, etc.
 
 import crypto from 'crypto';
+import { createLLMClient } from '../services/llm-client.js';
 
 /**
  * POST /chat/:platform - Send message to platform-specific AI agent
+ * Body: { message, userWorkflowId?, currentStepId?, manuscriptId?, stream? }
+ * With stream: true the reply is sent as server-sent events (see streamChatResponse)
  */
 export async function handleChatMessage(request, env) {
   const { platform } = request.params;
@@ -60,7 +63,7 @@ export async function handleChatMessage(request, env) {
       LIMIT 10
     `).bind(userId, platform).all();
 
-    // Build context for Claude API
+    // Build context for the LLM
     const systemPrompt = buildSystemPrompt(agentConfig, workflowContext, currentStepId);
     const conversationMessages = conversationHistory.results?.reverse().map(msg => ({
       role: msg.role,
@@ -73,64 +76,30 @@ export async function handleChatMessage(request, env) {
       content: message
     });
 
-    // Call Claude API
-    const claudeResponse = await callClaudeAPI(
-      env,
-      systemPrompt,
-      conversationMessages
-    );
+    const llm = createLLMClient(env);
+    const chatRequest = {
+      agent: 'PlatformChatAgent',
+      operation: 'chat',
+      system: systemPrompt,
+      messages: conversationMessages,
+      maxTokens: 1024
+    };
+    const exchange = { userId, platform, userWorkflowId, currentStepId, manuscriptId, message };
 
-    if (!claudeResponse.success) {
-      throw new Error(claudeResponse.error || 'Claude API call failed');
+    // Stream tokens as server-sent events when asked to
+    if (body.stream) {
+      return streamChatResponse(llm.stream(chatRequest), exchange, env);
     }
 
-    // Save user message
-    const userMessageId = `msg-${crypto.randomUUID()}`;
-    await env.DB.prepare(`
-      INSERT INTO agent_conversations (
-        id, user_id, platform, user_workflow_id, role, message,
-        current_step_id, context_metadata, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      userMessageId,
-      userId,
-      platform,
-      userWorkflowId || null,
-      'user',
-      message,
-      currentStepId || null,
-      JSON.stringify({ manuscriptId }),
-      Math.floor(Date.now() / 1000)
-    ).run();
-
-    // Save assistant response
-    const assistantMessageId = `msg-${crypto.randomUUID()}`;
-    await env.DB.prepare(`
-      INSERT INTO agent_conversations (
-        id, user_id, platform, user_workflow_id, role, message,
-        current_step_id, response_type, model_used, tokens_used, cost, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      assistantMessageId,
-      userId,
-      platform,
-      userWorkflowId || null,
-      'assistant',
-      claudeResponse.message,
-      currentStepId || null,
-      'guidance', // Could be determined by message analysis
-      claudeResponse.model,
-      claudeResponse.tokensUsed,
-      claudeResponse.cost,
-      Math.floor(Date.now() / 1000)
-    ).run();
+    const { text, usage } = await llm.complete(chatRequest);
+    const assistantMessageId = await saveChatExchange(env, exchange, text, usage);
 
     return new Response(JSON.stringify({
       success: true,
-      message: claudeResponse.message,
+      message: text,
       messageId: assistantMessageId,
-      tokensUsed: claudeResponse.tokensUsed,
-      cost: claudeResponse.cost
+      tokensUsed: usage.inputTokens + usage.outputTokens,
+      cost: usage.cost
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' }
@@ -695,50 +664,97 @@ function buildSystemPrompt(agentConfig, workflowContext, currentStepId) {
 }
 
 /**
- * Call Claude API with conversation history
+ * Save a user message and the assistant's reply
+ * @returns {Promise<string>} Assistant message ID
  */
-async function callClaudeAPI(env, systemPrompt, messages) {
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 1024,
-        system: systemPrompt,
-        messages
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('Claude API error:', error);
-      return { success: false, error: 'Claude API request failed' };
-    }
-
-    const data = await response.json();
-
-    // Calculate cost (rough estimate)
-    const inputTokens = data.usage?.input_tokens || 0;
-    const outputTokens = data.usage?.output_tokens || 0;
-    const cost = (inputTokens * 0.003 / 1000) + (outputTokens * 0.015 / 1000);
+async function saveChatExchange(env, exchange, reply, usage) {
+  const { userId, platform, userWorkflowId, currentStepId, manuscriptId, message } = exchange;
+
+  // Save user message
+  const userMessageId = `msg-${crypto.randomUUID()}`;
+  await env.DB.prepare(`
+    INSERT INTO agent_conversations (
+      id, user_id, platform, user_workflow_id, role, message,
+      current_step_id, context_metadata, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    userMessageId,
+    userId,
+    platform,
+    userWorkflowId || null,
+    'user',
+    message,
+    currentStepId || null,
+    JSON.stringify({ manuscriptId }),
+    Math.floor(Date.now() / 1000)
+  ).run();
+
+  // Save assistant response
+  const assistantMessageId = `msg-${crypto.randomUUID()}`;
+  await env.DB.prepare(`
+    INSERT INTO agent_conversations (
+      id, user_id, platform, user_workflow_id, role, message,
+      current_step_id, response_type, model_used, tokens_used, cost, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    assistantMessageId,
+    userId,
+    platform,
+    userWorkflowId || null,
+    'assistant',
+    reply,
+    currentStepId || null,
+    'guidance', // Could be determined by message analysis
+    usage.model,
+    usage.inputTokens + usage.outputTokens,
+    usage.cost,
+    Math.floor(Date.now() / 1000)
+  ).run();
+
+  return assistantMessageId;
+}
 
-    return {
-      success: true,
-      message: data.content[0]?.text || '',
-      model: data.model,
-      tokensUsed: inputTokens + outputTokens,
-      cost
-    };
+/**
+ * Stream an assistant reply as server-sent events
+ * Emits { type: 'token', text } per chunk, then { type: 'done', messageId, tokensUsed, cost }
+ * once the exchange is saved, or { type: 'error', error } if generation fails.
+ */
+function streamChatResponse(events, exchange, env) {
+  const encoder = new TextEncoder();
+  const send = (controller, data) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
 
-  } catch (error) {
-    console.error('Error calling Claude API:', error);
-    return { success: false, error: error.message };
-  }
+  const stream = new ReadableStream({
+    async start(controller) {
+      try {
+        for await (const event of events) {
+          if (event.type === 'text') {
+            send(controller, { type: 'token', text: event.text });
+          } else if (event.type === 'done') {
+            const messageId = await saveChatExchange(env, exchange, event.text, event.usage);
+            send(controller, {
+              type: 'done',
+              messageId,
+              tokensUsed: event.usage.inputTokens + event.usage.outputTokens,
+              cost: event.usage.cost
+            });
+          }
+        }
+      } catch (error) {
+        console.error('Error streaming chat response:', error);
+        send(controller, { type: 'error', error: error.message });
+      }
+      controller.close();
+    }
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    }
+  });
 }
 
 /**
@@ -628,7 +628,7 @@ export async function handleMarketAnalysis(request, env, corsHeaders) {
     metadata.wordCount = manuscriptText.split(/\s+/).length;
 
     // Initialize market analysis agent
-    const agent = new MarketAnalysisAgent(env.ANTHROPIC_API_KEY);
+    const agent = new MarketAnalysisAgent(env);
 
     // Perform analysis
     const result = await agent.analyzeMarket(manuscriptText, metadata);
@@ -806,7 +806,7 @@ export async function handleGenerateSocialMedia(request, env, corsHeaders) {
     console.log('Book metadata:', bookMetadata);
 
     // Initialize social media agent
-    const agent = new SocialMediaAgent(env.ANTHROPIC_API_KEY);
+    const agent = new SocialMediaAgent(env);
 
     // Generate marketing package
     const result = await agent.generateMarketingPackage(
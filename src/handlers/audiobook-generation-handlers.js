@@ -21,6 +21,21 @@ import {
   generateACXChecklist,
   exportToCSV,
 } from '../metadata/audiobook-metadata.js';
+import { getStoredOutline } from '../services/outline-service.js';
+import { findAuthorizedManuscript } from '../services/authorization-service.js';
+
+/**
+ * Load the author-reviewed outline for chapter splits (null when none is saved)
+ */
+async function loadOutlineOptions(manuscriptId, env) {
+  try {
+    const stored = await getStoredOutline(manuscriptId, env);
+    return stored ? { outline: stored.outline, overrides: stored.overrides } : {};
+  } catch (error) {
+    console.error('Error loading manuscript outline:', error);
+    return {};
+  }
+}
 
 /**
  * Generate narration script from manuscript
@@ -37,9 +52,7 @@ export async function generateNarrationScript(request, env, manuscriptId) {
 
   try {
     // Get manuscript
-    const manuscript = await env.DB.prepare(
-      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-    ).bind(manuscriptId, user.id).first();
+    const manuscript = await findAuthorizedManuscript(manuscriptId, user, 'asset:write', env);
 
     if (!manuscript) {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
@@ -49,7 +62,7 @@ export async function generateNarrationScript(request, env, manuscriptId) {
     }
 
     // Get manuscript content from R2
-    const manuscriptKey = `${user.id}/${manuscriptId}/${manuscript.filename}`;
+    const manuscriptKey = `${manuscript.user_id}/${manuscriptId}/${manuscript.filename}`;
     const manuscriptObject = await env.R2.getBucket('manuscripts_processed').get(manuscriptKey) ||
                              await env.R2.getBucket('manuscripts_raw').get(manuscriptKey);
 
@@ -74,8 +87,8 @@ export async function generateNarrationScript(request, env, manuscriptId) {
     // Format for narration
     const formattedScript = formatForNarration(content, options);
 
-    // Extract chapters
-    const chapters = extractChapters(formattedScript);
+    // Extract chapters (using the saved outline when the author has reviewed it)
+    const chapters = extractChapters(formattedScript, await loadOutlineOptions(manuscriptId, env));
 
     // Calculate total timing
     const totalTiming = calculateNarrationTime(formattedScript);
@@ -116,9 +129,7 @@ export async function getChapterTiming(request, env, manuscriptId) {
 
   try {
     // Get manuscript
-    const manuscript = await env.DB.prepare(
-      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-    ).bind(manuscriptId, user.id).first();
+    const manuscript = await findAuthorizedManuscript(manuscriptId, user, 'asset:read', env);
 
     if (!manuscript) {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
@@ -128,7 +139,7 @@ export async function getChapterTiming(request, env, manuscriptId) {
     }
 
     // Get manuscript content
-    const manuscriptKey = `${user.id}/${manuscriptId}/${manuscript.filename}`;
+    const manuscriptKey = `${manuscript.user_id}/${manuscriptId}/${manuscript.filename}`;
     const manuscriptObject = await env.R2.getBucket('manuscripts_processed').get(manuscriptKey) ||
                              await env.R2.getBucket('manuscripts_raw').get(manuscriptKey);
 
@@ -141,8 +152,8 @@ export async function getChapterTiming(request, env, manuscriptId) {
 
     const content = await manuscriptObject.text();
 
-    // Extract chapters
-    const chapters = extractChapters(content);
+    // Extract chapters (using the saved outline when the author has reviewed it)
+    const chapters = extractChapters(content, await loadOutlineOptions(manuscriptId, env));
 
     // Calculate timing at different speeds
     const url = new URL(request.url);
@@ -194,9 +205,7 @@ export async function getPronunciationGuide(request, env, manuscriptId) {
 
   try {
     // Get manuscript
-    const manuscript = await env.DB.prepare(
-      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-    ).bind(manuscriptId, user.id).first();
+    const manuscript = await findAuthorizedManuscript(manuscriptId, user, 'asset:read', env);
 
     if (!manuscript) {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
@@ -206,7 +215,7 @@ export async function getPronunciationGuide(request, env, manuscriptId) {
     }
 
     // Get manuscript content
-    const manuscriptKey = `${user.id}/${manuscriptId}/${manuscript.filename}`;
+    const manuscriptKey = `${manuscript.user_id}/${manuscriptId}/${manuscript.filename}`;
     const manuscriptObject = await env.R2.getBucket('manuscripts_processed').get(manuscriptKey) ||
                              await env.R2.getBucket('manuscripts_raw').get(manuscriptKey);
 
@@ -262,9 +271,7 @@ export async function generateSamplePassages(request, env, manuscriptId) {
 
   try {
     // Get manuscript
-    const manuscript = await env.DB.prepare(
-      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-    ).bind(manuscriptId, user.id).first();
+    const manuscript = await findAuthorizedManuscript(manuscriptId, user, 'asset:read', env);
 
     if (!manuscript) {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
@@ -274,7 +281,7 @@ export async function generateSamplePassages(request, env, manuscriptId) {
     }
 
     // Get manuscript content
-    const manuscriptKey = `${user.id}/${manuscriptId}/${manuscript.filename}`;
+    const manuscriptKey = `${manuscript.user_id}/${manuscriptId}/${manuscript.filename}`;
     const manuscriptObject = await env.R2.getBucket('manuscripts_processed').get(manuscriptKey) ||
                              await env.R2.getBucket('manuscripts_raw').get(manuscriptKey);
 
@@ -328,9 +335,7 @@ export async function getNarratorBrief(request, env, manuscriptId) {
 
   try {
     // Get manuscript
-    const manuscript = await env.DB.prepare(
-      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-    ).bind(manuscriptId, user.id).first();
+    const manuscript = await findAuthorizedManuscript(manuscriptId, user, 'asset:read', env);
 
     if (!manuscript) {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
@@ -340,7 +345,7 @@ export async function getNarratorBrief(request, env, manuscriptId) {
     }
 
     // Try to get analysis if available
-    const analysisKey = `${user.id}/${manuscriptId}/analysis.json`;
+    const analysisKey = `${manuscript.user_id}/${manuscriptId}/analysis.json`;
     let analysis = null;
     try {
       const analysisObject = await env.R2.getBucket('manuscripts_processed').get(analysisKey);
@@ -390,9 +395,7 @@ export async function getACXMetadata(request, env, manuscriptId) {
 
   try {
     // Get manuscript
-    const manuscript = await env.DB.prepare(
-      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-    ).bind(manuscriptId, user.id).first();
+    const manuscript = await findAuthorizedManuscript(manuscriptId, user, 'asset:write', env);
 
     if (!manuscript) {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
@@ -440,9 +443,7 @@ export async function getFindawayMetadata(request, env, manuscriptId) {
 
   try {
     // Get manuscript
-    const manuscript = await env.DB.prepare(
-      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-    ).bind(manuscriptId, user.id).first();
+    const manuscript = await findAuthorizedManuscript(manuscriptId, user, 'asset:write', env);
 
     if (!manuscript) {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
@@ -527,9 +528,7 @@ export async function exportMetadataCSV(request, env) {
     // Get manuscripts
     const manuscripts = [];
     for (const id of manuscriptIds) {
-      const manuscript = await env.DB.prepare(
-        'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-      ).bind(id, user.id).first();
+      const manuscript = await findAuthorizedManuscript(id, user, 'asset:read', env);
 
       if (manuscript) {
         manuscripts.push(manuscript);
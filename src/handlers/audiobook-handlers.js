@@ -11,55 +11,8 @@
 
 import { getUserFromRequest } from '../utils/auth-utils.js';
 import { initCache } from '../utils/db-cache.js';
-
-/**
- * Helper: Check if user can access a manuscript
- * Checks: direct ownership, team sharing, or individual sharing
- */
-async function checkManuscriptAccess(manuscriptId, userId, env) {
-  // Check ownership first
-  const manuscript = await env.DB.prepare(
-    'SELECT user_id FROM manuscripts WHERE id = ?'
-  ).bind(manuscriptId).first();
-
-  if (!manuscript) {
-    return { hasAccess: false, permissionLevel: null, isOwner: false };
-  }
-
-  const isOwner = manuscript.user_id === userId;
-  if (isOwner) {
-    return { hasAccess: true, permissionLevel: 'owner', isOwner: true };
-  }
-
-  // Check team or individual permissions
-  const permission = await env.DB.prepare(`
-    SELECT permission_level FROM manuscript_permissions
-    WHERE manuscript_id = ?
-      AND (
-        user_id = ?
-        OR team_id IN (
-          SELECT team_id FROM team_members WHERE user_id = ?
-        )
-      )
-    ORDER BY
-      CASE permission_level
-        WHEN 'edit' THEN 1
-        WHEN 'comment' THEN 2
-        WHEN 'view' THEN 3
-      END
-    LIMIT 1
-  `).bind(manuscriptId, userId, userId).first();
-
-  if (permission) {
-    return {
-      hasAccess: true,
-      permissionLevel: permission.permission_level,
-      isOwner: false
-    };
-  }
-
-  return { hasAccess: false, permissionLevel: null, isOwner: false };
-}
+import { checkManuscriptAccess } from './manuscript-handlers.js';
+import { can } from '../services/authorization-service.js';
 
 export const audiobookHandlers = {
   /**
@@ -279,7 +232,7 @@ export const audiobookHandlers = {
         });
       }
 
-      if (!access.isOwner && access.permissionLevel !== 'edit') {
+      if (!can(access.permissionLevel, 'asset:write')) {
         return new Response(JSON.stringify({ error: 'You must have edit permission to regenerate assets' }), {
           status: 403,
           headers: { 'Content-Type': 'application/json' }
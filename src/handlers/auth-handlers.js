@@ -250,7 +250,7 @@ export async function handleLogin(request, env) {
 
     // Fetch user from database
     const user = await env.DB.prepare(
-      'SELECT id, email, password_hash, email_verified FROM users WHERE email = ?'
+      'SELECT id, email, password_hash, email_verified, suspended_at FROM users WHERE email = ?'
     ).bind(normalizedEmail).first();
 
     // Verify user exists and password matches
@@ -276,6 +276,15 @@ export async function handleLogin(request, env) {
       return errorResponse('Email not verified. Please check your email for verification link.', 403, origin);
     }
 
+    // Accounts suspended under the repeat-infringer policy (services/dmca-service.js)
+    if (user.suspended_at) {
+      await logAuthEvent(env, user.id, 'login_failed', request, {
+        reason: 'account_suspended'
+      });
+
+      return errorResponse('This account has been suspended. Contact support@selfpubhub.co for help.', 403, origin);
+    }
+
     // Clear rate limit on successful login
     await clearRateLimit(ipAddress, env);
 
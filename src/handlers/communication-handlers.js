@@ -5,6 +5,7 @@
  */
 
 import { getUserFromRequest } from '../utils/auth-utils.js';
+import { enqueueNotification } from '../services/notification-service.js';
 import crypto from 'crypto';
 
 /**
@@ -807,49 +808,13 @@ export async function handleRespondToRevisionRequest(request, env) {
 }
 
 /**
- * Helper: Queue notification email
+ * Helper: Queue notification
+ * Delivery (in-app feed, email, digest) follows the recipient's preferences
+ * and is done by the notification dispatcher worker.
  */
-async function queueNotification(env, { userId, type, submissionId, messageId, revisionRequestId }) {
+async function queueNotification(env, notification) {
   try {
-    // Check user preferences
-    const prefs = await env.DB.prepare(
-      'SELECT * FROM notification_preferences WHERE user_id = ?'
-    ).bind(userId).first();
-
-    if (!prefs) return; // No preferences, skip
-
-    // Check if notification type is enabled
-    const typeMap = {
-      'message': prefs.email_on_message,
-      'revision_request': prefs.email_on_revision_request,
-      'revision_submitted': prefs.email_on_revision_submitted,
-      'status_change': prefs.email_on_status_change,
-      'decision': prefs.email_on_decision,
-      'submission_received': prefs.email_on_submission_received
-    };
-
-    if (!typeMap[type]) return; // Notification disabled
-
-    const notificationId = crypto.randomUUID();
-
-    await env.DB.prepare(`
-      INSERT INTO notification_queue (
-        id, user_id, notification_type, subject, body,
-        submission_id, message_id, revision_request_id,
-        status, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)
-    `).bind(
-      notificationId,
-      userId,
-      type,
-      `Manuscript Platform: New ${type.replace(/_/g, ' ')}`,
-      `You have a new ${type.replace(/_/g, ' ')} notification.`,
-      submissionId || null,
-      messageId || null,
-      revisionRequestId || null,
-      Math.floor(Date.now() / 1000)
-    ).run();
-
+    await enqueueNotification(env, notification);
   } catch (error) {
     console.error('Error queuing notification:', error);
   }
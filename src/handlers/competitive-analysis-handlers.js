@@ -1,6 +1,10 @@
 // Competitive Analysis & Market Positioning Handlers
 // Issue #57 - Comp title analysis, author platform tracking, marketing hooks
 
+import { scoreCompTitles } from '../services/similarity-service.js';
+import { createVectorStore, VECTOR_NAMESPACES } from '../services/vector-store.js';
+import { createLLMClient } from '../services/llm-client.js';
+
 // ============================================================================
 // Comparable Titles Handlers
 // ============================================================================
@@ -62,45 +66,20 @@ Format your response as a JSON array of objects with these fields:
 
 Focus on commercially successful titles published in the last 5 years that share this manuscript's appeal.`;
 
-    // Call Claude API
-    const claudeResponse = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4000,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
-    });
-
-    if (!claudeResponse.ok) {
-      throw new Error(`Claude API error: ${claudeResponse.statusText}`);
-    }
-
-    const claudeData = await claudeResponse.json();
-    const responseText = claudeData.content[0].text;
-
-    // Extract JSON from response
-    const jsonMatch = responseText.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) {
-      throw new Error('Failed to parse AI response');
-    }
-
-    const compTitles = JSON.parse(jsonMatch[0]);
+    const llm = createLLMClient(env, { track: { userId, manuscriptId, featureName: 'competitive_analysis' } });
+    const { data: compTitles, usage } = await llm.completeJSON({
+      agent: 'CompetitiveAnalysis',
+      operation: 'suggest_comp_titles',
+      prompt,
+      maxTokens: 4000,
+      schema: { type: 'array' }
+    });
 
     // Store comp titles in database
     const insertedIds = [];
     for (const comp of compTitles) {
       const compId = `comp-${crypto.randomUUID()}`;
+      comp.id = compId;
       await env.DB.prepare(`
         INSERT INTO comp_titles (
           id, manuscript_id, user_id, comp_title, comp_author,
@@ -116,15 +95,37 @@ Focus on commercially successful titles published in the last 5 years that share
       insertedIds.push(compId);
     }
 
+    // Replace the model's guessed similarity with embedding similarity
+    let similaritySource = 'ai';
+    try {
+      const scores = await scoreCompTitles(
+        manuscript,
+        compTitles.map(comp => ({ ...comp, user_id: userId })),
+        env
+      );
+      for (const comp of compTitles) {
+        comp.ai_similarity_score = comp.similarity_score;
+        comp.similarity_score = Math.round(scores.get(comp.id) * 1000) / 1000;
+        await env.DB.prepare(
+          'UPDATE comp_titles SET similarity_score = ? WHERE id = ?'
+        ).bind(comp.similarity_score, comp.id).run();
+      }
+      compTitles.sort((a, b) => b.similarity_score - a.similarity_score);
+      similaritySource = 'embedding';
+    } catch (similarityError) {
+      console.error('Error scoring comp titles by embedding similarity:', similarityError);
+    }
+
     return new Response(JSON.stringify({
       success: true,
       comp_titles: compTitles,
+      similarity_source: similaritySource,
       count: compTitles.length,
       inserted_ids: insertedIds,
       cost: {
-        input_tokens: claudeData.usage.input_tokens,
-        output_tokens: claudeData.usage.output_tokens,
-        estimated_cost: (claudeData.usage.input_tokens * 0.000003 + claudeData.usage.output_tokens * 0.000015).toFixed(4)
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+        estimated_cost: usage.cost.toFixed(4)
       }
     }), {
       status: 200,
@@ -221,9 +222,30 @@ export async function handleAddCompTitle(request, env) {
       body.avg_rating || null, body.review_count || null
     ).run();
 
+    // Index for comp matching; score it when the author didn't give a similarity
+    let similarityScore = body.similarity_score || null;
+    try {
+      const manuscript = await env.DB.prepare(
+        'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
+      ).bind(manuscriptId, userId).first();
+
+      if (manuscript) {
+        const scores = await scoreCompTitles(manuscript, [{ ...body, id: compId, user_id: userId }], env);
+        if (similarityScore === null) {
+          similarityScore = Math.round(scores.get(compId) * 1000) / 1000;
+          await env.DB.prepare(
+            'UPDATE comp_titles SET similarity_score = ? WHERE id = ?'
+          ).bind(similarityScore, compId).run();
+        }
+      }
+    } catch (similarityError) {
+      console.error('Error indexing comp title:', similarityError);
+    }
+
     return new Response(JSON.stringify({
       success: true,
-      comp_id: compId
+      comp_id: compId,
+      similarity_score: similarityScore
     }), {
       status: 201,
       headers: { 'Content-Type': 'application/json' }
@@ -261,6 +283,14 @@ export async function handleDeleteCompTitle(request, env) {
       'UPDATE comp_titles SET is_active = 0 WHERE id = ? AND user_id = ?'
     ).bind(compId, userId).run();
 
+    // Stop suggesting it in comp matching
+    const comp = await env.DB.prepare(
+      'SELECT id FROM comp_titles WHERE id = ? AND user_id = ?'
+    ).bind(compId, userId).first();
+    if (comp) {
+      await createVectorStore(env).delete(VECTOR_NAMESPACES.COMP_TITLE, compId);
+    }
+
     return new Response(JSON.stringify({ success: true }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' }
@@ -335,40 +365,14 @@ Format as JSON array with objects containing:
 - target_audience (who this hook targets)
 - variation_number (1, 2, or 3)`;
 
-    // Call Claude API
-    const claudeResponse = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 6000,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
-    });
-
-    if (!claudeResponse.ok) {
-      throw new Error(`Claude API error: ${claudeResponse.statusText}`);
-    }
-
-    const claudeData = await claudeResponse.json();
-    const responseText = claudeData.content[0].text;
-
-    // Extract JSON from response
-    const jsonMatch = responseText.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) {
-      throw new Error('Failed to parse AI response');
-    }
-
-    const hooks = JSON.parse(jsonMatch[0]);
+    const llm = createLLMClient(env, { track: { userId, manuscriptId, featureName: 'competitive_analysis' } });
+    const { data: hooks, usage } = await llm.completeJSON({
+      agent: 'CompetitiveAnalysis',
+      operation: 'generate_marketing_hooks',
+      prompt,
+      maxTokens: 6000,
+      schema: { type: 'array' }
+    });
 
     // Store hooks in database
     const insertedIds = [];
@@ -394,9 +398,9 @@ Format as JSON array with objects containing:
       count: hooks.length,
       inserted_ids: insertedIds,
       cost: {
-        input_tokens: claudeData.usage.input_tokens,
-        output_tokens: claudeData.usage.output_tokens,
-        estimated_cost: (claudeData.usage.input_tokens * 0.000003 + claudeData.usage.output_tokens * 0.000015).toFixed(4)
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+        estimated_cost: usage.cost.toFixed(4)
       }
     }), {
       status: 200,
@@ -851,40 +855,14 @@ Format as JSON with these fields:
 - estimated_monthly_revenue (number)
 - confidence_score (0.0-1.0)`;
 
-    // Call Claude API
-    const claudeResponse = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 6000,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
-    });
-
-    if (!claudeResponse.ok) {
-      throw new Error(`Claude API error: ${claudeResponse.statusText}`);
-    }
-
-    const claudeData = await claudeResponse.json();
-    const responseText = claudeData.content[0].text;
-
-    // Extract JSON
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Failed to parse AI response');
-    }
-
-    const report = JSON.parse(jsonMatch[0]);
+    const llm = createLLMClient(env, { track: { userId, manuscriptId, featureName: 'competitive_analysis' } });
+    const { data: report, usage } = await llm.completeJSON({
+      agent: 'CompetitiveAnalysis',
+      operation: 'generate_market_positioning',
+      prompt,
+      maxTokens: 6000,
+      schema: { type: 'object' }
+    });
 
     // Store report
     const reportId = `report-${crypto.randomUUID()}`;
@@ -910,9 +888,9 @@ Format as JSON with these fields:
       report: report,
       report_id: reportId,
       cost: {
-        input_tokens: claudeData.usage.input_tokens,
-        output_tokens: claudeData.usage.output_tokens,
-        estimated_cost: (claudeData.usage.input_tokens * 0.000003 + claudeData.usage.output_tokens * 0.000015).toFixed(4)
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+        estimated_cost: usage.cost.toFixed(4)
       }
     }), {
       status: 200,
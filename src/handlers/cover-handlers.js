@@ -12,6 +12,8 @@ import {
   getValidationSummary,
 } from '../validators/cover-validator.js';
 import { CoverDesignAgent } from '../agents/cover-design-agent.js';
+import { resolveManuscriptPermission, can } from '../services/authorization-service.js';
+import { quarantineUpload, getFileScanState, getUploadIp, SCAN_STATUS } from '../services/upload-quarantine.js';
 import crypto from 'crypto';
 
 /**
@@ -28,19 +30,17 @@ export async function uploadCover(request, env, manuscriptId) {
   }
 
   try {
-    // Verify manuscript belongs to user
-    const manuscript = await env.DB.prepare(
-      'SELECT id, user_id, title FROM manuscripts WHERE id = ?'
-    ).bind(manuscriptId).first();
+    // Verify the user may work on this manuscript (owner or collaborator)
+    const { manuscript, permission } = await resolveManuscriptPermission(manuscriptId, user, env);
 
-    if (!manuscript) {
+    if (!manuscript || permission === 'none') {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    if (manuscript.user_id !== user.id) {
+    if (!can(permission, 'asset:write')) {
       return new Response(JSON.stringify({ error: 'Forbidden' }), {
         status: 403,
         headers: { 'Content-Type': 'application/json' },
@@ -73,12 +73,18 @@ export async function uploadCover(request, env, manuscriptId) {
     // which doesn't work in Workers. We provide validation rules but can't measure actual pixels.
     const validationNote = 'Image dimensions cannot be validated in Workers environment. Please ensure your image meets platform requirements before uploading to publishing platforms.';
 
-    // Store cover in R2
-    const coverKey = `${user.id}/${manuscriptId}/covers/${coverFile.name}`;
-    await env.R2.getBucket('marketing_assets').put(coverKey, coverBuffer, {
-      httpMetadata: {
-        contentType: coverFile.type || 'image/jpeg',
-      },
+    // Hold the cover in quarantine until the scan worker has scanned it
+    const coverKey = `${manuscript.user_id}/${manuscriptId}/covers/${coverFile.name}`;
+    const { scanStatus } = await quarantineUpload(env, {
+      bucket: 'marketing_assets',
+      key: coverKey,
+      body: coverBuffer,
+      source: 'cover',
+      contentType: coverFile.type || 'image/jpeg',
+      fileName: coverFile.name,
+      userId: user,
+      manuscriptId,
+      ipAddress: getUploadIp(request)
     });
 
     // Update manuscript record with cover
@@ -99,6 +105,7 @@ export async function uploadCover(request, env, manuscriptId) {
         validation: basicValidation,
         note: validationNote,
         platforms: platforms,
+        scanStatus,
       }),
       { status: 200, headers: { 'Content-Type': 'application/json' } }
     );
@@ -126,18 +133,16 @@ export async function getCover(request, env, manuscriptId) {
 
   try {
     // Get manuscript
-    const manuscript = await env.DB.prepare(
-      'SELECT id, user_id, cover_image_key FROM manuscripts WHERE id = ?'
-    ).bind(manuscriptId).first();
+    const { manuscript, permission } = await resolveManuscriptPermission(manuscriptId, user, env);
 
-    if (!manuscript) {
+    if (!manuscript || permission === 'none') {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    if (manuscript.user_id !== user.id) {
+    if (!can(permission, 'asset:read')) {
       return new Response(JSON.stringify({ error: 'Forbidden' }), {
         status: 403,
         headers: { 'Content-Type': 'application/json' },
@@ -155,6 +160,13 @@ export async function getCover(request, env, manuscriptId) {
     const coverObject = await env.R2.getBucket('marketing_assets').get(manuscript.cover_image_key);
 
     if (!coverObject) {
+      const scanStatus = await getFileScanState(env, 'marketing_assets', manuscript.cover_image_key);
+      if (scanStatus === SCAN_STATUS.PENDING) {
+        return new Response(JSON.stringify({ error: 'Cover image is still being scanned for malware', scanStatus }), {
+          status: 409,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
       return new Response(JSON.stringify({ error: 'Cover image not found in storage' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' },
@@ -287,18 +299,16 @@ export async function deleteCover(request, env, manuscriptId) {
 
   try {
     // Get manuscript
-    const manuscript = await env.DB.prepare(
-      'SELECT id, user_id, cover_image_key FROM manuscripts WHERE id = ?'
-    ).bind(manuscriptId).first();
+    const { manuscript, permission } = await resolveManuscriptPermission(manuscriptId, user, env);
 
-    if (!manuscript) {
+    if (!manuscript || permission === 'none') {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    if (manuscript.user_id !== user.id) {
+    if (!can(permission, 'asset:write')) {
       return new Response(JSON.stringify({ error: 'Forbidden' }), {
         status: 403,
         headers: { 'Content-Type': 'application/json' },
@@ -354,19 +364,17 @@ export async function generateCoverBrief(request, env, manuscriptId) {
   }
 
   try {
-    // Verify manuscript belongs to user
-    const manuscript = await env.DB.prepare(
-      'SELECT id, user_id, title, genre, r2_key FROM manuscripts WHERE id = ?'
-    ).bind(manuscriptId).first();
+    // Verify the user may work on this manuscript (owner or collaborator)
+    const { manuscript, permission } = await resolveManuscriptPermission(manuscriptId, user, env);
 
-    if (!manuscript) {
+    if (!manuscript || permission === 'none') {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    if (manuscript.user_id !== user.id) {
+    if (!can(permission, 'asset:write')) {
       return new Response(JSON.stringify({ error: 'Forbidden' }), {
         status: 403,
         headers: { 'Content-Type': 'application/json' },
@@ -421,7 +429,7 @@ export async function generateCoverBrief(request, env, manuscriptId) {
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       briefId,
-      user.id,
+      user,
       manuscriptId,
       genre,
       JSON.stringify(result.coverBrief),
@@ -462,19 +470,17 @@ export async function getCoverBrief(request, env, manuscriptId) {
   }
 
   try {
-    // Verify manuscript belongs to user
-    const manuscript = await env.DB.prepare(
-      'SELECT id, user_id FROM manuscripts WHERE id = ?'
-    ).bind(manuscriptId).first();
+    // Verify the user may work on this manuscript (owner or collaborator)
+    const { manuscript, permission } = await resolveManuscriptPermission(manuscriptId, user, env);
 
-    if (!manuscript) {
+    if (!manuscript || permission === 'none') {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    if (manuscript.user_id !== user.id) {
+    if (!can(permission, 'asset:read')) {
       return new Response(JSON.stringify({ error: 'Forbidden' }), {
         status: 403,
         headers: { 'Content-Type': 'application/json' },
@@ -534,19 +540,17 @@ export async function generateMidjourneyPrompt(request, env, manuscriptId) {
   }
 
   try {
-    // Verify manuscript belongs to user
-    const manuscript = await env.DB.prepare(
-      'SELECT id, user_id FROM manuscripts WHERE id = ?'
-    ).bind(manuscriptId).first();
+    // Verify the user may work on this manuscript (owner or collaborator)
+    const { manuscript, permission } = await resolveManuscriptPermission(manuscriptId, user, env);
 
-    if (!manuscript) {
+    if (!manuscript || permission === 'none') {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    if (manuscript.user_id !== user.id) {
+    if (!can(permission, 'asset:write')) {
       return new Response(JSON.stringify({ error: 'Forbidden' }), {
         status: 403,
         headers: { 'Content-Type': 'application/json' },
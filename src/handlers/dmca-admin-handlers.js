@@ -1,9 +1,64 @@
 /**
+ * Phase E: DMCA Admin Handlers
+ * API endpoints for reviewing and managing DMCA takedown requests.
+ * The takedown workflow lives in services/dmca-service.js.
+ */
+
 import crypto from 'crypto';
+import { getUserFromRequest } from '../utils/auth-utils.js';
+import { initCache } from '../utils/db-cache.js';
+import {
+  setReviewStatus,
+  resolveRequest,
+  recordCourtAction,
+  reinstateUser,
+  getActiveStrikes,
+  getCaseAudit,
+  caseAuditToCsv
+} from '../services/dmca-service.js';
+
+function jsonResponse(body, status, corsHeaders) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
 
- * Phase E: DMCA Admin Handlers
- * API endpoints for reviewing and managing DMCA takedown requests
+function errorResponse(error, fallback, corsHeaders) {
+  const status = error.statusCode || 500;
+  if (status === 500) {
+    console.error(`[DMCA Admin] ${fallback}:`, error);
+    return jsonResponse({ error: fallback, details: error.message }, 500, corsHeaders);
+  }
+  return jsonResponse({ error: error.message, code: error.code, ...error.details }, status, corsHeaders);
+}
+
+/**
+ * Authenticated admin's user ID, or the response to send instead
+ *
+ * @returns {Promise<{userId: string}|{response: Response}>}
  */
+async function requireAdmin(request, env, corsHeaders) {
+  const userId = await getUserFromRequest(request, env);
+  if (!userId) {
+    return { response: jsonResponse({ error: 'Unauthorized' }, 401, corsHeaders) };
+  }
+
+  const user = await env.DB.prepare('SELECT role FROM users WHERE id = ?').bind(userId).first();
+  if (!user || user.role !== 'admin') {
+    return { response: jsonResponse({ error: 'Admin access required' }, 403, corsHeaders) };
+  }
+
+  return { userId };
+}
+
+async function readBody(request) {
+  try {
+    return await request.json();
+  } catch {
+    return {};
+  }
+}
 
 /**
  * Get all DMCA requests with filtering
@@ -11,40 +66,27 @@ import crypto from 'crypto';
  */
 export async function getDMCARequests(request, env, corsHeaders) {
   try {
-    // Import auth utilities
-    const { getUserFromRequest } = await import('../utils/auth-utils.js');
-
-    // Get authenticated user
-    const userId = await getUserFromRequest(request, env);
-    if (!userId) {
-      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-        status: 401,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-
-    // Verify user is admin
-    const user = await env.DB.prepare('SELECT role FROM users WHERE id = ?').bind(userId).first();
-    if (!user || user.role !== 'admin') {
-      return new Response(JSON.stringify({ error: 'Admin access required' }), {
-        status: 403,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
+    const admin = await requireAdmin(request, env, corsHeaders);
+    if (admin.response) return admin.response;
 
     // Parse query parameters
     const url = new URL(request.url);
-    const statusFilter = url.searchParams.get('status'); // pending, reviewing, resolved, rejected
+    const statusFilter = url.searchParams.get('status'); // pending, reviewing, resolved, rejected, counter_notice, restored, court_action
 
     // Build query
     let query = `
       SELECT
         d.*,
         m.title as manuscript_title,
-        u.email as manuscript_owner_email
+        m.dmca_status as manuscript_dmca_status,
+        u.email as manuscript_owner_email,
+        u.suspended_at as owner_suspended_at,
+        c.submitted_at as counter_notice_submitted_at,
+        c.forwarded_at as counter_notice_forwarded_at
       FROM dmca_requests d
       LEFT JOIN manuscripts m ON d.manuscript_id = m.id
       LEFT JOIN users u ON m.user_id = u.id
+      LEFT JOIN dmca_counter_notices c ON c.dmca_request_id = d.id
     `;
 
     const params = [];
@@ -62,23 +104,13 @@ export async function getDMCARequests(request, env, corsHeaders) {
 
     const result = await stmt.all();
 
-    return new Response(JSON.stringify({
+    return jsonResponse({
       success: true,
       requests: result.results
-    }), {
-      status: 200,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
+    }, 200, corsHeaders);
 
   } catch (error) {
-    console.error('[DMCA Admin] Get requests error:', error);
-    return new Response(JSON.stringify({
-      error: 'Failed to fetch DMCA requests',
-      details: error.message
-    }), {
-      status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
+    return errorResponse(error, 'Failed to fetch DMCA requests', corsHeaders);
   }
 }
 
@@ -88,26 +120,8 @@ export async function getDMCARequests(request, env, corsHeaders) {
  */
 export async function getDMCAStats(request, env, corsHeaders) {
   try {
-    // Import auth utilities
-    const { getUserFromRequest } = await import('../utils/auth-utils.js');
-
-    // Get authenticated user
-    const userId = await getUserFromRequest(request, env);
-    if (!userId) {
-      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-        status: 401,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-
-    // Verify user is admin
-    const user = await env.DB.prepare('SELECT role FROM users WHERE id = ?').bind(userId).first();
-    if (!user || user.role !== 'admin') {
-      return new Response(JSON.stringify({ error: 'Admin access required' }), {
-        status: 403,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
+    const admin = await requireAdmin(request, env, corsHeaders);
+    if (admin.response) return admin.response;
 
     // Get counts by status
     const stats = await env.DB.prepare(`
@@ -116,240 +130,90 @@ export async function getDMCAStats(request, env, corsHeaders) {
         SUM(CASE WHEN status = 'reviewing' THEN 1 ELSE 0 END) as reviewing,
         SUM(CASE WHEN status = 'resolved' THEN 1 ELSE 0 END) as resolved,
         SUM(CASE WHEN status = 'rejected' THEN 1 ELSE 0 END) as rejected,
+        SUM(CASE WHEN status = 'counter_notice' THEN 1 ELSE 0 END) as counter_notice,
+        SUM(CASE WHEN status = 'restored' THEN 1 ELSE 0 END) as restored,
+        SUM(CASE WHEN status = 'court_action' THEN 1 ELSE 0 END) as court_action,
         COUNT(*) as total
       FROM dmca_requests
     `).first();
 
-    return new Response(JSON.stringify({
+    const suspended = await env.DB.prepare(
+      'SELECT COUNT(*) as count FROM users WHERE suspended_at IS NOT NULL'
+    ).first();
+
+    return jsonResponse({
       success: true,
       stats: {
-        pending: stats.pending || 0,
-        reviewing: stats.reviewing || 0,
-        resolved: stats.resolved || 0,
-        rejected: stats.rejected || 0,
-        total: stats.total || 0
+        pending: Number(stats.pending) || 0,
+        reviewing: Number(stats.reviewing) || 0,
+        resolved: Number(stats.resolved) || 0,
+        rejected: Number(stats.rejected) || 0,
+        counterNotice: Number(stats.counter_notice) || 0,
+        restored: Number(stats.restored) || 0,
+        courtAction: Number(stats.court_action) || 0,
+        total: Number(stats.total) || 0,
+        suspendedUsers: Number(suspended?.count) || 0
       }
-    }), {
-      status: 200,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
+    }, 200, corsHeaders);
 
   } catch (error) {
-    console.error('[DMCA Admin] Get stats error:', error);
-    return new Response(JSON.stringify({
-      error: 'Failed to fetch statistics',
-      details: error.message
-    }), {
-      status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
+    return errorResponse(error, 'Failed to fetch statistics', corsHeaders);
   }
 }
 
 /**
- * Update DMCA request status to "reviewing"
+ * Move an open DMCA request between "pending" and "reviewing"
  * PATCH /admin/dmca/status
+ *
+ * Body: { requestId, status }
  */
 export async function updateDMCAStatus(request, env, corsHeaders) {
   try {
-    // Import auth utilities
-    const { getUserFromRequest } = await import('../utils/auth-utils.js');
-
-    // Get authenticated user
-    const userId = await getUserFromRequest(request, env);
-    if (!userId) {
-      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-        status: 401,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-
-    // Verify user is admin
-    const user = await env.DB.prepare('SELECT role FROM users WHERE id = ?').bind(userId).first();
-    if (!user || user.role !== 'admin') {
-      return new Response(JSON.stringify({ error: 'Admin access required' }), {
-        status: 403,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-
-    // Parse request body
-    const body = await request.json();
-    const { requestId, status } = body;
+    const admin = await requireAdmin(request, env, corsHeaders);
+    if (admin.response) return admin.response;
 
+    const { requestId, status } = await readBody(request);
     if (!requestId || !status) {
-      return new Response(JSON.stringify({ error: 'requestId and status are required' }), {
-        status: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
+      return jsonResponse({ error: 'requestId and status are required' }, 400, corsHeaders);
     }
 
-    // Validate status
-    if (!['pending', 'reviewing', 'resolved', 'rejected'].includes(status)) {
-      return new Response(JSON.stringify({ error: 'Invalid status value' }), {
-        status: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-
-    // Get DMCA request details for email notification
-    const dmcaRequest = await env.DB.prepare(`
-      SELECT d.*, m.title as manuscript_title
-      FROM dmca_requests d
-      LEFT JOIN manuscripts m ON d.manuscript_id = m.id
-      WHERE d.id = ?
-    `).bind(requestId).first();
-
-    // Update status
-    const timestamp = Math.floor(Date.now() / 1000);
-    await env.DB.prepare(`
-      UPDATE dmca_requests
-      SET status = ?, updated_at = ?
-      WHERE id = ?
-    `).bind(status, created_at, requestId).run();
+    await setReviewStatus(requestId, admin.userId, status, env);
 
     console.log(`[DMCA Admin] Updated request ${requestId} to status: ${status}`);
 
-    // Send email notification to requester about status change (non-blocking)
-    try {
-      const { sendDMCAStatusUpdate } = await import('./email-service.js');
-
-      if (dmcaRequest) {
-        sendDMCAStatusUpdate({
-          requestId,
-          requesterEmail: dmcaRequest.requester_email,
-          requesterName: dmcaRequest.requester_name,
-          status,
-          manuscriptTitle: dmcaRequest.manuscript_title
-        }, env).catch(err => console.error('[Email] Failed to send status update:', err));
-      }
-    } catch (emailError) {
-      console.error('[Email] Email service error:', emailError);
-      // Don't fail the request if email fails
-    }
-
-    return new Response(JSON.stringify({
+    return jsonResponse({
       success: true,
       message: 'Status updated successfully'
-    }), {
-      status: 200,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
+    }, 200, corsHeaders);
 
   } catch (error) {
-    console.error('[DMCA Admin] Update status error:', error);
-    return new Response(JSON.stringify({
-      error: 'Failed to update status',
-      details: error.message
-    }), {
-      status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
+    return errorResponse(error, 'Failed to update status', corsHeaders);
   }
 }
 
 /**
- * Resolve DMCA request (approve or reject)
+ * Resolve DMCA request: approve (take the manuscript down and strike its
+ * uploader) or reject
  * POST /admin/dmca/resolve
+ *
+ * Body: { requestId, action: 'approve'|'reject', resolutionNotes }
  */
 export async function resolveDMCARequest(request, env, corsHeaders) {
   try {
-    // Import auth utilities
-    const { getUserFromRequest } = await import('../utils/auth-utils.js');
-
-    // Get authenticated user
-    const userId = await getUserFromRequest(request, env);
-    if (!userId) {
-      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-        status: 401,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-
-    // Verify user is admin
-    const user = await env.DB.prepare('SELECT role FROM users WHERE id = ?').bind(userId).first();
-    if (!user || user.role !== 'admin') {
-      return new Response(JSON.stringify({ error: 'Admin access required' }), {
-        status: 403,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-
-    // Parse request body
-    const body = await request.json();
-    const { requestId, action, resolutionNotes } = body;
+    const admin = await requireAdmin(request, env, corsHeaders);
+    if (admin.response) return admin.response;
 
+    const { requestId, action, resolutionNotes } = await readBody(request);
     if (!requestId || !action || !resolutionNotes) {
-      return new Response(JSON.stringify({ error: 'requestId, action, and resolutionNotes are required' }), {
-        status: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
+      return jsonResponse({ error: 'requestId, action, and resolutionNotes are required' }, 400, corsHeaders);
     }
 
-    // Validate action
-    if (!['approve', 'reject'].includes(action)) {
-      return new Response(JSON.stringify({ error: 'action must be "approve" or "reject"' }), {
-        status: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
+    const result = await resolveRequest(requestId, admin.userId, { action, resolutionNotes }, env);
+    const dmcaRequest = result.request;
 
-    // Get DMCA request details with manuscript info and owner email
-    const dmcaRequest = await env.DB.prepare(`
-      SELECT d.*, m.title as manuscript_title, m.user_id as manuscript_owner_id, u.email as owner_email
-      FROM dmca_requests d
-      LEFT JOIN manuscripts m ON d.manuscript_id = m.id
-      LEFT JOIN users u ON m.user_id = u.id
-      WHERE d.id = ?
-    `).bind(requestId).first();
-
-    if (!dmcaRequest) {
-      return new Response(JSON.stringify({ error: 'DMCA request not found' }), {
-        status: 404,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-
-    const timestamp = Math.floor(Date.now() / 1000);
-    const newStatus = action === 'approve' ? 'resolved' : 'rejected';
-
-    // Update DMCA request
-    await env.DB.prepare(`
-      UPDATE dmca_requests
-      SET
-        status = ?,
-        resolution_notes = ?,
-        resolved_at = ?,
-        resolved_by = ?
-      WHERE id = ?
-    `).bind(
-      newStatus,
-      resolutionNotes,
-      timestamp,
-      userId,
-      requestId
-    ).run();
-
-    // If approved, remove the manuscript's flagged status OR delete manuscript
-    if (action === 'approve') {
-      // Option 1: Just unflag (keep manuscript but marked as resolved)
-      await env.DB.prepare(`
-        UPDATE manuscripts
-        SET flagged_for_review = 0, updated_at = ?
-        WHERE id = ?
-      `).bind(timestamp, dmcaRequest.manuscript_id).run();
-
-      // Option 2: Delete manuscript entirely (commented out - choose based on policy)
-      // await env.DB.prepare(`
-      //   DELETE FROM manuscripts WHERE id = ?
-      // `).bind(dmcaRequest.manuscript_id).run();
-    } else {
-      // If rejected, unflag the manuscript
-      await env.DB.prepare(`
-        UPDATE manuscripts
-        SET flagged_for_review = 0, updated_at = ?
-        WHERE id = ?
-      `).bind(timestamp, dmcaRequest.manuscript_id).run();
+    // Cached manuscript metadata would still show the old dmca_status
+    if (dmcaRequest.manuscript_id) {
+      await initCache(env).manuscript.invalidate(dmcaRequest.manuscript_id, dmcaRequest.owner_id, dmcaRequest.manuscript_key);
     }
 
     // Log audit event
@@ -358,11 +222,11 @@ export async function resolveDMCARequest(request, env, corsHeaders) {
       VALUES (?, ?, ?, ?, ?, ?, ?)
     `).bind(
       crypto.randomUUID(),
-      userId,
+      admin.userId,
       `dmca_${action}`,
       'dmca_request',
       requestId,
-      timestamp,
+      Math.floor(Date.now() / 1000),
       JSON.stringify({
         manuscriptId: dmcaRequest.manuscript_id,
         action,
@@ -372,52 +236,150 @@ export async function resolveDMCARequest(request, env, corsHeaders) {
 
     console.log(`[DMCA Admin] ${action === 'approve' ? 'Approved' : 'Rejected'} DMCA request ${requestId}`);
 
-    // Send email notifications (non-blocking)
-    try {
-      const { sendDMCAStatusUpdate, sendDMCAOwnerNotification } = await import('./email-service.js');
-
-      // Send resolution email to copyright holder
-      sendDMCAStatusUpdate({
-        requestId,
-        requesterEmail: dmcaRequest.requester_email,
-        requesterName: dmcaRequest.requester_name,
-        status: newStatus,
-        manuscriptTitle: dmcaRequest.manuscript_title
-      }, env).catch(err => console.error('[Email] Failed to send requester resolution email:', err));
-
-      // Send notification to manuscript owner
-      if (dmcaRequest.owner_email) {
-        const ownerAction = action === 'approve' ? 'removed' : 'cleared';
-        sendDMCAOwnerNotification({
-          ownerEmail: dmcaRequest.owner_email,
-          manuscriptTitle: dmcaRequest.manuscript_title,
-          manuscriptId: dmcaRequest.manuscript_id,
-          requestId,
-          action: ownerAction
-        }, env).catch(err => console.error('[Email] Failed to send owner notification:', err));
-      }
-    } catch (emailError) {
-      console.error('[Email] Email service error:', emailError);
-      // Don't fail the request if email fails
-    }
-
-    return new Response(JSON.stringify({
+    return jsonResponse({
       success: true,
       message: `DMCA request ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
-      status: newStatus
-    }), {
+      status: result.status,
+      strike: result.strike,
+      suspension: result.suspension
+    }, 200, corsHeaders);
+
+  } catch (error) {
+    return errorResponse(error, 'Failed to resolve DMCA request', corsHeaders);
+  }
+}
+
+/**
+ * Record that the claimant filed a court action after a counter-notice,
+ * which cancels the restoration
+ * POST /admin/dmca/court-action
+ *
+ * Body: { requestId, caseReference, notes? }
+ */
+export async function recordDMCACourtAction(request, env, corsHeaders) {
+  try {
+    const admin = await requireAdmin(request, env, corsHeaders);
+    if (admin.response) return admin.response;
+
+    const { requestId, caseReference, notes } = await readBody(request);
+    if (!requestId) {
+      return jsonResponse({ error: 'requestId is required' }, 400, corsHeaders);
+    }
+
+    const result = await recordCourtAction(requestId, admin.userId, { caseReference, notes }, env);
+
+    return jsonResponse({ success: true, ...result }, 200, corsHeaders);
+
+  } catch (error) {
+    return errorResponse(error, 'Failed to record court action', corsHeaders);
+  }
+}
+
+/**
+ * Export a case's audit log
+ * GET /admin/dmca/audit?requestId=...&format=json|csv
+ */
+export async function exportDMCACaseAudit(request, env, corsHeaders) {
+  try {
+    const admin = await requireAdmin(request, env, corsHeaders);
+    if (admin.response) return admin.response;
+
+    const url = new URL(request.url);
+    const requestId = url.searchParams.get('requestId');
+    const format = url.searchParams.get('format') || 'json';
+    if (!requestId) {
+      return jsonResponse({ error: 'requestId is required' }, 400, corsHeaders);
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return jsonResponse({ error: 'format must be "json" or "csv"' }, 400, corsHeaders);
+    }
+
+    const audit = await getCaseAudit(requestId, env);
+    const filename = `dmca-case-${requestId}.${format}`;
+
+    if (format === 'csv') {
+      return new Response(caseAuditToCsv(audit), {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'text/csv',
+          'Content-Disposition': `attachment; filename="${filename}"`
+        }
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true, exportedAt: new Date().toISOString(), ...audit }, null, 2), {
       status: 200,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      }
     });
 
   } catch (error) {
-    console.error('[DMCA Admin] Resolve error:', error);
-    return new Response(JSON.stringify({
-      error: 'Failed to resolve DMCA request',
-      details: error.message
-    }), {
-      status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
+    return errorResponse(error, 'Failed to export case audit', corsHeaders);
+  }
+}
+
+/**
+ * A user's active copyright strikes and suspension state
+ * GET /admin/dmca/strikes?userId=...
+ */
+export async function getDMCAUserStrikes(request, env, corsHeaders) {
+  try {
+    const admin = await requireAdmin(request, env, corsHeaders);
+    if (admin.response) return admin.response;
+
+    const userId = new URL(request.url).searchParams.get('userId');
+    if (!userId) {
+      return jsonResponse({ error: 'userId is required' }, 400, corsHeaders);
+    }
+
+    const user = await env.DB.prepare(
+      'SELECT id, email, suspended_at, suspension_reason FROM users WHERE id = ?'
+    ).bind(userId).first();
+    if (!user) {
+      return jsonResponse({ error: 'User not found' }, 404, corsHeaders);
+    }
+
+    const strikes = await getActiveStrikes(userId, env);
+
+    return jsonResponse({
+      success: true,
+      userId,
+      email: user.email,
+      suspendedAt: user.suspended_at,
+      suspensionReason: user.suspension_reason,
+      activeStrikes: strikes
+    }, 200, corsHeaders);
+
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch strikes', corsHeaders);
+  }
+}
+
+/**
+ * Lift a repeat-infringer suspension
+ * POST /admin/dmca/reinstate
+ *
+ * Body: { userId, notes? }
+ */
+export async function reinstateDMCAUser(request, env, corsHeaders) {
+  try {
+    const admin = await requireAdmin(request, env, corsHeaders);
+    if (admin.response) return admin.response;
+
+    const { userId, notes } = await readBody(request);
+    if (!userId) {
+      return jsonResponse({ error: 'userId is required' }, 400, corsHeaders);
+    }
+
+    const result = await reinstateUser(userId, admin.userId, { notes }, env);
+
+    return jsonResponse({ success: true, ...result }, 200, corsHeaders);
+
+  } catch (error) {
+    return errorResponse(error, 'Failed to reinstate user', corsHeaders);
   }
 }
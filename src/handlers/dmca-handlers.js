@@ -1,11 +1,16 @@
 /**
-import crypto from 'crypto';
-
  * DMCA Takedown Request Handler
  *
- * Public endpoint for copyright holders to submit DMCA takedown requests
+ * Public endpoint for copyright holders to submit DMCA takedown requests, and
+ * the endpoints uploaders use to follow the requests against their
+ * manuscripts and answer a takedown with a counter-notice.
+ * The takedown workflow lives in services/dmca-service.js.
  */
 
+import crypto from 'crypto';
+import { getUserFromRequest } from '../utils/auth-utils.js';
+import { caseEventStatement, listOwnerCases, fileCounterNotice } from '../services/dmca-service.js';
+
 /**
  * Handle DMCA takedown request submission (Phase E)
  *
@@ -139,12 +144,21 @@ export async function handleDMCASubmission(request, env, corsHeaders) {
       })
     ).run();
 
+    await caseEventStatement(env, {
+      requestId: dmcaRequestId,
+      manuscriptId: actualManuscriptId,
+      type: 'submitted',
+      actorType: 'claimant',
+      details: { requesterName, requesterEmail, requesterCompany: requesterCompany || null, originalWorkUrl: originalWorkUrl || null },
+      now: timestamp
+    }).run();
+
     console.log('[DMCA] Request submitted successfully:', dmcaRequestId);
     console.log('[DMCA] Manuscript flagged for review:', actualManuscriptId);
 
     // Send email notifications (don't block the response)
     try {
-      const { sendDMCARequestNotification, sendDMCAOwnerNotification } = await import('./email-service.js');
+      const { sendDMCARequestNotification, sendDMCAOwnerNotification } = await import('../services/email-service.js');
 
       // Get manuscript owner email
       const owner = await env.DB.prepare('SELECT email FROM users WHERE id = ?')
@@ -200,3 +214,72 @@ export async function handleDMCASubmission(request, env, corsHeaders) {
     });
   }
 }
+
+function jsonResponse(body, status, corsHeaders) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+function errorResponse(error, fallback, corsHeaders) {
+  const status = error.statusCode || 500;
+  if (status === 500) {
+    console.error(`[DMCA] ${fallback}:`, error);
+    return jsonResponse({ error: fallback, details: error.message }, 500, corsHeaders);
+  }
+  return jsonResponse({ error: error.message, code: error.code, ...error.details }, status, corsHeaders);
+}
+
+/**
+ * DMCA requests against the user's manuscripts, with their copyright strikes
+ *
+ * GET /dmca/my-cases
+ */
+export async function handleListMyDMCACases(request, env, corsHeaders) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401, corsHeaders);
+    }
+
+    const { cases, strikes } = await listOwnerCases(userId, env);
+
+    return jsonResponse({ success: true, cases, strikes }, 200, corsHeaders);
+  } catch (error) {
+    return errorResponse(error, 'Failed to list DMCA cases', corsHeaders);
+  }
+}
+
+/**
+ * File a counter-notice against an upheld takedown (17 U.S.C. §512(g)(3))
+ *
+ * POST /dmca/counter-notice
+ *
+ * Body: { requestId, fullName, address, phone, email, materialDescription,
+ *         mistakeStatement, perjuryAttestation: true, jurisdictionConsent: true,
+ *         digitalSignature }
+ */
+export async function handleDMCACounterNotice(request, env, corsHeaders) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401, corsHeaders);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    if (!body.requestId) {
+      return jsonResponse({ error: 'requestId is required' }, 400, corsHeaders);
+    }
+
+    const result = await fileCounterNotice(body.requestId, userId, body, env);
+
+    return jsonResponse({
+      success: true,
+      message: 'Counter-notice filed. The manuscript will be restored after the waiting period unless the claimant files a court action.',
+      ...result
+    }, 201, corsHeaders);
+  } catch (error) {
+    return errorResponse(error, 'Failed to file counter-notice', corsHeaders);
+  }
+}
@@ -13,8 +13,9 @@ import crypto from 'crypto';
 
 /**
  * Get or create email preferences for a user
+ * Also used by the notification dispatcher to find the unsubscribe token.
  */
-async function getOrCreatePreferences(userId, env) {
+export async function getOrCreatePreferences(userId, env) {
   let prefs = await env.DB.prepare(
     'SELECT * FROM email_preferences WHERE user_id = ?'
   ).bind(userId).first();
@@ -87,6 +88,7 @@ export async function getEmailPreferences(request, env) {
       team_activity: prefs.team_activity === 1,
       weekly_digest: prefs.weekly_digest === 1,
       admin_alerts: prefs.admin_alerts === 1,
+      submission_updates: prefs.submission_updates !== 0,
       unsubscribe_token: prefs.unsubscribe_token
     };
 
@@ -147,7 +149,8 @@ export async function updateEmailPreferences(request, env) {
       'team_invitation',
       'team_activity',
       'weekly_digest',
-      'admin_alerts'
+      'admin_alerts',
+      'submission_updates'
     ];
 
     // Build update query
@@ -204,7 +207,8 @@ export async function updateEmailPreferences(request, env) {
       team_invitation: prefs.team_invitation === 1,
       team_activity: prefs.team_activity === 1,
       weekly_digest: prefs.weekly_digest === 1,
-      admin_alerts: prefs.admin_alerts === 1
+      admin_alerts: prefs.admin_alerts === 1,
+      submission_updates: prefs.submission_updates !== 0
     };
 
     return new Response(JSON.stringify(response), {
@@ -261,6 +265,7 @@ export async function unsubscribeByToken(request, env) {
           team_activity = 0,
           weekly_digest = 0,
           admin_alerts = 0,
+          submission_updates = 0,
           updated_at = ?
       WHERE unsubscribe_token = ?
     `).bind(now, token).run();
@@ -402,6 +407,7 @@ export async function resubscribe(request, env) {
           team_activity = 1,
           weekly_digest = 1,
           admin_alerts = 1,
+          submission_updates = 1,
           updated_at = ?
       WHERE user_id = ?
     `).bind(now, userId).run();
@@ -4,11 +4,20 @@
  * Issue #44: https://github.com/scarter4work/manuscript-platform/issues/44
  */
 
-import { generateEPUBFromDOCX, validateEPUB } from '../generators/epub-generator.js';
-import { generatePrintPDF, TRIM_SIZES } from '../generators/pdf-generator.js';
+import { generateValidatedEPUB } from '../generators/epub-generator.js';
+import { EPUBValidationError } from '../validators/epub-validator.js';
+import { typesetPrintBook, TRIM_SIZES } from '../generators/pdf-generator.js';
+import { generateFullWrapCover } from '../generators/print-cover-generator.js';
+import fontkit from '@pdf-lib/fontkit';
+import { loadOutlinedModel } from '../services/outline-service.js';
 import { getUserFromRequest } from '../utils/auth-utils.js';
+import { findAuthorizedManuscript } from '../services/authorization-service.js';
+import { quarantineUpload, getFileScanState, getUploadIp, SCAN_STATUS } from '../services/upload-quarantine.js';
 import crypto from 'crypto';
 
+const MAX_FONT_SIZE = 10 * 1024 * 1024; // 10MB
+const FONT_STYLES = ['regular', 'italic', 'bold', 'boldItalic'];
+
 /**
  * POST /manuscripts/:id/format/epub
  * Generate EPUB format for Kindle
@@ -26,10 +35,8 @@ export async function handleGenerateEPUB(request, env) {
     const { manuscriptId } = request.params;
     const body = await request.json();
 
-    // Verify manuscript ownership
-    const manuscript = await env.DB.prepare(
-      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-    ).bind(manuscriptId, userId).first();
+    // Owner or collaborator with edit access
+    const manuscript = await findAuthorizedManuscript(manuscriptId, userId, 'asset:write', env);
 
     if (!manuscript) {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
@@ -72,15 +79,22 @@ export async function handleGenerateEPUB(request, env) {
       isbn: body.isbn || ''
     };
 
-    // Generate EPUB
-    const epubBuffer = await generateEPUBFromDOCX(
-      Buffer.from(manuscriptBuffer),
-      coverBuffer ? Buffer.from(coverBuffer) : null,
-      metadata
+    // Import manuscript into the document model (keeps headings, italics, scene breaks)
+    // and apply the author-reviewed outline so the TOC matches it
+    const model = await loadOutlinedModel(
+      manuscriptBuffer,
+      manuscriptObj.httpMetadata?.contentType || manuscript.file_type,
+      manuscriptId,
+      env
     );
 
-    // Validate EPUB
-    const validation = await validateEPUB(epubBuffer);
+    // Generate and validate EPUB (an EPUB that would be rejected on upload is never stored)
+    const { buffer: epubBuffer, validation } = await generateValidatedEPUB({
+      ...metadata,
+      cover: coverBuffer ? Buffer.from(coverBuffer) : null,
+      model,
+      metadata
+    });
 
     // Store in R2
     const epubKey = `formatted/${manuscriptId}/epub/${Date.now()}.epub`;
@@ -142,6 +156,18 @@ export async function handleGenerateEPUB(request, env) {
     });
 
   } catch (error) {
+    if (error instanceof EPUBValidationError) {
+      return new Response(JSON.stringify({
+        error: 'Generated EPUB failed validation',
+        code: error.code,
+        errors: error.details.errors,
+        warnings: error.details.warnings
+      }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     console.error('Error generating EPUB:', error);
     return new Response(JSON.stringify({
       error: 'Failed to generate EPUB',
@@ -170,10 +196,8 @@ export async function handleGeneratePDF(request, env) {
     const { manuscriptId } = request.params;
     const body = await request.json();
 
-    // Verify manuscript ownership
-    const manuscript = await env.DB.prepare(
-      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-    ).bind(manuscriptId, userId).first();
+    // Owner or collaborator with edit access
+    const manuscript = await findAuthorizedManuscript(manuscriptId, userId, 'asset:write', env);
 
     if (!manuscript) {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
@@ -208,26 +232,80 @@ export async function handleGeneratePDF(request, env) {
       });
     }
 
+    // Custom fonts must be files this user uploaded via POST /fonts
+    const fontKeys = body.fonts || {};
+    const fonts = {};
+    for (const style of FONT_STYLES) {
+      if (!fontKeys[style]) {
+        continue;
+      }
+      const fontObj = String(fontKeys[style]).startsWith(`fonts/${userId}/`)
+        ? await env.R2.getBucket('marketing_assets').get(fontKeys[style])
+        : null;
+      if (!fontObj) {
+        const scanStatus = String(fontKeys[style]).startsWith(`fonts/${userId}/`)
+          ? await getFileScanState(env, 'marketing_assets', fontKeys[style])
+          : null;
+        if (scanStatus === SCAN_STATUS.PENDING) {
+          return new Response(JSON.stringify({ error: `Font is still being scanned for malware: ${style}`, scanStatus }), {
+            status: 409,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        return new Response(JSON.stringify({ error: `Font not found: ${style}` }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      fonts[style] = new Uint8Array(await fontObj.arrayBuffer());
+    }
+
     const options = {
       title: body.title || manuscript.title,
+      subtitle: body.subtitle,
       author: body.author || 'Author Name',
       trimSize,
       bleed: body.includeBleed ? 9 : 0, // 0.125" bleed in points
-      chapters: body.chapters || []
+      chapters: body.chapters || [],
+      metadata: {
+        isbn: body.isbn,
+        publisher: body.publisher,
+        edition: body.edition,
+        copyright: body.copyrightText,
+        publicationYear: body.publicationYear
+      },
+      fonts: Object.keys(fonts).length > 0 ? fonts : null,
+      fontSize: body.fontSize ? Number(body.fontSize) : null,
+      justification: body.justification,
+      hyphenate: body.hyphenate,
+      dropCaps: body.dropCaps,
+      chaptersOnRecto: body.chaptersOnRecto,
+      includeTitlePage: body.includeTitlePage,
+      includeCopyright: body.includeCopyright,
+      includeTOC: body.includeTOC
     };
 
-    // If no chapters provided, parse from DOCX
+    if (options.fontSize !== null && !(options.fontSize >= 8 && options.fontSize <= 16)) {
+      return new Response(JSON.stringify({ error: 'fontSize must be between 8 and 16 points' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // If no chapters provided, import the manuscript into the document model
     if (!options.chapters || options.chapters.length === 0) {
-      // For now, use a placeholder - full parsing would require mammoth
-      // This would be enhanced to actually parse the DOCX
-      options.chapters = [{
-        title: 'Chapter 1',
-        content: 'Manuscript content will be parsed from DOCX file.'
-      }];
+      options.model = await loadOutlinedModel(
+        manuscriptBuffer,
+        manuscriptObj.httpMetadata?.contentType || manuscript.file_type,
+        manuscriptId,
+        env
+      );
     }
 
     // Generate PDF
-    const pdfBuffer = await generatePrintPDF(options);
+    const { pdfDoc } = await typesetPrintBook(options);
+    const pageCount = pdfDoc.getPageCount();
+    const pdfBuffer = Buffer.from(await pdfDoc.save());
 
     // Store in R2
     const pdfKey = `formatted/${manuscriptId}/pdf/${Date.now()}.pdf`;
@@ -247,10 +325,10 @@ export async function handleGeneratePDF(request, env) {
     await env.DB.prepare(`
       INSERT INTO formatted_manuscripts (
         id, manuscript_id, user_id, format_type, file_key,
-        file_size, status, trim_size, has_bleed,
+        file_size, status, trim_size, page_count, has_bleed,
         include_title_page, include_copyright, include_toc,
         processing_time_ms, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       formattedId,
       manuscriptId,
@@ -260,6 +338,7 @@ export async function handleGeneratePDF(request, env) {
       pdfBuffer.length,
       'completed',
       trimSize,
+      pageCount,
       body.includeBleed ? 1 : 0,
       body.includeTitlePage !== false ? 1 : 0,
       body.includeCopyright !== false ? 1 : 0,
@@ -276,6 +355,7 @@ export async function handleGeneratePDF(request, env) {
       formattedId,
       format: 'pdf',
       trimSize: TRIM_SIZES[trimSize].name,
+      pageCount,
       fileSize: pdfBuffer.length,
       fileSizeMB: (pdfBuffer.length / (1024 * 1024)).toFixed(2),
       fileUrl,
@@ -291,7 +371,193 @@ export async function handleGeneratePDF(request, env) {
       error: 'Failed to generate PDF',
       details: error.message
     }), {
-      status: 500,
+      status: error.statusCode || 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * POST /manuscripts/:id/format/cover
+ * Generate a full-wrap print cover (back, spine, front) for KDP or IngramSpark
+ * The front image is the manuscript's uploaded cover; the back is an uploaded
+ * image (backCoverKey) or generated from the book-description blurb.
+ */
+export async function handleGenerateCover(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const { manuscriptId } = request.params;
+    const body = await request.json();
+
+    // Owner or collaborator with edit access
+    const manuscript = await findAuthorizedManuscript(manuscriptId, userId, 'asset:write', env);
+
+    if (!manuscript) {
+      return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const startTime = Date.now();
+    const platform = body.platform || 'kdp';
+    const assets = env.R2.getBucket('marketing_assets');
+
+    // Uploaded images must belong to this user or the manuscript's owner
+    const loadImage = async (key) => {
+      if (!key || !(String(key).startsWith(`${userId}/`) || String(key).startsWith(`${manuscript.user_id}/`))) {
+        return null;
+      }
+      const object = await assets.get(key);
+      return object ? new Uint8Array(await object.arrayBuffer()) : null;
+    };
+
+    const frontImage = await loadImage(body.coverKey || manuscript.cover_image_key);
+    if (!frontImage) {
+      return new Response(JSON.stringify({ error: 'Upload a front cover image first' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    let backImage = null;
+    if (body.backCoverKey) {
+      backImage = await loadImage(body.backCoverKey);
+      if (!backImage) {
+        return new Response(JSON.stringify({ error: 'Back cover image not found' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // Spine width comes from the latest interior unless a page count is given
+    const interior = await env.DB.prepare(`
+      SELECT trim_size, page_count FROM formatted_manuscripts
+      WHERE manuscript_id = ? AND format_type = 'pdf' AND status = 'completed' AND page_count IS NOT NULL
+      ORDER BY created_at DESC LIMIT 1
+    `).bind(manuscriptId).first();
+
+    const pageCount = body.pageCount || interior?.page_count;
+    const trimSize = body.trimSize || interior?.trim_size || '6x9';
+    if (!pageCount) {
+      return new Response(JSON.stringify({
+        error: 'Page count is required. Generate the print PDF first or pass pageCount.'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Back cover copy: explicit blurb, else the book-description agent's short version
+    let blurb = typeof body.blurb === 'string' ? body.blurb : null;
+    if (blurb === null && body.blurb !== false && !backImage) {
+      const descriptionObj = await env.R2.getBucket('manuscripts_processed')
+        .get(`${manuscript.file_key}-book-description.json`);
+      if (descriptionObj) {
+        blurb = JSON.parse(await descriptionObj.text()).short || null;
+      }
+    }
+
+    const cover = await generateFullWrapCover({
+      frontImage,
+      backImage,
+      blurb,
+      title: body.title || manuscript.title,
+      author: body.author || '',
+      platform,
+      trimSize,
+      pageCount,
+      paperType: body.paperType || 'cream_60',
+      isbn: body.isbn,
+      price: body.price,
+      barcode: body.barcode || 'auto',
+      spineText: body.spineText !== false,
+      backgroundColor: body.backgroundColor,
+      textColor: body.textColor
+    });
+
+    const coverKey = `formatted/${manuscriptId}/cover/${platform}-${Date.now()}.pdf`;
+    await env.R2.getBucket('manuscripts_processed').put(coverKey, cover.pdf, {
+      customMetadata: {
+        manuscriptId,
+        userId,
+        format: 'print_cover',
+        platform,
+        trimSize,
+        pageCount: String(cover.layout.spine.pageCount),
+        fileSize: cover.pdf.length.toString()
+      }
+    });
+
+    const formattedId = crypto.randomUUID();
+    const now = Math.floor(Date.now() / 1000);
+    await env.DB.prepare(`
+      INSERT INTO formatted_manuscripts (
+        id, manuscript_id, user_id, format_type, file_key,
+        file_size, status, trim_size, page_count, has_bleed, platform,
+        is_validated, validation_errors, passes_amazon_specs,
+        processing_time_ms, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      formattedId,
+      manuscriptId,
+      userId,
+      'print_cover',
+      coverKey,
+      cover.pdf.length,
+      'completed',
+      trimSize,
+      cover.layout.spine.pageCount,
+      1,
+      platform,
+      1,
+      JSON.stringify(cover.validation.errors),
+      cover.validation.valid ? 1 : 0,
+      Date.now() - startTime,
+      now,
+      now
+    ).run();
+
+    return new Response(JSON.stringify({
+      success: true,
+      formattedId,
+      format: 'print_cover',
+      platform,
+      trimSize: TRIM_SIZES[trimSize].name,
+      dimensions: {
+        widthInches: cover.validation.metadata.width,
+        heightInches: cover.validation.metadata.height,
+        spineWidthInches: cover.validation.metadata.spineWidth,
+        pageCount: cover.layout.spine.pageCount
+      },
+      validation: {
+        valid: cover.validation.valid,
+        errors: cover.validation.errors,
+        warnings: [...cover.warnings, ...cover.validation.warnings]
+      },
+      fileSize: cover.pdf.length,
+      fileUrl: `${env.FRONTEND_URL}/api/formatted/${formattedId}/download`,
+      processingTimeMs: Date.now() - startTime
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Error generating cover:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to generate cover',
+      details: error.message
+    }), {
+      status: error.statusCode || 500,
       headers: { 'Content-Type': 'application/json' }
     });
   }
@@ -313,10 +579,8 @@ export async function handleGetFormattedManuscripts(request, env) {
 
     const { manuscriptId } = request.params;
 
-    // Verify manuscript ownership
-    const manuscript = await env.DB.prepare(
-      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-    ).bind(manuscriptId, userId).first();
+    // Owner or collaborator with view access
+    const manuscript = await findAuthorizedManuscript(manuscriptId, userId, 'asset:read', env);
 
     if (!manuscript) {
       return new Response(JSON.stringify({ error: 'Manuscript not found' }), {
@@ -328,9 +592,9 @@ export async function handleGetFormattedManuscripts(request, env) {
     // Get all formatted versions
     const formatted = await env.DB.prepare(`
       SELECT * FROM formatted_manuscripts
-      WHERE manuscript_id = ? AND user_id = ?
+      WHERE manuscript_id = ?
       ORDER BY created_at DESC
-    `).bind(manuscriptId, userId).all();
+    `).bind(manuscriptId).all();
 
     return new Response(JSON.stringify({
       success: true,
@@ -369,13 +633,13 @@ export async function handleDownloadFormatted(request, env) {
 
     const { formattedId } = request.params;
 
-    // Get formatted manuscript record
+    // Get formatted manuscript record (anyone who can view the manuscript may download it)
     const formatted = await env.DB.prepare(`
       SELECT * FROM formatted_manuscripts
-      WHERE id = ? AND user_id = ?
-    `).bind(formattedId, userId).first();
+      WHERE id = ?
+    `).bind(formattedId).first();
 
-    if (!formatted) {
+    if (!formatted || !await findAuthorizedManuscript(formatted.manuscript_id, userId, 'asset:read', env)) {
       return new Response(JSON.stringify({ error: 'Formatted file not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' }
@@ -398,8 +662,10 @@ export async function handleDownloadFormatted(request, env) {
       'SELECT title FROM manuscripts WHERE id = ?'
     ).bind(formatted.manuscript_id).first();
 
-    const filename = `${manuscript?.title || 'manuscript'}.${formatted.format_type}`;
-    const contentType = formatted.format_type === 'epub'
+    const isEPUB = formatted.format_type === 'epub';
+    const suffix = formatted.format_type === 'print_cover' ? ' - cover' : '';
+    const filename = `${manuscript?.title || 'manuscript'}${suffix}.${isEPUB ? 'epub' : 'pdf'}`;
+    const contentType = isEPUB
       ? 'application/epub+zip'
       : 'application/pdf';
 
@@ -423,6 +689,103 @@ export async function handleDownloadFormatted(request, env) {
   }
 }
 
+/**
+ * POST /fonts
+ * Upload a TrueType or OpenType font for print interiors
+ * The returned key can be passed as body.fonts.{regular,italic,bold,boldItalic}
+ * to POST /manuscripts/:id/format/pdf.
+ */
+export async function handleUploadFont(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const formData = await request.formData();
+    const fontFile = formData.get('font');
+    if (!fontFile) {
+      return new Response(JSON.stringify({ error: 'No font file provided' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const fontBuffer = new Uint8Array(await fontFile.arrayBuffer());
+    if (fontBuffer.length > MAX_FONT_SIZE) {
+      return new Response(JSON.stringify({ error: 'Font file exceeds 10MB' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // TrueType (0x00010000 or 'true') or OpenType CFF ('OTTO')
+    const signature = Buffer.from(fontBuffer.subarray(0, 4));
+    const extension = signature.toString('latin1') === 'OTTO' ? 'otf'
+      : (signature.readUInt32BE(0) === 0x00010000 || signature.toString('latin1') === 'true') ? 'ttf'
+        : null;
+    if (!extension || fontBuffer.length < 12) {
+      return new Response(JSON.stringify({ error: 'Only TTF and OTF fonts are supported' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    let font;
+    try {
+      font = fontkit.create(fontBuffer);
+    } catch (error) {
+      return new Response(JSON.stringify({ error: 'Font file could not be read', details: error.message }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Usable once the scan worker has released it from quarantine
+    const fontKey = `fonts/${userId}/${crypto.randomUUID()}.${extension}`;
+    const { scanStatus } = await quarantineUpload(env, {
+      bucket: 'marketing_assets',
+      key: fontKey,
+      body: fontBuffer,
+      source: 'font',
+      contentType: extension === 'otf' ? 'font/otf' : 'font/ttf',
+      customMetadata: {
+        userId,
+        fileName: fontFile.name || '',
+        familyName: font.familyName || ''
+      },
+      fileName: fontFile.name || null,
+      userId,
+      ipAddress: getUploadIp(request)
+    });
+
+    return new Response(JSON.stringify({
+      success: true,
+      fontKey,
+      familyName: font.familyName || null,
+      styleName: font.subfamilyName || null,
+      glyphCount: font.numGlyphs,
+      fileSize: fontBuffer.length,
+      scanStatus
+    }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Error uploading font:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to upload font',
+      details: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
 /**
  * GET /trim-sizes
  * Get available trim sizes for PDF generation
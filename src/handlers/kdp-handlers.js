@@ -4,6 +4,7 @@
  */
 
 import { generateKDPPackage, validateKDPPackage, calculateRoyalties } from '../generators/kdp-package-generator.js';
+import { EPUBValidationError } from '../validators/epub-validator.js';
 import crypto from 'crypto';
 
 /**
@@ -170,6 +171,18 @@ export async function handlePrepareKDPPackage(request, env) {
       headers: { 'Content-Type': 'application/json' }
     });
   } catch (error) {
+    if (error instanceof EPUBValidationError) {
+      return new Response(JSON.stringify({
+        error: 'EPUB failed validation and would be rejected by KDP',
+        code: error.code,
+        errors: error.details.errors,
+        warnings: error.details.warnings
+      }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     console.error('Error preparing KDP package:', error);
     return new Response(JSON.stringify({
       error: 'Failed to prepare KDP package',
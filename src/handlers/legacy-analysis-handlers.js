@@ -6,9 +6,35 @@ import { LineEditingAgent } from '../agents/line-editing-agent.js';
 import { CopyEditingAgent } from '../agents/copy-editing-agent.js';
 import { ReportGenerator } from '../generators/report-generator.js';
 import { AnnotatedManuscriptGenerator } from '../generators/annotated-manuscript-generator.js';
+import { getChapterProgress } from '../services/chapter-analysis-service.js';
+import { getUserFromRequest } from '../utils/auth-utils.js';
+import { authorizeManuscriptKey } from '../services/authorization-service.js';
+import { listThreads } from '../services/comment-service.js';
+import { priorityForTier } from '../services/queue-service.js';
+import { assertFileReleased, FileQuarantinedError } from '../services/upload-quarantine.js';
+import { assertAnalysisAffordable } from '../services/billing-service.js';
+import { PaymentRequiredError } from '../utils/error-handling.js';
+
+// Open collaborator comment threads to show alongside the AI annotations.
+// Threads are anchored to the current draft, so reports on earlier drafts
+// show none. A failure here never breaks the annotated view.
+async function loadCommentThreads(request, env, manuscriptKey) {
+  const manuscript = request.manuscriptAccess?.manuscript;
+  if (!manuscript || manuscript.r2_key !== manuscriptKey) {
+    return [];
+  }
+
+  try {
+    const threads = await listThreads(manuscript, env, { status: 'open' });
+    return threads.filter(thread => !thread.anchor.detached);
+  } catch (error) {
+    console.error('Error loading comment threads:', error);
+    return [];
+  }
+}
 
 // Handle developmental analysis request
-async function handleDevelopmentalAnalysis(request, env, corsHeaders) {
+async function handleDevelopmentalAnalysis(request, env, allHeaders) {
   try {
     const body = await request.json();
     const { manuscriptKey, genre } = body;
@@ -48,7 +74,7 @@ async function handleDevelopmentalAnalysis(request, env, corsHeaders) {
 }
 
 // Handle line editing analysis request
-async function handleLineEditingAnalysis(request, env, corsHeaders) {
+async function handleLineEditingAnalysis(request, env, allHeaders) {
   try {
     const body = await request.json();
     const { manuscriptKey, genre } = body;
@@ -88,7 +114,7 @@ async function handleLineEditingAnalysis(request, env, corsHeaders) {
 }
 
 // Handle copy editing analysis request
-async function handleCopyEditingAnalysis(request, env, corsHeaders) {
+async function handleCopyEditingAnalysis(request, env, allHeaders) {
   try {
     const body = await request.json();
     const { manuscriptKey, styleGuide } = body;
@@ -128,7 +154,7 @@ async function handleCopyEditingAnalysis(request, env, corsHeaders) {
 }
 
 // Get stored analysis results
-async function handleGetAnalysis(request, env, corsHeaders) {
+async function handleGetAnalysis(request, env, allHeaders) {
   const url = new URL(request.url);
   const manuscriptKey = url.pathname.replace('/analysis/', '');
   const processedKey = `${manuscriptKey}-analysis.json`;
@@ -160,7 +186,7 @@ async function handleGetAnalysis(request, env, corsHeaders) {
 }
 
 // Generate formatted HTML report
-async function handleGenerateReport(request, env, corsHeaders) {
+async function handleGenerateReport(request, env, allHeaders) {
   const url = new URL(request.url);
   const reportId = url.searchParams.get('id');
 
@@ -256,7 +282,7 @@ async function handleGenerateReport(request, env, corsHeaders) {
 }
 
 // Generate annotated manuscript with inline highlights
-async function handleGenerateAnnotatedManuscript(request, env, corsHeaders) {
+async function handleGenerateAnnotatedManuscript(request, env, allHeaders) {
   const url = new URL(request.url);
   const reportId = url.searchParams.get('id');
 
@@ -331,13 +357,16 @@ async function handleGenerateAnnotatedManuscript(request, env, corsHeaders) {
     // Get metadata
     const metadata = manuscript.customMetadata || { originalName: 'Unknown', authorId: 'Unknown' };
 
+    const commentThreads = await loadCommentThreads(request, env, manuscriptKey);
+
     // Generate annotated HTML
     const annotatedHtml = AnnotatedManuscriptGenerator.generateAnnotatedManuscript(
       manuscriptKey,
       manuscriptText,
       allIssues,
       metadata,
-      reportId
+      reportId,
+      commentThreads
     );
 
     return new Response(annotatedHtml, {
@@ -362,7 +391,7 @@ async function handleGenerateAnnotatedManuscript(request, env, corsHeaders) {
 }
 
 // Get analysis results as JSON by reportId
-async function handleGetAnalysisResults(request, env, corsHeaders) {
+async function handleGetAnalysisResults(request, env, allHeaders) {
   const url = new URL(request.url);
   const reportId = url.searchParams.get('id');
 
@@ -421,8 +450,32 @@ async function handleGetAnalysisResults(request, env, corsHeaders) {
 
 // NEW ASYNC HANDLERS
 
+// Queue options for an analysis job: paid tiers run ahead of free accounts
+// and each owner's running jobs count against their concurrency limit
+async function analysisQueueOptions(env, manuscriptKey, idempotencyKey) {
+  const userId = manuscriptKey.split('/')[0];
+  const user = await env.DB.prepare('SELECT subscription_tier FROM users WHERE id = ?').bind(userId).first();
+
+  return {
+    userId,
+    priority: priorityForTier(user?.subscription_tier),
+    idempotencyKey
+  };
+}
+
+// Remember which queue job is running a report, for cancellation
+async function saveQueueJobId(env, reportId, jobId) {
+  await env.R2.getBucket('manuscripts_raw').put(
+    `analysis-queue:${reportId}`,
+    JSON.stringify({ jobId }),
+    { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
+  );
+}
+
 // Start async analysis (queues the job)
-async function handleStartAnalysis(request, env, corsHeaders) {
+// The report ID is the idempotency key, so repeated clicks for the same
+// report return the job already queued instead of running (and billing) twice
+async function handleStartAnalysis(request, env, allHeaders) {
   try {
     const body = await request.json();
     const { manuscriptKey, genre, styleGuide, reportId } = body;
@@ -434,38 +487,77 @@ async function handleStartAnalysis(request, env, corsHeaders) {
       });
     }
 
-    // Initialize status
-    await env.R2.getBucket('manuscripts_raw').put(
-      `status:${reportId}`,
-      JSON.stringify({
-        status: 'queued',
-        progress: 0,
-        message: 'Analysis queued',
-        timestamp: new Date().toISOString()
-      }),
-      { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
-    );
+    // Files still in quarantine get their analysis from the scan worker
+    await assertFileReleased(env, 'manuscripts_raw', manuscriptKey);
+
+    const idempotencyKey = `start:${reportId}`;
+    const existingJobId = await env.QUEUE.findJobByKey('analysis', idempotencyKey);
+
+    // Refuse new analyses the owner's allowance and credits can't pay for
+    if (!existingJobId) {
+      const manuscript = await env.DB.prepare(
+        'SELECT id, user_id, word_count FROM manuscripts WHERE r2_key = ?'
+      ).bind(manuscriptKey).first();
+      await assertAnalysisAffordable(env, manuscript || {
+        id: null,
+        user_id: manuscriptKey.split('/')[0],
+        word_count: 0
+      });
+    }
+
+    // Initialize status (left alone if this report already has a job)
+    if (!existingJobId) {
+      await env.R2.getBucket('manuscripts_raw').put(
+        `status:${reportId}`,
+        JSON.stringify({
+          status: 'queued',
+          progress: 0,
+          message: 'Analysis queued',
+          timestamp: new Date().toISOString()
+        }),
+        { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
+      );
+    }
 
     // Queue the analysis job
-    await env.QUEUE.send('analysis', {
+    const { jobId, duplicate } = await env.QUEUE.enqueue('analysis', {
       manuscriptKey,
       genre: genre || 'general',
       styleGuide: styleGuide || 'chicago',
       reportId
-    });
+    }, await analysisQueueOptions(env, manuscriptKey, idempotencyKey));
 
-    console.log(`Analysis queued for ${manuscriptKey}`);
+    if (duplicate) {
+      console.log(`Analysis already queued for ${manuscriptKey} (job ${jobId})`);
+    } else {
+      await saveQueueJobId(env, reportId, jobId);
+      console.log(`Analysis queued for ${manuscriptKey}`);
+    }
 
     return new Response(JSON.stringify({
       success: true,
       reportId: reportId,
-      message: 'Analysis started'
+      jobId,
+      duplicate,
+      message: duplicate ? 'Analysis already started' : 'Analysis started'
     }), {
       status: 202, // Accepted
       headers: { ...allHeaders, 'Content-Type': 'application/json' }
     });
 
   } catch (error) {
+    if (error instanceof FileQuarantinedError) {
+      return new Response(JSON.stringify({ error: error.message, code: error.code, ...error.details }), {
+        status: 409,
+        headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    if (error instanceof PaymentRequiredError) {
+      return new Response(JSON.stringify({ error: error.message, code: error.code, ...error.details }), {
+        status: 402,
+        headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      });
+    }
     console.error('Error starting analysis:', error);
     return new Response(JSON.stringify({
       error: error.message
@@ -477,7 +569,7 @@ async function handleStartAnalysis(request, env, corsHeaders) {
 }
 
 // Check analysis status
-async function handleAnalysisStatus(request, env, corsHeaders) {
+async function handleAnalysisStatus(request, env, allHeaders) {
   try {
     const url = new URL(request.url);
     const reportId = url.searchParams.get('reportId');
@@ -503,6 +595,13 @@ async function handleAnalysisStatus(request, env, corsHeaders) {
 
     const status = await statusObj.json();
 
+    // Per-chapter progress of each analysis step
+    try {
+      status.chapters = await getChapterProgress(reportId, env);
+    } catch (error) {
+      console.error('Error loading chapter progress:', error);
+    }
+
     return new Response(JSON.stringify(status), {
       status: 200,
       headers: { ...allHeaders, 'Content-Type': 'application/json' }
@@ -519,6 +618,165 @@ async function handleAnalysisStatus(request, env, corsHeaders) {
   }
 }
 
+// Resume a failed analysis
+// Requeues the original job; chapters that already completed are reused,
+// so only the failed chapters are analyzed (and billed) again
+async function handleResumeAnalysis(request, env, allHeaders) {
+  try {
+    const body = await request.json();
+    const { reportId } = body;
+
+    if (!reportId) {
+      return new Response(JSON.stringify({ error: 'reportId is required' }), {
+        status: 400,
+        headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const rawBucket = env.R2.getBucket('manuscripts_raw');
+    const jobObj = await rawBucket.get(`analysis-job:${reportId}`);
+    if (!jobObj) {
+      return new Response(JSON.stringify({ error: 'No analysis job found for this report' }), {
+        status: 404,
+        headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const statusObj = await rawBucket.get(`status:${reportId}`);
+    const status = statusObj ? await statusObj.json() : null;
+    if (status && !['error', 'failed'].includes(status.status)) {
+      return new Response(JSON.stringify({
+        error: `Only failed analyses can be resumed (current status: ${status.status})`
+      }), {
+        status: 409,
+        headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const job = await jobObj.json();
+
+    await rawBucket.put(
+      `status:${reportId}`,
+      JSON.stringify({
+        status: 'queued',
+        progress: 0,
+        message: 'Analysis resume queued',
+        timestamp: new Date().toISOString()
+      }),
+      { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
+    );
+
+    // Keyed on the failure being resumed, so a double-click resumes once
+    const { jobId } = await env.QUEUE.enqueue(
+      'analysis',
+      job,
+      await analysisQueueOptions(env, job.manuscriptKey, `resume:${reportId}:${status?.timestamp || ''}`)
+    );
+    await saveQueueJobId(env, reportId, jobId);
+
+    console.log(`Analysis resume queued for ${job.manuscriptKey}`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      reportId: reportId,
+      message: 'Analysis resumed'
+    }), {
+      status: 202, // Accepted
+      headers: { ...allHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Error resuming analysis:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { ...allHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Cancel a queued or running analysis
+// Queued jobs stop at once; a running job stops at its next heartbeat
+async function handleCancelAnalysis(request, env, allHeaders) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const body = await request.json();
+    const { reportId } = body;
+
+    if (!reportId) {
+      return new Response(JSON.stringify({ error: 'reportId is required' }), {
+        status: 400,
+        headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const rawBucket = env.R2.getBucket('manuscripts_raw');
+    const queueObj = await rawBucket.get(`analysis-queue:${reportId}`);
+    const { jobId } = queueObj ? await queueObj.json() : {};
+    const job = jobId ? await env.QUEUE.getJob('analysis', jobId) : null;
+
+    // A report the user can't run analysis on looks the same as a missing one
+    const allowed = job && await authorizeManuscriptKey(job.data.manuscriptKey, userId, 'analysis:run', env)
+      .then(() => true, () => false);
+    if (!allowed) {
+      return new Response(JSON.stringify({ error: 'No analysis job found for this report' }), {
+        status: 404,
+        headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const result = await env.QUEUE.cancelJob('analysis', jobId);
+    if (!['cancelled', 'cancelling'].includes(result.status) || job.status === 'cancelled') {
+      return new Response(JSON.stringify({
+        error: `Analysis can no longer be cancelled (current status: ${result.status})`
+      }), {
+        status: 409,
+        headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (result.status === 'cancelled') {
+      await rawBucket.put(
+        `status:${reportId}`,
+        JSON.stringify({
+          status: 'cancelled',
+          progress: 0,
+          message: 'Analysis cancelled',
+          timestamp: new Date().toISOString()
+        }),
+        { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
+      );
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      reportId,
+      status: result.status,
+      message: result.status === 'cancelled' ? 'Analysis cancelled' : 'Analysis will stop shortly'
+    }), {
+      status: 200,
+      headers: { ...allHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Error cancelling analysis:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { ...allHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
 export {
   handleDevelopmentalAnalysis,
   handleLineEditingAnalysis,
@@ -528,5 +786,7 @@ export {
   handleGenerateAnnotatedManuscript,
   handleGetAnalysisResults,
   handleStartAnalysis,
-  handleAnalysisStatus
+  handleAnalysisStatus,
+  handleResumeAnalysis,
+  handleCancelAnalysis
 };
@@ -92,81 +92,34 @@ async function handleManuscriptUpload(request, env, corsHeaders) {
       .map(b => b.toString(16).padStart(2, '0'))
       .join('');
 
-    // ========================================================================
-    // VIRUS SCAN - Issue #65
-    // Scan uploaded file for malware before storage
-    // ========================================================================
-    try {
-      const { scanFile, logScanResult, createMalwareIncident } = await import('../services/virus-scanner.js');
-
-      console.log(`[Upload] Scanning file: ${file.name} (${file.size} bytes)`);
-
-      const scanResult = await scanFile(Buffer.from(fileBuffer), file.name);
-
-      // Log scan result to database
-      await logScanResult(env.DB, scanResult, userId, r2Key);
-
-      if (scanResult.isInfected) {
-        // Create security incident
-        const ipAddress = request?.headers?.get('CF-Connecting-IP') || request?.headers?.get('X-Forwarded-For') || 'unknown';
-        await createMalwareIncident(env.DB, scanResult, userId, ipAddress);
-
-        console.error(`[Upload] 🚨 MALWARE DETECTED: ${file.name}`, scanResult.viruses);
-
-        return new Response(JSON.stringify({
-          error: 'File upload blocked. The file appears to contain malware or viruses.',
-          scanResult: {
-            viruses: scanResult.viruses,
-            scanId: scanResult.scanId,
-            message: 'Your file has been flagged by our security scanner. If you believe this is a false positive, please contact support.'
-          }
-        }), {
+    // Count words (approximate)
+    let wordCount;
+    let extraction = null;
+
+    if (file.type === 'application/pdf') {
+      // PDFs are binary - extract the text layer to count words and
+      // warn the author up front when pages are image-only
+      const { extractPDFWithDiagnostics, countWords } = await import('../utils/text-extraction.js');
+      try {
+        const pdfResult = await extractPDFWithDiagnostics(fileBuffer);
+        wordCount = countWords(pdfResult.text);
+        extraction = {
+          pageCount: pdfResult.pageCount,
+          confidence: pdfResult.confidence,
+          imageOnly: pdfResult.imageOnly,
+          lowConfidencePages: pdfResult.lowConfidencePages,
+          warnings: pdfResult.warnings
+        };
+      } catch (pdfError) {
+        return new Response(JSON.stringify({ error: pdfError.message }), {
           status: 400,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         });
       }
-
-      console.log(`[Upload] ✓ File clean: ${file.name} (scanned in ${scanResult.duration}ms)`);
-    } catch (scanError) {
-      console.error('[Upload] Virus scan error:', scanError.message);
-
-      // Fail closed in production (block upload if scan fails)
-      const failOpen = process.env.VIRUS_SCANNER_FAIL_OPEN === 'true' || process.env.NODE_ENV === 'development';
-
-      if (!failOpen) {
-        return new Response(JSON.stringify({
-          error: 'Unable to verify file safety. Upload blocked for security.',
-          message: 'Our security scanner is temporarily unavailable. Please try again later.'
-        }), {
-          status: 503,
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        });
-      }
-
-      console.warn('[Upload] Scan failed, allowing upload (fail-open mode)');
+    } else {
+      const fileText = new TextDecoder().decode(fileBuffer);
+      wordCount = fileText.split(/\s+/).filter(w => w.length > 0).length;
     }
-    // ========================================================================
-    // END VIRUS SCAN
-    // ========================================================================
-
-    // Count words (approximate)
-    const fileText = new TextDecoder().decode(fileBuffer);
-    const wordCount = fileText.split(/\s+/).filter(w => w.length > 0).length;
-
-    // Upload to R2
-    await env.R2.getBucket('manuscripts_raw').put(r2Key, new Uint8Array(fileBuffer), {
-      customMetadata: {
-        manuscriptId,
-        userId: userId,
-        originalName: file.name,
-        uploadTime: timestamp,
-        fileType: file.type,
-        fileSize: file.size.toString()
-      },
-      httpMetadata: {
-        contentType: file.type,
-      }
-    });
 
     // Store report ID mapping
     await env.R2.getBucket('manuscripts_raw').put(`report-id:${reportId}`, r2Key, {
@@ -186,11 +139,33 @@ async function handleManuscriptUpload(request, env, corsHeaders) {
       genre,
       wordCount,
       file.type,
-      JSON.stringify({ reportId, originalName: file.name }),
+      JSON.stringify({ reportId, originalName: file.name, ...(extraction && { extraction }) }),
       Math.floor(Date.now() / 1000),
       Math.floor(Date.now() / 1000)
     ).run();
 
+    // Hold the file in quarantine until the scan worker has scanned it
+    const { quarantineUpload, queueAfterScan, getUploadIp } = await import('../services/upload-quarantine.js');
+    const { scanStatus } = await quarantineUpload(env, {
+      bucket: 'manuscripts_raw',
+      key: r2Key,
+      body: fileBuffer,
+      source: 'manuscript',
+      contentType: file.type,
+      customMetadata: {
+        manuscriptId,
+        userId: userId,
+        originalName: file.name,
+        uploadTime: timestamp,
+        fileType: file.type,
+        fileSize: file.size.toString()
+      },
+      fileName: file.name,
+      userId,
+      manuscriptId,
+      ipAddress: getUploadIp(request)
+    });
+
     // Log audit event
     await env.DB.prepare(`
       INSERT INTO audit_log (id, user_id, action, resource_type, resource_id, timestamp, metadata)
@@ -203,37 +178,50 @@ async function handleManuscriptUpload(request, env, corsHeaders) {
       JSON.stringify({ title, fileSize: file.size, wordCount })
     ).run();
 
-    // Phase C: Queue analysis automatically after successful upload
-    console.log('[Upload] Queueing analysis for manuscript:', manuscriptId);
+    // Phase C: Queue analysis automatically after successful upload, unless the
+    // author's token allowance and credits can't cover it (it then stays a draft)
+    let status = 'draft';
+    let analysisEstimate = null;
 
     try {
-      // Initialize status tracking
-      await env.R2.getBucket('manuscripts_raw').put(
-        `status:${reportId}`,
-        JSON.stringify({
-          status: 'queued',
-          progress: 0,
-          message: 'Analysis queued',
-          currentStep: 'queued',
-          timestamp: new Date().toISOString()
-        }),
-        { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
-      );
-
-      // Queue the analysis job
-      await env.QUEUE.send('analysis', {
-        manuscriptKey: r2Key,
-        genre: genre,
-        styleGuide: 'chicago', // Default style guide
-        reportId: reportId
-      });
+      const { estimateAnalysis } = await import('../services/billing-service.js');
+      const estimate = await estimateAnalysis(env, { id: manuscriptId, user_id: userId, word_count: wordCount });
+
+      if (!estimate.canStart) {
+        analysisEstimate = estimate;
+        console.log('[Upload] Not enough AI tokens to analyze manuscript:', manuscriptId);
+      } else {
+        console.log('[Upload] Queueing analysis for manuscript:', manuscriptId);
+
+        // Initialize status tracking
+        await env.R2.getBucket('manuscripts_raw').put(
+          `status:${reportId}`,
+          JSON.stringify({
+            status: 'queued',
+            progress: 0,
+            message: 'Analysis queued (waiting for the malware scan)',
+            currentStep: 'queued',
+            timestamp: new Date().toISOString()
+          }),
+          { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
+        );
+
+        // Queue the analysis job (sent by the scan worker once the file is clean)
+        await queueAfterScan(env, { bucket: 'manuscripts_raw', key: r2Key }, 'analysis', {
+          manuscriptKey: r2Key,
+          genre: genre,
+          styleGuide: 'chicago', // Default style guide
+          reportId: reportId
+        });
 
-      // Update manuscript status to 'queued' (will change to 'analyzing' when queue consumer starts)
-      await env.DB.prepare(
-        'UPDATE manuscripts SET status = ?, updated_at = ? WHERE id = ?'
-      ).bind('queued', Math.floor(Date.now() / 1000), manuscriptId).run();
+        // Update manuscript status to 'queued' (will change to 'analyzing' when queue consumer starts)
+        await env.DB.prepare(
+          'UPDATE manuscripts SET status = ?, updated_at = ? WHERE id = ?'
+        ).bind('queued', Math.floor(Date.now() / 1000), manuscriptId).run();
+        status = 'queued';
 
-      console.log('[Upload] Analysis queued successfully for report:', reportId);
+        console.log('[Upload] Analysis queued successfully for report:', reportId);
+      }
     } catch (queueError) {
       console.error('[Upload] Failed to queue analysis:', queueError);
       // Don't fail the upload if queueing fails - manuscript is still uploaded
@@ -258,8 +246,14 @@ async function handleManuscriptUpload(request, env, corsHeaders) {
         reportId,
         wordCount,
         fileSize: file.size,
-        status: 'queued'
-      }
+        status,
+        scanStatus
+      },
+      ...(analysisEstimate && { analysisEstimate }),
+      ...(extraction && {
+        extraction,
+        warnings: extraction.warnings
+      })
     }), {
       status: 200,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -283,7 +277,7 @@ async function handleMarketingUpload(request, env, corsHeaders) {
   if (!file) {
     return new Response(JSON.stringify({ error: 'No file provided' }), {
       status: 400,
-      headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
     });
   }
 
@@ -298,7 +292,7 @@ async function handleMarketingUpload(request, env, corsHeaders) {
   if (!allowedImageTypes.includes(file.type)) {
     return new Response(JSON.stringify({ error: 'Invalid image type' }), {
       status: 400,
-      headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
     });
   }
 
@@ -307,7 +301,7 @@ async function handleMarketingUpload(request, env, corsHeaders) {
   if (file.size > maxSize) {
     return new Response(JSON.stringify({ error: 'Image too large. Maximum size is 10MB' }), {
       status: 400,
-      headers: { ...allHeaders, 'Content-Type': 'application/json' }
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
     });
   }
 
@@ -315,93 +309,24 @@ async function handleMarketingUpload(request, env, corsHeaders) {
   const sanitizedFilename = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
   const key = `${authorId}/${assetType}/${timestamp}_${sanitizedFilename}`;
 
-  // ========================================================================
-  // VIRUS SCAN - Issue #65
-  // Scan uploaded marketing asset for malware before storage
-  // ========================================================================
-  try {
-    const { scanFile, logScanResult, createMalwareIncident } = await import('../services/virus-scanner.js');
-
-    // Get file buffer for scanning
-    const fileBuffer = await file.arrayBuffer();
-    console.log(`[Marketing Upload] Scanning file: ${file.name} (${file.size} bytes)`);
-
-    const scanResult = await scanFile(Buffer.from(fileBuffer), file.name);
-
-    // Log scan result to database
-    // Note: authorId may not be a real user ID, pass null for userId
-    await logScanResult(env.DB, scanResult, null, key);
-
-    if (scanResult.isInfected) {
-      // Create security incident
-      const ipAddress = request?.headers?.get('CF-Connecting-IP') || request?.headers?.get('X-Forwarded-For') || 'unknown';
-      await createMalwareIncident(env.DB, scanResult, null, ipAddress);
-
-      console.error(`[Marketing Upload] 🚨 MALWARE DETECTED: ${file.name}`, scanResult.viruses);
-
-      return new Response(JSON.stringify({
-        error: 'File upload blocked. The file appears to contain malware or viruses.',
-        scanResult: {
-          viruses: scanResult.viruses,
-          scanId: scanResult.scanId,
-          message: 'Your file has been flagged by our security scanner. If you believe this is a false positive, please contact support.'
-        }
-      }), {
-        status: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-
-    console.log(`[Marketing Upload] ✓ File clean: ${file.name} (scanned in ${scanResult.duration}ms)`);
-
-    // Upload to marketing assets bucket (use buffer instead of stream after scanning)
-    await env.R2.getBucket('marketing_assets').put(key, fileBuffer, {
-      customMetadata: {
-        authorId: authorId,
-        assetType: assetType,
-        originalName: file.name,
-        uploadTime: timestamp,
-        virusScanId: scanResult.scanId
-      },
-      httpMetadata: {
-        contentType: file.type,
-      }
-    });
-
-  } catch (scanError) {
-    console.error('[Marketing Upload] Virus scan error:', scanError.message);
-
-    // Fail closed in production (block upload if scan fails)
-    const failOpen = process.env.VIRUS_SCANNER_FAIL_OPEN === 'true' || process.env.NODE_ENV === 'development';
-
-    if (!failOpen) {
-      return new Response(JSON.stringify({
-        error: 'Unable to verify file safety. Upload blocked for security.',
-        message: 'Our security scanner is temporarily unavailable. Please try again later.'
-      }), {
-        status: 503,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-
-    console.warn('[Marketing Upload] Scan failed, allowing upload (fail-open mode)');
-
-    // Upload to marketing assets bucket (original flow if scan fails in fail-open mode)
-    await env.R2.getBucket('marketing_assets').put(key, file.stream(), {
-      customMetadata: {
-        authorId: authorId,
-        assetType: assetType,
-        originalName: file.name,
-        uploadTime: timestamp
-      },
-      httpMetadata: {
-        contentType: file.type,
-      }
-    });
-  }
-  // ========================================================================
-  // END VIRUS SCAN
-  // ========================================================================
+  // Held in quarantine until the scan worker has scanned it
+  // Note: authorId may not be a real user ID, so no uploader is recorded
+  const { quarantineUpload, getUploadIp } = await import('../services/upload-quarantine.js');
+  const { scanStatus } = await quarantineUpload(env, {
+    bucket: 'marketing_assets',
+    key,
+    body: await file.arrayBuffer(),
+    source: 'marketing_asset',
+    contentType: file.type,
+    customMetadata: {
+      authorId: authorId,
+      assetType: assetType,
+      originalName: file.name,
+      uploadTime: timestamp
+    },
+    fileName: file.name,
+    ipAddress: getUploadIp(request)
+  });
 
   // Generate a public URL (if bucket is configured for public access)
   const publicUrl = `https://your-domain.com/marketing/${key}`;
@@ -410,10 +335,11 @@ async function handleMarketingUpload(request, env, corsHeaders) {
     success: true,
     key: key,
     url: publicUrl,
-    assetType: assetType
+    assetType: assetType,
+    scanStatus
   }), {
     status: 200,
-    headers: { ...allHeaders, 'Content-Type': 'application/json' }
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
   });
 }
 
@@ -53,7 +53,7 @@ async function handleMarketAnalysis(request, env, corsHeaders) {
     metadata.wordCount = manuscriptText.split(/\s+/).length;
 
     // Initialize market analysis agent
-    const agent = new MarketAnalysisAgent(env.ANTHROPIC_API_KEY);
+    const agent = new MarketAnalysisAgent(env);
 
     // Perform analysis
     const result = await agent.analyzeMarket(manuscriptText, metadata);
@@ -70,7 +70,7 @@ async function handleGenerateSocialMedia(request, env, corsHeaders) {
     console.log('Book metadata:', bookMetadata);
 
     // Initialize social media agent
-    const agent = new SocialMediaAgent(env.ANTHROPIC_API_KEY);
+    const agent = new SocialMediaAgent(env);
 
     // Generate marketing package
     const result = await agent.generateMarketingPackage(
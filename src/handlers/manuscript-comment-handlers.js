@@ -0,0 +1,239 @@
+/**
+ * Manuscript Comment Handlers
+ *
+ * Collaborator comment threads on manuscript text:
+ * - List, open, reply to, resolve/reopen and delete threads
+ * - Suggested edits the owner can accept or reject
+ * - Collaborators who can be @mentioned
+ *
+ * Offsets are characters into a chapter's text as the manuscript model
+ * serves it (chaptersFromModel). The threads live in
+ * services/comment-service.js.
+ */
+
+import { getUserFromRequest } from '../utils/auth-utils.js';
+import { authorizeManuscript } from '../services/authorization-service.js';
+import {
+  listCollaborators,
+  createThread,
+  listThreads,
+  getThread,
+  addReply,
+  editComment,
+  setThreadStatus,
+  decideSuggestion,
+  deleteThread
+} from '../services/comment-service.js';
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+function errorResponse(error, fallback) {
+  const status = error.statusCode || 500;
+  if (status === 500) {
+    console.error(`Error: ${fallback}:`, error);
+    return jsonResponse({ error: fallback, details: error.message }, 500);
+  }
+  return jsonResponse({ error: error.message, code: error.code, ...error.details }, status);
+}
+
+/**
+ * Authenticate and require an action on the manuscript
+ * Returns { userId, manuscript, isOwner } or { response } with the error to send
+ */
+async function authorize(request, env, manuscriptId, action) {
+  const userId = await getUserFromRequest(request, env);
+  if (!userId) {
+    return { response: jsonResponse({ error: 'Unauthorized' }, 401) };
+  }
+
+  const access = await authorizeManuscript(manuscriptId, userId, action, env);
+  return { userId, manuscript: access.manuscript, isOwner: access.isOwner };
+}
+
+async function readJson(request) {
+  return request.json().catch(() => ({}));
+}
+
+export const manuscriptCommentHandlers = {
+  /**
+   * GET /manuscripts/:id/comments?status=open|resolved&chapter=N&kind=comment|suggestion
+   * Threads anchored to the current draft, in reading order (detached
+   * threads, whose text is gone from the current draft, come last)
+   */
+  async listThreads(request, env, manuscriptId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:read');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const url = new URL(request.url);
+      const threads = await listThreads(auth.manuscript, env, {
+        status: url.searchParams.get('status') || undefined,
+        kind: url.searchParams.get('kind') || undefined,
+        chapterIndex: url.searchParams.has('chapter') ? Number(url.searchParams.get('chapter')) : undefined
+      });
+
+      return jsonResponse({ success: true, manuscriptId, threads, count: threads.length });
+    } catch (error) {
+      return errorResponse(error, 'Failed to list comments');
+    }
+  },
+
+  /**
+   * POST /manuscripts/:id/comments
+   * Open a thread on a range of the current draft
+   *
+   * Body: { chapterIndex, startOffset, endOffset, body, suggestedText? }
+   * With suggestedText the thread is a suggested edit of the range.
+   * Requires comment permission.
+   */
+  async createThread(request, env, manuscriptId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:comment');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const thread = await createThread(auth.manuscript, auth.userId, await readJson(request), env);
+      return jsonResponse({ success: true, thread }, 201);
+    } catch (error) {
+      return errorResponse(error, 'Failed to create comment');
+    }
+  },
+
+  /**
+   * GET /manuscripts/:id/comments/mentionable
+   * Collaborators who can be @mentioned (by email) on this manuscript
+   */
+  async listMentionable(request, env, manuscriptId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:read');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const users = await listCollaborators(auth.manuscript, env);
+      return jsonResponse({ success: true, users });
+    } catch (error) {
+      return errorResponse(error, 'Failed to list collaborators');
+    }
+  },
+
+  /**
+   * GET /manuscripts/:id/comments/:threadId
+   */
+  async getThread(request, env, manuscriptId, threadId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:read');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const thread = await getThread(auth.manuscript, threadId, env);
+      return jsonResponse({ success: true, thread });
+    } catch (error) {
+      return errorResponse(error, 'Failed to get comment thread');
+    }
+  },
+
+  /**
+   * PATCH /manuscripts/:id/comments/:threadId
+   * Resolve or reopen a thread. Body: { status: 'resolved' | 'open' }
+   */
+  async updateThread(request, env, manuscriptId, threadId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:comment');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const { status } = await readJson(request);
+      const thread = await setThreadStatus(auth.manuscript, threadId, auth.userId, status, env);
+      return jsonResponse({ success: true, thread });
+    } catch (error) {
+      return errorResponse(error, 'Failed to update comment thread');
+    }
+  },
+
+  /**
+   * DELETE /manuscripts/:id/comments/:threadId
+   * Only the thread's author or the manuscript owner can delete it
+   */
+  async deleteThread(request, env, manuscriptId, threadId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:comment');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      await deleteThread(auth.manuscript, threadId, auth.userId, auth.isOwner, env);
+      return jsonResponse({ success: true, threadId });
+    } catch (error) {
+      return errorResponse(error, 'Failed to delete comment thread');
+    }
+  },
+
+  /**
+   * POST /manuscripts/:id/comments/:threadId/replies
+   * Body: { body }
+   */
+  async addReply(request, env, manuscriptId, threadId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:comment');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const { body } = await readJson(request);
+      const thread = await addReply(auth.manuscript, threadId, auth.userId, body, env);
+      return jsonResponse({ success: true, thread }, 201);
+    } catch (error) {
+      return errorResponse(error, 'Failed to add reply');
+    }
+  },
+
+  /**
+   * PATCH /manuscripts/:id/comments/:threadId/replies/:commentId
+   * Edit your own comment. Body: { body }
+   */
+  async editComment(request, env, manuscriptId, threadId, commentId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:comment');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const { body } = await readJson(request);
+      const thread = await editComment(auth.manuscript, threadId, commentId, auth.userId, body, env);
+      return jsonResponse({ success: true, thread });
+    } catch (error) {
+      return errorResponse(error, 'Failed to edit comment');
+    }
+  },
+
+  /**
+   * POST /manuscripts/:id/comments/:threadId/suggestion/accept
+   * POST /manuscripts/:id/comments/:threadId/suggestion/reject
+   * Owner only. Resolves the thread.
+   */
+  async decideSuggestion(request, env, manuscriptId, threadId, decision) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'suggestion:decide');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const status = decision === 'accept' ? 'accepted' : 'rejected';
+      const thread = await decideSuggestion(auth.manuscript, threadId, auth.userId, status, env);
+      return jsonResponse({ success: true, thread });
+    } catch (error) {
+      return errorResponse(error, 'Failed to decide suggestion');
+    }
+  }
+};
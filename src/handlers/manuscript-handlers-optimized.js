@@ -15,6 +15,7 @@
 import { getUserFromRequest } from './auth-helpers.js';
 import { initCache, CacheKeys, CacheTTL } from '../utils/db-cache.js';
 import { CursorPagination, QueryMonitor, parseJsonField } from './db-utils.js';
+import { checkManuscriptAccess } from './manuscript-handlers.js';
 
 export const manuscriptHandlers = {
   /**
@@ -168,6 +169,15 @@ export const manuscriptHandlers = {
         });
       }
 
+      // The cached metadata is shared, so check access first
+      const access = await checkManuscriptAccess(manuscriptId, userId, env);
+      if (!access.hasAccess) {
+        return new Response(JSON.stringify({ error: 'Manuscript not found or access denied' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
       // Initialize cache
       const cache = initCache(env);
 
@@ -15,56 +15,31 @@
 
 import { getUserFromRequest } from '../utils/auth-utils.js';
 import { initCache } from '../utils/db-cache.js';
+import { listVersions, listVersionKeys, startVersionAnalysis } from '../services/manuscript-version-service.js';
+import { resolveManuscriptPermission, can } from '../services/authorization-service.js';
+import { assertAnalysisAffordable } from '../services/billing-service.js';
+import { PaymentRequiredError } from '../utils/error-handling.js';
 import crypto from 'crypto';
 
 /**
  * Helper: Check if user can access a manuscript
- * Checks: direct ownership, team sharing, or individual sharing
- * Returns: { hasAccess: boolean, permissionLevel: string, isOwner: boolean }
+ * Checks: direct ownership, individual sharing, or team sharing capped by
+ * the user's team role (see services/authorization-service.js)
+ * Returns: { hasAccess: boolean, permissionLevel: string, isOwner: boolean, manuscript: Object }
  */
 export async function checkManuscriptAccess(manuscriptId, userId, env) {
-  // Check ownership first
-  const manuscript = await env.DB.prepare(
-    'SELECT user_id FROM manuscripts WHERE id = ?'
-  ).bind(manuscriptId).first();
+  const access = await resolveManuscriptPermission(manuscriptId, userId, env);
 
-  if (!manuscript) {
-    return { hasAccess: false, permissionLevel: null, isOwner: false };
+  if (access.permission === 'none') {
+    return { hasAccess: false, permissionLevel: null, isOwner: false, manuscript: null };
   }
 
-  const isOwner = manuscript.user_id === userId;
-  if (isOwner) {
-    return { hasAccess: true, permissionLevel: 'owner', isOwner: true };
-  }
-
-  // Check team or individual permissions
-  const permission = await env.DB.prepare(`
-    SELECT permission_level FROM manuscript_permissions
-    WHERE manuscript_id = ?
-      AND (
-        user_id = ?
-        OR team_id IN (
-          SELECT team_id FROM team_members WHERE user_id = ?
-        )
-      )
-    ORDER BY
-      CASE permission_level
-        WHEN 'edit' THEN 1
-        WHEN 'comment' THEN 2
-        WHEN 'view' THEN 3
-      END
-    LIMIT 1
-  `).bind(manuscriptId, userId, userId).first();
-
-  if (permission) {
-    return {
-      hasAccess: true,
-      permissionLevel: permission.permission_level,
-      isOwner: false
-    };
-  }
-
-  return { hasAccess: false, permissionLevel: null, isOwner: false };
+  return {
+    hasAccess: true,
+    permissionLevel: access.permission,
+    isOwner: access.isOwner,
+    manuscript: access.manuscript
+  };
 }
 
 export const manuscriptHandlers = {
@@ -350,7 +325,7 @@ export const manuscriptHandlers = {
 
       // IMPORTANT: Invalidate caches after update
       const cache = initCache(env);
-      await cache.manuscript.invalidate(manuscriptId, userId, r2_key);
+      await cache.manuscript.invalidate(manuscriptId, access.manuscript.user_id, r2_key);
       console.log(`Cache INVALIDATED: manuscript ${manuscriptId}`);
 
       return new Response(JSON.stringify({
@@ -433,18 +408,19 @@ export const manuscriptHandlers = {
 
       const manuscript = results[0];
 
-      // Delete all associated files from R2
-      const filesToDelete = [
-        manuscript.r2_key,
-        `${manuscript.r2_key}-analysis.json`,
-        `${manuscript.r2_key}-line-analysis.json`,
-        `${manuscript.r2_key}-copy-analysis.json`,
-        `${manuscript.r2_key}-assets.json`,
-        `${manuscript.r2_key}-market-analysis.json`,
-        `${manuscript.r2_key}-social-media.json`,
-        `${manuscript.r2_key}-formatted.epub`,
-        `${manuscript.r2_key}-formatted.pdf`
-      ];
+      // Delete all associated files from R2, for every draft
+      const draftKeys = new Set([manuscript.r2_key, ...await listVersionKeys(manuscriptId, env)]);
+      const filesToDelete = [...draftKeys].flatMap(key => [
+        key,
+        `${key}-analysis.json`,
+        `${key}-line-analysis.json`,
+        `${key}-copy-analysis.json`,
+        `${key}-assets.json`,
+        `${key}-market-analysis.json`,
+        `${key}-social-media.json`,
+        `${key}-formatted.epub`,
+        `${key}-formatted.pdf`
+      ]);
 
       // Delete from R2 (ignore errors if files don't exist)
       await Promise.all(
@@ -518,72 +494,58 @@ export const manuscriptHandlers = {
         });
       }
 
-      // Verify ownership
-      const { results } = await env.DB.prepare(
-        'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-      ).bind(manuscriptId, userId).all();
-
-      if (results.length === 0) {
+      // Owners and collaborators with edit access can re-run analysis
+      const access = await checkManuscriptAccess(manuscriptId, userId, env);
+      if (!access.hasAccess) {
         return new Response(JSON.stringify({ error: 'Manuscript not found or access denied' }), {
           status: 404,
           headers: { 'Content-Type': 'application/json' }
         });
       }
 
-      const manuscript = results[0];
-      const body = await request.json().catch(() => ({}));
-      const metadata = manuscript.metadata ? JSON.parse(manuscript.metadata) : {};
-
-      // Generate new report ID
-      const reportId = crypto.randomUUID().substring(0, 8);
-
-      // Update manuscript metadata with new report ID
-      metadata.reportId = reportId;
-      await env.DB.prepare(
-        'UPDATE manuscripts SET metadata = ?, status = ?, updated_at = ? WHERE id = ?'
-      ).bind(
-        JSON.stringify(metadata),
-        'analyzing',
-        Math.floor(Date.now() / 1000),
-        manuscriptId
-      ).run();
+      if (!can(access.permissionLevel, 'analysis:run')) {
+        return new Response(JSON.stringify({
+          error: 'Edit permission required',
+          currentPermission: access.permissionLevel
+        }), {
+          status: 403,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
 
-      // Create new report ID mapping
-      await env.R2.getBucket('manuscripts_raw').put(`report-id:${reportId}`, manuscript.r2_key, {
-        expirationTtl: 60 * 60 * 24 * 30 // 30 days
-      });
+      const manuscript = access.manuscript;
+      const body = await request.json().catch(() => ({}));
 
-      // Initialize status
-      await env.R2.getBucket('manuscripts_raw').put(
-        `status:${reportId}`,
-        JSON.stringify({
-          status: 'queued',
-          progress: 0,
-          message: 'Analysis queued',
-          timestamp: new Date().toISOString()
-        }),
-        { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
-      );
+      // Billed to the owner, whose allowance and credits must cover it
+      await assertAnalysisAffordable(env, manuscript);
 
-      // Queue the analysis job
-      await env.QUEUE.send('analysis', {
-        manuscriptKey: manuscript.r2_key,
-        genre: body.genre || manuscript.genre || 'general',
-        styleGuide: body.styleGuide || 'chicago',
-        reportId
-      });
+      // Analyze the current draft; its results are stored next to that
+      // draft's file, so earlier versions keep their reports
+      const versions = await listVersions(manuscript, env);
+      const currentVersion = versions.find(version => version.r2Key === manuscript.r2_key);
+      const reportId = await startVersionAnalysis(manuscript, currentVersion, {
+        genre: body.genre,
+        styleGuide: body.styleGuide
+      }, env);
 
       return new Response(JSON.stringify({
         success: true,
         reportId,
         message: 'Analysis started',
-        manuscriptId
+        manuscriptId,
+        versionNumber: currentVersion.versionNumber
       }), {
         status: 202, // Accepted
         headers: { 'Content-Type': 'application/json' }
       });
 
     } catch (error) {
+      if (error instanceof PaymentRequiredError) {
+        return new Response(JSON.stringify({ error: error.message, code: error.code, ...error.details }), {
+          status: 402,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
       console.error('Reanalyze manuscript error:', error);
       return new Response(JSON.stringify({ error: error.message }), {
         status: 500,
@@ -0,0 +1,284 @@
+/**
+ * Manuscript Version Handlers
+ *
+ * Revision history for a manuscript:
+ * - List versions
+ * - Upload a new draft (optionally queueing its analysis, if the owner's
+ *   token allowance and credits cover it)
+ * - Chapter- and word-level diff between two drafts
+ * - Comparison of two drafts' analyses (developmental scores, line-editing
+ *   issues, copy-editing errors)
+ *
+ * The history lives in services/manuscript-version-service.js.
+ */
+
+import { getUserFromRequest } from '../utils/auth-utils.js';
+import { initCache } from '../utils/db-cache.js';
+import { checkManuscriptAccess } from './manuscript-handlers.js';
+import { can } from '../services/authorization-service.js';
+import { getUploadIp, SCAN_STATUS } from '../services/upload-quarantine.js';
+import { estimateAnalysis } from '../services/billing-service.js';
+import {
+  listVersions,
+  getVersion,
+  createVersion,
+  startVersionAnalysis,
+  diffVersions,
+  compareVersionAnalyses
+} from '../services/manuscript-version-service.js';
+
+const MAX_DRAFT_SIZE = 50 * 1024 * 1024; // 50MB, same as uploads
+
+const ALLOWED_DRAFT_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'application/epub+zip'
+];
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+function errorResponse(error, fallback) {
+  const status = error.statusCode || 500;
+  if (status === 500) {
+    console.error(`Error: ${fallback}:`, error);
+    return jsonResponse({ error: fallback, details: error.message }, 500);
+  }
+  return jsonResponse({ error: error.message, code: error.code, ...error.details }, status);
+}
+
+/**
+ * Authenticate and check manuscript access for an action
+ * Returns { userId, manuscript } or { response } with the error to send
+ */
+async function authorize(request, env, manuscriptId, action) {
+  const userId = await getUserFromRequest(request, env);
+  if (!userId) {
+    return { response: jsonResponse({ error: 'Unauthorized' }, 401) };
+  }
+
+  const access = await checkManuscriptAccess(manuscriptId, userId, env);
+  if (!access.hasAccess) {
+    return { response: jsonResponse({ error: 'Manuscript not found or access denied' }, 404) };
+  }
+
+  if (!can(access.permissionLevel, action)) {
+    return {
+      response: jsonResponse({
+        error: 'Edit permission required',
+        currentPermission: access.permissionLevel
+      }, 403)
+    };
+  }
+
+  return { userId, manuscript: access.manuscript };
+}
+
+/**
+ * Version as returned to clients (storage keys stay server-side)
+ */
+function publicVersion(version, manuscript) {
+  const result = { ...version, isCurrent: version.r2Key === manuscript.r2_key };
+  delete result.r2Key;
+  return result;
+}
+
+/**
+ * Parse a version number query/path value
+ */
+function parseVersionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+export const manuscriptVersionHandlers = {
+  /**
+   * GET /manuscripts/:id/versions
+   * List all drafts of a manuscript, newest first
+   */
+  async listVersions(request, env, manuscriptId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:read');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const versions = await listVersions(auth.manuscript, env);
+      const currentVersion = versions.find(version => version.r2Key === auth.manuscript.r2_key);
+
+      return jsonResponse({
+        success: true,
+        manuscriptId,
+        currentVersion: currentVersion?.versionNumber ?? null,
+        versions: versions.map(version => publicVersion(version, auth.manuscript)),
+        count: versions.length
+      });
+    } catch (error) {
+      return errorResponse(error, 'Failed to list manuscript versions');
+    }
+  },
+
+  /**
+   * POST /manuscripts/:id/versions
+   * Upload a new draft as the next version
+   *
+   * Form data: file (required), notes?, analyze? ('true' to queue analysis),
+   * genre?, styleGuide?
+   * Requires edit permission. The new draft becomes the manuscript's current file.
+   */
+  async uploadVersion(request, env, manuscriptId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:write');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const formData = await request.formData();
+      const file = formData.get('file');
+
+      if (!file || typeof file === 'string') {
+        return jsonResponse({ error: 'No file provided' }, 400);
+      }
+      if (file.size > MAX_DRAFT_SIZE) {
+        return jsonResponse({ error: 'File too large. Maximum size is 50MB' }, 400);
+      }
+      if (!ALLOWED_DRAFT_TYPES.includes(file.type)) {
+        return jsonResponse({ error: 'Invalid file type. Allowed: PDF, DOCX, TXT, EPUB' }, 400);
+      }
+
+      const version = await createVersion(auth.manuscript, {
+        buffer: await file.arrayBuffer(),
+        fileName: file.name,
+        fileType: file.type,
+        notes: formData.get('notes') || null,
+        ipAddress: getUploadIp(request)
+      }, auth.userId, env);
+
+      const cache = initCache(env);
+      await cache.manuscript.invalidate(manuscriptId, auth.manuscript.user_id, auth.manuscript.r2_key);
+
+      let reportId = null;
+      let analysisEstimate = null;
+      if (formData.get('analyze') === 'true') {
+        const current = await env.DB.prepare(
+          'SELECT * FROM manuscripts WHERE id = ?'
+        ).bind(manuscriptId).first();
+
+        // The draft is kept either way; it is only analyzed once the owner can pay for it
+        const estimate = await estimateAnalysis(env, current);
+        if (estimate.canStart) {
+          reportId = await startVersionAnalysis(current, version, {
+            genre: formData.get('genre'),
+            styleGuide: formData.get('styleGuide')
+          }, env);
+        } else {
+          analysisEstimate = estimate;
+        }
+      }
+
+      return jsonResponse({
+        success: true,
+        manuscriptId,
+        version: { ...publicVersion(version, { r2_key: version.r2Key }), reportId: reportId ?? version.reportId },
+        reportId,
+        ...(analysisEstimate && { analysisEstimate }),
+        scanStatus: SCAN_STATUS.PENDING
+      }, 201);
+    } catch (error) {
+      return errorResponse(error, 'Failed to upload manuscript version');
+    }
+  },
+
+  /**
+   * GET /manuscripts/:id/versions/:version/diff?against=N&changes=false
+   * Chapter- and word-level diff of a version against an earlier one
+   * (default: the version before it). changes=false returns counts only.
+   */
+  async getVersionDiff(request, env, manuscriptId, versionParam) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:read');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const url = new URL(request.url);
+      const toNumber = parseVersionNumber(versionParam);
+      const fromNumber = url.searchParams.has('against')
+        ? parseVersionNumber(url.searchParams.get('against'))
+        : toNumber - 1;
+
+      if (!toNumber || !fromNumber) {
+        return jsonResponse({ error: 'Version numbers must be positive integers' }, 400);
+      }
+
+      const diff = await diffVersions(auth.manuscript, fromNumber, toNumber, env, {
+        includeChanges: url.searchParams.get('changes') !== 'false'
+      });
+
+      return jsonResponse({ success: true, manuscriptId, ...diff });
+    } catch (error) {
+      return errorResponse(error, 'Failed to diff manuscript versions');
+    }
+  },
+
+  /**
+   * GET /manuscripts/:id/versions/compare?from=N&to=M
+   * How the analysis changed between two drafts. Defaults compare the
+   * latest version with the one before it.
+   */
+  async compareVersions(request, env, manuscriptId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:read');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const url = new URL(request.url);
+      let toNumber = parseVersionNumber(url.searchParams.get('to'));
+      if (!url.searchParams.has('to')) {
+        const [latest] = await listVersions(auth.manuscript, env);
+        toNumber = latest.versionNumber;
+      }
+      const fromNumber = url.searchParams.has('from')
+        ? parseVersionNumber(url.searchParams.get('from'))
+        : toNumber - 1;
+
+      if (!toNumber || !fromNumber) {
+        return jsonResponse({ error: 'Version numbers must be positive integers (at least two versions are needed)' }, 400);
+      }
+
+      const report = await compareVersionAnalyses(auth.manuscript, fromNumber, toNumber, env);
+      return jsonResponse({ success: true, manuscriptId, ...report });
+    } catch (error) {
+      return errorResponse(error, 'Failed to compare manuscript versions');
+    }
+  },
+
+  /**
+   * GET /manuscripts/:id/versions/:version
+   * One version's details
+   */
+  async getVersion(request, env, manuscriptId, versionParam) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, 'manuscript:read');
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const versionNumber = parseVersionNumber(versionParam);
+      if (!versionNumber) {
+        return jsonResponse({ error: 'Version numbers must be positive integers' }, 400);
+      }
+
+      const version = await getVersion(auth.manuscript, versionNumber, env);
+      return jsonResponse({ success: true, manuscriptId, version: publicVersion(version, auth.manuscript) });
+    } catch (error) {
+      return errorResponse(error, 'Failed to get manuscript version');
+    }
+  }
+};
@@ -0,0 +1,132 @@
+/**
+ * In-App Notification Feed Handlers
+ * Notifications are written by the notification dispatcher worker
+ * (src/workers/notification-dispatcher.js); these routes read them and
+ * track read state.
+ */
+
+import { getUserFromRequest } from '../utils/auth-utils.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * GET /notifications
+ * List the user's notifications, newest first
+ *
+ * Query: unread=true (only unread), limit (1-100), before (created_at cursor)
+ */
+export async function handleGetNotifications(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const url = new URL(request.url);
+    const unreadOnly = url.searchParams.get('unread') === 'true';
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const before = parseInt(url.searchParams.get('before'), 10);
+
+    const conditions = ['user_id = ?'];
+    const params = [userId];
+    if (unreadOnly) {
+      conditions.push('read_at IS NULL');
+    }
+    if (Number.isFinite(before)) {
+      conditions.push('created_at < ?');
+      params.push(before);
+    }
+
+    const { results } = await env.DB.prepare(`
+      SELECT id, notification_type, title, body, link, submission_id, read_at, created_at
+      FROM notifications
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `).bind(...params, limit + 1).all();
+
+    const unread = await env.DB.prepare(
+      'SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL'
+    ).bind(userId).first();
+
+    const page = results.slice(0, limit);
+
+    return jsonResponse({
+      success: true,
+      notifications: page.map(notification => ({ ...notification, is_read: notification.read_at !== null })),
+      unreadCount: Number(unread?.count || 0),
+      nextCursor: results.length > limit ? page[page.length - 1].created_at : null
+    });
+
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    return jsonResponse({ error: 'Failed to get notifications', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST /notifications/:id/read
+ * Mark one notification as read
+ */
+export async function handleMarkNotificationRead(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const { notificationId } = request.params;
+
+    const notification = await env.DB.prepare(
+      'SELECT id, read_at FROM notifications WHERE id = ? AND user_id = ?'
+    ).bind(notificationId, userId).first();
+
+    if (!notification) {
+      return jsonResponse({ error: 'Notification not found' }, 404);
+    }
+
+    const readAt = notification.read_at ?? Math.floor(Date.now() / 1000);
+    if (notification.read_at === null || notification.read_at === undefined) {
+      await env.DB.prepare(
+        'UPDATE notifications SET read_at = ? WHERE id = ? AND user_id = ?'
+      ).bind(readAt, notificationId, userId).run();
+    }
+
+    return jsonResponse({ success: true, id: notificationId, read_at: readAt });
+
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    return jsonResponse({ error: 'Failed to mark notification read', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST /notifications/read-all
+ * Mark every unread notification as read
+ */
+export async function handleMarkAllNotificationsRead(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const result = await env.DB.prepare(
+      'UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL'
+    ).bind(Math.floor(Date.now() / 1000), userId).run();
+
+    return jsonResponse({ success: true, updated: result.meta?.changes || 0 });
+
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    return jsonResponse({ error: 'Failed to mark notifications read', details: error.message }, 500);
+  }
+}
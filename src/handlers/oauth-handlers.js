@@ -0,0 +1,515 @@
+/**
+ * OAuth Handlers
+ *
+ * OAuth 2.0 authorization server endpoints for third-party apps:
+ * - App registration and management for developers (/oauth/clients)
+ * - The consent screen authors approve apps on (/oauth/authorize)
+ * - Token and revocation endpoints the apps call (/oauth/token, /oauth/revoke)
+ * - The apps an author has authorized (/oauth/authorizations)
+ *
+ * The token and revocation endpoints answer in the RFC 6749 format
+ * ({ error, error_description }); the others in the usual API format.
+ * The protocol itself lives in services/oauth-service.js.
+ */
+
+import { getUserFromRequest, logAuthEvent } from '../utils/auth-utils.js';
+import {
+  OAUTH_CONFIG,
+  OAuthError,
+  buildRedirect,
+  registerClient,
+  listClients,
+  getClient,
+  rotateClientSecret,
+  deleteClient,
+  authenticateClient,
+  validateAuthorizationRequest,
+  createConsentRequest,
+  completeConsent,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+  revokeToken,
+  getClientUsageStats,
+  listAuthorizations,
+  revokeAuthorization
+} from '../services/oauth-service.js';
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+function errorResponse(error, fallback) {
+  const status = error.statusCode || 500;
+  if (status === 500) {
+    console.error(`Error: ${fallback}:`, error);
+    return jsonResponse({ error: fallback, details: error.message }, 500);
+  }
+  return jsonResponse({ error: error.message, code: error.code, ...error.details }, status);
+}
+
+/**
+ * Token endpoint responses must not be cached (RFC 6749 section 5.1)
+ */
+function tokenResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      'Pragma': 'no-cache',
+      ...headers
+    }
+  });
+}
+
+function tokenErrorResponse(error, usedBasicAuth = false) {
+  if (!(error instanceof OAuthError)) {
+    console.error('Error: OAuth token endpoint:', error);
+    return tokenResponse({ error: 'server_error', error_description: 'Internal server error' }, 500);
+  }
+
+  // Clients that tried HTTP Basic are told which scheme to use (RFC 6749 section 5.2)
+  const headers = error.statusCode === 401 && usedBasicAuth
+    ? { 'WWW-Authenticate': 'Basic realm="oauth"' }
+    : {};
+  return tokenResponse({ error: error.code, error_description: error.message }, error.statusCode, headers);
+}
+
+function redirectResponse(location) {
+  return new Response(null, {
+    status: 302,
+    headers: { 'Location': location, 'Cache-Control': 'no-store' }
+  });
+}
+
+/**
+ * Read a form-encoded (or JSON) request body as a plain object
+ * The Express adapter re-encodes parsed form bodies as JSON, so both are accepted.
+ */
+async function readParams(request) {
+  const text = await request.text().catch(() => '');
+  if (text.trim().startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return {};
+    }
+  }
+  return Object.fromEntries(new URLSearchParams(text));
+}
+
+/**
+ * Client credentials from HTTP Basic (preferred) or the request body
+ */
+function clientCredentials(request, params) {
+  const header = request.headers.get('Authorization') || '';
+  if (header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator !== -1) {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+        usedBasicAuth: true
+      };
+    }
+  }
+  return { clientId: params.client_id, clientSecret: params.client_secret, usedBasicAuth: false };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * The consent screen and its errors must never be framed (clickjacking)
+ */
+function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Frame-Options': 'DENY',
+      'Content-Security-Policy': 'frame-ancestors \'none\''
+    }
+  });
+}
+
+function renderPage(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - Manuscript Hub</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+    }
+    .container {
+      background: white;
+      border-radius: 16px;
+      padding: 40px;
+      max-width: 480px;
+      width: 100%;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+    }
+    h1 { font-size: 24px; color: #1a202c; margin-bottom: 12px; }
+    p { font-size: 16px; color: #4a5568; line-height: 1.6; margin-bottom: 16px; }
+    ul { list-style: none; margin: 0 0 24px; }
+    li { padding: 12px 16px; background: #f7fafc; border-radius: 8px; margin-bottom: 8px; color: #2d3748; }
+    li code { display: block; font-size: 12px; color: #718096; margin-top: 4px; }
+    .account { font-size: 14px; color: #718096; }
+    .actions { display: flex; gap: 12px; }
+    button {
+      flex: 1;
+      padding: 14px;
+      border: none;
+      border-radius: 8px;
+      font-size: 16px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+    .approve { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; }
+    .deny { background: #edf2f7; color: #2d3748; }
+    .note { font-size: 13px; color: #718096; margin-top: 20px; margin-bottom: 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+${content}
+  </div>
+</body>
+</html>`;
+}
+
+function renderError(message, status = 400) {
+  return htmlResponse(renderPage('Authorization failed', `
+    <h1>Authorization failed</h1>
+    <p>${escapeHtml(message)}</p>
+    <p class="note">Return to the app you came from and try connecting again.</p>`), status);
+}
+
+function renderConsent(client, scopes, user, consentToken) {
+  const homepage = client.homepage_url
+    ? ` (<a href="${escapeHtml(client.homepage_url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(new URL(client.homepage_url).host)}</a>)`
+    : '';
+  const scopeList = scopes
+    .map(scope => `      <li>${escapeHtml(OAUTH_CONFIG.SCOPES[scope])}<code>${escapeHtml(scope)}</code></li>`)
+    .join('\n');
+
+  return htmlResponse(renderPage(`Authorize ${client.name}`, `
+    <h1>Authorize ${escapeHtml(client.name)}</h1>
+    <p><strong>${escapeHtml(client.name)}</strong>${homepage} wants to access your Manuscript Hub account. It will be able to:</p>
+    <ul>
+${scopeList}
+    </ul>
+    <p class="account">Signed in as ${escapeHtml(user?.email)}</p>
+    <form method="POST" action="/oauth/authorize">
+      <input type="hidden" name="consent_token" value="${escapeHtml(consentToken)}">
+      <div class="actions">
+        <button type="submit" name="decision" value="deny" class="deny">Deny</button>
+        <button type="submit" name="decision" value="approve" class="approve">Authorize</button>
+      </div>
+    </form>
+    <p class="note">You can revoke this app's access at any time from your account settings.</p>`));
+}
+
+/**
+ * Require a signed-in user for the JSON endpoints
+ */
+async function requireUser(request, env) {
+  const userId = await getUserFromRequest(request, env);
+  return userId ? { userId } : { response: jsonResponse({ error: 'Unauthorized' }, 401) };
+}
+
+export const oauthHandlers = {
+  // ==========================================================================
+  // CLIENT REGISTRATION
+  // ==========================================================================
+
+  /**
+   * POST /oauth/clients
+   * Register an app
+   *
+   * Body: { name, redirectUris: [], scopes?: [], clientType?: 'confidential' | 'public', homepageUrl? }
+   * The client secret (confidential clients) is only returned here.
+   */
+  async createClient(request, env) {
+    try {
+      const auth = await requireUser(request, env);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const input = await request.json().catch(() => ({}));
+      const client = await registerClient(auth.userId, input, env);
+      return jsonResponse({
+        success: true,
+        client,
+        message: client.clientSecret ? 'Store the client secret now - it will not be shown again' : undefined
+      }, 201);
+    } catch (error) {
+      return errorResponse(error, 'Failed to register app');
+    }
+  },
+
+  /**
+   * GET /oauth/clients
+   * Apps the signed-in developer has registered
+   */
+  async listClients(request, env) {
+    try {
+      const auth = await requireUser(request, env);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const clients = await listClients(auth.userId, env);
+      return jsonResponse({ success: true, clients });
+    } catch (error) {
+      return errorResponse(error, 'Failed to list apps');
+    }
+  },
+
+  /**
+   * GET /oauth/clients/:clientId
+   * One app with its API usage over the last 30 days
+   */
+  async getClient(request, env, clientId) {
+    try {
+      const auth = await requireUser(request, env);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const client = await getClient(clientId, auth.userId, env);
+      const usage = await getClientUsageStats(clientId, {}, env);
+      return jsonResponse({ success: true, client, usage });
+    } catch (error) {
+      return errorResponse(error, 'Failed to get app');
+    }
+  },
+
+  /**
+   * POST /oauth/clients/:clientId/secret
+   * Replace a confidential app's secret
+   */
+  async rotateSecret(request, env, clientId) {
+    try {
+      const auth = await requireUser(request, env);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const result = await rotateClientSecret(clientId, auth.userId, env);
+      return jsonResponse({ success: true, ...result, message: 'Store the client secret now - it will not be shown again' });
+    } catch (error) {
+      return errorResponse(error, 'Failed to rotate client secret');
+    }
+  },
+
+  /**
+   * DELETE /oauth/clients/:clientId
+   * Remove an app; every token issued to it stops working
+   */
+  async deleteClient(request, env, clientId) {
+    try {
+      const auth = await requireUser(request, env);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      await deleteClient(clientId, auth.userId, env);
+      return jsonResponse({ success: true, clientId });
+    } catch (error) {
+      return errorResponse(error, 'Failed to delete app');
+    }
+  },
+
+  // ==========================================================================
+  // AUTHORIZATION
+  // ==========================================================================
+
+  /**
+   * GET /oauth/authorize?response_type=code&client_id=...&redirect_uri=...
+   *   &scope=...&state=...&code_challenge=...&code_challenge_method=S256
+   * Show the consent screen (signing in first if needed)
+   */
+  async authorize(request, env) {
+    const url = new URL(request.url);
+
+    let authRequest;
+    try {
+      authRequest = await validateAuthorizationRequest(Object.fromEntries(url.searchParams), env);
+    } catch (error) {
+      if (error instanceof OAuthError && error.redirectUri) {
+        return redirectResponse(buildRedirect(error.redirectUri, {
+          error: error.code,
+          error_description: error.message,
+          state: error.state
+        }));
+      }
+      if (error instanceof OAuthError) {
+        return renderError(error.message);
+      }
+      console.error('Error: OAuth authorization request:', error);
+      return renderError('Something went wrong. Please try again later.', 500);
+    }
+
+    try {
+      const userId = await getUserFromRequest(request, env);
+      if (!userId) {
+        const login = new URL('/login.html', env.FRONTEND_URL || url.origin);
+        login.searchParams.set('next', url.toString());
+        return redirectResponse(login.toString());
+      }
+
+      const user = await env.DB.prepare('SELECT email FROM users WHERE id = ?').bind(userId).first();
+      const consentToken = await createConsentRequest(authRequest, userId, env);
+      return renderConsent(authRequest.client, authRequest.scopes, user, consentToken);
+    } catch (error) {
+      console.error('Error: OAuth consent screen:', error);
+      return renderError('Something went wrong. Please try again later.', 500);
+    }
+  },
+
+  /**
+   * POST /oauth/authorize
+   * The author's decision on the consent screen
+   *
+   * Form: { consent_token, decision: 'approve' | 'deny' }
+   * Redirects back to the app with a code, or with error=access_denied.
+   */
+  async decide(request, env) {
+    try {
+      const userId = await getUserFromRequest(request, env);
+      if (!userId) {
+        return renderError('Your session has expired. Sign in and start again from the app.', 401);
+      }
+
+      const params = await readParams(request);
+      const approved = params.decision === 'approve';
+      const result = await completeConsent(params.consent_token, userId, approved, env);
+
+      if (approved) {
+        await logAuthEvent(env, userId, 'oauth_authorize', request, { clientId: result.clientId, scopes: result.scopes });
+      }
+      return redirectResponse(result.redirectTo);
+    } catch (error) {
+      if (error instanceof OAuthError) {
+        return renderError(error.message);
+      }
+      console.error('Error: OAuth consent decision:', error);
+      return renderError('Something went wrong. Please try again later.', 500);
+    }
+  },
+
+  // ==========================================================================
+  // TOKENS
+  // ==========================================================================
+
+  /**
+   * POST /oauth/token
+   * grant_type=authorization_code: { code, redirect_uri, code_verifier }
+   * grant_type=refresh_token: { refresh_token, scope? }
+   * Clients authenticate with HTTP Basic or client_id/client_secret in the
+   * body; public clients send only client_id.
+   */
+  async token(request, env) {
+    let usedBasicAuth = false;
+    try {
+      const params = await readParams(request);
+      const credentials = clientCredentials(request, params);
+      usedBasicAuth = credentials.usedBasicAuth;
+      const client = await authenticateClient(credentials, env);
+
+      if (params.grant_type === 'authorization_code') {
+        return tokenResponse(await exchangeAuthorizationCode(client, params, env));
+      }
+      if (params.grant_type === 'refresh_token') {
+        return tokenResponse(await refreshAccessToken(client, params, env));
+      }
+      throw new OAuthError('unsupported_grant_type', 'grant_type must be authorization_code or refresh_token');
+    } catch (error) {
+      return tokenErrorResponse(error, usedBasicAuth);
+    }
+  },
+
+  /**
+   * POST /oauth/revoke
+   * Revoke an access or refresh token (RFC 7009). Form: { token, token_type_hint? }
+   * Answers 200 whether or not the token existed.
+   */
+  async revoke(request, env) {
+    let usedBasicAuth = false;
+    try {
+      const params = await readParams(request);
+      const credentials = clientCredentials(request, params);
+      usedBasicAuth = credentials.usedBasicAuth;
+      const client = await authenticateClient(credentials, env);
+
+      await revokeToken(client, params.token, params.token_type_hint, env);
+      return tokenResponse({});
+    } catch (error) {
+      return tokenErrorResponse(error, usedBasicAuth);
+    }
+  },
+
+  // ==========================================================================
+  // AUTHORIZED APPS
+  // ==========================================================================
+
+  /**
+   * GET /oauth/authorizations
+   * Apps the signed-in author has authorized
+   */
+  async listAuthorizations(request, env) {
+    try {
+      const auth = await requireUser(request, env);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const apps = await listAuthorizations(auth.userId, env);
+      return jsonResponse({ success: true, apps });
+    } catch (error) {
+      return errorResponse(error, 'Failed to list authorized apps');
+    }
+  },
+
+  /**
+   * DELETE /oauth/authorizations/:clientId
+   * Revoke an app's access to the signed-in author's account
+   */
+  async revokeAuthorization(request, env, clientId) {
+    try {
+      const auth = await requireUser(request, env);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      await revokeAuthorization(auth.userId, clientId, env);
+      await logAuthEvent(env, auth.userId, 'oauth_revoke', request, { clientId });
+      return jsonResponse({ success: true, clientId });
+    } catch (error) {
+      return errorResponse(error, 'Failed to revoke app');
+    }
+  }
+};
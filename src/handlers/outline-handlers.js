@@ -0,0 +1,253 @@
+/**
+ * Manuscript Outline Handlers
+ *
+ * Lets authors review and correct how their manuscript is split into
+ * front matter, chapters, part dividers and back matter:
+ * - Get the current outline
+ * - Save corrections (per-section kind/title overrides, custom heading patterns)
+ * - Re-run detection, optionally discarding corrections
+ *
+ * The saved outline is what agents, audiobook chapter splits and the EPUB
+ * table of contents use.
+ */
+
+import { getUserFromRequest } from '../utils/auth-utils.js';
+import { checkManuscriptAccess } from './manuscript-handlers.js';
+import { can } from '../services/authorization-service.js';
+import { extractManuscriptModel } from '../utils/manuscript-model.js';
+import { segmentModel, summarizeOutline, validateOverrides } from '../utils/chapter-segmentation.js';
+import { getStoredOutline, saveOutline } from '../services/outline-service.js';
+
+/**
+ * Authenticate and check manuscript access
+ * Returns { userId, manuscript } or { response } with the error to send
+ */
+async function authorize(request, env, manuscriptId, requireEdit) {
+  const userId = await getUserFromRequest(request, env);
+  if (!userId) {
+    return {
+      response: new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    };
+  }
+
+  const access = await checkManuscriptAccess(manuscriptId, userId, env);
+  if (!access.hasAccess) {
+    return {
+      response: new Response(JSON.stringify({ error: 'Manuscript not found or access denied' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    };
+  }
+
+  if (requireEdit && !can(access.permissionLevel, 'manuscript:write')) {
+    return {
+      response: new Response(JSON.stringify({
+        error: 'Edit permission required',
+        currentPermission: access.permissionLevel
+      }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    };
+  }
+
+  return { userId, manuscript: access.manuscript };
+}
+
+/**
+ * Load the manuscript file and import it into the document model
+ */
+async function loadModel(manuscript, env) {
+  const manuscriptObj = await env.R2.getBucket('manuscripts_raw').get(manuscript.r2_key);
+  if (!manuscriptObj) {
+    return null;
+  }
+
+  return extractManuscriptModel(
+    await manuscriptObj.arrayBuffer(),
+    manuscriptObj.httpMetadata?.contentType || manuscript.file_type
+  );
+}
+
+/**
+ * Build the outline response body
+ */
+function outlineResponse(manuscriptId, outline, overrides, source) {
+  return {
+    success: true,
+    manuscriptId,
+    source,
+    summary: summarizeOutline(outline),
+    outline,
+    overrides
+  };
+}
+
+export const outlineHandlers = {
+  /**
+   * GET /manuscripts/:id/outline
+   * Get the manuscript outline, detecting and storing it on first request
+   */
+  async getOutline(request, env, manuscriptId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, false);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const stored = await getStoredOutline(manuscriptId, env);
+      if (stored) {
+        return new Response(JSON.stringify(
+          outlineResponse(manuscriptId, stored.outline, stored.overrides, stored.source)
+        ), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const model = await loadModel(auth.manuscript, env);
+      if (!model) {
+        return new Response(JSON.stringify({ error: 'Manuscript file not found in storage' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const outline = segmentModel(model);
+      await saveOutline(manuscriptId, outline, {}, null, env);
+
+      return new Response(JSON.stringify(outlineResponse(manuscriptId, outline, {}, 'detected')), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+    } catch (error) {
+      console.error('Get outline error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  },
+
+  /**
+   * PUT /manuscripts/:id/outline
+   * Save author corrections to the outline
+   *
+   * Request body: {
+   *   sections?: [{ index, heading?, kind?, title? }],
+   *   patterns?: [{ pattern, flags?, kind, label? }]
+   * }
+   * Replaces any previous overrides. Requires edit permission.
+   */
+  async updateOutline(request, env, manuscriptId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, true);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const body = await request.json();
+      const overrides = {
+        sections: body.sections || [],
+        patterns: body.patterns || []
+      };
+
+      const errors = validateOverrides(overrides);
+      if (errors.length > 0) {
+        return new Response(JSON.stringify({ error: 'Invalid outline overrides', details: errors }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const model = await loadModel(auth.manuscript, env);
+      if (!model) {
+        return new Response(JSON.stringify({ error: 'Manuscript file not found in storage' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const outline = segmentModel(model, overrides);
+      const unmatched = overrides.sections.filter(entry =>
+        !outline.some(section =>
+          typeof entry.heading === 'string' ? section.heading === entry.heading : section.index === entry.index
+        )
+      );
+      if (unmatched.length > 0) {
+        return new Response(JSON.stringify({
+          error: 'Some overrides do not match a section of this manuscript',
+          unmatched
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      await saveOutline(manuscriptId, outline, overrides, auth.userId, env);
+
+      return new Response(JSON.stringify(outlineResponse(manuscriptId, outline, overrides, 'author')), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+    } catch (error) {
+      console.error('Update outline error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  },
+
+  /**
+   * POST /manuscripts/:id/outline/detect
+   * Re-run detection against the current manuscript file
+   *
+   * Request body: { resetOverrides?: boolean }
+   * Keeps stored overrides unless resetOverrides is true. Requires edit permission.
+   */
+  async detectOutline(request, env, manuscriptId) {
+    try {
+      const auth = await authorize(request, env, manuscriptId, true);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const body = await request.json().catch(() => ({}));
+      const stored = await getStoredOutline(manuscriptId, env);
+      const overrides = body.resetOverrides ? {} : (stored?.overrides || {});
+
+      const model = await loadModel(auth.manuscript, env);
+      if (!model) {
+        return new Response(JSON.stringify({ error: 'Manuscript file not found in storage' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const outline = segmentModel(model, overrides);
+      await saveOutline(manuscriptId, outline, overrides, auth.userId, env);
+
+      const hasOverrides = (overrides.sections?.length || 0) + (overrides.patterns?.length || 0) > 0;
+      return new Response(JSON.stringify(
+        outlineResponse(manuscriptId, outline, overrides, hasOverrides ? 'author' : 'detected')
+      ), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+    } catch (error) {
+      console.error('Detect outline error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+};
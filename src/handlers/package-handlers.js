@@ -8,6 +8,22 @@ import {
   getAvailablePlatforms,
   getPlatformInfo,
 } from '../managers/package-manager.js';
+import { EPUBValidationError } from '../validators/epub-validator.js';
+
+/**
+ * 422 listing what is wrong with the manuscript's EPUB, file and line included
+ */
+function epubValidationResponse(error) {
+  return new Response(
+    JSON.stringify({
+      error: 'Manuscript EPUB failed validation and would be rejected by the platform',
+      code: error.code,
+      errors: error.details.errors,
+      warnings: error.details.warnings
+    }),
+    { status: 422, headers: { 'Content-Type': 'application/json' } }
+  );
+}
 
 /**
  * Download a specific platform package
@@ -65,6 +81,9 @@ export async function downloadPlatformPackage(request, env, manuscriptId, platfo
       },
     });
   } catch (error) {
+    if (error instanceof EPUBValidationError) {
+      return epubValidationResponse(error);
+    }
     console.error('Error creating platform package:', error);
     return new Response(
       JSON.stringify({ error: 'Failed to create package', details: error.message }),
@@ -135,6 +154,9 @@ export async function downloadAllPlatformsBundle(request, env, manuscriptId) {
       },
     });
   } catch (error) {
+    if (error instanceof EPUBValidationError) {
+      return epubValidationResponse(error);
+    }
     console.error('Error creating all-platforms bundle:', error);
     return new Response(
       JSON.stringify({ error: 'Failed to create bundle', details: error.message }),
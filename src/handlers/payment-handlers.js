@@ -3,8 +3,10 @@
  * Stripe integration for subscriptions and one-time purchases
  */
 
-import Stripe from 'stripe';
 import crypto from 'crypto';
+import { getStripeClient } from '../utils/stripe-client.js';
+import { AppError } from '../utils/error-handling.js';
+import billingService, { TOKEN_ALLOWANCES, CREDIT_PACKS } from '../services/billing-service.js';
 
 // Pricing configuration
 const PRICING = {
@@ -12,21 +14,24 @@ const PRICING = {
     name: 'Free',
     monthlyLimit: 1,
     price: 0,
-    features: ['Basic analysis', '1 manuscript/month', '30 days storage']
+    includedTokens: TOKEN_ALLOWANCES.free,
+    features: ['Basic analysis', '1 manuscript/month', '200,000 AI tokens/month', '30 days storage']
   },
   pro: {
     name: 'Pro',
     monthlyLimit: 10,
     price: 2900, // $29.00 in cents
-    priceId: 'price_pro_monthly', // Replace with actual Stripe Price ID
-    features: ['Full analysis', '10 manuscripts/month', '1 year storage', 'Asset generation', 'Priority support']
+    priceId: 'price_pro_monthly', // Overridden by STRIPE_PRICE_PRO
+    includedTokens: TOKEN_ALLOWANCES.pro,
+    features: ['Full analysis', '10 manuscripts/month', '5M AI tokens/month, then $0.01 per 1,000', '1 year storage', 'Asset generation', 'Priority support']
   },
   enterprise: {
     name: 'Enterprise',
     monthlyLimit: 999999,
     price: 9900, // $99.00 in cents
-    priceId: 'price_enterprise_monthly', // Replace with actual Stripe Price ID
-    features: ['Unlimited manuscripts', 'Team features (5 members)', 'API access', 'Dedicated support', 'Custom branding']
+    priceId: 'price_enterprise_monthly', // Overridden by STRIPE_PRICE_ENTERPRISE
+    includedTokens: TOKEN_ALLOWANCES.enterprise,
+    features: ['Unlimited manuscripts', '25M AI tokens/month, then $0.01 per 1,000', 'Team features (5 members)', 'API access', 'Dedicated support', 'Custom branding']
   },
   oneTime: {
     name: 'One-Time Analysis',
@@ -36,14 +41,16 @@ const PRICING = {
 };
 
 /**
- * Initialize Stripe client
+ * JSON response for an AppError thrown by the billing service
  */
-function getStripeClient(env) {
-  if (!env.STRIPE_SECRET_KEY) {
-    throw new Error('STRIPE_SECRET_KEY not configured');
-  }
-  return new Stripe(env.STRIPE_SECRET_KEY, {
-    apiVersion: '2024-10-28.acacia',
+function billingErrorResponse(error, corsHeaders) {
+  return new Response(JSON.stringify({
+    error: error.message,
+    code: error.code,
+    ...(error.details && { details: error.details })
+  }), {
+    status: error.statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
   });
 }
 
@@ -98,16 +105,22 @@ export async function createCheckoutSession(request, env, corsHeaders) {
       stripeCustomerId = customer.id;
     }
 
+    // Plan price, plus the metered price AI overage is billed on (metered prices take no quantity)
+    const lineItems = [
+      {
+        price: env[`STRIPE_PRICE_${plan.toUpperCase()}`] || pricing.priceId,
+        quantity: 1,
+      },
+    ];
+    if (env.STRIPE_PRICE_AI_OVERAGE) {
+      lineItems.push({ price: env.STRIPE_PRICE_AI_OVERAGE });
+    }
+
     // Create checkout session
     const session = await stripe.checkout.sessions.create({
       customer: stripeCustomerId,
       mode: 'subscription',
-      line_items: [
-        {
-          price: pricing.priceId,
-          quantity: 1,
-        },
-      ],
+      line_items: lineItems,
       success_url: `${env.FRONTEND_URL || 'http://localhost:8787'}/billing?success=true&session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${env.FRONTEND_URL || 'http://localhost:8787'}/pricing?canceled=true`,
       metadata: {
@@ -414,6 +427,187 @@ export async function checkCanUpload(request, env, corsHeaders) {
   }
 }
 
+/**
+ * Get AI token usage for the current billing period
+ * GET /payments/usage
+ */
+export async function getUsage(request, env, corsHeaders) {
+  try {
+    const { getUserFromRequest } = await import('../utils/auth-utils.js');
+    const userId = await getUserFromRequest(request, env);
+
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const usage = await billingService.getUsageSummary(env, userId);
+
+    return new Response(JSON.stringify({
+      ...usage,
+      creditPacks: Object.entries(CREDIT_PACKS).map(([id, pack]) => ({ id, ...pack }))
+    }), {
+      status: 200,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('[Payment] Get usage error:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to get usage',
+      details: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Estimate the tokens and charges for analyzing a manuscript
+ * GET /payments/estimate?manuscriptId=...
+ */
+export async function getAnalysisEstimate(request, env, corsHeaders) {
+  try {
+    const { getUserFromRequest } = await import('../utils/auth-utils.js');
+    const { resolveManuscriptPermission, can } = await import('../services/authorization-service.js');
+    const userId = await getUserFromRequest(request, env);
+
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const manuscriptId = new URL(request.url).searchParams.get('manuscriptId');
+    if (!manuscriptId) {
+      return new Response(JSON.stringify({ error: 'Manuscript ID required' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const access = await resolveManuscriptPermission(manuscriptId, userId, env);
+    if (!can(access.permission, 'analysis:run')) {
+      return new Response(JSON.stringify({ error: 'Manuscript not found or access denied' }), {
+        status: 404,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Analyses are billed to the manuscript's owner
+    const estimate = await billingService.estimateAnalysis(env, access.manuscript);
+
+    return new Response(JSON.stringify(estimate), {
+      status: 200,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('[Payment] Estimate error:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to estimate analysis cost',
+      details: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Create Stripe Checkout Session for a credit pack
+ * POST /payments/credit-packs/checkout
+ */
+export async function createCreditPackCheckoutSession(request, env, corsHeaders) {
+  try {
+    const { getUserFromRequest } = await import('../utils/auth-utils.js');
+    const userId = await getUserFromRequest(request, env);
+
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const session = await billingService.createCreditPackCheckout(env, userId, body.pack);
+
+    return new Response(JSON.stringify({
+      success: true,
+      ...session
+    }), {
+      status: 200,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return billingErrorResponse(error, corsHeaders);
+    }
+    console.error('[Payment] Credit pack checkout error:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to create checkout session',
+      details: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Get the usage ledger for a billing period, reconciled with logged costs
+ * GET /payments/ledger?periodStart=<unix seconds>
+ */
+export async function getUsageLedger(request, env, corsHeaders) {
+  try {
+    const { getUserFromRequest } = await import('../utils/auth-utils.js');
+    const userId = await getUserFromRequest(request, env);
+
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const param = new URL(request.url).searchParams.get('periodStart');
+    if (param !== null && !/^\d+$/.test(param)) {
+      return new Response(JSON.stringify({ error: 'periodStart must be a unix timestamp in seconds' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const ledger = await billingService.getUsageLedger(env, userId, {
+      periodStart: param === null ? undefined : Number(param)
+    });
+
+    return new Response(JSON.stringify(ledger), {
+      status: 200,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return billingErrorResponse(error, corsHeaders);
+    }
+    console.error('[Payment] Get ledger error:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to get usage ledger',
+      details: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
 /**
  * Track usage after successful manuscript upload
  */
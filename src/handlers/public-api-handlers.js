@@ -1,10 +1,18 @@
 // Public API Handlers
-// RESTful API endpoints for Enterprise tier programmatic access
+// RESTful API endpoints for Enterprise tier programmatic access and for
+// third-party apps acting for an author through OAuth (oauth-handlers.js)
 
 import { authenticateAPIKey, APIKeyManager } from '../managers/api-key-manager.js';
+import { getClientUsageStats } from '../services/oauth-service.js';
 import { WebhookManager } from '../managers/webhook-manager.js';
+import { quarantineUpload, queueAfterScan, getUploadIp, FileQuarantinedError } from '../services/upload-quarantine.js';
+import { TAKEN_DOWN } from '../services/dmca-service.js';
+import { assertAnalysisAffordable } from '../services/billing-service.js';
+import { PaymentRequiredError } from '../utils/error-handling.js';
 import crypto from 'crypto';
 
+const TAKEN_DOWN_MESSAGE = 'This manuscript has been taken down in response to a DMCA notice';
+
 /**
  * POST /api/v1/manuscripts
  * Upload a new manuscript
@@ -16,7 +24,7 @@ export async function apiUploadManuscript(request, env) {
     // Authenticate
     const auth = await authenticateAPIKey(request, env);
     if (!auth.authenticated) {
-      return apiErrorResponse(auth.error, 401);
+      return apiErrorResponse(auth.error, auth.status || 401);
     }
 
     const { keyDetails } = auth;
@@ -46,24 +54,17 @@ export async function apiUploadManuscript(request, env) {
       return apiErrorResponse('Invalid file type. Supported: docx, doc, txt, pdf', 400);
     }
 
-    // Store in R2
     const manuscriptId = crypto.randomUUID();
     const r2Key = `${keyDetails.userId}/${manuscriptId}/${filename}`;
-
     const fileBuffer = await file.arrayBuffer();
-    await env.MANUSCRIPTS.put(r2Key, fileBuffer, {
-      httpMetadata: {
-        contentType: file.type
-      }
-    });
 
     // Store manuscript record
     const now = Math.floor(Date.now() / 1000);
     await env.DB.prepare(`
       INSERT INTO manuscripts (
-        id, user_id, title, author_name, genre, filename,
+        id, user_id, title, author_name, genre, filename, r2_key,
         file_size, word_count, status, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, NULL, 'uploaded', ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL, 'uploaded', ?, ?)
     `).bind(
       manuscriptId,
       keyDetails.userId,
@@ -71,14 +72,29 @@ export async function apiUploadManuscript(request, env) {
       author,
       genre || null,
       filename,
+      r2Key,
       fileBuffer.byteLength,
       now,
       now
     ).run();
 
+    // Hold the file in quarantine until the scan worker has scanned it
+    const { scanStatus } = await quarantineUpload(env, {
+      bucket: 'manuscripts_raw',
+      key: r2Key,
+      body: fileBuffer,
+      source: 'public_api',
+      contentType: file.type,
+      customMetadata: { manuscriptId, userId: keyDetails.userId, originalName: filename },
+      fileName: filename,
+      userId: keyDetails.userId,
+      manuscriptId,
+      ipAddress: getUploadIp(request)
+    });
+
     // Log API usage
-    await manager.logUsage(
-      keyDetails.keyId,
+    await manager.logRequest(
+      keyDetails,
       '/api/v1/manuscripts',
       'POST',
       201,
@@ -101,6 +117,7 @@ export async function apiUploadManuscript(request, env) {
       filename,
       fileSize: fileBuffer.byteLength,
       status: 'uploaded',
+      scanStatus,
       createdAt: now
     }, 201);
 
@@ -121,7 +138,7 @@ export async function apiAnalyzeManuscript(request, env, manuscriptId) {
     // Authenticate
     const auth = await authenticateAPIKey(request, env);
     if (!auth.authenticated) {
-      return apiErrorResponse(auth.error, 401);
+      return apiErrorResponse(auth.error, auth.status || 401);
     }
 
     const { keyDetails } = auth;
@@ -141,6 +158,12 @@ export async function apiAnalyzeManuscript(request, env, manuscriptId) {
       return apiErrorResponse('Manuscript not found', 404);
     }
 
+    if (manuscript.dmca_status === TAKEN_DOWN) {
+      return apiErrorResponse(TAKEN_DOWN_MESSAGE, 451);
+    }
+
+    await assertAnalysisAffordable(env, manuscript);
+
     // Parse options
     const body = await request.json().catch(() => ({}));
     const {
@@ -150,9 +173,9 @@ export async function apiAnalyzeManuscript(request, env, manuscriptId) {
       generateAssets = false
     } = body;
 
-    // Queue analysis job
+    // Queue analysis job (held until the malware scan if the file is still in quarantine)
     const jobId = crypto.randomUUID();
-    await env.QUEUE.send('analysis', {
+    await queueAfterScan(env, { bucket: 'manuscripts_raw', key: manuscript.r2_key }, 'analysis', {
       type: 'full_analysis',
       manuscriptId,
       userId: keyDetails.userId,
@@ -176,8 +199,8 @@ export async function apiAnalyzeManuscript(request, env, manuscriptId) {
     `).bind(Math.floor(Date.now() / 1000), manuscriptId).run();
 
     // Log API usage
-    await manager.logUsage(
-      keyDetails.keyId,
+    await manager.logRequest(
+      keyDetails,
       `/api/v1/manuscripts/${manuscriptId}/analyze`,
       'POST',
       202,
@@ -202,6 +225,12 @@ export async function apiAnalyzeManuscript(request, env, manuscriptId) {
     }, 202);
 
   } catch (error) {
+    if (error instanceof FileQuarantinedError) {
+      return apiErrorResponse(error.message, 409);
+    }
+    if (error instanceof PaymentRequiredError) {
+      return apiErrorResponse(error.message, 402, error.details);
+    }
     console.error('API analyze error:', error);
     return apiErrorResponse(error.message, 500);
   }
@@ -218,7 +247,7 @@ export async function apiGetManuscriptStatus(request, env, manuscriptId) {
     // Authenticate
     const auth = await authenticateAPIKey(request, env);
     if (!auth.authenticated) {
-      return apiErrorResponse(auth.error, 401);
+      return apiErrorResponse(auth.error, auth.status || 401);
     }
 
     const { keyDetails } = auth;
@@ -239,8 +268,8 @@ export async function apiGetManuscriptStatus(request, env, manuscriptId) {
     }
 
     // Log API usage
-    await manager.logUsage(
-      keyDetails.keyId,
+    await manager.logRequest(
+      keyDetails,
       `/api/v1/manuscripts/${manuscriptId}/status`,
       'GET',
       200,
@@ -273,7 +302,7 @@ export async function apiGetManuscriptResults(request, env, manuscriptId) {
     // Authenticate
     const auth = await authenticateAPIKey(request, env);
     if (!auth.authenticated) {
-      return apiErrorResponse(auth.error, 401);
+      return apiErrorResponse(auth.error, auth.status || 401);
     }
 
     const { keyDetails } = auth;
@@ -293,6 +322,10 @@ export async function apiGetManuscriptResults(request, env, manuscriptId) {
       return apiErrorResponse('Manuscript not found', 404);
     }
 
+    if (manuscript.dmca_status === TAKEN_DOWN) {
+      return apiErrorResponse(TAKEN_DOWN_MESSAGE, 451);
+    }
+
     if (manuscript.status !== 'analyzed') {
       return apiErrorResponse('Analysis not complete', 400);
     }
@@ -311,8 +344,8 @@ export async function apiGetManuscriptResults(request, env, manuscriptId) {
     const report = reportObj ? JSON.parse(await reportObj.text()) : null;
 
     // Log API usage
-    await manager.logUsage(
-      keyDetails.keyId,
+    await manager.logRequest(
+      keyDetails,
       `/api/v1/manuscripts/${manuscriptId}/results`,
       'GET',
       200,
@@ -348,7 +381,7 @@ export async function apiListManuscripts(request, env) {
     // Authenticate
     const auth = await authenticateAPIKey(request, env);
     if (!auth.authenticated) {
-      return apiErrorResponse(auth.error, 401);
+      return apiErrorResponse(auth.error, auth.status || 401);
     }
 
     const { keyDetails } = auth;
@@ -380,8 +413,8 @@ export async function apiListManuscripts(request, env) {
     const manuscripts = await env.DB.prepare(query).bind(...params).all();
 
     // Log API usage
-    await manager.logUsage(
-      keyDetails.keyId,
+    await manager.logRequest(
+      keyDetails,
       '/api/v1/manuscripts',
       'GET',
       200,
@@ -423,11 +456,17 @@ export async function apiConfigureWebhook(request, env) {
     // Authenticate
     const auth = await authenticateAPIKey(request, env);
     if (!auth.authenticated) {
-      return apiErrorResponse(auth.error, 401);
+      return apiErrorResponse(auth.error, auth.status || 401);
     }
 
     const { keyDetails } = auth;
 
+    // Webhooks deliver events for the whole account, so third-party apps
+    // acting through OAuth can't configure them
+    if (keyDetails.clientId) {
+      return apiErrorResponse('Webhooks can only be configured with an API key', 403);
+    }
+
     // Parse request
     const body = await request.json();
     const { url: webhookUrl, events, secret } = body;
@@ -449,8 +488,8 @@ export async function apiConfigureWebhook(request, env) {
 
     // Log API usage
     const manager = new APIKeyManager(env);
-    await manager.logUsage(
-      keyDetails.keyId,
+    await manager.logRequest(
+      keyDetails,
       '/api/v1/webhooks',
       'POST',
       201,
@@ -476,18 +515,20 @@ export async function apiGetUsage(request, env) {
     // Authenticate
     const auth = await authenticateAPIKey(request, env);
     if (!auth.authenticated) {
-      return apiErrorResponse(auth.error, 401);
+      return apiErrorResponse(auth.error, auth.status || 401);
     }
 
     const { keyDetails } = auth;
 
-    // Get usage stats
+    // Get usage stats (an OAuth app sees its own requests for this author)
     const manager = new APIKeyManager(env);
-    const stats = await manager.getUsageStats(keyDetails.userId, keyDetails.keyId, 30);
+    const stats = keyDetails.clientId
+      ? await getClientUsageStats(keyDetails.clientId, { userId: keyDetails.userId }, env, 30)
+      : await manager.getUsageStats(keyDetails.userId, keyDetails.keyId, 30);
 
     // Log API usage
-    await manager.logUsage(
-      keyDetails.keyId,
+    await manager.logRequest(
+      keyDetails,
       '/api/v1/usage',
       'GET',
       200,
@@ -521,12 +562,13 @@ function apiSuccessResponse(data, status = 200) {
 /**
  * Helper: Create error response
  */
-function apiErrorResponse(message, status = 400) {
+function apiErrorResponse(message, status = 400, details = null) {
   return new Response(JSON.stringify({
     success: false,
     error: {
       message,
-      code: status
+      code: status,
+      ...details
     }
   }), {
     status,
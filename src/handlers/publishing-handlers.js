@@ -31,7 +31,7 @@ export async function generatePlatformMetadata(request, env, manuscriptId) {
     }
 
     // Check access
-    const hasAccess = await checkManuscriptAccess(env, manuscriptId, user.userId);
+    const { hasAccess } = await checkManuscriptAccess(manuscriptId, user.userId, env);
     if (!hasAccess) {
       return new Response(JSON.stringify({ error: 'Access denied' }), {
         status: 404,
@@ -110,7 +110,7 @@ export async function prepareFormats(request, env, manuscriptId) {
     }
 
     // Check access
-    const hasAccess = await checkManuscriptAccess(env, manuscriptId, user.userId);
+    const { hasAccess } = await checkManuscriptAccess(manuscriptId, user.userId, env);
     if (!hasAccess) {
       return new Response(JSON.stringify({ error: 'Access denied' }), {
         status: 404,
@@ -188,7 +188,7 @@ export async function generateDistributionStrategy(request, env, manuscriptId) {
     }
 
     // Check access
-    const hasAccess = await checkManuscriptAccess(env, manuscriptId, user.userId);
+    const { hasAccess } = await checkManuscriptAccess(manuscriptId, user.userId, env);
     if (!hasAccess) {
       return new Response(JSON.stringify({ error: 'Access denied' }), {
         status: 404,
@@ -272,7 +272,7 @@ export async function generatePublishingPackage(request, env, manuscriptId) {
     }
 
     // Check access
-    const hasAccess = await checkManuscriptAccess(env, manuscriptId, user.userId);
+    const { hasAccess } = await checkManuscriptAccess(manuscriptId, user.userId, env);
     if (!hasAccess) {
       return new Response(JSON.stringify({ error: 'Access denied' }), {
         status: 404,
@@ -33,7 +33,7 @@ export async function getReviewMonitoring(request, env, manuscriptId) {
     }
 
     // Check manuscript access
-    const hasAccess = await checkManuscriptAccess(env, manuscriptId, user.userId);
+    const { hasAccess } = await checkManuscriptAccess(manuscriptId, user.userId, env);
     if (!hasAccess) {
       return new Response(JSON.stringify({ error: 'Manuscript not found or access denied' }), {
         status: 404,
@@ -151,7 +151,7 @@ export async function setupReviewMonitoring(request, env, manuscriptId) {
     }
 
     // Check manuscript access
-    const hasAccess = await checkManuscriptAccess(env, manuscriptId, user.userId);
+    const { hasAccess } = await checkManuscriptAccess(manuscriptId, user.userId, env);
     if (!hasAccess) {
       return new Response(JSON.stringify({ error: 'Manuscript not found or access denied' }), {
         status: 404,
@@ -289,7 +289,7 @@ export async function fetchReviews(request, env, manuscriptId) {
     }
 
     // Check access
-    const hasAccess = await checkManuscriptAccess(env, manuscriptId, user.userId);
+    const { hasAccess } = await checkManuscriptAccess(manuscriptId, user.userId, env);
     if (!hasAccess) {
       return new Response(JSON.stringify({ error: 'Access denied' }), {
         status: 404,
@@ -365,7 +365,7 @@ export async function getReviewSentiment(request, env, manuscriptId) {
     }
 
     // Check access
-    const hasAccess = await checkManuscriptAccess(env, manuscriptId, user.userId);
+    const { hasAccess } = await checkManuscriptAccess(manuscriptId, user.userId, env);
     if (!hasAccess) {
       return new Response(JSON.stringify({ error: 'Access denied' }), {
         status: 404,
@@ -444,7 +444,7 @@ export async function getReviewResponses(request, env, manuscriptId) {
     }
 
     // Check access
-    const hasAccess = await checkManuscriptAccess(env, manuscriptId, user.userId);
+    const { hasAccess } = await checkManuscriptAccess(manuscriptId, user.userId, env);
     if (!hasAccess) {
       return new Response(JSON.stringify({ error: 'Access denied' }), {
         status: 404,
@@ -535,7 +535,7 @@ export async function getReviewTrends(request, env, manuscriptId) {
     }
 
     // Check access
-    const hasAccess = await checkManuscriptAccess(env, manuscriptId, user.userId);
+    const { hasAccess } = await checkManuscriptAccess(manuscriptId, user.userId, env);
     if (!hasAccess) {
       return new Response(JSON.stringify({ error: 'Access denied' }), {
         status: 404,
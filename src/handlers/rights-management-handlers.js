@@ -1,10 +1,11 @@
 /**
-import crypto from 'crypto';
-
  * Rights Management Handlers
  * API endpoints for publishing rights tracking, territorial restrictions, and rights status
  */
 
+import crypto from 'crypto';
+import { detectRightsConflicts, detectOpenOfferConflicts } from '../services/rights-offer-service.js';
+
 /**
  * GET /manuscripts/:id/rights
  * Get all rights for a manuscript
@@ -774,52 +775,19 @@ export async function handleCheckRightsConflicts(request, env) {
       ORDER BY rights_type, grant_start_date
     `).bind(manuscriptId).all();
 
-    const conflicts = [];
-
-    // Check for conflicts
+    // Overlapping type, period, territory and language between granted rights,
+    // and between open offers and what is already granted
     const rightsArray = rights.results || [];
-    for (let i = 0; i < rightsArray.length; i++) {
-      for (let j = i + 1; j < rightsArray.length; j++) {
-        const r1 = rightsArray[i];
-        const r2 = rightsArray[j];
-
-        // Same rights type conflict
-        if (r1.rights_type === r2.rights_type) {
-          // Check time overlap
-          const hasTimeOverlap =
-            (r1.grant_start_date && r2.grant_start_date && r1.grant_end_date && r2.grant_end_date) &&
-            (r1.grant_start_date <= r2.grant_end_date && r2.grant_start_date <= r1.grant_end_date);
-
-          if (hasTimeOverlap || (!r1.grant_end_date && !r2.grant_end_date)) {
-            conflicts.push({
-              conflictType: 'time_overlap',
-              rightsType: r1.rights_type,
-              rights1: r1,
-              rights2: r2,
-              description: `Time overlap for ${r1.rights_type} rights`
-            });
-          }
-
-          // Exclusive conflict
-          if (r1.exclusive || r2.exclusive) {
-            conflicts.push({
-              conflictType: 'exclusive_violation',
-              rightsType: r1.rights_type,
-              rights1: r1,
-              rights2: r2,
-              description: `Exclusive ${r1.rights_type} rights conflict`
-            });
-          }
-        }
-      }
-    }
+    const conflicts = detectRightsConflicts(rightsArray);
+    const offerConflicts = await detectOpenOfferConflicts(manuscriptId, rightsArray, env);
 
     return new Response(JSON.stringify({
       success: true,
       manuscriptId,
       conflicts,
       hasConflicts: conflicts.length > 0,
-      conflictCount: conflicts.length
+      conflictCount: conflicts.length,
+      offerConflicts
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' }
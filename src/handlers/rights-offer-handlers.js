@@ -0,0 +1,199 @@
+/**
+ * Rights Offer Negotiation Handlers
+ * Record offers, counter with new terms, accept (creating the rights grants) or
+ * decline, and read a manuscript's negotiation timeline.
+ * The workflow lives in services/rights-offer-service.js.
+ */
+
+import { getUserFromRequest } from '../utils/auth-utils.js';
+import {
+  createOffer,
+  counterOffer,
+  acceptOffer,
+  declineOffer,
+  getOfferDetail,
+  listOffers,
+  getNegotiationTimeline
+} from '../services/rights-offer-service.js';
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+function errorResponse(error, fallback) {
+  const status = error.statusCode || 500;
+  if (status === 500) {
+    console.error(`Error: ${fallback}:`, error);
+    return jsonResponse({ error: fallback, details: error.message }, 500);
+  }
+  return jsonResponse({ error: error.message, code: error.code, ...error.details }, status);
+}
+
+async function readBody(request) {
+  try {
+    return await request.json();
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * GET /manuscripts/:id/rights/offers
+ * List offers on a manuscript
+ */
+export async function handleListRightsOffers(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const { manuscriptId } = request.params;
+    const { offers } = await listOffers(manuscriptId, userId, env);
+
+    return jsonResponse({ success: true, manuscriptId, offers, count: offers.length });
+  } catch (error) {
+    return errorResponse(error, 'Failed to list rights offers');
+  }
+}
+
+/**
+ * POST /manuscripts/:id/rights/offers
+ * Record an offer received from a publisher
+ *
+ * Body: { submissionId?, publisherName?, publisherId?, rightsOffered, territories?, languages?,
+ *         advance?, royaltyRate?, durationYears?, exclusive?, responseDeadline?, offerDate?, notes? }
+ */
+export async function handleCreateRightsOffer(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const { manuscriptId } = request.params;
+    const offer = await createOffer(manuscriptId, userId, await readBody(request), env);
+
+    return jsonResponse({ success: true, offer }, 201);
+  } catch (error) {
+    return errorResponse(error, 'Failed to record rights offer');
+  }
+}
+
+/**
+ * GET /rights/offers/:offerId
+ * An offer with all versions of its terms and its events
+ */
+export async function handleGetRightsOffer(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const detail = await getOfferDetail(request.params.offerId, userId, env);
+
+    return jsonResponse({ success: true, ...detail });
+  } catch (error) {
+    return errorResponse(error, 'Failed to get rights offer');
+  }
+}
+
+/**
+ * POST /rights/offers/:offerId/counter
+ * Counter with new terms; omitted terms carry over from the current version
+ *
+ * Body: { version?, proposedBy?, ...terms }
+ */
+export async function handleCounterRightsOffer(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const offer = await counterOffer(request.params.offerId, userId, await readBody(request), env);
+
+    return jsonResponse({ success: true, offer });
+  } catch (error) {
+    return errorResponse(error, 'Failed to counter rights offer');
+  }
+}
+
+/**
+ * POST /rights/offers/:offerId/accept
+ * Accept the current terms and grant the rights
+ *
+ * Body: { version?, acknowledgeConflicts?, notes? }
+ * Responds 409 with the conflicting grants when exclusivity would be violated
+ * and acknowledgeConflicts is not set.
+ */
+export async function handleAcceptRightsOffer(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const { offer, grants, conflicts } = await acceptOffer(request.params.offerId, userId, await readBody(request), env);
+
+    return jsonResponse({
+      success: true,
+      offer,
+      grants,
+      conflicts: conflicts.map(conflict => ({
+        conflictType: conflict.conflictType,
+        rightsType: conflict.rightsType,
+        blocking: conflict.blocking,
+        description: conflict.description,
+        existingRightsId: conflict.rights2.id
+      }))
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to accept rights offer');
+  }
+}
+
+/**
+ * POST /rights/offers/:offerId/decline
+ * Decline the offer
+ *
+ * Body: { version?, reason? }
+ */
+export async function handleDeclineRightsOffer(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const offer = await declineOffer(request.params.offerId, userId, await readBody(request), env);
+
+    return jsonResponse({ success: true, offer });
+  } catch (error) {
+    return errorResponse(error, 'Failed to decline rights offer');
+  }
+}
+
+/**
+ * GET /manuscripts/:id/rights/timeline
+ * Negotiation events across all offers on a manuscript, oldest first
+ */
+export async function handleGetRightsTimeline(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const { manuscriptId } = request.params;
+    const { timeline } = await getNegotiationTimeline(manuscriptId, userId, env);
+
+    return jsonResponse({ success: true, manuscriptId, timeline });
+  } catch (error) {
+    return errorResponse(error, 'Failed to get rights timeline');
+  }
+}
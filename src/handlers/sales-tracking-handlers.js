@@ -5,13 +5,32 @@ import crypto from 'crypto';
  * API endpoints for sales analytics, royalty tracking, and performance metrics
  */
 
+import {
+  importSalesReport,
+  listSalesImports,
+  addManuscriptIdentifier
+} from '../services/sales-import-service.js';
+import { REPORT_PLATFORMS } from '../utils/sales-report-parsers.js';
+import { encryptSecret } from '../services/secret-vault.js';
+import {
+  createGoal,
+  getGoal,
+  listGoals,
+  updateGoal,
+  deleteGoal,
+  evaluateSalesGoals,
+  forecastSales
+} from '../services/sales-goal-service.js';
+import { ValidationError } from '../utils/error-handling.js';
+import { getUserFromRequest } from '../utils/auth-utils.js';
+
 /**
  * GET /manuscripts/:id/sales
  * Get sales data for a manuscript with optional date range and filters
  */
 export async function handleGetManuscriptSales(request, env) {
   const { manuscriptId } = request.params;
-  const userId = request.user?.id;
+  const userId = await getUserFromRequest(request, env);
 
   if (!userId) {
     return new Response(JSON.stringify({ error: 'Unauthorized' }), {
@@ -152,7 +171,7 @@ export async function handleGetManuscriptSales(request, env) {
  */
 export async function handleGetManuscriptRoyalties(request, env) {
   const { manuscriptId } = request.params;
-  const userId = request.user?.id;
+  const userId = await getUserFromRequest(request, env);
 
   if (!userId) {
     return new Response(JSON.stringify({ error: 'Unauthorized' }), {
@@ -245,7 +264,7 @@ export async function handleGetManuscriptRoyalties(request, env) {
  */
 export async function handleGetBestsellerRank(request, env) {
   const { manuscriptId } = request.params;
-  const userId = request.user?.id;
+  const userId = await getUserFromRequest(request, env);
 
   if (!userId) {
     return new Response(JSON.stringify({ error: 'Unauthorized' }), {
@@ -335,7 +354,7 @@ export async function handleGetBestsellerRank(request, env) {
  */
 export async function handleExportSales(request, env) {
   const { manuscriptId } = request.params;
-  const userId = request.user?.id;
+  const userId = await getUserFromRequest(request, env);
 
   if (!userId) {
     return new Response(JSON.stringify({ error: 'Unauthorized' }), {
@@ -446,7 +465,7 @@ export async function handleExportSales(request, env) {
  * Multi-book sales dashboard
  */
 export async function handleSalesOverview(request, env) {
-  const userId = request.user?.id;
+  const userId = await getUserFromRequest(request, env);
 
   if (!userId) {
     return new Response(JSON.stringify({ error: 'Unauthorized' }), {
@@ -481,7 +500,7 @@ export async function handleSalesOverview(request, env) {
     // Get sales trend (last 30 days, grouped by day)
     const salesTrend = await env.DB.prepare(`
       SELECT
-        DATE(sale_date, 'unixepoch') as sale_day,
+        TO_CHAR(TO_TIMESTAMP(sale_date) AT TIME ZONE 'UTC', 'YYYY-MM-DD') as sale_day,
         SUM(units_sold) as units,
         SUM(revenue) as revenue,
         SUM(royalty_earned) as royalties
@@ -502,6 +521,9 @@ export async function handleSalesOverview(request, env) {
       booksPublished: overview.results?.length || 0
     };
 
+    // Progress and projections for active goals
+    const goals = await listGoals(userId, env, { status: 'active' });
+
     return new Response(JSON.stringify({
       success: true,
       overview: overview.results || [],
@@ -509,6 +531,7 @@ export async function handleSalesOverview(request, env) {
       platformPerformance: platformPerformance.results || [],
       salesTrend: salesTrend.results || [],
       totals,
+      goals,
       periodDays: days
     }), {
       status: 200,
@@ -531,7 +554,7 @@ export async function handleSalesOverview(request, env) {
  * Royalty summary across all books
  */
 export async function handleRoyaltySummary(request, env) {
-  const userId = request.user?.id;
+  const userId = await getUserFromRequest(request, env);
 
   if (!userId) {
     return new Response(JSON.stringify({ error: 'Unauthorized' }), {
@@ -573,6 +596,9 @@ export async function handleRoyaltySummary(request, env) {
       0
     ) || 0;
 
+    // Month-end and quarter-end royalties projected from daily sales
+    const forecast = await forecastSales(userId, { metric: 'royalties' }, env);
+
     return new Response(JSON.stringify({
       success: true,
       summary: {
@@ -581,7 +607,8 @@ export async function handleRoyaltySummary(request, env) {
         byPlatform: paymentSummary.results || []
       },
       pendingPayments: pendingPayments.results || [],
-      recentPayments: recentPayments.results || []
+      recentPayments: recentPayments.results || [],
+      forecast
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' }
@@ -603,7 +630,7 @@ export async function handleRoyaltySummary(request, env) {
  * Get connected platforms status
  */
 export async function handleGetPlatformConnections(request, env) {
-  const userId = request.user?.id;
+  const userId = await getUserFromRequest(request, env);
 
   if (!userId) {
     return new Response(JSON.stringify({ error: 'Unauthorized' }), {
@@ -653,7 +680,7 @@ export async function handleGetPlatformConnections(request, env) {
  */
 export async function handleConnectPlatform(request, env) {
   const { platform } = request.params;
-  const userId = request.user?.id;
+  const userId = await getUserFromRequest(request, env);
 
   if (!userId) {
     return new Response(JSON.stringify({ error: 'Unauthorized' }), {
@@ -666,36 +693,42 @@ export async function handleConnectPlatform(request, env) {
     const body = await request.json();
     const { apiKey, apiSecret, accessToken, refreshToken } = body;
 
-    // In production, encrypt credentials before storage
-    // For now, we'll store them (this is a placeholder)
-
-    const connectionId = `conn-${crypto.randomUUID()}`;
+    const seal = (value, field) => encryptSecret(value, { table: 'platform_connections', field, userId }, env);
     const now = Math.floor(Date.now() / 1000);
 
-    await env.DB.prepare(`
-      INSERT OR REPLACE INTO platform_connections (
+    const connection = await env.DB.prepare(`
+      INSERT INTO platform_connections (
         id, user_id, platform, status,
         api_key_encrypted, api_secret_encrypted,
         access_token_encrypted, refresh_token_encrypted,
         connected_at, updated_at
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(user_id, platform) DO UPDATE SET
+        status = excluded.status,
+        api_key_encrypted = excluded.api_key_encrypted,
+        api_secret_encrypted = excluded.api_secret_encrypted,
+        access_token_encrypted = excluded.access_token_encrypted,
+        refresh_token_encrypted = excluded.refresh_token_encrypted,
+        connected_at = excluded.connected_at,
+        updated_at = excluded.updated_at
+      RETURNING id
     `).bind(
-      connectionId,
+      `conn-${crypto.randomUUID()}`,
       userId,
       platform,
       'connected',
-      apiKey || null,
-      apiSecret || null,
-      accessToken || null,
-      refreshToken || null,
+      seal(apiKey, 'api_key_encrypted'),
+      seal(apiSecret, 'api_secret_encrypted'),
+      seal(accessToken, 'access_token_encrypted'),
+      seal(refreshToken, 'refresh_token_encrypted'),
       now,
       now
-    ).run();
+    ).first();
 
     return new Response(JSON.stringify({
       success: true,
       message: `Connected to ${platform}`,
-      connectionId
+      connectionId: connection.id
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' }
@@ -712,13 +745,180 @@ export async function handleConnectPlatform(request, env) {
   }
 }
 
+/**
+ * Read an uploaded sales report from a multipart request
+ * Fields: file (CSV/XLSX), platform (optional, detected from the report),
+ * exchangeRates (optional JSON { "GBP": 1.27 } in USD per unit)
+ */
+async function readReportUpload(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (!contentType.includes('multipart/form-data')) {
+    throw new ValidationError('Upload the report as multipart/form-data with a "file" field');
+  }
+
+  const formData = await request.formData();
+  const file = formData.get('file');
+  if (!file || typeof file === 'string') {
+    throw new ValidationError('No report file provided');
+  }
+
+  let exchangeRates = {};
+  if (formData.get('exchangeRates')) {
+    try {
+      exchangeRates = JSON.parse(formData.get('exchangeRates'));
+    } catch {
+      throw new ValidationError('exchangeRates must be JSON, e.g. {"GBP": 1.27}');
+    }
+  }
+
+  return {
+    file: {
+      buffer: await file.arrayBuffer(),
+      filename: file.name,
+      contentType: file.type
+    },
+    platform: formData.get('platform') || null,
+    exchangeRates
+  };
+}
+
+/**
+ * Response for a failed request (status from AppError subclasses, else 500)
+ */
+function errorResponse(error, message) {
+  return new Response(JSON.stringify({
+    error: message,
+    details: error.message
+  }), {
+    status: error.statusCode || 500,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * POST /sales/imports
+ * Import a KDP, Draft2Digital or IngramSpark report file
+ */
+export async function handleImportSalesReport(request, env) {
+  const userId = await getUserFromRequest(request, env);
+
+  if (!userId) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const { file, platform, exchangeRates } = await readReportUpload(request);
+
+    if (platform && !REPORT_PLATFORMS.includes(platform)) {
+      throw new ValidationError(`Unsupported platform: ${platform}. Supported: ${REPORT_PLATFORMS.join(', ')}`);
+    }
+
+    const result = await importSalesReport(userId, file, { platform, exchangeRates }, env);
+    await refreshGoals(userId, env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      import: result
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Error importing sales report:', error);
+    return errorResponse(error, 'Failed to import sales report');
+  }
+}
+
+/**
+ * GET /sales/imports
+ * List previous report imports
+ */
+export async function handleListSalesImports(request, env) {
+  const userId = await getUserFromRequest(request, env);
+
+  if (!userId) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const imports = await listSalesImports(userId, env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      imports,
+      count: imports.length
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Error listing sales imports:', error);
+    return errorResponse(error, 'Failed to list sales imports');
+  }
+}
+
+/**
+ * POST /manuscripts/:id/identifiers
+ * Map an ASIN or ISBN to a manuscript so report rows carrying it are matched.
+ * Re-upload the report afterwards; rows already imported are not duplicated.
+ */
+export async function handleAddManuscriptIdentifier(request, env) {
+  const { manuscriptId } = request.params;
+  const userId = await getUserFromRequest(request, env);
+
+  if (!userId) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const manuscript = await env.DB.prepare(
+      'SELECT id FROM manuscripts WHERE id = ? AND user_id = ?'
+    ).bind(manuscriptId, userId).first();
+
+    if (!manuscript) {
+      return new Response(JSON.stringify({
+        error: 'Manuscript not found or access denied'
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const body = await request.json();
+    const identifier = await addManuscriptIdentifier(userId, manuscriptId, body.identifier, env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      manuscriptId,
+      ...identifier
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Error adding manuscript identifier:', error);
+    return errorResponse(error, 'Failed to add identifier');
+  }
+}
+
 /**
  * POST /platforms/:platform/sync
- * Trigger data sync from a platform
+ * Sync a connected platform from an uploaded report
+ * KDP, Draft2Digital and IngramSpark have no sales API, so a sync is an
+ * import of the report downloaded from the platform dashboard.
  */
 export async function handleSyncPlatform(request, env) {
   const { platform } = request.params;
-  const userId = request.user?.id;
+  const userId = await getUserFromRequest(request, env);
 
   if (!userId) {
     return new Response(JSON.stringify({ error: 'Unauthorized' }), {
@@ -727,9 +927,10 @@ export async function handleSyncPlatform(request, env) {
     });
   }
 
+  let connection;
   try {
     // Check if platform is connected
-    const connection = await env.DB.prepare(`
+    connection = await env.DB.prepare(`
       SELECT * FROM platform_connections
       WHERE user_id = ? AND platform = ? AND status = 'connected'
     `).bind(userId, platform).first();
@@ -744,32 +945,261 @@ export async function handleSyncPlatform(request, env) {
       });
     }
 
-    // In production, trigger actual sync job
-    // For now, return placeholder response
+    if (!REPORT_PLATFORMS.includes(platform)) {
+      return new Response(JSON.stringify({
+        error: 'Sync not supported',
+        message: `Report imports are available for: ${REPORT_PLATFORMS.join(', ')}`
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const { file, exchangeRates } = await readReportUpload(request);
+    const result = await importSalesReport(userId, file, { platform, exchangeRates }, env);
+    await refreshGoals(userId, env);
 
     await env.DB.prepare(`
       UPDATE platform_connections
-      SET last_sync_at = ?, last_sync_status = 'success'
+      SET last_sync_at = ?, last_sync_status = ?, last_sync_error = NULL
       WHERE id = ?
-    `).bind(Math.floor(Date.now() / 1000), connection.id).run();
+    `).bind(
+      Math.floor(Date.now() / 1000),
+      result.status === 'completed' ? 'success' : 'partial',
+      connection.id
+    ).run();
 
     return new Response(JSON.stringify({
       success: true,
-      message: `Sync triggered for ${platform}`,
-      note: 'Platform sync functionality will be implemented with actual API integrations'
+      message: `Imported ${platform} report`,
+      import: result
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' }
     });
   } catch (error) {
     console.error('Error syncing platform:', error);
+
+    if (connection) {
+      await env.DB.prepare(`
+        UPDATE platform_connections
+        SET last_sync_at = ?, last_sync_status = 'failed', last_sync_error = ?
+        WHERE id = ?
+      `).bind(Math.floor(Date.now() / 1000), error.message, connection.id).run().catch(() => {});
+    }
+
+    return errorResponse(error, 'Failed to sync platform');
+  }
+}
+
+/**
+ * Re-evaluate a user's goals after new sales arrive; alerts go out through the
+ * notification queue. Failures are logged, the import already succeeded.
+ */
+async function refreshGoals(userId, env) {
+  try {
+    await evaluateSalesGoals(env, { userId });
+  } catch (error) {
+    console.error('Error evaluating sales goals:', error);
+  }
+}
+
+/**
+ * GET /sales/goals
+ * List goals with progress and projections
+ * Query: status (active, completed, abandoned), manuscriptId
+ */
+export async function handleListSalesGoals(request, env) {
+  const userId = await getUserFromRequest(request, env);
+
+  if (!userId) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const url = new URL(request.url);
+    const goals = await listGoals(userId, env, {
+      status: url.searchParams.get('status') || undefined,
+      manuscriptId: url.searchParams.get('manuscriptId') || undefined
+    });
+
     return new Response(JSON.stringify({
-      error: 'Failed to sync platform',
-      details: error.message
+      success: true,
+      goals,
+      count: goals.length
     }), {
-      status: 500,
+      status: 200,
       headers: { 'Content-Type': 'application/json' }
     });
+  } catch (error) {
+    console.error('Error listing sales goals:', error);
+    return errorResponse(error, 'Failed to list sales goals');
+  }
+}
+
+/**
+ * POST /sales/goals
+ * Create a goal for a manuscript, a series or the whole catalog
+ * Body: { goalName, goalType: units|revenue|royalties, targetValue, manuscriptId?, seriesId?, startDate?, endDate?, alertsEnabled? }
+ */
+export async function handleCreateSalesGoal(request, env) {
+  const userId = await getUserFromRequest(request, env);
+
+  if (!userId) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const body = await request.json();
+    const goal = await createGoal(userId, body, env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      goal: await getGoal(goal.id, userId, env)
+    }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Error creating sales goal:', error);
+    return errorResponse(error, 'Failed to create sales goal');
+  }
+}
+
+/**
+ * GET /sales/goals/:goalId
+ * A goal with progress and projection
+ */
+export async function handleGetSalesGoal(request, env) {
+  const { goalId } = request.params;
+  const userId = await getUserFromRequest(request, env);
+
+  if (!userId) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const goal = await getGoal(goalId, userId, env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      goal
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Error getting sales goal:', error);
+    return errorResponse(error, 'Failed to get sales goal');
+  }
+}
+
+/**
+ * PATCH /sales/goals/:goalId
+ * Update name, target, end date, status (active/abandoned) or alerts
+ */
+export async function handleUpdateSalesGoal(request, env) {
+  const { goalId } = request.params;
+  const userId = await getUserFromRequest(request, env);
+
+  if (!userId) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const body = await request.json();
+    await updateGoal(goalId, userId, body, env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      goal: await getGoal(goalId, userId, env)
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Error updating sales goal:', error);
+    return errorResponse(error, 'Failed to update sales goal');
+  }
+}
+
+/**
+ * DELETE /sales/goals/:goalId
+ * Delete a goal
+ */
+export async function handleDeleteSalesGoal(request, env) {
+  const { goalId } = request.params;
+  const userId = await getUserFromRequest(request, env);
+
+  if (!userId) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    await deleteGoal(goalId, userId, env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      message: 'Sales goal deleted'
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Error deleting sales goal:', error);
+    return errorResponse(error, 'Failed to delete sales goal');
+  }
+}
+
+/**
+ * GET /dashboard/sales-forecast
+ * Month-end and quarter-end projections with confidence bands
+ * Query: metric (royalties, revenue, units), manuscriptId or seriesId, confidence (0.5-0.99)
+ */
+export async function handleSalesForecast(request, env) {
+  const userId = await getUserFromRequest(request, env);
+
+  if (!userId) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const url = new URL(request.url);
+    const forecast = await forecastSales(userId, {
+      metric: url.searchParams.get('metric') || undefined,
+      manuscriptId: url.searchParams.get('manuscriptId') || undefined,
+      seriesId: url.searchParams.get('seriesId') || undefined,
+      confidence: url.searchParams.get('confidence') || undefined
+    }, env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      forecast
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Error forecasting sales:', error);
+    return errorResponse(error, 'Failed to forecast sales');
   }
 }
 
@@ -778,7 +1208,7 @@ export async function handleSyncPlatform(request, env) {
  * Seed sample sales data for testing (development only)
  */
 export async function handleSeedSalesData(request, env) {
-  const userId = request.user?.id;
+  const userId = await getUserFromRequest(request, env);
 
   if (!userId) {
     return new Response(JSON.stringify({ error: 'Unauthorized' }), {
@@ -787,6 +1217,16 @@ export async function handleSeedSalesData(request, env) {
     });
   }
 
+  if (process.env.NODE_ENV === 'production') {
+    return new Response(JSON.stringify({
+      error: 'Sample sales data is not available in production',
+      message: 'Import a platform report with POST /sales/imports'
+    }), {
+      status: 403,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
   try {
     const body = await request.json();
     const { manuscriptId } = body;
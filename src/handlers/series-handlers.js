@@ -18,6 +18,7 @@ import {
   getSeriesPerformance,
   generateSeriesMarketingCopy,
 } from '../managers/series-manager.js';
+import { checkSeriesConsistency } from '../services/similarity-service.js';
 
 /**
  * Create a new series
@@ -647,6 +648,74 @@ export async function handleGenerateMarketing(request, env, seriesId) {
   }
 }
 
+/**
+ * Check how consistently the books of a series read
+ * GET /series/:id/consistency
+ */
+export async function handleCheckConsistency(request, env, seriesId) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return new Response(JSON.stringify({
+        error: 'Unauthorized',
+      }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    const series = await getSeries(env, seriesId, userId);
+    if (!series) {
+      return new Response(JSON.stringify({
+        error: 'Series not found',
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    if (series.books.length < 2) {
+      return new Response(JSON.stringify({
+        error: 'A series needs at least two books to check consistency',
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    const manuscripts = [];
+    for (const book of series.books) {
+      const manuscript = await env.DB.prepare(
+        'SELECT * FROM manuscripts WHERE id = ?'
+      ).bind(book.manuscript_id).first();
+      if (manuscript) {
+        manuscripts.push({ ...manuscript, book_number: book.book_number });
+      }
+    }
+
+    const consistency = await checkSeriesConsistency(manuscripts, env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      seriesId: seriesId,
+      seriesName: series.series_name,
+      ...consistency,
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    console.error('Error checking series consistency:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to check series consistency',
+      details: error.message,
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
 // Export handlers
 export const seriesHandlers = {
   handleCreateSeries,
@@ -663,6 +732,7 @@ export const seriesHandlers = {
   handleGenerateBackmatter,
   handleGetPerformance,
   handleGenerateMarketing,
+  handleCheckConsistency,
 };
 
 export default seriesHandlers;
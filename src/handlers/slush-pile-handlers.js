@@ -3,6 +3,7 @@
 
 import { getUserFromRequest } from '../utils/auth-utils.js';
 import crypto from 'crypto';
+import { findSimilarManuscripts } from '../services/similarity-service.js';
 
 // ========================================================================
 // PUBLISHER INBOX
@@ -503,6 +504,61 @@ export async function handleGetConsensus(request, env) {
   }
 }
 
+/**
+ * GET /submissions/:id/similar
+ * Find submissions in the inbox that read most like this one
+ *
+ * Query params: limit (default 10), sameGenre (true to only compare within the genre)
+ */
+export async function handleGetSimilarSubmissions(request, env) {
+  try {
+    const userId = await getUserFromRequest(request, env);
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const { submissionId } = request.params;
+    const url = new URL(request.url);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '10'), 50);
+    const sameGenre = url.searchParams.get('sameGenre') === 'true';
+
+    const submission = await env.DB.prepare(
+      'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
+    ).bind(submissionId, userId).first();
+
+    if (!submission) {
+      return new Response(JSON.stringify({ error: 'Submission not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const similar = await findSimilarManuscripts(submission, { k: limit, sameGenre }, env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      submissionId,
+      similar
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Error finding similar submissions:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to find similar submissions',
+      details: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
 // ========================================================================
 // DISCUSSION THREADS
 // ========================================================================
@@ -15,6 +15,7 @@
 import { getUserFromRequest } from '../utils/auth-utils.js';
 import { sendTeamInvitationEmail } from '../services/email-service.js';
 import { initCache } from '../utils/db-cache.js';
+import { findAuthorizedManuscript } from '../services/authorization-service.js';
 import crypto from 'crypto';
 
 /**
@@ -611,10 +612,8 @@ export const teamHandlers = {
         });
       }
 
-      // Verify user owns the manuscript
-      const manuscript = await env.DB.prepare(
-        'SELECT id, title FROM manuscripts WHERE id = ? AND user_id = ?'
-      ).bind(manuscript_id, userId).first();
+      // Only the owner can share a manuscript
+      const manuscript = await findAuthorizedManuscript(manuscript_id, userId, 'manuscript:share', env);
 
       if (!manuscript) {
         return new Response(JSON.stringify({ error: 'Manuscript not found or access denied' }), {
@@ -3,8 +3,9 @@
  * Processes Stripe webhook events for subscription management
  */
 
-import Stripe from 'stripe';
+import { getStripeClient } from '../utils/stripe-client.js';
 import { calculateStripeFee, logCost } from '../utils/cost-utils.js';
+import { grantCreditPack, findMeteredItemId } from '../services/billing-service.js';
 import { sendPaymentConfirmationEmail, sendPaymentFailedEmail } from '../services/email-service.js';
 import crypto from 'crypto';
 
@@ -26,9 +27,7 @@ export async function handleStripeWebhook(request, env, corsHeaders) {
     }
 
     // Initialize Stripe
-    const stripe = new Stripe(env.STRIPE_SECRET_KEY, {
-      apiVersion: '2024-10-28.acacia',
-    });
+    const stripe = getStripeClient(env);
 
     // Verify webhook signature
     let event;
@@ -56,6 +55,21 @@ export async function handleStripeWebhook(request, env, corsHeaders) {
         break;
       }
 
+      // Delayed payment methods complete the session unpaid and settle later
+      case 'checkout.session.async_payment_succeeded': {
+        const session = event.data.object;
+        if (session.mode === 'payment' && session.metadata?.type === 'credit_pack') {
+          await handleCreditPackPurchased(env, session);
+        }
+        break;
+      }
+
+      case 'checkout.session.async_payment_failed': {
+        const session = event.data.object;
+        console.log('[Webhook] Delayed payment failed for session:', session.id);
+        break;
+      }
+
       case 'customer.subscription.created':
       case 'customer.subscription.updated': {
         const subscription = event.data.object;
@@ -115,9 +129,7 @@ async function handleCheckoutCompleted(env, session) {
     const stripeSubscriptionId = session.subscription;
 
     // Fetch full subscription details from Stripe
-    const stripe = new Stripe(env.STRIPE_SECRET_KEY, {
-      apiVersion: '2024-10-28.acacia',
-    });
+    const stripe = getStripeClient(env);
     const subscription = await stripe.subscriptions.retrieve(stripeSubscriptionId);
 
     // Create subscription record
@@ -127,12 +139,13 @@ async function handleCheckoutCompleted(env, session) {
     await env.DB.prepare(`
       INSERT INTO subscriptions (
         id, user_id, stripe_subscription_id, stripe_customer_id, plan_type,
-        status, current_period_start, current_period_end, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        status, current_period_start, current_period_end, stripe_metered_item_id, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(stripe_subscription_id) DO UPDATE SET
         status = excluded.status,
         current_period_start = excluded.current_period_start,
         current_period_end = excluded.current_period_end,
+        stripe_metered_item_id = excluded.stripe_metered_item_id,
         updated_at = excluded.updated_at
     `).bind(
       subscriptionId,
@@ -143,6 +156,7 @@ async function handleCheckoutCompleted(env, session) {
       subscription.status,
       subscription.current_period_start,
       subscription.current_period_end,
+      findMeteredItemId(subscription, env),
       timestamp,
       timestamp
     ).run();
@@ -155,6 +169,9 @@ async function handleCheckoutCompleted(env, session) {
 
     console.log('[Webhook] Subscription created:', subscriptionId);
 
+  } else if (session.mode === 'payment' && session.metadata.type === 'credit_pack') {
+    await handleCreditPackPurchased(env, session);
+
   } else if (session.mode === 'payment') {
     // One-time payment - record in payment history
     const paymentId = crypto.randomUUID();
@@ -198,6 +215,69 @@ async function handleCheckoutCompleted(env, session) {
   }
 }
 
+/**
+ * Handle a completed or settled credit pack checkout
+ * Grants the pack's tokens once the session is paid, and once per session
+ * even if Stripe redelivers the event
+ */
+async function handleCreditPackPurchased(env, session) {
+  const userId = session.metadata.userId;
+
+  if (session.payment_status !== 'paid') {
+    console.log('[Webhook] Credit pack awaiting payment for session:', session.id, session.payment_status);
+    return;
+  }
+
+  const grant = await grantCreditPack(env, {
+    userId,
+    packId: session.metadata.packId,
+    checkoutSessionId: session.id,
+    paymentIntentId: session.payment_intent,
+    amountCents: session.amount_total,
+    currency: session.currency
+  });
+
+  if (!grant) {
+    console.log('[Webhook] Credit pack already granted for session:', session.id);
+    return;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  await env.DB.prepare(`
+    INSERT INTO payment_history (
+      id, user_id, stripe_payment_intent_id, amount, currency,
+      payment_type, status, description, created_at
+    ) VALUES (?, ?, ?, ?, ?, 'credit_pack', 'succeeded', ?, to_timestamp(?))
+  `).bind(
+    crypto.randomUUID(),
+    userId,
+    session.payment_intent,
+    session.amount_total,
+    session.currency,
+    `AI credit pack - ${grant.tokens.toLocaleString('en-US')} tokens`,
+    timestamp
+  ).run();
+
+  console.log('[Webhook] Credit pack granted:', grant.id);
+
+  try {
+    await logCost(env, {
+      userId,
+      costCenter: 'stripe_fees',
+      featureName: 'payment_processing',
+      operation: 'credit_pack_payment',
+      costUSD: calculateStripeFee(session.amount_total / 100),
+      metadata: {
+        grantId: grant.id,
+        packId: grant.packId,
+        currency: session.currency,
+      },
+    });
+  } catch (costError) {
+    console.error('[Webhook] Failed to log Stripe fee:', costError);
+  }
+}
+
 /**
  * Handle subscription update event
  */
@@ -210,6 +290,7 @@ async function handleSubscriptionUpdate(env, subscription) {
         current_period_start = ?,
         current_period_end = ?,
         cancel_at_period_end = ?,
+        stripe_metered_item_id = ?,
         updated_at = ?
     WHERE stripe_subscription_id = ?
   `).bind(
@@ -217,6 +298,7 @@ async function handleSubscriptionUpdate(env, subscription) {
     subscription.current_period_start,
     subscription.current_period_end,
     subscription.cancel_at_period_end ? 1 : 0,
+    findMeteredItemId(subscription, env),
     timestamp,
     subscription.id
   ).run();
@@ -100,17 +100,33 @@ export default {
 
   /**
    * Scheduled handler for CRON jobs
+   * "0 3 * * *" runs the backup, every other trigger the hourly jobs
    */
   async scheduled(event, env, ctx) {
     console.log('[Scheduled] CRON trigger fired:', event.cron);
 
+    if (event.cron !== '0 3 * * *') {
+      try {
+        const { runScheduledJobs } = await import('./workers/scheduled-jobs-worker.js');
+        const result = await runScheduledJobs(env);
+
+        if (!result.success) {
+          const failed = Object.keys(result.jobs).filter(name => !result.jobs[name].success);
+          console.error('[Scheduled] Jobs failed:', failed.join(', '));
+        }
+      } catch (error) {
+        console.error('[Scheduled] CRON handler error:', error);
+      }
+      return;
+    }
+
     try {
       // Import and run backup handler
-      const { handleScheduledBackup } = await import('../backup-worker.js');
+      const { handleScheduledBackup } = await import('./workers/backup-worker.js');
       const result = await handleScheduledBackup(env);
 
       if (result.success) {
-        console.log('[Scheduled] Backup completed successfully:', result.filename);
+        console.log('[Scheduled] Backup completed successfully:', result.backupId);
       } else {
         console.error('[Scheduled] Backup failed:', result.error);
       }
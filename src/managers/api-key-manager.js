@@ -3,6 +3,7 @@
 
 import { createHash, randomBytes } from 'crypto';
 import crypto from 'crypto';
+import { OAUTH_CONFIG, validateAccessToken, logClientUsage } from '../services/oauth-service.js';
 
 export class APIKeyManager {
   constructor(env) {
@@ -87,13 +88,13 @@ export class APIKeyManager {
 
     // Lookup key in database
     const keyRecord = await this.env.DB.prepare(`
-      SELECT k.*, u.email, u.subscription_tier, u.full_name
+      SELECT k.*, u.email, u.subscription_tier, u.full_name, u.suspended_at
       FROM api_keys k
       JOIN users u ON k.user_id = u.id
       WHERE k.key_id = ? AND k.is_active = 1
     `).bind(keyId).first();
 
-    if (!keyRecord) {
+    if (!keyRecord || keyRecord.suspended_at) {
       return null;
     }
 
@@ -178,6 +179,20 @@ export class APIKeyManager {
     ).run();
   }
 
+  /**
+   * Log a public API request for whatever authenticated it
+   * Requests made with an OAuth access token are logged against the app
+   * (client) instead of an API key.
+   * @param {Object} keyDetails - From authenticateAPIKey
+   */
+  async logRequest(keyDetails, endpoint, method, statusCode, responseTime) {
+    if (keyDetails.clientId) {
+      await logClientUsage(keyDetails, endpoint, method, statusCode, responseTime, this.env);
+      return;
+    }
+    await this.logUsage(keyDetails.keyId, endpoint, method, statusCode, responseTime);
+  }
+
   /**
    * Revoke an API key
    */
@@ -256,16 +271,21 @@ export class APIKeyManager {
       ) AND timestamp >= ?
     `).bind(keyId, userId, since).first();
 
+    // Postgres returns COUNT/SUM/AVG as strings; the API documents numbers
+    const total = Number(totalStats?.total_requests || 0);
     return {
       period: `Last ${days} days`,
-      totalRequests: totalStats?.total_requests || 0,
-      avgResponseTime: totalStats?.avg_response_time || 0,
-      successfulRequests: totalStats?.successful_requests || 0,
-      errorRequests: totalStats?.error_requests || 0,
-      successRate: totalStats?.total_requests > 0
-        ? (totalStats.successful_requests / totalStats.total_requests * 100).toFixed(2) + '%'
+      totalRequests: total,
+      avgResponseTime: Number(totalStats?.avg_response_time || 0),
+      successfulRequests: Number(totalStats?.successful_requests || 0),
+      errorRequests: Number(totalStats?.error_requests || 0),
+      successRate: total > 0
+        ? (Number(totalStats.successful_requests) / total * 100).toFixed(2) + '%'
         : '0%',
-      byEndpoint: stats.results
+      byEndpoint: (stats.results || []).map(row => ({
+        endpoint: row.endpoint,
+        endpoint_count: Number(row.endpoint_count)
+      }))
     };
   }
 
@@ -329,6 +349,8 @@ export class APIKeyManager {
 
 /**
  * Middleware to authenticate API requests
+ * Accepts API keys (sk_...) and OAuth access tokens (mat_...) issued to
+ * third-party apps. Failures carry the HTTP status to answer with.
  */
 export async function authenticateAPIKey(request, env) {
   const authHeader = request.headers.get('Authorization');
@@ -341,6 +363,22 @@ export async function authenticateAPIKey(request, env) {
   }
 
   const apiKey = authHeader.replace('Bearer ', '');
+
+  if (apiKey.startsWith(OAUTH_CONFIG.ACCESS_TOKEN_PREFIX)) {
+    try {
+      const keyDetails = await validateAccessToken(apiKey, env);
+      return keyDetails
+        ? { authenticated: true, keyDetails }
+        : { authenticated: false, error: 'Invalid or expired access token', status: 401 };
+    } catch (error) {
+      return {
+        authenticated: false,
+        error: error.message,
+        status: error.statusCode || 401
+      };
+    }
+  }
+
   const manager = new APIKeyManager(env);
 
   try {
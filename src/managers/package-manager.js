@@ -3,6 +3,9 @@
 
 import { strToU8, zipSync } from 'fflate';
 import { getUserFromRequest } from '../utils/auth-utils.js';
+import { generateEPUB } from '../generators/epub-generator.js';
+import { extractManuscriptModel } from '../utils/manuscript-model.js';
+import { validateEPUBPackage, EPUBValidationError } from '../validators/epub-validator.js';
 
 /**
  * Platform-specific file requirements
@@ -276,6 +279,34 @@ Generated: ${new Date().toISOString()}
   return metadata.trim();
 }
 
+/**
+ * The manuscript as an EPUB for the platforms that take one: an uploaded EPUB
+ * is validated as is, anything else is converted (generateEPUB validates it)
+ *
+ * @throws {EPUBValidationError} If the EPUB would be rejected by the platform
+ */
+async function buildPlatformEPUB(manuscript, manuscriptObject, manuscriptBuffer, coverBuffer) {
+  const contentType = manuscriptObject.httpMetadata?.contentType || manuscript.file_type;
+
+  if (contentType === 'application/epub+zip' || /\.epub$/i.test(manuscript.filename || '')) {
+    const validation = await validateEPUBPackage(manuscriptBuffer);
+    if (!validation.valid) {
+      throw new EPUBValidationError(validation);
+    }
+    return new Uint8Array(manuscriptBuffer);
+  }
+
+  const model = await extractManuscriptModel(manuscriptBuffer, contentType);
+  const epubBuffer = await generateEPUB({
+    title: manuscript.title || 'Untitled',
+    author: manuscript.author_name || 'Unknown Author',
+    description: manuscript.description || '',
+    cover: coverBuffer ? Buffer.from(coverBuffer) : null,
+    model
+  });
+  return new Uint8Array(epubBuffer);
+}
+
 /**
  * Create a ZIP package for a specific platform
  */
@@ -308,19 +339,12 @@ export async function createPlatformPackage(env, manuscriptId, userId, platform)
     const manuscriptObject = await env.R2.getBucket('manuscripts_processed').get(manuscriptKey) ||
                             await env.R2.getBucket('manuscripts_raw').get(manuscriptKey);
 
-    if (manuscriptObject) {
-      const manuscriptBuffer = await manuscriptObject.arrayBuffer();
-      const manuscriptFile = platformSpec.files.find(f => f.key === 'manuscript');
-      if (manuscriptFile) {
-        files[`${platformPath}${manuscriptFile.filename}`] = new Uint8Array(manuscriptBuffer);
-      }
-    }
-
     // Get cover image if available
+    let coverBuffer = null;
     if (manuscript.cover_image_key) {
       const coverObject = await env.R2.getBucket('marketing_assets').get(manuscript.cover_image_key);
       if (coverObject) {
-        const coverBuffer = await coverObject.arrayBuffer();
+        coverBuffer = await coverObject.arrayBuffer();
         const coverFile = platformSpec.files.find(f => f.key === 'cover' || f.key === 'cover_ebook');
         if (coverFile) {
           files[`${platformPath}${coverFile.filename}`] = new Uint8Array(coverBuffer);
@@ -328,6 +352,16 @@ export async function createPlatformPackage(env, manuscriptId, userId, platform)
       }
     }
 
+    if (manuscriptObject) {
+      const manuscriptBuffer = await manuscriptObject.arrayBuffer();
+      const manuscriptFile = platformSpec.files.find(f => f.key === 'manuscript');
+      if (manuscriptFile) {
+        files[`${platformPath}${manuscriptFile.filename}`] = manuscriptFile.filename.endsWith('.epub')
+          ? await buildPlatformEPUB(manuscript, manuscriptObject, manuscriptBuffer, coverBuffer)
+          : new Uint8Array(manuscriptBuffer);
+      }
+    }
+
     // Add platform-specific README
     const platformReadme = `
 ${platformSpec.name} Package
@@ -381,6 +415,7 @@ export async function createAllPlatformsBundle(env, manuscriptId, userId, platfo
     const manuscriptObject = await env.R2.getBucket('manuscripts_processed').get(manuscriptKey) ||
                             await env.R2.getBucket('manuscripts_raw').get(manuscriptKey);
     let manuscriptBuffer = null;
+    let epubBuffer = null;
     if (manuscriptObject) {
       manuscriptBuffer = new Uint8Array(await manuscriptObject.arrayBuffer());
     }
@@ -408,7 +443,11 @@ export async function createAllPlatformsBundle(env, manuscriptId, userId, platfo
       // Add manuscript file
       if (manuscriptBuffer) {
         const manuscriptFile = platformSpec.files.find(f => f.key === 'manuscript');
-        if (manuscriptFile) {
+        if (manuscriptFile && manuscriptFile.filename.endsWith('.epub')) {
+          // Built once and shared by every EPUB platform in the bundle
+          epubBuffer = epubBuffer || await buildPlatformEPUB(manuscript, manuscriptObject, manuscriptBuffer.buffer, coverBuffer);
+          files[`${platformPath}${manuscriptFile.filename}`] = epubBuffer;
+        } else if (manuscriptFile) {
           files[`${platformPath}${manuscriptFile.filename}`] = manuscriptBuffer;
         }
       }
@@ -3,6 +3,7 @@
 
 import { createHmac } from 'crypto';
 import crypto from 'crypto';
+import { encryptSecret, decryptSecret } from '../services/secret-vault.js';
 
 export class WebhookManager {
   constructor(env) {
@@ -14,7 +15,7 @@ export class WebhookManager {
    * @param {string} userId - User ID
    * @param {string} url - Webhook URL
    * @param {Array} events - Event types to subscribe to
-   * @param {string} secret - Optional secret for HMAC signing
+   * @param {string} secret - Optional secret for HMAC signing (stored encrypted)
    * @returns {Object} Webhook details
    */
   async create(userId, url, events, secret = null) {
@@ -35,7 +36,7 @@ export class WebhookManager {
       userId,
       url,
       JSON.stringify(events),
-      secret,
+      encryptSecret(secret, { table: 'webhooks', field: 'secret', userId }, this.env),
       now
     ).run();
 
@@ -89,8 +90,23 @@ export class WebhookManager {
       data
     };
 
-    // Create HMAC signature
-    const signature = this.sign(JSON.stringify(payload), webhook.secret);
+    // Create HMAC signature. A secret that cannot be decrypted will not
+    // decrypt on retry either, so log the failure without scheduling one.
+    let secret;
+    try {
+      secret = await decryptSecret(webhook.secret, {
+        table: 'webhooks',
+        field: 'secret',
+        userId: webhook.user_id,
+        recordId: webhook.id,
+        purpose: 'webhook_delivery'
+      }, this.env);
+    } catch (error) {
+      console.error('Webhook secret error:', error);
+      await this.logDelivery(webhook.id, deliveryId, eventType, 0, `Signing secret unavailable: ${error.message}`);
+      return;
+    }
+    const signature = this.sign(JSON.stringify(payload), secret);
 
     try {
       const response = await fetch(webhook.url, {
@@ -0,0 +1,159 @@
+/**
+ * Manuscript Authorization Middleware
+ *
+ * Runs before the handlers of every manuscript-scoped route and answers
+ * 401/403/404/451 itself, so handlers can assume access was checked:
+ * - /manuscripts/:id/... routes need the action MANUSCRIPT_ROUTE_POLICY
+ *   names for their method and path (services/authorization-service.js)
+ * - Analysis and asset routes that take a report ID or R2 key instead are
+ *   resolved to their manuscript through REPORT_ROUTES
+ *
+ * On success the resolved access ({ userId, action, manuscript, permission,
+ * isOwner, sources }) is left on request.manuscriptAccess for the handler.
+ */
+
+import { getUserFromRequest } from '../utils/auth-utils.js';
+import {
+  authorizeManuscript,
+  authorizeManuscriptKey,
+  authorizeReport,
+  manuscriptRouteAction,
+  manuscriptRouteAllowsTakedown
+} from '../services/authorization-service.js';
+
+/**
+ * Routes that address a manuscript by report ID or R2 key instead of
+ * /manuscripts/:id. locate() returns { reportId } or { manuscriptKey }.
+ */
+const REPORT_ROUTES = [
+  { method: 'POST', path: '/analyze/developmental', action: 'analysis:run', locate: fromBody('manuscriptKey') },
+  { method: 'POST', path: '/analyze/line-editing', action: 'analysis:run', locate: fromBody('manuscriptKey') },
+  { method: 'POST', path: '/analyze/copy-editing', action: 'analysis:run', locate: fromBody('manuscriptKey') },
+  { method: 'POST', path: '/analyze/start', action: 'analysis:run', locate: fromBody('manuscriptKey') },
+  { method: 'POST', path: '/analyze/resume', action: 'analysis:run', locate: fromBody('reportId') },
+  { method: 'POST', path: '/analyze/cancel', action: 'analysis:run', locate: fromBody('reportId') },
+  { method: 'GET', path: '/analyze/status', action: 'analysis:read', locate: fromQuery('reportId') },
+  { method: 'GET', path: '/results', action: 'analysis:read', locate: fromQuery('id') },
+  { method: 'GET', path: '/report', action: 'analysis:read', locate: fromQuery('id') },
+  { method: 'GET', path: '/annotated', action: 'analysis:read', locate: fromQuery('id') },
+  { method: 'GET', prefix: '/analysis/', action: 'analysis:read', locate: url => ({ manuscriptKey: url.pathname.replace('/analysis/', '') }) },
+  { method: 'GET', path: '/assets/status', action: 'asset:read', locate: fromQuery('reportId') },
+  { method: 'POST', path: '/generate-assets', action: 'asset:write', locate: fromBody('reportId') },
+  { method: 'GET', path: '/assets', action: 'asset:read', locate: fromQuery('id') },
+  { method: 'POST', path: '/format-manuscript', action: 'asset:write', locate: fromBody('reportId') },
+  { method: 'GET', path: '/download-formatted', action: 'asset:read', locate: fromQuery('id') },
+  { method: 'POST', path: '/analyze-market', action: 'asset:write', locate: fromBody('reportId') },
+  { method: 'GET', path: '/market-analysis', action: 'asset:read', locate: fromQuery('reportId', 'id') },
+  { method: 'POST', path: '/generate-social-media', action: 'asset:write', locate: fromBody('reportId') },
+  { method: 'GET', path: '/social-media', action: 'asset:read', locate: fromQuery('reportId', 'id') }
+];
+
+function fromQuery(...names) {
+  return url => {
+    const name = names.find(candidate => url.searchParams.get(candidate));
+    return { reportId: name ? url.searchParams.get(name) : null };
+  };
+}
+
+function fromBody(field) {
+  return async (url, request) => {
+    // Read a copy so the handler can still read the body
+    const body = await request.clone().json().catch(() => ({}));
+    return { [field]: body?.[field] || null };
+  };
+}
+
+function jsonResponse(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Response for a failed authorization
+ */
+function deniedResponse(error) {
+  if (error.statusCode === 404) {
+    return jsonResponse({ error: 'Manuscript not found or access denied' }, 404);
+  }
+  if (error.statusCode === 403) {
+    return jsonResponse({
+      error: error.message,
+      code: error.code,
+      requiredPermission: error.details.required,
+      currentPermission: error.details.current
+    }, 403);
+  }
+  if (error.statusCode === 451) {
+    return jsonResponse({ error: error.message, code: error.code, dmcaStatus: error.details.dmcaStatus }, 451);
+  }
+  throw error;
+}
+
+/**
+ * Authorize a /manuscripts/:id/... request against MANUSCRIPT_ROUTE_POLICY
+ * On success the resolved access is left on request.manuscriptAccess.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {string} manuscriptId - Manuscript ID from the path
+ * @param {string} subPath - Path after the manuscript ID
+ * @returns {Response|null} Error response, or null to let the route run
+ */
+export async function authorizeManuscriptRoute(request, env, manuscriptId, subPath) {
+  const userId = await getUserFromRequest(request, env);
+  if (!userId) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+
+  try {
+    const action = manuscriptRouteAction(request.method, subPath, env);
+    const allowTakenDown = manuscriptRouteAllowsTakedown(request.method, subPath);
+    request.manuscriptAccess = {
+      userId,
+      action,
+      ...await authorizeManuscript(manuscriptId, userId, action, env, { allowTakenDown })
+    };
+    return null;
+  } catch (error) {
+    return deniedResponse(error);
+  }
+}
+
+/**
+ * Authorize the analysis and asset routes that take a report ID or R2 key
+ * Requests without a report ID or key are left to the handler to reject.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {string} path - The request path
+ * @returns {Response|null} Error response, or null to let the route run
+ */
+export async function authorizeReportRoute(request, env, path) {
+  const route = REPORT_ROUTES.find(candidate => candidate.method === request.method &&
+    (candidate.path ? candidate.path === path : path.startsWith(candidate.prefix)));
+  if (!route) {
+    return null;
+  }
+
+  const userId = await getUserFromRequest(request, env);
+  if (!userId) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+
+  const { reportId, manuscriptKey } = await route.locate(new URL(request.url), request);
+  if (!reportId && !manuscriptKey) {
+    return null;
+  }
+
+  try {
+    const access = reportId
+      ? await authorizeReport(reportId, userId, route.action, env)
+      : await authorizeManuscriptKey(manuscriptKey, userId, route.action, env);
+    request.manuscriptAccess = { userId, action: route.action, ...access };
+    return null;
+  } catch (error) {
+    return deniedResponse(error);
+  }
+}
@@ -0,0 +1,369 @@
+import { readFileSync } from 'fs';
+import yaml from 'js-yaml';
+import { validateSchema, coerceValue, deref } from '../utils/openapi-schema.js';
+
+/**
+ * OpenAPI Validation
+ *
+ * Requests for operations described in an API spec are checked against it
+ * before their handler runs: path parameters, query strings, headers and
+ * bodies (JSON, multipart and form-encoded). A request that doesn't match
+ * gets a 400 (or 415) RFC 7807 problem (application/problem+json) listing
+ * every problem found, so handlers no longer need their own field checks.
+ *
+ * In development and test the handler's response is checked as well, and
+ * one that drifts from the spec (undocumented status, wrong content type,
+ * body not matching the schema) is replaced with a 500 problem so the
+ * drift can't go unnoticed. Production never pays for this.
+ *
+ * Each API version has its own spec file; operations are looked up across
+ * all of them and the matched version is reported in X-API-Version.
+ */
+
+export const API_SPECS = [
+  { version: 'v1', file: new URL('../../openapi.yaml', import.meta.url) }
+];
+
+export const PROBLEM_TYPES = {
+  VALIDATION: 'https://api.selfpubhub.co/problems/validation-error',
+  UNSUPPORTED_MEDIA_TYPE: 'https://api.selfpubhub.co/problems/unsupported-media-type',
+  RESPONSE_CONTRACT: 'https://api.selfpubhub.co/problems/response-contract-violation'
+};
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+let loadedSpecs = null;
+
+/**
+ * Parsed specs with their operations compiled to path matchers
+ * Loaded once per process.
+ */
+export function loadApiSpecs() {
+  if (!loadedSpecs) {
+    loadedSpecs = API_SPECS.map(({ version, file }) => compileSpec(version, yaml.load(readFileSync(file, 'utf8'))));
+  }
+  return loadedSpecs;
+}
+
+/**
+ * Compile a parsed spec's operations to path matchers
+ *
+ * @param {string} version - API version the spec describes ('v1')
+ * @param {Object} spec - Parsed OpenAPI document
+ * @returns {Object} { version, spec, operations: [{ method, path, pattern, paramNames, operation, pathItem }] }
+ */
+export function compileSpec(version, spec) {
+  const operations = [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    const paramNames = [];
+    const pattern = new RegExp('^' + path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+      paramNames.push(name);
+      return '([^/]+)';
+    }) + '$');
+
+    for (const method of METHODS) {
+      if (pathItem[method]) {
+        operations.push({ method: method.toUpperCase(), path, pattern, paramNames, operation: pathItem[method], pathItem });
+      }
+    }
+  }
+
+  // Literal paths win over templated ones (/manuscripts/stats before /manuscripts/{id})
+  operations.sort((a, b) => a.paramNames.length - b.paramNames.length);
+  return { version, spec, operations };
+}
+
+/**
+ * Find the documented operation for a request
+ *
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL path
+ * @param {Array<Object>} [specs] - Compiled specs (defaults to API_SPECS)
+ * @returns {Object|null} { version, spec, operation, pathItem, path, params } or null when undocumented
+ */
+export function findOperation(method, pathname, specs = loadApiSpecs()) {
+  for (const compiled of specs) {
+    for (const candidate of compiled.operations) {
+      if (candidate.method !== method) {
+        continue;
+      }
+      const match = pathname.match(candidate.pattern);
+      if (match) {
+        const params = {};
+        candidate.paramNames.forEach((name, index) => {
+          params[name] = decodeURIComponent(match[index + 1]);
+        });
+        return {
+          version: compiled.version,
+          spec: compiled.spec,
+          operation: candidate.operation,
+          pathItem: candidate.pathItem,
+          path: candidate.path,
+          params
+        };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build an RFC 7807 problem response
+ */
+export function problemResponse({ type, title, status, detail, instance, errors, version }) {
+  return new Response(JSON.stringify({ type, title, status, detail, instance, errors }), {
+    status,
+    headers: {
+      'Content-Type': 'application/problem+json',
+      ...(version && { 'X-API-Version': version })
+    }
+  });
+}
+
+function mediaType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Parameters of an operation, path-level ones overridden by operation-level ones
+ */
+function operationParameters(spec, pathItem, operation) {
+  const byKey = new Map();
+  for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+    const resolved = deref(spec, parameter);
+    byKey.set(`${resolved.in}:${resolved.name}`, resolved);
+  }
+  return [...byKey.values()];
+}
+
+function parameterValue(parameter, { params, url, request }) {
+  switch (parameter.in) {
+    case 'path':
+      return params[parameter.name];
+    case 'query':
+      return url.searchParams.has(parameter.name) ? url.searchParams.get(parameter.name) : undefined;
+    case 'header':
+      return request.headers.get(parameter.name) ?? undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Read a request body as the media type says
+ * Form bodies arrive re-encoded as JSON from the Express adapter, so
+ * form-encoded bodies that look like JSON are read as JSON.
+ *
+ * @returns {Promise<Object>} { value } or { error }
+ */
+async function readBody(request, type) {
+  if (type === 'multipart/form-data') {
+    try {
+      const form = await request.clone().formData();
+      const value = {};
+      for (const [name, entry] of form.entries()) {
+        value[name] = name in value ? [].concat(value[name], entry) : entry;
+      }
+      return { value };
+    } catch {
+      return { error: 'must be multipart/form-data' };
+    }
+  }
+
+  const text = await request.clone().text();
+  if (!text.trim()) {
+    return { value: undefined };
+  }
+
+  if (type === 'application/json' || (type === 'application/x-www-form-urlencoded' && text.trim().startsWith('{'))) {
+    try {
+      return { value: JSON.parse(text) };
+    } catch {
+      return { error: 'must be valid JSON' };
+    }
+  }
+  if (type === 'application/x-www-form-urlencoded') {
+    return { value: Object.fromEntries(new URLSearchParams(text)) };
+  }
+  return { value: text };
+}
+
+/**
+ * Convert the string fields of a form body to the types the schema declares
+ */
+function coerceFormFields(spec, schema, value) {
+  const properties = deref(spec, schema)?.properties || {};
+  const coerced = { ...value };
+  for (const [name, property] of Object.entries(properties)) {
+    if (coerced[name] !== undefined) {
+      coerced[name] = coerceValue(spec, property, coerced[name]);
+    }
+  }
+  return coerced;
+}
+
+/**
+ * Validate a request against its operation
+ *
+ * @param {Request} request
+ * @param {Object} match - From findOperation
+ * @returns {Promise<Response|null>} A problem response, or null when the request is valid
+ */
+export async function validateRequest(request, match) {
+  const { spec, operation, pathItem, version } = match;
+  const url = new URL(request.url);
+  const errors = [];
+
+  // Operations whose errors have a prescribed format of their own (the
+  // OAuth token endpoints answer in RFC 6749's) opt out of request checks
+  if (operation['x-request-validation'] === false) {
+    return null;
+  }
+
+  for (const parameter of operationParameters(spec, pathItem, operation)) {
+    const raw = parameterValue(parameter, { params: match.params, url, request });
+    if (raw === undefined) {
+      if (parameter.required) {
+        errors.push({ location: parameter.in, field: parameter.name, message: 'is required' });
+      }
+      continue;
+    }
+
+    const value = coerceValue(spec, parameter.schema || {}, raw);
+    for (const error of validateSchema(spec, parameter.schema || {}, value, { path: parameter.name })) {
+      errors.push({ location: parameter.in, ...error });
+    }
+  }
+
+  const requestBody = deref(spec, operation.requestBody);
+  if (requestBody && ['POST', 'PUT', 'PATCH'].includes(request.method)) {
+    const type = mediaType(request.headers.get('Content-Type'));
+    const content = requestBody.content || {};
+    const body = type && content[type] ? await readBody(request, type) : null;
+
+    if (body?.error) {
+      errors.push({ location: 'body', field: 'body', message: body.error });
+    } else if (body?.value !== undefined) {
+      const schema = content[type].schema || {};
+      const value = type === 'application/json' || typeof body.value !== 'object' ? body.value : coerceFormFields(spec, schema, body.value);
+      for (const error of validateSchema(spec, schema, value, { path: 'body' })) {
+        errors.push({ location: 'body', ...error });
+      }
+    } else if (type && !content[type] && (await request.clone().text()).trim()) {
+      return problemResponse({
+        type: PROBLEM_TYPES.UNSUPPORTED_MEDIA_TYPE,
+        title: 'Unsupported media type',
+        status: 415,
+        detail: `Send the body as ${Object.keys(content).join(' or ')}`,
+        instance: url.pathname,
+        version
+      });
+    } else if (requestBody.required) {
+      errors.push({ location: 'body', field: 'body', message: `is required (${Object.keys(content).join(' or ')})` });
+    }
+  }
+
+  if (errors.length === 0) {
+    return null;
+  }
+
+  return problemResponse({
+    type: PROBLEM_TYPES.VALIDATION,
+    title: 'Request validation failed',
+    status: 400,
+    detail: errors.map(error => `${error.field} ${error.message}`).join('; '),
+    instance: url.pathname,
+    errors,
+    version
+  });
+}
+
+/**
+ * Check a response against its operation's documented responses
+ *
+ * @param {Response} response
+ * @param {Object} match - From findOperation
+ * @returns {Promise<Array<Object>>} Contract violations as { field, message }; empty when it conforms
+ */
+export async function checkResponse(response, match) {
+  const { spec, operation } = match;
+  const status = response.status;
+  const documented = operation.responses?.[String(status)]
+    || operation.responses?.[`${String(status)[0]}XX`]
+    || operation.responses?.default;
+
+  if (!documented) {
+    // Server errors are failures, not contract drift
+    return status >= 500 ? [] : [{ field: 'status', message: `${status} is not a documented response` }];
+  }
+
+  const content = deref(spec, documented).content;
+  const text = await response.clone().text();
+  if (!content) {
+    return [];
+  }
+  if (!text) {
+    return [{ field: 'body', message: 'is empty but a body is documented' }];
+  }
+
+  const type = mediaType(response.headers.get('Content-Type'));
+  if (!content[type]) {
+    return [{ field: 'Content-Type', message: `${type || 'none'} is not documented (expected ${Object.keys(content).join(' or ')})` }];
+  }
+  if (!type.endsWith('json')) {
+    return [];
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return [{ field: 'body', message: 'is not valid JSON' }];
+  }
+  return validateSchema(spec, content[type].schema || {}, body, { path: 'body', direction: 'response' });
+}
+
+/**
+ * Whether responses are checked against the spec (development and test only)
+ */
+export function shouldVerifyResponses(env) {
+  return ['development', 'test'].includes(env?.NODE_ENV || process.env.NODE_ENV);
+}
+
+/**
+ * Replace a response that drifted from the spec with a 500 problem
+ *
+ * @returns {Promise<Response>} The response unchanged when it conforms
+ */
+export async function verifyResponse(response, match, instance) {
+  const violations = await checkResponse(response, match);
+  if (violations.length === 0) {
+    return response;
+  }
+
+  const operationName = match.operation.operationId || `${match.path}`;
+  console.error(`[OpenAPI] ${operationName} response drifted from the spec:`, violations);
+  return problemResponse({
+    type: PROBLEM_TYPES.RESPONSE_CONTRACT,
+    title: 'Response does not match the API specification',
+    status: 500,
+    detail: `${operationName} returned ${response.status}: ${violations.map(v => `${v.field} ${v.message}`).join('; ')}`,
+    instance,
+    errors: violations,
+    version: match.version
+  });
+}
+
+export default {
+  API_SPECS,
+  PROBLEM_TYPES,
+  loadApiSpecs,
+  compileSpec,
+  findOperation,
+  problemResponse,
+  validateRequest,
+  checkResponse,
+  shouldVerifyResponses,
+  verifyResponse
+};
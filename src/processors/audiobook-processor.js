@@ -1,6 +1,8 @@
 // Audiobook Processor
 // Handles audiobook script formatting, timing estimates, and pronunciation guides
 
+import { segmentText, applyOutlineToText, isBodySection } from '../utils/chapter-segmentation.js';
+
 /**
  * Reading speed constants (words per minute)
  */
@@ -91,17 +93,24 @@ export function calculateNarrationTime(text, wpm = READING_SPEEDS.default) {
 
 /**
  * Extract chapters from manuscript text
+ * Uses the manuscript's saved outline when one is given, so author
+ * corrections carry over to the narration script; otherwise headings are
+ * detected with the shared chapter segmentation engine. Front matter, back
+ * matter and part dividers are left out unless includeMatter is set.
+ *
  * @param {string} text - Full manuscript text
+ * @param {Object} options - { outline, overrides, includeMatter }
  * @returns {Array} Array of chapter objects
  */
-export function extractChapters(text) {
-  const chapters = [];
+export function extractChapters(text, options = {}) {
+  const { outline = null, overrides = {}, includeMatter = false } = options;
 
-  // Split by chapter markers
-  const chapterRegex = /(?:^|\n)(?:Chapter|CHAPTER)\s+(\d+|[IVXLCDM]+)(?:\s*[-:.]?\s*([^\n]*))?/gim;
-  const matches = [...text.matchAll(chapterRegex)];
+  const sections = (outline && applyOutlineToText(text, outline)) || segmentText(text, overrides);
+  const chapters = sections.filter(section =>
+    section.heading && section.content && (includeMatter || isBodySection(section))
+  );
 
-  if (matches.length === 0) {
+  if (chapters.length === 0) {
     // No chapters found, treat entire text as one chapter
     return [{
       number: 1,
@@ -112,28 +121,15 @@ export function extractChapters(text) {
     }];
   }
 
-  for (let i = 0; i < matches.length; i++) {
-    const match = matches[i];
-    const nextMatch = matches[i + 1];
-
-    const chapterNumber = match[1];
-    const chapterTitle = match[2] ? match[2].trim() : '';
-
-    const startIndex = match.index + match[0].length;
-    const endIndex = nextMatch ? nextMatch.index : text.length;
-    const content = text.substring(startIndex, endIndex).trim();
-
-    chapters.push({
-      number: i + 1,
-      rawNumber: chapterNumber,
-      title: chapterTitle,
-      content: content,
-      wordCount: content.split(/\s+/).length,
-      timing: calculateNarrationTime(content),
-    });
-  }
-
-  return chapters;
+  return chapters.map((section, i) => ({
+    number: i + 1,
+    rawNumber: section.rawNumber,
+    kind: section.kind,
+    title: section.overridden ? section.title : (section.subtitle || (section.label ? section.heading : '')),
+    content: section.content,
+    wordCount: section.content.split(/\s+/).length,
+    timing: calculateNarrationTime(section.content),
+  }));
 }
 
 /**
@@ -151,6 +151,8 @@ export async function processCoverImage(imageBuffer, options = {}) {
 
 /**
  * Generate print cover PDF with spine
+ * Places the images only; generators/print-cover-generator.js builds the
+ * finished wrap with spine text, blurb and barcode.
  *
  * @param {Buffer} frontCover - Front cover image buffer
  * @param {Buffer} backCover - Back cover image buffer (optional)
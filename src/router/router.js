@@ -5,16 +5,22 @@
 
 import { authHandlers } from '../handlers/auth-handlers.js';
 import { manuscriptHandlers } from '../handlers/manuscript-handlers.js';
+import { outlineHandlers } from '../handlers/outline-handlers.js';
+import { manuscriptVersionHandlers } from '../handlers/manuscript-version-handlers.js';
+import { manuscriptCommentHandlers } from '../handlers/manuscript-comment-handlers.js';
 import { audiobookHandlers } from '../handlers/audiobook-handlers.js';
 import { audiobookGenerationHandlers } from '../handlers/audiobook-generation-handlers.js';
 import { reviewHandlers } from '../handlers/review-handlers.js';
 import { publishingHandlers } from '../handlers/publishing-handlers.js';
 import { publicAPIHandlers } from '../handlers/public-api-handlers.js';
+import { oauthHandlers } from '../handlers/oauth-handlers.js';
 import { teamHandlers } from '../handlers/team-handlers.js';
 import { emailPreferenceHandlers } from '../handlers/email-preference-handlers.js';
 import { handleStripeWebhook } from '../handlers/webhook-handlers.js';
 import { progressHandlers } from '../services/progress-tracker.js';
 import { coverHandlers } from '../handlers/cover-handlers.js';
+import { authorizeManuscriptRoute, authorizeReportRoute } from '../middleware/manuscript-authorization.js';
+import { findOperation, validateRequest, verifyResponse, shouldVerifyResponses } from '../middleware/openapi-validation.js';
 import { packageHandlers } from '../handlers/package-handlers.js';
 import { metadataHandlers } from '../handlers/metadata-handlers.js';
 import { seriesHandlers } from '../handlers/series-handlers.js';
@@ -27,11 +33,14 @@ import * as humanEditorHandlers from '../handlers/human-editor-handlers.js';
 import * as marketingHandlers from '../handlers/marketing-handlers.js';
 import * as formattingHandlers from '../handlers/formatting-handlers.js';
 import * as communicationHandlers from '../handlers/communication-handlers.js';
+import * as notificationHandlers from '../handlers/notification-handlers.js';
 import * as slushPileHandlers from '../handlers/slush-pile-handlers.js';
 import * as submissionWindowsHandlers from '../handlers/submission-windows-handlers.js';
 import * as kdpHandlers from '../handlers/kdp-handlers.js';
 import * as salesTrackingHandlers from '../handlers/sales-tracking-handlers.js';
 import * as rightsManagementHandlers from '../handlers/rights-management-handlers.js';
+import * as rightsOfferHandlers from '../handlers/rights-offer-handlers.js';
+import * as dmcaHandlers from '../handlers/dmca-handlers.js';
 import * as marketAnalysisHandlers from '../handlers/market-analysis-handlers.js';
 import * as aiChatHandlers from '../handlers/ai-chat-handlers.js';
 import * as competitiveAnalysisHandlers from '../handlers/competitive-analysis-handlers.js';
@@ -43,10 +52,10 @@ import * as assetLegacy from '../handlers/legacy-asset-handlers.js';
 import * as formatLegacy from '../handlers/legacy-format-handlers.js';
 import * as marketLegacy from '../handlers/legacy-market-handlers.js';
 import * as socialLegacy from '../handlers/legacy-social-handlers.js';
-import * as dmcaLegacy from '../handlers/legacy-dmca-handlers.js';
 
 /**
- * Route a request to the appropriate handler
+ * Route a request to the appropriate handler, validating it (and, outside
+ * production, its response) when the operation is in the API spec
  * @param {Request} request - The incoming request
  * @param {Object} env - Environment bindings
  * @param {Function} addCorsHeaders - Function to add CORS headers to response
@@ -55,6 +64,38 @@ import * as dmcaLegacy from '../handlers/legacy-dmca-handlers.js';
  * @returns {Response|null} Response if route matched, null otherwise
  */
 export async function routeRequest(request, env, addCorsHeaders, rateLimitHeaders, allHeaders) {
+  const url = new URL(request.url);
+  const operation = findOperation(request.method, url.pathname);
+
+  if (!operation) {
+    return dispatchRequest(request, env, addCorsHeaders, rateLimitHeaders, allHeaders);
+  }
+
+  // Operations described in openapi.yaml are checked against the spec
+  // before their handler runs and, in development and test, after it
+  const problem = await validateRequest(request, operation);
+  if (problem) {
+    return addCorsHeaders(problem, rateLimitHeaders);
+  }
+
+  const response = await dispatchRequest(request, env, addCorsHeaders, rateLimitHeaders, allHeaders);
+  if (!response || !shouldVerifyResponses(env)) {
+    return response;
+  }
+  const verified = await verifyResponse(response, operation, url.pathname);
+  return verified === response ? response : addCorsHeaders(verified, rateLimitHeaders);
+}
+
+/**
+ * Dispatch a request to its handler
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {Function} addCorsHeaders - Function to add CORS headers to response
+ * @param {Object} rateLimitHeaders - Rate limiting headers to include
+ * @param {Object} allHeaders - All CORS and security headers
+ * @returns {Response|null} Response if route matched, null otherwise
+ */
+async function dispatchRequest(request, env, addCorsHeaders, rateLimitHeaders, allHeaders) {
   const url = new URL(request.url);
   const path = url.pathname;
   const method = request.method;
@@ -111,17 +152,27 @@ export async function routeRequest(request, env, addCorsHeaders, rateLimitHeader
     return addCorsHeaders(await manuscriptHandlers.getManuscriptStats(request, env), rateLimitHeaders);
   }
 
-  if (path.startsWith('/manuscripts/') && method === 'GET' && !path.includes('stats')) {
+  // Every /manuscripts/:id/... route is checked against the central
+  // permission policy (owner, team role, share level) before its handler runs
+  const manuscriptRoute = path.match(/^\/manuscripts\/([^/]+)(\/.*)?$/);
+  if (manuscriptRoute && path !== '/manuscripts/stats') {
+    const denied = await authorizeManuscriptRoute(request, env, manuscriptRoute[1], manuscriptRoute[2] || '');
+    if (denied) {
+      return addCorsHeaders(denied, rateLimitHeaders);
+    }
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+$/) && method === 'GET' && !path.includes('stats')) {
     const manuscriptId = path.replace('/manuscripts/', '');
     return addCorsHeaders(await manuscriptHandlers.getManuscript(request, env, manuscriptId), rateLimitHeaders);
   }
 
-  if (path.startsWith('/manuscripts/') && method === 'PUT') {
+  if (path.match(/^\/manuscripts\/[^/]+$/) && method === 'PUT') {
     const manuscriptId = path.replace('/manuscripts/', '');
     return addCorsHeaders(await manuscriptHandlers.updateManuscript(request, env, manuscriptId), rateLimitHeaders);
   }
 
-  if (path.startsWith('/manuscripts/') && method === 'DELETE') {
+  if (path.match(/^\/manuscripts\/[^/]+$/) && method === 'DELETE') {
     const manuscriptId = path.replace('/manuscripts/', '');
     return addCorsHeaders(await manuscriptHandlers.deleteManuscript(request, env, manuscriptId), rateLimitHeaders);
   }
@@ -131,6 +182,103 @@ export async function routeRequest(request, env, addCorsHeaders, rateLimitHeader
     return addCorsHeaders(await manuscriptHandlers.reanalyzeManuscript(request, env, manuscriptId), rateLimitHeaders);
   }
 
+  // ========================================================================
+  // MANUSCRIPT VERSION ROUTES (revision history, diffs, analysis comparison)
+  // ========================================================================
+
+  if (path.match(/^\/manuscripts\/[^/]+\/versions$/) && method === 'GET') {
+    const manuscriptId = path.split('/')[2];
+    return addCorsHeaders(await manuscriptVersionHandlers.listVersions(request, env, manuscriptId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/versions$/) && method === 'POST') {
+    const manuscriptId = path.split('/')[2];
+    return addCorsHeaders(await manuscriptVersionHandlers.uploadVersion(request, env, manuscriptId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/versions\/compare$/) && method === 'GET') {
+    const manuscriptId = path.split('/')[2];
+    return addCorsHeaders(await manuscriptVersionHandlers.compareVersions(request, env, manuscriptId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/versions\/[^/]+\/diff$/) && method === 'GET') {
+    const [, , manuscriptId, , version] = path.split('/');
+    return addCorsHeaders(await manuscriptVersionHandlers.getVersionDiff(request, env, manuscriptId, version), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/versions\/[^/]+$/) && method === 'GET') {
+    const [, , manuscriptId, , version] = path.split('/');
+    return addCorsHeaders(await manuscriptVersionHandlers.getVersion(request, env, manuscriptId, version), rateLimitHeaders);
+  }
+
+  // ========================================================================
+  // MANUSCRIPT COMMENT ROUTES (anchored threads, replies, suggested edits)
+  // ========================================================================
+
+  if (path.match(/^\/manuscripts\/[^/]+\/comments$/) && method === 'GET') {
+    const manuscriptId = path.split('/')[2];
+    return addCorsHeaders(await manuscriptCommentHandlers.listThreads(request, env, manuscriptId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/comments$/) && method === 'POST') {
+    const manuscriptId = path.split('/')[2];
+    return addCorsHeaders(await manuscriptCommentHandlers.createThread(request, env, manuscriptId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/comments\/mentionable$/) && method === 'GET') {
+    const manuscriptId = path.split('/')[2];
+    return addCorsHeaders(await manuscriptCommentHandlers.listMentionable(request, env, manuscriptId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/comments\/[^/]+$/) && method === 'GET') {
+    const [, , manuscriptId, , threadId] = path.split('/');
+    return addCorsHeaders(await manuscriptCommentHandlers.getThread(request, env, manuscriptId, threadId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/comments\/[^/]+$/) && method === 'PATCH') {
+    const [, , manuscriptId, , threadId] = path.split('/');
+    return addCorsHeaders(await manuscriptCommentHandlers.updateThread(request, env, manuscriptId, threadId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/comments\/[^/]+$/) && method === 'DELETE') {
+    const [, , manuscriptId, , threadId] = path.split('/');
+    return addCorsHeaders(await manuscriptCommentHandlers.deleteThread(request, env, manuscriptId, threadId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/comments\/[^/]+\/replies$/) && method === 'POST') {
+    const [, , manuscriptId, , threadId] = path.split('/');
+    return addCorsHeaders(await manuscriptCommentHandlers.addReply(request, env, manuscriptId, threadId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/comments\/[^/]+\/replies\/[^/]+$/) && method === 'PATCH') {
+    const [, , manuscriptId, , threadId, , commentId] = path.split('/');
+    return addCorsHeaders(await manuscriptCommentHandlers.editComment(request, env, manuscriptId, threadId, commentId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/comments\/[^/]+\/suggestion\/(accept|reject)$/) && method === 'POST') {
+    const [, , manuscriptId, , threadId, , decision] = path.split('/');
+    return addCorsHeaders(await manuscriptCommentHandlers.decideSuggestion(request, env, manuscriptId, threadId, decision), rateLimitHeaders);
+  }
+
+  // ========================================================================
+  // MANUSCRIPT OUTLINE ROUTES (chapter segmentation)
+  // ========================================================================
+
+  if (path.match(/^\/manuscripts\/[^/]+\/outline$/) && method === 'GET') {
+    const manuscriptId = path.split('/')[2];
+    return addCorsHeaders(await outlineHandlers.getOutline(request, env, manuscriptId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/outline$/) && method === 'PUT') {
+    const manuscriptId = path.split('/')[2];
+    return addCorsHeaders(await outlineHandlers.updateOutline(request, env, manuscriptId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/manuscripts\/[^/]+\/outline\/detect$/) && method === 'POST') {
+    const manuscriptId = path.split('/')[2];
+    return addCorsHeaders(await outlineHandlers.detectOutline(request, env, manuscriptId), rateLimitHeaders);
+  }
+
   // ========================================================================
   // AUDIOBOOK ASSET ROUTES
   // ========================================================================
@@ -292,6 +440,58 @@ export async function routeRequest(request, env, addCorsHeaders, rateLimitHeader
     return addCorsHeaders(await publicAPIHandlers.apiGetUsage(request, env), rateLimitHeaders);
   }
 
+  // ========================================================================
+  // OAUTH ROUTES (third-party apps on the public API)
+  // ========================================================================
+
+  if (path === '/oauth/authorize' && method === 'GET') {
+    return addCorsHeaders(await oauthHandlers.authorize(request, env), rateLimitHeaders);
+  }
+
+  if (path === '/oauth/authorize' && method === 'POST') {
+    return addCorsHeaders(await oauthHandlers.decide(request, env), rateLimitHeaders);
+  }
+
+  if (path === '/oauth/token' && method === 'POST') {
+    return addCorsHeaders(await oauthHandlers.token(request, env), rateLimitHeaders);
+  }
+
+  if (path === '/oauth/revoke' && method === 'POST') {
+    return addCorsHeaders(await oauthHandlers.revoke(request, env), rateLimitHeaders);
+  }
+
+  if (path === '/oauth/clients' && method === 'POST') {
+    return addCorsHeaders(await oauthHandlers.createClient(request, env), rateLimitHeaders);
+  }
+
+  if (path === '/oauth/clients' && method === 'GET') {
+    return addCorsHeaders(await oauthHandlers.listClients(request, env), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/oauth\/clients\/[^/]+$/) && method === 'GET') {
+    const clientId = path.split('/')[3];
+    return addCorsHeaders(await oauthHandlers.getClient(request, env, clientId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/oauth\/clients\/[^/]+$/) && method === 'DELETE') {
+    const clientId = path.split('/')[3];
+    return addCorsHeaders(await oauthHandlers.deleteClient(request, env, clientId), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/oauth\/clients\/[^/]+\/secret$/) && method === 'POST') {
+    const clientId = path.split('/')[3];
+    return addCorsHeaders(await oauthHandlers.rotateSecret(request, env, clientId), rateLimitHeaders);
+  }
+
+  if (path === '/oauth/authorizations' && method === 'GET') {
+    return addCorsHeaders(await oauthHandlers.listAuthorizations(request, env), rateLimitHeaders);
+  }
+
+  if (path.match(/^\/oauth\/authorizations\/[^/]+$/) && method === 'DELETE') {
+    const clientId = path.split('/')[3];
+    return addCorsHeaders(await oauthHandlers.revokeAuthorization(request, env, clientId), rateLimitHeaders);
+  }
+
   // ========================================================================
   // TEAM COLLABORATION ROUTES
   // ========================================================================
@@ -634,6 +834,12 @@ export async function routeRequest(request, env, addCorsHeaders, rateLimitHeader
     return addCorsHeaders(await seriesHandlers.handleGenerateMarketing(request, env, seriesId), rateLimitHeaders);
   }
 
+  // GET /series/:id/consistency - Check how consistently the books read
+  if (path.match(/^\/series\/[^/]+\/consistency$/) && method === 'GET') {
+    const seriesId = path.split('/')[2];
+    return addCorsHeaders(await seriesHandlers.handleCheckConsistency(request, env, seriesId), rateLimitHeaders);
+  }
+
   // ========================================================================
   // AUTHOR BIO ROUTES
   // ========================================================================
@@ -794,6 +1000,13 @@ export async function routeRequest(request, env, addCorsHeaders, rateLimitHeader
     return addCorsHeaders(await formattingHandlers.handleGeneratePDF(request, env), rateLimitHeaders);
   }
 
+  // POST /manuscripts/:id/format/cover - Generate full-wrap print cover
+  if (path.match(/^\/manuscripts\/[^/]+\/format\/cover$/) && method === 'POST') {
+    const manuscriptId = path.split('/')[2];
+    request.params = { manuscriptId };
+    return addCorsHeaders(await formattingHandlers.handleGenerateCover(request, env), rateLimitHeaders);
+  }
+
   // GET /manuscripts/:id/formatted - Get all formatted versions of a manuscript
   if (path.match(/^\/manuscripts\/[^/]+\/formatted$/) && method === 'GET') {
     const manuscriptId = path.split('/')[2];
@@ -808,6 +1021,11 @@ export async function routeRequest(request, env, addCorsHeaders, rateLimitHeader
     return addCorsHeaders(await formattingHandlers.handleDownloadFormatted(request, env), rateLimitHeaders);
   }
 
+  // POST /fonts - Upload a custom font for print interiors
+  if (path === '/fonts' && method === 'POST') {
+    return addCorsHeaders(await formattingHandlers.handleUploadFont(request, env), rateLimitHeaders);
+  }
+
   // GET /trim-sizes - Get available trim sizes for PDF generation
   if (path === '/trim-sizes' && method === 'GET') {
     return addCorsHeaders(await formattingHandlers.handleGetTrimSizes(request, env), rateLimitHeaders);
@@ -912,6 +1130,23 @@ export async function routeRequest(request, env, addCorsHeaders, rateLimitHeader
   // COMMUNICATION & FEEDBACK ROUTES (Issue #55)
   // ========================================================================
 
+  // GET /notifications - In-app notification feed
+  if (path === '/notifications' && method === 'GET') {
+    return addCorsHeaders(await notificationHandlers.handleGetNotifications(request, env), rateLimitHeaders);
+  }
+
+  // POST /notifications/read-all - Mark all notifications read
+  if (path === '/notifications/read-all' && method === 'POST') {
+    return addCorsHeaders(await notificationHandlers.handleMarkAllNotificationsRead(request, env), rateLimitHeaders);
+  }
+
+  // POST /notifications/:id/read - Mark a notification read
+  if (path.match(/^\/notifications\/[^/]+\/read$/) && method === 'POST') {
+    const notificationId = path.split('/')[2];
+    request.params = { notificationId };
+    return addCorsHeaders(await notificationHandlers.handleMarkNotificationRead(request, env), rateLimitHeaders);
+  }
+
   // GET /notifications/preferences - Get notification preferences
   if (path === '/notifications/preferences' && method === 'GET') {
     return addCorsHeaders(await communicationHandlers.handleGetNotificationPreferences(request, env), rateLimitHeaders);
@@ -1032,6 +1267,13 @@ export async function routeRequest(request, env, addCorsHeaders, rateLimitHeader
     return addCorsHeaders(await slushPileHandlers.handleGetConsensus(request, env), rateLimitHeaders);
   }
 
+  // GET /submissions/:id/similar - Find similar submissions in the inbox
+  if (path.match(/^\/submissions\/[^/]+\/similar$/) && method === 'GET') {
+    const submissionId = path.split('/')[2];
+    request.params = { submissionId };
+    return addCorsHeaders(await slushPileHandlers.handleGetSimilarSubmissions(request, env), rateLimitHeaders);
+  }
+
   // POST /submissions/:id/discuss - Add discussion comment
   if (path.match(/^\/submissions\/[^/]+\/discuss$/) && method === 'POST') {
     const submissionId = path.split('/')[2];
@@ -1371,6 +1613,12 @@ export async function routeRequest(request, env, addCorsHeaders, rateLimitHeader
  * Route legacy handlers using imported handler modules
  */
 async function routeLegacyHandlers(path, method, request, env, addCorsHeaders, rateLimitHeaders, allHeaders) {
+  // Analysis and asset routes name the manuscript by report ID or R2 key
+  const denied = await authorizeReportRoute(request, env, path);
+  if (denied) {
+    return addCorsHeaders(denied, rateLimitHeaders);
+  }
+
   // Manuscript routes
   if (path === '/upload/manuscript' && method === 'POST') {
     return addCorsHeaders(await manuscriptLegacy.handleManuscriptUpload(request, env, allHeaders), rateLimitHeaders);
@@ -1413,6 +1661,14 @@ async function routeLegacyHandlers(path, method, request, env, addCorsHeaders, r
     return await analysisLegacy.handleAnalysisStatus(request, env, allHeaders);
   }
 
+  if (path === '/analyze/resume' && method === 'POST') {
+    return await analysisLegacy.handleResumeAnalysis(request, env, allHeaders);
+  }
+
+  if (path === '/analyze/cancel' && method === 'POST') {
+    return await analysisLegacy.handleCancelAnalysis(request, env, allHeaders);
+  }
+
   // Asset routes
   if (path === '/assets/status' && method === 'GET') {
     return await assetLegacy.handleAssetStatus(request, env, allHeaders);
@@ -1420,7 +1676,15 @@ async function routeLegacyHandlers(path, method, request, env, addCorsHeaders, r
 
   // DMCA routes
   if (path === '/dmca/submit' && method === 'POST') {
-    return await dmcaLegacy.handleDMCASubmission(request, env, allHeaders);
+    return await dmcaHandlers.handleDMCASubmission(request, env, allHeaders);
+  }
+
+  if (path === '/dmca/my-cases' && method === 'GET') {
+    return await dmcaHandlers.handleListMyDMCACases(request, env, allHeaders);
+  }
+
+  if (path === '/dmca/counter-notice' && method === 'POST') {
+    return await dmcaHandlers.handleDMCACounterNotice(request, env, allHeaders);
   }
 
   // Admin routes with dynamic imports
@@ -1444,6 +1708,26 @@ async function routeLegacyHandlers(path, method, request, env, addCorsHeaders, r
     return await resolveDMCARequest(request, env, allHeaders);
   }
 
+  if (path === '/admin/dmca/court-action' && method === 'POST') {
+    const { recordDMCACourtAction } = await import('../handlers/dmca-admin-handlers.js');
+    return await recordDMCACourtAction(request, env, allHeaders);
+  }
+
+  if (path === '/admin/dmca/audit' && method === 'GET') {
+    const { exportDMCACaseAudit } = await import('../handlers/dmca-admin-handlers.js');
+    return await exportDMCACaseAudit(request, env, allHeaders);
+  }
+
+  if (path === '/admin/dmca/strikes' && method === 'GET') {
+    const { getDMCAUserStrikes } = await import('../handlers/dmca-admin-handlers.js');
+    return await getDMCAUserStrikes(request, env, allHeaders);
+  }
+
+  if (path === '/admin/dmca/reinstate' && method === 'POST') {
+    const { reinstateDMCAUser } = await import('../handlers/dmca-admin-handlers.js');
+    return await reinstateDMCAUser(request, env, allHeaders);
+  }
+
   if (path === '/admin/users' && method === 'GET') {
     const { listUsers } = await import('../handlers/admin-handlers.js');
     return await listUsers(request, env, allHeaders);
@@ -1524,6 +1808,36 @@ async function routeLegacyHandlers(path, method, request, env, addCorsHeaders, r
     return await cancelSubscription(request, env, allHeaders);
   }
 
+  if (path.match(/^\/admin\/queues\/[^/]+$/) && method === 'GET') {
+    const queueName = path.split('/')[3];
+    const { getQueueStats } = await import('../handlers/admin-queue-handlers.js');
+    return await getQueueStats(request, env, allHeaders, queueName);
+  }
+
+  if (path.match(/^\/admin\/queues\/[^/]+\/dead-letters$/) && method === 'GET') {
+    const queueName = path.split('/')[3];
+    const { listDeadLetters } = await import('../handlers/admin-queue-handlers.js');
+    return await listDeadLetters(request, env, allHeaders, queueName);
+  }
+
+  if (path.match(/^\/admin\/queues\/[^/]+\/dead-letters$/) && method === 'DELETE') {
+    const queueName = path.split('/')[3];
+    const { purgeDeadLetters } = await import('../handlers/admin-queue-handlers.js');
+    return await purgeDeadLetters(request, env, allHeaders, queueName);
+  }
+
+  if (path.match(/^\/admin\/queues\/[^/]+\/dead-letters\/[^/]+$/) && method === 'DELETE') {
+    const [, , , queueName, , jobId] = path.split('/');
+    const { purgeDeadLetters } = await import('../handlers/admin-queue-handlers.js');
+    return await purgeDeadLetters(request, env, allHeaders, queueName, jobId);
+  }
+
+  if (path.match(/^\/admin\/queues\/[^/]+\/dead-letters\/[^/]+\/retry$/) && method === 'POST') {
+    const [, , , queueName, , jobId] = path.split('/');
+    const { retryDeadLetter } = await import('../handlers/admin-queue-handlers.js');
+    return await retryDeadLetter(request, env, allHeaders, queueName, jobId);
+  }
+
   // Payment routes
   if (path === '/payments/create-checkout-session' && method === 'POST') {
     const { createCheckoutSession } = await import('../handlers/payment-handlers.js');
@@ -1555,6 +1869,26 @@ async function routeLegacyHandlers(path, method, request, env, addCorsHeaders, r
     return await checkCanUpload(request, env, allHeaders);
   }
 
+  if (path === '/payments/usage' && method === 'GET') {
+    const { getUsage } = await import('../handlers/payment-handlers.js');
+    return await getUsage(request, env, allHeaders);
+  }
+
+  if (path === '/payments/estimate' && method === 'GET') {
+    const { getAnalysisEstimate } = await import('../handlers/payment-handlers.js');
+    return await getAnalysisEstimate(request, env, allHeaders);
+  }
+
+  if (path === '/payments/credit-packs/checkout' && method === 'POST') {
+    const { createCreditPackCheckoutSession } = await import('../handlers/payment-handlers.js');
+    return await createCreditPackCheckoutSession(request, env, allHeaders);
+  }
+
+  if (path === '/payments/ledger' && method === 'GET') {
+    const { getUsageLedger } = await import('../handlers/payment-handlers.js');
+    return await getUsageLedger(request, env, allHeaders);
+  }
+
   if (path === '/payments/webhook' && method === 'POST') {
     return await handleStripeWebhook(request, env, allHeaders);
   }
@@ -1674,6 +2008,39 @@ async function routeLegacyHandlers(path, method, request, env, addCorsHeaders, r
     return addCorsHeaders(await salesTrackingHandlers.handleRoyaltySummary(request, env), rateLimitHeaders);
   }
 
+  // GET /dashboard/sales-forecast - Month-end and quarter-end projections
+  if (path === '/dashboard/sales-forecast' && method === 'GET') {
+    return addCorsHeaders(await salesTrackingHandlers.handleSalesForecast(request, env), rateLimitHeaders);
+  }
+
+  // GET /sales/goals - List sales goals with progress
+  if (path === '/sales/goals' && method === 'GET') {
+    return addCorsHeaders(await salesTrackingHandlers.handleListSalesGoals(request, env), rateLimitHeaders);
+  }
+
+  // POST /sales/goals - Create a sales goal
+  if (path === '/sales/goals' && method === 'POST') {
+    return addCorsHeaders(await salesTrackingHandlers.handleCreateSalesGoal(request, env), rateLimitHeaders);
+  }
+
+  // GET /sales/goals/:goalId - Get a sales goal with progress and projection
+  if (path.match(/^\/sales\/goals\/[^/]+$/) && method === 'GET') {
+    request.params = { goalId: path.split('/')[3] };
+    return addCorsHeaders(await salesTrackingHandlers.handleGetSalesGoal(request, env), rateLimitHeaders);
+  }
+
+  // PATCH /sales/goals/:goalId - Update a sales goal
+  if (path.match(/^\/sales\/goals\/[^/]+$/) && method === 'PATCH') {
+    request.params = { goalId: path.split('/')[3] };
+    return addCorsHeaders(await salesTrackingHandlers.handleUpdateSalesGoal(request, env), rateLimitHeaders);
+  }
+
+  // DELETE /sales/goals/:goalId - Delete a sales goal
+  if (path.match(/^\/sales\/goals\/[^/]+$/) && method === 'DELETE') {
+    request.params = { goalId: path.split('/')[3] };
+    return addCorsHeaders(await salesTrackingHandlers.handleDeleteSalesGoal(request, env), rateLimitHeaders);
+  }
+
   // GET /platforms/connections - Get connected platforms
   if (path === '/platforms/connections' && method === 'GET') {
     return addCorsHeaders(await salesTrackingHandlers.handleGetPlatformConnections(request, env), rateLimitHeaders);
@@ -1693,6 +2060,23 @@ async function routeLegacyHandlers(path, method, request, env, addCorsHeaders, r
     return addCorsHeaders(await salesTrackingHandlers.handleSyncPlatform(request, env), rateLimitHeaders);
   }
 
+  // POST /sales/imports - Import a KDP, Draft2Digital or IngramSpark report
+  if (path === '/sales/imports' && method === 'POST') {
+    return addCorsHeaders(await salesTrackingHandlers.handleImportSalesReport(request, env), rateLimitHeaders);
+  }
+
+  // GET /sales/imports - List sales report imports
+  if (path === '/sales/imports' && method === 'GET') {
+    return addCorsHeaders(await salesTrackingHandlers.handleListSalesImports(request, env), rateLimitHeaders);
+  }
+
+  // POST /manuscripts/:id/identifiers - Map an ASIN/ISBN to a manuscript for report matching
+  if (path.match(/^\/manuscripts\/[^/]+\/identifiers$/) && method === 'POST') {
+    const manuscriptId = path.split('/')[2];
+    request.params = { manuscriptId };
+    return addCorsHeaders(await salesTrackingHandlers.handleAddManuscriptIdentifier(request, env), rateLimitHeaders);
+  }
+
   // POST /sales/seed - Seed sample sales data (development/testing)
   if (path === '/sales/seed' && method === 'POST') {
     return addCorsHeaders(await salesTrackingHandlers.handleSeedSalesData(request, env), rateLimitHeaders);
@@ -1714,6 +2098,51 @@ async function routeLegacyHandlers(path, method, request, env, addCorsHeaders, r
     return addCorsHeaders(await rightsManagementHandlers.handleCreateRights(request, env), rateLimitHeaders);
   }
 
+  // GET /manuscripts/:id/rights/offers - List rights offers
+  if (path.match(/^\/manuscripts\/[^/]+\/rights\/offers$/) && method === 'GET') {
+    const manuscriptId = path.split('/')[2];
+    request.params = { manuscriptId };
+    return addCorsHeaders(await rightsOfferHandlers.handleListRightsOffers(request, env), rateLimitHeaders);
+  }
+
+  // POST /manuscripts/:id/rights/offers - Record an incoming rights offer
+  if (path.match(/^\/manuscripts\/[^/]+\/rights\/offers$/) && method === 'POST') {
+    const manuscriptId = path.split('/')[2];
+    request.params = { manuscriptId };
+    return addCorsHeaders(await rightsOfferHandlers.handleCreateRightsOffer(request, env), rateLimitHeaders);
+  }
+
+  // GET /manuscripts/:id/rights/timeline - Rights negotiation timeline
+  if (path.match(/^\/manuscripts\/[^/]+\/rights\/timeline$/) && method === 'GET') {
+    const manuscriptId = path.split('/')[2];
+    request.params = { manuscriptId };
+    return addCorsHeaders(await rightsOfferHandlers.handleGetRightsTimeline(request, env), rateLimitHeaders);
+  }
+
+  // GET /rights/offers/:offerId - Offer with versions and events
+  if (path.match(/^\/rights\/offers\/[^/]+$/) && method === 'GET') {
+    request.params = { offerId: path.split('/')[3] };
+    return addCorsHeaders(await rightsOfferHandlers.handleGetRightsOffer(request, env), rateLimitHeaders);
+  }
+
+  // POST /rights/offers/:offerId/counter - Counter with new terms
+  if (path.match(/^\/rights\/offers\/[^/]+\/counter$/) && method === 'POST') {
+    request.params = { offerId: path.split('/')[3] };
+    return addCorsHeaders(await rightsOfferHandlers.handleCounterRightsOffer(request, env), rateLimitHeaders);
+  }
+
+  // POST /rights/offers/:offerId/accept - Accept and grant the rights
+  if (path.match(/^\/rights\/offers\/[^/]+\/accept$/) && method === 'POST') {
+    request.params = { offerId: path.split('/')[3] };
+    return addCorsHeaders(await rightsOfferHandlers.handleAcceptRightsOffer(request, env), rateLimitHeaders);
+  }
+
+  // POST /rights/offers/:offerId/decline - Decline the offer
+  if (path.match(/^\/rights\/offers\/[^/]+\/decline$/) && method === 'POST') {
+    request.params = { offerId: path.split('/')[3] };
+    return addCorsHeaders(await rightsOfferHandlers.handleDeclineRightsOffer(request, env), rateLimitHeaders);
+  }
+
   // PATCH /manuscripts/:id/rights/:rightId - Update rights grant
   if (path.match(/^\/manuscripts\/[^/]+\/rights\/[^/]+$/) && method === 'PATCH') {
     const parts = path.split('/');
@@ -1973,11 +2402,41 @@ async function routeLegacyHandlers(path, method, request, env, addCorsHeaders, r
           'GET /manuscripts',
           'POST /upload/manuscript',
           'GET /manuscripts/:id',
-          'DELETE /manuscripts/:id'
+          'DELETE /manuscripts/:id',
+          'GET /manuscripts/:id/versions',
+          'POST /manuscripts/:id/versions',
+          'GET /manuscripts/:id/versions/:version',
+          'GET /manuscripts/:id/versions/:version/diff',
+          'GET /manuscripts/:id/versions/compare',
+          'GET /manuscripts/:id/comments',
+          'POST /manuscripts/:id/comments',
+          'GET /manuscripts/:id/comments/mentionable',
+          'GET /manuscripts/:id/comments/:threadId',
+          'PATCH /manuscripts/:id/comments/:threadId',
+          'DELETE /manuscripts/:id/comments/:threadId',
+          'POST /manuscripts/:id/comments/:threadId/replies',
+          'PATCH /manuscripts/:id/comments/:threadId/replies/:commentId',
+          'POST /manuscripts/:id/comments/:threadId/suggestion/accept',
+          'POST /manuscripts/:id/comments/:threadId/suggestion/reject'
+        ],
+        oauth: [
+          'GET /oauth/authorize',
+          'POST /oauth/authorize',
+          'POST /oauth/token',
+          'POST /oauth/revoke',
+          'GET /oauth/clients',
+          'POST /oauth/clients',
+          'GET /oauth/clients/:clientId',
+          'DELETE /oauth/clients/:clientId',
+          'POST /oauth/clients/:clientId/secret',
+          'GET /oauth/authorizations',
+          'DELETE /oauth/authorizations/:clientId'
         ],
         analysis: [
           'POST /analyze/start',
           'GET /analyze/status',
+          'POST /analyze/resume',
+          'POST /analyze/cancel',
           'GET /report',
           'GET /annotated',
           'GET /results'
@@ -0,0 +1,370 @@
+/**
+ * Authorization Service
+ *
+ * One place that decides what a user may do with a manuscript. The
+ * effective permission is the highest of:
+ * - Ownership (manuscripts.user_id) → owner
+ * - A direct share (manuscript_permissions.user_id) → its permission_level
+ * - A team share (manuscript_permissions.team_id) → its permission_level,
+ *   capped by the user's role in that team (a team viewer never gets more
+ *   than view, whatever the team was granted)
+ *
+ * Handlers ask for an action ('manuscript:read', 'analysis:run', ...) rather
+ * than a level, and the router checks every /manuscripts/:id/... route
+ * against MANUSCRIPT_ROUTE_POLICY before the handler runs.
+ *
+ * A manuscript taken down after a DMCA notice (services/dmca-service.js)
+ * refuses every action, whatever the permission, except those in
+ * TAKEDOWN_ALLOWED_ACTIONS and the routes a policy rule marks with
+ * takedownMethods.
+ */
+
+import { NotFoundError, AuthorizationError, UnavailableForLegalReasonsError, ServerError } from '../utils/error-handling.js';
+import { TAKEN_DOWN } from './dmca-service.js';
+
+/**
+ * Permission levels, lowest first
+ */
+export const PERMISSION_LEVELS = ['none', 'view', 'comment', 'edit', 'owner'];
+
+/**
+ * Highest share level each team role can exercise
+ */
+export const TEAM_ROLE_CAPS = {
+  admin: 'edit',
+  editor: 'edit',
+  viewer: 'view'
+};
+
+/**
+ * Level each action requires
+ */
+export const ACTIONS = {
+  'manuscript:read': 'view',
+  'manuscript:comment': 'comment',
+  'manuscript:write': 'edit',
+  'analysis:read': 'view',
+  'analysis:run': 'edit',
+  'asset:read': 'view',
+  'asset:write': 'edit',
+  'manuscript:share': 'owner',
+  'manuscript:delete': 'owner',
+  'suggestion:decide': 'owner',
+  // Contracts, sales, store accounts, submissions and marketing
+  'manuscript:manage': 'owner'
+};
+
+/**
+ * Actions still allowed on a taken-down manuscript
+ */
+export const TAKEDOWN_ALLOWED_ACTIONS = ['manuscript:delete'];
+
+/**
+ * Action required per method for the routes under /manuscripts/:id.
+ * Patterns match the path after the manuscript id. Every route must be
+ * listed: an unlisted route (or a method a rule does not name) throws in
+ * development and test, and is owner-only in production. takedownMethods
+ * lists the methods that stay open while the manuscript is taken down.
+ */
+export const MANUSCRIPT_ROUTE_POLICY = [
+  {
+    pattern: /^$/,
+    methods: { GET: 'manuscript:read', PUT: 'manuscript:write', DELETE: 'manuscript:delete' },
+    // The record itself, so the owner can see why it is unavailable
+    takedownMethods: ['GET', 'DELETE']
+  },
+  { pattern: /^\/reanalyze$/, methods: { POST: 'analysis:run' } },
+  { pattern: /^\/versions(\/.*)?$/, methods: { GET: 'manuscript:read', POST: 'manuscript:write' } },
+  { pattern: /^\/outline(\/detect)?$/, methods: { GET: 'manuscript:read', PUT: 'manuscript:write', POST: 'manuscript:write' } },
+  { pattern: /^\/audiobook(\/.*)?$/, methods: { GET: 'asset:read', POST: 'asset:write' } },
+  { pattern: /^\/reviews(\/.*)?$/, methods: { GET: 'manuscript:read', POST: 'manuscript:write' } },
+  { pattern: /^\/publishing\/[^/]+$/, methods: { POST: 'asset:write' } },
+  { pattern: /^\/cover(\/.*)?$/, methods: { GET: 'asset:read', POST: 'asset:write', DELETE: 'asset:write' } },
+  { pattern: /^\/format\/[^/]+$/, methods: { POST: 'asset:write' } },
+  { pattern: /^\/formatted$/, methods: { GET: 'asset:read' } },
+  { pattern: /^\/comments\/[^/]+\/suggestion\/(accept|reject)$/, methods: { POST: 'suggestion:decide' } },
+  {
+    pattern: /^\/comments(\/.*)?$/,
+    methods: { GET: 'manuscript:read', POST: 'manuscript:comment', PATCH: 'manuscript:comment', DELETE: 'manuscript:comment' }
+  },
+  // Contracts, sales, store accounts, submissions and marketing stay with the owner
+  {
+    pattern: /^\/(progress|packages|metadata|enhanced-metadata|metadata-history|validate-genre|documents|kdp|submissions|feedback-summary|sales|royalties|bestseller-rank|identifiers|rights|publication-history|author-bio|human-edit|marketing|marketing-hooks|market-analysis|market-report|comp-titles)(\/.*)?$/,
+    methods: {
+      GET: 'manuscript:manage',
+      POST: 'manuscript:manage',
+      PUT: 'manuscript:manage',
+      PATCH: 'manuscript:manage',
+      DELETE: 'manuscript:manage'
+    }
+  }
+];
+
+/**
+ * Rank of a permission level (unknown levels rank as none)
+ */
+export function permissionRank(level) {
+  return Math.max(0, PERMISSION_LEVELS.indexOf(level));
+}
+
+/**
+ * Whether a permission level allows an action
+ *
+ * @param {string|null} permission - Effective permission level
+ * @param {string} action - Key of ACTIONS
+ * @returns {boolean}
+ */
+export function can(permission, action) {
+  const required = ACTIONS[action];
+  if (!required) {
+    throw new Error(`Unknown action: ${action}`);
+  }
+  return permissionRank(permission) >= permissionRank(required);
+}
+
+/**
+ * Level a team share grants a member with the given role
+ */
+export function capByTeamRole(level, role) {
+  const cap = TEAM_ROLE_CAPS[role];
+  if (!cap) {
+    return 'none';
+  }
+  return permissionRank(level) <= permissionRank(cap) ? level : cap;
+}
+
+/**
+ * Effective permission of a user on a manuscript
+ *
+ * @param {string} manuscriptId - Manuscript ID
+ * @param {string} userId - User ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} { manuscript, permission, isOwner, sources } where
+ *   manuscript is null when it does not exist and permission is 'none' when
+ *   the user has no access. sources lists every grant that applies.
+ */
+export async function resolveManuscriptPermission(manuscriptId, userId, env) {
+  const manuscript = await env.DB.prepare(
+    'SELECT * FROM manuscripts WHERE id = ?'
+  ).bind(manuscriptId).first();
+
+  if (!manuscript) {
+    return { manuscript: null, permission: 'none', isOwner: false, sources: [] };
+  }
+
+  if (userId && manuscript.user_id === userId) {
+    return { manuscript, permission: 'owner', isOwner: true, sources: [{ type: 'owner', level: 'owner' }] };
+  }
+
+  if (!userId) {
+    return { manuscript, permission: 'none', isOwner: false, sources: [] };
+  }
+
+  const { results } = await env.DB.prepare(`
+    SELECT mp.permission_level, mp.user_id, mp.team_id, tm.role AS team_role
+    FROM manuscript_permissions mp
+    LEFT JOIN team_members tm ON tm.team_id = mp.team_id AND tm.user_id = ?
+    WHERE mp.manuscript_id = ?
+      AND (mp.user_id = ? OR tm.user_id IS NOT NULL)
+  `).bind(userId, manuscriptId, userId).all();
+
+  const sources = (results || []).map(grant => (grant.team_id
+    ? {
+      type: 'team',
+      teamId: grant.team_id,
+      role: grant.team_role,
+      granted: grant.permission_level,
+      level: capByTeamRole(grant.permission_level, grant.team_role)
+    }
+    : { type: 'user', level: grant.permission_level }
+  ));
+
+  const permission = sources.reduce(
+    (best, source) => (permissionRank(source.level) > permissionRank(best) ? source.level : best),
+    'none'
+  );
+
+  return { manuscript, permission, isOwner: false, sources };
+}
+
+/**
+ * Whether a DMCA takedown withholds a manuscript from an action
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {string} action - Key of ACTIONS
+ * @returns {boolean}
+ */
+export function isWithheld(manuscript, action) {
+  return manuscript?.dmca_status === TAKEN_DOWN && !TAKEDOWN_ALLOWED_ACTIONS.includes(action);
+}
+
+/**
+ * Require a user to be allowed an action on a manuscript
+ * Someone with no access at all gets the same error as for a missing
+ * manuscript, so manuscript IDs can't be probed.
+ *
+ * @param {string} manuscriptId - Manuscript ID
+ * @param {string} userId - User ID
+ * @param {string} action - Key of ACTIONS
+ * @param {Object} env - Environment bindings
+ * @param {Object} options - { allowTakenDown } to skip the takedown check
+ *   (routes listed with takedownMethods)
+ * @returns {Promise<Object>} Resolved access (see resolveManuscriptPermission)
+ * @throws {NotFoundError} Manuscript missing or not shared with the user
+ * @throws {AuthorizationError} Access too low for the action
+ * @throws {UnavailableForLegalReasonsError} Manuscript taken down after a DMCA notice
+ */
+export async function authorizeManuscript(manuscriptId, userId, action, env, { allowTakenDown = false } = {}) {
+  const access = await resolveManuscriptPermission(manuscriptId, userId, env);
+
+  if (!access.manuscript || access.permission === 'none') {
+    throw new NotFoundError('Manuscript', manuscriptId);
+  }
+
+  if (!can(access.permission, action)) {
+    throw new AuthorizationError(`${ACTIONS[action]} permission required`, {
+      action,
+      required: ACTIONS[action],
+      current: access.permission
+    });
+  }
+
+  if (!allowTakenDown && isWithheld(access.manuscript, action)) {
+    throw new UnavailableForLegalReasonsError('This manuscript has been taken down in response to a DMCA notice', {
+      action,
+      dmcaStatus: TAKEN_DOWN
+    });
+  }
+
+  return access;
+}
+
+/**
+ * Manuscript row if the user may perform an action on it, otherwise null
+ * For handlers that answer 404 either way; taken-down manuscripts count as
+ * not found.
+ *
+ * @returns {Promise<Object|null>}
+ */
+export async function findAuthorizedManuscript(manuscriptId, userId, action, env) {
+  const access = await resolveManuscriptPermission(manuscriptId, userId, env);
+  return access.manuscript && can(access.permission, action) && !isWithheld(access.manuscript, action)
+    ? access.manuscript
+    : null;
+}
+
+/**
+ * Action a request to /manuscripts/:id{subPath} requires
+ * A route missing from MANUSCRIPT_ROUTE_POLICY is a bug: it throws in
+ * development and test so it is caught before release, and falls back to
+ * owner-only (with an error logged) in production.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} subPath - Path after the manuscript ID ('' for the manuscript itself)
+ * @param {Object} env - Environment bindings (NODE_ENV)
+ * @returns {string} Key of ACTIONS
+ * @throws {ServerError} When the route has no policy outside production
+ */
+export function manuscriptRouteAction(method, subPath, env = {}) {
+  const verb = method === 'HEAD' ? 'GET' : method;
+  const rule = MANUSCRIPT_ROUTE_POLICY.find(candidate => candidate.pattern.test(subPath));
+  if (rule?.methods[verb]) {
+    return rule.methods[verb];
+  }
+
+  const message = `No authorization policy for ${method} /manuscripts/:id${subPath} - add it to MANUSCRIPT_ROUTE_POLICY`;
+  if (['development', 'test'].includes(env?.NODE_ENV || process.env.NODE_ENV)) {
+    throw new ServerError(message);
+  }
+  console.error(`[Authorization] ${message}`);
+  return 'manuscript:manage';
+}
+
+/**
+ * Whether a /manuscripts/:id{subPath} request stays open while the
+ * manuscript is taken down
+ *
+ * @returns {boolean}
+ */
+export function manuscriptRouteAllowsTakedown(method, subPath) {
+  const verb = method === 'HEAD' ? 'GET' : method;
+  const rule = MANUSCRIPT_ROUTE_POLICY.find(candidate => candidate.pattern.test(subPath));
+  return !!rule?.takedownMethods?.includes(verb);
+}
+
+/**
+ * Manuscript an R2 manuscript key belongs to
+ * Checks current files first, then earlier drafts.
+ *
+ * @returns {Promise<string|null>} Manuscript ID
+ */
+export async function findManuscriptIdByKey(manuscriptKey, env) {
+  const current = await env.DB.prepare(
+    'SELECT id FROM manuscripts WHERE r2_key = ?'
+  ).bind(manuscriptKey).first();
+  if (current) {
+    return current.id;
+  }
+
+  const draft = await env.DB.prepare(
+    'SELECT manuscript_id FROM manuscript_versions WHERE r2_key = ?'
+  ).bind(manuscriptKey).first();
+  return draft?.manuscript_id || null;
+}
+
+/**
+ * Require a user to be allowed an action on the manuscript stored under an
+ * R2 key (analysis and asset routes address manuscripts this way). Files
+ * without a manuscripts row are only available to the user whose ID
+ * prefixes the key.
+ *
+ * @returns {Promise<Object>} Resolved access
+ */
+export async function authorizeManuscriptKey(manuscriptKey, userId, action, env) {
+  const manuscriptId = await findManuscriptIdByKey(manuscriptKey, env);
+  if (manuscriptId) {
+    return authorizeManuscript(manuscriptId, userId, action, env);
+  }
+
+  if (userId && manuscriptKey.split('/')[0] === userId) {
+    return { manuscript: null, permission: 'owner', isOwner: true, sources: [{ type: 'owner', level: 'owner' }] };
+  }
+
+  throw new NotFoundError('Manuscript');
+}
+
+/**
+ * Require a user to be allowed an action on the manuscript behind a report ID
+ *
+ * @returns {Promise<Object>} Resolved access plus manuscriptKey
+ */
+export async function authorizeReport(reportId, userId, action, env) {
+  const mapping = await env.R2.getBucket('manuscripts_raw').get(`report-id:${reportId}`);
+  if (!mapping) {
+    throw new NotFoundError('Report', reportId);
+  }
+
+  const manuscriptKey = await mapping.text();
+  const access = await authorizeManuscriptKey(manuscriptKey, userId, action, env);
+  return { ...access, manuscriptKey };
+}
+
+export default {
+  PERMISSION_LEVELS,
+  TEAM_ROLE_CAPS,
+  ACTIONS,
+  MANUSCRIPT_ROUTE_POLICY,
+  TAKEDOWN_ALLOWED_ACTIONS,
+  permissionRank,
+  can,
+  capByTeamRole,
+  resolveManuscriptPermission,
+  isWithheld,
+  authorizeManuscript,
+  findAuthorizedManuscript,
+  manuscriptRouteAction,
+  manuscriptRouteAllowsTakedown,
+  findManuscriptIdByKey,
+  authorizeManuscriptKey,
+  authorizeReport
+};
@@ -0,0 +1,1057 @@
+/**
+ * Backup Service
+ *
+ * PostgreSQL-native logical backups and verified restores.
+ *
+ * A backup is exported inside one REPEATABLE READ, READ ONLY transaction, so
+ * every table is captured as of the same instant (the snapshot's time, WAL
+ * position and transaction snapshot are recorded). It writes, under
+ * postgres/<backupId>/ in the backups bucket:
+ * - dump.sql.gz: plain SQL laid out like pg_dump's: schema (sequences,
+ *   functions, tables, constraints, indexes, views, triggers) with each
+ *   table's rows as a COPY ... FROM stdin block; psql can load it as-is
+ * - storage.json.gz: every object in the manuscript and asset buckets (key,
+ *   size, etag) as of the backup
+ * - manifest.json: per-table row counts and checksums, and the dump's
+ *   SHA-256 and sizes. Written last; a backup without one is incomplete.
+ *
+ * Restores always go to a scratch database first, where every table's row
+ * count and checksum is compared with the manifest. Only a backup that
+ * verifies cleanly can then be restored over production, in a single
+ * transaction that re-checks before committing and rolls back on mismatch.
+ *
+ * A table's checksum is the sum (mod 2^256) of the SHA-256 of each row's
+ * COPY line, so it doesn't depend on row order or collation.
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { AppError, NotFoundError, ValidationError } from '../utils/error-handling.js';
+
+export const BACKUP_CONFIG = {
+  BUCKET: 'backups',
+  PREFIX: 'postgres/',
+  SCHEMA: 'public',
+  FORMAT_VERSION: 1,
+  FETCH_SIZE: 1000,              // Rows per cursor fetch
+  MAX_INSERT_PARAMS: 30000,      // Bind parameters per INSERT when restoring
+  STORAGE_BUCKETS: ['manuscripts_raw', 'manuscripts_processed', 'marketing_assets'],
+  RETENTION: {
+    daily: 30,                   // Keep every backup this many days
+    monthly: 12,                 // Then the first of each month for this many months
+    yearly: 7                    // Then the first of each year for this many years
+  },
+  INCOMPLETE_GRACE_HOURS: 24     // Backups with no manifest are removed after this
+};
+
+/**
+ * Session settings for exporting and verifying, so values render as the
+ * same text on every server
+ */
+const TEXT_SETTINGS = {
+  TimeZone: 'UTC',
+  DateStyle: 'ISO, YMD',
+  IntervalStyle: 'postgres',
+  extra_float_digits: '3',
+  bytea_output: 'hex'
+};
+
+const CURSOR = 'backup_rows';
+const CHECKSUM_MASK = (1n << 256n) - 1n;
+
+/**
+ * A backup failed its integrity or verification checks
+ */
+export class BackupVerificationError extends AppError {
+  constructor(message, details = null) {
+    super(message, 500, 'BACKUP_VERIFICATION_FAILED', details);
+  }
+}
+
+// ============================================================================
+// COPY TEXT FORMAT
+// ============================================================================
+
+const COPY_ESCAPES = { '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r', '\b': '\\b', '\f': '\\f', '\v': '\\v' };
+const COPY_UNESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+/**
+ * Render a value (Postgres text output, or null) as a COPY text field
+ */
+export function escapeCopyValue(value) {
+  if (value === null || value === undefined) {
+    return '\\N';
+  }
+  return String(value).replace(/[\\\t\n\r\b\f\v]/g, ch => COPY_ESCAPES[ch]);
+}
+
+/**
+ * Split a COPY text line into its values (null for \N)
+ */
+export function parseCopyLine(line) {
+  return line.split('\t').map(field => field === '\\N'
+    ? null
+    : field.replace(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|.)/g, (match, seq) => {
+      if (seq.length > 1 && seq[0] === 'x') {
+        return String.fromCharCode(parseInt(seq.slice(1), 16));
+      }
+      if (/^[0-7]/.test(seq)) {
+        return String.fromCharCode(parseInt(seq, 8));
+      }
+      return COPY_UNESCAPES[seq] ?? seq;
+    }));
+}
+
+/**
+ * Order-independent checksum over a table's COPY lines
+ */
+export function createTableChecksum() {
+  let sum = 0n;
+  let rows = 0;
+  return {
+    add(line) {
+      sum = (sum + BigInt('0x' + crypto.createHash('sha256').update(line).digest('hex'))) & CHECKSUM_MASK;
+      rows++;
+    },
+    result() {
+      return { rows, checksum: sum.toString(16).padStart(64, '0') };
+    }
+  };
+}
+
+export function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// ============================================================================
+// DUMP PARSING
+// ============================================================================
+
+const COPY_STATEMENT = /^COPY\s+((?:"(?:[^"]|"")+"|\w+)(?:\.(?:"(?:[^"]|"")+"|\w+))?)\s*\(([^)]*)\)\s+FROM\s+stdin$/i;
+
+/**
+ * Find the end of a quoted string or identifier starting at `start`
+ * Doubled quotes stay inside; E'...' strings also honour backslash escapes.
+ */
+function skipQuoted(sql, start, quote) {
+  const backslashEscapes = quote === "'" && /[eE]/.test(sql[start - 1] || '') && !/\w/.test(sql[start - 2] || '');
+  let i = start + 1;
+  while (i < sql.length) {
+    if (backslashEscapes && sql[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (sql[i] === quote) {
+      if (sql[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+  return sql.length;
+}
+
+/**
+ * Walk a dump: yields { type: 'sql', sql } for each statement and
+ * { type: 'copy', table, columns, lines } for each COPY block
+ *
+ * Statements end at semicolons outside string literals, quoted identifiers,
+ * dollar-quoted bodies and comments, so manuscript text, function bodies and
+ * COPY data containing semicolons are left intact.
+ *
+ * @param {string} text - Dump contents
+ */
+export function* scanDump(text) {
+  let start = 0;
+  let i = 0;
+  let hasContent = false;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '-' && text[i + 1] === '-') {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+    if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+      continue;
+    }
+    if (ch === "'" || ch === '"') {
+      hasContent = true;
+      i = skipQuoted(text, i, ch);
+      continue;
+    }
+    if (ch === '$') {
+      const tag = text.slice(i, i + 64).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+      if (tag) {
+        const end = text.indexOf(tag[0], i + tag[0].length);
+        hasContent = true;
+        i = end === -1 ? text.length : end + tag[0].length;
+        continue;
+      }
+    }
+
+    if (ch === ';') {
+      const sql = stripLeadingComments(text.slice(start, i));
+      i++;
+      start = i;
+
+      if (!hasContent) {
+        continue;
+      }
+      hasContent = false;
+
+      const copy = sql.match(COPY_STATEMENT);
+      if (!copy) {
+        yield { type: 'sql', sql };
+        continue;
+      }
+
+      // COPY data runs from the next line to a line holding only \.
+      const lineEnd = text.indexOf('\n', i);
+      let cursor = lineEnd === -1 ? text.length : lineEnd + 1;
+      const lines = [];
+      while (cursor < text.length) {
+        const next = text.indexOf('\n', cursor);
+        const line = text.slice(cursor, next === -1 ? text.length : next);
+        cursor = next === -1 ? text.length : next + 1;
+        if (line === '\\.') {
+          break;
+        }
+        lines.push(line);
+      }
+      yield {
+        type: 'copy',
+        table: copy[1],
+        columns: copy[2].match(/"(?:[^"]|"")*"|[^,\s]+/g) || [],
+        lines
+      };
+      i = cursor;
+      start = cursor;
+      continue;
+    }
+
+    if (!/\s/.test(ch)) {
+      hasContent = true;
+    }
+    i++;
+  }
+
+  const rest = stripLeadingComments(text.slice(start));
+  if (hasContent && rest) {
+    yield { type: 'sql', sql: rest };
+  }
+}
+
+function stripLeadingComments(sql) {
+  return sql.replace(/^(\s*(--[^\n]*\n?|\/\*[\s\S]*?\*\/))+/, '').trim();
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+async function applyTextSettings(client) {
+  for (const [name, value] of Object.entries(TEXT_SETTINGS)) {
+    await client.query('SELECT set_config($1, $2, true)', [name, value]);
+  }
+  await client.query('SELECT set_config($1, $2, true)', ['search_path', `${quoteIdent(BACKUP_CONFIG.SCHEMA)}, pg_catalog`]);
+}
+
+/**
+ * Read every row of a table as COPY lines through a cursor
+ * Must run inside a transaction.
+ *
+ * @param {Object} client - pg client
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Columns to read, in order
+ * @param {Function} [onLine] - Called with each COPY line
+ * @returns {Promise<Object>} { rows, checksum }
+ */
+export async function scanTable(client, table, columns, onLine = () => {}) {
+  const checksum = createTableChecksum();
+  const select = columns.map((column, index) => `${quoteIdent(column)}::text AS c${index}`).join(', ');
+
+  await client.query(`DECLARE ${CURSOR} NO SCROLL CURSOR FOR SELECT ${select} FROM ${quoteIdent(table)}`);
+  for (;;) {
+    const { rows } = await client.query(`FETCH ${BACKUP_CONFIG.FETCH_SIZE} FROM ${CURSOR}`);
+    for (const row of rows) {
+      const line = columns.map((column, index) => escapeCopyValue(row[`c${index}`])).join('\t');
+      checksum.add(line);
+      onLine(line);
+    }
+    if (rows.length < BACKUP_CONFIG.FETCH_SIZE) {
+      break;
+    }
+  }
+  await client.query(`CLOSE ${CURSOR}`);
+
+  return checksum.result();
+}
+
+function columnDefinition(column) {
+  let definition = `${quoteIdent(column.name)} ${column.type}`;
+  if (column.generated === 's') {
+    definition += ` GENERATED ALWAYS AS (${column.default_value}) STORED`;
+  } else {
+    if (column.identity === 'a') {
+      definition += ' GENERATED ALWAYS AS IDENTITY';
+    } else if (column.identity === 'd') {
+      definition += ' GENERATED BY DEFAULT AS IDENTITY';
+    } else if (column.default_value !== null && column.default_value !== undefined) {
+      definition += ` DEFAULT ${column.default_value}`;
+    }
+  }
+  return column.not_null ? `${definition} NOT NULL` : definition;
+}
+
+/**
+ * Export the schema and data of the backup schema as a SQL dump
+ * Run inside a REPEATABLE READ transaction for a consistent snapshot.
+ *
+ * @param {Object} client - pg client
+ * @param {Function} write - Receives the dump text in order
+ * @returns {Promise<Object>} { snapshot, tables: [{ name, columns, rows, checksum }] }
+ */
+export async function exportDatabase(client, write) {
+  const schema = BACKUP_CONFIG.SCHEMA;
+  await applyTextSettings(client);
+
+  const { rows: [snapshot] } = await client.query(`
+    SELECT now() AS taken_at, pg_current_wal_lsn()::text AS wal_lsn,
+           txid_current_snapshot()::text AS txid_snapshot,
+           current_database() AS database, current_setting('server_version') AS server_version
+  `);
+
+  write('--\n-- Manuscript Platform database backup\n');
+  write(`-- Database: ${snapshot.database} (PostgreSQL ${snapshot.server_version})\n`);
+  write(`-- Snapshot: ${new Date(snapshot.taken_at).toISOString()} at WAL ${snapshot.wal_lsn}\n--\n\n`);
+  write('SET client_encoding = \'UTF8\';\nSET standard_conforming_strings = on;\nSET check_function_bodies = false;\n');
+  for (const [name, value] of Object.entries(TEXT_SETTINGS)) {
+    write(`SET ${name} = '${value}';\n`);
+  }
+  write(`SET search_path = ${quoteIdent(schema)}, pg_catalog;\n\n`);
+
+  const { rows: extensions } = await client.query(
+    "SELECT extname FROM pg_extension WHERE extname <> 'plpgsql' ORDER BY extname"
+  );
+  for (const extension of extensions) {
+    write(`CREATE EXTENSION IF NOT EXISTS ${quoteIdent(extension.extname)};\n`);
+  }
+
+  // Sequences (identity columns create their own)
+  const { rows: sequences } = await client.query(`
+    SELECT c.relname AS name, format_type(s.seqtypid, NULL) AS type, s.seqstart AS start,
+           s.seqincrement AS increment, s.seqmin AS min, s.seqmax AS max, s.seqcache AS cache,
+           s.seqcycle AS cycle,
+           EXISTS (SELECT 1 FROM pg_depend d WHERE d.objid = c.oid AND d.deptype = 'i') AS is_identity
+    FROM pg_sequence s
+    JOIN pg_class c ON c.oid = s.seqrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = $1
+    ORDER BY c.relname
+  `, [schema]);
+  write('\n-- Sequences\n');
+  for (const sequence of sequences.filter(s => !s.is_identity)) {
+    write(`CREATE SEQUENCE ${quoteIdent(sequence.name)} AS ${sequence.type} START WITH ${sequence.start} ` +
+      `INCREMENT BY ${sequence.increment} MINVALUE ${sequence.min} MAXVALUE ${sequence.max} ` +
+      `CACHE ${sequence.cache}${sequence.cycle ? ' CYCLE' : ''};\n`);
+  }
+
+  const { rows: functions } = await client.query(`
+    SELECT pg_get_functiondef(p.oid) AS definition
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = $1 AND p.prokind IN ('f', 'p')
+      AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.objid = p.oid AND d.deptype = 'e')
+    ORDER BY p.proname, p.oid
+  `, [schema]);
+  write('\n-- Functions\n');
+  for (const fn of functions) {
+    write(`${fn.definition.trim()};\n\n`);
+  }
+
+  const { rows: tableRows } = await client.query(`
+    SELECT c.oid, c.relname AS name
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = $1 AND c.relkind = 'r'
+    ORDER BY c.relname
+  `, [schema]);
+
+  const tables = [];
+  for (const table of tableRows) {
+    const { rows: columns } = await client.query(`
+      SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type, a.attnotnull AS not_null,
+             pg_get_expr(d.adbin, d.adrelid) AS default_value, a.attidentity AS identity,
+             a.attgenerated AS generated
+      FROM pg_attribute a
+      LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+      WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+      ORDER BY a.attnum
+    `, [table.oid]);
+    const { rows: constraints } = await client.query(`
+      SELECT conname AS name, contype AS type, pg_get_constraintdef(oid) AS definition
+      FROM pg_constraint
+      WHERE conrelid = $1 AND contype IN ('p', 'u', 'c', 'x', 'f')
+      ORDER BY contype, conname
+    `, [table.oid]);
+    const { rows: indexes } = await client.query(`
+      SELECT pg_get_indexdef(i.indexrelid) AS definition
+      FROM pg_index i
+      WHERE i.indrelid = $1
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_constraint c
+          WHERE c.conindid = i.indexrelid AND c.conrelid = i.indrelid AND c.contype IN ('p', 'u', 'x')
+        )
+      ORDER BY i.indexrelid
+    `, [table.oid]);
+
+    tables.push({ name: table.name, columns, constraints, indexes });
+  }
+
+  write('\n-- Tables\n');
+  for (const table of tables) {
+    write(`CREATE TABLE ${quoteIdent(table.name)} (\n    ${table.columns.map(columnDefinition).join(',\n    ')}\n);\n\n`);
+  }
+  for (const table of tables) {
+    for (const constraint of table.constraints.filter(c => c.type !== 'f')) {
+      write(`ALTER TABLE ONLY ${quoteIdent(table.name)} ADD CONSTRAINT ${quoteIdent(constraint.name)} ${constraint.definition};\n`);
+    }
+  }
+
+  write('\n-- Data\n');
+  const manifestTables = [];
+  for (const table of tables) {
+    const columns = table.columns.filter(column => column.generated !== 's').map(column => column.name);
+    write(`COPY ${quoteIdent(table.name)} (${columns.map(quoteIdent).join(', ')}) FROM stdin;\n`);
+    const { rows, checksum } = await scanTable(client, table.name, columns, line => write(`${line}\n`));
+    write('\\.\n\n');
+    manifestTables.push({ name: table.name, columns, rows, checksum });
+  }
+
+  write('-- Sequence values\n');
+  for (const sequence of sequences) {
+    const { rows: [state] } = await client.query(`SELECT last_value::text AS last_value, is_called FROM ${quoteIdent(sequence.name)}`);
+    write(`SELECT pg_catalog.setval('${quoteIdent(sequence.name).replace(/'/g, "''")}', ${state.last_value}, ${state.is_called});\n`);
+  }
+
+  write('\n-- Indexes\n');
+  for (const table of tables) {
+    for (const index of table.indexes) {
+      write(`${index.definition};\n`);
+    }
+  }
+
+  write('\n-- Foreign keys\n');
+  for (const table of tables) {
+    for (const constraint of table.constraints.filter(c => c.type === 'f')) {
+      write(`ALTER TABLE ONLY ${quoteIdent(table.name)} ADD CONSTRAINT ${quoteIdent(constraint.name)} ${constraint.definition};\n`);
+    }
+  }
+
+  const { rows: views } = await client.query(`
+    SELECT c.relname AS name, c.relkind AS kind, pg_get_viewdef(c.oid, true) AS definition
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = $1 AND c.relkind IN ('v', 'm')
+    ORDER BY c.oid
+  `, [schema]);
+  write('\n-- Views\n');
+  for (const view of views) {
+    const kind = view.kind === 'm' ? 'MATERIALIZED VIEW' : 'VIEW';
+    write(`CREATE ${kind} ${quoteIdent(view.name)} AS\n${view.definition.trim().replace(/;$/, '')};\n\n`);
+  }
+
+  // Triggers last, so loading the data doesn't fire them
+  const { rows: triggers } = await client.query(`
+    SELECT pg_get_triggerdef(t.oid) AS definition
+    FROM pg_trigger t
+    JOIN pg_class c ON c.oid = t.tgrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = $1 AND NOT t.tgisinternal
+    ORDER BY c.relname, t.tgname
+  `, [schema]);
+  write('-- Triggers\n');
+  for (const trigger of triggers) {
+    write(`${trigger.definition};\n`);
+  }
+
+  return {
+    snapshot: {
+      takenAt: new Date(snapshot.taken_at).toISOString(),
+      walLsn: snapshot.wal_lsn,
+      txidSnapshot: snapshot.txid_snapshot,
+      database: snapshot.database,
+      serverVersion: snapshot.server_version
+    },
+    tables: manifestTables
+  };
+}
+
+/**
+ * Gzip the dump as it is written, hashing the uncompressed text
+ */
+function createDumpWriter() {
+  const gzip = zlib.createGzip();
+  const hash = crypto.createHash('sha256');
+  const chunks = [];
+  let bytes = 0;
+  gzip.on('data', chunk => chunks.push(chunk));
+
+  return {
+    write(text) {
+      const buffer = Buffer.from(text, 'utf8');
+      hash.update(buffer);
+      bytes += buffer.length;
+      gzip.write(buffer);
+    },
+    finish() {
+      return new Promise((resolve, reject) => {
+        gzip.on('end', () => resolve({ body: Buffer.concat(chunks), bytes, sha256: hash.digest('hex') }));
+        gzip.on('error', reject);
+        gzip.end();
+      });
+    }
+  };
+}
+
+/**
+ * List every object in the storage buckets
+ *
+ * @returns {Promise<Object>} { generatedAt, buckets: { [bucket]: [{ key, size, etag }] } }
+ */
+export async function exportStorageManifest(env) {
+  const buckets = {};
+  for (const name of BACKUP_CONFIG.STORAGE_BUCKETS) {
+    buckets[name] = (await listAllObjects(env.R2.getBucket(name)))
+      .map(object => ({ key: object.key, size: object.size, etag: object.etag }));
+  }
+  return { generatedAt: new Date().toISOString(), buckets };
+}
+
+async function listAllObjects(bucket, prefix) {
+  const objects = [];
+  let cursor;
+  do {
+    const page = await bucket.list({ prefix, cursor, limit: 1000 });
+    objects.push(...page.objects);
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  return objects;
+}
+
+/**
+ * Compare a storage manifest with what the buckets hold now
+ *
+ * @returns {Promise<Object>} { ok, buckets: { [bucket]: { expected, missing, changed, sampleMissing } } }
+ */
+export async function checkStorageManifest(env, storage) {
+  const buckets = {};
+  for (const [name, expected] of Object.entries(storage.buckets || {})) {
+    const current = new Map((await listAllObjects(env.R2.getBucket(name))).map(object => [object.key, object]));
+    const missing = expected.filter(object => !current.has(object.key));
+    const changed = expected.filter(object => current.has(object.key) && current.get(object.key).size !== object.size);
+    buckets[name] = {
+      expected: expected.length,
+      missing: missing.length,
+      changed: changed.length,
+      sampleMissing: missing.slice(0, 20).map(object => object.key)
+    };
+  }
+  return { ok: Object.values(buckets).every(b => b.missing === 0 && b.changed === 0), buckets };
+}
+
+// ============================================================================
+// BACKUPS
+// ============================================================================
+
+export function formatBackupId(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function parseBackupId(backupId) {
+  const match = backupId.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+}
+
+export function backupKeys(backupId) {
+  const base = `${BACKUP_CONFIG.PREFIX}${backupId}/`;
+  return {
+    manifest: `${base}manifest.json`,
+    dump: `${base}dump.sql.gz`,
+    storage: `${base}storage.json.gz`
+  };
+}
+
+function totalRows(tables) {
+  return tables.reduce((sum, table) => sum + table.rows, 0);
+}
+
+/**
+ * Record a backup, verification or restore in backup_runs
+ * Never throws: a backup that worked shouldn't be reported as failed
+ * because its history row couldn't be written.
+ */
+async function recordRun(db, run) {
+  try {
+    await db.prepare(`
+      INSERT INTO backup_runs (
+        id, backup_id, operation, triggered_by, status, table_count, total_rows,
+        dump_bytes, compressed_bytes, storage_objects, duration_ms, details, error, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      crypto.randomUUID(),
+      run.backupId,
+      run.operation,
+      run.triggeredBy || 'manual',
+      run.status,
+      run.tableCount ?? null,
+      run.totalRows ?? null,
+      run.dumpBytes ?? null,
+      run.compressedBytes ?? null,
+      run.storageObjects ?? null,
+      run.durationMs ?? null,
+      run.details ? JSON.stringify(run.details) : null,
+      run.error || null,
+      Math.floor(Date.now() / 1000)
+    ).run();
+  } catch (error) {
+    console.error('[Backup] Failed to record run:', error);
+  }
+}
+
+/**
+ * Take a backup: database dump, storage manifest and backup manifest
+ *
+ * @param {Object} env - DB (with withClient) and R2
+ * @param {Object} options - { triggeredBy: 'scheduled' | 'manual', now }
+ * @returns {Promise<Object>} { backupId, manifest, deleted: backup IDs removed by retention }
+ */
+export async function createBackup(env, { triggeredBy = 'manual', now = new Date() } = {}) {
+  const startTime = Date.now();
+  const backupId = formatBackupId(now);
+  const keys = backupKeys(backupId);
+
+  try {
+    const writer = createDumpWriter();
+    const exported = await env.DB.withClient(async client => {
+      await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+      try {
+        const result = await exportDatabase(client, text => writer.write(text));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    });
+    const dump = await writer.finish();
+
+    const storage = await exportStorageManifest(env);
+    const storageObjects = Object.values(storage.buckets).reduce((sum, objects) => sum + objects.length, 0);
+
+    const manifest = {
+      formatVersion: BACKUP_CONFIG.FORMAT_VERSION,
+      backupId,
+      createdAt: now.toISOString(),
+      triggeredBy,
+      snapshot: exported.snapshot,
+      dump: { key: keys.dump, bytes: dump.bytes, compressedBytes: dump.body.length, sha256: dump.sha256 },
+      storage: { key: keys.storage, objects: storageObjects },
+      totalRows: totalRows(exported.tables),
+      tables: exported.tables
+    };
+
+    const bucket = env.R2.getBucket(BACKUP_CONFIG.BUCKET);
+    await bucket.put(keys.dump, dump.body, {
+      httpMetadata: { contentType: 'application/gzip' },
+      customMetadata: { backupId, sha256: dump.sha256 }
+    });
+    await bucket.put(keys.storage, zlib.gzipSync(JSON.stringify(storage)), {
+      httpMetadata: { contentType: 'application/gzip' },
+      customMetadata: { backupId }
+    });
+    await bucket.put(keys.manifest, JSON.stringify(manifest, null, 2), {
+      httpMetadata: { contentType: 'application/json' },
+      customMetadata: { backupId }
+    });
+
+    await recordRun(env.DB, {
+      backupId,
+      operation: 'backup',
+      triggeredBy,
+      status: 'success',
+      tableCount: manifest.tables.length,
+      totalRows: manifest.totalRows,
+      dumpBytes: dump.bytes,
+      compressedBytes: dump.body.length,
+      storageObjects,
+      durationMs: Date.now() - startTime,
+      details: { snapshot: manifest.snapshot }
+    });
+
+    let deleted = [];
+    try {
+      deleted = await applyRetention(env, now);
+    } catch (error) {
+      // Retention failing shouldn't fail the backup
+      console.error('[Backup] Retention cleanup failed:', error);
+    }
+
+    return { backupId, manifest, deleted };
+  } catch (error) {
+    await recordRun(env.DB, {
+      backupId,
+      operation: 'backup',
+      triggeredBy,
+      status: 'failed',
+      durationMs: Date.now() - startTime,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Backups in the bucket, newest first
+ *
+ * @returns {Promise<Array<Object>>} [{ backupId, createdAt, complete, keys }]
+ */
+export async function listBackups(env) {
+  const objects = await listAllObjects(env.R2.getBucket(BACKUP_CONFIG.BUCKET), BACKUP_CONFIG.PREFIX);
+  const backups = new Map();
+
+  for (const object of objects) {
+    const [backupId, file] = object.key.slice(BACKUP_CONFIG.PREFIX.length).split('/');
+    if (!backupId || !file) {
+      continue;
+    }
+    if (!backups.has(backupId)) {
+      backups.set(backupId, {
+        backupId,
+        createdAt: parseBackupId(backupId) || new Date(object.uploaded),
+        complete: false,
+        keys: []
+      });
+    }
+    const backup = backups.get(backupId);
+    backup.keys.push(object.key);
+    if (file === 'manifest.json') {
+      backup.complete = true;
+    }
+  }
+
+  return [...backups.values()].sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Decide which backups the retention policy no longer keeps
+ *
+ * Keeps every backup younger than `daily` days, the first backup of each
+ * of the last `monthly` calendar months and of each of the last `yearly`
+ * calendar years, and always the newest complete backup. Incomplete
+ * backups (no manifest) are dropped once they are a day old.
+ *
+ * @param {Array<Object>} backups - From listBackups
+ * @param {Date} now
+ * @param {Object} retention - { daily, monthly, yearly }
+ * @returns {Array<Object>} Backups to delete
+ */
+export function selectBackupsToDelete(backups, now = new Date(), retention = BACKUP_CONFIG.RETENTION) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const complete = backups.filter(b => b.complete).sort((a, b) => a.createdAt - b.createdAt);
+  const newest = complete[complete.length - 1];
+  const firstOfMonth = new Set();
+  const firstOfYear = new Set();
+  const seenMonths = new Set();
+  const seenYears = new Set();
+
+  for (const backup of complete) {
+    const year = backup.createdAt.getUTCFullYear();
+    const month = `${year}-${backup.createdAt.getUTCMonth()}`;
+    if (!seenMonths.has(month)) {
+      seenMonths.add(month);
+      firstOfMonth.add(backup);
+    }
+    if (!seenYears.has(year)) {
+      seenYears.add(year);
+      firstOfYear.add(backup);
+    }
+  }
+
+  const nowMonths = now.getUTCFullYear() * 12 + now.getUTCMonth();
+  return backups.filter(backup => {
+    const age = now - backup.createdAt;
+    if (!backup.complete) {
+      return age > BACKUP_CONFIG.INCOMPLETE_GRACE_HOURS * 60 * 60 * 1000;
+    }
+    const monthsAgo = nowMonths - (backup.createdAt.getUTCFullYear() * 12 + backup.createdAt.getUTCMonth());
+    const yearsAgo = now.getUTCFullYear() - backup.createdAt.getUTCFullYear();
+    const keep = backup === newest
+      || age < retention.daily * dayMs
+      || (firstOfMonth.has(backup) && monthsAgo < retention.monthly)
+      || (firstOfYear.has(backup) && yearsAgo < retention.yearly);
+    return !keep;
+  });
+}
+
+/**
+ * Delete backups the retention policy no longer keeps
+ *
+ * @returns {Promise<Array<string>>} Deleted backup IDs
+ */
+export async function applyRetention(env, now = new Date()) {
+  const bucket = env.R2.getBucket(BACKUP_CONFIG.BUCKET);
+  const expired = selectBackupsToDelete(await listBackups(env), now);
+
+  for (const backup of expired) {
+    // Manifest first, so a partly deleted backup reads as incomplete
+    const ordered = [...backup.keys].sort((a, b) => Number(b.endsWith('manifest.json')) - Number(a.endsWith('manifest.json')));
+    for (const key of ordered) {
+      await bucket.delete(key);
+    }
+  }
+  if (expired.length > 0) {
+    console.log(`[Backup] Retention removed ${expired.length} backups`);
+  }
+  return expired.map(backup => backup.backupId);
+}
+
+// ============================================================================
+// RESTORE
+// ============================================================================
+
+/**
+ * Download a backup and check the dump against its manifest
+ *
+ * @param {string} backupId - A backup ID, or 'latest'
+ * @returns {Promise<Object>} { manifest, dump: SQL text, storage: storage manifest or null }
+ */
+export async function loadBackup(env, backupId) {
+  if (backupId === 'latest') {
+    const latest = (await listBackups(env)).find(backup => backup.complete);
+    if (!latest) {
+      throw new NotFoundError('Backup', 'latest');
+    }
+    backupId = latest.backupId;
+  }
+
+  const bucket = env.R2.getBucket(BACKUP_CONFIG.BUCKET);
+  const keys = backupKeys(backupId);
+  const manifestObject = await bucket.get(keys.manifest);
+  if (!manifestObject) {
+    throw new NotFoundError('Backup', backupId);
+  }
+  const manifest = JSON.parse(await manifestObject.text());
+  if (manifest.formatVersion !== BACKUP_CONFIG.FORMAT_VERSION) {
+    throw new ValidationError(`Backup ${backupId} has format version ${manifest.formatVersion}; this restore reads version ${BACKUP_CONFIG.FORMAT_VERSION}`);
+  }
+
+  const dumpObject = await bucket.get(keys.dump);
+  if (!dumpObject) {
+    throw new BackupVerificationError(`Backup ${backupId} is missing its dump`);
+  }
+  const dump = zlib.gunzipSync(Buffer.from(await dumpObject.arrayBuffer()));
+  const sha256 = crypto.createHash('sha256').update(dump).digest('hex');
+  if (sha256 !== manifest.dump.sha256) {
+    throw new BackupVerificationError(`Backup ${backupId} dump does not match the checksum in its manifest`, {
+      expected: manifest.dump.sha256,
+      actual: sha256
+    });
+  }
+
+  const storageObject = await bucket.get(keys.storage);
+  const storage = storageObject
+    ? JSON.parse(zlib.gunzipSync(Buffer.from(await storageObject.arrayBuffer())).toString('utf8'))
+    : null;
+
+  return { manifest, dump: dump.toString('utf8'), storage };
+}
+
+/**
+ * Insert a COPY block's rows with batched parameterized INSERTs
+ * (node-pg has no COPY FROM STDIN); values are sent as text and
+ * converted by Postgres exactly as COPY would.
+ */
+async function insertCopyRows(client, { table, columns, lines }) {
+  if (lines.length === 0) {
+    return;
+  }
+  const batchSize = Math.max(1, Math.floor(BACKUP_CONFIG.MAX_INSERT_PARAMS / columns.length));
+
+  for (let offset = 0; offset < lines.length; offset += batchSize) {
+    const batch = lines.slice(offset, offset + batchSize);
+    const params = [];
+    const tuples = batch.map(line => {
+      const values = parseCopyLine(line);
+      if (values.length !== columns.length) {
+        throw new BackupVerificationError(`COPY row for ${table} has ${values.length} values, expected ${columns.length}`);
+      }
+      return `(${values.map(value => {
+        params.push(value);
+        return `$${params.length}`;
+      }).join(', ')})`;
+    });
+    await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) OVERRIDING SYSTEM VALUE VALUES ${tuples.join(', ')}`,
+      params
+    );
+  }
+}
+
+/**
+ * Compare every table in the manifest with the database's contents
+ * Must run inside a transaction.
+ *
+ * @returns {Promise<Object>} { ok, mismatched: [table names], tables: [{ table, expectedRows, actualRows, checksumMatch, ok }] }
+ */
+export async function verifyTables(client, manifest) {
+  await applyTextSettings(client);
+
+  const tables = [];
+  for (const expected of manifest.tables) {
+    const actual = await scanTable(client, expected.name, expected.columns);
+    const checksumMatch = actual.checksum === expected.checksum;
+    tables.push({
+      table: expected.name,
+      expectedRows: expected.rows,
+      actualRows: actual.rows,
+      checksumMatch,
+      ok: actual.rows === expected.rows && checksumMatch
+    });
+  }
+
+  const mismatched = tables.filter(table => !table.ok).map(table => table.table);
+  return { ok: mismatched.length === 0, mismatched, tables };
+}
+
+/**
+ * Replace a database's schema with a backup and verify it, in one transaction
+ *
+ * @param {Object} db - Database adapter to restore into
+ * @param {Object} backup - From loadBackup
+ * @param {Object} options - { keepOnMismatch: commit even if verification fails (scratch databases, for inspection) }
+ * @returns {Promise<Object>} Verification result (see verifyTables)
+ */
+export async function restoreInto(db, backup, { keepOnMismatch = false } = {}) {
+  const schema = quoteIdent(BACKUP_CONFIG.SCHEMA);
+
+  return db.withClient(async client => {
+    await client.query('BEGIN');
+    try {
+      await client.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+      await client.query(`CREATE SCHEMA ${schema}`);
+
+      for (const item of scanDump(backup.dump)) {
+        if (item.type === 'copy') {
+          await insertCopyRows(client, item);
+        } else {
+          await client.query(item.sql);
+        }
+      }
+
+      const verification = await verifyTables(client, backup.manifest);
+      await client.query(verification.ok || keepOnMismatch ? 'COMMIT' : 'ROLLBACK');
+      return verification;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  });
+}
+
+/**
+ * Restore a backup: into a scratch database first, then (if asked and the
+ * scratch copy verified) over production
+ *
+ * @param {Object} env - DB (production), R2
+ * @param {string} backupId - A backup ID, or 'latest'
+ * @param {Object} options - { scratchDb: database adapter for the scratch database, promote, triggeredBy }
+ * @returns {Promise<Object>} { backupId, verified, promoted, scratch, production, storage }
+ * @throws {BackupVerificationError} When the scratch or production copy doesn't match the manifest
+ */
+export async function restoreBackup(env, backupId, { scratchDb, promote = false, triggeredBy = 'manual' } = {}) {
+  if (!scratchDb) {
+    throw new ValidationError('A scratch database is required: backups are verified there before anything else');
+  }
+  if (scratchDb === env.DB) {
+    throw new ValidationError('The scratch database must not be the production database');
+  }
+
+  const startTime = Date.now();
+  const backup = await loadBackup(env, backupId);
+  const { manifest } = backup;
+
+  const scratch = await restoreInto(scratchDb, backup, { keepOnMismatch: true });
+  const storage = backup.storage ? await checkStorageManifest(env, backup.storage) : null;
+  const verifyRun = {
+    backupId: manifest.backupId,
+    operation: 'verify',
+    triggeredBy,
+    status: scratch.ok ? 'success' : 'failed',
+    tableCount: manifest.tables.length,
+    totalRows: manifest.totalRows,
+    durationMs: Date.now() - startTime,
+    details: { tables: scratch.tables, storage }
+  };
+
+  if (!scratch.ok) {
+    verifyRun.error = `Mismatched tables: ${scratch.mismatched.join(', ')}`;
+    await recordRun(env.DB, verifyRun);
+    throw new BackupVerificationError(
+      `Backup ${manifest.backupId} failed verification in the scratch database (${scratch.mismatched.join(', ')})`,
+      { scratch, storage }
+    );
+  }
+  if (!promote) {
+    await recordRun(env.DB, verifyRun);
+    return { backupId: manifest.backupId, verified: true, promoted: false, scratch, storage };
+  }
+
+  const production = await restoreInto(env.DB, backup, { keepOnMismatch: false });
+  if (!production.ok) {
+    await recordRun(env.DB, { ...verifyRun, operation: 'restore', status: 'failed', error: `Rolled back; mismatched tables: ${production.mismatched.join(', ')}` });
+    throw new BackupVerificationError(
+      `Restoring ${manifest.backupId} over production did not verify (${production.mismatched.join(', ')}); the restore was rolled back`,
+      { production }
+    );
+  }
+
+  // Recorded after the restore, which replaced backup_runs with the backup's copy
+  await recordRun(env.DB, verifyRun);
+  await recordRun(env.DB, {
+    ...verifyRun,
+    operation: 'restore',
+    durationMs: Date.now() - startTime,
+    details: { tables: production.tables, storage }
+  });
+
+  return { backupId: manifest.backupId, verified: true, promoted: true, scratch, production, storage };
+}
+
+export default {
+  BACKUP_CONFIG,
+  BackupVerificationError,
+  escapeCopyValue,
+  parseCopyLine,
+  createTableChecksum,
+  scanDump,
+  scanTable,
+  exportDatabase,
+  exportStorageManifest,
+  checkStorageManifest,
+  createBackup,
+  listBackups,
+  selectBackupsToDelete,
+  applyRetention,
+  loadBackup,
+  verifyTables,
+  restoreInto,
+  restoreBackup
+};
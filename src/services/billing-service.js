@@ -0,0 +1,898 @@
+/**
+ * Usage-Metered Billing
+ *
+ * AI analysis is billed by the tokens it consumes. Every LLM call the client
+ * tracks (services/llm-client.js) is logged to cost_tracking and then metered
+ * here, drawing on, in order:
+ *
+ *   1. the plan's allowance for the billing period (TOKEN_ALLOWANCES)
+ *   2. prepaid credit packs (credit_grants, oldest first)
+ *   3. overage on the subscription's metered item, reported to Stripe as
+ *      billing meter events in 1,000-token units
+ *
+ * Usage nothing can pay for (no allowance or credits left, no metered item)
+ * is recorded as uncovered. estimateAnalysis runs the same split on the
+ * estimated tokens before an analysis starts, and analyses that would run
+ * uncovered are refused with a 402.
+ *
+ * A billing period is the subscription's current period, or the calendar
+ * month (UTC) without a paid subscription. Each metered call is written to
+ * usage_ledger next to the cost_tracking row it came from, so getUsageLedger
+ * can reconcile a period's charges with the costs logged for it.
+ *
+ * Overage is reported as soon as it fills a whole unit; the remainder is
+ * rounded up once the period has ended. reportPendingOverage (run hourly by
+ * workers/scheduled-jobs-worker.js) retries reports that failed.
+ */
+
+import crypto from 'crypto';
+import { estimateAnalysisTokens, estimateAnalysisCost } from '../utils/cost-utils.js';
+import { getStripeClient } from '../utils/stripe-client.js';
+import { ValidationError, NotFoundError, PaymentRequiredError, ServerError } from '../utils/error-handling.js';
+
+export const BILLING_CONFIG = {
+  TOKENS_PER_UNIT: 1000, // Overage is billed per 1,000 tokens
+  OVERAGE_CENTS_PER_UNIT: 1, // Must match the STRIPE_PRICE_AI_OVERAGE unit amount
+  METER_EVENT_NAME: 'ai_tokens', // Overridden by STRIPE_METER_EVENT_NAME
+  MAX_DRAW_ATTEMPTS: 5, // Optimistic retries when another call draws at the same time
+  DRAW_RETRY_DELAY_MS: 25, // Backoff between draw attempts, times the attempt number
+  MISSING_ITEM_RETRY_SECONDS: 24 * 3600 // Overage with nothing to report against is retried daily
+};
+
+/**
+ * Tokens included per billing period, by plan
+ */
+export const TOKEN_ALLOWANCES = {
+  free: 200_000,
+  pro: 5_000_000,
+  enterprise: 25_000_000
+};
+
+/**
+ * Prepaid token packs (price in cents)
+ */
+export const CREDIT_PACKS = {
+  starter: { name: 'Starter Pack', tokens: 1_000_000, price: 1000 },
+  author: { name: 'Author Pack', tokens: 5_000_000, price: 4500 },
+  studio: { name: 'Studio Pack', tokens: 20_000_000, price: 16000 }
+};
+
+// Subscriptions whose plan (and metered item) still apply
+const BILLABLE_STATUSES = ['active', 'trialing', 'past_due'];
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function roundTo(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Subscription periods are stored as unix seconds or timestamps depending on the writer
+function toSeconds(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return Math.floor(value.getTime() / 1000);
+  }
+  if (/^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+function calendarMonth(now) {
+  const date = new Date(now * 1000);
+  return {
+    start: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000,
+    end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 1000
+  };
+}
+
+function realCustomerId(customerId) {
+  return customerId && !customerId.startsWith('default_') ? customerId : null;
+}
+
+/**
+ * Split tokens across allowance, credits and overage
+ *
+ * @param {number} tokens - Tokens to pay for
+ * @param {Object} available - { included, credits, overage } (overage: whether it can be billed)
+ * @returns {Object} { included, credits, overage, uncovered }
+ */
+export function splitTokens(tokens, available) {
+  const included = Math.min(tokens, Math.max(0, available.included));
+  const credits = Math.min(tokens - included, Math.max(0, available.credits));
+  const rest = tokens - included - credits;
+  return {
+    included,
+    credits,
+    overage: available.overage ? rest : 0,
+    uncovered: available.overage ? 0 : rest
+  };
+}
+
+function periodFromRow(row) {
+  return {
+    userId: row.user_id,
+    periodStart: Number(row.period_start),
+    periodEnd: Number(row.period_end),
+    planType: row.plan_type,
+    subscriptionId: row.subscription_id,
+    includedTokens: Number(row.included_tokens),
+    includedUsed: Number(row.included_used),
+    creditTokensUsed: Number(row.credit_tokens_used),
+    overageTokens: Number(row.overage_tokens),
+    uncoveredTokens: Number(row.uncovered_tokens),
+    overageUnitsReported: Number(row.overage_units_reported)
+  };
+}
+
+function ledgerEntryFromRow(row) {
+  return {
+    id: row.id,
+    costTrackingId: row.cost_tracking_id,
+    manuscriptId: row.manuscript_id,
+    featureName: row.feature_name,
+    operation: row.operation,
+    model: row.model,
+    tokens: Number(row.tokens),
+    fundedBy: {
+      included: Number(row.included_tokens),
+      credits: Number(row.credit_tokens),
+      overage: Number(row.overage_tokens),
+      uncovered: Number(row.uncovered_tokens)
+    },
+    creditCents: roundTo(Number(row.credit_cents), 4),
+    costUSD: Number(row.cost_usd),
+    createdAt: Number(row.created_at)
+  };
+}
+
+// ============================================================================
+// ACCOUNTS AND PERIODS
+// ============================================================================
+
+/**
+ * The plan, billing period and metered item that apply to a user now
+ *
+ * @param {Object} env - Environment bindings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { userId, planType, includedTokens, subscriptionId,
+ *   stripeCustomerId, meteredItemId, periodStart, periodEnd }
+ */
+export async function getBillingAccount(env, userId, now = nowSeconds()) {
+  const subscription = await env.DB.prepare(`
+    SELECT id, plan_type, status, stripe_customer_id, stripe_subscription_id, stripe_metered_item_id,
+           current_period_start, current_period_end
+    FROM subscriptions
+    WHERE user_id = ? AND status IN (${BILLABLE_STATUSES.map(() => '?').join(', ')})
+    ORDER BY created_at DESC
+    LIMIT 1
+  `).bind(userId, ...BILLABLE_STATUSES).first();
+
+  const planType = subscription && TOKEN_ALLOWANCES[subscription.plan_type] !== undefined
+    ? subscription.plan_type
+    : 'free';
+  const paid = Boolean(subscription?.stripe_subscription_id);
+
+  let period = calendarMonth(now);
+  const start = toSeconds(subscription?.current_period_start);
+  const end = toSeconds(subscription?.current_period_end);
+  if (paid && start !== null && end !== null && start <= now && now < end) {
+    period = { start, end };
+  }
+
+  return {
+    userId,
+    planType,
+    includedTokens: TOKEN_ALLOWANCES[planType],
+    subscriptionId: subscription?.id ?? null,
+    stripeCustomerId: realCustomerId(subscription?.stripe_customer_id),
+    meteredItemId: paid ? subscription.stripe_metered_item_id || null : null,
+    periodStart: period.start,
+    periodEnd: period.end
+  };
+}
+
+async function loadPeriod(env, userId, periodStart) {
+  const row = await env.DB.prepare(
+    'SELECT * FROM usage_periods WHERE user_id = ? AND period_start = ?'
+  ).bind(userId, periodStart).first();
+  return row ? periodFromRow(row) : null;
+}
+
+async function ensurePeriod(env, account, now) {
+  await env.DB.prepare(`
+    INSERT INTO usage_periods (
+      user_id, period_start, period_end, plan_type, subscription_id, included_tokens, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (user_id, period_start) DO NOTHING
+  `).bind(
+    account.userId,
+    account.periodStart,
+    account.periodEnd,
+    account.planType,
+    account.subscriptionId,
+    account.includedTokens,
+    now,
+    now
+  ).run();
+
+  return loadPeriod(env, account.userId, account.periodStart);
+}
+
+/**
+ * Tokens left in a user's unused credit packs
+ */
+export async function getCreditBalance(env, userId) {
+  const row = await env.DB.prepare(
+    'SELECT COALESCE(SUM(tokens_remaining), 0) AS balance FROM credit_grants WHERE user_id = ? AND tokens_remaining > 0'
+  ).bind(userId).first();
+  return Number(row?.balance || 0);
+}
+
+/**
+ * Usage so far in the current billing period
+ *
+ * @param {Object} env - Environment bindings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Allowance, credit balance and overage for the period
+ */
+export async function getUsageSummary(env, userId, now = nowSeconds()) {
+  const account = await getBillingAccount(env, userId, now);
+  const period = await loadPeriod(env, userId, account.periodStart);
+  const creditBalance = await getCreditBalance(env, userId);
+
+  const includedTokens = period?.includedTokens ?? account.includedTokens;
+  const includedUsed = period?.includedUsed ?? 0;
+
+  return {
+    planType: account.planType,
+    periodStart: account.periodStart,
+    periodEnd: account.periodEnd,
+    includedTokens,
+    includedUsed,
+    includedRemaining: Math.max(0, includedTokens - includedUsed),
+    creditBalance,
+    creditTokensUsed: period?.creditTokensUsed ?? 0,
+    overageTokens: period?.overageTokens ?? 0,
+    overageUnitsReported: period?.overageUnitsReported ?? 0,
+    uncoveredTokens: period?.uncoveredTokens ?? 0,
+    overageBillable: Boolean(account.meteredItemId),
+    tokensPerUnit: BILLING_CONFIG.TOKENS_PER_UNIT,
+    overageCentsPerUnit: BILLING_CONFIG.OVERAGE_CENTS_PER_UNIT
+  };
+}
+
+// ============================================================================
+// ESTIMATES
+// ============================================================================
+
+/**
+ * Estimate what analyzing a manuscript will use and what will pay for it
+ *
+ * @param {Object} env - Environment bindings
+ * @param {Object} manuscript - Row with id, user_id (billed) and word_count
+ * @returns {Promise<Object>} { manuscriptId, wordCount, estimatedTokens, estimatedCostUSD,
+ *   coverage, estimatedChargeCents, canStart }
+ */
+export async function estimateAnalysis(env, manuscript, now = nowSeconds()) {
+  const wordCount = Number(manuscript.word_count) || 0;
+  const { inputTokens, outputTokens } = estimateAnalysisTokens(wordCount);
+  const estimatedTokens = inputTokens + outputTokens;
+
+  const usage = await getUsageSummary(env, manuscript.user_id, now);
+  const coverage = splitTokens(estimatedTokens, {
+    included: usage.includedRemaining,
+    credits: usage.creditBalance,
+    overage: usage.overageBillable
+  });
+
+  return {
+    manuscriptId: manuscript.id,
+    wordCount,
+    estimatedTokens,
+    estimatedCostUSD: roundTo(estimateAnalysisCost(wordCount), 4),
+    coverage,
+    estimatedChargeCents: Math.ceil(coverage.overage / BILLING_CONFIG.TOKENS_PER_UNIT) * BILLING_CONFIG.OVERAGE_CENTS_PER_UNIT,
+    canStart: coverage.uncovered === 0
+  };
+}
+
+/**
+ * Refuse an analysis the owner's allowance, credits and overage can't cover
+ *
+ * @returns {Promise<Object>} The estimate
+ * @throws {PaymentRequiredError} With the estimate as details.estimate
+ */
+export async function assertAnalysisAffordable(env, manuscript, now = nowSeconds()) {
+  const estimate = await estimateAnalysis(env, manuscript, now);
+  if (!estimate.canStart) {
+    throw new PaymentRequiredError(
+      'Not enough AI token allowance or credits for this analysis. Buy a credit pack or upgrade your plan.',
+      { estimate }
+    );
+  }
+  return estimate;
+}
+
+// ============================================================================
+// METERING
+// ============================================================================
+
+// Thrown inside the metering transaction when a balance changed after it was read
+class DrawConflictError extends Error {}
+
+/**
+ * Work out what pays for a call's tokens from the current balances
+ *
+ * @returns {Promise<Object>} { included, grants: [{ id, tokens }], credits, cents, overage, uncovered }
+ */
+async function planDraw(env, period, tokens, overageBillable) {
+  const row = await env.DB.prepare(
+    'SELECT included_tokens, included_used FROM usage_periods WHERE user_id = ? AND period_start = ?'
+  ).bind(period.userId, period.periodStart).first();
+  const included = Math.min(tokens, Math.max(0, Number(row.included_tokens) - Number(row.included_used)));
+  let needed = tokens - included;
+  let credits = 0;
+  let cents = 0;
+  const grants = [];
+
+  const { results } = needed > 0
+    ? await env.DB.prepare(`
+        SELECT id, tokens, tokens_remaining, amount_cents FROM credit_grants
+        WHERE user_id = ? AND tokens_remaining > 0
+        ORDER BY created_at, id
+      `).bind(period.userId).all()
+    : { results: [] };
+
+  for (const grant of results) {
+    if (needed === 0) {
+      break;
+    }
+    const take = Math.min(needed, Number(grant.tokens_remaining));
+    grants.push({ id: grant.id, tokens: take });
+    credits += take;
+    cents += take * Number(grant.amount_cents) / Number(grant.tokens);
+    needed -= take;
+  }
+
+  const overage = overageBillable ? needed : 0;
+  return { included, grants, credits, cents, overage, uncovered: needed - overage };
+}
+
+/**
+ * Charge one LLM call's tokens to its user
+ *
+ * The allowance and credit draws and the ledger entry are written in one
+ * transaction. Each draw is a conditional update on the balance read when
+ * planning; if another call drew first, the transaction is rolled back and
+ * the draw planned again after a short backoff. A call that keeps losing
+ * the race fails rather than being billed as overage while balance is left.
+ *
+ * @param {Object} env - Environment bindings (STRIPE_* to report overage)
+ * @param {Object} usage - { userId, costTrackingId, manuscriptId, featureName, operation, model,
+ *                           inputTokens, outputTokens, costUSD }
+ * @returns {Promise<Object|null>} The ledger entry, or null when there was nothing to meter
+ * @throws {ServerError} When every draw attempt lost to a concurrent call
+ */
+export async function meterUsage(env, usage, now = nowSeconds()) {
+  const tokens = Math.max(0, Math.round((usage.inputTokens || 0) + (usage.outputTokens || 0)));
+  if (!usage.userId || tokens === 0) {
+    return null;
+  }
+
+  const account = await getBillingAccount(env, usage.userId, now);
+  const period = await ensurePeriod(env, account, now);
+  const id = crypto.randomUUID();
+
+  let draw;
+  for (let attempt = 1; !draw && attempt <= BILLING_CONFIG.MAX_DRAW_ATTEMPTS; attempt++) {
+    if (attempt > 1) {
+      await new Promise(resolve => setTimeout(resolve, BILLING_CONFIG.DRAW_RETRY_DELAY_MS * (attempt - 1)));
+    }
+    const plan = await planDraw(env, period, tokens, Boolean(account.meteredItemId));
+
+    try {
+      await env.DB.transaction(async tx => {
+        const periodUpdate = await tx.prepare(`
+          UPDATE usage_periods
+          SET included_used = included_used + ?, credit_tokens_used = credit_tokens_used + ?,
+              overage_tokens = overage_tokens + ?, uncovered_tokens = uncovered_tokens + ?, updated_at = ?
+          WHERE user_id = ? AND period_start = ? AND (? = 0 OR included_tokens - included_used >= ?)
+        `).bind(
+          plan.included, plan.credits, plan.overage, plan.uncovered, now,
+          usage.userId, period.periodStart, plan.included, plan.included
+        ).run();
+        if (!periodUpdate.meta?.changes) {
+          throw new DrawConflictError();
+        }
+
+        for (const grant of plan.grants) {
+          const grantUpdate = await tx.prepare(
+            'UPDATE credit_grants SET tokens_remaining = tokens_remaining - ? WHERE id = ? AND tokens_remaining >= ?'
+          ).bind(grant.tokens, grant.id, grant.tokens).run();
+          if (!grantUpdate.meta?.changes) {
+            throw new DrawConflictError();
+          }
+        }
+
+        await tx.prepare(`
+          INSERT INTO usage_ledger (
+            id, user_id, cost_tracking_id, manuscript_id, feature_name, operation, model, period_start,
+            tokens, included_tokens, credit_tokens, credit_cents, overage_tokens, uncovered_tokens, cost_usd, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          id,
+          usage.userId,
+          usage.costTrackingId || null,
+          usage.manuscriptId || null,
+          usage.featureName || null,
+          usage.operation || null,
+          usage.model || null,
+          period.periodStart,
+          tokens,
+          plan.included,
+          plan.credits,
+          plan.cents,
+          plan.overage,
+          plan.uncovered,
+          usage.costUSD || 0,
+          now
+        ).run();
+      });
+      draw = plan;
+    } catch (error) {
+      if (!(error instanceof DrawConflictError)) {
+        throw error;
+      }
+    }
+  }
+
+  if (!draw) {
+    throw new ServerError('Could not record AI usage', { userId: usage.userId, periodStart: period.periodStart, tokens });
+  }
+  if (draw.uncovered > 0) {
+    console.warn(`[Billing] ${draw.uncovered} tokens for user ${usage.userId} could not be covered`);
+  }
+  if (draw.overage > 0) {
+    await reportOverage(env, usage.userId, period.periodStart, now);
+  }
+
+  return {
+    id,
+    userId: usage.userId,
+    costTrackingId: usage.costTrackingId || null,
+    periodStart: period.periodStart,
+    tokens,
+    fundedBy: { included: draw.included, credits: draw.credits, overage: draw.overage, uncovered: draw.uncovered },
+    creditCents: roundTo(draw.cents, 4)
+  };
+}
+
+// ============================================================================
+// OVERAGE REPORTING
+// ============================================================================
+
+/**
+ * Report a period's unreported overage to Stripe as a billing meter event
+ *
+ * Only whole units are reported while the period is open; once it has ended
+ * the remainder is rounded up. Failures are recorded and left for
+ * reportPendingOverage to retry, including overage on a subscription that
+ * has since lost its Stripe customer or metered item (retried daily, since
+ * only a fix to the subscription will let it through).
+ *
+ * @param {Object} env - Environment bindings (STRIPE_SECRET_KEY, optional STRIPE_API_BASE)
+ * @param {string} userId - User ID
+ * @param {number} periodStart - Period start (unix seconds)
+ * @returns {Promise<Object|null>} { units, identifier, status, error? }, or null when nothing was due
+ */
+export async function reportOverage(env, userId, periodStart, now = nowSeconds()) {
+  const period = await loadPeriod(env, userId, periodStart);
+  if (!period || !period.subscriptionId) {
+    return null;
+  }
+
+  const closed = now >= period.periodEnd;
+  const exactUnits = period.overageTokens / BILLING_CONFIG.TOKENS_PER_UNIT;
+  const totalUnits = closed ? Math.ceil(exactUnits) : Math.floor(exactUnits);
+  const units = totalUnits - period.overageUnitsReported;
+  if (units <= 0) {
+    return null;
+  }
+
+  const subscription = await env.DB.prepare(
+    'SELECT id, stripe_customer_id, stripe_metered_item_id FROM subscriptions WHERE id = ?'
+  ).bind(period.subscriptionId).first();
+  const customerId = realCustomerId(subscription?.stripe_customer_id);
+  const identifier = `overage:${userId}:${periodStart}:${totalUnits}`;
+
+  // Overage was billed to this subscription but there is nothing left to report it
+  // against; record the failure so the units show up as owed instead of vanishing
+  const missing = !subscription ? 'Subscription no longer exists'
+    : !customerId ? 'Subscription has no Stripe customer'
+    : !subscription.stripe_metered_item_id ? 'Subscription has no metered overage item'
+    : null;
+  if (missing) {
+    console.error(`[Billing] Cannot report ${units} overage units for user ${userId}: ${missing}`);
+    await env.DB.prepare(
+      'UPDATE usage_periods SET overage_retry_after = ?, updated_at = ? WHERE user_id = ? AND period_start = ?'
+    ).bind(now + BILLING_CONFIG.MISSING_ITEM_RETRY_SECONDS, now, userId, periodStart).run();
+    await recordOverageReport(env, {
+      userId, subscription, periodStart, units, identifier, status: 'failed', error: missing
+    }, now);
+    return { units, identifier, status: 'failed', error: missing };
+  }
+
+  // Claim the units so concurrent reporters don't send them twice
+  const claim = await env.DB.prepare(`
+    UPDATE usage_periods SET overage_units_reported = ?, overage_retry_after = NULL, updated_at = ?
+    WHERE user_id = ? AND period_start = ? AND overage_units_reported = ?
+  `).bind(totalUnits, now, userId, periodStart, period.overageUnitsReported).run();
+  if (!claim.meta?.changes) {
+    return null;
+  }
+
+  let error = null;
+
+  try {
+    await getStripeClient(env).billing.meterEvents.create({
+      event_name: env.STRIPE_METER_EVENT_NAME || BILLING_CONFIG.METER_EVENT_NAME,
+      payload: { stripe_customer_id: customerId, value: String(units) },
+      identifier,
+      // Usage from an ended period is billed on that period's invoice
+      timestamp: Math.min(now, period.periodEnd - 1)
+    });
+  } catch (stripeError) {
+    error = stripeError.message;
+    console.error(`[Billing] Failed to report ${units} overage units for user ${userId}:`, error);
+
+    // Release the claim so the units are reported again
+    await env.DB.prepare(`
+      UPDATE usage_periods SET overage_units_reported = ?, updated_at = ?
+      WHERE user_id = ? AND period_start = ? AND overage_units_reported = ?
+    `).bind(period.overageUnitsReported, now, userId, periodStart, totalUnits).run();
+  }
+
+  const status = error ? 'failed' : 'reported';
+  await recordOverageReport(env, { userId, subscription, periodStart, units, identifier, status, error }, now);
+
+  return { units, identifier, status, ...(error && { error }) };
+}
+
+async function recordOverageReport(env, { userId, subscription, periodStart, units, identifier, status, error }, now) {
+  await env.DB.prepare(`
+    INSERT INTO metered_usage_reports (
+      id, user_id, subscription_id, stripe_subscription_item_id, period_start,
+      units, amount_cents, identifier, status, error, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (identifier) DO UPDATE SET status = excluded.status, error = excluded.error, created_at = excluded.created_at
+  `).bind(
+    crypto.randomUUID(),
+    userId,
+    subscription?.id || null,
+    subscription?.stripe_metered_item_id || null,
+    periodStart,
+    units,
+    units * BILLING_CONFIG.OVERAGE_CENTS_PER_UNIT,
+    identifier,
+    status,
+    error,
+    now
+  ).run();
+}
+
+/**
+ * Report overage that is due but not yet reported (failed reports, ended periods)
+ *
+ * Only periods with something reportOverage would send are picked: a whole
+ * unit unreported, or any remainder once the period has ended. Periods
+ * waiting out a missing metered item's retry delay are skipped, so they
+ * can't crowd newer periods out of the batch.
+ *
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} { reported, failed }
+ */
+export async function reportPendingOverage(env, now = nowSeconds()) {
+  const { results: periods } = await env.DB.prepare(`
+    SELECT user_id, period_start FROM usage_periods
+    WHERE overage_tokens > 0 AND subscription_id IS NOT NULL
+      AND (overage_retry_after IS NULL OR overage_retry_after <= ?)
+      AND (
+        (overage_units_reported + 1) * ? <= overage_tokens
+        OR (period_end <= ? AND overage_units_reported * ? < overage_tokens)
+      )
+    ORDER BY period_start
+    LIMIT 100
+  `).bind(now, BILLING_CONFIG.TOKENS_PER_UNIT, now, BILLING_CONFIG.TOKENS_PER_UNIT).all();
+
+  let reported = 0;
+  let failed = 0;
+
+  for (const row of periods) {
+    const report = await reportOverage(env, row.user_id, Number(row.period_start), now);
+    if (report?.status === 'reported') {
+      reported++;
+    } else if (report?.status === 'failed') {
+      failed++;
+    }
+  }
+
+  return { reported, failed };
+}
+
+/**
+ * The subscription item carrying the metered overage price, if any
+ *
+ * @param {Object} subscription - Stripe subscription (with items)
+ * @param {Object} env - Environment bindings (STRIPE_PRICE_AI_OVERAGE)
+ * @returns {string|null} Subscription item ID
+ */
+export function findMeteredItemId(subscription, env) {
+  const items = subscription?.items?.data || [];
+  const item = items.find(candidate => (env.STRIPE_PRICE_AI_OVERAGE
+    ? candidate.price?.id === env.STRIPE_PRICE_AI_OVERAGE
+    : candidate.price?.recurring?.usage_type === 'metered'));
+
+  // Without the item its usage past the allowance and credits goes uncovered
+  if (!item && items.length > 0) {
+    console.error(
+      `[Billing] Subscription ${subscription.id} has no metered overage item`,
+      { expectedPrice: env.STRIPE_PRICE_AI_OVERAGE || null, prices: items.map(candidate => candidate.price?.id) }
+    );
+  }
+  return item?.id ?? null;
+}
+
+// ============================================================================
+// CREDIT PACKS
+// ============================================================================
+
+/**
+ * Start a Stripe Checkout session for a credit pack
+ *
+ * @param {Object} env - Environment bindings
+ * @param {string} userId - Buyer
+ * @param {string} packId - Key of CREDIT_PACKS
+ * @returns {Promise<Object>} { sessionId, url }
+ * @throws {ValidationError|NotFoundError}
+ */
+export async function createCreditPackCheckout(env, userId, packId) {
+  const pack = CREDIT_PACKS[packId];
+  if (!pack) {
+    throw new ValidationError(`Unknown credit pack: ${packId}`, { packs: Object.keys(CREDIT_PACKS) });
+  }
+
+  const user = await env.DB.prepare('SELECT email FROM users WHERE id = ?').bind(userId).first();
+  if (!user) {
+    throw new NotFoundError('User', userId);
+  }
+
+  const stripe = getStripeClient(env);
+  const existing = await env.DB.prepare(
+    'SELECT stripe_customer_id FROM subscriptions WHERE user_id = ? ORDER BY created_at DESC LIMIT 1'
+  ).bind(userId).first();
+
+  let customerId = realCustomerId(existing?.stripe_customer_id);
+  if (!customerId) {
+    const customer = await stripe.customers.create({ email: user.email, metadata: { userId } });
+    customerId = customer.id;
+  }
+
+  const metadata = { userId, type: 'credit_pack', packId };
+  const frontendUrl = env.FRONTEND_URL || 'http://localhost:8787';
+  const session = await stripe.checkout.sessions.create({
+    customer: customerId,
+    mode: 'payment',
+    line_items: [{
+      price_data: {
+        currency: 'usd',
+        unit_amount: pack.price,
+        product_data: { name: `${pack.name} (${pack.tokens.toLocaleString('en-US')} AI tokens)` }
+      },
+      quantity: 1
+    }],
+    success_url: `${frontendUrl}/billing?credits=success&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${frontendUrl}/billing?canceled=true`,
+    metadata,
+    payment_intent_data: { metadata }
+  });
+
+  return { sessionId: session.id, url: session.url };
+}
+
+/**
+ * Add a purchased credit pack to the buyer's balance
+ * Idempotent per checkout session, so redelivered webhooks grant once.
+ *
+ * @param {Object} env - Environment bindings
+ * @param {Object} purchase - { userId, packId, checkoutSessionId, paymentIntentId, amountCents, currency }
+ * @returns {Promise<Object|null>} { id, packId, tokens }, or null if the session was already granted
+ * @throws {ValidationError} For an unknown pack
+ */
+export async function grantCreditPack(env, purchase, now = nowSeconds()) {
+  const pack = CREDIT_PACKS[purchase.packId];
+  if (!pack) {
+    throw new ValidationError(`Unknown credit pack: ${purchase.packId}`);
+  }
+
+  const grant = await env.DB.prepare(`
+    INSERT INTO credit_grants (
+      id, user_id, pack_id, tokens, tokens_remaining, amount_cents, currency,
+      stripe_checkout_session_id, stripe_payment_intent_id, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (stripe_checkout_session_id) DO NOTHING
+    RETURNING id
+  `).bind(
+    crypto.randomUUID(),
+    purchase.userId,
+    purchase.packId,
+    pack.tokens,
+    pack.tokens,
+    purchase.amountCents ?? pack.price,
+    purchase.currency || 'usd',
+    purchase.checkoutSessionId || null,
+    purchase.paymentIntentId || null,
+    now
+  ).first();
+
+  return grant ? { id: grant.id, packId: purchase.packId, tokens: pack.tokens } : null;
+}
+
+// ============================================================================
+// LEDGER
+// ============================================================================
+
+/**
+ * A billing period's metered usage, charges and logged costs, reconciled
+ *
+ * Every claude_api cost logged for the user in the period should have exactly
+ * one ledger entry; reconciliation lists the costs that were never metered
+ * and the entries whose cost is missing.
+ *
+ * @param {Object} env - Environment bindings
+ * @param {string} userId - User ID
+ * @param {Object} options - { periodStart } (default: the current period)
+ * @returns {Promise<Object>} { period, entries, charges, costs, reconciliation }
+ * @throws {NotFoundError} When periodStart names a period without usage
+ */
+export async function getUsageLedger(env, userId, { periodStart } = {}, now = nowSeconds()) {
+  const account = await getBillingAccount(env, userId, now);
+  const start = periodStart ?? account.periodStart;
+  const period = await loadPeriod(env, userId, start);
+
+  if (!period && periodStart !== undefined && periodStart !== account.periodStart) {
+    throw new NotFoundError('Usage period', String(periodStart));
+  }
+  const end = period?.periodEnd ?? account.periodEnd;
+
+  const [{ results: entryRows }, { results: costRows }, { results: reportRows }, { results: grantRows }] = await Promise.all([
+    env.DB.prepare(
+      'SELECT * FROM usage_ledger WHERE user_id = ? AND period_start = ? ORDER BY created_at, id'
+    ).bind(userId, start).all(),
+    env.DB.prepare(`
+      SELECT id, manuscript_id, feature_name, operation, cost_usd, tokens_input, tokens_output, created_at
+      FROM cost_tracking
+      WHERE user_id = ? AND cost_center = 'claude_api' AND created_at >= ? AND created_at < ?
+      ORDER BY created_at
+    `).bind(userId, start, end).all(),
+    env.DB.prepare(
+      'SELECT * FROM metered_usage_reports WHERE user_id = ? AND period_start = ? ORDER BY created_at'
+    ).bind(userId, start).all(),
+    env.DB.prepare(
+      'SELECT * FROM credit_grants WHERE user_id = ? AND created_at >= ? AND created_at < ? ORDER BY created_at'
+    ).bind(userId, start, end).all()
+  ]);
+
+  const entries = entryRows.map(ledgerEntryFromRow);
+  const loggedIds = new Set(costRows.map(cost => cost.id));
+  const meteredIds = new Set(entries.map(entry => entry.costTrackingId).filter(Boolean));
+
+  const sum = (items, pick) => items.reduce((total, item) => total + pick(item), 0);
+  const fundedBy = {
+    included: sum(entries, entry => entry.fundedBy.included),
+    credits: sum(entries, entry => entry.fundedBy.credits),
+    overage: sum(entries, entry => entry.fundedBy.overage),
+    uncovered: sum(entries, entry => entry.fundedBy.uncovered)
+  };
+
+  const reported = reportRows.filter(report => report.status === 'reported');
+  const overageReportedCents = sum(reported, report => Number(report.amount_cents));
+  const unitsReported = sum(reported, report => Number(report.units));
+  const unitsDue = Math.ceil(fundedBy.overage / BILLING_CONFIG.TOKENS_PER_UNIT);
+  const overagePendingCents = Math.max(0, unitsDue - unitsReported) * BILLING_CONFIG.OVERAGE_CENTS_PER_UNIT;
+  const creditsConsumedCents = roundTo(sum(entries, entry => entry.creditCents), 2);
+
+  const loggedUSD = sum(costRows, cost => Number(cost.cost_usd));
+  const loggedTokens = sum(costRows, cost => Number(cost.tokens_input || 0) + Number(cost.tokens_output || 0));
+  const meteredTokens = sum(entries, entry => entry.tokens);
+  const unmetered = costRows
+    .filter(cost => !meteredIds.has(cost.id))
+    .map(cost => ({
+      costTrackingId: cost.id,
+      manuscriptId: cost.manuscript_id,
+      featureName: cost.feature_name,
+      operation: cost.operation,
+      costUSD: Number(cost.cost_usd),
+      tokens: Number(cost.tokens_input || 0) + Number(cost.tokens_output || 0),
+      createdAt: Number(cost.created_at)
+    }));
+  const unlogged = entries.filter(entry => !entry.costTrackingId || !loggedIds.has(entry.costTrackingId));
+  const usageRevenueUSD = (creditsConsumedCents + overageReportedCents + overagePendingCents) / 100;
+
+  return {
+    period: {
+      start,
+      end,
+      planType: period?.planType ?? account.planType,
+      includedTokens: period?.includedTokens ?? account.includedTokens,
+      includedUsed: period?.includedUsed ?? 0,
+      creditTokensUsed: period?.creditTokensUsed ?? 0,
+      overageTokens: period?.overageTokens ?? 0,
+      uncoveredTokens: period?.uncoveredTokens ?? 0,
+      overageUnitsReported: period?.overageUnitsReported ?? 0
+    },
+    entries,
+    charges: {
+      creditPurchasesCents: sum(grantRows, grant => Number(grant.amount_cents)),
+      creditPurchases: grantRows.map(grant => ({
+        id: grant.id,
+        packId: grant.pack_id,
+        tokens: Number(grant.tokens),
+        tokensRemaining: Number(grant.tokens_remaining),
+        amountCents: Number(grant.amount_cents),
+        createdAt: Number(grant.created_at)
+      })),
+      creditsConsumedCents,
+      overageReportedCents,
+      overagePendingCents,
+      overageReports: reportRows.map(report => ({
+        identifier: report.identifier,
+        units: Number(report.units),
+        amountCents: Number(report.amount_cents),
+        status: report.status,
+        error: report.error,
+        createdAt: Number(report.created_at)
+      }))
+    },
+    costs: {
+      calls: costRows.length,
+      loggedUSD: roundTo(loggedUSD, 6),
+      loggedTokens,
+      meteredUSD: roundTo(sum(entries, entry => entry.costUSD), 6),
+      meteredTokens
+    },
+    reconciliation: {
+      balanced: unmetered.length === 0 && unlogged.length === 0 && loggedTokens === meteredTokens,
+      unmetered,
+      unlogged: unlogged.map(entry => entry.id),
+      fundedBy,
+      usageRevenueUSD: roundTo(usageRevenueUSD, 2),
+      marginUSD: roundTo(usageRevenueUSD - loggedUSD, 4)
+    }
+  };
+}
+
+export default {
+  BILLING_CONFIG,
+  TOKEN_ALLOWANCES,
+  CREDIT_PACKS,
+  splitTokens,
+  getBillingAccount,
+  getCreditBalance,
+  getUsageSummary,
+  estimateAnalysis,
+  assertAnalysisAffordable,
+  meterUsage,
+  reportOverage,
+  reportPendingOverage,
+  findMeteredItemId,
+  createCreditPackCheckout,
+  grantCreditPack,
+  getUsageLedger
+};
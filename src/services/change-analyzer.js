@@ -1,10 +1,10 @@
 /**
  * Claude-Powered Change Analyzer (MAN-50)
  *
- * Uses Claude API to analyze documentation changes and determine their significance
+ * Uses the LLM client to analyze documentation changes and determine their significance
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { createLLMClient } from './llm-client.js';
 
 /**
  * Build system prompt for change analysis
@@ -58,15 +58,15 @@ ${change.newText}
 }
 
 /**
- * Analyze documentation changes using Claude API
+ * Analyze documentation changes with the LLM client
  *
  * @param {string} platformId - Platform identifier
  * @param {string} platformName - Platform display name
  * @param {Array<Object>} changeExcerpts - Change excerpts to analyze
- * @param {string} apiKey - Claude API key
+ * @param {Object} env - Environment bindings (LLM configuration)
  * @returns {Promise<Object>} - Analysis results
  */
-export async function analyzeChanges(platformId, platformName, changeExcerpts, apiKey) {
+export async function analyzeChanges(platformId, platformName, changeExcerpts, env) {
   if (!changeExcerpts || changeExcerpts.length === 0) {
     return {
       overallCriticality: 'MINOR',
@@ -75,8 +75,6 @@ export async function analyzeChanges(platformId, platformName, changeExcerpts, a
     };
   }
 
-  const anthropic = new Anthropic({ apiKey });
-
   const systemPrompt = buildAnalysisPrompt(platformName);
   const changesText = formatChangesForAnalysis(changeExcerpts);
 
@@ -103,30 +101,23 @@ Respond in JSON format:
   try {
     console.log(`[ChangeAnalyzer] Analyzing ${changeExcerpts.length} changes for ${platformName}...`);
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
+    const { data: analysis, text: content } = await createLLMClient(env).completeJSON({
+      agent: 'ChangeAnalyzer',
+      operation: 'analyze_doc_changes',
       system: systemPrompt,
-      messages: [
-        { role: 'user', content: userPrompt },
-      ],
+      prompt: userPrompt,
+      maxTokens: 4000,
+      schema: {
+        type: 'object',
+        required: ['overall_criticality', 'summary'],
+        properties: {
+          overall_criticality: { type: 'string', enum: ['CRITICAL', 'IMPORTANT', 'MINOR'] },
+          changes: { type: 'array', items: { type: 'object' } },
+          summary: { type: 'string' },
+        },
+      },
     });
 
-    // Extract JSON from response
-    const content = response.content[0].text;
-
-    // Try to parse JSON (might be wrapped in markdown code blocks)
-    let jsonMatch = content.match(/```json\s*([\s\S]*?)\s*```/);
-    if (!jsonMatch) {
-      jsonMatch = content.match(/\{[\s\S]*\}/);
-    }
-
-    if (!jsonMatch) {
-      throw new Error('Failed to extract JSON from Claude response');
-    }
-
-    const analysis = JSON.parse(jsonMatch[0] || jsonMatch[1]);
-
     console.log(`[ChangeAnalyzer] Analysis complete: ${analysis.overall_criticality} - ${analysis.summary}`);
 
     return {
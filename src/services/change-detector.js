@@ -4,76 +4,190 @@
  * Detects and categorizes changes between documentation versions
  */
 
+export const DIFF_CONFIG = {
+  MAX_EDITS: 2000 // Past this many edits a region is reported as replaced wholesale
+};
+
+/**
+ * Shortest edit script between two sequences (Myers' O(ND) LCS algorithm)
+ * Common prefixes and suffixes are trimmed first. When the sequences differ
+ * by more than maxEdits items, the differing middle is reported as one
+ * removal and one addition instead of being searched further.
+ *
+ * @param {Array} oldItems - Previous sequence
+ * @param {Array} newItems - Current sequence
+ * @param {Object} options - { key: item => comparable value, maxEdits }
+ * @returns {Array<Object>} Runs of { type: 'equal'|'removed'|'added', oldIndex, newIndex, items }
+ */
+export function diffSequences(oldItems, newItems, options = {}) {
+  const { key = item => item, maxEdits = DIFF_CONFIG.MAX_EDITS } = options;
+  const a = oldItems.map(key);
+  const b = newItems.map(key);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let oldEnd = a.length;
+  let newEnd = b.length;
+  while (oldEnd > start && newEnd > start && a[oldEnd - 1] === b[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const runs = [];
+  const push = (type, oldIndex, newIndex) => {
+    const last = runs[runs.length - 1];
+    const item = type === 'added' ? newItems[newIndex] : oldItems[oldIndex];
+    if (last && last.type === type) {
+      last.items.push(item);
+    } else {
+      runs.push({ type, oldIndex, newIndex, items: [item] });
+    }
+  };
+
+  for (let i = 0; i < start; i++) {
+    push('equal', i, i);
+  }
+
+  const script = shortestEditScript(a, b, start, oldEnd, start, newEnd, maxEdits);
+  if (script) {
+    for (const [type, oldIndex, newIndex] of script) {
+      push(type, oldIndex, newIndex);
+    }
+  } else {
+    for (let i = start; i < oldEnd; i++) {
+      push('removed', i, start);
+    }
+    for (let j = start; j < newEnd; j++) {
+      push('added', oldEnd, j);
+    }
+  }
+
+  for (let i = oldEnd, j = newEnd; i < a.length; i++, j++) {
+    push('equal', i, j);
+  }
+
+  return runs;
+}
+
+/**
+ * Myers' greedy forward search with backtracking over the saved frontiers
+ * Returns [type, oldIndex, newIndex] steps, or null past maxEdits.
+ */
+function shortestEditScript(a, b, aStart, aEnd, bStart, bEnd, maxEdits) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const limit = Math.min(n + m, maxEdits);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  // Frontier of diagonal k after d edits lives at trace[d][k + d]
+  const frontier = (d, k) => trace[d][k + d];
+
+  for (let d = 0; d <= limit; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        return backtrack(trace, frontier, n, m, aStart, bStart);
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  return null;
+}
+
+function backtrack(trace, frontier, n, m, aStart, bStart) {
+  const steps = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const k = x - y;
+    const down = k === -d || (k !== d && frontier(d - 1, k - 1) < frontier(d - 1, k + 1));
+    const prevK = down ? k + 1 : k - 1;
+    const prevX = frontier(d - 1, prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      steps.push(['equal', aStart + x - 1, bStart + y - 1]);
+      x--;
+      y--;
+    }
+    if (down) {
+      steps.push(['added', aStart + x, bStart + y - 1]);
+    } else {
+      steps.push(['removed', aStart + x - 1, bStart + y]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  while (x > 0 && y > 0) {
+    steps.push(['equal', aStart + x - 1, bStart + y - 1]);
+    x--;
+    y--;
+  }
+
+  return steps.reverse();
+}
+
 /**
- * Simple diff algorithm using longest common subsequence (LCS)
- * For production, consider using a proper diff library
+ * Line-based diff built on diffSequences
+ * A removed block directly followed by an added block is reported line by
+ * line as modifications.
  *
  * @param {string} oldText - Previous version
  * @param {string} newText - Current version
  * @returns {Array<Object>} - Array of changes
  */
 function computeDiff(oldText, newText) {
-  // Split into lines for line-based diffing
-  const oldLines = oldText.split('\n');
-  const newLines = newText.split('\n');
-
+  const runs = diffSequences(oldText.split('\n'), newText.split('\n'));
   const changes = [];
-  let i = 0, j = 0;
-
-  while (i < oldLines.length || j < newLines.length) {
-    if (i >= oldLines.length) {
-      // Additions at end
-      changes.push({
-        type: 'added',
-        line: j + 1,
-        content: newLines[j],
-      });
-      j++;
-    } else if (j >= newLines.length) {
-      // Deletions at end
-      changes.push({
-        type: 'removed',
-        line: i + 1,
-        content: oldLines[i],
-      });
-      i++;
-    } else if (oldLines[i] === newLines[j]) {
-      // No change
-      i++;
-      j++;
-    } else {
-      // Look ahead to see if this is a modification or add/remove
-      const oldNext = oldLines.slice(i + 1, i + 5);
-      const newNext = newLines.slice(j + 1, j + 5);
 
-      if (newNext.includes(oldLines[i])) {
-        // Line was added
-        changes.push({
-          type: 'added',
-          line: j + 1,
-          content: newLines[j],
-        });
-        j++;
-      } else if (oldNext.includes(newLines[j])) {
-        // Line was removed
-        changes.push({
-          type: 'removed',
-          line: i + 1,
-          content: oldLines[i],
-        });
-        i++;
-      } else {
-        // Line was modified
+  for (let r = 0; r < runs.length; r++) {
+    const run = runs[r];
+    if (run.type === 'equal') {
+      continue;
+    }
+
+    const next = runs[r + 1];
+    if (run.type === 'removed' && next?.type === 'added') {
+      const paired = Math.min(run.items.length, next.items.length);
+      for (let i = 0; i < paired; i++) {
         changes.push({
           type: 'modified',
-          line: i + 1,
-          oldContent: oldLines[i],
-          newContent: newLines[j],
+          line: run.oldIndex + i + 1,
+          oldContent: run.items[i],
+          newContent: next.items[i],
         });
-        i++;
-        j++;
       }
+      run.items.slice(paired).forEach((content, i) => {
+        changes.push({ type: 'removed', line: run.oldIndex + paired + i + 1, content });
+      });
+      next.items.slice(paired).forEach((content, i) => {
+        changes.push({ type: 'added', line: next.newIndex + paired + i + 1, content });
+      });
+      r++;
+      continue;
     }
+
+    run.items.forEach((content, i) => {
+      const line = (run.type === 'added' ? run.newIndex : run.oldIndex) + i + 1;
+      changes.push({ type: run.type, line, content });
+    });
   }
 
   return changes;
@@ -321,6 +435,7 @@ export function areChangesSignificant(changes) {
 }
 
 export default {
+  diffSequences,
   detectChanges,
   categorizeChange,
   summarizeChanges,
@@ -0,0 +1,370 @@
+/**
+ * Chapter Analysis Service (map step of full-manuscript analysis)
+ *
+ * Agents split a manuscript into chapter units and analyze each one on its
+ * own; this service runs that map step and persists every chapter's findings
+ * in chapter_analyses:
+ * - Chapters whose text hasn't changed since a completed run are reused,
+ *   so resuming a failed analysis never re-bills finished chapters
+ * - Each chapter's status (pending, running, complete, failed) is tied to
+ *   the report, so /analyze/status can report progress per chapter
+ * - A failing chapter doesn't stop the others; the run fails at the end
+ *   with the list of chapters to resume
+ *
+ * Without a manuscript ID or database the map step still runs, it just
+ * isn't persisted.
+ */
+
+import crypto from 'crypto';
+import { chunkModelIntoSections } from '../utils/manuscript-model.js';
+import { ServerError } from '../utils/error-handling.js';
+
+export const CHAPTER_ANALYSIS_CONFIG = {
+  MAX_UNIT_WORDS: 12000 // Chapters longer than this are analyzed in several units
+};
+
+/**
+ * Split a model into chapter units for the map step
+ * Each body chapter is one unit; very long chapters (or manuscripts with no
+ * chapter headings) are split on paragraph boundaries.
+ *
+ * @param {Object} model - Manuscript model (tagged with applyOutline)
+ * @param {Object} options - { maxWords, markEmphasis, includeMatter }
+ * @returns {Array<Object>} { index, chapterNumber, title, text, wordCount, part, parts }
+ */
+export function buildChapterUnits(model, options = {}) {
+  const {
+    maxWords = CHAPTER_ANALYSIS_CONFIG.MAX_UNIT_WORDS,
+    markEmphasis = false,
+    includeMatter = false
+  } = options;
+
+  const sections = chunkModelIntoSections(model, maxWords, { markEmphasis, includeMatter });
+  const partsPerChapter = new Map();
+  for (const section of sections) {
+    partsPerChapter.set(section.chapterNumber, (partsPerChapter.get(section.chapterNumber) || 0) + 1);
+  }
+
+  const seen = new Map();
+  return sections.map((section, index) => {
+    const part = (seen.get(section.chapterNumber) || 0) + 1;
+    seen.set(section.chapterNumber, part);
+    const parts = partsPerChapter.get(section.chapterNumber);
+    const baseTitle = section.chapterTitle || `Section ${section.chapterNumber}`;
+
+    return {
+      index,
+      chapterNumber: section.chapterNumber,
+      title: parts > 1 ? `${baseTitle} (part ${part} of ${parts})` : baseTitle,
+      text: section.text,
+      wordCount: section.wordCount,
+      part,
+      parts
+    };
+  });
+}
+
+/**
+ * Group already-chunked sections into one unit per chapter
+ * Used by agents that analyze small sections (line and copy editing): every
+ * section of a chapter is analyzed as part of that chapter's unit.
+ *
+ * @param {Array<Object>} sections - Sections from chunkModelIntoSections
+ * @returns {Array<Object>} { index, chapterNumber, title, text, wordCount, sections }
+ */
+export function groupSectionsByChapter(sections) {
+  const units = [];
+
+  for (const section of sections) {
+    let unit = units[units.length - 1];
+    if (!unit || unit.chapterNumber !== section.chapterNumber) {
+      unit = {
+        index: units.length,
+        chapterNumber: section.chapterNumber,
+        title: section.chapterTitle || `Section ${section.chapterNumber}`,
+        text: '',
+        wordCount: 0,
+        sections: []
+      };
+      units.push(unit);
+    }
+
+    unit.sections.push(section);
+    unit.text = unit.text ? `${unit.text}\n\n${section.text}` : section.text;
+    unit.wordCount += section.wordCount;
+  }
+
+  return units;
+}
+
+/**
+ * Hash a unit together with everything that changes its analysis
+ */
+export function hashUnit(analysisType, contextKey, text) {
+  return crypto
+    .createHash('sha256')
+    .update(`${analysisType}\u0000${contextKey || ''}\u0000${text}`)
+    .digest('hex');
+}
+
+/**
+ * Load stored chapter rows for a manuscript and analysis type, keyed by chapter index
+ */
+async function loadChapterRows(manuscriptId, analysisType, env) {
+  const { results } = await env.DB.prepare(
+    'SELECT * FROM chapter_analyses WHERE manuscript_id = ? AND analysis_type = ?'
+  ).bind(manuscriptId, analysisType).all();
+
+  return new Map((results || []).map(row => [Number(row.chapter_index), row]));
+}
+
+/**
+ * Insert or reset the row for a unit
+ */
+async function upsertChapterRow(env, fields) {
+  const now = Math.floor(Date.now() / 1000);
+
+  await env.DB.prepare(`
+    INSERT INTO chapter_analyses (
+      id, manuscript_id, report_id, analysis_type, chapter_index, chapter_title,
+      content_hash, word_count, status, result, error, attempts, reused,
+      created_at, updated_at, completed_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, NULL, 0, ?, ?, ?, NULL)
+    ON CONFLICT(manuscript_id, analysis_type, chapter_index) DO UPDATE SET
+      report_id = excluded.report_id,
+      chapter_title = excluded.chapter_title,
+      content_hash = excluded.content_hash,
+      word_count = excluded.word_count,
+      status = excluded.status,
+      result = CASE WHEN excluded.reused = 1 THEN chapter_analyses.result ELSE NULL END,
+      error = NULL,
+      reused = excluded.reused,
+      updated_at = excluded.updated_at
+  `).bind(
+    crypto.randomUUID(),
+    fields.manuscriptId,
+    fields.reportId,
+    fields.analysisType,
+    fields.index,
+    fields.title,
+    fields.hash,
+    fields.wordCount,
+    fields.status,
+    fields.reused ? 1 : 0,
+    now,
+    now
+  ).run();
+}
+
+/**
+ * Update the status of a unit's row
+ */
+async function setChapterStatus(env, manuscriptId, analysisType, index, status, extra = {}) {
+  const now = Math.floor(Date.now() / 1000);
+
+  await env.DB.prepare(`
+    UPDATE chapter_analyses
+    SET status = ?,
+        result = COALESCE(?, result),
+        error = ?,
+        attempts = attempts + ?,
+        completed_at = ?,
+        updated_at = ?
+    WHERE manuscript_id = ? AND analysis_type = ? AND chapter_index = ?
+  `).bind(
+    status,
+    extra.result !== undefined ? JSON.stringify(extra.result) : null,
+    extra.error || null,
+    status === 'running' ? 1 : 0,
+    status === 'complete' ? now : null,
+    now,
+    manuscriptId,
+    analysisType,
+    index
+  ).run();
+}
+
+/**
+ * Run the map step over chapter units
+ *
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {string|null} params.manuscriptId - Manuscript ID (persistence is skipped without it)
+ * @param {string|null} params.reportId - Report the run belongs to
+ * @param {string} params.analysisType - developmental, line-editing or copy-editing
+ * @param {string} params.contextKey - Anything besides the text that changes the analysis (genre, style guide)
+ * @param {Array<Object>} params.units - Units from buildChapterUnits
+ * @param {Function} params.analyzeUnit - async (unit) => findings
+ * @param {Function} params.onProgress - Optional ({ analysisType, completed, total, failed, chapter }) callback
+ * @returns {Promise<Object>} { chapters: [{ index, title, wordCount, result, reused }], reusedCount, analyzedCount }
+ * @throws {ServerError} After all units ran, if any unit failed (details.failedChapters)
+ */
+export async function runChapterAnalyses({
+  env,
+  manuscriptId = null,
+  reportId = null,
+  analysisType,
+  contextKey = '',
+  units,
+  analyzeUnit,
+  onProgress = null
+}) {
+  let persist = !!(manuscriptId && env?.DB);
+  let stored = new Map();
+
+  if (persist) {
+    try {
+      stored = await loadChapterRows(manuscriptId, analysisType, env);
+    } catch (error) {
+      console.error(`[Chapter Analysis] Persistence disabled for ${manuscriptId}:`, error.message);
+      persist = false;
+    }
+  }
+
+  const safely = async (operation) => {
+    if (!persist) {
+      return;
+    }
+    try {
+      await operation();
+    } catch (error) {
+      console.error('[Chapter Analysis] Failed to persist chapter status:', error.message);
+    }
+  };
+
+  // Claim every unit for this report up front so progress has a stable total
+  const plan = [];
+  for (const unit of units) {
+    const hash = hashUnit(analysisType, contextKey, unit.text);
+    const row = stored.get(unit.index);
+    const reusable = row && row.status === 'complete' && row.content_hash === hash && row.result;
+
+    await safely(() => upsertChapterRow(env, {
+      manuscriptId,
+      reportId,
+      analysisType,
+      index: unit.index,
+      title: unit.title,
+      hash,
+      wordCount: unit.wordCount,
+      status: reusable ? 'complete' : 'pending',
+      reused: !!reusable
+    }));
+
+    plan.push({ unit, reused: reusable ? JSON.parse(row.result) : null });
+  }
+
+  const chapters = [];
+  const failedChapters = [];
+  let completed = 0;
+
+  const report = async (unit, status) => {
+    if (onProgress) {
+      await onProgress({
+        analysisType,
+        completed,
+        total: units.length,
+        failed: failedChapters.length,
+        chapter: { index: unit.index, title: unit.title, status }
+      });
+    }
+  };
+
+  for (const { unit, reused } of plan) {
+    if (reused) {
+      completed++;
+      chapters.push({ index: unit.index, title: unit.title, wordCount: unit.wordCount, result: reused, reused: true });
+      await report(unit, 'reused');
+      continue;
+    }
+
+    await safely(() => setChapterStatus(env, manuscriptId, analysisType, unit.index, 'running'));
+    await report(unit, 'running');
+
+    try {
+      const result = await analyzeUnit(unit);
+      await safely(() => setChapterStatus(env, manuscriptId, analysisType, unit.index, 'complete', { result }));
+      completed++;
+      chapters.push({ index: unit.index, title: unit.title, wordCount: unit.wordCount, result, reused: false });
+      await report(unit, 'complete');
+    } catch (error) {
+      console.error(`[Chapter Analysis] ${analysisType} failed for "${unit.title}":`, error.message);
+      await safely(() => setChapterStatus(env, manuscriptId, analysisType, unit.index, 'failed', { error: error.message }));
+      failedChapters.push({ index: unit.index, title: unit.title, error: error.message });
+      await report(unit, 'failed');
+    }
+  }
+
+  if (failedChapters.length > 0) {
+    throw new ServerError(
+      `${analysisType} analysis failed for ${failedChapters.length} of ${units.length} chapters ` +
+      `(${failedChapters.map(chapter => chapter.title).join(', ')}). Resume the analysis to retry them.`,
+      { analysisType, failedChapters }
+    );
+  }
+
+  const reusedCount = chapters.filter(chapter => chapter.reused).length;
+  console.log(`[Chapter Analysis] ${analysisType}: ${chapters.length} chapters (${reusedCount} reused)`);
+
+  return { chapters, reusedCount, analyzedCount: chapters.length - reusedCount };
+}
+
+/**
+ * Per-chapter progress for a report, grouped by analysis type
+ *
+ * @param {string} reportId - Report ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} { [analysisType]: { total, complete, failed, reused, chapters: [...] } }
+ */
+export async function getChapterProgress(reportId, env) {
+  const { results } = await env.DB.prepare(`
+    SELECT analysis_type, chapter_index, chapter_title, word_count, status, reused, attempts, error, completed_at
+    FROM chapter_analyses
+    WHERE report_id = ?
+    ORDER BY analysis_type, chapter_index
+  `).bind(reportId).all();
+
+  const progress = {};
+  for (const row of results || []) {
+    const entry = progress[row.analysis_type] || (progress[row.analysis_type] = {
+      total: 0,
+      complete: 0,
+      failed: 0,
+      reused: 0,
+      chapters: []
+    });
+
+    entry.total++;
+    if (row.status === 'complete') {
+      entry.complete++;
+    }
+    if (row.status === 'failed') {
+      entry.failed++;
+    }
+    if (row.reused) {
+      entry.reused++;
+    }
+
+    entry.chapters.push({
+      index: Number(row.chapter_index),
+      title: row.chapter_title,
+      wordCount: row.word_count,
+      status: row.status,
+      reused: !!row.reused,
+      attempts: row.attempts,
+      error: row.error || undefined,
+      completedAt: row.completed_at || undefined
+    });
+  }
+
+  return progress;
+}
+
+export default {
+  CHAPTER_ANALYSIS_CONFIG,
+  buildChapterUnits,
+  groupSectionsByChapter,
+  hashUnit,
+  runChapterAnalyses,
+  getChapterProgress
+};
@@ -0,0 +1,575 @@
+/**
+ * Comment Service
+ *
+ * Collaborator comment threads on manuscript text
+ * (manuscript_comment_threads, manuscript_comments):
+ * - A thread is anchored to a range of one chapter of the current draft
+ *   (see utils/comment-anchors.js) and re-anchored lazily the first time
+ *   it is read after a new draft was uploaded
+ * - Anyone with comment permission can open threads, reply, mention
+ *   collaborators (@email) and resolve or reopen threads
+ * - A suggestion is a thread that proposes replacement text for its range;
+ *   only the owner can accept or reject it, which also resolves the thread
+ *
+ * Mentions, replies and suggestion decisions are queued as notifications.
+ * Permission checks are the caller's job (authorization-service.js); the
+ * functions here take the manuscripts row the caller was authorized for.
+ */
+
+import crypto from 'crypto';
+import { listVersions, loadVersionModel } from './manuscript-version-service.js';
+import { enqueueNotification } from './notification-service.js';
+import { chaptersFromModel } from '../utils/manuscript-diff.js';
+import { createAnchor, resolveAnchor } from '../utils/comment-anchors.js';
+import { NotFoundError, ValidationError, ConflictError, AuthorizationError } from '../utils/error-handling.js';
+
+export const COMMENT_CONFIG = {
+  MAX_BODY_LENGTH: 10000,
+  MAX_SUGGESTION_LENGTH: 5000,
+  MAX_MENTIONS: 20
+};
+
+export const THREAD_STATUSES = ['open', 'resolved'];
+export const SUGGESTION_DECISIONS = ['accepted', 'rejected'];
+
+const MENTION_PATTERN = /(^|[^\w@])@([\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[A-Za-z]{2,})/g;
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Parse a manuscript_comment_threads row
+ */
+function parseThreadRow(row) {
+  return {
+    id: row.id,
+    manuscriptId: row.manuscript_id,
+    kind: row.kind,
+    status: row.status,
+    anchor: {
+      versionNumber: row.anchor_version,
+      chapterIndex: row.chapter_index,
+      chapterTitle: row.chapter_title,
+      startOffset: row.start_offset,
+      endOffset: row.end_offset,
+      quote: row.quote,
+      detached: Boolean(row.detached)
+    },
+    suggestion: row.kind === 'suggestion'
+      ? {
+        text: row.suggested_text,
+        status: row.suggestion_status,
+        decidedBy: row.decided_by,
+        decidedAt: row.decided_at
+      }
+      : null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    resolvedBy: row.resolved_by,
+    resolvedAt: row.resolved_at,
+    comments: []
+  };
+}
+
+/**
+ * Parse a manuscript_comments row (joined with the author's name)
+ */
+function parseCommentRow(row) {
+  return {
+    id: row.id,
+    threadId: row.thread_id,
+    authorId: row.author_id,
+    authorName: row.author_name || row.author_email || null,
+    body: row.body,
+    mentions: JSON.parse(row.mentions || '[]'),
+    createdAt: row.created_at,
+    editedAt: row.edited_at
+  };
+}
+
+/**
+ * Check a comment body
+ */
+function validateBody(body) {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new ValidationError('Comment text is required');
+  }
+  if (body.length > COMMENT_CONFIG.MAX_BODY_LENGTH) {
+    throw new ValidationError(`Comments are limited to ${COMMENT_CONFIG.MAX_BODY_LENGTH} characters`);
+  }
+  return body.trim();
+}
+
+/**
+ * Current draft of a manuscript
+ */
+async function currentVersion(manuscript, env) {
+  const versions = await listVersions(manuscript, env);
+  return versions.find(version => version.r2Key === manuscript.r2_key) || versions[0];
+}
+
+/**
+ * Email addresses mentioned in a comment (@jane@example.com), lowercased
+ */
+export function parseMentions(body) {
+  const emails = new Set();
+  for (const match of String(body || '').matchAll(MENTION_PATTERN)) {
+    emails.add(match[2].toLowerCase());
+  }
+  return [...emails];
+}
+
+/**
+ * People who can read a manuscript and so can be mentioned on it: the
+ * owner, users it is shared with, and members of teams it is shared with
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<Object>>} [{ userId, email, name }]
+ */
+export async function listCollaborators(manuscript, env) {
+  const { results } = await env.DB.prepare(`
+    SELECT DISTINCT u.id, u.email, u.full_name
+    FROM users u
+    WHERE u.id = ?
+       OR u.id IN (
+         SELECT mp.user_id FROM manuscript_permissions mp
+         WHERE mp.manuscript_id = ? AND mp.user_id IS NOT NULL
+       )
+       OR u.id IN (
+         SELECT tm.user_id FROM manuscript_permissions mp
+         JOIN team_members tm ON tm.team_id = mp.team_id
+         WHERE mp.manuscript_id = ?
+       )
+    ORDER BY u.full_name
+  `).bind(manuscript.user_id, manuscript.id, manuscript.id).all();
+
+  return (results || []).map(user => ({ userId: user.id, email: user.email, name: user.full_name }));
+}
+
+/**
+ * User IDs of the collaborators mentioned in a comment (never its author)
+ */
+async function resolveMentions(manuscript, body, authorId, env) {
+  const emails = parseMentions(body);
+  if (emails.length === 0) {
+    return [];
+  }
+  if (emails.length > COMMENT_CONFIG.MAX_MENTIONS) {
+    throw new ValidationError(`A comment can mention at most ${COMMENT_CONFIG.MAX_MENTIONS} people`);
+  }
+
+  const collaborators = await listCollaborators(manuscript, env);
+  return collaborators
+    .filter(user => user.userId !== authorId && emails.includes(String(user.email).toLowerCase()))
+    .map(user => user.userId);
+}
+
+/**
+ * Queue a notification for each recipient; a failure never fails the comment
+ */
+async function notifyUsers(userIds, type, manuscript, commentId, env) {
+  for (const userId of userIds) {
+    try {
+      await enqueueNotification(env, {
+        userId,
+        type,
+        submissionId: manuscript.id,
+        commentId
+      });
+    } catch (error) {
+      console.error('[Comments] Error queuing notification:', error);
+    }
+  }
+}
+
+async function insertComment(threadId, authorId, body, mentions, now, env) {
+  const id = crypto.randomUUID();
+  await env.DB.prepare(`
+    INSERT INTO manuscript_comments (id, thread_id, author_id, body, mentions, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(id, threadId, authorId, body, JSON.stringify(mentions), now).run();
+  return id;
+}
+
+/**
+ * Move threads anchored to an earlier draft onto the current one
+ * Threads whose quote is gone stay where they were, flagged detached, and
+ * are tried again when the next draft arrives.
+ */
+async function reanchorThreads(rows, manuscript, env) {
+  if (rows.length === 0) {
+    return rows;
+  }
+
+  const version = await currentVersion(manuscript, env);
+  const outdated = rows.filter(row => Number(row.anchor_version) !== version.versionNumber);
+  if (outdated.length === 0) {
+    return rows;
+  }
+
+  const chapters = chaptersFromModel(await loadVersionModel(version, env));
+
+  for (const row of outdated) {
+    const resolved = resolveAnchor({
+      chapterIndex: row.chapter_index,
+      chapterTitle: row.chapter_title,
+      startOffset: row.start_offset,
+      endOffset: row.end_offset,
+      quote: row.quote,
+      prefix: row.prefix,
+      suffix: row.suffix
+    }, chapters);
+
+    Object.assign(row, {
+      anchor_version: version.versionNumber,
+      chapter_index: resolved.chapterIndex,
+      chapter_title: resolved.chapterTitle,
+      start_offset: resolved.startOffset,
+      end_offset: resolved.endOffset,
+      prefix: resolved.prefix,
+      suffix: resolved.suffix,
+      detached: resolved.detached ? 1 : 0
+    });
+
+    await env.DB.prepare(`
+      UPDATE manuscript_comment_threads
+      SET anchor_version = ?, chapter_index = ?, chapter_title = ?, start_offset = ?, end_offset = ?,
+        prefix = ?, suffix = ?, detached = ?
+      WHERE id = ?
+    `).bind(
+      row.anchor_version, row.chapter_index, row.chapter_title, row.start_offset, row.end_offset,
+      row.prefix, row.suffix, row.detached, row.id
+    ).run();
+  }
+
+  return rows;
+}
+
+/**
+ * Attach each thread's comments, oldest first
+ */
+async function attachComments(threads, env) {
+  if (threads.length === 0) {
+    return threads;
+  }
+
+  const { results } = await env.DB.prepare(`
+    SELECT c.*, u.full_name AS author_name, u.email AS author_email
+    FROM manuscript_comments c
+    LEFT JOIN users u ON u.id = c.author_id
+    WHERE c.thread_id IN (${threads.map(() => '?').join(', ')})
+    ORDER BY c.created_at, c.seq
+  `).bind(...threads.map(thread => thread.id)).all();
+
+  const byThread = new Map(threads.map(thread => [thread.id, thread]));
+  for (const row of results || []) {
+    byThread.get(row.thread_id)?.comments.push(parseCommentRow(row));
+  }
+  return threads;
+}
+
+async function loadThreadRow(manuscript, threadId, env) {
+  const row = await env.DB.prepare(
+    'SELECT * FROM manuscript_comment_threads WHERE id = ? AND manuscript_id = ?'
+  ).bind(threadId, manuscript.id).first();
+
+  if (!row) {
+    throw new NotFoundError('Comment thread', threadId);
+  }
+  return row;
+}
+
+// ============================================================================
+// THREADS
+// ============================================================================
+
+/**
+ * Open a comment thread (or a suggestion) on a range of the current draft
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {string} userId - Author
+ * @param {Object} input - { chapterIndex, startOffset, endOffset, body, suggestedText? }
+ *   (offsets are characters into the chapter text, as served by the
+ *   manuscript model; suggestedText makes the thread a suggested edit, and
+ *   may be empty to propose deleting the range)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} The thread with its first comment
+ */
+export async function createThread(manuscript, userId, input, env) {
+  const body = validateBody(input.body);
+  const isSuggestion = input.suggestedText !== undefined && input.suggestedText !== null;
+
+  if (isSuggestion) {
+    if (typeof input.suggestedText !== 'string') {
+      throw new ValidationError('suggestedText must be a string');
+    }
+    if (input.suggestedText.length > COMMENT_CONFIG.MAX_SUGGESTION_LENGTH) {
+      throw new ValidationError(`Suggestions are limited to ${COMMENT_CONFIG.MAX_SUGGESTION_LENGTH} characters`);
+    }
+  }
+
+  const version = await currentVersion(manuscript, env);
+  const chapters = chaptersFromModel(await loadVersionModel(version, env));
+  const anchor = createAnchor(chapters, {
+    chapterIndex: Number(input.chapterIndex),
+    startOffset: Number(input.startOffset),
+    endOffset: Number(input.endOffset)
+  });
+
+  if (isSuggestion && input.suggestedText === anchor.quote) {
+    throw new ValidationError('The suggestion is the same as the current text');
+  }
+
+  const mentions = await resolveMentions(manuscript, body, userId, env);
+  const id = crypto.randomUUID();
+  const now = nowSeconds();
+
+  await env.DB.prepare(`
+    INSERT INTO manuscript_comment_threads (
+      id, manuscript_id, kind, status, anchor_version, chapter_index, chapter_title,
+      start_offset, end_offset, quote, prefix, suffix, detached,
+      suggested_text, suggestion_status, created_by, created_at, updated_at
+    ) VALUES (?, ?, ?, 'open', ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?)
+  `).bind(
+    id,
+    manuscript.id,
+    isSuggestion ? 'suggestion' : 'comment',
+    version.versionNumber,
+    anchor.chapterIndex,
+    anchor.chapterTitle,
+    anchor.startOffset,
+    anchor.endOffset,
+    anchor.quote,
+    anchor.prefix,
+    anchor.suffix,
+    isSuggestion ? input.suggestedText : null,
+    isSuggestion ? 'pending' : null,
+    userId,
+    now,
+    now
+  ).run();
+
+  const commentId = await insertComment(id, userId, body, mentions, now, env);
+  await notifyUsers(mentions, 'comment_mention', manuscript, commentId, env);
+
+  return getThread(manuscript, id, env);
+}
+
+/**
+ * Threads of a manuscript, anchored to its current draft
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {Object} env - Environment bindings
+ * @param {Object} filters - { status, chapterIndex, kind }
+ * @returns {Promise<Array<Object>>} Threads in reading order (detached threads last)
+ */
+export async function listThreads(manuscript, env, filters = {}) {
+  const conditions = ['manuscript_id = ?'];
+  const params = [manuscript.id];
+
+  if (filters.status) {
+    if (!THREAD_STATUSES.includes(filters.status)) {
+      throw new ValidationError(`status must be one of: ${THREAD_STATUSES.join(', ')}`);
+    }
+    conditions.push('status = ?');
+    params.push(filters.status);
+  }
+  if (filters.kind) {
+    conditions.push('kind = ?');
+    params.push(filters.kind);
+  }
+
+  const { results } = await env.DB.prepare(`
+    SELECT * FROM manuscript_comment_threads
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY created_at, seq
+  `).bind(...params).all();
+
+  const rows = await reanchorThreads(results || [], manuscript, env);
+  const threads = rows
+    .map(parseThreadRow)
+    .filter(thread => filters.chapterIndex === undefined || filters.chapterIndex === null ||
+      thread.anchor.chapterIndex === Number(filters.chapterIndex))
+    .sort((a, b) => (a.anchor.detached - b.anchor.detached) ||
+      (a.anchor.chapterIndex - b.anchor.chapterIndex) ||
+      (a.anchor.startOffset - b.anchor.startOffset));
+
+  return attachComments(threads, env);
+}
+
+/**
+ * One thread with its comments
+ *
+ * @throws {NotFoundError} When the thread isn't on this manuscript
+ */
+export async function getThread(manuscript, threadId, env) {
+  const [row] = await reanchorThreads([await loadThreadRow(manuscript, threadId, env)], manuscript, env);
+  const [thread] = await attachComments([parseThreadRow(row)], env);
+  return thread;
+}
+
+/**
+ * Reply to a thread
+ * Mentioned collaborators get a mention notification; everyone else who
+ * has taken part in the thread gets a reply notification.
+ *
+ * @returns {Promise<Object>} The updated thread
+ */
+export async function addReply(manuscript, threadId, userId, body, env) {
+  const text = validateBody(body);
+  await loadThreadRow(manuscript, threadId, env);
+
+  const mentions = await resolveMentions(manuscript, text, userId, env);
+  const now = nowSeconds();
+  const commentId = await insertComment(threadId, userId, text, mentions, now, env);
+
+  await env.DB.prepare(
+    'UPDATE manuscript_comment_threads SET updated_at = ? WHERE id = ?'
+  ).bind(now, threadId).run();
+
+  const { results } = await env.DB.prepare(`
+    SELECT DISTINCT author_id FROM manuscript_comments WHERE thread_id = ? AND author_id IS NOT NULL
+  `).bind(threadId).all();
+  const participants = (results || [])
+    .map(row => row.author_id)
+    .filter(id => id !== userId && !mentions.includes(id));
+
+  await notifyUsers(mentions, 'comment_mention', manuscript, commentId, env);
+  await notifyUsers(participants, 'comment_reply', manuscript, commentId, env);
+
+  return getThread(manuscript, threadId, env);
+}
+
+/**
+ * Edit a comment (its author only). Only people newly mentioned by the
+ * edit are notified.
+ *
+ * @returns {Promise<Object>} The updated thread
+ */
+export async function editComment(manuscript, threadId, commentId, userId, body, env) {
+  const text = validateBody(body);
+  await loadThreadRow(manuscript, threadId, env);
+
+  const comment = await env.DB.prepare(
+    'SELECT * FROM manuscript_comments WHERE id = ? AND thread_id = ?'
+  ).bind(commentId, threadId).first();
+  if (!comment) {
+    throw new NotFoundError('Comment', commentId);
+  }
+  if (comment.author_id !== userId) {
+    throw new AuthorizationError('Only the author can edit a comment');
+  }
+
+  const previous = JSON.parse(comment.mentions || '[]');
+  const mentions = await resolveMentions(manuscript, text, userId, env);
+
+  await env.DB.prepare(
+    'UPDATE manuscript_comments SET body = ?, mentions = ?, edited_at = ? WHERE id = ?'
+  ).bind(text, JSON.stringify(mentions), nowSeconds(), commentId).run();
+
+  await notifyUsers(mentions.filter(id => !previous.includes(id)), 'comment_mention', manuscript, commentId, env);
+
+  return getThread(manuscript, threadId, env);
+}
+
+/**
+ * Resolve or reopen a thread
+ *
+ * @param {string} status - 'resolved' or 'open'
+ * @returns {Promise<Object>} The updated thread
+ */
+export async function setThreadStatus(manuscript, threadId, userId, status, env) {
+  if (!THREAD_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${THREAD_STATUSES.join(', ')}`);
+  }
+
+  const row = await loadThreadRow(manuscript, threadId, env);
+  if (row.status !== status) {
+    const now = nowSeconds();
+    const resolved = status === 'resolved';
+    await env.DB.prepare(`
+      UPDATE manuscript_comment_threads
+      SET status = ?, resolved_by = ?, resolved_at = ?, updated_at = ?
+      WHERE id = ?
+    `).bind(status, resolved ? userId : null, resolved ? now : null, now, threadId).run();
+  }
+
+  return getThread(manuscript, threadId, env);
+}
+
+/**
+ * Accept or reject a suggested edit and resolve its thread
+ * The caller must have checked that the user owns the manuscript. The
+ * accepted text is recorded on the thread for the author's next draft;
+ * drafts themselves are never rewritten.
+ *
+ * @param {string} decision - 'accepted' or 'rejected'
+ * @returns {Promise<Object>} The updated thread
+ * @throws {ValidationError} When the thread is not a suggestion
+ * @throws {ConflictError} When the suggestion was already decided
+ */
+export async function decideSuggestion(manuscript, threadId, userId, decision, env) {
+  if (!SUGGESTION_DECISIONS.includes(decision)) {
+    throw new ValidationError(`decision must be one of: ${SUGGESTION_DECISIONS.join(', ')}`);
+  }
+
+  const row = await loadThreadRow(manuscript, threadId, env);
+  if (row.kind !== 'suggestion') {
+    throw new ValidationError('This thread is a comment, not a suggestion');
+  }
+  if (row.suggestion_status !== 'pending') {
+    throw new ConflictError(`Suggestion was already ${row.suggestion_status}`, { suggestionStatus: row.suggestion_status });
+  }
+
+  const now = nowSeconds();
+  await env.DB.prepare(`
+    UPDATE manuscript_comment_threads
+    SET suggestion_status = ?, decided_by = ?, decided_at = ?,
+      status = 'resolved', resolved_by = ?, resolved_at = ?, updated_at = ?
+    WHERE id = ? AND suggestion_status = 'pending'
+  `).bind(decision, userId, now, userId, now, now, threadId).run();
+
+  if (row.created_by && row.created_by !== userId) {
+    const opening = await env.DB.prepare(
+      'SELECT id FROM manuscript_comments WHERE thread_id = ? ORDER BY created_at, seq LIMIT 1'
+    ).bind(threadId).first();
+    await notifyUsers([row.created_by], 'suggestion_decision', manuscript, opening?.id, env);
+  }
+
+  return getThread(manuscript, threadId, env);
+}
+
+/**
+ * Delete a thread and its comments (its creator or the owner)
+ *
+ * @param {boolean} isOwner - Whether the user owns the manuscript
+ */
+export async function deleteThread(manuscript, threadId, userId, isOwner, env) {
+  const row = await loadThreadRow(manuscript, threadId, env);
+  if (!isOwner && row.created_by !== userId) {
+    throw new AuthorizationError('Only the thread\'s author or the manuscript owner can delete it');
+  }
+
+  await env.DB.prepare(
+    'DELETE FROM manuscript_comment_threads WHERE id = ?'
+  ).bind(threadId).run();
+}
+
+export default {
+  COMMENT_CONFIG,
+  THREAD_STATUSES,
+  SUGGESTION_DECISIONS,
+  parseMentions,
+  listCollaborators,
+  createThread,
+  listThreads,
+  getThread,
+  addReply,
+  editComment,
+  setThreadStatus,
+  decideSuggestion,
+  deleteThread
+};
@@ -0,0 +1,875 @@
+/**
+ * DMCA Takedown Workflow (17 U.S.C. §512)
+ *
+ * Lifecycle of a dmca_requests row:
+ *
+ *   pending -> reviewing -> resolved (taken down) -> counter_notice -> restored
+ *                        \-> rejected                              \-> court_action
+ *
+ * Approving a request takes the manuscript down (manuscripts.dmca_status =
+ * 'taken_down'): services/authorization-service.js then withholds its files,
+ * analyses and generated assets from everyone, owner included, leaving only
+ * the manuscript record visible and deletable. The uploader gets a copyright
+ * strike; enough active strikes within DMCA_POLICY.STRIKE_LIFETIME_DAYS
+ * suspend the account (repeat-infringer policy, §512(i)).
+ *
+ * The uploader can answer with a counter-notice (§512(g)(3)). It is forwarded
+ * to the claimant and the manuscript is restored between 10 and 14 business
+ * days later unless the claimant reports a court action first.
+ * processDMCARestorations (run hourly by workers/scheduled-jobs-worker.js)
+ * does the restoring and withdraws the strike.
+ *
+ * Every step is written to dmca_case_events, which is exported as the case's
+ * audit log.
+ */
+
+import crypto from 'crypto';
+import {
+  sendDMCAStatusUpdate,
+  sendDMCAOwnerNotification,
+  sendDMCACounterNoticeForward,
+  sendAccountSuspendedEmail
+} from './email-service.js';
+import { blockUserSessions, unblockUserSessions } from '../utils/auth-utils.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/error-handling.js';
+
+export const DMCA_STATUS = {
+  PENDING: 'pending',
+  REVIEWING: 'reviewing',
+  RESOLVED: 'resolved',
+  REJECTED: 'rejected',
+  COUNTER_NOTICE: 'counter_notice',
+  RESTORED: 'restored',
+  COURT_ACTION: 'court_action'
+};
+
+/**
+ * manuscripts.dmca_status of a manuscript whose content is disabled
+ */
+export const TAKEN_DOWN = 'taken_down';
+
+export const DMCA_POLICY = {
+  // §512(g)(2)(C): restore not less than 10, nor more than 14, business days after the counter-notice
+  RESTORE_MIN_BUSINESS_DAYS: 10,
+  RESTORE_MAX_BUSINESS_DAYS: 14,
+  STRIKE_LIFETIME_DAYS: 365,
+  // Active strikes at which an account is suspended
+  SUSPENSION_STRIKES: 3
+};
+
+const OPEN_STATUSES = [DMCA_STATUS.PENDING, DMCA_STATUS.REVIEWING];
+// Statuses in which the request keeps its manuscript taken down
+const TAKEDOWN_STATUSES = [DMCA_STATUS.RESOLVED, DMCA_STATUS.COUNTER_NOTICE, DMCA_STATUS.COURT_ACTION];
+const DAY = 86400;
+
+// dmca_requests columns from the original schema are TIMESTAMPs; the rest are epoch seconds
+const TIMESTAMP_COLUMNS = ['resolved_at'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function notify(promise, what) {
+  promise.catch(err => console.error(`[DMCA] Failed to send ${what}:`, err));
+}
+
+// ============================================================================
+// BUSINESS DAYS
+// ============================================================================
+
+function dateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// nth (1-based) weekday of a month, or the last one when n is -1
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    return new Date(Date.UTC(year, month, last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7)));
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  return new Date(Date.UTC(year, month, 1 + ((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7));
+}
+
+// Fixed-date holidays falling on a weekend are observed on the Friday before or the Monday after
+function observed(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  const weekday = date.getUTCDay();
+  if (weekday === 6) date.setUTCDate(day - 1);
+  if (weekday === 0) date.setUTCDate(day + 1);
+  return date;
+}
+
+/**
+ * US federal holidays observed in a year (5 U.S.C. §6103), as YYYY-MM-DD
+ *
+ * @param {number} year - Calendar year
+ * @returns {Set<string>}
+ */
+export function federalHolidays(year) {
+  const days = [
+    observed(year, 0, 1),          // New Year's Day
+    nthWeekday(year, 0, 1, 3),     // Birthday of Martin Luther King, Jr.
+    nthWeekday(year, 1, 1, 3),     // Washington's Birthday
+    nthWeekday(year, 4, 1, -1),    // Memorial Day
+    observed(year, 5, 19),         // Juneteenth
+    observed(year, 6, 4),          // Independence Day
+    nthWeekday(year, 8, 1, 1),     // Labor Day
+    nthWeekday(year, 9, 1, 2),     // Columbus Day
+    observed(year, 10, 11),        // Veterans Day
+    nthWeekday(year, 10, 4, 4),    // Thanksgiving Day
+    observed(year, 11, 25),        // Christmas Day
+    observed(year + 1, 0, 1)       // Next New Year's Day, observed on Dec 31 when it is a Saturday
+  ];
+  return new Set(days.map(dateKey).filter(key => key.startsWith(String(year))));
+}
+
+/**
+ * Whether a date (UTC) is a business day: not a weekend or federal holiday
+ */
+export function isBusinessDay(date) {
+  const weekday = date.getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !federalHolidays(date.getUTCFullYear()).has(dateKey(date));
+}
+
+/**
+ * Time a number of business days after a moment, at the same time of day
+ *
+ * @param {number} seconds - Start, in Unix seconds
+ * @param {number} businessDays - Business days to add
+ * @returns {number} Unix seconds
+ */
+export function addBusinessDays(seconds, businessDays) {
+  const date = new Date(seconds * 1000);
+  let remaining = businessDays;
+  while (remaining > 0) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    if (isBusinessDay(date)) remaining--;
+  }
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Window in which content is restored after a counter-notice received at a time
+ *
+ * @returns {{restoreAfter: number, restoreBy: number}}
+ */
+export function restorationWindow(receivedAt) {
+  return {
+    restoreAfter: addBusinessDays(receivedAt, DMCA_POLICY.RESTORE_MIN_BUSINESS_DAYS),
+    restoreBy: addBusinessDays(receivedAt, DMCA_POLICY.RESTORE_MAX_BUSINESS_DAYS)
+  };
+}
+
+// ============================================================================
+// CASE EVENTS
+// ============================================================================
+
+/**
+ * Statement appending an event to a request's audit log
+ *
+ * @param {Object} env - Environment bindings
+ * @param {Object} event - { requestId, manuscriptId, type, actorType, actorId, details, now }
+ * @returns {Object} Prepared statement (run it or pass it to DB.batch)
+ */
+export function caseEventStatement(env, { requestId, manuscriptId, type, actorType, actorId, details, now = nowSeconds() }) {
+  return env.DB.prepare(`
+    INSERT INTO dmca_case_events (id, dmca_request_id, manuscript_id, event_type, actor_type, actor_id, details, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    crypto.randomUUID(),
+    requestId,
+    manuscriptId ?? null,
+    type,
+    actorType,
+    actorId ?? null,
+    details ? JSON.stringify(details) : null,
+    now
+  );
+}
+
+async function loadRequest(requestId, env) {
+  const request = await env.DB.prepare(`
+    SELECT d.*, m.title AS manuscript_title, m.r2_key AS manuscript_key, m.user_id AS owner_id, u.email AS owner_email
+    FROM dmca_requests d
+    LEFT JOIN manuscripts m ON d.manuscript_id = m.id
+    LEFT JOIN users u ON m.user_id = u.id
+    WHERE d.id = ?
+  `).bind(requestId).first();
+
+  if (!request) {
+    throw new NotFoundError('DMCA request', requestId);
+  }
+  return request;
+}
+
+// Move a request between statuses, failing if someone else moved it first
+async function transition(env, request, from, to, fields, now) {
+  const columns = Object.keys(fields);
+  const result = await env.DB.prepare(`
+    UPDATE dmca_requests
+    SET status = ?, updated_at = ?${columns.map(column => `, ${column} = ${TIMESTAMP_COLUMNS.includes(column) ? 'to_timestamp(?)' : '?'}`).join('')}
+    WHERE id = ? AND status IN (${from.map(() => '?').join(', ')})
+  `).bind(to, now, ...Object.values(fields), request.id, ...from).run();
+
+  if (!result.meta?.changes) {
+    throw new ConflictError(`DMCA request is ${request.status}`, { status: request.status });
+  }
+}
+
+// ============================================================================
+// REVIEW
+// ============================================================================
+
+/**
+ * Mark an open request as pending or under review
+ *
+ * @param {string} requestId - DMCA request ID
+ * @param {string} adminId - Admin user ID
+ * @param {string} status - 'pending' or 'reviewing'
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} The request before the change
+ * @throws {ValidationError|NotFoundError|ConflictError}
+ */
+export async function setReviewStatus(requestId, adminId, status, env, now = nowSeconds()) {
+  if (!OPEN_STATUSES.includes(status)) {
+    throw new ValidationError('status must be "pending" or "reviewing"; use resolve to decide a request');
+  }
+
+  const request = await loadRequest(requestId, env);
+  await transition(env, request, OPEN_STATUSES, status, {}, now);
+  await caseEventStatement(env, {
+    requestId,
+    manuscriptId: request.manuscript_id,
+    type: 'status_changed',
+    actorType: 'admin',
+    actorId: adminId,
+    details: { from: request.status, to: status },
+    now
+  }).run();
+
+  notify(sendDMCAStatusUpdate({
+    requestId,
+    requesterEmail: request.requester_email,
+    requesterName: request.requester_name,
+    status,
+    manuscriptTitle: request.manuscript_title
+  }, env), 'status update');
+
+  return request;
+}
+
+/**
+ * Approve (take the manuscript down) or reject an open request
+ *
+ * @param {string} requestId - DMCA request ID
+ * @param {string} adminId - Admin user ID
+ * @param {Object} decision - { action: 'approve'|'reject', resolutionNotes }
+ * @param {Object} env - Environment bindings (REDIS to end a suspended user's sessions)
+ * @returns {Promise<Object>} { status, strike, suspension } - strike and suspension are null unless approved
+ * @throws {ValidationError|NotFoundError|ConflictError}
+ */
+export async function resolveRequest(requestId, adminId, { action, resolutionNotes } = {}, env, now = nowSeconds()) {
+  if (!['approve', 'reject'].includes(action)) {
+    throw new ValidationError('action must be "approve" or "reject"');
+  }
+  if (!resolutionNotes) {
+    throw new ValidationError('resolutionNotes is required');
+  }
+
+  const request = await loadRequest(requestId, env);
+  const approved = action === 'approve';
+  const status = approved ? DMCA_STATUS.RESOLVED : DMCA_STATUS.REJECTED;
+
+  await transition(env, request, OPEN_STATUSES, status, {
+    resolution_notes: resolutionNotes,
+    resolved_at: now,
+    resolved_by: adminId,
+    ...(approved && { takedown_at: now })
+  }, now);
+
+  const event = {
+    requestId,
+    manuscriptId: request.manuscript_id,
+    actorType: 'admin',
+    actorId: adminId,
+    now
+  };
+
+  let strike = null;
+  let suspension = null;
+
+  if (approved && request.manuscript_id) {
+    strike = {
+      id: crypto.randomUUID(),
+      userId: request.owner_id,
+      issuedAt: now,
+      expiresAt: now + DMCA_POLICY.STRIKE_LIFETIME_DAYS * DAY
+    };
+
+    await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE manuscripts SET dmca_status = ?, flagged_for_review = FALSE, updated_at = to_timestamp(?) WHERE id = ?
+      `).bind(TAKEN_DOWN, now, request.manuscript_id),
+      env.DB.prepare(`
+        INSERT INTO copyright_strikes (id, user_id, dmca_request_id, manuscript_id, issued_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(strike.id, strike.userId, requestId, request.manuscript_id, strike.issuedAt, strike.expiresAt),
+      caseEventStatement(env, { ...event, type: 'taken_down', details: { resolutionNotes } }),
+      caseEventStatement(env, { ...event, type: 'strike_issued', actorType: 'system', actorId: null, details: { strikeId: strike.id, userId: strike.userId, expiresAt: strike.expiresAt } })
+    ]);
+
+    suspension = await applyRepeatInfringerPolicy(strike.userId, requestId, env, now);
+  } else {
+    await env.DB.batch([
+      ...(request.manuscript_id ? [env.DB.prepare(`
+        UPDATE manuscripts SET flagged_for_review = FALSE, updated_at = to_timestamp(?) WHERE id = ?
+      `).bind(now, request.manuscript_id)] : []),
+      caseEventStatement(env, { ...event, type: approved ? 'taken_down' : 'rejected', details: { resolutionNotes } })
+    ]);
+  }
+
+  notify(sendDMCAStatusUpdate({
+    requestId,
+    requesterEmail: request.requester_email,
+    requesterName: request.requester_name,
+    status,
+    manuscriptTitle: request.manuscript_title
+  }, env), 'requester resolution email');
+
+  if (request.owner_email) {
+    notify(sendDMCAOwnerNotification({
+      ownerEmail: request.owner_email,
+      manuscriptTitle: request.manuscript_title,
+      manuscriptId: request.manuscript_id,
+      requestId,
+      action: approved ? 'removed' : 'cleared'
+    }, env), 'owner notification');
+  }
+
+  return { request, status, strike, suspension };
+}
+
+// ============================================================================
+// STRIKES AND SUSPENSION
+// ============================================================================
+
+/**
+ * Strikes counting towards the repeat-infringer policy
+ *
+ * @returns {Promise<Array<Object>>} copyright_strikes rows, newest first
+ */
+export async function getActiveStrikes(userId, env, now = nowSeconds()) {
+  const { results } = await env.DB.prepare(`
+    SELECT * FROM copyright_strikes
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY issued_at DESC
+  `).bind(userId, now).all();
+  return results || [];
+}
+
+/**
+ * Suspend a user who has reached DMCA_POLICY.SUSPENSION_STRIKES active strikes
+ *
+ * @returns {Promise<Object|null>} { userId, activeStrikes } when the user was suspended
+ */
+export async function applyRepeatInfringerPolicy(userId, requestId, env, now = nowSeconds()) {
+  const strikes = await getActiveStrikes(userId, env, now);
+  if (strikes.length < DMCA_POLICY.SUSPENSION_STRIKES) {
+    return null;
+  }
+
+  const suspended = await env.DB.prepare(`
+    UPDATE users SET suspended_at = ?, suspension_reason = 'repeat_infringer'
+    WHERE id = ? AND suspended_at IS NULL
+    RETURNING email
+  `).bind(now, userId).first();
+  if (!suspended) {
+    return null;
+  }
+
+  await blockUserSessions(userId, env, now);
+  await caseEventStatement(env, {
+    requestId,
+    type: 'account_suspended',
+    actorType: 'system',
+    details: { userId, activeStrikes: strikes.length, strikeIds: strikes.map(strike => strike.id) },
+    now
+  }).run();
+
+  notify(sendAccountSuspendedEmail({ email: suspended.email, activeStrikes: strikes.length }, env), 'suspension notice');
+
+  return { userId, activeStrikes: strikes.length };
+}
+
+/**
+ * Lift a suspension
+ *
+ * @param {string} userId - Suspended user
+ * @param {string} adminId - Admin user ID
+ * @param {Object} input - { notes }
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} { userId, activeStrikes }
+ * @throws {NotFoundError} User missing or not suspended
+ */
+export async function reinstateUser(userId, adminId, { notes } = {}, env, now = nowSeconds()) {
+  const reinstated = await env.DB.prepare(`
+    UPDATE users SET suspended_at = NULL, suspension_reason = NULL
+    WHERE id = ? AND suspended_at IS NOT NULL
+    RETURNING id
+  `).bind(userId).first();
+  if (!reinstated) {
+    throw new NotFoundError('Suspended user', userId);
+  }
+
+  await unblockUserSessions(userId, env);
+
+  // Recorded on every case that struck the user, so each case history shows it
+  const { results } = await env.DB.prepare(
+    'SELECT dmca_request_id, manuscript_id FROM copyright_strikes WHERE user_id = ?'
+  ).bind(userId).all();
+  const strikes = results || [];
+  if (strikes.length > 0) {
+    await env.DB.batch(strikes.map(strike => caseEventStatement(env, {
+      requestId: strike.dmca_request_id,
+      manuscriptId: strike.manuscript_id,
+      type: 'account_reinstated',
+      actorType: 'admin',
+      actorId: adminId,
+      details: { userId, notes: notes || null },
+      now
+    })));
+  }
+
+  return { userId, activeStrikes: (await getActiveStrikes(userId, env, now)).length };
+}
+
+// ============================================================================
+// COUNTER-NOTICES
+// ============================================================================
+
+/**
+ * Validate a counter-notice against §512(g)(3)
+ *
+ * @param {Object} input - Request body (camelCase)
+ * @returns {Object} Normalized counter-notice
+ * @throws {ValidationError}
+ */
+export function normalizeCounterNotice(input = {}) {
+  const text = field => (typeof input[field] === 'string' ? input[field].trim() : '');
+  const notice = {
+    fullName: text('fullName'),
+    address: text('address'),
+    phone: text('phone'),
+    email: text('email').toLowerCase(),
+    materialDescription: text('materialDescription'),
+    mistakeStatement: text('mistakeStatement'),
+    digitalSignature: text('digitalSignature')
+  };
+
+  const missing = Object.keys(notice).filter(field => !notice[field]);
+  if (missing.length > 0) {
+    throw new ValidationError(`Missing required fields: ${missing.join(', ')}`, { missing });
+  }
+  if (!EMAIL_PATTERN.test(notice.email)) {
+    throw new ValidationError('Invalid email address format');
+  }
+  if (input.perjuryAttestation !== true || input.jurisdictionConsent !== true) {
+    throw new ValidationError('The statement under penalty of perjury and the consent to jurisdiction must both be confirmed');
+  }
+
+  return notice;
+}
+
+/**
+ * File the uploader's counter-notice to a takedown, forward it to the
+ * claimant and start the restoration timer
+ *
+ * @param {string} requestId - DMCA request ID
+ * @param {string} userId - Owner of the taken-down manuscript
+ * @param {Object} input - Counter-notice fields (see normalizeCounterNotice)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} { requestId, status, restoreAfter, restoreBy, forwarded }
+ * @throws {NotFoundError} Request missing or not against the user's manuscript
+ * @throws {ConflictError} Request is not a takedown awaiting a counter-notice
+ * @throws {ValidationError}
+ */
+export async function fileCounterNotice(requestId, userId, input, env, now = nowSeconds()) {
+  const request = await loadRequest(requestId, env);
+  if (!request.owner_id || request.owner_id !== userId) {
+    throw new NotFoundError('DMCA request', requestId);
+  }
+  if (request.status !== DMCA_STATUS.RESOLVED) {
+    throw new ConflictError('A counter-notice can only be filed against an upheld takedown', { status: request.status });
+  }
+
+  const notice = normalizeCounterNotice(input);
+  const { restoreAfter, restoreBy } = restorationWindow(now);
+  const noticeId = crypto.randomUUID();
+
+  await transition(env, request, [DMCA_STATUS.RESOLVED], DMCA_STATUS.COUNTER_NOTICE, {
+    counter_notice_at: now,
+    restore_after: restoreAfter,
+    restore_by: restoreBy
+  }, now);
+
+  await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO dmca_counter_notices (
+        id, dmca_request_id, user_id, full_name, address, phone, email,
+        material_description, mistake_statement, perjury_attestation, jurisdiction_consent,
+        digital_signature, submitted_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, TRUE, ?, ?)
+    `).bind(
+      noticeId,
+      requestId,
+      userId,
+      notice.fullName,
+      notice.address,
+      notice.phone,
+      notice.email,
+      notice.materialDescription,
+      notice.mistakeStatement,
+      notice.digitalSignature,
+      now
+    ),
+    caseEventStatement(env, {
+      requestId,
+      manuscriptId: request.manuscript_id,
+      type: 'counter_notice_filed',
+      actorType: 'uploader',
+      actorId: userId,
+      details: { counterNoticeId: noticeId, restoreAfter, restoreBy },
+      now
+    })
+  ]);
+
+  // The claimant must get a copy promptly (§512(g)(2)(B)); a failed send is
+  // left visible as forwarded_at IS NULL for an admin to follow up
+  let forwarded = false;
+  try {
+    forwarded = await sendDMCACounterNoticeForward({
+      requestId,
+      requesterEmail: request.requester_email,
+      requesterName: request.requester_name,
+      manuscriptTitle: request.manuscript_title,
+      counterNotice: notice,
+      restoreAfter
+    }, env);
+  } catch (error) {
+    console.error('[DMCA] Failed to forward counter-notice:', error);
+  }
+
+  if (forwarded) {
+    await env.DB.batch([
+      env.DB.prepare('UPDATE dmca_counter_notices SET forwarded_at = ? WHERE id = ?').bind(now, noticeId),
+      caseEventStatement(env, {
+        requestId,
+        manuscriptId: request.manuscript_id,
+        type: 'counter_notice_forwarded',
+        actorType: 'system',
+        details: { to: request.requester_email },
+        now
+      })
+    ]);
+  }
+
+  return { requestId, status: DMCA_STATUS.COUNTER_NOTICE, restoreAfter, restoreBy, forwarded };
+}
+
+/**
+ * Record that the claimant has filed a court action, which keeps the
+ * manuscript down instead of restoring it (§512(g)(2)(C))
+ *
+ * @param {string} requestId - DMCA request ID
+ * @param {string} adminId - Admin user ID
+ * @param {Object} input - { notes, caseReference }
+ * @param {Object} env - Environment bindings
+ * @throws {ValidationError|NotFoundError|ConflictError}
+ */
+export async function recordCourtAction(requestId, adminId, { notes, caseReference } = {}, env, now = nowSeconds()) {
+  if (!caseReference) {
+    throw new ValidationError('caseReference is required');
+  }
+
+  const request = await loadRequest(requestId, env);
+  await transition(env, request, [DMCA_STATUS.COUNTER_NOTICE], DMCA_STATUS.COURT_ACTION, { court_action_at: now }, now);
+  await caseEventStatement(env, {
+    requestId,
+    manuscriptId: request.manuscript_id,
+    type: 'court_action',
+    actorType: 'admin',
+    actorId: adminId,
+    details: { caseReference, notes: notes || null },
+    now
+  }).run();
+
+  if (request.owner_email) {
+    notify(sendDMCAOwnerNotification({
+      ownerEmail: request.owner_email,
+      manuscriptTitle: request.manuscript_title,
+      manuscriptId: request.manuscript_id,
+      requestId,
+      action: 'court_action'
+    }, env), 'owner notification');
+  }
+
+  return { requestId, status: DMCA_STATUS.COURT_ACTION };
+}
+
+// ============================================================================
+// RESTORATION (scheduled jobs worker)
+// ============================================================================
+
+/**
+ * Restore manuscripts whose counter-notice period has lapsed without a
+ * court action, and withdraw the strikes their takedowns issued
+ *
+ * @param {Object} env - Environment bindings
+ * @param {number} now - Current time in seconds (defaults to the clock)
+ * @returns {Promise<{restored: number}>}
+ */
+export async function processDMCARestorations(env, now = nowSeconds()) {
+  const summary = { restored: 0 };
+
+  const { results } = await env.DB.prepare(`
+    SELECT d.*, m.title AS manuscript_title, u.email AS owner_email
+    FROM dmca_requests d
+    LEFT JOIN manuscripts m ON d.manuscript_id = m.id
+    LEFT JOIN users u ON m.user_id = u.id
+    WHERE d.status = ? AND d.restore_after <= ?
+    ORDER BY d.restore_after
+  `).bind(DMCA_STATUS.COUNTER_NOTICE, now).all();
+
+  for (const request of results || []) {
+    const claimed = await env.DB.prepare(`
+      UPDATE dmca_requests SET status = ?, restored_at = ?, updated_at = ?
+      WHERE id = ? AND status = ?
+    `).bind(DMCA_STATUS.RESTORED, now, now, request.id, DMCA_STATUS.COUNTER_NOTICE).run();
+    if (!claimed.meta?.changes) continue;
+
+    const event = { requestId: request.id, manuscriptId: request.manuscript_id, actorType: 'system', now };
+    await env.DB.batch([
+      // Another upheld request against the same manuscript keeps it down
+      env.DB.prepare(`
+        UPDATE manuscripts SET dmca_status = 'clear', updated_at = to_timestamp(?)
+        WHERE id = ? AND NOT EXISTS (
+          SELECT 1 FROM dmca_requests
+          WHERE manuscript_id = ? AND id <> ? AND status IN (${TAKEDOWN_STATUSES.map(() => '?').join(', ')})
+        )
+      `).bind(now, request.manuscript_id, request.manuscript_id, request.id, ...TAKEDOWN_STATUSES),
+      env.DB.prepare(`
+        UPDATE copyright_strikes SET revoked_at = ?, revoke_reason = 'counter_notice_restored'
+        WHERE dmca_request_id = ? AND revoked_at IS NULL
+      `).bind(now, request.id),
+      caseEventStatement(env, { ...event, type: 'restored', details: { restoreAfter: request.restore_after, restoreBy: request.restore_by } }),
+      caseEventStatement(env, { ...event, type: 'strike_revoked', details: { reason: 'counter_notice_restored' } })
+    ]);
+
+    notify(sendDMCAStatusUpdate({
+      requestId: request.id,
+      requesterEmail: request.requester_email,
+      requesterName: request.requester_name,
+      status: DMCA_STATUS.RESTORED,
+      manuscriptTitle: request.manuscript_title
+    }, env), 'restoration notice');
+
+    if (request.owner_email) {
+      notify(sendDMCAOwnerNotification({
+        ownerEmail: request.owner_email,
+        manuscriptTitle: request.manuscript_title,
+        manuscriptId: request.manuscript_id,
+        requestId: request.id,
+        action: 'restored'
+      }, env), 'owner notification');
+    }
+
+    summary.restored++;
+  }
+
+  return summary;
+}
+
+// ============================================================================
+// READING CASES
+// ============================================================================
+
+function counterNoticeFromRow(row) {
+  return row && {
+    id: row.id,
+    fullName: row.full_name,
+    address: row.address,
+    phone: row.phone,
+    email: row.email,
+    materialDescription: row.material_description,
+    mistakeStatement: row.mistake_statement,
+    perjuryAttestation: !!row.perjury_attestation,
+    jurisdictionConsent: !!row.jurisdiction_consent,
+    digitalSignature: row.digital_signature,
+    submittedAt: row.submitted_at,
+    forwardedAt: row.forwarded_at
+  };
+}
+
+/**
+ * Requests against a user's manuscripts, with their strike standing
+ *
+ * @returns {Promise<Object>} { cases, strikes: { active, suspendAt } }
+ */
+export async function listOwnerCases(userId, env, now = nowSeconds()) {
+  const { results } = await env.DB.prepare(`
+    SELECT d.id, d.manuscript_id, m.title AS manuscript_title, d.requester_name, d.requester_company,
+           d.claim_details, d.original_work_url, d.status, d.submitted_at, d.resolved_at, d.takedown_at,
+           d.counter_notice_at, d.restore_after, d.restore_by, d.restored_at, d.court_action_at
+    FROM dmca_requests d
+    JOIN manuscripts m ON d.manuscript_id = m.id
+    WHERE m.user_id = ?
+    ORDER BY d.submitted_at DESC
+  `).bind(userId).all();
+
+  const strikes = await getActiveStrikes(userId, env, now);
+
+  return {
+    cases: (results || []).map(row => ({
+      id: row.id,
+      manuscriptId: row.manuscript_id,
+      manuscriptTitle: row.manuscript_title,
+      claimant: row.requester_company || row.requester_name,
+      claimDetails: row.claim_details,
+      originalWorkUrl: row.original_work_url,
+      status: row.status,
+      submittedAt: row.submitted_at,
+      resolvedAt: row.resolved_at,
+      takedownAt: row.takedown_at,
+      counterNoticeAt: row.counter_notice_at,
+      restoreAfter: row.restore_after,
+      restoreBy: row.restore_by,
+      restoredAt: row.restored_at,
+      courtActionAt: row.court_action_at,
+      canFileCounterNotice: row.status === DMCA_STATUS.RESOLVED
+    })),
+    strikes: {
+      active: strikes.map(strike => ({
+        id: strike.id,
+        dmcaRequestId: strike.dmca_request_id,
+        manuscriptId: strike.manuscript_id,
+        issuedAt: strike.issued_at,
+        expiresAt: strike.expires_at
+      })),
+      suspendAt: DMCA_POLICY.SUSPENSION_STRIKES
+    }
+  };
+}
+
+/**
+ * Everything recorded about a case, for export
+ *
+ * @returns {Promise<Object>} { request, counterNotice, strike, events }
+ * @throws {NotFoundError}
+ */
+export async function getCaseAudit(requestId, env) {
+  const request = await loadRequest(requestId, env);
+
+  const counterNotice = await env.DB.prepare(
+    'SELECT * FROM dmca_counter_notices WHERE dmca_request_id = ?'
+  ).bind(requestId).first();
+  const strike = await env.DB.prepare(
+    'SELECT * FROM copyright_strikes WHERE dmca_request_id = ?'
+  ).bind(requestId).first();
+  const { results } = await env.DB.prepare(
+    'SELECT * FROM dmca_case_events WHERE dmca_request_id = ? ORDER BY created_at, seq'
+  ).bind(requestId).all();
+
+  return {
+    request: {
+      id: request.id,
+      manuscriptId: request.manuscript_id,
+      manuscriptTitle: request.manuscript_title,
+      ownerId: request.owner_id,
+      requesterName: request.requester_name,
+      requesterEmail: request.requester_email,
+      requesterCompany: request.requester_company,
+      claimDetails: request.claim_details,
+      originalWorkUrl: request.original_work_url,
+      digitalSignature: request.digital_signature,
+      status: request.status,
+      submittedAt: request.submitted_at,
+      resolutionNotes: request.resolution_notes,
+      resolvedAt: request.resolved_at,
+      resolvedBy: request.resolved_by,
+      takedownAt: request.takedown_at,
+      counterNoticeAt: request.counter_notice_at,
+      restoreAfter: request.restore_after,
+      restoreBy: request.restore_by,
+      restoredAt: request.restored_at,
+      courtActionAt: request.court_action_at
+    },
+    counterNotice: counterNoticeFromRow(counterNotice),
+    strike: strike && {
+      id: strike.id,
+      userId: strike.user_id,
+      issuedAt: strike.issued_at,
+      expiresAt: strike.expires_at,
+      revokedAt: strike.revoked_at,
+      revokeReason: strike.revoke_reason
+    },
+    events: (results || []).map(event => ({
+      id: event.id,
+      type: event.event_type,
+      actorType: event.actor_type,
+      actorId: event.actor_id,
+      details: event.details ? JSON.parse(event.details) : null,
+      createdAt: event.created_at
+    }))
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A case's events as CSV, one row per event
+ *
+ * @param {Object} audit - Result of getCaseAudit
+ * @returns {string}
+ */
+export function caseAuditToCsv(audit) {
+  const rows = [['Time (UTC)', 'Request ID', 'Event', 'Actor Type', 'Actor ID', 'Details']];
+  for (const event of audit.events) {
+    rows.push([
+      new Date(event.createdAt * 1000).toISOString(),
+      audit.request.id,
+      event.type,
+      event.actorType,
+      event.actorId,
+      event.details ? JSON.stringify(event.details) : ''
+    ]);
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+export default {
+  DMCA_STATUS,
+  DMCA_POLICY,
+  TAKEN_DOWN,
+  federalHolidays,
+  isBusinessDay,
+  addBusinessDays,
+  restorationWindow,
+  caseEventStatement,
+  setReviewStatus,
+  resolveRequest,
+  getActiveStrikes,
+  applyRepeatInfringerPolicy,
+  reinstateUser,
+  normalizeCounterNotice,
+  fileCounterNotice,
+  recordCourtAction,
+  processDMCARestorations,
+  listOwnerCases,
+  getCaseAudit,
+  caseAuditToCsv
+};
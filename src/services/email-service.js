@@ -108,9 +108,11 @@ export async function sendEmail({ to, subject, html, text, replyTo, env }) {
  *
  * @param {string} title - Email title
  * @param {string} content - Email content (HTML)
+ * @param {Object} options - Template options
+ * @param {string} options.unsubscribeUrl - One-click unsubscribe link for the footer (optional)
  * @returns {string} Complete HTML email
  */
-function generateEmailTemplate(title, content) {
+export function generateEmailTemplate(title, content, { unsubscribeUrl } = {}) {
   return `
 <!DOCTYPE html>
 <html>
@@ -204,7 +206,10 @@ function generateEmailTemplate(title, content) {
       </p>
       <p style="margin-top: 10px;">
         This is an automated message. Please do not reply to this email.
-      </p>
+      </p>${unsubscribeUrl ? `
+      <p>
+        <a href="${unsubscribeUrl}">Unsubscribe</a> from these emails.
+      </p>` : ''}
     </div>
   </div>
 </body>
@@ -271,6 +276,9 @@ export async function sendDMCAStatusUpdate(dmcaData, env) {
     reviewing: 'Your DMCA request is currently under review by our team.',
     resolved: 'Your DMCA request has been approved and the content has been taken down.',
     rejected: 'Your DMCA request has been rejected after review.',
+    counter_notice: 'The uploader has filed a counter-notice. A copy has been sent to you separately.',
+    restored: 'The content has been restored following the uploader\'s counter-notice.',
+    court_action: 'We have recorded your court action. The content stays down while it is pending.',
   };
 
   const content = `
@@ -349,17 +357,29 @@ export async function sendDMCAOwnerNotification(ownerData, env) {
 
     ${action === 'removed' ? `
       <div class="warning-box">
-        <p><strong>Content Removed:</strong> After reviewing a valid DMCA claim, we have removed your manuscript from our platform.</p>
+        <p><strong>Content Removed:</strong> After reviewing a valid DMCA claim, we have disabled access to your manuscript and the files generated from it. A copyright strike has been recorded on your account.</p>
       </div>
 
       <p><strong>If you believe this was done in error:</strong></p>
       <ol>
-        <li>You may submit a counter-notice if you have permission to use the content</li>
-        <li>Provide evidence of copyright ownership or license</li>
+        <li>You may file a counter-notice from your dashboard if the material was removed by mistake or misidentification</li>
+        <li>We forward it to the claimant and restore the manuscript 10 to 14 business days later, unless they tell us they have filed a court action</li>
         <li>Contact our support team for assistance</li>
       </ol>
     ` : ''}
 
+    ${action === 'restored' ? `
+      <div class="info-box" style="border-left-color: #28a745; background: #d4edda;">
+        <p><strong>✓ Content Restored:</strong> The claimant did not notify us of a court action within the counter-notice period, so your manuscript is available again and the copyright strike has been withdrawn.</p>
+      </div>
+    ` : ''}
+
+    ${action === 'court_action' ? `
+      <div class="warning-box">
+        <p><strong>Court Action Filed:</strong> The claimant has notified us that they filed an action seeking a court order. Your manuscript stays unavailable until the matter is settled.</p>
+      </div>
+    ` : ''}
+
     ${action === 'cleared' ? `
       <div class="info-box" style="border-left-color: #28a745; background: #d4edda;">
         <p><strong>✓ Claim Rejected:</strong> After review, the DMCA claim against your manuscript was rejected. Your content remains published and accessible.</p>
@@ -385,6 +405,88 @@ export async function sendDMCAOwnerNotification(ownerData, env) {
   });
 }
 
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Email forwarding an uploader's counter-notice to the copyright holder
+ * (17 U.S.C. §512(g)(2)(B))
+ */
+export async function sendDMCACounterNoticeForward(data, env) {
+  const { requestId, requesterEmail, requesterName, manuscriptTitle, counterNotice, restoreAfter } = data;
+  const restoreDate = new Date(restoreAfter * 1000).toUTCString();
+
+  const content = `
+    <p>Hello ${escapeHtml(requesterName)},</p>
+
+    <p>The uploader of the material removed in response to your DMCA request has filed the counter-notice below.</p>
+
+    <div class="info-box">
+      <p class="metadata"><strong>Request ID:</strong> ${requestId}</p>
+      <p class="metadata"><strong>Manuscript:</strong> ${escapeHtml(manuscriptTitle || 'Unknown')}</p>
+      <p class="metadata"><strong>Name:</strong> ${escapeHtml(counterNotice.fullName)}</p>
+      <p class="metadata"><strong>Address:</strong> ${escapeHtml(counterNotice.address)}</p>
+      <p class="metadata"><strong>Phone:</strong> ${escapeHtml(counterNotice.phone)}</p>
+      <p class="metadata"><strong>Email:</strong> ${escapeHtml(counterNotice.email)}</p>
+      <p class="metadata"><strong>Material removed:</strong></p>
+      <p style="white-space: pre-wrap; font-size: 14px;">${escapeHtml(counterNotice.materialDescription)}</p>
+      <p class="metadata"><strong>Statement under penalty of perjury:</strong></p>
+      <p style="white-space: pre-wrap; font-size: 14px;">${escapeHtml(counterNotice.mistakeStatement)}</p>
+      <p class="metadata">The uploader consents to the jurisdiction of the Federal District Court for their address
+        (or, outside the United States, any judicial district in which we may be found) and will accept service of
+        process from you.</p>
+      <p class="metadata"><strong>Signature:</strong> ${escapeHtml(counterNotice.digitalSignature)}</p>
+    </div>
+
+    <div class="warning-box">
+      <p><strong>Restoration:</strong> We will restore the material after ${restoreDate} unless, before then, you notify us
+        that you have filed an action seeking a court order to restrain the uploader from the infringing activity.
+        Reply to this email with the court and case number.</p>
+    </div>
+  `;
+
+  const html = generateEmailTemplate('DMCA Counter-Notice', content);
+
+  return await sendEmail({
+    to: requesterEmail,
+    subject: `DMCA Counter-Notice for Request ${requestId}`,
+    html,
+    env,
+  });
+}
+
+/**
+ * Email to a user whose account was suspended under the repeat-infringer policy
+ */
+export async function sendAccountSuspendedEmail(data, env) {
+  const { email, activeStrikes } = data;
+
+  const content = `
+    <p>Your account has been suspended under our repeat-infringer policy after ${activeStrikes} upheld copyright complaints.</p>
+
+    <div class="warning-box">
+      <p><strong>Account Suspended:</strong> You can no longer sign in, and your API keys and connected apps have stopped working.</p>
+    </div>
+
+    <p>If a complaint was made in error, a counter-notice that leads to restoration withdraws its strike.
+      Contact support@selfpubhub.co to ask for your account to be reviewed.</p>
+  `;
+
+  const html = generateEmailTemplate('Account Suspended', content);
+
+  return await sendEmail({
+    to: email,
+    subject: 'Your account has been suspended',
+    html,
+    env,
+  });
+}
+
 // ============================================================================
 // EMAIL PREFERENCE CHECKING & LOGGING
 // ============================================================================
@@ -877,6 +979,7 @@ export async function sendEmailVerification(data, env) {
 
 export const emailService = {
   sendEmail,
+  generateEmailTemplate,
   sendNotificationEmail,
   // Authentication
   sendEmailVerification,
@@ -884,6 +987,8 @@ export const emailService = {
   sendDMCARequestNotification,
   sendDMCAStatusUpdate,
   sendDMCAOwnerNotification,
+  sendDMCACounterNoticeForward,
+  sendAccountSuspendedEmail,
   // Analysis & Assets
   sendAnalysisCompleteEmail,
   sendAssetGenerationCompleteEmail,
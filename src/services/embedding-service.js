@@ -0,0 +1,234 @@
+/**
+ * Embedding Service
+ *
+ * Turns text into fixed-length vectors for similarity search (comp titles,
+ * similar submissions, series consistency). Providers share one interface:
+ *
+ *   provider.name        - 'local' or 'openai'
+ *   provider.model       - Model identifier stored with every vector
+ *   provider.dimensions  - Vector length
+ *   provider.embed(texts) - Promise<number[][]>, L2-normalized
+ *
+ * The local provider needs no network or API key and always returns the
+ * same vector for the same text, so it works offline and in tests. Vectors
+ * from different models are never compared with each other.
+ *
+ * Configuration (env):
+ * - EMBEDDING_PROVIDER: 'local' (default) or 'openai'
+ * - EMBEDDING_MODEL: OpenAI model (default text-embedding-3-small)
+ * - EMBEDDING_DIMENSIONS: Vector length (default 512 local, 1536 OpenAI)
+ * - OPENAI_API_KEY: Required for the openai provider
+ */
+
+import { ExternalServiceError, ValidationError } from '../utils/error-handling.js';
+
+export const EMBEDDING_CONFIG = {
+  LOCAL_DIMENSIONS: 512,
+  OPENAI_MODEL: 'text-embedding-3-small',
+  OPENAI_DIMENSIONS: 1536,
+  OPENAI_URL: 'https://api.openai.com/v1/embeddings',
+  OPENAI_MAX_CHARS: 24000, // ~8k tokens per input
+  OPENAI_BATCH_SIZE: 64
+};
+
+// Words too common to say anything about a book
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no', 'not', 'of', 'on', 'one', 'or',
+  'our', 'out', 'she', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this',
+  'to', 'up', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Scale a vector to unit length (zero vectors are returned unchanged)
+ */
+export function normalizeVector(vector) {
+  let sum = 0;
+  for (const value of vector) {
+    sum += value * value;
+  }
+  const norm = Math.sqrt(sum);
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Cosine similarity of two vectors (-1 to 1, 0 for mismatched or empty vectors)
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Mean of several vectors, normalized (the "center" of a group of books)
+ */
+export function centroid(vectors) {
+  if (vectors.length === 0) {
+    return [];
+  }
+
+  const sum = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    for (let i = 0; i < sum.length; i++) {
+      sum[i] += vector[i];
+    }
+  }
+  return normalizeVector(sum);
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Lowercase content words (stopwords and numbers removed)
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-zÀ-ɏ][a-zÀ-ɏ']*/g) || [])
+    .map(token => token.replace(/'s?$/, ''))
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Deterministic local embeddings (feature hashing)
+ * Word unigrams and bigrams are hashed into a fixed number of signed
+ * buckets, weighted by sublinear term frequency (1 + log tf). Captures
+ * shared vocabulary - names, settings, themes - not meaning.
+ */
+export class HashingEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || EMBEDDING_CONFIG.LOCAL_DIMENSIONS;
+    this.model = `local-hash-v1-${this.dimensions}`;
+  }
+
+  embedText(text) {
+    const counts = new Map();
+    const tokens = tokenize(text || '');
+
+    for (let i = 0; i < tokens.length; i++) {
+      counts.set(tokens[i], (counts.get(tokens[i]) || 0) + 1);
+      if (i > 0) {
+        const bigram = `${tokens[i - 1]} ${tokens[i]}`;
+        counts.set(bigram, (counts.get(bigram) || 0) + 1);
+      }
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = fnv1a(feature);
+      const sign = (hash & 0x80000000) ? -1 : 1;
+      const weight = (1 + Math.log(count)) * (feature.includes(' ') ? 0.5 : 1);
+      vector[hash % this.dimensions] += sign * weight;
+    }
+
+    return normalizeVector(vector);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+/**
+ * OpenAI embeddings API provider
+ */
+export class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new ValidationError('OPENAI_API_KEY is required for the openai embedding provider');
+    }
+    this.name = 'openai';
+    this.apiKey = options.apiKey;
+    this.model = options.model || EMBEDDING_CONFIG.OPENAI_MODEL;
+    this.dimensions = options.dimensions || EMBEDDING_CONFIG.OPENAI_DIMENSIONS;
+  }
+
+  async embed(texts) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += EMBEDDING_CONFIG.OPENAI_BATCH_SIZE) {
+      const batch = texts
+        .slice(i, i + EMBEDDING_CONFIG.OPENAI_BATCH_SIZE)
+        .map(text => (text || ' ').substring(0, EMBEDDING_CONFIG.OPENAI_MAX_CHARS));
+
+      const response = await fetch(EMBEDDING_CONFIG.OPENAI_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({ model: this.model, input: batch, dimensions: this.dimensions })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new ExternalServiceError('OpenAI', `Embedding request failed (${response.status}): ${errorText}`);
+      }
+
+      const data = await response.json();
+      const ordered = [...data.data].sort((a, b) => a.index - b.index);
+      vectors.push(...ordered.map(item => normalizeVector(item.embedding)));
+    }
+
+    return vectors;
+  }
+}
+
+/**
+ * Create the configured embedding provider
+ *
+ * @param {Object} env - Environment bindings
+ * @returns {HashingEmbeddingProvider|OpenAIEmbeddingProvider}
+ */
+export function createEmbeddingProvider(env = {}) {
+  const provider = (env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+  const dimensions = env.EMBEDDING_DIMENSIONS ? parseInt(env.EMBEDDING_DIMENSIONS, 10) : undefined;
+
+  switch (provider) {
+    case 'local':
+      return new HashingEmbeddingProvider({ dimensions });
+
+    case 'openai':
+      return new OpenAIEmbeddingProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.EMBEDDING_MODEL,
+        dimensions
+      });
+
+    default:
+      throw new ValidationError(`Unknown embedding provider: ${provider}. Supported providers: local, openai`);
+  }
+}
+
+export default {
+  EMBEDDING_CONFIG,
+  HashingEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  createEmbeddingProvider,
+  cosineSimilarity,
+  normalizeVector,
+  centroid,
+  tokenize
+};
@@ -0,0 +1,253 @@
+/**
+ * Job Pipeline
+ *
+ * Runs a declarative pipeline: a list of stages, each naming the stages it
+ * depends on and how often it may be retried. A stage starts as soon as all
+ * of its dependencies are complete, so independent stages run in parallel.
+ *
+ * Stage state (pending, running, complete, failed, skipped) is handed to a
+ * saveState callback after every change. Passing the saved state back in
+ * resumes the pipeline: completed stages are not run again. Stages keep their
+ * own outputs (R2 objects, database rows), so state stays small.
+ *
+ * Failure handling:
+ * - A stage is retried up to `retries` times, `retryDelayMs` apart
+ * - When a required stage runs out of retries, running stages finish, nothing
+ *   new starts, and runPipeline throws a PipelineError
+ * - When an optional stage fails, only the stages depending on it are skipped
+ * - An error with `abort = true` (cancellation, lost lease) is never retried;
+ *   it stops the pipeline and is rethrown unchanged
+ */
+
+export const STAGE_DEFAULTS = {
+  dependsOn: [],
+  retries: 0,
+  retryDelayMs: 5000,
+  weight: 1,
+  optional: false
+};
+
+export class PipelineError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PipelineError';
+    this.details = details;
+  }
+}
+
+/**
+ * Validate a pipeline definition and fill in stage defaults
+ *
+ * @param {Object} definition - { name, stages: [{ id, run, dependsOn, retries, retryDelayMs, weight, optional }] }
+ * @returns {Object} Frozen pipeline with stages in dependency order
+ */
+export function definePipeline({ name, stages }) {
+  if (!name) {
+    throw new Error('Pipeline name is required');
+  }
+
+  const byId = new Map();
+  for (const stage of stages) {
+    if (!stage.id || typeof stage.run !== 'function') {
+      throw new Error(`Pipeline ${name}: every stage needs an id and a run function`);
+    }
+    if (byId.has(stage.id)) {
+      throw new Error(`Pipeline ${name}: duplicate stage "${stage.id}"`);
+    }
+    byId.set(stage.id, Object.freeze({ ...STAGE_DEFAULTS, ...stage }));
+  }
+
+  for (const stage of byId.values()) {
+    for (const dependency of stage.dependsOn) {
+      if (!byId.has(dependency)) {
+        throw new Error(`Pipeline ${name}: stage "${stage.id}" depends on unknown stage "${dependency}"`);
+      }
+    }
+  }
+
+  // Depth-first topological sort; a stage seen again while still on the path is a cycle
+  const ordered = [];
+  const visiting = new Set();
+  const visited = new Set();
+  const visit = (stage, path) => {
+    if (visited.has(stage.id)) return;
+    if (visiting.has(stage.id)) {
+      throw new Error(`Pipeline ${name}: dependency cycle ${[...path, stage.id].join(' -> ')}`);
+    }
+    visiting.add(stage.id);
+    for (const dependency of stage.dependsOn) {
+      visit(byId.get(dependency), [...path, stage.id]);
+    }
+    visiting.delete(stage.id);
+    visited.add(stage.id);
+    ordered.push(stage);
+  };
+  for (const stage of byId.values()) {
+    visit(stage, []);
+  }
+
+  return Object.freeze({ name, stages: Object.freeze(ordered) });
+}
+
+/**
+ * Fresh state, or the saved state with anything left running reset
+ * A stage that was running when the process died starts over.
+ */
+export function initialState(pipeline, saved = null) {
+  const usable = saved && saved.pipeline === pipeline.name ? saved : null;
+  const stages = {};
+
+  for (const stage of pipeline.stages) {
+    const previous = usable?.stages?.[stage.id];
+    stages[stage.id] = previous?.status === 'complete'
+      ? previous
+      : { status: 'pending', attempts: 0, progress: 0, error: null };
+  }
+
+  return { pipeline: pipeline.name, stages };
+}
+
+/**
+ * Weighted completion across all stages, 0-100
+ */
+export function pipelineProgress(pipeline, state) {
+  let total = 0;
+  let done = 0;
+  for (const stage of pipeline.stages) {
+    const stageState = state.stages[stage.id];
+    total += stage.weight;
+    done += stage.weight * (stageState.status === 'complete' ? 1 : stageState.progress || 0);
+  }
+  return total > 0 ? Math.floor(100 * done / total) : 100;
+}
+
+/**
+ * Run a pipeline to completion
+ *
+ * @param {Object} pipeline - From definePipeline
+ * @param {Object} context - Passed to every stage's run(context, stage)
+ * @param {Object} options
+ * @param {Object} options.state - Saved state to resume from
+ * @param {Function} options.saveState - async (state) after every state change
+ * @param {Function} options.onProgress - async (state, stageId, update) when a stage reports progress
+ * @param {Function} options.sleep - async (ms) between retries (for tests)
+ * @returns {Promise<{state: Object, results: Object}>} results holds this run's stage return values
+ */
+export async function runPipeline(pipeline, context, {
+  state: saved = null,
+  saveState = async () => {},
+  onProgress = async () => {},
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  const state = initialState(pipeline, saved);
+  const results = {};
+  const running = new Map();
+  let failure = null;
+
+  const save = () => saveState(state);
+
+  const runStage = async (stage) => {
+    const stageState = state.stages[stage.id];
+    const api = {
+      attempt: 0,
+      reportProgress: async (fraction, message = null, extra = {}) => {
+        stageState.progress = Math.max(0, Math.min(1, fraction));
+        await onProgress(state, stage.id, { message, ...extra });
+      }
+    };
+
+    for (;;) {
+      stageState.status = 'running';
+      stageState.attempts += 1;
+      stageState.progress = 0;
+      stageState.startedAt = new Date().toISOString();
+      api.attempt = stageState.attempts;
+      await save();
+
+      try {
+        results[stage.id] = await stage.run(context, api);
+        stageState.status = 'complete';
+        stageState.progress = 1;
+        stageState.error = null;
+        stageState.completedAt = new Date().toISOString();
+        await save();
+        return;
+      } catch (error) {
+        stageState.error = error.message;
+        stageState.details = error.details;
+
+        const retriesUsed = stageState.attempts - 1;
+        if (error.abort || failure || retriesUsed >= stage.retries) {
+          stageState.status = 'failed';
+          await save();
+          throw error;
+        }
+
+        console.warn(`[Pipeline ${pipeline.name}] Stage ${stage.id} failed (attempt ${stageState.attempts}), retrying:`, error.message);
+        await sleep(stage.retryDelayMs);
+      }
+    }
+  };
+
+  const blocked = stage => stage.dependsOn.some(dependency => ['failed', 'skipped'].includes(state.stages[dependency].status));
+  const ready = stage => stage.dependsOn.every(dependency => state.stages[dependency].status === 'complete');
+
+  for (;;) {
+    if (!failure) {
+      for (const stage of pipeline.stages) {
+        const status = state.stages[stage.id].status;
+        if (status !== 'pending' || running.has(stage.id)) continue;
+
+        if (blocked(stage)) {
+          state.stages[stage.id].status = 'skipped';
+          await save();
+        } else if (ready(stage)) {
+          const promise = runStage(stage).then(
+            () => ({ stage }),
+            error => ({ stage, error })
+          );
+          running.set(stage.id, promise);
+        }
+      }
+    }
+
+    if (running.size === 0) break;
+
+    const { stage, error } = await Promise.race(running.values());
+    running.delete(stage.id);
+
+    if (error && (error.abort || !stage.optional) && !failure) {
+      // Let the stages already running finish so their work is kept for a resume
+      failure = { stage, error };
+    } else if (error) {
+      console.error(`[Pipeline ${pipeline.name}] Optional stage ${stage.id} failed:`, error.message);
+    }
+  }
+
+  if (failure) {
+    if (failure.error.abort) {
+      throw failure.error;
+    }
+
+    const failedStages = pipeline.stages
+      .filter(stage => state.stages[stage.id].status === 'failed' && !stage.optional)
+      .map(stage => stage.id);
+
+    throw new PipelineError(`Stage ${failure.stage.id} failed: ${failure.error.message}`, {
+      failedStages,
+      ...failure.error.details,
+      cause: failure.error.message
+    });
+  }
+
+  return { state, results };
+}
+
+export default {
+  STAGE_DEFAULTS,
+  PipelineError,
+  definePipeline,
+  initialState,
+  pipelineProgress,
+  runPipeline
+};
@@ -0,0 +1,821 @@
+/**
+ * LLM Client
+ *
+ * One client for every agent, generator and chat handler that talks to a
+ * language model. Callers describe what they need (agent, operation,
+ * prompt, optional JSON schema) and the client picks the model, retries,
+ * falls back to the next provider and tracks usage.
+ *
+ * Providers share one interface:
+ *
+ *   provider.name              - 'anthropic', 'openai' or 'mock'
+ *   provider.complete(request) - Promise<{ text, usage }>
+ *   provider.stream(request)   - async iterable of { type: 'text', text } / { type: 'usage', ... }
+ *
+ * Model routing: every agent has a tier ('fast', 'standard', 'strong') and
+ * every provider maps tiers to models, so cheap tasks (keywords,
+ * categories) run on small models and developmental edits on the strongest.
+ *
+ * The mock provider replays recorded fixtures (tests/fixtures/llm/<Agent>.json,
+ * keyed by operation) so the agent suite runs without network access.
+ * Set LLM_RECORD_FIXTURES=true to record real responses into that directory.
+ *
+ * Configuration (env):
+ * - LLM_PROVIDERS: Comma-separated fallback order (default: every provider with an API key)
+ * - ANTHROPIC_API_KEY / ANTHROPIC_BASE_URL: Anthropic credentials (base URL for an AI gateway)
+ * - OPENAI_API_KEY / OPENAI_BASE_URL: OpenAI credentials
+ * - LLM_MODELS: JSON tier overrides, e.g. {"anthropic":{"fast":"claude-3-5-haiku-20241022"}}
+ * - LLM_ROUTES: JSON agent overrides (tier or model), e.g. {"KeywordAgent":"standard"}
+ * - LLM_FIXTURES_DIR: Fixture directory for the mock provider (default tests/fixtures/llm)
+ * - LLM_RECORD_FIXTURES: 'true' to record live responses as fixtures
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+import { ExternalServiceError, ValidationError } from '../utils/error-handling.js';
+import { calculateClaudeAPICost, logClaudeAPICost } from '../utils/cost-utils.js';
+import { meterUsage } from './billing-service.js';
+
+export const LLM_CONFIG = {
+  MODELS: {
+    anthropic: {
+      fast: 'claude-3-5-haiku-20241022',
+      standard: 'claude-sonnet-4-20250514',
+      strong: 'claude-opus-4-20250514'
+    },
+    openai: {
+      fast: 'gpt-4o-mini',
+      standard: 'gpt-4o',
+      strong: 'gpt-4.1'
+    },
+    mock: {
+      fast: 'mock',
+      standard: 'mock',
+      strong: 'mock'
+    }
+  },
+  DEFAULT_TIER: 'standard',
+  MAX_TOKENS: 4096,
+  MAX_RETRIES: 5, // Attempts per provider before falling back to the next
+  BASE_WAIT_TIME: 1000, // Base wait time in ms for exponential backoff
+  JSON_ATTEMPTS: 3, // Attempts to get a response that matches the schema
+  FIXTURES_DIR: 'tests/fixtures/llm'
+};
+
+/**
+ * Model tier per agent (agents not listed use DEFAULT_TIER)
+ */
+export const AGENT_MODEL_TIERS = {
+  // Short, formulaic outputs
+  KeywordAgent: 'fast',
+  CategoryAgent: 'fast',
+  PlatformMetadataAgent: 'fast',
+  AudiobookMetadataAgent: 'fast',
+  AudiobookTimingAgent: 'fast',
+  AudiobookPronunciationAgent: 'fast',
+  FormatConversionAgent: 'fast',
+  ReviewMonitoringAgent: 'fast',
+  ReviewSentimentAgent: 'fast',
+  ChapterSummary: 'fast',
+
+  // Editorial judgement over long text
+  DevelopmentalAgent: 'strong',
+  LineEditingAgent: 'strong',
+  HumanStyleEditor: 'strong'
+};
+
+const TIERS = ['fast', 'standard', 'strong'];
+
+/**
+ * Which provider a model ID belongs to
+ */
+function modelProvider(model) {
+  if (/^claude/.test(model)) {
+    return 'anthropic';
+  }
+  if (/^(gpt|o\d|chatgpt)/.test(model)) {
+    return 'openai';
+  }
+  if (model === 'mock') {
+    return 'mock';
+  }
+  return null;
+}
+
+function parseJSONSetting(value, name) {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new ValidationError(`${name} must be valid JSON`);
+  }
+}
+
+/**
+ * Normalize a request's prompt/messages into a message list
+ */
+function toMessages(request) {
+  if (Array.isArray(request.messages) && request.messages.length > 0) {
+    return request.messages;
+  }
+  return [{ role: 'user', content: request.prompt || '' }];
+}
+
+/**
+ * Extract a JSON value from model output
+ * Accepts fenced code blocks and prose around the JSON.
+ *
+ * @param {string} text - Model output
+ * @returns {*} Parsed JSON
+ * @throws {Error} If no JSON can be found or parsed
+ */
+export function extractJSON(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (fenced) {
+    return JSON.parse(fenced[1]);
+  }
+
+  const objectStart = text.indexOf('{');
+  const arrayStart = text.indexOf('[');
+  const isArray = arrayStart !== -1 && (objectStart === -1 || arrayStart < objectStart);
+  const start = isArray ? arrayStart : objectStart;
+  const end = text.lastIndexOf(isArray ? ']' : '}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON found in response');
+  }
+
+  return JSON.parse(text.substring(start, end + 1));
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema (subset)
+ * Supports type, enum, required, properties, additionalProperties, items,
+ * minItems/maxItems, minLength/maxLength, minimum/maximum and pattern.
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} at - Path of the value (for messages)
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+export function validateSchema(value, schema, at = '$') {
+  if (!schema) {
+    return [];
+  }
+
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(type =>
+      type === actual ||
+      (type === 'integer' && Number.isInteger(value)) ||
+      (type === 'number' && actual === 'number')
+    );
+    if (!matches) {
+      return [`${at}: expected ${allowed.join(' or ')}, got ${actual}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: must have at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at}: must have at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${at}.${key}: is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Wrap a provider SDK error, recording whether it's worth retrying
+ */
+function providerError(service, error) {
+  const status = error.status;
+  const wrapped = new ExternalServiceError(service, `${service} API error${status ? ` (${status})` : ''}: ${error.message}`);
+  wrapped.details.upstreamStatus = status || null;
+  wrapped.retryable = !status || status === 429 || status >= 500;
+  return wrapped;
+}
+
+/**
+ * Anthropic Messages API provider
+ * Set ANTHROPIC_BASE_URL to route through an AI gateway.
+ */
+export class AnthropicProvider {
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new ValidationError('ANTHROPIC_API_KEY is required for the anthropic LLM provider');
+    }
+    this.name = 'anthropic';
+    this.client = options.client || new Anthropic({
+      apiKey: options.apiKey,
+      baseURL: options.baseURL || undefined,
+      maxRetries: 0 // The LLM client retries and falls back itself
+    });
+  }
+
+  params({ model, system, messages, maxTokens, temperature }) {
+    return {
+      model,
+      max_tokens: maxTokens,
+      messages,
+      ...(system ? { system } : {}),
+      ...(temperature !== undefined ? { temperature } : {})
+    };
+  }
+
+  async complete(request) {
+    try {
+      const message = await this.client.messages.create(this.params(request));
+      return {
+        text: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        usage: {
+          inputTokens: message.usage?.input_tokens || 0,
+          outputTokens: message.usage?.output_tokens || 0,
+          model: message.model || request.model
+        }
+      };
+    } catch (error) {
+      throw providerError('Anthropic', error);
+    }
+  }
+
+  async *stream(request) {
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    try {
+      const events = await this.client.messages.create({ ...this.params(request), stream: true });
+      for await (const event of events) {
+        if (event.type === 'message_start') {
+          inputTokens = event.message.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield { type: 'text', text: event.delta.text };
+        } else if (event.type === 'message_delta') {
+          outputTokens = event.usage?.output_tokens || outputTokens;
+        }
+      }
+    } catch (error) {
+      throw providerError('Anthropic', error);
+    }
+
+    yield { type: 'usage', inputTokens, outputTokens, model: request.model };
+  }
+}
+
+/**
+ * OpenAI Chat Completions provider
+ */
+export class OpenAIProvider {
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new ValidationError('OPENAI_API_KEY is required for the openai LLM provider');
+    }
+    this.name = 'openai';
+    this.client = options.client || new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseURL || undefined,
+      maxRetries: 0
+    });
+  }
+
+  params({ model, system, messages, maxTokens, temperature }) {
+    return {
+      model,
+      max_completion_tokens: maxTokens,
+      messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+      ...(temperature !== undefined ? { temperature } : {})
+    };
+  }
+
+  async complete(request) {
+    try {
+      const completion = await this.client.chat.completions.create(this.params(request));
+      return {
+        text: completion.choices[0]?.message?.content || '',
+        usage: {
+          inputTokens: completion.usage?.prompt_tokens || 0,
+          outputTokens: completion.usage?.completion_tokens || 0,
+          model: completion.model || request.model
+        }
+      };
+    } catch (error) {
+      throw providerError('OpenAI', error);
+    }
+  }
+
+  async *stream(request) {
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    try {
+      const chunks = await this.client.chat.completions.create({
+        ...this.params(request),
+        stream: true,
+        stream_options: { include_usage: true }
+      });
+      for await (const chunk of chunks) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) {
+          yield { type: 'text', text };
+        }
+        if (chunk.usage) {
+          inputTokens = chunk.usage.prompt_tokens || 0;
+          outputTokens = chunk.usage.completion_tokens || 0;
+        }
+      }
+    } catch (error) {
+      throw providerError('OpenAI', error);
+    }
+
+    yield { type: 'usage', inputTokens, outputTokens, model: request.model };
+  }
+}
+
+/**
+ * Offline provider that replays recorded responses
+ *
+ * Fixtures are keyed by agent, then by operation (or 'default'). A fixture
+ * is the response text or a JSON value (returned serialized). Wrap several
+ * in { "$sequence": [...] } to replay them in order on repeated calls.
+ */
+export class MockLLMProvider {
+  /**
+   * @param {Object} options - { fixtures: { [agent]: { [operation]: response } }, fixturesDir }
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.fixtures = options.fixtures || {};
+    this.fixturesDir = options.fixturesDir || LLM_CONFIG.FIXTURES_DIR;
+    this.calls = [];
+  }
+
+  loadAgentFixtures(agent) {
+    if (!this.fixtures[agent]) {
+      const file = path.resolve(this.fixturesDir, `${agent}.json`);
+      this.fixtures[agent] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+    return this.fixtures[agent];
+  }
+
+  respond(request) {
+    const agent = request.agent || 'default';
+    const operation = request.operation || 'default';
+    const fixtures = this.loadAgentFixtures(agent);
+    let fixture = fixtures[operation] ?? fixtures.default;
+
+    if (fixture === undefined) {
+      throw new ValidationError(`No LLM fixture for ${agent} / ${operation} in ${this.fixturesDir}`);
+    }
+
+    const repeat = this.calls.filter(call => call.agent === agent && call.operation === operation).length;
+    this.calls.push({ agent, operation, model: request.model, messages: request.messages, system: request.system });
+
+    if (fixture && Array.isArray(fixture.$sequence)) {
+      fixture = fixture.$sequence[Math.min(repeat, fixture.$sequence.length - 1)];
+    }
+
+    return typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+  }
+
+  usage(request, text) {
+    const promptLength = request.messages.reduce((sum, message) => sum + String(message.content).length, 0);
+    return {
+      inputTokens: Math.ceil(((request.system || '').length + promptLength) / 4),
+      outputTokens: Math.ceil(text.length / 4),
+      model: 'mock'
+    };
+  }
+
+  async complete(request) {
+    const text = this.respond(request);
+    return { text, usage: this.usage(request, text) };
+  }
+
+  async *stream(request) {
+    const text = this.respond(request);
+    for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+      yield { type: 'text', text: piece };
+    }
+    yield { type: 'usage', ...this.usage(request, text) };
+  }
+}
+
+/**
+ * Save a live response as a mock fixture
+ */
+async function recordFixture(fixturesDir, request, text) {
+  const file = path.resolve(fixturesDir, `${request.agent || 'default'}.json`);
+  let fixtures = {};
+  try {
+    fixtures = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch {
+    // First fixture for this agent
+  }
+
+  let value = text;
+  try {
+    value = extractJSON(text);
+  } catch {
+    // Plain-text response
+  }
+  fixtures[request.operation || 'default'] = value;
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, `${JSON.stringify(fixtures, null, 2)}\n`);
+}
+
+export class LLMClient {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.providers - Providers in fallback order
+   * @param {Object} options.models - { [provider]: { fast, standard, strong } }
+   * @param {Object} options.routes - { [agent]: tier or model ID }
+   * @param {number} options.maxRetries - Attempts per provider
+   * @param {number} options.baseWaitTime - Backoff base in ms
+   * @param {Function} options.onUsage - Called with (usage, request) after each call
+   * @param {string} options.recordDir - Record live responses as fixtures here
+   */
+  constructor(options = {}) {
+    if (!options.providers || options.providers.length === 0) {
+      throw new ValidationError('No LLM provider configured. Set ANTHROPIC_API_KEY, OPENAI_API_KEY or LLM_PROVIDERS=mock');
+    }
+    this.providers = options.providers;
+    this.models = options.models || LLM_CONFIG.MODELS;
+    this.routes = { ...AGENT_MODEL_TIERS, ...(options.routes || {}) };
+    this.maxRetries = options.maxRetries ?? LLM_CONFIG.MAX_RETRIES;
+    this.baseWaitTime = options.baseWaitTime ?? LLM_CONFIG.BASE_WAIT_TIME;
+    this.onUsage = options.onUsage || null;
+    this.recordDir = options.recordDir || null;
+  }
+
+  /**
+   * Pick the model a provider should use for a request
+   * Explicit model IDs only apply to the provider they belong to; other
+   * providers use the model for the agent's tier.
+   */
+  resolveModel(providerName, request = {}) {
+    const models = this.models[providerName] || {};
+
+    for (const choice of [request.model, this.routes[request.agent]]) {
+      if (!choice) {
+        continue;
+      }
+      if (TIERS.includes(choice)) {
+        return models[choice];
+      }
+      if (modelProvider(choice) === providerName) {
+        return choice;
+      }
+    }
+
+    return models[request.tier] || models[LLM_CONFIG.DEFAULT_TIER];
+  }
+
+  prepare(provider, request) {
+    return {
+      agent: request.agent,
+      operation: request.operation,
+      model: this.resolveModel(provider.name, request),
+      system: request.system,
+      messages: toMessages(request),
+      maxTokens: request.maxTokens || LLM_CONFIG.MAX_TOKENS,
+      temperature: request.temperature
+    };
+  }
+
+  async reportUsage(usage, request) {
+    if (!this.onUsage) {
+      return;
+    }
+    try {
+      await this.onUsage(usage, request);
+    } catch (error) {
+      console.error(`${request.agent || 'LLM'} - Failed to record usage:`, error.message);
+    }
+  }
+
+  async wait(attempt) {
+    const waitTime = Math.pow(2, attempt) * this.baseWaitTime;
+    if (waitTime > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+
+  /**
+   * Generate a completion, retrying and falling back across providers
+   *
+   * @param {Object} request - { agent, operation, prompt | messages, system, tier, model, maxTokens, temperature }
+   * @returns {Promise<Object>} { text, usage: { inputTokens, outputTokens, model, provider, cost } }
+   */
+  async complete(request) {
+    const label = request.agent || 'LLM';
+    let lastError;
+
+    for (const provider of this.providers) {
+      const prepared = this.prepare(provider, request);
+
+      for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+        try {
+          console.log(`${label} - ${provider.name}/${prepared.model} attempt ${attempt}/${this.maxRetries}`);
+          const result = await provider.complete(prepared);
+          const usage = {
+            ...result.usage,
+            provider: provider.name,
+            cost: calculateClaudeAPICost(result.usage.inputTokens, result.usage.outputTokens, result.usage.model)
+          };
+
+          if (this.recordDir && provider.name !== 'mock') {
+            await recordFixture(this.recordDir, request, result.text);
+          }
+          await this.reportUsage(usage, request);
+
+          return { text: result.text, usage };
+        } catch (error) {
+          console.error(`${label} - ${provider.name} attempt ${attempt} failed:`, error.message);
+          lastError = error;
+
+          if (!error.retryable || attempt === this.maxRetries) {
+            break;
+          }
+          await this.wait(attempt);
+        }
+      }
+    }
+
+    throw new ExternalServiceError('LLM', `${label} - All LLM providers failed. Last error: ${lastError.message}`);
+  }
+
+  /**
+   * Generate a completion token by token
+   * Falls back to the next provider only if the stream fails before the
+   * first token; after that the error is thrown to the caller.
+   *
+   * @param {Object} request - Same as complete()
+   * @returns {AsyncGenerator<Object>} { type: 'text', text } events, then { type: 'done', text, usage }
+   */
+  async *stream(request) {
+    const label = request.agent || 'LLM';
+    let lastError;
+
+    for (const provider of this.providers) {
+      const prepared = this.prepare(provider, request);
+      let text = '';
+      let usage = null;
+
+      try {
+        for await (const event of provider.stream(prepared)) {
+          if (event.type === 'text') {
+            text += event.text;
+            yield event;
+          } else if (event.type === 'usage') {
+            usage = {
+              inputTokens: event.inputTokens,
+              outputTokens: event.outputTokens,
+              model: event.model,
+              provider: provider.name,
+              cost: calculateClaudeAPICost(event.inputTokens, event.outputTokens, event.model)
+            };
+          }
+        }
+      } catch (error) {
+        console.error(`${label} - ${provider.name} stream failed:`, error.message);
+        if (text) {
+          throw error;
+        }
+        lastError = error;
+        continue;
+      }
+
+      await this.reportUsage(usage, request);
+      yield { type: 'done', text, usage };
+      return;
+    }
+
+    throw new ExternalServiceError('LLM', `${label} - All LLM providers failed. Last error: ${lastError.message}`);
+  }
+
+  /**
+   * Generate a JSON response, validated against a schema
+   * Invalid responses are sent back to the model with the validation errors.
+   *
+   * @param {Object} request - Same as complete(), plus { schema, maxAttempts }
+   * @returns {Promise<Object>} { data, text, usage } (usage summed over attempts)
+   */
+  async completeJSON(request) {
+    const { schema, maxAttempts = LLM_CONFIG.JSON_ATTEMPTS } = request;
+    const label = request.agent || 'LLM';
+    let messages = toMessages(request);
+    let total = null;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const { text, usage } = await this.complete({ ...request, messages });
+      total = total
+        ? {
+          ...usage,
+          inputTokens: total.inputTokens + usage.inputTokens,
+          outputTokens: total.outputTokens + usage.outputTokens,
+          cost: total.cost + usage.cost
+        }
+        : usage;
+
+      let data;
+      try {
+        data = extractJSON(text);
+        errors = validateSchema(data, schema);
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      if (errors.length === 0) {
+        return { data, text, usage: total };
+      }
+
+      console.warn(`${label} - Response failed validation (attempt ${attempt}/${maxAttempts}):`, errors.slice(0, 5).join('; '));
+      messages = [
+        ...toMessages(request),
+        { role: 'assistant', content: text },
+        {
+          role: 'user',
+          content: `That response was not valid:\n- ${errors.slice(0, 10).join('\n- ')}\n\nRespond again with only the corrected JSON.`
+        }
+      ];
+    }
+
+    const error = new ExternalServiceError('LLM', `${label} - Response did not match the expected format: ${errors.slice(0, 5).join('; ')}`);
+    error.details.validationErrors = errors;
+    throw error;
+  }
+}
+
+/**
+ * Whether any LLM provider is configured
+ */
+export function hasLLMProvider(env = {}) {
+  return Boolean(env.LLM_PROVIDERS || env.ANTHROPIC_API_KEY || env.OPENAI_API_KEY);
+}
+
+/**
+ * Create the providers named in LLM_PROVIDERS (or every provider with a key)
+ */
+export function createLLMProviders(env = {}) {
+  const names = env.LLM_PROVIDERS
+    ? env.LLM_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : [env.ANTHROPIC_API_KEY && 'anthropic', env.OPENAI_API_KEY && 'openai'].filter(Boolean);
+
+  return names.map(name => {
+    switch (name) {
+      case 'anthropic':
+        return new AnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY, baseURL: env.ANTHROPIC_BASE_URL });
+
+      case 'openai':
+        return new OpenAIProvider({ apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL });
+
+      case 'mock':
+        return new MockLLMProvider({ fixtures: env.LLM_FIXTURES, fixturesDir: env.LLM_FIXTURES_DIR });
+
+      default:
+        throw new ValidationError(`Unknown LLM provider: ${name}. Supported providers: anthropic, openai, mock`);
+    }
+  });
+}
+
+/**
+ * Create an LLM client from environment configuration
+ *
+ * @param {Object} env - Environment bindings
+ * @param {Object} options - { track: { userId, manuscriptId, featureName } } to log and meter costs per call,
+ *                           plus any LLMClient option
+ * @returns {LLMClient}
+ */
+export function createLLMClient(env = {}, options = {}) {
+  const { track, ...clientOptions } = options;
+  const models = { ...LLM_CONFIG.MODELS };
+  for (const [provider, tiers] of Object.entries(parseJSONSetting(env.LLM_MODELS, 'LLM_MODELS'))) {
+    models[provider] = { ...models[provider], ...tiers };
+  }
+
+  // Log the call's cost, then bill its tokens to the user; a call whose cost
+  // failed to log is still metered and shows up unlogged in the usage ledger
+  const onUsage = track
+    ? async (usage, request) => {
+      let costTrackingId = null;
+      try {
+        costTrackingId = await logClaudeAPICost(env, {
+          userId: track.userId || null,
+          manuscriptId: track.manuscriptId || null,
+          featureName: track.featureName,
+          operation: request.operation,
+          inputTokens: usage.inputTokens,
+          outputTokens: usage.outputTokens,
+          model: usage.model
+        });
+      } finally {
+        if (track.userId) {
+          await meterUsage(env, {
+            userId: track.userId,
+            costTrackingId,
+            manuscriptId: track.manuscriptId || null,
+            featureName: track.featureName,
+            operation: request.operation,
+            model: usage.model,
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            costUSD: calculateClaudeAPICost(usage.inputTokens, usage.outputTokens, usage.model)
+          });
+        }
+      }
+    }
+    : null;
+
+  return new LLMClient({
+    providers: createLLMProviders(env),
+    models,
+    routes: parseJSONSetting(env.LLM_ROUTES, 'LLM_ROUTES'),
+    recordDir: env.LLM_RECORD_FIXTURES === 'true' ? (env.LLM_FIXTURES_DIR || LLM_CONFIG.FIXTURES_DIR) : null,
+    onUsage,
+    ...clientOptions
+  });
+}
+
+export default {
+  LLM_CONFIG,
+  AGENT_MODEL_TIERS,
+  LLMClient,
+  AnthropicProvider,
+  OpenAIProvider,
+  MockLLMProvider,
+  createLLMClient,
+  createLLMProviders,
+  hasLLMProvider,
+  extractJSON,
+  validateSchema
+};
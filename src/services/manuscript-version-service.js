@@ -0,0 +1,577 @@
+/**
+ * Manuscript Version Service
+ *
+ * Revision history of a manuscript (manuscript_versions table):
+ * - Every new draft is stored under its own R2 key and never overwritten;
+ *   the manuscripts row points at the current draft
+ * - Analysis results are stored next to the draft they were run on
+ *   ({r2_key}-analysis.json, -line-analysis.json, -copy-analysis.json), so
+ *   re-analyzing a new draft leaves the reports of earlier drafts intact
+ * - Drafts can be diffed chapter by chapter and word by word, and their
+ *   analyses compared (developmental scores, line-editing issues,
+ *   copy-editing errors)
+ *
+ * Manuscripts uploaded before versioning get version 1 (their current file)
+ * the first time their history is read.
+ */
+
+import crypto from 'crypto';
+import { extractManuscriptModel } from '../utils/manuscript-model.js';
+import { diffManuscripts } from '../utils/manuscript-diff.js';
+import { NotFoundError, ValidationError, ConflictError } from '../utils/error-handling.js';
+import { quarantineUpload, discardUpload, queueAfterScan, assertFileReleased } from './upload-quarantine.js';
+
+const REPORT_ID_TTL = 60 * 60 * 24 * 30; // 30 days
+const STATUS_TTL = 60 * 60 * 24 * 7; // 7 days
+
+export const DEVELOPMENTAL_SCORES = ['structure', 'characters', 'plot', 'voice', 'genreFit', 'marketability'];
+
+/**
+ * Parse a manuscript_versions row
+ */
+function parseVersionRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    manuscriptId: row.manuscript_id,
+    versionNumber: row.version_number,
+    r2Key: row.r2_key,
+    fileName: row.file_name,
+    fileType: row.file_type,
+    fileSize: row.file_size,
+    fileHash: row.file_hash,
+    wordCount: row.word_count,
+    chapterCount: row.chapter_count,
+    reportId: row.report_id,
+    notes: row.notes,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    analyzedAt: row.analyzed_at
+  };
+}
+
+/**
+ * Record the manuscript's current file as version 1 if it has no history yet
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {Object} env - Environment bindings
+ */
+export async function ensureInitialVersion(manuscript, env) {
+  const existing = await env.DB.prepare(
+    'SELECT id FROM manuscript_versions WHERE manuscript_id = ? LIMIT 1'
+  ).bind(manuscript.id).first();
+
+  if (existing) {
+    return;
+  }
+
+  const metadata = manuscript.metadata ? JSON.parse(manuscript.metadata) : {};
+  await env.DB.prepare(`
+    INSERT INTO manuscript_versions (
+      id, manuscript_id, version_number, r2_key, file_name, file_type, file_hash,
+      word_count, report_id, created_by, created_at
+    ) VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT DO NOTHING
+  `).bind(
+    crypto.randomUUID(),
+    manuscript.id,
+    manuscript.r2_key,
+    metadata.originalName || null,
+    manuscript.file_type || null,
+    manuscript.file_hash || null,
+    manuscript.word_count || 0,
+    metadata.reportId || null,
+    manuscript.user_id,
+    manuscript.uploaded_at || Math.floor(Date.now() / 1000)
+  ).run();
+}
+
+/**
+ * List a manuscript's versions, newest first
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<Object>>} Versions
+ */
+export async function listVersions(manuscript, env) {
+  await ensureInitialVersion(manuscript, env);
+
+  const { results } = await env.DB.prepare(
+    'SELECT * FROM manuscript_versions WHERE manuscript_id = ? ORDER BY version_number DESC'
+  ).bind(manuscript.id).all();
+
+  return (results || []).map(parseVersionRow);
+}
+
+/**
+ * Get one version of a manuscript
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {number} versionNumber - Version number
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} Version
+ * @throws {NotFoundError} When the version doesn't exist
+ */
+export async function getVersion(manuscript, versionNumber, env) {
+  await ensureInitialVersion(manuscript, env);
+
+  const row = await env.DB.prepare(
+    'SELECT * FROM manuscript_versions WHERE manuscript_id = ? AND version_number = ?'
+  ).bind(manuscript.id, versionNumber).first();
+
+  if (!row) {
+    throw new NotFoundError('Manuscript version', String(versionNumber));
+  }
+
+  return parseVersionRow(row);
+}
+
+/**
+ * Store a new draft as the next version and make it the current file
+ * The file is held in quarantine until the scan worker releases it.
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {Object} draft - { buffer, fileName, fileType, notes, ipAddress }
+ * @param {string} userId - User uploading the draft
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} The new version
+ * @throws {ValidationError} When the draft can't be read
+ * @throws {ConflictError} When another draft was saved at the same time
+ */
+export async function createVersion(manuscript, draft, userId, env) {
+  const { buffer, fileName, fileType, notes = null, ipAddress = null } = draft;
+
+  let model;
+  try {
+    model = await extractManuscriptModel(buffer, fileType);
+  } catch (error) {
+    throw new ValidationError(`Could not read draft: ${error.message}`);
+  }
+
+  await ensureInitialVersion(manuscript, env);
+  const latest = await env.DB.prepare(
+    'SELECT MAX(version_number) AS version_number FROM manuscript_versions WHERE manuscript_id = ?'
+  ).bind(manuscript.id).first();
+  const versionNumber = (latest?.version_number || 0) + 1;
+
+  const hashBuffer = await crypto.subtle.digest('SHA-256', buffer);
+  const fileHash = Array.from(new Uint8Array(hashBuffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+
+  const timestamp = new Date().toISOString();
+  const sanitizedFilename = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
+  const r2Key = `${manuscript.user_id}/${manuscript.id}/v${versionNumber}_${timestamp}_${sanitizedFilename}`;
+  const now = Math.floor(Date.now() / 1000);
+
+  // Held in quarantine until the scan worker has scanned it
+  const { quarantineId } = await quarantineUpload(env, {
+    bucket: 'manuscripts_raw',
+    key: r2Key,
+    body: buffer,
+    source: 'manuscript_draft',
+    contentType: fileType,
+    customMetadata: {
+      manuscriptId: manuscript.id,
+      userId: manuscript.user_id,
+      uploadedBy: userId,
+      versionNumber: String(versionNumber),
+      originalName: fileName,
+      uploadTime: timestamp,
+      fileType,
+      fileSize: String(buffer.byteLength)
+    },
+    fileName,
+    userId,
+    manuscriptId: manuscript.id,
+    ipAddress
+  });
+
+  const version = {
+    id: crypto.randomUUID(),
+    manuscript_id: manuscript.id,
+    version_number: versionNumber,
+    r2_key: r2Key,
+    file_name: fileName,
+    file_type: fileType,
+    file_size: buffer.byteLength,
+    file_hash: fileHash,
+    word_count: model.stats.wordCount,
+    chapter_count: model.chapters.length,
+    report_id: null,
+    notes,
+    created_by: userId,
+    created_at: now,
+    analyzed_at: null
+  };
+
+  const metadata = manuscript.metadata ? JSON.parse(manuscript.metadata) : {};
+  metadata.currentVersion = versionNumber;
+  metadata.originalName = fileName;
+
+  try {
+    await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO manuscript_versions (
+          id, manuscript_id, version_number, r2_key, file_name, file_type, file_size,
+          file_hash, word_count, chapter_count, notes, created_by, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        version.id, version.manuscript_id, version.version_number, version.r2_key,
+        version.file_name, version.file_type, version.file_size, version.file_hash,
+        version.word_count, version.chapter_count, version.notes, version.created_by,
+        version.created_at
+      ),
+      env.DB.prepare(`
+        UPDATE manuscripts
+        SET r2_key = ?, file_hash = ?, file_type = ?, word_count = ?, status = 'draft', metadata = ?, updated_at = ?
+        WHERE id = ?
+      `).bind(r2Key, fileHash, fileType, version.word_count, JSON.stringify(metadata), now, manuscript.id)
+    ]);
+  } catch (error) {
+    await discardUpload(env, quarantineId).catch(() => {});
+    if (/unique|duplicate/i.test(error.message)) {
+      throw new ConflictError('Another draft was uploaded at the same time, please try again');
+    }
+    throw error;
+  }
+
+  return parseVersionRow(version);
+}
+
+/**
+ * Queue an analysis of one version
+ * Results are stored next to the version's file, so earlier drafts keep theirs.
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {Object} version - Version to analyze
+ * @param {Object} options - { genre, styleGuide }
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<string>} Report ID
+ */
+export async function startVersionAnalysis(manuscript, version, options, env) {
+  const reportId = crypto.randomUUID().substring(0, 8);
+  const now = Math.floor(Date.now() / 1000);
+  const metadata = manuscript.metadata ? JSON.parse(manuscript.metadata) : {};
+  const isCurrent = version.r2Key === manuscript.r2_key;
+
+  // The manuscript's report is the one for its current draft
+  if (isCurrent) {
+    metadata.reportId = reportId;
+  }
+
+  await env.DB.batch([
+    env.DB.prepare(
+      'UPDATE manuscripts SET metadata = ?, status = ?, updated_at = ? WHERE id = ?'
+    ).bind(
+      JSON.stringify(metadata),
+      isCurrent ? 'analyzing' : manuscript.status,
+      now,
+      manuscript.id
+    ),
+    env.DB.prepare(
+      'UPDATE manuscript_versions SET report_id = ?, analyzed_at = ? WHERE id = ?'
+    ).bind(reportId, now, version.id)
+  ]);
+
+  await env.R2.getBucket('manuscripts_raw').put(`report-id:${reportId}`, version.r2Key, {
+    expirationTtl: REPORT_ID_TTL
+  });
+
+  await env.R2.getBucket('manuscripts_raw').put(
+    `status:${reportId}`,
+    JSON.stringify({
+      status: 'queued',
+      progress: 0,
+      message: 'Analysis queued',
+      versionNumber: version.versionNumber,
+      timestamp: new Date().toISOString()
+    }),
+    { expirationTtl: STATUS_TTL }
+  );
+
+  // A new draft's analysis waits for its malware scan
+  await queueAfterScan(env, { bucket: 'manuscripts_raw', key: version.r2Key }, 'analysis', {
+    manuscriptKey: version.r2Key,
+    genre: options.genre || manuscript.genre || 'general',
+    styleGuide: options.styleGuide || 'chicago',
+    reportId
+  });
+
+  return reportId;
+}
+
+/**
+ * Load a version's file into the manuscript document model
+ *
+ * @throws {FileQuarantinedError} While the file is waiting for its scan, or was blocked
+ */
+export async function loadVersionModel(version, env) {
+  await assertFileReleased(env, 'manuscripts_raw', version.r2Key);
+  const versionObj = await env.R2.getBucket('manuscripts_raw').get(version.r2Key);
+  if (!versionObj) {
+    throw new NotFoundError('Manuscript file for version', String(version.versionNumber));
+  }
+
+  return extractManuscriptModel(
+    await versionObj.arrayBuffer(),
+    versionObj.httpMetadata?.contentType || version.fileType
+  );
+}
+
+/**
+ * Chapter- and word-level diff between two versions
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {number} fromNumber - Older version
+ * @param {number} toNumber - Newer version
+ * @param {Object} env - Environment bindings
+ * @param {Object} options - Passed to diffChapters ({ includeChanges, maxChanges, contextWords })
+ * @returns {Promise<Object>} { from, to, summary, chapters }
+ */
+export async function diffVersions(manuscript, fromNumber, toNumber, env, options = {}) {
+  if (fromNumber === toNumber) {
+    throw new ValidationError('Choose two different versions to compare');
+  }
+
+  const from = await getVersion(manuscript, fromNumber, env);
+  const to = await getVersion(manuscript, toNumber, env);
+  const [fromModel, toModel] = await Promise.all([loadVersionModel(from, env), loadVersionModel(to, env)]);
+
+  return {
+    from: versionSummary(from),
+    to: versionSummary(to),
+    ...diffManuscripts(fromModel, toModel, options)
+  };
+}
+
+function versionSummary(version) {
+  return {
+    versionNumber: version.versionNumber,
+    fileName: version.fileName,
+    wordCount: version.wordCount,
+    reportId: version.reportId,
+    createdAt: version.createdAt
+  };
+}
+
+/**
+ * Read the stored analysis reports of one version
+ */
+async function loadVersionAnalyses(version, env) {
+  const bucket = env.R2.getBucket('manuscripts_processed');
+  const load = async (suffix) => {
+    const obj = await bucket.get(`${version.r2Key}${suffix}`);
+    return obj ? obj.json() : null;
+  };
+
+  const [developmental, lineEditing, copyEditing] = await Promise.all([
+    load('-analysis.json'),
+    load('-line-analysis.json'),
+    load('-copy-analysis.json')
+  ]);
+
+  return { developmental, lineEditing, copyEditing };
+}
+
+const per1000 = (count, wordCount) => (wordCount > 0 ? Math.round(count * 10000 / wordCount) / 10 : null);
+
+/**
+ * Reduce stored analysis reports to the numbers that are compared across drafts
+ *
+ * @param {Object} reports - { developmental, lineEditing, copyEditing } as stored in R2 (null if missing)
+ * @param {number} wordCount - Word count of the draft, for per-1000-word rates
+ * @returns {Object} { developmental, lineEditing, copyEditing } summaries (null if missing)
+ */
+export function summarizeAnalyses({ developmental, lineEditing, copyEditing }, wordCount = 0) {
+  let developmentalSummary = null;
+  if (developmental?.analysis) {
+    const analysis = developmental.analysis;
+    developmentalSummary = {
+      overallScore: analysis.overallScore ?? null,
+      scores: Object.fromEntries(DEVELOPMENTAL_SCORES.map(area => [area, analysis[area]?.score ?? null]))
+    };
+  }
+
+  let lineSummary = null;
+  if (lineEditing) {
+    const issues = (lineEditing.sections || []).flatMap(section => section.issues || []);
+    const bySeverity = { high: 0, medium: 0, low: 0 };
+    for (const issue of issues) {
+      if (issue.severity in bySeverity) {
+        bySeverity[issue.severity]++;
+      }
+    }
+    const totalIssues = lineEditing.patterns?.totalIssues ?? issues.length;
+    lineSummary = {
+      proseScore: lineEditing.overallAssessment?.overallProseScore ?? null,
+      totalIssues,
+      issuesPer1000Words: per1000(totalIssues, wordCount),
+      bySeverity,
+      byType: lineEditing.patterns?.issueTypeCounts || {}
+    };
+  }
+
+  let copySummary = null;
+  if (copyEditing) {
+    const totalErrors = copyEditing.overallAssessment?.totalErrors ?? 0;
+    copySummary = {
+      copyScore: copyEditing.overallAssessment?.overallCopyScore ?? null,
+      totalErrors,
+      errorsPer1000Words: per1000(totalErrors, wordCount),
+      byType: copyEditing.errorsByType || {}
+    };
+  }
+
+  return { developmental: developmentalSummary, lineEditing: lineSummary, copyEditing: copySummary };
+}
+
+/**
+ * One metric across two drafts
+ * higherIsBetter decides whether a rise counts as an improvement.
+ */
+function metricChange(from, to, higherIsBetter) {
+  if (from === null || from === undefined || to === null || to === undefined) {
+    return { from: from ?? null, to: to ?? null, change: null, trend: null };
+  }
+
+  const change = Math.round((to - from) * 100) / 100;
+  let trend = 'unchanged';
+  if (change !== 0) {
+    trend = (change > 0) === higherIsBetter ? 'improved' : 'regressed';
+  }
+  return { from, to, change, trend };
+}
+
+function countsChange(fromCounts = {}, toCounts = {}) {
+  const keys = [...new Set([...Object.keys(fromCounts), ...Object.keys(toCounts)])].sort();
+  return Object.fromEntries(keys.map(key => [key, metricChange(fromCounts[key] || 0, toCounts[key] || 0, false)]));
+}
+
+/**
+ * Compare the analysis summaries of two drafts
+ *
+ * @param {Object} from - summarizeAnalyses() of the older draft
+ * @param {Object} to - summarizeAnalyses() of the newer draft
+ * @returns {Object} { developmental, lineEditing, copyEditing, improved, regressed }
+ */
+export function compareAnalysisSummaries(from, to) {
+  const comparison = { developmental: null, lineEditing: null, copyEditing: null };
+
+  if (from.developmental && to.developmental) {
+    comparison.developmental = {
+      overallScore: metricChange(from.developmental.overallScore, to.developmental.overallScore, true),
+      scores: Object.fromEntries(DEVELOPMENTAL_SCORES.map(area => [
+        area,
+        metricChange(from.developmental.scores[area], to.developmental.scores[area], true)
+      ]))
+    };
+  }
+
+  if (from.lineEditing && to.lineEditing) {
+    comparison.lineEditing = {
+      proseScore: metricChange(from.lineEditing.proseScore, to.lineEditing.proseScore, true),
+      totalIssues: metricChange(from.lineEditing.totalIssues, to.lineEditing.totalIssues, false),
+      issuesPer1000Words: metricChange(from.lineEditing.issuesPer1000Words, to.lineEditing.issuesPer1000Words, false),
+      bySeverity: countsChange(from.lineEditing.bySeverity, to.lineEditing.bySeverity),
+      byType: countsChange(from.lineEditing.byType, to.lineEditing.byType)
+    };
+  }
+
+  if (from.copyEditing && to.copyEditing) {
+    comparison.copyEditing = {
+      copyScore: metricChange(from.copyEditing.copyScore, to.copyEditing.copyScore, true),
+      totalErrors: metricChange(from.copyEditing.totalErrors, to.copyEditing.totalErrors, false),
+      errorsPer1000Words: metricChange(from.copyEditing.errorsPer1000Words, to.copyEditing.errorsPer1000Words, false),
+      byType: countsChange(from.copyEditing.byType, to.copyEditing.byType)
+    };
+  }
+
+  // Headline metrics only; per-type counts stay in the detail above
+  const headline = {
+    'developmental.overallScore': comparison.developmental?.overallScore,
+    ...Object.fromEntries(DEVELOPMENTAL_SCORES.map(area => [
+      `developmental.${area}`, comparison.developmental?.scores[area]
+    ])),
+    'lineEditing.totalIssues': comparison.lineEditing?.totalIssues,
+    'copyEditing.totalErrors': comparison.copyEditing?.totalErrors
+  };
+  const byTrend = trend => Object.entries(headline)
+    .filter(([, metric]) => metric?.trend === trend)
+    .map(([name]) => name);
+
+  return { ...comparison, improved: byTrend('improved'), regressed: byTrend('regressed') };
+}
+
+/**
+ * Comparison report of how the analysis changed between two drafts
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {number} fromNumber - Older version
+ * @param {number} toNumber - Newer version
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} { from, to, available, comparison }
+ * @throws {ConflictError} When either version has no stored analysis
+ */
+export async function compareVersionAnalyses(manuscript, fromNumber, toNumber, env) {
+  if (fromNumber === toNumber) {
+    throw new ValidationError('Choose two different versions to compare');
+  }
+
+  const from = await getVersion(manuscript, fromNumber, env);
+  const to = await getVersion(manuscript, toNumber, env);
+
+  const [fromReports, toReports] = await Promise.all([loadVersionAnalyses(from, env), loadVersionAnalyses(to, env)]);
+  const fromSummary = summarizeAnalyses(fromReports, from.wordCount);
+  const toSummary = summarizeAnalyses(toReports, to.wordCount);
+
+  const unanalyzedVersions = [[from, fromSummary], [to, toSummary]]
+    .filter(([, summary]) => !summary.developmental && !summary.lineEditing && !summary.copyEditing)
+    .map(([version]) => version.versionNumber);
+  if (unanalyzedVersions.length > 0) {
+    throw new ConflictError('Both versions need a completed analysis before they can be compared', {
+      unanalyzedVersions
+    });
+  }
+
+  return {
+    from: { ...versionSummary(from), analysis: fromSummary },
+    to: { ...versionSummary(to), analysis: toSummary },
+    available: {
+      developmental: Boolean(fromSummary.developmental && toSummary.developmental),
+      lineEditing: Boolean(fromSummary.lineEditing && toSummary.lineEditing),
+      copyEditing: Boolean(fromSummary.copyEditing && toSummary.copyEditing)
+    },
+    wordCount: { from: from.wordCount, to: to.wordCount, change: (to.wordCount || 0) - (from.wordCount || 0) },
+    comparison: compareAnalysisSummaries(fromSummary, toSummary)
+  };
+}
+
+/**
+ * R2 keys of every version's file, for deleting a manuscript
+ */
+export async function listVersionKeys(manuscriptId, env) {
+  const { results } = await env.DB.prepare(
+    'SELECT r2_key FROM manuscript_versions WHERE manuscript_id = ?'
+  ).bind(manuscriptId).all();
+
+  return (results || []).map(row => row.r2_key);
+}
+
+export default {
+  DEVELOPMENTAL_SCORES,
+  ensureInitialVersion,
+  listVersions,
+  getVersion,
+  createVersion,
+  startVersionAnalysis,
+  loadVersionModel,
+  diffVersions,
+  summarizeAnalyses,
+  compareAnalysisSummaries,
+  compareVersionAnalyses,
+  listVersionKeys
+};
@@ -0,0 +1,841 @@
+/**
+ * Notification Service
+ *
+ * Delivers the rows that communication handlers put on notification_queue.
+ * Every notification is shown in the user's in-app feed (notifications table);
+ * email is sent immediately or batched into a daily/weekly digest, depending on
+ * notification_preferences, and never to users who have turned submission
+ * updates off or used the one-click unsubscribe link (email_preferences).
+ *
+ * Failed sends are retried with exponential backoff and dead-lettered
+ * (status 'dead') after NOTIFICATION_MAX_ATTEMPTS. The polling loop lives in
+ * src/workers/notification-dispatcher.js.
+ *
+ * Configuration (env):
+ * - NOTIFICATION_MAX_ATTEMPTS: Email attempts before dead-lettering (default 5)
+ * - NOTIFICATION_DIGEST_HOUR: UTC hour digests go out (default 8)
+ */
+
+import crypto from 'crypto';
+import { sendEmail, generateEmailTemplate } from './email-service.js';
+import { getOrCreatePreferences } from '../handlers/email-preference-handlers.js';
+import { ValidationError } from '../utils/error-handling.js';
+
+export const NOTIFICATION_CONFIG = {
+  BATCH_SIZE: 50,
+  MAX_ATTEMPTS: 5,
+  RETRY_BASE_SECONDS: 300,     // 5m, 15m, 45m, 2h15m between attempts
+  LOCK_TIMEOUT_SECONDS: 600,   // Claimed rows older than this are reclaimed
+  DIGEST_HOUR_UTC: 8,
+  DASHBOARD_URL: 'https://dashboard.selfpubhub.co',
+  API_URL: 'https://api.selfpubhub.co',
+};
+
+/**
+ * notification_preferences column that turns email on or off for each type
+ * (null: no per-type toggle, only the digest and unsubscribe settings apply)
+ */
+export const NOTIFICATION_TYPES = {
+  submission_received: 'email_on_submission_received',
+  status_change: 'email_on_status_change',
+  decision: 'email_on_decision',
+  message: 'email_on_message',
+  revision_request: 'email_on_revision_request',
+  revision_submitted: 'email_on_revision_submitted',
+  rights_offer: null,
+  rights_offer_deadline: null,
+  sales_goal: null,
+  comment_mention: null,
+  comment_reply: null,
+  suggestion_decision: null,
+  upload_blocked: null,
+  malware_detected: null,
+};
+
+const EXCERPT_LENGTH = 280;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function excerpt(text) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1).trimEnd()}…` : flat;
+}
+
+function formatDate(seconds) {
+  return new Date(seconds * 1000).toLocaleDateString('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function getConfig(env) {
+  return {
+    ...NOTIFICATION_CONFIG,
+    MAX_ATTEMPTS: Number(env?.NOTIFICATION_MAX_ATTEMPTS) || NOTIFICATION_CONFIG.MAX_ATTEMPTS,
+    DIGEST_HOUR_UTC: env?.NOTIFICATION_DIGEST_HOUR !== undefined && env.NOTIFICATION_DIGEST_HOUR !== ''
+      ? Number(env.NOTIFICATION_DIGEST_HOUR)
+      : NOTIFICATION_CONFIG.DIGEST_HOUR_UTC,
+  };
+}
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+/**
+ * Per-type copy. Each function receives the context built by loadContext:
+ * { manuscriptTitle, message, revisionRequest, rightsOffer, salesGoal, comment, submissionStatus }
+ */
+const TEMPLATES = {
+  message: {
+    subject: ctx => `New message about "${ctx.manuscriptTitle}"`,
+    summary: ctx => `${ctx.message?.senderName || 'Someone'} sent you a message`
+      + (ctx.message?.subject ? `: ${ctx.message.subject}` : '.'),
+    detail: ctx => excerpt(ctx.message?.body),
+    action: 'Read message',
+  },
+  revision_request: {
+    subject: ctx => `Revision requested for "${ctx.manuscriptTitle}"`,
+    summary: ctx => `${ctx.revisionRequest?.requesterName || 'The publisher'} asked for revisions`
+      + (ctx.revisionRequest?.deadline ? ` by ${formatDate(ctx.revisionRequest.deadline)}.` : '.'),
+    detail: ctx => excerpt(ctx.revisionRequest?.requestedChanges),
+    action: 'View revision request',
+  },
+  revision_submitted: {
+    subject: ctx => `Revision submitted for "${ctx.manuscriptTitle}"`,
+    summary: () => 'The author has responded to your revision request.',
+    detail: ctx => excerpt(ctx.revisionRequest?.authorResponse),
+    action: 'Review the revision',
+  },
+  submission_received: {
+    subject: ctx => `New submission: "${ctx.manuscriptTitle}"`,
+    summary: () => 'A new manuscript has been submitted to you.',
+    detail: () => '',
+    action: 'Open submission',
+  },
+  status_change: {
+    subject: ctx => `Status update for "${ctx.manuscriptTitle}"`,
+    summary: ctx => ctx.submissionStatus
+      ? `Your submission is now ${ctx.submissionStatus.replace(/_/g, ' ')}.`
+      : 'The status of your submission has changed.',
+    detail: () => '',
+    action: 'View submission',
+  },
+  decision: {
+    subject: ctx => `A decision on "${ctx.manuscriptTitle}"`,
+    summary: () => 'The publisher has made a decision on your submission.',
+    detail: () => '',
+    action: 'Read the decision',
+  },
+  rights_offer: {
+    subject: ctx => {
+      switch (ctx.rightsOffer?.status) {
+        case 'countered': return `Counter-offer on "${ctx.manuscriptTitle}"`;
+        case 'accepted': return `Rights offer accepted for "${ctx.manuscriptTitle}"`;
+        case 'declined': return `Rights offer declined for "${ctx.manuscriptTitle}"`;
+        case 'expired': return `Rights offer expired for "${ctx.manuscriptTitle}"`;
+        default: return `Rights offer for "${ctx.manuscriptTitle}"`;
+      }
+    },
+    summary: ctx => {
+      const offer = ctx.rightsOffer;
+      const from = offer?.publisherName ? ` from ${offer.publisherName}` : '';
+      switch (offer?.status) {
+        case 'countered': return `The offer${from} has new terms (version ${offer.version}).`;
+        case 'accepted': return `The offer${from} was accepted and the rights are now granted.`;
+        case 'declined': return `The offer${from} was declined.`;
+        case 'expired': return `The offer${from} expired without a response.`;
+        default: return `There is an update on the offer${from}.`;
+      }
+    },
+    detail: ctx => ctx.rightsOffer?.terms || '',
+    action: 'View offer',
+  },
+  rights_offer_deadline: {
+    subject: ctx => `Response due on a rights offer for "${ctx.manuscriptTitle}"`,
+    summary: ctx => `The offer${ctx.rightsOffer?.publisherName ? ` from ${ctx.rightsOffer.publisherName}` : ''} is waiting for a response`
+      + (ctx.rightsOffer?.deadline ? ` by ${formatDate(ctx.rightsOffer.deadline)}.` : '.'),
+    detail: ctx => ctx.rightsOffer?.terms || '',
+    action: 'Respond to offer',
+  },
+  sales_goal: {
+    subject: ctx => ctx.salesGoal?.state === 'off_track'
+      ? `"${ctx.salesGoal.name}" is on course to miss its goal`
+      : `"${ctx.salesGoal?.name || 'Your sales goal'}" is at risk`,
+    summary: ctx => {
+      const goal = ctx.salesGoal;
+      if (!goal) return 'One of your sales goals is trending behind.';
+      return `Projected ${goal.projected} of ${goal.target} ${goal.unit}`
+        + (goal.endDate ? ` by ${formatDate(goal.endDate)}` : '') + ` (${goal.current} so far).`;
+    },
+    detail: () => '',
+    action: 'View sales goals',
+  },
+  comment_mention: {
+    subject: ctx => `${ctx.comment?.authorName || 'Someone'} mentioned you on "${ctx.manuscriptTitle}"`,
+    summary: ctx => `${ctx.comment?.authorName || 'Someone'} mentioned you in a comment`
+      + (ctx.comment?.chapterTitle ? ` on ${ctx.comment.chapterTitle}.` : '.'),
+    detail: ctx => excerpt(ctx.comment?.body),
+    action: 'View comment',
+  },
+  comment_reply: {
+    subject: ctx => `New reply on "${ctx.manuscriptTitle}"`,
+    summary: ctx => `${ctx.comment?.authorName || 'Someone'} replied to a comment thread you are in`
+      + (ctx.comment?.chapterTitle ? ` on ${ctx.comment.chapterTitle}.` : '.'),
+    detail: ctx => excerpt(ctx.comment?.body),
+    action: 'View thread',
+  },
+  suggestion_decision: {
+    subject: ctx => `Your suggestion on "${ctx.manuscriptTitle}" was ${ctx.comment?.suggestionStatus || 'reviewed'}`,
+    summary: ctx => `The author ${ctx.comment?.suggestionStatus || 'reviewed'} your suggested edit`
+      + (ctx.comment?.chapterTitle ? ` on ${ctx.comment.chapterTitle}.` : '.'),
+    detail: ctx => (ctx.comment?.suggestedText !== undefined && ctx.comment?.suggestedText !== null
+      ? excerpt(`${ctx.comment.quote} → ${ctx.comment.suggestedText}`)
+      : ''),
+    action: 'View suggestion',
+  },
+  upload_blocked: {
+    subject: ctx => `"${ctx.quarantinedFile?.fileName || 'Your upload'}" was blocked`,
+    summary: ctx => (ctx.quarantinedFile?.rescan
+      ? 'A file you uploaded earlier was found to contain malware when it was rescanned, and has been removed.'
+      : 'Our malware scanner flagged a file you uploaded, so it was not stored.')
+      + ' If you believe this is a mistake, please contact support.',
+    detail: ctx => (ctx.quarantinedFile?.viruses?.length ? `Detected: ${ctx.quarantinedFile.viruses.join(', ')}` : ''),
+    action: 'Go to your dashboard',
+  },
+  malware_detected: {
+    subject: ctx => `Malware blocked: ${ctx.quarantinedFile?.fileName || 'uploaded file'}`,
+    summary: ctx => `A ${(ctx.quarantinedFile?.source || 'file').replace(/_/g, ' ')} upload`
+      + (ctx.quarantinedFile?.uploaderEmail ? ` by ${ctx.quarantinedFile.uploaderEmail}` : '')
+      + (ctx.quarantinedFile?.rescan ? ' was found infected on rescan and removed.' : ' was blocked by the malware scanner.'),
+    detail: ctx => [
+      ctx.quarantinedFile?.viruses?.length && `Detected: ${ctx.quarantinedFile.viruses.join(', ')}`,
+      ctx.quarantinedFile?.incidentId && `Security incident ${ctx.quarantinedFile.incidentId}`
+    ].filter(Boolean).join('. '),
+    action: 'Open the admin dashboard',
+  },
+};
+
+/**
+ * Render one notification
+ *
+ * @param {string} type - notification_type
+ * @param {Object} context - Related records (see loadContext)
+ * @param {Object} options
+ * @param {string} options.link - Dashboard link for the call to action
+ * @returns {{subject: string, summary: string, text: string, html: string}} summary is the
+ *   one-line feed text, text the plain-text email and html the email body content
+ */
+export function renderNotification(type, context, { link } = {}) {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new ValidationError(`Unknown notification type: ${type}`);
+  }
+
+  const ctx = { manuscriptTitle: 'your submission', ...context };
+  const subject = template.subject(ctx);
+  const summary = template.summary(ctx);
+  const detail = template.detail(ctx);
+
+  const text = [summary, detail && `"${detail}"`, link && `${template.action}: ${link}`]
+    .filter(Boolean)
+    .join('\n\n');
+
+  const html = `
+    <p>${escapeHtml(summary)}</p>
+    ${detail ? `<div class="info-box">${escapeHtml(detail)}</div>` : ''}
+    ${link ? `<a href="${escapeHtml(link)}" class="button">${escapeHtml(template.action)}</a>` : ''}
+  `;
+
+  return { subject, summary, text, html };
+}
+
+/**
+ * Render a digest of already rendered queue rows (subject, body, link)
+ *
+ * @param {Array<Object>} items - notification_queue rows
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderDigest(items, frequency) {
+  const count = items.length;
+  const subject = `Your ${frequency} ManuscriptHub digest: ${count} ${count === 1 ? 'update' : 'updates'}`;
+
+  const text = items
+    .map(item => [`- ${item.subject}`, `  ${item.body.split('\n\n')[0]}`, item.link && `  ${item.link}`].filter(Boolean).join('\n'))
+    .join('\n\n');
+
+  const html = `
+    <p>Here is what happened on your submissions since your last digest.</p>
+    ${items.map(item => `
+    <div class="info-box">
+      <strong>${item.link ? `<a href="${escapeHtml(item.link)}">${escapeHtml(item.subject)}</a>` : escapeHtml(item.subject)}</strong><br>
+      <span class="metadata">${escapeHtml(item.body.split('\n\n')[0])}</span>
+    </div>`).join('')}
+  `;
+
+  return { subject, text, html };
+}
+
+// ============================================================================
+// QUEUEING
+// ============================================================================
+
+/**
+ * Put a notification on the queue. Preferences are applied by the dispatcher,
+ * so this always queues: the in-app feed gets every notification.
+ *
+ * @param {Object} env - Environment bindings
+ * @param {Object} notification
+ * @param {string} notification.userId - Recipient
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @returns {Promise<string>} Queue row ID
+ */
+export async function enqueueNotification(env, { userId, type, submissionId, messageId, revisionRequestId, rightsOfferId, salesGoalId, commentId, quarantinedFileId }) {
+  if (!(type in NOTIFICATION_TYPES)) {
+    throw new ValidationError(`Unknown notification type: ${type}`);
+  }
+
+  const id = crypto.randomUUID();
+  const label = type.replace(/_/g, ' ');
+
+  await env.DB.prepare(`
+    INSERT INTO notification_queue (
+      id, user_id, notification_type, subject, body,
+      submission_id, message_id, revision_request_id, rights_offer_id, sales_goal_id, comment_id,
+      quarantined_file_id, status, attempts, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, ?)
+  `).bind(
+    id,
+    userId,
+    type,
+    `Manuscript Platform: New ${label}`,
+    `You have a new ${label} notification.`,
+    submissionId || null,
+    messageId || null,
+    revisionRequestId || null,
+    rightsOfferId || null,
+    salesGoalId || null,
+    commentId || null,
+    quarantinedFileId || null,
+    nowSeconds()
+  ).run();
+
+  return id;
+}
+
+// ============================================================================
+// DELIVERY DECISIONS
+// ============================================================================
+
+/**
+ * How email should go out for a notification type
+ *
+ * @param {Object|null} notificationPrefs - notification_preferences row (null = defaults)
+ * @param {Object|null} emailPrefs - email_preferences row
+ * @param {string} type - notification_type
+ * @returns {{delivery: 'immediate'|'daily'|'weekly'|null, reason: string|null}}
+ */
+export function getEmailDelivery(notificationPrefs, emailPrefs, type) {
+  if (emailPrefs && emailPrefs.submission_updates === 0) {
+    return { delivery: null, reason: 'Unsubscribed from submission emails' };
+  }
+
+  const column = NOTIFICATION_TYPES[type];
+  if (notificationPrefs && column && notificationPrefs[column] === 0) {
+    return { delivery: null, reason: `Email disabled for ${type.replace(/_/g, ' ')}` };
+  }
+
+  const frequency = notificationPrefs?.digest_frequency || 'immediate';
+  if (frequency === 'none') {
+    return { delivery: null, reason: 'Email notifications turned off' };
+  }
+
+  return { delivery: frequency, reason: null };
+}
+
+/**
+ * When the next digest goes out, in seconds
+ *
+ * Daily digests go out at DIGEST_HOUR_UTC; weekly digests at that hour on Mondays.
+ */
+export function nextDigestAt(now, frequency, hour = NOTIFICATION_CONFIG.DIGEST_HOUR_UTC) {
+  const date = new Date(now * 1000);
+  date.setUTCHours(hour, 0, 0, 0);
+
+  if (date.getTime() <= now * 1000) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  if (frequency === 'weekly') {
+    date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7));
+  }
+
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Seconds to wait before the next attempt after `attempts` failures
+ */
+export function retryDelay(attempts) {
+  return NOTIFICATION_CONFIG.RETRY_BASE_SECONDS * 3 ** Math.max(0, attempts - 1);
+}
+
+// ============================================================================
+// DISPATCH
+// ============================================================================
+
+function dashboardLink(row, context = {}) {
+  if (row.notification_type === 'malware_detected') {
+    return `${NOTIFICATION_CONFIG.DASHBOARD_URL}/admin-dashboard.html`;
+  }
+  if (row.notification_type === 'upload_blocked') {
+    return `${NOTIFICATION_CONFIG.DASHBOARD_URL}/dashboard-spa.html`;
+  }
+  if (row.comment_id && context.comment) {
+    return `${NOTIFICATION_CONFIG.DASHBOARD_URL}/dashboard-spa.html#manuscripts/${encodeURIComponent(context.comment.manuscriptId)}/comments/${encodeURIComponent(context.comment.threadId)}`;
+  }
+  if (row.sales_goal_id) {
+    return `${NOTIFICATION_CONFIG.DASHBOARD_URL}/dashboard-spa.html#sales/goals/${encodeURIComponent(row.sales_goal_id)}`;
+  }
+  if (row.rights_offer_id && row.submission_id) {
+    return `${NOTIFICATION_CONFIG.DASHBOARD_URL}/dashboard-spa.html#rights/${encodeURIComponent(row.submission_id)}`;
+  }
+  return row.submission_id
+    ? `${NOTIFICATION_CONFIG.DASHBOARD_URL}/communication.html?submission=${encodeURIComponent(row.submission_id)}`
+    : `${NOTIFICATION_CONFIG.DASHBOARD_URL}/communication.html`;
+}
+
+function unsubscribeLink(emailPrefs) {
+  return emailPrefs?.unsubscribe_token
+    ? `${NOTIFICATION_CONFIG.API_URL}/unsubscribe/${emailPrefs.unsubscribe_token}`
+    : undefined;
+}
+
+/**
+ * Load the records a template needs
+ */
+async function loadContext(row, env) {
+  const context = {};
+
+  if (row.submission_id) {
+    const manuscript = await env.DB.prepare(
+      'SELECT title, status FROM manuscripts WHERE id = ?'
+    ).bind(row.submission_id).first();
+    if (manuscript) {
+      context.manuscriptTitle = manuscript.title;
+      context.submissionStatus = manuscript.status;
+    }
+  }
+
+  if (row.message_id) {
+    const message = await env.DB.prepare(`
+      SELECT sm.subject, sm.body, u.full_name AS sender_name
+      FROM submission_messages sm
+      LEFT JOIN users u ON sm.sender_user_id = u.id
+      WHERE sm.id = ?
+    `).bind(row.message_id).first();
+    if (message) {
+      context.message = { subject: message.subject, body: message.body, senderName: message.sender_name };
+    }
+  }
+
+  if (row.revision_request_id) {
+    const revision = await env.DB.prepare(`
+      SELECT rr.requested_changes, rr.deadline, rr.author_response, u.full_name AS requester_name
+      FROM revision_requests rr
+      LEFT JOIN users u ON rr.requested_by_user_id = u.id
+      WHERE rr.id = ?
+    `).bind(row.revision_request_id).first();
+    if (revision) {
+      context.revisionRequest = {
+        requestedChanges: revision.requested_changes,
+        deadline: revision.deadline ? Number(revision.deadline) : null,
+        authorResponse: revision.author_response,
+        requesterName: revision.requester_name
+      };
+    }
+  }
+
+  if (row.rights_offer_id) {
+    const offer = await env.DB.prepare(`
+      SELECT publisher_name, status, current_version, response_deadline, rights_offered,
+        proposed_advance, proposed_royalty_rate
+      FROM rights_offers
+      WHERE id = ?
+    `).bind(row.rights_offer_id).first();
+    if (offer) {
+      const terms = [JSON.parse(offer.rights_offered || '[]').join(', ')];
+      if (offer.proposed_advance !== null && offer.proposed_advance !== undefined) {
+        terms.push(`$${Number(offer.proposed_advance).toLocaleString('en-US')} advance`);
+      }
+      if (offer.proposed_royalty_rate !== null && offer.proposed_royalty_rate !== undefined) {
+        terms.push(`${Math.round(offer.proposed_royalty_rate * 1000) / 10}% royalty`);
+      }
+      context.rightsOffer = {
+        publisherName: offer.publisher_name,
+        status: offer.status,
+        version: offer.current_version,
+        deadline: offer.response_deadline ? Number(offer.response_deadline) : null,
+        terms: terms.join('; ')
+      };
+    }
+  }
+
+  if (row.sales_goal_id) {
+    const goal = await env.DB.prepare(`
+      SELECT goal_name, goal_type, target_value, current_value, end_date, forecast_state, forecast_value
+      FROM sales_goals
+      WHERE id = ?
+    `).bind(row.sales_goal_id).first();
+    if (goal) {
+      const amount = value => (goal.goal_type === 'units'
+        ? Math.round(Number(value || 0)).toLocaleString('en-US')
+        : `$${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+      context.salesGoal = {
+        name: goal.goal_name,
+        state: goal.forecast_state,
+        unit: goal.goal_type === 'units' ? 'units' : goal.goal_type,
+        target: amount(goal.target_value),
+        current: amount(goal.current_value),
+        projected: amount(goal.forecast_value),
+        endDate: goal.end_date ? Number(goal.end_date) : null
+      };
+    }
+  }
+
+  if (row.comment_id) {
+    const comment = await env.DB.prepare(`
+      SELECT c.body, t.id AS thread_id, t.manuscript_id, t.chapter_title, t.quote,
+        t.suggested_text, t.suggestion_status, u.full_name AS author_name
+      FROM manuscript_comments c
+      JOIN manuscript_comment_threads t ON c.thread_id = t.id
+      LEFT JOIN users u ON c.author_id = u.id
+      WHERE c.id = ?
+    `).bind(row.comment_id).first();
+    if (comment) {
+      context.comment = {
+        body: comment.body,
+        threadId: comment.thread_id,
+        manuscriptId: comment.manuscript_id,
+        chapterTitle: comment.chapter_title,
+        quote: comment.quote,
+        suggestedText: comment.suggested_text,
+        suggestionStatus: comment.suggestion_status,
+        authorName: comment.author_name
+      };
+    }
+  }
+
+  if (row.quarantined_file_id) {
+    const file = await env.DB.prepare(`
+      SELECT q.file_name, q.source, q.viruses, q.incident_id, q.released_at, u.email AS uploader_email
+      FROM quarantined_files q
+      LEFT JOIN users u ON q.user_id = u.id
+      WHERE q.id = ?
+    `).bind(row.quarantined_file_id).first();
+    if (file) {
+      context.quarantinedFile = {
+        fileName: file.file_name,
+        source: file.source,
+        viruses: JSON.parse(file.viruses || '[]'),
+        incidentId: file.incident_id,
+        rescan: Boolean(file.released_at),
+        uploaderEmail: file.uploader_email
+      };
+    }
+  }
+
+  return context;
+}
+
+async function loadRecipient(userId, env) {
+  const [user, notificationPrefs, emailPrefs] = await Promise.all([
+    env.DB.prepare('SELECT email, full_name FROM users WHERE id = ?').bind(userId).first(),
+    env.DB.prepare('SELECT * FROM notification_preferences WHERE user_id = ?').bind(userId).first(),
+    getOrCreatePreferences(userId, env)
+  ]);
+  return { user, notificationPrefs, emailPrefs };
+}
+
+/**
+ * Claim due rows so concurrent dispatchers never work on the same row
+ */
+async function claimRows(env, statuses, now, config) {
+  const { results } = await env.DB.prepare(`
+    UPDATE notification_queue
+    SET status = 'processing', locked_at = ?
+    WHERE id IN (
+      SELECT id FROM notification_queue
+      WHERE (status IN (${statuses.map(() => '?').join(', ')}) AND COALESCE(next_attempt_at, 0) <= ?)
+         OR (status = 'processing' AND locked_at < ?)
+      ORDER BY created_at
+      LIMIT ?
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `).bind(now, ...statuses, now, now - config.LOCK_TIMEOUT_SECONDS, config.BATCH_SIZE).all();
+
+  return results || [];
+}
+
+/**
+ * Add the notification to the in-app feed and store the rendered copy on the
+ * queue row (digests are built from it). Safe to repeat on retries.
+ */
+async function deliverInApp(row, rendered, link, env) {
+  const notificationId = row.notification_id || crypto.randomUUID();
+
+  if (!row.notification_id) {
+    await env.DB.prepare(`
+      INSERT INTO notifications (
+        id, user_id, notification_type, title, body, link, submission_id, queue_id, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (queue_id) DO NOTHING
+    `).bind(
+      notificationId,
+      row.user_id,
+      row.notification_type,
+      rendered.subject,
+      rendered.summary,
+      link,
+      row.submission_id || null,
+      row.id,
+      row.created_at
+    ).run();
+  }
+
+  await env.DB.prepare(`
+    UPDATE notification_queue SET subject = ?, body = ?, link = ?, notification_id = ? WHERE id = ?
+  `).bind(rendered.subject, rendered.text, link, notificationId, row.id).run();
+}
+
+async function markSent(ids, now, env) {
+  for (const id of ids) {
+    await env.DB.prepare(`
+      UPDATE notification_queue
+      SET status = 'sent', sent_at = ?, locked_at = NULL, error_message = NULL
+      WHERE id = ?
+    `).bind(now, id).run();
+  }
+}
+
+async function markSkipped(ids, reason, env) {
+  for (const id of ids) {
+    await env.DB.prepare(`
+      UPDATE notification_queue SET status = 'skipped', locked_at = NULL, error_message = ? WHERE id = ?
+    `).bind(reason, id).run();
+  }
+}
+
+/**
+ * Schedule a retry, or dead-letter the row once it is out of attempts
+ *
+ * @param {string} retryStatus - Status to retry under ('failed' or 'digest')
+ * @returns {Promise<boolean>} True if the row was dead-lettered
+ */
+async function recordFailure(row, error, retryStatus, now, config, env) {
+  const attempts = Number(row.attempts || 0) + 1;
+  const dead = attempts >= config.MAX_ATTEMPTS;
+
+  await env.DB.prepare(`
+    UPDATE notification_queue
+    SET status = ?, attempts = ?, next_attempt_at = ?, locked_at = NULL, error_message = ?
+    WHERE id = ?
+  `).bind(
+    dead ? 'dead' : retryStatus,
+    attempts,
+    dead ? null : now + retryDelay(attempts),
+    String(error?.message || error).slice(0, 1000),
+    row.id
+  ).run();
+
+  if (dead) {
+    console.error(`[Notifications] Dead-lettered ${row.id} after ${attempts} attempts: ${error?.message || error}`);
+  }
+  return dead;
+}
+
+/**
+ * Process one claimed row: in-app first, then email now, later or not at all
+ *
+ * @returns {Promise<string>} Outcome: 'sent', 'digest', 'skipped', 'failed' or 'dead'
+ */
+async function processRow(row, now, config, env) {
+  const context = await loadContext(row, env);
+  const link = row.link || dashboardLink(row, context);
+  const rendered = renderNotification(row.notification_type, context, { link });
+  await deliverInApp(row, rendered, link, env);
+
+  const { user, notificationPrefs, emailPrefs } = await loadRecipient(row.user_id, env);
+  const { delivery, reason } = user?.email
+    ? getEmailDelivery(notificationPrefs, emailPrefs, row.notification_type)
+    : { delivery: null, reason: 'User has no email address' };
+
+  if (!delivery) {
+    await markSkipped([row.id], reason, env);
+    return 'skipped';
+  }
+
+  if (delivery !== 'immediate') {
+    await env.DB.prepare(`
+      UPDATE notification_queue SET status = 'digest', next_attempt_at = ?, locked_at = NULL WHERE id = ?
+    `).bind(nextDigestAt(now, delivery, config.DIGEST_HOUR_UTC), row.id).run();
+    return 'digest';
+  }
+
+  const sent = await sendEmail({
+    to: user.email,
+    subject: rendered.subject,
+    html: generateEmailTemplate(rendered.subject, rendered.html, { unsubscribeUrl: unsubscribeLink(emailPrefs) }),
+    text: rendered.text,
+    env
+  });
+
+  if (!sent) {
+    const dead = await recordFailure(row, 'Email provider did not accept the message', 'failed', now, config, env);
+    return dead ? 'dead' : 'failed';
+  }
+
+  await markSent([row.id], now, env);
+  return 'sent';
+}
+
+/**
+ * Deliver due queue rows (new rows and retries)
+ *
+ * @param {Object} env - Environment bindings
+ * @param {number} now - Current time in seconds (defaults to the clock)
+ * @returns {Promise<Object>} Counts per outcome
+ */
+export async function dispatchPendingNotifications(env, now = nowSeconds()) {
+  const config = getConfig(env);
+  const summary = { processed: 0, sent: 0, digest: 0, skipped: 0, failed: 0, dead: 0 };
+
+  const rows = await claimRows(env, ['pending', 'failed'], now, config);
+  for (const row of rows) {
+    let outcome;
+    try {
+      outcome = await processRow(row, now, config, env);
+    } catch (error) {
+      console.error(`[Notifications] Error processing ${row.id}:`, error);
+      outcome = await recordFailure(row, error, 'failed', now, config, env) ? 'dead' : 'failed';
+    }
+    summary.processed++;
+    summary[outcome]++;
+  }
+
+  return summary;
+}
+
+/**
+ * Send due digests: one email per user covering all their waiting rows
+ *
+ * @param {Object} env - Environment bindings
+ * @param {number} now - Current time in seconds (defaults to the clock)
+ * @returns {Promise<Object>} Counts of digests sent and rows covered
+ */
+export async function dispatchDigests(env, now = nowSeconds()) {
+  const config = getConfig(env);
+  const summary = { digests: 0, items: 0, skipped: 0, failed: 0, dead: 0 };
+
+  const { results } = await env.DB.prepare(`
+    UPDATE notification_queue
+    SET status = 'processing', locked_at = ?
+    WHERE id IN (
+      SELECT id FROM notification_queue
+      WHERE status = 'digest' AND next_attempt_at <= ?
+      ORDER BY user_id, created_at
+      LIMIT ?
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `).bind(now, now, config.BATCH_SIZE * 10).all();
+
+  const byUser = new Map();
+  for (const row of results || []) {
+    if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+    byUser.get(row.user_id).push(row);
+  }
+
+  for (const [userId, rows] of byUser) {
+    rows.sort((a, b) => a.created_at - b.created_at);
+    const ids = rows.map(row => row.id);
+    let remaining = rows;
+
+    try {
+      const { user, notificationPrefs, emailPrefs } = await loadRecipient(userId, env);
+      // Preferences may have changed since the rows were deferred
+      const allowed = rows.filter(row => getEmailDelivery(notificationPrefs, emailPrefs, row.notification_type).delivery);
+
+      if (!user?.email || allowed.length === 0) {
+        await markSkipped(ids, user?.email ? 'Email turned off before the digest was sent' : 'User has no email address', env);
+        summary.skipped += rows.length;
+        continue;
+      }
+      if (allowed.length < rows.length) {
+        await markSkipped(ids.filter(id => !allowed.some(row => row.id === id)), 'Email turned off before the digest was sent', env);
+        summary.skipped += rows.length - allowed.length;
+        remaining = allowed;
+      }
+
+      const frequency = notificationPrefs?.digest_frequency === 'weekly' ? 'weekly' : 'daily';
+      const digest = renderDigest(allowed, frequency);
+      const sent = await sendEmail({
+        to: user.email,
+        subject: digest.subject,
+        html: generateEmailTemplate(digest.subject, digest.html, { unsubscribeUrl: unsubscribeLink(emailPrefs) }),
+        text: digest.text,
+        env
+      });
+
+      if (!sent) {
+        throw new Error('Email provider did not accept the digest');
+      }
+
+      await markSent(allowed.map(row => row.id), now, env);
+      summary.digests++;
+      summary.items += allowed.length;
+    } catch (error) {
+      console.error(`[Notifications] Digest for ${userId} failed:`, error);
+      for (const row of remaining) {
+        const dead = await recordFailure(row, error, 'digest', now, config, env);
+        summary[dead ? 'dead' : 'failed']++;
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * One dispatcher pass: immediate deliveries, then due digests
+ */
+export async function runDispatchCycle(env, now = nowSeconds()) {
+  const pending = await dispatchPendingNotifications(env, now);
+  const digests = await dispatchDigests(env, now);
+  return { pending, digests };
+}
+
+export default {
+  NOTIFICATION_CONFIG,
+  NOTIFICATION_TYPES,
+  renderNotification,
+  renderDigest,
+  enqueueNotification,
+  getEmailDelivery,
+  nextDigestAt,
+  retryDelay,
+  dispatchPendingNotifications,
+  dispatchDigests,
+  runDispatchCycle,
+};
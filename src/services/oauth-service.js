@@ -0,0 +1,963 @@
+/**
+ * OAuth Service
+ *
+ * OAuth 2.0 authorization server for third-party apps on the public API
+ * (oauth_clients, oauth_grants, oauth_authorization_codes, oauth_tokens):
+ * - Developers register apps (clients) with exact redirect URIs and the
+ *   scopes the app may ask for
+ * - Authors approve an app on a consent screen; the app receives a
+ *   single-use authorization code (RFC 6749 section 4.1) bound to a PKCE
+ *   challenge (RFC 7636, S256 only, required for every client)
+ * - Codes are exchanged for a one-hour access token and a 30-day refresh
+ *   token. Refresh tokens rotate on use, and replaying a rotated one
+ *   revokes the whole token family
+ * - Tokens can be revoked by the app (RFC 7009) or by the author, who can
+ *   also revoke an app's grant altogether
+ *
+ * Scopes are the public API's scope strings (manuscripts:read,
+ * manuscripts:write), so /api/v1 handlers check OAuth tokens and API keys
+ * the same way. Rate limits are per client, across all authors.
+ *
+ * Only SHA-256 hashes of secrets, codes and tokens are stored.
+ */
+
+import crypto from 'crypto';
+import { checkRateLimit } from '../utils/rate-limiter.js';
+import { AppError, NotFoundError, ValidationError } from '../utils/error-handling.js';
+
+export const OAUTH_CONFIG = {
+  SCOPES: {
+    'manuscripts:read': 'View your manuscripts, their analysis status and results',
+    'manuscripts:write': 'Upload manuscripts and start analyses'
+  },
+  CODE_TTL: 10 * 60,                        // Authorization codes: 10 minutes
+  CONSENT_TTL: 10 * 60,                     // Consent screen to decision: 10 minutes
+  ACCESS_TOKEN_TTL: 60 * 60,                // 1 hour
+  REFRESH_TOKEN_TTL: 30 * 24 * 60 * 60,     // 30 days
+  ACCESS_TOKEN_PREFIX: 'mat_',
+  REFRESH_TOKEN_PREFIX: 'mrt_',
+  CLIENT_SECRET_PREFIX: 'mcs_',
+  MAX_REDIRECT_URIS: 10,
+  MAX_NAME_LENGTH: 100,
+  DEFAULT_RATE_LIMITS: {
+    perMinute: 60,
+    perDay: 5000
+  }
+};
+
+export const CLIENT_TYPES = ['confidential', 'public'];
+
+const PKCE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+const PKCE_CHALLENGE_PATTERN = /^[A-Za-z0-9\-_]{43}$/;
+
+/**
+ * OAuth protocol error (RFC 6749 section 5.2 error codes)
+ *
+ * code is the OAuth error ('invalid_grant', 'invalid_client', ...).
+ * redirectUri is set once the client and redirect URI of an authorization
+ * request are known, meaning the error can be sent back to the app
+ * instead of being shown to the author.
+ */
+export class OAuthError extends AppError {
+  constructor(error, description, statusCode = 400) {
+    super(description, statusCode, error);
+    this.redirectUri = null;
+    this.state = null;
+  }
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Compare two hex digests without leaking where they differ
+ */
+function digestsMatch(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+function parseClientRow(row) {
+  return {
+    clientId: row.id,
+    name: row.name,
+    homepageUrl: row.homepage_url,
+    clientType: row.client_type,
+    redirectUris: JSON.parse(row.redirect_uris || '[]'),
+    allowedScopes: JSON.parse(row.allowed_scopes || '[]'),
+    rateLimits: {
+      perMinute: row.rate_limit_per_minute,
+      perDay: row.rate_limit_per_day
+    },
+    isActive: Boolean(row.is_active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Space-separated scope string to a list of known scopes
+ *
+ * @throws {OAuthError} invalid_scope for unknown scopes
+ */
+export function parseScopes(scope) {
+  const scopes = [...new Set(String(scope || '').split(' ').filter(Boolean))];
+  const unknown = scopes.filter(s => !OAUTH_CONFIG.SCOPES[s]);
+  if (unknown.length > 0) {
+    throw new OAuthError('invalid_scope', `Unknown scope: ${unknown.join(' ')}`);
+  }
+  return scopes;
+}
+
+/**
+ * PKCE S256: BASE64URL(SHA256(code_verifier))
+ */
+export function pkceChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+/**
+ * Check a redirect URI an app wants to register
+ * https anywhere; http only on loopback (RFC 8252 section 7.3); private-use
+ * schemes like com.example.app:/callback only for public (native) clients
+ */
+function validateRedirectUri(uri, clientType) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    throw new ValidationError(`Invalid redirect URI: ${uri}`);
+  }
+
+  if (url.hash) {
+    throw new ValidationError(`Redirect URIs cannot contain a fragment: ${uri}`);
+  }
+  if (url.protocol === 'https:') {
+    return;
+  }
+  if (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)) {
+    return;
+  }
+  if (clientType === 'public' && /^[a-z][a-z0-9+-]*\.[a-z0-9+.-]+:$/.test(url.protocol)) {
+    return;
+  }
+  throw new ValidationError(`Redirect URIs must use https (http is only allowed for localhost): ${uri}`);
+}
+
+/**
+ * Build a redirect back to the app, with the given query parameters
+ */
+export function buildRedirect(redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  }
+  return url.toString();
+}
+
+// ============================================================================
+// CLIENT REGISTRATION
+// ============================================================================
+
+/**
+ * Register a third-party app
+ *
+ * @param {string} userId - Developer registering the app
+ * @param {Object} input - { name, redirectUris, scopes, clientType, homepageUrl }
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} The client, with clientSecret for confidential
+ *   clients (only returned here, never stored in plain text)
+ */
+export async function registerClient(userId, input, env) {
+  const name = String(input.name || '').trim();
+  if (!name || name.length > OAUTH_CONFIG.MAX_NAME_LENGTH) {
+    throw new ValidationError(`name is required (at most ${OAUTH_CONFIG.MAX_NAME_LENGTH} characters)`);
+  }
+
+  const clientType = input.clientType || 'confidential';
+  if (!CLIENT_TYPES.includes(clientType)) {
+    throw new ValidationError(`clientType must be one of: ${CLIENT_TYPES.join(', ')}`);
+  }
+
+  const redirectUris = [...new Set(input.redirectUris || [])];
+  if (redirectUris.length === 0 || redirectUris.length > OAUTH_CONFIG.MAX_REDIRECT_URIS) {
+    throw new ValidationError(`Between 1 and ${OAUTH_CONFIG.MAX_REDIRECT_URIS} redirectUris are required`);
+  }
+  redirectUris.forEach(uri => validateRedirectUri(String(uri), clientType));
+
+  let scopes;
+  try {
+    scopes = parseScopes((input.scopes || Object.keys(OAUTH_CONFIG.SCOPES)).join(' '));
+  } catch (error) {
+    throw new ValidationError(error.message, { scopes: Object.keys(OAUTH_CONFIG.SCOPES) });
+  }
+  if (scopes.length === 0) {
+    throw new ValidationError('At least one scope is required', { scopes: Object.keys(OAUTH_CONFIG.SCOPES) });
+  }
+
+  let homepageUrl = null;
+  if (input.homepageUrl) {
+    try {
+      homepageUrl = new URL(input.homepageUrl).toString();
+    } catch {
+      throw new ValidationError('homepageUrl must be a URL');
+    }
+  }
+
+  const clientId = randomHex(12);
+  const clientSecret = clientType === 'confidential' ? `${OAUTH_CONFIG.CLIENT_SECRET_PREFIX}${randomHex(24)}` : null;
+  const now = nowSeconds();
+
+  await env.DB.prepare(`
+    INSERT INTO oauth_clients (
+      id, owner_user_id, name, homepage_url, client_type, client_secret_hash,
+      redirect_uris, allowed_scopes, rate_limit_per_minute, rate_limit_per_day,
+      is_active, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
+  `).bind(
+    clientId,
+    userId,
+    name,
+    homepageUrl,
+    clientType,
+    clientSecret ? hashValue(clientSecret) : null,
+    JSON.stringify(redirectUris),
+    JSON.stringify(scopes),
+    OAUTH_CONFIG.DEFAULT_RATE_LIMITS.perMinute,
+    OAUTH_CONFIG.DEFAULT_RATE_LIMITS.perDay,
+    now,
+    now
+  ).run();
+
+  return {
+    clientId,
+    clientSecret,
+    name,
+    homepageUrl,
+    clientType,
+    redirectUris,
+    allowedScopes: scopes,
+    rateLimits: { ...OAUTH_CONFIG.DEFAULT_RATE_LIMITS },
+    isActive: true,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Apps registered by a developer
+ */
+export async function listClients(userId, env) {
+  const rows = await env.DB.prepare(`
+    SELECT * FROM oauth_clients
+    WHERE owner_user_id = ? AND is_active = 1
+    ORDER BY created_at DESC
+  `).bind(userId).all();
+
+  return (rows.results || []).map(parseClientRow);
+}
+
+/**
+ * One of a developer's apps
+ *
+ * @throws {NotFoundError} When the app does not exist or belongs to someone else
+ */
+export async function getClient(clientId, userId, env) {
+  const row = await env.DB.prepare(
+    'SELECT * FROM oauth_clients WHERE id = ? AND owner_user_id = ? AND is_active = 1'
+  ).bind(clientId, userId).first();
+
+  if (!row) {
+    throw new NotFoundError('OAuth client', clientId);
+  }
+  return parseClientRow(row);
+}
+
+/**
+ * Issue a new secret for a confidential app; the old one stops working
+ *
+ * @returns {Promise<Object>} { clientId, clientSecret }
+ */
+export async function rotateClientSecret(clientId, userId, env) {
+  const client = await getClient(clientId, userId, env);
+  if (client.clientType !== 'confidential') {
+    throw new ValidationError('Public clients do not have a secret');
+  }
+
+  const clientSecret = `${OAUTH_CONFIG.CLIENT_SECRET_PREFIX}${randomHex(24)}`;
+  await env.DB.prepare(
+    'UPDATE oauth_clients SET client_secret_hash = ?, updated_at = ? WHERE id = ?'
+  ).bind(hashValue(clientSecret), nowSeconds(), clientId).run();
+
+  return { clientId, clientSecret };
+}
+
+/**
+ * Deactivate an app and revoke every token issued to it
+ */
+export async function deleteClient(clientId, userId, env) {
+  await getClient(clientId, userId, env);
+  const now = nowSeconds();
+
+  await env.DB.prepare(
+    'UPDATE oauth_clients SET is_active = 0, revoked_at = ?, updated_at = ? WHERE id = ?'
+  ).bind(now, now, clientId).run();
+  await env.DB.prepare(
+    'UPDATE oauth_tokens SET revoked_at = ? WHERE client_id = ? AND revoked_at IS NULL'
+  ).bind(now, clientId).run();
+  await env.DB.prepare('DELETE FROM oauth_grants WHERE client_id = ?').bind(clientId).run();
+}
+
+/**
+ * Active client row by client_id, or null
+ */
+async function findActiveClient(clientId, env) {
+  if (!clientId) {
+    return null;
+  }
+  return env.DB.prepare(
+    'SELECT * FROM oauth_clients WHERE id = ? AND is_active = 1'
+  ).bind(String(clientId)).first();
+}
+
+/**
+ * Authenticate the app calling the token or revocation endpoint
+ * Confidential clients must present their secret (HTTP Basic or
+ * client_secret in the body); public clients only identify themselves.
+ *
+ * @param {Object} credentials - { clientId, clientSecret }
+ * @returns {Promise<Object>} The oauth_clients row
+ * @throws {OAuthError} invalid_client
+ */
+export async function authenticateClient({ clientId, clientSecret }, env) {
+  const client = await findActiveClient(clientId, env);
+  if (!client) {
+    throw new OAuthError('invalid_client', 'Unknown client', 401);
+  }
+
+  if (client.client_type === 'confidential') {
+    if (!clientSecret || !digestsMatch(hashValue(clientSecret), client.client_secret_hash)) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+  } else if (clientSecret) {
+    throw new OAuthError('invalid_client', 'Public clients do not have a secret', 401);
+  }
+
+  return client;
+}
+
+// ============================================================================
+// AUTHORIZATION
+// ============================================================================
+
+/**
+ * Validate the query of an authorization request (GET /oauth/authorize)
+ *
+ * An unknown client or redirect URI must not redirect anywhere (the author
+ * is shown the error); anything wrong after that is reported to the app
+ * through its redirect URI (the thrown error's redirectUri is set).
+ *
+ * @param {Object} params - client_id, redirect_uri, response_type, scope,
+ *   state, code_challenge, code_challenge_method
+ * @returns {Promise<Object>} { client, redirectUri, scopes, state, codeChallenge, codeChallengeMethod }
+ * @throws {OAuthError}
+ */
+export async function validateAuthorizationRequest(params, env) {
+  const client = await findActiveClient(params.client_id, env);
+  if (!client) {
+    throw new OAuthError('invalid_client', 'This app is not registered or has been removed');
+  }
+
+  const registered = JSON.parse(client.redirect_uris || '[]');
+  let redirectUri = params.redirect_uri;
+  if (!redirectUri && registered.length === 1) {
+    redirectUri = registered[0];
+  }
+  if (!redirectUri || !registered.includes(redirectUri)) {
+    throw new OAuthError('invalid_request', 'The redirect URI does not match the app\'s registration');
+  }
+
+  const state = params.state || null;
+  const fail = (error, description) => {
+    const oauthError = new OAuthError(error, description);
+    oauthError.redirectUri = redirectUri;
+    oauthError.state = state;
+    return oauthError;
+  };
+
+  if (params.response_type !== 'code') {
+    throw fail('unsupported_response_type', 'Only response_type=code is supported');
+  }
+
+  let scopes;
+  try {
+    scopes = parseScopes(params.scope);
+  } catch (error) {
+    throw fail('invalid_scope', error.message);
+  }
+  const allowed = JSON.parse(client.allowed_scopes || '[]');
+  if (scopes.length === 0) {
+    scopes = allowed;
+  }
+  const notAllowed = scopes.filter(scope => !allowed.includes(scope));
+  if (notAllowed.length > 0) {
+    throw fail('invalid_scope', `This app is not registered for: ${notAllowed.join(' ')}`);
+  }
+
+  if (!params.code_challenge) {
+    throw fail('invalid_request', 'code_challenge is required (PKCE)');
+  }
+  if ((params.code_challenge_method || 'plain') !== 'S256') {
+    throw fail('invalid_request', 'code_challenge_method must be S256');
+  }
+  if (!PKCE_CHALLENGE_PATTERN.test(params.code_challenge)) {
+    throw fail('invalid_request', 'code_challenge must be a base64url SHA-256 digest');
+  }
+
+  return {
+    client,
+    redirectUri,
+    scopes,
+    state,
+    codeChallenge: params.code_challenge,
+    codeChallengeMethod: 'S256'
+  };
+}
+
+/**
+ * Remember a validated authorization request while the author decides
+ * The consent form only carries this one-time token, so the decision can't
+ * be replayed or applied to different parameters.
+ *
+ * @returns {Promise<string>} Consent token
+ */
+export async function createConsentRequest(authRequest, userId, env) {
+  const token = randomHex(24);
+  await env.REDIS.setEx(`oauth_consent:${token}`, OAUTH_CONFIG.CONSENT_TTL, JSON.stringify({
+    userId,
+    clientId: authRequest.client.id,
+    redirectUri: authRequest.redirectUri,
+    scopes: authRequest.scopes,
+    state: authRequest.state,
+    codeChallenge: authRequest.codeChallenge,
+    codeChallengeMethod: authRequest.codeChallengeMethod
+  }));
+  return token;
+}
+
+/**
+ * Apply the author's decision on the consent screen
+ *
+ * @param {string} consentToken - From createConsentRequest
+ * @param {string} userId - Signed-in author
+ * @param {boolean} approved
+ * @returns {Promise<Object>} { redirectTo, clientId, scopes } - The app's
+ *   redirect URI with either code and state or error=access_denied
+ * @throws {OAuthError} When the consent token is unknown, expired or
+ *   belongs to another session
+ */
+export async function completeConsent(consentToken, userId, approved, env) {
+  const key = `oauth_consent:${consentToken}`;
+  const stored = consentToken ? await env.REDIS.get(key) : null;
+  if (!stored) {
+    throw new OAuthError('invalid_request', 'This authorization request has expired. Start again from the app.');
+  }
+  await env.REDIS.del(key);
+
+  const consent = JSON.parse(stored);
+  if (consent.userId !== userId) {
+    throw new OAuthError('invalid_request', 'This authorization request was started by another account');
+  }
+
+  if (!approved) {
+    return {
+      redirectTo: buildRedirect(consent.redirectUri, {
+        error: 'access_denied',
+        error_description: 'The author denied access',
+        state: consent.state
+      }),
+      clientId: consent.clientId,
+      scopes: []
+    };
+  }
+
+  const client = await findActiveClient(consent.clientId, env);
+  if (!client) {
+    throw new OAuthError('invalid_client', 'This app is not registered or has been removed');
+  }
+
+  const now = nowSeconds();
+  const existing = await env.DB.prepare(
+    'SELECT scopes FROM oauth_grants WHERE user_id = ? AND client_id = ?'
+  ).bind(userId, client.id).first();
+  const granted = [...new Set([...JSON.parse(existing?.scopes || '[]'), ...consent.scopes])];
+
+  await env.DB.prepare(`
+    INSERT INTO oauth_grants (user_id, client_id, scopes, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(user_id, client_id) DO UPDATE SET scopes = excluded.scopes, updated_at = excluded.updated_at
+  `).bind(userId, client.id, JSON.stringify(granted), now, now).run();
+
+  const code = randomHex(32);
+  await env.DB.prepare(`
+    INSERT INTO oauth_authorization_codes (
+      code_hash, client_id, user_id, redirect_uri, scopes,
+      code_challenge, code_challenge_method, created_at, expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    hashValue(code),
+    client.id,
+    userId,
+    consent.redirectUri,
+    JSON.stringify(consent.scopes),
+    consent.codeChallenge,
+    consent.codeChallengeMethod,
+    now,
+    now + OAUTH_CONFIG.CODE_TTL
+  ).run();
+
+  return {
+    redirectTo: buildRedirect(consent.redirectUri, { code, state: consent.state }),
+    clientId: client.id,
+    scopes: consent.scopes
+  };
+}
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+/**
+ * Store and return a new access/refresh token pair
+ */
+async function issueTokens(client, userId, scopes, familyId, codeHash, env) {
+  const id = crypto.randomUUID();
+  const accessToken = `${OAUTH_CONFIG.ACCESS_TOKEN_PREFIX}${randomHex(24)}`;
+  const refreshToken = `${OAUTH_CONFIG.REFRESH_TOKEN_PREFIX}${randomHex(32)}`;
+  const now = nowSeconds();
+
+  await env.DB.prepare(`
+    INSERT INTO oauth_tokens (
+      id, family_id, client_id, user_id, access_token_hash, refresh_token_hash,
+      scopes, authorization_code_hash, access_expires_at, refresh_expires_at, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    id,
+    familyId || id,
+    client.id,
+    userId,
+    hashValue(accessToken),
+    hashValue(refreshToken),
+    JSON.stringify(scopes),
+    codeHash,
+    now + OAUTH_CONFIG.ACCESS_TOKEN_TTL,
+    now + OAUTH_CONFIG.REFRESH_TOKEN_TTL,
+    now
+  ).run();
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: OAUTH_CONFIG.ACCESS_TOKEN_TTL,
+    refresh_token: refreshToken,
+    scope: scopes.join(' ')
+  };
+}
+
+async function revokeFamily(familyId, env) {
+  await env.DB.prepare(
+    'UPDATE oauth_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL'
+  ).bind(nowSeconds(), familyId).run();
+}
+
+/**
+ * authorization_code grant: exchange a code and its PKCE verifier for tokens
+ *
+ * @param {Object} client - Authenticated oauth_clients row
+ * @param {Object} params - { code, redirect_uri, code_verifier }
+ * @returns {Promise<Object>} Token response (RFC 6749 section 5.1)
+ * @throws {OAuthError} invalid_grant / invalid_request
+ */
+export async function exchangeAuthorizationCode(client, params, env) {
+  if (!params.code || !params.code_verifier) {
+    throw new OAuthError('invalid_request', 'code and code_verifier are required');
+  }
+  if (!PKCE_VERIFIER_PATTERN.test(params.code_verifier)) {
+    throw new OAuthError('invalid_request', 'code_verifier must be 43-128 unreserved characters');
+  }
+
+  const codeHash = hashValue(params.code);
+  const now = nowSeconds();
+
+  // Claiming the code and checking it is one statement, so two exchanges
+  // racing each other can't both succeed
+  const row = await env.DB.prepare(`
+    UPDATE oauth_authorization_codes SET used_at = ?
+    WHERE code_hash = ? AND client_id = ? AND used_at IS NULL
+    RETURNING *
+  `).bind(now, codeHash, client.id).first();
+
+  if (!row) {
+    const used = await env.DB.prepare(
+      'SELECT used_at FROM oauth_authorization_codes WHERE code_hash = ? AND client_id = ?'
+    ).bind(codeHash, client.id).first();
+    if (used?.used_at) {
+      // A code used twice has been intercepted: revoke what it was exchanged for
+      await env.DB.prepare(
+        'UPDATE oauth_tokens SET revoked_at = ? WHERE authorization_code_hash = ? AND revoked_at IS NULL'
+      ).bind(now, codeHash).run();
+    }
+    throw new OAuthError('invalid_grant', 'The authorization code is invalid or has already been used');
+  }
+
+  if (row.expires_at < now) {
+    throw new OAuthError('invalid_grant', 'The authorization code has expired');
+  }
+  if ((params.redirect_uri || row.redirect_uri) !== row.redirect_uri) {
+    throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+  }
+  if (pkceChallenge(params.code_verifier) !== row.code_challenge) {
+    throw new OAuthError('invalid_grant', 'code_verifier does not match the code challenge');
+  }
+
+  return issueTokens(client, row.user_id, JSON.parse(row.scopes), null, codeHash, env);
+}
+
+/**
+ * refresh_token grant: rotate a refresh token for a new token pair
+ * The requested scope may narrow, never widen, the original grant.
+ *
+ * @param {Object} client - Authenticated oauth_clients row
+ * @param {Object} params - { refresh_token, scope }
+ * @returns {Promise<Object>} Token response
+ * @throws {OAuthError} invalid_grant / invalid_scope
+ */
+export async function refreshAccessToken(client, params, env) {
+  if (!params.refresh_token) {
+    throw new OAuthError('invalid_request', 'refresh_token is required');
+  }
+
+  const refreshHash = hashValue(params.refresh_token);
+  const now = nowSeconds();
+
+  const row = await env.DB.prepare(
+    'SELECT * FROM oauth_tokens WHERE refresh_token_hash = ? AND client_id = ?'
+  ).bind(refreshHash, client.id).first();
+
+  if (row?.rotated_at) {
+    // A rotated refresh token came back: someone else has a copy
+    await revokeFamily(row.family_id, env);
+  }
+  if (!row || row.rotated_at || row.revoked_at) {
+    throw new OAuthError('invalid_grant', 'The refresh token is invalid, expired or revoked');
+  }
+  if (row.refresh_expires_at < now) {
+    throw new OAuthError('invalid_grant', 'The refresh token has expired');
+  }
+
+  // Checked before rotating, so a refused request leaves the token usable
+  const original = JSON.parse(row.scopes);
+  let scopes = original;
+  if (params.scope) {
+    scopes = parseScopes(params.scope);
+    if (scopes.some(scope => !original.includes(scope))) {
+      throw new OAuthError('invalid_scope', 'A refresh cannot add scopes the author did not grant');
+    }
+  }
+
+  const rotated = await env.DB.prepare(`
+    UPDATE oauth_tokens SET rotated_at = ?
+    WHERE id = ? AND rotated_at IS NULL AND revoked_at IS NULL
+    RETURNING id
+  `).bind(now, row.id).first();
+
+  if (!rotated) {
+    // Another request rotated it first: the same token was used twice
+    await revokeFamily(row.family_id, env);
+    throw new OAuthError('invalid_grant', 'The refresh token is invalid, expired or revoked');
+  }
+
+  return issueTokens(client, row.user_id, scopes, row.family_id, row.authorization_code_hash, env);
+}
+
+/**
+ * Revoke an access or refresh token (RFC 7009)
+ * Revoking a refresh token revokes its whole family. Unknown tokens, and
+ * tokens of other clients, are ignored: the endpoint answers 200 either way.
+ *
+ * @param {Object} client - Authenticated oauth_clients row
+ * @param {string} token
+ * @param {string} [tokenTypeHint] - 'access_token' | 'refresh_token'
+ */
+export async function revokeToken(client, token, tokenTypeHint, env) {
+  if (!token) {
+    throw new OAuthError('invalid_request', 'token is required');
+  }
+
+  const tokenHash = hashValue(token);
+  const lookups = tokenTypeHint === 'refresh_token'
+    ? ['refresh_token_hash', 'access_token_hash']
+    : ['access_token_hash', 'refresh_token_hash'];
+
+  for (const column of lookups) {
+    const row = await env.DB.prepare(
+      `SELECT id, family_id FROM oauth_tokens WHERE ${column} = ? AND client_id = ?`
+    ).bind(tokenHash, client.id).first();
+
+    if (row) {
+      if (column === 'refresh_token_hash') {
+        await revokeFamily(row.family_id, env);
+      } else {
+        await env.DB.prepare(
+          'UPDATE oauth_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'
+        ).bind(nowSeconds(), row.id).run();
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Check an app's request budget (per minute and per day, across all authors)
+ *
+ * @returns {Promise<Object>} The stricter rate limit result ({ limited, remaining, reset, limit })
+ */
+export async function checkClientRateLimit(client, env) {
+  const minute = await checkRateLimit({
+    type: 'client',
+    identifier: client.id,
+    endpoint: 'minute',
+    limit: { requests: client.rate_limit_per_minute || OAUTH_CONFIG.DEFAULT_RATE_LIMITS.perMinute, window: 60 },
+    env
+  });
+  if (minute.limited) {
+    return minute;
+  }
+
+  const day = await checkRateLimit({
+    type: 'client',
+    identifier: client.id,
+    endpoint: 'day',
+    limit: { requests: client.rate_limit_per_day || OAUTH_CONFIG.DEFAULT_RATE_LIMITS.perDay, window: 86400 },
+    env
+  });
+  return day.limited || day.remaining < minute.remaining ? day : minute;
+}
+
+/**
+ * Validate a bearer access token for the public API
+ *
+ * @param {string} accessToken - mat_... token
+ * @returns {Promise<Object|null>} Key details in the shape authenticateAPIKey
+ *   returns ({ userId, email, scopes, ... } plus clientId, clientName and
+ *   tokenId; keyId is null), or null when the token is not valid
+ * @throws {OAuthError} 429 when the client is over its rate limit
+ */
+export async function validateAccessToken(accessToken, env) {
+  if (!accessToken || !accessToken.startsWith(OAUTH_CONFIG.ACCESS_TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const row = await env.DB.prepare(`
+    SELECT t.id, t.user_id, t.scopes, t.access_expires_at, t.revoked_at,
+           c.id AS client_id, c.name AS client_name, c.is_active,
+           c.rate_limit_per_minute, c.rate_limit_per_day,
+           u.email, u.subscription_tier, u.full_name, u.suspended_at
+    FROM oauth_tokens t
+    JOIN oauth_clients c ON t.client_id = c.id
+    JOIN users u ON t.user_id = u.id
+    WHERE t.access_token_hash = ?
+  `).bind(hashValue(accessToken)).first();
+
+  const now = nowSeconds();
+  if (!row || row.revoked_at || !row.is_active || row.suspended_at || row.access_expires_at < now) {
+    return null;
+  }
+
+  const rateLimit = await checkClientRateLimit({
+    id: row.client_id,
+    rate_limit_per_minute: row.rate_limit_per_minute,
+    rate_limit_per_day: row.rate_limit_per_day
+  }, env);
+  if (rateLimit.limited) {
+    throw new OAuthError('rate_limit_exceeded', 'Rate limit exceeded for this app', 429);
+  }
+
+  await env.DB.prepare('UPDATE oauth_tokens SET last_used_at = ? WHERE id = ?').bind(now, row.id).run();
+
+  return {
+    keyId: null,
+    tokenId: row.id,
+    clientId: row.client_id,
+    clientName: row.client_name,
+    userId: row.user_id,
+    email: row.email,
+    name: row.client_name,
+    scopes: JSON.parse(row.scopes || '[]'),
+    subscriptionTier: row.subscription_tier,
+    fullName: row.full_name
+  };
+}
+
+// ============================================================================
+// USAGE
+// ============================================================================
+
+/**
+ * Log a public API request made with an OAuth token
+ */
+export async function logClientUsage(keyDetails, endpoint, method, statusCode, responseTime, env) {
+  await env.DB.prepare(`
+    INSERT INTO oauth_usage_logs (
+      id, client_id, user_id, token_id, endpoint, method,
+      status_code, response_time_ms, timestamp
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    crypto.randomUUID(),
+    keyDetails.clientId,
+    keyDetails.userId,
+    keyDetails.tokenId,
+    endpoint,
+    method,
+    statusCode,
+    responseTime,
+    nowSeconds()
+  ).run();
+}
+
+/**
+ * Usage statistics for an app
+ *
+ * @param {string} clientId
+ * @param {Object} options - { userId } limits the stats to one author's
+ *   requests (what an app sees for the author it acts for); without it the
+ *   stats cover every author (what the developer sees)
+ * @param {number} days
+ */
+export async function getClientUsageStats(clientId, { userId } = {}, env, days = 30) {
+  const since = nowSeconds() - (days * 86400);
+  const userFilter = userId ? ' AND user_id = ?' : '';
+  const args = userId ? [clientId, since, userId] : [clientId, since];
+
+  const totals = await env.DB.prepare(`
+    SELECT
+      COUNT(*) as total_requests,
+      AVG(response_time_ms) as avg_response_time,
+      SUM(CASE WHEN status_code >= 200 AND status_code < 300 THEN 1 ELSE 0 END) as successful_requests,
+      SUM(CASE WHEN status_code >= 400 THEN 1 ELSE 0 END) as error_requests
+    FROM oauth_usage_logs
+    WHERE client_id = ? AND timestamp >= ?${userFilter}
+  `).bind(...args).first();
+
+  const byEndpoint = await env.DB.prepare(`
+    SELECT endpoint, COUNT(*) as endpoint_count
+    FROM oauth_usage_logs
+    WHERE client_id = ? AND timestamp >= ?${userFilter}
+    GROUP BY endpoint
+    ORDER BY endpoint_count DESC
+  `).bind(...args).all();
+
+  const total = Number(totals?.total_requests || 0);
+  return {
+    period: `Last ${days} days`,
+    clientId,
+    totalRequests: total,
+    avgResponseTime: Number(totals?.avg_response_time || 0),
+    successfulRequests: Number(totals?.successful_requests || 0),
+    errorRequests: Number(totals?.error_requests || 0),
+    successRate: total > 0
+      ? (Number(totals.successful_requests) / total * 100).toFixed(2) + '%'
+      : '0%',
+    byEndpoint: (byEndpoint.results || []).map(row => ({ endpoint: row.endpoint, endpoint_count: Number(row.endpoint_count) }))
+  };
+}
+
+// ============================================================================
+// AUTHORIZED APPS
+// ============================================================================
+
+/**
+ * Apps an author has authorized, with their granted scopes
+ */
+export async function listAuthorizations(userId, env) {
+  const rows = await env.DB.prepare(`
+    SELECT g.client_id, g.scopes, g.created_at, g.updated_at, c.name, c.homepage_url,
+           (SELECT MAX(t.last_used_at) FROM oauth_tokens t
+            WHERE t.user_id = g.user_id AND t.client_id = g.client_id) AS last_used_at
+    FROM oauth_grants g
+    JOIN oauth_clients c ON g.client_id = c.id
+    WHERE g.user_id = ? AND c.is_active = 1
+    ORDER BY g.updated_at DESC
+  `).bind(userId).all();
+
+  return (rows.results || []).map(row => ({
+    clientId: row.client_id,
+    name: row.name,
+    homepageUrl: row.homepage_url,
+    scopes: JSON.parse(row.scopes || '[]'),
+    authorizedAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastUsedAt: row.last_used_at
+  }));
+}
+
+/**
+ * Revoke an app's access to an author's account: the grant and all tokens
+ *
+ * @throws {NotFoundError} When the author never authorized the app
+ */
+export async function revokeAuthorization(userId, clientId, env) {
+  const grant = await env.DB.prepare(
+    'SELECT client_id FROM oauth_grants WHERE user_id = ? AND client_id = ?'
+  ).bind(userId, clientId).first();
+  if (!grant) {
+    throw new NotFoundError('Authorized app', clientId);
+  }
+
+  await env.DB.prepare(
+    'UPDATE oauth_tokens SET revoked_at = ? WHERE user_id = ? AND client_id = ? AND revoked_at IS NULL'
+  ).bind(nowSeconds(), userId, clientId).run();
+  await env.DB.prepare(
+    'DELETE FROM oauth_grants WHERE user_id = ? AND client_id = ?'
+  ).bind(userId, clientId).run();
+}
+
+export default {
+  OAUTH_CONFIG,
+  CLIENT_TYPES,
+  OAuthError,
+  parseScopes,
+  pkceChallenge,
+  buildRedirect,
+  registerClient,
+  listClients,
+  getClient,
+  rotateClientSecret,
+  deleteClient,
+  authenticateClient,
+  validateAuthorizationRequest,
+  createConsentRequest,
+  completeConsent,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+  revokeToken,
+  checkClientRateLimit,
+  validateAccessToken,
+  logClientUsage,
+  getClientUsageStats,
+  listAuthorizations,
+  revokeAuthorization
+};
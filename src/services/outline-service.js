@@ -0,0 +1,138 @@
+/**
+ * Manuscript Outline Service
+ *
+ * Loads, detects and saves the chapter outline of a manuscript
+ * (manuscript_outlines table). The stored overrides are the source of truth
+ * for author corrections; the outline itself is re-derived from the
+ * manuscript so it always lines up with the current upload.
+ */
+
+import { segmentModel, summarizeOutline, applyOutline } from '../utils/chapter-segmentation.js';
+import { extractManuscriptModel } from '../utils/manuscript-model.js';
+
+/**
+ * Parse a stored outline row
+ */
+function parseOutlineRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    manuscriptId: row.manuscript_id,
+    outline: row.outline ? JSON.parse(row.outline) : [],
+    overrides: row.overrides ? JSON.parse(row.overrides) : {},
+    source: row.source,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Get the stored outline for a manuscript
+ *
+ * @param {string} manuscriptId - Manuscript ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object|null>} { outline, overrides, source, ... } or null
+ */
+export async function getStoredOutline(manuscriptId, env) {
+  const row = await env.DB.prepare(
+    'SELECT * FROM manuscript_outlines WHERE manuscript_id = ?'
+  ).bind(manuscriptId).first();
+
+  return parseOutlineRow(row);
+}
+
+/**
+ * Save an outline and the overrides it was built with
+ *
+ * @param {string} manuscriptId - Manuscript ID
+ * @param {Array<Object>} outline - Outline entries
+ * @param {Object} overrides - { patterns, sections }
+ * @param {string|null} userId - User saving the outline (null for automatic detection)
+ * @param {Object} env - Environment bindings
+ */
+export async function saveOutline(manuscriptId, outline, overrides, userId, env) {
+  const now = Math.floor(Date.now() / 1000);
+  const summary = summarizeOutline(outline);
+  const hasOverrides = (overrides?.sections?.length || 0) + (overrides?.patterns?.length || 0) > 0;
+
+  await env.DB.prepare(`
+    INSERT INTO manuscript_outlines (
+      manuscript_id, outline, overrides, source, section_count, chapter_count,
+      updated_by, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(manuscript_id) DO UPDATE SET
+      outline = excluded.outline,
+      overrides = excluded.overrides,
+      source = excluded.source,
+      section_count = excluded.section_count,
+      chapter_count = excluded.chapter_count,
+      updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at
+  `).bind(
+    manuscriptId,
+    JSON.stringify(outline),
+    JSON.stringify(overrides || {}),
+    hasOverrides ? 'author' : 'detected',
+    summary.sectionCount,
+    summary.chapterCount,
+    userId,
+    now,
+    now
+  ).run();
+}
+
+/**
+ * Resolve the outline for a manuscript model
+ * Applies the author's stored overrides to a fresh segmentation of the
+ * model, and stores the result the first time a manuscript is segmented.
+ * Storage failures never block callers; detection still succeeds.
+ *
+ * @param {string} manuscriptId - Manuscript ID (may be null for ad-hoc models)
+ * @param {Object} model - Manuscript model
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<Object>>} Outline entries
+ */
+export async function resolveOutline(manuscriptId, model, env) {
+  if (!manuscriptId || !env?.DB) {
+    return segmentModel(model);
+  }
+
+  try {
+    const stored = await getStoredOutline(manuscriptId, env);
+    const outline = segmentModel(model, stored?.overrides || {});
+
+    if (!stored) {
+      await saveOutline(manuscriptId, outline, {}, null, env);
+    }
+
+    return outline;
+  } catch (error) {
+    console.error(`[Outline] Failed to load outline for ${manuscriptId}:`, error.message);
+    return segmentModel(model);
+  }
+}
+
+/**
+ * Import a manuscript into the document model (chapters, scenes, emphasis)
+ * and tag its sections with the author-reviewed outline
+ *
+ * @param {ArrayBuffer|Buffer} buffer - Manuscript file contents
+ * @param {string} contentType - MIME type of the file
+ * @param {string|null} manuscriptId - Manuscript ID (null for ad-hoc files)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} Manuscript model tagged with applyOutline
+ */
+export async function loadOutlinedModel(buffer, contentType, manuscriptId, env) {
+  const model = await extractManuscriptModel(buffer, contentType);
+  return applyOutline(model, await resolveOutline(manuscriptId, model, env));
+}
+
+export default {
+  getStoredOutline,
+  saveOutline,
+  resolveOutline,
+  loadOutlinedModel
+};
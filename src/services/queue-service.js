@@ -4,45 +4,149 @@
  *
  * Features:
  * - Job persistence (Redis hashes)
+ * - Priorities (paid tiers ahead of free)
+ * - Idempotency keys, so a repeated request returns the original job
+ * - Visibility timeouts: workers heartbeat, jobs whose lease runs out are requeued
+ * - Per-user concurrency limits
+ * - Cancellation of pending, delayed and running jobs
  * - Automatic retries with exponential backoff
  * - Delayed/scheduled jobs (Redis sorted sets)
- * - Dead letter queue for failed jobs
- * - Job state tracking (pending, processing, completed, failed)
+ * - Dead letter queue for failed jobs, with inspect/retry/purge
+ * - Job state tracking (pending, processing, retrying, completed, cancelled, dead)
  *
  * Redis Data Structures:
- * - queue:{name}:pending (list) - Jobs waiting to be processed
+ * - queue:{name}:pending:high (list) - High priority jobs waiting to be processed
+ * - queue:{name}:pending (list) - Normal priority jobs waiting to be processed
+ * - queue:{name}:pending:low (list) - Low priority jobs waiting to be processed
  * - queue:{name}:processing (list) - Jobs currently being processed
+ * - queue:{name}:leases (sorted set) - Processing jobs scored by lease expiry
+ * - queue:{name}:running (hash) - Running job count per user
  * - queue:{name}:delayed (sorted set) - Jobs scheduled for future processing
  * - queue:{name}:failed (list) - Jobs that exceeded max retries
+ * - queue:{name}:idem:{key} (string) - Job ID for an idempotency key
+ * - queue:{name}:reaper (string) - Lock so one worker reaps at a time
  * - queue:{name}:job:{id} (hash) - Job data and metadata
+ *
+ * Delivery is at-least-once: a job whose worker stops heartbeating is handed
+ * to another worker, so job handlers must tolerate running twice.
  */
 
 import crypto from 'crypto';
 
+// Highest first; 'normal' keeps the original pending list
+export const PRIORITIES = ['high', 'normal', 'low'];
+
+export const QUEUE_CONFIG = {
+  VISIBILITY_TIMEOUT_MS: 5 * 60 * 1000,  // Lease length; workers heartbeat well inside it
+  REAPER_INTERVAL_MS: 30 * 1000,         // How often abandoned jobs are looked for
+  POLL_INTERVAL_MS: 1000,                // Wait between claim attempts in getNextJob
+  USER_CONCURRENCY: 2,                   // Running jobs per user per queue
+  USER_DEFER_MS: 15 * 1000,              // Back-off for jobs over the user limit
+  IDEMPOTENCY_TTL_SECONDS: 60 * 60 * 24, // How long a key maps to its job
+  JOB_TTL_SECONDS: 60 * 60 * 24 * 7      // Job hashes (and dead letters) kept 7 days
+};
+
+const TERMINAL_STATUSES = ['completed', 'cancelled', 'dead'];
+
+// Move the oldest job of a pending list to processing and stamp its claim
+// time in one step, so the reaper times a claimed-but-unleased job from the
+// claim rather than from when it was queued
+// KEYS: pending list, processing list; ARGV: job key prefix, now (ms)
+const CLAIM_SCRIPT = `
+local jobId = redis.call('LMOVE', KEYS[1], KEYS[2], 'RIGHT', 'LEFT')
+if jobId and redis.call('EXISTS', ARGV[1] .. jobId) == 1 then
+  redis.call('HSET', ARGV[1] .. jobId, 'claimedAt', ARGV[2])
+end
+return jobId
+`;
+
+/**
+ * Queue priority for a user's subscription tier
+ * Paid tiers go ahead of free accounts.
+ *
+ * @param {string|null} tier - users.subscription_tier
+ * @returns {'high'|'normal'}
+ */
+export function priorityForTier(tier) {
+  return tier && tier.toLowerCase() !== 'free' ? 'high' : 'normal';
+}
+
 class QueueService {
-  constructor(redisClient) {
+  constructor(redisClient, options = {}) {
     this.redis = redisClient;
     this.maxRetries = 3;
     this.retryDelays = [5000, 30000, 300000]; // 5s, 30s, 5min
+    this.config = { ...QUEUE_CONFIG, ...options };
+  }
+
+  keys(queueName) {
+    const base = `queue:${queueName}`;
+    return {
+      pending: priority => (priority === 'normal' ? `${base}:pending` : `${base}:pending:${priority}`),
+      processing: `${base}:processing`,
+      leases: `${base}:leases`,
+      running: `${base}:running`,
+      delayed: `${base}:delayed`,
+      failed: `${base}:failed`,
+      reaper: `${base}:reaper`,
+      idempotency: key => `${base}:idem:${key}`,
+      job: jobId => `${base}:job:${jobId}`
+    };
   }
 
   /**
    * Send a job to the queue (replaces env.QUEUE.send('analysis', ))
    * @param {string} queueName - Queue name (e.g., 'analysis', 'asset-generation')
    * @param {object} jobData - Job payload
-   * @param {object} options - Optional: { delay: ms, maxRetries: number }
-   * @returns {Promise<string>} Job ID
+   * @param {object} options - See enqueue()
+   * @returns {Promise<string>} Job ID (the original job's ID for a repeated idempotency key)
    */
   async send(queueName, jobData, options = {}) {
+    const { jobId } = await this.enqueue(queueName, jobData, options);
+    return jobId;
+  }
+
+  /**
+   * Add a job to the queue, reporting whether it was a duplicate
+   * @param {string} queueName - Queue name
+   * @param {object} jobData - Job payload
+   * @param {object} options - Optional: { delay: ms, maxRetries: number,
+   *   priority: 'high'|'normal'|'low', idempotencyKey: string, userId: string }
+   * @returns {Promise<{jobId: string, duplicate: boolean}>}
+   */
+  async enqueue(queueName, jobData, options = {}) {
+    const keys = this.keys(queueName);
+    const priority = options.priority || 'normal';
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Unknown queue priority "${priority}"; use one of ${PRIORITIES.join(', ')}`);
+    }
+
     const jobId = crypto.randomUUID();
     const timestamp = Date.now();
 
+    if (options.idempotencyKey) {
+      const idemKey = keys.idempotency(options.idempotencyKey);
+      const reserved = await this.redis.set(idemKey, jobId, { NX: true, EX: this.config.IDEMPOTENCY_TTL_SECONDS });
+      if (!reserved) {
+        const existingId = await this.redis.get(idemKey);
+        if (existingId && await this.redis.exists(keys.job(existingId))) {
+          console.log(`[Queue] Duplicate of job ${existingId} ignored (key ${options.idempotencyKey})`);
+          return { jobId: existingId, duplicate: true };
+        }
+        // The original job has expired; the key is free again
+        await this.redis.set(idemKey, jobId, { EX: this.config.IDEMPOTENCY_TTL_SECONDS });
+      }
+    }
+
     // Store job data in Redis hash
-    const jobKey = `queue:${queueName}:job:${jobId}`;
+    const jobKey = keys.job(jobId);
     await this.redis.hSet(jobKey, {
       id: jobId,
       data: JSON.stringify(jobData),
       status: 'pending',
+      priority,
+      userId: options.userId || '',
+      idempotencyKey: options.idempotencyKey || '',
       attempts: '0',
       maxRetries: String(options.maxRetries || this.maxRetries),
       createdAt: String(timestamp),
@@ -50,72 +154,195 @@ class QueueService {
     });
 
     // Set TTL for job data (7 days)
-    await this.redis.expire(jobKey, 60 * 60 * 24 * 7);
+    await this.redis.expire(jobKey, this.config.JOB_TTL_SECONDS);
 
     if (options.delay && options.delay > 0) {
       // Delayed job: Add to sorted set with score = timestamp + delay
       const processAt = timestamp + options.delay;
-      await this.redis.zAdd(`queue:${queueName}:delayed`, {
+      await this.redis.zAdd(keys.delayed, {
         score: processAt,
         value: jobId,
       });
       console.log(`[Queue] Job ${jobId} scheduled for ${new Date(processAt).toISOString()}`);
     } else {
-      // Immediate job: Add to pending list
-      await this.redis.rPush(`queue:${queueName}:pending`, jobId);
-      console.log(`[Queue] Job ${jobId} queued to ${queueName}`);
+      // Immediate job: Add to the pending list for its priority (consumed from the right)
+      await this.redis.lPush(keys.pending(priority), jobId);
+      console.log(`[Queue] Job ${jobId} queued to ${queueName} (${priority})`);
     }
 
-    return jobId;
+    return { jobId, duplicate: false };
   }
 
   /**
-   * Get the next job from the queue (blocking pop with timeout)
+   * Get the next job from the queue, waiting up to `timeout` seconds
+   * Higher priorities are always drained first. The job is leased for
+   * VISIBILITY_TIMEOUT_MS; call heartbeat() to keep it.
    * @param {string} queueName - Queue name
-   * @param {number} timeout - Block timeout in seconds (default: 5)
+   * @param {number} timeout - Wait in seconds (default: 5)
    * @returns {Promise<object|null>} Job object or null if timeout
    */
   async getNextJob(queueName, timeout = 5) {
-    // First, check for delayed jobs that are ready to process
-    await this.processDelayedJobs(queueName);
-
-    // Blocking pop from pending queue (BRPOPLPUSH for reliability)
-    const result = await this.redis.brPopLPush(
-      `queue:${queueName}:pending`,
-      `queue:${queueName}:processing`,
-      timeout
-    );
-
-    if (!result) {
-      return null; // Timeout, no jobs available
+    const waitUntil = Date.now() + timeout * 1000;
+
+    for (;;) {
+      // Due delayed jobs and abandoned jobs go back to pending first
+      await this.processDelayedJobs(queueName);
+      await this.requeueAbandoned(queueName);
+
+      const job = await this.claimNextJob(queueName);
+      if (job) {
+        return job;
+      }
+
+      const remaining = waitUntil - Date.now();
+      if (remaining <= 0) {
+        return null; // Timeout, no jobs available
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(remaining, this.config.POLL_INTERVAL_MS)));
     }
+  }
 
-    const jobId = result;
-    const jobKey = `queue:${queueName}:job:${jobId}`;
+  /**
+   * Move the highest priority pending job to processing and lease it
+   * The move and the claim time are one script, so a job is never in neither
+   * list; a worker that dies before taking the lease leaves a job the reaper
+   * recovers once VISIBILITY_TIMEOUT_MS has passed since the claim.
+   * @param {string} queueName - Queue name
+   * @returns {Promise<object|null>}
+   */
+  async claimNextJob(queueName) {
+    const keys = this.keys(queueName);
+
+    for (const priority of PRIORITIES) {
+      for (;;) {
+        const jobId = await this.redis.eval(CLAIM_SCRIPT, {
+          keys: [keys.pending(priority), keys.processing],
+          arguments: [keys.job(''), String(Date.now())]
+        });
+        if (!jobId) {
+          break;
+        }
+
+        const job = await this.startJob(queueName, jobId);
+        if (job) {
+          return job;
+        }
+        // Skipped (cancelled, missing or over the user's limit); try the next one
+      }
+    }
+
+    return null;
+  }
+
+  async startJob(queueName, jobId) {
+    const keys = this.keys(queueName);
+    const jobKey = keys.job(jobId);
 
     // Get job data
     const jobHash = await this.redis.hGetAll(jobKey);
     if (!jobHash || !jobHash.data) {
       console.error(`[Queue] Job ${jobId} not found in Redis`);
-      await this.redis.lRem(`queue:${queueName}:processing`, 0, jobId);
+      await this.redis.lRem(keys.processing, 0, jobId);
       return null;
     }
 
+    if (TERMINAL_STATUSES.includes(jobHash.status)) {
+      await this.redis.lRem(keys.processing, 0, jobId);
+      return null;
+    }
+
+    if (jobHash.userId && this.config.USER_CONCURRENCY > 0) {
+      const running = await this.redis.hIncrBy(keys.running, jobHash.userId, 1);
+      if (running > this.config.USER_CONCURRENCY) {
+        await this.redis.hIncrBy(keys.running, jobHash.userId, -1);
+        await this.deferJob(queueName, jobId, this.config.USER_DEFER_MS);
+        return null;
+      }
+    }
+
+    const now = Date.now();
+    const attempts = parseInt(jobHash.attempts || '0') + 1;
+
+    await this.redis.zAdd(keys.leases, {
+      score: now + this.config.VISIBILITY_TIMEOUT_MS,
+      value: jobId,
+    });
+
     // Update job status
     await this.redis.hSet(jobKey, {
       status: 'processing',
-      attempts: String(parseInt(jobHash.attempts || '0') + 1),
-      updatedAt: String(Date.now()),
+      attempts: String(attempts),
+      startedAt: String(now),
+      heartbeatAt: String(now),
+      updatedAt: String(now),
     });
 
     return {
       id: jobId,
       data: JSON.parse(jobHash.data),
-      attempts: parseInt(jobHash.attempts || '0') + 1,
+      priority: jobHash.priority || 'normal',
+      userId: jobHash.userId || null,
+      attempts,
       maxRetries: parseInt(jobHash.maxRetries || String(this.maxRetries)),
     };
   }
 
+  /**
+   * Put a claimed job back on the delayed set without counting an attempt
+   */
+  async deferJob(queueName, jobId, delay) {
+    const keys = this.keys(queueName);
+    const processAt = Date.now() + delay;
+
+    await this.redis.multi()
+      .lRem(keys.processing, 0, jobId)
+      .zAdd(keys.delayed, { score: processAt, value: jobId })
+      .hSet(keys.job(jobId), { status: 'pending', retryAt: String(processAt), updatedAt: String(Date.now()) })
+      .exec();
+  }
+
+  /**
+   * Extend a running job's lease
+   * @param {string} queueName - Queue name
+   * @param {string} jobId - Job ID
+   * @returns {Promise<{active: boolean, cancelled: boolean}>} active is false once
+   *   the job has been taken back (lease expired) or finished elsewhere
+   */
+  async heartbeat(queueName, jobId) {
+    const keys = this.keys(queueName);
+    const jobHash = await this.redis.hGetAll(keys.job(jobId));
+    const leased = await this.redis.zScore(keys.leases, jobId);
+
+    if (!jobHash || jobHash.status !== 'processing' || leased === null) {
+      return { active: false, cancelled: jobHash?.status === 'cancelled' };
+    }
+
+    const now = Date.now();
+    await this.redis.zAdd(keys.leases, {
+      score: now + this.config.VISIBILITY_TIMEOUT_MS,
+      value: jobId,
+    });
+    await this.redis.hSet(keys.job(jobId), { heartbeatAt: String(now) });
+
+    return { active: true, cancelled: jobHash.cancelRequested === '1' };
+  }
+
+  /**
+   * Release a processing job: drop it from processing, its lease and the
+   * owner's running count. Only the first release counts.
+   * @returns {Promise<boolean>} Whether this call released it
+   */
+  async releaseJob(queueName, jobId, userId) {
+    const keys = this.keys(queueName);
+    const removed = await this.redis.lRem(keys.processing, 0, jobId);
+    await this.redis.zRem(keys.leases, jobId);
+
+    if (removed > 0 && userId) {
+      await this.redis.hIncrBy(keys.running, userId, -1);
+    }
+    return removed > 0;
+  }
+
   /**
    * Mark a job as completed
    * @param {string} queueName - Queue name
@@ -123,7 +350,8 @@ class QueueService {
    * @param {object} result - Job result (optional)
    */
   async completeJob(queueName, jobId, result = null) {
-    const jobKey = `queue:${queueName}:job:${jobId}`;
+    const jobKey = this.keys(queueName).job(jobId);
+    const userId = await this.redis.hGet(jobKey, 'userId');
 
     // Update job status
     await this.redis.hSet(jobKey, {
@@ -134,7 +362,7 @@ class QueueService {
     });
 
     // Remove from processing list
-    await this.redis.lRem(`queue:${queueName}:processing`, 0, jobId);
+    await this.releaseJob(queueName, jobId, userId);
 
     // Delete job data after 24 hours (keep for debugging)
     await this.redis.expire(jobKey, 60 * 60 * 24);
@@ -149,12 +377,13 @@ class QueueService {
    * @param {Error} error - Error object
    */
   async failJob(queueName, jobId, error) {
-    const jobKey = `queue:${queueName}:job:${jobId}`;
+    const keys = this.keys(queueName);
+    const jobKey = keys.job(jobId);
     const jobHash = await this.redis.hGetAll(jobKey);
 
     if (!jobHash || !jobHash.data) {
       console.error(`[Queue] Job ${jobId} not found for failure handling`);
-      await this.redis.lRem(`queue:${queueName}:processing`, 0, jobId);
+      await this.releaseJob(queueName, jobId, null);
       return;
     }
 
@@ -163,6 +392,14 @@ class QueueService {
 
     console.error(`[Queue] Job ${jobId} failed (attempt ${attempts}/${maxRetries}):`, error.message);
 
+    // Remove from processing list
+    await this.releaseJob(queueName, jobId, jobHash.userId);
+
+    if (jobHash.status === 'cancelled' || jobHash.cancelRequested === '1') {
+      await this.redis.hSet(jobKey, { status: 'cancelled', lastError: error.message, updatedAt: String(Date.now()) });
+      return;
+    }
+
     // Update job with error info
     await this.redis.hSet(jobKey, {
       status: 'failed',
@@ -171,16 +408,13 @@ class QueueService {
       updatedAt: String(Date.now()),
     });
 
-    // Remove from processing list
-    await this.redis.lRem(`queue:${queueName}:processing`, 0, jobId);
-
     if (attempts < maxRetries) {
       // Retry with exponential backoff
       const delayIndex = Math.min(attempts - 1, this.retryDelays.length - 1);
-      const delay = this.retryDelays[delayIndex];
+      const delay = this.retryDelays[Math.max(0, delayIndex)];
       const processAt = Date.now() + delay;
 
-      await this.redis.zAdd(`queue:${queueName}:delayed`, {
+      await this.redis.zAdd(keys.delayed, {
         score: processAt,
         value: jobId,
       });
@@ -193,29 +427,164 @@ class QueueService {
       console.log(`[Queue] Job ${jobId} will retry in ${delay}ms (attempt ${attempts + 1}/${maxRetries})`);
     } else {
       // Max retries exceeded: Move to dead letter queue
-      await this.redis.rPush(`queue:${queueName}:failed`, jobId);
+      await this.redis.rPush(keys.failed, jobId);
       await this.redis.hSet(jobKey, {
         status: 'dead',
         failedAt: String(Date.now()),
       });
 
       // Keep failed jobs for 7 days for investigation
-      await this.redis.expire(jobKey, 60 * 60 * 24 * 7);
+      await this.redis.expire(jobKey, this.config.JOB_TTL_SECONDS);
 
       console.error(`[Queue] Job ${jobId} moved to dead letter queue after ${maxRetries} failures`);
     }
   }
 
+  /**
+   * Requeue jobs whose worker stopped heartbeating
+   * Each counts as a failed attempt, so a job that keeps killing its worker
+   * ends up in the dead letter queue instead of looping. Runs at most once
+   * per REAPER_INTERVAL_MS across all workers.
+   * @param {string} queueName - Queue name
+   * @param {object} options - { force: skip the interval lock }
+   * @returns {Promise<string[]>} Requeued job IDs
+   */
+  async requeueAbandoned(queueName, { force = false } = {}) {
+    const keys = this.keys(queueName);
+
+    if (!force) {
+      const locked = await this.redis.set(keys.reaper, '1', { NX: true, PX: this.config.REAPER_INTERVAL_MS });
+      if (!locked) {
+        return [];
+      }
+    }
+
+    const now = Date.now();
+    const processing = await this.redis.lRange(keys.processing, 0, -1);
+    const requeued = [];
+
+    for (const jobId of new Set(processing)) {
+      const leaseExpiry = await this.redis.zScore(keys.leases, jobId);
+      if (leaseExpiry !== null && leaseExpiry > now) {
+        continue;
+      }
+
+      if (leaseExpiry === null) {
+        // Claimed but not leased (yet, or the worker died in between): time it from the claim
+        // (jobs claimed before claimedAt was stamped fall back to their last update)
+        const jobKey = keys.job(jobId);
+        const claimedAt = await this.redis.hGet(jobKey, 'claimedAt') || await this.redis.hGet(jobKey, 'updatedAt');
+        if (parseInt(claimedAt || '0') + this.config.VISIBILITY_TIMEOUT_MS > now) {
+          continue;
+        }
+      }
+
+      console.warn(`[Queue] Job ${jobId} lease expired; requeuing`);
+      await this.failJob(queueName, jobId, new Error('Worker stopped responding (visibility timeout expired)'));
+      requeued.push(jobId);
+    }
+
+    return requeued;
+  }
+
+  /**
+   * Cancel a job
+   * Pending and delayed jobs are cancelled at once; a running job is flagged
+   * and its worker stops at the next heartbeat.
+   * @param {string} queueName - Queue name
+   * @param {string} jobId - Job ID
+   * @returns {Promise<{id: string, status: string}|null>} null if the job does not exist
+   */
+  async cancelJob(queueName, jobId) {
+    const keys = this.keys(queueName);
+    const jobKey = keys.job(jobId);
+    const jobHash = await this.redis.hGetAll(jobKey);
+
+    if (!jobHash || !jobHash.data) {
+      return null;
+    }
+
+    if (TERMINAL_STATUSES.includes(jobHash.status)) {
+      return { id: jobId, status: jobHash.status };
+    }
+
+    if (jobHash.status === 'processing') {
+      await this.redis.hSet(jobKey, { cancelRequested: '1', updatedAt: String(Date.now()) });
+      console.log(`[Queue] Cancellation requested for running job ${jobId}`);
+      return { id: jobId, status: 'cancelling' };
+    }
+
+    await this.redis.lRem(keys.pending(jobHash.priority || 'normal'), 0, jobId);
+    await this.redis.zRem(keys.delayed, jobId);
+    await this.redis.hSet(jobKey, {
+      status: 'cancelled',
+      cancelledAt: String(Date.now()),
+      updatedAt: String(Date.now()),
+    });
+
+    // Let the same request be queued again
+    if (jobHash.idempotencyKey) {
+      await this.redis.del(keys.idempotency(jobHash.idempotencyKey));
+    }
+
+    console.log(`[Queue] Job ${jobId} cancelled`);
+    return { id: jobId, status: 'cancelled' };
+  }
+
+  /**
+   * Finish a running job that stopped because it was cancelled
+   * @param {string} queueName - Queue name
+   * @param {string} jobId - Job ID
+   */
+  async acknowledgeCancellation(queueName, jobId) {
+    const keys = this.keys(queueName);
+    const jobHash = await this.redis.hGetAll(keys.job(jobId));
+
+    await this.releaseJob(queueName, jobId, jobHash?.userId);
+    await this.redis.hSet(keys.job(jobId), {
+      status: 'cancelled',
+      cancelledAt: String(Date.now()),
+      updatedAt: String(Date.now()),
+    });
+
+    if (jobHash?.idempotencyKey) {
+      await this.redis.del(keys.idempotency(jobHash.idempotencyKey));
+    }
+
+    console.log(`[Queue] Job ${jobId} stopped after cancellation`);
+  }
+
+  /**
+   * Look up a job
+   * @param {string} queueName - Queue name
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>}
+   */
+  async getJob(queueName, jobId) {
+    const jobHash = await this.redis.hGetAll(this.keys(queueName).job(jobId));
+    return jobHash && jobHash.data ? formatJob(jobHash) : null;
+  }
+
+  /**
+   * Job ID recorded for an idempotency key
+   * @param {string} queueName - Queue name
+   * @param {string} idempotencyKey - Key given to enqueue()
+   * @returns {Promise<string|null>}
+   */
+  async findJobByKey(queueName, idempotencyKey) {
+    return this.redis.get(this.keys(queueName).idempotency(idempotencyKey));
+  }
+
   /**
    * Process delayed jobs that are ready to run
    * @param {string} queueName - Queue name
    */
   async processDelayedJobs(queueName) {
     const now = Date.now();
-    const delayedKey = `queue:${queueName}:delayed`;
+    const keys = this.keys(queueName);
 
     // Get all jobs with score <= now (ready to process)
-    const readyJobs = await this.redis.zRangeByScore(delayedKey, 0, now);
+    const readyJobs = await this.redis.zRangeByScore(keys.delayed, 0, now);
 
     if (readyJobs.length === 0) {
       return;
@@ -224,12 +593,22 @@ class QueueService {
     console.log(`[Queue] Processing ${readyJobs.length} delayed jobs for ${queueName}`);
 
     for (const jobId of readyJobs) {
+      // Whoever removes it from the delayed set moves it
+      const removed = await this.redis.zRem(keys.delayed, jobId);
+      if (!removed) {
+        continue;
+      }
+
+      const jobKey = keys.job(jobId);
+      const jobHash = await this.redis.hGetAll(jobKey);
+      if (!jobHash || !jobHash.data || TERMINAL_STATUSES.includes(jobHash.status)) {
+        continue;
+      }
+
       // Move from delayed to pending
-      await this.redis.zRem(delayedKey, jobId);
-      await this.redis.rPush(`queue:${queueName}:pending`, jobId);
+      await this.redis.lPush(keys.pending(jobHash.priority || 'normal'), jobId);
 
       // Update job status
-      const jobKey = `queue:${queueName}:job:${jobId}`;
       await this.redis.hSet(jobKey, {
         status: 'pending',
         updatedAt: String(Date.now()),
@@ -237,21 +616,109 @@ class QueueService {
     }
   }
 
+  /**
+   * List dead-lettered jobs, oldest first
+   * @param {string} queueName - Queue name
+   * @param {object} options - { offset, limit }
+   * @returns {Promise<{total: number, jobs: object[]}>}
+   */
+  async listDeadLetters(queueName, { offset = 0, limit = 50 } = {}) {
+    const keys = this.keys(queueName);
+    const [total, jobIds] = await Promise.all([
+      this.redis.lLen(keys.failed),
+      this.redis.lRange(keys.failed, offset, offset + limit - 1),
+    ]);
+
+    const jobs = [];
+    for (const jobId of jobIds) {
+      const jobHash = await this.redis.hGetAll(keys.job(jobId));
+      // The job hash can expire before the list entry is purged
+      jobs.push(jobHash && jobHash.data ? formatJob(jobHash) : { id: jobId, status: 'expired' });
+    }
+
+    return { total, jobs };
+  }
+
+  /**
+   * Move a dead-lettered job back to pending with a fresh set of retries
+   * @param {string} queueName - Queue name
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} false if the job is not in the dead letter queue
+   */
+  async retryDeadLetter(queueName, jobId) {
+    const keys = this.keys(queueName);
+    const jobKey = keys.job(jobId);
+    const jobHash = await this.redis.hGetAll(jobKey);
+
+    if (!jobHash || !jobHash.data) {
+      return false;
+    }
+
+    const removed = await this.redis.lRem(keys.failed, 0, jobId);
+    if (!removed) {
+      return false;
+    }
+
+    await this.redis.hSet(jobKey, {
+      status: 'pending',
+      attempts: '0',
+      retriedAt: String(Date.now()),
+      updatedAt: String(Date.now()),
+    });
+    await this.redis.expire(jobKey, this.config.JOB_TTL_SECONDS);
+    await this.redis.lPush(keys.pending(jobHash.priority || 'normal'), jobId);
+
+    console.log(`[Queue] Dead-lettered job ${jobId} requeued`);
+    return true;
+  }
+
+  /**
+   * Delete dead-lettered jobs
+   * @param {string} queueName - Queue name
+   * @param {string|null} jobId - One job, or all of them when omitted
+   * @returns {Promise<number>} Jobs removed
+   */
+  async purgeDeadLetters(queueName, jobId = null) {
+    const keys = this.keys(queueName);
+
+    if (jobId) {
+      const removed = await this.redis.lRem(keys.failed, 0, jobId);
+      if (removed) {
+        await this.redis.del(keys.job(jobId));
+      }
+      return removed;
+    }
+
+    const jobIds = await this.redis.lRange(keys.failed, 0, -1);
+    for (const id of jobIds) {
+      await this.redis.del(keys.job(id));
+    }
+    await this.redis.del(keys.failed);
+
+    console.log(`[Queue] Purged ${jobIds.length} dead-lettered jobs from ${queueName}`);
+    return jobIds.length;
+  }
+
   /**
    * Get queue statistics
    * @param {string} queueName - Queue name
    * @returns {Promise<object>} Queue stats
    */
   async getStats(queueName) {
-    const [pending, processing, delayed, failed] = await Promise.all([
-      this.redis.lLen(`queue:${queueName}:pending`),
-      this.redis.lLen(`queue:${queueName}:processing`),
-      this.redis.zCard(`queue:${queueName}:delayed`),
-      this.redis.lLen(`queue:${queueName}:failed`),
+    const keys = this.keys(queueName);
+    const [pendingCounts, processing, delayed, failed] = await Promise.all([
+      Promise.all(PRIORITIES.map(priority => this.redis.lLen(keys.pending(priority)))),
+      this.redis.lLen(keys.processing),
+      this.redis.zCard(keys.delayed),
+      this.redis.lLen(keys.failed),
     ]);
 
+    const byPriority = Object.fromEntries(PRIORITIES.map((priority, i) => [priority, pendingCounts[i]]));
+    const pending = pendingCounts.reduce((sum, count) => sum + count, 0);
+
     return {
       pending,
+      byPriority,
       processing,
       delayed,
       failed,
@@ -264,14 +731,17 @@ class QueueService {
    * @param {string} queueName - Queue name
    */
   async purge(queueName) {
-    const keys = [
-      `queue:${queueName}:pending`,
-      `queue:${queueName}:processing`,
-      `queue:${queueName}:delayed`,
-      `queue:${queueName}:failed`,
+    const keys = this.keys(queueName);
+    const lists = [
+      ...PRIORITIES.map(priority => keys.pending(priority)),
+      keys.processing,
+      keys.leases,
+      keys.running,
+      keys.delayed,
+      keys.failed,
     ];
 
-    for (const key of keys) {
+    for (const key of lists) {
       await this.redis.del(key);
     }
 
@@ -279,13 +749,32 @@ class QueueService {
   }
 }
 
+function formatJob(jobHash) {
+  const toTime = value => (value ? parseInt(value) : null);
+  return {
+    id: jobHash.id,
+    data: JSON.parse(jobHash.data),
+    status: jobHash.status,
+    priority: jobHash.priority || 'normal',
+    userId: jobHash.userId || null,
+    attempts: parseInt(jobHash.attempts || '0'),
+    maxRetries: parseInt(jobHash.maxRetries || '0'),
+    lastError: jobHash.lastError || null,
+    cancelRequested: jobHash.cancelRequested === '1',
+    createdAt: toTime(jobHash.createdAt),
+    updatedAt: toTime(jobHash.updatedAt),
+    failedAt: toTime(jobHash.failedAt),
+  };
+}
+
 /**
  * Create a queue service instance
  * @param {object} redisClient - Redis client (from env.REDIS)
+ * @param {object} options - Overrides for QUEUE_CONFIG
  * @returns {QueueService}
  */
-export function createQueueService(redisClient) {
-  return new QueueService(redisClient);
+export function createQueueService(redisClient, options = {}) {
+  return new QueueService(redisClient, options);
 }
 
 export default QueueService;
@@ -0,0 +1,921 @@
+/**
+ * Rights Offer Negotiation
+ *
+ * Lifecycle of a rights_offers row:
+ *
+ *   received (v1) -> counter (v2) -> counter (v3) ... -> accepted | declined | expired
+ *
+ * Every set of terms is kept in rights_offer_versions; the offer row carries the
+ * current terms. The author owns the negotiation and may record terms the
+ * publisher sent outside the platform; a publisher with an account
+ * (publisher_id) can counter, accept and decline directly.
+ *
+ * Accepting creates the manuscript_rights grants in one transaction, after
+ * checking the new grants against the grants already on the manuscript
+ * (rights type, time, territory and language overlap). Blocking conflicts
+ * (exclusivity) stop the acceptance unless the caller acknowledges them; all
+ * detected conflicts are recorded in rights_conflicts.
+ *
+ * Each step is written to rights_offer_events, which makes up the manuscript's
+ * negotiation timeline. processOfferDeadlines (run hourly by
+ * workers/scheduled-jobs-worker.js) sends reminders as response_deadline
+ * approaches and expires offers once it passes.
+ */
+
+import crypto from 'crypto';
+import { enqueueNotification } from './notification-service.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/error-handling.js';
+
+export const RIGHTS_TYPES = [
+  'first_serial',
+  'north_american',
+  'world_english',
+  'world',
+  'translation',
+  'audio',
+  'film_tv',
+  'electronic',
+  'print',
+  'dramatic',
+  'merchandising',
+  'anthology',
+  'excerpt'
+];
+
+/**
+ * Territorial rights types that include narrower ones
+ */
+export const RIGHTS_SCOPE = {
+  world: ['world_english', 'north_american', 'translation'],
+  world_english: ['north_american'],
+};
+
+/**
+ * Days before response_deadline at which the awaiting party is reminded
+ */
+export const REMINDER_DAYS = [7, 1];
+
+const OPEN_STATUSES = ['pending', 'countered'];
+const DAY = 86400;
+const YEAR = 365 * DAY;
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function parseList(value) {
+  if (value === null || value === undefined) return null;
+  return Array.isArray(value) ? value : JSON.parse(value);
+}
+
+function otherParty(party) {
+  return party === 'author' ? 'publisher' : 'author';
+}
+
+// ============================================================================
+// TERMS
+// ============================================================================
+
+function toSeconds(value, field) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = typeof value === 'number' ? value : Math.floor(new Date(value).getTime() / 1000);
+  if (!Number.isFinite(seconds)) {
+    throw new ValidationError(`${field} must be a date or Unix timestamp`);
+  }
+  return seconds;
+}
+
+function codeList(value, field, pattern, normalize) {
+  if (value === null || value === undefined) return null;
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new ValidationError(`${field} must be a non-empty array (omit it for no restriction)`);
+  }
+  const codes = [...new Set(value.map(code => normalize(String(code).trim())))];
+  const invalid = codes.filter(code => !pattern.test(code));
+  if (invalid.length > 0) {
+    throw new ValidationError(`Invalid ${field}: ${invalid.join(', ')}`);
+  }
+  return codes.sort();
+}
+
+/**
+ * Validate offer terms, filling anything not given from the previous version
+ *
+ * @param {Object} input - Request body (camelCase)
+ * @param {Object} previous - Current terms when countering
+ * @param {number} now - Current time in seconds
+ * @returns {Object} Normalized terms
+ * @throws {ValidationError}
+ */
+export function normalizeTerms(input, previous = {}, now = nowSeconds()) {
+  const pick = key => (input[key] !== undefined ? input[key] : previous[key]);
+
+  const rightsOffered = pick('rightsOffered');
+  if (!Array.isArray(rightsOffered) || rightsOffered.length === 0) {
+    throw new ValidationError('rightsOffered must list at least one rights type');
+  }
+  const unknown = rightsOffered.filter(type => !RIGHTS_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown rights type: ${unknown.join(', ')}`);
+  }
+
+  const advance = pick('advance');
+  if (advance !== null && advance !== undefined && !(Number(advance) >= 0)) {
+    throw new ValidationError('advance must be zero or more');
+  }
+
+  const royaltyRate = pick('royaltyRate');
+  if (royaltyRate !== null && royaltyRate !== undefined && !(Number(royaltyRate) >= 0 && Number(royaltyRate) <= 1)) {
+    throw new ValidationError('royaltyRate must be a fraction between 0 and 1 (0.1 for 10%)');
+  }
+
+  const durationYears = pick('durationYears');
+  if (durationYears !== null && durationYears !== undefined && !(Number.isInteger(Number(durationYears)) && Number(durationYears) > 0)) {
+    throw new ValidationError('durationYears must be a whole number of years');
+  }
+
+  const responseDeadline = input.responseDeadline !== undefined
+    ? toSeconds(input.responseDeadline, 'responseDeadline')
+    : previous.responseDeadline ?? null;
+  if (input.responseDeadline && responseDeadline <= now) {
+    throw new ValidationError('responseDeadline must be in the future');
+  }
+
+  return {
+    rightsOffered: [...new Set(rightsOffered)],
+    territories: codeList(pick('territories'), 'territories', /^[A-Z]{2}$/, code => code.toUpperCase()),
+    languages: codeList(pick('languages'), 'languages', /^[a-z]{2,3}$/, code => code.toLowerCase()),
+    advance: advance === null || advance === undefined ? null : Number(advance),
+    royaltyRate: royaltyRate === null || royaltyRate === undefined ? null : Number(royaltyRate),
+    durationYears: durationYears === null || durationYears === undefined ? null : Number(durationYears),
+    exclusive: Boolean(pick('exclusive')),
+    responseDeadline,
+    notes: input.notes || null
+  };
+}
+
+/**
+ * Current terms of an offer row, in normalizeTerms shape
+ */
+export function termsFromOffer(offer) {
+  return {
+    rightsOffered: parseList(offer.rights_offered),
+    territories: parseList(offer.territories),
+    languages: parseList(offer.languages),
+    advance: offer.proposed_advance,
+    royaltyRate: offer.proposed_royalty_rate,
+    durationYears: offer.proposed_duration_years,
+    exclusive: offer.proposed_exclusive === 1,
+    responseDeadline: offer.response_deadline
+  };
+}
+
+/**
+ * One-line summary of terms ("audio, print; $5,000 advance; 10% royalty; 7 years; exclusive")
+ */
+export function summarizeTerms(terms) {
+  const parts = [terms.rightsOffered.join(', ')];
+  if (terms.advance !== null && terms.advance !== undefined) {
+    parts.push(`$${Number(terms.advance).toLocaleString('en-US')} advance`);
+  }
+  if (terms.royaltyRate !== null && terms.royaltyRate !== undefined) {
+    parts.push(`${Math.round(terms.royaltyRate * 1000) / 10}% royalty`);
+  }
+  if (terms.durationYears) {
+    parts.push(`${terms.durationYears} ${terms.durationYears === 1 ? 'year' : 'years'}`);
+  }
+  if (terms.territories) {
+    parts.push(terms.territories.join('/'));
+  }
+  parts.push(terms.exclusive ? 'exclusive' : 'non-exclusive');
+  return parts.join('; ');
+}
+
+// ============================================================================
+// CONFLICT DETECTION
+// ============================================================================
+
+/**
+ * Whether two rights types cover any of the same ground
+ */
+export function rightsTypesOverlap(a, b) {
+  return a === b || (RIGHTS_SCOPE[a] || []).includes(b) || (RIGHTS_SCOPE[b] || []).includes(a);
+}
+
+/**
+ * Codes two restrictions share. null means unrestricted.
+ *
+ * @returns {string[]|null|false} Shared codes, null if both unrestricted, false if disjoint
+ */
+function sharedCodes(a, b) {
+  if (!a && !b) return null;
+  if (!a) return b;
+  if (!b) return a;
+  const shared = a.filter(code => b.includes(code));
+  return shared.length > 0 ? shared : false;
+}
+
+function periodsOverlap(a, b) {
+  const startA = a.grant_start_date ?? -Infinity;
+  const endA = a.grant_end_date ?? Infinity;
+  const startB = b.grant_start_date ?? -Infinity;
+  const endB = b.grant_end_date ?? Infinity;
+  return startA <= endB && startB <= endA;
+}
+
+function compareGrants(a, b) {
+  if (!rightsTypesOverlap(a.rights_type, b.rights_type) || !periodsOverlap(a, b)) {
+    return null;
+  }
+
+  const territoriesA = parseList(a.territories);
+  const territoriesB = parseList(b.territories);
+  const territories = sharedCodes(territoriesA, territoriesB);
+  if (territories === false || sharedCodes(parseList(a.languages), parseList(b.languages)) === false) {
+    return null;
+  }
+
+  const where = territories ? ` in ${territories.join(', ')}` : '';
+  const holder = b.granted_to_publisher_name || 'another grant';
+  const rightsType = a.rights_type === b.rights_type ? a.rights_type : `${a.rights_type}/${b.rights_type}`;
+
+  if (a.exclusive || b.exclusive) {
+    return {
+      conflictType: 'exclusive_violation',
+      rightsType,
+      rights1: a,
+      rights2: b,
+      territories,
+      blocking: true,
+      description: `Exclusive ${rightsType} rights overlap with ${holder}${where}`
+    };
+  }
+
+  return {
+    conflictType: territoriesA && territoriesB ? 'territorial_overlap' : 'time_overlap',
+    rightsType,
+    rights1: a,
+    rights2: b,
+    territories,
+    blocking: false,
+    description: `Non-exclusive ${rightsType} rights also held by ${holder}${where}`
+  };
+}
+
+/**
+ * Find conflicts between manuscript_rights-shaped grants
+ *
+ * @param {Array<Object>} grants - Grants to check (territories/languages as JSON or arrays)
+ * @param {Array<Object>} against - Existing grants; omit to compare grants with each other
+ * @returns {Array<Object>} Conflicts; blocking ones must be acknowledged before granting
+ */
+export function detectRightsConflicts(grants, against = null) {
+  const conflicts = [];
+
+  grants.forEach((grant, index) => {
+    const others = against || grants.slice(index + 1);
+    for (const other of others) {
+      const conflict = compareGrants(grant, other);
+      if (conflict) conflicts.push(conflict);
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * The grants accepting an offer creates, one per rights type
+ */
+export function buildGrantsFromOffer(offer, now = nowSeconds()) {
+  const terms = termsFromOffer(offer);
+
+  return terms.rightsOffered.map((rightsType, index) => ({
+    id: `rights-${offer.id}-${rightsType}`,
+    manuscript_id: offer.manuscript_id,
+    user_id: offer.user_id,
+    rights_type: rightsType,
+    rights_status: 'granted',
+    granted_to_publisher_id: offer.publisher_id || null,
+    granted_to_publisher_name: offer.publisher_name,
+    exclusive: terms.exclusive ? 1 : 0,
+    grant_start_date: now,
+    grant_end_date: terms.durationYears ? now + terms.durationYears * YEAR : null,
+    grant_duration_years: terms.durationYears,
+    territories: terms.territories ? JSON.stringify(terms.territories) : null,
+    languages: terms.languages ? JSON.stringify(terms.languages) : null,
+    // The advance is paid once for the whole deal
+    advance: index === 0 ? terms.advance : null,
+    royalty_rate: terms.royaltyRate,
+    notes: `Granted by accepting rights offer ${offer.id} (version ${offer.current_version})`,
+    offer_id: offer.id
+  }));
+}
+
+// ============================================================================
+// DATA ACCESS
+// ============================================================================
+// created_at/updated_at on rights_offers, manuscript_rights and rights_conflicts
+// are TIMESTAMPs set by column defaults and update triggers, so they are never
+// written here. The negotiation tables keep Unix seconds.
+
+// Timeline order: by time, then version, then where the event falls in a
+// version's life (proposed, reminded, conflicts acknowledged, closed)
+const EVENT_ORDER = `
+  e.created_at, e.version,
+  CASE e.event_type
+    WHEN 'received' THEN 0 WHEN 'countered' THEN 0
+    WHEN 'reminder_sent' THEN 1
+    WHEN 'conflicts_acknowledged' THEN 2
+    ELSE 3
+  END,
+  e.id
+`;
+
+/**
+ * @param {Object} when - Optional { sql, args } condition the insert depends on
+ *   (events written in a batch only land if the batch's update won)
+ */
+function eventStatement(env, { offerId, manuscriptId, type, version, actorUserId, details, now, when }) {
+  return env.DB.prepare(`
+    INSERT INTO rights_offer_events (id, offer_id, manuscript_id, event_type, version, actor_user_id, details, created_at)
+    SELECT ?, ?, ?, ?, ?, ?, ?, ?
+    ${when ? `WHERE ${when.sql}` : ''}
+  `).bind(
+    crypto.randomUUID(),
+    offerId,
+    manuscriptId,
+    type,
+    version ?? null,
+    actorUserId ?? null,
+    details ? JSON.stringify(details) : null,
+    now,
+    ...(when ? when.args : [])
+  );
+}
+
+function versionStatement(env, { offerId, version, proposedBy, userId, terms, now }) {
+  return env.DB.prepare(`
+    INSERT INTO rights_offer_versions (
+      id, offer_id, version, proposed_by, recorded_by_user_id,
+      rights_offered, territories, languages, advance, royalty_rate,
+      duration_years, exclusive, response_deadline, notes, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    crypto.randomUUID(),
+    offerId,
+    version,
+    proposedBy,
+    userId,
+    JSON.stringify(terms.rightsOffered),
+    terms.territories ? JSON.stringify(terms.territories) : null,
+    terms.languages ? JSON.stringify(terms.languages) : null,
+    terms.advance,
+    terms.royaltyRate,
+    terms.durationYears,
+    terms.exclusive ? 1 : 0,
+    terms.responseDeadline,
+    terms.notes,
+    now
+  );
+}
+
+/**
+ * Load an offer the user is a party to
+ *
+ * @returns {Promise<{offer: Object, party: 'author'|'publisher'}>}
+ * @throws {NotFoundError} If the offer does not exist or the user is not a party
+ */
+export async function getOfferForUser(offerId, userId, env) {
+  const offer = await env.DB.prepare(`
+    SELECT ro.*, m.title AS manuscript_title
+    FROM rights_offers ro
+    JOIN manuscripts m ON ro.manuscript_id = m.id
+    WHERE ro.id = ?
+  `).bind(offerId).first();
+
+  if (!offer || (offer.user_id !== userId && offer.publisher_id !== userId)) {
+    throw new NotFoundError('Rights offer', offerId);
+  }
+
+  return { offer, party: offer.user_id === userId ? 'author' : 'publisher' };
+}
+
+function assertOpen(offer, version) {
+  if (!OPEN_STATUSES.includes(offer.status)) {
+    throw new ConflictError(`Offer is already ${offer.status}`, { offerStatus: offer.status });
+  }
+  if (version !== undefined && version !== null && Number(version) !== offer.current_version) {
+    throw new ConflictError(
+      `Offer is at version ${offer.current_version}, not ${version}; reload it before responding`,
+      { currentVersion: offer.current_version }
+    );
+  }
+}
+
+async function notifyParty(offer, party, type, env) {
+  const userId = party === 'author' ? offer.user_id : offer.publisher_id;
+  if (!userId) return;
+
+  try {
+    await enqueueNotification(env, {
+      userId,
+      type,
+      submissionId: offer.manuscript_id,
+      rightsOfferId: offer.id
+    });
+  } catch (error) {
+    console.error('[Rights Offers] Error queuing notification:', error);
+  }
+}
+
+async function reloadOffer(offerId, env) {
+  return env.DB.prepare(`
+    SELECT ro.*, m.title AS manuscript_title
+    FROM rights_offers ro
+    JOIN manuscripts m ON ro.manuscript_id = m.id
+    WHERE ro.id = ?
+  `).bind(offerId).first();
+}
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Record an incoming offer on one of the user's manuscripts
+ *
+ * @param {string} manuscriptId - Manuscript the rights are for
+ * @param {string} userId - Author (manuscript owner)
+ * @param {Object} input - publisherName, publisherId, submissionId plus terms
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} Offer row
+ */
+export async function createOffer(manuscriptId, userId, input, env) {
+  const now = nowSeconds();
+
+  const manuscript = await env.DB.prepare(
+    'SELECT id, title FROM manuscripts WHERE id = ? AND user_id = ?'
+  ).bind(manuscriptId, userId).first();
+  if (!manuscript) {
+    throw new NotFoundError('Manuscript', manuscriptId);
+  }
+
+  let publisherName = input.publisherName;
+  if (input.submissionId) {
+    const submission = await env.DB.prepare(
+      'SELECT id, publisher_name FROM submissions WHERE id = ? AND manuscript_id = ? AND user_id = ?'
+    ).bind(input.submissionId, manuscriptId, userId).first();
+    if (!submission) {
+      throw new NotFoundError('Submission', input.submissionId);
+    }
+    publisherName = publisherName || submission.publisher_name;
+  }
+  if (!publisherName) {
+    throw new ValidationError('publisherName is required for offers not linked to a submission');
+  }
+
+  const terms = normalizeTerms(input, {}, now);
+  const offerId = crypto.randomUUID();
+
+  await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO rights_offers (
+        id, manuscript_id, user_id, submission_id, publisher_id, publisher_name,
+        rights_offered, territories, languages, offer_date, response_deadline, status,
+        proposed_advance, proposed_royalty_rate, proposed_duration_years, proposed_exclusive,
+        current_version, awaiting_party, notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, to_timestamp(?), ?, 'pending', ?, ?, ?, ?, 1, 'author', ?)
+    `).bind(
+      offerId,
+      manuscriptId,
+      userId,
+      input.submissionId || null,
+      input.publisherId || null,
+      publisherName,
+      JSON.stringify(terms.rightsOffered),
+      terms.territories ? JSON.stringify(terms.territories) : null,
+      terms.languages ? JSON.stringify(terms.languages) : null,
+      toSeconds(input.offerDate, 'offerDate') || now,
+      terms.responseDeadline,
+      terms.advance,
+      terms.royaltyRate,
+      terms.durationYears,
+      terms.exclusive ? 1 : 0,
+      terms.notes
+    ),
+    versionStatement(env, { offerId, version: 1, proposedBy: 'publisher', userId, terms, now }),
+    eventStatement(env, {
+      offerId,
+      manuscriptId,
+      type: 'received',
+      version: 1,
+      actorUserId: userId,
+      details: { publisherName, submissionId: input.submissionId || null, terms: summarizeTerms(terms) },
+      now
+    })
+  ]);
+
+  return reloadOffer(offerId, env);
+}
+
+/**
+ * Counter an open offer with new terms (omitted terms carry over)
+ *
+ * The author may record a counter the publisher sent offline with
+ * proposedBy: 'publisher'.
+ */
+export async function counterOffer(offerId, userId, input, env) {
+  const now = nowSeconds();
+  const { offer, party } = await getOfferForUser(offerId, userId, env);
+  assertOpen(offer, input.version);
+
+  const proposedBy = party === 'author' && input.proposedBy === 'publisher' ? 'publisher' : party;
+  const terms = normalizeTerms(input, termsFromOffer(offer), now);
+  const version = offer.current_version + 1;
+
+  // Only counters the version that was read; an offer countered, accepted or
+  // declined in the meantime leaves nothing behind
+  await env.DB.transaction(async (tx) => {
+    const updated = await tx.prepare(`
+      UPDATE rights_offers SET
+        rights_offered = ?, territories = ?, languages = ?,
+        proposed_advance = ?, proposed_royalty_rate = ?, proposed_duration_years = ?, proposed_exclusive = ?,
+        response_deadline = ?, current_version = ?, awaiting_party = ?, status = 'countered',
+        last_reminder_at = NULL
+      WHERE id = ? AND current_version = ? AND status IN ('pending', 'countered')
+    `).bind(
+      JSON.stringify(terms.rightsOffered),
+      terms.territories ? JSON.stringify(terms.territories) : null,
+      terms.languages ? JSON.stringify(terms.languages) : null,
+      terms.advance,
+      terms.royaltyRate,
+      terms.durationYears,
+      terms.exclusive ? 1 : 0,
+      terms.responseDeadline,
+      version,
+      otherParty(proposedBy),
+      offerId,
+      offer.current_version
+    ).run();
+    if (!updated.meta?.changes) {
+      throw new ConflictError('The offer changed while it was being countered; reload it and try again');
+    }
+
+    await versionStatement({ DB: tx }, { offerId, version, proposedBy, userId, terms, now }).run();
+    await eventStatement({ DB: tx }, {
+      offerId,
+      manuscriptId: offer.manuscript_id,
+      type: 'countered',
+      version,
+      actorUserId: userId,
+      details: { proposedBy, terms: summarizeTerms(terms) },
+      now
+    }).run();
+  });
+
+  const updated = await reloadOffer(offerId, env);
+  await notifyParty(updated, otherParty(party), 'rights_offer', env);
+  return updated;
+}
+
+/**
+ * Accept the current terms and create the rights grants
+ *
+ * @param {Object} input
+ * @param {number} input.version - Version being accepted (guards against accepting stale terms)
+ * @param {boolean} input.acknowledgeConflicts - Grant despite blocking conflicts
+ * @returns {Promise<{offer: Object, grants: Array<Object>, conflicts: Array<Object>}>}
+ * @throws {ConflictError} With details.conflicts when blocking conflicts are not acknowledged
+ */
+export async function acceptOffer(offerId, userId, input, env) {
+  const now = nowSeconds();
+  const { offer, party } = await getOfferForUser(offerId, userId, env);
+  assertOpen(offer, input.version);
+
+  const existing = await env.DB.prepare(`
+    SELECT * FROM manuscript_rights
+    WHERE manuscript_id = ? AND rights_status = 'granted'
+  `).bind(offer.manuscript_id).all();
+
+  const grants = buildGrantsFromOffer(offer, now);
+  const conflicts = detectRightsConflicts(grants, existing.results || []);
+  const blocking = conflicts.filter(conflict => conflict.blocking);
+
+  if (blocking.length > 0 && !input.acknowledgeConflicts) {
+    throw new ConflictError('Accepting this offer conflicts with rights already granted', {
+      conflicts: blocking.map(({ rights1, rights2, ...conflict }) => ({
+        ...conflict,
+        offeredRightsType: rights1.rights_type,
+        existingRightsId: rights2.id
+      }))
+    });
+  }
+
+  // Grants, conflicts and events are only written if this transaction's update won
+  const accepted = 'EXISTS (SELECT 1 FROM rights_offers WHERE id = ? AND status = \'accepted\' AND current_version = ?)';
+  const statements = [
+    env.DB.prepare(`
+      UPDATE rights_offers
+      SET status = 'accepted', response_date = ?, response_notes = ?, awaiting_party = NULL
+      WHERE id = ? AND current_version = ? AND status IN ('pending', 'countered')
+    `).bind(now, input.notes || null, offerId, offer.current_version),
+
+    ...grants.map(grant => env.DB.prepare(`
+      INSERT INTO manuscript_rights (
+        id, manuscript_id, user_id, rights_type, rights_status,
+        granted_to_publisher_id, granted_to_publisher_name, exclusive,
+        grant_start_date, grant_end_date, grant_duration_years,
+        territories, languages, advance, royalty_rate, notes, offer_id
+      )
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE ${accepted}
+      ON CONFLICT (id) DO NOTHING
+    `).bind(
+      grant.id, grant.manuscript_id, grant.user_id, grant.rights_type, grant.rights_status,
+      grant.granted_to_publisher_id, grant.granted_to_publisher_name, grant.exclusive,
+      grant.grant_start_date, grant.grant_end_date, grant.grant_duration_years,
+      grant.territories, grant.languages, grant.advance, grant.royalty_rate, grant.notes, grant.offer_id,
+      offerId, offer.current_version
+    )),
+
+    ...conflicts.map(conflict => env.DB.prepare(`
+      INSERT INTO rights_conflicts (id, manuscript_id, rights_type, rights_id_1, rights_id_2, conflict_type)
+      SELECT ?, ?, ?, ?, ?, ?
+      WHERE ${accepted}
+      ON CONFLICT (id) DO NOTHING
+    `).bind(
+      `conflict-${conflict.rights1.id}-${conflict.rights2.id}`,
+      offer.manuscript_id,
+      conflict.rights1.rights_type,
+      conflict.rights1.id,
+      conflict.rights2.id,
+      conflict.conflictType,
+      offerId, offer.current_version
+    )),
+
+    eventStatement(env, {
+      offerId,
+      manuscriptId: offer.manuscript_id,
+      type: 'accepted',
+      version: offer.current_version,
+      actorUserId: userId,
+      details: { grants: grants.map(grant => grant.id), terms: summarizeTerms(termsFromOffer(offer)) },
+      now,
+      when: { sql: accepted, args: [offerId, offer.current_version] }
+    })
+  ];
+
+  if (blocking.length > 0) {
+    statements.push(eventStatement(env, {
+      offerId,
+      manuscriptId: offer.manuscript_id,
+      type: 'conflicts_acknowledged',
+      version: offer.current_version,
+      actorUserId: userId,
+      details: { conflicts: blocking.map(conflict => conflict.description) },
+      now,
+      when: { sql: accepted, args: [offerId, offer.current_version] }
+    }));
+  }
+
+  await env.DB.batch(statements);
+
+  const updated = await reloadOffer(offerId, env);
+  if (updated.status !== 'accepted' || updated.current_version !== offer.current_version) {
+    throw new ConflictError('The offer changed while it was being accepted; reload it and try again');
+  }
+
+  await notifyParty(updated, otherParty(party), 'rights_offer', env);
+  return { offer: updated, grants, conflicts };
+}
+
+/**
+ * Decline an open offer
+ */
+export async function declineOffer(offerId, userId, input, env) {
+  const now = nowSeconds();
+  const { offer, party } = await getOfferForUser(offerId, userId, env);
+  assertOpen(offer, input.version);
+
+  await env.DB.transaction(async (tx) => {
+    const declined = await tx.prepare(`
+      UPDATE rights_offers
+      SET status = 'declined', response_date = ?, response_notes = ?, awaiting_party = NULL
+      WHERE id = ? AND current_version = ? AND status IN ('pending', 'countered')
+    `).bind(now, input.reason || null, offerId, offer.current_version).run();
+    if (!declined.meta?.changes) {
+      throw new ConflictError('The offer changed while it was being declined; reload it and try again');
+    }
+
+    await eventStatement({ DB: tx }, {
+      offerId,
+      manuscriptId: offer.manuscript_id,
+      type: 'declined',
+      version: offer.current_version,
+      actorUserId: userId,
+      details: { by: party, reason: input.reason || null },
+      now
+    }).run();
+  });
+
+  const updated = await reloadOffer(offerId, env);
+  await notifyParty(updated, otherParty(party), 'rights_offer', env);
+  return updated;
+}
+
+// ============================================================================
+// READS
+// ============================================================================
+
+function formatOffer(offer) {
+  return {
+    ...offer,
+    rights_offered: parseList(offer.rights_offered),
+    territories: parseList(offer.territories),
+    languages: parseList(offer.languages)
+  };
+}
+
+function formatVersion(version) {
+  return {
+    ...version,
+    rights_offered: parseList(version.rights_offered),
+    territories: parseList(version.territories),
+    languages: parseList(version.languages)
+  };
+}
+
+function formatEvent(event) {
+  return { ...event, details: event.details ? JSON.parse(event.details) : null };
+}
+
+/**
+ * An offer with every version of its terms and its events
+ */
+export async function getOfferDetail(offerId, userId, env) {
+  const { offer, party } = await getOfferForUser(offerId, userId, env);
+
+  const [versions, events] = await Promise.all([
+    env.DB.prepare(
+      'SELECT * FROM rights_offer_versions WHERE offer_id = ? ORDER BY version'
+    ).bind(offerId).all(),
+    env.DB.prepare(
+      `SELECT e.* FROM rights_offer_events e WHERE e.offer_id = ? ORDER BY ${EVENT_ORDER}`
+    ).bind(offerId).all()
+  ]);
+
+  return {
+    offer: formatOffer(offer),
+    party,
+    versions: (versions.results || []).map(formatVersion),
+    events: (events.results || []).map(formatEvent)
+  };
+}
+
+async function assertManuscriptOwner(manuscriptId, userId, env) {
+  const manuscript = await env.DB.prepare(
+    'SELECT id, title FROM manuscripts WHERE id = ? AND user_id = ?'
+  ).bind(manuscriptId, userId).first();
+  if (!manuscript) {
+    throw new NotFoundError('Manuscript', manuscriptId);
+  }
+  return manuscript;
+}
+
+/**
+ * Offers on a manuscript, newest first
+ */
+export async function listOffers(manuscriptId, userId, env) {
+  const manuscript = await assertManuscriptOwner(manuscriptId, userId, env);
+
+  const offers = await env.DB.prepare(`
+    SELECT * FROM rights_offers WHERE manuscript_id = ? ORDER BY created_at DESC
+  `).bind(manuscriptId).all();
+
+  return { manuscript, offers: (offers.results || []).map(formatOffer) };
+}
+
+/**
+ * Every negotiation event on a manuscript, oldest first
+ */
+export async function getNegotiationTimeline(manuscriptId, userId, env) {
+  const manuscript = await assertManuscriptOwner(manuscriptId, userId, env);
+
+  const events = await env.DB.prepare(`
+    SELECT e.*, ro.publisher_name, ro.status AS offer_status
+    FROM rights_offer_events e
+    JOIN rights_offers ro ON e.offer_id = ro.id
+    WHERE e.manuscript_id = ?
+    ORDER BY ${EVENT_ORDER}
+  `).bind(manuscriptId).all();
+
+  return { manuscript, timeline: (events.results || []).map(formatEvent) };
+}
+
+/**
+ * Conflicts between open offers and the grants already on a manuscript
+ */
+export async function detectOpenOfferConflicts(manuscriptId, grants, env) {
+  const offers = await env.DB.prepare(`
+    SELECT * FROM rights_offers WHERE manuscript_id = ? AND status IN ('pending', 'countered')
+  `).bind(manuscriptId).all();
+
+  return (offers.results || []).flatMap(offer =>
+    detectRightsConflicts(buildGrantsFromOffer(offer), grants).map(conflict => ({ ...conflict, offerId: offer.id }))
+  );
+}
+
+// ============================================================================
+// DEADLINES
+// ============================================================================
+
+/**
+ * Remind the awaiting party as response deadlines approach and expire offers
+ * whose deadline has passed
+ *
+ * @param {Object} env - Environment bindings
+ * @param {number} now - Current time in seconds (defaults to the clock)
+ * @returns {Promise<{reminded: number, expired: number}>}
+ */
+export async function processOfferDeadlines(env, now = nowSeconds()) {
+  const summary = { reminded: 0, expired: 0 };
+  const horizon = now + Math.max(...REMINDER_DAYS) * DAY;
+
+  const { results } = await env.DB.prepare(`
+    SELECT * FROM rights_offers
+    WHERE status IN ('pending', 'countered') AND response_deadline IS NOT NULL AND response_deadline <= ?
+    ORDER BY response_deadline
+  `).bind(horizon).all();
+
+  for (const offer of results || []) {
+    const deadline = Number(offer.response_deadline);
+
+    if (deadline <= now) {
+      const expired = await env.DB.prepare(`
+        UPDATE rights_offers SET status = 'expired', awaiting_party = NULL
+        WHERE id = ? AND status IN ('pending', 'countered')
+      `).bind(offer.id).run();
+      if (!expired.meta?.changes) continue;
+
+      await eventStatement(env, {
+        offerId: offer.id,
+        manuscriptId: offer.manuscript_id,
+        type: 'expired',
+        version: offer.current_version,
+        details: { deadline },
+        now
+      }).run();
+      await notifyParty(offer, 'author', 'rights_offer', env);
+      await notifyParty(offer, 'publisher', 'rights_offer', env);
+      summary.expired++;
+      continue;
+    }
+
+    // Closest reminder window the deadline has entered, and whether it has been sent
+    const days = Math.min(...REMINDER_DAYS.filter(window => deadline - now <= window * DAY));
+    if (offer.last_reminder_at && offer.last_reminder_at >= deadline - days * DAY) {
+      continue;
+    }
+
+    await env.DB.prepare(
+      'UPDATE rights_offers SET last_reminder_at = ? WHERE id = ?'
+    ).bind(now, offer.id).run();
+
+    // Publishers outside the platform cannot be reminded; the author chases them
+    const awaiting = offer.awaiting_party === 'publisher' && offer.publisher_id ? 'publisher' : 'author';
+    await notifyParty(offer, awaiting, 'rights_offer_deadline', env);
+    await eventStatement(env, {
+      offerId: offer.id,
+      manuscriptId: offer.manuscript_id,
+      type: 'reminder_sent',
+      version: offer.current_version,
+      details: { to: awaiting, daysLeft: Math.ceil((deadline - now) / DAY) },
+      now
+    }).run();
+    summary.reminded++;
+  }
+
+  return summary;
+}
+
+export default {
+  RIGHTS_TYPES,
+  RIGHTS_SCOPE,
+  REMINDER_DAYS,
+  normalizeTerms,
+  termsFromOffer,
+  summarizeTerms,
+  rightsTypesOverlap,
+  detectRightsConflicts,
+  buildGrantsFromOffer,
+  getOfferForUser,
+  createOffer,
+  counterOffer,
+  acceptOffer,
+  declineOffer,
+  getOfferDetail,
+  listOffers,
+  getNegotiationTimeline,
+  detectOpenOfferConflicts,
+  processOfferDeadlines,
+};
@@ -0,0 +1,543 @@
+/**
+ * Sales Goal Service
+ *
+ * Unit, revenue and royalty goals for one manuscript, a series, or the whole
+ * catalog (sales_goals), with progress from sales_data and forecasts from
+ * utils/sales-forecast.js.
+ *
+ * Each evaluation classifies a goal:
+ *   achieved  - target reached (the goal is marked completed)
+ *   on_track  - the expected projection reaches the target by end_date
+ *   at_risk   - only the optimistic end of the band reaches it
+ *   off_track - even the optimistic end falls short
+ *   missed    - end_date passed below target
+ *   open      - no end_date, so there is nothing to project against
+ *
+ * An alert is queued (notification type sales_goal) when a goal gets worse
+ * than the worst state already alerted on; recovering to on_track re-arms it.
+ * Goals are evaluated after each sales import and hourly by
+ * workers/scheduled-jobs-worker.js.
+ *
+ * Royalty forecasts for the dashboard project month-end and quarter-end totals
+ * from the same daily series.
+ */
+
+import crypto from 'crypto';
+import { enqueueNotification } from './notification-service.js';
+import { ValidationError, NotFoundError } from '../utils/error-handling.js';
+import {
+  dayIndex,
+  buildDailySeries,
+  forecastTotal,
+  periodBounds,
+  CONFIDENCE_LEVELS,
+  FORECAST_CONFIG
+} from '../utils/sales-forecast.js';
+
+/**
+ * sales_data column each goal type measures
+ */
+export const GOAL_METRICS = {
+  units: 'units_sold',
+  revenue: 'revenue',
+  royalties: 'royalty_earned',
+};
+
+export const SALES_GOAL_CONFIG = {
+  HISTORY_DAYS: 365,
+  CONFIDENCE: FORECAST_CONFIG.DEFAULT_CONFIDENCE,
+};
+
+const ALERT_LEVELS = { on_track: 0, at_risk: 1, off_track: 2 };
+const DAY = 86400;
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function round(value, metric) {
+  return metric === 'units' ? Math.round(value) : Math.round(value * 100) / 100;
+}
+
+function toSeconds(value, field) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = typeof value === 'number' ? value : Math.floor(new Date(value).getTime() / 1000);
+  if (!Number.isFinite(seconds)) {
+    throw new ValidationError(`${field} must be a date or Unix timestamp`);
+  }
+  return seconds;
+}
+
+// ============================================================================
+// SALES QUERIES
+// ============================================================================
+
+/**
+ * WHERE fragment limiting sales_data to a goal's scope
+ */
+function scopeFilter({ userId, manuscriptId, seriesId }) {
+  if (manuscriptId) {
+    return { sql: 'user_id = ? AND manuscript_id = ?', params: [userId, manuscriptId] };
+  }
+  if (seriesId) {
+    return {
+      sql: 'user_id = ? AND manuscript_id IN (SELECT manuscript_id FROM series_manuscripts WHERE series_id = ?)',
+      params: [userId, seriesId]
+    };
+  }
+  return { sql: 'user_id = ?', params: [userId] };
+}
+
+async function sumSales(scope, column, from, to, env) {
+  const filter = scopeFilter(scope);
+  const row = await env.DB.prepare(`
+    SELECT COALESCE(SUM(${column}), 0) AS total
+    FROM sales_data
+    WHERE ${filter.sql} AND sale_date >= ? AND sale_date < ?
+  `).bind(...filter.params, from, to).first();
+  return Number(row?.total || 0);
+}
+
+/**
+ * Daily totals for the complete days before today, starting at the first sale
+ */
+async function loadHistory(scope, column, today, env) {
+  const fromDay = today - SALES_GOAL_CONFIG.HISTORY_DAYS;
+  const filter = scopeFilter(scope);
+  const { results } = await env.DB.prepare(`
+    SELECT FLOOR(sale_date / 86400) AS day, SUM(${column}) AS value
+    FROM sales_data
+    WHERE ${filter.sql} AND sale_date >= ? AND sale_date < ?
+    GROUP BY FLOOR(sale_date / 86400)
+    ORDER BY day
+  `).bind(...filter.params, fromDay * DAY, today * DAY).all();
+
+  const rows = results || [];
+  if (rows.length === 0) return [];
+
+  // Days before the title was on sale are not zero-sales days
+  return buildDailySeries(rows, Math.max(fromDay, Number(rows[0].day)), today);
+}
+
+// ============================================================================
+// PROGRESS
+// ============================================================================
+
+/**
+ * State of a goal from its progress and projection (see the module comment)
+ *
+ * @param {Object} input
+ * @param {number} input.target - Goal target
+ * @param {number} input.actual - Progress so far
+ * @param {Object|null} input.forecast - forecastTotal() of the remaining days, null without an end date
+ * @param {boolean} input.ended - Whether end_date has passed
+ * @returns {string}
+ */
+export function classifyGoal({ target, actual, forecast, ended }) {
+  if (actual >= target) return 'achieved';
+  if (ended) return 'missed';
+  if (!forecast) return 'open';
+  if (actual + forecast.expected >= target) return 'on_track';
+  if (actual + forecast.upper >= target) return 'at_risk';
+  return 'off_track';
+}
+
+/**
+ * Progress and projection for a sales_goals row
+ *
+ * @param {Object} goal - sales_goals row
+ * @param {Object} env - Environment bindings
+ * @param {number} now - Current time in seconds
+ * @returns {Promise<Object>}
+ */
+export async function getGoalProgress(goal, env, now = nowSeconds()) {
+  const column = GOAL_METRICS[goal.goal_type];
+  const target = Number(goal.target_value);
+  const scope = { userId: goal.user_id, manuscriptId: goal.manuscript_id, seriesId: goal.series_id };
+  const today = dayIndex(now);
+
+  // end_date counts as a whole day
+  const endDay = goal.end_date ? dayIndex(goal.end_date) + 1 : null;
+  const ended = endDay !== null && endDay <= today;
+  const actual = await sumSales(scope, column, goal.start_date, endDay !== null ? endDay * DAY : now + DAY, env);
+
+  let forecast = null;
+  if (endDay !== null && !ended && actual < target) {
+    // Today is counted in actual; project the days after it
+    const history = await loadHistory(scope, column, today, env);
+    forecast = forecastTotal(history, endDay - today - 1, { confidence: SALES_GOAL_CONFIG.CONFIDENCE });
+  }
+
+  const state = classifyGoal({ target, actual, forecast, ended });
+  const daysLeft = endDay !== null ? Math.max(0, endDay - today) : null;
+
+  return {
+    goalId: goal.id,
+    metric: goal.goal_type,
+    target,
+    current: round(actual, goal.goal_type),
+    percent: target > 0 ? Math.round((actual / target) * 1000) / 10 : 0,
+    remaining: round(Math.max(0, target - actual), goal.goal_type),
+    daysLeft,
+    requiredDailyRate: daysLeft ? round(Math.max(0, target - actual) / daysLeft, goal.goal_type) : null,
+    state,
+    projection: forecast && {
+      expected: round(actual + forecast.expected, goal.goal_type),
+      lower: round(actual + forecast.lower, goal.goal_type),
+      upper: round(actual + forecast.upper, goal.goal_type),
+      confidence: forecast.confidence,
+      method: forecast.method
+    }
+  };
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+async function assertScopeOwned(userId, { manuscriptId, seriesId }, env) {
+  if (manuscriptId && seriesId) {
+    throw new ValidationError('A goal is for a manuscript or a series, not both');
+  }
+  if (manuscriptId) {
+    const manuscript = await env.DB.prepare(
+      'SELECT id FROM manuscripts WHERE id = ? AND user_id = ?'
+    ).bind(manuscriptId, userId).first();
+    if (!manuscript) throw new NotFoundError('Manuscript', manuscriptId);
+  }
+  if (seriesId) {
+    const series = await env.DB.prepare(
+      'SELECT id FROM series WHERE id = ? AND user_id = ?'
+    ).bind(seriesId, userId).first();
+    if (!series) throw new NotFoundError('Series', seriesId);
+  }
+}
+
+function validateTarget(value) {
+  const target = Number(value);
+  if (!Number.isFinite(target) || target <= 0) {
+    throw new ValidationError('targetValue must be a positive number');
+  }
+  return target;
+}
+
+/**
+ * Create a goal
+ *
+ * @param {string} userId - Owner
+ * @param {Object} input - goalName, goalType, targetValue, manuscriptId?, seriesId?, startDate?, endDate?, alertsEnabled?
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} sales_goals row
+ */
+export async function createGoal(userId, input, env) {
+  if (!input.goalName || !String(input.goalName).trim()) {
+    throw new ValidationError('goalName is required');
+  }
+  if (!GOAL_METRICS[input.goalType]) {
+    throw new ValidationError(`goalType must be one of: ${Object.keys(GOAL_METRICS).join(', ')}`);
+  }
+
+  const target = validateTarget(input.targetValue);
+  const startDate = toSeconds(input.startDate, 'startDate') ?? nowSeconds();
+  const endDate = toSeconds(input.endDate, 'endDate');
+  if (endDate !== null && endDate <= startDate) {
+    throw new ValidationError('endDate must be after startDate');
+  }
+
+  await assertScopeOwned(userId, input, env);
+
+  const id = crypto.randomUUID();
+  await env.DB.prepare(`
+    INSERT INTO sales_goals (
+      id, user_id, manuscript_id, series_id, goal_name, goal_type,
+      target_value, current_value, start_date, end_date, status, alerts_enabled
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, 'active', ?)
+  `).bind(
+    id,
+    userId,
+    input.manuscriptId || null,
+    input.seriesId || null,
+    String(input.goalName).trim(),
+    input.goalType,
+    target,
+    startDate,
+    endDate,
+    input.alertsEnabled === false ? 0 : 1
+  ).run();
+
+  return getOwnedGoal(id, userId, env);
+}
+
+async function getOwnedGoal(goalId, userId, env) {
+  const goal = await env.DB.prepare(
+    'SELECT * FROM sales_goals WHERE id = ? AND user_id = ?'
+  ).bind(goalId, userId).first();
+  if (!goal) {
+    throw new NotFoundError('Sales goal', goalId);
+  }
+  return goal;
+}
+
+/**
+ * A goal with its live progress
+ */
+export async function getGoal(goalId, userId, env, now = nowSeconds()) {
+  const goal = await getOwnedGoal(goalId, userId, env);
+  return { ...goal, progress: await getGoalProgress(goal, env, now) };
+}
+
+/**
+ * A user's goals with live progress, newest first
+ *
+ * @param {Object} options
+ * @param {string} options.status - Only goals in this status
+ * @param {string} options.manuscriptId - Only goals for this manuscript
+ */
+export async function listGoals(userId, env, { status, manuscriptId } = {}, now = nowSeconds()) {
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (manuscriptId) {
+    conditions.push('manuscript_id = ?');
+    params.push(manuscriptId);
+  }
+
+  const { results } = await env.DB.prepare(`
+    SELECT * FROM sales_goals
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY created_at DESC
+  `).bind(...params).all();
+
+  return Promise.all((results || []).map(async goal => ({
+    ...goal,
+    progress: await getGoalProgress(goal, env, now)
+  })));
+}
+
+/**
+ * Update a goal's name, target, end date, status or alerts
+ */
+export async function updateGoal(goalId, userId, input, env) {
+  const goal = await getOwnedGoal(goalId, userId, env);
+  const updates = [];
+  const params = [];
+
+  if (input.goalName !== undefined) {
+    if (!String(input.goalName).trim()) throw new ValidationError('goalName cannot be empty');
+    updates.push('goal_name = ?');
+    params.push(String(input.goalName).trim());
+  }
+  if (input.targetValue !== undefined) {
+    updates.push('target_value = ?');
+    params.push(validateTarget(input.targetValue));
+  }
+  if (input.endDate !== undefined) {
+    const endDate = toSeconds(input.endDate, 'endDate');
+    if (endDate !== null && endDate <= goal.start_date) {
+      throw new ValidationError('endDate must be after startDate');
+    }
+    updates.push('end_date = ?');
+    params.push(endDate);
+  }
+  if (input.status !== undefined) {
+    if (!['active', 'abandoned'].includes(input.status)) {
+      throw new ValidationError('status can be set to active or abandoned');
+    }
+    updates.push('status = ?', 'completed_at = NULL');
+    params.push(input.status);
+  }
+  if (input.alertsEnabled !== undefined) {
+    updates.push('alerts_enabled = ?');
+    params.push(input.alertsEnabled ? 1 : 0);
+  }
+
+  if (updates.length === 0) {
+    throw new ValidationError('No fields to update');
+  }
+
+  // New terms get a fresh evaluation and alert
+  updates.push('forecast_state = NULL', 'alerted_state = NULL');
+
+  await env.DB.prepare(`
+    UPDATE sales_goals SET ${updates.join(', ')} WHERE id = ? AND user_id = ?
+  `).bind(...params, goalId, userId).run();
+
+  return getOwnedGoal(goalId, userId, env);
+}
+
+/**
+ * Delete a goal
+ */
+export async function deleteGoal(goalId, userId, env) {
+  await getOwnedGoal(goalId, userId, env);
+  await env.DB.prepare(
+    'DELETE FROM sales_goals WHERE id = ? AND user_id = ?'
+  ).bind(goalId, userId).run();
+}
+
+// ============================================================================
+// EVALUATION & ALERTS
+// ============================================================================
+
+/**
+ * Store a goal's progress and projection, complete it when reached and queue
+ * an alert when it starts trending to miss
+ *
+ * @returns {Promise<{progress: Object, alerted: boolean, completed: boolean}>}
+ */
+export async function evaluateGoal(goal, env, now = nowSeconds()) {
+  const progress = await getGoalProgress(goal, env, now);
+  const completed = progress.state === 'achieved';
+
+  const level = ALERT_LEVELS[progress.state];
+  const alertedLevel = ALERT_LEVELS[goal.alerted_state] ?? 0;
+  const alert = goal.alerts_enabled !== 0 && level !== undefined && level > alertedLevel;
+
+  // on_track re-arms alerts; other states keep the worst one alerted on
+  const alertedState = progress.state === 'on_track' ? null : alert ? progress.state : goal.alerted_state ?? null;
+
+  await env.DB.prepare(`
+    UPDATE sales_goals SET
+      current_value = ?, forecast_state = ?, forecast_value = ?, forecast_lower = ?, forecast_upper = ?,
+      alerted_state = ?, evaluated_at = ?,
+      status = ?, completed_at = ?, last_notification_at = ?
+    WHERE id = ?
+  `).bind(
+    progress.current,
+    progress.state,
+    progress.projection?.expected ?? null,
+    progress.projection?.lower ?? null,
+    progress.projection?.upper ?? null,
+    alertedState,
+    now,
+    completed ? 'completed' : goal.status,
+    completed ? goal.completed_at || now : goal.completed_at ?? null,
+    alert ? now : goal.last_notification_at ?? null,
+    goal.id
+  ).run();
+
+  if (alert) {
+    try {
+      await enqueueNotification(env, {
+        userId: goal.user_id,
+        type: 'sales_goal',
+        submissionId: goal.manuscript_id,
+        salesGoalId: goal.id
+      });
+    } catch (error) {
+      console.error('[Sales Goals] Error queuing alert:', error);
+    }
+  }
+
+  return { progress, alerted: alert, completed };
+}
+
+/**
+ * Evaluate active goals (all users, or one after an import)
+ *
+ * @returns {Promise<{evaluated: number, alerts: number, completed: number}>}
+ */
+export async function evaluateSalesGoals(env, { userId } = {}, now = nowSeconds()) {
+  const summary = { evaluated: 0, alerts: 0, completed: 0 };
+
+  // Goals that ended long ago were settled by earlier evaluations
+  const { results } = await env.DB.prepare(`
+    SELECT * FROM sales_goals
+    WHERE status = 'active'
+      AND (end_date IS NULL OR end_date >= ? OR forecast_state IS NULL OR forecast_state <> 'missed')
+      ${userId ? 'AND user_id = ?' : ''}
+  `).bind(...[now - 2 * DAY, ...(userId ? [userId] : [])]).all();
+
+  for (const goal of results || []) {
+    try {
+      const { alerted, completed } = await evaluateGoal(goal, env, now);
+      summary.evaluated++;
+      if (alerted) summary.alerts++;
+      if (completed) summary.completed++;
+    } catch (error) {
+      console.error(`[Sales Goals] Error evaluating goal ${goal.id}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+// ============================================================================
+// DASHBOARD FORECASTS
+// ============================================================================
+
+/**
+ * Month-end and quarter-end projections for a metric
+ *
+ * @param {string} userId - Owner
+ * @param {Object} options
+ * @param {string} options.manuscriptId - One title (default: whole catalog)
+ * @param {string} options.seriesId - One series
+ * @param {string} options.metric - units, revenue or royalties (default)
+ * @param {number} options.confidence - Band coverage
+ * @param {Object} env - Environment bindings
+ * @param {number} now - Current time in seconds
+ */
+export async function forecastSales(userId, options, env, now = nowSeconds()) {
+  const { manuscriptId, seriesId, metric = 'royalties' } = options;
+  const confidence = options.confidence !== undefined ? Number(options.confidence) : SALES_GOAL_CONFIG.CONFIDENCE;
+
+  const column = GOAL_METRICS[metric];
+  if (!column) {
+    throw new ValidationError(`metric must be one of: ${Object.keys(GOAL_METRICS).join(', ')}`);
+  }
+  if (!CONFIDENCE_LEVELS.includes(confidence)) {
+    throw new ValidationError(`confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+
+  const scope = { userId, manuscriptId, seriesId };
+  await assertScopeOwned(userId, scope, env);
+
+  const today = dayIndex(now);
+  const history = await loadHistory(scope, column, today, env);
+
+  const project = async period => {
+    const { start, end } = periodBounds(now, period);
+    const actual = await sumSales(scope, column, start, end, env);
+    const forecast = forecastTotal(history, dayIndex(end) - today - 1, { confidence });
+    return {
+      periodStart: start,
+      periodEnd: end,
+      actual: round(actual, metric),
+      expected: round(actual + forecast.expected, metric),
+      lower: round(actual + forecast.lower, metric),
+      upper: round(actual + forecast.upper, metric),
+      method: forecast.method
+    };
+  };
+
+  const { method, ...monthEnd } = await project('month');
+  const { method: quarterMethod, ...quarterEnd } = await project('quarter');
+
+  return {
+    metric,
+    confidence,
+    method: quarterMethod !== 'none' ? quarterMethod : method,
+    historyDays: history.length,
+    monthEnd,
+    quarterEnd
+  };
+}
+
+export default {
+  GOAL_METRICS,
+  SALES_GOAL_CONFIG,
+  classifyGoal,
+  getGoalProgress,
+  createGoal,
+  getGoal,
+  listGoals,
+  updateGoal,
+  deleteGoal,
+  evaluateGoal,
+  evaluateSalesGoals,
+  forecastSales,
+};
@@ -0,0 +1,595 @@
+/**
+ * Sales Import Service
+ *
+ * Imports platform royalty reports (see utils/sales-report-parsers.js) into
+ * sales_data and royalty_payments:
+ * - Matches report rows to manuscripts by ASIN, ISBN, then title
+ * - Converts royalties into the reporting currency
+ * - De-duplicates rows, so re-importing a report (or a newer download of the
+ *   same period) updates existing rows instead of adding new ones
+ * - Keeps one pending royalty payment per platform and month in step with
+ *   the imported sales
+ *
+ * Configuration (env):
+ * - SALES_REPORTING_CURRENCY: currency sales are stored in (default USD)
+ * - SALES_EXCHANGE_RATES: JSON { "GBP": 1.27, ... } in USD per unit, merged
+ *   over the built-in rates
+ * - KDP_KENP_RATE: USD paid per Kindle Unlimited page read (default 0.0045)
+ */
+
+import crypto from 'crypto';
+import { parseSalesReport, normalizeIsbn } from '../utils/sales-report-parsers.js';
+import { ValidationError } from '../utils/error-handling.js';
+
+export const SALES_IMPORT_CONFIG = {
+  REPORTING_CURRENCY: 'USD',
+  KENP_RATE: 0.0045,
+  MAX_FILE_SIZE: 20 * 1024 * 1024,
+
+  // Days after the end of the sales month each platform pays
+  PAYMENT_TERMS_DAYS: {
+    kdp: 60,
+    draft2digital: 30,
+    ingramspark: 90
+  },
+
+  // Fallback exchange rates (USD per unit); set SALES_EXCHANGE_RATES for current ones
+  EXCHANGE_RATES: {
+    USD: 1,
+    EUR: 1.08,
+    GBP: 1.27,
+    CAD: 0.73,
+    AUD: 0.66,
+    NZD: 0.60,
+    JPY: 0.0067,
+    INR: 0.012,
+    BRL: 0.20,
+    MXN: 0.058,
+    PLN: 0.25,
+    SEK: 0.095,
+    NOK: 0.093,
+    DKK: 0.145,
+    CHF: 1.13
+  }
+};
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Exchange rates from the defaults, env and per-import overrides
+ *
+ * @param {Object} env - Environment bindings
+ * @param {Object} overrides - { currency: USD per unit } supplied with an import
+ * @returns {Object} Rates keyed by currency code
+ */
+export function getExchangeRates(env = {}, overrides = {}) {
+  let configured = {};
+  if (env.SALES_EXCHANGE_RATES) {
+    try {
+      configured = JSON.parse(env.SALES_EXCHANGE_RATES);
+    } catch (error) {
+      console.error('Invalid SALES_EXCHANGE_RATES, using defaults:', error.message);
+    }
+  }
+
+  const rates = { ...SALES_IMPORT_CONFIG.EXCHANGE_RATES };
+  for (const [currency, rate] of Object.entries({ ...configured, ...overrides })) {
+    if (Number(rate) > 0) {
+      rates[currency.toUpperCase()] = Number(rate);
+    }
+  }
+  return rates;
+}
+
+/**
+ * Convert an amount between currencies
+ *
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Object} rates - Rates from getExchangeRates
+ * @returns {{amount: number, rate: number}} Converted amount (rounded to 4 places) and rate applied
+ * @throws {ValidationError} If either currency has no rate
+ */
+export function convertCurrency(amount, from, to, rates) {
+  if (from === to) {
+    return { amount, rate: 1 };
+  }
+  if (!rates[from] || !rates[to]) {
+    throw new ValidationError(`No exchange rate for ${rates[from] ? to : from}`, { currency: rates[from] ? to : from });
+  }
+
+  const rate = rates[from] / rates[to];
+  return { amount: Math.round(amount * rate * 10000) / 10000, rate };
+}
+
+/**
+ * Normalize a title for matching ("The Ember Throne: A Novel (Ashfall Book 1)" -> "the ember throne")
+ */
+export function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/\s*[([].*?[)\]]\s*/g, ' ')
+    .replace(/[:–—].*$/, '')
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Key identifying a report row regardless of its amounts
+ * The occurrence distinguishes identical rows within one report.
+ *
+ * @param {Object} sale - Normalized sale from the parser
+ * @param {number} occurrence - How many identical keys preceded this row in the report
+ * @returns {string} SHA-256 hex digest
+ */
+export function buildRowKey(sale, occurrence = 0) {
+  const parts = [
+    sale.platform,
+    sale.format,
+    sale.asin || sale.isbn || normalizeTitle(sale.title),
+    (sale.marketplace || '').toLowerCase(),
+    sale.countryCode || '',
+    (sale.transactionType || '').toLowerCase(),
+    (sale.royaltyType || '').toLowerCase(),
+    sale.saleDate,
+    sale.currency,
+    sale.kenpPagesRead > 0 ? 'kenp' : 'sale',
+    occurrence
+  ];
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * Build a matcher from a user's manuscripts and known identifiers
+ *
+ * @param {Object} sources - { manuscripts: [{id, title}], identifiers: [{manuscript_id, identifier}] }
+ * @returns {Function} (sale) => { manuscriptId, via } or null
+ */
+export function createManuscriptMatcher({ manuscripts = [], identifiers = [] }) {
+  const byIdentifier = new Map();
+  for (const row of identifiers) {
+    byIdentifier.set(normalizeIsbn(row.identifier) || String(row.identifier).toUpperCase(), row.manuscript_id);
+  }
+
+  const byTitle = new Map();
+  for (const manuscript of manuscripts) {
+    const key = normalizeTitle(manuscript.title);
+    if (key) {
+      // null marks titles shared by several manuscripts (ambiguous)
+      byTitle.set(key, byTitle.has(key) ? null : manuscript.id);
+    }
+  }
+
+  return (sale) => {
+    for (const identifier of [sale.asin, sale.isbn]) {
+      if (identifier && byIdentifier.has(identifier)) {
+        return { manuscriptId: byIdentifier.get(identifier), via: 'identifier' };
+      }
+    }
+
+    const manuscriptId = byTitle.get(normalizeTitle(sale.title));
+    return manuscriptId ? { manuscriptId, via: 'title' } : null;
+  };
+}
+
+/**
+ * Load everything needed to match report rows for a user
+ */
+async function loadMatcher(userId, env) {
+  const [manuscripts, identifiers, kdpIsbns, kdpAsins] = await Promise.all([
+    env.DB.prepare('SELECT id, title FROM manuscripts WHERE user_id = ?').bind(userId).all(),
+    env.DB.prepare(
+      'SELECT manuscript_id, identifier FROM manuscript_identifiers WHERE user_id = ?'
+    ).bind(userId).all(),
+    env.DB.prepare(`
+      SELECT km.manuscript_id, km.isbn AS identifier
+      FROM kdp_metadata km
+      JOIN manuscripts m ON m.id = km.manuscript_id
+      WHERE m.user_id = ? AND km.isbn IS NOT NULL
+    `).bind(userId).all(),
+    env.DB.prepare(`
+      SELECT kp.manuscript_id, ps.kdp_asin AS identifier
+      FROM kdp_publishing_status ps
+      JOIN kdp_packages kp ON kp.id = ps.package_id
+      WHERE ps.user_id = ? AND ps.kdp_asin IS NOT NULL
+    `).bind(userId).all()
+  ]);
+
+  return createManuscriptMatcher({
+    manuscripts: manuscripts.results || [],
+    identifiers: [
+      ...(kdpIsbns.results || []),
+      ...(kdpAsins.results || []),
+      ...(identifiers.results || [])
+    ]
+  });
+}
+
+/**
+ * Record an ASIN or ISBN for a manuscript
+ * Future imports match rows carrying this identifier to the manuscript.
+ *
+ * @param {string} userId - Owner of the manuscript
+ * @param {string} manuscriptId - Manuscript ID
+ * @param {string} identifier - ASIN or ISBN
+ * @param {Object} env - Environment bindings
+ * @param {string} source - 'manual' or 'title_match'
+ * @returns {Promise<Object>} { identifierType, identifier }
+ * @throws {ValidationError} If the identifier is neither an ISBN nor an ASIN
+ */
+export async function addManuscriptIdentifier(userId, manuscriptId, identifier, env, source = 'manual') {
+  const isbn = normalizeIsbn(identifier);
+  const asin = String(identifier || '').trim().toUpperCase();
+
+  if (!isbn && !/^[A-Z0-9]{10}$/.test(asin)) {
+    throw new ValidationError('Identifier must be an ISBN or a 10-character ASIN', { identifier });
+  }
+
+  const identifierType = isbn ? 'isbn' : 'asin';
+  const value = isbn || asin;
+
+  await env.DB.prepare(`
+    INSERT INTO manuscript_identifiers (
+      id, user_id, manuscript_id, identifier_type, identifier, source, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(user_id, identifier) DO UPDATE SET
+      manuscript_id = excluded.manuscript_id,
+      source = excluded.source
+  `).bind(
+    `ident-${crypto.randomUUID()}`,
+    userId,
+    manuscriptId,
+    identifierType,
+    value,
+    source,
+    Math.floor(Date.now() / 1000)
+  ).run();
+
+  return { identifierType, identifier: value };
+}
+
+/**
+ * Start of the UTC month containing a timestamp
+ */
+function monthStart(timestamp) {
+  const date = new Date(timestamp * 1000);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+}
+
+function nextMonthStart(timestamp) {
+  const date = new Date(timestamp * 1000);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 1000;
+}
+
+/**
+ * Bring the royalty payment for each imported month in line with sales_data
+ * Pending payments take the imported total; payments already received keep
+ * their amount and get the imported total as expected_amount instead.
+ */
+async function refreshRoyaltyPayments(userId, platform, months, currency, env) {
+  const termsDays = SALES_IMPORT_CONFIG.PAYMENT_TERMS_DAYS[platform] || 60;
+
+  for (const periodStart of months) {
+    const periodEnd = nextMonthStart(periodStart) - 1;
+
+    const totals = await env.DB.prepare(`
+      SELECT
+        COALESCE(SUM(royalty_earned), 0) + COALESCE(SUM(kenp_revenue), 0) AS royalties,
+        COUNT(*) AS sales_count
+      FROM sales_data
+      WHERE user_id = ? AND platform = ? AND sale_date >= ? AND sale_date <= ?
+    `).bind(userId, platform, periodStart, periodEnd).first();
+
+    const expected = Math.round((Number(totals?.royalties) || 0) * 100) / 100;
+    const salesCount = Number(totals?.sales_count) || 0;
+
+    const payment = await env.DB.prepare(`
+      SELECT id, status, amount FROM royalty_payments
+      WHERE user_id = ? AND platform = ? AND payment_period_start = ?
+    `).bind(userId, platform, periodStart).first();
+
+    if (!payment) {
+      await env.DB.prepare(`
+        INSERT INTO royalty_payments (
+          id, user_id, platform, payment_period_start, payment_period_end,
+          expected_payment_date, amount, currency, status, sales_count, expected_amount
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+      `).bind(
+        `payment-${crypto.randomUUID()}`,
+        userId,
+        platform,
+        periodStart,
+        periodEnd,
+        periodEnd + 1 + termsDays * DAY,
+        expected,
+        currency,
+        salesCount,
+        expected
+      ).run();
+    } else if (payment.status === 'pending') {
+      await env.DB.prepare(`
+        UPDATE royalty_payments
+        SET amount = ?, expected_amount = ?, sales_count = ?
+        WHERE id = ?
+      `).bind(expected, expected, salesCount, payment.id).run();
+    } else {
+      await env.DB.prepare(`
+        UPDATE royalty_payments
+        SET expected_amount = ?, sales_count = ?, discrepancy = ?
+        WHERE id = ?
+      `).bind(expected, salesCount, Math.round((payment.amount - expected) * 100) / 100, payment.id).run();
+    }
+  }
+}
+
+/**
+ * Group unmatched rows by title/identifier for the import summary
+ */
+function summarizeUnmatched(unmatched) {
+  const groups = new Map();
+  for (const { sale, royalty } of unmatched) {
+    const key = sale.asin || sale.isbn || normalizeTitle(sale.title);
+    const group = groups.get(key) || {
+      title: sale.title,
+      asin: sale.asin,
+      isbn: sale.isbn,
+      rows: 0,
+      units: 0,
+      royalty: 0
+    };
+    group.rows++;
+    group.units += sale.unitsSold;
+    group.royalty = Math.round((group.royalty + royalty) * 100) / 100;
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Import a platform sales report for a user
+ *
+ * @param {string} userId - User importing the report
+ * @param {Object} file - { buffer, filename, contentType }
+ * @param {Object} options - { platform, exchangeRates } (platform is detected when omitted)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} Import summary (id, status, counts, unmatched titles, errors)
+ * @throws {ValidationError} If the file is not a supported report
+ */
+export async function importSalesReport(userId, file, options, env) {
+  const { buffer, filename = 'report', contentType = '' } = file;
+  const size = buffer?.byteLength ?? 0;
+
+  if (!size) {
+    throw new ValidationError('Report file is empty');
+  }
+  if (size > SALES_IMPORT_CONFIG.MAX_FILE_SIZE) {
+    throw new ValidationError(`Report file exceeds ${SALES_IMPORT_CONFIG.MAX_FILE_SIZE / (1024 * 1024)}MB`);
+  }
+
+  let report;
+  try {
+    report = await parseSalesReport(buffer, { filename, contentType, platform: options.platform });
+  } catch (error) {
+    throw new ValidationError(error.message, { filename });
+  }
+
+  const currency = (env.SALES_REPORTING_CURRENCY || SALES_IMPORT_CONFIG.REPORTING_CURRENCY).toUpperCase();
+  const rates = getExchangeRates(env, options.exchangeRates);
+  const kenpRate = Number(env.KDP_KENP_RATE) || SALES_IMPORT_CONFIG.KENP_RATE;
+  const fileHash = crypto.createHash('sha256').update(new Uint8Array(buffer)).digest('hex');
+  const importId = `import-${crypto.randomUUID()}`;
+  const now = Math.floor(Date.now() / 1000);
+
+  const previous = await env.DB.prepare(`
+    SELECT id FROM sales_imports
+    WHERE user_id = ? AND file_hash = ? AND status != 'failed'
+    ORDER BY created_at DESC LIMIT 1
+  `).bind(userId, fileHash).first();
+
+  await env.DB.prepare(`
+    INSERT INTO sales_imports (
+      id, user_id, platform, filename, file_hash, status, reporting_currency, created_at
+    ) VALUES (?, ?, ?, ?, ?, 'processing', ?, ?)
+  `).bind(importId, userId, report.platform, filename, fileHash, currency, now).run();
+
+  const counts = { inserted: 0, updated: 0, unchanged: 0 };
+  const errors = report.skipped.slice();
+  const unmatched = [];
+  const months = new Set();
+  const occurrences = new Map();
+  const learned = new Set();
+  let totalRoyalties = 0;
+
+  try {
+    const matchManuscript = await loadMatcher(userId, env);
+
+    for (const sale of report.rows) {
+      const baseKey = buildRowKey(sale);
+      const occurrence = occurrences.get(baseKey) || 0;
+      occurrences.set(baseKey, occurrence + 1);
+
+      let royalty;
+      let kenpRevenue;
+      let revenue;
+      let listPrice;
+      let rate;
+      try {
+        ({ amount: royalty, rate } = convertCurrency(sale.royalty, sale.currency, currency, rates));
+        revenue = convertCurrency(sale.revenue, sale.currency, currency, rates).amount;
+        listPrice = sale.listPrice === null ? null : convertCurrency(sale.listPrice, sale.currency, currency, rates).amount;
+        kenpRevenue = convertCurrency(sale.kenpPagesRead * kenpRate, 'USD', currency, rates).amount;
+      } catch (error) {
+        errors.push({ source: sale.source, reason: error.message });
+        continue;
+      }
+
+      const match = matchManuscript(sale);
+      if (!match) {
+        unmatched.push({ sale, royalty: royalty + kenpRevenue });
+        continue;
+      }
+
+      const identifier = sale.asin || sale.isbn;
+      if (match.via === 'title' && identifier && !learned.has(identifier)) {
+        await addManuscriptIdentifier(userId, match.manuscriptId, identifier, env, 'title_match');
+        learned.add(identifier);
+      }
+
+      const rowKey = occurrence === 0 ? baseKey : buildRowKey(sale, occurrence);
+      const existing = await env.DB.prepare(
+        'SELECT id, units_sold, royalty_earned, kenp_pages_read FROM sales_data WHERE user_id = ? AND row_key = ?'
+      ).bind(userId, rowKey).first();
+
+      if (!existing) {
+        await env.DB.prepare(`
+          INSERT INTO sales_data (
+            id, manuscript_id, user_id, sale_date, platform, format,
+            units_sold, list_price, revenue, royalty_earned, royalty_rate,
+            currency, country_code, marketplace, source,
+            kenp_pages_read, kenp_revenue,
+            import_id, row_key, original_currency, original_royalty, exchange_rate
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          `sale-${crypto.randomUUID()}`,
+          match.manuscriptId,
+          userId,
+          sale.saleDate,
+          sale.platform,
+          sale.format,
+          sale.unitsSold,
+          listPrice,
+          revenue,
+          royalty,
+          sale.royaltyRate,
+          currency,
+          sale.countryCode,
+          sale.marketplace,
+          /free/i.test(sale.transactionType || '') ? 'free_promo' : 'organic',
+          sale.kenpPagesRead,
+          kenpRevenue,
+          importId,
+          rowKey,
+          sale.currency,
+          sale.royalty,
+          rate
+        ).run();
+        counts.inserted++;
+      } else if (
+        existing.units_sold !== sale.unitsSold ||
+        Math.abs(existing.royalty_earned - royalty) > 0.00005 ||
+        existing.kenp_pages_read !== sale.kenpPagesRead
+      ) {
+        await env.DB.prepare(`
+          UPDATE sales_data
+          SET manuscript_id = ?, units_sold = ?, list_price = ?, revenue = ?, royalty_earned = ?,
+              royalty_rate = ?, kenp_pages_read = ?, kenp_revenue = ?, import_id = ?,
+              original_royalty = ?, exchange_rate = ?
+          WHERE id = ?
+        `).bind(
+          match.manuscriptId,
+          sale.unitsSold,
+          listPrice,
+          revenue,
+          royalty,
+          sale.royaltyRate,
+          sale.kenpPagesRead,
+          kenpRevenue,
+          importId,
+          sale.royalty,
+          rate,
+          existing.id
+        ).run();
+        counts.updated++;
+      } else {
+        counts.unchanged++;
+      }
+
+      totalRoyalties += royalty + kenpRevenue;
+      months.add(monthStart(sale.saleDate));
+    }
+
+    await refreshRoyaltyPayments(userId, report.platform, [...months].sort(), currency, env);
+  } catch (error) {
+    await env.DB.prepare(`
+      UPDATE sales_imports SET status = 'failed', errors = ?, completed_at = ? WHERE id = ?
+    `).bind(
+      JSON.stringify([...errors, { source: 'import', reason: error.message }]),
+      Math.floor(Date.now() / 1000),
+      importId
+    ).run();
+    throw error;
+  }
+
+  const unmatchedSummary = summarizeUnmatched(unmatched);
+  const status = unmatched.length > 0 || errors.length > 0 ? 'partial' : 'completed';
+  const summary = {
+    id: importId,
+    platform: report.platform,
+    filename,
+    status,
+    duplicateOf: previous?.id || null,
+    periodStart: report.periodStart,
+    periodEnd: report.periodEnd,
+    rowsTotal: report.rows.length + report.skipped.length,
+    rowsInserted: counts.inserted,
+    rowsUpdated: counts.updated,
+    rowsUnchanged: counts.unchanged,
+    rowsUnmatched: unmatched.length,
+    rowsSkipped: errors.length,
+    reportingCurrency: currency,
+    totalRoyalties: Math.round(totalRoyalties * 100) / 100,
+    unmatched: unmatchedSummary,
+    errors
+  };
+
+  await env.DB.prepare(`
+    UPDATE sales_imports
+    SET status = ?, period_start = ?, period_end = ?,
+        rows_total = ?, rows_inserted = ?, rows_updated = ?, rows_unchanged = ?,
+        rows_unmatched = ?, rows_skipped = ?, total_royalties = ?,
+        unmatched = ?, errors = ?, completed_at = ?
+    WHERE id = ?
+  `).bind(
+    status,
+    summary.periodStart,
+    summary.periodEnd,
+    summary.rowsTotal,
+    summary.rowsInserted,
+    summary.rowsUpdated,
+    summary.rowsUnchanged,
+    summary.rowsUnmatched,
+    summary.rowsSkipped,
+    summary.totalRoyalties,
+    JSON.stringify(unmatchedSummary),
+    JSON.stringify(errors),
+    Math.floor(Date.now() / 1000),
+    importId
+  ).run();
+
+  return summary;
+}
+
+/**
+ * List a user's recent imports
+ *
+ * @param {string} userId - User ID
+ * @param {Object} env - Environment bindings
+ * @param {number} limit - Maximum imports to return
+ * @returns {Promise<Array<Object>>} Imports, newest first
+ */
+export async function listSalesImports(userId, env, limit = 50) {
+  const result = await env.DB.prepare(`
+    SELECT * FROM sales_imports
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).bind(userId, limit).all();
+
+  return (result.results || []).map(row => ({
+    ...row,
+    unmatched: row.unmatched ? JSON.parse(row.unmatched) : [],
+    errors: row.errors ? JSON.parse(row.errors) : []
+  }));
+}
@@ -0,0 +1,403 @@
+/**
+ * Secret Vault
+ *
+ * Envelope encryption for third-party secrets stored in the database
+ * (platform credentials, webhook signing secrets). Every value gets its own
+ * random data key; the value is encrypted with the data key and the data key
+ * is wrapped with the master key. Both layers use AES-256-GCM.
+ *
+ * Stored format (one TEXT column, base64url parts):
+ *
+ *   enc:v1:<keyId>:<wrappedDataKey>:<iv>:<tag>:<ciphertext>
+ *
+ * keyId is a fingerprint of the master key that wrapped the data key, so rows
+ * written under an older key can still be opened after the master key changes
+ * and the rotation command knows which rows to re-encrypt. The ciphertext is
+ * bound to its table, column and owner, so a value copied into another row
+ * fails to decrypt.
+ *
+ * Every decrypt writes a row to secret_access_log. If the audit row cannot be
+ * written the secret is not returned.
+ *
+ * Configuration (env):
+ * - SECRETS_MASTER_KEY: 32-byte key, base64 or hex (openssl rand -base64 32)
+ * - SECRETS_PREVIOUS_MASTER_KEYS: Comma-separated keys still accepted for
+ *   decryption until scripts/rotate-secret-keys.js has re-encrypted every row
+ */
+
+import crypto from 'crypto';
+import { ServerError } from '../utils/error-handling.js';
+
+export const ENVELOPE_PREFIX = 'enc:v1:';
+
+/**
+ * Columns holding encrypted secrets, re-encrypted by rotateStoredSecrets.
+ * Every table needs id and user_id columns.
+ */
+export const ENCRYPTED_COLUMNS = [
+  {
+    table: 'platform_connections',
+    columns: ['api_key_encrypted', 'api_secret_encrypted', 'access_token_encrypted', 'refresh_token_encrypted']
+  },
+  {
+    table: 'webhooks',
+    columns: ['secret']
+  }
+];
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const MAX_ROTATION_ATTEMPTS = 3;
+
+function toBase64Url(buffer) {
+  return buffer.toString('base64url');
+}
+
+function fromBase64Url(value) {
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Decode a master key given as 64 hex characters or base64
+ */
+function parseMasterKey(value, name) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== KEY_BYTES) {
+    throw new ServerError(`${name} must be a ${KEY_BYTES}-byte key encoded as base64 or hex`);
+  }
+  return key;
+}
+
+/**
+ * Short, stable identifier of a master key (never the key itself)
+ */
+export function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Load the active master key and any previous keys from the environment
+ * @returns {{ activeKeyId: string, keys: Map<string, Buffer> }}
+ */
+export function loadMasterKeys(env) {
+  if (!env.SECRETS_MASTER_KEY) {
+    throw new ServerError('SECRETS_MASTER_KEY is not configured');
+  }
+
+  const active = parseMasterKey(env.SECRETS_MASTER_KEY, 'SECRETS_MASTER_KEY');
+  const activeKeyId = getKeyId(active);
+  const keys = new Map([[activeKeyId, active]]);
+
+  const previous = (env.SECRETS_PREVIOUS_MASTER_KEYS || '').split(',').filter(value => value.trim());
+  for (const value of previous) {
+    const key = parseMasterKey(value, 'SECRETS_PREVIOUS_MASTER_KEYS');
+    keys.set(getKeyId(key), key);
+  }
+
+  return { activeKeyId, keys };
+}
+
+/**
+ * Whether a stored value is an envelope (rather than a legacy plaintext value)
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+}
+
+/**
+ * Key ID an envelope was wrapped with, or null for plaintext
+ */
+export function getEnvelopeKeyId(value) {
+  return isEncrypted(value) ? value.slice(ENVELOPE_PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Additional authenticated data binding a ciphertext to where it is stored
+ */
+function buildAad({ table, field, userId }) {
+  if (!table || !field || !userId) {
+    throw new ServerError('Secret context requires table, field and userId');
+  }
+  return Buffer.from(`${table}.${field}:${userId}`, 'utf8');
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) {
+    cipher.setAAD(aad);
+  }
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (aad) {
+    decipher.setAAD(aad);
+  }
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Encrypt with the active master key, without touching the database
+ */
+function encryptWithKeys(plaintext, context, { activeKeyId, keys }) {
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const aad = buildAad(context);
+
+  try {
+    const body = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), aad);
+    const wrapped = seal(keys.get(activeKeyId), dataKey, Buffer.from(activeKeyId, 'utf8'));
+
+    return ENVELOPE_PREFIX + [
+      activeKeyId,
+      toBase64Url(Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext])),
+      toBase64Url(body.iv),
+      toBase64Url(body.tag),
+      toBase64Url(body.ciphertext)
+    ].join(':');
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Decrypt with whichever loaded master key wrapped the envelope
+ */
+function decryptWithKeys(envelope, context, { keys }) {
+  const parts = envelope.slice(ENVELOPE_PREFIX.length).split(':');
+  if (parts.length !== 5) {
+    throw new ServerError('Malformed encrypted secret');
+  }
+
+  const [keyId, wrappedPart, ivPart, tagPart, ciphertextPart] = parts;
+  const masterKey = keys.get(keyId);
+  if (!masterKey) {
+    throw new ServerError(`Secret was encrypted with unknown master key ${keyId}`);
+  }
+
+  const wrapped = fromBase64Url(wrappedPart);
+  const dataKey = open(masterKey, {
+    iv: wrapped.subarray(0, IV_BYTES),
+    tag: wrapped.subarray(IV_BYTES, IV_BYTES + TAG_BYTES),
+    ciphertext: wrapped.subarray(IV_BYTES + TAG_BYTES)
+  }, Buffer.from(keyId, 'utf8'));
+
+  try {
+    return open(dataKey, {
+      iv: fromBase64Url(ivPart),
+      tag: fromBase64Url(tagPart),
+      ciphertext: fromBase64Url(ciphertextPart)
+    }, buildAad(context)).toString('utf8');
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string|null} plaintext - Secret value (null/empty is stored as null)
+ * @param {Object} context - { table, field, userId } of the row it is stored in
+ * @param {Object} env - Environment with SECRETS_MASTER_KEY
+ * @returns {string|null} Envelope string
+ */
+export function encryptSecret(plaintext, context, env) {
+  if (plaintext === null || plaintext === undefined || plaintext === '') {
+    return null;
+  }
+  return encryptWithKeys(plaintext, context, loadMasterKeys(env));
+}
+
+/**
+ * Record a decrypt operation in secret_access_log
+ */
+async function logSecretAccess(context, { keyId, success, error }, env) {
+  await env.DB.prepare(`
+    INSERT INTO secret_access_log (
+      id, user_id, table_name, record_id, field, purpose, actor,
+      key_id, success, error_message, accessed_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    crypto.randomUUID(),
+    context.userId,
+    context.table,
+    context.recordId || null,
+    context.field,
+    context.purpose || null,
+    context.actor || 'system',
+    keyId,
+    success ? 1 : 0,
+    error || null,
+    Math.floor(Date.now() / 1000)
+  ).run();
+}
+
+/**
+ * Decrypt a stored secret and record the access
+ *
+ * Values written before encryption was introduced are returned as-is (and
+ * logged with a null key ID) until the rotation command encrypts them.
+ *
+ * @param {string|null} value - Stored envelope
+ * @param {Object} context - { table, field, userId, recordId, purpose, actor }
+ * @param {Object} env - Environment with DB and SECRETS_MASTER_KEY
+ * @returns {Promise<string|null>} Plaintext secret
+ */
+export async function decryptSecret(value, context, env) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const keyId = getEnvelopeKeyId(value);
+  let plaintext;
+  try {
+    plaintext = isEncrypted(value) ? decryptWithKeys(value, context, loadMasterKeys(env)) : value;
+  } catch (error) {
+    const reason = error.code === 'ERR_CRYPTO_INVALID_AUTH_TAG' || /authenticate/i.test(error.message)
+      ? 'Secret failed authentication'
+      : error.message;
+    await logSecretAccess(context, { keyId, success: false, error: reason }, env);
+    throw error instanceof ServerError ? error : new ServerError(reason);
+  }
+
+  await logSecretAccess(context, { keyId, success: true }, env);
+  return plaintext;
+}
+
+/**
+ * Decrypt a row's secrets that are not under the active key and re-encrypt them
+ * @returns {Promise<{updates: Object, current: number}>} New ciphertext per field
+ */
+async function reencryptRow(row, table, fields, masterKeys, env) {
+  const updates = {};
+  let current = 0;
+
+  for (const field of fields) {
+    const value = row[field];
+    if (!value) {
+      continue;
+    }
+    if (getEnvelopeKeyId(value) === masterKeys.activeKeyId) {
+      current++;
+      continue;
+    }
+
+    const context = {
+      table,
+      field,
+      userId: row.user_id,
+      recordId: row.id,
+      purpose: 'key_rotation',
+      actor: 'system'
+    };
+    const plaintext = await decryptSecret(value, context, env);
+    updates[field] = encryptWithKeys(plaintext, context, masterKeys);
+  }
+
+  return { updates, current };
+}
+
+/**
+ * Re-encrypt every stored secret under the active master key
+ *
+ * Rows already wrapped with the active key are left alone, so the command can
+ * be re-run after a partial failure. Legacy plaintext values are encrypted.
+ * Each update only applies if the row still holds the ciphertext that was
+ * read; a row saved by a user mid-rotation is re-read and retried, so the
+ * new value is never overwritten with the re-encrypted old one.
+ *
+ * @param {Object} env - Environment with DB and the master keys
+ * @param {Object} options - { dryRun, batchSize, columns }
+ * @returns {Promise<Object>} Per-table counts: { rotated, current, failed, errors }
+ */
+export async function rotateStoredSecrets(env, options = {}) {
+  const { dryRun = false, batchSize = 500, columns = ENCRYPTED_COLUMNS } = options;
+  const masterKeys = loadMasterKeys(env);
+  const summary = { activeKeyId: masterKeys.activeKeyId, dryRun, tables: {} };
+
+  for (const { table, columns: fields } of columns) {
+    const stats = { rotated: 0, current: 0, failed: 0, errors: [] };
+    summary.tables[table] = stats;
+    let lastId = '';
+
+    for (;;) {
+      const rows = await env.DB.prepare(`
+        SELECT id, user_id, ${fields.join(', ')}
+        FROM ${table}
+        WHERE id > ?
+        ORDER BY id
+        LIMIT ?
+      `).bind(lastId, batchSize).all();
+
+      const batch = rows.results || [];
+      if (batch.length === 0) {
+        break;
+      }
+      lastId = batch[batch.length - 1].id;
+
+      for (const firstRead of batch) {
+        let row = firstRead;
+
+        for (let attempt = 1; row; attempt++) {
+          let result;
+          try {
+            result = await reencryptRow(row, table, fields, masterKeys, env);
+          } catch (error) {
+            stats.failed++;
+            stats.errors.push({ id: row.id, error: error.message });
+            break;
+          }
+
+          const changed = Object.keys(result.updates);
+          if (changed.length === 0 || dryRun) {
+            stats.current += result.current;
+            stats.rotated += changed.length;
+            break;
+          }
+
+          const update = await env.DB.prepare(`
+            UPDATE ${table}
+            SET ${changed.map(field => `${field} = ?`).join(', ')}
+            WHERE id = ? AND ${changed.map(field => `${field} = ?`).join(' AND ')}
+          `).bind(
+            ...changed.map(field => result.updates[field]),
+            row.id,
+            ...changed.map(field => row[field])
+          ).run();
+
+          if (update.meta?.changes > 0) {
+            stats.current += result.current;
+            stats.rotated += changed.length;
+            break;
+          }
+
+          // Written (or deleted) since it was read - re-read and try again
+          if (attempt >= MAX_ROTATION_ATTEMPTS) {
+            stats.failed++;
+            stats.errors.push({ id: row.id, error: `Row kept changing during rotation (${attempt} attempts)` });
+            break;
+          }
+          row = await env.DB.prepare(`
+            SELECT id, user_id, ${fields.join(', ')}
+            FROM ${table}
+            WHERE id = ?
+          `).bind(row.id).first();
+        }
+      }
+
+      if (batch.length < batchSize) {
+        break;
+      }
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,308 @@
+/**
+ * Similarity Service
+ *
+ * Nearest-neighbour features built on the vector store:
+ * - Comp title matching: rank comp titles by similarity to a manuscript
+ * - Similar submissions: find slush-pile manuscripts that read alike
+ * - Series consistency: flag books that drift from the rest of their series
+ *
+ * Manuscripts are embedded from their story text (front and back matter
+ * excluded); comp titles from their title, author and positioning notes.
+ */
+
+import { createVectorStore, VECTOR_NAMESPACES } from './vector-store.js';
+import { centroid, cosineSimilarity } from './embedding-service.js';
+import { loadOutlinedModel } from './outline-service.js';
+import { modelToText } from '../utils/manuscript-model.js';
+
+export const SIMILARITY_CONFIG = {
+  DEFAULT_K: 10,
+  BACKFILL_LIMIT: 25, // Unindexed manuscripts embedded per similar-submissions query
+  SERIES_DRIFT_RATIO: 0.75 // Flag books less than 75% as similar to the series as the typical book
+};
+
+/**
+ * Text embedded for a comp title
+ */
+export function compTitleText(comp) {
+  return [
+    `${comp.comp_title || ''} by ${comp.comp_author || ''}`,
+    comp.amazon_category,
+    comp.why_comparable,
+    comp.cover_style,
+    comp.blurb_style,
+    comp.marketing_approach
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Text embedded for a manuscript (story text, or its listing when the file can't be read)
+ */
+export function manuscriptText(manuscript, storyText = '') {
+  return [
+    manuscript.title,
+    manuscript.genre,
+    manuscript.synopsis || manuscript.description,
+    storyText
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Load a manuscript's story text from storage
+ */
+async function loadStoryText(manuscript, env) {
+  const key = manuscript.r2_key || manuscript.file_key;
+  const file = key ? await env.R2.getBucket('manuscripts_raw').get(key) : null;
+  if (!file) {
+    return '';
+  }
+
+  const model = await loadOutlinedModel(
+    await file.arrayBuffer(),
+    file.httpMetadata?.contentType || manuscript.file_type,
+    manuscript.id,
+    env
+  );
+  return modelToText(model, { bodyOnly: true });
+}
+
+/**
+ * Embed and store a manuscript's text
+ *
+ * @param {Object} manuscript - { id, user_id, title, genre, synopsis? }
+ * @param {string} storyText - Story text (already extracted)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} Stored vector entry
+ */
+export async function indexManuscript(manuscript, storyText, env) {
+  return createVectorStore(env).indexText(
+    VECTOR_NAMESPACES.MANUSCRIPT,
+    manuscript.id,
+    manuscriptText(manuscript, storyText),
+    {
+      userId: manuscript.user_id,
+      genre: manuscript.genre,
+      metadata: { title: manuscript.title }
+    }
+  );
+}
+
+/**
+ * Get a manuscript's vector, embedding it from storage if it hasn't been indexed
+ */
+export async function ensureManuscriptVector(manuscript, env) {
+  const existing = await createVectorStore(env).get(VECTOR_NAMESPACES.MANUSCRIPT, manuscript.id);
+  if (existing) {
+    return existing;
+  }
+
+  let storyText = '';
+  try {
+    storyText = await loadStoryText(manuscript, env);
+  } catch (error) {
+    console.error(`[Similarity] Could not read manuscript ${manuscript.id}, embedding its listing only:`, error.message);
+  }
+
+  return indexManuscript(manuscript, storyText, env);
+}
+
+/**
+ * Embed and store a comp title
+ *
+ * @param {Object} comp - comp_titles row
+ * @param {string} genre - Genre of the manuscript it was added for
+ * @param {Object} env - Environment bindings
+ */
+export async function indexCompTitle(comp, genre, env) {
+  return createVectorStore(env).indexText(VECTOR_NAMESPACES.COMP_TITLE, comp.id, compTitleText(comp), {
+    userId: comp.user_id,
+    genre,
+    metadata: {
+      title: comp.comp_title,
+      author: comp.comp_author,
+      whyComparable: comp.why_comparable,
+      salesRank: comp.amazon_sales_rank || null
+    }
+  });
+}
+
+/**
+ * Score comp titles against a manuscript
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {Array<Object>} comps - comp_titles rows (with id)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Map<string, number>>} comp id -> similarity (0-1)
+ */
+export async function scoreCompTitles(manuscript, comps, env) {
+  const { vector } = await ensureManuscriptVector(manuscript, env);
+  const scores = new Map();
+
+  for (const comp of comps) {
+    const entry = await indexCompTitle(comp, manuscript.genre, env);
+    scores.set(comp.id, Math.max(0, cosineSimilarity(vector, entry.vector)));
+  }
+
+  return scores;
+}
+
+/**
+ * Find the comp titles nearest to a manuscript vector
+ * Comp titles suggested for other manuscripts count too; duplicates of the
+ * same book are collapsed.
+ *
+ * @param {Array<number>} vector - Manuscript vector
+ * @param {Object} options - { genre, k }
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<Object>>} [{ title, author, similarity, salesRank, relevantFeatures }]
+ */
+export async function findNearestCompTitles(vector, options, env) {
+  const { genre = null, k = 5 } = options;
+  const matches = await createVectorStore(env).nearest(VECTOR_NAMESPACES.COMP_TITLE, vector, {
+    genre,
+    k: k * 4
+  });
+
+  const seen = new Set();
+  const comps = [];
+  for (const match of matches) {
+    const key = `${match.metadata.title}|${match.metadata.author}`.toLowerCase();
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    comps.push({
+      title: match.metadata.title,
+      author: match.metadata.author,
+      similarity: Math.round(match.score * 1000) / 1000,
+      salesRank: match.metadata.salesRank || null,
+      relevantFeatures: match.metadata.whyComparable ? [match.metadata.whyComparable] : []
+    });
+    if (comps.length === k) {
+      break;
+    }
+  }
+
+  return comps;
+}
+
+/**
+ * Embed a user's manuscripts that haven't been indexed yet
+ * Manuscripts are normally indexed during developmental analysis; this
+ * catches submissions that were never analyzed.
+ *
+ * @returns {Promise<number>} Number of manuscripts indexed
+ */
+export async function indexMissingManuscripts(userId, env, limit = SIMILARITY_CONFIG.BACKFILL_LIMIT) {
+  const store = createVectorStore(env);
+  const { results } = await env.DB.prepare(`
+    SELECT m.* FROM manuscripts m
+    WHERE m.user_id = ?
+      AND NOT EXISTS (
+        SELECT 1 FROM vector_embeddings v
+        WHERE v.namespace = ? AND v.entity_id = m.id AND v.model = ?
+      )
+    ORDER BY m.created_at DESC
+    LIMIT ?
+  `).bind(userId, VECTOR_NAMESPACES.MANUSCRIPT, store.provider.model, limit).all();
+
+  for (const manuscript of results || []) {
+    await ensureManuscriptVector(manuscript, env);
+  }
+
+  return (results || []).length;
+}
+
+/**
+ * Find manuscripts from the same inbox that read most like this one
+ *
+ * @param {Object} manuscript - manuscripts row
+ * @param {Object} options - { k, sameGenre }
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<Object>>} [{ manuscriptId, title, genre, similarity }]
+ */
+export async function findSimilarManuscripts(manuscript, options, env) {
+  const { k = SIMILARITY_CONFIG.DEFAULT_K, sameGenre = false } = options;
+  const { vector } = await ensureManuscriptVector(manuscript, env);
+  await indexMissingManuscripts(manuscript.user_id, env);
+
+  const matches = await createVectorStore(env).nearest(VECTOR_NAMESPACES.MANUSCRIPT, vector, {
+    k,
+    userId: manuscript.user_id,
+    genre: sameGenre ? manuscript.genre : null,
+    excludeIds: [manuscript.id]
+  });
+
+  return matches.map(match => ({
+    manuscriptId: match.entityId,
+    title: match.metadata.title,
+    genre: match.genre,
+    similarity: Math.round(match.score * 1000) / 1000
+  }));
+}
+
+/**
+ * Check how consistently the books of a series read
+ * Each book is compared with the centre of the other books; books well
+ * below the typical similarity are flagged as drifting.
+ *
+ * @param {Array<Object>} manuscripts - manuscripts rows in reading order (with book_number)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} { books: [...], averageSimilarity, flagged }
+ */
+export async function checkSeriesConsistency(manuscripts, env) {
+  const vectors = [];
+  for (const manuscript of manuscripts) {
+    vectors.push((await ensureManuscriptVector(manuscript, env)).vector);
+  }
+
+  const books = manuscripts.map((manuscript, index) => {
+    const others = vectors.filter((_, other) => other !== index);
+    const previous = index > 0 ? vectors[index - 1] : null;
+
+    return {
+      manuscriptId: manuscript.id,
+      title: manuscript.title,
+      bookNumber: manuscript.book_number ?? index + 1,
+      similarityToSeries: others.length > 0
+        ? Math.round(cosineSimilarity(vectors[index], centroid(others)) * 1000) / 1000
+        : null,
+      similarityToPrevious: previous
+        ? Math.round(cosineSimilarity(vectors[index], previous) * 1000) / 1000
+        : null
+    };
+  });
+
+  const scores = books
+    .map(book => book.similarityToSeries)
+    .filter(score => score !== null)
+    .sort((a, b) => a - b);
+  const median = scores.length > 0 ? scores[Math.floor(scores.length / 2)] : null;
+  const average = scores.length > 0
+    ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 1000) / 1000
+    : null;
+
+  for (const book of books) {
+    book.drifting = median !== null && books.length > 2 &&
+      book.similarityToSeries < median * SIMILARITY_CONFIG.SERIES_DRIFT_RATIO;
+  }
+
+  return {
+    books,
+    averageSimilarity: average,
+    flagged: books.filter(book => book.drifting).map(book => book.manuscriptId)
+  };
+}
+
+export default {
+  compTitleText,
+  manuscriptText,
+  indexManuscript,
+  ensureManuscriptVector,
+  indexMissingManuscripts,
+  indexCompTitle,
+  scoreCompTitles,
+  findNearestCompTitles,
+  findSimilarManuscripts,
+  checkSeriesConsistency
+};
@@ -0,0 +1,505 @@
+/**
+ * Upload Quarantine Service
+ *
+ * Every uploaded file is stored under the quarantine/ prefix of its bucket
+ * with a pending_scan row in quarantined_files. The scan worker
+ * (workers/upload-scan-worker.js) scans it with ClamAV and then:
+ * - clean: moves it to its final key and sends any queue jobs waiting on it
+ *   (e.g. the analysis of a just uploaded manuscript)
+ * - infected: deletes it, records a security incident and notifies the
+ *   uploader and the admins
+ * - scanner unavailable: leaves it in quarantine and retries, or, when
+ *   VIRUS_SCANNER_FAIL_OPEN is set, releases it as accepted_unscanned. Those
+ *   files are rescanned as soon as the scanner is healthy again, and
+ *   removed if they turn out to be infected.
+ *
+ * Until a file is released its final key does not exist; code that hands a
+ * file to other work checks getFileScanState / assertFileReleased first, or
+ * uses queueAfterScan to defer a queue job until the file is released.
+ */
+
+import crypto from 'crypto';
+import { AppError } from '../utils/error-handling.js';
+import { enqueueNotification } from './notification-service.js';
+import {
+  isScannerHealthy,
+  scanFile,
+  logScanResult,
+  createMalwareIncident
+} from './virus-scanner.js';
+
+export const QUARANTINE_CONFIG = {
+  PREFIX: 'quarantine/',
+  BATCH_SIZE: 20,
+  RETRY_SECONDS: 300,           // Wait between attempts while the scanner is down
+  LOCK_TIMEOUT_SECONDS: 600     // Claimed rows older than this are reclaimed
+};
+
+export const SCAN_STATUS = {
+  PENDING: 'pending_scan',
+  CLEAN: 'clean',
+  INFECTED: 'infected',
+  UNSCANNED: 'accepted_unscanned',
+  FAILED: 'failed'
+};
+
+const SOURCES = ['manuscript', 'manuscript_draft', 'marketing_asset', 'cover', 'font', 'public_api', 'legacy'];
+
+const defaultScanner = { isScannerHealthy, scanFile, logScanResult, createMalwareIncident };
+
+/**
+ * The file has not been released from quarantine (still pending, or blocked)
+ */
+export class FileQuarantinedError extends AppError {
+  constructor(scanStatus) {
+    super(
+      scanStatus === SCAN_STATUS.INFECTED
+        ? 'This file was blocked by the malware scanner'
+        : 'This file is still being scanned for malware, please try again shortly',
+      409,
+      'FILE_QUARANTINED',
+      { scanStatus }
+    );
+  }
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Same rule the inline scanner used: let files through unscanned only when
+ * configured to, or in development
+ */
+function isFailOpen(env) {
+  return env.VIRUS_SCANNER_FAIL_OPEN === 'true' || env.NODE_ENV === 'development';
+}
+
+export function quarantineKey(key) {
+  return `${QUARANTINE_CONFIG.PREFIX}${key}`;
+}
+
+/**
+ * The uploader's IP address, for security incidents
+ */
+export function getUploadIp(request) {
+  return request?.headers?.get('CF-Connecting-IP') || request?.headers?.get('X-Forwarded-For') || null;
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+// ============================================================================
+// UPLOADS
+// ============================================================================
+
+/**
+ * Store an upload in quarantine until it has been scanned
+ *
+ * @param {Object} env - DB and R2
+ * @param {Object} upload
+ * @param {string} upload.bucket - Bucket binding, e.g. 'manuscripts_raw'
+ * @param {string} upload.key - Final key, used once the file is released
+ * @param {ArrayBuffer|Uint8Array|Buffer} upload.body - File contents
+ * @param {string} upload.source - One of quarantined_files.source
+ * @param {string} [upload.contentType]
+ * @param {Object} [upload.customMetadata] - Written with the file on release
+ * @param {string} [upload.fileName] - Original file name
+ * @param {string} [upload.userId] - Uploader (notified if the file is blocked)
+ * @param {string} [upload.manuscriptId]
+ * @param {string} [upload.ipAddress]
+ * @returns {Promise<Object>} { quarantineId, scanStatus: 'pending_scan' }
+ */
+export async function quarantineUpload(env, upload) {
+  const { bucket, key, body, source, contentType = null, customMetadata = {}, fileName = null,
+    userId = null, manuscriptId = null, ipAddress = null } = upload;
+
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Unknown upload source: ${source}`);
+  }
+
+  const id = crypto.randomUUID();
+  const bytes = body instanceof Uint8Array ? body : new Uint8Array(body);
+  const heldKey = quarantineKey(key);
+
+  await env.R2.getBucket(bucket).put(heldKey, bytes, {
+    customMetadata: { ...customMetadata, quarantineId: id, scanStatus: SCAN_STATUS.PENDING },
+    ...(contentType && { httpMetadata: { contentType } })
+  });
+
+  try {
+    await env.DB.prepare(`
+      INSERT INTO quarantined_files (
+        id, bucket, final_key, quarantine_key, source, file_name, file_size, content_type,
+        custom_metadata, user_id, manuscript_id, ip_address, status, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending_scan', ?)
+    `).bind(
+      id,
+      bucket,
+      key,
+      heldKey,
+      source,
+      fileName,
+      bytes.byteLength,
+      contentType,
+      JSON.stringify(customMetadata),
+      userId,
+      manuscriptId,
+      ipAddress,
+      nowSeconds()
+    ).run();
+  } catch (error) {
+    await env.R2.getBucket(bucket).delete(heldKey).catch(() => {});
+    throw error;
+  }
+
+  return { quarantineId: id, scanStatus: SCAN_STATUS.PENDING };
+}
+
+/**
+ * Drop a quarantined upload whose record could not be saved
+ * (e.g. the draft it belongs to was rejected), so it is never released
+ */
+export async function discardUpload(env, quarantineId) {
+  const row = await env.DB.prepare(
+    "DELETE FROM quarantined_files WHERE id = ? AND status = 'pending_scan' RETURNING bucket, quarantine_key"
+  ).bind(quarantineId).first();
+  if (row) {
+    await env.R2.getBucket(row.bucket).delete(row.quarantine_key);
+  }
+}
+
+/**
+ * Scan state of a file by its final key
+ *
+ * @returns {Promise<string|null>} A SCAN_STATUS value, or null for files
+ *   stored before quarantine (treated as released)
+ */
+export async function getFileScanState(env, bucket, key) {
+  if (!key) {
+    return null;
+  }
+  const row = await env.DB.prepare(`
+    SELECT status FROM quarantined_files
+    WHERE bucket = ? AND final_key = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `).bind(bucket, key).first();
+  return row?.status || null;
+}
+
+/**
+ * Throw unless the file at this key has been released from quarantine
+ *
+ * @throws {FileQuarantinedError}
+ */
+export async function assertFileReleased(env, bucket, key) {
+  const status = await getFileScanState(env, bucket, key);
+  if (status === SCAN_STATUS.PENDING || status === SCAN_STATUS.INFECTED) {
+    throw new FileQuarantinedError(status);
+  }
+}
+
+/**
+ * Send a queue job that works on a file, once the file is released
+ * Sent right away for released files; held on the quarantine row (and sent
+ * by the scan worker) while the file is pending.
+ *
+ * @param {Object} env - DB and QUEUE
+ * @param {Object} file - { bucket, key }
+ * @param {string} queueName
+ * @param {Object} message
+ * @returns {Promise<boolean>} true when the job was deferred until the scan
+ * @throws {FileQuarantinedError} When the file was blocked
+ */
+export async function queueAfterScan(env, { bucket, key }, queueName, message) {
+  const pending = await env.DB.prepare(`
+    UPDATE quarantined_files
+    SET release_jobs = (release_jobs::jsonb || ?::jsonb)::text
+    WHERE id = (
+      SELECT id FROM quarantined_files
+      WHERE bucket = ? AND final_key = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    ) AND status = 'pending_scan'
+    RETURNING id
+  `).bind(JSON.stringify([{ queue: queueName, message }]), bucket, key).first();
+
+  if (pending) {
+    return true;
+  }
+
+  // Released (or blocked) while we looked: the status is settled now
+  await assertFileReleased(env, bucket, key);
+  await env.QUEUE.send(queueName, message);
+  return false;
+}
+
+// ============================================================================
+// SCANNING
+// ============================================================================
+
+/**
+ * Claim rows for this worker: pending files that are due, plus files
+ * accepted unscanned when the scanner is available to rescan them
+ */
+async function claimFiles(env, now, includeUnscanned) {
+  const { results } = await env.DB.prepare(`
+    UPDATE quarantined_files
+    SET locked_at = ?
+    WHERE id IN (
+      SELECT id FROM quarantined_files
+      WHERE (status = 'pending_scan' OR (status = 'accepted_unscanned' AND ? = 1))
+        AND next_attempt_at <= ?
+        AND (locked_at IS NULL OR locked_at < ?)
+      ORDER BY created_at
+      LIMIT ?
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `).bind(
+    now,
+    includeUnscanned ? 1 : 0,
+    now,
+    now - QUARANTINE_CONFIG.LOCK_TIMEOUT_SECONDS,
+    QUARANTINE_CONFIG.BATCH_SIZE
+  ).all();
+
+  return results || [];
+}
+
+/**
+ * Run one scan, treating an unavailable scanner (thrown, skipped or errored
+ * scan) as "no answer" rather than as clean
+ */
+async function runScan(scanner, buffer, file) {
+  try {
+    const result = await scanner.scanFile(buffer, file.file_name || file.final_key);
+    if (result.scanStatus === 'clean' || result.scanStatus === 'infected') {
+      return result;
+    }
+    return { ...result, unavailable: true, error: result.error || result.warning || 'Scanner unavailable' };
+  } catch (error) {
+    return { unavailable: true, error: error.message };
+  }
+}
+
+/**
+ * Move a file from quarantine to its final key and send the jobs waiting on it
+ */
+async function releaseFile(env, file, body, status, scanResult, now) {
+  const bucket = env.R2.getBucket(file.bucket);
+  const customMetadata = parseJson(file.custom_metadata, {});
+
+  await bucket.put(file.final_key, body, {
+    customMetadata: { ...customMetadata, ...(scanResult?.scanId && { virusScanId: scanResult.scanId }) },
+    ...(file.content_type && { httpMetadata: { contentType: file.content_type } })
+  });
+
+  // Guarded on the status, so jobs queued by queueAfterScan up to this point are all returned
+  const released = await env.DB.prepare(`
+    UPDATE quarantined_files
+    SET status = ?, released_at = ?, scanned_at = ?, last_scan_id = ?, last_error = ?,
+        scan_attempts = scan_attempts + ?, locked_at = NULL
+    WHERE id = ? AND status = 'pending_scan'
+    RETURNING release_jobs
+  `).bind(
+    status,
+    now,
+    scanResult ? now : null,
+    scanResult?.scanId || null,
+    status === SCAN_STATUS.UNSCANNED ? 'Released unscanned: scanner unavailable' : null,
+    scanResult ? 1 : 0,
+    file.id
+  ).first();
+
+  await bucket.delete(file.quarantine_key);
+
+  for (const job of parseJson(released?.release_jobs, [])) {
+    await env.QUEUE.send(job.queue, job.message);
+  }
+}
+
+/**
+ * Delete an infected file, record the incident, undo references to it and
+ * notify the uploader and admins
+ */
+async function blockFile(env, file, scanResult, scanner, now) {
+  const bucket = env.R2.getBucket(file.bucket);
+  const incidentId = await scanner.createMalwareIncident(env.DB, {
+    ...scanResult,
+    filename: file.file_name,
+    fileSize: Number(file.file_size) || scanResult.fileSize
+  }, file.user_id, file.ip_address);
+
+  const blocked = await env.DB.prepare(`
+    UPDATE quarantined_files
+    SET status = 'infected', scanned_at = ?, last_scan_id = ?, viruses = ?, incident_id = ?,
+        scan_attempts = scan_attempts + 1, locked_at = NULL
+    WHERE id = ?
+    RETURNING release_jobs
+  `).bind(now, scanResult.scanId, JSON.stringify(scanResult.viruses || []), incidentId, file.id).first();
+
+  await bucket.delete(file.quarantine_key || quarantineKey(file.final_key));
+  await bucket.delete(file.final_key);
+
+  if (file.manuscript_id) {
+    await env.DB.prepare(
+      "UPDATE manuscripts SET status = 'blocked', updated_at = to_timestamp(?) WHERE id = ? AND r2_key = ?"
+    ).bind(now, file.manuscript_id, file.final_key).run();
+    await env.DB.prepare(
+      'UPDATE manuscripts SET cover_image_key = NULL, updated_at = to_timestamp(?) WHERE id = ? AND cover_image_key = ?'
+    ).bind(now, file.manuscript_id, file.final_key).run();
+  }
+
+  // Analyses that were waiting on the file won't run (a rescanned file's jobs already ran)
+  const waitingJobs = file.status === SCAN_STATUS.PENDING ? parseJson(blocked?.release_jobs, []) : [];
+  for (const job of waitingJobs) {
+    if (job.message?.reportId) {
+      await env.R2.getBucket('manuscripts_raw').put(`status:${job.message.reportId}`, JSON.stringify({
+        status: 'failed',
+        progress: 0,
+        message: 'The file was blocked by the malware scanner',
+        timestamp: new Date().toISOString()
+      }), { expirationTtl: 60 * 60 * 24 * 7 });
+    }
+  }
+
+  await notifyBlocked(env, file);
+  return incidentId;
+}
+
+async function notifyBlocked(env, file) {
+  try {
+    if (file.user_id) {
+      await enqueueNotification(env, {
+        userId: file.user_id,
+        type: 'upload_blocked',
+        submissionId: file.manuscript_id,
+        quarantinedFileId: file.id
+      });
+    }
+
+    const { results: admins } = await env.DB.prepare(
+      "SELECT id FROM users WHERE role = 'admin'"
+    ).all();
+    for (const admin of admins || []) {
+      await enqueueNotification(env, { userId: admin.id, type: 'malware_detected', quarantinedFileId: file.id });
+    }
+  } catch (error) {
+    // The file is already blocked; a failed notification shouldn't undo that
+    console.error(`[Quarantine] Failed to queue notifications for ${file.id}:`, error);
+  }
+}
+
+async function scheduleRetry(env, file, error, now) {
+  await env.DB.prepare(`
+    UPDATE quarantined_files
+    SET next_attempt_at = ?, last_error = ?, locked_at = NULL
+    WHERE id = ?
+  `).bind(now + QUARANTINE_CONFIG.RETRY_SECONDS, error, file.id).run();
+}
+
+/**
+ * Scan one claimed file and act on the result
+ *
+ * @returns {Promise<string>} Outcome: clean, infected, accepted_unscanned,
+ *   failed, or retry (left for a later attempt)
+ */
+export async function processQuarantinedFile(env, file, { scanner = defaultScanner, scannerHealthy = true, now = nowSeconds() } = {}) {
+  const rescan = file.status === SCAN_STATUS.UNSCANNED;
+  const bucket = env.R2.getBucket(file.bucket);
+  const object = await bucket.get(rescan ? file.final_key : file.quarantine_key);
+
+  if (!object) {
+    await env.DB.prepare(`
+      UPDATE quarantined_files SET status = 'failed', last_error = ?, locked_at = NULL WHERE id = ?
+    `).bind(rescan ? 'File no longer exists' : 'Quarantined file is missing', file.id).run();
+    return SCAN_STATUS.FAILED;
+  }
+
+  const body = Buffer.from(await object.arrayBuffer());
+  const result = scannerHealthy
+    ? await runScan(scanner, body, file)
+    : { unavailable: true, error: 'Scanner unavailable' };
+
+  if (result.unavailable) {
+    if (!rescan && isFailOpen(env)) {
+      console.warn(`[Quarantine] Scanner unavailable, releasing ${file.final_key} unscanned (fail-open); it will be rescanned`);
+      await releaseFile(env, file, body, SCAN_STATUS.UNSCANNED, null, now);
+      return SCAN_STATUS.UNSCANNED;
+    }
+    await scheduleRetry(env, file, result.error, now);
+    return 'retry';
+  }
+
+  await scanner.logScanResult(env.DB, { ...result, filename: file.file_name, fileSize: body.length }, file.user_id, file.final_key);
+
+  if (result.isInfected) {
+    console.error(`[Quarantine] Blocked infected file ${file.final_key}${rescan ? ' on rescan' : ''}:`, result.viruses);
+    await blockFile(env, file, result, scanner, now);
+    return SCAN_STATUS.INFECTED;
+  }
+
+  if (rescan) {
+    await env.DB.prepare(`
+      UPDATE quarantined_files
+      SET status = 'clean', scanned_at = ?, last_scan_id = ?, last_error = NULL,
+          scan_attempts = scan_attempts + 1, locked_at = NULL
+      WHERE id = ?
+    `).bind(now, result.scanId, file.id).run();
+  } else {
+    await releaseFile(env, file, body, SCAN_STATUS.CLEAN, result, now);
+  }
+  return SCAN_STATUS.CLEAN;
+}
+
+/**
+ * Scan a batch of due files
+ *
+ * @param {Object} env - DB, R2 and QUEUE
+ * @param {Object} options - { scanner, now }
+ * @returns {Promise<Object>} Counts per outcome, plus processed and scannerHealthy
+ */
+export async function runScanCycle(env, { scanner = defaultScanner, now = nowSeconds() } = {}) {
+  const scannerHealthy = await scanner.isScannerHealthy();
+  const files = await claimFiles(env, now, scannerHealthy);
+  const counts = { processed: files.length, scannerHealthy, clean: 0, infected: 0, accepted_unscanned: 0, failed: 0, retry: 0 };
+
+  for (const file of files) {
+    try {
+      const outcome = await processQuarantinedFile(env, file, { scanner, scannerHealthy, now });
+      counts[outcome]++;
+    } catch (error) {
+      console.error(`[Quarantine] Failed to process ${file.id}:`, error);
+      await scheduleRetry(env, file, error.message, now).catch(() => {});
+      counts.retry++;
+    }
+  }
+
+  return counts;
+}
+
+export default {
+  QUARANTINE_CONFIG,
+  SCAN_STATUS,
+  FileQuarantinedError,
+  quarantineUpload,
+  discardUpload,
+  getFileScanState,
+  assertFileReleased,
+  queueAfterScan,
+  processQuarantinedFile,
+  runScanCycle
+};
@@ -0,0 +1,208 @@
+/**
+ * Vector Store (PostgreSQL)
+ *
+ * Stores embeddings in vector_embeddings and answers nearest-neighbour
+ * queries. Vectors are kept per namespace ('manuscript', 'comp_title') and
+ * per embedding model, so switching providers never mixes vector spaces.
+ *
+ * Queries are exact: candidate vectors are narrowed in SQL (namespace,
+ * model, owner, genre) and ranked by cosine similarity in the worker. That
+ * is plenty for per-user and per-genre candidate sets and needs no
+ * database extension.
+ */
+
+import crypto from 'crypto';
+import { createEmbeddingProvider, cosineSimilarity } from './embedding-service.js';
+
+export const VECTOR_NAMESPACES = {
+  MANUSCRIPT: 'manuscript',
+  COMP_TITLE: 'comp_title'
+};
+
+/**
+ * Parse a stored vector (pg returns float8[] as an array; other drivers may return text)
+ */
+function parseVector(value) {
+  if (Array.isArray(value)) {
+    return value.map(Number);
+  }
+  if (typeof value === 'string') {
+    return JSON.parse(value.replace(/^\{/, '[').replace(/\}$/, ']'));
+  }
+  return [];
+}
+
+function parseRow(row) {
+  return {
+    namespace: row.namespace,
+    entityId: row.entity_id,
+    userId: row.user_id,
+    genre: row.genre,
+    model: row.model,
+    vector: parseVector(row.vector),
+    contentHash: row.content_hash,
+    metadata: row.metadata ? JSON.parse(row.metadata) : {},
+    updatedAt: row.updated_at
+  };
+}
+
+export class VectorStore {
+  /**
+   * @param {Object} db - D1-compatible database (env.DB)
+   * @param {Object} provider - Embedding provider (see embedding-service.js)
+   */
+  constructor(db, provider) {
+    this.db = db;
+    this.provider = provider;
+  }
+
+  /**
+   * Get the stored vector for an entity (current model only)
+   * @returns {Promise<Object|null>}
+   */
+  async get(namespace, entityId) {
+    const row = await this.db.prepare(
+      'SELECT * FROM vector_embeddings WHERE namespace = ? AND entity_id = ? AND model = ?'
+    ).bind(namespace, entityId, this.provider.model).first();
+
+    return row ? parseRow(row) : null;
+  }
+
+  /**
+   * Insert or replace the vector for an entity
+   *
+   * @param {Object} entry - { namespace, entityId, vector, contentHash, userId?, genre?, metadata? }
+   */
+  async upsert(entry) {
+    const now = Math.floor(Date.now() / 1000);
+
+    await this.db.prepare(`
+      INSERT INTO vector_embeddings (
+        id, namespace, entity_id, user_id, genre, model, dimensions, vector,
+        content_hash, metadata, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(namespace, entity_id, model) DO UPDATE SET
+        user_id = excluded.user_id,
+        genre = excluded.genre,
+        dimensions = excluded.dimensions,
+        vector = excluded.vector,
+        content_hash = excluded.content_hash,
+        metadata = excluded.metadata,
+        updated_at = excluded.updated_at
+    `).bind(
+      crypto.randomUUID(),
+      entry.namespace,
+      entry.entityId,
+      entry.userId || null,
+      entry.genre || null,
+      this.provider.model,
+      entry.vector.length,
+      entry.vector,
+      entry.contentHash,
+      JSON.stringify(entry.metadata || {}),
+      now,
+      now
+    ).run();
+  }
+
+  /**
+   * Embed text and store it for an entity
+   * Text that hasn't changed since it was last embedded is not re-embedded.
+   *
+   * @param {string} namespace - Vector namespace
+   * @param {string} entityId - Entity ID
+   * @param {string} text - Text to embed
+   * @param {Object} options - { userId, genre, metadata }
+   * @returns {Promise<Object>} Stored entry (with vector)
+   */
+  async indexText(namespace, entityId, text, options = {}) {
+    const contentHash = crypto.createHash('sha256').update(text || '').digest('hex');
+    const existing = await this.get(namespace, entityId);
+
+    if (existing && existing.contentHash === contentHash) {
+      return existing;
+    }
+
+    const [vector] = await this.provider.embed([text]);
+    const entry = {
+      namespace,
+      entityId,
+      vector,
+      contentHash,
+      userId: options.userId,
+      genre: options.genre,
+      metadata: options.metadata
+    };
+    await this.upsert(entry);
+
+    return { ...entry, model: this.provider.model };
+  }
+
+  /**
+   * Remove an entity's vectors (all models)
+   */
+  async delete(namespace, entityId) {
+    await this.db.prepare(
+      'DELETE FROM vector_embeddings WHERE namespace = ? AND entity_id = ?'
+    ).bind(namespace, entityId).run();
+  }
+
+  /**
+   * Find the entities nearest to a vector
+   *
+   * @param {string} namespace - Namespace to search
+   * @param {Array<number>} vector - Query vector (same model as this store)
+   * @param {Object} options - { k = 10, userId, genre, excludeIds = [], minScore }
+   * @returns {Promise<Array<Object>>} [{ entityId, score, userId, genre, metadata }] best first
+   */
+  async nearest(namespace, vector, options = {}) {
+    const { k = 10, userId = null, genre = null, excludeIds = [], minScore = null } = options;
+
+    const conditions = ['namespace = ?', 'model = ?'];
+    const bindings = [namespace, this.provider.model];
+    if (userId) {
+      conditions.push('user_id = ?');
+      bindings.push(userId);
+    }
+    if (genre) {
+      conditions.push('genre = ?');
+      bindings.push(genre);
+    }
+
+    const { results } = await this.db.prepare(`
+      SELECT namespace, entity_id, user_id, genre, model, vector, content_hash, metadata, updated_at
+      FROM vector_embeddings
+      WHERE ${conditions.join(' AND ')}
+    `).bind(...bindings).all();
+
+    const excluded = new Set(excludeIds);
+
+    return (results || [])
+      .filter(row => !excluded.has(row.entity_id))
+      .map(row => {
+        const entry = parseRow(row);
+        return {
+          entityId: entry.entityId,
+          score: cosineSimilarity(vector, entry.vector),
+          userId: entry.userId,
+          genre: entry.genre,
+          metadata: entry.metadata
+        };
+      })
+      .filter(match => minScore === null || match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
+
+/**
+ * Create a vector store using the configured embedding provider
+ *
+ * @param {Object} env - Environment bindings
+ * @returns {VectorStore}
+ */
+export function createVectorStore(env) {
+  return new VectorStore(env.DB, createEmbeddingProvider(env));
+}
+
+export default VectorStore;
@@ -1,30 +1,18 @@
 // Shared utilities for AI agents
 // This file contains common functions used by multiple agent classes
 
-import { logClaudeAPICost } from './cost-utils.js';
+import { extractText } from './text-extraction.js';
+import { createLLMClient, hasLLMProvider } from '../services/llm-client.js';
 
 /**
  * Configuration constants for AI agents
  * Centralized so they can be easily changed across all agents
+ * (model selection, retries and provider fallback live in llm-client.js)
  */
 export const AGENT_CONFIG = {
-  // Claude API configuration
-  CLAUDE_MODEL: 'claude-sonnet-4-20250514',
-  ANTHROPIC_VERSION: '2023-06-01',
-
-  // Cloudflare AI Gateway URL (shared across all agents)
-  GATEWAY_URL: 'https://gateway.ai.cloudflare.com/v1/8cd795daa8ce3c17078fe6cf3a2de8e3/manuscript-ai-gateway/anthropic/v1/messages',
-
-  // Token limits
-  MAX_TOKENS: 4096, // Maximum tokens for Claude responses
-
   // Manuscript processing
   EXCERPT_LENGTH: 5000, // Characters to extract from manuscript for context
 
-  // Retry configuration
-  MAX_RETRIES: 5, // Number of retry attempts
-  BASE_WAIT_TIME: 1000, // Base wait time in ms for exponential backoff
-
   // Temperature settings (higher = more creative)
   TEMPERATURE: {
     CREATIVE: 0.8, // For cover design, series planning, creative writing
@@ -35,10 +23,14 @@ export const AGENT_CONFIG = {
 
 /**
  * Extract text content from a manuscript stored in R2
- * Handles different file formats (currently supports text/plain)
+ * Handles every format the shared extractor supports (txt, docx, pdf, epub)
+ *
+ * Agents that need an excerpt (covers, blurbs, audiobook samples) pass a
+ * maxLength; pass null for the full text. Whole-manuscript analysis should
+ * analyze chapters with runChapterAnalyses instead of sending one big prompt.
  *
  * @param {R2Object} manuscript - The manuscript object from R2
- * @param {number} maxLength - Maximum number of characters to extract (default: EXCERPT_LENGTH)
+ * @param {number|null} maxLength - Maximum number of characters to extract (default: EXCERPT_LENGTH, null for no limit)
  * @returns {Promise<string>} The extracted text content
  * @throws {Error} If file type is unsupported
  */
@@ -47,128 +39,70 @@ export async function extractManuscriptText(manuscript, maxLength = AGENT_CONFIG
   const contentType = manuscript.httpMetadata?.contentType;
   const buffer = await manuscript.arrayBuffer();
 
-  // Currently only text/plain is supported
-  // Future: Add support for PDF, DOCX, etc.
-  if (contentType === 'text/plain') {
-    const fullText = new TextDecoder().decode(buffer);
-    // Return only the first N characters to stay within token limits
-    return fullText.substring(0, maxLength);
-  }
+  const fullText = await extractText(buffer, contentType);
+  return maxLength === null ? fullText : fullText.substring(0, maxLength);
+}
 
-  throw new Error(`Unsupported file type: ${contentType}. Currently only text/plain is supported.`);
+/**
+ * Throw if no LLM provider is configured
+ * Agents call this before doing any work so a missing key fails fast.
+ *
+ * @param {Object} env - Environment bindings
+ * @throws {Error} If no provider is configured
+ */
+export function assertLLMConfigured(env) {
+  if (!hasLLMProvider(env)) {
+    throw new Error('No LLM provider configured. Set ANTHROPIC_API_KEY or OPENAI_API_KEY in environment variables');
+  }
 }
 
 /**
- * Call Claude API with automatic retry logic
- * Handles rate limiting and transient errors with exponential backoff
+ * Ask the configured LLM for a JSON response
+ * Goes through the shared LLM client, so the agent's model tier, provider
+ * fallback, retries and (with options.schema) schema validation all apply.
+ * The name is kept from when every agent called Claude directly.
  *
- * @param {string} apiKey - Anthropic API key
- * @param {string} prompt - The prompt to send to Claude
+ * @param {string} apiKey - Anthropic API key (used when options.env has none)
+ * @param {string} prompt - The prompt to send
  * @param {number} temperature - Temperature setting (0-1, higher = more creative)
- * @param {string} agentName - Name of the agent (for logging)
- * @returns {Promise<Object>} Parsed JSON response from Claude
- * @throws {Error} If all retry attempts fail
+ * @param {string} agentName - Name of the agent (selects the model, keys mock fixtures)
+ * @param {Object} options - { env, operation, schema, system, maxTokens, track }
+ * @returns {Promise<Object>} { response: parsed JSON, usage: { inputTokens, outputTokens, model, provider, cost } }
+ * @throws {Error} If every provider fails or the response never matches the schema
  */
-export async function callClaudeWithRetry(apiKey, prompt, temperature, agentName) {
-  let lastError;
-
-  // Try up to MAX_RETRIES times with exponential backoff
-  for (let attempt = 1; attempt <= AGENT_CONFIG.MAX_RETRIES; attempt++) {
-    try {
-      console.log(`${agentName} - API call attempt ${attempt}/${AGENT_CONFIG.MAX_RETRIES}`);
-
-      const response = await fetch(AGENT_CONFIG.GATEWAY_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': AGENT_CONFIG.ANTHROPIC_VERSION
-        },
-        body: JSON.stringify({
-          model: AGENT_CONFIG.CLAUDE_MODEL,
-          max_tokens: AGENT_CONFIG.MAX_TOKENS,
-          messages: [{
-            role: 'user',
-            content: prompt
-          }],
-          temperature: temperature
-        })
-      });
-
-      console.log(`${agentName} - Response status: ${response.status}`);
-
-      // Handle non-OK responses
-      if (!response.ok) {
-        const errorBody = await response.text();
-        console.error(`${agentName} - Claude API error:`, errorBody);
-
-        // Retry on rate limits (429) or server errors (500+)
-        if (response.status === 429 || response.status >= 500) {
-          throw new Error(`Retryable error: ${response.status} - ${errorBody}`);
-        }
-
-        // Don't retry on client errors (400-499 except 429)
-        throw new Error(`Claude API error: ${response.status} - ${errorBody}`);
-      }
-
-      // Parse the successful response
-      const data = await response.json();
-      const responseText = data.content[0].text;
-
-      // Extract JSON from the response (Claude sometimes adds extra text)
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in Claude response');
-      }
+export async function callClaudeWithRetry(apiKey, prompt, temperature, agentName, options = {}) {
+  const { env = {}, track, ...request } = options;
+  const client = createLLMClient(
+    { ...env, ANTHROPIC_API_KEY: env.ANTHROPIC_API_KEY || apiKey },
+    { track }
+  );
 
-      const parsedResponse = JSON.parse(jsonMatch[0]);
-      console.log(`${agentName} - Successfully generated response`);
-
-      // Extract usage data for cost tracking
-      const usage = {
-        inputTokens: data.usage?.input_tokens || 0,
-        outputTokens: data.usage?.output_tokens || 0,
-        model: AGENT_CONFIG.CLAUDE_MODEL,
-      };
-
-      return { response: parsedResponse, usage };
-
-    } catch (error) {
-      console.error(`${agentName} - Attempt ${attempt} failed:`, error.message);
-      lastError = error;
-
-      // If we have retries left, wait before trying again
-      if (attempt < AGENT_CONFIG.MAX_RETRIES) {
-        // Exponential backoff: 2^attempt * BASE_WAIT_TIME
-        // Attempt 1: 2s, Attempt 2: 4s, Attempt 3: 8s, etc.
-        const waitTime = Math.pow(2, attempt) * AGENT_CONFIG.BASE_WAIT_TIME;
-        console.log(`${agentName} - Waiting ${waitTime}ms before retry...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
-    }
-  }
+  const { data, usage } = await client.completeJSON({
+    ...request,
+    agent: agentName,
+    prompt,
+    temperature
+  });
+  console.log(`${agentName} - Successfully generated response`);
 
-  // All retries exhausted
-  throw new Error(
-    `${agentName} - Failed after ${AGENT_CONFIG.MAX_RETRIES} attempts. Last error: ${lastError.message}`
-  );
+  return { response: data, usage };
 }
 
 /**
- * Call Claude API with cost tracking
- * Wrapper around callClaudeWithRetry that automatically logs costs to the database
+ * Ask the configured LLM for a JSON response and log its cost
  *
- * @param {string} apiKey - Anthropic API key
- * @param {string} prompt - The prompt to send to Claude
+ * @param {string} apiKey - Anthropic API key (used when env has none)
+ * @param {string} prompt - The prompt to send
  * @param {number} temperature - Temperature setting (0-1, higher = more creative)
- * @param {string} agentName - Name of the agent (for logging)
- * @param {Object} env - Cloudflare environment (for database access)
+ * @param {string} agentName - Name of the agent (selects the model, keys mock fixtures)
+ * @param {Object} env - Environment bindings (LLM configuration, database access)
  * @param {string} userId - User ID (optional, for cost attribution)
  * @param {string} manuscriptId - Manuscript ID (optional, for cost attribution)
  * @param {string} featureName - Feature name (e.g., 'analysis', 'asset_generation')
  * @param {string} operation - Operation name (e.g., 'analyze_developmental', 'generate_book_description')
- * @returns {Promise<Object>} Parsed JSON response from Claude (without usage)
- * @throws {Error} If all retry attempts fail
+ * @param {Object} options - { schema, system, maxTokens }
+ * @returns {Promise<Object>} Parsed JSON response (without usage)
+ * @throws {Error} If every provider fails or the response never matches the schema
  */
 export async function callClaudeWithCostTracking(
   apiKey,
@@ -179,28 +113,16 @@ export async function callClaudeWithCostTracking(
   userId = null,
   manuscriptId = null,
   featureName,
-  operation
+  operation,
+  options = {}
 ) {
-  // Call Claude API and get response + usage
-  const { response, usage } = await callClaudeWithRetry(apiKey, prompt, temperature, agentName);
-
-  // Log cost to database (fire and forget - don't block on cost tracking)
-  try {
-    await logClaudeAPICost(env, {
-      userId,
-      manuscriptId,
-      featureName,
-      operation,
-      inputTokens: usage.inputTokens,
-      outputTokens: usage.outputTokens,
-      model: usage.model,
-    });
-  } catch (costError) {
-    console.error(`${agentName} - Failed to log cost:`, costError);
-    // Don't fail the request if cost tracking fails
-  }
+  const { response } = await callClaudeWithRetry(apiKey, prompt, temperature, agentName, {
+    ...options,
+    env,
+    operation,
+    track: { userId, manuscriptId, featureName }
+  });
 
-  // Return just the response (maintains backward compatibility)
   return response;
 }
 
@@ -0,0 +1,173 @@
+/**
+ * API Reference Generator
+ *
+ * Renders an OpenAPI spec as a Markdown reference: one section per tag,
+ * and per operation its authentication, parameters, request body fields
+ * and responses. The output is deterministic so the generated file can be
+ * checked in and compared against the spec in tests.
+ */
+
+import { deref } from './openapi-schema.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Generate the Markdown reference for a spec
+ *
+ * @param {Object} spec - Parsed OpenAPI document
+ * @param {Object} options - { version: API version label, source: spec file name }
+ * @returns {string} Markdown
+ */
+export function generateApiReference(spec, { version = 'v1', source = 'openapi.yaml' } = {}) {
+  const lines = [
+    `# ${spec.info.title} (${version})`,
+    '',
+    `<!-- Generated from ${source} by scripts/generate-api-reference.js. Do not edit by hand. -->`,
+    '',
+    `API version ${spec.info.version}. Base URLs:`,
+    '',
+    ...(spec.servers || []).map(server => `- \`${server.url}\` (${server.description})`),
+    ''
+  ];
+
+  const operations = listOperations(spec);
+  const tags = (spec.tags || []).map(tag => tag.name);
+
+  for (const tag of tags) {
+    const tagged = operations.filter(op => (op.operation.tags || [])[0] === tag);
+    if (tagged.length === 0) {
+      continue;
+    }
+
+    const description = spec.tags.find(t => t.name === tag).description;
+    lines.push(`## ${tag}`, '', description, '');
+    for (const op of tagged) {
+      lines.push(...renderOperation(spec, op));
+    }
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+}
+
+/**
+ * Operations in spec order
+ */
+function listOperations(spec) {
+  const operations = [];
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of METHODS) {
+      if (pathItem[method]) {
+        operations.push({ method: method.toUpperCase(), path, pathItem, operation: pathItem[method] });
+      }
+    }
+  }
+  return operations;
+}
+
+function renderOperation(spec, { method, path, pathItem, operation }) {
+  const lines = [
+    `### ${operation.summary}`,
+    '',
+    `\`${method} ${path}\``,
+    '',
+    operation.description ? operation.description.trim() : '',
+    '',
+    `**Authentication:** ${describeSecurity(operation.security ?? spec.security)}`,
+    ''
+  ];
+
+  if (operation['x-request-validation'] === false) {
+    lines.push('Requests to this operation are not validated against the spec; errors use its own format.', '');
+  }
+
+  const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(p => deref(spec, p));
+  if (parameters.length > 0) {
+    lines.push('**Parameters**', '', '| Name | In | Type | Required | Description |', '| --- | --- | --- | --- | --- |');
+    for (const parameter of parameters) {
+      lines.push(`| \`${parameter.name}\` | ${parameter.in} | ${describeType(spec, parameter.schema)} | ${parameter.required ? 'yes' : 'no'} | ${cell(parameter.description)} |`);
+    }
+    lines.push('');
+  }
+
+  const requestBody = deref(spec, operation.requestBody);
+  if (requestBody) {
+    for (const [type, media] of Object.entries(requestBody.content || {})) {
+      lines.push(`**Request body** (\`${type}\`${requestBody.required ? ', required' : ''})`, '');
+      lines.push(...renderFields(spec, media.schema), '');
+    }
+  }
+
+  lines.push('**Responses**', '', '| Status | Description | Body |', '| --- | --- | --- |');
+  for (const [status, responseNode] of Object.entries(operation.responses || {})) {
+    const response = deref(spec, responseNode);
+    const bodies = Object.entries(response.content || {})
+      .map(([type, media]) => `\`${type}\` ${schemaName(media.schema)}`.trim());
+    lines.push(`| ${status} | ${cell(response.description)} | ${bodies.join('<br>') || '-'} |`);
+  }
+  lines.push('');
+
+  return lines;
+}
+
+function renderFields(spec, schemaNode) {
+  const schema = deref(spec, schemaNode) || {};
+  const properties = Object.entries(schema.properties || {});
+  if (properties.length === 0) {
+    return [`${schemaName(schemaNode) || describeType(spec, schema)}`];
+  }
+
+  const required = new Set(schema.required || []);
+  return [
+    '| Field | Type | Required | Description |',
+    '| --- | --- | --- | --- |',
+    ...properties.map(([name, propertyNode]) => {
+      const property = deref(spec, propertyNode);
+      const notes = [property.description, property.default !== undefined && `Default: \`${JSON.stringify(property.default)}\``]
+        .filter(Boolean).join(' ');
+      return `| \`${name}\` | ${describeType(spec, property)} | ${required.has(name) ? 'yes' : 'no'} | ${cell(notes)} |`;
+    })
+  ];
+}
+
+function describeSecurity(security) {
+  if (!security || security.length === 0) {
+    return 'none';
+  }
+  return security.map(requirement => Object.entries(requirement)
+    .map(([scheme, scopes]) => scopes.length > 0 ? `${scheme} (${scopes.join(', ')})` : scheme)
+    .join(' + ')).join(' or ');
+}
+
+function describeType(spec, schemaNode) {
+  const schema = deref(spec, schemaNode) || {};
+  let type = schema.type || 'any';
+  if (type === 'array') {
+    type = `array of ${describeType(spec, schema.items)}`;
+  }
+  if (schema.format) {
+    type += ` (${schema.format})`;
+  }
+  if (schema.enum) {
+    type += `: ${schema.enum.map(value => `\`${value}\``).join(', ')}`;
+  }
+  const bounds = [
+    schema.minimum !== undefined && `min ${schema.minimum}`,
+    schema.maximum !== undefined && `max ${schema.maximum}`
+  ].filter(Boolean);
+  if (bounds.length > 0) {
+    type += `, ${bounds.join(', ')}`;
+  }
+  return schema.nullable ? `${type}, nullable` : type;
+}
+
+function schemaName(schemaNode) {
+  return schemaNode?.$ref ? `\`${schemaNode.$ref.split('/').pop()}\`` : '';
+}
+
+function cell(text) {
+  return (text || '').trim().replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+export default {
+  generateApiReference
+};
@@ -200,6 +200,12 @@ export async function validateSession(sessionId, env) {
       return null;
     }
 
+    // Suspended accounts lose every session (see blockUserSessions)
+    if (await env.REDIS.get(`suspended:${session.userId}`)) {
+      await env.REDIS.del(`session:${sessionId}`);
+      return null;
+    }
+
     // Refresh session on activity (extend expiration)
     const duration = session.rememberMe ? AUTH_CONFIG.SESSION_DURATION_REMEMBER : AUTH_CONFIG.SESSION_DURATION;
     session.expiresAt = Date.now() + (duration * 1000);
@@ -243,6 +249,41 @@ export async function destroySession(sessionId, env) {
   }
 }
 
+/**
+ * End every session of a suspended user
+ * Sessions are not indexed by user, so a marker that outlives the longest
+ * session makes validateSession reject (and delete) them as they come in.
+ *
+ * @param {string} userId - Suspended user
+ * @param {Object} env - Environment with Redis client
+ * @param {number} suspendedAt - Suspension time in Unix seconds
+ * @returns {Promise<void>}
+ */
+export async function blockUserSessions(userId, env, suspendedAt = Math.floor(Date.now() / 1000)) {
+  if (!env.REDIS) {
+    console.warn('Session blocking skipped: Redis not configured');
+    return;
+  }
+
+  await env.REDIS.setEx(`suspended:${userId}`, AUTH_CONFIG.SESSION_DURATION_REMEMBER, String(suspendedAt));
+}
+
+/**
+ * Allow a reinstated user's new sessions again
+ *
+ * @param {string} userId - Reinstated user
+ * @param {Object} env - Environment with Redis client
+ * @returns {Promise<void>}
+ */
+export async function unblockUserSessions(userId, env) {
+  if (!env.REDIS) {
+    console.warn('Session unblocking skipped: Redis not configured');
+    return;
+  }
+
+  await env.REDIS.del(`suspended:${userId}`);
+}
+
 /**
  * Get user ID from request (checks session cookie)
  *
@@ -0,0 +1,763 @@
+/**
+ * Chapter Segmentation
+ *
+ * Classifies manuscript headings and turns a manuscript into an outline of
+ * sections, each tagged as one of:
+ *
+ *   front_matter  Title page, copyright, dedication, epigraph, contents, preface...
+ *   chapter       Body chapters, including prologues, epilogues and interludes
+ *   part          Part/Book/Act dividers
+ *   back_matter   Acknowledgments, About the Author, Also By, glossary...
+ *
+ * Headings are recognised in numbered ("Chapter 12", "Chapter XII",
+ * "Chapter Twenty-One", "12. Title"), bare ("Twelve", "XII") and titled form.
+ * Authors can correct the result per manuscript with overrides:
+ *
+ *   {
+ *     patterns: [{ pattern: '^Day \\d+$', flags: 'i', kind: 'chapter' }],
+ *     sections: [{ index: 0, heading: 'Foreword', kind: 'chapter', title: 'Opening' }]
+ *   }
+ *
+ * Overrides are stored alongside the detected outline (see outline-service.js)
+ * and re-applied every time the outline is resolved, so a correction made
+ * once is picked up by the agents, the audiobook chapter split and the EPUB TOC.
+ *
+ * Everything here is pure; it has no dependency on the document model or
+ * text extraction modules so both can use it.
+ */
+
+export const SECTION_KINDS = {
+  FRONT_MATTER: 'front_matter',
+  CHAPTER: 'chapter',
+  PART: 'part',
+  BACK_MATTER: 'back_matter'
+};
+
+const VALID_KINDS = new Set(Object.values(SECTION_KINDS));
+
+/**
+ * Defaults for heading detection
+ */
+export const SEGMENTATION_CONFIG = {
+  MAX_HEADING_LENGTH: 80,        // Longer lines are prose, never headings
+  MAX_TITLED_WORDS: 8,           // ALL CAPS lines up to this many words count as titled chapters
+  UNTITLED_FRONT_MATTER_WORDS: 500 // Untitled opening text shorter than this is front matter
+};
+
+/**
+ * Front/back matter headings, keyed by the label reported for them
+ */
+const FRONT_MATTER_HEADINGS = {
+  'title page': /^title\s+page$/,
+  'half title': /^half[\s-]+title$/,
+  copyright: /^copyright(?:\s+page)?$/,
+  dedication: /^dedication$/,
+  epigraph: /^epigraph$/,
+  contents: /^(?:table\s+of\s+)?contents$/,
+  foreword: /^fore(?:word|ward)$/,
+  preface: /^preface$/,
+  introduction: /^introduction$/,
+  'cast of characters': /^(?:cast\s+of\s+characters|dramatis\s+personae|list\s+of\s+characters)$/,
+  'praise': /^(?:advance\s+)?praise\s+for\b.*$/
+};
+
+const BACK_MATTER_HEADINGS = {
+  acknowledgments: /^acknowledge?ments?$/,
+  'about the author': /^about\s+the\s+authors?$/,
+  'also by': /^(?:also\s+by|other\s+(?:books|titles|works)\s+by|books\s+by|more\s+(?:books\s+)?(?:from|by))\b.*$/,
+  afterword: /^afterword$/,
+  'postscript': /^postscript$/,
+  glossary: /^glossary$/,
+  appendix: /^appendix(?:\s+[a-z0-9]+)?(?:\s*[:.\-–—]\s*.*)?$/,
+  bibliography: /^(?:bibliography|references|sources|further\s+reading)$/,
+  notes: /^(?:end\s*)?notes$/,
+  index: /^index$/,
+  'reading group guide': /^(?:reading\s+group\s+guide|discussion\s+questions|book\s+club\s+questions)$/,
+  'sneak peek': /^(?:sneak\s+peek|preview|excerpt)\b.*$/
+};
+
+/**
+ * Headings whose kind depends on where they appear (front before the first
+ * chapter, back after it)
+ */
+const POSITIONAL_HEADINGS = {
+  "author's note": /^(?:an?\s+)?(?:author[’']?s[’']?\s+note|note\s+(?:from|by)\s+the\s+author|note\s+to\s+(?:the\s+)?readers?)$/,
+  'map': /^maps?$/,
+  'timeline': /^timeline$/
+};
+
+/**
+ * Body sections that are chapters without a chapter number
+ */
+const UNNUMBERED_CHAPTERS = {
+  prologue: /^prologue$/,
+  epilogue: /^epilogue$/,
+  interlude: /^interlude$/,
+  coda: /^coda$/
+};
+
+/**
+ * Lines that look like headings but never start a section
+ */
+const IGNORED_HEADINGS = /^(?:the\s+end|fin|end|\*?\s*continued\s*\*?)$/;
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+  sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20
+};
+
+const WORD_NUMBER = '(?:[a-z]+(?:[\\s-]+[a-z]+)*)';
+const ROMAN_NUMBER = '[ivxlcdm]+';
+const NUMERAL = `(\\d{1,4}|${ROMAN_NUMBER}|${WORD_NUMBER})`;
+const SEPARATOR = '(?:\\s*[:.\\-–—]\\s*|\\s+)';
+
+const CHAPTER_PATTERN = new RegExp(`^(?:chapter|chap\\.|ch\\.)\\s+${NUMERAL}(?:${SEPARATOR}(.*))?$`, 'i');
+const PART_PATTERN = new RegExp(`^(part|book|act|volume)\\s+${NUMERAL}(?:${SEPARATOR}(.*))?$`, 'i');
+const ORDINAL_PART_PATTERN = /^(?:the\s+)?([a-z]+)\s+(part|book)(?:\s*[:.\-–—]\s*(.*))?$/i;
+const NUMBERED_TITLE_PATTERN = /^(\d{1,3})\.\s+(.+)$/;
+const BARE_NUMBER_PATTERN = /^(\d{1,3}|[ivxlcdm]+|[a-z]+(?:[\s-]+[a-z]+)*)\.?$/i;
+
+/**
+ * Parse a roman numeral ("XIV" -> 14); null when malformed
+ */
+export function parseRomanNumeral(text) {
+  const roman = text.toUpperCase();
+  if (!/^M{0,4}(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/.test(roman) || roman === '') {
+    return null;
+  }
+
+  const values = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+  let total = 0;
+  for (let i = 0; i < roman.length; i++) {
+    const value = values[roman[i]];
+    const next = values[roman[i + 1]] || 0;
+    total += value < next ? -value : value;
+  }
+  return total;
+}
+
+/**
+ * Parse a spelled-out number ("Twenty-One" -> 21, "One Hundred and Two" -> 102,
+ * "Third" -> 3); null when any word is not a number word
+ */
+export function parseNumberWords(text) {
+  const words = text.toLowerCase().split(/[\s-]+/).filter(word => word && word !== 'and');
+  if (words.length === 0) {
+    return null;
+  }
+
+  if (words.length === 1 && ORDINAL_WORDS[words[0]] !== undefined) {
+    return ORDINAL_WORDS[words[0]];
+  }
+
+  let total = 0;
+  let current = 0;
+
+  for (const word of words) {
+    if (NUMBER_WORDS[word] !== undefined) {
+      current += NUMBER_WORDS[word];
+    } else if (word === 'hundred') {
+      current = (current || 1) * 100;
+    } else if (word === 'thousand') {
+      total += (current || 1) * 1000;
+      current = 0;
+    } else {
+      return null;
+    }
+  }
+
+  return total + current;
+}
+
+/**
+ * Parse a chapter numeral in any supported form
+ * @returns {number|null} Numeric value, or null when the text is not a number
+ */
+export function parseChapterNumber(text) {
+  if (!text) {
+    return null;
+  }
+  const trimmed = text.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10);
+  }
+  if (/^[ivxlcdm]+$/i.test(trimmed)) {
+    return parseRomanNumeral(trimmed);
+  }
+  return parseNumberWords(trimmed);
+}
+
+/**
+ * Split "Twenty-One The Storm" into the longest leading number phrase and the rest
+ * (spelled-out numbers and chapter titles are both runs of words)
+ */
+function splitNumberPhrase(text) {
+  const words = text.trim().split(/(\s+)/);
+
+  for (let end = words.length; end > 0; end--) {
+    const candidate = words.slice(0, end).join('').trim();
+    const number = parseChapterNumber(candidate.replace(/[:.\-–—]$/, ''));
+    if (number !== null) {
+      const rawRest = words.slice(end).join('');
+      const rest = rawRest.replace(/^\s*[:.\-–—]?\s*/, '');
+      return {
+        rawNumber: candidate.replace(/[:.\-–—]$/, '').trim(),
+        number,
+        subtitle: rest || null,
+        separated: /[:.\-–—]$/.test(candidate) || /^\s*[:.\-–—]/.test(rawRest)
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * A number phrase followed by a lowercase word without punctuation is a
+ * sentence ("Chapter 5 was my favourite"), not a heading
+ */
+function isSentence(split) {
+  return !!split.subtitle && !split.separated && /^\p{Ll}/u.test(split.subtitle);
+}
+
+/**
+ * Numbering fields of a split number phrase
+ */
+function numbering(split) {
+  return { number: split.number, rawNumber: split.rawNumber, subtitle: split.subtitle };
+}
+
+/**
+ * Normalize a heading for keyword matching
+ */
+function normalizeHeading(text) {
+  return text
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/\s+/g, ' ')
+    .replace(/[.:!]+$/, '')
+    .trim();
+}
+
+/**
+ * Match a heading against a { label: pattern } table
+ */
+function matchLabel(table, normalized) {
+  for (const [label, pattern] of Object.entries(table)) {
+    if (pattern.test(normalized)) {
+      return label;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compile override patterns ({ pattern, flags, kind }) once
+ */
+function compilePatterns(patterns = []) {
+  return patterns
+    .filter(entry => entry && entry.pattern && VALID_KINDS.has(entry.kind))
+    .map(entry => {
+      try {
+        return { regex: new RegExp(entry.pattern, entry.flags ?? 'i'), kind: entry.kind, label: entry.label || null };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Validate per-manuscript overrides supplied by an author
+ * @param {Object} overrides - { patterns, sections }
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateOverrides(overrides) {
+  const errors = [];
+
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return ['Overrides must be an object'];
+  }
+
+  for (const [i, entry] of (overrides.patterns || []).entries()) {
+    if (!entry || typeof entry.pattern !== 'string') {
+      errors.push(`patterns[${i}].pattern must be a string`);
+      continue;
+    }
+    if (!VALID_KINDS.has(entry.kind)) {
+      errors.push(`patterns[${i}].kind must be one of: ${[...VALID_KINDS].join(', ')}`);
+    }
+    try {
+      new RegExp(entry.pattern, entry.flags ?? 'i');
+    } catch (error) {
+      errors.push(`patterns[${i}].pattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  for (const [i, entry] of (overrides.sections || []).entries()) {
+    if (!entry || (!Number.isInteger(entry.index) && typeof entry.heading !== 'string')) {
+      errors.push(`sections[${i}] must identify a section by index or heading`);
+      continue;
+    }
+    if (entry.kind !== undefined && !VALID_KINDS.has(entry.kind)) {
+      errors.push(`sections[${i}].kind must be one of: ${[...VALID_KINDS].join(', ')}`);
+    }
+    if (entry.title !== undefined && (typeof entry.title !== 'string' || !entry.title.trim())) {
+      errors.push(`sections[${i}].title must be a non-empty string`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Classify a single heading line
+ *
+ * @param {string} text - Heading or candidate heading line
+ * @param {Object} options
+ * @param {boolean} options.styled - The line is a styled heading (DOCX Heading 1 etc.),
+ *   so any text is accepted as a titled chapter when nothing more specific matches
+ * @param {Array<Object>} options.patterns - Custom { pattern, flags, kind, label } patterns
+ * @returns {Object|null} { kind, label, number, rawNumber, subtitle } or null when not a heading
+ */
+export function classifyHeading(text, options = {}) {
+  const heading = (text || '').replace(/\s+/g, ' ').trim();
+  if (!heading || heading.length > SEGMENTATION_CONFIG.MAX_HEADING_LENGTH) {
+    return null;
+  }
+
+  const result = (kind, extra = {}) => ({ kind, label: null, number: null, rawNumber: null, subtitle: null, ...extra });
+
+  for (const custom of options.compiledPatterns || compilePatterns(options.patterns)) {
+    if (custom.regex.test(heading)) {
+      return result(custom.kind, { label: custom.label, subtitle: heading });
+    }
+  }
+
+  const normalized = normalizeHeading(heading);
+  if (IGNORED_HEADINGS.test(normalized)) {
+    return null;
+  }
+
+  const chapterMatch = heading.match(CHAPTER_PATTERN);
+  if (chapterMatch) {
+    const split = splitNumberPhrase(heading.replace(/^(?:chapter|chap\.|ch\.)\s+/i, ''));
+    if (split && !isSentence(split)) {
+      return result(SECTION_KINDS.CHAPTER, numbering(split));
+    }
+  }
+
+  const partMatch = heading.match(PART_PATTERN);
+  if (partMatch) {
+    const split = splitNumberPhrase(heading.slice(partMatch[1].length));
+    if (split && !isSentence(split)) {
+      return result(SECTION_KINDS.PART, { label: partMatch[1].toLowerCase(), ...numbering(split) });
+    }
+  }
+
+  const ordinalPart = heading.match(ORDINAL_PART_PATTERN);
+  if (ordinalPart && ORDINAL_WORDS[ordinalPart[1].toLowerCase()] !== undefined) {
+    return result(SECTION_KINDS.PART, {
+      label: ordinalPart[2].toLowerCase(),
+      number: ORDINAL_WORDS[ordinalPart[1].toLowerCase()],
+      rawNumber: ordinalPart[1],
+      subtitle: ordinalPart[3]?.trim() || null
+    });
+  }
+
+  const unnumbered = matchLabel(UNNUMBERED_CHAPTERS, normalized.split(/\s*[:\-–—]\s*/)[0]);
+  if (unnumbered) {
+    const subtitle = heading.split(/\s*[:\-–—]\s*/).slice(1).join(' - ').trim();
+    return result(SECTION_KINDS.CHAPTER, { label: unnumbered, subtitle: subtitle || null });
+  }
+
+  const frontLabel = matchLabel(FRONT_MATTER_HEADINGS, normalized);
+  if (frontLabel) {
+    return result(SECTION_KINDS.FRONT_MATTER, { label: frontLabel });
+  }
+
+  const backLabel = matchLabel(BACK_MATTER_HEADINGS, normalized);
+  if (backLabel) {
+    return result(SECTION_KINDS.BACK_MATTER, { label: backLabel });
+  }
+
+  const positionalLabel = matchLabel(POSITIONAL_HEADINGS, normalized);
+  if (positionalLabel) {
+    // Resolved to front or back matter by segmentSections
+    return result(SECTION_KINDS.FRONT_MATTER, { label: positionalLabel, positional: true });
+  }
+
+  const numberedTitle = heading.match(NUMBERED_TITLE_PATTERN);
+  if (
+    numberedTitle &&
+    !/[.,;:]$/.test(numberedTitle[2]) &&
+    wordCount(numberedTitle[2]) <= SEGMENTATION_CONFIG.MAX_TITLED_WORDS
+  ) {
+    return result(SECTION_KINDS.CHAPTER, {
+      number: parseInt(numberedTitle[1], 10),
+      rawNumber: numberedTitle[1],
+      subtitle: numberedTitle[2].trim()
+    });
+  }
+
+  // "12", "XII" or "Twelve" alone on a line (capitalized, so "one" in prose never matches)
+  if (BARE_NUMBER_PATTERN.test(heading)) {
+    const rawNumber = heading.replace(/\.$/, '');
+    const number = parseChapterNumber(rawNumber);
+    const isRoman = /^[ivxlcdm]+$/i.test(rawNumber);
+    const wellFormed = /^\d+$/.test(rawNumber) ||
+      (isRoman ? rawNumber === rawNumber.toUpperCase() && rawNumber.length > 1 : /^\p{Lu}/u.test(rawNumber) && heading === rawNumber);
+    if (number !== null && number > 0 && wellFormed) {
+      return result(SECTION_KINDS.CHAPTER, { number, rawNumber });
+    }
+  }
+
+  if (options.styled) {
+    return result(SECTION_KINDS.CHAPTER, { subtitle: heading, titled: true });
+  }
+
+  // Untagged text: short ALL CAPS lines are titled chapters ("THE STORM")
+  const words = heading.split(' ');
+  if (
+    words.length <= SEGMENTATION_CONFIG.MAX_TITLED_WORDS &&
+    /^\p{Lu}/u.test(heading) &&
+    /\p{Lu}.*\p{Lu}/u.test(heading) &&
+    !/\p{Ll}/u.test(heading) &&
+    !/[.!?,;"”]$/.test(heading)
+  ) {
+    return result(SECTION_KINDS.CHAPTER, { subtitle: heading, titled: true });
+  }
+
+  return null;
+}
+
+/**
+ * Count words in a string
+ */
+function wordCount(text) {
+  return text ? text.split(/\s+/).filter(Boolean).length : 0;
+}
+
+/**
+ * Word count of a model chapter (spans of every paragraph in every scene)
+ */
+function chapterWordCount(chapter) {
+  let words = 0;
+  for (const scene of chapter.scenes || []) {
+    for (const paragraph of scene.paragraphs || []) {
+      words += wordCount((paragraph.spans || []).map(span => span.text).join(''));
+    }
+  }
+  return words;
+}
+
+/**
+ * Find the override that applies to a section (heading match first, then index)
+ */
+function findOverride(sectionOverrides, section) {
+  return sectionOverrides.find(entry => typeof entry.heading === 'string' && entry.heading === section.heading) ||
+    sectionOverrides.find(entry => typeof entry.heading !== 'string' && entry.index === section.index) ||
+    null;
+}
+
+/**
+ * Turn raw sections ({ heading, styled, wordCount }) into an outline
+ *
+ * - Positional headings (Author's Note, Map) become front matter before the
+ *   first body chapter and back matter after the last one
+ * - Titled headings with no chapter signal that follow back matter stay back
+ *   matter ("About the Author" followed by "The Storm Trilogy")
+ * - Untitled opening text is front matter when it is short and chapters follow
+ * - Overrides win over everything detected
+ *
+ * @param {Array<Object>} rawSections - { heading, styled, wordCount, excerpt }
+ * @param {Object} overrides - { patterns, sections }
+ * @returns {Array<Object>} Outline entries
+ */
+export function segmentSections(rawSections, overrides = {}) {
+  const compiledPatterns = compilePatterns(overrides.patterns);
+  const sectionOverrides = overrides.sections || [];
+
+  const sections = rawSections.map((raw, index) => {
+    const heading = raw.heading || null;
+    const classification = heading ? classifyHeading(heading, { styled: raw.styled, compiledPatterns }) : null;
+
+    return {
+      index,
+      heading,
+      title: heading,
+      kind: classification?.kind || SECTION_KINDS.CHAPTER,
+      label: classification?.label || null,
+      number: classification?.number ?? null,
+      rawNumber: classification?.rawNumber || null,
+      subtitle: classification?.subtitle || null,
+      wordCount: raw.wordCount || 0,
+      excerpt: raw.excerpt || '',
+      positional: !!classification?.positional,
+      titled: !!classification?.titled,
+      overridden: false
+    };
+  });
+
+  // Titled-only headings are weaker evidence of the story body than numbered ones
+  const hasNumbered = sections.some(section => section.kind === SECTION_KINDS.CHAPTER && !section.titled);
+  const isChapter = section => section.kind === SECTION_KINDS.CHAPTER && !(hasNumbered && section.titled);
+  const firstChapter = sections.findIndex(isChapter);
+  const lastChapter = sections.findLastIndex(isChapter);
+
+  let inBackMatter = false;
+  for (const section of sections) {
+    if (section.positional) {
+      section.kind = firstChapter !== -1 && section.index > lastChapter ? SECTION_KINDS.BACK_MATTER : SECTION_KINDS.FRONT_MATTER;
+    }
+
+    if (section.kind === SECTION_KINDS.BACK_MATTER) {
+      inBackMatter = true;
+    } else if (inBackMatter && section.titled) {
+      section.kind = SECTION_KINDS.BACK_MATTER;
+    } else if (section.kind !== SECTION_KINDS.FRONT_MATTER) {
+      inBackMatter = false;
+    }
+  }
+
+  // A typed table of contents repeats the chapter headings with no text under
+  // them; keep those entries with the contents page instead of as chapters
+  const contentsIndex = sections.findIndex(section => section.label === 'contents');
+  if (contentsIndex !== -1) {
+    const laterHeadings = sections.map(section => section.heading);
+    for (let i = contentsIndex + 1; i < sections.length && sections[i].wordCount === 0; i++) {
+      if (sections[i].heading && laterHeadings.indexOf(sections[i].heading, i + 1) !== -1) {
+        sections[i].kind = SECTION_KINDS.FRONT_MATTER;
+        sections[i].label = 'contents';
+      }
+    }
+  }
+
+  if (
+    sections.length > 1 &&
+    !sections[0].heading &&
+    sections[0].wordCount < SEGMENTATION_CONFIG.UNTITLED_FRONT_MATTER_WORDS
+  ) {
+    sections[0].kind = SECTION_KINDS.FRONT_MATTER;
+  }
+
+  for (const section of sections) {
+    const override = findOverride(sectionOverrides, section);
+    if (override) {
+      if (override.kind) {
+        section.kind = override.kind;
+      }
+      if (override.title) {
+        section.title = override.title.trim();
+      }
+      section.overridden = true;
+    }
+  }
+
+  // Body chapters get a running chapter number; prologues etc. keep their label
+  let chapterNumber = 0;
+
+  return sections.map(section => {
+    const isNumbered = section.kind === SECTION_KINDS.CHAPTER && !UNNUMBERED_CHAPTERS[section.label];
+    return {
+      index: section.index,
+      heading: section.heading,
+      title: section.title || (section.kind === SECTION_KINDS.CHAPTER && isNumbered ? `Chapter ${chapterNumber + 1}` : null),
+      kind: section.kind,
+      label: section.label,
+      chapterNumber: isNumbered ? ++chapterNumber : null,
+      number: section.number,
+      rawNumber: section.rawNumber,
+      subtitle: section.subtitle,
+      wordCount: section.wordCount,
+      excerpt: section.excerpt,
+      overridden: section.overridden
+    };
+  });
+}
+
+/**
+ * Build an outline for a manuscript model
+ * Each model chapter (one per chapter-level heading) becomes one section.
+ *
+ * @param {Object} model - Manuscript model
+ * @param {Object} overrides - { patterns, sections }
+ * @returns {Array<Object>} Outline entries:
+ *   { index, heading, title, kind, label, chapterNumber, number, rawNumber, subtitle, wordCount, excerpt, overridden }
+ */
+export function segmentModel(model, overrides = {}) {
+  const rawSections = model.chapters.map(chapter => {
+    const firstParagraph = chapter.scenes?.[0]?.paragraphs?.[0];
+    return {
+      heading: chapter.title,
+      styled: model.source === 'docx',
+      wordCount: chapterWordCount(chapter),
+      excerpt: firstParagraph ? firstParagraph.spans.map(span => span.text).join('').substring(0, 200) : ''
+    };
+  });
+
+  return segmentSections(rawSections, overrides);
+}
+
+/**
+ * Split plain text into sections at heading lines
+ *
+ * @param {string} text - Manuscript text
+ * @param {Object} overrides - { patterns, sections }
+ * @returns {Array<Object>} Outline entries with content and line/position of each heading
+ */
+export function segmentText(text, overrides = {}) {
+  const compiledPatterns = compilePatterns(overrides.patterns);
+  const lines = text.split('\n');
+  const headings = [];
+
+  let position = 0;
+  lines.forEach((line, lineIndex) => {
+    const trimmed = line.trim();
+    if (trimmed && classifyHeading(trimmed, { compiledPatterns })) {
+      headings.push({ line: lineIndex, heading: trimmed, position, end: position + line.length });
+    }
+    position += line.length + 1;
+  });
+
+  const bodies = [];
+  if (headings.length === 0 || text.slice(0, headings[0].position).trim()) {
+    bodies.push({ heading: null, line: 0, position: 0, start: 0, end: headings[0]?.position ?? text.length });
+  }
+  headings.forEach((heading, i) => {
+    bodies.push({ ...heading, start: heading.end, end: headings[i + 1]?.position ?? text.length });
+  });
+
+  const contents = bodies.map(body => text.slice(body.start, body.end).trim());
+  const outline = segmentSections(
+    bodies.map((body, i) => ({ heading: body.heading, wordCount: wordCount(contents[i]), excerpt: contents[i].substring(0, 200) })),
+    overrides
+  );
+
+  return outline.map((entry, i) => ({
+    ...entry,
+    line: bodies[i].line,
+    position: bodies[i].position,
+    content: contents[i]
+  }));
+}
+
+/**
+ * Re-apply a stored outline to text by locating its headings in order
+ * Sections whose heading can't be found are skipped, so an outline saved
+ * for an older upload degrades gracefully instead of misaligning.
+ *
+ * @param {string} text - Manuscript text
+ * @param {Array<Object>} outline - Stored outline entries
+ * @returns {Array<Object>} Outline entries with content, or null when no heading was found
+ */
+export function applyOutlineToText(text, outline) {
+  const lines = text.split('\n');
+  const offsets = [];
+  let position = 0;
+  for (const line of lines) {
+    offsets.push(position);
+    position += line.length + 1;
+  }
+
+  const located = [];
+  let searchFrom = 0;
+
+  for (const entry of outline) {
+    if (!entry.heading) {
+      continue;
+    }
+    const target = entry.heading.replace(/\s+/g, ' ').trim();
+    const lineIndex = lines.findIndex((line, i) => i >= searchFrom && line.replace(/\s+/g, ' ').trim() === target);
+    if (lineIndex !== -1) {
+      located.push({ entry, line: lineIndex });
+      searchFrom = lineIndex + 1;
+    }
+  }
+
+  if (located.length === 0) {
+    return null;
+  }
+
+  return located.map(({ entry, line }, i) => {
+    const start = offsets[line] + lines[line].length;
+    const end = located[i + 1] ? offsets[located[i + 1].line] : text.length;
+    const content = text.slice(start, end).trim();
+    return { ...entry, line, position: offsets[line], content, wordCount: wordCount(content) };
+  });
+}
+
+/**
+ * Annotate model chapters with their outline entry (kind, label, corrected title)
+ * The outline must come from segmentModel for the same model.
+ *
+ * @param {Object} model - Manuscript model
+ * @param {Array<Object>} outline - Outline entries
+ * @returns {Object} New model whose chapters carry kind/label/chapterNumber
+ */
+export function applyOutline(model, outline) {
+  if (!outline || outline.length !== model.chapters.length) {
+    return model;
+  }
+
+  return {
+    ...model,
+    chapters: model.chapters.map((chapter, i) => ({
+      ...chapter,
+      title: outline[i].title ?? chapter.title,
+      kind: outline[i].kind,
+      label: outline[i].label,
+      chapterNumber: outline[i].chapterNumber
+    }))
+  };
+}
+
+/**
+ * Whether an outline entry (or annotated chapter) is part of the story body
+ */
+export function isBodySection(section) {
+  return !section.kind || section.kind === SECTION_KINDS.CHAPTER;
+}
+
+/**
+ * Summarize an outline by kind
+ */
+export function summarizeOutline(outline) {
+  const counts = { front_matter: 0, chapter: 0, part: 0, back_matter: 0 };
+  for (const entry of outline) {
+    counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+  }
+  return {
+    sectionCount: outline.length,
+    frontMatterCount: counts.front_matter,
+    chapterCount: counts.chapter,
+    partCount: counts.part,
+    backMatterCount: counts.back_matter,
+    bodyWordCount: outline.filter(isBodySection).reduce((sum, entry) => sum + (entry.wordCount || 0), 0)
+  };
+}
+
+export default {
+  SECTION_KINDS,
+  SEGMENTATION_CONFIG,
+  parseRomanNumeral,
+  parseNumberWords,
+  parseChapterNumber,
+  classifyHeading,
+  validateOverrides,
+  segmentSections,
+  segmentModel,
+  segmentText,
+  applyOutlineToText,
+  applyOutline,
+  isBodySection,
+  summarizeOutline
+};
@@ -0,0 +1,162 @@
+/**
+ * Comment Anchors
+ *
+ * Anchors a comment to a range of manuscript text so it survives new drafts.
+ * An anchor stores the chapter and character offsets (into the chapter text
+ * from chaptersFromModel) plus the quoted text and a little context either
+ * side of it. Offsets alone break as soon as anything earlier in the chapter
+ * changes, so re-anchoring searches for the quote instead:
+ * - Chapters with the anchor's title are searched first, then the chapter at
+ *   the anchor's index, then the others nearest first (a passage moved to
+ *   another chapter is still found)
+ * - When the quote occurs more than once, the occurrence whose surrounding
+ *   text best matches the stored context wins, then the one closest to the
+ *   old offset
+ * - A quote that no longer occurs anywhere leaves the anchor detached: it
+ *   keeps its old position and is shown apart from the text
+ */
+
+import { normalizeTitle } from './manuscript-diff.js';
+import { ValidationError } from './error-handling.js';
+
+export const COMMENT_ANCHOR_CONFIG = {
+  CONTEXT_CHARS: 32,           // Characters of context stored either side of the quote
+  MAX_QUOTE_LENGTH: 5000,
+  MAX_OCCURRENCES: 200         // Occurrences of a quote scored per chapter
+};
+
+/**
+ * Build an anchor for a range of a chapter
+ *
+ * @param {Array<Object>} chapters - Chapters as { title, text } (chaptersFromModel)
+ * @param {Object} range - { chapterIndex, startOffset, endOffset }
+ * @returns {Object} { chapterIndex, chapterTitle, startOffset, endOffset, quote, prefix, suffix }
+ * @throws {ValidationError} When the range is not inside the chapter
+ */
+export function createAnchor(chapters, { chapterIndex, startOffset, endOffset }) {
+  if (![chapterIndex, startOffset, endOffset].every(Number.isInteger)) {
+    throw new ValidationError('chapterIndex, startOffset and endOffset must be integers');
+  }
+
+  const chapter = chapters[chapterIndex];
+  if (!chapter) {
+    throw new ValidationError(`Chapter ${chapterIndex} does not exist`, { chapterCount: chapters.length });
+  }
+  if (startOffset < 0 || endOffset <= startOffset || endOffset > chapter.text.length) {
+    throw new ValidationError('The range must select text inside the chapter', { chapterLength: chapter.text.length });
+  }
+  if (endOffset - startOffset > COMMENT_ANCHOR_CONFIG.MAX_QUOTE_LENGTH) {
+    throw new ValidationError(`Comments can cover at most ${COMMENT_ANCHOR_CONFIG.MAX_QUOTE_LENGTH} characters`);
+  }
+
+  const context = COMMENT_ANCHOR_CONFIG.CONTEXT_CHARS;
+  return {
+    chapterIndex,
+    chapterTitle: chapter.title,
+    startOffset,
+    endOffset,
+    quote: chapter.text.slice(startOffset, endOffset),
+    prefix: chapter.text.slice(Math.max(0, startOffset - context), startOffset),
+    suffix: chapter.text.slice(endOffset, endOffset + context)
+  };
+}
+
+/**
+ * Number of characters two strings share at their ends
+ */
+function sharedSuffixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Number of characters two strings share at their starts
+ */
+function sharedPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Chapter indexes in the order they are searched for a quote
+ */
+function searchOrder(anchor, chapters) {
+  const title = normalizeTitle(anchor.chapterTitle);
+  const byDistance = (a, b) => Math.abs(a - anchor.chapterIndex) - Math.abs(b - anchor.chapterIndex);
+  const indexes = chapters.map((chapter, index) => index);
+
+  const titled = title ? indexes.filter(index => normalizeTitle(chapters[index].title) === title).sort(byDistance) : [];
+  const order = [...titled];
+  if (chapters[anchor.chapterIndex] && !order.includes(anchor.chapterIndex)) {
+    order.push(anchor.chapterIndex);
+  }
+  return [...order, ...indexes.filter(index => !order.includes(index)).sort(byDistance)];
+}
+
+/**
+ * Best occurrence of the quote in one chapter's text, or null
+ */
+function findInChapter(anchor, text, sameChapter) {
+  const { quote, prefix = '', suffix = '' } = anchor;
+  let best = null;
+  let found = 0;
+
+  for (let position = text.indexOf(quote); position !== -1 && found < COMMENT_ANCHOR_CONFIG.MAX_OCCURRENCES;
+    position = text.indexOf(quote, position + 1)) {
+    found++;
+    const end = position + quote.length;
+    const context = sharedSuffixLength(prefix, text.slice(Math.max(0, position - prefix.length), position))
+      + sharedPrefixLength(suffix, text.slice(end, end + suffix.length));
+    const distance = sameChapter ? Math.abs(position - anchor.startOffset) : position;
+
+    if (!best || context > best.context || (context === best.context && distance < best.distance)) {
+      best = { position, context, distance };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find an anchor in another draft's chapters
+ *
+ * @param {Object} anchor - Anchor from createAnchor (or a stored thread's anchor)
+ * @param {Array<Object>} chapters - Chapters of the draft, as { title, text }
+ * @returns {Object} The anchor moved to its new chapter and offsets, with
+ *   moved (position changed) and detached (quote not found) flags
+ */
+export function resolveAnchor(anchor, chapters) {
+  if (anchor.quote) {
+    for (const index of searchOrder(anchor, chapters)) {
+      const match = findInChapter(anchor, chapters[index].text, index === anchor.chapterIndex);
+      if (match) {
+        // Refresh the context from this draft so the next draft is compared with it
+        const anchored = createAnchor(chapters, {
+          chapterIndex: index,
+          startOffset: match.position,
+          endOffset: match.position + anchor.quote.length
+        });
+        return {
+          ...anchor,
+          ...anchored,
+          moved: index !== anchor.chapterIndex || match.position !== anchor.startOffset,
+          detached: false
+        };
+      }
+    }
+  }
+
+  return { ...anchor, moved: false, detached: true };
+}
+
+export default {
+  COMMENT_ANCHOR_CONFIG,
+  createAnchor,
+  resolveAnchor
+};
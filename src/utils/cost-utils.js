@@ -32,6 +32,36 @@ const CLAUDE_PRICING = {
     input: 0.25 / 1_000_000,
     output: 1.25 / 1_000_000,
   },
+  'claude-3-5-haiku-20241022': {
+    input: 0.80 / 1_000_000,
+    output: 4.00 / 1_000_000,
+  },
+  'claude-sonnet-4-20250514': {
+    input: 3.00 / 1_000_000,
+    output: 15.00 / 1_000_000,
+  },
+  'claude-opus-4-20250514': {
+    input: 15.00 / 1_000_000,
+    output: 75.00 / 1_000_000,
+  },
+  // OpenAI fallback models (https://openai.com/api/pricing)
+  'gpt-4o-mini': {
+    input: 0.15 / 1_000_000,
+    output: 0.60 / 1_000_000,
+  },
+  'gpt-4o': {
+    input: 2.50 / 1_000_000,
+    output: 10.00 / 1_000_000,
+  },
+  'gpt-4.1': {
+    input: 2.00 / 1_000_000,
+    output: 8.00 / 1_000_000,
+  },
+  // Recorded fixtures (tests, offline development)
+  'mock': {
+    input: 0,
+    output: 0,
+  },
 };
 
 /**
@@ -97,11 +127,11 @@ export function calculateEmailCost(emailCount) {
 }
 
 /**
- * Estimate manuscript analysis cost (based on word count)
+ * Estimate manuscript analysis token usage (based on word count)
  * @param {number} wordCount - Manuscript word count
- * @returns {number} Estimated cost in USD
+ * @returns {{inputTokens: number, outputTokens: number}} Estimated tokens
  */
-export function estimateAnalysisCost(wordCount) {
+export function estimateAnalysisTokens(wordCount) {
   // Rough estimate: ~1.3 tokens per word
   // Analysis uses ~3 agents (dev, line, copy) each processing the full manuscript
   // Average output ~5000 tokens per agent
@@ -109,10 +139,20 @@ export function estimateAnalysisCost(wordCount) {
   const outputTokensPerAgent = 5000;
   const numAgents = 3;
 
-  const totalInputTokens = inputTokensPerAgent * numAgents;
-  const totalOutputTokens = outputTokensPerAgent * numAgents;
+  return {
+    inputTokens: Math.ceil(inputTokensPerAgent * numAgents),
+    outputTokens: outputTokensPerAgent * numAgents
+  };
+}
 
-  return calculateClaudeAPICost(totalInputTokens, totalOutputTokens);
+/**
+ * Estimate manuscript analysis cost (based on word count)
+ * @param {number} wordCount - Manuscript word count
+ * @returns {number} Estimated cost in USD
+ */
+export function estimateAnalysisCost(wordCount) {
+  const { inputTokens, outputTokens } = estimateAnalysisTokens(wordCount);
+  return calculateClaudeAPICost(inputTokens, outputTokens);
 }
 
 // ============================================================================
@@ -200,6 +200,8 @@ export class ManuscriptCache {
 
   /**
    * Get manuscript metadata from cache or DB
+   * The entry is shared by everyone the manuscript is shared with, so
+   * callers check access (checkManuscriptAccess) before reading it.
    */
   async getMetadata(manuscriptId, userId, env) {
     return this.cache.getOrFetch(
@@ -207,8 +209,8 @@ export class ManuscriptCache {
       CacheTTL.MANUSCRIPT_META,
       async () => {
         const result = await env.DB.prepare(
-          'SELECT * FROM manuscripts WHERE id = ? AND user_id = ?'
-        ).bind(manuscriptId, userId).first();
+          'SELECT * FROM manuscripts WHERE id = ?'
+        ).bind(manuscriptId).first();
 
         if (result && result.metadata) {
           result.metadata = JSON.parse(result.metadata);
@@ -69,6 +69,15 @@ export class ValidationError extends AppError {
   }
 }
 
+/**
+ * 402 - Not enough allowance or credits to cover the request
+ */
+export class PaymentRequiredError extends AppError {
+  constructor(message = 'Payment required', details = null) {
+    super(message, 402, 'PAYMENT_REQUIRED', details);
+  }
+}
+
 /**
  * 404 - Resource not found
  */
@@ -98,6 +107,15 @@ export class ConflictError extends AppError {
   }
 }
 
+/**
+ * 451 - Content withheld for legal reasons (e.g., a DMCA takedown)
+ */
+export class UnavailableForLegalReasonsError extends AppError {
+  constructor(message = 'Unavailable for legal reasons', details = null) {
+    super(message, 451, 'UNAVAILABLE_FOR_LEGAL_REASONS', details);
+  }
+}
+
 /**
  * 500 - Internal server error
  */
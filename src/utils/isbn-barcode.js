@@ -0,0 +1,147 @@
+/**
+ * ISBN Barcodes
+ *
+ * EAN-13 ("Bookland") encoding for ISBNs with the 5-digit price add-on that
+ * print distributors expect on the back cover. Produces module patterns only;
+ * drawing is up to the caller (see generators/print-cover-generator.js).
+ */
+
+import { ValidationError } from './error-handling.js';
+
+// Left-hand odd (L), left-hand even (G) and right-hand (R) digit patterns
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const G_CODES = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const R_CODES = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+
+// Parity of the six left-hand digits, selected by the first digit
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Parity of the five add-on digits, selected by the add-on checksum
+const EAN5_PARITY = ['GGLLL', 'GLGLL', 'GLLGL', 'GLLLG', 'LGGLL', 'LLGGL', 'LLLGG', 'LGLGL', 'LGLLG', 'LLGLG'];
+
+/**
+ * Add-on meaning "no suggested retail price"
+ */
+export const NO_PRICE_ADDON = '90000';
+
+/**
+ * Check digit for the first 12 digits of an ISBN-13/EAN-13
+ */
+export function ean13CheckDigit(digits12) {
+  const sum = [...digits12].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Normalize an ISBN-10 or ISBN-13 (with or without hyphens) to 13 digits
+ *
+ * @param {string} value - ISBN as entered
+ * @returns {string} 13-digit ISBN
+ * @throws {ValidationError} If the ISBN is malformed or its check digit is wrong
+ */
+export function normalizeISBN(value) {
+  const compact = String(value || '').replace(/^ISBN(?:-1[03])?:?\s*/i, '').replace(/[\s-]/g, '').toUpperCase();
+
+  if (/^\d{9}[\dX]$/.test(compact)) {
+    const sum = [...compact].reduce((total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+    if (sum % 11 !== 0) {
+      throw new ValidationError(`Invalid ISBN-10 check digit: ${value}`);
+    }
+    const body = `978${compact.slice(0, 9)}`;
+    return body + ean13CheckDigit(body);
+  }
+
+  if (!/^97[89]\d{10}$/.test(compact)) {
+    throw new ValidationError(`Invalid ISBN: ${value}`);
+  }
+  if (ean13CheckDigit(compact.slice(0, 12)) !== compact[12]) {
+    throw new ValidationError(`Invalid ISBN-13 check digit: ${value}`);
+  }
+  return compact;
+}
+
+/**
+ * Hyphen-free display form used above the barcode ("ISBN 978-1234567897")
+ */
+export function formatISBN(isbn13) {
+  return `ISBN ${isbn13.slice(0, 3)}-${isbn13.slice(3)}`;
+}
+
+/**
+ * Price add-on for a US dollar price ("19.99" -> "51999")
+ * Prices of $100 or more and missing prices encode as 90000.
+ */
+export function priceAddon(price) {
+  const cents = Math.round(Number(price) * 100);
+  if (!price || !Number.isFinite(cents) || cents <= 0 || cents > 9999) {
+    return NO_PRICE_ADDON;
+  }
+  return `5${String(cents).padStart(4, '0')}`;
+}
+
+/**
+ * EAN-13 module pattern: 95 modules of '1' (bar) and '0' (space)
+ */
+export function encodeEAN13(digits) {
+  if (!/^\d{13}$/.test(digits)) {
+    throw new ValidationError('EAN-13 requires 13 digits');
+  }
+
+  const parity = EAN13_PARITY[Number(digits[0])];
+  let pattern = '101';
+  for (let index = 1; index <= 6; index++) {
+    pattern += (parity[index - 1] === 'L' ? L_CODES : G_CODES)[Number(digits[index])];
+  }
+  pattern += '01010';
+  for (let index = 7; index <= 12; index++) {
+    pattern += R_CODES[Number(digits[index])];
+  }
+  return `${pattern}101`;
+}
+
+/**
+ * EAN-5 add-on module pattern: 47 modules
+ */
+export function encodeEAN5(digits) {
+  if (!/^\d{5}$/.test(digits)) {
+    throw new ValidationError('EAN-5 add-on requires 5 digits');
+  }
+
+  const checksum = [...digits].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 9), 0) % 10;
+  const parity = EAN5_PARITY[checksum];
+  return '1011' + [...digits]
+    .map((digit, index) => (parity[index] === 'L' ? L_CODES : G_CODES)[Number(digit)])
+    .join('01');
+}
+
+/**
+ * Convert a module pattern into bar runs
+ *
+ * @returns {Array<{start: number, width: number}>} Bars in modules
+ */
+export function patternToBars(pattern) {
+  const bars = [];
+  for (let index = 0; index < pattern.length; index++) {
+    if (pattern[index] !== '1') {
+      continue;
+    }
+    const previous = bars[bars.length - 1];
+    if (previous && previous.start + previous.width === index) {
+      previous.width++;
+    } else {
+      bars.push({ start: index, width: 1 });
+    }
+  }
+  return bars;
+}
+
+export default {
+  NO_PRICE_ADDON,
+  ean13CheckDigit,
+  normalizeISBN,
+  formatISBN,
+  priceAddon,
+  encodeEAN13,
+  encodeEAN5,
+  patternToBars,
+};
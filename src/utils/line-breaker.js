@@ -0,0 +1,446 @@
+/**
+ * Line Breaker
+ *
+ * Breaks paragraphs into justified lines for print typesetting, using the
+ * Knuth-Plass total-fit algorithm (the one TeX uses) with a greedy first-fit
+ * fallback. A paragraph is a list of items:
+ *
+ *   box     - Unbreakable text: { type: 'box', width, text, style }
+ *   glue    - Stretchable space: { type: 'glue', width, stretch, shrink }
+ *   penalty - Possible break: { type: 'penalty', width, penalty, flagged }
+ *
+ * A penalty of -INFINITY forces a break and +INFINITY forbids one. Flagged
+ * penalties are hyphenation points (their width is the hyphen drawn when the
+ * line breaks there); consecutive hyphenated lines cost extra.
+ *
+ * Widths are in points and measured by the caller, so the breaker works with
+ * any font: measure(text, style) => width.
+ */
+
+import enUs from 'hyphen/en-us/index.js';
+
+export const INFINITY = 10000;
+
+export const LINE_BREAK_CONFIG = {
+  TOLERANCE: 2,             // Largest adjustment ratio for a feasible line
+  EMERGENCY_TOLERANCE: 10,  // Second pass before falling back to greedy
+  LINE_PENALTY: 10,
+  HYPHEN_PENALTY: 50,
+  EXPLICIT_HYPHEN_PENALTY: 50,
+  FLAGGED_DEMERITS: 3000,   // Two hyphenated lines in a row
+  FITNESS_DEMERITS: 3000,   // Tight line next to a loose one
+  MIN_HYPHENATE_LENGTH: 6,
+  SPACE_STRETCH: 1 / 2,     // Of the space width
+  SPACE_SHRINK: 1 / 3
+};
+
+const hyphenationCache = new Map();
+
+/**
+ * Split a word into hyphenation fragments ('typesetting' -> ['type', 'set', 'ting'])
+ * Capitalized words (names) and words with digits are never hyphenated.
+ */
+export function hyphenateWord(word) {
+  if (word.length < LINE_BREAK_CONFIG.MIN_HYPHENATE_LENGTH || !/^\p{Ll}+$/u.test(word)) {
+    return [word];
+  }
+
+  if (!hyphenationCache.has(word)) {
+    const fragments = enUs.hyphenateSync(word, { hyphenChar: '\u00AD' }).split('\u00AD');
+    // Keep at least two letters before and three after any break
+    const merged = [];
+    for (const fragment of fragments) {
+      if (merged.length > 0 && (merged.join('').length < 2 || fragment.length < 2)) {
+        merged[merged.length - 1] += fragment;
+      } else {
+        merged.push(fragment);
+      }
+    }
+    while (merged.length > 1 && merged[merged.length - 1].length < 3) {
+      const last = merged.pop();
+      merged[merged.length - 1] += last;
+    }
+    hyphenationCache.set(word, merged);
+  }
+  return hyphenationCache.get(word);
+}
+
+const box = (width, text, style) => ({ type: 'box', width, text, style });
+const glue = (width, stretch, shrink) => ({ type: 'glue', width, stretch, shrink });
+const penalty = (width, value, flagged = false) => ({ type: 'penalty', width, penalty: value, flagged });
+
+/**
+ * Add the boxes and break points for one run of word text in a single style
+ */
+function pushWordFragment(items, text, style, measure, hyphenate) {
+  // Break after explicit hyphens and dashes ("well-known", "then—")
+  const parts = text.split(/(?<=[-–—])(?=.)/u);
+
+  parts.forEach((part, partIndex) => {
+    const [, lead, core, trail] = part.match(/^(\P{L}*)(\p{L}*)(.*)$/su);
+    const fragments = hyphenate && !trail.match(/\p{L}/u) ? hyphenateWord(core) : [core];
+
+    fragments.forEach((fragment, index) => {
+      const first = index === 0;
+      const last = index === fragments.length - 1;
+      const boxText = (first ? lead : '') + fragment + (last ? trail : '');
+      items.push(box(measure(boxText, style), boxText, style));
+      if (!last) {
+        items.push(penalty(measure('-', style), LINE_BREAK_CONFIG.HYPHEN_PENALTY, true));
+      }
+    });
+
+    if (partIndex < parts.length - 1) {
+      items.push(penalty(0, LINE_BREAK_CONFIG.EXPLICIT_HYPHEN_PENALTY, true));
+    }
+  });
+}
+
+/**
+ * Turn styled spans into line breaking items
+ *
+ * @param {Array<Object>} spans - [{ text, bold, italic }]
+ * @param {Object} options
+ * @param {Function} options.measure - (text, style) => width in points
+ * @param {number} options.indent - First-line indent in points
+ * @param {boolean} options.hyphenate - Add hyphenation points (default true)
+ * @returns {Array<Object>} Items ending with a forced break
+ */
+export function buildParagraphItems(spans, { measure, indent = 0, hyphenate = true }) {
+  const items = [];
+  if (indent > 0) {
+    items.push(box(indent, '', null));
+  }
+
+  // Words may cross spans ("*never*,"), so collect fragments between spaces
+  let word = [];
+  let pendingSpace = null;
+  let hasText = false;
+
+  const flushWord = () => {
+    if (word.length === 0) {
+      return;
+    }
+    if (pendingSpace && hasText) {
+      const width = measure(' ', pendingSpace);
+      items.push(glue(width, width * LINE_BREAK_CONFIG.SPACE_STRETCH, width * LINE_BREAK_CONFIG.SPACE_SHRINK));
+    }
+    // Only single-style words are hyphenated
+    const single = word.length === 1;
+    for (const fragment of word) {
+      pushWordFragment(items, fragment.text, fragment.style, measure, hyphenate && single);
+    }
+    word = [];
+    pendingSpace = null;
+    hasText = true;
+  };
+
+  for (const span of spans) {
+    const style = { bold: Boolean(span.bold), italic: Boolean(span.italic) };
+    const text = String(span.text || '').replace(/[\u00AD\u200B]/g, '');
+
+    for (const token of text.split(/([ \t\r\n]+)/)) {
+      if (!token) {
+        continue;
+      }
+      if (/^[ \t\r\n]+$/.test(token)) {
+        if (word.length > 0) {
+          const lastStyle = word[word.length - 1].style;
+          flushWord();
+          pendingSpace = lastStyle;
+        } else if (hasText) {
+          pendingSpace = pendingSpace || style;
+        }
+        continue;
+      }
+      word.push({ text: token, style });
+    }
+  }
+  flushWord();
+
+  // Finish with infinitely stretchable glue so the last line is ragged
+  items.push(penalty(0, INFINITY));
+  items.push(glue(0, INFINITY, 0));
+  items.push(penalty(0, -INFINITY));
+  return items;
+}
+
+function isBreakpoint(items, index) {
+  const item = items[index];
+  if (item.type === 'glue') {
+    return index > 0 && items[index - 1].type === 'box';
+  }
+  return item.type === 'penalty' && item.penalty < INFINITY;
+}
+
+/**
+ * Running totals of width, stretch and shrink before each item
+ */
+function prefixSums(items) {
+  const sums = [{ width: 0, stretch: 0, shrink: 0 }];
+  for (const item of items) {
+    const previous = sums[sums.length - 1];
+    sums.push({
+      width: previous.width + (item.type === 'penalty' ? 0 : item.width),
+      stretch: previous.stretch + (item.type === 'glue' ? item.stretch : 0),
+      shrink: previous.shrink + (item.type === 'glue' ? item.shrink : 0)
+    });
+  }
+  return sums;
+}
+
+/**
+ * First item of the line that follows a break (glue and penalties are discarded)
+ */
+function lineStartAfter(items, breakIndex) {
+  let index = breakIndex + 1;
+  while (index < items.length && items[index].type !== 'box') {
+    if (items[index].type === 'penalty' && items[index].penalty === -INFINITY) {
+      break;
+    }
+    index++;
+  }
+  return index;
+}
+
+function lineWidthGetter(lineWidths) {
+  if (!Array.isArray(lineWidths)) {
+    return () => lineWidths;
+  }
+  return line => lineWidths[Math.min(line, lineWidths.length - 1)];
+}
+
+/**
+ * Adjustment ratio of a line from start up to a break: 0 is natural spacing,
+ * 1 uses all the stretch, -1 all the shrink
+ */
+function adjustmentRatio(items, sums, start, end, target) {
+  let width = sums[end].width - sums[start].width;
+  if (items[end].type === 'penalty') {
+    width += items[end].width;
+  }
+
+  if (width < target) {
+    const stretch = sums[end].stretch - sums[start].stretch;
+    return stretch > 0 ? (target - width) / stretch : INFINITY;
+  }
+  if (width > target) {
+    const shrink = sums[end].shrink - sums[start].shrink;
+    return shrink > 0 ? (target - width) / shrink : -INFINITY;
+  }
+  return 0;
+}
+
+function fitnessClass(ratio) {
+  if (ratio < -0.5) return 0;
+  if (ratio <= 0.5) return 1;
+  if (ratio <= 1) return 2;
+  return 3;
+}
+
+/**
+ * Knuth-Plass optimal line breaking
+ *
+ * @param {Array<Object>} items - Paragraph items
+ * @param {number|Array<number>} lineWidths - Width of every line, or of each
+ *   line in turn (the last entry applies to the rest)
+ * @param {Object} options - { tolerance }
+ * @returns {Array<Object>|null} Breaks [{ position, ratio }], or null if no
+ *   set of breaks keeps every line within tolerance
+ */
+export function breakLinesOptimal(items, lineWidths, { tolerance = LINE_BREAK_CONFIG.TOLERANCE } = {}) {
+  const widthAt = lineWidthGetter(lineWidths);
+  const sums = prefixSums(items);
+  let active = [{ position: -1, start: lineStartAfter(items, -1), line: 0, fitness: 1, demerits: 0, ratio: 0, previous: null }];
+
+  for (let index = 0; index < items.length; index++) {
+    if (!isBreakpoint(items, index)) {
+      continue;
+    }
+
+    const item = items[index];
+    const forced = item.type === 'penalty' && item.penalty === -INFINITY;
+    const best = [null, null, null, null];
+    const remaining = [];
+
+    for (const node of active) {
+      const ratio = adjustmentRatio(items, sums, node.start, index, widthAt(node.line));
+
+      if (ratio >= -1 && !forced) {
+        remaining.push(node);
+      }
+      if (ratio < -1 || ratio > tolerance) {
+        continue;
+      }
+
+      const badness = 100 * Math.abs(ratio) ** 3;
+      let demerits = (LINE_BREAK_CONFIG.LINE_PENALTY + badness) ** 2;
+      if (item.type === 'penalty' && item.penalty > 0) {
+        demerits += item.penalty ** 2;
+      } else if (item.type === 'penalty' && !forced) {
+        demerits -= item.penalty ** 2;
+      }
+
+      const previousItem = items[node.position];
+      if (item.flagged && previousItem?.flagged) {
+        demerits += LINE_BREAK_CONFIG.FLAGGED_DEMERITS;
+      }
+
+      const fitness = fitnessClass(ratio);
+      if (node.previous && Math.abs(fitness - node.fitness) > 1) {
+        demerits += LINE_BREAK_CONFIG.FITNESS_DEMERITS;
+      }
+      demerits += node.demerits;
+
+      if (!best[fitness] || demerits < best[fitness].demerits) {
+        best[fitness] = { demerits, ratio, node };
+      }
+    }
+
+    active = remaining;
+    const start = lineStartAfter(items, index);
+    for (let fitness = 0; fitness < best.length; fitness++) {
+      const candidate = best[fitness];
+      if (candidate) {
+        active.push({
+          position: index,
+          start,
+          line: candidate.node.line + 1,
+          fitness,
+          demerits: candidate.demerits,
+          ratio: candidate.ratio,
+          previous: candidate.node
+        });
+      }
+    }
+
+    if (active.length === 0) {
+      return null;
+    }
+  }
+
+  let node = active.reduce((best, candidate) => (candidate.demerits < best.demerits ? candidate : best));
+  const breaks = [];
+  while (node.previous) {
+    breaks.unshift({ position: node.position, ratio: node.ratio });
+    node = node.previous;
+  }
+  return breaks;
+}
+
+/**
+ * Greedy first-fit line breaking: each line takes as much as fits
+ * Always succeeds; a word wider than the line overflows it.
+ */
+export function breakLinesGreedy(items, lineWidths) {
+  const widthAt = lineWidthGetter(lineWidths);
+  const sums = prefixSums(items);
+  const breaks = [];
+  let start = lineStartAfter(items, -1);
+  let candidate = null;
+
+  for (let index = 0; index < items.length; index++) {
+    if (!isBreakpoint(items, index)) {
+      continue;
+    }
+
+    const item = items[index];
+    const ratio = adjustmentRatio(items, sums, start, index, widthAt(breaks.length));
+
+    if (ratio >= -1) {
+      candidate = { position: index, ratio };
+      if (item.type === 'penalty' && item.penalty === -INFINITY) {
+        breaks.push(candidate);
+        start = lineStartAfter(items, index);
+        candidate = null;
+      }
+      continue;
+    }
+
+    const chosen = candidate || { position: index, ratio };
+    breaks.push(chosen);
+    start = lineStartAfter(items, chosen.position);
+    candidate = null;
+    index = chosen.position;
+  }
+
+  return breaks;
+}
+
+/**
+ * Break a paragraph into lines
+ *
+ * @param {Array<Object>} items - From buildParagraphItems
+ * @param {number|Array<number>} lineWidths - Line width(s) in points
+ * @param {Object} options - { method: 'optimal' (default) or 'greedy' }
+ * @returns {Array<Object>} Lines: { items, ratio, width, hyphenated }
+ */
+export function breakParagraph(items, lineWidths, { method = 'optimal' } = {}) {
+  let breaks = null;
+  if (method === 'optimal') {
+    breaks = breakLinesOptimal(items, lineWidths)
+      || breakLinesOptimal(items, lineWidths, { tolerance: LINE_BREAK_CONFIG.EMERGENCY_TOLERANCE });
+  }
+  if (!breaks) {
+    breaks = breakLinesGreedy(items, lineWidths);
+  }
+
+  const widthAt = lineWidthGetter(lineWidths);
+  const lines = [];
+  let start = lineStartAfter(items, -1);
+
+  breaks.forEach(({ position, ratio }, line) => {
+    const lineItems = items.slice(start, position).filter(item => item.type !== 'penalty');
+    const breakItem = items[position];
+    const hyphenated = breakItem.type === 'penalty' && breakItem.flagged && breakItem.width > 0;
+
+    if (hyphenated) {
+      const lastBox = [...lineItems].reverse().find(item => item.type === 'box');
+      lineItems.push(box(breakItem.width, '-', lastBox?.style || null));
+    }
+    lines.push({ items: lineItems, ratio: Math.max(ratio, -1), width: widthAt(line), hyphenated });
+    start = lineStartAfter(items, position);
+  });
+
+  return lines;
+}
+
+/**
+ * Position every box of a line
+ *
+ * @param {Object} line - From breakParagraph
+ * @param {Object} options - { justify: stretch glue to the full width (default true) }
+ * @returns {Array<Object>} [{ text, style, x, width }] with x from the line start
+ */
+export function positionLine(line, { justify = true } = {}) {
+  // The last line of a paragraph is set at its natural spacing
+  const finalLine = line.items.some(item => item.type === 'glue' && item.stretch >= INFINITY);
+  const ratio = justify && !finalLine ? line.ratio : Math.min(line.ratio, 0);
+  const positioned = [];
+  let x = 0;
+
+  for (const item of line.items) {
+    if (item.type === 'glue') {
+      // The finishing glue of the last line has no visible width
+      if (item.stretch < INFINITY) {
+        x += item.width + (ratio >= 0 ? ratio * item.stretch : ratio * item.shrink);
+      }
+      continue;
+    }
+    if (item.text) {
+      positioned.push({ text: item.text, style: item.style, x, width: item.width });
+    }
+    x += item.width;
+  }
+
+  return positioned;
+}
+
+/**
+ * Natural width of a positioned line (for centering ragged lines)
+ */
+export function measureLine(line) {
+  const positioned = positionLine(line, { justify: false });
+  const last = positioned[positioned.length - 1];
+  return last ? last.x + last.width : 0;
+}
@@ -0,0 +1,315 @@
+/**
+ * Manuscript Diff
+ *
+ * Compares two drafts of a manuscript chapter by chapter and word by word:
+ * - Chapters are matched by title; chapters that were renamed in place are
+ *   matched when most of their words survived, the rest count as added or
+ *   removed
+ * - Inside a chapter, paragraphs are aligned first and words are only
+ *   compared within paragraphs that changed, so a long chapter with a few
+ *   edits stays cheap to diff
+ *
+ * Both steps use the LCS diff from services/change-detector.js.
+ */
+
+import { diffSequences } from '../services/change-detector.js';
+import { chapterToText } from './manuscript-model.js';
+
+export const MANUSCRIPT_DIFF_CONFIG = {
+  CONTEXT_WORDS: 8,           // Unchanged words shown either side of a change
+  MAX_CHANGES_PER_CHAPTER: 100,
+  RENAME_SIMILARITY: 0.5      // Word overlap needed to pair a retitled chapter
+};
+
+/**
+ * Split text into words (punctuation stays attached, so "said." vs "said!" is a change)
+ */
+export function splitWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean);
+}
+
+function splitParagraphs(text) {
+  return (text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Chapter title reduced to lowercase words, for matching chapters across drafts
+ */
+export function normalizeTitle(title) {
+  return (title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function similarity(unchanged, oldCount, newCount) {
+  return oldCount + newCount === 0 ? 1 : Math.round(2000 * unchanged / (oldCount + newCount)) / 1000;
+}
+
+/**
+ * Share of distinct words two texts have in common (cheap, order-independent)
+ */
+function wordOverlap(oldWords, newWords) {
+  const oldSet = new Set(oldWords.map(word => word.toLowerCase()));
+  const newSet = new Set(newWords.map(word => word.toLowerCase()));
+  if (oldSet.size === 0 && newSet.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  for (const word of newSet) {
+    if (oldSet.has(word)) shared++;
+  }
+  return shared / Math.max(oldSet.size, newSet.size);
+}
+
+/**
+ * Word-level diff of two texts
+ *
+ * @param {string} oldText - Previous draft
+ * @param {string} newText - Current draft
+ * @param {Object} options - { contextWords, maxChanges }
+ * @returns {Object} { oldWordCount, newWordCount, wordsAdded, wordsRemoved, wordsUnchanged,
+ *   similarity, changeCount, truncated, changes: [{ type, oldWordIndex, newWordIndex, removed, added, before, after }] }
+ */
+export function diffWords(oldText, newText, options = {}) {
+  const {
+    contextWords = MANUSCRIPT_DIFF_CONFIG.CONTEXT_WORDS,
+    maxChanges = MANUSCRIPT_DIFF_CONFIG.MAX_CHANGES_PER_CHAPTER
+  } = options;
+
+  const oldParagraphs = splitParagraphs(oldText);
+  const newParagraphs = splitParagraphs(newText);
+  const newWords = splitWords(newText);
+
+  const changes = [];
+  let changeCount = 0;
+  let wordsAdded = 0;
+  let wordsRemoved = 0;
+  let wordsUnchanged = 0;
+  let oldPosition = 0;
+  let newPosition = 0;
+
+  const record = (removed, added) => {
+    wordsRemoved += removed.words.length;
+    wordsAdded += added.words.length;
+    changeCount++;
+    if (changes.length >= maxChanges) {
+      return;
+    }
+    const type = removed.words.length === 0 ? 'added' : added.words.length === 0 ? 'removed' : 'replaced';
+    const afterStart = added.index + added.words.length;
+    changes.push({
+      type,
+      oldWordIndex: removed.index,
+      newWordIndex: added.index,
+      removed: removed.words.join(' '),
+      added: added.words.join(' '),
+      before: newWords.slice(Math.max(0, added.index - contextWords), added.index).join(' '),
+      after: newWords.slice(afterStart, afterStart + contextWords).join(' ')
+    });
+  };
+
+  // Words of one block of changed paragraphs, compared word by word
+  const diffBlock = (oldBlock, newBlock) => {
+    const runs = diffSequences(splitWords(oldBlock.join(' ')), splitWords(newBlock.join(' ')));
+    let removed = null;
+    let added = null;
+
+    const flush = () => {
+      if (removed || added) {
+        record(removed || { index: oldPosition, words: [] }, added || { index: newPosition, words: [] });
+      }
+      removed = null;
+      added = null;
+    };
+
+    for (const run of runs) {
+      if (run.type === 'equal') {
+        flush();
+        wordsUnchanged += run.items.length;
+        oldPosition += run.items.length;
+        newPosition += run.items.length;
+      } else if (run.type === 'removed') {
+        removed = { index: oldPosition, words: run.items };
+        oldPosition += run.items.length;
+      } else {
+        added = { index: newPosition, words: run.items };
+        newPosition += run.items.length;
+      }
+    }
+    flush();
+  };
+
+  let oldBlock = [];
+  let newBlock = [];
+  for (const run of diffSequences(oldParagraphs, newParagraphs)) {
+    if (run.type === 'equal') {
+      diffBlock(oldBlock, newBlock);
+      oldBlock = [];
+      newBlock = [];
+      const count = run.items.reduce((sum, paragraph) => sum + splitWords(paragraph).length, 0);
+      wordsUnchanged += count;
+      oldPosition += count;
+      newPosition += count;
+    } else if (run.type === 'removed') {
+      oldBlock.push(...run.items);
+    } else {
+      newBlock.push(...run.items);
+    }
+  }
+  diffBlock(oldBlock, newBlock);
+
+  return {
+    oldWordCount: oldPosition,
+    newWordCount: newPosition,
+    wordsAdded,
+    wordsRemoved,
+    wordsUnchanged,
+    similarity: similarity(wordsUnchanged, oldPosition, newPosition),
+    changeCount,
+    truncated: changeCount > changes.length,
+    changes
+  };
+}
+
+/**
+ * Chapters of a manuscript model as { title, text } for diffChapters
+ */
+export function chaptersFromModel(model) {
+  return model.chapters.map(chapter => ({
+    title: chapter.title || `Section ${chapter.number}`,
+    text: chapterToText(chapter, { includeTitle: false })
+  }));
+}
+
+/**
+ * Pair the chapters of two drafts
+ * Returns [{ oldIndex, newIndex }] in reading order of the new draft, with
+ * removed chapters (newIndex null) where they used to be.
+ */
+function matchChapters(oldChapters, newChapters) {
+  const runs = diffSequences(oldChapters, newChapters, { key: chapter => normalizeTitle(chapter.title) });
+  const pairs = [];
+
+  const pairBlock = (removedIndexes, addedIndexes) => {
+    // Retitled chapters stay in place; pair them by position when their text overlaps
+    const unmatched = [...removedIndexes];
+    for (const newIndex of addedIndexes) {
+      const oldIndex = unmatched[0];
+      if (oldIndex !== undefined && wordOverlap(
+        splitWords(oldChapters[oldIndex].text),
+        splitWords(newChapters[newIndex].text)
+      ) >= MANUSCRIPT_DIFF_CONFIG.RENAME_SIMILARITY) {
+        unmatched.shift();
+        pairs.push({ oldIndex, newIndex });
+      } else {
+        pairs.push({ oldIndex: null, newIndex });
+      }
+    }
+    unmatched.forEach(oldIndex => pairs.push({ oldIndex, newIndex: null }));
+  };
+
+  let removed = [];
+  let added = [];
+  for (const run of runs) {
+    if (run.type === 'equal') {
+      pairBlock(removed, added);
+      removed = [];
+      added = [];
+      run.items.forEach((_, i) => pairs.push({ oldIndex: run.oldIndex + i, newIndex: run.newIndex + i }));
+    } else if (run.type === 'removed') {
+      run.items.forEach((_, i) => removed.push(run.oldIndex + i));
+    } else {
+      run.items.forEach((_, i) => added.push(run.newIndex + i));
+    }
+  }
+  pairBlock(removed, added);
+
+  return pairs;
+}
+
+/**
+ * Chapter-level diff of two drafts with word-level changes per chapter
+ *
+ * @param {Array<Object>} oldChapters - [{ title, text }] of the previous draft
+ * @param {Array<Object>} newChapters - [{ title, text }] of the current draft
+ * @param {Object} options - { contextWords, maxChanges, includeChanges }
+ * @returns {Object} { summary, chapters: [{ status, oldIndex, newIndex, oldTitle, newTitle,
+ *   renamed, oldWordCount, newWordCount, wordsAdded, wordsRemoved, similarity, changes }] }
+ */
+export function diffChapters(oldChapters, newChapters, options = {}) {
+  const { includeChanges = true } = options;
+  const summary = {
+    oldChapterCount: oldChapters.length,
+    newChapterCount: newChapters.length,
+    chaptersAdded: 0,
+    chaptersRemoved: 0,
+    chaptersModified: 0,
+    chaptersUnchanged: 0,
+    oldWordCount: 0,
+    newWordCount: 0,
+    wordsAdded: 0,
+    wordsRemoved: 0,
+    wordsUnchanged: 0,
+    similarity: 1
+  };
+
+  const chapters = matchChapters(oldChapters, newChapters).map(({ oldIndex, newIndex }) => {
+    const oldChapter = oldIndex === null ? null : oldChapters[oldIndex];
+    const newChapter = newIndex === null ? null : newChapters[newIndex];
+    const diff = diffWords(oldChapter?.text || '', newChapter?.text || '', options);
+
+    let status = 'modified';
+    if (!oldChapter) {
+      status = 'added';
+    } else if (!newChapter) {
+      status = 'removed';
+    } else if (diff.changeCount === 0 && oldChapter.title === newChapter.title) {
+      status = 'unchanged';
+    }
+
+    summary[`chapters${status[0].toUpperCase()}${status.slice(1)}`]++;
+    summary.oldWordCount += diff.oldWordCount;
+    summary.newWordCount += diff.newWordCount;
+    summary.wordsAdded += diff.wordsAdded;
+    summary.wordsRemoved += diff.wordsRemoved;
+    summary.wordsUnchanged += diff.wordsUnchanged;
+
+    return {
+      status,
+      oldIndex,
+      newIndex,
+      oldTitle: oldChapter?.title ?? null,
+      newTitle: newChapter?.title ?? null,
+      renamed: Boolean(oldChapter && newChapter && oldChapter.title !== newChapter.title),
+      oldWordCount: diff.oldWordCount,
+      newWordCount: diff.newWordCount,
+      wordsAdded: diff.wordsAdded,
+      wordsRemoved: diff.wordsRemoved,
+      similarity: diff.similarity,
+      changeCount: diff.changeCount,
+      ...(includeChanges && { changes: diff.changes, truncated: diff.truncated })
+    };
+  });
+
+  summary.similarity = similarity(summary.wordsUnchanged, summary.oldWordCount, summary.newWordCount);
+
+  return { summary, chapters };
+}
+
+/**
+ * Diff two manuscript models
+ */
+export function diffManuscripts(oldModel, newModel, options = {}) {
+  return diffChapters(chaptersFromModel(oldModel), chaptersFromModel(newModel), options);
+}
+
+export default {
+  MANUSCRIPT_DIFF_CONFIG,
+  splitWords,
+  normalizeTitle,
+  diffWords,
+  chaptersFromModel,
+  diffChapters,
+  diffManuscripts
+};
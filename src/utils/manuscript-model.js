@@ -0,0 +1,591 @@
+/**
+ * Manuscript Document Model
+ *
+ * Intermediate, format-independent representation of a manuscript:
+ *
+ *   model
+ *   └── chapters[]        { number, title, scenes[] }
+ *       └── scenes[]      { paragraphs[] }
+ *           └── paragraphs[]  { type, spans[] }
+ *               └── spans[]   { text, italic?, bold? }
+ *
+ * Paragraph types: 'paragraph', 'heading' (sub-headings inside a chapter),
+ * 'blockquote' and 'list-item'. Chapter headings and scene breaks are
+ * structural and live on the chapter/scene level instead.
+ *
+ * DOCX files are read from their paragraph styles and character formatting
+ * (headings, italics, block quotes, scene-break styles). Every other format
+ * goes through plain-text extraction and heading heuristics, so agents and
+ * generators can consume one shape regardless of the upload format.
+ */
+
+import mammoth from 'mammoth';
+import { extractText, countWords } from './text-extraction.js';
+import { classifyHeading, isBodySection, SECTION_KINDS } from './chapter-segmentation.js';
+
+export const MODEL_VERSION = 1;
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Scene-break markers authors type by hand ("***", "* * *", "#", "~", "⁂")
+ */
+const SCENE_BREAK_PATTERN = /^\s*(?:(?:[*#~•·]\s*){1,5}|⁂)\s*$/;
+
+/**
+ * Mammoth style map: Word paragraph styles -> semantic HTML we parse below
+ * Heading 1-6 are mapped to h1-h6 by mammoth's defaults.
+ */
+const DOCX_STYLE_MAP = [
+  "p[style-name='Title'] => p.book-title:fresh",
+  'p.Title => p.book-title:fresh',
+  "p[style-name='Subtitle'] => p.book-subtitle:fresh",
+  "p[style-name='Chapter Title'] => h1:fresh",
+  "p[style-name='Chapter Heading'] => h1:fresh",
+  "p[style-name='Scene Break'] => p.scene-break:fresh",
+  "p[style-name='Separator'] => p.scene-break:fresh",
+  "p[style-name='Quote'] => blockquote > p:fresh",
+  'p.Quote => blockquote > p:fresh',
+  "p[style-name='Intense Quote'] => blockquote > p:fresh",
+  "p[style-name='Block Text'] => blockquote > p:fresh",
+  "p[style-name='Block Quote'] => blockquote > p:fresh"
+];
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decode the HTML entities mammoth emits
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Merge adjacent spans with identical formatting and drop empty ones
+ */
+function normalizeSpans(spans) {
+  const merged = [];
+
+  for (const span of spans) {
+    if (!span.text) {
+      continue;
+    }
+    const last = merged[merged.length - 1];
+    if (last && !!last.italic === !!span.italic && !!last.bold === !!span.bold) {
+      last.text += span.text;
+    } else {
+      merged.push({ ...span });
+    }
+  }
+
+  if (merged.length > 0) {
+    merged[0].text = merged[0].text.replace(/^\s+/, '');
+    merged[merged.length - 1].text = merged[merged.length - 1].text.replace(/\s+$/, '');
+  }
+
+  return merged
+    .map(span => ({ ...span, text: span.text.replace(/\s+/g, ' ') }))
+    .filter(span => span.text.length > 0);
+}
+
+/**
+ * Plain text of a list of spans
+ */
+export function spansToText(spans) {
+  return spans.map(span => span.text).join('');
+}
+
+/**
+ * Parse the HTML produced by mammoth into a flat list of blocks
+ * @param {string} html - Mammoth HTML output
+ * @returns {Array<Object>} Blocks: { kind, level?, className?, spans }
+ */
+export function parseMammothHTML(html) {
+  const blocks = [];
+  const tokenPattern = /<(\/?)([a-z][a-z0-9]*)([^>]*?)(\/?)>|([^<]+)/gi;
+
+  let current = null;
+  let inBlockquote = 0;
+  let italicDepth = 0;
+  let boldDepth = 0;
+
+  const openBlock = (kind, extra = {}) => {
+    current = { kind, spans: [], ...extra };
+  };
+  const closeBlock = () => {
+    if (current) {
+      current.spans = normalizeSpans(current.spans);
+      blocks.push(current);
+      current = null;
+    }
+  };
+
+  let match;
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [, closing, rawTag, attributes, selfClosing, text] = match;
+
+    if (text !== undefined) {
+      if (!current) {
+        if (!text.trim()) {
+          continue;
+        }
+        openBlock('paragraph');
+      }
+      current.spans.push({
+        text: decodeEntities(text),
+        ...(italicDepth > 0 && { italic: true }),
+        ...(boldDepth > 0 && { bold: true })
+      });
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    const headingMatch = tag.match(/^h([1-6])$/);
+
+    if (tag === 'em' || tag === 'i') {
+      italicDepth += closing ? -1 : 1;
+    } else if (tag === 'strong' || tag === 'b') {
+      boldDepth += closing ? -1 : 1;
+    } else if (tag === 'br' || selfClosing) {
+      if (current && tag === 'br') {
+        current.spans.push({ text: ' ' });
+      }
+    } else if (tag === 'blockquote') {
+      inBlockquote += closing ? -1 : 1;
+    } else if (headingMatch) {
+      if (closing) {
+        closeBlock();
+      } else {
+        closeBlock();
+        openBlock('heading', { level: Number(headingMatch[1]) });
+      }
+    } else if (tag === 'p' || tag === 'li') {
+      if (closing) {
+        closeBlock();
+      } else {
+        closeBlock();
+        const className = attributes.match(/class="([^"]*)"/)?.[1];
+        const kind = tag === 'li' ? 'list-item' : (inBlockquote > 0 ? 'blockquote' : 'paragraph');
+        openBlock(kind, className ? { className } : {});
+      }
+    }
+  }
+
+  closeBlock();
+  return blocks;
+}
+
+/**
+ * Heuristic section heading check for untagged paragraphs
+ * (numbered and spelled-out chapters, prologues, parts, front/back matter)
+ */
+function looksLikeSectionHeading(text) {
+  return classifyHeading(text) !== null;
+}
+
+/**
+ * Whether a styled heading is a Part/Book divider
+ */
+function isPartHeading(block) {
+  return classifyHeading(spansToText(block.spans), { styled: true })?.kind === SECTION_KINDS.PART;
+}
+
+/**
+ * Group blocks into chapters and scenes
+ *
+ * The highest heading level that appears in the document marks chapters;
+ * deeper headings stay inside the chapter as 'heading' paragraphs. Part
+ * dividers styled one level above the chapters ("Part One" as Heading 1 over
+ * Heading 2 chapters) start sections of their own. When a document has no
+ * heading styles at all, paragraphs that look like section headings
+ * ("Chapter Twelve", "Prologue", "Acknowledgments") are promoted instead.
+ *
+ * @param {Array<Object>} blocks - Blocks from parseMammothHTML or plain text
+ * @param {Object} options - { source, title }
+ * @returns {Object} Manuscript model
+ */
+export function assembleModel(blocks, options = {}) {
+  const headings = blocks.filter(block => block.kind === 'heading');
+  const chapterHeadings = headings.filter(block => !isPartHeading(block));
+  const headingLevels = (chapterHeadings.length > 0 ? chapterHeadings : headings).map(block => block.level);
+  const chapterLevel = headingLevels.length > 0 ? Math.min(...headingLevels) : null;
+
+  let title = options.title || null;
+  const chapters = [];
+  let chapter = null;
+  let scene = null;
+
+  const startChapter = (chapterTitle) => {
+    chapter = { number: chapters.length + 1, title: chapterTitle, scenes: [] };
+    scene = { paragraphs: [] };
+    chapter.scenes.push(scene);
+    chapters.push(chapter);
+  };
+
+  for (const block of blocks) {
+    const text = spansToText(block.spans);
+
+    if (block.className === 'book-title') {
+      title = title || text;
+      continue;
+    }
+    if (block.className === 'book-subtitle') {
+      continue;
+    }
+
+    const isChapterHeading = chapterLevel !== null
+      ? block.kind === 'heading' && (block.level === chapterLevel || (block.level < chapterLevel && isPartHeading(block)))
+      : block.kind === 'paragraph' && looksLikeSectionHeading(text);
+
+    if (isChapterHeading) {
+      startChapter(text);
+      continue;
+    }
+
+    if (!chapter) {
+      startChapter(null);
+    }
+
+    if (block.className === 'scene-break' || SCENE_BREAK_PATTERN.test(text)) {
+      if (scene.paragraphs.length > 0) {
+        scene = { paragraphs: [] };
+        chapter.scenes.push(scene);
+      }
+      continue;
+    }
+
+    if (block.spans.length === 0) {
+      continue;
+    }
+
+    scene.paragraphs.push({
+      type: block.kind,
+      ...(block.kind === 'heading' && { level: block.level }),
+      spans: block.spans
+    });
+  }
+
+  // Drop empty trailing scenes and chapters with nothing in them
+  for (const ch of chapters) {
+    ch.scenes = ch.scenes.filter(s => s.paragraphs.length > 0);
+  }
+  const populated = chapters.filter(ch => ch.scenes.length > 0 || ch.title);
+  populated.forEach((ch, index) => { ch.number = index + 1; });
+
+  const model = {
+    version: MODEL_VERSION,
+    source: options.source || 'text',
+    title,
+    chapters: populated
+  };
+  model.stats = computeStats(model);
+
+  return model;
+}
+
+/**
+ * Word/paragraph/scene counts for a model
+ */
+function computeStats(model) {
+  let paragraphCount = 0;
+  let sceneCount = 0;
+  let wordCount = 0;
+
+  for (const chapter of model.chapters) {
+    sceneCount += chapter.scenes.length;
+    for (const scene of chapter.scenes) {
+      paragraphCount += scene.paragraphs.length;
+      for (const paragraph of scene.paragraphs) {
+        wordCount += countWords(spansToText(paragraph.spans));
+      }
+    }
+  }
+
+  return {
+    chapterCount: model.chapters.filter(chapter => chapter.title).length,
+    sceneCount,
+    paragraphCount,
+    wordCount
+  };
+}
+
+/**
+ * Build a model from a DOCX buffer using its style information
+ * @param {ArrayBuffer|Buffer} buffer - DOCX file buffer
+ * @returns {Promise<Object>} Manuscript model
+ */
+export async function buildModelFromDOCX(buffer) {
+  try {
+    const input = Buffer.isBuffer(buffer) ? { buffer } : { arrayBuffer: buffer };
+    const result = await mammoth.convertToHtml(input, { styleMap: DOCX_STYLE_MAP });
+
+    if (result.messages && result.messages.length > 0) {
+      console.log('[DOCX Import] Warnings:', result.messages.map(message => message.message));
+    }
+
+    const model = assembleModel(parseMammothHTML(result.value), { source: 'docx' });
+
+    if (model.stats.wordCount === 0) {
+      throw new Error('No text content found in DOCX file');
+    }
+
+    return model;
+  } catch (error) {
+    console.error('[DOCX Import] Error:', error);
+    throw new Error(`Failed to import DOCX: ${error.message}`);
+  }
+}
+
+/**
+ * Build a model from plain text (paragraphs separated by blank lines or newlines)
+ * @param {string} text - Manuscript text
+ * @param {Object} options - { source, title }
+ * @returns {Object} Manuscript model
+ */
+export function buildModelFromText(text, options = {}) {
+  const separator = /\n\s*\n/.test(text) ? /\n\s*\n/ : /\n/;
+  const blocks = text
+    .split(separator)
+    .map(chunk => chunk.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map(chunk => ({ kind: 'paragraph', spans: [{ text: chunk }] }));
+
+  return assembleModel(blocks, { source: options.source || 'text', title: options.title });
+}
+
+/**
+ * Extract a manuscript model from any supported upload format
+ * @param {ArrayBuffer} buffer - File buffer
+ * @param {string} contentType - MIME type
+ * @returns {Promise<Object>} Manuscript model
+ */
+export async function extractManuscriptModel(buffer, contentType) {
+  if (contentType === DOCX_MIME_TYPE) {
+    return buildModelFromDOCX(buffer);
+  }
+
+  const text = await extractText(buffer, contentType);
+  const source = {
+    'application/pdf': 'pdf',
+    'application/epub+zip': 'epub'
+  }[contentType] || 'text';
+
+  return buildModelFromText(text, { source });
+}
+
+/**
+ * Render spans as text, optionally marking emphasis with Markdown
+ * (*italic*, **bold**) so editing agents can see intentional emphasis
+ */
+function renderSpans(spans, markEmphasis) {
+  return spans.map(span => {
+    if (!markEmphasis) {
+      return span.text;
+    }
+    let text = span.text;
+    if (span.italic) {
+      text = `*${text}*`;
+    }
+    if (span.bold) {
+      text = `**${text}**`;
+    }
+    return text;
+  }).join('');
+}
+
+/**
+ * Render a single paragraph as text
+ */
+function renderParagraphText(paragraph, markEmphasis) {
+  const text = renderSpans(paragraph.spans, markEmphasis);
+  if (!markEmphasis) {
+    return text;
+  }
+  if (paragraph.type === 'blockquote') {
+    return `> ${text}`;
+  }
+  if (paragraph.type === 'heading') {
+    return `${'#'.repeat(Math.min(paragraph.level || 2, 6))} ${text}`;
+  }
+  return text;
+}
+
+/**
+ * Serialize a chapter to text
+ * @param {Object} chapter - Model chapter
+ * @param {Object} options - { markEmphasis, includeTitle }
+ * @returns {string} Chapter text with scene breaks as "* * *"
+ */
+export function chapterToText(chapter, options = {}) {
+  const { markEmphasis = false, includeTitle = true } = options;
+  const parts = [];
+
+  if (includeTitle && chapter.title) {
+    parts.push(chapter.title);
+  }
+
+  chapter.scenes.forEach((scene, index) => {
+    if (index > 0) {
+      parts.push('* * *');
+    }
+    for (const paragraph of scene.paragraphs) {
+      parts.push(renderParagraphText(paragraph, markEmphasis));
+    }
+  });
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Serialize the whole model to text
+ * Chapter titles, scene breaks and paragraph breaks survive, so the result
+ * can still be fed to detectChapters/analyzeStructure.
+ *
+ * @param {Object} model - Manuscript model
+ * @param {Object} options - { markEmphasis, bodyOnly } (bodyOnly drops sections
+ *   tagged as front/back matter or part dividers by applyOutline)
+ * @returns {string} Manuscript text
+ */
+export function modelToText(model, options = {}) {
+  return model.chapters
+    .filter(chapter => !options.bodyOnly || isBodySection(chapter))
+    .map(chapter => chapterToText(chapter, options))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Escape text for XHTML output
+ */
+function escapeXhtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render spans as XHTML with <em>/<strong>
+ */
+export function spansToXhtml(spans) {
+  return spans.map(span => {
+    let html = escapeXhtml(span.text);
+    if (span.italic) {
+      html = `<em>${html}</em>`;
+    }
+    if (span.bold) {
+      html = `<strong>${html}</strong>`;
+    }
+    return html;
+  }).join('');
+}
+
+/**
+ * Render a chapter body (without its title) as XHTML
+ * Scene breaks become <hr class="scene-break"/>
+ */
+export function chapterToXhtml(chapter) {
+  const parts = [];
+
+  chapter.scenes.forEach((scene, index) => {
+    if (index > 0) {
+      parts.push('<hr class="scene-break"/>');
+    }
+    for (const paragraph of scene.paragraphs) {
+      const html = spansToXhtml(paragraph.spans);
+      if (paragraph.type === 'heading') {
+        const level = Math.min(Math.max(paragraph.level || 2, 2), 6);
+        parts.push(`<h${level}>${html}</h${level}>`);
+      } else if (paragraph.type === 'blockquote') {
+        parts.push(`<blockquote><p>${html}</p></blockquote>`);
+      } else if (paragraph.type === 'list-item') {
+        parts.push(`<p class="list-item">${html}</p>`);
+      } else {
+        parts.push(`<p>${html}</p>`);
+      }
+    }
+  });
+
+  return parts.join('\n  ');
+}
+
+/**
+ * Split a model into analysis sections of roughly wordsPerSection words
+ * Sections end on paragraph boundaries and never span chapters, so agents
+ * never see half a sentence or a chapter seam mid-section. Chapters tagged
+ * as front/back matter or part dividers by applyOutline are skipped unless
+ * includeMatter is set.
+ *
+ * @param {Object} model - Manuscript model
+ * @param {number} wordsPerSection - Target section size
+ * @param {Object} options - { markEmphasis, includeMatter }
+ * @returns {Array<Object>} { sectionNumber, chapterNumber, chapterTitle, startWord, endWord, text, wordCount }
+ */
+export function chunkModelIntoSections(model, wordsPerSection, options = {}) {
+  const { markEmphasis = true, includeMatter = false } = options;
+  const sections = [];
+  let wordOffset = 0;
+
+  for (const chapter of model.chapters) {
+    if (!includeMatter && !isBodySection(chapter)) {
+      continue;
+    }
+
+    let buffer = [];
+    let bufferWords = 0;
+
+    const flush = () => {
+      if (buffer.length === 0) {
+        return;
+      }
+      sections.push({
+        sectionNumber: sections.length + 1,
+        chapterNumber: chapter.number,
+        chapterTitle: chapter.title,
+        startWord: wordOffset,
+        endWord: wordOffset + bufferWords,
+        text: buffer.join('\n\n'),
+        wordCount: bufferWords
+      });
+      wordOffset += bufferWords;
+      buffer = [];
+      bufferWords = 0;
+    };
+
+    chapter.scenes.forEach((scene, sceneIndex) => {
+      if (sceneIndex > 0 && buffer.length > 0) {
+        buffer.push('* * *');
+      }
+      for (const paragraph of scene.paragraphs) {
+        const text = renderParagraphText(paragraph, markEmphasis);
+        const words = countWords(spansToText(paragraph.spans));
+
+        if (bufferWords > 0 && bufferWords + words > wordsPerSection) {
+          flush();
+        }
+        buffer.push(text);
+        bufferWords += words;
+      }
+    });
+
+    flush();
+  }
+
+  return sections;
+}
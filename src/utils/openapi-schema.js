@@ -0,0 +1,251 @@
+/**
+ * OpenAPI Schema Validation
+ *
+ * Validates values against OpenAPI 3.0 schema objects (the JSON Schema
+ * subset OpenAPI uses, plus nullable, readOnly and writeOnly):
+ * - type, enum, format (uuid, uri, email, date-time, binary)
+ * - required, properties, additionalProperties
+ * - items, minItems, maxItems
+ * - minLength, maxLength, pattern, minimum, maximum (and exclusive bounds)
+ * - allOf, anyOf, oneOf and local $refs (#/components/...)
+ *
+ * readOnly properties are not required in requests and writeOnly ones are
+ * not required in responses. Errors name the offending field with a
+ * dotted path (body.events[0]).
+ */
+
+export const SCHEMA_CONFIG = {
+  MAX_ERRORS: 20
+};
+
+const FORMATS = {
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value)),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+/**
+ * Resolve a local JSON pointer ($ref) in the spec
+ *
+ * @param {Object} spec - Parsed OpenAPI document
+ * @param {string} ref - e.g. '#/components/schemas/WebhookConfig'
+ * @returns {Object} The referenced object
+ * @throws {Error} When the reference is not local or does not resolve
+ */
+export function resolveRef(spec, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $refs are supported: ${ref}`);
+  }
+
+  const target = ref.slice(2).split('/').reduce((node, part) => {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node && typeof node === 'object' ? node[key] : undefined;
+  }, spec);
+
+  if (target === undefined) {
+    throw new Error(`Unresolvable $ref: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Follow $refs until reaching a concrete object
+ */
+export function deref(spec, node) {
+  let current = node;
+  const seen = new Set();
+  while (current && current.$ref) {
+    if (seen.has(current.$ref)) {
+      throw new Error(`Circular $ref: ${current.$ref}`);
+    }
+    seen.add(current.$ref);
+    current = resolveRef(spec, current.$ref);
+  }
+  return current;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof Blob !== 'undefined' && value instanceof Blob) return 'binary';
+  return typeof value;
+}
+
+function matchesType(type, value, format) {
+  const actual = typeOf(value);
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return actual === 'number' && Number.isFinite(value);
+    case 'string':
+      return actual === 'string' || (format === 'binary' && actual === 'binary');
+    case 'object':
+      return actual === 'object';
+    default:
+      return actual === type;
+  }
+}
+
+/**
+ * Turn a string from a path, query string or form field into the type its
+ * schema asks for. Values that can't be converted are returned unchanged
+ * so validation reports them.
+ */
+export function coerceValue(spec, schema, raw) {
+  const resolved = deref(spec, schema) || {};
+  if (typeof raw !== 'string') {
+    return raw;
+  }
+
+  switch (resolved.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? Number(raw) : raw;
+    case 'number':
+      return raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : raw;
+    case 'array':
+      return raw.split(',').map(item => coerceValue(spec, resolved.items || {}, item));
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {Object} spec - Parsed OpenAPI document (for $refs)
+ * @param {Object} schema - Schema object
+ * @param {*} value
+ * @param {Object} options - { path: field name for messages, direction: 'request' | 'response' }
+ * @returns {Array<Object>} Errors as { field, message }; empty when valid
+ */
+export function validateSchema(spec, schema, value, { path = 'value', direction = 'request' } = {}) {
+  const errors = [];
+  walk(spec, schema, value, path, direction, errors);
+  return errors.slice(0, SCHEMA_CONFIG.MAX_ERRORS);
+}
+
+function walk(spec, schemaNode, value, path, direction, errors) {
+  if (errors.length >= SCHEMA_CONFIG.MAX_ERRORS || !schemaNode) {
+    return;
+  }
+
+  const schema = deref(spec, schemaNode);
+  const fail = message => errors.push({ field: path, message });
+
+  if (value === null) {
+    if (!schema.nullable && schema.type) {
+      fail(`must be ${article(schema.type)}, not null`);
+    }
+    return;
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(part => walk(spec, part, value, path, direction, errors));
+  }
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const matching = options.filter(option => validateSchema(spec, option, value, { path, direction }).length === 0).length;
+    if (matching === 0) {
+      fail(`must match ${schema.anyOf ? 'at least one' : 'exactly one'} of the allowed schemas`);
+    } else if (schema.oneOf && matching > 1) {
+      fail('must match exactly one of the allowed schemas');
+    }
+  }
+
+  if (schema.type && !matchesType(schema.type, value, schema.format)) {
+    fail(`must be ${article(schema.type)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      fail(`must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum)) {
+      fail(`must be ${schema.exclusiveMaximum ? 'less than' : 'at most'} ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => walk(spec, schema.items, item, `${path}[${index}]`, direction, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    walkObject(spec, schema, value, path, direction, errors);
+  }
+}
+
+function walkObject(spec, schema, value, path, direction, errors) {
+  const properties = schema.properties || {};
+
+  for (const name of schema.required || []) {
+    const property = properties[name] ? deref(spec, properties[name]) : {};
+    const skipped = (direction === 'request' && property.readOnly) || (direction === 'response' && property.writeOnly);
+    if (!skipped && value[name] === undefined) {
+      errors.push({ field: `${path}.${name}`, message: 'is required' });
+    }
+  }
+
+  for (const [name, propertyValue] of Object.entries(value)) {
+    if (propertyValue === undefined) {
+      continue;
+    }
+    if (properties[name]) {
+      walk(spec, properties[name], propertyValue, `${path}.${name}`, direction, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ field: `${path}.${name}`, message: 'is not allowed' });
+    } else if (typeof schema.additionalProperties === 'object') {
+      walk(spec, schema.additionalProperties, propertyValue, `${path}.${name}`, direction, errors);
+    }
+  }
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+export default {
+  SCHEMA_CONFIG,
+  resolveRef,
+  deref,
+  coerceValue,
+  validateSchema
+};
@@ -0,0 +1,327 @@
+/**
+ * PDF Layout Reconstruction
+ *
+ * Turns positioned text runs from a PDF (as returned by PDF.js getTextContent)
+ * back into manuscript prose:
+ * - Groups runs into visual lines by baseline
+ * - Drops running headers/footers and page numbers
+ * - Rebuilds paragraphs across line and page breaks
+ * - De-hyphenates words split at line ends
+ * - Scores each page so image-only (scanned) pages can be flagged
+ *
+ * Everything here is pure so it can be unit tested without a PDF parser.
+ */
+
+/**
+ * Layout heuristics, tuned against Vellum, Scrivener and Word PDF exports
+ */
+export const PDF_LAYOUT_CONFIG = {
+  LINE_TOLERANCE: 0.5,           // Baseline difference (x font size) still treated as the same line
+  WORD_GAP: 0.15,                // Horizontal gap (x font size) that implies a missing space
+  PARAGRAPH_GAP: 1.4,            // Vertical gap (x median line spacing) that starts a new paragraph
+  INDENT: 0.8,                   // Left offset (x font size) that marks a first-line indent
+  SHORT_LINE: 0.85,              // Lines narrower than this fraction of the text block end a paragraph
+  MARGIN_ZONE: 0.12,             // Top/bottom fraction of the page searched for running elements
+  RUNNING_MIN_FRACTION: 0.3,     // Fraction of pages a header/footer must repeat on
+  MIN_CHARS_PER_PAGE: 400,       // Characters on a typical full text page (confidence = 1)
+  LOW_CONFIDENCE: 0.3            // Pages below this are reported as unreadable
+};
+
+// Arabic or well-formed roman page numbers; a bare [ivxlcdm]+ would also match words like "mild" or "civil"
+const PAGE_NUMBER_PATTERN = /^(?:page\s+)?(?:\d+|(?=[ivxlcdm])m{0,3}(?:cm|cd|d?c{0,3})(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3}))(?:\s+of\s+\d+)?$/i;
+const PAGE_NUMBER_KEY = '<page number>';
+const SCENE_BREAK_PATTERN = /^(?:[*#~•·]\s*){1,5}$/;
+const TERMINAL_PUNCTUATION = /[.!?:"'”’)\]…—]$/;
+
+/**
+ * Group positioned text items into visual lines
+ * @param {Array<Object>} items - PDF.js text items ({ str, transform, width, height })
+ * @returns {Array<Object>} Lines sorted top-to-bottom: { text, x, y, right, fontSize }
+ */
+export function buildLines(items) {
+  const runs = (items || [])
+    .filter(item => item && typeof item.str === 'string' && item.str.length > 0)
+    .map(item => {
+      const [scaleX, skewY, , scaleY, x, y] = item.transform || [1, 0, 0, 1, 0, 0];
+      const fontSize = Math.abs(item.height || scaleY || Math.hypot(scaleX, skewY)) || 1;
+      return { str: item.str, x, y, width: item.width || 0, fontSize };
+    })
+    .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+  const lines = [];
+
+  for (const run of runs) {
+    const line = lines.find(candidate =>
+      Math.abs(candidate.y - run.y) <= PDF_LAYOUT_CONFIG.LINE_TOLERANCE * Math.max(candidate.fontSize, run.fontSize)
+    );
+
+    if (line) {
+      line.runs.push(run);
+      line.fontSize = Math.max(line.fontSize, run.fontSize);
+    } else {
+      lines.push({ y: run.y, fontSize: run.fontSize, runs: [run] });
+    }
+  }
+
+  return lines
+    .map(line => {
+      const runsInOrder = line.runs.sort((a, b) => a.x - b.x);
+      let text = '';
+      let cursor = null;
+
+      for (const run of runsInOrder) {
+        const gap = cursor === null ? 0 : run.x - cursor;
+        const needsSpace = cursor !== null &&
+          gap > PDF_LAYOUT_CONFIG.WORD_GAP * run.fontSize &&
+          !/\s$/.test(text) &&
+          !/^\s/.test(run.str);
+
+        text += (needsSpace ? ' ' : '') + run.str;
+        cursor = Math.max(cursor ?? -Infinity, run.x + run.width);
+      }
+
+      return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        x: runsInOrder[0].x,
+        y: line.y,
+        right: cursor,
+        fontSize: line.fontSize
+      };
+    })
+    .filter(line => line.text.length > 0)
+    .sort((a, b) => b.y - a.y);
+}
+
+/**
+ * Normalize a header/footer line so the same running element matches across pages
+ * (page numbers change, so they share one key and other digits are collapsed)
+ */
+function runningKey(text) {
+  if (PAGE_NUMBER_PATTERN.test(text)) {
+    return PAGE_NUMBER_KEY;
+  }
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether a line sits in the top or bottom margin zone of its page
+ */
+function inMarginZone(line, pageHeight) {
+  if (!pageHeight) {
+    return false;
+  }
+  const zone = pageHeight * PDF_LAYOUT_CONFIG.MARGIN_ZONE;
+  return line.y >= pageHeight - zone || line.y <= zone;
+}
+
+/**
+ * Remove running headers, footers and page numbers
+ * A line is considered "running" when it sits in a margin zone and its
+ * normalized text repeats on enough pages. Page numbers count as repeats of
+ * each other, so a lone "xi" (or "Mild") in a margin is kept as text.
+ *
+ * @param {Array<Object>} pages - [{ lines, height }]
+ * @returns {Array<Object>} Pages with running elements removed and a removedCount per page
+ */
+export function stripRunningElements(pages) {
+  const occurrences = new Map();
+
+  for (const page of pages) {
+    const seen = new Set();
+    for (const line of page.lines) {
+      if (inMarginZone(line, page.height)) {
+        const key = runningKey(line.text);
+        if (!seen.has(key)) {
+          seen.add(key);
+          occurrences.set(key, (occurrences.get(key) || 0) + 1);
+        }
+      }
+    }
+  }
+
+  const minRepeats = Math.max(2, Math.ceil(pages.length * PDF_LAYOUT_CONFIG.RUNNING_MIN_FRACTION));
+
+  return pages.map(page => {
+    const lines = page.lines.filter(line => {
+      if (!inMarginZone(line, page.height)) {
+        return true;
+      }
+      return (occurrences.get(runningKey(line.text)) || 0) < minRepeats;
+    });
+
+    return { ...page, lines, removedCount: page.lines.length - lines.length };
+  });
+}
+
+/**
+ * Join two lines of the same paragraph, repairing end-of-line hyphenation
+ * @param {string} current - Paragraph text so far
+ * @param {string} next - Next line
+ * @returns {string} Joined text
+ */
+export function joinLines(current, next) {
+  if (!current) {
+    return next;
+  }
+
+  // Soft hyphens are always layout artifacts
+  if (current.endsWith('­')) {
+    return current.slice(0, -1) + next;
+  }
+
+  // "con-" + "tinues" -> "continues", but keep "well-" + "Known" and em dashes
+  if (/[a-zà-ÿ]-$/i.test(current) && /^[a-zà-ÿ]/.test(next)) {
+    return current.slice(0, -1) + next;
+  }
+
+  return `${current} ${next}`;
+}
+
+/**
+ * Median of a numeric array (0 for empty input)
+ */
+function median(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Rebuild paragraphs from page lines
+ * New paragraphs start on first-line indents, larger-than-usual vertical gaps,
+ * after short lines ending a sentence, and around centered headings or scene breaks.
+ * Paragraphs continue across page breaks unless the next page starts a new one.
+ *
+ * @param {Array<Object>} pages - [{ lines, width }] with running elements already removed
+ * @returns {Array<string>} Paragraph strings in reading order
+ */
+export function reconstructParagraphs(pages) {
+  const paragraphs = [];
+  let current = '';
+  let previous = null;
+
+  const flush = () => {
+    if (current.trim()) {
+      paragraphs.push(current.trim());
+    }
+    current = '';
+  };
+
+  for (const page of pages) {
+    const lines = page.lines;
+    if (lines.length === 0) {
+      continue;
+    }
+
+    const left = Math.min(...lines.map(line => line.x));
+    const right = Math.max(...lines.map(line => line.right));
+    const blockWidth = Math.max(right - left, 1);
+    const spacing = median(
+      lines.slice(1).map((line, i) => lines[i].y - line.y).filter(gap => gap > 0)
+    );
+
+    lines.forEach((line, index) => {
+      const indent = line.x - left;
+      const leftGap = indent;
+      const rightGap = right - line.right;
+      const isCentered = leftGap > blockWidth * 0.1 &&
+        Math.abs(leftGap - rightGap) < line.fontSize * 2;
+      const isSceneBreak = SCENE_BREAK_PATTERN.test(line.text);
+      const isStandalone = isCentered || isSceneBreak;
+
+      let startsParagraph = previous === null || isStandalone || previous.standalone;
+
+      if (!startsParagraph) {
+        if (indent > PDF_LAYOUT_CONFIG.INDENT * line.fontSize) {
+          startsParagraph = true;
+        } else if (previous.short && TERMINAL_PUNCTUATION.test(previous.text)) {
+          startsParagraph = true;
+        } else if (index > 0 && spacing > 0 && lines[index - 1].y - line.y > spacing * PDF_LAYOUT_CONFIG.PARAGRAPH_GAP) {
+          startsParagraph = true;
+        }
+      }
+
+      if (startsParagraph) {
+        flush();
+      }
+      current = joinLines(current, line.text);
+
+      previous = {
+        text: line.text,
+        standalone: isStandalone,
+        short: (line.right - left) < blockWidth * PDF_LAYOUT_CONFIG.SHORT_LINE
+      };
+    });
+  }
+
+  flush();
+  return paragraphs;
+}
+
+/**
+ * Estimate how reliably text was extracted from a page
+ * Combines text density (image-only pages have none) with the share of
+ * readable characters (broken font encodings produce symbol soup).
+ *
+ * @param {Array<Object>} lines - Page lines (before running elements are removed)
+ * @returns {number} Confidence between 0 and 1
+ */
+export function scorePageConfidence(lines) {
+  const text = lines.map(line => line.text).join(' ');
+  const characters = text.replace(/\s/g, '');
+
+  if (characters.length === 0) {
+    return 0;
+  }
+
+  const readable = characters.match(/[\p{L}\p{N}.,;:!?'"“”‘’()\-—–…]/gu)?.length || 0;
+  const quality = readable / characters.length;
+  const density = Math.min(1, characters.length / PDF_LAYOUT_CONFIG.MIN_CHARS_PER_PAGE);
+
+  return Math.round(quality * density * 100) / 100;
+}
+
+/**
+ * Reconstruct manuscript text from extracted PDF pages
+ * @param {Array<Object>} rawPages - [{ items, width, height }]
+ * @returns {Object} { text, paragraphs, pages: [{ pageNumber, confidence, characters }], warnings }
+ */
+export function reconstructDocument(rawPages) {
+  const pages = rawPages.map(page => ({
+    width: page.width,
+    height: page.height,
+    lines: buildLines(page.items)
+  }));
+
+  const pageReports = pages.map((page, index) => ({
+    pageNumber: index + 1,
+    confidence: scorePageConfidence(page.lines),
+    characters: page.lines.reduce((sum, line) => sum + line.text.length, 0)
+  }));
+
+  const paragraphs = reconstructParagraphs(stripRunningElements(pages));
+
+  const warnings = [];
+  const lowPages = pageReports.filter(page => page.confidence < PDF_LAYOUT_CONFIG.LOW_CONFIDENCE);
+  const emptyPages = pageReports.filter(page => page.characters === 0);
+
+  if (pageReports.length > 0 && emptyPages.length === pageReports.length) {
+    warnings.push('This PDF contains no extractable text. It appears to be scanned images; please upload a text-based PDF or a .docx file.');
+  } else if (lowPages.length > 0) {
+    warnings.push(
+      `${lowPages.length} of ${pageReports.length} pages had little or no extractable text ` +
+      `(pages ${lowPages.slice(0, 10).map(page => page.pageNumber).join(', ')}${lowPages.length > 10 ? ', ...' : ''}). ` +
+      'These may be images or scanned pages and will be missing from the analysis.'
+    );
+  }
+
+  return {
+    text: paragraphs.join('\n\n'),
+    paragraphs,
+    pages: pageReports,
+    warnings
+  };
+}
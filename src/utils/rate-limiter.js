@@ -71,14 +71,15 @@ export const RATE_LIMITS = {
  * Check if a request should be rate limited
  *
  * @param {Object} options - Rate limit check options
- * @param {string} options.type - Type of limit: 'ip', 'user', 'endpoint'
- * @param {string} options.identifier - IP address or user ID
+ * @param {string} options.type - Type of limit: 'ip', 'user', 'endpoint', 'client'
+ * @param {string} options.identifier - IP address, user ID or OAuth client ID
  * @param {string} options.endpoint - Endpoint path (for endpoint-specific limits)
  * @param {string} options.tier - User tier (for user limits): 'FREE', 'PRO', 'ENTERPRISE', 'ADMIN'
+ * @param {Object} options.limit - { requests, window } (for client limits, which are set per client)
  * @param {Object} options.env - Cloudflare environment
  * @returns {Promise<{limited: boolean, remaining: number, reset: number, limit: number}>}
  */
-export async function checkRateLimit({ type, identifier, endpoint, tier, env }) {
+export async function checkRateLimit({ type, identifier, endpoint, tier, limit: clientLimit, env }) {
   let limit, window;
 
   // Determine limit based on type
@@ -94,6 +95,9 @@ export async function checkRateLimit({ type, identifier, endpoint, tier, env })
     const limitConfig = getEndpointLimit(endpoint);
     limit = limitConfig.requests;
     window = limitConfig.window;
+  } else if (type === 'client') {
+    limit = clientLimit.requests;
+    window = clientLimit.window;
   } else {
     throw new Error(`Unknown rate limit type: ${type}`);
   }
@@ -0,0 +1,217 @@
+/**
+ * Sales Forecast
+ *
+ * Projects daily sales series (units, revenue or royalties per UTC day) forward
+ * with additive Holt-Winters smoothing: level, damped trend and a weekly
+ * season. The smoothing parameters are picked by a small grid search on the
+ * one-step-ahead error. Series shorter than two seasons fall back to a moving
+ * average of the recent days.
+ *
+ * Forecasts are totals over a horizon with a confidence band. The band comes
+ * from the one-step error of the fit, widened for each step ahead the way
+ * simple exponential smoothing widens (variance grows with (h - 1) * alpha^2),
+ * so it reflects how noisy the title has been rather than a fixed margin.
+ *
+ * Everything here is pure and runs locally; services/sales-goal-service.js
+ * loads the series from sales_data.
+ */
+
+export const FORECAST_CONFIG = {
+  SEASON_LENGTH: 7,           // Weekly pattern in daily sales
+  MIN_SEASONS: 2,             // History needed before fitting Holt-Winters
+  MOVING_AVERAGE_DAYS: 28,    // Fallback window for short histories
+  DAMPING: 0.98,              // Trend damping, so long horizons do not run away
+  ALPHAS: [0.05, 0.1, 0.2, 0.3, 0.5],
+  BETAS: [0, 0.02, 0.1],
+  GAMMAS: [0.05, 0.1, 0.3],
+  DEFAULT_CONFIDENCE: 0.8
+};
+
+// Two-sided normal quantiles for the supported confidence levels
+const Z_SCORES = {
+  0.5: 0.6745,
+  0.8: 1.2816,
+  0.9: 1.6449,
+  0.95: 1.96,
+  0.99: 2.5758
+};
+
+export const CONFIDENCE_LEVELS = Object.keys(Z_SCORES).map(Number);
+
+const DAY = 86400;
+
+/**
+ * Days since the Unix epoch (UTC) for a timestamp in seconds
+ */
+export function dayIndex(timestamp) {
+  return Math.floor(timestamp / DAY);
+}
+
+/**
+ * Dense daily series from sparse { day, value } rows
+ *
+ * @param {Array<{day: number, value: number}>} rows - day as from dayIndex
+ * @param {number} fromDay - First day (inclusive)
+ * @param {number} toDay - Last day (exclusive)
+ * @returns {number[]} One value per day, zero where there were no sales
+ */
+export function buildDailySeries(rows, fromDay, toDay) {
+  const series = new Array(Math.max(0, toDay - fromDay)).fill(0);
+  for (const row of rows) {
+    const index = Number(row.day) - fromDay;
+    if (index >= 0 && index < series.length) {
+      series[index] += Number(row.value) || 0;
+    }
+  }
+  return series;
+}
+
+/**
+ * Fit additive Holt-Winters with a damped trend
+ *
+ * @param {number[]} series - At least two seasons of values
+ * @param {Object} params - { alpha, beta, gamma, seasonLength, damping }
+ * @returns {{level: number, trend: number, seasonals: number[], sse: number, errors: number}}
+ */
+export function fitHoltWinters(series, { alpha, beta, gamma, seasonLength = FORECAST_CONFIG.SEASON_LENGTH, damping = FORECAST_CONFIG.DAMPING }) {
+  const m = seasonLength;
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const first = mean(series.slice(0, m));
+  const second = mean(series.slice(m, 2 * m));
+  let level = first;
+  let trend = (second - first) / m;
+  const seasonals = series.slice(0, m).map(value => value - first);
+
+  let sse = 0;
+  let errors = 0;
+
+  for (let t = m; t < series.length; t++) {
+    const season = seasonals[t % m];
+    const predicted = level + damping * trend + season;
+    const error = series[t] - predicted;
+    sse += error * error;
+    errors++;
+
+    const previousLevel = level;
+    level = alpha * (series[t] - season) + (1 - alpha) * (previousLevel + damping * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * damping * trend;
+    seasonals[t % m] = gamma * (series[t] - level) + (1 - gamma) * season;
+  }
+
+  return { level, trend, seasonals, sse, errors, alpha, beta, gamma, seasonLength: m, damping, length: series.length };
+}
+
+function zScore(confidence) {
+  const z = Z_SCORES[confidence];
+  if (z === undefined) {
+    throw new Error(`Unsupported confidence level ${confidence}; use one of ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+  return z;
+}
+
+function holtWintersPoints(model, horizon) {
+  const { level, trend, seasonals, seasonLength, damping, length } = model;
+  const points = [];
+  let dampedSum = 0;
+  for (let h = 1; h <= horizon; h++) {
+    dampedSum += damping ** h;
+    points.push(level + dampedSum * trend + seasonals[(length + h - 1) % seasonLength]);
+  }
+  return points;
+}
+
+/**
+ * Forecast the total over the next `horizon` days
+ *
+ * @param {number[]} series - Daily history, oldest first, ending yesterday
+ * @param {number} horizon - Days to project
+ * @param {Object} options
+ * @param {number} options.confidence - Band coverage (see CONFIDENCE_LEVELS)
+ * @returns {{expected: number, lower: number, upper: number, method: string, confidence: number, daily: number[]}}
+ */
+export function forecastTotal(series, horizon, { confidence = FORECAST_CONFIG.DEFAULT_CONFIDENCE } = {}) {
+  const z = zScore(confidence);
+  const m = FORECAST_CONFIG.SEASON_LENGTH;
+
+  if (horizon <= 0) {
+    return { expected: 0, lower: 0, upper: 0, method: 'none', confidence, daily: [] };
+  }
+
+  let daily;
+  let variance;
+  let method;
+
+  if (series.length >= FORECAST_CONFIG.MIN_SEASONS * m) {
+    let best = null;
+    for (const alpha of FORECAST_CONFIG.ALPHAS) {
+      for (const beta of FORECAST_CONFIG.BETAS) {
+        for (const gamma of FORECAST_CONFIG.GAMMAS) {
+          const model = fitHoltWinters(series, { alpha, beta, gamma });
+          if (!best || model.sse < best.sse) best = model;
+        }
+      }
+    }
+
+    const sigma2 = best.errors > 0 ? best.sse / best.errors : 0;
+    daily = holtWintersPoints(best, horizon);
+    variance = 0;
+    for (let h = 1; h <= horizon; h++) {
+      variance += sigma2 * (1 + (h - 1) * best.alpha ** 2);
+    }
+    method = 'holt_winters';
+  } else if (series.length > 0) {
+    const window = series.slice(-FORECAST_CONFIG.MOVING_AVERAGE_DAYS);
+    const mean = window.reduce((sum, value) => sum + value, 0) / window.length;
+    const sigma2 = window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / window.length;
+    daily = new Array(horizon).fill(mean);
+    // Daily noise plus the uncertainty of the mean itself
+    variance = horizon * sigma2 + (horizon ** 2) * sigma2 / window.length;
+    method = 'moving_average';
+  } else {
+    return { expected: 0, lower: 0, upper: 0, method: 'none', confidence, daily: new Array(horizon).fill(0) };
+  }
+
+  // Sales cannot go negative
+  daily = daily.map(value => Math.max(0, value));
+  const expected = daily.reduce((sum, value) => sum + value, 0);
+  const margin = z * Math.sqrt(variance);
+
+  return {
+    expected,
+    lower: Math.max(0, expected - margin),
+    upper: expected + margin,
+    method,
+    confidence,
+    daily
+  };
+}
+
+/**
+ * UTC calendar period containing a timestamp
+ *
+ * @param {number} timestamp - Seconds
+ * @param {'month'|'quarter'} period
+ * @returns {{start: number, end: number}} Seconds; end is exclusive
+ */
+export function periodBounds(timestamp, period) {
+  const date = new Date(timestamp * 1000);
+  const year = date.getUTCFullYear();
+  const firstMonth = period === 'quarter' ? Math.floor(date.getUTCMonth() / 3) * 3 : date.getUTCMonth();
+  const months = period === 'quarter' ? 3 : 1;
+
+  return {
+    start: Date.UTC(year, firstMonth, 1) / 1000,
+    end: Date.UTC(year, firstMonth + months, 1) / 1000
+  };
+}
+
+export default {
+  FORECAST_CONFIG,
+  CONFIDENCE_LEVELS,
+  dayIndex,
+  buildDailySeries,
+  fitHoltWinters,
+  forecastTotal,
+  periodBounds
+};
@@ -0,0 +1,681 @@
+/**
+ * Sales Report Parsers
+ *
+ * Reads the royalty reports authors download from their publishing
+ * dashboards and turns them into normalized sales rows:
+ * - Amazon KDP "Prior Months' Royalties" (XLSX workbook or CSV export)
+ * - Draft2Digital sales reports (CSV)
+ * - IngramSpark compensation reports (CSV or XLSX)
+ *
+ * Column headers are matched by alias rather than position, because every
+ * platform has renamed columns over the years. Parsing is pure; matching rows
+ * to manuscripts, currency conversion and storage live in
+ * services/sales-import-service.js.
+ */
+
+import JSZip from 'jszip';
+
+export const REPORT_PLATFORMS = ['kdp', 'draft2digital', 'ingramspark'];
+
+/**
+ * Header aliases per platform, keyed by normalized header text
+ * (lowercase, letters and digits only)
+ */
+const FIELD_ALIASES = {
+  kdp: {
+    date: ['royaltydate', 'date', 'orderdate', 'salesdate'],
+    title: ['title'],
+    author: ['authorname', 'author'],
+    asin: ['asin', 'asinisbn'],
+    isbn: ['isbn'],
+    marketplace: ['marketplace', 'store'],
+    royaltyType: ['royaltytype'],
+    transactionType: ['transactiontype'],
+    format: ['format', 'binding'],
+    unitsSold: ['unitssold'],
+    unitsRefunded: ['unitsrefunded'],
+    netUnits: ['netunitssold', 'netunits'],
+    listPrice: ['avglistpricewithouttax', 'averagelistpricewithouttax', 'listprice'],
+    offerPrice: ['avgofferpricewithouttax', 'averageofferpricewithouttax', 'offerprice'],
+    royalty: ['royalty', 'royalties'],
+    currency: ['currency'],
+    kenpPages: ['kindleeditionnormalizedpageskenpread', 'kenpread', 'kenp', 'kenpc']
+  },
+  draft2digital: {
+    date: ['saledate', 'date', 'datereported', 'reportdate', 'period'],
+    title: ['title', 'booktitle'],
+    author: ['author', 'authorname'],
+    isbn: ['isbn', 'eisbn', 'isbn13'],
+    marketplace: ['vendor', 'store', 'retailer', 'channel'],
+    countryCode: ['country', 'countrycode'],
+    format: ['format'],
+    unitsSold: ['quantity', 'qty', 'units', 'unitssold'],
+    listPrice: ['listprice', 'retailprice', 'price'],
+    royalty: ['earnings', 'yourearnings', 'earningsusd', 'yourearningsusd', 'netearnings', 'authorearnings', 'royalty'],
+    currency: ['currency']
+  },
+  ingramspark: {
+    date: ['period', 'reportingperiod', 'salesperiod', 'month', 'date'],
+    title: ['title'],
+    author: ['author', 'contributor'],
+    isbn: ['isbn', 'isbn13', 'ean'],
+    format: ['format', 'binding', 'producttype'],
+    marketplace: ['salesmarket', 'market'],
+    countryCode: ['country', 'salescountry'],
+    unitsSold: ['qtysold', 'quantitysold', 'unitssold', 'grossqty'],
+    unitsRefunded: ['qtyreturned', 'quantityreturned', 'returns'],
+    netUnits: ['netqty', 'netquantity', 'netunits'],
+    listPrice: ['listprice'],
+    royalty: ['publishercompensation', 'pubcomp', 'netpubcomp', 'compensation'],
+    currency: ['currency', 'reportingcurrency']
+  }
+};
+
+/**
+ * Headers only one platform uses, for auto-detection
+ */
+const PLATFORM_SIGNATURES = {
+  kdp: ['asin', 'royaltytype', 'kindleeditionnormalizedpageskenpread', 'avgofferpricewithouttax',
+    'averageofferpricewithouttax', 'avgmanufacturingcost', 'avgdeliverycost'],
+  draft2digital: ['vendor', 'yourearnings', 'earningsusd', 'yourearningsusd', 'retailer'],
+  ingramspark: ['publishercompensation', 'pubcomp', 'netpubcomp', 'avgwholesaleprice', 'wholesalediscount', 'salesmarket']
+};
+
+/**
+ * Amazon marketplaces: country (as stored in sales_data) and payout currency
+ */
+const AMAZON_MARKETPLACES = {
+  'amazon.com': ['US', 'USD'],
+  'amazon.co.uk': ['UK', 'GBP'],
+  'amazon.de': ['DE', 'EUR'],
+  'amazon.fr': ['FR', 'EUR'],
+  'amazon.es': ['ES', 'EUR'],
+  'amazon.it': ['IT', 'EUR'],
+  'amazon.nl': ['NL', 'EUR'],
+  'amazon.co.jp': ['JP', 'JPY'],
+  'amazon.in': ['IN', 'INR'],
+  'amazon.ca': ['CA', 'CAD'],
+  'amazon.com.br': ['BR', 'BRL'],
+  'amazon.com.mx': ['MX', 'MXN'],
+  'amazon.com.au': ['AU', 'AUD'],
+  'amazon.pl': ['PL', 'PLN'],
+  'amazon.se': ['SE', 'SEK']
+};
+
+/**
+ * IngramSpark sales markets: country and reporting currency
+ */
+const INGRAM_MARKETS = {
+  US: ['US', 'USD'],
+  UK: ['UK', 'GBP'],
+  GB: ['UK', 'GBP'],
+  AU: ['AU', 'AUD'],
+  CA: ['CA', 'CAD'],
+  EU: ['EU', 'EUR'],
+  GC: [null, 'USD'] // Global Connect
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const HEADER_SEARCH_ROWS = 30;
+
+/**
+ * Normalize a header cell for alias lookup
+ */
+function normalizeHeader(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function cellText(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+// ============================================================================
+// FILE READING
+// ============================================================================
+
+/**
+ * Parse delimited text into rows of cells
+ * Handles quoted fields, escaped quotes, CRLF and a UTF-8 BOM. The delimiter
+ * (comma, tab or semicolon) is detected from the first line.
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseCSV(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.slice(0, source.search(/\r?\n|$/));
+  const delimiter = [',', '\t', ';']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Concatenate the <t> runs of a shared or inline string
+ */
+function xmlStringText(xml) {
+  return decodeXml([...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(match => match[1]).join(''));
+}
+
+function columnIndex(reference) {
+  const letters = reference.replace(/\d+$/, '');
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Read every worksheet of an XLSX workbook
+ * Values are returned as strings, numbers or booleans; dates stay Excel
+ * serial numbers and are converted by parseReportDate.
+ *
+ * @param {ArrayBuffer|Buffer} buffer - Workbook contents
+ * @returns {Promise<Array<{name: string, rows: Array<Array>}>>} Sheets in workbook order
+ */
+export async function readXlsx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const workbook = await zip.file('xl/workbook.xml')?.async('string');
+  if (!workbook) {
+    throw new Error('Not an XLSX workbook (xl/workbook.xml missing)');
+  }
+
+  const sharedXml = await zip.file('xl/sharedStrings.xml')?.async('string') || '';
+  const sharedStrings = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => xmlStringText(match[1]));
+
+  const relsXml = await zip.file('xl/_rels/workbook.xml.rels')?.async('string') || '';
+  const targets = {};
+  for (const [, attrs] of relsXml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = attrs.match(/\bId="([^"]+)"/)?.[1];
+    const target = attrs.match(/\bTarget="([^"]+)"/)?.[1];
+    if (id && target) {
+      targets[id] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+
+  const sheets = [];
+  for (const [, attrs] of workbook.matchAll(/<sheet\b([^>]*)\/?>/g)) {
+    const name = decodeXml(attrs.match(/\bname="([^"]*)"/)?.[1] || '');
+    const relId = attrs.match(/\br:id="([^"]+)"/)?.[1];
+    const sheetXml = await zip.file(targets[relId] || '')?.async('string');
+    if (!sheetXml) {
+      continue;
+    }
+
+    const rows = [];
+    for (const [, rowXml] of sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      const row = [];
+      let position = 0;
+      for (const [, cellAttrs, inner = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const reference = cellAttrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+        const type = cellAttrs.match(/\bt="([^"]+)"/)?.[1];
+        const raw = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+        const index = reference ? columnIndex(reference) : position;
+
+        let value = null;
+        if (type === 's') {
+          value = sharedStrings[parseInt(raw, 10)] ?? null;
+        } else if (type === 'inlineStr') {
+          value = xmlStringText(inner);
+        } else if (type === 'b') {
+          value = raw === '1';
+        } else if (type === 'str' || type === 'e') {
+          value = raw === undefined ? null : decodeXml(raw);
+        } else if (raw !== undefined) {
+          value = Number(raw);
+        }
+
+        row[index] = value;
+        position = index + 1;
+      }
+      rows.push(Array.from(row, cell => cell ?? null));
+    }
+
+    sheets.push({ name, rows });
+  }
+
+  return sheets;
+}
+
+/**
+ * Read a report file into sheets of rows
+ *
+ * @param {ArrayBuffer|Buffer} buffer - File contents
+ * @param {string} filename - Original filename (used to pick the reader)
+ * @param {string} contentType - MIME type, if known
+ * @returns {Promise<Array<{name: string, rows: Array<Array>}>>}
+ */
+export async function readSpreadsheet(buffer, filename = '', contentType = '') {
+  const bytes = new Uint8Array(buffer instanceof ArrayBuffer ? buffer : buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b; // "PK"
+
+  if (isZip || /\.xlsx$/i.test(filename) || contentType.includes('spreadsheetml')) {
+    return readXlsx(bytes);
+  }
+  if (/\.xls$/i.test(filename) || contentType === 'application/vnd.ms-excel') {
+    throw new Error('Legacy .xls workbooks are not supported. Download the report as XLSX or CSV');
+  }
+
+  return [{ name: filename, rows: parseCSV(new TextDecoder('utf-8').decode(bytes)) }];
+}
+
+// ============================================================================
+// VALUE PARSING
+// ============================================================================
+
+/**
+ * Parse a money or quantity cell ("$1,234.56", "(3.10)", "12")
+ *
+ * @param {*} value - Cell value
+ * @returns {number|null} Parsed number, or null when the cell is empty
+ */
+export function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  const text = cellText(value);
+  if (!text || text === '-' || /^n\/?a$/i.test(text)) {
+    return null;
+  }
+
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  const digits = text.replace(/[^0-9.]/g, '');
+  if (!digits) {
+    return null;
+  }
+
+  const amount = parseFloat(digits);
+  return Number.isFinite(amount) ? (negative ? -amount : amount) : null;
+}
+
+/**
+ * Parse a report date into a Unix timestamp (UTC midnight)
+ * Accepts ISO dates, "YYYY-MM", US "MM/DD/YYYY", month names ("March 2024",
+ * "Mar 15, 2024"), ranges (first date wins) and Excel serial numbers.
+ *
+ * @param {*} value - Cell value
+ * @returns {number|null} Unix timestamp, or null if no date was found
+ */
+export function parseReportDate(value) {
+  if (typeof value === 'number') {
+    // Excel serial date (days since 1899-12-30)
+    return value > 20000 && value < 80000 ? Math.round((value - 25569) * 86400) : null;
+  }
+
+  const text = cellText(value);
+  if (!text) {
+    return null;
+  }
+
+  let match = text.match(/(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2}))?/);
+  if (match) {
+    return Date.UTC(+match[1], +match[2] - 1, +(match[3] || 1)) / 1000;
+  }
+
+  match = text.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (match) {
+    return Date.UTC(+match[3], +match[1] - 1, +match[2]) / 1000;
+  }
+
+  match = text.toLowerCase().match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(?:(\d{1,2}),?\s+)?(\d{4})/);
+  if (match) {
+    return Date.UTC(+match[3], MONTHS.indexOf(match[1]), +(match[2] || 1)) / 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Normalize an ISBN to ISBN-13 digits
+ *
+ * @param {*} value - ISBN-10 or ISBN-13, with or without hyphens
+ * @returns {string|null} 13-digit ISBN, or null if the value is not an ISBN
+ */
+export function normalizeIsbn(value) {
+  const text = cellText(typeof value === 'number' ? value.toFixed(0) : value).toUpperCase().replace(/[^0-9X]/g, '');
+
+  if (/^97[89]\d{10}$/.test(text)) {
+    return text;
+  }
+  if (/^\d{9}[\dX]$/.test(text)) {
+    const core = `978${text.slice(0, 9)}`;
+    const sum = [...core].reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+    return `${core}${(10 - (sum % 10)) % 10}`;
+  }
+
+  return null;
+}
+
+/**
+ * Map a format/binding/sheet label to a sales_data format
+ */
+export function normalizeFormat(value) {
+  const text = cellText(value).toLowerCase();
+  if (/audio/.test(text)) {
+    return 'audiobook';
+  }
+  if (/hard|case ?laminate|cloth|jacket/.test(text)) {
+    return 'hardcover';
+  }
+  if (/paper|print|perfect|trade|pod/.test(text)) {
+    return 'paperback';
+  }
+  if (/e-?book|kindle|kenp|epub|digital/.test(text)) {
+    return 'ebook';
+  }
+  return null;
+}
+
+// ============================================================================
+// REPORT PARSING
+// ============================================================================
+
+/**
+ * Find the header row of a sheet and map its columns to fields
+ *
+ * @returns {{index: number, columns: Object}|null}
+ */
+function findHeader(rows, aliases) {
+  const limit = Math.min(rows.length, HEADER_SEARCH_ROWS);
+
+  for (let index = 0; index < limit; index++) {
+    const columns = {};
+    rows[index].forEach((cell, column) => {
+      const header = normalizeHeader(cell);
+      for (const [field, names] of Object.entries(aliases)) {
+        if (columns[field] === undefined && names.includes(header)) {
+          columns[field] = { column, header };
+          break;
+        }
+      }
+    });
+
+    const identifies = columns.title || columns.asin || columns.isbn;
+    if (identifies && Object.keys(columns).length >= 3) {
+      return { index, columns };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Look for a reporting period above the header ("Sales Period, March 2024")
+ */
+function findPreamblePeriod(rows, headerIndex) {
+  for (let index = 0; index < headerIndex; index++) {
+    const cells = rows[index].map(cellText).filter(Boolean);
+    if (!cells.some(cell => /period|month|date/i.test(cell))) {
+      continue;
+    }
+    for (const cell of cells) {
+      const date = parseReportDate(cell);
+      if (date !== null) {
+        return date;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Score how likely a workbook is to come from each platform
+ *
+ * @param {Array<{name: string, rows: Array<Array>}>} sheets
+ * @returns {string|null} Platform key, or null if the report is unrecognized
+ */
+export function detectPlatform(sheets) {
+  const scores = { kdp: 0, draft2digital: 0, ingramspark: 0 };
+
+  for (const sheet of sheets) {
+    if (/royalty|kenp|orders processed/i.test(sheet.name) && /ebook|paperback|hardcover|kenp|orders/i.test(sheet.name)) {
+      scores.kdp += 2;
+    }
+    const headers = new Set(sheet.rows.slice(0, HEADER_SEARCH_ROWS).flat().map(normalizeHeader));
+    for (const [platform, signatures] of Object.entries(PLATFORM_SIGNATURES)) {
+      scores[platform] += signatures.filter(signature => headers.has(signature)).length;
+    }
+  }
+
+  const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return score > 0 ? best : null;
+}
+
+/**
+ * Turn one report row into a normalized sale, or a reason to skip it
+ */
+function normalizeRow(platform, record, context) {
+  const asin = cellText(record.asin).toUpperCase() || null;
+  const isbn = normalizeIsbn(record.isbn) || normalizeIsbn(record.asin);
+  const title = cellText(record.title);
+  const kenpPagesRead = Math.round(parseAmount(record.kenpPages) || 0);
+
+  if (!title && !asin && !isbn) {
+    return { skip: 'row has no title or identifier' };
+  }
+
+  const saleDate = parseReportDate(record.date) ?? context.period;
+  if (saleDate === null) {
+    return { skip: 'row has no sale date and the report has no period' };
+  }
+
+  const marketplace = cellText(record.marketplace) || context.marketplace || null;
+  let countryCode = cellText(record.countryCode).toUpperCase() || null;
+  let defaultCurrency = null;
+
+  if (platform === 'kdp' && marketplace) {
+    const [country, currency] = AMAZON_MARKETPLACES[marketplace.toLowerCase()] || [];
+    countryCode = countryCode || country || null;
+    defaultCurrency = currency || null;
+  } else if (platform === 'ingramspark' && marketplace) {
+    const [country, currency] = INGRAM_MARKETS[marketplace.toUpperCase()] || [];
+    countryCode = countryCode || country || null;
+    defaultCurrency = currency || null;
+  }
+  if (platform === 'draft2digital') {
+    defaultCurrency = 'USD';
+  }
+
+  const royaltyHeaderCurrency = /usd$/.test(context.columns.royalty?.header || '') ? 'USD' : null;
+  const currency = (royaltyHeaderCurrency || cellText(record.currency).toUpperCase() || defaultCurrency || '').slice(0, 3) || null;
+
+  const unitsSold = parseAmount(record.unitsSold);
+  const unitsRefunded = parseAmount(record.unitsRefunded) || 0;
+  const netUnits = parseAmount(record.netUnits) ?? (unitsSold === null ? 0 : unitsSold - Math.abs(unitsRefunded));
+
+  const listPrice = parseAmount(record.listPrice);
+  const salePrice = parseAmount(record.offerPrice) ?? listPrice;
+  const royalty = parseAmount(record.royalty) || 0;
+  const revenue = salePrice === null ? royalty : Math.round(salePrice * netUnits * 100) / 100;
+
+  const percent = cellText(record.royaltyType).match(/(\d+(?:\.\d+)?)\s*%/);
+  const royaltyRate = percent
+    ? Number(percent[1]) / 100
+    : (revenue > 0 ? Math.round((royalty / revenue) * 10000) / 10000 : null);
+
+  if (!kenpPagesRead && !netUnits && !royalty) {
+    return { skip: 'row has no units, pages or royalty' };
+  }
+  if (!currency && royalty) {
+    return { skip: 'row has no currency' };
+  }
+
+  return {
+    sale: {
+      platform,
+      format: normalizeFormat(record.format) || context.format,
+      saleDate,
+      title,
+      author: cellText(record.author) || null,
+      asin: asin && !normalizeIsbn(asin) ? asin : null,
+      isbn,
+      marketplace,
+      countryCode,
+      transactionType: cellText(record.transactionType) || null,
+      royaltyType: cellText(record.royaltyType) || null,
+      unitsSold: netUnits,
+      listPrice,
+      revenue,
+      royalty,
+      royaltyRate,
+      currency: currency || 'USD',
+      kenpPagesRead,
+      source: `${context.sheet}:${context.rowNumber}`
+    }
+  };
+}
+
+/**
+ * Parse one sheet of a report
+ */
+function parseSheet(platform, sheet) {
+  const aliases = FIELD_ALIASES[platform];
+  const header = findHeader(sheet.rows, aliases);
+  if (!header) {
+    return { rows: [], skipped: [], found: false };
+  }
+
+  const { index: headerIndex, columns } = header;
+  const sheetFormat = normalizeFormat(sheet.name) || (platform === 'ingramspark' ? 'paperback' : 'ebook');
+  const context = {
+    columns,
+    sheet: sheet.name,
+    period: findPreamblePeriod(sheet.rows, headerIndex),
+    format: columns.kenpPages ? 'ebook' : sheetFormat,
+    marketplace: null
+  };
+
+  const rows = [];
+  const skipped = [];
+
+  for (let index = headerIndex + 1; index < sheet.rows.length; index++) {
+    const cells = sheet.rows[index];
+    const filled = cells.map(cellText).filter(Boolean);
+    if (filled.length === 0) {
+      continue;
+    }
+
+    // Section markers ("Amazon.com") and repeated headers in multi-marketplace CSVs
+    if (filled.length === 1 && /^amazon\./i.test(filled[0])) {
+      context.marketplace = filled[0];
+      continue;
+    }
+    const repeatedHeader = columns.title && normalizeHeader(cells[columns.title.column]) === columns.title.header;
+    if (repeatedHeader || /^(grand\s+)?totals?\b/i.test(filled[0])) {
+      continue;
+    }
+
+    const record = {};
+    for (const [field, { column }] of Object.entries(columns)) {
+      record[field] = cells[column];
+    }
+
+    context.rowNumber = index + 1;
+    const result = normalizeRow(platform, record, context);
+    if (result.sale) {
+      rows.push(result.sale);
+    } else {
+      skipped.push({ source: `${sheet.name}:${index + 1}`, reason: result.skip });
+    }
+  }
+
+  return { rows, skipped, found: true };
+}
+
+/**
+ * Parse a platform sales report
+ *
+ * @param {ArrayBuffer|Buffer} buffer - Report file contents
+ * @param {Object} options - { filename, contentType, platform } (platform is detected when omitted)
+ * @returns {Promise<Object>} { platform, rows, skipped, periodStart, periodEnd }
+ * @throws {Error} If the format is not recognized or no sales table is found
+ */
+export async function parseSalesReport(buffer, options = {}) {
+  const sheets = await readSpreadsheet(buffer, options.filename, options.contentType);
+  const platform = options.platform || detectPlatform(sheets);
+
+  if (!platform) {
+    throw new Error('Unrecognized sales report. Upload a KDP, Draft2Digital or IngramSpark report');
+  }
+  if (!REPORT_PLATFORMS.includes(platform)) {
+    throw new Error(`Unsupported platform: ${platform}. Supported: ${REPORT_PLATFORMS.join(', ')}`);
+  }
+
+  const rows = [];
+  const skipped = [];
+  let found = false;
+
+  for (const sheet of sheets) {
+    const result = parseSheet(platform, sheet);
+    found = found || result.found;
+    rows.push(...result.rows);
+    skipped.push(...result.skipped);
+  }
+
+  if (!found) {
+    throw new Error(`No sales table found in the ${platform} report`);
+  }
+
+  const dates = rows.map(row => row.saleDate);
+  return {
+    platform,
+    rows,
+    skipped,
+    periodStart: dates.length ? Math.min(...dates) : null,
+    periodEnd: dates.length ? Math.max(...dates) : null
+  };
+}
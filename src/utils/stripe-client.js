@@ -0,0 +1,35 @@
+/**
+ * Stripe Client
+ *
+ * Builds the Stripe SDK client for handlers and services. Set STRIPE_API_BASE
+ * (e.g. http://localhost:12111) to send every request to a local Stripe mock
+ * instead of api.stripe.com - see the stripe-mock service in docker-compose.yml.
+ */
+
+import Stripe from 'stripe';
+
+export const STRIPE_API_VERSION = '2024-10-28.acacia';
+
+/**
+ * Create a Stripe client from environment configuration
+ *
+ * @param {Object} env - Environment bindings (STRIPE_SECRET_KEY, optional STRIPE_API_BASE)
+ * @returns {Stripe}
+ * @throws {Error} If STRIPE_SECRET_KEY is not configured
+ */
+export function getStripeClient(env) {
+  if (!env.STRIPE_SECRET_KEY) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+
+  const config = { apiVersion: STRIPE_API_VERSION };
+
+  if (env.STRIPE_API_BASE) {
+    const base = new URL(env.STRIPE_API_BASE);
+    config.host = base.hostname;
+    config.port = base.port || (base.protocol === 'http:' ? 80 : 443);
+    config.protocol = base.protocol.replace(':', '');
+  }
+
+  return new Stripe(env.STRIPE_SECRET_KEY, config);
+}
@@ -4,12 +4,14 @@
  * Provides text extraction from various file formats:
  * - Plain text (.txt) - Full support
  * - Microsoft Word (.docx) - Full support
- * - PDF (.pdf) - Limited support (recommend converting to .docx)
+ * - PDF (.pdf) - Text-based PDFs (layout-aware paragraph reconstruction)
  * - EPUB (.epub) - Full support
  */
 
 import mammoth from 'mammoth';
 import JSZip from 'jszip';
+import { reconstructDocument, PDF_LAYOUT_CONFIG } from './pdf-layout.js';
+import { segmentText, summarizeOutline, SECTION_KINDS } from './chapter-segmentation.js';
 
 /**
  * Extract text from manuscript buffer based on content type
@@ -74,42 +76,92 @@ async function extractFromDOCX(buffer) {
 
 /**
  * Extract text from PDF file
- *
- * Note: PDF text extraction in serverless environments has technical limitations.
- * We recommend converting PDFs to .docx format for best results.
+ * Only text-based PDFs (Vellum, Scrivener, Word exports) are supported;
+ * scanned image PDFs have no text layer and would need OCR.
  */
 async function extractFromPDF(buffer) {
-  console.log('[PDF Extraction] PDF upload detected');
-
-  // PDF extraction in Cloudflare Workers faces technical challenges:
-  // 1. PDF.js requires browser APIs (DOMMatrix, Canvas) not available in Workers
-  // 2. pdf-parse has module compatibility issues with Workers
-  // 3. OCR libraries require large data files and Canvas APIs
-  //
-  // For reliable manuscript analysis, we recommend .docx format which provides:
-  // - Full text extraction with formatting preservation
-  // - Faster processing
-  // - Better compatibility
-  // - More reliable results
-
-  throw new Error(
-    'PDF format is not fully supported for manuscript analysis. ' +
-    'For best results, please convert your PDF to Microsoft Word format:\n\n' +
-    '📄 How to convert:\n' +
-    '1. Open your PDF in Microsoft Word (File → Open)\n' +
-    '2. Word will automatically convert it\n' +
-    '3. Save as .docx (File → Save As)\n' +
-    '4. Upload the .docx file here\n\n' +
-    '💡 Alternative tools:\n' +
-    '   • Adobe Acrobat: Export to Word\n' +
-    '   • Google Docs: Open PDF, Download as .docx\n' +
-    '   • Online converters: smallpdf.com, ilovepdf.com\n\n' +
-    '✨ Why .docx is better:\n' +
-    '   • Preserves formatting and structure\n' +
-    '   • Faster and more reliable analysis\n' +
-    '   • Better chapter detection\n' +
-    '   • Full feature support'
-  );
+  const result = await extractPDFWithDiagnostics(buffer);
+
+  if (!result.text.trim()) {
+    throw new Error(
+      'No extractable text found in PDF. The file appears to contain scanned images. ' +
+      'Please upload a text-based PDF (exported from your writing software) or a .docx file.'
+    );
+  }
+
+  return result.text;
+}
+
+/**
+ * Extract text from a PDF along with per-page extraction diagnostics
+ *
+ * @param {ArrayBuffer} buffer - PDF file buffer
+ * @returns {Promise<Object>} {
+ *   text, pageCount, confidence (0-1 average), imageOnly, lowConfidencePages,
+ *   pages: [{ pageNumber, confidence, characters }], warnings: string[]
+ * }
+ */
+export async function extractPDFWithDiagnostics(buffer) {
+  // Loaded lazily - PDF.js is large and only needed for PDF uploads
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  let pdf;
+  try {
+    pdf = await getDocument({
+      data: new Uint8Array(buffer.slice(0)),
+      disableFontFace: true,
+      isEvalSupported: false,
+      useSystemFonts: false,
+      verbosity: 0
+    }).promise;
+  } catch (error) {
+    console.error('[PDF Extraction] Error:', error);
+
+    if (error.name === 'PasswordException') {
+      throw new Error('This PDF is password-protected. Please upload an unprotected copy.');
+    }
+
+    throw new Error(`Failed to extract text from PDF: ${error.message}`);
+  }
+
+  try {
+    const rawPages = [];
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+
+      rawPages.push({
+        items: content.items,
+        width: viewport.width,
+        height: viewport.height
+      });
+
+      page.cleanup();
+    }
+
+    const document = reconstructDocument(rawPages);
+    const confidence = document.pages.length > 0
+      ? Math.round(document.pages.reduce((sum, page) => sum + page.confidence, 0) / document.pages.length * 100) / 100
+      : 0;
+
+    console.log(`[PDF Extraction] Extracted ${countWords(document.text)} words from ${pdf.numPages} pages (confidence ${confidence})`);
+
+    return {
+      text: document.text,
+      pageCount: pdf.numPages,
+      confidence,
+      imageOnly: document.pages.every(page => page.characters === 0),
+      lowConfidencePages: document.pages
+        .filter(page => page.confidence < PDF_LAYOUT_CONFIG.LOW_CONFIDENCE)
+        .map(page => page.pageNumber),
+      pages: document.pages,
+      warnings: document.warnings
+    };
+  } finally {
+    await pdf.destroy();
+  }
 }
 
 /**
@@ -254,43 +306,46 @@ export function countWords(text) {
   return words.length;
 }
 
+/**
+ * Detect sections (front matter, chapters, parts, back matter) in manuscript text
+ * @param {string} text - Manuscript text
+ * @param {Object} overrides - Per-manuscript segmentation overrides
+ * @returns {Array<Object>} Outline entries with line, position and content
+ */
+export function detectSections(text, overrides = {}) {
+  return segmentText(text, overrides);
+}
+
 /**
  * Detect chapters in manuscript text
- * Returns array of chapter start positions
+ * Returns array of body chapter start positions (prologues and epilogues
+ * included; front/back matter and part dividers are left out)
  */
-export function detectChapters(text) {
-  const chapterPatterns = [
-    /^chapter\s+\d+/im,
-    /^chapter\s+[ivxlcdm]+/im, // Roman numerals
-    /^\d+\.\s/m, // "1. Chapter Title"
-    /^part\s+\d+/im,
-  ];
-
-  const chapters = [];
-  const lines = text.split('\n');
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    for (const pattern of chapterPatterns) {
-      if (pattern.test(line)) {
-        chapters.push({
-          line: i,
-          title: line,
-          position: text.indexOf(lines[i])
-        });
-        break;
-      }
-    }
-  }
+export function detectChapters(text, overrides = {}) {
+  return chapterStarts(detectSections(text, overrides));
+}
 
-  return chapters;
+/**
+ * Reduce an outline to body chapter start positions
+ */
+function chapterStarts(sections) {
+  return sections
+    .filter(section => section.heading && section.kind === SECTION_KINDS.CHAPTER)
+    .map(section => ({
+      line: section.line,
+      title: section.heading,
+      position: section.position,
+      label: section.label,
+      chapterNumber: section.chapterNumber
+    }));
 }
 
 /**
  * Extract metadata from document structure
  */
 export function analyzeStructure(text) {
-  const chapters = detectChapters(text);
+  const sections = detectSections(text);
+  const chapters = chapterStarts(sections);
   const wordCount = countWords(text);
   const lineCount = text.split('\n').length;
   const charCount = text.length;
@@ -301,6 +356,7 @@ export function analyzeStructure(text) {
     lineCount,
     chapterCount: chapters.length,
     chapters,
+    outline: summarizeOutline(sections),
     avgWordsPerChapter: chapters.length > 0 ? Math.floor(wordCount / chapters.length) : wordCount
   };
 }
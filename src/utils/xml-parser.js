@@ -0,0 +1,542 @@
+/**
+ * XML Parser
+ *
+ * A small, strict XML 1.0 parser for checking documents we generate or
+ * receive (EPUB package documents, XHTML chapters, NCX). It builds a
+ * lightweight element tree with line/column positions and resolved
+ * namespaces, and stops at the first well-formedness error the way a
+ * conforming parser must.
+ *
+ * No external DTDs are loaded: only the five predefined entities, character
+ * references and entities declared in an internal subset are recognised -
+ * which is also all an EPUB 3 reading system will accept (so &nbsp; in a
+ * chapter is an error here, as it is on a Kindle).
+ */
+
+export const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+const PREDEFINED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const NAME_PATTERN = /[A-Za-z_:\u00C0-\uFFFD][\w:.\-\u00B7\u00C0-\uFFFD]*/y;
+const WHITESPACE_PATTERN = /[ \t\r\n]+/y;
+const REFERENCE_PATTERN = /&(#x[0-9A-Fa-f]+|#[0-9]+|[A-Za-z_][\w.-]*);/y;
+
+/**
+ * Thrown inside the parser to stop at the first well-formedness error
+ */
+class WellFormednessError extends Error {
+  constructor(message, index) {
+    super(message);
+    this.index = index;
+  }
+}
+
+/**
+ * Offsets at which each line starts, for turning indexes into line/column
+ */
+function lineStartsOf(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * 1-based line and column of an index into text
+ * @param {Array<number>} lineStarts - From lineStartsOf
+ * @param {number} index - Character index
+ * @returns {{line: number, column: number}}
+ */
+function locateIndex(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= index) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low + 1, column: index - lineStarts[low] + 1 };
+}
+
+/**
+ * 1-based line and column of an index into text
+ * @param {string} text - Source text
+ * @param {number} index - Character index
+ * @returns {{line: number, column: number}}
+ */
+export function locate(text, index) {
+  return locateIndex(lineStartsOf(text), index);
+}
+
+/**
+ * Index of the first character XML does not allow (control characters other
+ * than tab/newline/carriage return, U+FFFE and U+FFFF), or -1
+ */
+function findInvalidCharacter(text) {
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if ((code < 0x20 && code !== 0x9 && code !== 0xA && code !== 0xD) || code === 0xFFFE || code === 0xFFFF) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function isValidCodePoint(code) {
+  return code === 0x9 || code === 0xA || code === 0xD ||
+    (code >= 0x20 && code <= 0xD7FF) ||
+    (code >= 0xE000 && code <= 0xFFFD) ||
+    (code >= 0x10000 && code <= 0x10FFFF);
+}
+
+/**
+ * Parse an XML document
+ *
+ * Elements are { type: 'element', name, prefix, localName, namespaceURI,
+ * attributes, children, parent, line, column }; text (including CDATA) is
+ * { type: 'text', value, line, column }.
+ *
+ * @param {string} source - XML text
+ * @returns {{document: Object|null, error: Object|null}} - document has
+ *   { root, doctype, xmlDeclaration }; error has { message, line, column }
+ */
+export function parseXML(source) {
+  const text = source.charCodeAt(0) === 0xFEFF ? source.slice(1) : source;
+  const lineStarts = lineStartsOf(text);
+  const document = { root: null, doctype: null, xmlDeclaration: null };
+  const entities = { ...PREDEFINED_ENTITIES };
+  const stack = [];
+  let pos = 0;
+
+  const fail = (message, index = pos) => {
+    throw new WellFormednessError(message, index);
+  };
+
+  const readName = () => {
+    NAME_PATTERN.lastIndex = pos;
+    const match = NAME_PATTERN.exec(text);
+    if (!match) {
+      return null;
+    }
+    pos += match[0].length;
+    return match[0];
+  };
+
+  const skipWhitespace = () => {
+    WHITESPACE_PATTERN.lastIndex = pos;
+    const match = WHITESPACE_PATTERN.exec(text);
+    if (!match) {
+      return false;
+    }
+    pos += match[0].length;
+    return true;
+  };
+
+  // Replace entity and character references in text or an attribute value
+  const decode = (raw, offset) => {
+    if (!raw.includes('&')) {
+      return raw;
+    }
+    let result = '';
+    let last = 0;
+    let amp = raw.indexOf('&');
+    while (amp !== -1) {
+      REFERENCE_PATTERN.lastIndex = amp;
+      const match = REFERENCE_PATTERN.exec(raw);
+      if (!match) {
+        fail('Unescaped "&" (write &amp;)', offset + amp);
+      }
+      const ref = match[1];
+      let value;
+      if (ref[0] === '#') {
+        const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+        if (!isValidCodePoint(code)) {
+          fail(`Character reference &${ref}; is not a valid XML character`, offset + amp);
+        }
+        value = String.fromCodePoint(code);
+      } else if (Object.prototype.hasOwnProperty.call(entities, ref)) {
+        value = entities[ref];
+      } else {
+        fail(`Undefined entity &${ref}; (only &amp; &lt; &gt; &quot; &apos; and numeric references are allowed)`, offset + amp);
+      }
+      result += raw.slice(last, amp) + value;
+      last = amp + match[0].length;
+      amp = raw.indexOf('&', last);
+    }
+    return result + raw.slice(last);
+  };
+
+  const resolvePrefix = (element, prefix, index) => {
+    if (prefix === 'xml') {
+      return XML_NAMESPACE;
+    }
+    const uri = element.namespaces[prefix || ''];
+    if (prefix && !uri) {
+      fail(`Namespace prefix "${prefix}" is not declared`, index);
+    }
+    return uri || null;
+  };
+
+  const appendChild = (node) => {
+    if (stack.length === 0) {
+      return;
+    }
+    const parent = stack[stack.length - 1];
+    node.parent = parent;
+    parent.children.push(node);
+  };
+
+  const parseXMLDeclaration = () => {
+    const end = text.indexOf('?>', pos);
+    if (end === -1) {
+      fail('Unterminated XML declaration');
+    }
+    const declaration = text.slice(pos + 5, end);
+    if (!/^\s+version\s*=\s*(["'])1\.[0-9]+\1/.test(declaration)) {
+      fail('XML declaration must start with a version');
+    }
+    document.xmlDeclaration = declaration.trim();
+    pos = end + 2;
+  };
+
+  const parseComment = () => {
+    const end = text.indexOf('-->', pos + 4);
+    if (end === -1) {
+      fail('Unterminated comment');
+    }
+    const body = text.slice(pos + 4, end);
+    const doubleHyphen = body.indexOf('--');
+    if (doubleHyphen !== -1 || body.endsWith('-')) {
+      fail('"--" is not allowed inside a comment', pos + 4 + (doubleHyphen !== -1 ? doubleHyphen : body.length - 1));
+    }
+    pos = end + 3;
+  };
+
+  const parseProcessingInstruction = () => {
+    const start = pos;
+    pos += 2;
+    const target = readName();
+    if (!target) {
+      fail('Invalid processing instruction', start);
+    }
+    if (target.toLowerCase() === 'xml') {
+      fail('The XML declaration must be at the very start of the file', start);
+    }
+    const end = text.indexOf('?>', pos);
+    if (end === -1) {
+      fail('Unterminated processing instruction', start);
+    }
+    pos = end + 2;
+  };
+
+  const parseDoctype = () => {
+    const start = pos;
+    if (document.doctype || document.root) {
+      fail('DOCTYPE must come before the root element and appear only once', start);
+    }
+    pos += 9;
+    let quote = null;
+    let subsetStart = -1;
+    let subsetEnd = -1;
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (quote) {
+        if (ch === quote) {
+          quote = null;
+        }
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '[' && subsetStart === -1) {
+        subsetStart = pos + 1;
+      } else if (ch === ']' && subsetStart !== -1 && subsetEnd === -1) {
+        subsetEnd = pos;
+      } else if (ch === '>' && (subsetStart === -1 || subsetEnd !== -1)) {
+        break;
+      }
+      pos++;
+    }
+    if (pos >= text.length) {
+      fail('Unterminated DOCTYPE', start);
+    }
+    document.doctype = text.slice(start, pos + 1);
+    if (subsetStart !== -1) {
+      const subset = text.slice(subsetStart, subsetEnd);
+      for (const match of subset.matchAll(/<!ENTITY\s+([A-Za-z_][\w.-]*)\s+(?:"([^"]*)"|'([^']*)')\s*>/g)) {
+        if (!Object.prototype.hasOwnProperty.call(entities, match[1])) {
+          entities[match[1]] = match[2] ?? match[3];
+        }
+      }
+    }
+    pos++;
+  };
+
+  const parseCDATA = () => {
+    const start = pos;
+    if (stack.length === 0) {
+      fail('CDATA is only allowed inside the root element', start);
+    }
+    const end = text.indexOf(']]>', pos + 9);
+    if (end === -1) {
+      fail('Unterminated CDATA section', start);
+    }
+    appendChild({ type: 'text', value: text.slice(pos + 9, end), ...locateIndex(lineStarts, start) });
+    pos = end + 3;
+  };
+
+  const parseStartTag = () => {
+    const start = pos;
+    pos++;
+    const name = readName();
+    if (!name) {
+      fail('Invalid element name', start + 1);
+    }
+
+    const attributes = {};
+    let selfClosing = false;
+    for (;;) {
+      const hadWhitespace = skipWhitespace();
+      if (text.startsWith('/>', pos)) {
+        selfClosing = true;
+        pos += 2;
+        break;
+      }
+      if (text[pos] === '>') {
+        pos++;
+        break;
+      }
+      if (pos >= text.length) {
+        fail(`Unterminated start tag <${name}>`, start);
+      }
+      if (!hadWhitespace) {
+        fail(`Unexpected character "${text[pos]}" in <${name}>`);
+      }
+      const attributeStart = pos;
+      const attributeName = readName();
+      if (!attributeName) {
+        fail(`Unexpected character "${text[pos]}" in <${name}>`);
+      }
+      skipWhitespace();
+      if (text[pos] !== '=') {
+        fail(`Attribute "${attributeName}" has no value`, attributeStart);
+      }
+      pos++;
+      skipWhitespace();
+      const quote = text[pos];
+      if (quote !== '"' && quote !== "'") {
+        fail(`Value of attribute "${attributeName}" must be quoted`, attributeStart);
+      }
+      const end = text.indexOf(quote, pos + 1);
+      if (end === -1) {
+        fail(`Unterminated value for attribute "${attributeName}"`, attributeStart);
+      }
+      const raw = text.slice(pos + 1, end);
+      const lt = raw.indexOf('<');
+      if (lt !== -1) {
+        fail(`"<" is not allowed in the value of attribute "${attributeName}"`, pos + 1 + lt);
+      }
+      if (Object.prototype.hasOwnProperty.call(attributes, attributeName)) {
+        fail(`Duplicate attribute "${attributeName}" on <${name}>`, attributeStart);
+      }
+      attributes[attributeName] = decode(raw, pos + 1).replace(/[\t\r\n]/g, ' ');
+      pos = end + 1;
+    }
+
+    if (stack.length === 0 && document.root) {
+      fail('Only one root element is allowed', start);
+    }
+
+    const parent = stack[stack.length - 1] || null;
+    const namespaces = { ...(parent ? parent.namespaces : {}) };
+    for (const [attributeName, value] of Object.entries(attributes)) {
+      if (attributeName === 'xmlns') {
+        namespaces[''] = value;
+      } else if (attributeName.startsWith('xmlns:')) {
+        namespaces[attributeName.slice(6)] = value;
+      }
+    }
+
+    const colon = name.indexOf(':');
+    const element = {
+      type: 'element',
+      name,
+      prefix: colon === -1 ? null : name.slice(0, colon),
+      localName: colon === -1 ? name : name.slice(colon + 1),
+      namespaceURI: null,
+      attributes,
+      children: [],
+      parent: null,
+      namespaces,
+      ...locateIndex(lineStarts, start)
+    };
+    element.namespaceURI = resolvePrefix(element, element.prefix, start);
+    for (const attributeName of Object.keys(attributes)) {
+      const attributeColon = attributeName.indexOf(':');
+      if (attributeColon !== -1 && !attributeName.startsWith('xmlns:')) {
+        resolvePrefix(element, attributeName.slice(0, attributeColon), start);
+      }
+    }
+
+    appendChild(element);
+    if (!parent) {
+      document.root = element;
+    }
+    if (!selfClosing) {
+      stack.push(element);
+    }
+  };
+
+  const parseEndTag = () => {
+    const start = pos;
+    pos += 2;
+    const name = readName();
+    skipWhitespace();
+    if (!name || text[pos] !== '>') {
+      fail('Malformed end tag', start);
+    }
+    pos++;
+    const open = stack.pop();
+    if (!open) {
+      fail(`Unexpected end tag </${name}>`, start);
+    }
+    if (open.name !== name) {
+      fail(`Expected </${open.name}> (opened at line ${open.line}) but found </${name}>`, start);
+    }
+  };
+
+  const parseText = () => {
+    const start = pos;
+    const next = text.indexOf('<', pos);
+    const end = next === -1 ? text.length : next;
+    const raw = text.slice(start, end);
+    pos = end;
+
+    if (stack.length === 0) {
+      const stray = raw.search(/\S/);
+      if (stray !== -1) {
+        fail('Text is not allowed outside the root element', start + stray);
+      }
+      return;
+    }
+    const cdataEnd = raw.indexOf(']]>');
+    if (cdataEnd !== -1) {
+      fail('"]]>" is not allowed in text', start + cdataEnd);
+    }
+    appendChild({ type: 'text', value: decode(raw, start), ...locateIndex(lineStarts, start) });
+  };
+
+  try {
+    const invalid = findInvalidCharacter(text);
+    if (invalid !== -1) {
+      fail(`Invalid character U+${text.charCodeAt(invalid).toString(16).toUpperCase().padStart(4, '0')}`, invalid);
+    }
+
+    if (text.startsWith('<?xml') && /[\s?]/.test(text[5] || '')) {
+      parseXMLDeclaration();
+    }
+
+    while (pos < text.length) {
+      if (text[pos] !== '<') {
+        parseText();
+      } else if (text.startsWith('<!--', pos)) {
+        parseComment();
+      } else if (text.startsWith('<![CDATA[', pos)) {
+        parseCDATA();
+      } else if (text.startsWith('<!DOCTYPE', pos)) {
+        parseDoctype();
+      } else if (text.startsWith('<?', pos)) {
+        parseProcessingInstruction();
+      } else if (text.startsWith('</', pos)) {
+        parseEndTag();
+      } else {
+        parseStartTag();
+      }
+    }
+
+    if (stack.length > 0) {
+      const open = stack[stack.length - 1];
+      fail(`Element <${open.name}> is never closed`, lineStarts[open.line - 1] + open.column - 1);
+    }
+    if (!document.root) {
+      fail('Document has no root element', 0);
+    }
+  } catch (error) {
+    if (!(error instanceof WellFormednessError)) {
+      throw error;
+    }
+    return {
+      document: null,
+      error: { message: error.message, ...locateIndex(lineStarts, Math.min(error.index, text.length)) }
+    };
+  }
+
+  return { document, error: null };
+}
+
+/**
+ * All descendant elements with a local name (optionally in a namespace)
+ * @param {Object} node - Element to search under
+ * @param {string} localName - Local name, or '*' for every element
+ * @param {string} namespaceURI - Namespace to match (optional)
+ * @returns {Array<Object>} Elements in document order
+ */
+export function findElements(node, localName, namespaceURI = null) {
+  const found = [];
+  const visit = (parent) => {
+    for (const child of parent.children) {
+      if (child.type !== 'element') {
+        continue;
+      }
+      if ((localName === '*' || child.localName === localName) &&
+          (!namespaceURI || child.namespaceURI === namespaceURI)) {
+        found.push(child);
+      }
+      visit(child);
+    }
+  };
+  visit(node);
+  return found;
+}
+
+/**
+ * First descendant element with a local name (optionally in a namespace)
+ */
+export function findElement(node, localName, namespaceURI = null) {
+  return findElements(node, localName, namespaceURI)[0] || null;
+}
+
+/**
+ * Concatenated text of an element and its descendants
+ */
+export function textContent(node) {
+  if (node.type === 'text') {
+    return node.value;
+  }
+  return node.children.map(textContent).join('');
+}
+
+/**
+ * Value of an attribute in a namespace, whatever prefix the document bound it to
+ * @param {Object} element - Element
+ * @param {string} namespaceURI - Attribute namespace
+ * @param {string} localName - Attribute local name
+ * @returns {string|null}
+ */
+export function getAttributeNS(element, namespaceURI, localName) {
+  for (const [name, value] of Object.entries(element.attributes)) {
+    const colon = name.indexOf(':');
+    if (colon === -1 || name.slice(colon + 1) !== localName) {
+      continue;
+    }
+    const prefix = name.slice(0, colon);
+    const uri = prefix === 'xml' ? XML_NAMESPACE : element.namespaces[prefix];
+    if (uri === namespaceURI) {
+      return value;
+    }
+  }
+  return null;
+}
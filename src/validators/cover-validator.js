@@ -1,6 +1,9 @@
 // Cover Validator
 // Platform-specific cover image validation for publishing platforms
 
+import { PDFDocument } from 'pdf-lib';
+import { calculateSpineWidth } from '../processors/cover-processor.js';
+
 /**
  * Platform-specific cover requirements
  */
@@ -233,6 +236,108 @@ export function validateCover(imageMetadata, platform, type = 'ebook', fileSize)
   return result;
 }
 
+/**
+ * Validate a full-wrap print cover PDF against platform specifications
+ * Checks the file itself (one page at the exact wrap size, trim box) and the
+ * layout facts reported by the cover generator (spine width, image
+ * resolution and color space, safe zones).
+ * @param {Buffer} pdfBuffer - Cover PDF
+ * @param {string} platform - Target platform (kdp, ingramspark)
+ * @param {Object} expected - { width, height, trimWidth, trimHeight, bleed, spineWidth (points),
+ *   pageCount, paperType, images: [{ panel, dpi, colorSpace }], safeZoneViolations }
+ * @returns {Promise<ValidationResult>}
+ */
+export async function validatePrintCover(pdfBuffer, platform, expected) {
+  const result = new ValidationResult(platform, 'print');
+
+  const specs = COVER_SPECS[platform]?.print;
+  if (!specs) {
+    result.addError(`Unknown platform or type: ${platform}/print`);
+    return result;
+  }
+
+  if (!specs.formats.includes('pdf')) {
+    result.addError(`Invalid format: pdf. Must be one of: ${specs.formats.join(', ')}`);
+  }
+
+  if (specs.maxFileSize && pdfBuffer.length > specs.maxFileSize) {
+    result.addError(
+      `File too large: ${(pdfBuffer.length / 1024 / 1024).toFixed(2)}MB. ` +
+      `Maximum: ${(specs.maxFileSize / 1024 / 1024).toFixed(2)}MB`
+    );
+  }
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdfBuffer);
+  } catch (error) {
+    result.addError(`Cover PDF could not be read: ${error.message}`);
+    return result;
+  }
+
+  if (pdfDoc.getPageCount() !== 1) {
+    result.addError(`Cover must be a single page, found ${pdfDoc.getPageCount()}`);
+  }
+
+  const page = pdfDoc.getPage(0);
+  const { width, height } = page.getSize();
+  const toInches = points => Number((points / 72).toFixed(3));
+  result.setMetadata({
+    width: toInches(width),
+    height: toInches(height),
+    spineWidth: toInches(expected.spineWidth),
+    pageCount: expected.pageCount,
+    fileSize: pdfBuffer.length,
+    format: 'pdf',
+  });
+
+  // Half a point is well inside the platforms' 1/32" tolerance
+  if (Math.abs(width - expected.width) > 0.5 || Math.abs(height - expected.height) > 0.5) {
+    result.addError(
+      `Cover is ${toInches(width)}" x ${toInches(height)}". ` +
+      `Expected ${toInches(expected.width)}" x ${toInches(expected.height)}" including bleed`
+    );
+  }
+
+  const trimBox = page.getTrimBox();
+  if (Math.abs(trimBox.width - (expected.width - expected.bleed * 2)) > 0.5 || Math.abs(trimBox.height - expected.trimHeight) > 0.5) {
+    result.addWarning('Trim box does not match the trimmed cover size');
+  }
+
+  if (specs.requiresSpineCalculation) {
+    const spine = calculateSpineWidth(expected.pageCount, expected.paperType);
+    if (Math.abs(spine.spineWidthPoints - expected.spineWidth) > 0.5) {
+      result.addError(
+        `Spine is ${toInches(expected.spineWidth)}" but ${expected.pageCount} pages need ${spine.spineWidthInches.toFixed(3)}"`
+      );
+    }
+  }
+  if (Math.abs(expected.width - (expected.trimWidth * 2 + expected.spineWidth + expected.bleed * 2)) > 0.5) {
+    result.addError('Cover width does not equal back + spine + front + bleed');
+  }
+
+  for (const image of expected.images || []) {
+    if (specs.minDPI && image.dpi < specs.minDPI) {
+      result.addError(`${image.panel} cover image is ${image.dpi} DPI at print size. Minimum: ${specs.minDPI}`);
+    }
+    if (specs.colorSpace && image.colorSpace !== specs.colorSpace) {
+      result.addWarning(
+        `${image.panel} cover image is ${image.colorSpace}; ${platform} prints ${specs.colorSpace} and will convert it, so colors may shift`
+      );
+    }
+  }
+
+  for (const violation of expected.safeZoneViolations || []) {
+    result.addError(violation);
+  }
+
+  if (specs.requiresTemplate) {
+    result.addWarning(`Check the layout against the ${platform} cover template generated for this ISBN before uploading`);
+  }
+
+  return result;
+}
+
 /**
  * Validate cover against multiple platforms at once
  * @param {Object} imageMetadata - Image metadata from sharp
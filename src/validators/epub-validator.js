@@ -0,0 +1,816 @@
+/**
+ * EPUB Validator
+ *
+ * Checks an EPUB for the problems KDP, Apple Books and Kobo reject uploads
+ * for - the same ground epubcheck covers - in pure JavaScript so it runs
+ * wherever we generate EPUBs:
+ * - Container: mimetype is the first entry, stored uncompressed with no
+ *   extra field, and META-INF/container.xml points at the package document
+ * - Package document: required metadata, manifest/spine consistency, core
+ *   media types (or fallbacks) and the cover image declaration
+ * - Navigation: an EPUB 3 nav document with a toc nav (and the NCX, if any)
+ * - Content: XHTML well-formedness, broken internal links and fragment
+ *   targets, resources used but missing from the manifest
+ * - Fonts: @font-face sources are packaged, use a font media type and their
+ *   licence allows embedding; families used but never embedded are flagged
+ *
+ * Every issue is { code, message, file, line, column } - file/line/column are
+ * null when the problem is with the archive as a whole.
+ */
+
+import JSZip from 'jszip';
+import { AppError } from '../utils/error-handling.js';
+import { parseXML, findElements, findElement, textContent, getAttributeNS, locate } from '../utils/xml-parser.js';
+
+const NS = {
+  OPF: 'http://www.idpf.org/2007/opf',
+  DC: 'http://purl.org/dc/elements/1.1/',
+  XHTML: 'http://www.w3.org/1999/xhtml',
+  OPS: 'http://www.idpf.org/2007/ops',
+  XLINK: 'http://www.w3.org/1999/xlink'
+};
+
+export const EPUB_LIMITS = {
+  MAX_SIZE_BYTES: 650 * 1024 * 1024,    // KDP, Apple and Kobo upload ceiling
+  LARGE_SIZE_BYTES: 100 * 1024 * 1024
+};
+
+/**
+ * Core media types reading systems must support (EPUB 3.3 §3.2); anything
+ * else needs a fallback to one of these
+ */
+export const CORE_MEDIA_TYPES = {
+  'image/gif': 'image',
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/svg+xml': 'image',
+  'image/webp': 'image',
+  'audio/mpeg': 'audio',
+  'audio/mp4': 'audio',
+  'audio/ogg; codecs=opus': 'audio',
+  'application/xhtml+xml': 'content',
+  'application/x-dtbncx+xml': 'ncx',
+  'text/css': 'style',
+  'text/javascript': 'script',
+  'application/javascript': 'script',
+  'application/ecmascript': 'script',
+  'application/smil+xml': 'overlay',
+  'application/pls+xml': 'lexicon',
+  'font/ttf': 'font',
+  'font/otf': 'font',
+  'font/woff': 'font',
+  'font/woff2': 'font',
+  'application/font-sfnt': 'font',
+  'application/vnd.ms-opentype': 'font',
+  'application/font-woff': 'font'
+};
+
+/**
+ * Declared media types that match a sniffed font format (TrueType and
+ * OpenType fonts share the sfnt container and are declared interchangeably)
+ */
+const SFNT_TYPES = ['font/ttf', 'font/otf', 'application/font-sfnt', 'application/vnd.ms-opentype'];
+const SNIFFED_ALIASES = {
+  'font/ttf': SFNT_TYPES,
+  'font/otf': SFNT_TYPES,
+  'font/woff': ['application/font-woff']
+};
+
+const GENERIC_FONT_FAMILIES = new Set([
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'math', 'emoji', 'fangsong',
+  'inherit', 'initial', 'unset', 'revert', 'revert-layer'
+]);
+
+/**
+ * Resource-loading attributes in XHTML; <a> and <area> hrefs are hyperlinks
+ */
+const RESOURCE_ATTRIBUTES = {
+  img: ['src'],
+  link: ['href'],
+  script: ['src'],
+  audio: ['src'],
+  video: ['src', 'poster'],
+  source: ['src'],
+  track: ['src'],
+  iframe: ['src'],
+  embed: ['src'],
+  object: ['data'],
+  image: ['href']
+};
+
+const MODIFIED_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/;
+const LANGUAGE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/;
+
+/**
+ * The EPUB failed validation and would be rejected by the retailers
+ */
+export class EPUBValidationError extends AppError {
+  constructor(validation) {
+    const first = validation.errors[0];
+    super(
+      `EPUB failed validation with ${validation.errors.length} error(s)${first ? `: ${formatEPUBIssue(first)}` : ''}`,
+      422,
+      'EPUB_VALIDATION_FAILED',
+      { errors: validation.errors, warnings: validation.warnings }
+    );
+  }
+}
+
+/**
+ * Render an issue as "file:line:column message" for logs and plain-text lists
+ * @param {Object} issue - Validation issue
+ * @returns {string}
+ */
+export function formatEPUBIssue(issue) {
+  if (!issue.file) {
+    return issue.message;
+  }
+  const position = issue.line ? `:${issue.line}${issue.column ? `:${issue.column}` : ''}` : '';
+  return `${issue.file}${position} ${issue.message}`;
+}
+
+function addIssue(validation, severity, code, message, location = {}) {
+  const issue = {
+    code,
+    message,
+    file: location.file || null,
+    line: location.line || null,
+    column: location.column || null
+  };
+  if (severity === 'error') {
+    validation.errors.push(issue);
+    validation.valid = false;
+  } else {
+    validation.warnings.push(issue);
+  }
+}
+
+function at(file, node) {
+  return { file, line: node?.line || null, column: node?.column || null };
+}
+
+function dirname(path) {
+  const slash = path.lastIndexOf('/');
+  return slash === -1 ? '' : path.slice(0, slash + 1);
+}
+
+/**
+ * Resolve an href found in a container file to a path inside the container
+ * @returns {{path: string|null, fragment: string|null, remote: boolean, invalid: boolean}}
+ */
+function resolveHref(fromFile, href) {
+  const trimmed = href.trim();
+  if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+    return { path: null, fragment: null, remote: true, invalid: false, scheme: trimmed.split(':')[0].toLowerCase() };
+  }
+
+  const hash = trimmed.indexOf('#');
+  const fragment = hash === -1 ? null : trimmed.slice(hash + 1);
+  const rawPath = (hash === -1 ? trimmed : trimmed.slice(0, hash)).split('?')[0];
+  if (!rawPath) {
+    return { path: fromFile, fragment, remote: false, invalid: false };
+  }
+  if (rawPath.startsWith('/')) {
+    return { path: null, fragment, remote: false, invalid: true };
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(rawPath);
+  } catch {
+    return { path: null, fragment, remote: false, invalid: true };
+  }
+
+  const segments = [];
+  for (const segment of (dirname(fromFile) + decoded).split('/')) {
+    if (segment === '..') {
+      if (segments.length === 0) {
+        return { path: null, fragment, remote: false, invalid: true };
+      }
+      segments.pop();
+    } else if (segment !== '.' && segment !== '') {
+      segments.push(segment);
+    }
+  }
+  return { path: segments.join('/'), fragment, remote: false, invalid: false };
+}
+
+/**
+ * Identify images and fonts by their leading bytes
+ */
+function sniffMediaType(bytes) {
+  const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1A\n') return 'image/png';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'wOFF') return 'font/woff';
+  if (ascii(0, 4) === 'wOF2') return 'font/woff2';
+  if (ascii(0, 4) === 'OTTO') return 'font/otf';
+  if (ascii(0, 4) === 'true' || (bytes[0] === 0 && bytes[1] === 1 && bytes[2] === 0 && bytes[3] === 0)) return 'font/ttf';
+  return null;
+}
+
+/**
+ * Read a font's OS/2 fsType (embedding permissions), or null when it cannot
+ * be read (WOFF2, collections, compressed WOFF tables, truncated files)
+ */
+function readFontEmbedding(bytes) {
+  try {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const signature = tag(0);
+
+    if (signature === 'wOFF') {
+      const tables = view.getUint16(12);
+      for (let i = 0; i < tables; i++) {
+        const entry = 44 + i * 20;
+        if (tag(entry) === 'OS/2') {
+          const offset = view.getUint32(entry + 4);
+          const compressedLength = view.getUint32(entry + 8);
+          const length = view.getUint32(entry + 12);
+          return compressedLength === length ? view.getUint16(offset + 8) : null;
+        }
+      }
+      return null;
+    }
+
+    if (signature === 'OTTO' || signature === 'true' || view.getUint32(0) === 0x00010000) {
+      const tables = view.getUint16(4);
+      for (let i = 0; i < tables; i++) {
+        const entry = 12 + i * 16;
+        if (tag(entry) === 'OS/2') {
+          return view.getUint16(view.getUint32(entry + 8) + 8);
+        }
+      }
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check the raw ZIP header of the first entry: epubcheck reads it directly,
+ * and retailers reject EPUBs where mimetype is compressed or not first
+ */
+function checkMimetypeEntry(bytes, validation) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 30 || view.getUint32(0, true) !== 0x04034b50) {
+    addIssue(validation, 'error', 'NOT_A_ZIP', 'File is not a ZIP archive');
+    return false;
+  }
+
+  const method = view.getUint16(8, true);
+  const nameLength = view.getUint16(26, true);
+  const extraLength = view.getUint16(28, true);
+  const name = new TextDecoder().decode(bytes.subarray(30, 30 + nameLength));
+
+  if (name !== 'mimetype') {
+    addIssue(validation, 'error', 'MIMETYPE_NOT_FIRST', `The first file in the archive must be "mimetype" (found "${name}")`);
+    return true;
+  }
+  if (method !== 0) {
+    addIssue(validation, 'error', 'MIMETYPE_COMPRESSED', 'The mimetype file must be stored uncompressed', { file: 'mimetype' });
+  }
+  if (extraLength !== 0) {
+    addIssue(validation, 'error', 'MIMETYPE_EXTRA_FIELD', 'The mimetype file must not have an extra field in its ZIP header', { file: 'mimetype' });
+  }
+  return true;
+}
+
+/**
+ * Parse an XML file from the container, recording well-formedness errors
+ */
+async function readXML(zip, path, validation, code = 'XML_NOT_WELL_FORMED') {
+  const source = await zip.file(path).async('string');
+  const { document, error } = parseXML(source);
+  if (error) {
+    addIssue(validation, 'error', code, error.message, { file: path, line: error.line, column: error.column });
+    return null;
+  }
+  return { document, source };
+}
+
+/**
+ * Pull url() and @import references, @font-face rules and font-family uses out of CSS
+ * @param {string} css - Stylesheet text
+ * @param {Object} origin - { file, line } of the stylesheet's first character
+ */
+function scanCSS(css, origin) {
+  // Blank out comments but keep offsets, so locations stay right
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+  const position = (index) => {
+    const { line, column } = locate(text, index);
+    return {
+      file: origin.file,
+      line: origin.line + line - 1,
+      column: line === 1 ? origin.column + column - 1 : column
+    };
+  };
+
+  const references = [];
+  for (const match of text.matchAll(/url\(\s*(['"]?)([^'")]+?)\1\s*\)|@import\s+(['"])([^'"]+)\3/g)) {
+    references.push({ href: match[2] || match[4], ...position(match.index), index: match.index });
+  }
+
+  const fontFaces = [];
+  for (const match of text.matchAll(/@font-face\s*\{([^}]*)\}/g)) {
+    const family = /font-family\s*:\s*(['"]?)([^;'"}]+)\1/.exec(match[1]);
+    fontFaces.push({
+      family: family ? family[2].trim().toLowerCase() : null,
+      sources: references.filter(ref => ref.index > match.index && ref.index < match.index + match[0].length),
+      ...position(match.index)
+    });
+  }
+
+  const families = [];
+  const outsideFontFaces = text.replace(/@font-face\s*\{[^}]*\}/g, rule => ' '.repeat(rule.length));
+  for (const match of outsideFontFaces.matchAll(/font-family\s*:\s*([^;}]+)/g)) {
+    families.push({
+      names: match[1].split(',').map(name => name.trim().replace(/^['"]|['"]$/g, '').toLowerCase()).filter(Boolean),
+      ...position(match.index)
+    });
+  }
+
+  return { references, fontFaces, families };
+}
+
+/**
+ * Validate an EPUB file
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} epubBuffer - EPUB file
+ * @returns {Promise<Object>} - { valid, errors, warnings, info }
+ */
+export async function validateEPUBPackage(epubBuffer) {
+  const validation = { valid: true, errors: [], warnings: [], info: {} };
+  const bytes = epubBuffer instanceof Uint8Array ? epubBuffer : new Uint8Array(epubBuffer);
+
+  validation.info.fileSize = bytes.length;
+  validation.info.fileSizeMB = (bytes.length / (1024 * 1024)).toFixed(2);
+
+  if (bytes.length > EPUB_LIMITS.MAX_SIZE_BYTES) {
+    addIssue(validation, 'error', 'FILE_TOO_LARGE', 'EPUB exceeds the 650MB maximum for most platforms');
+  } else if (bytes.length > EPUB_LIMITS.LARGE_SIZE_BYTES) {
+    addIssue(validation, 'warning', 'FILE_LARGE', 'EPUB is quite large (>100MB)');
+  }
+
+  if (!checkMimetypeEntry(bytes, validation)) {
+    return validation;
+  }
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(bytes);
+  } catch (error) {
+    addIssue(validation, 'error', 'CORRUPT_ARCHIVE', `Could not read the ZIP archive: ${error.message}`);
+    return validation;
+  }
+
+  const containerFiles = new Set(Object.values(zip.files).filter(entry => !entry.dir).map(entry => entry.name));
+  validation.info.fileCount = containerFiles.size;
+
+  // Container
+  if (!containerFiles.has('mimetype')) {
+    addIssue(validation, 'error', 'MIMETYPE_MISSING', 'Missing required file: mimetype');
+  } else {
+    const mimetype = await zip.file('mimetype').async('string');
+    if (mimetype !== 'application/epub+zip') {
+      addIssue(validation, 'error', 'MIMETYPE_INVALID', `mimetype must contain exactly "application/epub+zip" with no trailing whitespace (found "${mimetype.slice(0, 40)}")`, { file: 'mimetype', line: 1, column: 1 });
+    }
+  }
+
+  if (!containerFiles.has('META-INF/container.xml')) {
+    addIssue(validation, 'error', 'CONTAINER_MISSING', 'Missing required file: META-INF/container.xml');
+    return validation;
+  }
+  const container = await readXML(zip, 'META-INF/container.xml', validation);
+  if (!container) {
+    return validation;
+  }
+  const rootfile = findElements(container.document.root, 'rootfile')
+    .find(element => element.attributes['media-type'] === 'application/oebps-package+xml');
+  const packagePath = rootfile?.attributes['full-path'];
+  if (!packagePath) {
+    addIssue(validation, 'error', 'CONTAINER_NO_ROOTFILE', 'container.xml does not declare a package document (rootfile with media-type application/oebps-package+xml)', at('META-INF/container.xml', container.document.root));
+    return validation;
+  }
+  if (!containerFiles.has(packagePath)) {
+    addIssue(validation, 'error', 'PACKAGE_MISSING', `Package document "${packagePath}" is not in the EPUB`, at('META-INF/container.xml', rootfile));
+    return validation;
+  }
+  validation.info.packagePath = packagePath;
+
+  const encrypted = new Set();
+  if (containerFiles.has('META-INF/encryption.xml')) {
+    const encryption = await readXML(zip, 'META-INF/encryption.xml', validation);
+    for (const reference of encryption ? findElements(encryption.document.root, 'CipherReference') : []) {
+      encrypted.add(reference.attributes.URI);
+    }
+  }
+
+  // Package document
+  const opf = await readXML(zip, packagePath, validation);
+  if (!opf) {
+    return validation;
+  }
+  const pkg = opf.document.root;
+  if (pkg.localName !== 'package' || pkg.namespaceURI !== NS.OPF) {
+    addIssue(validation, 'error', 'PACKAGE_INVALID', 'Package document root must be <package> in the OPF namespace', at(packagePath, pkg));
+    return validation;
+  }
+  const version = pkg.attributes.version || '';
+  const isEPUB3 = version.startsWith('3');
+  validation.info.epubVersion = version || null;
+  if (!isEPUB3) {
+    addIssue(validation, version.startsWith('2') ? 'warning' : 'error', 'PACKAGE_VERSION',
+      version ? `EPUB ${version} is deprecated; retailers expect EPUB 3` : 'Package document has no version attribute', at(packagePath, pkg));
+  }
+
+  // Metadata
+  const metadata = findElement(pkg, 'metadata', NS.OPF);
+  let uniqueIdentifier = null;
+  if (!metadata) {
+    addIssue(validation, 'error', 'METADATA_MISSING', 'Package document has no <metadata>', at(packagePath, pkg));
+  } else {
+    for (const required of ['identifier', 'title', 'language']) {
+      const elements = findElements(metadata, required, NS.DC);
+      if (elements.length === 0 || elements.every(element => !textContent(element).trim())) {
+        addIssue(validation, 'error', 'METADATA_MISSING', `Missing required metadata dc:${required}`, at(packagePath, metadata));
+      }
+    }
+
+    const identifierElement = findElements(metadata, 'identifier', NS.DC)
+      .find(element => element.attributes.id && element.attributes.id === pkg.attributes['unique-identifier']);
+    if (!identifierElement) {
+      addIssue(validation, 'error', 'UNIQUE_IDENTIFIER_INVALID', `unique-identifier "${pkg.attributes['unique-identifier'] || ''}" does not match the id of a dc:identifier`, at(packagePath, pkg));
+    } else {
+      uniqueIdentifier = textContent(identifierElement).trim();
+    }
+
+    for (const language of findElements(metadata, 'language', NS.DC)) {
+      const value = textContent(language).trim();
+      if (value && !LANGUAGE_PATTERN.test(value)) {
+        addIssue(validation, 'error', 'LANGUAGE_INVALID', `dc:language "${value}" is not a valid language tag (e.g. "en" or "en-GB")`, at(packagePath, language));
+      }
+    }
+
+    if (isEPUB3) {
+      const modified = findElements(metadata, 'meta', NS.OPF).filter(meta => meta.attributes.property === 'dcterms:modified');
+      if (modified.length !== 1) {
+        addIssue(validation, 'error', 'MODIFIED_MISSING', 'EPUB 3 metadata must have exactly one meta property="dcterms:modified"', at(packagePath, modified[1] || metadata));
+      } else if (!MODIFIED_PATTERN.test(textContent(modified[0]).trim())) {
+        addIssue(validation, 'error', 'MODIFIED_INVALID', 'dcterms:modified must be formatted as CCYY-MM-DDThh:mm:ssZ', at(packagePath, modified[0]));
+      }
+    }
+  }
+
+  // Manifest
+  const manifest = findElement(pkg, 'manifest', NS.OPF);
+  const items = new Map();
+  const itemsByPath = new Map();
+  const ids = new Set();
+  for (const element of findElements(pkg, '*')) {
+    const id = element.attributes.id;
+    if (!id) continue;
+    if (ids.has(id)) {
+      addIssue(validation, 'error', 'DUPLICATE_ID', `Duplicate id "${id}" in the package document`, at(packagePath, element));
+    }
+    ids.add(id);
+  }
+
+  if (!manifest) {
+    addIssue(validation, 'error', 'MANIFEST_MISSING', 'Package document has no <manifest>', at(packagePath, pkg));
+    return validation;
+  }
+
+  for (const element of findElements(manifest, 'item', NS.OPF)) {
+    const { id, href, fallback } = element.attributes;
+    const mediaType = (element.attributes['media-type'] || '').trim().toLowerCase();
+    const properties = (element.attributes.properties || '').split(/\s+/).filter(Boolean);
+    if (!id || !href || !mediaType) {
+      addIssue(validation, 'error', 'MANIFEST_ITEM_INVALID', 'Manifest items need id, href and media-type attributes', at(packagePath, element));
+      continue;
+    }
+
+    const target = resolveHref(packagePath, href);
+    const item = { id, href, mediaType, properties, fallback, element, path: target.path, remote: target.remote };
+    items.set(id, item);
+
+    if (target.invalid) {
+      addIssue(validation, 'error', 'MANIFEST_HREF_INVALID', `Manifest href "${href}" does not resolve to a file inside the EPUB`, at(packagePath, element));
+      continue;
+    }
+    if (target.remote) {
+      continue;
+    }
+    if (itemsByPath.has(target.path)) {
+      addIssue(validation, 'error', 'MANIFEST_DUPLICATE_HREF', `"${href}" is declared twice in the manifest`, at(packagePath, element));
+    }
+    itemsByPath.set(target.path, item);
+
+    if (!containerFiles.has(target.path)) {
+      addIssue(validation, 'error', 'MANIFEST_FILE_MISSING', `Manifest item "${id}" refers to "${target.path}", which is not in the EPUB`, at(packagePath, element));
+      continue;
+    }
+
+    if (!CORE_MEDIA_TYPES[mediaType] && !fallback) {
+      addIssue(validation, 'error', 'UNSUPPORTED_MEDIA_TYPE', `"${target.path}" has media type ${mediaType}, which reading systems do not support, and no fallback`, at(packagePath, element));
+    }
+
+    const kind = CORE_MEDIA_TYPES[mediaType];
+    if ((kind === 'image' || kind === 'font') && mediaType !== 'image/svg+xml' && !encrypted.has(target.path)) {
+      item.bytes = await zip.file(target.path).async('uint8array');
+      const actual = sniffMediaType(item.bytes);
+      if (actual !== mediaType && !SNIFFED_ALIASES[actual]?.includes(mediaType)) {
+        addIssue(validation, 'error', 'MEDIA_TYPE_MISMATCH', `"${target.path}" is declared as ${mediaType} but ${actual ? `the file is ${actual}` : 'its contents do not match'}`, at(packagePath, element));
+      }
+    }
+  }
+
+  for (const item of items.values()) {
+    if (item.fallback && !items.has(item.fallback)) {
+      addIssue(validation, 'error', 'FALLBACK_INVALID', `Fallback "${item.fallback}" of item "${item.id}" is not in the manifest`, at(packagePath, item.element));
+    }
+  }
+
+  for (const path of containerFiles) {
+    if (path !== 'mimetype' && !path.startsWith('META-INF/') && path !== packagePath && !itemsByPath.has(path)) {
+      addIssue(validation, 'warning', 'FILE_NOT_IN_MANIFEST', `"${path}" is in the EPUB but not declared in the manifest`, { file: path });
+    }
+  }
+
+  // Spine
+  const spine = findElement(pkg, 'spine', NS.OPF);
+  const spinePaths = new Set();
+  if (!spine) {
+    addIssue(validation, 'error', 'SPINE_MISSING', 'Package document has no <spine>', at(packagePath, pkg));
+  } else {
+    const itemrefs = findElements(spine, 'itemref', NS.OPF);
+    if (itemrefs.length === 0) {
+      addIssue(validation, 'error', 'SPINE_EMPTY', 'The spine has no items, so there is nothing to read', at(packagePath, spine));
+    }
+    for (const itemref of itemrefs) {
+      const item = items.get(itemref.attributes.idref);
+      if (!item) {
+        addIssue(validation, 'error', 'SPINE_ITEM_UNKNOWN', `Spine itemref "${itemref.attributes.idref || ''}" is not in the manifest`, at(packagePath, itemref));
+        continue;
+      }
+      if (spinePaths.has(item.path)) {
+        addIssue(validation, 'error', 'SPINE_ITEM_DUPLICATE', `"${item.id}" appears in the spine more than once`, at(packagePath, itemref));
+      }
+      spinePaths.add(item.path);
+
+      let candidate = item;
+      const seen = new Set();
+      while (candidate && !['application/xhtml+xml', 'image/svg+xml'].includes(candidate.mediaType) && !seen.has(candidate.id)) {
+        seen.add(candidate.id);
+        candidate = candidate.fallback ? items.get(candidate.fallback) : null;
+      }
+      if (!candidate || !['application/xhtml+xml', 'image/svg+xml'].includes(candidate.mediaType)) {
+        addIssue(validation, 'error', 'SPINE_ITEM_NOT_CONTENT', `Spine item "${item.id}" (${item.mediaType}) is not an XHTML or SVG content document and has no fallback to one`, at(packagePath, itemref));
+      }
+    }
+
+    const toc = spine.attributes.toc;
+    if (toc && items.get(toc)?.mediaType !== 'application/x-dtbncx+xml') {
+      addIssue(validation, 'error', 'SPINE_TOC_INVALID', `Spine toc "${toc}" is not an NCX item in the manifest`, at(packagePath, spine));
+    } else if (!toc && !isEPUB3) {
+      addIssue(validation, 'error', 'NCX_MISSING', 'EPUB 2 spine must reference an NCX with the toc attribute', at(packagePath, spine));
+    }
+  }
+  validation.info.spineItems = spinePaths.size;
+
+  // Navigation document
+  const navItems = [...items.values()].filter(item => item.properties.includes('nav'));
+  if (isEPUB3 && navItems.length === 0) {
+    addIssue(validation, 'error', 'NAV_MISSING', 'EPUB 3 requires a navigation document (manifest item with properties="nav")', at(packagePath, manifest));
+  } else if (navItems.length > 1) {
+    addIssue(validation, 'error', 'NAV_DUPLICATE', 'Only one manifest item may have the "nav" property', at(packagePath, navItems[1].element));
+  }
+  const navItem = navItems[0] || null;
+  if (navItem && navItem.mediaType !== 'application/xhtml+xml') {
+    addIssue(validation, 'error', 'NAV_INVALID', 'The navigation document must be XHTML', at(packagePath, navItem.element));
+  }
+  validation.info.navDocument = navItem?.path || null;
+
+  // Cover image
+  const coverItems = [...items.values()].filter(item => item.properties.includes('cover-image'));
+  if (coverItems.length > 1) {
+    addIssue(validation, 'error', 'COVER_DUPLICATE', 'Only one manifest item may have the "cover-image" property', at(packagePath, coverItems[1].element));
+  }
+  for (const item of coverItems) {
+    if (CORE_MEDIA_TYPES[item.mediaType] !== 'image') {
+      addIssue(validation, 'error', 'COVER_NOT_IMAGE', `Cover image "${item.id}" must be a JPEG, PNG, GIF, WebP or SVG image (found ${item.mediaType})`, at(packagePath, item.element));
+    }
+  }
+  const coverMeta = metadata ? findElements(metadata, 'meta', NS.OPF).find(meta => meta.attributes.name === 'cover') : null;
+  if (coverMeta) {
+    const referenced = items.get(coverMeta.attributes.content);
+    if (!referenced) {
+      addIssue(validation, 'error', 'COVER_META_INVALID', `<meta name="cover"> refers to "${coverMeta.attributes.content || ''}", which is not a manifest id`, at(packagePath, coverMeta));
+    } else if (CORE_MEDIA_TYPES[referenced.mediaType] !== 'image') {
+      addIssue(validation, 'error', 'COVER_META_INVALID', `<meta name="cover"> must refer to an image (found ${referenced.mediaType})`, at(packagePath, coverMeta));
+    }
+  }
+  const coverItem = coverItems[0] || (coverMeta ? items.get(coverMeta.attributes.content) : null);
+  if (!coverItem) {
+    addIssue(validation, 'warning', 'COVER_MISSING', 'No cover image is declared; KDP and Apple Books show a blank cover without one', at(packagePath, manifest));
+  } else if (isEPUB3 && coverItems.length === 0) {
+    addIssue(validation, 'warning', 'COVER_PROPERTY_MISSING', `Cover image "${coverItem.id}" should also have properties="cover-image"`, at(packagePath, coverItem.element));
+  }
+  validation.info.coverImage = coverItem?.path || null;
+
+  // Content documents, NCX and stylesheets
+  const documentIds = new Map();
+  const references = [];
+  const stylesheets = [];
+
+  for (const item of items.values()) {
+    if (item.remote || !item.path || !containerFiles.has(item.path)) {
+      continue;
+    }
+
+    if (item.mediaType === 'application/xhtml+xml') {
+      const parsed = await readXML(zip, item.path, validation, 'XHTML_NOT_WELL_FORMED');
+      if (!parsed) {
+        continue;
+      }
+      const root = parsed.document.root;
+      if (root.localName !== 'html' || root.namespaceURI !== NS.XHTML) {
+        addIssue(validation, 'error', 'XHTML_ROOT_INVALID', 'Content documents must have an <html> root in the XHTML namespace', at(item.path, root));
+        continue;
+      }
+      const title = findElement(root, 'title', NS.XHTML);
+      if (!title || !textContent(title).trim()) {
+        addIssue(validation, 'warning', 'XHTML_TITLE_MISSING', 'Content document has no <title>', at(item.path, findElement(root, 'head', NS.XHTML) || root));
+      }
+
+      const elements = [root, ...findElements(root, '*')];
+      documentIds.set(item.path, new Set(elements.map(element => element.attributes.id).filter(Boolean)));
+
+      if (elements.some(element => element.localName === 'script') && !item.properties.includes('scripted')) {
+        addIssue(validation, 'error', 'PROPERTY_SCRIPTED_MISSING', `"${item.path}" contains scripts but its manifest item lacks properties="scripted"`, at(packagePath, item.element));
+      }
+      if (elements.some(element => element.localName === 'svg') && !item.properties.includes('svg')) {
+        addIssue(validation, 'error', 'PROPERTY_SVG_MISSING', `"${item.path}" contains inline SVG but its manifest item lacks properties="svg"`, at(packagePath, item.element));
+      }
+
+      for (const element of elements) {
+        const hyperlink = (element.localName === 'a' || element.localName === 'area') ? element.attributes.href : null;
+        if (hyperlink !== null && hyperlink !== undefined) {
+          references.push({ from: item.path, href: hyperlink, hyperlink: true, node: element });
+        }
+        for (const attribute of RESOURCE_ATTRIBUTES[element.localName] || []) {
+          const value = element.attributes[attribute] ?? (attribute === 'href' ? getAttributeNS(element, NS.XLINK, 'href') : null);
+          if (value && !(element.localName === 'link' && !/stylesheet/i.test(element.attributes.rel || ''))) {
+            references.push({ from: item.path, href: value, hyperlink: false, node: element });
+          }
+        }
+        if (element.attributes.style) {
+          stylesheets.push({ css: element.attributes.style, file: item.path, line: element.line, column: element.column });
+        }
+        if (element.localName === 'style') {
+          const text = element.children.find(child => child.type === 'text');
+          if (text) {
+            stylesheets.push({ css: textContent(element), file: item.path, line: text.line, column: text.column });
+          }
+        }
+      }
+
+      if (item === navItem) {
+        const tocNav = findElements(root, 'nav', NS.XHTML)
+          .find(nav => (getAttributeNS(nav, NS.OPS, 'type') || '').split(/\s+/).includes('toc'));
+        if (!tocNav) {
+          addIssue(validation, 'error', 'NAV_TOC_MISSING', 'The navigation document has no <nav epub:type="toc">', at(item.path, root));
+        } else {
+          const entries = findElements(tocNav, 'a', NS.XHTML);
+          if (entries.length === 0) {
+            addIssue(validation, 'error', 'NAV_TOC_EMPTY', 'The table of contents has no entries', at(item.path, tocNav));
+          }
+          for (const entry of entries) {
+            const target = resolveHref(item.path, entry.attributes.href || '');
+            if (!target.remote && target.path && itemsByPath.has(target.path) && !spinePaths.has(target.path)) {
+              addIssue(validation, 'error', 'NAV_TARGET_NOT_IN_SPINE', `Table of contents entry points to "${target.path}", which is not in the spine`, at(item.path, entry));
+            }
+          }
+        }
+      }
+    } else if (item.mediaType === 'application/x-dtbncx+xml') {
+      const parsed = await readXML(zip, item.path, validation);
+      if (!parsed) {
+        continue;
+      }
+      const uid = findElements(parsed.document.root, 'meta').find(meta => meta.attributes.name === 'dtb:uid');
+      if (uid && uniqueIdentifier && uid.attributes.content?.trim() !== uniqueIdentifier) {
+        addIssue(validation, 'error', 'NCX_UID_MISMATCH', 'NCX dtb:uid does not match the package unique identifier', at(item.path, uid));
+      }
+      for (const content of findElements(parsed.document.root, 'content')) {
+        references.push({ from: item.path, href: content.attributes.src || '', hyperlink: true, node: content });
+      }
+    } else if (item.mediaType === 'text/css') {
+      const css = await zip.file(item.path).async('string');
+      stylesheets.push({ css, file: item.path, line: 1, column: 1 });
+    }
+  }
+
+  // Fonts: every @font-face source must be packaged, typed as a font and embeddable
+  const embeddedFamilies = new Set();
+  const usedFonts = new Set();
+  const familyUses = [];
+  for (const sheet of stylesheets) {
+    const scanned = scanCSS(sheet.css, sheet);
+    for (const reference of scanned.references) {
+      references.push({ from: sheet.file, href: reference.href, hyperlink: false, node: reference });
+    }
+    for (const fontFace of scanned.fontFaces) {
+      if (fontFace.family) {
+        embeddedFamilies.add(fontFace.family);
+      }
+      for (const source of fontFace.sources) {
+        const target = resolveHref(sheet.file, source.href);
+        const item = target.path ? itemsByPath.get(target.path) : null;
+        if (!item) {
+          continue;
+        }
+        usedFonts.add(item.path);
+        if (CORE_MEDIA_TYPES[item.mediaType] !== 'font') {
+          addIssue(validation, 'error', 'FONT_MEDIA_TYPE', `@font-face source "${item.path}" has media type ${item.mediaType}; use font/ttf, font/otf, font/woff or font/woff2`, source);
+        } else if (item.bytes) {
+          const fsType = readFontEmbedding(item.bytes);
+          if (fsType !== null && (fsType & 0x000F) === 0x0002) {
+            addIssue(validation, 'error', 'FONT_EMBEDDING_RESTRICTED', `The licence of "${item.path}" does not permit embedding (OS/2 fsType restricted)`, source);
+          }
+        }
+      }
+    }
+    familyUses.push(...scanned.families);
+  }
+  for (const use of familyUses) {
+    const generic = use.names.some(name => GENERIC_FONT_FAMILIES.has(name));
+    const embedded = use.names.some(name => embeddedFamilies.has(name));
+    if (!generic && !embedded) {
+      addIssue(validation, 'warning', 'FONT_NOT_EMBEDDED', `Font "${use.names[0]}" is not embedded and has no generic fallback; readers will substitute their default font`, use);
+    }
+  }
+  for (const item of items.values()) {
+    if (CORE_MEDIA_TYPES[item.mediaType] === 'font' && item.path && !usedFonts.has(item.path)) {
+      addIssue(validation, 'warning', 'FONT_UNUSED', `Font "${item.path}" is packaged but no @font-face rule uses it`, at(packagePath, item.element));
+    }
+  }
+  validation.info.fonts = [...items.values()].filter(item => CORE_MEDIA_TYPES[item.mediaType] === 'font').length;
+
+  // Links and resource references
+  for (const reference of references) {
+    if (!reference.href.trim()) {
+      continue;
+    }
+    const location = at(reference.from, reference.node);
+    const target = resolveHref(reference.from, reference.href);
+
+    if (target.remote) {
+      if (!reference.hyperlink && !['data', 'mailto'].includes(target.scheme)) {
+        addIssue(validation, 'error', 'REMOTE_RESOURCE', `"${reference.href}" is loaded from outside the EPUB; package it instead`, location);
+      }
+      continue;
+    }
+    if (target.invalid) {
+      addIssue(validation, 'error', 'HREF_INVALID', `"${reference.href}" does not resolve to a file inside the EPUB`, location);
+      continue;
+    }
+    if (!containerFiles.has(target.path)) {
+      addIssue(validation, 'error', 'BROKEN_LINK', `"${reference.href}" points to "${target.path}", which is not in the EPUB`, location);
+      continue;
+    }
+    if (!itemsByPath.has(target.path)) {
+      addIssue(validation, 'error', 'RESOURCE_NOT_IN_MANIFEST', `"${target.path}" is used here but not declared in the manifest`, location);
+      continue;
+    }
+    const targetItem = itemsByPath.get(target.path);
+    if (reference.hyperlink && targetItem.mediaType === 'application/xhtml+xml' && !spinePaths.has(target.path) && target.path !== reference.from) {
+      addIssue(validation, 'error', 'LINK_NOT_IN_SPINE', `Link to "${target.path}", which is not in the spine`, location);
+    }
+    if (target.fragment && documentIds.has(target.path) && !target.fragment.startsWith('epubcfi(')) {
+      let fragment = target.fragment;
+      try {
+        fragment = decodeURIComponent(fragment);
+      } catch {
+        // Leave the fragment as written
+      }
+      if (!documentIds.get(target.path).has(fragment)) {
+        addIssue(validation, 'error', 'BROKEN_FRAGMENT', `"${reference.href}" points to #${fragment}, which does not exist in "${target.path}"`, location);
+      }
+    }
+  }
+
+  return validation;
+}
+
+export default {
+  validateEPUBPackage,
+  formatEPUBIssue,
+  EPUBValidationError,
+  CORE_MEDIA_TYPES,
+  EPUB_LIMITS
+};
@@ -5,7 +5,7 @@
  */
 
 // import sharp from 'sharp'; // Disabled: not compatible with Workers
-import { validateEPUB } from './epub-generator.js';
+import { validateEPUBPackage, formatEPUBIssue } from './epub-validator.js';
 import { validatePrintPDF } from './pdf-generator.js';
 import { validateCoverImage } from './cover-processor.js';
 
@@ -121,9 +121,10 @@ export async function validateManuscript(fileBuffer, fileType, platform, publish
 
   // Type-specific validation
   if (fileType === 'epub') {
-    const epubValidation = await validateEPUB(fileBuffer);
-    validation.errors.push(...epubValidation.errors);
-    validation.warnings.push(...epubValidation.warnings);
+    const epubValidation = await validateEPUBPackage(fileBuffer);
+    validation.errors.push(...epubValidation.errors.map(formatEPUBIssue));
+    validation.warnings.push(...epubValidation.warnings.map(formatEPUBIssue));
+    validation.issues = [...epubValidation.errors, ...epubValidation.warnings];
     Object.assign(validation.info, epubValidation.info);
     validation.valid = validation.valid && epubValidation.valid;
   } else if (fileType === 'pdf') {
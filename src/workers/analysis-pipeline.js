@@ -0,0 +1,339 @@
+/**
+ * Manuscript Analysis Pipeline
+ *
+ * The one definition of what an analysis job does, shared by the Redis worker
+ * (analysis-queue-worker.js) and the Workers queue consumer (queue-consumer.js):
+ *
+ *   developmental ─┬─────────────────────────┬─> finalize
+ *                  └─> assets (optional)     │
+ *   line-editing ───> copy-editing ──────────┘
+ *
+ * Developmental and line editing run in parallel. Asset generation starts as
+ * soon as the developmental analysis it needs is stored. Stage state is kept
+ * in R2 (pipeline:{reportId}), so a retried or resumed job (POST /analyze/resume)
+ * picks up after the last completed stage; inside a stage, completed chapters
+ * are reused as before.
+ *
+ * Status updates are written to R2 (status:{reportId}) for frontend polling.
+ */
+
+import { DevelopmentalAgent } from '../agents/developmental-agent.js';
+import { LineEditingAgent } from '../agents/line-editing-agent.js';
+import { CopyEditingAgent } from '../agents/copy-editing-agent.js';
+import { sendAnalysisCompleteEmail } from '../services/email-service.js';
+import { definePipeline, runPipeline, pipelineProgress } from '../services/job-pipeline.js';
+import { generateAssets } from './asset-generation-consumer.js';
+
+const STATE_TTL = 60 * 60 * 24 * 7; // 7 days
+
+// Stages that make up the analysis the author is waiting on; asset
+// generation reports through its own asset-status:{reportId} object
+const ANALYSIS_STAGES = ['developmental', 'line-editing', 'copy-editing', 'finalize'];
+
+const STAGE_MESSAGES = {
+  developmental: 'Analyzing plot, characters, and pacing...',
+  'line-editing': 'Reviewing prose quality and sentence structure...',
+  'copy-editing': 'Checking grammar, punctuation, and style consistency...'
+};
+
+export const ANALYSIS_PIPELINE = definePipeline({
+  name: 'manuscript-analysis',
+  stages: [
+    {
+      id: 'developmental',
+      retries: 2,
+      weight: 3,
+      run: (ctx, stage) => runAgent(ctx, stage, 'developmental', options =>
+        new DevelopmentalAgent(ctx.env).analyze(ctx.manuscriptKey, ctx.genre, ctx.userId, ctx.manuscriptId, options))
+    },
+    {
+      id: 'line-editing',
+      retries: 2,
+      weight: 3,
+      run: (ctx, stage) => runAgent(ctx, stage, 'line-editing', options =>
+        new LineEditingAgent(ctx.env).analyze(ctx.manuscriptKey, ctx.genre, ctx.userId, ctx.manuscriptId, options))
+    },
+    {
+      id: 'copy-editing',
+      dependsOn: ['line-editing'],
+      retries: 2,
+      weight: 3,
+      run: (ctx, stage) => runAgent(ctx, stage, 'copy-editing', options =>
+        new CopyEditingAgent(ctx.env).analyze(ctx.manuscriptKey, ctx.styleGuide, ctx.userId, ctx.manuscriptId, options))
+    },
+    {
+      id: 'finalize',
+      dependsOn: ['developmental', 'copy-editing'],
+      retries: 2,
+      weight: 0,
+      run: finalizeAnalysis
+    },
+    {
+      id: 'assets',
+      dependsOn: ['developmental'],
+      retries: 1,
+      weight: 0,
+      optional: true, // Failed assets never fail the analysis
+      run: async (ctx) => {
+        const assets = await generateAssets(ctx.env, {
+          manuscriptKey: ctx.manuscriptKey,
+          reportId: ctx.reportId,
+          genre: ctx.genre,
+          authorData: {},
+          seriesData: {}
+        });
+        return { errors: assets.errors?.length || 0 };
+      }
+    }
+  ]
+});
+
+/**
+ * Run the analysis pipeline for one job
+ *
+ * @param {Object} env - Workers-style env (DB, R2, ...)
+ * @param {Object} jobData - { manuscriptKey, genre, styleGuide, reportId }
+ * @param {Object} options
+ * @param {Function} options.checkpoint - Called between chapters and stages;
+ *   throws an error with abort = true to stop the job
+ * @param {Function} options.sleep - Wait between stage retries (for tests)
+ * @returns {Promise<{stages: Object}>} Final stage state
+ */
+export async function runAnalysisPipeline(env, jobData, { checkpoint = () => {}, sleep } = {}) {
+  const { manuscriptKey, reportId } = jobData;
+  const ctx = {
+    env,
+    manuscriptKey,
+    reportId,
+    genre: jobData.genre || 'general',
+    styleGuide: jobData.styleGuide || 'chicago',
+    userId: manuscriptKey.split('/')[0],
+    manuscriptId: getManuscriptIdFromKey(manuscriptKey),
+    checkpoint
+  };
+
+  console.log(`[Analysis Pipeline] Report ID: ${reportId}, Genre: ${ctx.genre}, Style: ${ctx.styleGuide}`);
+
+  // Keep the job so a failed analysis can be resumed (POST /analyze/resume)
+  await saveJob(env, reportId, jobData);
+
+  const saved = await loadState(env, reportId);
+  const resuming = saved && Object.values(saved.stages || {}).some(stage => stage.status === 'complete');
+
+  await updateStatus(env, reportId, {
+    status: 'processing',
+    progress: saved ? pipelineProgress(ANALYSIS_PIPELINE, saved) : 0,
+    message: resuming ? 'Resuming analysis...' : 'Starting analysis...',
+    currentStep: 'initialization',
+    timestamp: new Date().toISOString()
+  });
+
+  if (ctx.manuscriptId) {
+    await setManuscriptStatus(env, ctx.manuscriptId, 'analyzing');
+  }
+
+  try {
+    const { state } = await runPipeline(ANALYSIS_PIPELINE, ctx, {
+      state: saved,
+      saveState: state => saveState(env, reportId, state),
+      onProgress: (state, stageId, update) => reportProgress(env, reportId, state, stageId, update),
+      ...(sleep && { sleep })
+    });
+
+    console.log(`[Analysis Pipeline] Analysis complete for ${reportId}`);
+    return { stages: summarizeStages(state) };
+
+  } catch (error) {
+    // Cancelled or reassigned jobs are not failures; the caller handles them
+    if (error.abort) {
+      throw error;
+    }
+
+    console.error(`[Analysis Pipeline] Analysis failed for ${reportId}:`, error);
+
+    await updateStatus(env, reportId, {
+      status: 'error',
+      progress: 0,
+      message: `Analysis failed: ${error.message}`,
+      currentStep: 'error',
+      error: error.message,
+      failedStages: error.details?.failedStages,
+      failedChapters: error.details?.failedChapters,
+      resumable: true,
+      timestamp: new Date().toISOString()
+    });
+
+    if (ctx.manuscriptId) {
+      await setManuscriptStatus(env, ctx.manuscriptId, 'failed').catch(dbError => {
+        console.error('[Analysis Pipeline] Failed to mark manuscript failed:', dbError);
+      });
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Run an analysis agent as a pipeline stage, reporting per-chapter progress
+ * Chapters finished before a retry are reused, so retries only re-run the
+ * chapters that failed.
+ */
+async function runAgent(ctx, stage, step, analyze) {
+  ctx.checkpoint();
+  console.log(`[Analysis Pipeline] Starting ${step} analysis...`);
+
+  const result = await analyze({
+    reportId: ctx.reportId,
+    onProgress: async ({ completed, total, failed, chapter }) => {
+      // Stop between chapters once the job is cancelled
+      ctx.checkpoint();
+      await stage.reportProgress(
+        total > 0 ? completed / total : 0,
+        `${STAGE_MESSAGES[step]} (chapter ${Math.min(completed + 1, total)} of ${total}: ${chapter.title})`,
+        { chapters: { completed, total, failed } }
+      );
+    }
+  });
+
+  console.log(`[Analysis Pipeline] ${step} analysis complete`);
+  return { chapters: result?.chapters?.length };
+}
+
+/**
+ * Mark the analysis complete and let the author know
+ */
+async function finalizeAnalysis(ctx) {
+  const { env, reportId, manuscriptId } = ctx;
+
+  await updateStatus(env, reportId, {
+    status: 'complete',
+    progress: 100,
+    message: 'Analysis complete!',
+    currentStep: 'complete',
+    timestamp: new Date().toISOString(),
+    completedAt: new Date().toISOString()
+  });
+
+  if (!manuscriptId) {
+    return;
+  }
+
+  await setManuscriptStatus(env, manuscriptId, 'analyzed');
+
+  try {
+    const manuscript = await env.DB.prepare(
+      'SELECT m.title, u.email FROM manuscripts m JOIN users u ON m.user_id = u.id WHERE m.id = ?'
+    ).bind(manuscriptId).first();
+
+    if (manuscript) {
+      await sendAnalysisCompleteEmail({
+        userId: ctx.userId,
+        userEmail: manuscript.email,
+        manuscriptTitle: manuscript.title,
+        manuscriptId,
+        reportId
+      }, env);
+    }
+  } catch (emailError) {
+    console.error('[Analysis Pipeline] Failed to send analysis complete email:', emailError);
+    // Don't fail the analysis if email fails
+  }
+}
+
+async function reportProgress(env, reportId, state, stageId, { message, chapters }) {
+  if (!ANALYSIS_STAGES.includes(stageId)) {
+    return;
+  }
+
+  const running = ANALYSIS_STAGES.filter(id => state.stages[id].status === 'running');
+  await updateStatus(env, reportId, {
+    status: 'processing',
+    progress: Math.min(99, pipelineProgress(ANALYSIS_PIPELINE, state)),
+    message,
+    currentStep: stageId,
+    runningSteps: running,
+    stages: summarizeStages(state),
+    chapters,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function summarizeStages(state) {
+  return Object.fromEntries(Object.entries(state.stages).map(([id, stage]) => [
+    id,
+    { status: stage.status, progress: Math.round((stage.progress || 0) * 100), attempts: stage.attempts }
+  ]));
+}
+
+async function setManuscriptStatus(env, manuscriptId, status) {
+  await env.DB.prepare(
+    'UPDATE manuscripts SET status = ?, updated_at = ? WHERE id = ?'
+  ).bind(status, Math.floor(Date.now() / 1000), manuscriptId).run();
+}
+
+async function loadState(env, reportId) {
+  try {
+    const stateObj = await env.R2.getBucket('manuscripts_raw').get(`pipeline:${reportId}`);
+    return stateObj ? await stateObj.json() : null;
+  } catch (error) {
+    console.error('[Analysis Pipeline] Failed to load pipeline state:', error);
+    return null;
+  }
+}
+
+async function saveState(env, reportId, state) {
+  try {
+    await env.R2.getBucket('manuscripts_raw').put(
+      `pipeline:${reportId}`,
+      JSON.stringify(state),
+      { expirationTtl: STATE_TTL }
+    );
+  } catch (error) {
+    // Losing state only costs a resume its head start
+    console.error('[Analysis Pipeline] Failed to save pipeline state:', error);
+  }
+}
+
+/**
+ * Save the job so a failed analysis can be resumed
+ */
+async function saveJob(env, reportId, jobData) {
+  try {
+    await env.R2.getBucket('manuscripts_raw').put(
+      `analysis-job:${reportId}`,
+      JSON.stringify(jobData),
+      { expirationTtl: STATE_TTL }
+    );
+  } catch (error) {
+    console.error('[Analysis Pipeline] Failed to save job for resume:', error);
+  }
+}
+
+/**
+ * Update status in R2 for frontend polling
+ */
+export async function updateStatus(env, reportId, statusData) {
+  try {
+    await env.R2.getBucket('manuscripts_raw').put(
+      `status:${reportId}`,
+      JSON.stringify(statusData),
+      {
+        expirationTtl: STATE_TTL,
+        httpMetadata: {
+          contentType: 'application/json'
+        }
+      }
+    );
+  } catch (error) {
+    console.error('[Analysis Pipeline] Failed to update status:', error);
+    // Don't throw - status update failure shouldn't fail the analysis
+  }
+}
+
+/**
+ * Manuscript ID from an R2 key (format: userId/manuscriptId/filename)
+ */
+export function getManuscriptIdFromKey(manuscriptKey) {
+  const parts = manuscriptKey.split('/');
+  return parts.length >= 2 ? parts[1] : null;
+}
@@ -1,8 +1,9 @@
 /**
  * Analysis Queue Worker (Redis-based)
  *
- * Continuously polls the Redis queue for manuscript analysis jobs
- * Replaces Cloudflare Workers queue consumer
+ * Continuously polls the Redis queue for manuscript analysis jobs and runs
+ * them through the analysis pipeline (see analysis-pipeline.js), the same
+ * pipeline the Workers queue consumer runs
  *
  * Run with: node src/workers/analysis-queue-worker.js
  */
@@ -12,18 +13,32 @@ dotenv.config({ path: '.env.local' });
 
 import { createDatabaseAdapter } from '../adapters/database-adapter.js';
 import { createStorageAdapter } from '../adapters/storage-adapter.js';
-import { createQueueService } from '../services/queue-service.js';
-import Redis from 'ioredis';
+import { createQueueService, QUEUE_CONFIG } from '../services/queue-service.js';
+import { createClient } from 'redis';
 
-import { DevelopmentalAgent } from '../agents/developmental-agent.js';
-import { LineEditingAgent } from '../agents/line-editing-agent.js';
-import { CopyEditingAgent } from '../agents/copy-editing-agent.js';
-import { sendAnalysisCompleteEmail } from '../services/email-service.js';
+import { runAnalysisPipeline, updateStatus, getManuscriptIdFromKey } from './analysis-pipeline.js';
+
+// Heartbeat well inside the visibility timeout so a slow chapter never loses the lease
+const HEARTBEAT_INTERVAL_MS = QUEUE_CONFIG.VISIBILITY_TIMEOUT_MS / 5;
 
 // Initialize services
 let db, storage, queue, redis;
 let isShuttingDown = false;
 
+/**
+ * Thrown from pipeline checkpoints to stop a job that should not carry on:
+ * cancelled by its owner, or taken back by the queue after a missed heartbeat.
+ * abort tells the pipeline not to retry or record it as a failure.
+ */
+class JobStoppedError extends Error {
+  constructor(reason) {
+    super(reason === 'cancelled' ? 'Analysis cancelled' : 'Job lease lost');
+    this.name = 'JobStoppedError';
+    this.reason = reason;
+    this.abort = true;
+  }
+}
+
 async function init() {
   console.log('[Analysis Worker] Initializing...');
 
@@ -35,8 +50,10 @@ async function init() {
   storage = createStorageAdapter(process.env);
   console.log('[Analysis Worker] ✓ Storage connected');
 
-  // Create Redis client
-  redis = new Redis(process.env.REDIS_URL);
+  // Create Redis client (the queue service uses the node-redis API)
+  redis = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  redis.on('error', err => console.error('[Analysis Worker] Redis error:', err));
+  await redis.connect();
   console.log('[Analysis Worker] ✓ Redis connected');
 
   // Create queue service
@@ -44,11 +61,35 @@ async function init() {
   console.log('[Analysis Worker] ✓ Queue service initialized');
 }
 
-async function processAnalysisJob(job) {
-  const { manuscriptKey, genre, styleGuide, reportId } = job.data;
+/**
+ * Keep the job's lease alive while it runs
+ * Flags job.stopped when the owner cancels or the queue has reassigned it.
+ */
+function startHeartbeat(job) {
+  const timer = setInterval(async () => {
+    try {
+      const { active, cancelled } = await queue.heartbeat('analysis', job.id);
+      if (cancelled) {
+        job.stopped = 'cancelled';
+      } else if (!active) {
+        job.stopped = 'lost';
+      }
+    } catch (error) {
+      console.error(`[Analysis Worker] Heartbeat failed for job ${job.id}:`, error);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+}
+
+function assertActive(job) {
+  if (job.stopped) {
+    throw new JobStoppedError(job.stopped);
+  }
+}
 
+async function processAnalysisJob(job) {
   console.log(`[Analysis Worker] Processing job ${job.id}`);
-  console.log(`[Analysis Worker] Report ID: ${reportId}, Genre: ${genre}, Style: ${styleGuide}`);
 
   // Create env object (mimics Workers env)
   const env = {
@@ -57,159 +98,76 @@ async function processAnalysisJob(job) {
     REDIS: redis,
     QUEUE: queue,
     ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
+    EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER,
+    EMBEDDING_MODEL: process.env.EMBEDDING_MODEL,
+    EMBEDDING_DIMENSIONS: process.env.EMBEDDING_DIMENSIONS,
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+    ANTHROPIC_BASE_URL: process.env.ANTHROPIC_BASE_URL,
+    OPENAI_BASE_URL: process.env.OPENAI_BASE_URL,
+    LLM_PROVIDERS: process.env.LLM_PROVIDERS,
+    LLM_MODELS: process.env.LLM_MODELS,
+    LLM_ROUTES: process.env.LLM_ROUTES,
+    LLM_FIXTURES_DIR: process.env.LLM_FIXTURES_DIR,
+    LLM_RECORD_FIXTURES: process.env.LLM_RECORD_FIXTURES,
   };
 
-  try {
-    // Update status: Processing started
-    await updateStatus(env, reportId, {
-      status: 'processing',
-      progress: 0,
-      message: 'Starting analysis...',
-      currentStep: 'initialization',
-      timestamp: new Date().toISOString()
-    });
+  const stopHeartbeat = startHeartbeat(job);
 
-    // Get manuscript ID and user ID from database
-    const manuscriptId = await getManuscriptIdFromKey(env, manuscriptKey);
-    const userId = manuscriptKey.split('/')[0];
-
-    // Update database status to 'analyzing'
-    if (manuscriptId) {
-      await env.DB.prepare(
-        'UPDATE manuscripts SET status = ?, updated_at = ? WHERE id = ?'
-      ).bind('analyzing', Math.floor(Date.now() / 1000), manuscriptId).run();
-    }
-
-    // Step 1: Developmental Analysis (33% of work)
-    await updateStatus(env, reportId, {
-      status: 'processing',
-      progress: 5,
-      message: 'Running developmental analysis...',
-      currentStep: 'developmental',
-      timestamp: new Date().toISOString()
-    });
-
-    console.log('[Analysis Worker] Starting developmental analysis...');
-    const devAgent = new DevelopmentalAgent(env);
-
-    const devAnalysis = await runWithProgress(
-      devAgent.analyze(manuscriptKey, genre, userId, manuscriptId),
-      env,
-      reportId,
-      5,  // start progress
-      30, // end progress
-      'Analyzing plot, characters, and pacing...',
-      'developmental'
-    );
-
-    console.log('[Analysis Worker] Developmental analysis complete');
-
-    // Step 2: Line Editing Analysis (33% of work)
-    await updateStatus(env, reportId, {
-      status: 'processing',
-      progress: 35,
-      message: 'Running line editing analysis...',
-      currentStep: 'line-editing',
-      timestamp: new Date().toISOString()
-    });
-
-    console.log('[Analysis Worker] Starting line editing analysis...');
-    const lineAgent = new LineEditingAgent(env);
-
-    const lineAnalysis = await runWithProgress(
-      lineAgent.analyze(manuscriptKey, genre, userId, manuscriptId),
-      env,
-      reportId,
-      35, // start progress
-      65, // end progress
-      'Analyzing prose and style...',
-      'line-editing'
-    );
-
-    console.log('[Analysis Worker] Line editing analysis complete');
-
-    // Step 3: Copy Editing Analysis (34% of work)
-    await updateStatus(env, reportId, {
-      status: 'processing',
-      progress: 70,
-      message: 'Running copy editing analysis...',
-      currentStep: 'copy-editing',
-      timestamp: new Date().toISOString()
-    });
-
-    console.log('[Analysis Worker] Starting copy editing analysis...');
-    const copyAgent = new CopyEditingAgent(env);
-
-    const copyAnalysis = await runWithProgress(
-      copyAgent.analyze(manuscriptKey, genre, styleGuide || 'chicago', userId, manuscriptId),
-      env,
-      reportId,
-      70, // start progress
-      95, // end progress
-      'Checking grammar, spelling, and style...',
-      'copy-editing'
-    );
-
-    console.log('[Analysis Worker] Copy editing analysis complete');
-
-    // Update status: Complete
-    await updateStatus(env, reportId, {
-      status: 'complete',
-      progress: 100,
-      message: 'Analysis complete!',
-      currentStep: 'complete',
-      timestamp: new Date().toISOString()
+  try {
+    const result = await runAnalysisPipeline(env, job.data, {
+      checkpoint: () => assertActive(job)
     });
 
-    // Update database status to 'analyzed'
-    if (manuscriptId) {
-      await env.DB.prepare(
-        'UPDATE manuscripts SET status = ?, updated_at = ? WHERE id = ?'
-      ).bind('analyzed', Math.floor(Date.now() / 1000), manuscriptId).run();
-    }
-
-    // Send completion email
-    try {
-      await sendAnalysisCompleteEmail(env, userId, manuscriptId, reportId);
-    } catch (emailError) {
-      console.error('[Analysis Worker] Failed to send completion email:', emailError);
-      // Don't fail the job if email fails
-    }
-
     console.log(`[Analysis Worker] ✓ Job ${job.id} completed successfully`);
 
     // Mark job as completed
-    await queue.completeJob('analysis', job.id, {
-      devAnalysis,
-      lineAnalysis,
-      copyAnalysis
-    });
+    await queue.completeJob('analysis', job.id, result);
 
   } catch (error) {
-    console.error(`[Analysis Worker] ✗ Job ${job.id} failed:`, error);
-
-    // Update status: Failed
-    await updateStatus(env, reportId, {
-      status: 'error',
-      progress: 0,
-      message: `Analysis failed: ${error.message}`,
-      currentStep: 'error',
-      timestamp: new Date().toISOString()
-    }).catch(err => console.error('[Analysis Worker] Failed to update error status:', err));
-
-    // Update database status to 'failed'
-    const manuscriptId = await getManuscriptIdFromKey(env, manuscriptKey);
-    if (manuscriptId) {
-      await env.DB.prepare(
-        'UPDATE manuscripts SET status = ?, updated_at = ? WHERE id = ?'
-      ).bind('failed', Math.floor(Date.now() / 1000), manuscriptId).run();
+    if (error instanceof JobStoppedError) {
+      await handleStoppedJob(env, job, error);
+      return;
     }
 
-    // Mark job as failed (will retry or move to DLQ)
+    console.error(`[Analysis Worker] ✗ Job ${job.id} failed:`, error);
+
+    // Mark job as failed (will retry from the last completed stage, or move to DLQ)
     await queue.failJob('analysis', job.id, error);
+  } finally {
+    stopHeartbeat();
   }
 }
 
+async function handleStoppedJob(env, job, error) {
+  const { manuscriptKey, reportId } = job.data;
+
+  // Another worker owns a reassigned job; leave its status and queue state alone
+  if (error.reason === 'lost') {
+    console.warn(`[Analysis Worker] Job ${job.id} was reassigned after a missed heartbeat; abandoning`);
+    return;
+  }
+
+  console.log(`[Analysis Worker] Job ${job.id} cancelled`);
+
+  await updateStatus(env, reportId, {
+    status: 'cancelled',
+    progress: 0,
+    message: 'Analysis cancelled',
+    currentStep: 'cancelled',
+    resumable: true,
+    timestamp: new Date().toISOString()
+  });
+
+  const manuscriptId = getManuscriptIdFromKey(manuscriptKey);
+  if (manuscriptId) {
+    await env.DB.prepare(
+      'UPDATE manuscripts SET status = ?, updated_at = ? WHERE id = ?'
+    ).bind('uploaded', Math.floor(Date.now() / 1000), manuscriptId).run();
+  }
+
+  await queue.acknowledgeCancellation('analysis', job.id);
+}
+
 async function pollQueue() {
   console.log('[Analysis Worker] Starting queue polling...');
 
@@ -233,62 +191,6 @@ async function pollQueue() {
   console.log('[Analysis Worker] Polling stopped');
 }
 
-// Helper functions (from original queue-consumer.js)
-
-async function updateStatus(env, reportId, statusData) {
-  try {
-    const mappedReportId = await env.R2.getBucket('manuscripts_raw').get(`report-id:${reportId}`);
-    if (!mappedReportId) {
-      console.error(`[Analysis Worker] Report ID ${reportId} not found in mapping`);
-      return;
-    }
-    const rawBucket = env.R2.getBucket('manuscripts_raw');
-    await rawBucket.put(
-      `status:${reportId}`,
-      JSON.stringify(statusData),
-      { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
-    );
-  } catch (error) {
-    console.error('[Analysis Worker] Failed to update status:', error);
-  }
-}
-
-async function getManuscriptIdFromKey(env, manuscriptKey) {
-  try {
-    const parts = manuscriptKey.split('/');
-    if (parts.length >= 2) {
-      return parts[1]; // Format: userId/manuscriptId/filename
-    }
-    return null;
-  } catch (error) {
-    console.error('[Analysis Worker] Failed to extract manuscript ID:', error);
-    return null;
-  }
-}
-
-async function runWithProgress(promise, env, reportId, startProgress, endProgress, message, step) {
-  // Update progress periodically
-  const progressInterval = setInterval(async () => {
-    const currentProgress = startProgress + Math.random() * (endProgress - startProgress - 5);
-    await updateStatus(env, reportId, {
-      status: 'processing',
-      progress: Math.floor(currentProgress),
-      message,
-      currentStep: step,
-      timestamp: new Date().toISOString()
-    }).catch(() => {}); // Ignore errors in progress updates
-  }, 3000); // Update every 3 seconds
-
-  try {
-    const result = await promise;
-    clearInterval(progressInterval);
-    return result;
-  } catch (error) {
-    clearInterval(progressInterval);
-    throw error;
-  }
-}
-
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('[Analysis Worker] SIGTERM received, shutting down gracefully...');
@@ -34,6 +34,17 @@ import { AudiobookSampleAgent } from '../agents/audiobook-sample-agent.js';
 import { AudiobookMetadataAgent } from '../agents/audiobook-metadata-agent.js';
 import { sendAssetGenerationCompleteEmail } from '../services/email-service.js';
 
+// Asset types named in the completion email, and where each lives in the combined assets
+const EMAIL_ASSET_TYPES = {
+  description: 'bookDescription',
+  keywords: 'keywords',
+  categories: 'categories',
+  author_bio: 'authorBio',
+  back_matter: 'backMatter',
+  cover_design: 'coverBrief',
+  series_description: 'seriesDescription'
+};
+
 export default {
   /**
    * Queue message handler
@@ -50,293 +61,13 @@ export default {
   async queue(batch, env) {
     for (const message of batch.messages) {
       try {
-        const { manuscriptKey, reportId, genre, authorData = {}, seriesData = {} } = message.body;
-
-        console.log(`[Asset Queue] Processing assets for ${manuscriptKey}`);
-        console.log(`[Asset Queue] Report ID: ${reportId}, Genre: ${genre}`);
-
-        // Update status: Processing started
-        await updateAssetStatus(env, reportId, {
-          status: 'processing',
-          progress: 0,
-          message: 'Starting asset generation...',
-          timestamp: new Date().toISOString(),
-          agents: {
-            bookDescription: { status: 'pending', progress: 0 },
-            keywords: { status: 'pending', progress: 0 },
-            categories: { status: 'pending', progress: 0 },
-            authorBio: { status: 'pending', progress: 0 },
-            backMatter: { status: 'pending', progress: 0 },
-            coverBrief: { status: 'pending', progress: 0 },
-            seriesDescription: { status: 'pending', progress: 0 },
-            audiobookNarration: { status: 'pending', progress: 0 },
-            audiobookPronunciation: { status: 'pending', progress: 0 },
-            audiobookTiming: { status: 'pending', progress: 0 },
-            audiobookSamples: { status: 'pending', progress: 0 },
-            audiobookMetadata: { status: 'pending', progress: 0 }
-          }
-        });
-
-        // Fetch developmental analysis (required input for all asset generators)
-        const devAnalysisObj = await env.R2.getBucket('manuscripts_processed').get(`${manuscriptKey}-analysis.json`);
-
-        if (!devAnalysisObj) {
-          throw new Error('Developmental analysis not found. Cannot generate assets without analysis.');
-        }
-
-        const devAnalysis = await devAnalysisObj.json();
-        console.log('[Asset Queue] Developmental analysis loaded');
-
-        // Extract userId and manuscriptId from manuscriptKey for cost tracking
-        // Format: userId/manuscriptId/filename
-        const keyParts = manuscriptKey.split('/');
-        const userId = keyParts.length >= 1 ? keyParts[0] : null;
-        const manuscriptId = keyParts.length >= 2 ? keyParts[1] : null;
-
-        // Initialize all 12 asset generation agents (7 original + 5 audiobook)
-        const bookDescAgent = new BookDescriptionAgent(env);
-        const keywordAgent = new KeywordAgent(env);
-        const categoryAgent = new CategoryAgent(env);
-        const authorBioAgent = new AuthorBioAgent(env);
-        const backMatterAgent = new BackMatterAgent(env);
-        const coverDesignAgent = new CoverDesignAgent(env);
-        const seriesDescriptionAgent = new SeriesDescriptionAgent(env);
-        const audiobookNarrationAgent = new AudiobookNarrationAgent(env);
-        const audiobookPronunciationAgent = new AudiobookPronunciationAgent(env);
-        const audiobookTimingAgent = new AudiobookTimingAgent(env);
-        const audiobookSampleAgent = new AudiobookSampleAgent(env);
-        const audiobookMetadataAgent = new AudiobookMetadataAgent(env);
-
-        console.log('[Asset Queue] Running all 12 agents in parallel...');
-
-        // Update status to show all agents are running
-        await updateAssetStatus(env, reportId, {
-          status: 'processing',
-          progress: 10,
-          message: 'Generating marketing and audiobook assets...',
-          timestamp: new Date().toISOString(),
-          agents: {
-            bookDescription: { status: 'running', progress: 10 },
-            keywords: { status: 'running', progress: 10 },
-            categories: { status: 'running', progress: 10 },
-            authorBio: { status: 'running', progress: 10 },
-            backMatter: { status: 'running', progress: 10 },
-            coverBrief: { status: 'running', progress: 10 },
-            seriesDescription: { status: 'running', progress: 10 },
-            audiobookNarration: { status: 'running', progress: 10 },
-            audiobookPronunciation: { status: 'running', progress: 10 },
-            audiobookTiming: { status: 'running', progress: 10 },
-            audiobookSamples: { status: 'running', progress: 10 },
-            audiobookMetadata: { status: 'running', progress: 10 }
-          }
-        });
-
-        // Execute all agents in parallel using Promise.all
-        // Each agent call is wrapped in .catch() to prevent one failure from stopping others
-        // Note: Audiobook metadata agent will run in parallel but may have null for some inputs initially
-        const results = await Promise.allSettled([
-          bookDescAgent.generate(manuscriptKey, devAnalysis, genre),
-          keywordAgent.generate(manuscriptKey, devAnalysis, genre),
-          categoryAgent.generate(manuscriptKey, devAnalysis, genre),
-          authorBioAgent.generate(manuscriptKey, devAnalysis, genre, authorData),
-          backMatterAgent.generate(manuscriptKey, devAnalysis, genre, authorData),
-          coverDesignAgent.generate(manuscriptKey, devAnalysis, genre),
-          seriesDescriptionAgent.generate(manuscriptKey, devAnalysis, genre, seriesData),
-          audiobookNarrationAgent.generate(manuscriptKey, devAnalysis, genre, userId, manuscriptId),
-          audiobookPronunciationAgent.generate(manuscriptKey, devAnalysis, genre, userId, manuscriptId),
-          audiobookTimingAgent.generate(manuscriptKey, devAnalysis, genre, userId, manuscriptId),
-          audiobookSampleAgent.generate(manuscriptKey, devAnalysis, genre, userId, manuscriptId),
-          // Audiobook metadata runs in parallel but fetches other assets from R2 if needed
-          (async () => {
-            // Wait a bit for other assets to be generated and stored
-            // This is a best-effort approach - metadata will work with whatever is available
-            await new Promise(resolve => setTimeout(resolve, 5000));
-
-            // Fetch assets that may have been generated by now
-            let bookDesc = null, cats = null, keys = null;
-            try {
-              const bookDescObj = await env.R2.getBucket('manuscripts_processed').get(`${manuscriptKey}-book-description.json`);
-              if (bookDescObj) bookDesc = await bookDescObj.json();
-            } catch (e) { /* ignore */ }
-            try {
-              const catsObj = await env.R2.getBucket('manuscripts_processed').get(`${manuscriptKey}-categories.json`);
-              if (catsObj) cats = await catsObj.json();
-            } catch (e) { /* ignore */ }
-            try {
-              const keysObj = await env.R2.getBucket('manuscripts_processed').get(`${manuscriptKey}-keywords.json`);
-              if (keysObj) keys = await keysObj.json();
-            } catch (e) { /* ignore */ }
-
-            return await audiobookMetadataAgent.generate(
-              manuscriptKey, devAnalysis, bookDesc, cats, keys, genre, userId, manuscriptId
-            );
-          })()
-        ]);
-
-        console.log('[Asset Queue] All agents completed');
-
-        // Process results
-        const [
-          bookDescription, keywords, categories, authorBio, backMatter, coverBrief, seriesDescription,
-          audiobookNarration, audiobookPronunciation, audiobookTiming, audiobookSamples, audiobookMetadata
-        ] = results.map((result, index) => {
-          const agentNames = [
-            'bookDescription', 'keywords', 'categories', 'authorBio', 'backMatter', 'coverBrief', 'seriesDescription',
-            'audiobookNarration', 'audiobookPronunciation', 'audiobookTiming', 'audiobookSamples', 'audiobookMetadata'
-          ];
-          if (result.status === 'fulfilled') {
-            return result.value;
-          } else {
-            console.error(`[Asset Queue] ${agentNames[index]} failed:`, result.reason);
-            return { error: result.reason.message, type: agentNames[index] };
-          }
-        });
-
-        // Collect any errors that occurred during generation
-        const errors = [];
-        if (bookDescription.error) errors.push(bookDescription);
-        if (keywords.error) errors.push(keywords);
-        if (categories.error) errors.push(categories);
-        if (authorBio.error) errors.push(authorBio);
-        if (backMatter.error) errors.push(backMatter);
-        if (coverBrief.error) errors.push(coverBrief);
-        if (seriesDescription.error) errors.push(seriesDescription);
-        if (audiobookNarration.error) errors.push(audiobookNarration);
-        if (audiobookPronunciation.error) errors.push(audiobookPronunciation);
-        if (audiobookTiming.error) errors.push(audiobookTiming);
-        if (audiobookSamples.error) errors.push(audiobookSamples);
-        if (audiobookMetadata.error) errors.push(audiobookMetadata);
-
-        // Combine results into a single asset package
-        const combinedAssets = {
-          manuscriptKey,
-          reportId,
-          generated: new Date().toISOString(),
-          bookDescription: bookDescription.error ? null : bookDescription.description,
-          keywords: keywords.error ? null : keywords.keywords,
-          categories: categories.error ? null : categories.categories,
-          authorBio: authorBio.error ? null : authorBio.bio,
-          backMatter: backMatter.error ? null : backMatter.backMatter,
-          coverBrief: coverBrief.error ? null : coverBrief.coverBrief,
-          seriesDescription: seriesDescription.error ? null : seriesDescription.seriesDescription,
-          audiobookNarration: audiobookNarration.error ? null : audiobookNarration.narrationBrief,
-          audiobookPronunciation: audiobookPronunciation.error ? null : audiobookPronunciation.pronunciationGuide,
-          audiobookTiming: audiobookTiming.error ? null : audiobookTiming.timingAnalysis,
-          audiobookSamples: audiobookSamples.error ? null : audiobookSamples.sampleSelections,
-          audiobookMetadata: audiobookMetadata.error ? null : audiobookMetadata.audiobookMetadata,
-          errors: errors.length > 0 ? errors : undefined
-        };
-
-        // Store the combined assets in R2
-        await env.R2.getBucket('manuscripts_processed').put(
-          `${manuscriptKey}-assets.json`,
-          JSON.stringify(combinedAssets, null, 2),
-          {
-            customMetadata: {
-              reportId: reportId,
-              timestamp: new Date().toISOString()
-            },
-            httpMetadata: {
-              contentType: 'application/json'
-            }
-          }
-        );
-
-        console.log('[Asset Queue] Assets stored in R2');
-
-        // Update final status (include asset data for frontend)
-        const finalStatus = errors.length > 0 ? 'partial' : 'complete';
-        const finalMessage = errors.length > 0
-          ? `Asset generation completed with ${errors.length} error(s)`
-          : 'All assets generated successfully!';
-
-        await updateAssetStatus(env, reportId, {
-          status: finalStatus,
-          progress: 100,
-          message: finalMessage,
-          timestamp: new Date().toISOString(),
-          completedAt: new Date().toISOString(),
-          agents: {
-            bookDescription: { status: bookDescription.error ? 'failed' : 'complete', progress: 100 },
-            keywords: { status: keywords.error ? 'failed' : 'complete', progress: 100 },
-            categories: { status: categories.error ? 'failed' : 'complete', progress: 100 },
-            authorBio: { status: authorBio.error ? 'failed' : 'complete', progress: 100 },
-            backMatter: { status: backMatter.error ? 'failed' : 'complete', progress: 100 },
-            coverBrief: { status: coverBrief.error ? 'failed' : 'complete', progress: 100 },
-            seriesDescription: { status: seriesDescription.error ? 'failed' : 'complete', progress: 100 },
-            audiobookNarration: { status: audiobookNarration.error ? 'failed' : 'complete', progress: 100 },
-            audiobookPronunciation: { status: audiobookPronunciation.error ? 'failed' : 'complete', progress: 100 },
-            audiobookTiming: { status: audiobookTiming.error ? 'failed' : 'complete', progress: 100 },
-            audiobookSamples: { status: audiobookSamples.error ? 'failed' : 'complete', progress: 100 },
-            audiobookMetadata: { status: audiobookMetadata.error ? 'failed' : 'complete', progress: 100 }
-          },
-          // Include the actual asset data in the status response
-          bookDescription: combinedAssets.bookDescription,
-          keywords: combinedAssets.keywords,
-          categories: combinedAssets.categories,
-          authorBio: combinedAssets.authorBio,
-          backMatter: combinedAssets.backMatter,
-          coverBrief: combinedAssets.coverBrief,
-          seriesDescription: combinedAssets.seriesDescription,
-          audiobookNarration: combinedAssets.audiobookNarration,
-          audiobookPronunciation: combinedAssets.audiobookPronunciation,
-          audiobookTiming: combinedAssets.audiobookTiming,
-          audiobookSamples: combinedAssets.audiobookSamples,
-          audiobookMetadata: combinedAssets.audiobookMetadata,
-          errors: errors.length > 0 ? errors : undefined
-        });
-
-        console.log(`[Asset Queue] Asset generation complete for ${reportId}`);
-
-        // Send asset generation complete email
-        try {
-          // Get manuscript ID from manuscriptKey (format: userId/manuscriptId/filename)
-          const parts = manuscriptKey.split('/');
-          const manuscriptId = parts.length >= 2 ? parts[1] : null;
-
-          if (manuscriptId) {
-            const manuscript = await env.DB.prepare(
-              'SELECT m.title, u.email, u.full_name FROM manuscripts m JOIN users u ON m.user_id = u.id WHERE m.id = ?'
-            ).bind(manuscriptId).first();
-
-            if (manuscript) {
-              await sendAssetGenerationCompleteEmail({
-                to: manuscript.email,
-                userName: manuscript.full_name || 'Author',
-                manuscriptTitle: manuscript.title,
-                reportId,
-                env
-              });
-              console.log(`[Asset Queue] Asset generation complete email sent to ${manuscript.email}`);
-            }
-          }
-        } catch (emailError) {
-          console.error(`[Asset Queue] Failed to send asset generation complete email:`, emailError);
-          // Don't fail the asset generation if email fails
-        }
+        await generateAssets(env, message.body);
 
         // Acknowledge successful processing
         message.ack();
 
-      } catch (error) {
-        console.error('[Asset Queue] Error processing message:', error);
-        console.error('[Asset Queue] Error stack:', error.stack);
-
-        // Update status: Failed
-        const { reportId } = message.body;
-        if (reportId) {
-          await updateAssetStatus(env, reportId, {
-            status: 'failed',
-            progress: 0,
-            message: `Asset generation failed: ${error.message}`,
-            error: error.message,
-            errorStack: error.stack,
-            timestamp: new Date().toISOString()
-          }).catch(statusError => {
-            console.error('[Asset Queue] Failed to update error status:', statusError);
-          });
-        }
-
+      } catch {
+        // Failure status is already recorded by generateAssets
         // Retry the message (Cloudflare will automatically retry based on queue config)
         message.retry();
       }
@@ -344,6 +75,305 @@ export default {
   }
 };
 
+/**
+ * Generate and store every asset for an analyzed manuscript
+ * Used by the queue handler above and by the analysis pipeline's assets stage.
+ * Individual agent failures are collected in the result; a missing
+ * developmental analysis fails the whole run.
+ *
+ * @param {Object} env - Workers-style env
+ * @param {Object} job - { manuscriptKey, reportId, genre, authorData, seriesData }
+ * @returns {Promise<Object>} Combined assets as stored in R2
+ */
+export async function generateAssets(env, { manuscriptKey, reportId, genre, authorData = {}, seriesData = {} }) {
+  try {
+    console.log(`[Asset Queue] Processing assets for ${manuscriptKey}`);
+    console.log(`[Asset Queue] Report ID: ${reportId}, Genre: ${genre}`);
+
+    // Update status: Processing started
+    await updateAssetStatus(env, reportId, {
+      status: 'processing',
+      progress: 0,
+      message: 'Starting asset generation...',
+      timestamp: new Date().toISOString(),
+      agents: {
+        bookDescription: { status: 'pending', progress: 0 },
+        keywords: { status: 'pending', progress: 0 },
+        categories: { status: 'pending', progress: 0 },
+        authorBio: { status: 'pending', progress: 0 },
+        backMatter: { status: 'pending', progress: 0 },
+        coverBrief: { status: 'pending', progress: 0 },
+        seriesDescription: { status: 'pending', progress: 0 },
+        audiobookNarration: { status: 'pending', progress: 0 },
+        audiobookPronunciation: { status: 'pending', progress: 0 },
+        audiobookTiming: { status: 'pending', progress: 0 },
+        audiobookSamples: { status: 'pending', progress: 0 },
+        audiobookMetadata: { status: 'pending', progress: 0 }
+      }
+    });
+
+    // Fetch developmental analysis (required input for all asset generators)
+    const devAnalysisObj = await env.R2.getBucket('manuscripts_processed').get(`${manuscriptKey}-analysis.json`);
+
+    if (!devAnalysisObj) {
+      throw new Error('Developmental analysis not found. Cannot generate assets without analysis.');
+    }
+
+    const devAnalysis = await devAnalysisObj.json();
+    console.log('[Asset Queue] Developmental analysis loaded');
+
+    // Extract userId and manuscriptId from manuscriptKey for cost tracking
+    // Format: userId/manuscriptId/filename
+    const keyParts = manuscriptKey.split('/');
+    const userId = keyParts.length >= 1 ? keyParts[0] : null;
+    const manuscriptId = keyParts.length >= 2 ? keyParts[1] : null;
+
+    // Initialize all 12 asset generation agents (7 original + 5 audiobook)
+    const bookDescAgent = new BookDescriptionAgent(env);
+    const keywordAgent = new KeywordAgent(env);
+    const categoryAgent = new CategoryAgent(env);
+    const authorBioAgent = new AuthorBioAgent(env);
+    const backMatterAgent = new BackMatterAgent(env);
+    const coverDesignAgent = new CoverDesignAgent(env);
+    const seriesDescriptionAgent = new SeriesDescriptionAgent(env);
+    const audiobookNarrationAgent = new AudiobookNarrationAgent(env);
+    const audiobookPronunciationAgent = new AudiobookPronunciationAgent(env);
+    const audiobookTimingAgent = new AudiobookTimingAgent(env);
+    const audiobookSampleAgent = new AudiobookSampleAgent(env);
+    const audiobookMetadataAgent = new AudiobookMetadataAgent(env);
+
+    console.log('[Asset Queue] Running all 12 agents in parallel...');
+
+    // Update status to show all agents are running
+    await updateAssetStatus(env, reportId, {
+      status: 'processing',
+      progress: 10,
+      message: 'Generating marketing and audiobook assets...',
+      timestamp: new Date().toISOString(),
+      agents: {
+        bookDescription: { status: 'running', progress: 10 },
+        keywords: { status: 'running', progress: 10 },
+        categories: { status: 'running', progress: 10 },
+        authorBio: { status: 'running', progress: 10 },
+        backMatter: { status: 'running', progress: 10 },
+        coverBrief: { status: 'running', progress: 10 },
+        seriesDescription: { status: 'running', progress: 10 },
+        audiobookNarration: { status: 'running', progress: 10 },
+        audiobookPronunciation: { status: 'running', progress: 10 },
+        audiobookTiming: { status: 'running', progress: 10 },
+        audiobookSamples: { status: 'running', progress: 10 },
+        audiobookMetadata: { status: 'running', progress: 10 }
+      }
+    });
+
+    // Execute all agents in parallel using Promise.all
+    // Each agent call is wrapped in .catch() to prevent one failure from stopping others
+    // Note: Audiobook metadata agent will run in parallel but may have null for some inputs initially
+    const results = await Promise.allSettled([
+      bookDescAgent.generate(manuscriptKey, devAnalysis, genre),
+      keywordAgent.generate(manuscriptKey, devAnalysis, genre),
+      categoryAgent.generate(manuscriptKey, devAnalysis, genre),
+      authorBioAgent.generate(manuscriptKey, devAnalysis, genre, authorData),
+      backMatterAgent.generate(manuscriptKey, devAnalysis, genre, authorData),
+      coverDesignAgent.generate(manuscriptKey, devAnalysis, genre),
+      seriesDescriptionAgent.generate(manuscriptKey, devAnalysis, genre, seriesData),
+      audiobookNarrationAgent.generate(manuscriptKey, devAnalysis, genre, userId, manuscriptId),
+      audiobookPronunciationAgent.generate(manuscriptKey, devAnalysis, genre, userId, manuscriptId),
+      audiobookTimingAgent.generate(manuscriptKey, devAnalysis, genre, userId, manuscriptId),
+      audiobookSampleAgent.generate(manuscriptKey, devAnalysis, genre, userId, manuscriptId),
+      // Audiobook metadata runs in parallel but fetches other assets from R2 if needed
+      (async () => {
+        // Wait a bit for other assets to be generated and stored
+        // This is a best-effort approach - metadata will work with whatever is available
+        await new Promise(resolve => setTimeout(resolve, 5000));
+
+        // Fetch assets that may have been generated by now
+        let bookDesc = null, cats = null, keys = null;
+        try {
+          const bookDescObj = await env.R2.getBucket('manuscripts_processed').get(`${manuscriptKey}-book-description.json`);
+          if (bookDescObj) bookDesc = await bookDescObj.json();
+        } catch (e) { /* ignore */ }
+        try {
+          const catsObj = await env.R2.getBucket('manuscripts_processed').get(`${manuscriptKey}-categories.json`);
+          if (catsObj) cats = await catsObj.json();
+        } catch (e) { /* ignore */ }
+        try {
+          const keysObj = await env.R2.getBucket('manuscripts_processed').get(`${manuscriptKey}-keywords.json`);
+          if (keysObj) keys = await keysObj.json();
+        } catch (e) { /* ignore */ }
+
+        return await audiobookMetadataAgent.generate(
+          manuscriptKey, devAnalysis, bookDesc, cats, keys, genre, userId, manuscriptId
+        );
+      })()
+    ]);
+
+    console.log('[Asset Queue] All agents completed');
+
+    // Process results
+    const [
+      bookDescription, keywords, categories, authorBio, backMatter, coverBrief, seriesDescription,
+      audiobookNarration, audiobookPronunciation, audiobookTiming, audiobookSamples, audiobookMetadata
+    ] = results.map((result, index) => {
+      const agentNames = [
+        'bookDescription', 'keywords', 'categories', 'authorBio', 'backMatter', 'coverBrief', 'seriesDescription',
+        'audiobookNarration', 'audiobookPronunciation', 'audiobookTiming', 'audiobookSamples', 'audiobookMetadata'
+      ];
+      if (result.status === 'fulfilled') {
+        return result.value;
+      } else {
+        console.error(`[Asset Queue] ${agentNames[index]} failed:`, result.reason);
+        return { error: result.reason.message, type: agentNames[index] };
+      }
+    });
+
+    // Collect any errors that occurred during generation
+    const errors = [];
+    if (bookDescription.error) errors.push(bookDescription);
+    if (keywords.error) errors.push(keywords);
+    if (categories.error) errors.push(categories);
+    if (authorBio.error) errors.push(authorBio);
+    if (backMatter.error) errors.push(backMatter);
+    if (coverBrief.error) errors.push(coverBrief);
+    if (seriesDescription.error) errors.push(seriesDescription);
+    if (audiobookNarration.error) errors.push(audiobookNarration);
+    if (audiobookPronunciation.error) errors.push(audiobookPronunciation);
+    if (audiobookTiming.error) errors.push(audiobookTiming);
+    if (audiobookSamples.error) errors.push(audiobookSamples);
+    if (audiobookMetadata.error) errors.push(audiobookMetadata);
+
+    // Combine results into a single asset package
+    const combinedAssets = {
+      manuscriptKey,
+      reportId,
+      generated: new Date().toISOString(),
+      bookDescription: bookDescription.error ? null : bookDescription.description,
+      keywords: keywords.error ? null : keywords.keywords,
+      categories: categories.error ? null : categories.categories,
+      authorBio: authorBio.error ? null : authorBio.bio,
+      backMatter: backMatter.error ? null : backMatter.backMatter,
+      coverBrief: coverBrief.error ? null : coverBrief.coverBrief,
+      seriesDescription: seriesDescription.error ? null : seriesDescription.seriesDescription,
+      audiobookNarration: audiobookNarration.error ? null : audiobookNarration.narrationBrief,
+      audiobookPronunciation: audiobookPronunciation.error ? null : audiobookPronunciation.pronunciationGuide,
+      audiobookTiming: audiobookTiming.error ? null : audiobookTiming.timingAnalysis,
+      audiobookSamples: audiobookSamples.error ? null : audiobookSamples.sampleSelections,
+      audiobookMetadata: audiobookMetadata.error ? null : audiobookMetadata.audiobookMetadata,
+      errors: errors.length > 0 ? errors : undefined
+    };
+
+    // Store the combined assets in R2
+    await env.R2.getBucket('manuscripts_processed').put(
+      `${manuscriptKey}-assets.json`,
+      JSON.stringify(combinedAssets, null, 2),
+      {
+        customMetadata: {
+          reportId: reportId,
+          timestamp: new Date().toISOString()
+        },
+        httpMetadata: {
+          contentType: 'application/json'
+        }
+      }
+    );
+
+    console.log('[Asset Queue] Assets stored in R2');
+
+    // Update final status (include asset data for frontend)
+    const finalStatus = errors.length > 0 ? 'partial' : 'complete';
+    const finalMessage = errors.length > 0
+      ? `Asset generation completed with ${errors.length} error(s)`
+      : 'All assets generated successfully!';
+
+    await updateAssetStatus(env, reportId, {
+      status: finalStatus,
+      progress: 100,
+      message: finalMessage,
+      timestamp: new Date().toISOString(),
+      completedAt: new Date().toISOString(),
+      agents: {
+        bookDescription: { status: bookDescription.error ? 'failed' : 'complete', progress: 100 },
+        keywords: { status: keywords.error ? 'failed' : 'complete', progress: 100 },
+        categories: { status: categories.error ? 'failed' : 'complete', progress: 100 },
+        authorBio: { status: authorBio.error ? 'failed' : 'complete', progress: 100 },
+        backMatter: { status: backMatter.error ? 'failed' : 'complete', progress: 100 },
+        coverBrief: { status: coverBrief.error ? 'failed' : 'complete', progress: 100 },
+        seriesDescription: { status: seriesDescription.error ? 'failed' : 'complete', progress: 100 },
+        audiobookNarration: { status: audiobookNarration.error ? 'failed' : 'complete', progress: 100 },
+        audiobookPronunciation: { status: audiobookPronunciation.error ? 'failed' : 'complete', progress: 100 },
+        audiobookTiming: { status: audiobookTiming.error ? 'failed' : 'complete', progress: 100 },
+        audiobookSamples: { status: audiobookSamples.error ? 'failed' : 'complete', progress: 100 },
+        audiobookMetadata: { status: audiobookMetadata.error ? 'failed' : 'complete', progress: 100 }
+      },
+      // Include the actual asset data in the status response
+      bookDescription: combinedAssets.bookDescription,
+      keywords: combinedAssets.keywords,
+      categories: combinedAssets.categories,
+      authorBio: combinedAssets.authorBio,
+      backMatter: combinedAssets.backMatter,
+      coverBrief: combinedAssets.coverBrief,
+      seriesDescription: combinedAssets.seriesDescription,
+      audiobookNarration: combinedAssets.audiobookNarration,
+      audiobookPronunciation: combinedAssets.audiobookPronunciation,
+      audiobookTiming: combinedAssets.audiobookTiming,
+      audiobookSamples: combinedAssets.audiobookSamples,
+      audiobookMetadata: combinedAssets.audiobookMetadata,
+      errors: errors.length > 0 ? errors : undefined
+    });
+
+    console.log(`[Asset Queue] Asset generation complete for ${reportId}`);
+
+    // Send asset generation complete email
+    try {
+      // Get manuscript ID from manuscriptKey (format: userId/manuscriptId/filename)
+      const parts = manuscriptKey.split('/');
+      const manuscriptId = parts.length >= 2 ? parts[1] : null;
+
+      if (manuscriptId) {
+        const manuscript = await env.DB.prepare(
+          'SELECT m.title, u.email, u.full_name FROM manuscripts m JOIN users u ON m.user_id = u.id WHERE m.id = ?'
+        ).bind(manuscriptId).first();
+
+        if (manuscript) {
+          await sendAssetGenerationCompleteEmail({
+            userId,
+            userEmail: manuscript.email,
+            manuscriptTitle: manuscript.title,
+            manuscriptId,
+            assetTypes: Object.keys(EMAIL_ASSET_TYPES).filter(type => combinedAssets[EMAIL_ASSET_TYPES[type]])
+          }, env);
+          console.log(`[Asset Queue] Asset generation complete email sent to ${manuscript.email}`);
+        }
+      }
+    } catch (emailError) {
+      console.error(`[Asset Queue] Failed to send asset generation complete email:`, emailError);
+      // Don't fail the asset generation if email fails
+    }
+
+    return combinedAssets;
+
+  } catch (error) {
+    console.error('[Asset Queue] Error generating assets:', error);
+    console.error('[Asset Queue] Error stack:', error.stack);
+
+    // Update status: Failed
+    if (reportId) {
+      await updateAssetStatus(env, reportId, {
+        status: 'failed',
+        progress: 0,
+        message: `Asset generation failed: ${error.message}`,
+        error: error.message,
+        errorStack: error.stack,
+        timestamp: new Date().toISOString()
+      }).catch(statusError => {
+        console.error('[Asset Queue] Failed to update error status:', statusError);
+      });
+    }
+
+    throw error;
+  }
+}
+
 /**
  * Update asset generation status in R2 for frontend polling
  */
@@ -0,0 +1,107 @@
+/**
+ * Notification Dispatcher Worker
+ *
+ * Drains notification_queue: adds every notification to the in-app feed and
+ * emails it immediately or in the user's daily/weekly digest. Retries and
+ * dead-lettering are handled in services/notification-service.js.
+ *
+ * Several dispatchers can run side by side; rows are claimed with
+ * FOR UPDATE SKIP LOCKED.
+ *
+ * Run with: node src/workers/notification-dispatcher.js
+ */
+
+import dotenv from 'dotenv';
+dotenv.config({ path: '.env.local' });
+
+import { createDatabaseAdapter } from '../adapters/database-adapter.js';
+import { runDispatchCycle } from '../services/notification-service.js';
+
+const POLL_INTERVAL_MS = Number(process.env.NOTIFICATION_POLL_INTERVAL_MS) || 30000;
+
+let db;
+let isShuttingDown = false;
+let sleepTimer = null;
+let wakeUp = null;
+
+async function init() {
+  console.log('[Notification Dispatcher] Initializing...');
+
+  db = createDatabaseAdapter(process.env);
+  console.log('[Notification Dispatcher] ✓ Database connected');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => {
+    wakeUp = resolve;
+    sleepTimer = setTimeout(resolve, ms);
+  });
+}
+
+async function pollQueue() {
+  // Create env object (mimics Workers env)
+  const env = {
+    DB: db,
+    RESEND_API_KEY: process.env.RESEND_API_KEY,
+    EMAIL_FROM_ADDRESS: process.env.EMAIL_FROM_ADDRESS,
+    EMAIL_FROM_NAME: process.env.EMAIL_FROM_NAME,
+    EMAIL_ADMIN_ADDRESS: process.env.EMAIL_ADMIN_ADDRESS,
+    EMAIL_REPLY_TO_ADDRESS: process.env.EMAIL_REPLY_TO_ADDRESS,
+    NOTIFICATION_MAX_ATTEMPTS: process.env.NOTIFICATION_MAX_ATTEMPTS,
+    NOTIFICATION_DIGEST_HOUR: process.env.NOTIFICATION_DIGEST_HOUR,
+  };
+
+  while (!isShuttingDown) {
+    try {
+      const { pending, digests } = await runDispatchCycle(env);
+
+      if (pending.processed > 0 || digests.digests > 0 || digests.failed > 0) {
+        console.log(
+          `[Notification Dispatcher] Processed ${pending.processed}: ${pending.sent} sent, ${pending.digest} deferred to digest, `
+          + `${pending.skipped} in-app only, ${pending.failed} retrying, ${pending.dead} dead-lettered; `
+          + `${digests.digests} digests covering ${digests.items} notifications`
+        );
+      }
+
+      // Keep draining without waiting while a full batch came back
+      if (pending.processed > 0) {
+        continue;
+      }
+    } catch (error) {
+      console.error('[Notification Dispatcher] Cycle error:', error);
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+// Stop after the current cycle; start() closes the connection once the loop exits
+function shutdown(signal) {
+  console.log(`[Notification Dispatcher] ${signal} received, shutting down gracefully...`);
+  isShuttingDown = true;
+
+  clearTimeout(sleepTimer);
+  wakeUp?.();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Start worker
+async function start() {
+  try {
+    await init();
+    console.log('[Notification Dispatcher] ✓ Initialization complete');
+    console.log(`[Notification Dispatcher] Polling every ${POLL_INTERVAL_MS / 1000}s...`);
+    await pollQueue();
+
+    await db.close();
+    console.log('[Notification Dispatcher] Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    console.error('[Notification Dispatcher] Fatal error:', error);
+    process.exit(1);
+  }
+}
+
+start();
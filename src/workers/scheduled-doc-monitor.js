@@ -114,7 +114,7 @@ async function processPlatformDocs(platformId, platformDocs, env) {
       platformId,
       platform.name,
       changeExcerpts,
-      env.ANTHROPIC_API_KEY
+      env
     );
 
     summary.analysis = {
@@ -0,0 +1,110 @@
+/**
+ * Scheduled Jobs Worker
+ * Scheduled to run hourly (the scheduled-jobs cron service in render.yaml)
+ *
+ * Runs the periodic jobs that don't answer a request or drain a queue:
+ * - rights offer deadline reminders and expiry (services/rights-offer-service.js)
+ * - sales goal evaluation, which queues alerts for goals trending to miss
+ *   (services/sales-goal-service.js)
+ * - restoring manuscripts whose DMCA counter-notice period has lapsed
+ *   (services/dmca-service.js)
+ * - reporting AI token overage to Stripe that is due or failed to report
+ *   (services/billing-service.js)
+ *
+ * Each job runs on its own; one that throws is logged and the rest still run.
+ *
+ * Run with: node src/workers/scheduled-jobs-worker.js
+ */
+
+import { fileURLToPath } from 'url';
+import { processOfferDeadlines } from '../services/rights-offer-service.js';
+import { evaluateSalesGoals } from '../services/sales-goal-service.js';
+import { processDMCARestorations } from '../services/dmca-service.js';
+import { reportPendingOverage } from '../services/billing-service.js';
+
+/**
+ * The hourly jobs, in the order they run
+ * summarize returns a log line for the job's result, or null when it did nothing.
+ */
+export const SCHEDULED_JOBS = [
+  {
+    name: 'rights-offer-deadlines',
+    run: env => processOfferDeadlines(env),
+    summarize: ({ reminded, expired }) => (reminded > 0 || expired > 0
+      ? `Rights offers: ${reminded} reminders queued, ${expired} expired`
+      : null)
+  },
+  {
+    name: 'sales-goals',
+    run: env => evaluateSalesGoals(env),
+    summarize: ({ evaluated, alerts, completed }) => (alerts > 0 || completed > 0
+      ? `Sales goals: ${evaluated} evaluated, ${alerts} alerts queued, ${completed} completed`
+      : null)
+  },
+  {
+    name: 'dmca-restorations',
+    run: env => processDMCARestorations(env),
+    summarize: ({ restored }) => (restored > 0
+      ? `DMCA: ${restored} manuscripts restored after counter-notice`
+      : null)
+  },
+  {
+    name: 'overage-reports',
+    run: env => reportPendingOverage(env),
+    summarize: ({ reported, failed }) => (reported > 0 || failed > 0
+      ? `Billing: ${reported} overage reports sent, ${failed} failed`
+      : null)
+  }
+];
+
+/**
+ * Scheduled handler for the hourly jobs
+ * Triggered by CRON: "0 * * * *" (hourly)
+ *
+ * @param {Object} env - Environment bindings
+ * @param {Array} jobs - Jobs to run (defaults to SCHEDULED_JOBS)
+ * @returns {Promise<Object>} { success, jobs: { [name]: { success, result?, error? } } }
+ */
+export async function runScheduledJobs(env, jobs = SCHEDULED_JOBS) {
+  const results = {};
+
+  for (const job of jobs) {
+    const startTime = Date.now();
+
+    try {
+      const result = await job.run(env);
+      const summary = job.summarize?.(result);
+      if (summary) {
+        console.log(`[Scheduled Jobs] ${summary} (${Date.now() - startTime}ms)`);
+      }
+      results[job.name] = { success: true, result };
+    } catch (error) {
+      console.error(`[Scheduled Jobs] ${job.name} failed:`, error);
+      results[job.name] = { success: false, error: error.message };
+    }
+  }
+
+  return {
+    success: Object.values(results).every(result => result.success),
+    jobs: results
+  };
+}
+
+async function start() {
+  const dotenv = await import('dotenv');
+  dotenv.config({ path: '.env.local' });
+  const { createDatabaseAdapter } = await import('../adapters/database-adapter.js');
+  const { buildRuntimeEnv } = await import('../config/runtime-env.js');
+
+  const db = createDatabaseAdapter(process.env);
+  const env = buildRuntimeEnv(process.env, { DB: db });
+
+  const result = await runScheduledJobs(env);
+  await db.close();
+  process.exit(result.success ? 0 : 1);
+}
+
+// One-shot when run directly (cron); import-only otherwise
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  start();
+}
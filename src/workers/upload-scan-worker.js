@@ -0,0 +1,155 @@
+/**
+ * Upload Scan Worker
+ *
+ * Scans files held in quarantine (services/upload-quarantine.js) with ClamAV:
+ * clean files are moved to their final key and the jobs waiting on them are
+ * queued; infected files are deleted, recorded as security incidents and
+ * reported to the uploader and admins.
+ *
+ * While ClamAV is down, pending files stay in quarantine (or, with
+ * VIRUS_SCANNER_FAIL_OPEN, are released unscanned). The worker keeps trying
+ * to reconnect, and once the scanner is back it rescans every file that was
+ * released unscanned.
+ *
+ * Several workers can run side by side; rows are claimed with
+ * FOR UPDATE SKIP LOCKED.
+ *
+ * Run with: node src/workers/upload-scan-worker.js
+ */
+
+import dotenv from 'dotenv';
+dotenv.config({ path: '.env.local' });
+
+import { createDatabaseAdapter } from '../adapters/database-adapter.js';
+import { createStorageAdapter } from '../adapters/storage-adapter.js';
+import { createQueueService } from '../services/queue-service.js';
+import { initVirusScanner, isScannerHealthy } from '../services/virus-scanner.js';
+import { runScanCycle } from '../services/upload-quarantine.js';
+import { createClient } from 'redis';
+
+const POLL_INTERVAL_MS = Number(process.env.UPLOAD_SCAN_POLL_INTERVAL_MS) || 10000;
+const SCANNER_RECONNECT_INTERVAL_MS = 60 * 1000;
+
+let db;
+let storage;
+let redis;
+let queue;
+let isShuttingDown = false;
+let sleepTimer = null;
+let wakeUp = null;
+let lastReconnectAttempt = 0;
+
+async function init() {
+  console.log('[Upload Scan Worker] Initializing...');
+
+  db = createDatabaseAdapter(process.env);
+  console.log('[Upload Scan Worker] ✓ Database connected');
+
+  storage = createStorageAdapter(process.env);
+  console.log('[Upload Scan Worker] ✓ Storage connected');
+
+  redis = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  redis.on('error', err => console.error('[Upload Scan Worker] Redis error:', err));
+  await redis.connect();
+  queue = createQueueService(redis);
+  console.log('[Upload Scan Worker] ✓ Redis connected');
+
+  lastReconnectAttempt = Date.now();
+  if (await initVirusScanner(process.env)) {
+    console.log('[Upload Scan Worker] ✓ Virus scanner connected');
+  } else {
+    console.warn('[Upload Scan Worker] Virus scanner unavailable; files stay in quarantine until it is back');
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => {
+    wakeUp = resolve;
+    sleepTimer = setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Reconnect to ClamAV while it is down, so files waiting on it (and files
+ * released unscanned) are picked up as soon as it recovers
+ */
+async function reconnectScanner() {
+  if (await isScannerHealthy() || Date.now() - lastReconnectAttempt < SCANNER_RECONNECT_INTERVAL_MS) {
+    return;
+  }
+  lastReconnectAttempt = Date.now();
+  if (await initVirusScanner(process.env)) {
+    console.log('[Upload Scan Worker] ✓ Virus scanner reconnected; rescanning files released unscanned');
+  }
+}
+
+async function pollQuarantine() {
+  // Create env object (mimics Workers env)
+  const env = {
+    DB: db,
+    R2: storage,
+    QUEUE: queue,
+    RESEND_API_KEY: process.env.RESEND_API_KEY,
+    EMAIL_FROM_ADDRESS: process.env.EMAIL_FROM_ADDRESS,
+    EMAIL_FROM_NAME: process.env.EMAIL_FROM_NAME,
+    EMAIL_ADMIN_ADDRESS: process.env.EMAIL_ADMIN_ADDRESS,
+    VIRUS_SCANNER_FAIL_OPEN: process.env.VIRUS_SCANNER_FAIL_OPEN,
+    NODE_ENV: process.env.NODE_ENV,
+  };
+
+  while (!isShuttingDown) {
+    try {
+      await reconnectScanner();
+
+      const counts = await runScanCycle(env);
+
+      if (counts.processed > 0) {
+        console.log(
+          `[Upload Scan Worker] Processed ${counts.processed}: ${counts.clean} clean, ${counts.infected} blocked, `
+          + `${counts.accepted_unscanned} released unscanned, ${counts.retry} waiting for the scanner, ${counts.failed} missing`
+        );
+      }
+
+      // Keep draining without waiting while files were scanned
+      if (counts.processed > counts.retry) {
+        continue;
+      }
+    } catch (error) {
+      console.error('[Upload Scan Worker] Cycle error:', error);
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+// Stop after the current cycle; start() closes the connections once the loop exits
+function shutdown(signal) {
+  console.log(`[Upload Scan Worker] ${signal} received, shutting down gracefully...`);
+  isShuttingDown = true;
+
+  clearTimeout(sleepTimer);
+  wakeUp?.();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Start worker
+async function start() {
+  try {
+    await init();
+    console.log('[Upload Scan Worker] ✓ Initialization complete');
+    console.log(`[Upload Scan Worker] Polling every ${POLL_INTERVAL_MS / 1000}s...`);
+    await pollQuarantine();
+
+    await redis.quit();
+    await db.close();
+    console.log('[Upload Scan Worker] Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    console.error('[Upload Scan Worker] Fatal error:', error);
+    process.exit(1);
+  }
+}
+
+start();
@@ -0,0 +1,441 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { createHash, randomBytes } from 'crypto';
+import yaml from 'js-yaml';
+import { routeRequest } from '../src/router/router.js';
+import { findOperation, checkResponse, verifyResponse, compileSpec, PROBLEM_TYPES } from '../src/middleware/openapi-validation.js';
+import { validateSchema } from '../src/utils/openapi-schema.js';
+import { generateApiReference } from '../src/utils/api-reference.js';
+
+/**
+ * Contract tests: every operation in openapi.yaml is called through the
+ * router and its response checked against the spec. A handler that drifts
+ * from the spec (new status, renamed field, wrong type) fails here.
+ */
+
+const spec = yaml.load(readFileSync(new URL('../openapi.yaml', import.meta.url), 'utf8'));
+
+const KEY_ID = '1a2b3c4d5e6f7890';
+const KEY_SECRET = 'a1b2c3d4e5f6789012345678901234567890123456789012';
+const API_KEY = `sk_${KEY_ID}_${KEY_SECRET}`;
+const ANALYZED_ID = '6f1c2a3b-4d5e-4f60-8a7b-9c0d1e2f3a4b';
+const UPLOADED_ID = '0b9a8c7d-6e5f-4a3b-9c2d-1e0f9a8b7c6d';
+const MISSING_ID = 'ffffffff-ffff-4fff-8fff-ffffffffffff';
+const BLOCKED_ID = '5d4c3b2a-1f0e-4d9c-8b7a-6f5e4d3c2b1a';
+const TAKEN_DOWN_ID = '3e2d1c0b-9a8f-4e7d-9c6b-5a4f3e2d1c0b';
+const UNAFFORDABLE_ID = '7a6b5c4d-3e2f-4a1b-8c9d-0e1f2a3b4c5d';
+
+/**
+ * In-memory stand-ins for the tables the public API touches
+ */
+function createEnv() {
+  const tables = {
+    apiKeys: [{
+      id: 'key-1', key_id: KEY_ID, user_id: 'author', name: 'CI key', is_active: 1,
+      hashed_secret: createHash('sha256').update(KEY_SECRET).digest('hex'),
+      scopes: JSON.stringify(['manuscripts:read', 'manuscripts:write']),
+      rate_limit_per_minute: 100, rate_limit_per_day: 10000,
+      email: 'author@example.com', subscription_tier: 'enterprise', full_name: 'Ann Author'
+    }],
+    manuscripts: [
+      { id: ANALYZED_ID, user_id: 'author', title: 'The Lost Key', author_name: 'Ann Author', genre: 'thriller', filename: 'key.docx', word_count: 81234, status: 'analyzed', created_at: 1760000000, updated_at: 1760003600 },
+      { id: UPLOADED_ID, user_id: 'author', title: 'Untitled', author_name: null, genre: null, filename: 'draft.txt', word_count: null, status: 'uploaded', created_at: 1760000000, updated_at: 1760000000 },
+      { id: BLOCKED_ID, user_id: 'author', title: 'Macro', author_name: null, genre: null, filename: 'macro.doc', r2_key: 'author/blocked/macro.doc', word_count: null, status: 'blocked', created_at: 1760000000, updated_at: 1760000000 },
+      { id: TAKEN_DOWN_ID, user_id: 'author', title: 'Borrowed', author_name: null, genre: null, filename: 'borrowed.docx', word_count: 50000, status: 'analyzed', dmca_status: 'taken_down', created_at: 1760000000, updated_at: 1760000000 },
+      { id: UNAFFORDABLE_ID, user_id: 'author', title: 'Saga', author_name: null, genre: null, filename: 'saga.docx', word_count: 400000, status: 'uploaded', created_at: 1760000000, updated_at: 1760000000 }
+    ],
+    quarantine: [
+      { id: 'q-blocked', bucket: 'manuscripts_raw', final_key: 'author/blocked/macro.doc', status: 'infected', release_jobs: '[]' }
+    ],
+    usage: [],
+    webhooks: [],
+    clients: [{ id: 'public-app', client_type: 'public', is_active: 1 }]
+  };
+  const queue = [];
+
+  const execute = (sql, args) => {
+    if (sql.includes('FROM api_keys k')) {
+      return tables.apiKeys.filter(k => k.key_id === args[0] && k.is_active);
+    }
+    if (sql.includes('UPDATE api_keys')) {
+      return { changes: 1 };
+    }
+    if (sql.includes('SELECT COUNT(*) as count')) {
+      return [{ count: 0 }];
+    }
+    if (sql.includes('INSERT INTO api_usage_logs')) {
+      tables.usage.push({ endpoint: args[2], status_code: args[4] });
+      return { changes: 1 };
+    }
+    if (sql.includes('GROUP BY endpoint')) {
+      const counts = {};
+      tables.usage.forEach(row => { counts[row.endpoint] = (counts[row.endpoint] || 0) + 1; });
+      return Object.entries(counts).map(([endpoint, endpoint_count]) => ({ endpoint, endpoint_count: String(endpoint_count), total_requests: String(endpoint_count) }));
+    }
+    if (sql.includes('FROM api_usage_logs')) {
+      return [{ total_requests: String(tables.usage.length), avg_response_time: '3.5', successful_requests: String(tables.usage.length), error_requests: '0' }];
+    }
+    if (sql.includes('SELECT * FROM manuscripts WHERE id = ?')) {
+      return tables.manuscripts.filter(m => m.id === args[0] && m.user_id === args[1]);
+    }
+    if (sql.includes('SELECT * FROM manuscripts WHERE user_id = ?')) {
+      return tables.manuscripts.filter(m => m.user_id === args[0]);
+    }
+    if (sql.includes('INSERT INTO manuscripts')) {
+      tables.manuscripts.push({ id: args[0], user_id: args[1], title: args[2], r2_key: args[6], status: 'uploaded' });
+      return { changes: 1 };
+    }
+    if (sql.includes('INSERT INTO quarantined_files')) {
+      tables.quarantine.push({ id: args[0], bucket: args[1], final_key: args[2], status: 'pending_scan', release_jobs: '[]' });
+      return { changes: 1 };
+    }
+    if (sql.includes('FROM quarantined_files')) {
+      const [bucket, key] = sql.includes('SET release_jobs') ? args.slice(1) : args;
+      const file = tables.quarantine.filter(f => f.bucket === bucket && f.final_key === key).at(-1);
+      if (sql.includes('SET release_jobs')) {
+        if (file?.status !== 'pending_scan') return [];
+        file.release_jobs = JSON.stringify([...JSON.parse(file.release_jobs), ...JSON.parse(args[0])]);
+      }
+      return file ? [file] : [];
+    }
+    if (sql.includes('UPDATE manuscripts')) {
+      return { changes: 1 };
+    }
+    if (sql.includes('FROM webhooks')) {
+      return [];
+    }
+    if (sql.includes('INSERT INTO webhooks')) {
+      tables.webhooks.push({ id: args[0], url: args[2] });
+      return { changes: 1 };
+    }
+    // No subscription, usage or credits yet: the free token allowance applies
+    if (sql.includes('FROM subscriptions') || sql.includes('FROM usage_periods')) {
+      return [];
+    }
+    if (sql.includes('FROM credit_grants')) {
+      return [{ balance: '0' }];
+    }
+    if (sql.includes('SELECT * FROM oauth_clients WHERE id = ? AND is_active = 1')) {
+      return tables.clients.filter(c => c.id === args[0] && c.is_active);
+    }
+    throw new Error(`Unexpected SQL: ${sql}`);
+  };
+
+  const env = {
+    NODE_ENV: 'test',
+    SECRETS_MASTER_KEY: randomBytes(32).toString('base64'),
+    DB: {
+      prepare(sql) {
+        let args = [];
+        return {
+          bind(...values) { args = values; return this; },
+          async first() { const rows = execute(sql, args); return Array.isArray(rows) ? rows[0] || null : rows; },
+          async all() { return { results: execute(sql, args) }; },
+          async run() { return execute(sql, args); }
+        };
+      }
+    },
+    R2: {
+      getBucket() {
+        return {
+          async get(key) {
+            return key.includes('report-') ? { async text() { return JSON.stringify({ score: 8 }); } } : null;
+          },
+          async put() {},
+          async delete() {}
+        };
+      }
+    },
+    QUEUE: { async send(name, message) { queue.push(message); } },
+    REDIS: {
+      async get() { return null; },
+      async setEx() {},
+      async del() {}
+    }
+  };
+
+  return { env, tables, queue };
+}
+
+const passThrough = response => response;
+
+function call(env, method, path, { headers = {}, body, auth = true } = {}) {
+  const init = {
+    method,
+    headers: { ...(auth && { Authorization: `Bearer ${API_KEY}` }), ...headers }
+  };
+  if (body instanceof FormData) {
+    init.body = body;
+  } else if (body !== undefined) {
+    init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+  }
+  return routeRequest(new Request(`https://api.example.com${path}`, init), env, passThrough, {}, {});
+}
+
+function uploadForm(fields = {}, filename = 'lost-key.txt') {
+  const form = new FormData();
+  form.append('file', new Blob(['Chapter One'], { type: 'text/plain' }), filename);
+  for (const [name, value] of Object.entries({ title: 'The Lost Key', ...fields })) {
+    form.append(name, value);
+  }
+  return form;
+}
+
+/**
+ * One or more conforming calls per operationId, each with the status it should get
+ */
+const SCENARIOS = {
+  uploadManuscript: [
+    { status: 201, request: () => ['POST', '/api/v1/manuscripts', { body: uploadForm({ genre: 'thriller' }) }] },
+    { status: 400, request: () => ['POST', '/api/v1/manuscripts', { body: uploadForm({}, 'lost-key.exe') }] },
+    { status: 401, request: () => ['POST', '/api/v1/manuscripts', { body: uploadForm(), auth: false }] }
+  ],
+  listManuscripts: [
+    { status: 200, request: () => ['GET', '/api/v1/manuscripts?limit=10&status=analyzed'] },
+    { status: 401, request: () => ['GET', '/api/v1/manuscripts', { auth: false }] }
+  ],
+  analyzeManuscript: [
+    { status: 202, request: () => ['POST', `/api/v1/manuscripts/${UPLOADED_ID}/analyze`, { body: { lineEditing: true } }] },
+    { status: 202, request: () => ['POST', `/api/v1/manuscripts/${UPLOADED_ID}/analyze`] },
+    { status: 402, request: () => ['POST', `/api/v1/manuscripts/${UNAFFORDABLE_ID}/analyze`, { body: {} }] },
+    { status: 404, request: () => ['POST', `/api/v1/manuscripts/${MISSING_ID}/analyze`, { body: {} }] },
+    { status: 409, request: () => ['POST', `/api/v1/manuscripts/${BLOCKED_ID}/analyze`, { body: {} }] },
+    { status: 451, request: () => ['POST', `/api/v1/manuscripts/${TAKEN_DOWN_ID}/analyze`, { body: {} }] }
+  ],
+  getManuscriptStatus: [
+    { status: 200, request: () => ['GET', `/api/v1/manuscripts/${ANALYZED_ID}/status`] },
+    { status: 404, request: () => ['GET', `/api/v1/manuscripts/${MISSING_ID}/status`] }
+  ],
+  getManuscriptResults: [
+    { status: 200, request: () => ['GET', `/api/v1/manuscripts/${ANALYZED_ID}/results`] },
+    { status: 400, request: () => ['GET', `/api/v1/manuscripts/${UPLOADED_ID}/results`] },
+    { status: 451, request: () => ['GET', `/api/v1/manuscripts/${TAKEN_DOWN_ID}/results`] }
+  ],
+  configureWebhook: [
+    { status: 201, request: () => ['POST', '/api/v1/webhooks', { body: { url: 'https://example.com/hooks', events: ['analysis.complete'] } }] }
+  ],
+  getUsage: [
+    { status: 200, request: () => ['GET', '/api/v1/usage'] }
+  ],
+  getOAuthToken: [
+    { status: 400, request: () => ['POST', '/oauth/token', { auth: false, body: 'grant_type=password&client_id=public-app', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }] },
+    { status: 401, request: () => ['POST', '/oauth/token', { auth: false, body: 'grant_type=refresh_token&client_id=nope', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }] }
+  ],
+  revokeOAuthToken: [
+    { status: 401, request: () => ['POST', '/oauth/revoke', { auth: false, body: 'token=abc&client_id=nope', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }] }
+  ]
+};
+
+describe('API contract (openapi.yaml)', () => {
+  let env;
+
+  beforeEach(() => {
+    ({ env } = createEnv());
+  });
+
+  it('has a scenario for every documented operation', () => {
+    const operationIds = Object.values(spec.paths).flatMap(pathItem => Object.values(pathItem).map(op => op.operationId));
+    expect(Object.keys(SCENARIOS).sort()).toEqual(operationIds.sort());
+  });
+
+  for (const [operationId, scenarios] of Object.entries(SCENARIOS)) {
+    for (const scenario of scenarios) {
+      it(`${operationId} answers ${scenario.status} as documented`, async () => {
+        const [method, path, options] = scenario.request();
+        const response = await call(env, method, path, options);
+        const body = await response.clone().text();
+
+        const match = findOperation(method, new URL(path, 'https://api.example.com').pathname);
+
+        expect(response.status, body).toBe(scenario.status);
+        expect(match.operation.operationId).toBe(operationId);
+        expect(await checkResponse(response, match)).toEqual([]);
+      });
+    }
+  }
+});
+
+describe('Request validation', () => {
+  let env;
+  let queue;
+  let tables;
+
+  beforeEach(() => {
+    ({ env, queue, tables } = createEnv());
+  });
+
+  it('rejects out-of-range and unknown query values with a problem document', async () => {
+    const response = await call(env, 'GET', '/api/v1/manuscripts?limit=500&status=lost');
+    const problem = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(response.headers.get('Content-Type')).toBe('application/problem+json');
+    expect(response.headers.get('X-API-Version')).toBe('v1');
+    expect(problem).toMatchObject({
+      type: PROBLEM_TYPES.VALIDATION,
+      title: 'Request validation failed',
+      status: 400,
+      instance: '/api/v1/manuscripts'
+    });
+    expect(problem.errors).toEqual([
+      { location: 'query', field: 'limit', message: 'must be at most 100' },
+      { location: 'query', field: 'status', message: 'must be one of: uploaded, analyzing, analyzed, failed, blocked' }
+    ]);
+    expect(validateSchema(spec, spec.components.schemas.ProblemDetails, problem, { direction: 'response' })).toEqual([]);
+  });
+
+  it('rejects malformed path parameters before the handler runs', async () => {
+    const response = await call(env, 'POST', '/api/v1/manuscripts/not-a-uuid/analyze', { body: {} });
+    const problem = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(problem.errors).toEqual([{ location: 'path', field: 'manuscriptId', message: 'must be a valid uuid' }]);
+    expect(queue).toHaveLength(0);
+  });
+
+  it('holds the analysis of a just uploaded manuscript until its malware scan', async () => {
+    const upload = await call(env, 'POST', '/api/v1/manuscripts', { body: uploadForm() });
+    const { data } = await upload.json();
+    expect(data.scanStatus).toBe('pending_scan');
+
+    const response = await call(env, 'POST', `/api/v1/manuscripts/${data.manuscriptId}/analyze`, { body: {} });
+
+    expect(response.status).toBe(202);
+    expect(queue).toHaveLength(0);
+    expect(JSON.parse(tables.quarantine.at(-1).release_jobs)).toEqual([
+      { queue: 'analysis', message: expect.objectContaining({ manuscriptId: data.manuscriptId, type: 'full_analysis' }) }
+    ]);
+  });
+
+  it('checks body field types', async () => {
+    const response = await call(env, 'POST', `/api/v1/manuscripts/${UPLOADED_ID}/analyze`, { body: { developmental: 'yes' } });
+    const problem = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(problem.errors).toEqual([{ location: 'body', field: 'body.developmental', message: 'must be a boolean' }]);
+  });
+
+  it('lists every missing and invalid field of a JSON body', async () => {
+    const response = await call(env, 'POST', '/api/v1/webhooks', { body: { url: 'not a url' } });
+    const problem = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(problem.errors).toEqual([
+      { location: 'body', field: 'body.events', message: 'is required' },
+      { location: 'body', field: 'body.url', message: 'must be a valid uri' }
+    ]);
+  });
+
+  it('reports unparseable JSON', async () => {
+    const response = await call(env, 'POST', '/api/v1/webhooks', { body: '{"url":' });
+    const problem = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(problem.errors).toEqual([{ location: 'body', field: 'body', message: 'must be valid JSON' }]);
+  });
+
+  it('requires the multipart fields of an upload', async () => {
+    const form = new FormData();
+    form.append('title', 'No File');
+    const response = await call(env, 'POST', '/api/v1/manuscripts', { body: form });
+    const problem = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(problem.errors).toEqual([{ location: 'body', field: 'body.file', message: 'is required' }]);
+  });
+
+  it('answers 415 for a body in an undocumented media type', async () => {
+    const response = await call(env, 'POST', '/api/v1/manuscripts', { body: { title: 'JSON upload' } });
+    const problem = await response.json();
+
+    expect(response.status).toBe(415);
+    expect(problem.type).toBe(PROBLEM_TYPES.UNSUPPORTED_MEDIA_TYPE);
+    expect(problem.detail).toBe('Send the body as multipart/form-data');
+  });
+
+  it('leaves OAuth token endpoints to report errors in the RFC 6749 format', async () => {
+    const response = await call(env, 'POST', '/oauth/token', { auth: false, body: '', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+    const body = await response.json();
+
+    expect(response.headers.get('Content-Type')).not.toContain('problem');
+    expect(body.error).toBe('invalid_client');
+  });
+
+  it('does not touch routes outside the spec', async () => {
+    expect(findOperation('GET', '/manuscripts')).toBeNull();
+    expect(findOperation('DELETE', '/api/v1/manuscripts')).toBeNull();
+  });
+});
+
+describe('Response verification', () => {
+  const match = findOperation('GET', `/api/v1/manuscripts/${ANALYZED_ID}/status`);
+  const json = (body, status = 200, type = 'application/json') => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': type } });
+
+  it('passes a conforming response through untouched', async () => {
+    const response = json({ success: true, data: { manuscriptId: ANALYZED_ID, status: 'analyzed', analysisComplete: true } });
+    expect(await verifyResponse(response, match, '/x')).toBe(response);
+  });
+
+  it('replaces a drifted body with a contract violation problem', async () => {
+    const drifted = json({ success: true, data: { id: ANALYZED_ID, status: 'done', analysisComplete: 'yes' } });
+    const response = await verifyResponse(drifted, match, '/api/v1/manuscripts/x/status');
+    const problem = await response.json();
+
+    expect(response.status).toBe(500);
+    expect(problem.type).toBe(PROBLEM_TYPES.RESPONSE_CONTRACT);
+    expect(problem.errors).toEqual([
+      { field: 'body.data.manuscriptId', message: 'is required' },
+      { field: 'body.data.status', message: 'must be one of: uploaded, analyzing, analyzed, failed, blocked' },
+      { field: 'body.data.analysisComplete', message: 'must be a boolean' }
+    ]);
+  });
+
+  it('flags undocumented statuses and content types but not server errors', async () => {
+    expect(await checkResponse(json({ success: false, error: { message: 'Gone', code: 410 } }, 410), match))
+      .toEqual([{ field: 'status', message: '410 is not a documented response' }]);
+    expect(await checkResponse(new Response('ok', { status: 200, headers: { 'Content-Type': 'text/plain' } }), match))
+      .toEqual([{ field: 'Content-Type', message: 'text/plain is not documented (expected application/json)' }]);
+    expect(await checkResponse(json({ success: false, error: { message: 'Boom', code: 500 } }, 500), match)).toEqual([]);
+  });
+
+  it('catches a handler that drifts from the spec when routed', async () => {
+    // Spec says wordCount is an integer; pretend a release started sending strings
+    const { env, tables } = createEnv();
+    tables.manuscripts[0].word_count = '81,234';
+    const response = await call(env, 'GET', '/api/v1/manuscripts');
+    const problem = await response.json();
+
+    expect(response.status).toBe(500);
+    expect(problem.type).toBe(PROBLEM_TYPES.RESPONSE_CONTRACT);
+    expect(problem.errors[0].field).toBe('body.data.manuscripts[0].wordCount');
+  });
+
+  it('is skipped in production', async () => {
+    const { env, tables } = createEnv();
+    env.NODE_ENV = 'production';
+    tables.manuscripts[0].word_count = '81,234';
+    const response = await call(env, 'GET', '/api/v1/manuscripts');
+
+    expect(response.status).toBe(200);
+  });
+
+  it('prefers literal paths over templated ones', () => {
+    const compiled = compileSpec('v1', {
+      paths: {
+        '/things/{id}': { get: { operationId: 'getThing' } },
+        '/things/stats': { get: { operationId: 'thingStats' } }
+      }
+    });
+    expect(findOperation('GET', '/things/stats', [compiled]).operation.operationId).toBe('thingStats');
+    expect(findOperation('GET', '/things/42', [compiled]).params).toEqual({ id: '42' });
+  });
+});
+
+describe('Generated API reference', () => {
+  it('is up to date with openapi.yaml (run npm run docs:api)', () => {
+    const generated = generateApiReference(spec, { version: 'v1', source: 'openapi.yaml' });
+    const committed = readFileSync(new URL('../docs/api-reference-v1.md', import.meta.url), 'utf8');
+    expect(committed).toBe(generated);
+  });
+});
@@ -0,0 +1,363 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import zlib from 'zlib';
+import {
+  escapeCopyValue,
+  parseCopyLine,
+  createTableChecksum,
+  scanDump,
+  createBackup,
+  listBackups,
+  loadBackup,
+  restoreBackup,
+  selectBackupsToDelete,
+  backupKeys,
+  BackupVerificationError
+} from '../src/services/backup-service.js';
+
+/**
+ * In-memory PostgreSQL stand-in: answers the catalog queries, cursors,
+ * DDL and INSERTs the backup service issues. Row values are held as their
+ * text output, like ::text casts return them.
+ */
+function createFakeDatabase(tables = {}, { dropRowsOnInsert = 0 } = {}) {
+  const state = { tables };
+  const runs = [];
+  let saved = null;
+  let cursor = null;
+
+  const clone = value => JSON.parse(JSON.stringify(value));
+  const tableNames = () => Object.keys(state.tables).sort();
+  const unquote = name => name.replace(/^"|"$/g, '').replace(/""/g, '"');
+
+  const client = {
+    async query(sql, params = []) {
+      const text = sql.trim();
+
+      if (text.startsWith('BEGIN')) {
+        saved = clone(state.tables);
+        return { rows: [] };
+      }
+      if (text === 'COMMIT') {
+        saved = null;
+        return { rows: [] };
+      }
+      if (text === 'ROLLBACK') {
+        state.tables = saved || state.tables;
+        saved = null;
+        return { rows: [] };
+      }
+      if (text.includes('pg_current_wal_lsn')) {
+        return { rows: [{ taken_at: '2026-10-19T03:00:00Z', wal_lsn: '0/16B3748', txid_snapshot: '750:750:', database: 'manuscript_platform', server_version: '16.4' }] };
+      }
+      if (text.includes("c.relkind = 'r'")) {
+        return { rows: tableNames().map((name, oid) => ({ oid, name })) };
+      }
+      if (text.includes('FROM pg_attribute')) {
+        const table = state.tables[tableNames()[params[0]]];
+        return { rows: table.columns.map(name => ({ name, type: 'text', not_null: false, default_value: null, identity: '', generated: '' })) };
+      }
+      if (text.includes('FROM pg_constraint')) {
+        const name = tableNames()[params[0]];
+        return { rows: [{ name: `${name}_pkey`, type: 'p', definition: `PRIMARY KEY (${state.tables[name].columns[0]})` }] };
+      }
+      if (/FROM pg_(extension|sequence|proc|index|trigger)|relkind IN/.test(text)) {
+        return { rows: [] };
+      }
+      if (text.startsWith('DECLARE')) {
+        const columns = [...text.matchAll(/"((?:[^"]|"")+)"::text/g)].map(m => unquote(`"${m[1]}"`));
+        const table = state.tables[unquote(text.match(/FROM ("(?:[^"]|"")+")$/)[1])];
+        cursor = table.rows.map(row => Object.fromEntries(columns.map((column, i) => [`c${i}`, row[column]])));
+        return { rows: [] };
+      }
+      if (text.startsWith('FETCH')) {
+        const size = Number(text.match(/FETCH (\d+)/)[1]);
+        return { rows: cursor.splice(0, size) };
+      }
+      if (text.startsWith('DROP SCHEMA')) {
+        state.tables = {};
+        return { rows: [] };
+      }
+      if (text.startsWith('CREATE TABLE')) {
+        const name = unquote(text.match(/^CREATE TABLE ("(?:[^"]|"")+")/)[1]);
+        const columns = [...text.matchAll(/^\s+("(?:[^"]|"")+") /gm)].map(m => unquote(m[1]));
+        state.tables[name] = { columns, rows: [] };
+        return { rows: [] };
+      }
+      if (text.startsWith('INSERT INTO')) {
+        const [, table, columnList] = text.match(/^INSERT INTO ("(?:[^"]|"")+") \(([^)]*)\)/);
+        const columns = columnList.split(', ').map(unquote);
+        const rows = [];
+        for (let i = 0; i < params.length; i += columns.length) {
+          rows.push(Object.fromEntries(columns.map((column, j) => [column, params[i + j]])));
+        }
+        state.tables[unquote(table)].rows.push(...rows.slice(dropRowsOnInsert));
+        return { rows: [] };
+      }
+      // SET, set_config, CLOSE, CREATE SCHEMA, ALTER TABLE, setval, RESET ALL
+      return { rows: [] };
+    }
+  };
+
+  return {
+    state,
+    runs,
+    async withClient(callback) {
+      return callback(client);
+    },
+    prepare(sql) {
+      return {
+        bind: (...values) => ({
+          run: async () => {
+            if (sql.includes('INSERT INTO backup_runs')) {
+              runs.push({ backupId: values[1], operation: values[2], triggeredBy: values[3], status: values[4], error: values[12] });
+            }
+            return { success: true };
+          }
+        })
+      };
+    }
+  };
+}
+
+function createFakeBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    async put(key, value) {
+      objects.set(key, { body: Buffer.from(value), uploaded: new Date() });
+    },
+    async get(key) {
+      const object = objects.get(key);
+      if (!object) {
+        return null;
+      }
+      return {
+        text: async () => object.body.toString('utf8'),
+        arrayBuffer: async () => object.body.buffer.slice(object.body.byteOffset, object.body.byteOffset + object.body.length)
+      };
+    },
+    async delete(key) {
+      objects.delete(key);
+    },
+    async list({ prefix = '' } = {}) {
+      const matching = [...objects.entries()]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, object]) => ({ key, size: object.body.length, etag: `"${key.length}"`, uploaded: object.uploaded }));
+      return { objects: matching, truncated: false };
+    }
+  };
+}
+
+function createEnv(tables) {
+  const buckets = {};
+  const bucket = name => (buckets[name] ||= createFakeBucket());
+  return { DB: createFakeDatabase(tables), R2: { getBucket: bucket }, buckets: { get: bucket } };
+}
+
+function sampleTables() {
+  return {
+    manuscripts: {
+      columns: ['id', 'title', 'body', 'notes'],
+      rows: [
+        { id: 'm1', title: 'Semicolons; everywhere;', body: 'Line one\nLine two\twith tab', notes: null },
+        { id: 'm2', title: 'Back\\slash "quoted"', body: "It's $$ dollar $tag$ text; DROP TABLE users;", notes: '\\.' },
+        { id: 'm3', title: 'Ünïcödé — ✓', body: '', notes: '\\N' }
+      ]
+    },
+    users: {
+      columns: ['id', 'email'],
+      rows: [{ id: 'u1', email: 'ann@example.com' }]
+    }
+  };
+}
+
+describe('COPY text format', () => {
+  it('round-trips values with tabs, newlines, backslashes and nulls', () => {
+    const values = ['plain', 'tab\there', 'new\nline\r\n', 'back\\slash', '\\N', '\\.', null, '', 'semi;colon'];
+    const line = values.map(escapeCopyValue).join('\t');
+
+    expect(line).not.toContain('\n');
+    expect(parseCopyLine(line)).toEqual(values);
+  });
+
+  it('reads octal and hex escapes', () => {
+    expect(parseCopyLine('\\101\\x42\\t')).toEqual(['AB\t']);
+  });
+});
+
+describe('table checksums', () => {
+  it('does not depend on row order', () => {
+    const a = createTableChecksum();
+    const b = createTableChecksum();
+    ['r1', 'r2', 'r3'].forEach(line => a.add(line));
+    ['r3', 'r1', 'r2'].forEach(line => b.add(line));
+
+    expect(a.result()).toEqual(b.result());
+    expect(a.result().rows).toBe(3);
+  });
+
+  it('changes when a row changes', () => {
+    const a = createTableChecksum();
+    const b = createTableChecksum();
+    a.add('r1');
+    b.add('r2');
+
+    expect(a.result().checksum).not.toBe(b.result().checksum);
+  });
+});
+
+describe('scanDump', () => {
+  it('keeps semicolons inside strings, dollar quotes and COPY data', () => {
+    const dump = [
+      '-- header; with semicolon',
+      'SET search_path = "public", pg_catalog;',
+      'CREATE FUNCTION touch() RETURNS trigger AS $fn$ BEGIN NEW.updated_at := now(); RETURN NEW; END; $fn$ LANGUAGE plpgsql;',
+      "INSERT INTO notes VALUES ('a;b', E'it\\'s; fine', \"odd;name\");",
+      '/* block; comment */',
+      'COPY "notes" ("id", "text") FROM stdin;',
+      'n1\tfirst; row',
+      'n2\tsecond\\nrow;',
+      '\\.',
+      'SELECT 1;'
+    ].join('\n');
+
+    const items = [...scanDump(dump)];
+
+    expect(items.map(item => item.type)).toEqual(['sql', 'sql', 'sql', 'copy', 'sql']);
+    expect(items[1].sql).toContain('RETURN NEW; END; $fn$ LANGUAGE plpgsql');
+    expect(items[2].sql).toBe("INSERT INTO notes VALUES ('a;b', E'it\\'s; fine', \"odd;name\")");
+    expect(items[3]).toEqual({ type: 'copy', table: '"notes"', columns: ['"id"', '"text"'], lines: ['n1\tfirst; row', 'n2\tsecond\\nrow;'] });
+    expect(items[4].sql).toBe('SELECT 1');
+  });
+});
+
+describe('selectBackupsToDelete', () => {
+  const backup = (iso, complete = true) => ({ backupId: iso, createdAt: new Date(iso), complete, keys: [] });
+  const now = new Date('2026-10-19T04:00:00Z');
+
+  it('keeps recent dailies, the first of each month and year, and drops the rest', () => {
+    const backups = [
+      backup('2026-10-18T03:00:00Z'),        // Within 30 days
+      backup('2026-09-01T03:00:00Z'),        // First of September
+      backup('2026-09-02T03:00:00Z'),        // Second of September: dropped
+      backup('2025-11-01T03:00:00Z'),        // First of a month 11 months ago
+      backup('2025-10-01T03:00:00Z'),        // 12 months ago and not the first of 2025: dropped
+      backup('2025-01-05T03:00:00Z'),        // First of 2025
+      backup('2018-01-01T03:00:00Z'),        // 8 years ago: dropped
+      backup('2026-10-17T03:00:00Z', false), // Incomplete for two days: dropped
+      backup('2026-10-19T03:30:00Z', false)  // Incomplete, still running
+    ];
+
+    const deleted = selectBackupsToDelete(backups, now, { daily: 30, monthly: 12, yearly: 7 }).map(b => b.backupId);
+
+    expect(deleted.sort()).toEqual([
+      '2018-01-01T03:00:00Z',
+      '2025-10-01T03:00:00Z',
+      '2026-09-02T03:00:00Z',
+      '2026-10-17T03:00:00Z'
+    ]);
+  });
+
+  it('always keeps the newest complete backup', () => {
+    const backups = [backup('2020-01-01T03:00:00Z'), backup('2019-06-01T03:00:00Z')];
+
+    const deleted = selectBackupsToDelete(backups, now, { daily: 1, monthly: 0, yearly: 0 });
+
+    expect(deleted.map(b => b.backupId)).toEqual(['2019-06-01T03:00:00Z']);
+  });
+});
+
+describe('backup and restore', () => {
+  let env;
+
+  beforeEach(() => {
+    env = createEnv(sampleTables());
+    env.buckets.get('manuscripts_raw').put('u1/m1.docx', 'manuscript bytes');
+  });
+
+  it('writes a dump, storage manifest and manifest with per-table checksums', async () => {
+    const { backupId, manifest } = await createBackup(env, { now: new Date('2026-10-19T03:00:00Z') });
+
+    expect(backupId).toBe('2026-10-19T03-00-00-000Z');
+    expect(manifest.snapshot.walLsn).toBe('0/16B3748');
+    expect(manifest.tables.map(t => [t.name, t.rows])).toEqual([['manuscripts', 3], ['users', 1]]);
+    expect(manifest.storage.objects).toBe(1);
+
+    const keys = backupKeys(backupId);
+    const dump = zlib.gunzipSync(env.buckets.get('backups').objects.get(keys.dump).body).toString('utf8');
+    expect(dump).toContain('COPY "manuscripts" ("id", "title", "body", "notes") FROM stdin;');
+    expect(dump).toContain('m1\tSemicolons; everywhere;\tLine one\\nLine two\\twith tab\t\\N');
+    expect(dump.indexOf('CREATE TABLE')).toBeLessThan(dump.indexOf('COPY'));
+
+    expect(env.DB.runs).toEqual([expect.objectContaining({ backupId, operation: 'backup', status: 'success' })]);
+    expect((await listBackups(env))[0]).toMatchObject({ backupId, complete: true });
+  });
+
+  it('restores into a scratch database and verifies it without touching production', async () => {
+    const { backupId } = await createBackup(env);
+    const scratchDb = createFakeDatabase({ leftovers: { columns: ['id'], rows: [{ id: 'x' }] } });
+    const production = JSON.stringify(env.DB.state.tables);
+
+    const result = await restoreBackup(env, 'latest', { scratchDb });
+
+    expect(result).toMatchObject({ backupId, verified: true, promoted: false });
+    expect(result.storage.ok).toBe(true);
+    expect(scratchDb.state.tables).toEqual(sampleTables());
+    expect(JSON.stringify(env.DB.state.tables)).toBe(production);
+    expect(env.DB.runs.at(-1)).toMatchObject({ operation: 'verify', status: 'success' });
+  });
+
+  it('promotes a verified backup over production', async () => {
+    const { backupId } = await createBackup(env);
+    env.DB.state.tables.users.rows.push({ id: 'u2', email: 'after-backup@example.com' });
+
+    const result = await restoreBackup(env, backupId, { scratchDb: createFakeDatabase(), promote: true });
+
+    expect(result.promoted).toBe(true);
+    expect(env.DB.state.tables.users.rows).toEqual([{ id: 'u1', email: 'ann@example.com' }]);
+    expect(env.DB.runs.slice(-2).map(run => run.operation)).toEqual(['verify', 'restore']);
+  });
+
+  it('refuses to promote when the scratch copy does not verify', async () => {
+    const { backupId } = await createBackup(env);
+    const before = JSON.stringify(env.DB.state.tables);
+
+    await expect(restoreBackup(env, backupId, { scratchDb: createFakeDatabase({}, { dropRowsOnInsert: 1 }), promote: true }))
+      .rejects.toThrow(BackupVerificationError);
+
+    expect(JSON.stringify(env.DB.state.tables)).toBe(before);
+    expect(env.DB.runs.at(-1)).toMatchObject({ operation: 'verify', status: 'failed' });
+  });
+
+  it('reports storage objects deleted since the backup', async () => {
+    await createBackup(env);
+    await env.buckets.get('manuscripts_raw').delete('u1/m1.docx');
+
+    const result = await restoreBackup(env, 'latest', { scratchDb: createFakeDatabase() });
+
+    expect(result.storage.ok).toBe(false);
+    expect(result.storage.buckets.manuscripts_raw).toMatchObject({ missing: 1, sampleMissing: ['u1/m1.docx'] });
+  });
+
+  it('rejects a dump that does not match its manifest', async () => {
+    const { backupId } = await createBackup(env);
+    const bucket = env.buckets.get('backups');
+    await bucket.put(backupKeys(backupId).dump, zlib.gzipSync('SELECT 1;'));
+
+    await expect(loadBackup(env, backupId)).rejects.toThrow(BackupVerificationError);
+  });
+
+  it('requires a scratch database distinct from production', async () => {
+    await createBackup(env);
+
+    await expect(restoreBackup(env, 'latest', {})).rejects.toThrow(/scratch database/);
+    await expect(restoreBackup(env, 'latest', { scratchDb: env.DB })).rejects.toThrow(/must not be the production/);
+  });
+
+  it('records a failed backup', async () => {
+    env.DB.withClient = async () => { throw new Error('connection refused'); };
+
+    await expect(createBackup(env)).rejects.toThrow('connection refused');
+    expect(env.DB.runs).toEqual([expect.objectContaining({ operation: 'backup', status: 'failed', error: 'connection refused' })]);
+  });
+});
@@ -0,0 +1,233 @@
+import { describe, it, expect, vi } from 'vitest';
+import JSZip from 'jszip';
+import {
+  classifyHeading,
+  parseNumberWords,
+  segmentText,
+  segmentModel,
+  applyOutline,
+  applyOutlineToText,
+  validateOverrides,
+  summarizeOutline
+} from '../src/utils/chapter-segmentation.js';
+import { assembleModel, parseMammothHTML, chunkModelIntoSections } from '../src/utils/manuscript-model.js';
+import { detectChapters } from '../src/utils/text-extraction.js';
+import { extractChapters } from '../src/processors/audiobook-processor.js';
+import { generateEPUB } from '../src/generators/epub-generator.js';
+import { resolveOutline, loadOutlinedModel } from '../src/services/outline-service.js';
+
+const MANUSCRIPT = `Copyright
+All rights reserved.
+
+Contents
+Chapter One
+Chapter Twenty-One
+
+Prologue
+The night it began.
+
+Chapter One
+She ran.
+
+Part Two
+
+Chapter Twenty-One
+He followed her home.
+
+Epilogue
+Years later.
+
+Author's Note
+This story is fiction.
+
+Acknowledgments
+Thanks to everyone.
+
+About the Author
+Jane writes books.`;
+
+/**
+ * Build a DOCX-style model with styled headings
+ */
+function buildModel() {
+  return assembleModel(parseMammothHTML(
+    '<h1>Dedication</h1><p>For Sam.</p>' +
+    '<h1>The Storm</h1><p>Rain fell on the old town.</p>' +
+    '<h1>Aftermath</h1><p>Nothing was left.</p>' +
+    '<h1>Acknowledgements</h1><p>Thank you.</p>'
+  ), { source: 'docx' });
+}
+
+describe('Chapter Segmentation', () => {
+  describe('classifyHeading', () => {
+    it('should parse numbered, roman and spelled-out chapters', () => {
+      expect(classifyHeading('Chapter 12')).toMatchObject({ kind: 'chapter', number: 12 });
+      expect(classifyHeading('CHAPTER XIV')).toMatchObject({ kind: 'chapter', number: 14 });
+      expect(classifyHeading('Chapter Twenty-One: The Return')).toMatchObject({
+        kind: 'chapter',
+        number: 21,
+        subtitle: 'The Return'
+      });
+      expect(classifyHeading('Twelve')).toMatchObject({ kind: 'chapter', number: 12 });
+    });
+
+    it('should classify prologues, parts, front and back matter', () => {
+      expect(classifyHeading('Prologue')).toMatchObject({ kind: 'chapter', label: 'prologue', number: null });
+      expect(classifyHeading('Book III - The Return')).toMatchObject({ kind: 'part', number: 3, subtitle: 'The Return' });
+      expect(classifyHeading('Dedication')).toMatchObject({ kind: 'front_matter', label: 'dedication' });
+      expect(classifyHeading('About the Author')).toMatchObject({ kind: 'back_matter', label: 'about the author' });
+      expect(classifyHeading('Also by Jane Doe')).toMatchObject({ kind: 'back_matter', label: 'also by' });
+    });
+
+    it('should not treat prose as headings', () => {
+      expect(classifyHeading('Chapter 5 was my favourite part.')).toBeNull();
+      expect(classifyHeading('Part two of the plan was simple.')).toBeNull();
+      expect(classifyHeading('He said no.')).toBeNull();
+      expect(classifyHeading('THE END')).toBeNull();
+    });
+
+    it('should accept titled headings only when styled or in capitals', () => {
+      expect(classifyHeading('The Storm')).toBeNull();
+      expect(classifyHeading('The Storm', { styled: true })).toMatchObject({ kind: 'chapter', subtitle: 'The Storm' });
+      expect(classifyHeading('THE STORM')).toMatchObject({ kind: 'chapter' });
+    });
+  });
+
+  describe('parseNumberWords', () => {
+    it('should handle compound and hundred numbers', () => {
+      expect(parseNumberWords('Forty-Two')).toBe(42);
+      expect(parseNumberWords('One Hundred and Three')).toBe(103);
+      expect(parseNumberWords('Tuesday')).toBeNull();
+    });
+  });
+
+  describe('segmentText', () => {
+    it('should classify every section of a manuscript', () => {
+      const outline = segmentText(MANUSCRIPT);
+
+      expect(outline.map(section => [section.heading, section.kind])).toEqual([
+        ['Copyright', 'front_matter'],
+        ['Contents', 'front_matter'],
+        ['Chapter One', 'front_matter'],
+        ['Chapter Twenty-One', 'front_matter'],
+        ['Prologue', 'chapter'],
+        ['Chapter One', 'chapter'],
+        ['Part Two', 'part'],
+        ['Chapter Twenty-One', 'chapter'],
+        ['Epilogue', 'chapter'],
+        ["Author's Note", 'back_matter'],
+        ['Acknowledgments', 'back_matter'],
+        ['About the Author', 'back_matter']
+      ]);
+      expect(outline.filter(section => section.chapterNumber).map(section => section.chapterNumber)).toEqual([1, 2]);
+      expect(summarizeOutline(outline)).toMatchObject({ chapterCount: 4, partCount: 1, backMatterCount: 3 });
+    });
+
+    it('should apply section and pattern overrides', () => {
+      const outline = segmentText('Day 1\nMorning.\n\nDay 2\nEvening.\n\nAfterword\nThe end.', {
+        patterns: [{ pattern: '^Day \\d+$', kind: 'chapter' }],
+        sections: [{ heading: 'Afterword', kind: 'chapter', title: 'Coda' }]
+      });
+
+      expect(outline.map(section => [section.title, section.kind, section.chapterNumber])).toEqual([
+        ['Day 1', 'chapter', 1],
+        ['Day 2', 'chapter', 2],
+        ['Coda', 'chapter', 3]
+      ]);
+      expect(outline[2].overridden).toBe(true);
+    });
+  });
+
+  describe('validateOverrides', () => {
+    it('should reject unknown kinds and invalid patterns', () => {
+      expect(validateOverrides({ sections: [{ index: 0, kind: 'chapter' }] })).toEqual([]);
+      expect(validateOverrides({
+        patterns: [{ pattern: '(', kind: 'chapter' }],
+        sections: [{ kind: 'appendix' }]
+      })).toHaveLength(2);
+    });
+  });
+
+  describe('detectChapters', () => {
+    it('should report body chapters only', () => {
+      const chapters = detectChapters(MANUSCRIPT);
+      expect(chapters.map(chapter => chapter.title)).toEqual(['Prologue', 'Chapter One', 'Chapter Twenty-One', 'Epilogue']);
+    });
+  });
+
+  describe('model outlines', () => {
+    function storedOutlineEnv() {
+      return {
+        DB: {
+          prepare: vi.fn().mockReturnThis(),
+          bind: vi.fn().mockReturnThis(),
+          first: vi.fn().mockResolvedValue({
+            manuscript_id: 'ms-1',
+            outline: '[]',
+            overrides: JSON.stringify({ sections: [{ index: 1, title: 'Storm Warning' }] }),
+            source: 'author'
+          }),
+          run: vi.fn()
+        }
+      };
+    }
+
+    it('should tag styled sections and skip matter when chunking', () => {
+      const outline = segmentModel(buildModel());
+      const model = applyOutline(buildModel(), outline);
+
+      expect(outline.map(section => section.kind)).toEqual(['front_matter', 'chapter', 'chapter', 'back_matter']);
+      expect(chunkModelIntoSections(model, 100).map(section => section.chapterTitle)).toEqual(['The Storm', 'Aftermath']);
+      expect(chunkModelIntoSections(model, 100, { includeMatter: true })).toHaveLength(4);
+    });
+
+    it('should reuse stored overrides when resolving an outline', async () => {
+      const env = storedOutlineEnv();
+
+      const outline = await resolveOutline('ms-1', buildModel(), env);
+
+      expect(outline[1].title).toBe('Storm Warning');
+      expect(env.DB.run).not.toHaveBeenCalled();
+    });
+
+    it('should import a manuscript file with its stored outline applied', async () => {
+      const env = storedOutlineEnv();
+
+      const model = await loadOutlinedModel(Buffer.from('Prologue\nThe night it began.\n\nChapter One\nShe ran.'), 'text/plain', 'ms-1', env);
+
+      expect(model.chapters.map(chapter => chapter.kind)).toEqual(['front_matter', 'chapter']);
+      expect(model.chapters[1].title).toBe('Storm Warning');
+    });
+
+    it('should build the EPUB TOC from the outline', async () => {
+      const model = applyOutline(buildModel(), segmentModel(buildModel(), {
+        sections: [{ index: 2, title: 'After the Storm' }]
+      }));
+      const zip = await JSZip.loadAsync(await generateEPUB({ title: 'Test', model }));
+      const toc = await zip.file('OEBPS/toc.ncx').async('string');
+      const dedication = await zip.file('OEBPS/chapter1.xhtml').async('string');
+
+      expect(toc).toContain('<text>After the Storm</text>');
+      expect(dedication).toContain('epub:type="frontmatter"');
+    });
+  });
+
+  describe('audiobook extractChapters', () => {
+    it('should narrate body chapters only', () => {
+      const chapters = extractChapters(MANUSCRIPT);
+
+      expect(chapters.map(chapter => chapter.title)).toEqual(['Prologue', '', '', 'Epilogue']);
+      expect(chapters[1]).toMatchObject({ number: 2, rawNumber: 'One', content: 'She ran.' });
+    });
+
+    it('should follow a saved outline', () => {
+      const outline = segmentText(MANUSCRIPT, { sections: [{ index: 10, kind: 'chapter', title: 'Thanks' }] });
+      const text = MANUSCRIPT.replace('She ran.', 'She ran fast.');
+
+      expect(applyOutlineToText(text, outline)).toHaveLength(outline.length);
+      const chapters = extractChapters(text, { outline });
+      expect(chapters.map(chapter => chapter.title)).toContain('Thanks');
+      expect(chapters.find(chapter => chapter.rawNumber === 'One').content).toBe('She ran fast.');
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi } from 'vitest';
+import { assembleModel, parseMammothHTML, chunkModelIntoSections } from '../src/utils/manuscript-model.js';
+import {
+  buildChapterUnits,
+  groupSectionsByChapter,
+  runChapterAnalyses,
+  getChapterProgress
+} from '../src/services/chapter-analysis-service.js';
+
+/**
+ * In-memory stand-in for the chapter_analyses table
+ * Understands the statements issued by the chapter analysis service.
+ */
+function createChapterDB() {
+  const rows = new Map();
+  const key = (manuscriptId, type, index) => `${manuscriptId}|${type}|${index}`;
+
+  const execute = (sql, args) => {
+    if (sql.includes('INSERT INTO chapter_analyses')) {
+      const [id, manuscriptId, reportId, type, index, title, hash, words, status, reused, now] = args;
+      const existing = rows.get(key(manuscriptId, type, index));
+      rows.set(key(manuscriptId, type, index), {
+        id: existing?.id || id,
+        manuscript_id: manuscriptId,
+        report_id: reportId,
+        analysis_type: type,
+        chapter_index: index,
+        chapter_title: title,
+        content_hash: hash,
+        word_count: words,
+        status,
+        result: reused ? existing?.result : null,
+        error: null,
+        attempts: existing?.attempts || 0,
+        reused,
+        completed_at: existing?.completed_at || null,
+        updated_at: now
+      });
+      return [];
+    }
+
+    if (sql.includes('UPDATE chapter_analyses')) {
+      const [status, result, error, attempt, completedAt, now, manuscriptId, type, index] = args;
+      const row = rows.get(key(manuscriptId, type, index));
+      Object.assign(row, {
+        status,
+        result: result ?? row.result,
+        error,
+        attempts: row.attempts + attempt,
+        completed_at: completedAt,
+        updated_at: now
+      });
+      return [];
+    }
+
+    if (sql.includes('WHERE report_id = ?')) {
+      return [...rows.values()].filter(row => row.report_id === args[0]);
+    }
+
+    return [...rows.values()].filter(row => row.manuscript_id === args[0] && row.analysis_type === args[1]);
+  };
+
+  return {
+    rows,
+    prepare: sql => ({
+      bind: (...args) => ({
+        all: async () => ({ results: execute(sql, args) }),
+        run: async () => { execute(sql, args); return { success: true }; }
+      })
+    })
+  };
+}
+
+function buildModel() {
+  return assembleModel(parseMammothHTML(
+    '<h1>Chapter One</h1><p>The storm rolled in.</p>' +
+    '<h1>Chapter Two</h1><p>Nobody slept.</p>' +
+    '<h1>Chapter Three</h1><p>Morning came.</p>'
+  ), { source: 'docx' });
+}
+
+describe('Chunked Manuscript Analysis', () => {
+  describe('buildChapterUnits', () => {
+    it('should create one unit per chapter and split long chapters', () => {
+      expect(buildChapterUnits(buildModel()).map(unit => unit.title)).toEqual([
+        'Chapter One',
+        'Chapter Two',
+        'Chapter Three'
+      ]);
+
+      const long = assembleModel(parseMammothHTML(
+        '<h1>Chapter One</h1><p>One two three.</p><p>Four five six.</p>'
+      ), { source: 'docx' });
+      expect(buildChapterUnits(long, { maxWords: 3 }).map(unit => unit.title)).toEqual([
+        'Chapter One (part 1 of 2)',
+        'Chapter One (part 2 of 2)'
+      ]);
+    });
+
+    it('should group small sections by chapter', () => {
+      const model = assembleModel(parseMammothHTML(
+        '<h1>Chapter One</h1><p>The storm rolled in.</p><p>Nobody slept.</p>' +
+        '<h1>Chapter Two</h1><p>Morning came.</p>'
+      ), { source: 'docx' });
+      const units = groupSectionsByChapter(chunkModelIntoSections(model, 4));
+
+      expect(units).toHaveLength(2);
+      expect(units[0]).toMatchObject({ index: 0, title: 'Chapter One', wordCount: 6 });
+      expect(units[0].sections).toHaveLength(2);
+      expect(units[0].text).toBe('The storm rolled in.\n\nNobody slept.');
+    });
+  });
+
+  describe('runChapterAnalyses', () => {
+    it('should persist failures and resume without re-analyzing finished chapters', async () => {
+      const DB = createChapterDB();
+      const env = { DB };
+      const units = buildChapterUnits(buildModel());
+      const params = { env, manuscriptId: 'ms-1', analysisType: 'developmental', contextKey: 'thriller', units };
+
+      const failing = vi.fn(async unit => {
+        if (unit.index === 1) {
+          throw new Error('Claude API error: 529');
+        }
+        return { summary: unit.title };
+      });
+
+      await expect(runChapterAnalyses({ ...params, reportId: 'r1', analyzeUnit: failing }))
+        .rejects.toMatchObject({ details: { failedChapters: [{ index: 1, title: 'Chapter Two' }] } });
+      expect(failing).toHaveBeenCalledTimes(3);
+
+      const progress = await getChapterProgress('r1', env);
+      expect(progress.developmental).toMatchObject({ total: 3, complete: 2, failed: 1 });
+      expect(progress.developmental.chapters[1]).toMatchObject({ status: 'failed', error: 'Claude API error: 529' });
+
+      const retry = vi.fn(async unit => ({ summary: `${unit.title} (retried)` }));
+      const onProgress = vi.fn();
+      const result = await runChapterAnalyses({ ...params, reportId: 'r2', analyzeUnit: retry, onProgress });
+
+      expect(retry).toHaveBeenCalledTimes(1);
+      expect(retry.mock.calls[0][0].index).toBe(1);
+      expect(result).toMatchObject({ reusedCount: 2, analyzedCount: 1 });
+      expect(result.chapters.map(chapter => chapter.result.summary)).toEqual([
+        'Chapter One',
+        'Chapter Two (retried)',
+        'Chapter Three'
+      ]);
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ completed: 3, total: 3, failed: 0 }));
+      expect(DB.rows.get('ms-1|developmental|1')).toMatchObject({ status: 'complete', attempts: 2 });
+
+      const resumed = await getChapterProgress('r2', env);
+      expect(resumed.developmental).toMatchObject({ total: 3, complete: 3, reused: 2 });
+    });
+
+    it('should re-analyze chapters whose text or context changed', async () => {
+      const env = { DB: createChapterDB() };
+      const units = buildChapterUnits(buildModel());
+      const analyzeUnit = vi.fn(async unit => ({ summary: unit.title }));
+      const params = { env, manuscriptId: 'ms-1', analysisType: 'line-editing', units, analyzeUnit };
+
+      await runChapterAnalyses({ ...params, contextKey: 'thriller' });
+      await runChapterAnalyses({
+        ...params,
+        contextKey: 'thriller',
+        units: units.map(unit => unit.index === 2 ? { ...unit, text: 'Evening came.' } : unit)
+      });
+      expect(analyzeUnit).toHaveBeenCalledTimes(4);
+
+      await runChapterAnalyses({ ...params, contextKey: 'romance' });
+      expect(analyzeUnit).toHaveBeenCalledTimes(7);
+    });
+
+    it('should still run when chapter storage is unavailable', async () => {
+      const env = { DB: { prepare: () => { throw new Error('relation "chapter_analyses" does not exist'); } } };
+      const result = await runChapterAnalyses({
+        env,
+        manuscriptId: 'ms-1',
+        analysisType: 'copy-editing',
+        units: buildChapterUnits(buildModel()),
+        analyzeUnit: async unit => ({ summary: unit.title })
+      });
+
+      expect(result).toMatchObject({ reusedCount: 0, analyzedCount: 3 });
+    });
+  });
+});
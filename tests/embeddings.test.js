@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HashingEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  createEmbeddingProvider,
+  cosineSimilarity,
+  tokenize
+} from '../src/services/embedding-service.js';
+import { VectorStore, VECTOR_NAMESPACES } from '../src/services/vector-store.js';
+import { findNearestCompTitles, checkSeriesConsistency } from '../src/services/similarity-service.js';
+
+const DRAGON = 'The dragon circled the castle while the young knight sharpened her sword for the siege.';
+const DRAGON_2 = 'A knight and a dragon fought over the burning castle walls during the long siege.';
+const ROMANCE = 'She met him at the coffee shop every morning, and slowly the barista fell in love.';
+
+/**
+ * In-memory stand-in for the vector_embeddings table
+ */
+function createVectorDB() {
+  const rows = new Map();
+
+  return {
+    rows,
+    prepare: sql => ({
+      bind: (...args) => ({
+        first: async () => rows.get(`${args[0]}|${args[1]}|${args[2]}`) || null,
+        all: async () => {
+          const [namespace, model, ...filters] = args;
+          const results = [...rows.values()].filter(row => row.namespace === namespace && row.model === model);
+          if (sql.includes('genre = ?')) {
+            return { results: results.filter(row => row.genre === filters[filters.length - 1]) };
+          }
+          return { results };
+        },
+        run: async () => {
+          if (sql.includes('INSERT INTO vector_embeddings')) {
+            const [id, namespace, entityId, userId, genre, model, dimensions, vector, hash, metadata] = args;
+            rows.set(`${namespace}|${entityId}|${model}`, {
+              id,
+              namespace,
+              entity_id: entityId,
+              user_id: userId,
+              genre,
+              model,
+              dimensions,
+              vector,
+              content_hash: hash,
+              metadata
+            });
+          }
+          return { success: true };
+        }
+      })
+    })
+  };
+}
+
+describe('Embeddings', () => {
+  describe('HashingEmbeddingProvider', () => {
+    it('should return deterministic, normalized vectors', async () => {
+      const provider = new HashingEmbeddingProvider({ dimensions: 256 });
+      const [a, b] = await provider.embed([DRAGON, DRAGON]);
+
+      expect(a).toHaveLength(256);
+      expect(a).toEqual(b);
+      expect(cosineSimilarity(a, b)).toBeCloseTo(1, 6);
+      expect(Math.hypot(...a)).toBeCloseTo(1, 6);
+      expect(provider.model).toBe('local-hash-v1-256');
+    });
+
+    it('should rank texts with shared vocabulary as more similar', async () => {
+      const provider = new HashingEmbeddingProvider();
+      const [dragon, dragon2, romance] = await provider.embed([DRAGON, DRAGON_2, ROMANCE]);
+
+      expect(cosineSimilarity(dragon, dragon2)).toBeGreaterThan(cosineSimilarity(dragon, romance));
+    });
+
+    it('should drop stopwords and possessives', () => {
+      expect(tokenize("The knight's sword and the dragon")).toEqual(['knight', 'sword', 'dragon']);
+    });
+  });
+
+  describe('createEmbeddingProvider', () => {
+    it('should default to the local provider and validate configuration', () => {
+      expect(createEmbeddingProvider({})).toBeInstanceOf(HashingEmbeddingProvider);
+      expect(createEmbeddingProvider({ EMBEDDING_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' }))
+        .toBeInstanceOf(OpenAIEmbeddingProvider);
+      expect(() => createEmbeddingProvider({ EMBEDDING_PROVIDER: 'openai' })).toThrow('OPENAI_API_KEY');
+      expect(() => createEmbeddingProvider({ EMBEDDING_PROVIDER: 'word2vec' })).toThrow('Unknown embedding provider');
+    });
+  });
+
+  describe('VectorStore', () => {
+    it('should return nearest neighbours and skip unchanged text', async () => {
+      const db = createVectorDB();
+      const store = new VectorStore(db, new HashingEmbeddingProvider());
+
+      await store.indexText(VECTOR_NAMESPACES.MANUSCRIPT, 'ms-dragon', DRAGON_2, { metadata: { title: 'Siege' } });
+      await store.indexText(VECTOR_NAMESPACES.MANUSCRIPT, 'ms-romance', ROMANCE, { metadata: { title: 'Latte' } });
+      const query = await store.indexText(VECTOR_NAMESPACES.MANUSCRIPT, 'ms-query', DRAGON);
+
+      const matches = await store.nearest(VECTOR_NAMESPACES.MANUSCRIPT, query.vector, { excludeIds: ['ms-query'] });
+      expect(matches.map(match => match.entityId)).toEqual(['ms-dragon', 'ms-romance']);
+      expect(matches[0].metadata.title).toBe('Siege');
+
+      const before = db.rows.get(`manuscript|ms-query|${store.provider.model}`);
+      await store.indexText(VECTOR_NAMESPACES.MANUSCRIPT, 'ms-query', DRAGON);
+      expect(db.rows.get(`manuscript|ms-query|${store.provider.model}`)).toBe(before);
+    });
+  });
+
+  describe('similarity features', () => {
+    it('should collapse duplicate comp titles and filter by genre', async () => {
+      const env = { DB: createVectorDB() };
+      const store = new VectorStore(env.DB, new HashingEmbeddingProvider());
+      const comp = (id, title, text, genre) => store.indexText(VECTOR_NAMESPACES.COMP_TITLE, id, text, {
+        genre,
+        metadata: { title, author: 'A. Author', whyComparable: text }
+      });
+
+      await comp('c1', 'Fourth Wing', DRAGON_2, 'fantasy');
+      await comp('c2', 'Fourth Wing', DRAGON_2, 'fantasy');
+      await comp('c3', 'Beach Read', ROMANCE, 'fantasy');
+      await comp('c4', 'Dragon Romance', DRAGON, 'romance');
+
+      const [query] = await store.provider.embed([DRAGON]);
+      const comps = await findNearestCompTitles(query, { genre: 'fantasy', k: 5 }, env);
+
+      expect(comps.map(c => c.title)).toEqual(['Fourth Wing', 'Beach Read']);
+      expect(comps[0].relevantFeatures).toEqual([DRAGON_2]);
+    });
+
+    it('should flag a series book that drifts from the others', async () => {
+      const env = { DB: createVectorDB(), R2: { getBucket: () => ({ get: async () => null }) } };
+      const book = (id, title, synopsis) => ({ id, title, synopsis, user_id: 'u1', genre: 'fantasy' });
+
+      const result = await checkSeriesConsistency([
+        book('b1', 'Book One', DRAGON),
+        book('b2', 'Book Two', DRAGON_2),
+        book('b3', 'Book Three', `${DRAGON} ${DRAGON_2}`),
+        book('b4', 'Book Four', ROMANCE)
+      ], env);
+
+      expect(result.books).toHaveLength(4);
+      expect(result.books[1].similarityToPrevious).toBeGreaterThan(0);
+      expect(result.flagged).toEqual(['b4']);
+    });
+  });
+});
@@ -0,0 +1,336 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import JSZip from 'jszip';
+import { parseXML, findElements } from '../src/utils/xml-parser.js';
+import { validateEPUBPackage, formatEPUBIssue, EPUBValidationError } from '../src/validators/epub-validator.js';
+import { generateEPUB, generateValidatedEPUB } from '../src/generators/epub-generator.js';
+import { FormattingAgent } from '../src/agents/formatting-agent.js';
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01]);
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]);
+
+/**
+ * Minimal TrueType font: an sfnt header with just an OS/2 table
+ */
+function buildFont(fsType) {
+  const font = Buffer.alloc(38);
+  font.writeUInt32BE(0x00010000, 0);
+  font.writeUInt16BE(1, 4);
+  font.write('OS/2', 12, 'latin1');
+  font.writeUInt32BE(28, 20);
+  font.writeUInt32BE(10, 24);
+  font.writeUInt16BE(fsType, 36);
+  return font;
+}
+
+function xhtml(title, body, head = '') {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <title>${title}</title>${head}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function opf({ manifest = '', spine = '<itemref idref="ch1"/>', metadata = '' } = {}) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="uid">urn:uuid:1234</dc:identifier>
+    <dc:title>Test Book</dc:title>
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">2026-10-19T12:00:00Z</meta>
+    ${metadata}
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="cover-image" href="cover.jpg" media-type="image/jpeg" properties="cover-image"/>
+    <item id="ch1" href="ch1.xhtml" media-type="application/xhtml+xml"/>
+    ${manifest}
+  </manifest>
+  <spine>
+    ${spine}
+  </spine>
+</package>`;
+}
+
+/**
+ * Assemble an EPUB from OEBPS files; overrides replace (or with null, drop) defaults
+ */
+async function buildEPUB(overrides = {}, { mimetypeFirst = true, compressMimetype = false } = {}) {
+  const files = {
+    'META-INF/container.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`,
+    'OEBPS/content.opf': opf(),
+    'OEBPS/nav.xhtml': xhtml('Contents', '<nav epub:type="toc"><ol><li><a href="ch1.xhtml">One</a></li></ol></nav>'),
+    'OEBPS/cover.jpg': JPEG,
+    'OEBPS/ch1.xhtml': xhtml('One', '<h1 id="top">One</h1>\n<p>It began.</p>'),
+    ...overrides
+  };
+
+  const zip = new JSZip();
+  const addMimetype = () => zip.file('mimetype', 'application/epub+zip', { compression: compressMimetype ? 'DEFLATE' : 'STORE' });
+  if (mimetypeFirst) {
+    addMimetype();
+  }
+  for (const [path, content] of Object.entries(files)) {
+    if (content !== null) {
+      zip.file(path, content);
+    }
+  }
+  if (!mimetypeFirst) {
+    addMimetype();
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+function codes(issues) {
+  return issues.map(issue => issue.code);
+}
+
+describe('EPUB Validation', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('parseXML', () => {
+    it('should build an element tree with positions and namespaces', () => {
+      const { document, error } = parseXML('<?xml version="1.0"?>\n<root xmlns="urn:a" xmlns:b="urn:b">\n  <b:item id="x">A &amp; B</b:item>\n</root>');
+
+      expect(error).toBeNull();
+      const [item] = findElements(document.root, 'item');
+      expect(item).toMatchObject({ namespaceURI: 'urn:b', line: 3, column: 3, attributes: { id: 'x' } });
+      expect(item.children[0].value).toBe('A & B');
+    });
+
+    it('should stop at the first well-formedness error with its location', () => {
+      expect(parseXML('<p>\n  <em>text</p>').error).toEqual({
+        message: 'Expected </em> (opened at line 2) but found </p>',
+        line: 2,
+        column: 11
+      });
+      expect(parseXML('<p>Fish &amp chips</p>').error.message).toBe('Unescaped "&" (write &amp;)');
+      expect(parseXML('<p>&nbsp;</p>').error.message).toContain('Undefined entity &nbsp;');
+      expect(parseXML('<p a="1" a="2"/>').error.message).toBe('Duplicate attribute "a" on <p>');
+      expect(parseXML('<a/><b/>').error.message).toBe('Only one root element is allowed');
+      expect(parseXML('<x:a/>').error.message).toBe('Namespace prefix "x" is not declared');
+    });
+  });
+
+  describe('validateEPUBPackage', () => {
+    it('should pass a well-formed EPUB 3', async () => {
+      const validation = await validateEPUBPackage(await buildEPUB());
+
+      expect(validation.errors).toEqual([]);
+      expect(validation.warnings).toEqual([]);
+      expect(validation.valid).toBe(true);
+      expect(validation.info).toMatchObject({
+        epubVersion: '3.0',
+        packagePath: 'OEBPS/content.opf',
+        navDocument: 'OEBPS/nav.xhtml',
+        coverImage: 'OEBPS/cover.jpg',
+        spineItems: 1
+      });
+    });
+
+    it('should require mimetype first and stored uncompressed', async () => {
+      const compressed = await validateEPUBPackage(await buildEPUB({}, { compressMimetype: true }));
+      expect(codes(compressed.errors)).toEqual(['MIMETYPE_COMPRESSED']);
+
+      const last = await validateEPUBPackage(await buildEPUB({}, { mimetypeFirst: false }));
+      expect(codes(last.errors)).toEqual(['MIMETYPE_NOT_FIRST']);
+      expect(last.errors[0].message).toContain('found "META-INF/"');
+
+      const notZip = await validateEPUBPackage(Buffer.from('not an epub at all, just some text'));
+      expect(codes(notZip.errors)).toEqual(['NOT_A_ZIP']);
+    });
+
+    it('should report manifest and spine inconsistencies at their line in the OPF', async () => {
+      const validation = await validateEPUBPackage(await buildEPUB({
+        'OEBPS/content.opf': opf({
+          manifest: '<item id="ch2" href="ch2.xhtml" media-type="application/xhtml+xml"/>',
+          spine: '<itemref idref="ch1"/>\n    <itemref idref="ch3"/>'
+        }),
+        'OEBPS/stray.xhtml': xhtml('Stray', '<p>Left over.</p>')
+      }));
+
+      expect(validation.valid).toBe(false);
+      const missing = validation.errors.find(issue => issue.code === 'MANIFEST_FILE_MISSING');
+      expect(missing).toMatchObject({ file: 'OEBPS/content.opf', line: 14 });
+      expect(missing.message).toContain('OEBPS/ch2.xhtml');
+      expect(validation.errors.find(issue => issue.code === 'SPINE_ITEM_UNKNOWN')).toMatchObject({ line: 18 });
+      expect(codes(validation.warnings)).toContain('FILE_NOT_IN_MANIFEST');
+    });
+
+    it('should require a navigation document with a toc', async () => {
+      const noNav = await validateEPUBPackage(await buildEPUB({
+        'OEBPS/content.opf': opf().replace(' properties="nav"', '')
+      }));
+      expect(codes(noNav.errors)).toContain('NAV_MISSING');
+
+      const noToc = await validateEPUBPackage(await buildEPUB({
+        'OEBPS/nav.xhtml': xhtml('Contents', '<nav epub:type="landmarks"><ol><li><a href="ch1.xhtml">One</a></li></ol></nav>')
+      }));
+      expect(codes(noToc.errors)).toEqual(['NAV_TOC_MISSING']);
+    });
+
+    it('should locate XHTML well-formedness errors', async () => {
+      const validation = await validateEPUBPackage(await buildEPUB({
+        'OEBPS/ch1.xhtml': xhtml('One', '<h1>One</h1>\n<p>Fish&nbsp;and chips</p>')
+      }));
+
+      expect(validation.errors).toHaveLength(1);
+      expect(validation.errors[0]).toMatchObject({ code: 'XHTML_NOT_WELL_FORMED', file: 'OEBPS/ch1.xhtml', line: 9, column: 8 });
+      expect(formatEPUBIssue(validation.errors[0])).toMatch(/^OEBPS\/ch1\.xhtml:9:8 Undefined entity &nbsp;/);
+    });
+
+    it('should catch broken links, missing fragments and undeclared resources', async () => {
+      const validation = await validateEPUBPackage(await buildEPUB({
+        'OEBPS/ch1.xhtml': xhtml('One', [
+          '<p><a href="ch9.xhtml">Later</a></p>',
+          '<p><a href="ch1.xhtml#nowhere">Back</a> <a href="#top">Top</a></p>',
+          '<p><img src="images/map.png" alt="Map"/></p>',
+          '<p><img src="https://example.com/photo.jpg" alt="Photo"/> <a href="https://example.com">Site</a></p>'
+        ].join('\n')),
+        'OEBPS/images/map.png': PNG
+      }));
+
+      const byCode = Object.fromEntries(validation.errors.map(issue => [issue.code, issue]));
+      expect(Object.keys(byCode).sort()).toEqual(['BROKEN_FRAGMENT', 'BROKEN_LINK', 'REMOTE_RESOURCE', 'RESOURCE_NOT_IN_MANIFEST']);
+      expect(byCode.BROKEN_LINK).toMatchObject({ file: 'OEBPS/ch1.xhtml', line: 8 });
+      expect(byCode.BROKEN_FRAGMENT).toMatchObject({ line: 9 });
+      expect(byCode.RESOURCE_NOT_IN_MANIFEST.message).toContain('OEBPS/images/map.png');
+      expect(byCode.REMOTE_RESOURCE.message).toContain('photo.jpg');
+    });
+
+    it('should reject unsupported and mislabelled media types', async () => {
+      const validation = await validateEPUBPackage(await buildEPUB({
+        'OEBPS/content.opf': opf({
+          manifest: '<item id="sheet" href="notes.pdf" media-type="application/pdf"/>\n    <item id="map" href="map.jpg" media-type="image/jpeg"/>'
+        }),
+        'OEBPS/notes.pdf': Buffer.from('%PDF-1.7'),
+        'OEBPS/map.jpg': PNG
+      }));
+
+      expect(codes(validation.errors).sort()).toEqual(['MEDIA_TYPE_MISMATCH', 'UNSUPPORTED_MEDIA_TYPE']);
+      expect(validation.errors.find(issue => issue.code === 'MEDIA_TYPE_MISMATCH').message).toContain('the file is image/png');
+    });
+
+    it('should check font embedding', async () => {
+      const css = [
+        '@font-face { font-family: "Locked"; src: url(fonts/locked.ttf); }',
+        '@font-face { font-family: "Open"; src: url(fonts/open.ttf); }',
+        'body { font-family: "Open", serif; }',
+        'h1 { font-family: "Trajan Pro"; }'
+      ].join('\n');
+      const validation = await validateEPUBPackage(await buildEPUB({
+        'OEBPS/content.opf': opf({
+          manifest: [
+            '<item id="css" href="style.css" media-type="text/css"/>',
+            '<item id="locked" href="fonts/locked.ttf" media-type="font/ttf"/>',
+            '<item id="open" href="fonts/open.ttf" media-type="font/ttf"/>',
+            '<item id="unused" href="fonts/unused.otf" media-type="font/otf"/>'
+          ].join('\n    ')
+        }),
+        'OEBPS/style.css': css,
+        'OEBPS/fonts/locked.ttf': buildFont(0x0002),
+        'OEBPS/fonts/open.ttf': buildFont(0x0008),
+        'OEBPS/fonts/unused.otf': Buffer.concat([Buffer.from('OTTO'), Buffer.alloc(8)]),
+        'OEBPS/ch1.xhtml': xhtml('One', '<p>Text</p>', '\n  <link rel="stylesheet" type="text/css" href="style.css"/>')
+      }));
+
+      expect(validation.errors).toHaveLength(1);
+      expect(validation.errors[0]).toMatchObject({ code: 'FONT_EMBEDDING_RESTRICTED', file: 'OEBPS/style.css', line: 1 });
+      expect(validation.warnings.map(issue => [issue.code, issue.line])).toEqual([
+        ['FONT_NOT_EMBEDDED', 4],
+        ['FONT_UNUSED', 17]
+      ]);
+      expect(validation.info.fonts).toBe(3);
+    });
+
+    it('should check cover metadata', async () => {
+      const badMeta = await validateEPUBPackage(await buildEPUB({
+        'OEBPS/content.opf': opf({ metadata: '<meta name="cover" content="ch1"/>' })
+      }));
+      expect(codes(badMeta.errors)).toEqual(['COVER_META_INVALID']);
+
+      const noCover = await validateEPUBPackage(await buildEPUB({
+        'OEBPS/content.opf': opf().replace(/\s*<item id="cover-image"[^>]*>/, ''),
+        'OEBPS/cover.jpg': null
+      }));
+      expect(noCover.valid).toBe(true);
+      expect(codes(noCover.warnings)).toEqual(['COVER_MISSING']);
+    });
+  });
+
+  describe('EPUB producers', () => {
+    it('should validate what generateEPUB produces', async () => {
+      const { buffer, validation } = await generateValidatedEPUB({
+        title: 'The Long Road',
+        cover: PNG,
+        chapters: [
+          { title: 'One', content: '<p>She had <em>never</em> seen the sea.</p>' },
+          { title: 'Two', content: '<p>Rain.</p>' }
+        ]
+      });
+
+      expect(validation.valid).toBe(true);
+      expect(validation.warnings).toEqual([]);
+      expect(validation.info).toMatchObject({ navDocument: 'OEBPS/nav.xhtml', coverImage: 'OEBPS/images/cover.png', spineItems: 3 });
+
+      const zip = await JSZip.loadAsync(buffer);
+      expect(await zip.file('OEBPS/nav.xhtml').async('string')).toContain('<a href="chapter2.xhtml">Two</a>');
+    });
+
+    it('should refuse to return an EPUB that fails validation', async () => {
+      const error = await generateEPUB({
+        title: 'Broken',
+        chapters: [{ title: 'One', content: '<p>Fish &chips</p>' }]
+      }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(EPUBValidationError);
+      expect(error.statusCode).toBe(422);
+      expect(error.details.errors[0]).toMatchObject({ code: 'XHTML_NOT_WELL_FORMED', file: 'OEBPS/chapter1.xhtml' });
+    });
+
+    it('should validate FormattingAgent EPUBs', async () => {
+      const agent = new FormattingAgent();
+      const result = await agent.generateEPUB({
+        manuscriptText: 'Chapter 1: The Start\nIt was a dark & stormy night.\n\nChapter 2: The End\nDawn.',
+        metadata: { title: 'Storm', author: 'A. Writer', copyrightYear: 2026 },
+        backMatter: { formatted: { html: '<p>Thanks for reading.</p>' } }
+      });
+
+      expect(result.validation.kdpCompliant).toBe(true);
+      expect(codes(result.validation.warnings)).toEqual(['COVER_MISSING']);
+
+      const zip = await JSZip.loadAsync(result.buffer);
+      const opfText = await zip.file('OEBPS/content.opf').async('string');
+      expect(opfText).toContain('<itemref idref="backmatter"/>');
+    });
+
+    it('should report FormattingAgent validation failures per format', async () => {
+      const agent = new FormattingAgent();
+      agent.generatePDF = vi.fn().mockResolvedValue({ size: 1, pageCount: 1 });
+
+      const result = await agent.formatManuscript({
+        manuscriptText: 'Chapter 1: Start\nHello.',
+        metadata: { title: 'Storm', author: 'A. Writer', copyrightYear: 2026 },
+        backMatter: { formatted: { html: '<p>Unclosed' } }
+      });
+
+      expect(result.results.epub).toBeUndefined();
+      expect(result.errors[0]).toMatchObject({ format: 'epub' });
+      expect(result.errors[0].issues[0]).toMatchObject({ code: 'XHTML_NOT_WELL_FORMED', file: 'OEBPS/text/backmatter.xhtml' });
+    });
+  });
+});
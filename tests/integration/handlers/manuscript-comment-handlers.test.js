@@ -0,0 +1,215 @@
+/**
+ * Manuscript Comment Handler Integration Tests
+ *
+ * Comment threads against the test database: posting on a range with
+ * mentions, replies, resolve/reopen, owner-decided suggestions, edits and
+ * deletes, re-anchoring onto a new draft and the annotated view.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getTestDbAdapter, insertTestRecord, findTestRecord, countTestRecords, queryTestDb } from '../../test-helpers/database.js';
+import { createTestUser, createTestManuscript, createTestManuscriptShare } from '../../test-helpers/factories.js';
+import { mockRedis, mockStorageAdapter } from '../../test-helpers/mocks.js';
+import { manuscriptCommentHandlers as handlers } from '../../../src/handlers/manuscript-comment-handlers.js';
+import { listThreads } from '../../../src/services/comment-service.js';
+import { createSession } from '../../../src/utils/auth-utils.js';
+import { AnnotatedManuscriptGenerator } from '../../../src/generators/annotated-manuscript-generator.js';
+
+const DRAFT_1 = 'Chapter 1\n\nThe ferry left at dawn. Mara watched the harbour.\n\nChapter 2\n\nThe island rose from the fog.';
+const DRAFT_2 = 'Chapter 1\n\nIt rained. The ferry left at dawn. Mara watched the quay.\n\nChapter 2\n\nThe island rose from the fog.';
+
+describe.skipIf(!process.env.TEST_DATABASE_URL)('Comment threads', () => {
+  let env;
+  let owner;
+  let editor;
+  let reader;
+  let stranger;
+  let manuscript;
+
+  beforeEach(async () => {
+    env = { DB: getTestDbAdapter(), REDIS: mockRedis(), R2: mockStorageAdapter() };
+    owner = await insertTestRecord('users', await createTestUser({ full_name: 'Olive Owner' }));
+    editor = await insertTestRecord('users', await createTestUser({ full_name: 'Ed Itor' }));
+    reader = await insertTestRecord('users', await createTestUser({ full_name: 'Rea Der' }));
+    stranger = await insertTestRecord('users', await createTestUser({ full_name: 'Stran Ger' }));
+
+    manuscript = await insertTestRecord('manuscripts', createTestManuscript(owner.id, { r2_key: `${owner.id}/ferry/v1.txt` }));
+    await storeDraft(1, DRAFT_1);
+    await insertTestRecord('manuscript_permissions', createTestManuscriptShare(manuscript.id, owner.id, { user_id: editor.id, permission_level: 'comment' }));
+    await insertTestRecord('manuscript_permissions', createTestManuscriptShare(manuscript.id, owner.id, { user_id: reader.id, permission_level: 'view' }));
+  });
+
+  const storeDraft = async (versionNumber, text) => {
+    const r2Key = `${owner.id}/ferry/v${versionNumber}.txt`;
+    await env.R2.getBucket('manuscripts_raw').put(r2Key, text);
+    await insertTestRecord('manuscript_versions', {
+      id: `${manuscript.id}-v${versionNumber}`,
+      manuscript_id: manuscript.id,
+      version_number: versionNumber,
+      r2_key: r2Key,
+      file_type: 'text/plain',
+      created_at: Math.floor(Date.now() / 1000)
+    });
+    return r2Key;
+  };
+
+  const requestAs = async (user, { method = 'GET', body } = {}) => {
+    const sessionId = await createSession(user.id, env);
+    return new Request('https://api.example.com/', {
+      method,
+      headers: {
+        Cookie: `session_id=${sessionId}`,
+        ...(body && { 'Content-Type': 'application/json' })
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+  };
+
+  const post = async (user, body) => handlers.createThread(await requestAs(user, { method: 'POST', body }), env, manuscript.id);
+
+  const notifications = async () => {
+    const { rows } = await queryTestDb(
+      'SELECT user_id, notification_type, comment_id FROM notification_queue WHERE submission_id = $1',
+      [manuscript.id]
+    );
+    return rows;
+  };
+
+  it('should open a thread on a range and notify mentioned collaborators only', async () => {
+    const response = await post(editor, {
+      chapterIndex: 0, startOffset: 24, endOffset: 28, body: `Who is she? @${owner.email} @${stranger.email}`
+    });
+    expect(response.status).toBe(201);
+
+    const { thread } = await response.json();
+    expect(thread).toMatchObject({
+      kind: 'comment',
+      status: 'open',
+      anchor: { versionNumber: 1, chapterIndex: 0, chapterTitle: 'Chapter 1', quote: 'Mara', detached: false },
+      suggestion: null
+    });
+    expect(thread.comments).toMatchObject([{ authorId: editor.id, authorName: 'Ed Itor', mentions: [owner.id] }]);
+    expect(await notifications()).toEqual([
+      { user_id: owner.id, notification_type: 'comment_mention', comment_id: thread.comments[0].id }
+    ]);
+  });
+
+  it('should reject comments from viewers and bad ranges', async () => {
+    expect((await post(reader, { chapterIndex: 0, startOffset: 0, endOffset: 3, body: 'Hi' })).status).toBe(403);
+    expect((await post(stranger, { chapterIndex: 0, startOffset: 0, endOffset: 3, body: 'Hi' })).status).toBe(404);
+
+    const outside = await post(editor, { chapterIndex: 0, startOffset: 40, endOffset: 400, body: 'Hi' });
+    expect(outside.status).toBe(400);
+    expect((await post(editor, { chapterIndex: 0, startOffset: 0, endOffset: 3, body: ' ' })).status).toBe(400);
+    expect(await countTestRecords('manuscript_comment_threads', { manuscript_id: manuscript.id })).toBe(0);
+  });
+
+  it('should notify earlier participants of replies and resolve/reopen threads', async () => {
+    const { thread } = await (await post(editor, { chapterIndex: 0, startOffset: 24, endOffset: 28, body: 'Name?' })).json();
+
+    const reply = await handlers.addReply(
+      await requestAs(owner, { method: 'POST', body: { body: 'It is Mara.' } }), env, manuscript.id, thread.id
+    );
+    expect(reply.status).toBe(201);
+    expect((await reply.json()).thread.comments.map(c => c.body)).toEqual(['Name?', 'It is Mara.']);
+    expect((await notifications()).map(n => [n.user_id, n.notification_type])).toEqual([[editor.id, 'comment_reply']]);
+
+    const resolved = await handlers.updateThread(
+      await requestAs(editor, { method: 'PATCH', body: { status: 'resolved' } }), env, manuscript.id, thread.id
+    );
+    expect((await resolved.json()).thread).toMatchObject({ status: 'resolved', resolvedBy: editor.id });
+
+    const reopened = await handlers.updateThread(
+      await requestAs(owner, { method: 'PATCH', body: { status: 'open' } }), env, manuscript.id, thread.id
+    );
+    expect((await reopened.json()).thread).toMatchObject({ status: 'open', resolvedBy: null });
+  });
+
+  it('should let only the owner decide a suggestion, once', async () => {
+    const { thread } = await (await post(editor, {
+      chapterIndex: 0, startOffset: 41, endOffset: 48, body: 'Harbor is US spelling, keep?', suggestedText: 'quay'
+    })).json();
+    expect(thread).toMatchObject({ kind: 'suggestion', anchor: { quote: 'harbour' }, suggestion: { text: 'quay', status: 'pending' } });
+
+    const decide = async (user, decision) =>
+      handlers.decideSuggestion(await requestAs(user, { method: 'POST' }), env, manuscript.id, thread.id, decision);
+
+    expect((await decide(editor, 'accept')).status).toBe(403);
+
+    const accepted = await decide(owner, 'accept');
+    expect((await accepted.json()).thread).toMatchObject({
+      status: 'resolved',
+      suggestion: { status: 'accepted', decidedBy: owner.id }
+    });
+    expect((await notifications()).map(n => [n.user_id, n.notification_type])).toEqual([[editor.id, 'suggestion_decision']]);
+
+    expect((await decide(owner, 'reject')).status).toBe(409);
+  });
+
+  it('should only let authors edit their comments and creators or the owner delete threads', async () => {
+    const { thread } = await (await post(editor, { chapterIndex: 1, startOffset: 4, endOffset: 10, body: 'Which island?' })).json();
+    const commentId = thread.comments[0].id;
+
+    const edit = async (user, body) =>
+      handlers.editComment(await requestAs(user, { method: 'PATCH', body: { body } }), env, manuscript.id, thread.id, commentId);
+    expect((await edit(owner, 'Hijacked')).status).toBe(403);
+
+    const edited = await edit(editor, `Which island? @${owner.email}`);
+    expect((await edited.json()).thread.comments[0]).toMatchObject({ body: `Which island? @${owner.email}`, mentions: [owner.id] });
+    expect(await notifications()).toHaveLength(1);
+
+    const deleted = await handlers.deleteThread(await requestAs(owner, { method: 'DELETE' }), env, manuscript.id, thread.id);
+    expect(deleted.status).toBe(200);
+    expect(await countTestRecords('manuscript_comment_threads', { manuscript_id: manuscript.id })).toBe(0);
+    expect(await countTestRecords('manuscript_comments', { thread_id: thread.id })).toBe(0);
+  });
+
+  it('should keep replies in the order they were posted within the same second', async () => {
+    const { thread } = await (await post(editor, { chapterIndex: 0, startOffset: 24, endOffset: 28, body: 'One' })).json();
+    for (const body of ['Two', 'Three', 'Four']) {
+      await handlers.addReply(await requestAs(owner, { method: 'POST', body: { body } }), env, manuscript.id, thread.id);
+    }
+
+    const [listed] = await listThreads(manuscript, env);
+    expect(listed.comments.map(c => c.body)).toEqual(['One', 'Two', 'Three', 'Four']);
+  });
+
+  it('should re-anchor threads onto a new draft', async () => {
+    await post(editor, { chapterIndex: 0, startOffset: 24, endOffset: 28, body: 'Name?' });
+    await post(editor, { chapterIndex: 0, startOffset: 41, endOffset: 48, body: 'Which one?' });
+
+    const r2Key = await storeDraft(2, DRAFT_2);
+    await queryTestDb('UPDATE manuscripts SET r2_key = $1 WHERE id = $2', [r2Key, manuscript.id]);
+
+    const threads = await listThreads(await findTestRecord('manuscripts', { id: manuscript.id }), env);
+    expect(threads.map(t => [t.anchor.quote, t.anchor.versionNumber, t.anchor.startOffset, t.anchor.detached])).toEqual([
+      ['Mara', 2, 35, false],
+      ['harbour', 2, 41, true]
+    ]);
+
+    const { rows } = await queryTestDb(
+      'SELECT anchor_version FROM manuscript_comment_threads WHERE manuscript_id = $1',
+      [manuscript.id]
+    );
+    expect(rows.map(row => row.anchor_version)).toEqual([2, 2]);
+  });
+
+  it('should show open threads alongside AI issues in the annotated view', async () => {
+    const { thread } = await (await post(editor, { chapterIndex: 1, startOffset: 4, endOffset: 10, body: 'Name the <island>' })).json();
+
+    const html = AnnotatedManuscriptGenerator.generateAnnotatedManuscript(
+      manuscript.r2_key,
+      DRAFT_1,
+      [{ type: 'style', severity: 'low', original: 'watched', suggestion: 'studied' }],
+      { originalName: 'book.txt' },
+      'r1',
+      [thread]
+    );
+
+    expect(html).toContain('1 Issues Found • 1 Open Comments');
+    expect(html).toContain('data-filter="collaborator"');
+    expect(html).toContain('<span class="highlight collaborator comment" id="issue-1">island</span>');
+    expect(html).toContain(`data-thread-id="${thread.id}"`);
+    expect(html).toContain('Name the &lt;island&gt;');
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * OAuth Handler Integration Tests
+ *
+ * The authorization code flow against the test database: consent, PKCE
+ * code exchange, refresh token rotation and replay detection, bearer
+ * tokens on the public API with per-client rate limits, and revocation.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getTestDbAdapter, insertTestRecord, findTestRecord, countTestRecords, queryTestDb } from '../../test-helpers/database.js';
+import { createTestUser } from '../../test-helpers/factories.js';
+import { mockRedis } from '../../test-helpers/mocks.js';
+import { oauthHandlers as handlers } from '../../../src/handlers/oauth-handlers.js';
+import { registerClient, pkceChallenge } from '../../../src/services/oauth-service.js';
+import { authenticateAPIKey, APIKeyManager } from '../../../src/managers/api-key-manager.js';
+import { createSession } from '../../../src/utils/auth-utils.js';
+
+const VERIFIER = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+const REDIRECT_URI = 'https://plugin.example.com/callback';
+
+function authorizeUrl(clientId, overrides = {}) {
+  const url = new URL('https://api.example.com/oauth/authorize');
+  const params = {
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: REDIRECT_URI,
+    scope: 'manuscripts:read',
+    state: 'xyz',
+    code_challenge: pkceChallenge(VERIFIER),
+    code_challenge_method: 'S256',
+    ...overrides
+  };
+  Object.entries(params).forEach(([key, value]) => value !== undefined && url.searchParams.set(key, value));
+  return url.toString();
+}
+
+function tokenRequest(client, form) {
+  const basic = Buffer.from(`${client.clientId}:${client.clientSecret}`).toString('base64');
+  return new Request('https://api.example.com/oauth/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Authorization: `Basic ${basic}` },
+    body: new URLSearchParams(form).toString()
+  });
+}
+
+describe.skipIf(!process.env.TEST_DATABASE_URL)('OAuth', () => {
+  let env;
+  let dev;
+  let author;
+
+  beforeEach(async () => {
+    env = { DB: getTestDbAdapter(), REDIS: mockRedis() };
+    dev = await insertTestRecord('users', await createTestUser({ full_name: 'Dee Veloper', subscription_tier: 'pro' }));
+    author = await insertTestRecord('users', await createTestUser({ full_name: 'Ann Author' }));
+  });
+
+  const browser = async (user, url, { method = 'GET', form } = {}) => {
+    const sessionId = user && await createSession(user.id, env);
+    return new Request(url, {
+      method,
+      headers: {
+        ...(sessionId && { Cookie: `session_id=${sessionId}` }),
+        ...(form && { 'Content-Type': 'application/x-www-form-urlencoded' })
+      },
+      ...(form && { body: new URLSearchParams(form).toString() })
+    });
+  };
+
+  const liveTokens = async (clientId) => {
+    const { rows } = await queryTestDb(
+      'SELECT COUNT(*) AS count FROM oauth_tokens WHERE client_id = $1 AND revoked_at IS NULL',
+      [clientId]
+    );
+    return Number(rows[0].count);
+  };
+
+  describe('Client registration', () => {
+    it('should store confidential clients with a hashed secret and give public clients none', async () => {
+      const confidential = await registerClient(dev.id, { name: 'Plugin', redirectUris: [REDIRECT_URI] }, env);
+      expect(confidential.clientSecret).toMatch(/^mcs_/);
+      expect(confidential.allowedScopes).toEqual(['manuscripts:read', 'manuscripts:write']);
+
+      const stored = await findTestRecord('oauth_clients', { id: confidential.clientId });
+      expect(stored).toMatchObject({ owner_user_id: dev.id, client_type: 'confidential', is_active: 1 });
+      expect(stored.client_secret_hash).not.toContain(confidential.clientSecret);
+
+      const native = await registerClient(dev.id, {
+        name: 'Desktop', clientType: 'public', redirectUris: ['http://127.0.0.1:7777/cb', 'com.example.desktop:/cb']
+      }, env);
+      expect(native.clientSecret).toBeNull();
+      expect((await findTestRecord('oauth_clients', { id: native.clientId })).client_secret_hash).toBeNull();
+    });
+  });
+
+  describe('Authorization code flow', () => {
+    let client;
+
+    beforeEach(async () => {
+      client = await registerClient(dev.id, { name: 'Scrivener Sync', redirectUris: [REDIRECT_URI] }, env);
+    });
+
+    const consentTokenFrom = async (page) => (await page.text()).match(/name="consent_token" value="([^"]+)"/)[1];
+
+    const decide = async (user, consentToken, decision) => handlers.decide(
+      await browser(user, 'https://api.example.com/oauth/authorize', { method: 'POST', form: { consent_token: consentToken, decision } }),
+      env
+    );
+
+    async function approve(user = author, overrides = {}) {
+      const page = await handlers.authorize(await browser(user, authorizeUrl(client.clientId, overrides)), env);
+      const decided = await decide(user, await consentTokenFrom(page), 'approve');
+      return new URL(decided.headers.get('Location'));
+    }
+
+    async function exchange(code, verifier = VERIFIER) {
+      const response = await handlers.token(tokenRequest(client, {
+        grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: verifier
+      }), env);
+      return { status: response.status, body: await response.json() };
+    }
+
+    it('should send signed-out authors to the login page and back', async () => {
+      const response = await handlers.authorize(await browser(null, authorizeUrl(client.clientId)), env);
+      expect(response.status).toBe(302);
+
+      const login = new URL(response.headers.get('Location'));
+      expect(login.pathname).toBe('/login.html');
+      expect(login.searchParams.get('next')).toBe(authorizeUrl(client.clientId));
+    });
+
+    it('should show a consent screen listing the requested scopes', async () => {
+      const response = await handlers.authorize(await browser(author, authorizeUrl(client.clientId)), env);
+      const html = await response.text();
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('X-Frame-Options')).toBe('DENY');
+      expect(html).toContain('Authorize Scrivener Sync');
+      expect(html).toContain('manuscripts:read');
+      expect(html).not.toContain('manuscripts:write');
+      expect(html).toContain(`Signed in as ${author.email}`);
+    });
+
+    it('should not redirect to unregistered URIs and report other errors to the app', async () => {
+      const foreign = await handlers.authorize(
+        await browser(author, authorizeUrl(client.clientId, { redirect_uri: 'https://evil.example.com/' })), env
+      );
+      expect(foreign.status).toBe(400);
+      expect(foreign.headers.get('Location')).toBeNull();
+
+      const noPkce = await handlers.authorize(await browser(author, authorizeUrl(client.clientId, { code_challenge: undefined })), env);
+      const location = new URL(noPkce.headers.get('Location'));
+      expect(location.origin + location.pathname).toBe(REDIRECT_URI);
+      expect(location.searchParams.get('error')).toBe('invalid_request');
+      expect(location.searchParams.get('state')).toBe('xyz');
+    });
+
+    it('should redirect with access_denied when the author denies', async () => {
+      const page = await handlers.authorize(await browser(author, authorizeUrl(client.clientId)), env);
+
+      // Another account can't use the consent token
+      const hijack = await decide(dev, await consentTokenFrom(page), 'approve');
+      expect(hijack.status).toBe(400);
+
+      const page2 = await handlers.authorize(await browser(author, authorizeUrl(client.clientId)), env);
+      const denied = await decide(author, await consentTokenFrom(page2), 'deny');
+      expect(new URL(denied.headers.get('Location')).searchParams.get('error')).toBe('access_denied');
+      expect(await countTestRecords('oauth_authorization_codes', { client_id: client.clientId })).toBe(0);
+      expect(await countTestRecords('oauth_grants', { client_id: client.clientId })).toBe(0);
+    });
+
+    it('should exchange a code once, and only with the right PKCE verifier', async () => {
+      const redirect = await approve();
+      expect(redirect.searchParams.get('state')).toBe('xyz');
+      const code = redirect.searchParams.get('code');
+
+      const wrong = await exchange(code, 'x'.repeat(43));
+      expect(wrong).toMatchObject({ status: 400, body: { error: 'invalid_grant' } });
+
+      // The failed attempt used the code up
+      const again = await exchange(code);
+      expect(again.body.error).toBe('invalid_grant');
+
+      const fresh = await approve();
+      const { status, body } = await exchange(fresh.searchParams.get('code'));
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ token_type: 'Bearer', expires_in: 3600, scope: 'manuscripts:read' });
+      expect(body.access_token).toMatch(/^mat_/);
+      expect(body.refresh_token).toMatch(/^mrt_/);
+      expect(await findTestRecord('oauth_grants', { client_id: client.clientId })).toMatchObject({ user_id: author.id });
+      expect(await liveTokens(client.clientId)).toBe(1);
+
+      // Replaying the code revokes the tokens it was exchanged for
+      await exchange(fresh.searchParams.get('code'));
+      expect(await liveTokens(client.clientId)).toBe(0);
+    });
+
+    it('should reject bad client credentials', async () => {
+      const code = (await approve()).searchParams.get('code');
+      const response = await handlers.token(tokenRequest({ ...client, clientSecret: 'mcs_wrong' }, {
+        grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: VERIFIER
+      }), env);
+
+      expect(response.status).toBe(401);
+      expect(response.headers.get('WWW-Authenticate')).toContain('Basic');
+      expect(await response.json()).toMatchObject({ error: 'invalid_client' });
+    });
+
+    it('should rotate refresh tokens and revoke the family when one is replayed', async () => {
+      const { body: first } = await exchange((await approve()).searchParams.get('code'));
+
+      const refresh = form => handlers.token(tokenRequest(client, { grant_type: 'refresh_token', ...form }), env);
+
+      // A refused refresh leaves the token usable
+      const widened = await refresh({ refresh_token: first.refresh_token, scope: 'manuscripts:write' });
+      expect((await widened.json()).error).toBe('invalid_scope');
+
+      const second = await (await refresh({ refresh_token: first.refresh_token })).json();
+      expect(second.refresh_token).toMatch(/^mrt_/);
+      expect(second.refresh_token).not.toBe(first.refresh_token);
+      expect(await liveTokens(client.clientId)).toBe(2);
+
+      const replayed = await refresh({ refresh_token: first.refresh_token });
+      expect((await replayed.json()).error).toBe('invalid_grant');
+      expect(await liveTokens(client.clientId)).toBe(0);
+    });
+
+    it('should authenticate public API requests with access tokens, per scope', async () => {
+      const { body: tokens } = await exchange((await approve()).searchParams.get('code'));
+      const apiRequest = token => new Request('https://api.example.com/api/v1/manuscripts', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      const auth = await authenticateAPIKey(apiRequest(tokens.access_token), env);
+      expect(auth).toMatchObject({
+        authenticated: true,
+        keyDetails: { keyId: null, clientId: client.clientId, userId: author.id, scopes: ['manuscripts:read'] }
+      });
+
+      const manager = new APIKeyManager(env);
+      expect(manager.hasScope(auth.keyDetails.scopes, 'manuscripts:read')).toBe(true);
+      expect(manager.hasScope(auth.keyDetails.scopes, 'manuscripts:write')).toBe(false);
+
+      await manager.logRequest(auth.keyDetails, '/api/v1/manuscripts', 'GET', 200, 12);
+      const { rows: usage } = await queryTestDb(
+        'SELECT user_id, endpoint, status_code FROM oauth_usage_logs WHERE client_id = $1',
+        [client.clientId]
+      );
+      expect(usage).toEqual([{ user_id: author.id, endpoint: '/api/v1/manuscripts', status_code: 200 }]);
+
+      // Revoked by the app
+      const revoke = await handlers.revoke(tokenRequest(client, { token: tokens.access_token }), env);
+      expect(revoke.status).toBe(200);
+      expect(await authenticateAPIKey(apiRequest(tokens.access_token), env)).toMatchObject({ authenticated: false, status: 401 });
+    });
+
+    it('should rate limit each client across all of its tokens', async () => {
+      await queryTestDb('UPDATE oauth_clients SET rate_limit_per_minute = 2 WHERE id = $1', [client.clientId]);
+      const { body: first } = await exchange((await approve()).searchParams.get('code'));
+      const { body: second } = await exchange((await approve(dev)).searchParams.get('code'));
+      const call = token => authenticateAPIKey(new Request('https://api.example.com/api/v1/usage', {
+        headers: { Authorization: `Bearer ${token}` }
+      }), env);
+
+      expect((await call(first.access_token)).authenticated).toBe(true);
+      expect((await call(second.access_token)).authenticated).toBe(true);
+      expect(await call(first.access_token)).toMatchObject({ authenticated: false, status: 429 });
+    });
+
+    it('should let authors list and revoke authorized apps', async () => {
+      await exchange((await approve()).searchParams.get('code'));
+
+      const response = await handlers.revokeAuthorization(
+        await browser(author, `https://api.example.com/oauth/authorizations/${client.clientId}`, { method: 'DELETE' }), env, client.clientId
+      );
+      expect(response.status).toBe(200);
+      expect(await countTestRecords('oauth_grants', { client_id: client.clientId })).toBe(0);
+      expect(await liveTokens(client.clientId)).toBe(0);
+
+      const missing = await handlers.revokeAuthorization(
+        await browser(author, 'https://api.example.com/oauth/authorizations/x', { method: 'DELETE' }), env, 'x'
+      );
+      expect(missing.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Authorization Service Integration Tests
+ *
+ * Resolving a user's permission on a manuscript from ownership, direct
+ * shares and team shares capped by team role, and enforcing it on
+ * manuscript keys, reports, the route middleware and DMCA takedowns.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getTestDbAdapter, insertTestRecord, queryTestDb } from '../../test-helpers/database.js';
+import {
+  createTestUser,
+  createTestManuscript,
+  createTestTeam,
+  createTestTeamMember,
+  createTestManuscriptShare
+} from '../../test-helpers/factories.js';
+import { mockRedis, mockStorageAdapter } from '../../test-helpers/mocks.js';
+import {
+  resolveManuscriptPermission,
+  authorizeManuscript,
+  findAuthorizedManuscript,
+  authorizeManuscriptKey,
+  authorizeReport
+} from '../../../src/services/authorization-service.js';
+import { authorizeManuscriptRoute, authorizeReportRoute } from '../../../src/middleware/manuscript-authorization.js';
+import { checkManuscriptAccess } from '../../../src/handlers/manuscript-handlers.js';
+import { createSession } from '../../../src/utils/auth-utils.js';
+import { NotFoundError, AuthorizationError, UnavailableForLegalReasonsError } from '../../../src/utils/error-handling.js';
+
+describe.skipIf(!process.env.TEST_DATABASE_URL)('Manuscript authorization', () => {
+  let env;
+  let owner;
+  let manuscript;
+
+  beforeEach(async () => {
+    env = { DB: getTestDbAdapter(), REDIS: mockRedis(), R2: mockStorageAdapter() };
+    owner = await createUser();
+    manuscript = await insertTestRecord('manuscripts', createTestManuscript(owner.id, {
+      title: 'The Ferry',
+      r2_key: `${owner.id}/ferry/current.docx`
+    }));
+    await insertTestRecord('manuscript_versions', {
+      id: `${manuscript.id}-v1`,
+      manuscript_id: manuscript.id,
+      version_number: 1,
+      r2_key: `${owner.id}/ferry/v1_draft.docx`,
+      created_at: Math.floor(Date.now() / 1000)
+    });
+  });
+
+  const createUser = async () => insertTestRecord('users', await createTestUser());
+
+  const shareWith = async (user, level) => {
+    await insertTestRecord('manuscript_permissions', createTestManuscriptShare(manuscript.id, owner.id, {
+      user_id: user.id,
+      permission_level: level
+    }));
+    return user;
+  };
+
+  const createTeam = async (level) => {
+    const team = await insertTestRecord('teams', createTestTeam(owner.id));
+    if (level) {
+      await insertTestRecord('manuscript_permissions', createTestManuscriptShare(manuscript.id, owner.id, {
+        team_id: team.id,
+        permission_level: level
+      }));
+    }
+    return team;
+  };
+
+  const join = async (team, user, role) => {
+    await insertTestRecord('team_members', createTestTeamMember(team.id, user.id, { role }));
+    return user;
+  };
+
+  const permissionOf = async (user) => (await resolveManuscriptPermission(manuscript.id, user.id, env)).permission;
+
+  const takeDown = (status = 'taken_down') =>
+    queryTestDb('UPDATE manuscripts SET dmca_status = $1 WHERE id = $2', [status, manuscript.id]);
+
+  const mapReport = (reportId, key = manuscript.r2_key) =>
+    env.R2.getBucket('manuscripts_raw').put(`report-id:${reportId}`, key);
+
+  const requestAs = async (user, { method = 'GET', path = '/', body } = {}) => {
+    const sessionId = user && await createSession(user.id, env);
+    return new Request(`https://api.example.com${path}`, {
+      method,
+      headers: {
+        ...(sessionId && { Cookie: `session_id=${sessionId}` }),
+        ...(body && { 'Content-Type': 'application/json' })
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  };
+
+  describe('Effective permission', () => {
+    it('should give the owner full access and strangers none', async () => {
+      const stranger = await createUser();
+
+      expect(await resolveManuscriptPermission(manuscript.id, owner.id, env))
+        .toMatchObject({ permission: 'owner', isOwner: true, manuscript: { title: 'The Ferry' } });
+      expect(await resolveManuscriptPermission(manuscript.id, stranger.id, env))
+        .toMatchObject({ permission: 'none', isOwner: false, sources: [] });
+      expect((await resolveManuscriptPermission(manuscript.id, null, env)).permission).toBe('none');
+      expect(await resolveManuscriptPermission('nope', owner.id, env)).toMatchObject({ manuscript: null, permission: 'none' });
+    });
+
+    it('should use the level of a direct share', async () => {
+      const reader = await shareWith(await createUser(), 'view');
+      const critic = await shareWith(await createUser(), 'comment');
+      const coauthor = await shareWith(await createUser(), 'edit');
+
+      expect(await permissionOf(reader)).toBe('view');
+      expect(await permissionOf(critic)).toBe('comment');
+      expect(await permissionOf(coauthor)).toBe('edit');
+    });
+
+    it('should cap a team share by each member role', async () => {
+      const team = await createTeam('edit');
+      const lead = await join(team, await createUser(), 'admin');
+      const writer = await join(team, await createUser(), 'editor');
+      const intern = await join(team, await createUser(), 'viewer');
+
+      expect(await permissionOf(lead)).toBe('edit');
+      expect(await permissionOf(writer)).toBe('edit');
+
+      const access = await resolveManuscriptPermission(manuscript.id, intern.id, env);
+      expect(access.permission).toBe('view');
+      expect(access.sources).toEqual([{ type: 'team', teamId: team.id, role: 'viewer', granted: 'edit', level: 'view' }]);
+    });
+
+    it('should ignore team shares for people outside the team', async () => {
+      await createTeam('edit');
+      const outsider = await join(await createTeam(), await createUser(), 'admin');
+
+      expect(await permissionOf(outsider)).toBe('none');
+    });
+
+    it('should take the highest of several grants', async () => {
+      const member = await shareWith(await createUser(), 'view');
+      await join(await createTeam('edit'), member, 'viewer');
+      await join(await createTeam('comment'), member, 'editor');
+
+      const access = await resolveManuscriptPermission(manuscript.id, member.id, env);
+      expect(access.permission).toBe('comment');
+      expect(access.sources.map(source => source.level).sort()).toEqual(['comment', 'view', 'view']);
+    });
+
+    it('should report access through checkManuscriptAccess', async () => {
+      const writer = await join(await createTeam('comment'), await createUser(), 'editor');
+      const stranger = await createUser();
+
+      expect(await checkManuscriptAccess(manuscript.id, writer.id, env)).toMatchObject({
+        hasAccess: true, permissionLevel: 'comment', isOwner: false, manuscript: { id: manuscript.id }
+      });
+      expect(await checkManuscriptAccess(manuscript.id, owner.id, env))
+        .toMatchObject({ hasAccess: true, permissionLevel: 'owner', isOwner: true });
+      expect(await checkManuscriptAccess(manuscript.id, stranger.id, env)).toEqual({
+        hasAccess: false, permissionLevel: null, isOwner: false, manuscript: null
+      });
+    });
+  });
+
+  describe('authorizeManuscript', () => {
+    it('should hide manuscripts the user has no access to', async () => {
+      const stranger = await createUser();
+
+      await expect(authorizeManuscript(manuscript.id, stranger.id, 'manuscript:read', env)).rejects.toBeInstanceOf(NotFoundError);
+      await expect(authorizeManuscript('nope', owner.id, 'manuscript:read', env)).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should refuse actions above the user permission', async () => {
+      const reader = await shareWith(await createUser(), 'view');
+      const coauthor = await shareWith(await createUser(), 'edit');
+
+      const error = await authorizeManuscript(manuscript.id, reader.id, 'manuscript:write', env).catch(e => e);
+      expect(error).toBeInstanceOf(AuthorizationError);
+      expect(error.details).toEqual({ action: 'manuscript:write', required: 'edit', current: 'view' });
+
+      await expect(authorizeManuscript(manuscript.id, coauthor.id, 'manuscript:delete', env)).rejects.toBeInstanceOf(AuthorizationError);
+      await expect(authorizeManuscript(manuscript.id, coauthor.id, 'manuscript:manage', env)).rejects.toBeInstanceOf(AuthorizationError);
+    });
+
+    it('should return the resolved access when allowed', async () => {
+      const reader = await shareWith(await createUser(), 'view');
+      const coauthor = await shareWith(await createUser(), 'edit');
+
+      await expect(authorizeManuscript(manuscript.id, reader.id, 'asset:read', env)).resolves.toMatchObject({ permission: 'view' });
+      await expect(authorizeManuscript(manuscript.id, coauthor.id, 'analysis:run', env)).resolves.toMatchObject({ permission: 'edit' });
+      await expect(authorizeManuscript(manuscript.id, owner.id, 'manuscript:delete', env)).resolves.toMatchObject({ isOwner: true });
+    });
+  });
+
+  describe('Keys and reports', () => {
+    let reader;
+
+    beforeEach(async () => {
+      reader = await shareWith(await createUser(), 'view');
+    });
+
+    it('should find the manuscript behind current and earlier drafts', async () => {
+      const stranger = await createUser();
+
+      await expect(authorizeManuscriptKey(manuscript.r2_key, reader.id, 'analysis:read', env))
+        .resolves.toMatchObject({ permission: 'view' });
+      await expect(authorizeManuscriptKey(`${owner.id}/ferry/v1_draft.docx`, reader.id, 'analysis:read', env))
+        .resolves.toMatchObject({ permission: 'view' });
+      await expect(authorizeManuscriptKey(manuscript.r2_key, reader.id, 'analysis:run', env))
+        .rejects.toBeInstanceOf(AuthorizationError);
+      await expect(authorizeManuscriptKey(manuscript.r2_key, stranger.id, 'analysis:read', env))
+        .rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should only let the key owner use files without a manuscript record', async () => {
+      await expect(authorizeManuscriptKey(`${reader.id}/loose.txt`, reader.id, 'analysis:run', env))
+        .resolves.toMatchObject({ permission: 'owner' });
+      await expect(authorizeManuscriptKey(`${reader.id}/loose.txt`, owner.id, 'analysis:read', env))
+        .rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should resolve reports through their manuscript key', async () => {
+      const stranger = await createUser();
+      await mapReport('r1');
+
+      await expect(authorizeReport('r1', reader.id, 'analysis:read', env))
+        .resolves.toMatchObject({ permission: 'view', manuscriptKey: manuscript.r2_key });
+      await expect(authorizeReport('r1', stranger.id, 'analysis:read', env)).rejects.toBeInstanceOf(NotFoundError);
+      await expect(authorizeReport('missing', owner.id, 'analysis:read', env)).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('Route middleware', () => {
+    let writer;
+    let intern;
+    let stranger;
+
+    beforeEach(async () => {
+      const team = await createTeam('edit');
+      writer = await join(team, await createUser(), 'editor');
+      intern = await join(team, await createUser(), 'viewer');
+      stranger = await createUser();
+    });
+
+    it('should require a session', async () => {
+      const response = await authorizeManuscriptRoute(await requestAs(null), env, manuscript.id, '');
+      expect(response.status).toBe(401);
+    });
+
+    it('should let teammates through and record their access', async () => {
+      const request = await requestAs(writer, { method: 'POST', path: `/manuscripts/${manuscript.id}/format/epub` });
+      expect(await authorizeManuscriptRoute(request, env, manuscript.id, '/format/epub')).toBeNull();
+      expect(request.manuscriptAccess).toMatchObject({ userId: writer.id, action: 'asset:write', permission: 'edit' });
+    });
+
+    it('should answer 403 for insufficient access and 404 for none', async () => {
+      const denied = await authorizeManuscriptRoute(await requestAs(intern, { method: 'PUT' }), env, manuscript.id, '');
+      expect(denied.status).toBe(403);
+      expect(await denied.json()).toMatchObject({ requiredPermission: 'edit', currentPermission: 'view' });
+
+      const owned = await authorizeManuscriptRoute(await requestAs(writer), env, manuscript.id, '/sales');
+      expect(owned.status).toBe(403);
+
+      const hidden = await authorizeManuscriptRoute(await requestAs(stranger), env, manuscript.id, '');
+      expect(hidden.status).toBe(404);
+    });
+
+    it('should authorize report routes and leave the body for the handler', async () => {
+      await mapReport('r1');
+
+      const request = await requestAs(writer, { method: 'POST', path: '/generate-assets', body: { reportId: 'r1' } });
+      expect(await authorizeReportRoute(request, env, '/generate-assets')).toBeNull();
+      expect(await request.json()).toEqual({ reportId: 'r1' });
+
+      const viewer = await requestAs(intern, { method: 'POST', path: '/analyze/start', body: { manuscriptKey: manuscript.r2_key } });
+      expect((await authorizeReportRoute(viewer, env, '/analyze/start')).status).toBe(403);
+
+      const results = await authorizeReportRoute(await requestAs(intern, { path: '/results?id=r1' }), env, '/results');
+      expect(results).toBeNull();
+
+      const report = await authorizeReportRoute(await requestAs(stranger, { path: '/report?id=r1' }), env, '/report');
+      expect(report.status).toBe(404);
+
+      const analysisPath = `/analysis/${manuscript.r2_key}`;
+      const analysis = await authorizeReportRoute(await requestAs(stranger, { path: analysisPath }), env, analysisPath);
+      expect(analysis.status).toBe(404);
+    });
+
+    it('should ignore routes that do not name a manuscript', async () => {
+      expect(await authorizeReportRoute(await requestAs(null, { path: '/auth/me' }), env, '/auth/me')).toBeNull();
+      expect((await authorizeReportRoute(await requestAs(null, { path: '/results?id=r1' }), env, '/results')).status).toBe(401);
+    });
+  });
+
+  describe('DMCA takedowns', () => {
+    let coauthor;
+
+    beforeEach(async () => {
+      coauthor = await shareWith(await createUser(), 'edit');
+      await mapReport('r1');
+      await takeDown();
+    });
+
+    it('should withhold a taken-down manuscript from everyone, owner included', async () => {
+      const error = await authorizeManuscript(manuscript.id, owner.id, 'asset:read', env).catch(e => e);
+      expect(error).toBeInstanceOf(UnavailableForLegalReasonsError);
+      expect(error.statusCode).toBe(451);
+
+      await expect(authorizeManuscript(manuscript.id, coauthor.id, 'analysis:run', env)).rejects.toBeInstanceOf(UnavailableForLegalReasonsError);
+      await expect(findAuthorizedManuscript(manuscript.id, owner.id, 'manuscript:read', env)).resolves.toBeNull();
+    });
+
+    it('should still let the owner delete it and hide it from strangers as before', async () => {
+      const stranger = await createUser();
+
+      await expect(authorizeManuscript(manuscript.id, owner.id, 'manuscript:delete', env)).resolves.toMatchObject({ isOwner: true });
+      await expect(authorizeManuscript(manuscript.id, stranger.id, 'asset:read', env)).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should keep the manuscript record open but answer 451 on its content routes', async () => {
+      expect(await authorizeManuscriptRoute(await requestAs(owner), env, manuscript.id, '')).toBeNull();
+      expect(await authorizeManuscriptRoute(await requestAs(owner, { method: 'DELETE' }), env, manuscript.id, '')).toBeNull();
+
+      const cover = await authorizeManuscriptRoute(await requestAs(owner), env, manuscript.id, '/cover');
+      expect(cover.status).toBe(451);
+      expect(await cover.json()).toMatchObject({ code: 'UNAVAILABLE_FOR_LEGAL_REASONS', dmcaStatus: 'taken_down' });
+
+      const versions = await authorizeManuscriptRoute(await requestAs(coauthor), env, manuscript.id, '/versions');
+      expect(versions.status).toBe(451);
+    });
+
+    it('should withhold reports and generated assets', async () => {
+      const report = await authorizeReportRoute(await requestAs(owner, { path: '/report?id=r1' }), env, '/report');
+      expect(report.status).toBe(451);
+
+      const assets = await authorizeReportRoute(await requestAs(coauthor, { path: '/assets?id=r1' }), env, '/assets');
+      expect(assets.status).toBe(451);
+    });
+
+    it('should restore access once the takedown is lifted', async () => {
+      await takeDown('clear');
+      await expect(authorizeManuscript(manuscript.id, owner.id, 'asset:read', env)).resolves.toMatchObject({ isOwner: true });
+    });
+  });
+});
@@ -0,0 +1,534 @@
+/**
+ * Billing Service Integration Tests
+ *
+ * Usage-metered billing against the test database and a local Stripe API:
+ * metering LLM calls against the allowance, credit packs and overage,
+ * reporting overage (and retrying failed reports), rolling back a failed
+ * metering transaction, estimates, credit pack checkout and webhooks, the
+ * server env and the usage ledger.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { getTestDbAdapter, insertTestRecord, findTestRecord, queryTestDb } from '../../test-helpers/database.js';
+import { createTestUser, createTestSubscription, createTestCost } from '../../test-helpers/factories.js';
+import { mockRedis, mockStripeApi, generateStripeSignature } from '../../test-helpers/mocks.js';
+import {
+  BILLING_CONFIG,
+  CREDIT_PACKS,
+  getUsageSummary,
+  estimateAnalysis,
+  assertAnalysisAffordable,
+  meterUsage,
+  reportOverage,
+  reportPendingOverage,
+  createCreditPackCheckout,
+  grantCreditPack,
+  getUsageLedger
+} from '../../../src/services/billing-service.js';
+import { handleStripeWebhook } from '../../../src/handlers/webhook-handlers.js';
+import { createCheckoutSession } from '../../../src/handlers/payment-handlers.js';
+import { buildRuntimeEnv } from '../../../src/config/runtime-env.js';
+import { createSession } from '../../../src/utils/auth-utils.js';
+import { PaymentRequiredError, NotFoundError, ServerError } from '../../../src/utils/error-handling.js';
+
+const at = iso => Math.floor(new Date(iso).getTime() / 1000);
+const PERIOD_START = at('2026-10-01T00:00:00Z');
+const PERIOD_END = at('2026-11-01T00:00:00Z');
+const MID_PERIOD = at('2026-10-15T12:00:00Z');
+const WEBHOOK_SECRET = 'whsec_test_billing';
+
+// BIGINT columns come back from Postgres as strings
+const numbers = (row, columns) => ({ ...row, ...Object.fromEntries(columns.map(column => [column, Number(row[column])])) });
+
+describe.skipIf(!process.env.TEST_DATABASE_URL)('Usage billing', () => {
+  const stripe = mockStripeApi();
+  let env;
+  let author;
+  let reader;
+  let proSubscription;
+
+  beforeAll(async () => {
+    await stripe.start();
+  });
+
+  afterAll(async () => {
+    await stripe.stop();
+  });
+
+  beforeEach(async () => {
+    stripe._clear();
+
+    env = {
+      STRIPE_SECRET_KEY: 'sk_test_billing',
+      STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      STRIPE_API_BASE: stripe.base,
+      STRIPE_PRICE_AI_OVERAGE: 'price_ai_overage',
+      FRONTEND_URL: 'https://app.example.com',
+      DB: getTestDbAdapter(),
+      REDIS: mockRedis()
+    };
+
+    author = await insertTestRecord('users', await createTestUser());
+    reader = await insertTestRecord('users', await createTestUser());
+
+    await insertTestRecord('subscriptions', createTestSubscription(author.id, {
+      status: 'canceled', stripe_customer_id: 'default_author', created_at: new Date('2026-01-01T00:00:00Z')
+    }));
+    proSubscription = await insertTestRecord('subscriptions', createTestSubscription(author.id, {
+      plan_type: 'pro',
+      stripe_customer_id: 'cus_author',
+      stripe_subscription_id: 'sub_stripe_pro',
+      stripe_metered_item_id: 'si_overage',
+      current_period_start: new Date(PERIOD_START * 1000),
+      current_period_end: new Date(PERIOD_END * 1000),
+      created_at: new Date('2026-02-01T00:00:00Z')
+    }));
+    await insertTestRecord('subscriptions', createTestSubscription(reader.id, { stripe_customer_id: 'default_reader' }));
+  });
+
+  /**
+   * A logged LLM call and its metering, as the LLM client does it
+   */
+  const callLLM = async (user, tokens, now, costUSD = tokens / 100000, meterEnv = env) => {
+    const cost = await insertTestRecord('cost_tracking', createTestCost(user.id, {
+      cost_usd: costUSD, tokens_input: tokens - 1000, tokens_output: 1000, created_at: now
+    }));
+    return meterUsage(meterEnv, {
+      userId: user.id, costTrackingId: cost.id, featureName: 'analysis', operation: 'developmental',
+      model: 'claude-sonnet-4', inputTokens: tokens - 1000, outputTokens: 1000, costUSD
+    }, now);
+  };
+
+  const buyPack = (user, packId, checkoutSessionId, now) => grantCreditPack(env, { userId: user.id, packId, checkoutSessionId }, now);
+
+  const usagePeriod = async (user = author) => numbers(
+    await findTestRecord('usage_periods', { user_id: user.id }),
+    ['included_used', 'credit_tokens_used', 'overage_tokens', 'uncovered_tokens', 'period_start', 'period_end']
+  );
+
+  const creditsRemaining = async () => {
+    const { rows } = await queryTestDb('SELECT tokens_remaining FROM credit_grants WHERE user_id = $1 ORDER BY created_at', [author.id]);
+    return rows.map(row => Number(row.tokens_remaining));
+  };
+
+  const overageReports = async () => {
+    const { rows } = await queryTestDb(
+      'SELECT units, amount_cents, status, error, stripe_subscription_item_id FROM metered_usage_reports WHERE user_id = $1 ORDER BY created_at',
+      [author.id]
+    );
+    return rows;
+  };
+
+  // The adapter, with the metering transaction wrapped
+  const wrapTransaction = wrap => ({
+    prepare: sql => env.DB.prepare(sql),
+    batch: statements => env.DB.batch(statements),
+    transaction: callback => wrap(callback, cb => env.DB.transaction(cb))
+  });
+
+  describe('Metering', () => {
+    it('should charge the allowance first, then credit packs oldest first', async () => {
+      await insertTestRecord('usage_periods', {
+        user_id: author.id, period_start: PERIOD_START, period_end: PERIOD_END, plan_type: 'pro', subscription_id: proSubscription.id,
+        included_tokens: 5_000_000, included_used: 4_990_000, created_at: PERIOD_START, updated_at: PERIOD_START
+      });
+      await buyPack(author, 'starter', 'cs_1', PERIOD_START + 10);
+      await buyPack(author, 'author', 'cs_2', PERIOD_START + 20);
+      await queryTestDb("UPDATE credit_grants SET tokens_remaining = 5000 WHERE stripe_checkout_session_id = 'cs_1'");
+
+      const entry = await callLLM(author, 30000, MID_PERIOD);
+
+      expect(entry.fundedBy).toEqual({ included: 10000, credits: 20000, overage: 0, uncovered: 0 });
+      expect(await creditsRemaining()).toEqual([0, 5_000_000 - 15000]);
+      // 5,000 starter tokens at $10/1M plus 15,000 author tokens at $45/5M
+      expect(entry.creditCents).toBeCloseTo(5 + 13.5, 4);
+      expect(await getUsageSummary(env, author.id, MID_PERIOD)).toMatchObject({
+        planType: 'pro',
+        periodStart: PERIOD_START,
+        periodEnd: PERIOD_END,
+        includedRemaining: 0,
+        creditBalance: 4_985_000,
+        creditTokensUsed: 20000,
+        overageBillable: true
+      });
+    });
+
+    it('should bill usage beyond allowance and credits as overage on the metered item', async () => {
+      await callLLM(author, 4_999_500, MID_PERIOD);
+      const entry = await callLLM(author, 2700, MID_PERIOD + 60);
+
+      expect(entry.fundedBy).toEqual({ included: 500, credits: 0, overage: 2200, uncovered: 0 });
+      // Whole units are reported while the period is open
+      expect(stripe.meterEvents).toEqual([expect.objectContaining({
+        event_name: BILLING_CONFIG.METER_EVENT_NAME,
+        'payload[stripe_customer_id]': 'cus_author',
+        'payload[value]': '2',
+        identifier: `overage:${author.id}:${PERIOD_START}:2`
+      })]);
+      expect(await usagePeriod()).toMatchObject({ overage_tokens: 2200, overage_units_reported: 2 });
+
+      // The remainder is rounded up once the period has ended
+      expect(await reportPendingOverage(env, PERIOD_END + 3600)).toEqual({ reported: 1, failed: 0 });
+      expect(stripe.meterEvents[1]).toMatchObject({
+        'payload[value]': '1',
+        identifier: `overage:${author.id}:${PERIOD_START}:3`,
+        timestamp: String(PERIOD_END - 1)
+      });
+      expect(await reportPendingOverage(env, PERIOD_END + 7200)).toEqual({ reported: 0, failed: 0 });
+      expect((await overageReports()).map(r => [r.units, r.amount_cents, r.status])).toEqual([[2, 2, 'reported'], [1, 1, 'reported']]);
+    });
+
+    it('should record usage nothing can pay for as uncovered', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const entry = await callLLM(reader, 250_000, MID_PERIOD);
+      expect(warn).toHaveBeenCalledWith(`[Billing] 50000 tokens for user ${reader.id} could not be covered`);
+      warn.mockRestore();
+
+      expect(entry.fundedBy).toEqual({ included: 200_000, credits: 0, overage: 0, uncovered: 50_000 });
+      expect(stripe.meterEvents).toEqual([]);
+      // Without a paid subscription the period is the calendar month
+      expect(await usagePeriod(reader)).toMatchObject({ period_start: PERIOD_START, period_end: PERIOD_END, plan_type: 'free', uncovered_tokens: 50_000 });
+    });
+
+    it('should retry failed overage reports without double counting', async () => {
+      await callLLM(author, 5_000_000, MID_PERIOD);
+      stripe.failMeterEvents = true;
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const entry = await callLLM(author, 4000, MID_PERIOD + 60);
+      expect(entry.fundedBy.overage).toBe(4000);
+      expect((await usagePeriod()).overage_units_reported).toBe(0);
+      expect(await overageReports()).toEqual([expect.objectContaining({ units: 4, status: 'failed', error: 'Meter unavailable' })]);
+      expect(await reportPendingOverage(env, MID_PERIOD + 120)).toEqual({ reported: 0, failed: 1 });
+
+      stripe.failMeterEvents = false;
+      expect(await reportPendingOverage(env, MID_PERIOD + 3600)).toEqual({ reported: 1, failed: 0 });
+      expect(await reportOverage(env, author.id, PERIOD_START, MID_PERIOD + 3700)).toBeNull();
+
+      expect(stripe.meterEvents).toHaveLength(1);
+      expect(stripe.meterEvents[0]).toMatchObject({ 'payload[value]': '4', identifier: `overage:${author.id}:${PERIOD_START}:4` });
+      expect(await overageReports()).toEqual([expect.objectContaining({ units: 4, status: 'reported', error: null })]);
+      error.mockRestore();
+    });
+
+    it('should record overage as failed when the subscription lost its metered item', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      await callLLM(author, 5_004_000, MID_PERIOD);
+      stripe._clear();
+
+      await queryTestDb('UPDATE usage_periods SET overage_units_reported = 0 WHERE user_id = $1', [author.id]);
+      await queryTestDb('DELETE FROM metered_usage_reports WHERE user_id = $1', [author.id]);
+      await queryTestDb('UPDATE subscriptions SET stripe_metered_item_id = NULL WHERE id = $1', [proSubscription.id]);
+
+      expect(await reportPendingOverage(env, MID_PERIOD + 3600)).toEqual({ reported: 0, failed: 1 });
+      expect(stripe.meterEvents).toEqual([]);
+      expect((await usagePeriod()).overage_units_reported).toBe(0);
+      expect(await overageReports()).toEqual([expect.objectContaining({
+        units: 4, status: 'failed', error: 'Subscription has no metered overage item', stripe_subscription_item_id: null
+      })]);
+      expect(error).toHaveBeenCalledWith(
+        `[Billing] Cannot report 4 overage units for user ${author.id}: Subscription has no metered overage item`
+      );
+
+      // Left alone until the retry delay has passed, then reported once the item is back
+      expect(await reportPendingOverage(env, MID_PERIOD + 7200)).toEqual({ reported: 0, failed: 0 });
+      await queryTestDb("UPDATE subscriptions SET stripe_metered_item_id = 'si_overage' WHERE id = $1", [proSubscription.id]);
+      expect(await reportPendingOverage(env, MID_PERIOD + 3600 + BILLING_CONFIG.MISSING_ITEM_RETRY_SECONDS))
+        .toEqual({ reported: 1, failed: 0 });
+      expect(stripe.meterEvents).toHaveLength(1);
+      expect((await usagePeriod()).overage_retry_after).toBeNull();
+      error.mockRestore();
+    });
+
+    it('should not pick open periods with less than a whole unit unreported', async () => {
+      await callLLM(author, 5_000_500, MID_PERIOD);
+      expect(await usagePeriod()).toMatchObject({ overage_tokens: 500, overage_units_reported: 0 });
+
+      expect(await reportPendingOverage(env, MID_PERIOD + 3600)).toEqual({ reported: 0, failed: 0 });
+      expect(await reportPendingOverage(env, PERIOD_END + 3600)).toEqual({ reported: 1, failed: 0 });
+      expect(stripe.meterEvents).toEqual([expect.objectContaining({ 'payload[value]': '1' })]);
+    });
+
+    it('should leave balances untouched when the metering transaction fails', async () => {
+      await buyPack(author, 'starter', 'cs_1', PERIOD_START + 10);
+      await callLLM(author, 4_990_000, MID_PERIOD);
+
+      const failingEnv = {
+        ...env,
+        DB: wrapTransaction((callback, transaction) => transaction(tx => callback({
+          prepare: sql => {
+            if (sql.includes('INSERT INTO usage_ledger')) {
+              throw new Error('connection lost');
+            }
+            return tx.prepare(sql);
+          }
+        })))
+      };
+
+      await expect(callLLM(author, 30000, MID_PERIOD + 60, undefined, failingEnv)).rejects.toThrow('connection lost');
+      expect(await usagePeriod()).toMatchObject({ included_used: 4_990_000, credit_tokens_used: 0 });
+      expect(await creditsRemaining()).toEqual([1_000_000]);
+      const { rows } = await queryTestDb('SELECT COUNT(*) AS count FROM usage_ledger WHERE user_id = $1', [author.id]);
+      expect(Number(rows[0].count)).toBe(1);
+    });
+
+    it('should plan the draw again when another call drew the credits first', async () => {
+      await buyPack(author, 'starter', 'cs_1', PERIOD_START + 10);
+      await callLLM(author, 5_000_000, MID_PERIOD);
+
+      // A concurrent call empties most of the pack between the read and the draw
+      let raced = false;
+      const racingEnv = {
+        ...env,
+        DB: wrapTransaction(async (callback, transaction) => {
+          if (!raced) {
+            raced = true;
+            await queryTestDb("UPDATE credit_grants SET tokens_remaining = 10000 WHERE stripe_checkout_session_id = 'cs_1'");
+          }
+          return transaction(callback);
+        })
+      };
+
+      const entry = await callLLM(author, 30000, MID_PERIOD + 60, undefined, racingEnv);
+      expect(entry.fundedBy).toEqual({ included: 0, credits: 10000, overage: 20000, uncovered: 0 });
+      expect(await creditsRemaining()).toEqual([0]);
+      expect(await usagePeriod()).toMatchObject({ credit_tokens_used: 10000, overage_tokens: 20000 });
+    });
+
+    it('should fail rather than bill overage when every draw loses the race', async () => {
+      await buyPack(author, 'starter', 'cs_1', PERIOD_START + 10);
+      await callLLM(author, 5_000_000, MID_PERIOD);
+      await queryTestDb("UPDATE credit_grants SET tokens_remaining = 20000 WHERE stripe_checkout_session_id = 'cs_1'");
+
+      // Another call draws from the pack before every attempt, leaving less than was planned
+      let attempts = 0;
+      const racingEnv = {
+        ...env,
+        DB: wrapTransaction(async (callback, transaction) => {
+          attempts++;
+          await queryTestDb("UPDATE credit_grants SET tokens_remaining = tokens_remaining - 1 WHERE stripe_checkout_session_id = 'cs_1'");
+          return transaction(callback);
+        })
+      };
+
+      await expect(callLLM(author, 30000, MID_PERIOD + 60, undefined, racingEnv)).rejects.toThrow(ServerError);
+      expect(attempts).toBe(BILLING_CONFIG.MAX_DRAW_ATTEMPTS);
+      expect(await creditsRemaining()).toEqual([20000 - BILLING_CONFIG.MAX_DRAW_ATTEMPTS]);
+      expect(await usagePeriod()).toMatchObject({ credit_tokens_used: 0, overage_tokens: 0, uncovered_tokens: 0 });
+      expect(stripe.meterEvents).toEqual([]);
+    });
+  });
+
+  describe('Analysis estimates', () => {
+    it('should estimate tokens and what will pay for them', async () => {
+      const estimate = await estimateAnalysis(env, { id: 'm1', user_id: reader.id, word_count: 20000 }, MID_PERIOD);
+
+      expect(estimate).toMatchObject({
+        manuscriptId: 'm1',
+        wordCount: 20000,
+        estimatedTokens: 93000,
+        coverage: { included: 93000, credits: 0, overage: 0, uncovered: 0 },
+        estimatedChargeCents: 0,
+        canStart: true
+      });
+      expect(estimate.estimatedCostUSD).toBeGreaterThan(0);
+    });
+
+    it('should price overage for subscribers past their allowance', async () => {
+      await callLLM(author, 5_000_000, MID_PERIOD);
+      const estimate = await estimateAnalysis(env, { id: 'm1', user_id: author.id, word_count: 20000 }, MID_PERIOD);
+
+      expect(estimate.coverage).toEqual({ included: 0, credits: 0, overage: 93000, uncovered: 0 });
+      expect(estimate.estimatedChargeCents).toBe(93);
+      expect(estimate.canStart).toBe(true);
+    });
+
+    it('should refuse analyses the allowance and credits cannot cover', async () => {
+      const manuscript = { id: 'm2', user_id: reader.id, word_count: 60000 };
+
+      const error = await assertAnalysisAffordable(env, manuscript, MID_PERIOD).catch(e => e);
+      expect(error).toBeInstanceOf(PaymentRequiredError);
+      expect(error.statusCode).toBe(402);
+      expect(error.details.estimate).toMatchObject({ estimatedTokens: 249000, canStart: false, coverage: { uncovered: 49000 } });
+
+      await buyPack(reader, 'starter', 'cs_reader', MID_PERIOD);
+      expect(await assertAnalysisAffordable(env, manuscript, MID_PERIOD))
+        .toMatchObject({ canStart: true, coverage: { included: 200_000, credits: 49000 } });
+    });
+  });
+
+  describe('Credit packs', () => {
+    it('should start a payment-mode checkout for a pack', async () => {
+      const session = await createCreditPackCheckout(env, reader.id, 'author');
+
+      expect(session.url).toMatch(/^https:\/\/checkout\.stripe\.test\//);
+      const [customer, checkout] = stripe.requests;
+      expect(customer).toMatchObject({ path: '/v1/customers', params: { email: reader.email, 'metadata[userId]': reader.id } });
+      expect(checkout.params).toMatchObject({
+        mode: 'payment',
+        'line_items[0][price_data][unit_amount]': String(CREDIT_PACKS.author.price),
+        'metadata[type]': 'credit_pack',
+        'metadata[packId]': 'author',
+        'metadata[userId]': reader.id
+      });
+
+      // Existing Stripe customers are reused
+      await createCreditPackCheckout(env, author.id, 'starter');
+      expect(stripe.requests.at(-1).params.customer).toBe('cus_author');
+    });
+
+    it('should refuse checkout for an unknown user', async () => {
+      await expect(createCreditPackCheckout(env, 'ghost', 'starter')).rejects.toThrow(NotFoundError);
+      expect(stripe.requests).toEqual([]);
+    });
+
+    // A signed checkout session event for a starter pack bought by the reader
+    const deliverCheckoutEvent = (type, session = {}) => {
+      const payload = JSON.stringify({
+        id: `evt_${type}`,
+        type,
+        data: {
+          object: {
+            id: 'cs_paid', mode: 'payment', customer: 'cus_reader', payment_intent: 'pi_1',
+            amount_total: 1000, currency: 'usd', payment_status: 'paid',
+            metadata: { userId: reader.id, type: 'credit_pack', packId: 'starter' },
+            ...session
+          }
+        }
+      });
+      return handleStripeWebhook(new Request('http://localhost/payments/webhook', {
+        method: 'POST',
+        headers: { 'stripe-signature': generateStripeSignature(payload, WEBHOOK_SECRET) },
+        body: payload
+      }), env, {});
+    };
+
+    const readerGrants = async () => {
+      const { rows } = await queryTestDb('SELECT * FROM credit_grants WHERE user_id = $1', [reader.id]);
+      return rows.map(grant => numbers(grant, ['tokens', 'tokens_remaining']));
+    };
+
+    it('should grant a pack once however often Stripe delivers the webhook', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect((await deliverCheckoutEvent('checkout.session.completed')).status).toBe(200);
+      expect((await deliverCheckoutEvent('checkout.session.completed')).status).toBe(200);
+
+      expect(await readerGrants()).toEqual([expect.objectContaining({
+        pack_id: 'starter', tokens: 1_000_000, tokens_remaining: 1_000_000,
+        amount_cents: 1000, stripe_checkout_session_id: 'cs_paid', stripe_payment_intent_id: 'pi_1'
+      })]);
+      const { rows: payments } = await queryTestDb('SELECT amount, payment_type FROM payment_history WHERE user_id = $1', [reader.id]);
+      expect(payments).toEqual([{ amount: 1000, payment_type: 'credit_pack' }]);
+      vi.restoreAllMocks();
+    });
+
+    it('should grant a pack paid by a delayed method only once the payment succeeds', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect((await deliverCheckoutEvent('checkout.session.completed', { payment_status: 'unpaid' })).status).toBe(200);
+      expect(await readerGrants()).toEqual([]);
+
+      expect((await deliverCheckoutEvent('checkout.session.async_payment_succeeded')).status).toBe(200);
+      expect(await readerGrants()).toEqual([expect.objectContaining({ stripe_checkout_session_id: 'cs_paid', tokens_remaining: 1_000_000 })]);
+      vi.restoreAllMocks();
+    });
+
+    it('should not grant a pack whose delayed payment failed', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      await deliverCheckoutEvent('checkout.session.completed', { payment_status: 'unpaid' });
+      expect((await deliverCheckoutEvent('checkout.session.async_payment_failed', { payment_status: 'unpaid' })).status).toBe(200);
+
+      expect(await readerGrants()).toEqual([]);
+      const { rows: payments } = await queryTestDb('SELECT id FROM payment_history WHERE user_id = $1', [reader.id]);
+      expect(payments).toEqual([]);
+      vi.restoreAllMocks();
+    });
+  });
+
+  describe('Server env', () => {
+    it('should pass the billing settings through to checkout and overage reporting', async () => {
+      // The env server.js builds from process.env
+      const serverEnv = buildRuntimeEnv({
+        NODE_ENV: 'production',
+        STRIPE_SECRET_KEY: 'sk_test_billing',
+        STRIPE_API_BASE: stripe.base,
+        STRIPE_PRICE_PRO: 'price_pro_live',
+        STRIPE_PRICE_AI_OVERAGE: 'price_ai_overage',
+        STRIPE_METER_EVENT_NAME: 'ai_tokens_live',
+        DATABASE_URL: 'postgresql://primary'
+      }, { DB: env.DB, REDIS: env.REDIS });
+      const sessionId = await createSession(reader.id, serverEnv);
+
+      const response = await createCheckoutSession(new Request('http://localhost/payments/create-checkout-session', {
+        method: 'POST',
+        headers: { Cookie: `session_id=${sessionId}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ plan: 'pro' })
+      }), serverEnv, {});
+
+      expect(response.status).toBe(200);
+      expect(stripe.requests.at(-1)).toMatchObject({
+        path: '/v1/checkout/sessions',
+        params: { 'line_items[0][price]': 'price_pro_live', 'line_items[1][price]': 'price_ai_overage' }
+      });
+
+      await callLLM(author, 5_004_000, MID_PERIOD, undefined, serverEnv);
+      expect(stripe.meterEvents.at(-1)).toMatchObject({ event_name: 'ai_tokens_live' });
+    });
+  });
+
+  describe('Usage ledger', () => {
+    it('should reconcile charges with logged costs', async () => {
+      await buyPack(author, 'starter', 'cs_1', PERIOD_START + 10);
+      await callLLM(author, 4_900_000, PERIOD_START + 100, 20);
+      await callLLM(author, 1_100_000, PERIOD_START + 200, 4.5);
+      await callLLM(author, 500_000, PERIOD_START + 300, 2);
+
+      const ledger = await getUsageLedger(env, author.id, {}, MID_PERIOD);
+
+      expect(ledger.period).toMatchObject({
+        start: PERIOD_START, end: PERIOD_END, planType: 'pro', includedUsed: 5_000_000, creditTokensUsed: 1_000_000, overageTokens: 500_000
+      });
+      expect(ledger.entries).toHaveLength(3);
+      expect(ledger.charges).toMatchObject({
+        creditPurchasesCents: 1000,
+        creditsConsumedCents: 1000,
+        overageReportedCents: 500,
+        overagePendingCents: 0
+      });
+      expect(ledger.costs).toEqual({ calls: 3, loggedUSD: 26.5, loggedTokens: 6_500_000, meteredUSD: 26.5, meteredTokens: 6_500_000 });
+      expect(ledger.reconciliation).toMatchObject({
+        balanced: true,
+        unmetered: [],
+        unlogged: [],
+        fundedBy: { included: 5_000_000, credits: 1_000_000, overage: 500_000, uncovered: 0 },
+        usageRevenueUSD: 15,
+        marginUSD: -11.5
+      });
+    });
+
+    it('should flag logged costs that were never metered', async () => {
+      await callLLM(reader, 10000, PERIOD_START + 100);
+      const lost = await insertTestRecord('cost_tracking', createTestCost(reader.id, {
+        feature_name: 'chat', operation: 'reply', cost_usd: 0.05, tokens_input: 2000, tokens_output: 500, created_at: PERIOD_START + 200
+      }));
+      await insertTestRecord('cost_tracking', createTestCost(reader.id, {
+        cost_center: 'email', feature_name: null, operation: 'send', cost_usd: 0.001, tokens_input: null, tokens_output: null, created_at: PERIOD_START + 300
+      }));
+
+      const { reconciliation, costs } = await getUsageLedger(env, reader.id, { periodStart: PERIOD_START }, MID_PERIOD);
+
+      expect(costs).toMatchObject({ calls: 2, loggedTokens: 12500, meteredTokens: 10000 });
+      expect(reconciliation.balanced).toBe(false);
+      expect(reconciliation.unmetered).toEqual([expect.objectContaining({ costTrackingId: lost.id, tokens: 2500, costUSD: 0.05 })]);
+    });
+
+    it('should 404 for a past period without usage', async () => {
+      await expect(getUsageLedger(env, reader.id, { periodStart: at('2026-08-01T00:00:00Z') }, MID_PERIOD))
+        .rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * DMCA Service Integration Tests
+ *
+ * Takedown cases against the test database: review, approval (manuscript
+ * taken down, uploader struck), repeat-infringer suspension and
+ * reinstatement, counter-notices and the restoration timer, court actions,
+ * and the uploader's case list and audit export.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { getTestDbAdapter, insertTestRecord, findTestRecord, queryTestDb } from '../../test-helpers/database.js';
+import { createTestUser, createTestManuscript, createTestDMCARequest } from '../../test-helpers/factories.js';
+import { mockRedis } from '../../test-helpers/mocks.js';
+
+vi.mock('../../../src/services/email-service.js', () => ({
+  sendDMCAStatusUpdate: vi.fn(async () => true),
+  sendDMCAOwnerNotification: vi.fn(async () => true),
+  sendDMCACounterNoticeForward: vi.fn(async () => true),
+  sendAccountSuspendedEmail: vi.fn(async () => true)
+}));
+
+import {
+  sendDMCAOwnerNotification,
+  sendDMCACounterNoticeForward,
+  sendAccountSuspendedEmail
+} from '../../../src/services/email-service.js';
+import {
+  setReviewStatus,
+  resolveRequest,
+  fileCounterNotice,
+  recordCourtAction,
+  processDMCARestorations,
+  reinstateUser,
+  listOwnerCases,
+  getCaseAudit,
+  caseAuditToCsv
+} from '../../../src/services/dmca-service.js';
+import { ValidationError, NotFoundError, ConflictError } from '../../../src/utils/error-handling.js';
+
+const DAY = 86400;
+const at = iso => Math.floor(new Date(iso).getTime() / 1000);
+const iso = seconds => new Date(seconds * 1000).toISOString();
+
+const TAKEDOWN_AT = at('2026-11-19T15:00:00Z');
+const RECEIVED_AT = at('2026-11-20T12:00:00Z');
+
+const COUNTER_NOTICE = {
+  fullName: 'Ann Author',
+  address: '1 Quay Street, Portland, ME 04101',
+  phone: '+1 207 555 0100',
+  email: 'Author@Example.com',
+  materialDescription: 'The Ferry, formerly at /manuscripts/m1',
+  mistakeStatement: 'I wrote every chapter myself; the claim misidentifies my work.',
+  perjuryAttestation: true,
+  jurisdictionConsent: true,
+  digitalSignature: 'Ann Author'
+};
+
+// BIGINT columns come back from Postgres as strings
+const seconds = value => (value === null ? null : Number(value));
+
+describe.skipIf(!process.env.TEST_DATABASE_URL)('DMCA cases', () => {
+  let env;
+  let author;
+  let admin;
+  let manuscripts;
+  let request;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    env = { DB: getTestDbAdapter(), REDIS: mockRedis() };
+    author = await insertTestRecord('users', await createTestUser());
+    admin = await insertTestRecord('users', await createTestUser({ role: 'admin' }));
+    manuscripts = [];
+    for (const title of ['The Ferry', 'Low Tide', 'Harbour Lights']) {
+      manuscripts.push(await insertTestRecord('manuscripts', createTestManuscript(author.id, { title, flagged_for_review: true })));
+    }
+    request = await submit(manuscripts[0]);
+  });
+
+  const submit = manuscript => insertTestRecord('dmca_requests', createTestDMCARequest(manuscript.id));
+
+  const approve = (dmcaRequest, now, resolutionNotes = 'Copy') =>
+    resolveRequest(dmcaRequest.id, admin.id, { action: 'approve', resolutionNotes }, env, now);
+
+  const requestRow = async (id = request.id) => {
+    const row = await findTestRecord('dmca_requests', { id });
+    return {
+      ...row,
+      takedown_at: seconds(row.takedown_at),
+      counter_notice_at: seconds(row.counter_notice_at),
+      restore_after: seconds(row.restore_after),
+      restored_at: seconds(row.restored_at),
+      court_action_at: seconds(row.court_action_at)
+    };
+  };
+
+  const manuscriptRow = (manuscript = manuscripts[0]) => findTestRecord('manuscripts', { id: manuscript.id });
+
+  const strikes = async () => {
+    const { rows } = await queryTestDb('SELECT * FROM copyright_strikes WHERE user_id = $1 ORDER BY issued_at', [author.id]);
+    return rows.map(row => ({ ...row, expires_at: seconds(row.expires_at), revoked_at: seconds(row.revoked_at) }));
+  };
+
+  const eventTypes = async (id = request.id) => {
+    const { rows } = await queryTestDb('SELECT event_type FROM dmca_case_events WHERE dmca_request_id = $1 ORDER BY created_at, seq', [id]);
+    return rows.map(row => row.event_type);
+  };
+
+  describe('Review and takedown', () => {
+    it('should only move open requests between pending and reviewing', async () => {
+      await setReviewStatus(request.id, admin.id, 'reviewing', env);
+      expect((await requestRow()).status).toBe('reviewing');
+
+      await expect(setReviewStatus(request.id, admin.id, 'resolved', env)).rejects.toBeInstanceOf(ValidationError);
+      await expect(setReviewStatus('nope', admin.id, 'pending', env)).rejects.toBeInstanceOf(NotFoundError);
+
+      await resolveRequest(request.id, admin.id, { action: 'reject', resolutionNotes: 'Public domain' }, env);
+      await expect(setReviewStatus(request.id, admin.id, 'pending', env)).rejects.toBeInstanceOf(ConflictError);
+      expect(await eventTypes()).toEqual(['status_changed', 'rejected']);
+    });
+
+    it('should take the manuscript down and strike its uploader on approval', async () => {
+      const result = await approve(request, TAKEDOWN_AT, 'Verbatim copy');
+
+      expect(result.status).toBe('resolved');
+      expect(result.strike).toMatchObject({ userId: author.id, expiresAt: TAKEDOWN_AT + 365 * DAY });
+      expect(result.suspension).toBeNull();
+
+      const row = await requestRow();
+      expect(row).toMatchObject({ status: 'resolved', takedown_at: TAKEDOWN_AT, resolved_by: admin.id, resolution_notes: 'Verbatim copy' });
+      expect(row.resolved_at).toEqual(new Date(TAKEDOWN_AT * 1000));
+      expect(await manuscriptRow()).toMatchObject({ dmca_status: 'taken_down', flagged_for_review: false });
+      expect(await strikes()).toHaveLength(1);
+      expect(await eventTypes()).toEqual(['taken_down', 'strike_issued']);
+      expect(sendDMCAOwnerNotification).toHaveBeenCalledWith(expect.objectContaining({ action: 'removed' }), env);
+
+      await expect(resolveRequest(request.id, admin.id, { action: 'reject', resolutionNotes: 'Again' }, env)).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('should leave the manuscript up when a request is rejected', async () => {
+      const result = await resolveRequest(request.id, admin.id, { action: 'reject', resolutionNotes: 'Fair use' }, env);
+
+      expect(result).toMatchObject({ status: 'rejected', strike: null });
+      expect(await manuscriptRow()).toMatchObject({ dmca_status: 'clear', flagged_for_review: false });
+      expect(await strikes()).toHaveLength(0);
+    });
+  });
+
+  describe('Strikes and suspension', () => {
+    it('should suspend a repeat infringer and end their sessions', async () => {
+      const second = await submit(manuscripts[1]);
+      const third = await submit(manuscripts[2]);
+
+      await approve(request, TAKEDOWN_AT);
+      await approve(second, TAKEDOWN_AT + DAY);
+      expect(await env.REDIS.get(`suspended:${author.id}`)).toBeNull();
+
+      const result = await approve(third, TAKEDOWN_AT + 2 * DAY);
+
+      expect(result.suspension).toEqual({ userId: author.id, activeStrikes: 3 });
+      const user = await findTestRecord('users', { id: author.id });
+      expect([seconds(user.suspended_at), user.suspension_reason]).toEqual([TAKEDOWN_AT + 2 * DAY, 'repeat_infringer']);
+      expect(await env.REDIS.get(`suspended:${author.id}`)).toBe(String(TAKEDOWN_AT + 2 * DAY));
+      expect(sendAccountSuspendedEmail).toHaveBeenCalledWith({ email: author.email, activeStrikes: 3 }, env);
+      expect(await eventTypes(third.id)).toEqual(['taken_down', 'strike_issued', 'account_suspended']);
+    });
+
+    it('should not count expired strikes towards suspension', async () => {
+      const second = await submit(manuscripts[1]);
+      const third = await submit(manuscripts[2]);
+
+      await approve(request, TAKEDOWN_AT - 400 * DAY);
+      await approve(second, TAKEDOWN_AT - DAY);
+      const result = await approve(third, TAKEDOWN_AT);
+
+      expect(result.suspension).toBeNull();
+      expect((await findTestRecord('users', { id: author.id })).suspended_at).toBeNull();
+    });
+
+    it('should reinstate a suspended user', async () => {
+      await queryTestDb("UPDATE users SET suspended_at = 1, suspension_reason = 'repeat_infringer' WHERE id = $1", [author.id]);
+      await env.REDIS.set(`suspended:${author.id}`, '1');
+      await insertTestRecord('copyright_strikes', {
+        id: 's1', user_id: author.id, dmca_request_id: request.id, manuscript_id: manuscripts[0].id, issued_at: 1, expires_at: 2
+      });
+
+      const result = await reinstateUser(author.id, admin.id, { notes: 'Licence confirmed' }, env);
+
+      expect(result).toEqual({ userId: author.id, activeStrikes: 0 });
+      expect((await findTestRecord('users', { id: author.id })).suspended_at).toBeNull();
+      expect(await env.REDIS.get(`suspended:${author.id}`)).toBeNull();
+      expect(await findTestRecord('dmca_case_events', { dmca_request_id: request.id }))
+        .toMatchObject({ event_type: 'account_reinstated', actor_id: admin.id });
+
+      await expect(reinstateUser(author.id, admin.id, {}, env)).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('Counter-notices', () => {
+    beforeEach(async () => {
+      await approve(request, TAKEDOWN_AT);
+    });
+
+    it('should refuse an incomplete counter-notice without changing the case', async () => {
+      await expect(fileCounterNotice(request.id, author.id, { ...COUNTER_NOTICE, phone: ' ' }, env, RECEIVED_AT))
+        .rejects.toMatchObject({ details: { missing: ['phone'] } });
+      expect((await requestRow()).status).toBe('resolved');
+    });
+
+    it('should only accept counter-notices from the uploader against an upheld takedown', async () => {
+      await expect(fileCounterNotice(request.id, admin.id, COUNTER_NOTICE, env, RECEIVED_AT)).rejects.toBeInstanceOf(NotFoundError);
+
+      const open = await submit(manuscripts[1]);
+      await expect(fileCounterNotice(open.id, author.id, COUNTER_NOTICE, env, RECEIVED_AT)).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('should forward the counter-notice and start the restoration timer', async () => {
+      const result = await fileCounterNotice(request.id, author.id, COUNTER_NOTICE, env, RECEIVED_AT);
+
+      expect(result).toMatchObject({ status: 'counter_notice', forwarded: true });
+      expect(iso(result.restoreAfter)).toBe('2026-12-07T12:00:00.000Z');
+      expect(await requestRow()).toMatchObject({ status: 'counter_notice', counter_notice_at: RECEIVED_AT, restore_after: result.restoreAfter });
+
+      const notice = await findTestRecord('dmca_counter_notices', { dmca_request_id: request.id });
+      expect([notice.email, seconds(notice.forwarded_at)]).toEqual(['author@example.com', RECEIVED_AT]);
+      expect(sendDMCACounterNoticeForward).toHaveBeenCalledWith(expect.objectContaining({
+        requesterEmail: 'claims@example.com',
+        restoreAfter: result.restoreAfter,
+        counterNotice: expect.objectContaining({ fullName: 'Ann Author' })
+      }), env);
+
+      await expect(fileCounterNotice(request.id, author.id, COUNTER_NOTICE, env, RECEIVED_AT)).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('should leave forwarding open when the email fails', async () => {
+      sendDMCACounterNoticeForward.mockResolvedValueOnce(false);
+
+      const result = await fileCounterNotice(request.id, author.id, COUNTER_NOTICE, env, RECEIVED_AT);
+
+      expect(result.forwarded).toBe(false);
+      expect((await findTestRecord('dmca_counter_notices', { dmca_request_id: request.id })).forwarded_at).toBeNull();
+      expect(await eventTypes()).not.toContain('counter_notice_forwarded');
+    });
+
+    it('should restore the manuscript and withdraw the strike once the window lapses', async () => {
+      const { restoreAfter } = await fileCounterNotice(request.id, author.id, COUNTER_NOTICE, env, RECEIVED_AT);
+
+      expect(await processDMCARestorations(env, restoreAfter - 1)).toEqual({ restored: 0 });
+      expect((await manuscriptRow()).dmca_status).toBe('taken_down');
+
+      expect(await processDMCARestorations(env, restoreAfter)).toEqual({ restored: 1 });
+      expect(await requestRow()).toMatchObject({ status: 'restored', restored_at: restoreAfter });
+      expect((await manuscriptRow()).dmca_status).toBe('clear');
+      expect(await strikes()).toMatchObject([{ revoked_at: restoreAfter, revoke_reason: 'counter_notice_restored' }]);
+      expect(sendDMCAOwnerNotification).toHaveBeenCalledWith(expect.objectContaining({ action: 'restored' }), env);
+
+      expect(await processDMCARestorations(env, restoreAfter + DAY)).toEqual({ restored: 0 });
+    });
+
+    it('should keep the manuscript down while another takedown against it stands', async () => {
+      const second = await submit(manuscripts[0]);
+      await approve(second, TAKEDOWN_AT, 'Second claimant');
+      const { restoreAfter } = await fileCounterNotice(request.id, author.id, COUNTER_NOTICE, env, RECEIVED_AT);
+
+      await processDMCARestorations(env, restoreAfter);
+
+      expect((await requestRow()).status).toBe('restored');
+      expect((await manuscriptRow()).dmca_status).toBe('taken_down');
+    });
+
+    it('should cancel the restoration when the claimant files a court action', async () => {
+      const { restoreAfter } = await fileCounterNotice(request.id, author.id, COUNTER_NOTICE, env, RECEIVED_AT);
+
+      await expect(recordCourtAction(request.id, admin.id, {}, env)).rejects.toBeInstanceOf(ValidationError);
+      await recordCourtAction(request.id, admin.id, { caseReference: 'D. Me. 2:26-cv-00123' }, env, RECEIVED_AT + DAY);
+
+      expect(await processDMCARestorations(env, restoreAfter)).toEqual({ restored: 0 });
+      expect(await requestRow()).toMatchObject({ status: 'court_action', court_action_at: RECEIVED_AT + DAY });
+      expect((await manuscriptRow()).dmca_status).toBe('taken_down');
+      await expect(recordCourtAction(request.id, admin.id, { caseReference: 'again' }, env)).rejects.toBeInstanceOf(ConflictError);
+    });
+  });
+
+  describe('Case records', () => {
+    beforeEach(async () => {
+      await approve(request, TAKEDOWN_AT, 'Copied "verbatim", chapters 1-3');
+      await fileCounterNotice(request.id, author.id, COUNTER_NOTICE, env, RECEIVED_AT);
+    });
+
+    it('should list the uploader cases with their strike standing', async () => {
+      const { cases, strikes: standing } = await listOwnerCases(author.id, env, at('2026-11-21T00:00:00Z'));
+
+      expect(cases).toEqual([expect.objectContaining({
+        id: request.id,
+        manuscriptTitle: 'The Ferry',
+        claimant: 'Claims Ltd',
+        status: 'counter_notice',
+        canFileCounterNotice: false
+      })]);
+      expect(standing.active).toHaveLength(1);
+      expect(standing.suspendAt).toBe(3);
+    });
+
+    it('should export the full case history in the order it happened', async () => {
+      const audit = await getCaseAudit(request.id, env);
+
+      expect(audit.request).toMatchObject({ id: request.id, status: 'counter_notice', requesterEmail: 'claims@example.com' });
+      expect(audit.counterNotice).toMatchObject({ fullName: 'Ann Author', perjuryAttestation: true });
+      expect(audit.strike).toMatchObject({ userId: author.id, revokedAt: null });
+      expect(audit.events.map(e => e.type)).toEqual(['taken_down', 'strike_issued', 'counter_notice_filed', 'counter_notice_forwarded']);
+
+      const [, first, ...rest] = caseAuditToCsv(audit).trim().split('\n');
+      expect(first).toBe(`2026-11-19T15:00:00.000Z,${request.id},taken_down,admin,${admin.id},"{""resolutionNotes"":""Copied \\""verbatim\\"", chapters 1-3""}"`);
+      expect(rest).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Notification Service Integration Tests
+ *
+ * The dispatcher draining notification_queue against the test database:
+ * in-app feed entries, immediate emails, digests, retries with backoff,
+ * dead-lettering and reclaiming rows left behind by a crashed dispatcher.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { getTestDbAdapter, insertTestRecord, findTestRecord, countTestRecords, queryTestDb } from '../../test-helpers/database.js';
+import {
+  createTestUser,
+  createTestManuscript,
+  createTestMessage,
+  createTestRevisionRequest,
+  createTestNotificationPreferences,
+  createTestEmailPreferences
+} from '../../test-helpers/factories.js';
+
+vi.mock('../../../src/services/email-service.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  sendEmail: vi.fn(async () => true)
+}));
+
+import { sendEmail } from '../../../src/services/email-service.js';
+import {
+  enqueueNotification,
+  dispatchPendingNotifications,
+  dispatchDigests,
+  nextDigestAt
+} from '../../../src/services/notification-service.js';
+
+// Monday 19 October 2026, 10:00 UTC
+const NOW = Date.UTC(2026, 9, 19, 10) / 1000;
+const HOUR = 3600;
+
+async function queueRow(id) {
+  const row = await findTestRecord('notification_queue', { id });
+  return {
+    ...row,
+    next_attempt_at: row.next_attempt_at === null ? null : Number(row.next_attempt_at),
+    sent_at: row.sent_at === null ? null : Number(row.sent_at)
+  };
+}
+
+describe.skipIf(!process.env.TEST_DATABASE_URL)('Notification dispatcher', () => {
+  let env;
+  let author;
+  let manuscript;
+  let message;
+  let revision;
+
+  beforeEach(async () => {
+    sendEmail.mockReset();
+    sendEmail.mockResolvedValue(true);
+
+    env = { DB: getTestDbAdapter() };
+    author = await insertTestRecord('users', await createTestUser({ email: 'ada@example.com', full_name: 'Ada Marsh' }));
+    const editor = await insertTestRecord('users', await createTestUser({ email: 'ed@example.com', full_name: 'Ed Stone', role: 'publisher' }));
+    manuscript = await insertTestRecord('manuscripts', createTestManuscript(author.id, { title: 'The <Ferry>' }));
+    message = await insertTestRecord('submission_messages', createTestMessage(manuscript.id, editor.id, author.id, {
+      body: 'Loved the opening.\n\nCould the ferry leave at night?'
+    }));
+    revision = await insertTestRecord('revision_requests', createTestRevisionRequest(manuscript.id, editor.id, {
+      deadline: Date.UTC(2026, 11, 1) / 1000
+    }));
+  });
+
+  const queueMessage = () => enqueueNotification(env, {
+    userId: author.id, type: 'message', submissionId: manuscript.id, messageId: message.id
+  });
+
+  it('should add to the feed and email immediately with an unsubscribe link', async () => {
+    const queueId = await queueMessage();
+
+    expect(await dispatchPendingNotifications(env, NOW)).toMatchObject({ processed: 1, sent: 1 });
+
+    expect(await findTestRecord('notifications', { queue_id: queueId })).toMatchObject({
+      user_id: author.id,
+      title: 'New message about "The <Ferry>"',
+      body: 'Ed Stone sent you a message: Chapter 3',
+      link: `https://dashboard.selfpubhub.co/communication.html?submission=${manuscript.id}`,
+      read_at: null
+    });
+
+    const { unsubscribe_token } = await findTestRecord('email_preferences', { user_id: author.id });
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    const email = sendEmail.mock.calls[0][0];
+    expect(email.to).toBe('ada@example.com');
+    expect(email.text).toContain('Could the ferry leave at night?');
+    expect(email.html).toContain(`https://api.selfpubhub.co/unsubscribe/${unsubscribe_token}`);
+    expect(await queueRow(queueId)).toMatchObject({ status: 'sent', sent_at: NOW, subject: 'New message about "The <Ferry>"' });
+
+    // Nothing left to do
+    expect((await dispatchPendingNotifications(env, NOW + 60)).processed).toBe(0);
+  });
+
+  it('should keep unsubscribed users to the in-app feed', async () => {
+    await insertTestRecord('email_preferences', createTestEmailPreferences(author.id, { submission_updates: 0 }));
+    const queueId = await queueMessage();
+
+    expect(await dispatchPendingNotifications(env, NOW)).toMatchObject({ skipped: 1 });
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(await countTestRecords('notifications', { user_id: author.id })).toBe(1);
+    expect(await queueRow(queueId)).toMatchObject({ status: 'skipped', error_message: 'Unsubscribed from submission emails' });
+  });
+
+  it('should batch daily digest users into one email at the digest hour', async () => {
+    await insertTestRecord('notification_preferences', createTestNotificationPreferences(author.id, { digest_frequency: 'daily' }));
+    const queueIds = [
+      await queueMessage(),
+      await enqueueNotification(env, { userId: author.id, type: 'revision_request', submissionId: manuscript.id, revisionRequestId: revision.id })
+    ];
+
+    expect(await dispatchPendingNotifications(env, NOW)).toMatchObject({ processed: 2, digest: 2 });
+    expect(await countTestRecords('notifications', { user_id: author.id })).toBe(2);
+    for (const id of queueIds) {
+      expect(await queueRow(id)).toMatchObject({ status: 'digest', next_attempt_at: nextDigestAt(NOW, 'daily') });
+    }
+
+    // Not due yet
+    expect(await dispatchDigests(env, NOW + HOUR)).toMatchObject({ digests: 0 });
+    expect(sendEmail).not.toHaveBeenCalled();
+
+    expect(await dispatchDigests(env, nextDigestAt(NOW, 'daily'))).toMatchObject({ digests: 1, items: 2 });
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    const email = sendEmail.mock.calls[0][0];
+    expect(email.subject).toBe('Your daily ManuscriptHub digest: 2 updates');
+    expect(email.text).toContain('- New message about "The <Ferry>"');
+    expect(email.text).toContain('- Revision requested for "The <Ferry>"');
+    expect(await countTestRecords('notification_queue', { status: 'sent' })).toBe(2);
+  });
+
+  it('should retry failed sends with backoff and dead-letter after the last attempt', async () => {
+    sendEmail.mockResolvedValue(false);
+    env.NOTIFICATION_MAX_ATTEMPTS = '3';
+    const queueId = await queueMessage();
+
+    expect(await dispatchPendingNotifications(env, NOW)).toMatchObject({ failed: 1 });
+    expect(await queueRow(queueId)).toMatchObject({ status: 'failed', attempts: 1, next_attempt_at: NOW + 300 });
+
+    // Backoff not elapsed
+    expect((await dispatchPendingNotifications(env, NOW + 60)).processed).toBe(0);
+
+    expect(await dispatchPendingNotifications(env, NOW + 300)).toMatchObject({ failed: 1 });
+    expect(await queueRow(queueId)).toMatchObject({ attempts: 2, next_attempt_at: NOW + 300 + 900 });
+
+    expect(await dispatchPendingNotifications(env, NOW + 1200)).toMatchObject({ dead: 1 });
+    expect(await queueRow(queueId)).toMatchObject({
+      status: 'dead', attempts: 3, next_attempt_at: null, error_message: 'Email provider did not accept the message'
+    });
+    expect(sendEmail).toHaveBeenCalledTimes(3);
+
+    // The feed entry is written once, not per attempt
+    expect(await countTestRecords('notifications', { queue_id: queueId })).toBe(1);
+    expect((await dispatchPendingNotifications(env, NOW + 100000)).processed).toBe(0);
+  });
+
+  it('should reclaim rows left processing by a crashed dispatcher', async () => {
+    const queueId = await queueMessage();
+    await queryTestDb("UPDATE notification_queue SET status = 'processing', locked_at = $1 WHERE id = $2", [NOW - 60, queueId]);
+
+    expect((await dispatchPendingNotifications(env, NOW)).processed).toBe(0);
+    expect(await dispatchPendingNotifications(env, NOW + 600)).toMatchObject({ sent: 1 });
+  });
+});
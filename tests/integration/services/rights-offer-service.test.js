@@ -0,0 +1,138 @@
+/**
+ * Rights Offer Service Integration Tests
+ *
+ * Negotiating offers against the test database: versioned counters, grants
+ * written on acceptance, stale and closed offers, exclusive conflicts and
+ * the hourly deadline reminders and expiry.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getTestDbAdapter, insertTestRecord, findTestRecord, countTestRecords, queryTestDb } from '../../test-helpers/database.js';
+import { createTestUser, createTestManuscript, createTestRightsGrant } from '../../test-helpers/factories.js';
+import {
+  createOffer,
+  counterOffer,
+  acceptOffer,
+  declineOffer,
+  getNegotiationTimeline,
+  processOfferDeadlines
+} from '../../../src/services/rights-offer-service.js';
+
+const DAY = 86400;
+const now = () => Math.floor(Date.now() / 1000);
+
+describe.skipIf(!process.env.TEST_DATABASE_URL)('Rights offers', () => {
+  let env;
+  let author;
+  let editor;
+  let manuscript;
+
+  beforeEach(async () => {
+    env = { DB: getTestDbAdapter() };
+    author = await insertTestRecord('users', await createTestUser());
+    editor = await insertTestRecord('users', await createTestUser({ role: 'publisher' }));
+    manuscript = await insertTestRecord('manuscripts', createTestManuscript(author.id, { title: 'The Ferry' }));
+  });
+
+  const receiveOffer = (input = {}) => createOffer(manuscript.id, author.id, {
+    publisherName: 'Harbour Books',
+    publisherId: editor.id,
+    rightsOffered: ['audio', 'print'],
+    advance: 5000,
+    royaltyRate: 0.1,
+    durationYears: 7,
+    exclusive: true,
+    responseDeadline: now() + 10 * DAY,
+    ...input
+  }, env);
+
+  const notificationsFor = async (offerId, type) => {
+    const { rows } = await queryTestDb(
+      'SELECT user_id FROM notification_queue WHERE rights_offer_id = $1 AND notification_type = $2',
+      [offerId, type]
+    );
+    return rows.map(row => row.user_id).sort();
+  };
+
+  describe('Negotiation', () => {
+    it('should version each counter and grant the rights on acceptance', async () => {
+      const offer = await receiveOffer();
+      expect(offer).toMatchObject({ publisher_name: 'Harbour Books', status: 'pending', current_version: 1 });
+
+      const countered = await counterOffer(offer.id, author.id, { version: 1, advance: 9000 }, env);
+      expect(countered).toMatchObject({ status: 'countered', current_version: 2, awaiting_party: 'publisher', proposed_advance: 9000 });
+      expect(await notificationsFor(offer.id, 'rights_offer')).toEqual([editor.id]);
+      expect(await countTestRecords('rights_offer_versions', { offer_id: offer.id })).toBe(2);
+
+      const { grants } = await acceptOffer(offer.id, editor.id, { version: 2 }, env);
+      expect(grants.map(g => g.rights_type)).toEqual(['audio', 'print']);
+
+      const audio = await findTestRecord('manuscript_rights', { id: `rights-${offer.id}-audio` });
+      const print = await findTestRecord('manuscript_rights', { id: `rights-${offer.id}-print` });
+      expect(audio).toMatchObject({ rights_status: 'granted', advance: 9000, royalty_rate: 0.1, exclusive: 1, offer_id: offer.id, grant_duration_years: 7 });
+      expect(print.advance).toBeNull();
+      expect(audio.grant_end_date - audio.grant_start_date).toBe(7 * 365 * DAY);
+
+      const { timeline } = await getNegotiationTimeline(manuscript.id, author.id, env);
+      expect(timeline.map(e => e.event_type)).toEqual(['received', 'countered', 'accepted']);
+      expect(timeline[1].details.terms).toContain('$9,000 advance');
+    });
+
+    it('should refuse to respond to stale versions or closed offers', async () => {
+      const stranger = await insertTestRecord('users', await createTestUser());
+      const offer = await receiveOffer();
+      await counterOffer(offer.id, editor.id, { royaltyRate: 0.12 }, env);
+
+      await expect(acceptOffer(offer.id, author.id, { version: 1 }, env)).rejects.toMatchObject({ statusCode: 409 });
+      await expect(counterOffer(offer.id, stranger.id, {}, env)).rejects.toMatchObject({ statusCode: 404 });
+
+      await declineOffer(offer.id, author.id, { reason: 'Keeping audio' }, env);
+      await expect(acceptOffer(offer.id, editor.id, {}, env)).rejects.toThrow(/already declined/);
+      expect(await countTestRecords('manuscript_rights', { manuscript_id: manuscript.id })).toBe(0);
+      expect(await findTestRecord('rights_offers', { id: offer.id })).toMatchObject({ status: 'declined', response_notes: 'Keeping audio' });
+    });
+
+    it('should stop on exclusive conflicts until they are acknowledged', async () => {
+      const earlier = await insertTestRecord('manuscript_rights', createTestRightsGrant(manuscript.id, author.id, { exclusive: 1 }));
+      const offer = await receiveOffer();
+
+      const error = await acceptOffer(offer.id, author.id, {}, env).catch(e => e);
+      expect(error.statusCode).toBe(409);
+      expect(error.details.conflicts).toEqual([
+        expect.objectContaining({ conflictType: 'exclusive_violation', offeredRightsType: 'audio', existingRightsId: earlier.id })
+      ]);
+      expect(await countTestRecords('manuscript_rights', { manuscript_id: manuscript.id })).toBe(1);
+
+      await acceptOffer(offer.id, author.id, { acknowledgeConflicts: true }, env);
+      expect(await countTestRecords('manuscript_rights', { manuscript_id: manuscript.id })).toBe(3);
+      expect(await findTestRecord('rights_conflicts', { rights_id_2: earlier.id })).toMatchObject({
+        rights_id_1: `rights-${offer.id}-audio`,
+        conflict_type: 'exclusive_violation'
+      });
+
+      const { timeline } = await getNegotiationTimeline(manuscript.id, author.id, env);
+      expect(timeline.map(e => e.event_type)).toEqual(['received', 'conflicts_acknowledged', 'accepted']);
+    });
+  });
+
+  describe('Deadlines', () => {
+    it('should remind the awaiting party once per window and expire lapsed offers', async () => {
+      const offer = await receiveOffer({ rightsOffered: ['film_tv'] });
+      await counterOffer(offer.id, author.id, { advance: 20000 }, env);
+
+      const { response_deadline: deadline } = await findTestRecord('rights_offers', { id: offer.id });
+
+      expect(await processOfferDeadlines(env, deadline - 8 * DAY)).toEqual({ reminded: 0, expired: 0 });
+      expect(await processOfferDeadlines(env, deadline - 6 * DAY)).toEqual({ reminded: 1, expired: 0 });
+      expect(await processOfferDeadlines(env, deadline - 5 * DAY)).toEqual({ reminded: 0, expired: 0 });
+      expect(await processOfferDeadlines(env, deadline - DAY / 2)).toEqual({ reminded: 1, expired: 0 });
+      expect(await notificationsFor(offer.id, 'rights_offer_deadline')).toEqual([editor.id, editor.id]);
+
+      expect(await processOfferDeadlines(env, deadline + 1)).toEqual({ reminded: 0, expired: 1 });
+      expect(await findTestRecord('rights_offers', { id: offer.id })).toMatchObject({ status: 'expired', awaiting_party: null });
+      // The counter notified the publisher; expiry tells both parties
+      expect(await notificationsFor(offer.id, 'rights_offer')).toEqual([author.id, editor.id, editor.id].sort());
+      expect(await processOfferDeadlines(env, deadline + DAY)).toEqual({ reminded: 0, expired: 0 });
+    });
+  });
+});
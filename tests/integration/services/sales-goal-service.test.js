@@ -0,0 +1,114 @@
+/**
+ * Sales Goal Service Integration Tests
+ *
+ * Goals evaluated against sales_data in the test database: validation,
+ * projections and the one-time alert when a goal starts trending to miss,
+ * completion, and month and quarter-end forecasts.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getTestDbAdapter, insertTestRecord, findTestRecord, countTestRecords } from '../../test-helpers/database.js';
+import { createTestUser, createTestManuscript, createTestSale } from '../../test-helpers/factories.js';
+import { createGoal, evaluateGoal, forecastSales } from '../../../src/services/sales-goal-service.js';
+
+const DAY = 86400;
+// Monday 19 October 2026, 10:00 UTC
+const NOW = Date.UTC(2026, 9, 19, 10) / 1000;
+const TODAY = Math.floor(NOW / DAY);
+
+/**
+ * About 10 royalties a day (20 on weekends) for twelve weeks, ending yesterday
+ */
+function weeklyRoyalties(days = 84) {
+  return Array.from({ length: days }, (_, i) => {
+    const weekday = (TODAY - days + i + 4) % 7; // 1970-01-01 was a Thursday
+    const noise = Math.sin(i * 12.9898) * 43758.5453 % 1;
+    return { day: TODAY - days + i, royalties: (weekday === 0 || weekday === 6 ? 20 : 10) + noise };
+  });
+}
+
+describe.skipIf(!process.env.TEST_DATABASE_URL)('Sales goals', () => {
+  let env;
+  let author;
+  let manuscript;
+
+  beforeEach(async () => {
+    env = { DB: getTestDbAdapter() };
+    author = await insertTestRecord('users', await createTestUser());
+    manuscript = await insertTestRecord('manuscripts', createTestManuscript(author.id));
+
+    for (const { day, royalties } of weeklyRoyalties()) {
+      await insertTestRecord('sales_data', createTestSale(manuscript.id, author.id, {
+        sale_date: day * DAY + 3600,
+        units_sold: Math.round(royalties),
+        revenue: royalties * 3,
+        royalty_earned: royalties
+      }));
+    }
+  });
+
+  const goalFor = target => createGoal(author.id, {
+    goalName: 'October royalties',
+    goalType: 'royalties',
+    targetValue: target,
+    manuscriptId: manuscript.id,
+    startDate: Date.UTC(2026, 9, 1) / 1000,
+    endDate: Date.UTC(2026, 9, 31) / 1000
+  }, env);
+
+  it('should validate goals and their scope', async () => {
+    await expect(createGoal(author.id, { goalName: 'Rank', goalType: 'rank', targetValue: 1 }, env)).rejects.toThrow(/goalType/);
+    await expect(createGoal(author.id, { goalName: 'X', goalType: 'units', targetValue: -5 }, env)).rejects.toThrow(/targetValue/);
+    await expect(createGoal(author.id, { goalName: 'X', goalType: 'units', targetValue: 5, manuscriptId: 'missing' }, env))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(await countTestRecords('sales_goals', { user_id: author.id })).toBe(0);
+  });
+
+  it('should project progress and alert once when a goal starts trending to miss', async () => {
+    const reachable = await goalFor(300);
+    const { progress } = await evaluateGoal(reachable, env, NOW);
+    expect(progress.state).toBe('on_track');
+    expect(progress.projection.expected).toBeGreaterThan(300);
+    expect(await countTestRecords('notification_queue', { user_id: author.id })).toBe(0);
+
+    const stretch = await goalFor(1200);
+    const first = await evaluateGoal(stretch, env, NOW);
+    expect(first.progress.state).toBe('off_track');
+    expect(first.alerted).toBe(true);
+    expect(await findTestRecord('notification_queue', { user_id: author.id })).toMatchObject({
+      notification_type: 'sales_goal',
+      sales_goal_id: stretch.id
+    });
+
+    const stored = await findTestRecord('sales_goals', { id: stretch.id });
+    expect(stored).toMatchObject({ forecast_state: 'off_track', alerted_state: 'off_track' });
+
+    const again = await evaluateGoal(stored, env, NOW + 3600);
+    expect(again.alerted).toBe(false);
+    expect(await countTestRecords('notification_queue', { user_id: author.id })).toBe(1);
+  });
+
+  it('should complete goals that reach their target', async () => {
+    const goal = await goalFor(50);
+    const { completed } = await evaluateGoal(goal, env, NOW);
+
+    expect(completed).toBe(true);
+    const stored = await findTestRecord('sales_goals', { id: goal.id });
+    expect(stored).toMatchObject({ status: 'completed', forecast_state: 'achieved' });
+    expect(Number(stored.completed_at)).toBe(NOW);
+  });
+
+  it('should project month-end and quarter-end royalties', async () => {
+    const forecast = await forecastSales(author.id, { manuscriptId: manuscript.id }, env, NOW);
+
+    expect(forecast.method).toBe('holt_winters');
+    // 18 days of October already sold at ~12.9 a day, 12 more days to come after today
+    expect(forecast.monthEnd.actual).toBeGreaterThan(180);
+    expect(forecast.monthEnd.expected - forecast.monthEnd.actual).toBeGreaterThan(110);
+    expect(forecast.monthEnd.expected - forecast.monthEnd.actual).toBeLessThan(170);
+    expect(forecast.monthEnd.lower).toBeLessThanOrEqual(forecast.monthEnd.expected);
+    expect(forecast.quarterEnd.expected).toBeGreaterThan(forecast.monthEnd.upper);
+
+    await expect(forecastSales(author.id, { metric: 'reviews' }, env, NOW)).rejects.toThrow(/metric/);
+  });
+});
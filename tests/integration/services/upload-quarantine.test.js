@@ -0,0 +1,247 @@
+/**
+ * Upload Quarantine Integration Tests
+ *
+ * Uploads against the test database: files held under the quarantine prefix
+ * until scanned, released with the jobs that waited on them, blocked when
+ * infected (manuscript, cover and notifications), retried or released
+ * unscanned while the scanner is down, and rescanned once it recovers.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getTestDbAdapter, insertTestRecord, findTestRecord, queryTestDb } from '../../test-helpers/database.js';
+import { createTestUser, createTestManuscript } from '../../test-helpers/factories.js';
+import { mockRedis, mockStorageAdapter, mockQueue, mockVirusScanner } from '../../test-helpers/mocks.js';
+import {
+  quarantineUpload,
+  getFileScanState,
+  assertFileReleased,
+  queueAfterScan,
+  runScanCycle,
+  FileQuarantinedError,
+  QUARANTINE_CONFIG
+} from '../../../src/services/upload-quarantine.js';
+
+const NOW = 1760000000;
+const EICAR = 'X5O!P%@AP';
+
+describe.skipIf(!process.env.TEST_DATABASE_URL)('Upload quarantine', () => {
+  let env;
+  let author;
+  let admins;
+  let manuscript;
+  let bookKey;
+
+  beforeEach(async () => {
+    env = { DB: getTestDbAdapter(), REDIS: mockRedis(), R2: mockStorageAdapter(), QUEUE: mockQueue() };
+    author = await insertTestRecord('users', await createTestUser());
+    admins = [
+      await insertTestRecord('users', await createTestUser({ role: 'admin' })),
+      await insertTestRecord('users', await createTestUser({ role: 'admin' }))
+    ];
+
+    bookKey = `${author.id}/ferry/book.docx`;
+    manuscript = await insertTestRecord('manuscripts', createTestManuscript(author.id, {
+      r2_key: bookKey,
+      cover_image_key: `${author.id}/ferry/covers/cover.jpg`,
+      status: 'uploaded'
+    }));
+
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const bucket = () => env.R2.getBucket('manuscripts_raw');
+  const storedKeys = () => bucket()._inspect().keys;
+  const queued = () => env.QUEUE._getSent();
+
+  const uploadManuscript = (contents = 'Chapter One') => quarantineUpload(env, {
+    bucket: 'manuscripts_raw',
+    key: bookKey,
+    body: new TextEncoder().encode(contents),
+    source: 'manuscript',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    customMetadata: { manuscriptId: manuscript.id },
+    fileName: 'book.docx',
+    userId: author.id,
+    manuscriptId: manuscript.id,
+    ipAddress: '203.0.113.7'
+  });
+
+  const analyseAfterScan = reportId =>
+    queueAfterScan(env, { bucket: 'manuscripts_raw', key: bookKey }, 'analysis', { reportId });
+
+  const quarantined = async () => {
+    const row = await findTestRecord('quarantined_files', { final_key: bookKey });
+    return {
+      ...row,
+      released_at: row.released_at === null ? null : Number(row.released_at),
+      scanned_at: row.scanned_at === null ? null : Number(row.scanned_at),
+      next_attempt_at: Number(row.next_attempt_at)
+    };
+  };
+
+  const notifications = async () => {
+    const { rows } = await queryTestDb(
+      'SELECT user_id, notification_type, submission_id, quarantined_file_id FROM notification_queue ORDER BY notification_type DESC, user_id'
+    );
+    return rows;
+  };
+
+  it('should hold an upload under the quarantine prefix until it is scanned', async () => {
+    const { quarantineId, scanStatus } = await uploadManuscript();
+
+    expect(scanStatus).toBe('pending_scan');
+    expect(storedKeys()).toEqual([`quarantine/${bookKey}`]);
+    expect((await bucket().get(`quarantine/${bookKey}`)).customMetadata)
+      .toMatchObject({ manuscriptId: manuscript.id, quarantineId, scanStatus: 'pending_scan' });
+    expect(await getFileScanState(env, 'manuscripts_raw', bookKey)).toBe('pending_scan');
+    await expect(assertFileReleased(env, 'manuscripts_raw', bookKey)).rejects.toBeInstanceOf(FileQuarantinedError);
+
+    // Files stored before quarantine existed count as released
+    await expect(assertFileReleased(env, 'manuscripts_raw', `${author.id}/older/book.docx`)).resolves.toBeUndefined();
+  });
+
+  it('should release a clean file and send the jobs that waited for it', async () => {
+    await uploadManuscript();
+    expect(await analyseAfterScan('rep-1')).toBe(true);
+    expect(queued()).toEqual([]);
+
+    const counts = await runScanCycle(env, { scanner: mockVirusScanner(), now: NOW });
+
+    expect(counts).toMatchObject({ processed: 1, clean: 1, scannerHealthy: true });
+    expect(storedKeys()).toEqual([bookKey]);
+    expect((await bucket().get(bookKey)).customMetadata).toEqual({ manuscriptId: manuscript.id, virusScanId: 'scan-1' });
+    expect(queued()).toEqual([{ queue: 'analysis', body: { reportId: 'rep-1' } }]);
+    expect(await quarantined()).toMatchObject({ status: 'clean', released_at: NOW, last_scan_id: 'scan-1' });
+
+    // Once released, jobs go straight to the queue
+    expect(await analyseAfterScan('rep-2')).toBe(false);
+    expect(queued()).toHaveLength(2);
+  });
+
+  it('should block an infected file, record an incident and notify the uploader and admins', async () => {
+    const { quarantineId } = await uploadManuscript(EICAR);
+    await analyseAfterScan('rep-1');
+    const scanner = mockVirusScanner({ verdicts: { [EICAR]: 'Eicar-Signature' } });
+
+    const counts = await runScanCycle(env, { scanner, now: NOW });
+
+    expect(counts).toMatchObject({ processed: 1, infected: 1 });
+    expect(scanner.incidents).toEqual([{ viruses: ['Eicar-Signature'], filename: 'book.docx', userId: author.id, ipAddress: '203.0.113.7' }]);
+    expect(await quarantined()).toMatchObject({ status: 'infected', incident_id: 'incident-1', viruses: '["Eicar-Signature"]' });
+    expect(storedKeys()).toEqual(['status:rep-1']);
+    expect(await (await bucket().get('status:rep-1')).json()).toMatchObject({ status: 'failed' });
+    expect(queued()).toEqual([]);
+    expect((await findTestRecord('manuscripts', { id: manuscript.id })).status).toBe('blocked');
+
+    const adminIds = admins.map(admin => admin.id).sort();
+    expect(await notifications()).toEqual([
+      { user_id: author.id, notification_type: 'upload_blocked', submission_id: manuscript.id, quarantined_file_id: quarantineId },
+      ...adminIds.map(id => ({ user_id: id, notification_type: 'malware_detected', submission_id: null, quarantined_file_id: quarantineId }))
+    ]);
+
+    await expect(analyseAfterScan('rep-2')).rejects.toMatchObject({ statusCode: 409, details: { scanStatus: 'infected' } });
+  });
+
+  it('should clear a blocked cover from its manuscript', async () => {
+    await quarantineUpload(env, {
+      bucket: 'marketing_assets',
+      key: manuscript.cover_image_key,
+      body: new TextEncoder().encode('evil cover'),
+      source: 'cover',
+      userId: author.id,
+      manuscriptId: manuscript.id
+    });
+
+    await runScanCycle(env, { scanner: mockVirusScanner({ verdicts: { 'evil cover': 'Win.Trojan' } }), now: NOW });
+
+    expect(await findTestRecord('manuscripts', { id: manuscript.id })).toMatchObject({ cover_image_key: null, status: 'uploaded' });
+    expect(storedKeys()).toEqual([]);
+  });
+
+  it('should keep files in quarantine and retry later while the scanner is down', async () => {
+    await uploadManuscript();
+    const scanner = mockVirusScanner({ healthy: false });
+
+    expect(await runScanCycle(env, { scanner, now: NOW })).toMatchObject({ processed: 1, retry: 1, scannerHealthy: false });
+    expect(await quarantined()).toMatchObject({ status: 'pending_scan', next_attempt_at: NOW + QUARANTINE_CONFIG.RETRY_SECONDS });
+    expect(storedKeys()).not.toContain(bookKey);
+
+    // Not due yet
+    expect(await runScanCycle(env, { scanner, now: NOW + 60 })).toMatchObject({ processed: 0 });
+
+    scanner.healthy = true;
+    expect(await runScanCycle(env, { scanner, now: NOW + QUARANTINE_CONFIG.RETRY_SECONDS })).toMatchObject({ clean: 1 });
+    expect(storedKeys()).toContain(bookKey);
+  });
+
+  it('should read the fail-open setting from env, not the process', async () => {
+    vi.stubEnv('VIRUS_SCANNER_FAIL_OPEN', 'true');
+    await uploadManuscript();
+    const scanner = mockVirusScanner({ healthy: false });
+
+    expect(await runScanCycle(env, { scanner, now: NOW })).toMatchObject({ retry: 1 });
+    vi.unstubAllEnvs();
+
+    env.NODE_ENV = 'development';
+    expect(await runScanCycle(env, { scanner, now: NOW + QUARANTINE_CONFIG.RETRY_SECONDS })).toMatchObject({ accepted_unscanned: 1 });
+  });
+
+  it('should treat a scan that errors as the scanner being down', async () => {
+    await uploadManuscript();
+    const scanner = mockVirusScanner();
+    scanner.scanFile.mockResolvedValue({ scanStatus: 'error', isInfected: false, error: 'Connection reset' });
+
+    expect(await runScanCycle(env, { scanner, now: NOW })).toMatchObject({ retry: 1 });
+    expect(await quarantined()).toMatchObject({ status: 'pending_scan', last_error: 'Connection reset' });
+  });
+
+  it('should release files unscanned when failing open and rescan them once the scanner recovers', async () => {
+    env.VIRUS_SCANNER_FAIL_OPEN = 'true';
+    await uploadManuscript('macro virus');
+    await analyseAfterScan('rep-1');
+    const scanner = mockVirusScanner({ healthy: false, verdicts: { 'macro virus': 'Doc.Macro' } });
+
+    expect(await runScanCycle(env, { scanner, now: NOW })).toMatchObject({ accepted_unscanned: 1 });
+    expect(await quarantined()).toMatchObject({ status: 'accepted_unscanned', released_at: NOW });
+    expect(storedKeys()).toEqual([bookKey]);
+    expect(queued()).toEqual([{ queue: 'analysis', body: { reportId: 'rep-1' } }]);
+
+    // Unscanned files aren't claimed while the scanner is still down
+    expect(await runScanCycle(env, { scanner, now: NOW + 60 })).toMatchObject({ processed: 0 });
+    expect(scanner.scans).toEqual([]);
+
+    scanner.healthy = true;
+    expect(await runScanCycle(env, { scanner, now: NOW + 120 })).toMatchObject({ processed: 1, infected: 1 });
+    expect(storedKeys()).toEqual([]);
+    expect((await findTestRecord('manuscripts', { id: manuscript.id })).status).toBe('blocked');
+    expect((await notifications()).map(n => n.notification_type)).toEqual(['upload_blocked', 'malware_detected', 'malware_detected']);
+    // The analysis already ran on the released file; its status isn't rewritten
+    expect(await bucket().get('status:rep-1')).toBeNull();
+  });
+
+  it('should mark a rescanned file clean without touching it', async () => {
+    env.VIRUS_SCANNER_FAIL_OPEN = 'true';
+    await uploadManuscript();
+    const scanner = mockVirusScanner({ healthy: false });
+    await runScanCycle(env, { scanner, now: NOW });
+
+    scanner.healthy = true;
+    expect(await runScanCycle(env, { scanner, now: NOW + 60 })).toMatchObject({ clean: 1 });
+    expect(await quarantined()).toMatchObject({ status: 'clean', released_at: NOW, scanned_at: NOW + 60 });
+    expect(bucket().put).toHaveBeenCalledTimes(2);
+    expect(await runScanCycle(env, { scanner, now: NOW + 120 })).toMatchObject({ processed: 0 });
+  });
+
+  it('should mark a file that disappeared from quarantine as failed', async () => {
+    await uploadManuscript();
+    bucket()._clear();
+
+    expect(await runScanCycle(env, { scanner: mockVirusScanner(), now: NOW })).toMatchObject({ failed: 1 });
+    expect(await quarantined()).toMatchObject({ status: 'failed', last_error: 'Quarantined file is missing' });
+  });
+});
@@ -0,0 +1,237 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { definePipeline, runPipeline, pipelineProgress, PipelineError } from '../src/services/job-pipeline.js';
+
+// Agents and asset generation are replaced so the pipeline can be driven without an LLM
+const calls = [];
+const failures = {};
+
+function fakeAgent(step) {
+  return class {
+    async analyze(manuscriptKey, genre, userId, manuscriptId, options) {
+      calls.push(`${step}:start`);
+      await options.onProgress({ completed: 0, total: 2, failed: 0, chapter: { title: 'One' } });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      if (failures[step] > 0) {
+        failures[step]--;
+        throw new Error(`${step} failed`);
+      }
+      await options.onProgress({ completed: 1, total: 2, failed: 0, chapter: { title: 'Two' } });
+      calls.push(`${step}:end`);
+      return { chapters: [1, 2] };
+    }
+  };
+}
+
+vi.mock('../src/agents/developmental-agent.js', () => ({ DevelopmentalAgent: fakeAgent('developmental') }));
+vi.mock('../src/agents/line-editing-agent.js', () => ({ LineEditingAgent: fakeAgent('line-editing') }));
+vi.mock('../src/agents/copy-editing-agent.js', () => ({ CopyEditingAgent: fakeAgent('copy-editing') }));
+vi.mock('../src/workers/asset-generation-consumer.js', () => ({
+  generateAssets: async () => {
+    calls.push('assets');
+    return { errors: [] };
+  }
+}));
+vi.mock('../src/services/email-service.js', () => ({
+  sendAnalysisCompleteEmail: async () => calls.push('email')
+}));
+
+const { runAnalysisPipeline, ANALYSIS_PIPELINE } = await import('../src/workers/analysis-pipeline.js');
+
+const noSleep = async () => {};
+
+describe('Job pipeline definitions', () => {
+  it('should order stages by dependency and reject bad graphs', () => {
+    const run = async () => {};
+    const pipeline = definePipeline({
+      name: 'test',
+      stages: [
+        { id: 'publish', dependsOn: ['build', 'check'], run },
+        { id: 'check', run },
+        { id: 'build', run }
+      ]
+    });
+    expect(pipeline.stages.map(stage => stage.id)).toEqual(['build', 'check', 'publish']);
+    expect(pipeline.stages[0]).toMatchObject({ retries: 0, weight: 1, optional: false, dependsOn: [] });
+
+    expect(() => definePipeline({ name: 'x', stages: [{ id: 'a', dependsOn: ['b'], run }] })).toThrow(/unknown stage "b"/);
+    expect(() => definePipeline({ name: 'x', stages: [{ id: 'a', run }, { id: 'a', run }] })).toThrow(/duplicate/);
+    expect(() => definePipeline({
+      name: 'x',
+      stages: [{ id: 'a', dependsOn: ['c'], run }, { id: 'b', dependsOn: ['a'], run }, { id: 'c', dependsOn: ['b'], run }]
+    })).toThrow(/cycle a -> c -> b -> a/);
+  });
+});
+
+describe('runPipeline', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const tracked = (log, id, { fail = 0, abort = false } = {}) => {
+    let failuresLeft = fail;
+    return async () => {
+      log.push(`${id}:start`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      if (abort) {
+        throw Object.assign(new Error('stopped'), { abort: true });
+      }
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        throw new Error(`${id} broke`);
+      }
+      log.push(`${id}:end`);
+      return id;
+    };
+  };
+
+  it('should run independent stages in parallel and retry a stage within its budget', async () => {
+    const log = [];
+    const pipeline = definePipeline({
+      name: 'test',
+      stages: [
+        { id: 'a', run: tracked(log, 'a') },
+        { id: 'b', retries: 1, run: tracked(log, 'b', { fail: 1 }) },
+        { id: 'c', dependsOn: ['a', 'b'], run: tracked(log, 'c') }
+      ]
+    });
+
+    const { state, results } = await runPipeline(pipeline, {}, { sleep: noSleep });
+
+    expect(log.slice(0, 2)).toEqual(['a:start', 'b:start']);
+    expect(log.indexOf('c:start')).toBeGreaterThan(log.lastIndexOf('b:end'));
+    expect(state.stages.b).toMatchObject({ status: 'complete', attempts: 2 });
+    expect(results).toEqual({ a: 'a', b: 'b', c: 'c' });
+    expect(pipelineProgress(pipeline, state)).toBe(100);
+  });
+
+  it('should stop after a required stage fails and resume from the saved state', async () => {
+    let saved = null;
+    const log = [];
+    const stages = fail => [
+      { id: 'a', run: tracked(log, 'a') },
+      { id: 'b', run: tracked(log, 'b', { fail }) },
+      { id: 'c', dependsOn: ['b'], run: tracked(log, 'c') }
+    ];
+
+    const failing = definePipeline({ name: 'test', stages: stages(1) });
+    const error = await runPipeline(failing, {}, { sleep: noSleep, saveState: async state => { saved = structuredClone(state); } })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(PipelineError);
+    expect(error.details).toMatchObject({ failedStages: ['b'], cause: 'b broke' });
+    expect(saved.stages).toMatchObject({ a: { status: 'complete' }, b: { status: 'failed' }, c: { status: 'pending' } });
+
+    log.length = 0;
+    const fixed = definePipeline({ name: 'test', stages: stages(0) });
+    const { state } = await runPipeline(fixed, {}, { state: saved, sleep: noSleep });
+
+    expect(log).toEqual(['b:start', 'b:end', 'c:start', 'c:end']);
+    expect(Object.values(state.stages).every(stage => stage.status === 'complete')).toBe(true);
+  });
+
+  it('should skip only the dependents of a failed optional stage', async () => {
+    const log = [];
+    const pipeline = definePipeline({
+      name: 'test',
+      stages: [
+        { id: 'main', run: tracked(log, 'main') },
+        { id: 'extra', optional: true, run: tracked(log, 'extra', { fail: 5 }) },
+        { id: 'after-extra', dependsOn: ['extra'], run: tracked(log, 'after-extra') }
+      ]
+    });
+
+    const { state } = await runPipeline(pipeline, {}, { sleep: noSleep });
+    expect(state.stages).toMatchObject({
+      main: { status: 'complete' },
+      extra: { status: 'failed', error: 'extra broke' },
+      'after-extra': { status: 'skipped' }
+    });
+  });
+
+  it('should never retry an aborting error and rethrow it unchanged', async () => {
+    const log = [];
+    const pipeline = definePipeline({
+      name: 'test',
+      stages: [{ id: 'a', retries: 3, run: tracked(log, 'a', { abort: true }) }]
+    });
+
+    await expect(runPipeline(pipeline, {}, { sleep: noSleep })).rejects.toMatchObject({ message: 'stopped', abort: true });
+    expect(log).toEqual(['a:start']);
+  });
+});
+
+describe('Analysis pipeline', () => {
+  let objects;
+  let env;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    calls.length = 0;
+    Object.keys(failures).forEach(key => delete failures[key]);
+
+    objects = new Map();
+    const bucket = {
+      put: async (key, value) => objects.set(key, value),
+      get: async key => (objects.has(key) ? { json: async () => JSON.parse(objects.get(key)) } : null)
+    };
+    const dbUpdates = [];
+    env = {
+      dbUpdates,
+      R2: { getBucket: () => bucket },
+      DB: {
+        prepare: sql => ({
+          bind: (...args) => ({
+            run: async () => dbUpdates.push(args[0]),
+            first: async () => (sql.includes('FROM manuscripts') ? { title: 'Book', email: 'a@example.com' } : null)
+          })
+        })
+      }
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const job = { manuscriptKey: 'user-1/ms-1/book.docx', genre: 'thriller', reportId: 'rep-1' };
+
+  it('should run developmental and line editing together, then copy editing, and trigger assets', async () => {
+    expect(ANALYSIS_PIPELINE.stages.find(stage => stage.id === 'line-editing').dependsOn).toEqual([]);
+
+    const result = await runAnalysisPipeline(env, job);
+
+    expect(calls.slice(0, 2)).toEqual(['developmental:start', 'line-editing:start']);
+    expect(calls.indexOf('copy-editing:start')).toBeGreaterThan(calls.indexOf('line-editing:end'));
+    expect(calls).toContain('assets');
+    expect(calls.indexOf('email')).toBeGreaterThan(calls.indexOf('copy-editing:end'));
+
+    expect(result.stages.finalize).toMatchObject({ status: 'complete' });
+    expect(JSON.parse(objects.get('status:rep-1'))).toMatchObject({ status: 'complete', progress: 100 });
+    expect(env.dbUpdates).toEqual(['analyzing', 'analyzed']);
+  });
+
+  it('should resume a failed analysis from the last completed stage', async () => {
+    failures['copy-editing'] = 3; // One attempt plus both retries
+
+    await expect(runAnalysisPipeline(env, job, { sleep: noSleep })).rejects.toThrow(/copy-editing failed/);
+    expect(JSON.parse(objects.get('status:rep-1'))).toMatchObject({
+      status: 'error',
+      resumable: true,
+      failedStages: ['copy-editing']
+    });
+    expect(env.dbUpdates.at(-1)).toBe('failed');
+
+    calls.length = 0;
+    await runAnalysisPipeline(env, job);
+
+    expect(calls.filter(call => call.endsWith(':start'))).toEqual(['copy-editing:start']);
+    expect(JSON.parse(objects.get('status:rep-1'))).toMatchObject({ status: 'complete' });
+  });
+});
@@ -0,0 +1,252 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LLMClient,
+  MockLLMProvider,
+  createLLMClient,
+  extractJSON,
+  validateSchema
+} from '../src/services/llm-client.js';
+import { KeywordAgent } from '../src/agents/keyword-agent.js';
+import { CategoryAgent } from '../src/agents/category-agent.js';
+import { BookDescriptionAgent } from '../src/agents/book-description-agent.js';
+import { AuthorBioAgent } from '../src/agents/author-bio-agent.js';
+import { BackMatterAgent } from '../src/agents/back-matter-agent.js';
+
+/**
+ * Provider that fails a set number of times before answering
+ */
+function createFlakyProvider(name, { failures = 0, status = 429, text = '{"ok":true}' } = {}) {
+  const provider = {
+    name,
+    calls: [],
+    async complete(request) {
+      provider.calls.push(request);
+      if (provider.calls.length <= failures) {
+        const error = new Error(`${name} unavailable`);
+        error.retryable = status === 429 || status >= 500;
+        throw error;
+      }
+      return { text, usage: { inputTokens: 10, outputTokens: 5, model: request.model } };
+    },
+    async *stream(request) {
+      provider.calls.push(request);
+      if (provider.calls.length <= failures) {
+        throw new Error(`${name} unavailable`);
+      }
+      yield { type: 'text', text };
+      yield { type: 'usage', inputTokens: 10, outputTokens: 5, model: request.model };
+    }
+  };
+  return provider;
+}
+
+/**
+ * Environment for running agents offline against recorded fixtures
+ */
+function createOfflineEnv() {
+  const stored = new Map();
+  return {
+    stored,
+    LLM_PROVIDERS: 'mock',
+    LLM_FIXTURES_DIR: 'tests/fixtures/llm',
+    R2: {
+      getBucket: () => ({
+        get: async () => null,
+        put: async (key, value) => stored.set(key, JSON.parse(value))
+      })
+    }
+  };
+}
+
+const DEV_ANALYSIS = {
+  analysis: {
+    plot: { strengths: ['Relentless siege'] },
+    characters: { strengths: ['Mara'] },
+    topPriorities: ['Tighten the middle act']
+  },
+  compTitles: [{ title: 'Fourth Wing', author: 'Rebecca Yarros' }]
+};
+
+describe('LLM client', () => {
+  describe('model routing', () => {
+    it('should pick the model for each agent tier and honour overrides', () => {
+      const client = createLLMClient({
+        LLM_PROVIDERS: 'mock',
+        LLM_ROUTES: '{"CategoryAgent":"strong","CoverDesignAgent":"claude-3-5-haiku-20241022"}'
+      });
+
+      expect(client.resolveModel('anthropic', { agent: 'KeywordAgent' })).toBe('claude-3-5-haiku-20241022');
+      expect(client.resolveModel('anthropic', { agent: 'DevelopmentalAgent' })).toBe('claude-opus-4-20250514');
+      expect(client.resolveModel('openai', { agent: 'SeriesDescriptionAgent' })).toBe('gpt-4o');
+      expect(client.resolveModel('anthropic', { agent: 'CategoryAgent' })).toBe('claude-opus-4-20250514');
+
+      // Model IDs only apply to their own provider
+      expect(client.resolveModel('anthropic', { agent: 'CoverDesignAgent' })).toBe('claude-3-5-haiku-20241022');
+      expect(client.resolveModel('openai', { agent: 'CoverDesignAgent' })).toBe('gpt-4o');
+    });
+
+    it('should require a configured provider', () => {
+      expect(() => createLLMClient({})).toThrow('No LLM provider configured');
+      expect(() => createLLMClient({ LLM_PROVIDERS: 'openai' })).toThrow('OPENAI_API_KEY');
+      expect(() => createLLMClient({ LLM_PROVIDERS: 'palm' })).toThrow('Unknown LLM provider');
+    });
+  });
+
+  describe('retries and fallback', () => {
+    it('should retry transient errors, then fall back to the next provider', async () => {
+      const primary = createFlakyProvider('anthropic', { failures: 10 });
+      const secondary = createFlakyProvider('openai', { text: 'from openai' });
+      const usages = [];
+      const client = new LLMClient({
+        providers: [primary, secondary],
+        maxRetries: 3,
+        baseWaitTime: 0,
+        onUsage: usage => usages.push(usage)
+      });
+
+      const result = await client.complete({ agent: 'KeywordAgent', prompt: 'keywords please' });
+
+      expect(primary.calls).toHaveLength(3);
+      expect(secondary.calls[0].model).toBe('gpt-4o-mini');
+      expect(result.text).toBe('from openai');
+      expect(result.usage.provider).toBe('openai');
+      expect(usages).toHaveLength(1);
+    });
+
+    it('should not retry client errors', async () => {
+      const primary = createFlakyProvider('anthropic', { failures: 10, status: 400 });
+      const client = new LLMClient({ providers: [primary], maxRetries: 3, baseWaitTime: 0 });
+
+      await expect(client.complete({ prompt: 'hi' })).rejects.toThrow('All LLM providers failed');
+      expect(primary.calls).toHaveLength(1);
+    });
+  });
+
+  describe('streaming', () => {
+    it('should stream fixture tokens and finish with the full text', async () => {
+      const client = new LLMClient({
+        providers: [new MockLLMProvider({ fixtures: { Chat: { default: 'Upload your EPUB first, then set pricing.' } } })]
+      });
+
+      const events = [];
+      for await (const event of client.stream({ agent: 'Chat', prompt: 'What next?' })) {
+        events.push(event);
+      }
+
+      const tokens = events.filter(event => event.type === 'text');
+      const done = events[events.length - 1];
+      expect(tokens.length).toBeGreaterThan(1);
+      expect(tokens.map(event => event.text).join('')).toBe('Upload your EPUB first, then set pricing.');
+      expect(done.type).toBe('done');
+      expect(done.text).toBe('Upload your EPUB first, then set pricing.');
+      expect(done.usage.model).toBe('mock');
+    });
+
+    it('should fall back when a stream fails before the first token', async () => {
+      const client = new LLMClient({
+        providers: [createFlakyProvider('anthropic', { failures: 1 }), createFlakyProvider('openai', { text: 'hello' })]
+      });
+
+      const events = [];
+      for await (const event of client.stream({ prompt: 'hi' })) {
+        events.push(event);
+      }
+
+      expect(events.map(event => event.type)).toEqual(['text', 'done']);
+      expect(events[1].usage.provider).toBe('openai');
+    });
+  });
+
+  describe('structured output', () => {
+    const schema = {
+      type: 'object',
+      required: ['keywords'],
+      properties: { keywords: { type: 'array', minItems: 2, items: { type: 'string' } } }
+    };
+
+    it('should send validation errors back and accept the corrected response', async () => {
+      const mock = new MockLLMProvider({
+        fixtures: {
+          KeywordAgent: {
+            generate_keywords: { $sequence: ['Sure! {"keywords": ["one"]}', '```json\n{"keywords": ["one", "two"]}\n```'] }
+          }
+        }
+      });
+      const client = new LLMClient({ providers: [mock] });
+
+      const { data, usage } = await client.completeJSON({
+        agent: 'KeywordAgent',
+        operation: 'generate_keywords',
+        prompt: 'keywords please',
+        schema
+      });
+
+      expect(data.keywords).toEqual(['one', 'two']);
+      expect(mock.calls).toHaveLength(2);
+      expect(mock.calls[1].messages[2].content).toContain('$.keywords: must have at least 2 items');
+      expect(usage.inputTokens).toBeGreaterThan(0);
+    });
+
+    it('should give up after the configured attempts', async () => {
+      const client = new LLMClient({
+        providers: [new MockLLMProvider({ fixtures: { default: { default: 'no json here' } } })]
+      });
+
+      await expect(client.completeJSON({ prompt: 'hi', schema, maxAttempts: 2 }))
+        .rejects.toThrow('did not match the expected format');
+    });
+
+    it('should extract JSON and validate nested schemas', () => {
+      expect(extractJSON('Here you go:\n[{"a": 1}]\nThanks')).toEqual([{ a: 1 }]);
+      expect(validateSchema({ score: 2, tags: ['x', 3] }, {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          score: { type: 'number', maximum: 1 },
+          tags: { type: 'array', items: { type: 'string' } }
+        }
+      })).toEqual([
+        '$.name: is required',
+        '$.score: must be <= 1',
+        '$.tags[1]: expected string, got number'
+      ]);
+    });
+  });
+
+  describe('agents against recorded fixtures', () => {
+    it('should run the marketing agents with no network access', async () => {
+      const env = createOfflineEnv();
+
+      const { keywords } = await new KeywordAgent(env).generate('ms-1', DEV_ANALYSIS, 'fantasy');
+      expect(keywords.keywords).toHaveLength(7);
+      expect(keywords.keywords.every(keyword => keyword.length <= 50)).toBe(true);
+      expect(keywords.keywords).toContain('strong female warrior heroine');
+
+      const { categories } = await new CategoryAgent(env).generate('ms-1', DEV_ANALYSIS, 'fantasy');
+      expect(categories.primary[0].code).toBe('FIC009020');
+
+      const { bio } = await new AuthorBioAgent(env).generate('ms-1', DEV_ANALYSIS, 'fantasy', { name: 'Jane Doe' });
+      expect(bio.short).toContain('Jane Doe');
+
+      const { backMatter } = await new BackMatterAgent(env).generate('ms-1', DEV_ANALYSIS, 'fantasy', {
+        authorName: 'Jane Doe',
+        newsletterUrl: 'https://example.com/news'
+      });
+      expect(backMatter.formatted.plainText).toContain('Want more dragons?');
+
+      expect([...env.stored.keys()]).toEqual([
+        'ms-1-keywords.json',
+        'ms-1-categories.json',
+        'ms-1-author-bio.json',
+        'ms-1-back-matter.json'
+      ]);
+    });
+
+    it('should name the missing fixture when an agent has none recorded', async () => {
+      const env = { ...createOfflineEnv(), LLM_FIXTURES_DIR: 'tests/fixtures/none' };
+
+      await expect(new BookDescriptionAgent(env).generateDescription('', {}, {}, 'fantasy', []))
+        .rejects.toThrow('No LLM fixture for BookDescriptionAgent / generate_book_description');
+    });
+  });
+});
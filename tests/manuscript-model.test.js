@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { PDFDocument } from 'pdf-lib';
+import { Document, Packer, Paragraph, TextRun, HeadingLevel } from 'docx';
+import {
+  parseMammothHTML,
+  assembleModel,
+  buildModelFromDOCX,
+  buildModelFromText,
+  modelToText,
+  chapterToXhtml,
+  chunkModelIntoSections
+} from '../src/utils/manuscript-model.js';
+import { generateEPUB } from '../src/generators/epub-generator.js';
+import { generatePrintPDF } from '../src/generators/pdf-generator.js';
+
+/**
+ * Build a small styled DOCX manuscript
+ */
+async function buildDOCX() {
+  const doc = new Document({
+    sections: [{
+      children: [
+        new Paragraph({ text: 'The Long Road', style: 'Title' }),
+        new Paragraph({ text: 'Chapter One', heading: HeadingLevel.HEADING_1 }),
+        new Paragraph({ children: [new TextRun('She had '), new TextRun({ text: 'never', italics: true }), new TextRun(' seen the sea.')] }),
+        new Paragraph({ text: 'The gulls screamed overhead.' }),
+        new Paragraph({ text: '* * *' }),
+        new Paragraph({ text: 'Morning came grey and cold.' }),
+        new Paragraph({ text: 'The Storm', heading: HeadingLevel.HEADING_1 }),
+        new Paragraph({ text: 'Rain.' })
+      ]
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+describe('Manuscript Document Model', () => {
+  describe('parseMammothHTML', () => {
+    it('should keep headings, emphasis and decode entities', () => {
+      const blocks = parseMammothHTML(
+        '<h1>Chapter 1</h1><p>It was <em>not</em> <strong>fine</strong> &amp; dandy.</p>' +
+        '<blockquote><p>Quoted</p></blockquote>'
+      );
+
+      expect(blocks).toHaveLength(3);
+      expect(blocks[0]).toMatchObject({ kind: 'heading', level: 1 });
+      expect(blocks[1].spans).toEqual([
+        { text: 'It was ' },
+        { text: 'not', italic: true },
+        { text: ' ' },
+        { text: 'fine', bold: true },
+        { text: ' & dandy.' }
+      ]);
+      expect(blocks[2].kind).toBe('blockquote');
+    });
+  });
+
+  describe('assembleModel', () => {
+    it('should use the highest heading level for chapters', () => {
+      const model = assembleModel(parseMammothHTML(
+        '<h2>Prologue</h2><p>A.</p><h2>Chapter 1</h2><h3>Monday</h3><p>B.</p>'
+      ));
+
+      expect(model.chapters.map(chapter => chapter.title)).toEqual(['Prologue', 'Chapter 1']);
+      expect(model.chapters[1].scenes[0].paragraphs[0]).toMatchObject({ type: 'heading', level: 3 });
+    });
+  });
+
+  describe('buildModelFromDOCX', () => {
+    it('should build chapters, scenes and emphasis spans from styles', async () => {
+      const model = await buildModelFromDOCX(await buildDOCX());
+
+      expect(model.source).toBe('docx');
+      expect(model.title).toBe('The Long Road');
+      expect(model.chapters.map(chapter => chapter.title)).toEqual(['Chapter One', 'The Storm']);
+      expect(model.chapters[0].scenes).toHaveLength(2);
+      expect(model.chapters[0].scenes[0].paragraphs[0].spans).toContainEqual({ text: 'never', italic: true });
+      expect(model.stats).toMatchObject({ chapterCount: 2, sceneCount: 3, paragraphCount: 4 });
+    });
+  });
+
+  describe('buildModelFromText', () => {
+    it('should detect chapter headings and scene breaks in plain text', () => {
+      const model = buildModelFromText('Chapter 1\n\nFirst.\n\n***\n\nSecond.\n\nChapter 2\n\nThird.');
+
+      expect(model.chapters).toHaveLength(2);
+      expect(model.chapters[0].scenes).toHaveLength(2);
+      expect(model.stats.wordCount).toBe(3);
+    });
+  });
+
+  describe('serialization', () => {
+    it('should round-trip chapters and scene breaks to text', async () => {
+      const model = await buildModelFromDOCX(await buildDOCX());
+      const text = modelToText(model);
+
+      expect(text).toContain('Chapter One\n\nShe had never seen the sea.');
+      expect(text).toContain('* * *');
+      expect(modelToText(model, { markEmphasis: true })).toContain('She had *never* seen the sea.');
+    });
+
+    it('should render emphasis and scene breaks as XHTML', async () => {
+      const model = await buildModelFromDOCX(await buildDOCX());
+      const xhtml = chapterToXhtml(model.chapters[0]);
+
+      expect(xhtml).toContain('<p>She had <em>never</em> seen the sea.</p>');
+      expect(xhtml).toContain('<hr class="scene-break"/>');
+    });
+
+    it('should chunk sections on paragraph boundaries within chapters', async () => {
+      const model = await buildModelFromDOCX(await buildDOCX());
+      const sections = chunkModelIntoSections(model, 5);
+
+      expect(sections.every(section => section.chapterTitle)).toBe(true);
+      expect(sections[0].text).toBe('She had *never* seen the sea.');
+      expect(sections.at(-1)).toMatchObject({ chapterTitle: 'The Storm', text: 'Rain.' });
+    });
+  });
+
+  describe('generators', () => {
+    it('should carry italics and scene breaks into generated EPUBs', async () => {
+      const model = await buildModelFromDOCX(await buildDOCX());
+      const epub = await generateEPUB({ title: 'The Long Road', model });
+      const zip = await JSZip.loadAsync(epub);
+      const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+
+      expect(Object.keys(zip.files)).toContain('OEBPS/chapter2.xhtml');
+      expect(chapter).toContain('<em>never</em>');
+      expect(chapter).toContain('scene-break');
+    });
+
+    it('should typeset a model into a print PDF', async () => {
+      const model = await buildModelFromDOCX(await buildDOCX());
+      const pdf = await PDFDocument.load(await generatePrintPDF({ title: 'The Long Road', model }));
+
+      // Title, copyright, contents, blank, then the two chapters
+      expect(pdf.getPageCount()).toBe(6);
+    });
+  });
+});
@@ -0,0 +1,384 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { diffSequences, detectChanges } from '../src/services/change-detector.js';
+import { diffWords, diffChapters } from '../src/utils/manuscript-diff.js';
+import {
+  listVersions,
+  createVersion,
+  startVersionAnalysis,
+  diffVersions,
+  compareVersionAnalyses,
+  summarizeAnalyses
+} from '../src/services/manuscript-version-service.js';
+import { processQuarantinedFile } from '../src/services/upload-quarantine.js';
+
+describe('diffSequences', () => {
+  it('should find a longest common subsequence', () => {
+    const runs = diffSequences('ABCABBA'.split(''), 'CBABAC'.split(''));
+    const common = runs.filter(run => run.type === 'equal').flatMap(run => run.items);
+
+    expect(common).toHaveLength(4);
+    expect(runs.filter(run => run.type !== 'added').flatMap(run => run.items).join('')).toBe('ABCABBA');
+    expect(runs.filter(run => run.type !== 'removed').flatMap(run => run.items).join('')).toBe('CBABAC');
+  });
+
+  it('should report a wholesale replacement past maxEdits', () => {
+    const runs = diffSequences(['x', 'a', 'b', 'y'], ['x', 'c', 'd', 'y'], { maxEdits: 1 });
+    expect(runs.map(run => [run.type, run.items.join('')])).toEqual([
+      ['equal', 'x'], ['removed', 'ab'], ['added', 'cd'], ['equal', 'y']
+    ]);
+  });
+
+  it('should keep reporting line modifications for documentation changes', () => {
+    const [chunk] = detectChanges('Title\nPrice: $5\nFooter', 'Title\nPrice: $7\nNew line\nFooter');
+    expect(chunk.diff).toEqual([
+      { type: 'modified', line: 2, oldContent: 'Price: $5', newContent: 'Price: $7' },
+      { type: 'added', line: 3, content: 'New line' }
+    ]);
+  });
+});
+
+describe('Manuscript diff', () => {
+  it('should diff words with context, only inside changed paragraphs', () => {
+    const diff = diffWords(
+      'The ferry left at dawn.\n\nMara watched the harbour.\n\nShe was cold.',
+      'The ferry left at dawn.\n\nMara watched the grey harbour.\n\nShe was very cold!'
+    );
+
+    expect(diff).toMatchObject({ oldWordCount: 12, newWordCount: 14, wordsAdded: 3, wordsRemoved: 1, changeCount: 2 });
+    expect(diff.changes[0]).toMatchObject({ type: 'added', added: 'grey', before: 'The ferry left at dawn. Mara watched the', after: 'harbour. She was very cold!' });
+    expect(diff.changes[1]).toMatchObject({ type: 'replaced', removed: 'cold.', added: 'very cold!' });
+  });
+
+  it('should match chapters by title, pair retitled chapters and flag added or removed ones', () => {
+    const { summary, chapters } = diffChapters(
+      [
+        { title: 'Chapter 1', text: 'The ferry left at dawn.' },
+        { title: 'Chapter 2', text: 'The island rose from the fog.' },
+        { title: 'Chapter 3', text: 'Nobody met them at the pier.' }
+      ],
+      [
+        { title: 'Chapter 1', text: 'The ferry left at dawn.' },
+        { title: 'Chapter 2: Fog', text: 'The island rose slowly from the fog.' },
+        { title: 'Chapter 3', text: 'A storm broke over the lighthouse.' },
+        { title: 'Epilogue', text: 'They never went back.' }
+      ],
+      { includeChanges: false }
+    );
+
+    expect(chapters.map(chapter => [chapter.status, chapter.oldTitle, chapter.newTitle])).toEqual([
+      ['unchanged', 'Chapter 1', 'Chapter 1'],
+      ['modified', 'Chapter 2', 'Chapter 2: Fog'],
+      ['modified', 'Chapter 3', 'Chapter 3'],
+      ['added', null, 'Epilogue']
+    ]);
+    expect(chapters[1]).toMatchObject({ renamed: true, wordsAdded: 1, wordsRemoved: 0 });
+    expect(chapters[0].changes).toBeUndefined();
+    expect(summary).toMatchObject({ chaptersAdded: 1, chaptersRemoved: 0, chaptersModified: 2, chaptersUnchanged: 1 });
+  });
+});
+
+const DRAFT_1 = 'Chapter 1\n\nThe ferry left at dawn. Mara watched the harbour.\n\nChapter 2\n\nThe island rose from the fog.';
+const DRAFT_2 = 'Chapter 1\n\nThe ferry left at dawn. Mara watched the grey harbour.\n\nChapter 2\n\nThe island rose from the fog.\n\nChapter 3\n\nNobody met them.';
+
+/**
+ * In-memory stand-ins for the manuscripts/manuscript_versions/quarantined_files tables and R2
+ */
+function createEnv() {
+  const tables = {
+    manuscripts: [{
+      id: 'ms-1',
+      user_id: 'author',
+      r2_key: 'author/ms-1/original_book.txt',
+      file_type: 'text/plain',
+      word_count: 17,
+      status: 'analyzed',
+      genre: 'literary',
+      metadata: JSON.stringify({ reportId: 'rep-1', originalName: 'book.txt' }),
+      uploaded_at: 1000
+    }],
+    versions: [],
+    quarantine: []
+  };
+  const buckets = { manuscripts_raw: new Map(), manuscripts_processed: new Map() };
+  const queued = [];
+
+  const execute = (sql, args) => {
+    if (sql.includes('SELECT id FROM manuscript_versions')) {
+      return tables.versions.filter(v => v.manuscript_id === args[0]).slice(0, 1);
+    }
+    if (sql.includes('INSERT INTO manuscript_versions') && sql.includes('VALUES (?, ?, 1,')) {
+      const [id, manuscript_id, r2_key, file_name, file_type, file_hash, word_count, report_id, created_by, created_at] = args;
+      tables.versions.push({ id, manuscript_id, version_number: 1, r2_key, file_name, file_type, file_hash, word_count, report_id, created_by, created_at });
+      return { changes: 1 };
+    }
+    if (sql.includes('INSERT INTO manuscript_versions')) {
+      const [id, manuscript_id, version_number, r2_key, file_name, file_type, file_size, file_hash, word_count, chapter_count, notes, created_by, created_at] = args;
+      if (tables.versions.some(v => v.manuscript_id === manuscript_id && v.version_number === version_number)) {
+        throw new Error('duplicate key value violates unique constraint');
+      }
+      tables.versions.push({ id, manuscript_id, version_number, r2_key, file_name, file_type, file_size, file_hash, word_count, chapter_count, notes, created_by, created_at, report_id: null });
+      return { changes: 1 };
+    }
+    if (sql.includes('MAX(version_number)')) {
+      const numbers = tables.versions.filter(v => v.manuscript_id === args[0]).map(v => v.version_number);
+      return [{ version_number: numbers.length ? Math.max(...numbers) : null }];
+    }
+    if (sql.includes('FROM manuscript_versions WHERE manuscript_id = ? AND version_number = ?')) {
+      return tables.versions.filter(v => v.manuscript_id === args[0] && v.version_number === args[1]);
+    }
+    if (sql.includes('FROM manuscript_versions WHERE manuscript_id = ?')) {
+      return tables.versions.filter(v => v.manuscript_id === args[0]).sort((a, b) => b.version_number - a.version_number);
+    }
+    if (sql.includes('UPDATE manuscripts') && sql.includes('SET r2_key')) {
+      const [r2_key, file_hash, file_type, word_count, metadata, updated_at, id] = args;
+      Object.assign(tables.manuscripts.find(m => m.id === id), { r2_key, file_hash, file_type, word_count, metadata, updated_at, status: 'draft' });
+      return { changes: 1 };
+    }
+    if (sql.includes('UPDATE manuscripts SET metadata')) {
+      const [metadata, status, updated_at, id] = args;
+      Object.assign(tables.manuscripts.find(m => m.id === id), { metadata, status, updated_at });
+      return { changes: 1 };
+    }
+    if (sql.includes('UPDATE manuscript_versions SET report_id')) {
+      const [report_id, analyzed_at, id] = args;
+      Object.assign(tables.versions.find(v => v.id === id), { report_id, analyzed_at });
+      return { changes: 1 };
+    }
+    if (sql.includes('INSERT INTO quarantined_files')) {
+      const [id, bucket, final_key, quarantine_key, source, file_name, file_size, content_type, custom_metadata, user_id, manuscript_id, ip_address, created_at] = args;
+      tables.quarantine.push({ id, bucket, final_key, quarantine_key, source, file_name, file_size, content_type, custom_metadata, user_id, manuscript_id, ip_address, created_at, status: 'pending_scan', release_jobs: '[]' });
+      return { changes: 1 };
+    }
+    const latestFile = (bucket, key) => tables.quarantine.filter(f => f.bucket === bucket && f.final_key === key).at(-1);
+    if (sql.includes('SELECT status FROM quarantined_files')) {
+      const file = latestFile(args[0], args[1]);
+      return file ? [file] : [];
+    }
+    if (sql.includes('SET release_jobs')) {
+      const file = latestFile(args[1], args[2]);
+      if (file?.status !== 'pending_scan') return [];
+      file.release_jobs = JSON.stringify([...JSON.parse(file.release_jobs), ...JSON.parse(args[0])]);
+      return [{ id: file.id }];
+    }
+    if (sql.includes('SET status = ?, released_at = ?')) {
+      const file = tables.quarantine.find(f => f.id === args[6] && f.status === 'pending_scan');
+      if (!file) return [];
+      Object.assign(file, { status: args[0], released_at: args[1] });
+      return [{ release_jobs: file.release_jobs }];
+    }
+    if (sql.includes('DELETE FROM quarantined_files')) {
+      const file = tables.quarantine.find(f => f.id === args[0] && f.status === 'pending_scan');
+      tables.quarantine = tables.quarantine.filter(f => f !== file);
+      return file ? [file] : [];
+    }
+    throw new Error(`Unexpected SQL: ${sql}`);
+  };
+
+  const statement = (sql, args = []) => ({
+    bind: (...values) => statement(sql, values),
+    first: async () => execute(sql, args)[0] || null,
+    all: async () => ({ results: execute(sql, args) }),
+    run: async () => ({ meta: execute(sql, args) }),
+    execute: () => execute(sql, args)
+  });
+
+  const bucket = objects => ({
+    put: async (key, value, options = {}) => objects.set(key, { value, options }),
+    get: async key => {
+      const entry = objects.get(key);
+      if (!entry) return null;
+      const text = typeof entry.value === 'string' ? entry.value : new TextDecoder().decode(entry.value);
+      return {
+        httpMetadata: entry.options.httpMetadata,
+        arrayBuffer: async () => new TextEncoder().encode(text).buffer,
+        json: async () => JSON.parse(text)
+      };
+    },
+    delete: async key => objects.delete(key)
+  });
+
+  buckets.manuscripts_raw.set('author/ms-1/original_book.txt', {
+    value: DRAFT_1,
+    options: { httpMetadata: { contentType: 'text/plain' } }
+  });
+
+  return {
+    tables,
+    buckets,
+    queued,
+    DB: {
+      prepare: sql => statement(sql),
+      batch: async statements => {
+        const snapshot = structuredClone(tables);
+        try {
+          return statements.map(s => s.execute());
+        } catch (error) {
+          Object.assign(tables, snapshot);
+          throw error;
+        }
+      }
+    },
+    R2: { getBucket: name => bucket(buckets[name]) },
+    QUEUE: { send: async (queue, body) => queued.push({ queue, body }) }
+  };
+}
+
+const manuscriptRow = env => ({ ...env.tables.manuscripts[0] });
+
+const cleanScanner = {
+  scanFile: async () => ({ scanStatus: 'clean', isInfected: false, scanId: 'scan-1' }),
+  logScanResult: async () => {}
+};
+
+/**
+ * Let the scan worker release every quarantined draft
+ */
+async function releaseDrafts(env) {
+  for (const file of env.tables.quarantine.filter(f => f.status === 'pending_scan')) {
+    await processQuarantinedFile(env, { ...file }, { scanner: cleanScanner, now: 2000 });
+  }
+}
+
+function storeAnalyses(env, r2Key, { overallScore, plot, lineIssues, copyErrors }) {
+  const processed = env.buckets.manuscripts_processed;
+  const put = (suffix, body) => processed.set(`${r2Key}${suffix}`, { value: JSON.stringify(body), options: {} });
+  put('-analysis.json', { analysis: { overallScore, plot: { score: plot }, voice: { score: 7 } } });
+  put('-line-analysis.json', {
+    overallAssessment: { overallProseScore: 6.5 },
+    patterns: { totalIssues: lineIssues.length, issueTypeCounts: { weak_verb: lineIssues.length } },
+    sections: [{ issues: lineIssues.map(severity => ({ severity, type: 'weak_verb' })) }]
+  });
+  put('-copy-analysis.json', {
+    overallAssessment: { overallCopyScore: 9, totalErrors: copyErrors },
+    errorsByType: { grammar: copyErrors }
+  });
+}
+
+describe('Manuscript versions', () => {
+  let env;
+
+  beforeEach(() => {
+    env = createEnv();
+  });
+
+  it('should keep the original upload as version 1 and store new drafts immutably', async () => {
+    const version = await createVersion(manuscriptRow(env), {
+      buffer: new TextEncoder().encode(DRAFT_2).buffer,
+      fileName: 'book v2.txt',
+      fileType: 'text/plain',
+      notes: 'Added chapter 3'
+    }, 'author', env);
+
+    expect(version).toMatchObject({ versionNumber: 2, chapterCount: 3, notes: 'Added chapter 3' });
+    expect(version.r2Key).toMatch(/^author\/ms-1\/v2_.+_book_v2\.txt$/);
+    expect(env.buckets.manuscripts_raw.has('author/ms-1/original_book.txt')).toBe(true);
+    expect(env.buckets.manuscripts_raw.has(`quarantine/${version.r2Key}`)).toBe(true);
+    expect(env.buckets.manuscripts_raw.has(version.r2Key)).toBe(false);
+    expect(env.tables.quarantine).toEqual([
+      expect.objectContaining({ final_key: version.r2Key, source: 'manuscript_draft', manuscript_id: 'ms-1', status: 'pending_scan' })
+    ]);
+
+    const manuscript = manuscriptRow(env);
+    expect(manuscript).toMatchObject({ r2_key: version.r2Key, status: 'draft' });
+    expect(JSON.parse(manuscript.metadata)).toMatchObject({ currentVersion: 2, reportId: 'rep-1' });
+
+    const versions = await listVersions(manuscript, env);
+    expect(versions.map(v => [v.versionNumber, v.reportId])).toEqual([[2, null], [1, 'rep-1']]);
+  });
+
+  it('should analyze a draft without touching the reports of earlier drafts', async () => {
+    const version = await createVersion(manuscriptRow(env), {
+      buffer: new TextEncoder().encode(DRAFT_2).buffer,
+      fileName: 'book.txt',
+      fileType: 'text/plain'
+    }, 'author', env);
+
+    const reportId = await startVersionAnalysis(manuscriptRow(env), version, { styleGuide: 'ap' }, env);
+    expect(env.queued).toEqual([]);
+
+    await releaseDrafts(env);
+
+    expect(env.buckets.manuscripts_raw.has(version.r2Key)).toBe(true);
+    expect(env.queued).toEqual([{
+      queue: 'analysis',
+      body: { manuscriptKey: version.r2Key, genre: 'literary', styleGuide: 'ap', reportId }
+    }]);
+    expect(env.tables.versions.map(v => v.report_id)).toEqual(['rep-1', reportId]);
+    expect(manuscriptRow(env).status).toBe('analyzing');
+  });
+
+  it('should diff two drafts by chapter and word', async () => {
+    await createVersion(manuscriptRow(env), {
+      buffer: new TextEncoder().encode(DRAFT_2).buffer,
+      fileName: 'book.txt',
+      fileType: 'text/plain'
+    }, 'author', env);
+
+    await expect(diffVersions(manuscriptRow(env), 1, 2, env))
+      .rejects.toMatchObject({ statusCode: 409, code: 'FILE_QUARANTINED', details: { scanStatus: 'pending_scan' } });
+    await releaseDrafts(env);
+
+    const diff = await diffVersions(manuscriptRow(env), 1, 2, env);
+
+    expect(diff.from.versionNumber).toBe(1);
+    expect(diff.chapters.map(chapter => chapter.status)).toEqual(['modified', 'unchanged', 'added']);
+    expect(diff.chapters[0].changes).toEqual([expect.objectContaining({ type: 'added', added: 'grey' })]);
+    expect(diff.summary).toMatchObject({ wordsAdded: 4, wordsRemoved: 0, chaptersAdded: 1 });
+
+    await expect(diffVersions(manuscriptRow(env), 1, 5, env)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should discard the quarantined file of a draft that could not be saved', async () => {
+    const draft = { buffer: new TextEncoder().encode(DRAFT_2).buffer, fileName: 'book.txt', fileType: 'text/plain' };
+    await createVersion(manuscriptRow(env), draft, 'author', env);
+
+    env.DB.batch = async () => {
+      throw new Error('duplicate key value violates unique constraint');
+    };
+    await expect(createVersion(manuscriptRow(env), { ...draft, fileName: 'other.txt' }, 'author', env))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(env.tables.quarantine.map(file => file.file_name)).toEqual(['book.txt']);
+    expect([...env.buckets.manuscripts_raw.keys()].filter(key => key.includes('other.txt'))).toEqual([]);
+  });
+
+  it('should compare the analyses of two drafts', async () => {
+    const version = await createVersion(manuscriptRow(env), {
+      buffer: new TextEncoder().encode(DRAFT_2).buffer,
+      fileName: 'book.txt',
+      fileType: 'text/plain'
+    }, 'author', env);
+
+    await expect(compareVersionAnalyses(manuscriptRow(env), 1, 2, env))
+      .rejects.toMatchObject({ statusCode: 409, details: { unanalyzedVersions: [1, 2] } });
+
+    storeAnalyses(env, 'author/ms-1/original_book.txt', { overallScore: 6, plot: 5, lineIssues: ['high', 'high', 'low'], copyErrors: 12 });
+    storeAnalyses(env, version.r2Key, { overallScore: 7, plot: 5, lineIssues: ['high', 'low', 'low', 'medium'], copyErrors: 8 });
+
+    const report = await compareVersionAnalyses(manuscriptRow(env), 1, 2, env);
+
+    expect(report.available).toEqual({ developmental: true, lineEditing: true, copyEditing: true });
+    expect(report.comparison.developmental.overallScore).toEqual({ from: 6, to: 7, change: 1, trend: 'improved' });
+    expect(report.comparison.developmental.scores.plot.trend).toBe('unchanged');
+    expect(report.comparison.developmental.scores.structure).toEqual({ from: null, to: null, change: null, trend: null });
+    expect(report.comparison.lineEditing.totalIssues).toMatchObject({ from: 3, to: 4, trend: 'regressed' });
+    expect(report.comparison.lineEditing.bySeverity.high).toMatchObject({ change: -1, trend: 'improved' });
+    expect(report.comparison.copyEditing.totalErrors).toMatchObject({ change: -4, trend: 'improved' });
+    expect(report.comparison.improved).toEqual(['developmental.overallScore', 'copyEditing.totalErrors']);
+    expect(report.comparison.regressed).toEqual(['lineEditing.totalIssues']);
+  });
+
+  it('should summarize whatever reports a draft has', () => {
+    const summary = summarizeAnalyses({
+      developmental: null,
+      lineEditing: null,
+      copyEditing: { overallAssessment: { overallCopyScore: 7.5, totalErrors: 60 }, errorsByType: { spelling: 60 } }
+    }, 40000);
+
+    expect(summary).toEqual({
+      developmental: null,
+      lineEditing: null,
+      copyEditing: { copyScore: 7.5, totalErrors: 60, errorsPer1000Words: 1.5, byType: { spelling: 60 } }
+    });
+  });
+});
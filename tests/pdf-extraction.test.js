@@ -0,0 +1,232 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import {
+  buildLines,
+  stripRunningElements,
+  joinLines,
+  reconstructParagraphs,
+  scorePageConfidence,
+  reconstructDocument
+} from '../src/utils/pdf-layout.js';
+import { extractText, extractPDFWithDiagnostics, detectChapters } from '../src/utils/text-extraction.js';
+
+/**
+ * Build a PDF.js-style text item
+ */
+function item(str, x, y, size = 12) {
+  return { str, transform: [size, 0, 0, size, x, y], width: str.length * size * 0.5, height: size };
+}
+
+/**
+ * Build a line object as produced by buildLines
+ */
+function line(text, x, y, size = 12) {
+  return { text, x, y, right: x + text.length * size * 0.5, fontSize: size };
+}
+
+describe('PDF Text Extraction', () => {
+  describe('buildLines', () => {
+    it('should group runs on the same baseline into one line', () => {
+      const lines = buildLines([
+        item('world', 86, 500),
+        item('Hello', 50, 500.5),
+        item('Next line', 50, 485)
+      ]);
+
+      expect(lines).toHaveLength(2);
+      expect(lines[0].text).toBe('Hello world');
+      expect(lines[1].text).toBe('Next line');
+    });
+
+    it('should ignore empty runs', () => {
+      const lines = buildLines([item('', 50, 500), item('Text', 50, 500)]);
+      expect(lines).toHaveLength(1);
+    });
+  });
+
+  describe('joinLines', () => {
+    it('should remove line-end hyphenation', () => {
+      expect(joinLines('a line that con-', 'tinues here')).toBe('a line that continues here');
+    });
+
+    it('should keep hyphens before capitalized words', () => {
+      expect(joinLines('the post-', 'Victorian era')).toBe('the post- Victorian era');
+    });
+
+    it('should join normal lines with a space', () => {
+      expect(joinLines('first half', 'second half')).toBe('first half second half');
+    });
+  });
+
+  describe('stripRunningElements', () => {
+    it('should drop repeated headers and page numbers', () => {
+      const pages = [1, 2, 3, 4].map(n => ({
+        height: 600,
+        lines: [
+          line(n % 2 ? 'THE LONG ROAD' : 'JANE AUTHOR', 150, 570),
+          line(`Body text on page ${n}.`, 50, 400),
+          line(String(n), 200, 30)
+        ]
+      }));
+
+      const stripped = stripRunningElements(pages);
+
+      stripped.forEach((page, i) => {
+        expect(page.lines.map(l => l.text)).toEqual([`Body text on page ${i + 1}.`]);
+        expect(page.removedCount).toBe(2);
+      });
+    });
+
+    it('should keep text that only appears once in the margin', () => {
+      const pages = [
+        { height: 600, lines: [line('Chapter One', 150, 560), line('Body.', 50, 400)] },
+        { height: 600, lines: [line('Body again.', 50, 400)] }
+      ];
+
+      expect(stripRunningElements(pages)[0].lines).toHaveLength(2);
+    });
+
+    it('should drop roman numeral folios that repeat across pages', () => {
+      const pages = ['i', 'ii', 'iii', 'iv'].map(folio => ({
+        height: 600,
+        lines: [line('Foreword text.', 50, 400), line(folio, 200, 30)]
+      }));
+
+      stripRunningElements(pages).forEach(page => {
+        expect(page.lines.map(l => l.text)).toEqual(['Foreword text.']);
+      });
+    });
+
+    it('should keep margin words made of roman numeral letters', () => {
+      const pages = ['Mild', 'dim', 'civil', 'mix'].map(word => ({
+        height: 600,
+        lines: [line('Body.', 50, 400), line(word, 50, 30)]
+      }));
+
+      stripRunningElements(pages).forEach((page, i) => {
+        expect(page.lines.map(l => l.text)).toEqual(['Body.', ['Mild', 'dim', 'civil', 'mix'][i]]);
+        expect(page.removedCount).toBe(0);
+      });
+    });
+  });
+
+  describe('reconstructParagraphs', () => {
+    it('should merge wrapped lines and split on first-line indents', () => {
+      const paragraphs = reconstructParagraphs([{
+        lines: [
+          line('The rain had not stopped for three days and the river', 50, 500),
+          line('was rising faster than anyone had expected it would.', 50, 485),
+          line('Mara watched from the window of the old mill house,', 70, 470),
+          line('counting the sandbags that were left.', 50, 455)
+        ]
+      }]);
+
+      expect(paragraphs).toHaveLength(2);
+      expect(paragraphs[0]).toMatch(/^The rain .* expected it would\.$/);
+      expect(paragraphs[1]).toMatch(/^Mara watched .* were left\.$/);
+    });
+
+    it('should continue a paragraph across a page break', () => {
+      const paragraphs = reconstructParagraphs([
+        { lines: [line('She opened the door and stepped out into the cold grey', 50, 100)] },
+        { lines: [line('morning without looking back at the house behind her.', 50, 550)] }
+      ]);
+
+      expect(paragraphs).toHaveLength(1);
+      expect(paragraphs[0]).toContain('grey morning');
+    });
+
+    it('should keep scene breaks as their own paragraph', () => {
+      const paragraphs = reconstructParagraphs([{
+        lines: [
+          line('The end of one scene that fills the whole line of text.', 50, 500),
+          line('* * *', 50, 485),
+          line('The start of the next scene that fills the line as well.', 50, 470)
+        ]
+      }]);
+
+      expect(paragraphs).toEqual([
+        'The end of one scene that fills the whole line of text.',
+        '* * *',
+        'The start of the next scene that fills the line as well.'
+      ]);
+    });
+  });
+
+  describe('scorePageConfidence', () => {
+    it('should return 0 for pages without text', () => {
+      expect(scorePageConfidence([])).toBe(0);
+    });
+
+    it('should score full pages of prose near 1', () => {
+      const lines = Array.from({ length: 10 }, (_, i) =>
+        line('A perfectly ordinary sentence of readable manuscript prose.', 50, 500 - i * 15)
+      );
+      expect(scorePageConfidence(lines)).toBeGreaterThan(0.9);
+    });
+
+    it('should penalize symbol soup from broken font encodings', () => {
+      const lines = Array.from({ length: 10 }, (_, i) => line('■□▲△▼▽◆◇○●◎◐◑★☆'.repeat(4), 50, 500 - i * 15));
+      expect(scorePageConfidence(lines)).toBeLessThan(0.3);
+    });
+  });
+
+  describe('reconstructDocument', () => {
+    it('should warn when every page is image-only', () => {
+      const result = reconstructDocument([
+        { items: [], width: 400, height: 600 },
+        { items: [], width: 400, height: 600 }
+      ]);
+
+      expect(result.text).toBe('');
+      expect(result.pages.every(page => page.confidence === 0)).toBe(true);
+      expect(result.warnings[0]).toContain('no extractable text');
+    });
+  });
+
+  describe('extractPDFWithDiagnostics', () => {
+    async function buildPDF(pageCount) {
+      const doc = await PDFDocument.create();
+      const font = await doc.embedFont(StandardFonts.TimesRoman);
+
+      for (let n = 1; n <= pageCount; n++) {
+        const page = doc.addPage([400, 600]);
+        page.drawText('THE LONG ROAD', { x: 150, y: 570, size: 10, font });
+        if (n === 1) {
+          page.drawText('Chapter 1', { x: 175, y: 520, size: 14, font });
+        }
+        page.drawText('The rain had not stopped for three days and the river con-', { x: 40, y: 480, size: 10, font });
+        page.drawText('tinued to rise faster than anyone had expected it would.', { x: 40, y: 467, size: 10, font });
+        page.drawText(String(n), { x: 198, y: 30, size: 10, font });
+      }
+
+      return (await doc.save()).buffer;
+    }
+
+    it('should rebuild paragraphs without headers or page numbers', async () => {
+      const result = await extractPDFWithDiagnostics(await buildPDF(3));
+
+      expect(result.pageCount).toBe(3);
+      expect(result.imageOnly).toBe(false);
+      expect(result.text).not.toContain('THE LONG ROAD');
+      expect(result.text).toContain('river continued to rise');
+      expect(result.text.split('\n\n')[0]).toBe('Chapter 1');
+      expect(result.pages).toHaveLength(3);
+    });
+
+    it('should feed the shared chapter detection pipeline', async () => {
+      const text = await extractText(await buildPDF(2), 'application/pdf');
+      expect(detectChapters(text)).toHaveLength(1);
+    });
+
+    it('should reject PDFs without a text layer', async () => {
+      const doc = await PDFDocument.create();
+      doc.addPage([400, 600]);
+      const buffer = (await doc.save()).buffer;
+
+      const result = await extractPDFWithDiagnostics(buffer);
+      expect(result.imageOnly).toBe(true);
+      await expect(extractText(buffer, 'application/pdf')).rejects.toThrow('No extractable text');
+    });
+  });
+});
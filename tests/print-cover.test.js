@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest';
+import zlib from 'zlib';
+import { PDFDocument } from 'pdf-lib';
+import {
+  normalizeISBN,
+  priceAddon,
+  encodeEAN13,
+  encodeEAN5,
+  patternToBars
+} from '../src/utils/isbn-barcode.js';
+import { getCoverLayout, generateFullWrapCover } from '../src/generators/print-cover-generator.js';
+import { validatePrintCover } from '../src/validators/cover-validator.js';
+
+/**
+ * Build a flat gray RGB PNG of the given pixel size
+ */
+function buildPNG(width, height) {
+  const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  };
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Truecolor
+  const row = Buffer.alloc(1 + width * 3, 128);
+  row[0] = 0;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(Array(height).fill(row)))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// 6" x 9" front plus bleed at 300 DPI
+const FRONT = buildPNG(1838, 2775);
+
+describe('ISBN barcodes', () => {
+  it('should normalize ISBN-10 and ISBN-13 and reject bad check digits', () => {
+    expect(normalizeISBN('0-306-40615-2')).toBe('9780306406157');
+    expect(normalizeISBN('ISBN 978-0-306-40615-7')).toBe('9780306406157');
+    expect(() => normalizeISBN('978-0-306-40615-8')).toThrow('check digit');
+    expect(() => normalizeISBN('12345')).toThrow('Invalid ISBN');
+  });
+
+  it('should encode EAN-13 with guards and the first digit in the parity', () => {
+    const pattern = encodeEAN13('9780306406157');
+
+    expect(pattern).toHaveLength(95);
+    expect(pattern.slice(0, 3)).toBe('101');
+    expect(pattern.slice(45, 50)).toBe('01010');
+    expect(pattern.slice(-3)).toBe('101');
+    // First digit 9 sets parity LGGLGL: '7' in L, '8' in G
+    expect(pattern.slice(3, 10)).toBe('0111011');
+    expect(pattern.slice(10, 17)).toBe('0001001');
+    expect(patternToBars('0110111')).toEqual([{ start: 1, width: 2 }, { start: 4, width: 3 }]);
+  });
+
+  it('should encode the price add-on', () => {
+    expect(priceAddon('24.95')).toBe('52495');
+    expect(priceAddon(null)).toBe('90000');
+    expect(priceAddon(150)).toBe('90000');
+    // Checksum 1 selects GLGLL
+    expect(encodeEAN5('52495')).toBe('1011' + ['0111001', '0010011', '0011101', '0001011', '0110001'].join('01'));
+  });
+});
+
+describe('Cover layout', () => {
+  it('should size the wrap from trim, spine and bleed', () => {
+    const layout = getCoverLayout({ trimSize: '6x9', pageCount: 336, paperType: 'cream_60' });
+
+    // 336 pages on 336 PPI paper plus 0.06" of cover stock
+    expect(layout.spine.width).toBeCloseTo(1.06 * 72, 5);
+    expect(layout.width).toBeCloseTo((6 * 2 + 1.06 + 0.25) * 72, 5);
+    expect(layout.height).toBeCloseTo(9.25 * 72, 5);
+    expect(layout.panels.front.trim.x).toBeCloseTo(layout.bleed + 6 * 72 + layout.spine.width, 5);
+  });
+
+  it('should reject unknown platforms, trims and paper', () => {
+    expect(() => getCoverLayout({ pageCount: 200, platform: 'lulu' })).toThrow('Unsupported print platform');
+    expect(() => getCoverLayout({ pageCount: 200, trimSize: '4x6' })).toThrow('Invalid trim size');
+    expect(() => getCoverLayout({ pageCount: 200, paperType: 'glossy' })).toThrow('Invalid paper type');
+  });
+});
+
+describe('Full-wrap cover', () => {
+  it('should produce a valid KDP cover with spine text, blurb and barcode', async () => {
+    const cover = await generateFullWrapCover({
+      frontImage: FRONT,
+      title: 'The Long Road Home',
+      author: 'Ada Marsh',
+      pageCount: 300,
+      isbn: '978-0-306-40615-7',
+      price: '24.95',
+      blurb: 'Nobody leaves the island. '.repeat(20)
+    });
+
+    expect(cover.validation.valid).toBe(true);
+    expect(cover.validation.errors).toEqual([]);
+    expect(cover.elements.map(element => element.label)).toEqual(['spine title', 'spine author', 'blurb', 'barcode']);
+    expect(cover.images).toEqual([expect.objectContaining({ panel: 'front', dpi: 300 })]);
+
+    const pdf = await PDFDocument.load(cover.pdf);
+    const page = pdf.getPage(0);
+    expect(pdf.getPageCount()).toBe(1);
+    expect(page.getWidth()).toBeCloseTo(cover.layout.width, 3);
+    expect(page.getHeight()).toBeCloseTo(9.25 * 72, 3);
+    expect(page.getTrimBox().height).toBeCloseTo(9 * 72, 3);
+  });
+
+  it('should leave the spine blank on thin books and reserve the barcode without an ISBN', async () => {
+    const cover = await generateFullWrapCover({ frontImage: FRONT, title: 'Chapbook', pageCount: 60 });
+
+    expect(cover.elements.map(element => element.label)).toEqual(['barcode']);
+    expect(cover.warnings).toEqual([
+      'Spine text omitted: kdp requires at least 80 pages',
+      'Barcode area reserved; the platform will print its own barcode there'
+    ]);
+  });
+
+  it('should report low resolution art, RGB images and blurbs that do not fit', async () => {
+    const cover = await generateFullWrapCover({
+      frontImage: buildPNG(600, 900),
+      platform: 'ingramspark',
+      pageCount: 200,
+      blurb: 'word '.repeat(3000)
+    });
+
+    expect(cover.validation.valid).toBe(false);
+    expect(cover.validation.errors).toEqual([
+      'front cover image is 97 DPI at print size. Minimum: 300',
+      expect.stringContaining('Blurb does not fit on the back cover')
+    ]);
+    expect(cover.validation.warnings).toContainEqual(expect.stringContaining('RGB; ingramspark prints CMYK'));
+  });
+
+  it('should refuse a barcode without an ISBN and unsupported images', async () => {
+    await expect(generateFullWrapCover({ frontImage: FRONT, pageCount: 200, barcode: 'render' }))
+      .rejects.toThrow('An ISBN is required');
+    await expect(generateFullWrapCover({ frontImage: Buffer.from('GIF89a-not-supported'), pageCount: 200 }))
+      .rejects.toThrow('Front cover must be JPEG or PNG');
+  });
+
+  it('should fail validation when the file does not match the expected wrap', async () => {
+    const cover = await generateFullWrapCover({ frontImage: FRONT, pageCount: 200 });
+    const layout = getCoverLayout({ pageCount: 400 });
+
+    const result = await validatePrintCover(cover.pdf, 'kdp', {
+      width: layout.width,
+      height: layout.height,
+      trimWidth: layout.trimWidth,
+      trimHeight: layout.trimHeight,
+      bleed: layout.bleed,
+      spineWidth: cover.layout.spine.width,
+      pageCount: 400,
+      paperType: 'cream_60'
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toBe('Cover is 12.905" x 9.25". Expected 13.5" x 9.25" including bleed');
+    expect(result.errors).toContainEqual(expect.stringContaining('400 pages need'));
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+import {
+  buildParagraphItems,
+  breakParagraph,
+  positionLine,
+  measureLine,
+  hyphenateWord
+} from '../src/utils/line-breaker.js';
+import {
+  TRIM_SIZES,
+  getGutterMargin,
+  getPageGeometry,
+  linesToPlace,
+  typesetPrintBook,
+  generatePrintPDF
+} from '../src/generators/pdf-generator.js';
+
+// Monospaced measure: every character is 5pt wide
+const measure = (text) => text.length * 5;
+
+const PARAGRAPH = 'The ferry left at dawn, and by the time the fog had burned off the river the passengers '
+  + 'were already arguing about the weather, the fares, and whether the lighthouse keeper had ever '
+  + 'really been seen by anyone who was not, in some inconvenient way, related to him.';
+
+const chapter = (number, paragraphs = 12) => ({
+  title: `Chapter ${number}`,
+  content: Array(paragraphs).fill(PARAGRAPH).join('\n\n')
+});
+
+describe('Line breaking', () => {
+  it('should fill every line but the last to the measure', () => {
+    const items = buildParagraphItems([{ text: PARAGRAPH }], { measure, hyphenate: false });
+    const lines = breakParagraph(items, 200);
+
+    expect(lines.length).toBeGreaterThan(3);
+    for (const line of lines.slice(0, -1)) {
+      expect(measureLine(line)).toBeLessThanOrEqual(200);
+      const boxes = positionLine(line);
+      const last = boxes[boxes.length - 1];
+      expect(last.x + last.width).toBeCloseTo(200, 5);
+    }
+
+    // The last line is set ragged at its natural width
+    const lastLine = lines[lines.length - 1];
+    const boxes = positionLine(lastLine);
+    expect(boxes[boxes.length - 1].x + boxes[boxes.length - 1].width).toBeCloseTo(measureLine(lastLine), 5);
+  });
+
+  it('should keep spacing more even than first-fit breaking', () => {
+    const items = buildParagraphItems([{ text: PARAGRAPH }], { measure, hyphenate: false });
+    const spread = lines => lines.slice(0, -1).reduce((sum, line) => sum + line.ratio ** 2, 0);
+
+    expect(spread(breakParagraph(items, 180))).toBeLessThanOrEqual(spread(breakParagraph(items, 180, { method: 'greedy' })));
+  });
+
+  it('should hyphenate long words and show the hyphen at the break', () => {
+    expect(hyphenateWord('inconvenient').length).toBeGreaterThan(1);
+    expect(hyphenateWord('inconvenient').join('')).toBe('inconvenient');
+    expect(hyphenateWord('river')).toEqual(['river']);
+    expect(hyphenateWord('Marshall')).toEqual(['Marshall']);
+
+    const items = buildParagraphItems([{ text: 'an extraordinarily inconvenient lighthouse' }], { measure });
+    const lines = breakParagraph(items, 80);
+    const hyphenated = lines.filter(line => line.hyphenated);
+
+    expect(hyphenated.length).toBeGreaterThan(0);
+    for (const line of hyphenated) {
+      expect(positionLine(line).map(box => box.text).join('')).toMatch(/-$/);
+    }
+  });
+
+  it('should honour per-line widths and the first-line indent', () => {
+    const items = buildParagraphItems([{ text: PARAGRAPH }], { measure, indent: 20, hyphenate: false });
+    const lines = breakParagraph(items, [120, 120, 200]);
+
+    expect(measureLine(lines[0])).toBeLessThanOrEqual(120);
+    expect(measureLine(lines[1])).toBeLessThanOrEqual(120);
+    expect(positionLine(lines[0]).find(box => box.text).x).toBe(20);
+    expect(positionLine(lines[1])[0].x).toBe(0);
+  });
+});
+
+describe('Page geometry', () => {
+  it('should widen the gutter with the page count', () => {
+    expect(getGutterMargin(24)).toBe(0.375 * 72);
+    expect(getGutterMargin(150)).toBe(0.375 * 72);
+    expect(getGutterMargin(151)).toBe(0.5 * 72);
+    expect(getGutterMargin(400)).toBe(0.625 * 72);
+    expect(getGutterMargin(600)).toBe(0.75 * 72);
+    expect(getGutterMargin(828)).toBe(0.875 * 72);
+  });
+
+  it('should fit a full text block on every trim size', () => {
+    for (const trimSize of Object.keys(TRIM_SIZES)) {
+      const geometry = getPageGeometry(trimSize, 828, { bleed: 9 });
+
+      expect(geometry.pageWidth).toBe(TRIM_SIZES[trimSize].width + 9);
+      expect(geometry.pageHeight).toBe(TRIM_SIZES[trimSize].height + 18);
+      expect(geometry.textWidth).toBeGreaterThan(3 * 72);
+      expect(geometry.linesPerPage).toBeGreaterThanOrEqual(25);
+      // The last baseline stays above the bottom margin
+      expect(geometry.firstBaseline - (geometry.linesPerPage - 1) * geometry.leading).toBeGreaterThanOrEqual(geometry.bottom);
+    }
+  });
+});
+
+describe('Widow and orphan control', () => {
+  it('should never strand a single line of a paragraph', () => {
+    expect(linesToPlace(5, 10)).toBe(5);
+    expect(linesToPlace(5, 4)).toBe(3);   // Two lines carry over rather than one
+    expect(linesToPlace(5, 1)).toBe(0);   // One line alone at the foot moves on
+    expect(linesToPlace(3, 2)).toBe(0);   // Either split would leave a single line
+    expect(linesToPlace(8, 3)).toBe(3);
+  });
+});
+
+describe('Print interior', () => {
+  it('should number the contents from the chapter opener folios', async () => {
+    const book = await typesetPrintBook({
+      title: 'The Ferry',
+      author: 'Ada Marsh',
+      chapters: [chapter(1), chapter(2, 3), chapter(3)],
+      metadata: { isbn: '978-1-23456-789-7' }
+    });
+
+    expect(book.pages.slice(0, book.frontMatterPages).map(page => page.kind))
+      .toEqual(['title', 'copyright', 'contents', 'blank']);
+    expect(book.pages.length % 2).toBe(0);
+
+    const body = book.pages.slice(book.frontMatterPages);
+    expect(body[0]).toMatchObject({ kind: 'opener', folio: '1' });
+    expect(book.contents).toHaveLength(3);
+    for (const entry of book.contents) {
+      expect(body[entry.page - 1]).toMatchObject({ kind: 'opener', folio: String(entry.page) });
+    }
+
+    // Running heads: title on right-hand pages, author on left-hand pages
+    body.forEach((page, index) => {
+      if (page.kind === 'body') {
+        expect(page.header).toBe(index % 2 === 0 ? 'The Ferry' : 'Ada Marsh');
+      } else {
+        expect(page.header).toBeUndefined();
+      }
+    });
+
+    const contentsText = book.pages[2].ops.map(op => op.text).join(' ');
+    expect(contentsText).toContain('Chapter 2');
+    expect(contentsText).toContain(String(book.contents[1].page));
+    expect(book.pages[1].ops.map(op => op.text).join(' ')).toContain('978-1-23456-789-7');
+  });
+
+  it('should start chapters on right-hand pages when asked', async () => {
+    const book = await typesetPrintBook({
+      chapters: [chapter(1, 2), chapter(2, 2), chapter(3, 2)],
+      chaptersOnRecto: true,
+      includeTitlePage: false,
+      includeCopyright: false,
+      includeTOC: false
+    });
+
+    expect(book.frontMatterPages).toBe(0);
+    expect(book.contents.map(entry => entry.page)).toEqual([1, 3, 5]);
+    expect(book.pages[1].kind).toBe('blank');
+    expect(book.pages[1].folio).toBeUndefined();
+  });
+
+  it('should relayout with a wider gutter once the book passes 150 pages', async () => {
+    const book = await typesetPrintBook({
+      trimSize: '5x8',
+      fontSize: 16,
+      chapters: Array.from({ length: 20 }, (_, index) => chapter(index + 1, 24)),
+      includeTOC: false
+    });
+
+    expect(book.pages.length).toBeGreaterThan(150);
+    expect(book.geometry.gutter).toBe(getGutterMargin(book.pages.length));
+  });
+
+  it('should set trim and bleed boxes on every page when bleeding', async () => {
+    const pdf = await PDFDocument.load(await generatePrintPDF({ trimSize: '5.5x8.5', chapters: [chapter(1, 4)], bleed: 9 }));
+
+    for (const page of pdf.getPages()) {
+      expect(page.getTrimBox()).toMatchObject({ width: 5.5 * 72, height: 8.5 * 72 });
+      expect(page.getBleedBox()).toMatchObject({ width: 5.5 * 72 + 9, height: 8.5 * 72 + 18 });
+    }
+  });
+
+  it('should embed a custom TrueType font', async () => {
+    const regular = fs.readFileSync(path.resolve('node_modules/pdfjs-dist/standard_fonts/LiberationSans-Regular.ttf'));
+    const pdf = await PDFDocument.load(await generatePrintPDF({
+      title: 'Custom Type',
+      chapters: [{ title: 'One', content: 'Café society — naïve résumés, “quoted” ☃' }],
+      fonts: { regular }
+    }));
+
+    expect(pdf.getPageCount()).toBe(6);
+    const fontNames = [...pdf.context.enumerateIndirectObjects()]
+      .map(([, object]) => object.get?.(pdf.context.obj('BaseFont'))?.toString())
+      .filter(Boolean);
+    expect(fontNames.some(name => name.includes('LiberationSans'))).toBe(true);
+  });
+
+  it('should reject unreadable custom fonts', async () => {
+    await expect(generatePrintPDF({ chapters: [chapter(1, 1)], fonts: { regular: Buffer.from('not a font') } }))
+      .rejects.toThrow('Could not read the regular font file');
+    await expect(generatePrintPDF({ chapters: [chapter(1, 1)], fonts: { italic: Buffer.from('x') } }))
+      .rejects.toThrow('A regular font file is required');
+    await expect(generatePrintPDF({ trimSize: '4x6', chapters: [] })).rejects.toThrow('Invalid trim size');
+  });
+});
@@ -0,0 +1,404 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createQueueService, priorityForTier } from '../src/services/queue-service.js';
+import { handleStartAnalysis } from '../src/handlers/legacy-analysis-handlers.js';
+
+/**
+ * In-memory stand-in for the node-redis commands the queue uses
+ * Keys expire against Date.now(), so fake timers drive TTLs and leases.
+ */
+function createFakeRedis() {
+  const data = new Map();
+  const expiries = new Map();
+
+  const read = key => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      data.delete(key);
+      expiries.delete(key);
+    }
+    return data.get(key);
+  };
+  const list = key => read(key) || [];
+  const hash = key => read(key) || {};
+  const zset = key => read(key) || new Map();
+  const write = (key, value) => {
+    data.set(key, value);
+    return value;
+  };
+
+  const commands = {
+    async set(key, value, options = {}) {
+      if (options.NX && read(key) !== undefined) return null;
+      write(key, value);
+      expiries.delete(key);
+      if (options.EX) expiries.set(key, Date.now() + options.EX * 1000);
+      if (options.PX) expiries.set(key, Date.now() + options.PX);
+      return 'OK';
+    },
+    async get(key) {
+      return read(key) ?? null;
+    },
+    async exists(key) {
+      return read(key) === undefined ? 0 : 1;
+    },
+    async del(key) {
+      const existed = read(key) !== undefined;
+      data.delete(key);
+      expiries.delete(key);
+      return existed ? 1 : 0;
+    },
+    async expire(key, seconds) {
+      expiries.set(key, Date.now() + seconds * 1000);
+      return 1;
+    },
+    async hSet(key, fields) {
+      write(key, { ...hash(key), ...fields });
+      return Object.keys(fields).length;
+    },
+    async hGet(key, field) {
+      return hash(key)[field] ?? null;
+    },
+    async hGetAll(key) {
+      return { ...hash(key) };
+    },
+    async hIncrBy(key, field, by) {
+      const fields = hash(key);
+      fields[field] = String(parseInt(fields[field] || '0') + by);
+      write(key, fields);
+      return parseInt(fields[field]);
+    },
+    async lPush(key, value) {
+      return write(key, [value, ...list(key)]).length;
+    },
+    async rPush(key, value) {
+      return write(key, [...list(key), value]).length;
+    },
+    async lMove(source, destination, from, to) {
+      const items = list(source);
+      if (items.length === 0) return null;
+      const value = from === 'RIGHT' ? items[items.length - 1] : items[0];
+      write(source, from === 'RIGHT' ? items.slice(0, -1) : items.slice(1));
+      const target = list(destination);
+      write(destination, to === 'LEFT' ? [value, ...target] : [...target, value]);
+      return value;
+    },
+    // The queue's claim script: move a job to processing and stamp claimedAt on its hash
+    async eval(script, { keys: [source, destination], arguments: [jobPrefix, claimedAt] }) {
+      const jobId = await commands.lMove(source, destination, 'RIGHT', 'LEFT');
+      if (jobId && read(jobPrefix + jobId) !== undefined) {
+        write(jobPrefix + jobId, { ...hash(jobPrefix + jobId), claimedAt });
+      }
+      return jobId;
+    },
+    async lRem(key, count, value) {
+      const items = list(key);
+      const kept = items.filter(item => item !== value);
+      write(key, kept);
+      return items.length - kept.length;
+    },
+    async lRange(key, start, stop) {
+      const items = list(key);
+      return items.slice(start, stop === -1 ? undefined : stop + 1);
+    },
+    async lLen(key) {
+      return list(key).length;
+    },
+    async zAdd(key, { score, value }) {
+      const members = zset(key);
+      const added = members.has(value) ? 0 : 1;
+      members.set(value, score);
+      write(key, members);
+      return added;
+    },
+    async zRem(key, value) {
+      const members = zset(key);
+      const removed = members.delete(value) ? 1 : 0;
+      write(key, members);
+      return removed;
+    },
+    async zScore(key, value) {
+      return zset(key).get(value) ?? null;
+    },
+    async zRangeByScore(key, min, max) {
+      return [...zset(key).entries()]
+        .filter(([, score]) => score >= min && score <= max)
+        .sort((a, b) => a[1] - b[1])
+        .map(([value]) => value);
+    },
+    async zCard(key) {
+      return zset(key).size;
+    }
+  };
+
+  // MULTI queues commands and runs them in order on exec()
+  commands.multi = () => {
+    const queued = [];
+    const chain = new Proxy({}, {
+      get: (_, name) => {
+        if (name === 'exec') {
+          return async () => {
+            const results = [];
+            for (const [command, args] of queued) results.push(await commands[command](...args));
+            return results;
+          };
+        }
+        return (...args) => {
+          queued.push([name, args]);
+          return chain;
+        };
+      }
+    });
+    return chain;
+  };
+
+  return { ...commands, data };
+}
+
+const MINUTE = 60 * 1000;
+
+describe('QueueService', () => {
+  let redis;
+  let queue;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-19T10:00:00Z'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    redis = createFakeRedis();
+    queue = createQueueService(redis);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  const advance = ms => vi.setSystemTime(Date.now() + ms);
+
+  it('should hand out higher priorities first and keep FIFO within a priority', async () => {
+    const free1 = await queue.send('analysis', { n: 1 });
+    const bulk = await queue.send('analysis', { n: 2 }, { priority: 'low' });
+    const free2 = await queue.send('analysis', { n: 3 });
+    const paid = await queue.send('analysis', { n: 4 }, { priority: priorityForTier('pro') });
+
+    const order = [];
+    for (let i = 0; i < 4; i++) {
+      order.push((await queue.getNextJob('analysis', 0)).id);
+    }
+
+    expect(order).toEqual([paid, free1, free2, bulk]);
+    expect(await queue.getNextJob('analysis', 0)).toBeNull();
+    expect(priorityForTier('free')).toBe('normal');
+    expect(priorityForTier(null)).toBe('normal');
+    await expect(queue.send('analysis', {}, { priority: 'urgent' })).rejects.toThrow(/priority/);
+  });
+
+  it('should return the original job for a repeated idempotency key', async () => {
+    const first = await queue.enqueue('analysis', { reportId: 'r1' }, { idempotencyKey: 'start:r1' });
+    const second = await queue.enqueue('analysis', { reportId: 'r1' }, { idempotencyKey: 'start:r1' });
+
+    expect(first.duplicate).toBe(false);
+    expect(second).toEqual({ jobId: first.jobId, duplicate: true });
+    expect((await queue.getStats('analysis')).pending).toBe(1);
+
+    // Cancelling frees the key for a fresh request
+    await queue.cancelJob('analysis', first.jobId);
+    const third = await queue.enqueue('analysis', { reportId: 'r1' }, { idempotencyKey: 'start:r1' });
+    expect(third.duplicate).toBe(false);
+    expect(third.jobId).not.toBe(first.jobId);
+  });
+
+  it('should requeue a job whose worker stopped heartbeating', async () => {
+    const jobId = await queue.send('analysis', { n: 1 });
+    const claimed = await queue.getNextJob('analysis', 0);
+    expect(claimed).toMatchObject({ id: jobId, attempts: 1 });
+
+    // Heartbeats keep the lease alive past the visibility timeout
+    advance(4 * MINUTE);
+    expect(await queue.heartbeat('analysis', jobId)).toEqual({ active: true, cancelled: false });
+    advance(4 * MINUTE);
+    expect(await queue.requeueAbandoned('analysis', { force: true })).toEqual([]);
+
+    // Then the worker dies
+    advance(6 * MINUTE);
+    expect(await queue.getNextJob('analysis', 0)).toBeNull();
+    expect(await queue.getJob('analysis', jobId)).toMatchObject({ status: 'retrying', lastError: expect.stringMatching(/visibility timeout/) });
+    expect(await queue.heartbeat('analysis', jobId)).toEqual({ active: false, cancelled: false });
+
+    advance(5000);
+    expect(await queue.getNextJob('analysis', 0)).toMatchObject({ id: jobId, attempts: 2 });
+    expect(await redis.lRange('queue:analysis:processing', 0, -1)).toEqual([jobId]);
+  });
+
+  it('should time a claimed but unleased job from its claim, not from when it was queued', async () => {
+    const jobId = await queue.send('analysis', { n: 1 });
+    advance(10 * MINUTE); // Waited in pending past the visibility timeout
+
+    // The reaper runs between the claim and the lease
+    const zAdd = redis.zAdd;
+    let reaped;
+    redis.zAdd = async (key, member) => {
+      if (key === 'queue:analysis:leases' && !reaped) {
+        reaped = await queue.requeueAbandoned('analysis', { force: true });
+      }
+      return zAdd(key, member);
+    };
+
+    expect(await queue.getNextJob('analysis', 0)).toMatchObject({ id: jobId, attempts: 1 });
+    expect(reaped).toEqual([]);
+    expect(await queue.getJob('analysis', jobId)).toMatchObject({ status: 'processing' });
+
+    // A worker that dies before leasing still has its job recovered
+    const other = await queue.send('analysis', { n: 2 });
+    redis.zAdd = async () => {
+      throw new Error('Connection lost');
+    };
+    await expect(queue.getNextJob('analysis', 0)).rejects.toThrow('Connection lost');
+    redis.zAdd = zAdd;
+
+    advance(4 * MINUTE);
+    await queue.heartbeat('analysis', jobId);
+    expect(await queue.requeueAbandoned('analysis', { force: true })).toEqual([]);
+    advance(2 * MINUTE);
+    expect(await queue.requeueAbandoned('analysis', { force: true })).toEqual([other]);
+  });
+
+  it('should dead-letter a job that keeps losing its worker, then retry or purge it', async () => {
+    const jobId = await queue.send('analysis', { reportId: 'poison' });
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      expect(await queue.getNextJob('analysis', 0)).toMatchObject({ id: jobId, attempts: attempt });
+      advance(10 * MINUTE);
+      await queue.requeueAbandoned('analysis', { force: true });
+      advance(5 * MINUTE); // Past the retry backoff
+    }
+
+    const { total, jobs } = await queue.listDeadLetters('analysis');
+    expect(total).toBe(1);
+    expect(jobs[0]).toMatchObject({ id: jobId, status: 'dead', attempts: 3, data: { reportId: 'poison' } });
+
+    expect(await queue.retryDeadLetter('analysis', jobId)).toBe(true);
+    expect(await queue.retryDeadLetter('analysis', jobId)).toBe(false);
+    expect(await queue.getNextJob('analysis', 0)).toMatchObject({ id: jobId, attempts: 1 });
+    await queue.failJob('analysis', jobId, new Error('boom'));
+
+    const other = await queue.send('analysis', {}, { maxRetries: 1 });
+    await queue.getNextJob('analysis', 0);
+    await queue.failJob('analysis', other, new Error('boom'));
+    expect((await queue.getStats('analysis')).failed).toBe(1);
+    expect(await queue.purgeDeadLetters('analysis')).toBe(1);
+    expect(await queue.getJob('analysis', other)).toBeNull();
+  });
+
+  it('should hold back jobs over the per-user concurrency limit', async () => {
+    queue = createQueueService(redis, { USER_CONCURRENCY: 1 });
+    const a1 = await queue.send('analysis', { n: 1 }, { userId: 'alice' });
+    const a2 = await queue.send('analysis', { n: 2 }, { userId: 'alice' });
+    const b1 = await queue.send('analysis', { n: 3 }, { userId: 'bob' });
+
+    expect((await queue.getNextJob('analysis', 0)).id).toBe(a1);
+    expect((await queue.getNextJob('analysis', 0)).id).toBe(b1);
+    expect(await queue.getNextJob('analysis', 0)).toBeNull();
+    expect(await queue.getJob('analysis', a2)).toMatchObject({ status: 'pending', attempts: 0 });
+
+    await queue.completeJob('analysis', a1);
+    advance(15 * 1000);
+    expect((await queue.getNextJob('analysis', 0)).id).toBe(a2);
+    expect(await redis.hGetAll('queue:analysis:running')).toEqual({ alice: '1', bob: '1' });
+  });
+
+  it('should release a running slot only once when a reaped job completes late', async () => {
+    const jobId = await queue.send('analysis', {}, { userId: 'alice' });
+    await queue.getNextJob('analysis', 0);
+
+    advance(10 * MINUTE);
+    await queue.requeueAbandoned('analysis', { force: true });
+    await queue.completeJob('analysis', jobId);
+
+    expect(await redis.hGet('queue:analysis:running', 'alice')).toBe('0');
+
+    // The retry is dropped rather than run again
+    advance(5000);
+    expect(await queue.getNextJob('analysis', 0)).toBeNull();
+  });
+
+  it('should cancel pending jobs at once and running jobs at the next heartbeat', async () => {
+    const pending = await queue.send('analysis', { n: 1 }, { userId: 'alice' });
+    expect(await queue.cancelJob('analysis', pending)).toEqual({ id: pending, status: 'cancelled' });
+    expect(await queue.getNextJob('analysis', 0)).toBeNull();
+
+    const running = await queue.send('analysis', { n: 2 }, { userId: 'alice' });
+    await queue.getNextJob('analysis', 0);
+    expect(await queue.cancelJob('analysis', running)).toEqual({ id: running, status: 'cancelling' });
+    expect(await queue.heartbeat('analysis', running)).toEqual({ active: true, cancelled: true });
+
+    await queue.acknowledgeCancellation('analysis', running);
+    expect(await queue.getJob('analysis', running)).toMatchObject({ status: 'cancelled' });
+    expect(await redis.hGet('queue:analysis:running', 'alice')).toBe('0');
+    expect(await queue.cancelJob('analysis', running)).toEqual({ id: running, status: 'cancelled' });
+    expect(await queue.cancelJob('analysis', 'missing')).toBeNull();
+  });
+});
+
+describe('POST /analyze/start', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should queue one job per report however often it is clicked', async () => {
+    const objects = new Map();
+    const env = {
+      QUEUE: createQueueService(createFakeRedis()),
+      R2: {
+        getBucket: () => ({
+          put: async (key, value) => objects.set(key, value),
+          get: async key => (objects.has(key) ? { json: async () => JSON.parse(objects.get(key)) } : null)
+        })
+      },
+      // A pro user with no billing history yet
+      DB: {
+        prepare: sql => ({
+          bind: () => ({ first: async () => (sql.includes('subscription_tier') ? { subscription_tier: 'pro' } : null) })
+        })
+      }
+    };
+
+    const start = () => handleStartAnalysis(new Request('http://localhost/analyze/start', {
+      method: 'POST',
+      body: JSON.stringify({ manuscriptKey: 'user-1/ms-1/book.docx', reportId: 'rep-1' })
+    }), env, {});
+
+    const first = await (await start()).json();
+    const second = await (await start()).json();
+
+    expect(first).toMatchObject({ success: true, duplicate: false });
+    expect(second).toMatchObject({ success: true, duplicate: true, jobId: first.jobId });
+    expect(await env.QUEUE.getStats('analysis')).toMatchObject({ pending: 1, byPriority: { high: 1 } });
+    expect(await env.QUEUE.getJob('analysis', first.jobId)).toMatchObject({ userId: 'user-1', priority: 'high' });
+    expect(JSON.parse(objects.get('analysis-queue:rep-1'))).toEqual({ jobId: first.jobId });
+  });
+
+  it('should refuse to queue a file that is still being scanned', async () => {
+    const env = {
+      QUEUE: createQueueService(createFakeRedis()),
+      R2: { getBucket: () => ({ put: async () => {} }) },
+      DB: {
+        prepare: () => ({ bind: () => ({ first: async () => ({ status: 'pending_scan' }) }) })
+      }
+    };
+
+    const response = await handleStartAnalysis(new Request('http://localhost/analyze/start', {
+      method: 'POST',
+      body: JSON.stringify({ manuscriptKey: 'user-1/ms-1/book.docx', reportId: 'rep-1' })
+    }), env, {});
+
+    expect(response.status).toBe(409);
+    expect(await response.json()).toMatchObject({ code: 'FILE_QUARANTINED', scanStatus: 'pending_scan' });
+    expect(await env.QUEUE.getStats('analysis')).toMatchObject({ pending: 0 });
+  });
+});
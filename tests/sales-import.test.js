@@ -0,0 +1,384 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import {
+  parseCSV,
+  parseSalesReport,
+  detectPlatform,
+  parseAmount,
+  parseReportDate,
+  normalizeIsbn
+} from '../src/utils/sales-report-parsers.js';
+import {
+  importSalesReport,
+  convertCurrency,
+  getExchangeRates,
+  createManuscriptMatcher,
+  normalizeTitle
+} from '../src/services/sales-import-service.js';
+
+const MARCH_2024 = Date.UTC(2024, 2, 1) / 1000;
+const DAY = 86400;
+
+/**
+ * Build an XLSX workbook from { sheetName: rows } (strings inline, numbers as values)
+ */
+async function buildWorkbook(sheets) {
+  const zip = new JSZip();
+  const names = Object.keys(sheets);
+  const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const column = index => String.fromCharCode(65 + index);
+
+  zip.file('xl/workbook.xml', `<?xml version="1.0"?><workbook xmlns:r="r"><sheets>${
+    names.map((name, i) => `<sheet name="${escape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+  }</sheets></workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0"?><Relationships>${
+    names.map((_, i) => `<Relationship Id="rId${i + 1}" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+  }</Relationships>`);
+
+  names.forEach((name, i) => {
+    const rows = sheets[name].map((cells, r) => `<row r="${r + 1}">${cells.map((cell, c) => {
+      if (cell === null) {
+        return '';
+      }
+      const ref = `${column(c)}${r + 1}`;
+      return typeof cell === 'number'
+        ? `<c r="${ref}"><v>${cell}</v></c>`
+        : `<c r="${ref}" t="inlineStr"><is><t>${escape(cell)}</t></is></c>`;
+    }).join('')}</row>`).join('');
+    zip.file(`xl/worksheets/sheet${i + 1}.xml`, `<?xml version="1.0"?><worksheet><sheetData>${rows}</sheetData></worksheet>`);
+  });
+
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+const EBOOK_HEADER = [
+  'Royalty Date', 'Title', 'Author Name', 'ASIN', 'Marketplace', 'Royalty Type', 'Transaction Type',
+  'Units Sold', 'Units Refunded', 'Net Units Sold', 'Avg. List Price without tax',
+  'Avg. Offer Price without tax', 'Average File Size (MB)', 'Avg. Delivery Cost', 'Royalty', 'Currency'
+];
+
+function kdpWorkbook({ usUnits = 9, usRoyalty = 30.98 } = {}) {
+  return buildWorkbook({
+    'eBook Royalty': [
+      ['Sales Period', 'March 2024'],
+      [],
+      EBOOK_HEADER,
+      ['2024-03-05', 'The Ember Throne: A Novel (Ashfall Book 1)', 'Jane Doe', 'B0EMBER001', 'Amazon.com', '70%', 'Standard',
+        usUnits + 1, 1, usUnits, 4.99, 4.99, 1.2, 0.06, usRoyalty, 'USD'],
+      ['2024-03-06', 'The Ember Throne: A Novel (Ashfall Book 1)', 'Jane Doe', 'B0EMBER001', 'Amazon.co.uk', '70%', 'Standard',
+        4, 0, 4, 3.99, 3.99, 1.2, 0.05, 11.10, 'GBP'],
+      ['2024-03-07', 'The Lost Manuscript', 'Jane Doe', 'B0UNKNOWN1', 'Amazon.com', '35%', 'Standard',
+        2, 0, 2, 2.99, 2.99, 0.8, 0, 2.09, 'USD'],
+      ['Total', null, null, null, null, null, null, 16, 1, 15, null, null, null, null, 44.17, null]
+    ],
+    'KENP Read': [
+      ['Date', 'Title', 'Author Name', 'ASIN', 'Marketplace', 'Kindle Edition Normalized Pages (KENP) Read'],
+      ['2024-03-05', 'The Ember Throne: A Novel (Ashfall Book 1)', 'Jane Doe', 'B0EMBER001', 'Amazon.com', 1000]
+    ]
+  });
+}
+
+const D2D_CSV = [
+  'Sale Date,Vendor,Title,Author,ISBN,Country,Quantity,List Price,Currency,Earnings (USD)',
+  '2024-03-02,Apple Books,Ashes of Winter,Jane Doe,978-1-23456-780-4,US,3,5.99,USD,11.13',
+  '"2024-03-09","Kobo","Ashes of Winter","Jane Doe","978-1-23456-780-4","DE","1","4.99","EUR","2.95"'
+].join('\r\n');
+
+const INGRAM_CSV = [
+  'Compensation Report',
+  'Reporting Period,03/01/2024 - 03/31/2024',
+  '',
+  'Title,Author,ISBN,Format,Sales Market,Qty Sold,Qty Returned,Net Qty,List Price,Wholesale Discount,Avg Wholesale Price,Publisher Compensation,Currency',
+  'Ashes of Winter,Jane Doe,9781234567897,Paperback,US,5,1,4,14.99,55%,6.75,8.40,USD',
+  'Ashes of Winter,Jane Doe,9781234567897,Paperback,UK,2,0,2,10.99,55%,4.95,3.10,GBP',
+  'Totals,,,,,7,1,6,,,,11.50,'
+].join('\n');
+
+/**
+ * In-memory stand-in for the sales tables
+ * Understands the statements issued by the sales import service.
+ */
+function createSalesDB(manuscripts) {
+  const tables = {
+    imports: new Map(),
+    identifiers: new Map(),
+    sales: new Map(),
+    payments: []
+  };
+
+  const execute = (sql, args) => {
+    if (sql.includes('FROM manuscripts WHERE user_id')) {
+      return manuscripts;
+    }
+    if (sql.includes('FROM manuscript_identifiers')) {
+      return [...tables.identifiers.values()];
+    }
+    if (sql.includes('kdp_metadata') || sql.includes('kdp_publishing_status')) {
+      return [];
+    }
+    if (sql.includes('FROM sales_imports') && sql.includes('file_hash')) {
+      return [...tables.imports.values()].filter(row => row.file_hash === args[1]).reverse();
+    }
+    if (sql.includes('INSERT INTO sales_imports')) {
+      const [id, userId, platform, filename, fileHash, currency, createdAt] = args;
+      tables.imports.set(id, { id, user_id: userId, platform, filename, file_hash: fileHash, currency, created_at: createdAt });
+      return [];
+    }
+    if (sql.includes('UPDATE sales_imports')) {
+      tables.imports.get(args[args.length - 1]).status = args[0];
+      return [];
+    }
+    if (sql.includes('INSERT INTO manuscript_identifiers')) {
+      const [id, , manuscriptId, type, identifier, source] = args;
+      tables.identifiers.set(identifier, { id, manuscript_id: manuscriptId, identifier_type: type, identifier, source });
+      return [];
+    }
+    if (sql.includes('FROM sales_data WHERE user_id = ? AND row_key = ?')) {
+      const row = tables.sales.get(args[1]);
+      return row ? [row] : [];
+    }
+    if (sql.includes('INSERT INTO sales_data')) {
+      const [id, manuscriptId, userId, saleDate, platform, format, units, listPrice, revenue, royalty, rate,
+        currency, country, marketplace, source, kenpPages, kenpRevenue, importId, rowKey] = args;
+      tables.sales.set(rowKey, {
+        id, manuscript_id: manuscriptId, user_id: userId, sale_date: saleDate, platform, format,
+        units_sold: units, list_price: listPrice, revenue, royalty_earned: royalty, royalty_rate: rate,
+        currency, country_code: country, marketplace, source, kenp_pages_read: kenpPages,
+        kenp_revenue: kenpRevenue, import_id: importId, row_key: rowKey
+      });
+      return [];
+    }
+    if (sql.includes('UPDATE sales_data')) {
+      const row = [...tables.sales.values()].find(sale => sale.id === args[args.length - 1]);
+      Object.assign(row, { units_sold: args[1], royalty_earned: args[4], kenp_pages_read: args[6], kenp_revenue: args[7] });
+      return [];
+    }
+    if (sql.includes('SUM(royalty_earned)')) {
+      const [userId, platform, start, end] = args;
+      const rows = [...tables.sales.values()].filter(row =>
+        row.user_id === userId && row.platform === platform && row.sale_date >= start && row.sale_date <= end);
+      return [{
+        royalties: rows.reduce((sum, row) => sum + row.royalty_earned + row.kenp_revenue, 0),
+        sales_count: rows.length
+      }];
+    }
+    if (sql.includes('FROM royalty_payments')) {
+      return tables.payments.filter(row => row.platform === args[1] && row.payment_period_start === args[2]);
+    }
+    if (sql.includes('INSERT INTO royalty_payments')) {
+      const [id, userId, platform, start, end, expectedDate, amount, currency, salesCount, expected] = args;
+      tables.payments.push({
+        id, user_id: userId, platform, payment_period_start: start, payment_period_end: end,
+        expected_payment_date: expectedDate, amount, currency, status: 'pending', sales_count: salesCount, expected_amount: expected
+      });
+      return [];
+    }
+    if (sql.includes('UPDATE royalty_payments')) {
+      const payment = tables.payments.find(row => row.id === args[args.length - 1]);
+      Object.assign(payment, { amount: args[0], expected_amount: args[1], sales_count: args[2] });
+      return [];
+    }
+    throw new Error(`Unexpected SQL: ${sql}`);
+  };
+
+  return {
+    tables,
+    prepare: sql => ({
+      bind: (...args) => ({
+        first: async () => execute(sql, args)[0] ?? null,
+        all: async () => ({ results: execute(sql, args) }),
+        run: async () => { execute(sql, args); return { success: true }; }
+      })
+    })
+  };
+}
+
+const MANUSCRIPTS = [
+  { id: 'ms-ember', title: 'The Ember Throne' },
+  { id: 'ms-ashes', title: 'Ashes of Winter' }
+];
+
+describe('Sales report parsers', () => {
+  it('should parse quoted CSV fields and detect the delimiter', () => {
+    expect(parseCSV('a,"b, c","say ""hi"""\r\n1,2,3')).toEqual([['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+    expect(parseCSV('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('should parse amounts, dates and ISBNs in report formats', () => {
+    expect(parseAmount('$1,234.50')).toBe(1234.5);
+    expect(parseAmount('(3.10)')).toBe(-3.1);
+    expect(parseAmount('')).toBeNull();
+
+    expect(parseReportDate('2024-03')).toBe(MARCH_2024);
+    expect(parseReportDate('March 2024')).toBe(MARCH_2024);
+    expect(parseReportDate('03/05/2024')).toBe(MARCH_2024 + 4 * DAY);
+    expect(parseReportDate(45352)).toBe(MARCH_2024); // Excel serial
+    expect(parseReportDate('Total')).toBeNull();
+
+    expect(normalizeIsbn('978-1-23456-780-4')).toBe('9781234567804');
+    expect(normalizeIsbn('0306406152')).toBe('9780306406157');
+    expect(normalizeIsbn('B0EMBER001')).toBeNull();
+  });
+
+  it('should read a KDP royalty workbook across sheets', async () => {
+    const report = await parseSalesReport(await kdpWorkbook(), { filename: 'KDP_Prior_Month_Royalties.xlsx' });
+
+    expect(report.platform).toBe('kdp');
+    expect(report.rows).toHaveLength(4);
+
+    const [us, uk, , kenp] = report.rows;
+    expect(us).toMatchObject({
+      format: 'ebook',
+      asin: 'B0EMBER001',
+      countryCode: 'US',
+      unitsSold: 9,
+      royalty: 30.98,
+      royaltyRate: 0.7,
+      currency: 'USD',
+      saleDate: MARCH_2024 + 4 * DAY
+    });
+    expect(us.revenue).toBeCloseTo(44.91);
+    expect(uk).toMatchObject({ countryCode: 'UK', currency: 'GBP', unitsSold: 4 });
+    expect(kenp).toMatchObject({ kenpPagesRead: 1000, unitsSold: 0, royalty: 0 });
+  });
+
+  it('should read Draft2Digital earnings as USD regardless of the sale currency', async () => {
+    const report = await parseSalesReport(Buffer.from(D2D_CSV), { filename: 'd2d-sales.csv' });
+
+    expect(report.platform).toBe('draft2digital');
+    expect(report.rows.map(row => [row.marketplace, row.countryCode, row.currency, row.royalty])).toEqual([
+      ['Apple Books', 'US', 'USD', 11.13],
+      ['Kobo', 'DE', 'USD', 2.95]
+    ]);
+    expect(report.rows[0].isbn).toBe('9781234567804');
+  });
+
+  it('should read an IngramSpark compensation report with the period above the table', async () => {
+    const report = await parseSalesReport(Buffer.from(INGRAM_CSV), { filename: 'compensation.csv' });
+
+    expect(report.platform).toBe('ingramspark');
+    expect(report.rows).toHaveLength(2);
+    expect(report.rows[0]).toMatchObject({
+      format: 'paperback',
+      saleDate: MARCH_2024,
+      unitsSold: 4,
+      royalty: 8.4,
+      currency: 'USD',
+      countryCode: 'US'
+    });
+    expect(report.rows[1]).toMatchObject({ currency: 'GBP', countryCode: 'UK', unitsSold: 2 });
+  });
+
+  it('should reject files that are not sales reports', async () => {
+    expect(detectPlatform([{ name: 'x.csv', rows: [['Name', 'Email']] }])).toBeNull();
+    await expect(parseSalesReport(Buffer.from('Name,Email\nJane,jane@example.com'), { filename: 'x.csv' }))
+      .rejects.toThrow('Unrecognized sales report');
+  });
+});
+
+describe('Sales import service', () => {
+  it('should convert currencies with env and per-import rates', () => {
+    const rates = getExchangeRates({ SALES_EXCHANGE_RATES: '{"GBP": 1.25}' }, { eur: 1.1 });
+
+    expect(convertCurrency(10, 'GBP', 'USD', rates)).toEqual({ amount: 12.5, rate: 1.25 });
+    expect(convertCurrency(11, 'EUR', 'GBP', rates).amount).toBeCloseTo(9.68);
+    expect(() => convertCurrency(10, 'XYZ', 'USD', rates)).toThrow('No exchange rate for XYZ');
+  });
+
+  it('should match by identifier before title and skip ambiguous titles', () => {
+    const match = createManuscriptMatcher({
+      manuscripts: [...MANUSCRIPTS, { id: 'ms-dup-1', title: 'Echoes' }, { id: 'ms-dup-2', title: 'Echoes' }],
+      identifiers: [{ manuscript_id: 'ms-ashes', identifier: '978-1-23456-780-4' }]
+    });
+
+    expect(normalizeTitle('The Ember Throne: A Novel (Ashfall Book 1)')).toBe('the ember throne');
+    expect(match({ title: 'Wrong Title', isbn: '9781234567804' })).toEqual({ manuscriptId: 'ms-ashes', via: 'identifier' });
+    expect(match({ title: 'The Ember Throne (Ashfall Book 1)' })).toEqual({ manuscriptId: 'ms-ember', via: 'title' });
+    expect(match({ title: 'Echoes' })).toBeNull();
+  });
+
+  it('should import a KDP workbook, learn identifiers and create a pending payment', async () => {
+    const DB = createSalesDB(MANUSCRIPTS);
+    const env = { DB };
+
+    const result = await importSalesReport('user-1', {
+      buffer: await kdpWorkbook(),
+      filename: 'royalties.xlsx'
+    }, {}, env);
+
+    expect(result).toMatchObject({
+      platform: 'kdp',
+      status: 'partial',
+      rowsInserted: 3,
+      rowsUnmatched: 1,
+      duplicateOf: null,
+      reportingCurrency: 'USD'
+    });
+    expect(result.unmatched).toEqual([
+      { title: 'The Lost Manuscript', asin: 'B0UNKNOWN1', isbn: null, rows: 1, units: 2, royalty: 2.09 }
+    ]);
+
+    const sales = [...DB.tables.sales.values()];
+    const uk = sales.find(row => row.country_code === 'UK');
+    expect(uk.royalty_earned).toBeCloseTo(11.10 * 1.27);
+    expect(uk.currency).toBe('USD');
+    expect(sales.find(row => row.kenp_pages_read === 1000).kenp_revenue).toBeCloseTo(4.5);
+    expect(DB.tables.identifiers.get('B0EMBER001')).toMatchObject({ manuscript_id: 'ms-ember', source: 'title_match' });
+
+    expect(DB.tables.payments).toHaveLength(1);
+    expect(DB.tables.payments[0]).toMatchObject({
+      platform: 'kdp',
+      payment_period_start: MARCH_2024,
+      status: 'pending',
+      sales_count: 3
+    });
+    expect(DB.tables.payments[0].amount).toBeCloseTo(30.98 + 11.10 * 1.27 + 4.5, 2);
+  });
+
+  it('should not double count re-imports and should apply corrected reports', async () => {
+    const DB = createSalesDB(MANUSCRIPTS);
+    const env = { DB };
+    const workbook = await kdpWorkbook();
+
+    const first = await importSalesReport('user-1', { buffer: workbook, filename: 'royalties.xlsx' }, {}, env);
+    const again = await importSalesReport('user-1', { buffer: workbook, filename: 'royalties.xlsx' }, {}, env);
+
+    expect(again).toMatchObject({ rowsInserted: 0, rowsUnchanged: 3, duplicateOf: first.id });
+    expect(DB.tables.sales.size).toBe(3);
+
+    const corrected = await importSalesReport('user-1', {
+      buffer: await kdpWorkbook({ usUnits: 12, usRoyalty: 41.3 }),
+      filename: 'royalties-final.xlsx'
+    }, {}, env);
+
+    expect(corrected).toMatchObject({ rowsInserted: 0, rowsUpdated: 1, rowsUnchanged: 2 });
+    expect(DB.tables.sales.size).toBe(3);
+    expect(DB.tables.payments).toHaveLength(1);
+    expect(DB.tables.payments[0].amount).toBeCloseTo(41.3 + 11.10 * 1.27 + 4.5, 2);
+  });
+
+  it('should import Draft2Digital and IngramSpark reports into the same tables', async () => {
+    const DB = createSalesDB(MANUSCRIPTS);
+    const env = { DB, SALES_EXCHANGE_RATES: '{"GBP": 1.3}' };
+
+    const d2d = await importSalesReport('user-1', { buffer: Buffer.from(D2D_CSV), filename: 'd2d.csv' }, {}, env);
+    const ingram = await importSalesReport('user-1', {
+      buffer: Buffer.from(INGRAM_CSV),
+      filename: 'ingram.csv'
+    }, { platform: 'ingramspark' }, env);
+
+    expect(d2d).toMatchObject({ status: 'completed', rowsInserted: 2 });
+    expect(ingram).toMatchObject({ status: 'completed', rowsInserted: 2, totalRoyalties: 12.43 });
+    expect([...DB.tables.sales.values()].every(row => row.manuscript_id === 'ms-ashes')).toBe(true);
+    expect(DB.tables.payments.map(payment => payment.platform)).toEqual(['draft2digital', 'ingramspark']);
+  });
+
+  it('should reject empty and unrecognized files', async () => {
+    const env = { DB: createSalesDB(MANUSCRIPTS) };
+
+    await expect(importSalesReport('user-1', { buffer: new ArrayBuffer(0) }, {}, env))
+      .rejects.toThrow('Report file is empty');
+    await expect(importSalesReport('user-1', { buffer: Buffer.from('hello'), filename: 'notes.txt' }, {}, env))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
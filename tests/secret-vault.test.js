@@ -0,0 +1,265 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import {
+  encryptSecret,
+  decryptSecret,
+  getEnvelopeKeyId,
+  getKeyId,
+  isEncrypted,
+  rotateStoredSecrets
+} from '../src/services/secret-vault.js';
+import { WebhookManager } from '../src/managers/webhook-manager.js';
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('hex');
+
+const CONNECTION = { table: 'platform_connections', field: 'api_key_encrypted', userId: 'user-1' };
+
+/**
+ * In-memory database holding secret tables and the access log
+ * beforeUpdate(table, id) runs before each UPDATE, to simulate concurrent writes
+ */
+function createSecretsDB(tables = {}, { beforeUpdate } = {}) {
+  const accessLog = [];
+
+  const execute = (sql, args) => {
+    if (sql.includes('INSERT INTO secret_access_log')) {
+      const [id, userId, table, recordId, field, purpose, actor, keyId, success, error] = args;
+      accessLog.push({ id, userId, table, recordId, field, purpose, actor, keyId, success, error });
+      return { rows: [] };
+    }
+
+    const select = sql.match(/FROM (\w+)\s+WHERE id > \?/);
+    if (select) {
+      const [lastId, limit] = args;
+      return { rows: (tables[select[1]] || []).filter(row => row.id > lastId).slice(0, limit) };
+    }
+    const selectOne = sql.match(/SELECT[\s\S]+FROM (\w+)\s+WHERE id = \?/);
+    if (selectOne) {
+      return { rows: (tables[selectOne[1]] || []).filter(row => row.id === args[0]).map(row => ({ ...row })) };
+    }
+    if (sql.includes('INSERT INTO webhooks')) {
+      const [id, userId, url, events, secret] = args;
+      tables.webhooks = [...(tables.webhooks || []), { id, user_id: userId, url, events, secret, is_active: 1 }];
+      return { rows: [] };
+    }
+    if (sql.includes('FROM webhooks')) {
+      return { rows: tables.webhooks || [] };
+    }
+    if (sql.includes('INSERT INTO webhook_deliveries') || sql.includes('INSERT INTO webhook_retries')) {
+      return { rows: [] };
+    }
+
+    // UPDATE t SET a = ?, b = ? WHERE id = ? AND a = ? AND b = ? (compare-and-swap)
+    const update = sql.match(/UPDATE (\w+)\s+SET ([\s\S]+?)\s+WHERE id = \?((?: AND \w+ = \?)*)/);
+    if (update) {
+      const fields = update[2].split(',').map(part => part.trim().split(' ')[0]);
+      const expected = update[3] ? update[3].split(' AND ').filter(Boolean).map(part => part.split(' ')[0]) : [];
+      const id = args[fields.length];
+      beforeUpdate?.(update[1], id);
+      const row = tables[update[1]].find(candidate => candidate.id === id);
+      if (!row || expected.some((field, index) => row[field] !== args[fields.length + 1 + index])) {
+        return { rows: [], changes: 0 };
+      }
+      fields.forEach((field, index) => { row[field] = args[index]; });
+      return { rows: [], changes: 1 };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    tables,
+    accessLog,
+    prepare(sql) {
+      let args = [];
+      const statement = {
+        bind: (...values) => { args = values; return statement; },
+        first: async () => execute(sql, args).rows[0] || null,
+        all: async () => ({ results: execute(sql, args).rows }),
+        run: async () => ({ success: true, meta: { changes: execute(sql, args).changes ?? 0 } })
+      };
+      return statement;
+    }
+  };
+}
+
+describe('Secret vault', () => {
+  it('should encrypt with a fresh data key and decrypt with an audit entry', async () => {
+    const DB = createSecretsDB();
+    const env = { DB, SECRETS_MASTER_KEY: NEW_KEY };
+
+    const first = encryptSecret('kdp-api-key', CONNECTION, env);
+    const second = encryptSecret('kdp-api-key', CONNECTION, env);
+
+    expect(isEncrypted(first)).toBe(true);
+    expect(first).not.toContain('kdp-api-key');
+    expect(first).not.toBe(second);
+    expect(getEnvelopeKeyId(first)).toBe(getKeyId(Buffer.from(NEW_KEY, 'hex')));
+    expect(encryptSecret('', CONNECTION, env)).toBeNull();
+
+    const plaintext = await decryptSecret(first, { ...CONNECTION, recordId: 'conn-1', purpose: 'sync' }, env);
+
+    expect(plaintext).toBe('kdp-api-key');
+    expect(DB.accessLog).toEqual([expect.objectContaining({
+      userId: 'user-1',
+      table: 'platform_connections',
+      recordId: 'conn-1',
+      field: 'api_key_encrypted',
+      purpose: 'sync',
+      actor: 'system',
+      success: 1
+    })]);
+  });
+
+  it('should refuse a ciphertext moved to another owner or column, and log the attempt', async () => {
+    const DB = createSecretsDB();
+    const env = { DB, SECRETS_MASTER_KEY: NEW_KEY };
+    const envelope = encryptSecret('kdp-api-key', CONNECTION, env);
+
+    await expect(decryptSecret(envelope, { ...CONNECTION, userId: 'user-2' }, env))
+      .rejects.toThrow('Secret failed authentication');
+    await expect(decryptSecret(envelope, { ...CONNECTION, field: 'access_token_encrypted' }, env))
+      .rejects.toThrow('Secret failed authentication');
+    await expect(decryptSecret(envelope, CONNECTION, { DB, SECRETS_MASTER_KEY: OLD_KEY }))
+      .rejects.toThrow('unknown master key');
+
+    expect(DB.accessLog.map(entry => entry.success)).toEqual([0, 0, 0]);
+  });
+
+  it('should require a valid master key', () => {
+    expect(() => encryptSecret('value', CONNECTION, {})).toThrow('SECRETS_MASTER_KEY is not configured');
+    expect(() => encryptSecret('value', CONNECTION, { SECRETS_MASTER_KEY: 'too-short' }))
+      .toThrow('32-byte key');
+  });
+
+  it('should re-encrypt old and plaintext rows under the new master key', async () => {
+    const oldEnv = { SECRETS_MASTER_KEY: OLD_KEY };
+    const DB = createSecretsDB({
+      platform_connections: [
+        {
+          id: 'conn-1',
+          user_id: 'user-1',
+          api_key_encrypted: encryptSecret('old-key', CONNECTION, oldEnv),
+          api_secret_encrypted: null,
+          access_token_encrypted: 'legacy-plaintext-token',
+          refresh_token_encrypted: null
+        }
+      ],
+      webhooks: [
+        {
+          id: 'wh-1',
+          user_id: 'user-2',
+          secret: encryptSecret('whsec', { table: 'webhooks', field: 'secret', userId: 'user-2' }, oldEnv)
+        }
+      ]
+    });
+    const env = { DB, SECRETS_MASTER_KEY: NEW_KEY, SECRETS_PREVIOUS_MASTER_KEYS: OLD_KEY };
+
+    const dryRun = await rotateStoredSecrets(env, { dryRun: true, batchSize: 1 });
+    expect(dryRun.tables.platform_connections.rotated).toBe(2);
+    expect(getEnvelopeKeyId(DB.tables.webhooks[0].secret)).toBe(getKeyId(Buffer.from(OLD_KEY, 'base64')));
+
+    const summary = await rotateStoredSecrets(env, { batchSize: 1 });
+
+    expect(summary.tables).toEqual({
+      platform_connections: { rotated: 2, current: 0, failed: 0, errors: [] },
+      webhooks: { rotated: 1, current: 0, failed: 0, errors: [] }
+    });
+
+    // Readable with only the new key
+    const newEnv = { DB, SECRETS_MASTER_KEY: NEW_KEY };
+    const [connection] = DB.tables.platform_connections;
+    expect(await decryptSecret(connection.api_key_encrypted, CONNECTION, newEnv)).toBe('old-key');
+    expect(await decryptSecret(connection.access_token_encrypted, {
+      ...CONNECTION,
+      field: 'access_token_encrypted'
+    }, newEnv)).toBe('legacy-plaintext-token');
+    expect(DB.accessLog.filter(entry => entry.purpose === 'key_rotation')).toHaveLength(6);
+
+    const again = await rotateStoredSecrets(env);
+    expect(again.tables.webhooks).toMatchObject({ rotated: 0, current: 1 });
+  });
+
+  it('should not overwrite a secret saved while rotation was running', async () => {
+    const oldEnv = { SECRETS_MASTER_KEY: OLD_KEY };
+    const newEnv = { SECRETS_MASTER_KEY: NEW_KEY };
+    const savedByUser = encryptSecret('new-key', CONNECTION, newEnv);
+    let saves = 0;
+    const DB = createSecretsDB({
+      platform_connections: [{
+        id: 'conn-1',
+        user_id: 'user-1',
+        api_key_encrypted: encryptSecret('old-key', CONNECTION, oldEnv),
+        api_secret_encrypted: encryptSecret('old-secret', { ...CONNECTION, field: 'api_secret_encrypted' }, oldEnv),
+        access_token_encrypted: null,
+        refresh_token_encrypted: null
+      }]
+    }, {
+      // The user saves a new API key between the rotation's read and its write
+      beforeUpdate: (table, id) => {
+        if (saves++ === 0) {
+          DB.tables[table].find(row => row.id === id).api_key_encrypted = savedByUser;
+        }
+      }
+    });
+    const env = { DB, SECRETS_MASTER_KEY: NEW_KEY, SECRETS_PREVIOUS_MASTER_KEYS: OLD_KEY };
+
+    const summary = await rotateStoredSecrets(env, { columns: [{
+      table: 'platform_connections',
+      columns: ['api_key_encrypted', 'api_secret_encrypted']
+    }] });
+
+    const [connection] = DB.tables.platform_connections;
+    expect(connection.api_key_encrypted).toBe(savedByUser);
+    expect(await decryptSecret(connection.api_secret_encrypted, { ...CONNECTION, field: 'api_secret_encrypted' }, { DB, ...newEnv }))
+      .toBe('old-secret');
+    expect(summary.tables.platform_connections).toEqual({ rotated: 1, current: 1, failed: 0, errors: [] });
+  });
+
+  it('should give up on a row that keeps changing and report it', async () => {
+    const oldEnv = { SECRETS_MASTER_KEY: OLD_KEY };
+    const DB = createSecretsDB({
+      platform_connections: [{ id: 'conn-1', user_id: 'user-1', api_key_encrypted: encryptSecret('v0', CONNECTION, oldEnv) }]
+    }, {
+      beforeUpdate: (table, id) => {
+        const row = DB.tables[table].find(candidate => candidate.id === id);
+        row.api_key_encrypted = encryptSecret(`v${Math.random()}`, CONNECTION, oldEnv);
+      }
+    });
+    const env = { DB, SECRETS_MASTER_KEY: NEW_KEY, SECRETS_PREVIOUS_MASTER_KEYS: OLD_KEY };
+
+    const summary = await rotateStoredSecrets(env, { columns: [{ table: 'platform_connections', columns: ['api_key_encrypted'] }] });
+
+    expect(summary.tables.platform_connections).toMatchObject({ rotated: 0, failed: 1 });
+    expect(summary.tables.platform_connections.errors[0].error).toContain('kept changing');
+    expect(getEnvelopeKeyId(DB.tables.platform_connections[0].api_key_encrypted)).toBe(getKeyId(Buffer.from(OLD_KEY, 'base64')));
+  });
+
+  it('should store webhook secrets encrypted and sign deliveries with the plaintext', async () => {
+    const DB = createSecretsDB();
+    const env = { DB, SECRETS_MASTER_KEY: NEW_KEY };
+    const manager = new WebhookManager(env);
+
+    const webhook = await manager.create('user-1', 'https://example.com/hook', ['*'], 'whsec_test');
+    expect(webhook.secret).toBe('whsec_test');
+    expect(isEncrypted(DB.tables.webhooks[0].secret)).toBe(true);
+
+    const requests = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+      requests.push(init);
+      return { ok: true, status: 200 };
+    };
+
+    try {
+      await manager.trigger('user-1', 'analysis.complete', { manuscriptId: 'ms-1' });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+
+    expect(requests).toHaveLength(1);
+    expect(manager.verify(requests[0].body, requests[0].headers['X-Webhook-Signature'], 'whsec_test')).toBe(true);
+    expect(DB.accessLog).toEqual([expect.objectContaining({ table: 'webhooks', purpose: 'webhook_delivery', success: 1 })]);
+  });
+});
@@ -145,7 +145,6 @@ export function createTestSubscription(userId, overrides = {}) {
     plan_type: 'free',
     status: 'active',
     stripe_subscription_id: null,
-    stripe_price_id: null,
     current_period_start: now.toISOString(),
     current_period_end: periodEnd.toISOString(),
     cancel_at_period_end: false,
@@ -527,6 +526,239 @@ export function createTestAnalysis(manuscriptId, overrides = {}) {
   };
 }
 
+/**
+ * Create test submission message data
+ *
+ * @param {string} submissionId - Manuscript ID the message is about
+ * @param {string} senderId - Sending user ID
+ * @param {string} recipientId - Receiving user ID
+ * @param {object} overrides - Override default values
+ * @returns {object} Submission message record
+ */
+export function createTestMessage(submissionId, senderId, recipientId, overrides = {}) {
+  return {
+    id: generateId(),
+    submission_id: submissionId,
+    sender_user_id: senderId,
+    recipient_user_id: recipientId,
+    message_type: 'feedback',
+    subject: 'Chapter 3',
+    body: 'Loved the opening.',
+    sent_at: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+/**
+ * Create test revision request data
+ *
+ * @param {string} submissionId - Manuscript ID
+ * @param {string} requestedById - Publisher user ID
+ * @param {object} overrides - Override default values
+ * @returns {object} Revision request record
+ */
+export function createTestRevisionRequest(submissionId, requestedById, overrides = {}) {
+  return {
+    id: generateId(),
+    submission_id: submissionId,
+    requested_by_user_id: requestedById,
+    requested_changes: 'Tighten the middle act.',
+    revision_type: 'moderate',
+    deadline: null,
+    status: 'pending',
+    ...overrides
+  };
+}
+
+/**
+ * Create test notification preferences data
+ *
+ * @param {string} userId - User ID
+ * @param {object} overrides - Override default values
+ * @returns {object} Notification preferences record
+ */
+export function createTestNotificationPreferences(userId, overrides = {}) {
+  return {
+    id: generateId(),
+    user_id: userId,
+    digest_frequency: 'immediate',
+    ...overrides
+  };
+}
+
+/**
+ * Create test email preferences data
+ *
+ * @param {string} userId - User ID
+ * @param {object} overrides - Override default values
+ * @returns {object} Email preferences record
+ */
+export function createTestEmailPreferences(userId, overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    id: generateId(),
+    user_id: userId,
+    unsubscribe_token: generateId(),
+    submission_updates: 1,
+    created_at: now,
+    updated_at: now,
+    ...overrides
+  };
+}
+
+/**
+ * Create test rights grant data (manuscript_rights)
+ *
+ * @param {string} manuscriptId - Manuscript ID
+ * @param {string} userId - Author user ID
+ * @param {object} overrides - Override default values
+ * @returns {object} Manuscript rights record
+ */
+export function createTestRightsGrant(manuscriptId, userId, overrides = {}) {
+  return {
+    id: `rights-${generateId()}`,
+    manuscript_id: manuscriptId,
+    user_id: userId,
+    rights_type: 'audio',
+    rights_status: 'granted',
+    granted_to_publisher_name: 'Earlier Press',
+    exclusive: 0,
+    grant_start_date: Math.floor(Date.now() / 1000),
+    ...overrides
+  };
+}
+
+/**
+ * Create test sales data (one sales_data row)
+ *
+ * @param {string} manuscriptId - Manuscript ID
+ * @param {string} userId - Author user ID
+ * @param {object} overrides - Override default values
+ * @returns {object} Sales data record
+ */
+export function createTestSale(manuscriptId, userId, overrides = {}) {
+  return {
+    id: generateId(),
+    manuscript_id: manuscriptId,
+    user_id: userId,
+    sale_date: Math.floor(Date.now() / 1000),
+    platform: 'kdp',
+    format: 'ebook',
+    units_sold: 1,
+    revenue: 4.99,
+    royalty_earned: 3.49,
+    currency: 'USD',
+    ...overrides
+  };
+}
+
+/**
+ * Create test team data
+ *
+ * @param {string} ownerId - Owning user ID
+ * @param {object} overrides - Override default values
+ * @returns {object} Team record
+ */
+export function createTestTeam(ownerId, overrides = {}) {
+  const id = generateId();
+
+  return {
+    id,
+    name: `Test Team ${id.slice(0, 8)}`,
+    owner_id: ownerId,
+    ...overrides
+  };
+}
+
+/**
+ * Create test team member data
+ *
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Member user ID
+ * @param {object} overrides - Override default values
+ * @returns {object} Team member record
+ */
+export function createTestTeamMember(teamId, userId, overrides = {}) {
+  return {
+    id: generateId(),
+    team_id: teamId,
+    user_id: userId,
+    role: 'editor',
+    ...overrides
+  };
+}
+
+/**
+ * Create test manuscript share data (manuscript_permissions)
+ * Pass team_id (and user_id: null) in overrides for a team share.
+ *
+ * @param {string} manuscriptId - Manuscript ID
+ * @param {string} grantedById - User ID who shared it
+ * @param {object} overrides - Override default values
+ * @returns {object} Manuscript permission record
+ */
+export function createTestManuscriptShare(manuscriptId, grantedById, overrides = {}) {
+  return {
+    id: generateId(),
+    manuscript_id: manuscriptId,
+    team_id: null,
+    user_id: null,
+    permission_level: 'view',
+    granted_by: grantedById,
+    granted_at: Math.floor(Date.now() / 1000),
+    ...overrides
+  };
+}
+
+/**
+ * Create test DMCA takedown request data
+ *
+ * @param {string} manuscriptId - Manuscript the claim is against
+ * @param {object} overrides - Override default values
+ * @returns {object} DMCA request record
+ */
+export function createTestDMCARequest(manuscriptId, overrides = {}) {
+  return {
+    id: generateId(),
+    manuscript_id: manuscriptId,
+    requester_name: 'Rights Holder',
+    requester_email: 'claims@example.com',
+    requester_company: 'Claims Ltd',
+    claim_details: 'Chapters 1-3 copied from my novel',
+    original_work_url: 'https://example.com/novel',
+    good_faith_attestation: true,
+    accuracy_attestation: true,
+    digital_signature: 'Rights Holder',
+    status: 'pending',
+    submitted_at: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+/**
+ * Create test cost tracking data (one logged claude_api call)
+ *
+ * @param {string} userId - User ID
+ * @param {object} overrides - Override default values
+ * @returns {object} Cost tracking record
+ */
+export function createTestCost(userId, overrides = {}) {
+  return {
+    id: generateId(),
+    user_id: userId,
+    manuscript_id: null,
+    cost_center: 'claude_api',
+    feature_name: 'analysis',
+    operation: 'developmental',
+    cost_usd: 0.1,
+    tokens_input: 9000,
+    tokens_output: 1000,
+    created_at: Math.floor(Date.now() / 1000),
+    ...overrides
+  };
+}
+
 /**
  * Export aliases for backward compatibility with test imports
  */
@@ -4,6 +4,8 @@
  * Provides mock implementations of external services for testing:
  * - Backblaze B2 storage
  * - Redis cache
+ * - Job queue
+ * - ClamAV virus scanner
  * - Claude API
  * - Email service (Resend)
  * - Stripe payments
@@ -11,6 +13,7 @@
 
 import { vi } from 'vitest';
 import crypto from 'crypto';
+import http from 'http';
 
 /**
  * Mock Backblaze B2 Storage Adapter
@@ -19,14 +22,16 @@ import crypto from 'crypto';
  */
 export function mockStorageAdapter() {
   const storage = new Map();
+  const metadata = new Map();
 
   const mockBucket = {
-    put: vi.fn(async (keyOrOptions, bodyOrUndefined) => {
-      // Support both signatures: put(key, body) and put({ key, body })
+    put: vi.fn(async (keyOrOptions, bodyOrUndefined, options = {}) => {
+      // Support both signatures: put(key, body, options) and put({ key, body })
       const key = typeof keyOrOptions === 'string' ? keyOrOptions : keyOrOptions.key;
       const body = bodyOrUndefined !== undefined ? bodyOrUndefined : keyOrOptions.body;
 
       storage.set(key, body);
+      metadata.set(key, { customMetadata: options.customMetadata || {}, httpMetadata: options.httpMetadata || {} });
       return {
         key,
         size: Buffer.isBuffer(body) ? body.length : Buffer.from(body).length,
@@ -61,7 +66,12 @@ export function mockStorageAdapter() {
         key,
         body,
         size: Buffer.isBuffer(body) ? body.length : Buffer.from(body).length,
-        contentType: 'application/octet-stream'
+        contentType: 'application/octet-stream',
+        ...metadata.get(key),
+        // Body readers, as returned by the storage adapter
+        arrayBuffer: async () => Buffer.from(body),
+        text: async () => body.toString(),
+        json: async () => JSON.parse(body.toString())
       };
     }),
 
@@ -70,6 +80,7 @@ export function mockStorageAdapter() {
       const key = typeof keyOrOptions === 'string' ? keyOrOptions : keyOrOptions.key;
       const existed = storage.has(key);
       storage.delete(key);
+      metadata.delete(key);
       return { deleted: existed };
     }),
 
@@ -102,7 +113,10 @@ export function mockStorageAdapter() {
     }),
 
     // Helper to clear storage (not part of real API)
-    _clear: () => storage.clear()
+    _clear: () => {
+      storage.clear();
+      metadata.clear();
+    }
   };
 
   return {
@@ -198,6 +212,60 @@ export function mockRedis() {
   };
 }
 
+/**
+ * Mock Job Queue
+ *
+ * Records jobs sent with env.QUEUE.send(queueName, jobData)
+ */
+export function mockQueue() {
+  const sent = [];
+
+  return {
+    send: vi.fn(async (queueName, jobData) => {
+      sent.push({ queue: queueName, body: jobData });
+      return crypto.randomUUID();
+    }),
+
+    // Helper to inspect sent jobs (not part of real API)
+    _getSent: () => sent
+  };
+}
+
+/**
+ * Mock ClamAV Virus Scanner
+ *
+ * Stands in for services/virus-scanner.js where a scanner can be injected.
+ * verdicts maps file contents to a virus name; anything else scans clean.
+ * Set healthy to false to simulate the scanner being down.
+ */
+export function mockVirusScanner({ healthy = true, verdicts = {} } = {}) {
+  const scanner = {
+    healthy,
+    scans: [],
+    incidents: [],
+
+    isScannerHealthy: vi.fn(async () => scanner.healthy),
+
+    scanFile: vi.fn(async (buffer, filename) => {
+      const virus = verdicts[Buffer.from(buffer).toString()];
+      scanner.scans.push(filename);
+      const scanId = `scan-${scanner.scans.length}`;
+      return virus
+        ? { scanId, scanStatus: 'infected', isInfected: true, viruses: [virus], filename }
+        : { scanId, scanStatus: 'clean', isInfected: false, viruses: [], filename };
+    }),
+
+    logScanResult: vi.fn(async () => {}),
+
+    createMalwareIncident: vi.fn(async (db, scanResult, userId, ipAddress) => {
+      scanner.incidents.push({ viruses: scanResult.viruses, filename: scanResult.filename, userId, ipAddress });
+      return `incident-${scanner.incidents.length}`;
+    })
+  };
+
+  return scanner;
+}
+
 /**
  * Mock Claude API Client
  *
@@ -487,6 +555,65 @@ export function mockStripe() {
   };
 }
 
+/**
+ * Mock Stripe API Server
+ *
+ * Local stand-in for the Stripe REST API, for code that builds its own SDK
+ * client (point STRIPE_API_BASE at base). Answers customers, checkout
+ * sessions and billing meter events; set failMeterEvents to make meter
+ * events fail.
+ */
+export function mockStripeApi() {
+  const api = { requests: [], meterEvents: [], failMeterEvents: false, base: null };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      api.requests.push({ method: req.method, path: req.url, params });
+
+      const send = (status, payload, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.url === '/v1/customers') {
+        return send(200, { id: `cus_mock_${api.requests.length}`, object: 'customer', email: params.email });
+      }
+      if (req.url === '/v1/checkout/sessions') {
+        const id = `cs_mock_${api.requests.length}`;
+        return send(200, { id, object: 'checkout.session', url: `https://checkout.stripe.test/${id}`, mode: params.mode });
+      }
+      if (req.url === '/v1/billing/meter_events') {
+        if (api.failMeterEvents) {
+          return send(500, { error: { type: 'api_error', message: 'Meter unavailable' } }, { 'Stripe-Should-Retry': 'false' });
+        }
+        api.meterEvents.push(params);
+        return send(200, { object: 'billing.meter_event', event_name: params.event_name, identifier: params.identifier });
+      }
+      return send(404, { error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.url})` } });
+    });
+  });
+
+  api.start = async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    api.base = `http://127.0.0.1:${server.address().port}`;
+    return api.base;
+  };
+
+  api.stop = () => new Promise(resolve => server.close(resolve));
+
+  // Helper to forget recorded calls between tests (not part of real API)
+  api._clear = () => {
+    api.requests.length = 0;
+    api.meterEvents.length = 0;
+    api.failMeterEvents = false;
+  };
+
+  return api;
+}
+
 /**
  * Generate a valid Stripe webhook signature for testing
  *
@@ -29,7 +29,7 @@ async function testMarketAnalysis() {
 
         // Step 2: Initialize agent
         console.log('2. Initializing Market Analysis Agent...');
-        const agent = new MarketAnalysisAgent(API_KEY);
+        const agent = new MarketAnalysisAgent({ ANTHROPIC_API_KEY: API_KEY });
         console.log('   ✓ Agent initialized\n');
 
         // Step 3: Run market analysis
@@ -0,0 +1,43 @@
+/**
+ * Runtime Env Unit Tests
+ *
+ * Which process.env settings server.js passes through to handlers.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildRuntimeEnv } from '../../../src/config/runtime-env.js';
+
+describe('Runtime env', () => {
+  it('should pass through listed settings and setting families with the bindings', () => {
+    const DB = {};
+    const env = buildRuntimeEnv({
+      NODE_ENV: 'production',
+      STRIPE_SECRET_KEY: 'sk_test_billing',
+      STRIPE_API_BASE: 'http://127.0.0.1:12111',
+      STRIPE_PRICE_PRO: 'price_pro_live',
+      STRIPE_PRICE_AI_OVERAGE: 'price_ai_overage',
+      STRIPE_METER_EVENT_NAME: 'ai_tokens_live',
+      NOTIFICATION_MAX_ATTEMPTS: '8',
+      BACKUP_SCRATCH_DATABASE_URL: 'postgresql://scratch',
+      FRONTEND_URL: undefined
+    }, { DB });
+
+    expect(env).toEqual({
+      DB,
+      NODE_ENV: 'production',
+      STRIPE_SECRET_KEY: 'sk_test_billing',
+      STRIPE_API_BASE: 'http://127.0.0.1:12111',
+      STRIPE_PRICE_PRO: 'price_pro_live',
+      STRIPE_PRICE_AI_OVERAGE: 'price_ai_overage',
+      STRIPE_METER_EVENT_NAME: 'ai_tokens_live',
+      NOTIFICATION_MAX_ATTEMPTS: '8',
+      BACKUP_SCRATCH_DATABASE_URL: 'postgresql://scratch'
+    });
+  });
+
+  it('should keep everything else out, including the database URL', () => {
+    const env = buildRuntimeEnv({ DATABASE_URL: 'postgresql://primary', HOME: '/root', PATH: '/usr/bin' });
+
+    expect(env).toEqual({ NODE_ENV: 'development' });
+  });
+});
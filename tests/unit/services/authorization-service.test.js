@@ -0,0 +1,92 @@
+/**
+ * Authorization Service Unit Tests
+ *
+ * Permission levels, team role caps and the manuscript route policy.
+ * Resolving and enforcing access against the database is covered by
+ * tests/integration/services/authorization-service.test.js.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { readFile } from 'fs/promises';
+import { can, capByTeamRole, manuscriptRouteAction } from '../../../src/services/authorization-service.js';
+import { ServerError } from '../../../src/utils/error-handling.js';
+
+describe('Permission checks', () => {
+  it('should rank levels when deciding actions', () => {
+    expect(can('view', 'manuscript:read')).toBe(true);
+    expect(can('view', 'manuscript:comment')).toBe(false);
+    expect(can('comment', 'manuscript:comment')).toBe(true);
+    expect(can('comment', 'manuscript:write')).toBe(false);
+    expect(can('edit', 'analysis:run')).toBe(true);
+    expect(can('edit', 'asset:write')).toBe(true);
+    expect(can('edit', 'manuscript:delete')).toBe(false);
+    expect(can('edit', 'manuscript:manage')).toBe(false);
+    expect(can('owner', 'manuscript:share')).toBe(true);
+    expect(can('none', 'manuscript:read')).toBe(false);
+    expect(can(null, 'asset:read')).toBe(false);
+    expect(() => can('owner', 'manuscript:fly')).toThrow('Unknown action');
+  });
+
+  it('should cap team shares by the member role', () => {
+    expect(capByTeamRole('edit', 'admin')).toBe('edit');
+    expect(capByTeamRole('edit', 'editor')).toBe('edit');
+    expect(capByTeamRole('comment', 'editor')).toBe('comment');
+    expect(capByTeamRole('edit', 'viewer')).toBe('view');
+    expect(capByTeamRole('comment', 'viewer')).toBe('view');
+    expect(capByTeamRole('view', 'viewer')).toBe('view');
+    expect(capByTeamRole('edit', 'guest')).toBe('none');
+  });
+});
+
+describe('Manuscript route policy', () => {
+  it('should map shared routes to read or write actions', () => {
+    expect(manuscriptRouteAction('GET', '')).toBe('manuscript:read');
+    expect(manuscriptRouteAction('HEAD', '')).toBe('manuscript:read');
+    expect(manuscriptRouteAction('PUT', '')).toBe('manuscript:write');
+    expect(manuscriptRouteAction('POST', '/reanalyze')).toBe('analysis:run');
+    expect(manuscriptRouteAction('GET', '/versions/3/diff')).toBe('manuscript:read');
+    expect(manuscriptRouteAction('POST', '/versions')).toBe('manuscript:write');
+    expect(manuscriptRouteAction('PUT', '/outline')).toBe('manuscript:write');
+    expect(manuscriptRouteAction('GET', '/cover')).toBe('asset:read');
+    expect(manuscriptRouteAction('POST', '/cover/generate-brief')).toBe('asset:write');
+    expect(manuscriptRouteAction('DELETE', '/cover')).toBe('asset:write');
+    expect(manuscriptRouteAction('POST', '/format/epub')).toBe('asset:write');
+    expect(manuscriptRouteAction('GET', '/formatted')).toBe('asset:read');
+    expect(manuscriptRouteAction('GET', '/audiobook/generate-samples')).toBe('asset:read');
+  });
+
+  it('should keep deletion and business routes owner-only', () => {
+    expect(manuscriptRouteAction('DELETE', '')).toBe('manuscript:delete');
+    expect(manuscriptRouteAction('GET', '/sales')).toBe('manuscript:manage');
+    expect(manuscriptRouteAction('POST', '/rights/offers')).toBe('manuscript:manage');
+    expect(manuscriptRouteAction('GET', '/kdp/package')).toBe('manuscript:manage');
+    expect(manuscriptRouteAction('PATCH', '/rights/r1')).toBe('manuscript:manage');
+  });
+
+  it('should fail loudly for routes missing from the policy outside production', () => {
+    expect(() => manuscriptRouteAction('GET', '/not-yet-classified', { NODE_ENV: 'test' }))
+      .toThrow('No authorization policy for GET /manuscripts/:id/not-yet-classified');
+    expect(() => manuscriptRouteAction('PATCH', '/cover', { NODE_ENV: 'development' })).toThrow(ServerError);
+
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(manuscriptRouteAction('GET', '/not-yet-classified', { NODE_ENV: 'production' })).toBe('manuscript:manage');
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('MANUSCRIPT_ROUTE_POLICY'));
+    error.mockRestore();
+  });
+
+  it('should have a policy for every /manuscripts/:id route in the router', async () => {
+    const router = await readFile(new URL('../../../src/router/router.js', import.meta.url), 'utf8');
+    const routes = [...router.matchAll(/path\.match\(\/\^\\\/manuscripts\\\/(?:\[\^\/\]\+|\.\+)(.*?)\$\/\) && method === '(\w+)'/g)];
+
+    expect(routes.length).toBeGreaterThan(100);
+    for (const [, pattern, method] of routes) {
+      // Turn the route regex into a sample path: \/cover\/[^/]+ -> /cover/x
+      const subPath = pattern
+        .replace(/\[\^\/\]\+|\.\+/g, 'x')
+        .replace(/\\d\+/g, '1')
+        .replace(/\((\w+)\|[^)]*\)/g, '$1')
+        .replace(/\\\//g, '/');
+      expect(() => manuscriptRouteAction(method, subPath, { NODE_ENV: 'test' }), `${method} ${subPath}`).not.toThrow();
+    }
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Billing Service Unit Tests
+ *
+ * How tokens are split between the allowance, credits and overage, finding
+ * the metered subscription item, and the checks made before anything is
+ * read or stored. Metering, reporting, credit packs and the usage ledger
+ * against the database are covered by
+ * tests/integration/services/billing-service.test.js.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { splitTokens, findMeteredItemId, createCreditPackCheckout, grantCreditPack, meterUsage } from '../../../src/services/billing-service.js';
+import { ValidationError } from '../../../src/utils/error-handling.js';
+
+describe('Token coverage', () => {
+  it('should draw on the allowance, then credits, then overage', () => {
+    expect(splitTokens(1000, { included: 5000, credits: 0, overage: false }))
+      .toEqual({ included: 1000, credits: 0, overage: 0, uncovered: 0 });
+    expect(splitTokens(10000, { included: 3000, credits: 4000, overage: true }))
+      .toEqual({ included: 3000, credits: 4000, overage: 3000, uncovered: 0 });
+    expect(splitTokens(10000, { included: 3000, credits: 4000, overage: false }))
+      .toEqual({ included: 3000, credits: 4000, overage: 0, uncovered: 3000 });
+  });
+});
+
+describe('Metered subscription item', () => {
+  const subscription = {
+    id: 'sub_stripe_pro',
+    items: {
+      data: [
+        { id: 'si_plan', price: { id: 'price_pro', recurring: { usage_type: 'licensed' } } },
+        { id: 'si_overage', price: { id: 'price_ai_overage', recurring: { usage_type: 'metered' } } }
+      ]
+    }
+  };
+
+  it('should find the subscription item carrying the metered price', () => {
+    expect(findMeteredItemId(subscription, { STRIPE_PRICE_AI_OVERAGE: 'price_ai_overage' })).toBe('si_overage');
+    expect(findMeteredItemId(subscription, {})).toBe('si_overage');
+    expect(findMeteredItemId({}, {})).toBeNull();
+  });
+
+  it('should flag a subscription without the metered price', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(findMeteredItemId(subscription, { STRIPE_PRICE_AI_OVERAGE: 'price_other' })).toBeNull();
+    expect(error).toHaveBeenCalledWith(
+      '[Billing] Subscription sub_stripe_pro has no metered overage item',
+      { expectedPrice: 'price_other', prices: ['price_pro', 'price_ai_overage'] }
+    );
+    error.mockRestore();
+  });
+});
+
+describe('Billing input checks', () => {
+  // Refused or skipped before the database is touched
+  const env = {};
+
+  it('should reject unknown credit packs', async () => {
+    await expect(createCreditPackCheckout(env, 'reader', 'mega')).rejects.toThrow(ValidationError);
+    await expect(grantCreditPack(env, { userId: 'reader', packId: 'mega' })).rejects.toThrow(ValidationError);
+  });
+
+  it('should not meter calls without a user or tokens', async () => {
+    expect(await meterUsage(env, { userId: null, inputTokens: 100, outputTokens: 10 })).toBeNull();
+    expect(await meterUsage(env, { userId: 'author', inputTokens: 0, outputTokens: 0 })).toBeNull();
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Comment Service Unit Tests
+ *
+ * Mention parsing and the permissions comment routes require. Threads,
+ * replies and suggestions against the database are covered by
+ * tests/integration/handlers/manuscript-comment-handlers.test.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseMentions } from '../../../src/services/comment-service.js';
+import { manuscriptRouteAction } from '../../../src/services/authorization-service.js';
+
+describe('Mentions', () => {
+  it('should parse email mentions', () => {
+    expect(parseMentions('Thoughts, @Jane@Example.com? cc @bob@example.co.uk. not me@example.com')).toEqual([
+      'jane@example.com',
+      'bob@example.co.uk'
+    ]);
+  });
+});
+
+describe('Comment policy', () => {
+  it('should require comment permission to post and ownership to decide suggestions', () => {
+    expect(manuscriptRouteAction('GET', '/comments')).toBe('manuscript:read');
+    expect(manuscriptRouteAction('POST', '/comments/t1/replies')).toBe('manuscript:comment');
+    expect(manuscriptRouteAction('PATCH', '/comments/t1')).toBe('manuscript:comment');
+    expect(manuscriptRouteAction('POST', '/comments/t1/suggestion/accept')).toBe('suggestion:decide');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * DMCA Service Unit Tests
+ *
+ * The business-day restoration timer, counter-notice validation and the case
+ * history CSV. Takedowns, strikes, counter-notices and restorations against
+ * the database are covered by tests/integration/services/dmca-service.test.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  federalHolidays,
+  addBusinessDays,
+  restorationWindow,
+  normalizeCounterNotice,
+  caseAuditToCsv
+} from '../../../src/services/dmca-service.js';
+import { ValidationError } from '../../../src/utils/error-handling.js';
+
+const at = iso => Math.floor(new Date(iso).getTime() / 1000);
+const iso = seconds => new Date(seconds * 1000).toISOString();
+
+const COUNTER_NOTICE = {
+  fullName: 'Ann Author',
+  address: '1 Quay Street, Portland, ME 04101',
+  phone: '+1 207 555 0100',
+  email: 'Author@Example.com',
+  materialDescription: 'The Ferry, formerly at /manuscripts/m1',
+  mistakeStatement: 'I wrote every chapter myself; the claim misidentifies my work.',
+  perjuryAttestation: true,
+  jurisdictionConsent: true,
+  digitalSignature: 'Ann Author'
+};
+
+describe('Restoration timer', () => {
+  it('should count business days around weekends and federal holidays', () => {
+    // Friday before Thanksgiving 2026
+    const received = at('2026-11-20T12:00:00Z');
+
+    expect(iso(addBusinessDays(received, 1))).toBe('2026-11-23T12:00:00.000Z');
+    expect(iso(addBusinessDays(received, 4))).toBe('2026-11-27T12:00:00.000Z');
+
+    const { restoreAfter, restoreBy } = restorationWindow(received);
+    expect(iso(restoreAfter)).toBe('2026-12-07T12:00:00.000Z');
+    expect(iso(restoreBy)).toBe('2026-12-11T12:00:00.000Z');
+  });
+
+  it('should observe weekend holidays on the nearest weekday', () => {
+    const holidays = federalHolidays(2027);
+
+    expect(holidays.has('2027-07-05')).toBe(true);  // July 4th is a Sunday
+    expect(holidays.has('2027-12-24')).toBe(true);  // Christmas is a Saturday
+    expect(holidays.has('2027-12-31')).toBe(true);  // New Year's Day 2028 is a Saturday
+    expect(holidays.has('2027-01-18')).toBe(true);  // Third Monday of January
+    expect(holidays.has('2027-05-31')).toBe(true);  // Last Monday of May
+    expect(holidays.has('2027-11-25')).toBe(true);  // Fourth Thursday of November
+    expect(holidays.size).toBe(12);  // Eleven holidays plus 2028's observed New Year's Day
+  });
+});
+
+describe('Counter-notice validation', () => {
+  it('should trim the fields and lowercase the email', () => {
+    expect(normalizeCounterNotice({ ...COUNTER_NOTICE, fullName: ' Ann Author ' })).toMatchObject({
+      fullName: 'Ann Author',
+      email: 'author@example.com'
+    });
+  });
+
+  it('should require every statutory element', () => {
+    expect(() => normalizeCounterNotice({ ...COUNTER_NOTICE, phone: ' ' })).toThrow(expect.objectContaining({ details: { missing: ['phone'] } }));
+    expect(() => normalizeCounterNotice({ ...COUNTER_NOTICE, jurisdictionConsent: false })).toThrow(ValidationError);
+    expect(() => normalizeCounterNotice({ ...COUNTER_NOTICE, perjuryAttestation: 'yes' })).toThrow(ValidationError);
+    expect(() => normalizeCounterNotice({ ...COUNTER_NOTICE, email: 'nope' })).toThrow('Invalid email address format');
+  });
+});
+
+describe('Case history CSV', () => {
+  it('should write one row per event with quoted details', () => {
+    const audit = {
+      request: { id: 'd1' },
+      events: [
+        { type: 'taken_down', actorType: 'admin', actorId: 'admin-1', details: { resolutionNotes: 'Copied "verbatim", chapters 1-3' }, createdAt: at('2026-11-19T15:00:00Z') },
+        // BIGINT columns come back from Postgres as strings
+        { type: 'strike_issued', actorType: 'system', actorId: null, details: null, createdAt: String(at('2026-11-19T15:00:00Z')) }
+      ]
+    };
+
+    expect(caseAuditToCsv(audit).split('\n')).toEqual([
+      'Time (UTC),Request ID,Event,Actor Type,Actor ID,Details',
+      '2026-11-19T15:00:00.000Z,d1,taken_down,admin,admin-1,"{""resolutionNotes"":""Copied \\""verbatim\\"", chapters 1-3""}"',
+      '2026-11-19T15:00:00.000Z,d1,strike_issued,system,,',
+      ''
+    ]);
+  });
+});
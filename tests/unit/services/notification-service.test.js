@@ -0,0 +1,61 @@
+/**
+ * Notification Service Unit Tests
+ *
+ * Templates and the delivery rules the dispatcher applies to each queued
+ * notification. Queue handling against the database is covered by
+ * tests/integration/services/notification-service.test.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  renderNotification,
+  getEmailDelivery,
+  nextDigestAt,
+  retryDelay
+} from '../../../src/services/notification-service.js';
+
+// Monday 19 October 2026, 10:00 UTC
+const NOW = Date.UTC(2026, 9, 19, 10) / 1000;
+const HOUR = 3600;
+
+describe('Notification templates', () => {
+  it('should render each type from its related records', () => {
+    const message = renderNotification('message', {
+      manuscriptTitle: 'The <Ferry>',
+      message: { subject: 'Chapter 3', body: 'Loved the <b>opening</b>', senderName: 'Ed Stone' }
+    }, { link: 'https://dashboard.selfpubhub.co/communication.html?submission=ms-1' });
+
+    expect(message.subject).toBe('New message about "The <Ferry>"');
+    expect(message.summary).toBe('Ed Stone sent you a message: Chapter 3');
+    expect(message.text).toContain('Read message: https://dashboard.selfpubhub.co/communication.html?submission=ms-1');
+    expect(message.html).toContain('Loved the &lt;b&gt;opening&lt;/b&gt;');
+
+    const revision = renderNotification('revision_request', {
+      revisionRequest: { requestedChanges: 'Tighten the middle act.', deadline: Date.UTC(2026, 11, 1) / 1000 }
+    });
+    expect(revision.subject).toBe('Revision requested for "your submission"');
+    expect(revision.summary).toBe('The publisher asked for revisions by December 1, 2026.');
+
+    expect(() => renderNotification('newsletter', {})).toThrow('Unknown notification type');
+  });
+});
+
+describe('Delivery rules', () => {
+  it('should honour per-type toggles, digest frequency and unsubscribe', () => {
+    expect(getEmailDelivery(null, null, 'message')).toEqual({ delivery: 'immediate', reason: null });
+    expect(getEmailDelivery({ digest_frequency: 'daily', email_on_message: 1 }, { submission_updates: 1 }, 'message').delivery).toBe('daily');
+    expect(getEmailDelivery({ email_on_message: 0 }, null, 'message').reason).toBe('Email disabled for message');
+    expect(getEmailDelivery({ digest_frequency: 'none' }, null, 'decision').delivery).toBeNull();
+    expect(getEmailDelivery({ digest_frequency: 'immediate' }, { submission_updates: 0 }, 'decision').reason)
+      .toBe('Unsubscribed from submission emails');
+  });
+
+  it('should schedule digests at the digest hour and back off retries', () => {
+    expect(nextDigestAt(NOW, 'daily')).toBe(Date.UTC(2026, 9, 20, 8) / 1000);
+    expect(nextDigestAt(NOW - 3 * HOUR, 'daily')).toBe(Date.UTC(2026, 9, 19, 8) / 1000);
+    expect(nextDigestAt(NOW, 'weekly')).toBe(Date.UTC(2026, 9, 26, 8) / 1000);
+    expect(nextDigestAt(NOW - 3 * HOUR, 'weekly')).toBe(Date.UTC(2026, 9, 19, 8) / 1000);
+
+    expect([1, 2, 3].map(retryDelay)).toEqual([300, 900, 2700]);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * OAuth Service Unit Tests
+ *
+ * Scopes, PKCE, redirects back to the app and which client registrations
+ * are refused. The authorization code flow against the database is covered
+ * by tests/integration/handlers/oauth-handlers.test.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseScopes, pkceChallenge, buildRedirect, registerClient, OAuthError } from '../../../src/services/oauth-service.js';
+import { ValidationError } from '../../../src/utils/error-handling.js';
+
+const REDIRECT_URI = 'https://plugin.example.com/callback';
+
+describe('OAuth helpers', () => {
+  it('should parse known scopes and refuse unknown ones', () => {
+    expect(parseScopes('manuscripts:read manuscripts:write manuscripts:read')).toEqual(['manuscripts:read', 'manuscripts:write']);
+    expect(parseScopes('')).toEqual([]);
+
+    expect(() => parseScopes('manuscripts:read admin')).toThrow(OAuthError);
+    expect(() => parseScopes('manuscripts:read admin')).toThrow('Unknown scope: admin');
+  });
+
+  it('should derive the S256 challenge from the verifier', () => {
+    // RFC 7636 appendix B
+    expect(pkceChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk')).toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+  });
+
+  it('should add parameters to the redirect URI and skip empty ones', () => {
+    expect(buildRedirect(`${REDIRECT_URI}?app=1`, { code: 'abc', state: undefined, error: null }))
+      .toBe(`${REDIRECT_URI}?app=1&code=abc`);
+  });
+});
+
+describe('OAuth client registration', () => {
+  // Refused before anything is stored
+  const env = {};
+
+  it('should only accept https or loopback redirect URIs', async () => {
+    await expect(registerClient('dev', { name: 'Plugin', redirectUris: ['http://plugin.example.com/cb'] }, env))
+      .rejects.toThrow('must use https');
+    await expect(registerClient('dev', { name: 'Plugin', redirectUris: [`${REDIRECT_URI}#frag`] }, env))
+      .rejects.toThrow('fragment');
+    await expect(registerClient('dev', { name: 'Plugin', redirectUris: ['com.example.desktop:/cb'] }, env))
+      .rejects.toThrow('must use https');
+  });
+
+  it('should require a name, redirect URIs and known scopes', async () => {
+    await expect(registerClient('dev', { name: ' ', redirectUris: [REDIRECT_URI] }, env)).rejects.toBeInstanceOf(ValidationError);
+    await expect(registerClient('dev', { name: 'Plugin', redirectUris: [] }, env)).rejects.toThrow('redirectUris are required');
+    await expect(registerClient('dev', { name: 'Plugin', redirectUris: [REDIRECT_URI], scopes: ['admin'] }, env))
+      .rejects.toThrow('Unknown scope');
+    await expect(registerClient('dev', { name: 'Plugin', redirectUris: [REDIRECT_URI], clientType: 'device' }, env))
+      .rejects.toThrow('clientType must be one of');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Rights Offer Service Unit Tests
+ *
+ * Conflict detection between grants and validation of offer terms.
+ * Negotiation and deadlines against the database are covered by
+ * tests/integration/services/rights-offer-service.test.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectRightsConflicts, normalizeTerms } from '../../../src/services/rights-offer-service.js';
+
+const DAY = 86400;
+const now = () => Math.floor(Date.now() / 1000);
+
+const grant = (overrides) => ({
+  id: 'existing',
+  rights_type: 'audio',
+  exclusive: 0,
+  grant_start_date: null,
+  grant_end_date: null,
+  territories: null,
+  languages: null,
+  granted_to_publisher_name: 'Earlier Press',
+  ...overrides
+});
+
+describe('Rights conflict detection', () => {
+  it('should block exclusive grants that overlap by type, time and territory', () => {
+    const [conflict] = detectRightsConflicts(
+      [grant({ id: 'new', rights_type: 'north_american', territories: '["CA","US"]' })],
+      [grant({ rights_type: 'world', exclusive: 1 })]
+    );
+
+    expect(conflict.conflictType).toBe('exclusive_violation');
+    expect(conflict.blocking).toBe(true);
+    expect(conflict.territories).toEqual(['CA', 'US']);
+  });
+
+  it('should ignore grants separated by territory, language or period', () => {
+    const existing = [grant({ exclusive: 1, territories: '["GB"]', grant_start_date: 0, grant_end_date: 100 })];
+
+    expect(detectRightsConflicts([grant({ id: 'n1', territories: '["US"]' })], existing)).toEqual([]);
+    expect(detectRightsConflicts([grant({ id: 'n2', grant_start_date: 200 })], existing)).toEqual([]);
+    expect(detectRightsConflicts(
+      [grant({ id: 'n3', languages: '["de"]' })],
+      [grant({ exclusive: 1, languages: '["en"]' })]
+    )).toEqual([]);
+  });
+
+  it('should report non-exclusive overlaps without blocking', () => {
+    const conflicts = detectRightsConflicts([
+      grant({ id: 'a', territories: '["GB","IE"]' }),
+      grant({ id: 'b', territories: '["IE"]' })
+    ]);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ conflictType: 'territorial_overlap', blocking: false, territories: ['IE'] });
+  });
+});
+
+describe('Offer terms', () => {
+  it('should validate terms and carry omitted terms over on a counter', () => {
+    expect(() => normalizeTerms({ rightsOffered: ['poetry'] })).toThrow(/Unknown rights type/);
+    expect(() => normalizeTerms({ rightsOffered: ['audio'], royaltyRate: 12 })).toThrow(/royaltyRate/);
+    expect(() => normalizeTerms({ rightsOffered: ['audio'], responseDeadline: now() - DAY })).toThrow(/future/);
+
+    const terms = normalizeTerms(
+      { advance: 8000 },
+      { rightsOffered: ['audio'], royaltyRate: 0.1, territories: ['US'], exclusive: true }
+    );
+    expect(terms).toMatchObject({ rightsOffered: ['audio'], advance: 8000, royaltyRate: 0.1, territories: ['US'], exclusive: true });
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Sales Goal Service Unit Tests
+ *
+ * Classifying a goal from its progress and projection band. Goals evaluated
+ * against sales_data are covered by
+ * tests/integration/services/sales-goal-service.test.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { classifyGoal } from '../../../src/services/sales-goal-service.js';
+
+describe('Goal classification', () => {
+  it('should classify by where the projection band lands', () => {
+    const forecast = { expected: 40, lower: 20, upper: 60 };
+    expect(classifyGoal({ target: 100, actual: 100, forecast: null, ended: false })).toBe('achieved');
+    expect(classifyGoal({ target: 100, actual: 50, forecast: null, ended: true })).toBe('missed');
+    expect(classifyGoal({ target: 100, actual: 50, forecast: null, ended: false })).toBe('open');
+    expect(classifyGoal({ target: 100, actual: 70, forecast, ended: false })).toBe('on_track');
+    expect(classifyGoal({ target: 100, actual: 50, forecast, ended: false })).toBe('at_risk');
+    expect(classifyGoal({ target: 100, actual: 30, forecast, ended: false })).toBe('off_track');
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Upload Quarantine Unit Tests
+ *
+ * Quarantine keys, the uploader's IP and the error returned for files that
+ * haven't been released. Holding, scanning and releasing files against the
+ * database is covered by tests/integration/services/upload-quarantine.test.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { quarantineKey, getUploadIp, FileQuarantinedError, SCAN_STATUS } from '../../../src/services/upload-quarantine.js';
+
+describe('Upload quarantine helpers', () => {
+  it('should hold files under the quarantine prefix of their final key', () => {
+    expect(quarantineKey('author/ms-1/book.docx')).toBe('quarantine/author/ms-1/book.docx');
+  });
+
+  it('should take the uploader IP from the Cloudflare header, then X-Forwarded-For', () => {
+    const request = headers => new Request('https://api.example.com/', { headers });
+
+    expect(getUploadIp(request({ 'CF-Connecting-IP': '203.0.113.7', 'X-Forwarded-For': '198.51.100.1' }))).toBe('203.0.113.7');
+    expect(getUploadIp(request({ 'X-Forwarded-For': '198.51.100.1' }))).toBe('198.51.100.1');
+    expect(getUploadIp(request({}))).toBeNull();
+    expect(getUploadIp(undefined)).toBeNull();
+  });
+
+  it('should answer 409 with the scan status for files not yet released', () => {
+    const pending = new FileQuarantinedError(SCAN_STATUS.PENDING);
+    expect(pending).toMatchObject({ statusCode: 409, details: { scanStatus: 'pending_scan' } });
+    expect(pending.message).toContain('still being scanned');
+
+    expect(new FileQuarantinedError(SCAN_STATUS.INFECTED).message).toContain('blocked by the malware scanner');
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Comment Anchor Tests
+ *
+ * Capturing a quoted range with its context and finding it again in a
+ * later draft. Threads stored against the database are covered by
+ * tests/integration/handlers/manuscript-comment-handlers.test.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createAnchor, resolveAnchor } from '../../../src/utils/comment-anchors.js';
+
+const CHAPTERS = [
+  { title: 'Chapter 1', text: 'The ferry left at dawn. Mara watched the harbour. The ferry was late.' },
+  { title: 'Chapter 2', text: 'The island rose from the fog.' }
+];
+
+describe('Comment anchors', () => {
+  it('should capture the quote and its context', () => {
+    const anchor = createAnchor(CHAPTERS, { chapterIndex: 0, startOffset: 24, endOffset: 28 });
+    expect(anchor).toMatchObject({ chapterTitle: 'Chapter 1', quote: 'Mara', prefix: 'The ferry left at dawn. ', suffix: ' watched the harbour. The ferry ' });
+
+    expect(() => createAnchor(CHAPTERS, { chapterIndex: 5, startOffset: 0, endOffset: 1 })).toThrow('does not exist');
+    expect(() => createAnchor(CHAPTERS, { chapterIndex: 1, startOffset: 10, endOffset: 10 })).toThrow('inside the chapter');
+  });
+
+  it('should follow the quote when text is added before it', () => {
+    const anchor = createAnchor(CHAPTERS, { chapterIndex: 0, startOffset: 24, endOffset: 28 });
+    const draft = [{ title: 'Chapter 1', text: 'Rain. The ferry left at dawn. Mara watched the harbour.' }, CHAPTERS[1]];
+
+    expect(resolveAnchor(anchor, draft)).toMatchObject({ chapterIndex: 0, startOffset: 30, endOffset: 34, moved: true, detached: false });
+  });
+
+  it('should pick the occurrence whose context matches', () => {
+    // The second "The ferry", not the first
+    const anchor = createAnchor(CHAPTERS, { chapterIndex: 0, startOffset: 50, endOffset: 59 });
+    const draft = [{ title: 'Chapter 1', text: 'The ferry left at noon. Mara watched the harbour. The ferry was late.' }];
+
+    expect(resolveAnchor(anchor, draft)).toMatchObject({ startOffset: 50, moved: false });
+  });
+
+  it('should find a passage moved to another chapter and detach when it is gone', () => {
+    const anchor = createAnchor(CHAPTERS, { chapterIndex: 1, startOffset: 4, endOffset: 10 });
+    const moved = resolveAnchor(anchor, [
+      { title: 'Prologue', text: 'The island rose from the fog.' },
+      { title: 'Chapter 1', text: 'The ferry left at dawn.' }
+    ]);
+    expect(moved).toMatchObject({ chapterIndex: 0, chapterTitle: 'Prologue', startOffset: 4, detached: false });
+
+    const gone = resolveAnchor(anchor, [{ title: 'Chapter 2', text: 'A storm broke.' }]);
+    expect(gone).toMatchObject({ chapterIndex: 1, startOffset: 4, quote: 'island', detached: true });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Sales Forecast Unit Tests
+ *
+ * Holt-Winters and moving-average projections, confidence bands and the UTC
+ * period bounds goals and forecasts are measured over.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildDailySeries,
+  forecastTotal,
+  periodBounds
+} from '../../../src/utils/sales-forecast.js';
+
+const DAY = 86400;
+// Monday 19 October 2026, 10:00 UTC
+const NOW = Date.UTC(2026, 9, 19, 10) / 1000;
+const TODAY = Math.floor(NOW / DAY);
+
+// Deterministic noise so the tests do not depend on Math.random
+function noise(i) {
+  return Math.sin(i * 12.9898) * 43758.5453 % 1;
+}
+
+/**
+ * Weekly pattern: weekdays sell `base`, weekends twice that
+ */
+function weeklySeries(days, base, jitter = 0) {
+  return Array.from({ length: days }, (_, i) => {
+    const weekday = (TODAY - days + i + 4) % 7; // 1970-01-01 was a Thursday
+    const value = weekday === 0 || weekday === 6 ? base * 2 : base;
+    return Math.max(0, value + jitter * noise(i));
+  });
+}
+
+describe('Sales forecasting', () => {
+  it('should follow a weekly pattern with Holt-Winters once there are two seasons', () => {
+    const series = weeklySeries(84, 10, 2);
+    const forecast = forecastTotal(series, 7);
+
+    expect(forecast.method).toBe('holt_winters');
+    // One week: 5 weekdays at 10 and 2 weekend days at 20
+    expect(forecast.expected).toBeGreaterThan(80);
+    expect(forecast.expected).toBeLessThan(100);
+    expect(forecast.lower).toBeLessThan(forecast.expected);
+    expect(forecast.upper).toBeGreaterThan(forecast.expected);
+
+    const weekend = forecast.daily.filter((_, i) => [0, 6].includes((TODAY + i + 4) % 7));
+    const weekdays = forecast.daily.filter((_, i) => ![0, 6].includes((TODAY + i + 4) % 7));
+    expect(Math.min(...weekend)).toBeGreaterThan(Math.max(...weekdays));
+  });
+
+  it('should widen the band for noisier titles and longer horizons', () => {
+    const steady = forecastTotal(weeklySeries(84, 10, 0.5), 30);
+    const noisy = forecastTotal(weeklySeries(84, 10, 8), 30);
+    expect(noisy.upper - noisy.lower).toBeGreaterThan(steady.upper - steady.lower);
+
+    const week = forecastTotal(weeklySeries(84, 10, 2), 7);
+    const quarter = forecastTotal(weeklySeries(84, 10, 2), 90);
+    expect(quarter.upper - quarter.lower).toBeGreaterThan(week.upper - week.lower);
+
+    expect(forecastTotal(weeklySeries(84, 10, 2), 7, { confidence: 0.95 }).upper).toBeGreaterThan(week.upper);
+    expect(() => forecastTotal([1, 2], 7, { confidence: 0.7 })).toThrow(/confidence/);
+  });
+
+  it('should fall back to a moving average for short histories and zero without any', () => {
+    const short = forecastTotal([4, 6, 5, 5], 10);
+    expect(short.method).toBe('moving_average');
+    expect(short.expected).toBeCloseTo(50);
+
+    expect(forecastTotal([], 10)).toMatchObject({ method: 'none', expected: 0, lower: 0, upper: 0 });
+    expect(buildDailySeries([{ day: 12, value: 3 }, { day: 14, value: '2.5' }], 11, 15)).toEqual([0, 3, 0, 2.5]);
+  });
+
+  it('should find UTC month and quarter bounds', () => {
+    expect(periodBounds(NOW, 'month')).toEqual({ start: Date.UTC(2026, 9, 1) / 1000, end: Date.UTC(2026, 10, 1) / 1000 });
+    expect(periodBounds(NOW, 'quarter')).toEqual({ start: Date.UTC(2026, 9, 1) / 1000, end: Date.UTC(2027, 0, 1) / 1000 });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Scheduled Jobs Worker Tests
+ *
+ * The hourly jobs run one after another, each on its own: a job that throws
+ * is reported without stopping the rest.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { SCHEDULED_JOBS, runScheduledJobs } from '../../../src/workers/scheduled-jobs-worker.js';
+
+describe('Scheduled jobs', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should run the hourly jobs in order', () => {
+    expect(SCHEDULED_JOBS.map(job => job.name)).toEqual(['rights-offer-deadlines', 'sales-goals', 'dmca-restorations', 'overage-reports']);
+  });
+
+  it('should keep running the other jobs when one throws', async () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const ran = [];
+    const jobs = [
+      { name: 'first', run: async () => { ran.push('first'); return { done: 2 }; }, summarize: ({ done }) => `First: ${done} done` },
+      { name: 'broken', run: async () => { ran.push('broken'); throw new Error('database unavailable'); } },
+      { name: 'last', run: async () => { ran.push('last'); return { done: 0 }; }, summarize: () => null }
+    ];
+    const env = { DB: {} };
+
+    const result = await runScheduledJobs(env, jobs);
+
+    expect(ran).toEqual(['first', 'broken', 'last']);
+    expect(result).toEqual({
+      success: false,
+      jobs: {
+        first: { success: true, result: { done: 2 } },
+        broken: { success: false, error: 'database unavailable' },
+        last: { success: true, result: { done: 0 } }
+      }
+    });
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log.mock.calls[0][0]).toMatch(/^\[Scheduled Jobs\] First: 2 done \(\d+ms\)$/);
+    expect(error).toHaveBeenCalledWith('[Scheduled Jobs] broken failed:', expect.any(Error));
+  });
+
+  it('should pass the env to every job', async () => {
+    const env = { DB: {} };
+    const run = vi.fn(async () => ({}));
+
+    expect(await runScheduledJobs(env, [{ name: 'a', run }, { name: 'b', run }]))
+      .toEqual({ success: true, jobs: { a: { success: true, result: {} }, b: { success: true, result: {} } } });
+    expect(run.mock.calls).toEqual([[env], [env]]);
+  });
+});